@@ -32,6 +32,7 @@ const {
   stripReasoningLabelMetadata,
 } = require('librechat-data-provider');
 const { getStrategyFunctions } = require('~/server/services/Files/strategies');
+const { saveMessageArtifacts } = require('~/server/services/Artifacts/library');
 const { logViolation } = require('~/cache');
 const TextStream = require('./TextStream');
 const db = require('~/models');
@@ -665,6 +666,20 @@ class BaseClient {
           userMessage.manualSkills = skills;
         }
       }
+      /**
+       * Persist the library artifacts the user referenced so a regenerated
+       * response is given the same artifacts. Access is checked again each
+       * time they are loaded for the model.
+       */
+      const rawArtifactRefs = this.options.req?.body?.artifactRefs;
+      if (Array.isArray(rawArtifactRefs) && rawArtifactRefs.length > 0) {
+        const artifactRefs = rawArtifactRefs.filter(
+          (id) => typeof id === 'string' && id.length > 0,
+        );
+        if (artifactRefs.length > 0) {
+          userMessage.artifactRefs = artifactRefs;
+        }
+      }
       /**
        * Persist the names of skills auto-primed this turn via `always-apply`
        * frontmatter so `SkillPills` can render pinned-variant badges
@@ -722,6 +737,7 @@ class BaseClient {
           createAutoRefillTransaction: db.createAutoRefillTransaction,
           balanceConfig,
           upsertBalanceFields: db.upsertBalanceFields,
+          findBudgetsForUser: db.findBudgetsForUser,
         },
       );
     }
@@ -879,6 +895,11 @@ class BaseClient {
       user,
     );
     this.savedMessageIds.add(responseMessage.messageId);
+    /** Keep the response's artifacts in the library once it is saved; failures are logged there */
+    const { req } = this.options;
+    responseMessage.databasePromise
+      .then(() => saveMessageArtifacts(req, responseMessage))
+      .catch(() => undefined);
     return responseMessage;
   }
 
@@ -1452,7 +1473,7 @@ class BaseClient {
     for (const file of attachments) {
       /** @type {FileSources} */
       const source = file.source ?? FileSources.local;
-      if (source === FileSources.text) {
+      if (source === FileSources.text || source === FileSources.mcp) {
         allFiles.push(file);
         continue;
       }
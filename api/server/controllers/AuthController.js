@@ -174,6 +174,9 @@ const refreshController = async (req, res) => {
       const reuseUserId = reusableSessionToken ? getValidOpenIDReuseUserId(parsedCookies) : null;
       if (reuseUserId) {
         const user = await getUserById(reuseUserId, AUTH_REFRESH_USER_PROJECTION);
+        if (user?.disabledAt != null) {
+          return res.status(401).redirect('/login');
+        }
         if (user) {
           const cloudFrontCookiesSet = setCloudFrontAuthCookies(req, res, user);
           logger.debug('[refreshController] OpenID session token reused', {
@@ -221,7 +224,7 @@ const refreshController = async (req, res) => {
         `[refreshController] findOpenIDUser result: user=${user?.email ?? 'null'}, error=${error ?? 'null'}, migration=${migration}, userOpenidId=${user?.openidId ?? 'null'}, claimsSub=${claims.sub}`,
       );
 
-      if (error || !user) {
+      if (error || !user || user.disabledAt != null) {
         logger.warn(
           `[refreshController] Redirecting to /login: error=${error ?? 'null'}, user=${user ? 'exists' : 'null'}`,
         );
@@ -264,7 +267,7 @@ const refreshController = async (req, res) => {
   try {
     const payload = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
     const user = await getUserById(payload.id, AUTH_REFRESH_USER_PROJECTION);
-    if (!user) {
+    if (!user || user.disabledAt != null) {
       return res.status(401).redirect('/login');
     }
 
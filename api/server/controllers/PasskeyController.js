@@ -0,0 +1,145 @@
+const { logger } = require('@librechat/data-schemas');
+const { PasskeyVerificationError } = require('@librechat/api');
+const {
+  registerPasskey,
+  createLoginOptions,
+  createRegistrationOptions,
+  createSecondFactorOptions,
+} = require('~/server/services/passkeyService');
+const {
+  listUserPasskeys,
+  renamePasskey: renameUserPasskey,
+  deletePasskey: deleteUserPasskey,
+} = require('~/models');
+
+/** @param {import('@librechat/data-schemas').IPasskey} passkey */
+const toPasskeyResponse = (passkey) => ({
+  id: passkey._id.toString(),
+  name: passkey.name,
+  backedUp: passkey.backedUp,
+  transports: passkey.transports,
+  createdAt: passkey.createdAt,
+  lastUsedAt: passkey.lastUsedAt,
+});
+
+/**
+ * List the signed-in user's passkeys.
+ */
+const listPasskeys = async (req, res) => {
+  try {
+    const passkeys = await listUserPasskeys(req.user.id);
+    return res.status(200).json({ passkeys: passkeys.map(toPasskeyResponse) });
+  } catch (err) {
+    logger.error('[listPasskeys]', err);
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+/**
+ * Start adding a passkey. Passkeys replace passwords, so only local accounts can add them.
+ */
+const passkeyRegistrationOptions = async (req, res) => {
+  try {
+    if (req.user.provider !== 'local') {
+      return res.status(403).json({ message: 'Passkeys are only available for email accounts' });
+    }
+    const options = await createRegistrationOptions(req.user);
+    return res.status(200).json(options);
+  } catch (err) {
+    logger.error('[passkeyRegistrationOptions]', err);
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+/**
+ * Verify and save a passkey created from the registration options.
+ */
+const addPasskey = async (req, res) => {
+  try {
+    if (req.user.provider !== 'local') {
+      return res.status(403).json({ message: 'Passkeys are only available for email accounts' });
+    }
+    const { credential, name } = req.body ?? {};
+    const passkey = await registerPasskey(req.user.id, credential, name);
+    return res.status(201).json(toPasskeyResponse(passkey));
+  } catch (err) {
+    if (err instanceof PasskeyVerificationError) {
+      logger.warn(`[addPasskey] ${err.code}: ${err.message}`);
+      return res.status(400).json({ message: err.message });
+    }
+    logger.error('[addPasskey]', err);
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+const renamePasskey = async (req, res) => {
+  try {
+    const name = typeof req.body?.name === 'string' ? req.body.name.trim() : '';
+    if (!name || name.length > 100) {
+      return res.status(400).json({ message: 'Name must be between 1 and 100 characters' });
+    }
+    const passkey = await renameUserPasskey(req.user.id, req.params.id, name);
+    if (!passkey) {
+      return res.status(404).json({ message: 'Passkey not found' });
+    }
+    return res.status(200).json(toPasskeyResponse(passkey));
+  } catch (err) {
+    logger.error('[renamePasskey]', err);
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+const deletePasskey = async (req, res) => {
+  try {
+    const deleted = await deleteUserPasskey(req.user.id, req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ message: 'Passkey not found' });
+    }
+    return res.status(200).json({ id: req.params.id, deleted: true });
+  } catch (err) {
+    logger.error('[deletePasskey]', err);
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+/**
+ * Options for signing in with a passkey instead of a password.
+ */
+const passkeyLoginOptions = async (_req, res) => {
+  try {
+    return res.status(200).json(await createLoginOptions());
+  } catch (err) {
+    logger.error('[passkeyLoginOptions]', err);
+    return res.status(500).json({ message: 'Something went wrong' });
+  }
+};
+
+/**
+ * Options for answering the 2FA prompt with a passkey, identified by the temporary token.
+ */
+const passkeySecondFactorOptions = async (req, res) => {
+  try {
+    const userId = req.user?.id;
+    if (!userId) {
+      return res.status(401).json({ message: 'Invalid or expired temporary token' });
+    }
+    const options = await createSecondFactorOptions(userId);
+    if (!options) {
+      return res.status(400).json({ message: 'No passkeys are registered for this account' });
+    }
+    return res.status(200).json(options);
+  } catch (err) {
+    logger.error('[passkeySecondFactorOptions]', err);
+    return res.status(500).json({ message: 'Something went wrong' });
+  }
+};
+
+module.exports = {
+  listPasskeys,
+  passkeyRegistrationOptions,
+  addPasskey,
+  renamePasskey,
+  deletePasskey,
+  passkeyLoginOptions,
+  passkeySecondFactorOptions,
+};
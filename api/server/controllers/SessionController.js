@@ -0,0 +1,107 @@
+const uap = require('ua-parser-js');
+const cookies = require('cookie');
+const jwt = require('jsonwebtoken');
+const { logger, isValidObjectIdString } = require('@librechat/data-schemas');
+const { listUserSessions, deleteSession, deleteAllUserSessions } = require('~/models');
+
+/**
+ * The session behind this request, read from its refresh token cookie.
+ * OpenID sessions live with the identity provider and have no LibreChat session.
+ * @param {ServerRequest} req
+ * @returns {string | undefined}
+ */
+const getCurrentSessionId = (req) => {
+  const { refreshToken } = req.headers.cookie ? cookies.parse(req.headers.cookie) : {};
+  if (!refreshToken) {
+    return undefined;
+  }
+  try {
+    const payload = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
+    return payload?.sessionId != null ? String(payload.sessionId) : undefined;
+  } catch {
+    return undefined;
+  }
+};
+
+/**
+ * @param {import('@librechat/data-schemas').ISession} session
+ * @param {string | undefined} currentSessionId
+ */
+const toSessionResponse = (session, currentSessionId) => {
+  const id = session._id.toString();
+  const ua = uap(session.userAgent ?? '');
+  return {
+    id,
+    browser: ua.browser.name,
+    os: ua.os.name,
+    deviceType: ua.device.type,
+    ip: session.ip,
+    createdAt: session.createdAt,
+    lastUsedAt: session.lastUsedAt ?? session.createdAt,
+    expiresAt: session.expiration,
+    current: id === currentSessionId,
+  };
+};
+
+/**
+ * List where the signed-in user is logged in.
+ */
+const listSessions = async (req, res) => {
+  try {
+    const currentSessionId = getCurrentSessionId(req);
+    const sessions = await listUserSessions(req.user.id);
+    return res
+      .status(200)
+      .json({ sessions: sessions.map((session) => toSessionResponse(session, currentSessionId)) });
+  } catch (err) {
+    logger.error('[listSessions]', err);
+    return res.status(500).json({ message: 'Something went wrong' });
+  }
+};
+
+/**
+ * Sign out one of the user's other sessions. It can no longer refresh, so it ends once its
+ * current access token expires.
+ */
+const revokeSession = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidObjectIdString(id)) {
+      return res.status(400).json({ message: 'Invalid session ID' });
+    }
+    if (id === getCurrentSessionId(req)) {
+      return res.status(400).json({ message: 'Log out to end the current session' });
+    }
+    const { deletedCount } = await deleteSession({ sessionId: id, userId: req.user.id });
+    if (!deletedCount) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+    return res.status(200).json({ id, revoked: true });
+  } catch (err) {
+    logger.error('[revokeSession]', err);
+    return res.status(500).json({ message: 'Something went wrong' });
+  }
+};
+
+/**
+ * Sign out every session of the user except the one making this request.
+ */
+const revokeOtherSessions = async (req, res) => {
+  try {
+    const currentSessionId = getCurrentSessionId(req);
+    const { deletedCount = 0 } = await deleteAllUserSessions(req.user.id, {
+      excludeCurrentSession: currentSessionId != null,
+      currentSessionId,
+    });
+    return res.status(200).json({ revoked: deletedCount });
+  } catch (err) {
+    logger.error('[revokeOtherSessions]', err);
+    return res.status(500).json({ message: 'Something went wrong' });
+  }
+};
+
+module.exports = {
+  listSessions,
+  revokeSession,
+  revokeOtherSessions,
+};
@@ -0,0 +1,161 @@
+const jwt = require('jsonwebtoken');
+
+jest.mock('@librechat/data-schemas', () => ({
+  ...jest.requireActual('@librechat/data-schemas'),
+  logger: { debug: jest.fn(), error: jest.fn(), warn: jest.fn(), info: jest.fn() },
+}));
+
+jest.mock('~/models', () => ({
+  listUserSessions: jest.fn(),
+  deleteSession: jest.fn(),
+  deleteAllUserSessions: jest.fn(),
+}));
+
+const { listUserSessions, deleteSession, deleteAllUserSessions } = require('~/models');
+const { listSessions, revokeSession, revokeOtherSessions } = require('./SessionController');
+
+const SECRET = 'test-refresh-secret';
+const userId = '64b7f0c2a1b2c3d4e5f60718';
+const currentSessionId = '64b7f0c2a1b2c3d4e5f60719';
+const otherSessionId = '64b7f0c2a1b2c3d4e5f6071a';
+
+const createReq = ({ params = {}, sessionId = currentSessionId } = {}) => {
+  const refreshToken = sessionId ? jwt.sign({ id: userId, sessionId }, SECRET) : undefined;
+  return {
+    params,
+    user: { id: userId },
+    headers: refreshToken ? { cookie: `refreshToken=${refreshToken}` } : {},
+  };
+};
+
+const createRes = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+describe('SessionController', () => {
+  const originalSecret = process.env.JWT_REFRESH_SECRET;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.JWT_REFRESH_SECRET = SECRET;
+  });
+
+  afterAll(() => {
+    process.env.JWT_REFRESH_SECRET = originalSecret;
+  });
+
+  describe('listSessions', () => {
+    it('describes each device and marks the current session', async () => {
+      const createdAt = new Date('2026-01-01T00:00:00Z');
+      listUserSessions.mockResolvedValue([
+        {
+          _id: { toString: () => currentSessionId },
+          userAgent:
+            'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Safari/537.36',
+          ip: '203.0.113.7',
+          createdAt,
+          expiration: new Date('2026-01-08T00:00:00Z'),
+        },
+        {
+          _id: { toString: () => otherSessionId },
+          userAgent:
+            'Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1',
+          createdAt,
+          lastUsedAt: new Date('2026-01-02T00:00:00Z'),
+          expiration: new Date('2026-01-08T00:00:00Z'),
+        },
+      ]);
+      const res = createRes();
+
+      await listSessions(createReq(), res);
+
+      expect(listUserSessions).toHaveBeenCalledWith(userId);
+      const { sessions } = res.json.mock.calls[0][0];
+      expect(sessions[0]).toMatchObject({
+        id: currentSessionId,
+        browser: 'Chrome',
+        os: 'Mac OS',
+        ip: '203.0.113.7',
+        lastUsedAt: createdAt,
+        current: true,
+      });
+      expect(sessions[1]).toMatchObject({
+        id: otherSessionId,
+        browser: 'Mobile Safari',
+        os: 'iOS',
+        deviceType: 'mobile',
+        current: false,
+      });
+    });
+  });
+
+  describe('revokeSession', () => {
+    it("deletes one of the user's other sessions", async () => {
+      deleteSession.mockResolvedValue({ deletedCount: 1 });
+      const res = createRes();
+
+      await revokeSession(createReq({ params: { id: otherSessionId } }), res);
+
+      expect(deleteSession).toHaveBeenCalledWith({ sessionId: otherSessionId, userId });
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it('refuses to revoke the current session', async () => {
+      const res = createRes();
+
+      await revokeSession(createReq({ params: { id: currentSessionId } }), res);
+
+      expect(deleteSession).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+
+    it('returns 404 for a session the user does not own', async () => {
+      deleteSession.mockResolvedValue({ deletedCount: 0 });
+      const res = createRes();
+
+      await revokeSession(createReq({ params: { id: otherSessionId } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    it('rejects malformed session IDs', async () => {
+      const res = createRes();
+
+      await revokeSession(createReq({ params: { id: 'not-an-id' } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+  });
+
+  describe('revokeOtherSessions', () => {
+    it('keeps the current session', async () => {
+      deleteAllUserSessions.mockResolvedValue({ deletedCount: 3 });
+      const res = createRes();
+
+      await revokeOtherSessions(createReq(), res);
+
+      expect(deleteAllUserSessions).toHaveBeenCalledWith(userId, {
+        excludeCurrentSession: true,
+        currentSessionId,
+      });
+      expect(res.json).toHaveBeenCalledWith({ revoked: 3 });
+    });
+
+    it('ignores a refresh token signed with another secret', async () => {
+      deleteAllUserSessions.mockResolvedValue({ deletedCount: 1 });
+      const req = createReq();
+      process.env.JWT_REFRESH_SECRET = 'rotated-secret';
+      const res = createRes();
+
+      await revokeOtherSessions(req, res);
+
+      expect(deleteAllUserSessions).toHaveBeenCalledWith(userId, {
+        excludeCurrentSession: false,
+        currentSessionId: undefined,
+      });
+    });
+  });
+});
@@ -357,28 +357,18 @@ const updateUserPluginsController = async (req, res) => {
   }
 };
 
-const deleteUserController = async (req, res) => {
+/**
+ * Deletes a user and everything they own. Shared by self-service account deletion and
+ * SCIM deprovisioning; the caller is responsible for authorizing the deletion.
+ * @param {ServerRequest} req - `req.user` is the account to delete.
+ * @throws {Error} When any step fails; the trigger deletion fence is released so it can be retried.
+ */
+const deleteUserAccount = async (req) => {
   const { user } = req;
   let triggerDeletionFence;
   let userDeleted = false;
 
   try {
-    const existingUser = await db.getUserById(
-      user.id,
-      '+totpSecret +backupCodes _id twoFactorEnabled',
-    );
-    if (existingUser && existingUser.twoFactorEnabled) {
-      const { token, backupCode } = req.body;
-      const result = await verifyOTPOrBackupCode({ user: existingUser, token, backupCode });
-
-      if (!result.verified) {
-        const msg =
-          result.message ??
-          'TOTP token or backup code is required to delete account with 2FA enabled';
-        return res.status(result.status ?? 400).json({ message: msg });
-      }
-    }
-
     // Block new trigger admissions across replicas while preserving the user
     // principal so a transient cleanup failure remains retryable.
     triggerDeletionFence = new Date();
@@ -393,6 +383,8 @@ const deleteUserController = async (req, res) => {
     if (triggerDeletionFence != null) {
       await prepareAgentTriggerUserPurge(user.id, triggerDeletionFence, user.tenantId);
     }
+    await db.deleteAgentSchedulesByUser(user.id);
+    await db.deleteAgentWebhooksByUser(user.id);
     await drainAgentTriggerDeliveriesForUser(user.id);
     await subagentThreadTaskStore.cancelAndDrainForOwner(user.id, user.tenantId);
     const activeAgentRuns = await GenerationJobManager.getCleanupBlockingJobIdsForUser(
@@ -407,6 +399,7 @@ const deleteUserController = async (req, res) => {
 
     await db.deleteMessages({ user: user.id });
     await db.deleteAllUserSessions({ userId: user.id });
+    await db.deleteUserPasskeys(user.id);
     await db.deleteTransactions({ user: user.id });
     await db.deleteUserKey({ userId: user.id, all: true });
     await db.deleteBalances({ user: user._id });
@@ -427,7 +420,7 @@ const deleteUserController = async (req, res) => {
         appConfig?.endpoints?.agents?.checkpointer,
       );
     } catch (error) {
-      logger.error('[deleteUserController] Error deleting user convos, likely no convos', error);
+      logger.error('[deleteUserAccount] Error deleting user convos, likely no convos', error);
     }
     await deleteUserPluginAuth(user.id, null, true);
     await deleteAllSharedLinksWithCleanup(user.id);
@@ -441,6 +434,7 @@ const deleteUserController = async (req, res) => {
     await db.deleteAllUserMemories(user.id);
     await db.deleteUserPrompts(user.id);
     await db.deleteUserSkills(user.id);
+    await db.deleteUserArtifacts(user.id);
     await deleteUserMcpServers(user.id);
     await db.deleteActions({ user: user.id });
     await db.deleteTokens({ userId: user.id });
@@ -453,23 +447,49 @@ const deleteUserController = async (req, res) => {
     userDeleted = true;
     await purgeAgentTriggerDeliveriesForUser(user.id);
     logger.info(`User deleted account. Email: ${user.email} ID: ${user.id}`);
-    res.status(200).send({ message: 'User deleted' });
   } catch (err) {
     if (triggerDeletionFence != null && !userDeleted) {
       try {
         await cancelAgentTriggerUserPurge(user.id, triggerDeletionFence);
       } catch (purgeFenceError) {
         logger.error(
-          '[deleteUserController] Failed to disarm trigger purge recovery',
+          '[deleteUserAccount] Failed to disarm trigger purge recovery',
           purgeFenceError,
         );
       }
       try {
         await db.cancelAgentTriggerUserDeletion(user.id, triggerDeletionFence);
       } catch (fenceError) {
-        logger.error('[deleteUserController] Failed to release trigger deletion fence', fenceError);
+        logger.error('[deleteUserAccount] Failed to release trigger deletion fence', fenceError);
       }
     }
+    throw err;
+  }
+};
+
+const deleteUserController = async (req, res) => {
+  const { user } = req;
+
+  try {
+    const existingUser = await db.getUserById(
+      user.id,
+      '+totpSecret +backupCodes _id twoFactorEnabled',
+    );
+    if (existingUser && existingUser.twoFactorEnabled) {
+      const { token, backupCode } = req.body;
+      const result = await verifyOTPOrBackupCode({ user: existingUser, token, backupCode });
+
+      if (!result.verified) {
+        const msg =
+          result.message ??
+          'TOTP token or backup code is required to delete account with 2FA enabled';
+        return res.status(result.status ?? 400).json({ message: msg });
+      }
+    }
+
+    await deleteUserAccount(req);
+    res.status(200).send({ message: 'User deleted' });
+  } catch (err) {
     logger.error('[deleteUserController]', err);
     return res.status(500).json({ message: 'Something went wrong.' });
   }
@@ -709,6 +729,7 @@ module.exports = {
   getUserController,
   getTermsStatusController,
   acceptTermsController,
+  deleteUserAccount,
   deleteUserController,
   verifyEmailController,
   updateUserPluginsController,
@@ -30,6 +30,8 @@ jest.mock('~/models', () => {
     deleteAllAgentApiKeys: jest.fn().mockResolvedValue(undefined),
     deleteConversationTags: jest.fn().mockResolvedValue(undefined),
     deleteAllUserMemories: jest.fn().mockResolvedValue(undefined),
+    deleteAgentSchedulesByUser: jest.fn().mockResolvedValue(0),
+    deleteAgentWebhooksByUser: jest.fn().mockResolvedValue(0),
     deleteTransactions: jest.fn().mockResolvedValue(undefined),
     deleteAclEntries: jest.fn().mockResolvedValue(undefined),
     updateUserPlugins: jest.fn(),
@@ -39,6 +41,8 @@ jest.mock('~/models', () => {
     cancelAgentTriggerUserDeletion: jest.fn().mockResolvedValue(true),
     deleteUserPrompts: jest.fn().mockResolvedValue(undefined),
     deleteUserSkills: jest.fn().mockResolvedValue(undefined),
+    deleteUserArtifacts: jest.fn().mockResolvedValue(undefined),
+    deleteUserPasskeys: jest.fn().mockResolvedValue(0),
     deleteMessages: jest.fn().mockResolvedValue(undefined),
     deleteBalances: jest.fn().mockResolvedValue(undefined),
     deleteActions: jest.fn().mockResolvedValue(undefined),
@@ -147,6 +151,8 @@ const {
   acceptTerms,
   deleteUserById,
   deleteMessages,
+  deleteAgentSchedulesByUser,
+  deleteAgentWebhooksByUser,
   beginAgentTriggerUserDeletion,
   cancelAgentTriggerUserDeletion,
 } = require('~/models');
@@ -361,6 +367,14 @@ describe('deleteUserController', () => {
     );
     expect(mockDrainAgentTriggerDeliveriesForUser).toHaveBeenCalledWith(userId.toString());
     expect(mockCancelAndDrainSubagentThreads).toHaveBeenCalledWith(userId.toString(), undefined);
+    expect(deleteAgentSchedulesByUser).toHaveBeenCalledWith(userId.toString());
+    expect(deleteAgentSchedulesByUser.mock.invocationCallOrder[0]).toBeLessThan(
+      mockDrainAgentTriggerDeliveriesForUser.mock.invocationCallOrder[0],
+    );
+    expect(deleteAgentWebhooksByUser).toHaveBeenCalledWith(userId.toString());
+    expect(deleteAgentWebhooksByUser.mock.invocationCallOrder[0]).toBeLessThan(
+      mockDrainAgentTriggerDeliveriesForUser.mock.invocationCallOrder[0],
+    );
     expect(beginAgentTriggerUserDeletion.mock.invocationCallOrder[0]).toBeLessThan(
       mockPrepareAgentTriggerUserPurge.mock.invocationCallOrder[0],
     );
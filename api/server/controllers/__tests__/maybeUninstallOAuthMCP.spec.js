@@ -140,6 +140,8 @@ jest.mock('~/models', () => ({
   deleteAssistants: jest.fn(),
   deleteConversationTags: jest.fn(),
   deleteAllUserMemories: jest.fn(),
+  deleteAgentSchedulesByUser: jest.fn(),
+  deleteAgentWebhooksByUser: jest.fn(),
   deleteActions: jest.fn(),
   removeUserFromAllGroups: jest.fn(),
   deleteAclEntries: jest.fn(),
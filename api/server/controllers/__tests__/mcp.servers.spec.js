@@ -51,6 +51,14 @@ jest.mock('~/server/services/Config', () => ({
   invalidateCachedTools: jest.fn(),
 }));
 
+jest.mock('~/server/services/Tools/mcp', () => ({
+  getMCPServerPrompt: jest.fn(),
+}));
+
+jest.mock('~/server/services/Files/MCP/process', () => ({
+  createMCPResourceFile: jest.fn(),
+}));
+
 const {
   getMCPServersList,
   getMCPServerById,
@@ -0,0 +1,136 @@
+const AgentClient = require('../client');
+
+const primaryAgent = {
+  id: 'ephemeral',
+  endpoint: 'azureOpenAI',
+  model: 'gpt-4o',
+  model_parameters: { model: 'gpt-4o' },
+};
+
+const fallbackAgent = (endpoint, model) => ({
+  ...primaryAgent,
+  endpoint,
+  model,
+  model_parameters: { model },
+  endpointTokenConfig: { [model]: { prompt: 1, completion: 2, context: 1000 } },
+});
+
+const rateLimited = () => Object.assign(new Error('429 Rate limit reached'), { status: 429 });
+
+function createClient({ modelFallbacks, initializeFallback }) {
+  const self = {
+    conversationId: 'convo-1',
+    contentParts: [],
+    model: primaryAgent.model,
+    modelFailover: undefined,
+    options: {
+      agent: primaryAgent,
+      modelFallbacks,
+      initializeFallback,
+      endpointTokenConfigByAgentId: new Map(),
+    },
+  };
+  self.runWithFailover = AgentClient.prototype.runWithFailover.bind(self);
+  return self;
+}
+
+describe('AgentClient.runWithFailover', () => {
+  it('retries on the next fallback and records the model actually used', async () => {
+    const client = createClient({
+      modelFallbacks: [{ endpoint: 'openAI', model: 'gpt-4o' }],
+      initializeFallback: jest.fn(async (_agent, step) => fallbackAgent(step.endpoint, step.model)),
+    });
+    const runAgents = jest.fn().mockRejectedValueOnce(rateLimited()).mockResolvedValueOnce();
+
+    await client.runWithFailover(runAgents, new AbortController());
+
+    expect(runAgents).toHaveBeenCalledTimes(2);
+    expect(client.options.agent.endpoint).toBe('openAI');
+    expect(client.model).toBe('gpt-4o');
+    expect(client.options.endpointTokenConfigByAgentId.get('ephemeral')).toBeDefined();
+    expect(client.modelFailover).toEqual({
+      requested: { endpoint: 'azureOpenAI', model: 'gpt-4o' },
+      used: { endpoint: 'openAI', model: 'gpt-4o' },
+      attempts: [
+        { endpoint: 'azureOpenAI', model: 'gpt-4o', error: '429 Rate limit reached', status: 429 },
+      ],
+    });
+  });
+
+  it('skips fallbacks that cannot be initialized', async () => {
+    const initializeFallback = jest
+      .fn()
+      .mockRejectedValueOnce(new Error('No API key provided'))
+      .mockImplementationOnce(async (_agent, step) => fallbackAgent(step.endpoint, step.model));
+    const client = createClient({
+      modelFallbacks: [
+        { endpoint: 'openAI', model: 'gpt-4o' },
+        { endpoint: 'bedrock', model: 'anthropic.claude-sonnet-4' },
+      ],
+      initializeFallback,
+    });
+    const runAgents = jest.fn().mockRejectedValueOnce(rateLimited()).mockResolvedValueOnce();
+
+    await client.runWithFailover(runAgents, new AbortController());
+
+    expect(client.modelFailover.used).toEqual({
+      endpoint: 'bedrock',
+      model: 'anthropic.claude-sonnet-4',
+    });
+    expect(client.modelFailover.attempts.map(({ endpoint }) => endpoint)).toEqual([
+      'azureOpenAI',
+      'openAI',
+    ]);
+  });
+
+  it('does not retry once content has streamed', async () => {
+    const initializeFallback = jest.fn();
+    const client = createClient({
+      modelFallbacks: [{ endpoint: 'openAI', model: 'gpt-4o' }],
+      initializeFallback,
+    });
+    const error = rateLimited();
+    const runAgents = jest.fn(async () => {
+      client.contentParts.push({ type: 'text', text: 'Partial' });
+      throw error;
+    });
+
+    await expect(client.runWithFailover(runAgents, new AbortController())).rejects.toBe(error);
+    expect(initializeFallback).not.toHaveBeenCalled();
+    expect(client.modelFailover).toBeUndefined();
+  });
+
+  it('does not retry errors the fallback would also reject, or aborted runs', async () => {
+    const initializeFallback = jest.fn();
+    const client = createClient({
+      modelFallbacks: [{ endpoint: 'openAI', model: 'gpt-4o' }],
+      initializeFallback,
+    });
+    const badRequest = Object.assign(new Error('400 Invalid request'), { status: 400 });
+    await expect(
+      client.runWithFailover(jest.fn().mockRejectedValue(badRequest), new AbortController()),
+    ).rejects.toBe(badRequest);
+
+    const aborted = new AbortController();
+    aborted.abort();
+    await expect(
+      client.runWithFailover(jest.fn().mockRejectedValue(rateLimited()), aborted),
+    ).rejects.toThrow('429');
+    expect(initializeFallback).not.toHaveBeenCalled();
+  });
+
+  it('surfaces the original error when the chain is exhausted', async () => {
+    const client = createClient({
+      modelFallbacks: [{ endpoint: 'openAI', model: 'gpt-4o' }],
+      initializeFallback: jest.fn(async (_agent, step) => fallbackAgent(step.endpoint, step.model)),
+    });
+    const finalError = Object.assign(new Error('503 Service unavailable'), { status: 503 });
+    const runAgents = jest
+      .fn()
+      .mockRejectedValueOnce(rateLimited())
+      .mockRejectedValueOnce(finalError);
+
+    await expect(client.runWithFailover(runAgents, new AbortController())).rejects.toBe(finalError);
+    expect(runAgents).toHaveBeenCalledTimes(2);
+  });
+});
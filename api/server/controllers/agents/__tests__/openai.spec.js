@@ -111,6 +111,9 @@ jest.mock('@librechat/api', () => ({
    *  before SDK formatting; the mock must expose it like any other used
    *  export or the call throws before the assertions run. */
   stripActivityLabelParts: jest.fn((payload) => payload),
+  /** Pass-through: unversioned models run the agent's current saved state. */
+  parseAgentModel: jest.fn((model) => ({ agentId: model })),
+  resolveAgentVersion: jest.fn((agent) => ({ agent, version: null })),
   writeSSE: jest.fn(),
   createRun: jest.fn().mockResolvedValue({
     processStream: mockProcessStream,
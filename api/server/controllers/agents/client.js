@@ -21,6 +21,8 @@ const {
   applyContextToAgent,
   isMemoryAgentEnabled,
   recordCollectedUsage,
+  isFailoverError,
+  toFailoverAttempt,
   createDetachedSubagentUsageRecorder,
   sendEvent,
   computeUsageCostUSD,
@@ -130,6 +132,8 @@ const {
   DEFAULT_MEMORY_MAX_INPUT_TOKENS,
 } = require('librechat-data-provider');
 const { filterFilesByAgentAccess } = require('~/server/services/Files/permissions');
+const { getArtifactReferenceContext } = require('~/server/services/Artifacts/library');
+const { refreshMCPResourceFiles } = require('~/server/services/Files/MCP/process');
 const { encodeAndFormat } = require('~/server/services/Files/images/encode');
 const { createContextHandlers } = require('~/app/clients/prompts');
 const { resolveConfigServers, getAccessibleMcpServerNames } = require('~/server/services/MCP');
@@ -235,6 +239,9 @@ class AgentClient extends BaseClient {
     this.options = Object.assign({ endpoint: options.endpoint }, clientOptions);
     /** @type {string} */
     this.model = this.options.agent.model_parameters.model;
+    /** Set once the primary model failed over; persisted on `metadata.failover`.
+     *  @type {import('librechat-data-provider').TModelFailover | undefined} */
+    this.modelFailover = undefined;
     /** The key for the usage object's input tokens
      * @type {string} */
     this.inputTokensKey = 'input_tokens';
@@ -1425,6 +1432,17 @@ class AgentClient extends BaseClient {
     return files;
   }
 
+  /**
+   * Refreshes subscribed MCP resource attachments before their text becomes file context.
+   * @param {TMessage} message
+   * @param {Array<MongoFile>} attachments
+   * @returns {Promise<void>}
+   */
+  async addFileContextToMessage(message, attachments) {
+    await refreshMCPResourceFiles({ req: this.options.req, files: attachments });
+    return super.addFileContextToMessage(message, attachments);
+  }
+
   async buildMessages(messages, parentMessageId, _buildOptions, opts) {
     /** Always pass mapMethod; getMessagesForConversation applies it only to messages with addedConvo flag */
     const orderedMessages = this.constructor.getMessagesForConversation({
@@ -1751,6 +1769,12 @@ class AgentClient extends BaseClient {
       sharedRunContextParts.push(this.augmentedPrompt);
     }
 
+    /** Artifacts the user brought in from their library, so the model iterates on them */
+    const artifactContext = await this.getArtifactReferenceContext(orderedMessages);
+    if (artifactContext) {
+      sharedRunContextParts.push(artifactContext);
+    }
+
     /** Memory context (user preferences/memories). Keyed context (with memory
      *  keys + token metadata) is reserved for agents that can call
      *  `delete_memory`; everyone else gets the unkeyed values only. */
@@ -1964,6 +1988,28 @@ class AgentClient extends BaseClient {
     }
   }
 
+  /**
+   * Formats the library artifacts the current user message refers to. References come from
+   * the request, or from the saved user message when a response is regenerated.
+   * @param {TMessage[]} orderedMessages
+   * @returns {Promise<string | undefined>}
+   */
+  async getArtifactReferenceContext(orderedMessages) {
+    const currentMessage = orderedMessages[orderedMessages.length - 1];
+    const artifactIds =
+      this.options.req?.body?.artifactRefs ??
+      (currentMessage?.isCreatedByUser ? currentMessage.artifactRefs : undefined);
+    try {
+      return await getArtifactReferenceContext(this.options.req, {
+        conversationId: this.conversationId,
+        artifactIds,
+      });
+    } catch (error) {
+      logger.error('[AgentClient] Error loading referenced artifacts:', error);
+      return;
+    }
+  }
+
   /**
    * @returns {Promise<{ withKeys?: string; withoutKeys?: string } | undefined>}
    */
@@ -2275,12 +2321,14 @@ class AgentClient extends BaseClient {
   /**
    * Assembles the response message `metadata`: Vertex thought signatures plus
    * the persisted context breakdown (Part A) and the usage/cost rollup (Part B),
-   * which rebuild the gauge breakdown and branch/total cost across reloads.
+   * which rebuild the gauge breakdown and branch/total cost across reloads,
+   * and the failover record when a fallback model generated the response.
    * Returns undefined when nothing was captured.
    * @returns {{
    *   thoughtSignatures?: Record<string, string>,
    *   contextUsage?: import('librechat-data-provider').TContextUsageEvent,
    *   usage?: import('librechat-data-provider').TResponseUsage,
+   *   failover?: import('librechat-data-provider').TModelFailover,
    * } | undefined}
    */
   buildResponseMetadata() {
@@ -2288,6 +2336,7 @@ class AgentClient extends BaseClient {
      *   thoughtSignatures?: Record<string, string>,
      *   contextUsage?: import('librechat-data-provider').TContextUsageEvent,
      *   usage?: import('librechat-data-provider').TResponseUsage,
+     *   failover?: import('librechat-data-provider').TModelFailover,
      * }} */
     const metadata = {};
     const signatures = this.collectedThoughtSignatures;
@@ -2343,6 +2392,9 @@ class AgentClient extends BaseClient {
     if (usage) {
       metadata.usage = usage;
     }
+    if (this.modelFailover) {
+      metadata.failover = this.modelFailover;
+    }
     return Object.keys(metadata).length > 0 ? metadata : undefined;
   }
 
@@ -3139,7 +3191,8 @@ class AgentClient extends BaseClient {
         //   messages = addCacheControl(messages);
         // }
 
-        if (this.processMemory) {
+        /** Once per turn: a failover re-enters here with a new primary agent. */
+        if (this.processMemory && memoryPromise == null) {
           memoryPromise = this.runMemory(memoryMessages);
         }
 
@@ -3330,7 +3383,7 @@ class AgentClient extends BaseClient {
       };
 
       this.options.startupTelemetry?.mark('run_input_prepared');
-      await runAgents(initialMessages);
+      await this.runWithFailover(() => runAgents(initialMessages), abortController);
 
       /**
        * Surface a completed `skill` tool_call content part per *manually*-
@@ -3476,6 +3529,77 @@ class AgentClient extends BaseClient {
     }
   }
 
+  /**
+   * Runs the turn, moving the primary agent down its model failover chain when
+   * a step fails with a rate limit or provider error before anything streamed.
+   * Once content reached the client a retry would duplicate it, and tool calls
+   * may already have had side effects, so the error then propagates as before.
+   * A step that cannot be initialized (e.g. missing credentials) is skipped.
+   * @param {() => Promise<void>} runAgents
+   * @param {AbortController} abortController
+   */
+  async runWithFailover(runAgents, abortController) {
+    const fallbacks = [...(this.options.modelFallbacks ?? [])];
+    for (;;) {
+      try {
+        return await runAgents();
+      } catch (error) {
+        const canFailover =
+          fallbacks.length > 0 &&
+          this.options.initializeFallback != null &&
+          !abortController.signal.aborted &&
+          !this.contentParts.some((part) => part != null) &&
+          isFailoverError(error);
+        if (!canFailover) {
+          throw error;
+        }
+
+        const failedAgent = this.options.agent;
+        const failed = {
+          endpoint: failedAgent.endpoint,
+          model: failedAgent.model ?? failedAgent.model_parameters?.model,
+        };
+        const runFailure = toFailoverAttempt(failed, error);
+        const attempts = [...(this.modelFailover?.attempts ?? []), runFailure];
+        let fallback;
+        let fallbackAgent;
+        while (fallbackAgent == null && fallbacks.length > 0) {
+          fallback = fallbacks.shift();
+          try {
+            fallbackAgent = await this.options.initializeFallback(failedAgent, fallback);
+          } catch (initError) {
+            logger.error(
+              `[AgentClient] Could not initialize fallback ${fallback.endpoint}/${fallback.model}`,
+              initError,
+            );
+            attempts.push(toFailoverAttempt(fallback, initError));
+          }
+        }
+        if (fallbackAgent == null) {
+          throw error;
+        }
+
+        logger.warn(
+          `[AgentClient] ${failed.endpoint}/${failed.model} failed before streaming; failing over to ${fallback.endpoint}/${fallback.model}`,
+          { conversationId: this.conversationId, status: runFailure.status },
+        );
+        this.modelFailover = {
+          requested: this.modelFailover?.requested ?? failed,
+          used: fallback,
+          attempts,
+        };
+        this.options.agent = fallbackAgent;
+        this.model = fallbackAgent.model_parameters.model;
+        /** Bill and price the retry at the fallback endpoint's rates. */
+        this.options.endpointTokenConfig = fallbackAgent.endpointTokenConfig;
+        this.options.endpointTokenConfigByAgentId?.set(
+          fallbackAgent.id,
+          fallbackAgent.endpointTokenConfig,
+        );
+      }
+    }
+  }
+
   /**
    * Resume a run that paused for human-in-the-loop review.
    *
@@ -0,0 +1,162 @@
+const { EventEmitter } = require('events');
+const { nanoid } = require('nanoid');
+const { v4: uuidv4 } = require('uuid');
+const { logger } = require('@librechat/data-schemas');
+const {
+  StreamableHTTPServerTransport,
+} = require('@modelcontextprotocol/sdk/server/streamableHttp.js');
+const { Constants, ResourceType, PermissionBits } = require('librechat-data-provider');
+const {
+  isValidationFailure,
+  toAgentMCPRunResult,
+  createAgentRunEnvelope,
+  createAgentsMCPServer,
+  validateResponseRequest,
+  createResponsesEventCollector,
+} = require('@librechat/api');
+const { findAccessibleResources } = require('~/server/services/PermissionService');
+const { executeResponse } = require('~/server/controllers/agents/responses');
+const db = require('~/models');
+
+const getBaseUrl = () => process.env.DOMAIN_SERVER || 'http://localhost:3080';
+
+/**
+ * @param {import('express').Response} res
+ * @param {number} status
+ * @param {number} code
+ * @param {string} message
+ */
+const jsonRpcError = (res, status, code, message) =>
+  res.status(status).json({ jsonrpc: '2.0', error: { code, message }, id: null });
+
+/**
+ * Agents the caller can reach remotely (VIEW on REMOTE_AGENT), same as `GET /v1/models`.
+ * @param {import('express').Request['user']} user
+ */
+const getAccessibleAgents = async (user) => {
+  const accessibleAgentIds = await findAccessibleResources({
+    userId: user.id,
+    role: user.role,
+    resourceType: ResourceType.REMOTE_AGENT,
+    requiredPermissions: PermissionBits.VIEW,
+  });
+  if (accessibleAgentIds.length === 0) {
+    return [];
+  }
+  const agents = await db.getAgents({ _id: { $in: accessibleAgentIds } });
+  return agents.map((agent) => ({
+    id: agent.id,
+    name: agent.name,
+    description: agent.description,
+  }));
+};
+
+/**
+ * A per-call view of the MCP request for the Responses executor: it owns its body, and
+ * its `close` fires when the tool call is cancelled rather than when the HTTP request ends,
+ * so concurrent calls in one batch never abort each other.
+ *
+ * @param {import('express').Request} req
+ * @param {AbortSignal} signal
+ */
+const createToolCallRequest = (req, signal) => {
+  const toolReq = Object.create(req);
+  const events = new EventEmitter();
+  toolReq.on = events.on.bind(events);
+  toolReq.once = events.once.bind(events);
+  toolReq.off = events.off.bind(events);
+  toolReq.removeListener = events.removeListener.bind(events);
+  toolReq.emit = events.emit.bind(events);
+  signal.addEventListener('abort', () => events.emit('close'), { once: true });
+  return toolReq;
+};
+
+/**
+ * Runs an agent for one MCP tool call through the Responses executor, so the run is
+ * stored and billed like any other remote run and `conversation_id` continues it later.
+ *
+ * @param {import('express').Request} req
+ * @returns {import('@librechat/api').RunAgentMCPTool}
+ */
+const createToolRunner =
+  (req) =>
+  async (agentId, input, { signal, onEvent }) => {
+    const validation = validateResponseRequest({
+      model: agentId,
+      input: input.message,
+      stream: true,
+      store: true,
+      ...(input.conversation_id != null && { previous_response_id: input.conversation_id }),
+    });
+    if (isValidationFailure(validation)) {
+      throw new Error(validation.error);
+    }
+
+    const envelope = createAgentRunEnvelope({
+      protocol: 'responses',
+      requestId: `agent-run-${nanoid()}`,
+      receivedAt: Date.now(),
+      principal: req.user,
+      payload: validation.request,
+    });
+    const conversationId = input.conversation_id ?? uuidv4();
+    const collector = createResponsesEventCollector(onEvent);
+
+    await executeResponse(envelope, {
+      req: createToolCallRequest(req, signal),
+      res: collector.res,
+      newConversationId: conversationId,
+    });
+    return toAgentMCPRunResult(collector, { conversationId, baseUrl: getBaseUrl() });
+  };
+
+/**
+ * Streamable HTTP MCP endpoint exposing each accessible agent as a tool.
+ * Stateless: every POST builds its own server from the caller's current agents.
+ * Authentication and the REMOTE_AGENTS feature check have already run in route middleware.
+ *
+ * POST /v1/mcp
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+const handleMCPRequest = async (req, res) => {
+  try {
+    const agents = await getAccessibleAgents(req.user);
+    const server = createAgentsMCPServer({
+      agents,
+      runAgent: createToolRunner(req),
+      version: Constants.VERSION,
+    });
+    const transport = new StreamableHTTPServerTransport({ sessionIdGenerator: undefined });
+    res.on('close', () => {
+      transport.close().catch(() => {});
+      server.close().catch(() => {});
+    });
+    await server.connect(transport);
+    await transport.handleRequest(req, res, req.body);
+  } catch (error) {
+    logger.error('[Agents MCP] Error handling request:', error);
+    if (!res.headersSent) {
+      jsonRpcError(res, 500, -32603, 'Internal server error');
+    }
+  }
+};
+
+/**
+ * Sessions and server-initiated streams need state this endpoint does not keep.
+ *
+ * GET|DELETE /v1/mcp
+ *
+ * @param {import('express').Request} _req
+ * @param {import('express').Response} res
+ */
+const methodNotAllowed = (_req, res) => {
+  res.setHeader('Allow', 'POST');
+  jsonRpcError(res, 405, -32000, 'Method not allowed.');
+};
+
+module.exports = {
+  handleMCPRequest,
+  methodNotAllowed,
+};
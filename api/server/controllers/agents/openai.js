@@ -24,7 +24,9 @@ const {
   sendFinalChunk,
   createSafeUser,
   validateRequest,
+  parseAgentModel,
   initializeAgent,
+  enforceResponseFormat,
   getBalanceConfig,
   injectSkillPrimes,
   extractManualSkills,
@@ -38,6 +40,7 @@ const {
   discoverConnectedAgents,
   resolveSubagentGraphs,
   getRemoteAgentPermissions,
+  resolveAgentVersion,
   createToolExecuteHandler,
   buildNonStreamingResponse,
   createOpenAIStreamTracker,
@@ -186,11 +189,11 @@ const executeOpenAIChatCompletion = async (envelope, { req, res }) => {
   // The local executor keeps the current Express-dependent initialization path,
   // but all request-body reads now observe the detached envelope payload.
   req.body = request;
-  const agentId = request.model;
+  const { agentId, selector } = parseAgentModel(request.model);
 
   // Look up the agent
-  const agent = await db.getAgent({ id: agentId });
-  if (!agent) {
+  const storedAgent = await db.getAgent({ id: agentId });
+  if (!storedAgent) {
     return sendErrorResponse(
       res,
       404,
@@ -200,6 +203,19 @@ const executeOpenAIChatCompletion = async (envelope, { req, res }) => {
     );
   }
 
+  // A version in `model` takes precedence over the API key's pinned label
+  const resolvedVersion = resolveAgentVersion(storedAgent, selector ?? req.apiKeyVersionLabel);
+  if ('error' in resolvedVersion) {
+    return sendErrorResponse(
+      res,
+      404,
+      resolvedVersion.error,
+      'invalid_request_error',
+      'version_not_found',
+    );
+  }
+  const { agent, version: agentVersion } = resolvedVersion;
+
   const piiHit = findPiiMatchInMessages(request.messages, appConfig?.messageFilter?.pii);
   if (piiHit != null) {
     return sendErrorResponse(
@@ -220,11 +236,11 @@ const executeOpenAIChatCompletion = async (envelope, { req, res }) => {
   const context = {
     created,
     requestId: responseId,
-    model: agentId,
+    model: request.model,
   };
 
   logger.debug(
-    `[OpenAI API] Response ${responseId} started for agent ${agentId}, stream: ${request.stream}`,
+    `[OpenAI API] Response ${responseId} started for agent ${agentId} (version: ${agentVersion ?? 'latest'}), stream: ${request.stream}`,
   );
 
   // Set up abort controller
@@ -502,7 +518,9 @@ const executeOpenAIChatCompletion = async (envelope, { req, res }) => {
     const isStreaming = request.stream === true && !streamingDisabled;
 
     // Create tracker for streaming or aggregator for non-streaming
-    const tracker = isStreaming ? createOpenAIStreamTracker() : null;
+    const tracker = isStreaming
+      ? createOpenAIStreamTracker({ collectText: primaryConfig.response_format != null })
+      : null;
     const aggregator = isStreaming ? null : createOpenAIContentAggregator();
     const accumulateResponseUsage = (usage) => {
       const target = isStreaming ? tracker : aggregator;
@@ -637,7 +655,7 @@ const executeOpenAIChatCompletion = async (envelope, { req, res }) => {
         return;
       }
       if (isStreaming) {
-        tracker.addText();
+        tracker.addText(text);
         writeSSE(res, createChunk(context, { content: text }));
       } else {
         aggregator.addText(text);
@@ -882,6 +900,22 @@ const executeOpenAIChatCompletion = async (envelope, { req, res }) => {
       },
     });
 
+    /** Validate (and if needed repair) the answer of agents with a response format;
+     *  repair calls are billed with the run. */
+    const structuredOutput = primaryConfig.response_format
+      ? await enforceResponseFormat({
+          agent: primaryConfig,
+          text: isStreaming ? tracker.getText() : aggregator.getText(),
+          user: req.user,
+          requestBody: { messageId: responseId, conversationId },
+          signal: abortController.signal,
+          onUsage: (usage) => {
+            collectedUsage.push(usage);
+            accumulateResponseUsage(usage);
+          },
+        })
+      : null;
+
     // Record token usage against balance
     const balanceConfig = getBalanceConfig(appConfig);
     const transactionsConfig = getTransactionsConfig(appConfig);
@@ -911,7 +945,7 @@ const executeOpenAIChatCompletion = async (envelope, { req, res }) => {
     // Finalize response
     const duration = Date.now() - requestStartTime;
     if (isStreaming) {
-      sendFinalChunk(handlerConfig);
+      sendFinalChunk(handlerConfig, 'stop', structuredOutput?.parsed);
       res.end();
       logger.debug(`[OpenAI API] Response ${responseId} completed in ${duration}ms (streaming)`);
 
@@ -950,6 +984,7 @@ const executeOpenAIChatCompletion = async (envelope, { req, res }) => {
         aggregator.getReasoning(),
         aggregator.toolCalls,
         usage,
+        structuredOutput?.parsed,
       );
       res.json(response);
       logger.debug(
@@ -1053,6 +1088,7 @@ const ListModelsController = async (req, res) => {
       name: agent.name,
       description: agent.description,
       provider: agent.provider,
+      version_labels: agent.version_labels ?? {},
     }));
 
     res.json({
@@ -1081,7 +1117,7 @@ const GetModelController = async (req, res) => {
       return sendErrorResponse(res, 401, 'Authentication required', 'auth_error');
     }
 
-    const agent = await db.getAgent({ id: model });
+    const agent = await db.getAgent({ id: parseAgentModel(model).agentId });
 
     if (!agent) {
       return sendErrorResponse(
@@ -1125,6 +1161,7 @@ const GetModelController = async (req, res) => {
       name: agent.name,
       description: agent.description,
       provider: agent.provider,
+      version_labels: agent.version_labels ?? {},
     });
   } catch (error) {
     const errorMessage = error instanceof Error ? error.message : 'Failed to get model';
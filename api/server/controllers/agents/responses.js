@@ -35,9 +35,13 @@ const {
   createToolExecuteHandler,
   getRemoteAgentPermissions,
   resolveAgentScopedSkillIds,
+  enforceResponseFormat,
+  parseAgentModel,
+  resolveAgentVersion,
   // Responses API
   writeDone,
   buildResponse,
+  getOutputText,
   generateResponseId,
   isValidationFailure,
   emitResponseCreated,
@@ -314,9 +318,14 @@ function convertMessagesToOutputItems(messages) {
  * Express remains runtime-only state while the envelope is the portable run input.
  *
  * @param {import('@librechat/api').ResponsesRunEnvelope} envelope
- * @param {{req: import('express').Request, res: import('express').Response}} runtime
+ * @param {{
+ *   req: import('express').Request,
+ *   res: import('express').Response,
+ *   newConversationId?: string,
+ * }} runtime - `newConversationId` names the conversation a run without
+ *   `previous_response_id` starts, for callers that must report it back.
  */
-const executeResponse = async (envelope, { req, res }) => {
+const executeResponse = async (envelope, { req, res, newConversationId }) => {
   const appConfig = req.config;
   const requestStartTime = envelope.receivedAt;
   const request = envelope.payload;
@@ -324,13 +333,13 @@ const executeResponse = async (envelope, { req, res }) => {
   // The local executor keeps the current Express-dependent initialization path,
   // but all request-body reads now observe the detached envelope payload.
   req.body = request;
-  const agentId = request.model;
+  const { agentId, selector } = parseAgentModel(request.model);
   const isStreaming = request.stream === true;
   const summarizationConfig = appConfig?.summarization;
 
   // Look up the agent
-  const agent = await db.getAgent({ id: agentId });
-  if (!agent) {
+  const storedAgent = await db.getAgent({ id: agentId });
+  if (!storedAgent) {
     return sendResponsesErrorResponse(
       res,
       404,
@@ -340,12 +349,25 @@ const executeResponse = async (envelope, { req, res }) => {
     );
   }
 
+  // A version in `model` takes precedence over the API key's pinned label
+  const resolvedVersion = resolveAgentVersion(storedAgent, selector ?? req.apiKeyVersionLabel);
+  if ('error' in resolvedVersion) {
+    return sendResponsesErrorResponse(
+      res,
+      404,
+      resolvedVersion.error,
+      'not_found',
+      'version_not_found',
+    );
+  }
+  const { agent, version: agentVersion } = resolvedVersion;
+
   // Generate IDs
   const responseId = generateResponseId();
   const context = createResponseContext(request, responseId);
 
   logger.debug(
-    `[Responses API] Request ${responseId} started for agent ${agentId}, stream: ${isStreaming}`,
+    `[Responses API] Request ${responseId} started for agent ${agentId} (version: ${agentVersion ?? 'latest'}), stream: ${isStreaming}`,
   );
 
   // Set up abort controller
@@ -387,7 +409,7 @@ const executeResponse = async (envelope, { req, res }) => {
       }
     }
 
-    const conversationId = request.previous_response_id ?? uuidv4();
+    const conversationId = request.previous_response_id ?? newConversationId ?? uuidv4();
     const parentMessageId = null;
     const agentsEConfig = appConfig?.endpoints?.[EModelEndpoint.agents];
 
@@ -773,8 +795,11 @@ const executeResponse = async (envelope, { req, res }) => {
       emitResponseInProgress(handlerConfig);
 
       // Create event handlers
-      const { handlers: responsesHandlers, finalizeStream } =
-        createResponsesEventHandlers(handlerConfig);
+      const {
+        handlers: responsesHandlers,
+        closeOpenStreams,
+        finalizeStream,
+      } = createResponsesEventHandlers(handlerConfig);
 
       // Collect usage for balance tracking
       const collectedUsage = [];
@@ -912,6 +937,26 @@ const executeResponse = async (envelope, { req, res }) => {
         },
       });
 
+      /** Validate (and if needed repair) the answer of agents with a response format;
+       *  open items are closed first so the tracker holds the final text. */
+      let structuredOutput = null;
+      if (primaryConfig.response_format) {
+        closeOpenStreams();
+        structuredOutput = await enforceResponseFormat({
+          agent: primaryConfig,
+          text: getOutputText(tracker.items),
+          user: req.user,
+          requestBody: { messageId: responseId, conversationId },
+          signal: abortController.signal,
+          onUsage: (usage) => {
+            collectedUsage.push(usage);
+            responsesHandlers.on_chat_model_end.handle('on_chat_model_end', {
+              output: { usage_metadata: usage },
+            });
+          },
+        });
+      }
+
       // Record token usage against balance
       const balanceConfig = getBalanceConfig(appConfig);
       const transactionsConfig = getTransactionsConfig(appConfig);
@@ -939,7 +984,7 @@ const executeResponse = async (envelope, { req, res }) => {
       });
 
       // Finalize the stream
-      finalizeStream();
+      finalizeStream(structuredOutput?.parsed);
       res.end();
 
       const duration = Date.now() - requestStartTime;
@@ -955,7 +1000,12 @@ const executeResponse = async (envelope, { req, res }) => {
           await saveInputMessages(req, conversationId, inputMessages, agentId);
 
           // Build response for saving (use tracker with buildResponse for streaming)
-          const finalResponse = buildResponse(context, tracker, 'completed');
+          const finalResponse = buildResponse(
+            context,
+            tracker,
+            'completed',
+            structuredOutput?.parsed,
+          );
           await saveResponseOutput(req, conversationId, responseId, finalResponse, agentId);
 
           logger.debug(
@@ -1101,6 +1151,23 @@ const executeResponse = async (envelope, { req, res }) => {
         },
       });
 
+      /** Validate (and if needed repair) the answer of agents with a response format */
+      const structuredOutput = primaryConfig.response_format
+        ? await enforceResponseFormat({
+            agent: primaryConfig,
+            text: aggregator.getText(),
+            user: req.user,
+            requestBody: { messageId: responseId, conversationId },
+            signal: abortController.signal,
+            onUsage: (usage) => {
+              collectedUsage.push(usage);
+              aggregatorHandlers.on_chat_model_end.handle('on_chat_model_end', {
+                output: { usage_metadata: usage },
+              });
+            },
+          })
+        : null;
+
       // Record token usage against balance
       const balanceConfig = getBalanceConfig(appConfig);
       const transactionsConfig = getTransactionsConfig(appConfig);
@@ -1135,7 +1202,7 @@ const executeResponse = async (envelope, { req, res }) => {
         }
       }
 
-      const response = buildAggregatedResponse(context, aggregator);
+      const response = buildAggregatedResponse(context, aggregator, structuredOutput?.parsed);
 
       if (request.store === true) {
         try {
@@ -1263,6 +1330,7 @@ const listModels = async (req, res) => {
       name: agent.name,
       description: agent.description,
       provider: agent.provider,
+      version_labels: agent.version_labels ?? {},
     }));
 
     res.json({
@@ -1386,6 +1454,7 @@ const getResponse = async (req, res) => {
 };
 
 module.exports = {
+  executeResponse,
   createResponse,
   getResponse,
   listModels,
@@ -6,6 +6,7 @@ const {
   isPendingActionStale,
   mapToolApprovalResolutions,
   resolveAskUserQuestionResume,
+  resolveMCPElicitationResume,
   buildResolvedAskUserQuestion,
   appendResolvedAskUserQuestion,
   attachAskUserQuestionAnswers,
@@ -230,6 +231,9 @@ function resolveResumeValue(pendingAction, body) {
   if (payload?.type === 'ask_user_question') {
     return resolveAskUserQuestionResume(payload, body);
   }
+  if (payload?.type === 'mcp_elicitation') {
+    return resolveMCPElicitationResume(payload, body);
+  }
   return { status: 400, error: 'Unsupported pending action type' };
 }
 
@@ -650,6 +654,38 @@ const ResumeAgentController = async (req, res, next, initializeClient, addTitle)
       generationProtocolVersion,
     );
   }
+  // An MCP elicitation pauses a tool call that is still running on the original request,
+  // which kept its concurrency slot and its run. Answering only hands the form result back
+  // through the job store; there is no checkpoint to resume.
+  if (pendingAction.payload.type === 'mcp_elicitation') {
+    let answered;
+    try {
+      answered = await GenerationJobManager.approvals.resolveInFlight(
+        streamId,
+        actionId,
+        { mcpElicitationResult: { actionId, ...mapped.resumeValue } },
+        job.createdAt,
+      );
+    } catch (err) {
+      logger.error('[ResumeAgentController] Failed to deliver MCP elicitation response', err);
+      return sendGenerationJson(res, 500, { error: 'Failed to resume' }, generationProtocolVersion);
+    }
+    if (!answered) {
+      return sendGenerationJson(
+        res,
+        409,
+        { error: 'This action was already resolved or has expired' },
+        generationProtocolVersion,
+      );
+    }
+    return sendGenerationJson(
+      res,
+      200,
+      { streamId, conversationId, status: 'resuming' },
+      generationProtocolVersion,
+    );
+  }
+
   let resolvedAskContentIndex;
   let resolvedAskContentMissing = false;
   if (pendingAction.payload.type === 'ask_user_question' && !pendingAction.payload.tool_call_id) {
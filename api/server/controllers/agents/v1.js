@@ -20,6 +20,11 @@ const {
   collectToolResourceFileIds,
   convertOcrToContextInPlace,
   stripFileIdsFromToolResources,
+  MAX_AGENT_VERSION_LABELS,
+  getAgentVersionLabelError,
+  readAgentBundle,
+  remapBundledAgent,
+  resolveImportMaxFileSize,
 } = require('@librechat/api');
 const {
   Time,
@@ -58,6 +63,13 @@ const {
   userCanUseMCPServers,
 } = require('~/server/services/MCP');
 const { attachOwnerContacts } = require('~/server/services/Agents/ownerContact');
+const {
+  exportAgentBundle,
+  importBundledFiles,
+  importBundledSkills,
+  importBundledActions,
+} = require('~/server/services/Agents/bundle');
+const { getContentDisposition } = require('~/server/utils/files');
 const { getMCPServersRegistry } = require('~/config');
 const { getLogStores } = require('~/cache');
 const db = require('~/models');
@@ -1346,6 +1358,228 @@ const duplicateAgentHandler = async (req, res) => {
   }
 };
 
+/**
+ * Exports an Agent as a portable bundle: a ZIP with its definition, the agents it hands off
+ * to or spawns, their actions without credentials, the user's own skills and knowledge files.
+ * @route GET /Agents/:id/export
+ * @param {object} req - Express Request
+ * @param {object} req.params - Request params
+ * @param {string} req.params.id - Agent identifier.
+ * @returns {Promise<void>} 200 - The bundle - application/zip
+ */
+const exportAgentBundleHandler = async (req, res) => {
+  try {
+    const agent = await db.getAgent({ id: req.params.id });
+    if (!agent) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+
+    const { zip, skipped } = await exportAgentBundle({
+      req,
+      agent,
+      maxBytes: resolveImportMaxFileSize(),
+    });
+    if (skipped.agents.length || skipped.skills.length || skipped.files.length) {
+      logger.debug(`[/Agents/:id/export] Left references of agent ${agent.id} out of its bundle`, {
+        skipped,
+      });
+    }
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', getContentDisposition(`${agent.name || agent.id}.zip`));
+    zip
+      .generateNodeStream({ type: 'nodebuffer', streamFiles: true, compression: 'DEFLATE' })
+      .on('error', (error) => {
+        logger.error('[/Agents/:id/export] Error streaming agent bundle:', error);
+        res.destroy(error);
+      })
+      .pipe(res);
+  } catch (error) {
+    logger.error('[/Agents/:id/export] Error exporting Agent:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Imports an agent bundle written by the export. Every bundled agent, action, skill and file
+ * is recreated for the importing user with new ids; references to anything that could not be
+ * recreated are dropped and reported, along with the actions that need credentials.
+ * @route POST /Agents/import
+ * @param {object} req - Express Request
+ * @param {Express.Multer.File} req.file - The bundle.
+ * @returns {Promise<TAgentBundleImportResponse>} 201 - success response - application/json
+ */
+const importAgentBundleHandler = async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No file provided' });
+  }
+
+  try {
+    const { id: userId } = req.user;
+    let bundle;
+    try {
+      const buffer = await fs.readFile(req.file.path);
+      bundle = await readAgentBundle(buffer, resolveImportMaxFileSize() * 2);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    const { manifest, readFile } = bundle;
+
+    /** Validate every definition before anything is created. */
+    const definitions = new Map();
+    for (const bundled of manifest.agents) {
+      const agentData = removeNullishValues(agentCreateSchema.parse(bundled.agent ?? {}));
+      if (
+        !validateStatefulCodeEnvironment(
+          req,
+          res,
+          agentData.stateful_code_sessions,
+          agentData.stateful_code_environment,
+        )
+      ) {
+        return;
+      }
+      if (agentData.model_parameters && typeof agentData.model_parameters === 'object') {
+        agentData.model_parameters = removeNullishValues(
+          sanitizeModelParameters(agentData.model_parameters),
+          true,
+        );
+      }
+      definitions.set(bundled.id, agentData);
+    }
+
+    /** @type {import('@librechat/api').AgentBundleIdMap} */
+    const ids = {
+      agents: new Map(manifest.agents.map((bundled) => [bundled.id, `agent_${nanoid()}`])),
+      actions: new Map(),
+      files: new Map(),
+      skills: new Map(),
+    };
+    const report = {
+      agent_id: ids.agents.get(manifest.agent_id),
+      agents: [],
+      skills: [],
+      needs_auth: [],
+      not_exported: manifest.skipped ?? { agents: [], skills: [], files: [] },
+      skipped: { agents: [], skills: [], files: [], actions: [], tools: [] },
+    };
+
+    const skillImport = await importBundledSkills({ req, skills: manifest.skills, readFile });
+    skillImport.skillIds.forEach((skillId, sourceId) => ids.skills.set(sourceId, skillId));
+    report.skills = skillImport.skills;
+    report.skipped.skills.push(...skillImport.skipped);
+
+    const [availableTools, configServers] = await Promise.all([
+      getCachedTools().then((t) => t ?? {}),
+      resolveConfigServers(req),
+    ]);
+    const mcpPermissionContext = createMCPPermissionContext(req);
+    const droppedAgentIds = new Set();
+
+    for (const bundled of manifest.agents) {
+      const agentId = ids.agents.get(bundled.id);
+      const definition = definitions.get(bundled.id);
+      const fileImport = await importBundledFiles({ req, bundled, agentId, readFile });
+      const actionImport = await importBundledActions({ req, bundled, agentId });
+      fileImport.fileIds.forEach((fileId, sourceId) => ids.files.set(sourceId, fileId));
+      actionImport.actions.forEach((action, sourceId) => ids.actions.set(sourceId, action));
+      report.skipped.files.push(...fileImport.skipped);
+      report.skipped.actions.push(...actionImport.skipped);
+
+      const { agent: agentData, dropped } = remapBundledAgent(
+        { ...bundled, agent: definition },
+        ids,
+      );
+      dropped.agents.forEach((id) => droppedAgentIds.add(id));
+
+      /** Action tools only work when their action was imported for this agent. */
+      const tools = (agentData.tools ?? []).filter(
+        (tool) =>
+          !isActionTool(tool) ||
+          actionImport.domains.has(
+            tool.slice(tool.lastIndexOf(actionDelimiter) + actionDelimiter.length),
+          ),
+      );
+      const resolvedServerNames = new Set();
+      agentData.tools = await filterAuthorizedTools({
+        tools,
+        userId,
+        role: req.user.role,
+        user: req.user,
+        mcpPermissionContext,
+        availableTools,
+        configServers,
+        resolvedServerNames,
+      });
+      agentData.mcpServerNames = Array.from(resolvedServerNames);
+      report.skipped.tools.push(
+        ...(definition.tools ?? []).filter((tool) => !agentData.tools.includes(tool)),
+      );
+
+      if (
+        (!isCodeInterpreterCapabilityEnabled(req) ||
+          !agentData.tools.includes(Tools.execute_code)) &&
+        agentData.tool_options != null
+      ) {
+        agentData.tool_options = removeCodeExecutionCaller(agentData.tool_options);
+      }
+
+      agentData.author = userId;
+      const agent = await db.createAgent(agentData);
+
+      try {
+        await Promise.all([
+          grantPermission({
+            principalType: PrincipalType.USER,
+            principalId: userId,
+            resourceType: ResourceType.AGENT,
+            resourceId: agent._id,
+            accessRoleId: AccessRoleIds.AGENT_OWNER,
+            grantedBy: userId,
+          }),
+          grantPermission({
+            principalType: PrincipalType.USER,
+            principalId: userId,
+            resourceType: ResourceType.REMOTE_AGENT,
+            resourceId: agent._id,
+            accessRoleId: AccessRoleIds.REMOTE_AGENT_OWNER,
+            grantedBy: userId,
+          }),
+        ]);
+      } catch (permissionError) {
+        logger.error(
+          `[importAgentBundle] Failed to grant owner permissions for imported agent ${agent.id}:`,
+          permissionError,
+        );
+      }
+
+      report.agents.push({ source_id: bundled.id, id: agent.id, name: agent.name });
+      report.needs_auth.push(
+        ...actionImport.needsAuth.map((action) => ({
+          ...action,
+          agent_id: agent.id,
+          agent_name: agent.name,
+        })),
+      );
+    }
+    report.skipped.agents.push(...droppedAgentIds);
+
+    logger.info(
+      `[importAgentBundle] User ${userId} imported ${report.agents.length} agent(s) and ${report.skills.length} skill(s)`,
+    );
+    return res.status(201).json(report);
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      logger.error('[/Agents/import] Validation error', error.errors);
+      return res.status(400).json({ error: 'Invalid agent in bundle', details: error.errors });
+    }
+    logger.error('[/Agents/import] Error importing agent bundle:', error);
+    res.status(500).json({ error: error.message });
+  } finally {
+    await fs.unlink(req.file.path).catch(() => undefined);
+  }
+};
+
 /**
  * Deletes an Agent based on the provided ID.
  * @route DELETE /Agents/:id
@@ -1840,6 +2074,57 @@ const revertAgentVersionHandler = async (req, res) => {
     res.status(500).json({ error: error.message });
   }
 };
+/**
+ * Points a published version label at a version, or removes it. Remote API
+ * callers pinned to the label (`agent_id@label` or a labeled API key) move with it.
+ * @route PUT /agents/:id/version-labels/:label
+ * @route DELETE /agents/:id/version-labels/:label
+ * @param {object} req - Express Request object
+ * @param {string} req.params.id - The agent ID
+ * @param {string} req.params.label - The version label
+ * @param {number} [req.body.version] - 1-based version number (PUT only)
+ * @param {ServerResponse} res - Express Response object
+ * @returns {Promise<{ version_labels: Record<string, number> }>} 200 - The agent's labels
+ */
+const setAgentVersionLabelHandler = async (req, res) => {
+  try {
+    const { id, label } = req.params;
+    const labelError = getAgentVersionLabelError(label);
+    if (labelError) {
+      return res.status(400).json({ error: labelError });
+    }
+
+    const agent = await db.getAgentWithVersionCount({ id });
+    if (!agent) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+
+    let version = null;
+    if (req.method !== 'DELETE') {
+      version = req.body?.version;
+      if (!Number.isInteger(version) || version < 1 || version > agent.version) {
+        return res.status(400).json({ error: `version must be between 1 and ${agent.version}` });
+      }
+      const labels = agent.version_labels ?? {};
+      if (labels[label] == null && Object.keys(labels).length >= MAX_AGENT_VERSION_LABELS) {
+        return res
+          .status(400)
+          .json({ error: `Agents can have at most ${MAX_AGENT_VERSION_LABELS} version labels` });
+      }
+    }
+
+    const updatedAgent = await db.setAgentVersionLabel({ id }, label, version);
+    if (!updatedAgent) {
+      return res.status(404).json({ error: `Version ${version} not found` });
+    }
+
+    return res.json({ version_labels: updatedAgent.version_labels ?? {} });
+  } catch (error) {
+    logger.error('[/agents/:id/version-labels] Error updating version label', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
 /**
  * Get all agent categories with counts
  *
@@ -1888,10 +2173,13 @@ module.exports = {
   getAgentVersions: getAgentVersionsHandler,
   updateAgent: updateAgentHandler,
   duplicateAgent: duplicateAgentHandler,
+  exportAgentBundle: exportAgentBundleHandler,
+  importAgentBundle: importAgentBundleHandler,
   deleteAgent: deleteAgentHandler,
   getListAgents: getListAgentsHandler,
   uploadAgentAvatar: uploadAgentAvatarHandler,
   revertAgentVersion: revertAgentVersionHandler,
+  setAgentVersionLabel: setAgentVersionLabelHandler,
   getAgentCategories,
   filterAuthorizedTools,
 };
@@ -40,6 +40,7 @@ const { createRunBody } = require('~/server/services/createRunBody');
 const { sendResponse } = require('~/server/middleware/error');
 const {
   createAutoRefillTransaction,
+  findBudgetsForUser,
   findBalanceByUser,
   upsertBalanceFields,
   getTransactions,
@@ -305,6 +306,7 @@ const chatV1 = async (req, res) => {
           logViolation,
           balanceConfig,
           upsertBalanceFields,
+          findBudgetsForUser,
         },
       );
     };
@@ -38,6 +38,7 @@ const {
   getMultiplier,
   getTransactions,
   findBalanceByUser,
+  findBudgetsForUser,
   upsertBalanceFields,
   createAutoRefillTransaction,
 } = require('~/models');
@@ -178,6 +179,7 @@ const chatV2 = async (req, res) => {
           logViolation,
           balanceConfig,
           upsertBalanceFields,
+          findBudgetsForUser,
         },
       );
     };
@@ -1,16 +1,24 @@
 const { logger } = require('@librechat/data-schemas');
 const { generate2FATempToken } = require('~/server/services/twoFactorService');
+const { isPasskeyEnabled } = require('~/server/services/passkeyService');
 const { setAuthTokens } = require('~/server/services/AuthService');
+const { countUserPasskeys } = require('~/models');
 
 const loginController = async (req, res) => {
   try {
     if (!req.user) {
       return res.status(400).json({ message: 'Invalid credentials' });
     }
+    if (req.user.disabledAt != null) {
+      return res.status(403).json({ message: 'Your account has been disabled' });
+    }
 
-    if (req.user.twoFactorEnabled) {
+    /** A user-verified passkey is already two factors (possession plus PIN or biometric) */
+    if (req.user.twoFactorEnabled && req.authInfo?.userVerified !== true) {
       const tempToken = generate2FATempToken(req.user._id);
-      return res.status(200).json({ twoFAPending: true, tempToken });
+      const passkeyAvailable =
+        isPasskeyEnabled() && (await countUserPasskeys(req.user._id.toString())) > 0;
+      return res.status(200).json({ twoFAPending: true, tempToken, passkeyAvailable });
     }
 
     const { password: _p, totpSecret: _t, __v, ...user } = req.user;
@@ -5,15 +5,22 @@ const {
   getTOTPSecret,
   verifyBackupCode,
 } = require('~/server/services/twoFactorService');
+const { PasskeyVerificationError } = require('@librechat/api');
+const {
+  PasskeyPurpose,
+  isPasskeyEnabled,
+  verifyPasskeyAssertion,
+} = require('~/server/services/passkeyService');
 const { setAuthTokens } = require('~/server/services/AuthService');
 const { getUserById } = require('~/models');
 
 /**
- * Verifies the 2FA code during login using a temporary token.
+ * Verifies the second factor during login using a temporary token: a TOTP code, a backup
+ * code, or a passkey assertion answering the challenge from `/2fa/passkey/options`.
  */
 const verify2FAWithTempToken = async (req, res) => {
   try {
-    const { tempToken, token, backupCode } = req.body;
+    const { tempToken, token, backupCode, passkey } = req.body;
     if (!tempToken) {
       return res.status(400).json({ message: 'Missing temporary token' });
     }
@@ -31,12 +38,25 @@ const verify2FAWithTempToken = async (req, res) => {
       return res.status(400).json({ message: '2FA is not enabled for this user' });
     }
 
-    const secret = await getTOTPSecret(user.totpSecret);
     let isVerified = false;
     if (token) {
+      const secret = await getTOTPSecret(user.totpSecret);
       isVerified = await verifyTOTP(secret, token);
     } else if (backupCode) {
       isVerified = await verifyBackupCode({ user, backupCode });
+    } else if (passkey && isPasskeyEnabled()) {
+      try {
+        await verifyPasskeyAssertion(passkey, {
+          purpose: PasskeyPurpose.SECOND_FACTOR,
+          userId: user._id.toString(),
+        });
+        isVerified = true;
+      } catch (err) {
+        if (!(err instanceof PasskeyVerificationError)) {
+          throw err;
+        }
+        logger.warn(`[verify2FAWithTempToken] Passkey rejected: ${err.code}`);
+      }
     }
 
     if (!isVerified) {
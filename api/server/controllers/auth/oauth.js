@@ -1,9 +1,10 @@
-const { CacheKeys } = require('librechat-data-provider');
+const { CacheKeys, ErrorTypes } = require('librechat-data-provider');
 const { logger, DEFAULT_SESSION_EXPIRY } = require('@librechat/data-schemas');
 const {
   isEnabled,
   getAdminPanelUrl,
   isAdminPanelRedirect,
+  redirectToAuthFailure,
   generateAdminExchangeCode,
 } = require('@librechat/api');
 const { syncUserEntraGroupMemberships } = require('~/server/services/PermissionService');
@@ -36,6 +37,15 @@ function createOAuthHandler(redirectUri = domains.client) {
         return;
       }
 
+      /** Deprovisioned accounts stay disabled even though the identity provider still signs them in */
+      if (req.user?.disabledAt != null) {
+        logger.warn(`[OAuth] Sign-in blocked for disabled account: ${req.user.email}`);
+        return redirectToAuthFailure(res, {
+          clientDomain: domains.client,
+          authFailedError: ErrorTypes.AUTH_FAILED,
+        });
+      }
+
       /** Check if this is an admin panel redirect (cross-origin or same-origin subpath) */
       if (isAdminPanelRedirect(redirectUri, getAdminPanelUrl(), domains.client)) {
         /** For admin panel, generate exchange code instead of setting cookies */
@@ -2,16 +2,18 @@ const mockIsEnabled = jest.fn();
 const mockGetAdminPanelUrl = jest.fn();
 const mockIsAdminPanelRedirect = jest.fn();
 const mockGenerateAdminExchangeCode = jest.fn();
+const mockRedirectToAuthFailure = jest.fn();
 const mockSyncUserEntraGroupMemberships = jest.fn();
 const mockSetAuthTokens = jest.fn();
 const mockSetOpenIDAuthTokens = jest.fn();
 const mockGetLogStores = jest.fn();
 const mockCheckBan = jest.fn();
 const mockGenerateToken = jest.fn();
-const mockLogger = { info: jest.fn(), error: jest.fn() };
+const mockLogger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
 
 jest.mock('librechat-data-provider', () => ({
   CacheKeys: { ADMIN_OAUTH_EXCHANGE: 'admin-oauth-exchange' },
+  ErrorTypes: { AUTH_FAILED: 'auth_failed' },
 }));
 
 jest.mock('@librechat/data-schemas', () => ({
@@ -24,6 +26,7 @@ jest.mock('@librechat/api', () => ({
   getAdminPanelUrl: (...args) => mockGetAdminPanelUrl(...args),
   isAdminPanelRedirect: (...args) => mockIsAdminPanelRedirect(...args),
   generateAdminExchangeCode: (...args) => mockGenerateAdminExchangeCode(...args),
+  redirectToAuthFailure: (...args) => mockRedirectToAuthFailure(...args),
 }));
 
 jest.mock('~/server/services/PermissionService', () => ({
@@ -213,4 +216,22 @@ describe('createOAuthHandler', () => {
       expect.any(Number),
     );
   });
+
+  it('refuses to sign in a disabled account', async () => {
+    const handler = createOAuthHandler();
+    const req = buildReq();
+    req.user.disabledAt = new Date();
+    const res = buildRes();
+    const next = jest.fn();
+
+    await handler(req, res, next);
+
+    expect(mockRedirectToAuthFailure).toHaveBeenCalledWith(
+      res,
+      expect.objectContaining({ authFailedError: 'auth_failed' }),
+    );
+    expect(mockGenerateAdminExchangeCode).not.toHaveBeenCalled();
+    expect(mockSetOpenIDAuthTokens).not.toHaveBeenCalled();
+    expect(mockSetAuthTokens).not.toHaveBeenCalled();
+  });
 });
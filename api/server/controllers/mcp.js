@@ -10,6 +10,8 @@ const { logger, SystemCapabilities } = require('@librechat/data-schemas');
 const {
   checkAccess,
   isUserSourced,
+  createSafeUser,
+  getUserMCPAuthMap,
   MCPConnection,
   MCPErrorCodes,
   splitMCPToolKey,
@@ -43,6 +45,8 @@ const {
 } = require('~/server/services/Config');
 const { getResourcePermissionsMap } = require('~/server/services/PermissionService');
 const { hasCapability } = require('~/server/middleware/roles/capabilities');
+const { createMCPResourceFile } = require('~/server/services/Files/MCP/process');
+const { getMCPServerPrompt } = require('~/server/services/Tools/mcp');
 const { getMCPManager, getMCPServersRegistry } = require('~/config');
 const db = require('~/models');
 
@@ -321,6 +325,195 @@ const getMCPTools = async (req, res) => {
     res.status(500).json({ message: error.message });
   }
 };
+/**
+ * Lists prompts declared by the user's MCP servers for the `/` command popover.
+ * Only established connections are queried, so listing never starts an OAuth flow.
+ */
+const getMCPPrompts = async (req, res) => {
+  try {
+    const userId = req.user?.id;
+    if (!userId) {
+      logger.warn('[getMCPPrompts] User ID not found in request');
+      return res.status(401).json({ message: 'Unauthorized' });
+    }
+
+    const mcpConfig = await resolveAllMcpConfigs(userId, req.user);
+    const serverNames = Object.keys(mcpConfig);
+    if (!serverNames.length) {
+      return res.status(200).json({ prompts: [] });
+    }
+
+    const prompts = await getMCPManager().getUserPrompts(userId, serverNames);
+    res.status(200).json({ prompts });
+  } catch (error) {
+    logger.error('[getMCPPrompts]', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * Resolves an MCP server prompt via `prompts/get` with the user's arguments.
+ * Responds 401 with `oauth_required` instead of waiting on an interactive OAuth flow.
+ */
+const getMCPPrompt = async (req, res) => {
+  try {
+    const user = createSafeUser(req.user);
+    if (!user.id) {
+      return res.status(401).json({ message: 'Unauthorized' });
+    }
+
+    const { serverName } = req.params;
+    const { name, arguments: promptArguments = {} } = req.body ?? {};
+    if (typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ message: 'Prompt name is required' });
+    }
+    if (
+      promptArguments == null ||
+      typeof promptArguments !== 'object' ||
+      Array.isArray(promptArguments) ||
+      Object.values(promptArguments).some((value) => typeof value !== 'string')
+    ) {
+      return res.status(400).json({ message: 'Prompt arguments must be string values' });
+    }
+
+    const mcpConfig = await resolveAllMcpConfigs(user.id, req.user);
+    const serverConfig = mcpConfig[serverName];
+    if (!serverConfig) {
+      return res.status(404).json({ message: `MCP server '${serverName}' not found` });
+    }
+
+    /** @type {Record<string, Record<string, string>> | undefined} */
+    let userMCPAuthMap;
+    if (serverConfig.customUserVars && typeof serverConfig.customUserVars === 'object') {
+      userMCPAuthMap = await getUserMCPAuthMap({
+        userId: user.id,
+        servers: [serverName],
+        findPluginAuthsByKeys: db.findPluginAuthsByKeys,
+      });
+    }
+
+    const result = await getMCPServerPrompt({
+      user,
+      serverName,
+      serverConfig,
+      promptName: name,
+      promptArguments,
+      userMCPAuthMap,
+    });
+    if (result.oauthRequired) {
+      return res.status(401).json({
+        error: 'oauth_required',
+        message: `MCP server '${serverName}' requires authentication`,
+      });
+    }
+    if (result.missingUserVars) {
+      return res.status(400).json({
+        error: 'missing_custom_user_vars',
+        message: `MCP server '${serverName}' requires user-provided variable(s) [${result.missingUserVars.join(', ')}] which are not set`,
+      });
+    }
+
+    res.status(200).json({
+      serverName,
+      name,
+      description: result.description,
+      content: result.content,
+    });
+  } catch (error) {
+    const mcpErrorResponse = handleMCPError(error, res);
+    if (mcpErrorResponse) {
+      return mcpErrorResponse;
+    }
+    logger.error('[getMCPPrompt]', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * Get resources exposed by the user's connected MCP servers
+ */
+const getMCPResources = async (req, res) => {
+  try {
+    const userId = req.user?.id;
+    if (!userId) {
+      logger.warn('[getMCPResources] User ID not found in request');
+      return res.status(401).json({ message: 'Unauthorized' });
+    }
+
+    const mcpConfig = await resolveAllMcpConfigs(userId, req.user);
+    const serverNames = Object.keys(mcpConfig);
+    if (!serverNames.length) {
+      return res.status(200).json({ resources: [] });
+    }
+
+    const resources = await getMCPManager().getUserResources(userId, serverNames);
+    res.status(200).json({ resources });
+  } catch (error) {
+    logger.error('[getMCPResources]', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * Reads an MCP server resource via `resources/read` and stores it as a file attachment.
+ * Responds 401 with `oauth_required` instead of waiting on an interactive OAuth flow.
+ */
+const attachMCPResource = async (req, res) => {
+  try {
+    if (!req.user?.id) {
+      return res.status(401).json({ message: 'Unauthorized' });
+    }
+
+    const { serverName } = req.params;
+    const { uri, name, subscribe } = req.body ?? {};
+    if (typeof uri !== 'string' || !uri.trim()) {
+      return res.status(400).json({ message: 'Resource URI is required' });
+    }
+    if (name != null && typeof name !== 'string') {
+      return res.status(400).json({ message: 'Resource name must be a string' });
+    }
+
+    const mcpConfig = await resolveAllMcpConfigs(req.user.id, req.user);
+    const serverConfig = mcpConfig[serverName];
+    if (!serverConfig) {
+      return res.status(404).json({ message: `MCP server '${serverName}' not found` });
+    }
+
+    const result = await createMCPResourceFile({
+      req,
+      serverName,
+      serverConfig,
+      uri,
+      name,
+      subscribe: subscribe === true,
+    });
+    if (result.oauthRequired) {
+      return res.status(401).json({
+        error: 'oauth_required',
+        message: `MCP server '${serverName}' requires authentication`,
+      });
+    }
+    if (result.missingUserVars) {
+      return res.status(400).json({
+        error: 'missing_custom_user_vars',
+        message: `MCP server '${serverName}' requires user-provided variable(s) [${result.missingUserVars.join(', ')}] which are not set`,
+      });
+    }
+    if (!result.file) {
+      return res.status(400).json({ message: result.reason });
+    }
+
+    res.status(200).json(result.file);
+  } catch (error) {
+    const mcpErrorResponse = handleMCPError(error, res);
+    if (mcpErrorResponse) {
+      return mcpErrorResponse;
+    }
+    logger.error('[attachMCPResource]', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
 /**
  * Mirrors canAccessResource's capability bypass plus per-resource ACL EDIT check.
  * `skipCapabilityWithoutDbIds` lets the list path skip the MANAGE_MCP_SERVERS probe
@@ -663,6 +856,10 @@ const deleteMCPServerController = async (req, res) => {
 
 module.exports = {
   getMCPTools,
+  getMCPPrompts,
+  getMCPPrompt,
+  getMCPResources,
+  attachMCPResource,
   getMCPServersList,
   createMCPServerController,
   getMCPServerById,
@@ -18,12 +18,15 @@ const {
   ErrorController,
   QUERY_DEVTOOLS_HEADER,
   performStartupChecks,
+  createBackgroundResultStore,
+  configureBackgroundResultStore,
   handleJsonParseError,
   initializeFileStorage,
   loadToolApprovalHooks,
   maybeInjectQueryDevtoolsBootstrap,
   preAuthTenantMiddleware,
   requestContextMiddleware,
+  registerShutdownTask,
   configureServerTimeouts,
   setupGracefulShutdown,
   configureMessageFilterRegexValidator,
@@ -38,13 +41,18 @@ const { startExpiredFileSweep } = require('./services/Files/process');
 const { initializeGitHubSkillSync } = require('./services/Skills/sync');
 const { initializeAgentTriggerService } = require('./services/Agents/triggers');
 const { configureSubagentTaskRouting } = require('./services/Endpoints/agents/subagentThreadStore');
-const { jwtLogin, ldapLogin, passportLogin } = require('~/strategies');
+const { importJobHandlers } = require('./utils/import/importJobs');
+const { jwtLogin, ldapLogin, passportLogin, passkeyLogin } = require('~/strategies');
 const { updateInterfacePermissions: updateInterfacePerms } = require('@librechat/api');
 const {
   getRoleByName,
   updateAccessPermissions,
   seedDatabase,
   sweepOrphanedPreviews,
+  getBackgroundTaskResult,
+  saveBackgroundTaskResult,
+  listBackgroundTaskResults,
+  heartbeatBackgroundTaskResults,
 } = require('~/models');
 const { checkMigrations } = require('./services/start/migration');
 const initializeMCPs = require('./services/initializeMCPs');
@@ -77,6 +85,26 @@ const wrapLogMessage = (msg) => {
   return `\n${'='.repeat(50)}\n${msg}\n${'='.repeat(50)}`;
 };
 
+/** Shares background tool results across workers; a no-op unless a store is configured. */
+const configureBackgroundResults = async () => {
+  const store = createBackgroundResultStore({
+    mongo: {
+      getBackgroundTaskResult,
+      saveBackgroundTaskResult,
+      listBackgroundTaskResults,
+      heartbeatBackgroundTaskResults,
+    },
+  });
+  if (!store) {
+    return;
+  }
+  await store.initialize();
+  configureBackgroundResultStore(store);
+  registerShutdownTask('background result store', () => store.destroy(), {
+    priority: 100,
+  });
+};
+
 /**
  * Flushes the Redis cache on startup
  * This ensures a clean state for testing multi-pod MCP connection issues
@@ -361,6 +389,8 @@ if (cluster.isMaster) {
     });
     expiredFileSweepOptions = { appConfig, loadAppConfig: getAppConfig };
     startExpiredFileSweepOnce();
+    /* Continue conversation imports interrupted by a restart; each job is claimed by one worker. */
+    importJobHandlers.startRecovery();
     await runAsSystem(async () => {
       await performStartupChecks(appConfig);
       await updateInterfacePerms({ appConfig, getRoleByName, updateAccessPermissions });
@@ -405,6 +435,8 @@ if (cluster.isMaster) {
     /** Middleware */
     app.use(requestContextMiddleware);
     app.use(noIndex);
+    /** Signed agent webhooks read the raw body, so they mount before JSON parsing */
+    app.use('/api/webhooks/agents', routes.agentWebhooks);
     app.use(express.json({ limit: '3mb' }));
     app.use(express.urlencoded({ extended: true, limit: '3mb' }));
 
@@ -446,6 +478,7 @@ if (cluster.isMaster) {
     app.use(passport.initialize());
     passport.use(jwtLogin());
     passport.use(passportLogin());
+    passport.use(passkeyLogin());
 
     /** LDAP Auth */
     if (process.env.LDAP_URL && process.env.LDAP_USER_SEARCH_BASE) {
@@ -461,6 +494,7 @@ if (cluster.isMaster) {
     /** Routes */
     app.use('/oauth', preAuthTenantMiddleware, routes.oauth);
     app.use('/api/auth', preAuthTenantMiddleware, routes.auth);
+    app.use('/scim/v2', routes.scim);
     app.use('/api/admin/insights', routes.insights);
     app.use('/api/admin', routes.adminAuth);
     app.use('/api/admin/skills', routes.adminSkills);
@@ -475,6 +509,7 @@ if (cluster.isMaster) {
     app.use('/api/projects', routes.projects);
     app.use('/api/prompts', routes.prompts);
     app.use('/api/skills', routes.skills);
+    app.use('/api/artifacts', routes.artifacts);
     app.use('/api/categories', routes.categories);
     app.use('/api/endpoints', routes.endpoints);
     app.use('/api/balance', routes.balance);
@@ -501,6 +536,8 @@ if (cluster.isMaster) {
     /** Error handler (must be last - Express identifies error middleware by its 4-arg signature) */
     app.use(ErrorController);
 
+    await configureBackgroundResults();
+
     /** Start listening on shared port (cluster will distribute connections) */
     const server = app.listen(port, host, async (err) => {
       if (err) {
@@ -48,4 +48,20 @@ describe('Experimental server configuration', () => {
     );
     expect(source).toContain("app.use('/api/share', preAuthTenantMiddleware, routes.share);");
   });
+
+  it('recovers interrupted conversation imports like the standard server', () => {
+    expect(source).toContain('importJobHandlers.startRecovery();');
+  });
+
+  it('mounts the artifact library routes', () => {
+    expect(source).toContain("app.use('/api/artifacts', routes.artifacts);");
+  });
+
+  it('shares background tool results before a worker accepts requests', () => {
+    const storeIndex = source.indexOf('await configureBackgroundResults();');
+    const listenIndex = source.indexOf('const server = app.listen');
+
+    expect(storeIndex).toBeGreaterThan(-1);
+    expect(listenIndex).toBeGreaterThan(storeIndex);
+  });
 });
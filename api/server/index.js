@@ -23,6 +23,8 @@ const {
   GenerationJobManager,
   QUERY_DEVTOOLS_HEADER,
   createStreamServices,
+  createBackgroundResultStore,
+  configureBackgroundResultStore,
   agentStartupIngressMiddleware,
   agentStartupTelemetryMiddleware,
   initializeFileStorage,
@@ -51,14 +53,19 @@ const {
   sweepOrphanedPreviews,
   getRoleByName,
   seedDatabase,
+  getBackgroundTaskResult,
+  saveBackgroundTaskResult,
+  listBackgroundTaskResults,
+  heartbeatBackgroundTaskResults,
 } = require('~/models');
 const initializeOAuthReconnectManager = require('./services/initializeOAuthReconnectManager');
 const { capabilityContextMiddleware } = require('./middleware/roles/capabilities');
 const createValidateImageRequest = require('./middleware/validateImageRequest');
 const { initializeGitHubSkillSync } = require('./services/Skills/sync');
 const { initializeAgentTriggerService } = require('./services/Agents/triggers');
-const { jwtLogin, ldapLogin, passportLogin } = require('~/strategies');
+const { jwtLogin, ldapLogin, passportLogin, passkeyLogin } = require('~/strategies');
 const { startExpiredFileSweep } = require('./services/Files/process');
+const { importJobHandlers } = require('./utils/import/importJobs');
 const { checkMigrations } = require('./services/start/migration');
 const optionalJwtAuth = require('./middleware/optionalJwtAuth');
 const initializeMCPs = require('./services/initializeMCPs');
@@ -123,6 +130,26 @@ const configureGenerationStreams = () => {
   });
 };
 
+/** Shares background tool results across replicas; a no-op unless a store is configured. */
+const configureBackgroundResults = async () => {
+  const store = createBackgroundResultStore({
+    mongo: {
+      getBackgroundTaskResult,
+      saveBackgroundTaskResult,
+      listBackgroundTaskResults,
+      heartbeatBackgroundTaskResults,
+    },
+  });
+  if (!store) {
+    return;
+  }
+  await store.initialize();
+  configureBackgroundResultStore(store);
+  registerShutdownTask('background result store', () => store.destroy(), {
+    priority: 100,
+  });
+};
+
 const startServer = async () => {
   await waitForKeyvRedisClient();
   await configureSubagentTaskRouting();
@@ -185,6 +212,8 @@ const startServer = async () => {
   });
   initializeGitHubSkillSync(appConfig);
   startExpiredFileSweep({ appConfig, loadAppConfig: getAppConfig });
+  /* Continue conversation imports interrupted by a restart, from their last saved entry. */
+  importJobHandlers.startRecovery();
   // Register any programmatic tool-approval policy hooks declared in
   // `endpoints.agents.toolApproval.hooks`. Honor the `enabled` kill switch: when tool
   // approval is off we pass no hooks, so a disabled endpoint imports/runs nothing (and any
@@ -247,6 +276,8 @@ const startServer = async () => {
   app.use('/api/agents/chat', agentStartupIngressMiddleware);
   app.use(metricsMiddleware);
   app.use(noIndex);
+  /** Signed agent webhooks read the raw body, so they mount before JSON parsing */
+  app.use('/api/webhooks/agents', routes.agentWebhooks);
   app.use(express.json({ limit: '3mb' }));
   app.use(express.urlencoded({ extended: true, limit: '3mb' }));
   app.use(handleJsonParseError);
@@ -292,6 +323,7 @@ const startServer = async () => {
   app.use(passport.initialize());
   passport.use(jwtLogin());
   passport.use(passportLogin());
+  passport.use(passkeyLogin());
 
   /* LDAP Auth */
   if (process.env.LDAP_URL && process.env.LDAP_USER_SEARCH_BASE) {
@@ -310,16 +342,19 @@ const startServer = async () => {
   app.use('/oauth', preAuthTenantMiddleware, routes.oauth);
   /* API Endpoints */
   app.use('/api/auth', preAuthTenantMiddleware, routes.auth);
+  app.use('/scim/v2', routes.scim);
   app.use('/api/admin/insights', routes.insights);
   app.use('/api/admin', routes.adminAuth);
   app.use('/api/admin/config', routes.adminConfig);
   app.use('/api/admin/langfuse', routes.adminLangfuse);
   app.use('/api/admin/grants', routes.adminGrants);
   app.use('/api/admin/groups', routes.adminGroups);
+  app.use('/api/admin/budgets', routes.adminBudgets);
   app.use('/api/admin/roles', routes.adminRoles);
   app.use('/api/admin/skills', routes.adminSkills);
   app.use('/api/admin/users', routes.adminUsers);
   app.use('/api/admin/audit-log', routes.adminAuditLog);
+  app.use('/api/admin/agent-triggers', routes.adminAgentTriggers);
   app.use('/api/actions', routes.actions);
   app.use('/api/keys', routes.keys);
   app.use('/api/api-keys', routes.apiKeys);
@@ -331,6 +366,7 @@ const startServer = async () => {
   app.use('/api/projects', routes.projects);
   app.use('/api/prompts', routes.prompts);
   app.use('/api/skills', routes.skills);
+  app.use('/api/artifacts', routes.artifacts);
   app.use('/api/categories', routes.categories);
   app.use('/api/endpoints', routes.endpoints);
   app.use('/api/balance', routes.balance);
@@ -367,6 +403,7 @@ const startServer = async () => {
   app.use(ErrorController);
 
   configureGenerationStreams();
+  await configureBackgroundResults();
 
   const server = app.listen(port, host, async (err) => {
     if (err) {
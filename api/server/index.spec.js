@@ -109,6 +109,14 @@ describe('Telemetry wiring', () => {
     expect(tracingIndex).toBeLessThan(recorderIndex);
     expect(recorderIndex).toBeLessThan(agentsRouteIndex);
   });
+
+  it('mounts signed agent webhooks before the JSON parser consumes the raw body', () => {
+    const webhookIndex = source.indexOf("app.use('/api/webhooks/agents', routes.agentWebhooks);");
+    const jsonParserIndex = source.indexOf("app.use(express.json({ limit: '3mb' }));");
+
+    expect(webhookIndex).toBeGreaterThan(-1);
+    expect(webhookIndex).toBeLessThan(jsonParserIndex);
+  });
 });
 
 describe('Startup readiness wiring', () => {
@@ -136,6 +144,15 @@ describe('Startup readiness wiring', () => {
     expect(streamConfigIndex).toBeLessThan(postListenMcpIndex);
   });
 
+  it('configures the background result store before the server accepts requests', () => {
+    const storeConfigIndex = source.indexOf('await configureBackgroundResults();');
+    const connectDbIndex = source.indexOf('await connectDb();');
+    const listenIndex = source.indexOf('const server = app.listen');
+
+    expect(storeConfigIndex).toBeGreaterThan(connectDbIndex);
+    expect(listenIndex).toBeGreaterThan(storeConfigIndex);
+  });
+
   it('configures subagent task routing before the server accepts requests', () => {
     const routingIndex = source.indexOf('await configureSubagentTaskRouting();');
     const listenIndex = source.indexOf('const server = app.listen');
@@ -0,0 +1,34 @@
+const { ResourceType } = require('librechat-data-provider');
+const { canAccessResource } = require('./canAccessResource');
+const { getArtifactById } = require('~/models');
+
+/**
+ * Artifact-specific middleware factory that checks artifact access permissions.
+ * Wraps the generic `canAccessResource` with the ARTIFACT resource type and
+ * `getArtifactById` as the ID resolver.
+ *
+ * @param {Object} options
+ * @param {number} options.requiredPermission - Permission bit required (1=view, 2=edit, 4=delete, 8=share)
+ * @param {string} [options.resourceIdParam='id'] - Route parameter name holding the artifact id
+ * @returns {Function} Express middleware
+ */
+const canAccessArtifactResource = (options) => {
+  const { requiredPermission, resourceIdParam = 'id' } = options || {};
+
+  if (!requiredPermission || typeof requiredPermission !== 'number') {
+    throw new Error(
+      'canAccessArtifactResource: requiredPermission is required and must be a number',
+    );
+  }
+
+  return canAccessResource({
+    resourceType: ResourceType.ARTIFACT,
+    requiredPermission,
+    resourceIdParam,
+    idResolver: getArtifactById,
+  });
+};
+
+module.exports = {
+  canAccessArtifactResource,
+};
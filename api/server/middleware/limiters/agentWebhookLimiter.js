@@ -0,0 +1,21 @@
+const rateLimit = require('express-rate-limit');
+const { limiterCache, removePorts } = require('@librechat/api');
+
+const { AGENT_WEBHOOK_WINDOW = 1, AGENT_WEBHOOK_MAX = 60 } = process.env;
+const windowMs = AGENT_WEBHOOK_WINDOW * 60 * 1000;
+const max = AGENT_WEBHOOK_MAX;
+const windowInMinutes = windowMs / 60000;
+const message = `Too many webhook requests, please try again after ${windowInMinutes} minute(s)`;
+
+/** Keyed by webhook and sender IP; ingress requests carry no user to attribute violations to. */
+const limiterOptions = {
+  windowMs,
+  max,
+  handler: (_req, res) => res.status(429).json({ message }),
+  keyGenerator: (req) => `${req.params.publicId}:${removePorts(req)}`,
+  store: limiterCache('agent_webhook_limiter'),
+};
+
+const agentWebhookLimiter = rateLimit(limiterOptions);
+
+module.exports = agentWebhookLimiter;
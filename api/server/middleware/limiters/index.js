@@ -7,9 +7,11 @@ const uploadLimiters = require('./uploadLimiters');
 const forkLimiters = require('./forkLimiters');
 const registerLimiter = require('./registerLimiter');
 const toolCallLimiter = require('./toolCallLimiter');
+const takeoutLimiter = require('./takeoutLimiter');
 const messageLimiters = require('./messageLimiters');
 const promptUsageLimiter = require('./promptUsageLimiter');
 const verifyEmailLimiter = require('./verifyEmailLimiter');
+const agentWebhookLimiter = require('./agentWebhookLimiter');
 const resetPasswordLimiter = require('./resetPasswordLimiter');
 const twoFactorTempLimiter = require('./twoFactorTempLimiter');
 const verifyEmailSubmissionLimiter = require('./verifyEmailSubmissionLimiter');
@@ -24,9 +26,11 @@ module.exports = {
   loginLimiter,
   registerLimiter,
   toolCallLimiter,
+  takeoutLimiter,
   createTTSLimiters,
   createSTTLimiters,
   verifyEmailLimiter,
+  agentWebhookLimiter,
   resetPasswordLimiter,
   verifyEmailSubmissionLimiter,
   resetPasswordSubmissionLimiter,
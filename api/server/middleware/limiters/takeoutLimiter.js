@@ -0,0 +1,41 @@
+const rateLimit = require('express-rate-limit');
+const { limiterCache } = require('@librechat/api');
+const { ViolationTypes } = require('librechat-data-provider');
+const logViolation = require('~/cache/logViolation');
+
+const {
+  TAKEOUT_USER_MAX = 3,
+  TAKEOUT_USER_WINDOW = 1440,
+  TAKEOUT_VIOLATION_SCORE: score,
+} = process.env;
+const windowMs = TAKEOUT_USER_WINDOW * 60 * 1000;
+const max = TAKEOUT_USER_MAX;
+const windowInMinutes = windowMs / 60000;
+
+const handler = async (req, res) => {
+  const type = ViolationTypes.TAKEOUT_LIMIT;
+  const errorMessage = {
+    type,
+    max,
+    limiter: 'user',
+    windowInMinutes,
+  };
+
+  await logViolation(req, res, type, errorMessage, score);
+  res.status(429).json({ message: 'Too many data export requests. Try again later' });
+};
+
+/** Building a takeout reads every record the user owns, so requests are limited per user. */
+const limiterOptions = {
+  windowMs,
+  max,
+  handler,
+  keyGenerator: function (req) {
+    return req.user?.id;
+  },
+  store: limiterCache('takeout_limiter'),
+};
+
+const takeoutLimiter = rateLimit(limiterOptions);
+
+module.exports = takeoutLimiter;
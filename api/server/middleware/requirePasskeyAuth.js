@@ -0,0 +1,24 @@
+const passport = require('passport');
+const { logger } = require('@librechat/data-schemas');
+
+const requirePasskeyAuth = (req, res, next) => {
+  passport.authenticate('passkey', { session: false }, (err, user, info) => {
+    if (err) {
+      logger.error('[requirePasskeyAuth] Error at passport.authenticate:', err);
+      return next(err);
+    }
+    if (!user) {
+      logger.debug('[requirePasskeyAuth] Error: No user');
+      return res.status(401).send(info);
+    }
+    if (info && info.message) {
+      logger.debug('[requirePasskeyAuth] Error: ' + info.message);
+      return res.status(422).send({ message: info.message });
+    }
+    req.user = user;
+    req.authInfo = info;
+    next();
+  })(req, res, next);
+};
+
+module.exports = requirePasskeyAuth;
@@ -1,7 +1,20 @@
 const archiveAllHandler = jest.fn();
+const exportHandlers = {
+  startExport: jest.fn((req, res) => res.status(202).json({ job: null })),
+  getLatestExport: jest.fn((req, res) => res.status(200).json({ job: null })),
+  getExport: jest.fn((req, res) => res.status(404).json({ error: 'Export not found' })),
+  downloadExport: jest.fn((req, res) => res.status(404).json({ error: 'Export not found' })),
+};
+const importJobHandlers = {
+  startImport: jest.fn((req, res) => res.status(202).json({ job: null })),
+  getLatestImport: jest.fn((req, res) => res.status(200).json({ job: null })),
+  getImport: jest.fn((req, res) => res.status(404).json({ error: 'Import not found' })),
+};
 
 module.exports = {
   archiveAllHandler,
+  exportHandlers,
+  importJobHandlers,
 
   agents: () => ({ sleep: jest.fn() }),
 
@@ -35,6 +48,7 @@ module.exports = {
     deleteConvoSharedLinksWithCleanup: jest.fn(),
     deleteAllSharedLinksWithCleanup: jest.fn(),
     deleteAgentCheckpoints: jest.fn(),
+    createConversationExportHandlers: jest.fn(() => exportHandlers),
     ...overrides,
   }),
 
@@ -103,7 +117,14 @@ module.exports = {
     duplicateConversation: jest.fn(),
   }),
 
-  importUtils: () => ({ importConversations: jest.fn() }),
+  importJobs: () => ({ importJobHandlers }),
+
+  archiveUtils: () => ({
+    saveExportArchive: jest.fn(),
+    notifyExportReady: jest.fn(),
+    deleteExportArchive: jest.fn(),
+    getArchiveFileStream: jest.fn(),
+  }),
 
   logStores: () => jest.fn(),
 
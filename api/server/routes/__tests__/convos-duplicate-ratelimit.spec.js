@@ -33,7 +33,8 @@ jest.mock('~/server/middleware', () => {
 });
 
 jest.mock('~/server/utils/import/fork', () => require(MOCKS).forkUtils());
-jest.mock('~/server/utils/import', () => require(MOCKS).importUtils());
+jest.mock('~/server/utils/import/importJobs', () => require(MOCKS).importJobs());
+jest.mock('~/server/utils/import/archive', () => require(MOCKS).archiveUtils());
 jest.mock('~/server/routes/files/multer', () => require(MOCKS).multerSetup());
 jest.mock('multer', () => require(MOCKS).multerLib());
 jest.mock('~/server/services/Endpoints/azureAssistants', () => require(MOCKS).assistantEndpoint());
@@ -2,7 +2,7 @@ const express = require('express');
 const request = require('supertest');
 
 const MOCKS = '../__test-utils__/convos-route-mocks';
-const { archiveAllHandler } = require(MOCKS);
+const { archiveAllHandler, exportHandlers, importJobHandlers } = require(MOCKS);
 
 jest.mock('@librechat/agents', () => require(MOCKS).agents());
 jest.mock('@librechat/api', () => require(MOCKS).api());
@@ -12,7 +12,8 @@ jest.mock('~/models', () => require(MOCKS).sharedModels());
 jest.mock('~/server/middleware/requireJwtAuth', () => require(MOCKS).requireJwtAuth());
 jest.mock('~/server/middleware', () => require(MOCKS).middlewarePassthrough());
 jest.mock('~/server/utils/import/fork', () => require(MOCKS).forkUtils());
-jest.mock('~/server/utils/import', () => require(MOCKS).importUtils());
+jest.mock('~/server/utils/import/importJobs', () => require(MOCKS).importJobs());
+jest.mock('~/server/utils/import/archive', () => require(MOCKS).archiveUtils());
 jest.mock('~/cache/getLogStores', () => require(MOCKS).logStores());
 jest.mock('~/server/routes/files/multer', () => require(MOCKS).multerSetup());
 jest.mock('multer', () => require(MOCKS).multerLib());
@@ -802,6 +803,38 @@ describe('Convos Routes', () => {
     });
   });
 
+  describe('export and import routes', () => {
+    const { getConvo } = require('~/models');
+
+    it('routes export requests to the package API handlers before the conversation lookup', async () => {
+      await request(app).post('/api/convos/export').send({ type: 'all' });
+      await request(app).get('/api/convos/export');
+      await request(app).get('/api/convos/export/job-1');
+      await request(app).get('/api/convos/export/job-1/download');
+
+      expect(exportHandlers.startExport).toHaveBeenCalledTimes(1);
+      expect(exportHandlers.getLatestExport).toHaveBeenCalledTimes(1);
+      expect(exportHandlers.getExport).toHaveBeenCalledTimes(1);
+      expect(exportHandlers.downloadExport).toHaveBeenCalledTimes(1);
+      expect(exportHandlers.getExport.mock.calls[0][0].params).toEqual({ jobId: 'job-1' });
+      expect(getConvo).not.toHaveBeenCalled();
+    });
+
+    it('routes import uploads and job lookups to the import job handlers', async () => {
+      await request(app).post('/api/convos/import');
+      await request(app).get('/api/convos/import');
+      await request(app).get('/api/convos/import/job-1');
+
+      expect(importJobHandlers.startImport).toHaveBeenCalledTimes(1);
+      expect(importJobHandlers.startImport.mock.calls[0][0].file).toEqual({
+        path: '/tmp/test-file.json',
+      });
+      expect(importJobHandlers.getLatestImport).toHaveBeenCalledTimes(1);
+      expect(importJobHandlers.getImport.mock.calls[0][0].params).toEqual({ jobId: 'job-1' });
+      expect(getConvo).not.toHaveBeenCalled();
+    });
+  });
+
   describe('POST /convos/pin', () => {
     const mockConversationId = 'conv-123';
     const { setConvoPinned } = require('~/models');
@@ -17,6 +17,7 @@ jest.mock('@librechat/data-schemas', () => ({
   SystemCapabilities: {
     ACCESS_ADMIN: 'access:admin',
     READ_INSIGHTS: 'read:insights',
+    READ_INSIGHTS_CONTENT: 'read:insights_content',
   },
 }));
 
@@ -34,6 +35,7 @@ jest.mock('~/server/middleware', () => ({
 }));
 
 jest.mock('~/server/middleware/roles/capabilities', () => ({
+  hasCapability: async (_user, capability) => mockGrantedCapabilities.has(capability),
   requireCapability: (capability) => (_req, res, next) => {
     if (!mockGrantedCapabilities.has(capability)) {
       return res.status(403).json({ message: 'Forbidden' });
@@ -47,6 +49,7 @@ jest.mock('~/models', () => ({
 }));
 
 const insightsRouter = require('../insights');
+const { canReadFeedbackContent } = mockCreateInsightsHandler.mock.calls[0][0];
 
 function createApp() {
   const app = express();
@@ -90,4 +93,31 @@ describe('Insights routes', () => {
 
     expect(response.status).toBe(403);
   });
+
+  describe('feedback content', () => {
+    const originalRedact = process.env.INSIGHTS_REDACT_CONTENT;
+
+    afterEach(() => {
+      if (originalRedact === undefined) {
+        delete process.env.INSIGHTS_REDACT_CONTENT;
+      } else {
+        process.env.INSIGHTS_REDACT_CONTENT = originalRedact;
+      }
+    });
+
+    it('is readable only with read:insights_content', async () => {
+      delete process.env.INSIGHTS_REDACT_CONTENT;
+      await expect(canReadFeedbackContent({ user: mockUser })).resolves.toBe(false);
+
+      mockGrantedCapabilities.add('read:insights_content');
+      await expect(canReadFeedbackContent({ user: mockUser })).resolves.toBe(true);
+    });
+
+    it('is redacted for everyone when INSIGHTS_REDACT_CONTENT is enabled', async () => {
+      process.env.INSIGHTS_REDACT_CONTENT = 'true';
+      mockGrantedCapabilities.add('read:insights_content');
+
+      await expect(canReadFeedbackContent({ user: mockUser })).resolves.toBe(false);
+    });
+  });
 });
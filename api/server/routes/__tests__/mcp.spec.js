@@ -174,6 +174,11 @@ jest.mock('~/server/middleware', () => ({
 
 jest.mock('~/server/services/Tools/mcp', () => ({
   reinitMCPServer: jest.fn(),
+  getMCPServerPrompt: jest.fn(),
+}));
+
+jest.mock('~/server/services/Files/MCP/process', () => ({
+  createMCPResourceFile: jest.fn(),
 }));
 
 const mockOAuthCompletion = (tokens) => {
@@ -3397,6 +3402,213 @@ describe('MCP Routes', () => {
     });
   });
 
+  describe('GET /prompts', () => {
+    it('should deny MCP prompts when user lacks MCP server use permission', async () => {
+      mockMCPUseAllowed = false;
+
+      const response = await request(app).get('/api/mcp/prompts');
+
+      expect(response.status).toBe(403);
+      expect(mockResolveAllMcpConfigs).not.toHaveBeenCalled();
+    });
+
+    it('lists prompts from the servers configured for the user', async () => {
+      const prompts = [
+        {
+          serverName: 'tickets',
+          name: 'summarize',
+          arguments: [{ name: 'ticket', required: true }],
+        },
+      ];
+      const getUserPrompts = jest.fn().mockResolvedValue(prompts);
+      mockResolveAllMcpConfigs.mockResolvedValueOnce({
+        tickets: { type: 'sse', url: 'https://tickets.example.com/sse' },
+      });
+      require('~/config').getMCPManager.mockReturnValue({ getUserPrompts });
+
+      const response = await request(app).get('/api/mcp/prompts');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ prompts });
+      expect(getUserPrompts).toHaveBeenCalledWith('test-user-id', ['tickets']);
+    });
+
+    it('returns an empty list without touching connections when no servers are configured', async () => {
+      const getUserPrompts = jest.fn();
+      require('~/config').getMCPManager.mockReturnValue({ getUserPrompts });
+
+      const response = await request(app).get('/api/mcp/prompts');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ prompts: [] });
+      expect(getUserPrompts).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /:serverName/prompts', () => {
+    const serverConfig = { type: 'sse', url: 'https://tickets.example.com/sse' };
+
+    it('resolves the prompt with the submitted arguments', async () => {
+      const { getMCPServerPrompt } = require('~/server/services/Tools/mcp');
+      getMCPServerPrompt.mockResolvedValueOnce({
+        oauthRequired: false,
+        description: 'Summarize a ticket',
+        content: 'Summarize LC-42',
+      });
+      mockResolveAllMcpConfigs.mockResolvedValueOnce({ tickets: serverConfig });
+
+      const response = await request(app)
+        .post('/api/mcp/tickets/prompts')
+        .send({ name: 'summarize', arguments: { ticket: 'LC-42' } });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({
+        serverName: 'tickets',
+        name: 'summarize',
+        description: 'Summarize a ticket',
+        content: 'Summarize LC-42',
+      });
+      expect(getMCPServerPrompt).toHaveBeenCalledWith(
+        expect.objectContaining({
+          serverName: 'tickets',
+          serverConfig,
+          promptName: 'summarize',
+          promptArguments: { ticket: 'LC-42' },
+          user: expect.objectContaining({ id: 'test-user-id' }),
+        }),
+      );
+    });
+
+    it('rejects non-string argument values', async () => {
+      const { getMCPServerPrompt } = require('~/server/services/Tools/mcp');
+
+      const response = await request(app)
+        .post('/api/mcp/tickets/prompts')
+        .send({ name: 'summarize', arguments: { ticket: 42 } });
+
+      expect(response.status).toBe(400);
+      expect(getMCPServerPrompt).not.toHaveBeenCalled();
+    });
+
+    it('returns 404 for servers not configured for the user', async () => {
+      const { getMCPServerPrompt } = require('~/server/services/Tools/mcp');
+
+      const response = await request(app)
+        .post('/api/mcp/unknown/prompts')
+        .send({ name: 'summarize' });
+
+      expect(response.status).toBe(404);
+      expect(getMCPServerPrompt).not.toHaveBeenCalled();
+    });
+
+    it('reports when the server needs OAuth before the prompt can be resolved', async () => {
+      const { getMCPServerPrompt } = require('~/server/services/Tools/mcp');
+      getMCPServerPrompt.mockResolvedValueOnce({ oauthRequired: true });
+      mockResolveAllMcpConfigs.mockResolvedValueOnce({ tickets: serverConfig });
+
+      const response = await request(app)
+        .post('/api/mcp/tickets/prompts')
+        .send({ name: 'summarize' });
+
+      expect(response.status).toBe(401);
+      expect(response.body.error).toBe('oauth_required');
+    });
+  });
+
+  describe('GET /resources', () => {
+    it('lists resources from the servers configured for the user', async () => {
+      const resources = [
+        { serverName: 'tickets', uri: 'tickets://LC-42', name: 'LC-42', subscribable: true },
+      ];
+      const getUserResources = jest.fn().mockResolvedValue(resources);
+      mockResolveAllMcpConfigs.mockResolvedValueOnce({
+        tickets: { type: 'sse', url: 'https://tickets.example.com/sse' },
+      });
+      require('~/config').getMCPManager.mockReturnValue({ getUserResources });
+
+      const response = await request(app).get('/api/mcp/resources');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ resources });
+      expect(getUserResources).toHaveBeenCalledWith('test-user-id', ['tickets']);
+    });
+
+    it('should deny MCP resources when user lacks MCP server use permission', async () => {
+      mockMCPUseAllowed = false;
+
+      const response = await request(app).get('/api/mcp/resources');
+
+      expect(response.status).toBe(403);
+      expect(mockResolveAllMcpConfigs).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /:serverName/resources', () => {
+    const serverConfig = { type: 'sse', url: 'https://tickets.example.com/sse' };
+
+    it('attaches the resource as a file', async () => {
+      const { createMCPResourceFile } = require('~/server/services/Files/MCP/process');
+      const file = { file_id: 'file-1', filename: 'LC-42', source: 'mcp' };
+      createMCPResourceFile.mockResolvedValueOnce({ oauthRequired: false, file });
+      mockResolveAllMcpConfigs.mockResolvedValueOnce({ tickets: serverConfig });
+
+      const response = await request(app)
+        .post('/api/mcp/tickets/resources')
+        .send({ uri: 'tickets://LC-42', name: 'LC-42', subscribe: true });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(file);
+      expect(createMCPResourceFile).toHaveBeenCalledWith(
+        expect.objectContaining({
+          serverName: 'tickets',
+          serverConfig,
+          uri: 'tickets://LC-42',
+          name: 'LC-42',
+          subscribe: true,
+        }),
+      );
+    });
+
+    it('requires a resource URI', async () => {
+      const { createMCPResourceFile } = require('~/server/services/Files/MCP/process');
+
+      const response = await request(app).post('/api/mcp/tickets/resources').send({});
+
+      expect(response.status).toBe(400);
+      expect(createMCPResourceFile).not.toHaveBeenCalled();
+    });
+
+    it('returns 400 when the resource has no attachable text', async () => {
+      const { createMCPResourceFile } = require('~/server/services/Files/MCP/process');
+      createMCPResourceFile.mockResolvedValueOnce({
+        oauthRequired: false,
+        file: null,
+        reason: 'MCP resource "logo" has no text content that can be attached',
+      });
+      mockResolveAllMcpConfigs.mockResolvedValueOnce({ tickets: serverConfig });
+
+      const response = await request(app)
+        .post('/api/mcp/tickets/resources')
+        .send({ uri: 'tickets://logo', name: 'logo' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toContain('no text content');
+    });
+
+    it('reports when the server needs OAuth before the resource can be read', async () => {
+      const { createMCPResourceFile } = require('~/server/services/Files/MCP/process');
+      createMCPResourceFile.mockResolvedValueOnce({ oauthRequired: true });
+      mockResolveAllMcpConfigs.mockResolvedValueOnce({ tickets: serverConfig });
+
+      const response = await request(app)
+        .post('/api/mcp/tickets/resources')
+        .send({ uri: 'tickets://LC-42' });
+
+      expect(response.status).toBe(401);
+      expect(response.body.error).toBe('oauth_required');
+    });
+  });
+
   describe('GET /servers', () => {
     // mockRegistryInstance is defined at the top of the file
 
@@ -48,6 +48,10 @@ jest.mock('~/server/services/Artifacts/update', () => ({
   replaceArtifactContent: jest.fn(),
 }));
 
+jest.mock('~/server/services/Artifacts/library', () => ({
+  saveMessageArtifacts: jest.fn(),
+}));
+
 jest.mock('~/server/middleware/requireJwtAuth', () => (req, res, next) => next());
 
 jest.mock('~/server/middleware', () => {
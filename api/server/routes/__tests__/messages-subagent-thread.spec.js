@@ -51,6 +51,10 @@ jest.mock('~/server/services/Artifacts/update', () => ({
   replaceArtifactContent: jest.fn(),
 }));
 
+jest.mock('~/server/services/Artifacts/library', () => ({
+  saveMessageArtifacts: jest.fn(),
+}));
+
 jest.mock('~/server/middleware', () => ({
   requireJwtAuth: (req, _res, next) => next(),
   validateMessageReq: (req, _res, next) => next(),
@@ -20,7 +20,7 @@ const {
 } = require('~/server/middleware/checkSharePublicAccess');
 const { requireJwtAuth, checkBan, uaParser, canAccessResource } = require('~/server/middleware');
 const { checkPeoplePickerAccess } = require('~/server/middleware/checkPeoplePickerAccess');
-const { findMCPServerByObjectId, getSkillById } = require('~/models');
+const { findMCPServerByObjectId, getSkillById, getArtifactById } = require('~/models');
 
 const router = express.Router();
 
@@ -88,6 +88,13 @@ const checkResourcePermissionAccess = (requiredPermission) => (req, res, next) =
       resourceIdParam: 'resourceId',
       idResolver: getSkillById,
     });
+  } else if (resourceType === ResourceType.ARTIFACT) {
+    middleware = canAccessResource({
+      resourceType: ResourceType.ARTIFACT,
+      requiredPermission,
+      resourceIdParam: 'resourceId',
+      idResolver: getArtifactById,
+    });
   } else if (resourceType === ResourceType.SHARED_LINK) {
     middleware = canAccessResource({
       resourceType: ResourceType.SHARED_LINK,
@@ -0,0 +1,34 @@
+const express = require('express');
+const { createAdminAgentTriggersHandlers } = require('@librechat/api');
+const { SystemCapabilities } = require('@librechat/data-schemas');
+const { hasCapability, requireCapability } = require('~/server/middleware/roles/capabilities');
+const { requeueAgentTrigger } = require('~/server/services/Agents/triggers');
+const { requireJwtAuth } = require('~/server/middleware');
+const db = require('~/models');
+
+const router = express.Router();
+
+const requireAdminAccess = requireCapability(SystemCapabilities.ACCESS_ADMIN);
+const requireTriggersRead = requireCapability(SystemCapabilities.READ_AGENT_TRIGGERS);
+const requireTriggersManage = requireCapability(SystemCapabilities.MANAGE_AGENT_TRIGGERS);
+
+const handlers = createAdminAgentTriggersHandlers({
+  listAgentTriggerDeliveries: db.listAgentTriggerDeliveries,
+  getAgentTriggerDeliveryById: db.getAgentTriggerDeliveryById,
+  deleteAgentTriggerDeadLetter: db.deleteAgentTriggerDeadLetter,
+  requeueAgentTrigger,
+  hasCapability,
+  recordAuditEntry: db.recordAuditEntry,
+  /** Opt-in: fail the requeue/delete request if its audit entry can't be persisted. */
+  auditFailClosed: process.env.AUDIT_LOG_FAIL_CLOSED === 'true',
+});
+
+router.use(requireJwtAuth, requireAdminAccess, requireTriggersRead);
+
+router.get('/access', handlers.getAccess);
+router.get('/', handlers.listDeliveries);
+router.get('/:id', handlers.getDelivery);
+router.post('/:id/requeue', requireTriggersManage, handlers.requeueDelivery);
+router.delete('/:id', requireTriggersManage, handlers.deleteDelivery);
+
+module.exports = router;
@@ -0,0 +1,133 @@
+const express = require('express');
+const request = require('supertest');
+
+let deniedCapability;
+const middlewareCalls = [];
+const mockRequireJwtAuth = jest.fn((req, _res, next) => {
+  req.user = { id: 'user-1', role: 'ADMIN', tenantId: 'tenant-a' };
+  middlewareCalls.push('jwt');
+  next();
+});
+const mockRequireCapability = jest.fn((capability) => (_req, res, next) => {
+  middlewareCalls.push(capability);
+  if (deniedCapability === capability) {
+    return res.status(403).json({ message: 'Forbidden' });
+  }
+  next();
+});
+const mockHandlers = {
+  getAccess: jest.fn((_req, res) => res.status(200).json({ handler: 'access' })),
+  listDeliveries: jest.fn((_req, res) => res.status(200).json({ handler: 'list' })),
+  getDelivery: jest.fn((req, res) => res.status(200).json({ handler: 'get', id: req.params.id })),
+  requeueDelivery: jest.fn((_req, res) => res.status(200).json({ handler: 'requeue' })),
+  deleteDelivery: jest.fn((_req, res) => res.status(200).json({ handler: 'delete' })),
+};
+const mockCreateHandlers = jest.fn(() => mockHandlers);
+const mockRequeueAgentTrigger = jest.fn();
+
+jest.mock('@librechat/data-schemas', () => ({
+  SystemCapabilities: {
+    ACCESS_ADMIN: 'access:admin',
+    READ_AGENT_TRIGGERS: 'read:agent_triggers',
+    MANAGE_AGENT_TRIGGERS: 'manage:agent_triggers',
+  },
+}));
+
+jest.mock('@librechat/api', () => ({
+  createAdminAgentTriggersHandlers: (...args) => mockCreateHandlers(...args),
+}));
+
+jest.mock('~/server/middleware/roles/capabilities', () => ({
+  requireCapability: mockRequireCapability,
+  hasCapability: jest.fn(),
+}));
+
+jest.mock('~/server/middleware', () => ({
+  requireJwtAuth: mockRequireJwtAuth,
+}));
+
+jest.mock('~/server/services/Agents/triggers', () => ({
+  requeueAgentTrigger: (...args) => mockRequeueAgentTrigger(...args),
+}));
+
+jest.mock('~/models', () => ({
+  listAgentTriggerDeliveries: jest.fn(),
+  getAgentTriggerDeliveryById: jest.fn(),
+  deleteAgentTriggerDeadLetter: jest.fn(),
+  recordAuditEntry: jest.fn(),
+}));
+
+describe('admin agent trigger routes', () => {
+  function createApp() {
+    delete require.cache[require.resolve('./agentTriggers')];
+    const router = require('./agentTriggers');
+    const app = express();
+    app.use(express.json());
+    app.use('/api/admin/agent-triggers', router);
+    return app;
+  }
+
+  beforeEach(() => {
+    deniedCapability = undefined;
+    middlewareCalls.length = 0;
+    jest.clearAllMocks();
+  });
+
+  it('wires the audit log and tenant-scoped lookups into the handlers', () => {
+    createApp();
+    const db = require('~/models');
+
+    expect(mockCreateHandlers).toHaveBeenCalledWith(
+      expect.objectContaining({
+        listAgentTriggerDeliveries: db.listAgentTriggerDeliveries,
+        getAgentTriggerDeliveryById: db.getAgentTriggerDeliveryById,
+        deleteAgentTriggerDeadLetter: db.deleteAgentTriggerDeadLetter,
+        recordAuditEntry: db.recordAuditEntry,
+        auditFailClosed: false,
+      }),
+    );
+  });
+
+  it('requires admin access and trigger read access for listing', async () => {
+    const response = await request(createApp())
+      .get('/api/admin/agent-triggers?status=dead')
+      .expect(200);
+
+    expect(response.body).toEqual({ handler: 'list' });
+    expect(middlewareCalls).toEqual(['jwt', 'access:admin', 'read:agent_triggers']);
+  });
+
+  it('serves the access probe before the id route', async () => {
+    const response = await request(createApp()).get('/api/admin/agent-triggers/access');
+
+    expect(response.body).toEqual({ handler: 'access' });
+    expect(mockHandlers.getDelivery).not.toHaveBeenCalled();
+  });
+
+  it('rejects callers without trigger read access', async () => {
+    deniedCapability = 'read:agent_triggers';
+
+    await request(createApp()).get('/api/admin/agent-triggers').expect(403);
+
+    expect(mockHandlers.listDeliveries).not.toHaveBeenCalled();
+  });
+
+  it('requires trigger manage access to requeue or delete', async () => {
+    const app = createApp();
+
+    await request(app).post('/api/admin/agent-triggers/abc/requeue').expect(200);
+    expect(middlewareCalls).toEqual([
+      'jwt',
+      'access:admin',
+      'read:agent_triggers',
+      'manage:agent_triggers',
+    ]);
+
+    deniedCapability = 'manage:agent_triggers';
+    await request(app).post('/api/admin/agent-triggers/abc/requeue').expect(403);
+    await request(app).delete('/api/admin/agent-triggers/abc').expect(403);
+
+    expect(mockHandlers.requeueDelivery).toHaveBeenCalledTimes(1);
+    expect(mockHandlers.deleteDelivery).not.toHaveBeenCalled();
+  });
+});
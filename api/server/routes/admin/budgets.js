@@ -0,0 +1,33 @@
+const express = require('express');
+const { createAdminBudgetsHandlers } = require('@librechat/api');
+const { SystemCapabilities } = require('@librechat/data-schemas');
+const { requireCapability } = require('~/server/middleware/roles/capabilities');
+const { requireJwtAuth } = require('~/server/middleware');
+const db = require('~/models');
+
+const router = express.Router();
+
+const requireAdminAccess = requireCapability(SystemCapabilities.ACCESS_ADMIN);
+const requireReadBudgets = requireCapability(SystemCapabilities.READ_BUDGETS);
+const requireManageBudgets = requireCapability(SystemCapabilities.MANAGE_BUDGETS);
+
+const handlers = createAdminBudgetsHandlers({
+  listBudgets: db.listBudgets,
+  countBudgets: db.countBudgets,
+  getBudget: db.getBudget,
+  upsertBudget: db.upsertBudget,
+  deleteBudget: db.deleteBudget,
+  findGroupById: db.findGroupById,
+});
+
+router.use(requireJwtAuth, requireAdminAccess);
+
+router.get('/', requireReadBudgets, handlers.listBudgets);
+router.get('/tenant', requireReadBudgets, handlers.getTenantBudget);
+router.put('/tenant', requireManageBudgets, handlers.putTenantBudget);
+router.delete('/tenant', requireManageBudgets, handlers.deleteTenantBudget);
+router.get('/groups/:groupId', requireReadBudgets, handlers.getGroupBudget);
+router.put('/groups/:groupId', requireManageBudgets, handlers.putGroupBudget);
+router.delete('/groups/:groupId', requireManageBudgets, handlers.deleteGroupBudget);
+
+module.exports = router;
@@ -15,7 +15,7 @@ const router = express.Router();
 
 const requireAdminAccess = requireCapability(SystemCapabilities.ACCESS_ADMIN);
 const requireReadUsers = requireCapability(SystemCapabilities.READ_USERS);
-// const requireManageUsers = requireCapability(SystemCapabilities.MANAGE_USERS);
+const requireManageUsers = requireCapability(SystemCapabilities.MANAGE_USERS);
 
 const handlers = createAdminUsersHandlers({
   findUsers: db.findUsers,
@@ -29,6 +29,10 @@ const handlers = createAdminUsersHandlers({
   deleteUserById: db.deleteUserById,
   deleteConfig: db.deleteConfig,
   deleteAclEntries: db.deleteAclEntries,
+  deleteAllUserSessions: db.deleteAllUserSessions,
+  recordAuditEntry: db.recordAuditEntry,
+  /** Opt-in: fail the revocation request if its audit entry can't be persisted. */
+  auditFailClosed: process.env.AUDIT_LOG_FAIL_CLOSED === 'true',
 });
 
 router.use(requireJwtAuth, requireAdminAccess);
@@ -36,5 +40,6 @@ router.use(requireJwtAuth, requireAdminAccess);
 router.get('/', requireReadUsers, handlers.listUsers);
 router.get('/search', requireReadUsers, handlers.searchUsers);
 // router.delete('/:id', requireManageUsers, handlers.deleteUser);
+router.delete('/:id/sessions', requireManageUsers, handlers.revokeUserSessions);
 
 module.exports = router;
@@ -0,0 +1,33 @@
+const express = require('express');
+const {
+  MAX_AGENT_WEBHOOK_BODY_BYTES,
+  createAgentWebhookIngressHandler,
+} = require('@librechat/api');
+const { enqueueAgentTrigger } = require('~/server/services/Agents/triggers');
+const { agentWebhookLimiter } = require('~/server/middleware');
+const db = require('~/models');
+
+const router = express.Router();
+
+/**
+ * Mounted ahead of the global JSON parser: the signature covers the exact
+ * bytes the sender posted, so the body must stay a Buffer.
+ */
+const rawWebhookBody = express.raw({ limit: MAX_AGENT_WEBHOOK_BODY_BYTES, type: () => true });
+
+const receiveAgentWebhook = createAgentWebhookIngressHandler({
+  getAgentWebhookForIngress: db.getAgentWebhookForIngress,
+  recordAgentWebhookDelivery: db.recordAgentWebhookDelivery,
+  enqueue: enqueueAgentTrigger,
+});
+
+router.post('/:publicId', agentWebhookLimiter, rawWebhookBody, receiveAgentWebhook);
+
+router.use((err, _req, res, next) => {
+  if (err?.type === 'entity.too.large') {
+    return res.status(413).json({ error: 'Webhook body is too large' });
+  }
+  return next(err);
+});
+
+module.exports = router;
@@ -37,6 +37,7 @@ const {
 } = require('~/server/controllers/agents/protocol');
 const { saveMessage } = require('~/models');
 const responses = require('./responses');
+const mcp = require('./mcp');
 const openai = require('./openai');
 const { v1 } = require('./v1');
 const chat = require('./chat');
@@ -108,6 +109,13 @@ const router = express.Router();
  */
 router.use('/v1/responses', responses);
 
+/**
+ * MCP server endpoint exposing agents as tools (API key authentication handled in route file)
+ * Mounted at /agents/v1/mcp (full path: /api/agents/v1/mcp)
+ * NOTE: Must be mounted BEFORE /v1 to avoid being caught by the less specific route
+ */
+router.use('/v1/mcp', mcp);
+
 /**
  * OpenAI-compatible API routes (API key authentication handled in route file)
  * Mounted at /agents/v1 (full path: /api/agents/v1/chat/completions)
@@ -0,0 +1,54 @@
+/**
+ * MCP server endpoint for LibreChat agents.
+ *
+ * Speaks the MCP Streamable HTTP transport in stateless mode: each agent the
+ * API key can reach remotely is listed as a tool, and calling it runs the agent.
+ *
+ * Usage:
+ *   POST /v1/mcp - JSON-RPC requests (initialize, tools/list, tools/call)
+ *
+ * Tool arguments:
+ *   {
+ *     "message": "Hello!",
+ *     "conversation_id": "optional, from a previous call's result"
+ *   }
+ *
+ * Send `_meta.progressToken` with `tools/call` to receive `notifications/progress`
+ * while the agent runs (responses then stream as SSE).
+ *
+ * @see https://modelcontextprotocol.io/specification/2025-06-18/basic/transports#streamable-http
+ */
+const express = require('express');
+const { handleMCPRequest, methodNotAllowed } = require('~/server/controllers/agents/mcp');
+const { configMiddleware } = require('~/server/middleware');
+const {
+  preAuthTenantMiddleware,
+  requireRemoteAgentAuth,
+  checkRemoteAgentsFeature,
+} = require('./middleware');
+
+const router = express.Router();
+
+router.use(preAuthTenantMiddleware);
+router.use(requireRemoteAgentAuth);
+router.use(configMiddleware);
+router.use(checkRemoteAgentsFeature);
+
+/**
+ * @route POST /v1/mcp
+ * @desc Handle an MCP JSON-RPC message; per-agent access is enforced by listing only
+ *   agents with remote VIEW permission as tools
+ * @access Private (API key auth required)
+ */
+router.post('/', handleMCPRequest);
+
+/**
+ * @route GET /v1/mcp
+ * @route DELETE /v1/mcp
+ * @desc Not supported by the stateless transport (no sessions, no standalone SSE stream)
+ * @access Private (API key auth required)
+ */
+router.get('/', methodNotAllowed);
+router.delete('/', methodNotAllowed);
+
+module.exports = router;
@@ -44,7 +44,8 @@ router.use(checkRemoteAgentsFeature);
  *
  * Request body:
  * {
- *   "model": "agent_id",        // Required: The agent ID to use
+ *   "model": "agent_id",        // Required: The agent ID, optionally pinned to a
+ *                               //   version: "agent_id@stable" or "agent_id@3"
  *   "messages": [...],          // Required: Array of chat messages
  *   "stream": true,             // Optional: Whether to stream (default: false)
  *   "conversation_id": "...",   // Optional: Conversation ID for context
@@ -47,7 +47,8 @@ router.use(checkRemoteAgentsFeature);
  *
  * Request body:
  * {
- *   "model": "agent_id",                // Required: The agent ID to use
+ *   "model": "agent_id",                // Required: The agent ID, optionally pinned to a
+ *                                       //   version: "agent_id@stable" or "agent_id@3"
  *   "input": "..." | [...],             // Required: String or array of input items
  *   "stream": true,                     // Optional: Whether to stream (default: false)
  *   "previous_response_id": "...",      // Optional: Previous response for continuation
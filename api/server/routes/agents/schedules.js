@@ -0,0 +1,26 @@
+const express = require('express');
+const { createAgentScheduleHandlers } = require('@librechat/api');
+const { canUseAgent } = require('~/server/services/Agents/access');
+const db = require('~/models');
+
+const router = express.Router();
+
+const handlers = createAgentScheduleHandlers({
+  listAgentSchedules: db.listAgentSchedules,
+  createAgentSchedule: db.createAgentSchedule,
+  getAgentSchedule: db.getAgentSchedule,
+  updateAgentSchedule: db.updateAgentSchedule,
+  deleteAgentSchedule: db.deleteAgentSchedule,
+  canUseAgent,
+  ownsConversation: async (userId, conversationId) =>
+    (await db.getConvo(userId, conversationId)) != null,
+});
+
+router.get('/', handlers.listSchedules);
+router.post('/', handlers.createSchedule);
+router.get('/preview', handlers.previewSchedule);
+router.get('/:scheduleId', handlers.getSchedule);
+router.patch('/:scheduleId', handlers.updateSchedule);
+router.delete('/:scheduleId', handlers.deleteSchedule);
+
+module.exports = router;
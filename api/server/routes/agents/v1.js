@@ -1,9 +1,23 @@
+const multer = require('multer');
 const express = require('express');
-const { generateCheckAccess } = require('@librechat/api');
+const {
+  generateCheckAccess,
+  resolveImportMaxFileSize,
+  restoreTenantContextFromReq,
+} = require('@librechat/api');
 const { PermissionTypes, Permissions, PermissionBits } = require('librechat-data-provider');
-const { requireJwtAuth, configMiddleware, canAccessAgentResource } = require('~/server/middleware');
+const {
+  requireJwtAuth,
+  configMiddleware,
+  createImportLimiters,
+  canAccessAgentResource,
+} = require('~/server/middleware');
+const { storage, importFileFilter } = require('~/server/routes/files/multer');
+const { agentEvalHandlers } = require('~/server/services/Agents/evals');
 const v1 = require('~/server/controllers/agents/v1');
 const { getRoleByName } = require('~/models');
+const schedules = require('./schedules');
+const webhooks = require('./webhooks');
 const actions = require('./actions');
 const tools = require('./tools');
 
@@ -21,6 +35,25 @@ const checkAgentCreate = generateCheckAccess({
   getRoleByName,
 });
 
+const { importIpLimiter, importUserLimiter } = createImportLimiters();
+const uploadBundle = multer({
+  storage,
+  fileFilter: importFileFilter,
+  limits: { fileSize: resolveImportMaxFileSize() },
+}).single('file');
+
+function handleBundleUpload(req, res, next) {
+  uploadBundle(req, res, (err) => {
+    if (err && err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ error: 'File exceeds the maximum allowed size' });
+    }
+    if (err) {
+      return next(err);
+    }
+    next();
+  });
+}
+
 router.use(requireJwtAuth);
 
 /**
@@ -35,6 +68,18 @@ router.use('/actions', configMiddleware, actions);
  */
 router.use('/tools', configMiddleware, tools);
 
+/**
+ * Saved cron schedules that run agents through the trigger queue.
+ * @route GET|POST|PATCH|DELETE /agents/schedules
+ */
+router.use('/schedules', checkAgentAccess, schedules);
+
+/**
+ * Signed inbound webhooks that run agents through the trigger queue.
+ * @route GET|POST|PATCH|DELETE /agents/webhooks
+ */
+router.use('/webhooks', checkAgentAccess, webhooks);
+
 /**
  * Get all agent categories with counts
  * @route GET /agents/categories
@@ -48,6 +93,23 @@ router.get('/categories', v1.getAgentCategories);
  */
 router.post('/', checkAgentCreate, configMiddleware, v1.createAgent);
 
+/**
+ * Imports an agent bundle, recreating its agents, actions, skills and files for the user.
+ * @route POST /agents/import
+ * @param {Express.Multer.File} req.file - The bundle written by `GET /agents/:id/export`.
+ * @returns {TAgentBundleImportResponse} 201 - Success response - application/json
+ */
+router.post(
+  '/import',
+  checkAgentCreate,
+  importIpLimiter,
+  importUserLimiter,
+  configMiddleware,
+  handleBundleUpload,
+  restoreTenantContextFromReq,
+  v1.importAgentBundle,
+);
+
 /**
  * Retrieves basic agent information (VIEW permission required).
  * Returns safe, non-sensitive agent data for viewing purposes.
@@ -133,6 +195,23 @@ router.post(
   v1.duplicateAgent,
 );
 
+/**
+ * Exports an agent as a portable bundle (EDIT permission required).
+ * @route GET /agents/:id/export
+ * @param {string} req.params.id - Agent identifier.
+ * @returns {Buffer} 200 - The bundle - application/zip
+ */
+router.get(
+  '/:id/export',
+  checkAgentAccess,
+  configMiddleware,
+  canAccessAgentResource({
+    requiredPermission: PermissionBits.EDIT,
+    resourceIdParam: 'id',
+  }),
+  v1.exportAgentBundle,
+);
+
 /**
  * Deletes an agent.
  * @route DELETE /agents/:id
@@ -167,6 +246,78 @@ router.post(
   v1.revertAgentVersion,
 );
 
+/**
+ * Points a published version label at a version.
+ * @route PUT /agents/:id/version-labels/:label
+ * @param {string} req.params.id - Agent identifier.
+ * @param {string} req.params.label - Version label, e.g. `stable`.
+ * @param {number} req.body.version - 1-based version number to label.
+ * @returns {{ version_labels: Record<string, number> }} 200 - success response - application/json
+ */
+router.put(
+  '/:id/version-labels/:label',
+  checkAgentCreate,
+  canAccessAgentResource({
+    requiredPermission: PermissionBits.EDIT,
+    resourceIdParam: 'id',
+  }),
+  v1.setAgentVersionLabel,
+);
+
+/**
+ * Removes a published version label.
+ * @route DELETE /agents/:id/version-labels/:label
+ * @param {string} req.params.id - Agent identifier.
+ * @param {string} req.params.label - Version label, e.g. `stable`.
+ * @returns {{ version_labels: Record<string, number> }} 200 - success response - application/json
+ */
+router.delete(
+  '/:id/version-labels/:label',
+  checkAgentCreate,
+  canAccessAgentResource({
+    requiredPermission: PermissionBits.EDIT,
+    resourceIdParam: 'id',
+  }),
+  v1.setAgentVersionLabel,
+);
+
+/**
+ * Agent evaluations: recorded user turns with a rubric, replayed in the background against
+ * an entry of the agent's version history so versions can be compared (EDIT permission required).
+ * See `createAgentEvalHandlers`.
+ * @route GET|POST /agents/:id/evals
+ * @route PATCH|DELETE /agents/:id/evals/:caseId
+ * @route GET|POST /agents/:id/eval-runs
+ * @route GET /agents/:id/eval-runs/:runId
+ */
+const canEditAgent = canAccessAgentResource({
+  requiredPermission: PermissionBits.EDIT,
+  resourceIdParam: 'id',
+});
+router.get('/:id/evals', checkAgentAccess, canEditAgent, agentEvalHandlers.listEvalCases);
+router.post('/:id/evals', checkAgentCreate, canEditAgent, agentEvalHandlers.createEvalCase);
+router.patch(
+  '/:id/evals/:caseId',
+  checkAgentCreate,
+  canEditAgent,
+  agentEvalHandlers.updateEvalCase,
+);
+router.delete(
+  '/:id/evals/:caseId',
+  checkAgentCreate,
+  canEditAgent,
+  agentEvalHandlers.deleteEvalCase,
+);
+router.get('/:id/eval-runs', checkAgentAccess, canEditAgent, agentEvalHandlers.listEvalRuns);
+router.post(
+  '/:id/eval-runs',
+  checkAgentCreate,
+  configMiddleware,
+  canEditAgent,
+  agentEvalHandlers.startEvalRun,
+);
+router.get('/:id/eval-runs/:runId', checkAgentAccess, canEditAgent, agentEvalHandlers.getEvalRun);
+
 /**
  * Returns a list of agents.
  * @route GET /agents
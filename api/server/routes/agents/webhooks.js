@@ -0,0 +1,27 @@
+const express = require('express');
+const { createAgentWebhookHandlers } = require('@librechat/api');
+const { canUseAgent } = require('~/server/services/Agents/access');
+const db = require('~/models');
+
+const router = express.Router();
+
+const handlers = createAgentWebhookHandlers({
+  listAgentWebhooks: db.listAgentWebhooks,
+  createAgentWebhook: db.createAgentWebhook,
+  getAgentWebhook: db.getAgentWebhook,
+  updateAgentWebhook: db.updateAgentWebhook,
+  rotateAgentWebhookSecret: db.rotateAgentWebhookSecret,
+  deleteAgentWebhook: db.deleteAgentWebhook,
+  canUseAgent,
+  getWebhookUrl: (publicId) =>
+    `${process.env.DOMAIN_SERVER || 'http://localhost:3080'}/api/webhooks/agents/${publicId}`,
+});
+
+router.get('/', handlers.listWebhooks);
+router.post('/', handlers.createWebhook);
+router.get('/:webhookId', handlers.getWebhook);
+router.patch('/:webhookId', handlers.updateWebhook);
+router.post('/:webhookId/rotate', handlers.rotateWebhookSecret);
+router.delete('/:webhookId', handlers.deleteWebhook);
+
+module.exports = router;
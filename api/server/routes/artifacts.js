@@ -0,0 +1,77 @@
+const express = require('express');
+const { generateCheckAccess } = require('@librechat/api');
+const { PermissionBits, PermissionTypes, Permissions } = require('librechat-data-provider');
+const { requireJwtAuth, canAccessArtifactResource } = require('~/server/middleware');
+const { artifactHandlers } = require('~/server/services/Artifacts/library');
+const configMiddleware = require('~/server/middleware/config/app');
+const { getRoleByName } = require('~/models');
+
+const router = express.Router();
+
+const checkArtifactAccess = generateCheckAccess({
+  permissionType: PermissionTypes.ARTIFACTS,
+  permissions: [Permissions.USE],
+  getRoleByName,
+});
+
+router.use(requireJwtAuth);
+router.use(configMiddleware);
+router.use(checkArtifactAccess);
+
+/**
+ * Lists the artifacts the user can view, most recently updated first.
+ * @route GET /artifacts
+ */
+router.get('/', artifactHandlers.list);
+
+/**
+ * Returns an artifact with the content of its latest version.
+ * @route GET /artifacts/:id
+ */
+router.get(
+  '/:id',
+  canAccessArtifactResource({ requiredPermission: PermissionBits.VIEW }),
+  artifactHandlers.get,
+);
+
+/**
+ * Lists the versions of an artifact, newest first, without their content.
+ * @route GET /artifacts/:id/versions
+ */
+router.get(
+  '/:id/versions',
+  canAccessArtifactResource({ requiredPermission: PermissionBits.VIEW }),
+  artifactHandlers.listVersions,
+);
+
+/**
+ * Returns a single version of an artifact with its content.
+ * @route GET /artifacts/:id/versions/:version
+ */
+router.get(
+  '/:id/versions/:version',
+  canAccessArtifactResource({ requiredPermission: PermissionBits.VIEW }),
+  artifactHandlers.getVersion,
+);
+
+/**
+ * Saves edited content as a new version of an artifact.
+ * @route POST /artifacts/:id/versions
+ */
+router.post(
+  '/:id/versions',
+  canAccessArtifactResource({ requiredPermission: PermissionBits.EDIT }),
+  artifactHandlers.createVersion,
+);
+
+/**
+ * Deletes an artifact with its version history and permissions.
+ * @route DELETE /artifacts/:id
+ */
+router.delete(
+  '/:id',
+  canAccessArtifactResource({ requiredPermission: PermissionBits.DELETE }),
+  artifactHandlers.delete,
+);
+
+module.exports = router;
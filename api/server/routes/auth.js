@@ -14,10 +14,25 @@ const {
   enable2FA,
   verify2FA,
 } = require('~/server/controllers/TwoFactorController');
+const {
+  listPasskeys,
+  addPasskey,
+  renamePasskey,
+  deletePasskey,
+  passkeyLoginOptions,
+  passkeyRegistrationOptions,
+  passkeySecondFactorOptions,
+} = require('~/server/controllers/PasskeyController');
+const {
+  listSessions,
+  revokeSession,
+  revokeOtherSessions,
+} = require('~/server/controllers/SessionController');
 const { verify2FAWithTempToken } = require('~/server/controllers/auth/TwoFactorAuthController');
 const { logoutController } = require('~/server/controllers/auth/LogoutController');
 const { loginController } = require('~/server/controllers/auth/LoginController');
 const { findBalanceByUser, upsertBalanceFields } = require('~/models');
+const { isPasskeyEnabled } = require('~/server/services/passkeyService');
 const { getAppConfig } = require('~/server/services/Config');
 const middleware = require('~/server/middleware');
 
@@ -38,6 +53,8 @@ const getCloudFrontAuthCookieRefreshResult = (req, res) => {
 };
 
 const ldapAuth = !!process.env.LDAP_URL && !!process.env.LDAP_USER_SEARCH_BASE;
+const requirePasskeysEnabled = (req, res, next) =>
+  isPasskeyEnabled() ? next() : res.status(404).json({ message: 'Passkeys are not enabled' });
 //Local
 router.post('/logout', middleware.requireJwtAuth, logoutController);
 router.post(
@@ -50,6 +67,23 @@ router.post(
   setBalanceConfig,
   loginController,
 );
+router.post(
+  '/passkeys/login/options',
+  requirePasskeysEnabled,
+  middleware.loginLimiter,
+  middleware.checkBan,
+  passkeyLoginOptions,
+);
+router.post(
+  '/passkeys/login',
+  requirePasskeysEnabled,
+  middleware.logHeaders,
+  middleware.loginLimiter,
+  middleware.requirePasskeyAuth,
+  middleware.checkBan,
+  setBalanceConfig,
+  loginController,
+);
 router.post('/refresh', refreshController);
 router.post('/cloudfront/refresh', middleware.requireJwtAuth, (req, res) => {
   const result = getCloudFrontAuthCookieRefreshResult(req, res);
@@ -96,10 +130,33 @@ router.post(
   middleware.checkBan,
   verify2FAWithTempToken,
 );
+router.post(
+  '/2fa/passkey/options',
+  requirePasskeysEnabled,
+  middleware.setTwoFactorTempUser,
+  middleware.twoFactorTempLimiter,
+  middleware.checkBan,
+  passkeySecondFactorOptions,
+);
 router.post('/2fa/confirm', middleware.requireJwtAuth, confirm2FA);
 router.post('/2fa/disable', middleware.requireJwtAuth, disable2FA);
 router.post('/2fa/backup/regenerate', middleware.requireJwtAuth, regenerateBackupCodes);
 
+router.get('/passkeys', requirePasskeysEnabled, middleware.requireJwtAuth, listPasskeys);
+router.post(
+  '/passkeys/register/options',
+  requirePasskeysEnabled,
+  middleware.requireJwtAuth,
+  passkeyRegistrationOptions,
+);
+router.post('/passkeys/register', requirePasskeysEnabled, middleware.requireJwtAuth, addPasskey);
+router.patch('/passkeys/:id', requirePasskeysEnabled, middleware.requireJwtAuth, renamePasskey);
+router.delete('/passkeys/:id', requirePasskeysEnabled, middleware.requireJwtAuth, deletePasskey);
+
+router.get('/sessions', middleware.requireJwtAuth, listSessions);
+router.delete('/sessions', middleware.requireJwtAuth, revokeOtherSessions);
+router.delete('/sessions/:id', middleware.requireJwtAuth, revokeSession);
+
 router.get('/graph-token', middleware.requireJwtAuth, graphTokenController);
 
 module.exports = router;
@@ -27,6 +27,26 @@ jest.mock('~/server/controllers/TwoFactorController', () => ({
   regenerateBackupCodes: jest.fn((req, res) => res.status(204).end()),
 }));
 
+jest.mock('~/server/controllers/PasskeyController', () => ({
+  listPasskeys: jest.fn((req, res) => res.status(204).end()),
+  addPasskey: jest.fn((req, res) => res.status(204).end()),
+  renamePasskey: jest.fn((req, res) => res.status(204).end()),
+  deletePasskey: jest.fn((req, res) => res.status(204).end()),
+  passkeyLoginOptions: jest.fn((req, res) => res.status(204).end()),
+  passkeyRegistrationOptions: jest.fn((req, res) => res.status(204).end()),
+  passkeySecondFactorOptions: jest.fn((req, res) => res.status(204).end()),
+}));
+
+jest.mock('~/server/services/passkeyService', () => ({
+  isPasskeyEnabled: jest.fn(() => false),
+}));
+
+jest.mock('~/server/controllers/SessionController', () => ({
+  listSessions: jest.fn((req, res) => res.status(204).end()),
+  revokeSession: jest.fn((req, res) => res.status(204).end()),
+  revokeOtherSessions: jest.fn((req, res) => res.status(204).end()),
+}));
+
 jest.mock('~/server/controllers/auth/TwoFactorAuthController', () => ({
   verify2FAWithTempToken: jest.fn((req, res) => res.status(204).end()),
 }));
@@ -58,6 +78,7 @@ jest.mock('~/server/middleware', () => {
     checkBan: (...args) => mockCheckBan(...args),
     validateEmailLogin: pass,
     requireLocalAuth: pass,
+    requirePasskeyAuth: pass,
     requireLdapAuth: pass,
     registerLimiter: pass,
     checkInviteUser: pass,
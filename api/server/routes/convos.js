@@ -1,3 +1,4 @@
+const path = require('path');
 const multer = require('multer');
 const express = require('express');
 const { sleep } = require('@librechat/agents');
@@ -6,6 +7,7 @@ const {
   deleteAgentCheckpoints,
   createArchiveAllHandler,
   resolveImportMaxFileSize,
+  createConversationExportHandlers,
   restoreTenantContextFromReq,
   deleteAllSharedLinksWithCleanup,
   deleteConvoSharedLinksWithCleanup,
@@ -21,7 +23,13 @@ const {
 const { forkConversation, duplicateConversation } = require('~/server/utils/import/fork');
 const { storage, importFileFilter } = require('~/server/routes/files/multer');
 const requireJwtAuth = require('~/server/middleware/requireJwtAuth');
-const { importConversations } = require('~/server/utils/import');
+const { importJobHandlers } = require('~/server/utils/import/importJobs');
+const {
+  saveExportArchive,
+  notifyExportReady,
+  deleteExportArchive,
+  getArchiveFileStream,
+} = require('~/server/utils/import/archive');
 const subagentThreadTaskStore = require('~/server/services/Endpoints/agents/subagentThreadStore');
 const getLogStores = require('~/cache/getLogStores');
 const db = require('~/models');
@@ -33,6 +41,25 @@ const assistantClients = {
 
 const router = express.Router();
 const archiveAllHandler = createArchiveAllHandler({ archiveAllConvos: db.archiveAllConvos });
+const exportHandlers = createConversationExportHandlers({
+  findConversationsForExport: db.findConversationsForExport,
+  getMessages: db.getMessages,
+  getFiles: db.getFiles,
+  getFileStream: getArchiveFileStream,
+  createExportJob: db.createExportJob,
+  getExportJob: db.getExportJob,
+  getLatestExportJob: db.getLatestExportJob,
+  findActiveExportJob: db.findActiveExportJob,
+  updateExportJob: db.updateExportJob,
+  findExpiredExportJobs: db.findExpiredExportJobs,
+  deleteExportJob: db.deleteExportJob,
+  getTempDir: (req) => path.join(req.config.paths.uploads, 'temp'),
+  saveExportArchive,
+  getExportArchiveStream: getArchiveFileStream,
+  deleteExportArchive,
+  maxBytes: resolveImportMaxFileSize(),
+  notifyExportReady,
+});
 router.use(requireJwtAuth);
 
 const isValidProjectFilter = (projectId) =>
@@ -79,6 +106,44 @@ router.get('/', async (req, res) => {
   }
 });
 
+/**
+ * Starts a background export of the user's conversations as a ZIP archive.
+ * @route POST /export
+ * @param {TConversationExportFilter} req.body - Which conversations to include.
+ * @returns {object} 202 - The created export job.
+ */
+router.post('/export', configMiddleware, exportHandlers.startExport);
+
+/**
+ * Returns the user's most recent export job, if any.
+ * @route GET /export
+ */
+router.get('/export', exportHandlers.getLatestExport);
+
+/**
+ * @route GET /export/:jobId
+ * @returns {object} 200 - The export job and its progress.
+ */
+router.get('/export/:jobId', exportHandlers.getExport);
+
+/**
+ * Downloads a completed export archive until it expires.
+ * @route GET /export/:jobId/download
+ */
+router.get('/export/:jobId/download', exportHandlers.downloadExport);
+
+/**
+ * Returns the user's most recent import job, if any.
+ * @route GET /import
+ */
+router.get('/import', importJobHandlers.getLatestImport);
+
+/**
+ * @route GET /import/:jobId
+ * @returns {object} 200 - The import job, its progress, and why entries were skipped or failed.
+ */
+router.get('/import/:jobId', importJobHandlers.getImport);
+
 router.get('/:conversationId', async (req, res) => {
   const { conversationId } = req.params;
   const convo = await db.getConvo(req.user.id, conversationId);
@@ -403,10 +468,12 @@ function handleUpload(req, res, next) {
 }
 
 /**
- * Imports a conversation from a JSON file and saves it to the database.
+ * Uploads a file of conversations and imports it in the background. JSON arrays are imported
+ * one conversation at a time, so exports of any size fit in memory; progress is polled
+ * through `GET /import/:jobId`.
  * @route POST /import
- * @param {Express.Multer.File} req.file - The JSON file to import.
- * @returns {object} 201 - success response - application/json
+ * @param {Express.Multer.File} req.file - The JSON, Markdown or ZIP file to import.
+ * @returns {object} 202 - The created import job.
  */
 router.post(
   '/import',
@@ -415,21 +482,7 @@ router.post(
   configMiddleware,
   handleUpload,
   restoreTenantContextFromReq,
-  async (req, res) => {
-    try {
-      /* TODO: optimize to return imported conversations and add manually */
-      await importConversations({
-        filepath: req.file.path,
-        requestUserId: req.user.id,
-        userRole: req.user.role,
-        interfaceConfig: req.config?.interfaceConfig,
-      });
-      res.status(201).json({ message: 'Conversation(s) imported successfully' });
-    } catch (error) {
-      logger.error('Error processing file', error);
-      res.status(500).send('Error processing file');
-    }
-  },
+  importJobHandlers.startImport,
 );
 
 /**
@@ -28,13 +28,22 @@ const storage = multer.diskStorage({
   },
 });
 
+const importMimeTypes = new Set([
+  'application/json',
+  'application/zip',
+  'application/x-zip-compressed',
+  'text/markdown',
+  'text/x-markdown',
+]);
+const importExtensions = new Set(['.json', '.zip', '.md', '.markdown']);
+
 const importFileFilter = (req, file, cb) => {
-  if (file.mimetype === 'application/json') {
+  if (importMimeTypes.has(file.mimetype)) {
     cb(null, true);
-  } else if (path.extname(file.originalname).toLowerCase() === '.json') {
+  } else if (importExtensions.has(path.extname(file.originalname).toLowerCase())) {
     cb(null, true);
   } else {
-    cb(createCustomError(415, 'Only JSON files are allowed'), false);
+    cb(createCustomError(415, 'Only JSON, ZIP or Markdown files are allowed'), false);
   }
 };
 
@@ -205,6 +205,38 @@ describe('Multer Configuration', () => {
       importFileFilter(mockReq, jsonFile, cb);
     });
 
+    it('should accept ZIP archives from the conversation export', (done) => {
+      const zipFile = {
+        ...mockFile,
+        mimetype: 'application/x-zip-compressed',
+        originalname: 'librechat-export-2026-03-02.zip',
+      };
+
+      const cb = jest.fn((err, result) => {
+        expect(err).toBeNull();
+        expect(result).toBe(true);
+        done();
+      });
+
+      importFileFilter(mockReq, zipFile, cb);
+    });
+
+    it('should accept Markdown transcripts', (done) => {
+      const markdownFile = {
+        ...mockFile,
+        mimetype: 'application/octet-stream',
+        originalname: 'transcript.md',
+      };
+
+      const cb = jest.fn((err, result) => {
+        expect(err).toBeNull();
+        expect(result).toBe(true);
+        done();
+      });
+
+      importFileFilter(mockReq, markdownFile, cb);
+    });
+
     it('should reject non-JSON files', (done) => {
       const textFile = {
         ...mockFile,
@@ -214,9 +246,9 @@ describe('Multer Configuration', () => {
 
       const cb = jest.fn((err, result) => {
         expect(err).toBeInstanceOf(Error);
-        expect(err.message).toBe('Only JSON files are allowed');
+        expect(err.message).toBe('Only JSON, ZIP or Markdown files are allowed');
         expect(err.statusCode).toBe(415);
-        expect(err.body).toEqual({ message: 'Only JSON files are allowed' });
+        expect(err.body).toEqual({ message: 'Only JSON, ZIP or Markdown files are allowed' });
         expect(result).toBe(false);
         done();
       });
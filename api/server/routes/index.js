@@ -6,10 +6,12 @@ const adminConfig = require('./admin/config');
 const adminLangfuse = require('./admin/langfuse');
 const adminGrants = require('./admin/grants');
 const adminGroups = require('./admin/groups');
+const adminBudgets = require('./admin/budgets');
 const adminRoles = require('./admin/roles');
 const adminSkills = require('./admin/skills');
 const adminUsers = require('./admin/users');
 const adminAuditLog = require('./admin/audit');
+const adminAgentTriggers = require('./admin/agentTriggers');
 const endpoints = require('./endpoints');
 const staticRoute = require('./static');
 const messages = require('./messages');
@@ -18,6 +20,7 @@ const presets = require('./presets');
 const projects = require('./projects');
 const prompts = require('./prompts');
 const skills = require('./skills');
+const artifacts = require('./artifacts');
 const balance = require('./balance');
 const actions = require('./actions');
 const apiKeys = require('./apiKeys');
@@ -27,12 +30,14 @@ const models = require('./models');
 const convos = require('./convos');
 const config = require('./config');
 const agents = require('./agents');
+const agentWebhooks = require('./agentWebhooks');
 const roles = require('./roles');
 const oauth = require('./oauth');
 const files = require('./files');
 const share = require('./share');
 const tags = require('./tags');
 const auth = require('./auth');
+const scim = require('./scim');
 const keys = require('./keys');
 const user = require('./user');
 const mcp = require('./mcp');
@@ -44,15 +49,18 @@ module.exports = {
   rum,
   mcp,
   auth,
+  scim,
   adminAuth,
   adminConfig,
   adminLangfuse,
   adminGrants,
   adminGroups,
+  adminBudgets,
   adminRoles,
   adminSkills,
   adminUsers,
   adminAuditLog,
+  adminAgentTriggers,
   keys,
   apiKeys,
   user,
@@ -63,6 +71,7 @@ module.exports = {
   share,
   banner,
   agents,
+  agentWebhooks,
   convos,
   search,
   config,
@@ -70,6 +79,7 @@ module.exports = {
   prompts,
   projects,
   skills,
+  artifacts,
   actions,
   presets,
   balance,
@@ -31,6 +31,10 @@ const {
   deleteMCPServerController,
   getMCPServersList,
   getMCPServerById,
+  attachMCPResource,
+  getMCPResources,
+  getMCPPrompts,
+  getMCPPrompt,
   getMCPTools,
 } = require('~/server/controllers/mcp');
 const {
@@ -100,6 +104,26 @@ router.get('/tools', requireJwtAuth, checkMCPUsePermissions, async (req, res) =>
   return getMCPTools(req, res);
 });
 
+/**
+ * Get prompts declared by the user's connected MCP servers
+ */
+router.get('/prompts', requireJwtAuth, checkMCPUsePermissions, getMCPPrompts);
+
+/**
+ * Resolve an MCP server prompt with the given arguments via `prompts/get`
+ */
+router.post('/:serverName/prompts', requireJwtAuth, checkMCPUsePermissions, getMCPPrompt);
+
+/**
+ * Get resources exposed by the user's connected MCP servers
+ */
+router.get('/resources', requireJwtAuth, checkMCPUsePermissions, getMCPResources);
+
+/**
+ * Read an MCP server resource via `resources/read` and attach it as a file
+ */
+router.post('/:serverName/resources', requireJwtAuth, checkMCPUsePermissions, attachMCPResource);
+
 /**
  * Initiate OAuth flow
  * This endpoint is called when the user clicks the auth link in the UI
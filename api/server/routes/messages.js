@@ -18,6 +18,7 @@ const {
 } = require('@librechat/api');
 const subagentThreadTaskStore = require('~/server/services/Endpoints/agents/subagentThreadStore');
 const { findAllArtifacts, replaceArtifactContent } = require('~/server/services/Artifacts/update');
+const { saveMessageArtifacts } = require('~/server/services/Artifacts/library');
 const {
   requireJwtAuth,
   validateMessageReq,
@@ -299,6 +300,8 @@ router.post('/artifact/:messageId', async (req, res) => {
       },
       { context: 'POST /api/messages/artifact/:messageId' },
     );
+    /** The edit becomes a new version of the artifact in the library */
+    void saveMessageArtifacts(req, savedMessage, 'edit');
 
     res.status(200).json({
       conversationId: savedMessage.conversationId,
@@ -2,12 +2,16 @@ const express = require('express');
 const { ObjectId } = require('mongodb');
 const { logger, isValidObjectIdString } = require('@librechat/data-schemas');
 const {
+  getBalanceConfig,
   generateCheckAccess,
+  getTransactionsConfig,
   markPublicPromptGroups,
   buildPromptGroupFilter,
   formatPromptGroupsResponse,
   safeValidatePromptGroupUpdate,
   createEmptyPromptGroupsResponse,
+  createPromptTestHandlers,
+  generatePromptTestOutput,
   filterAccessibleIdsBySharedLogic,
 } = require('@librechat/api');
 const {
@@ -38,6 +42,7 @@ const {
   canAccessPromptGroupResource,
   canAccessPromptViaGroup,
   promptUsageLimiter,
+  configMiddleware,
   requireJwtAuth,
 } = require('~/server/middleware');
 const {
@@ -47,6 +52,8 @@ const {
   grantPermission,
 } = require('~/server/services/PermissionService');
 const { hasCapability } = require('~/server/middleware/roles/capabilities');
+const { getModelsConfig } = require('~/server/controllers/ModelController');
+const db = require('~/models');
 
 const router = express.Router();
 
@@ -559,4 +566,80 @@ router.delete(
   deletePromptGroupController,
 );
 
+const promptTestHandlers = createPromptTestHandlers({
+  getPromptTestCases: db.getPromptTestCases,
+  countPromptTestCases: db.countPromptTestCases,
+  createPromptTestCase: db.createPromptTestCase,
+  updatePromptTestCase: db.updatePromptTestCase,
+  deletePromptTestCase: db.deletePromptTestCase,
+  createPromptTestRun: db.createPromptTestRun,
+  getPromptTestRun: db.getPromptTestRun,
+  getPromptTestRuns: db.getPromptTestRuns,
+  findActivePromptTestRun: db.findActivePromptTestRun,
+  updatePromptTestRun: db.updatePromptTestRun,
+  pruneOldPromptTestRuns: db.pruneOldPromptTestRuns,
+  getPrompt,
+  getModelsConfig,
+  generate: (req, options) =>
+    generatePromptTestOutput({
+      req,
+      ...options,
+      db: { getUserKey: db.getUserKey, getUserKeyValues: db.getUserKeyValues },
+    }),
+  recordUsage: (req, { model, promptTokens, completionTokens, endpointTokenConfig }) =>
+    db.spendTokens(
+      {
+        model,
+        context: 'prompt_test',
+        balance: getBalanceConfig(req.config),
+        transactions: getTransactionsConfig(req.config),
+        user: req.user.id,
+        endpointTokenConfig,
+      },
+      { promptTokens, completionTokens },
+    ),
+});
+
+/**
+ * Prompt test suites: saved inputs with expected-content assertions, replayed against a
+ * prompt version on selected models before it is made production.
+ * See `createPromptTestHandlers`.
+ */
+router.get(
+  '/groups/:groupId/tests',
+  canAccessPromptGroupResource({ requiredPermission: PermissionBits.VIEW }),
+  promptTestHandlers.listTestCases,
+);
+router.post(
+  '/groups/:groupId/tests',
+  canAccessPromptGroupResource({ requiredPermission: PermissionBits.EDIT }),
+  promptTestHandlers.createTestCase,
+);
+router.patch(
+  '/groups/:groupId/tests/:testCaseId',
+  canAccessPromptGroupResource({ requiredPermission: PermissionBits.EDIT }),
+  promptTestHandlers.updateTestCase,
+);
+router.delete(
+  '/groups/:groupId/tests/:testCaseId',
+  canAccessPromptGroupResource({ requiredPermission: PermissionBits.EDIT }),
+  promptTestHandlers.deleteTestCase,
+);
+router.get(
+  '/groups/:groupId/test-runs',
+  canAccessPromptGroupResource({ requiredPermission: PermissionBits.VIEW }),
+  promptTestHandlers.listTestRuns,
+);
+router.post(
+  '/groups/:groupId/test-runs',
+  canAccessPromptGroupResource({ requiredPermission: PermissionBits.EDIT }),
+  configMiddleware,
+  promptTestHandlers.startTestRun,
+);
+router.get(
+  '/groups/:groupId/test-runs/:runId',
+  canAccessPromptGroupResource({ requiredPermission: PermissionBits.VIEW }),
+  promptTestHandlers.getTestRun,
+);
+
 module.exports = router;
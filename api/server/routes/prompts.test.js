@@ -37,6 +37,7 @@ jest.mock('~/models', () => {
 jest.mock('~/server/middleware', () => ({
   requireJwtAuth: (req, res, next) => next(),
   promptUsageLimiter: (req, res, next) => next(),
+  configMiddleware: (req, res, next) => next(),
   canAccessPromptViaGroup: jest.requireActual('~/server/middleware').canAccessPromptViaGroup,
   canAccessPromptGroupResource:
     jest.requireActual('~/server/middleware').canAccessPromptGroupResource,
@@ -12,6 +12,7 @@ const {
   peoplePickerPermissionsSchema,
   remoteAgentsPermissionsSchema,
   skillPermissionsSchema,
+  artifactPermissionsSchema,
 } = require('librechat-data-provider');
 const { hasCapability, requireCapability } = require('~/server/middleware/roles/capabilities');
 const { updateRoleByName, getRoleByName } = require('~/models');
@@ -66,6 +67,11 @@ const permissionConfigs = {
     permissionType: PermissionTypes.SKILLS,
     errorMessage: 'Invalid skill permissions.',
   },
+  artifacts: {
+    schema: artifactPermissionsSchema,
+    permissionType: PermissionTypes.ARTIFACTS,
+    errorMessage: 'Invalid artifact permissions.',
+  },
 };
 
 /**
@@ -201,4 +207,10 @@ router.put('/:roleName/remote-agents', manageRoles, createPermissionUpdateHandle
  */
 router.put('/:roleName/skills', manageRoles, createPermissionUpdateHandler('skills'));
 
+/**
+ * PUT /api/roles/:roleName/artifacts
+ * Update artifact library permissions for a specific role
+ */
+router.put('/:roleName/artifacts', manageRoles, createPermissionUpdateHandler('artifacts'));
+
 module.exports = router;
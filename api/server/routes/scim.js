@@ -0,0 +1,112 @@
+const express = require('express');
+const { getTenantId } = require('@librechat/data-schemas');
+const {
+  getScimConfig,
+  sendScimError,
+  getBalanceConfig,
+  SCIM_CONTENT_TYPE,
+  createScimAuthMiddleware,
+  createScimUsersHandlers,
+  createScimGroupsHandlers,
+  getScimServiceProviderConfig,
+  getLibreChatRolesForOpenIdSync,
+} = require('@librechat/api');
+const { deleteUserAccount } = require('~/server/controllers/UserController');
+const { getAppConfig } = require('~/server/services/Config');
+const db = require('~/models');
+
+const router = express.Router();
+const config = getScimConfig();
+
+/**
+ * SCIM 2.0 provisioning (RFC 7644) for an identity provider that owns who has access.
+ * The IdP authenticates with its provisioning bearer token; each token is bound to a tenant.
+ */
+if (!config.enabled) {
+  router.use((_req, res) => sendScimError(res, 404, 'SCIM provisioning is not enabled'));
+} else {
+  const getTenantAppConfig = () => {
+    const tenantId = getTenantId();
+    return getAppConfig(tenantId ? { tenantId } : {});
+  };
+
+  const users = createScimUsersHandlers({
+    config,
+    findUser: db.findUser,
+    findUsers: db.findUsers,
+    countUsers: db.countUsers,
+    getUserById: db.getUserById,
+    createUser: db.createUser,
+    updateUser: db.updateUser,
+    deleteAllUserSessions: db.deleteAllUserSessions,
+    getRoleMapping: async () => {
+      if (config.rolePriority.length === 0 && !config.fallbackRole) {
+        return null;
+      }
+      return getLibreChatRolesForOpenIdSync({
+        rolePriority: config.rolePriority,
+        fallbackRole: config.fallbackRole,
+        getRolesByNames: db.findRolesByNames,
+        logPrefix: '[scim]',
+      });
+    },
+    getBalanceConfig: async () => getBalanceConfig(await getTenantAppConfig()),
+    deleteUserAccount: async (user) =>
+      deleteUserAccount({
+        user: { ...user, id: user._id.toString() },
+        body: {},
+        config: await getTenantAppConfig(),
+      }),
+  });
+
+  const groups = createScimGroupsHandlers({
+    listGroups: db.listGroups,
+    countGroups: db.countGroups,
+    findGroupById: db.findGroupById,
+    createGroup: db.createGroup,
+    updateGroupById: db.updateGroupById,
+    deleteGroup: db.deleteGroup,
+    addUserToGroup: db.addUserToGroup,
+    removeMemberById: db.removeMemberById,
+    findUsers: db.findUsers,
+    deleteConfig: db.deleteConfig,
+    deleteAclEntries: db.deleteAclEntries,
+    deleteBudget: db.deleteBudget,
+  });
+
+  router.use(createScimAuthMiddleware(config.tokens));
+  router.use(express.json({ limit: '1mb', type: ['application/json', SCIM_CONTENT_TYPE] }));
+  router.use((_req, res, next) => {
+    res.type(SCIM_CONTENT_TYPE);
+    next();
+  });
+
+  router.get('/ServiceProviderConfig', getScimServiceProviderConfig);
+
+  router.get('/Users', users.listUsers);
+  router.post('/Users', users.createUser);
+  router.get('/Users/:id', users.getUser);
+  router.put('/Users/:id', users.replaceUser);
+  router.patch('/Users/:id', users.patchUser);
+  router.delete('/Users/:id', users.deleteUser);
+
+  router.get('/Groups', groups.listGroups);
+  router.post('/Groups', groups.createGroup);
+  router.get('/Groups/:id', groups.getGroup);
+  router.put('/Groups/:id', groups.replaceGroup);
+  router.patch('/Groups/:id', groups.patchGroup);
+  router.delete('/Groups/:id', groups.deleteGroup);
+
+  router.use((_req, res) => sendScimError(res, 404, 'Resource not found'));
+  router.use((err, _req, res, next) => {
+    if (err?.type === 'entity.parse.failed') {
+      return sendScimError(res, 400, 'Request body is not valid JSON', 'invalidSyntax');
+    }
+    if (err?.type === 'entity.too.large') {
+      return sendScimError(res, 413, 'Request body is too large');
+    }
+    return next(err);
+  });
+}
+
+module.exports = router;
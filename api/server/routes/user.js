@@ -1,5 +1,10 @@
+const path = require('path');
 const express = require('express');
-const { createUserPreferencesHandler } = require('@librechat/api');
+const {
+  resolveImportMaxFileSize,
+  createDataTakeoutHandlers,
+  createUserPreferencesHandler,
+} = require('@librechat/api');
 const {
   updateUserPluginsController,
   resendVerificationController,
@@ -14,16 +19,46 @@ const {
   verifyEmailSubmissionLimiter,
   configMiddleware,
   canDeleteAccount,
+  takeoutLimiter,
   requireJwtAuth,
 } = require('~/server/middleware');
-
+const { getArchiveFileStream, notifyTakeoutReady } = require('~/server/utils/import/archive');
 const settings = require('./settings');
-const { updateUserStatefulCodeEnvironment } = require('~/models');
+const db = require('~/models');
 
 const router = express.Router();
 
 const updateUserPreferences = createUserPreferencesHandler({
-  updateStatefulCodeEnvironment: updateUserStatefulCodeEnvironment,
+  updateStatefulCodeEnvironment: db.updateUserStatefulCodeEnvironment,
+});
+
+const takeoutHandlers = createDataTakeoutHandlers({
+  getUserById: (userId) => db.getUserById(userId),
+  findConversationsForExport: db.findConversationsForExport,
+  getMessages: db.getMessages,
+  getFiles: db.getFiles,
+  getAllUserFiles: (user) => db.getFiles({ user }),
+  getFileStream: getArchiveFileStream,
+  getAllUserMemories: db.getAllUserMemories,
+  getAllPromptGroups: db.getAllPromptGroups,
+  getPrompts: db.getPrompts,
+  getAgents: db.getAgents,
+  getPresets: db.getPresets,
+  getTransactions: db.getTransactions,
+  findBalanceByUser: db.findBalanceByUser,
+  createTakeoutJob: db.createTakeoutJob,
+  getTakeoutJob: db.getTakeoutJob,
+  getLatestTakeoutJob: db.getLatestTakeoutJob,
+  findActiveTakeoutJob: db.findActiveTakeoutJob,
+  updateTakeoutJob: db.updateTakeoutJob,
+  findExpiredTakeoutJobs: db.findExpiredTakeoutJobs,
+  deleteTakeoutJob: db.deleteTakeoutJob,
+  getTakeoutDir: (req) => path.join(req.config.paths.uploads, 'takeouts'),
+  maxBytes: resolveImportMaxFileSize(),
+  notifyTakeoutReady,
+  recordAuditEntry: db.recordAuditEntry,
+  /** Opt-in: refuse takeouts whose audit entry can't be persisted. */
+  auditFailClosed: process.env.AUDIT_LOG_FAIL_CLOSED === 'true',
 });
 
 router.use('/settings', settings);
@@ -33,6 +68,17 @@ router.get('/terms', requireJwtAuth, getTermsStatusController);
 router.post('/terms/accept', requireJwtAuth, acceptTermsController);
 router.post('/plugins', requireJwtAuth, updateUserPluginsController);
 router.delete('/delete', requireJwtAuth, canDeleteAccount, configMiddleware, deleteUserController);
+/** Self-service export of the user's personal data; see `createDataTakeoutHandlers`. */
+router.post(
+  '/takeout',
+  requireJwtAuth,
+  takeoutLimiter,
+  configMiddleware,
+  takeoutHandlers.startTakeout,
+);
+router.get('/takeout', requireJwtAuth, takeoutHandlers.getLatestTakeout);
+router.get('/takeout/:jobId', requireJwtAuth, takeoutHandlers.getTakeout);
+router.get('/takeout/:jobId/download', requireJwtAuth, takeoutHandlers.downloadTakeout);
 router.post('/verify', verifyEmailSubmissionLimiter, verifyEmailController);
 router.post('/verify/resend', verifyEmailLimiter, resendVerificationController);
 
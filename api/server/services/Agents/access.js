@@ -0,0 +1,37 @@
+const { ResourceCapabilityMap } = require('@librechat/data-schemas');
+const { ResourceType, PermissionBits } = require('librechat-data-provider');
+const { checkPermission } = require('~/server/services/PermissionService');
+const { hasCapability } = require('~/server/middleware/roles/capabilities');
+const db = require('~/models');
+
+/**
+ * Saved triggers (schedules, webhooks) may only target agents the owner can
+ * currently VIEW; the agent capability bypass mirrors `canAccessResource`.
+ * @param {{ id: string; role?: string }} user
+ * @param {string} agentId
+ * @returns {Promise<boolean>}
+ */
+const canUseAgent = async (user, agentId) => {
+  let bypass = false;
+  try {
+    bypass = await hasCapability(user, ResourceCapabilityMap[ResourceType.AGENT]);
+  } catch {
+    bypass = false;
+  }
+  const agent = await db.getAgent({ id: agentId });
+  if (!agent) {
+    return false;
+  }
+  if (bypass) {
+    return true;
+  }
+  return checkPermission({
+    userId: user.id,
+    role: user.role,
+    resourceType: ResourceType.AGENT,
+    resourceId: agent._id,
+    requiredPermission: PermissionBits.VIEW,
+  });
+};
+
+module.exports = { canUseAgent };
@@ -0,0 +1,526 @@
+const fs = require('fs');
+const path = require('path');
+const { nanoid } = require('nanoid');
+const { v4: uuidv4 } = require('uuid');
+const { logger, getTenantId } = require('@librechat/data-schemas');
+const {
+  checkAccess,
+  sanitizeFilename,
+  getStorageMetadata,
+  createAgentBundle,
+  actionRequiresAuth,
+  isActionDomainAllowed,
+  resolveRequestTenantId,
+  legacyActionDomainEncode,
+  validateActionOAuthMetadata,
+  sanitizeBundledActionMetadata,
+} = require('@librechat/api');
+const {
+  Permissions,
+  FileContext,
+  FileSources,
+  ResourceType,
+  AccessRoleIds,
+  PrincipalType,
+  PermissionBits,
+  EToolResources,
+  PermissionTypes,
+  AgentCapabilities,
+  mergeCodeEnvRef,
+  removeNullishValues,
+  validateActionDomain,
+  validateAndParseOpenAPISpec,
+} = require('librechat-data-provider');
+const { checkPermission, grantPermission } = require('~/server/services/PermissionService');
+const { getAgentFileRetentionExpiry } = require('~/server/services/Files/retention');
+const { getStrategyFunctions } = require('~/server/services/Files/strategies');
+const { encryptMetadata, domainParser } = require('~/server/services/ActionService');
+const { getArchiveFileStream } = require('~/server/utils/import/archive');
+const { getFileStrategy } = require('~/server/utils/getFileStrategy');
+const { checkCapability } = require('~/server/services/Config');
+const db = require('~/models');
+
+/** Capability each file-backed tool resource needs on the importing instance. */
+const TOOL_RESOURCE_CAPABILITIES = {
+  [EToolResources.file_search]: AgentCapabilities.file_search,
+  [EToolResources.execute_code]: AgentCapabilities.execute_code,
+};
+
+/**
+ * Bundles an agent and what it references for export. Referenced agents travel only when the
+ * exporting user may edit them, and skills only when they authored them.
+ * @param {object} params
+ * @param {ServerRequest} params.req
+ * @param {Agent} params.agent
+ * @param {number} params.maxBytes - Cap on the bundled file bytes.
+ */
+async function exportAgentBundle({ req, agent, maxBytes }) {
+  const { id: userId, role } = req.user;
+  return createAgentBundle(
+    {
+      getAgent: (id) => db.getAgent({ id }),
+      canExportAgent: (child) =>
+        checkPermission({
+          userId,
+          role,
+          resourceType: ResourceType.AGENT,
+          resourceId: child._id,
+          requiredPermission: PermissionBits.EDIT,
+        }),
+      getActions: (agent_id) => db.getActions({ agent_id }),
+      /** Selects `text` too, which `context` files are bundled with. */
+      getFiles: async (fileIds) =>
+        (await db.getFiles({ file_id: { $in: fileIds } }, null, {})) ?? [],
+      getOwnedSkills: async (skillIds) => {
+        const skills = await Promise.all(
+          skillIds.map((skillId) => db.getSkillById(skillId).catch(() => null)),
+        );
+        return skills.filter((skill) => skill?.author?.toString() === userId);
+      },
+      listSkillFiles: (skillId) => db.listSkillFiles(skillId),
+      getFileStream: (file) => getArchiveFileStream(req, file),
+    },
+    { agent, maxBytes },
+  );
+}
+
+/**
+ * Stores bundled bytes as a new object in the storage configured for `context`.
+ * @param {object} params
+ * @param {ServerRequest} params.req
+ * @param {Buffer} params.buffer
+ * @param {string} params.filename
+ * @param {string} [params.type]
+ * @param {string} params.context
+ * @returns {Promise<{ file_id: string, filepath: string, source: string, storageKey?: string, storageRegion?: string }>}
+ */
+async function saveBundledBuffer({ req, buffer, filename, type, context }) {
+  const isImage = typeof type === 'string' && type.startsWith('image/');
+  const source = getFileStrategy(req.config, { isImage, context });
+  const { saveBuffer } = getStrategyFunctions(source);
+  if (!saveBuffer) {
+    throw new Error(`Storage backend "${source}" does not support file writes`);
+  }
+
+  const file_id = uuidv4();
+  const filepath = await saveBuffer({
+    userId: req.user.id,
+    buffer,
+    fileName: `${file_id}__${sanitizeFilename(filename || 'file')}`,
+    basePath: isImage ? 'images' : 'uploads',
+    tenantId: getTenantId(),
+  });
+  return { file_id, filepath, source, ...getStorageMetadata({ filepath, source }) };
+}
+
+/**
+ * Removes a stored object whose database record could not be created.
+ * @param {ServerRequest} req
+ * @param {{ filepath: string, source: string }} stored
+ */
+async function deleteBundledBuffer(req, stored) {
+  const { deleteFile } = getStrategyFunctions(stored.source);
+  if (!deleteFile) {
+    return;
+  }
+  await deleteFile(req, {
+    filepath: stored.filepath,
+    user: req.user.id,
+    tenantId: getTenantId(),
+  }).catch((error) => logger.error('[importAgentBundle] Failed to clean up stored file:', error));
+}
+
+/**
+ * Writes bundled bytes to the user's upload temp directory for the services that read an
+ * uploaded file from disk, and removes it once `fn` settles.
+ * @template T
+ * @param {ServerRequest} req
+ * @param {{ buffer: Buffer, file_id: string, filename: string }} params
+ * @param {(tempPath: string) => Promise<T>} fn
+ * @returns {Promise<T>}
+ */
+async function withTempFile(req, { buffer, file_id, filename }, fn) {
+  const tempDir = path.join(req.config.paths.uploads, 'temp', req.user.id);
+  const tempPath = path.join(tempDir, `${file_id}__${sanitizeFilename(filename || 'file')}`);
+  await fs.promises.mkdir(tempDir, { recursive: true });
+  await fs.promises.writeFile(tempPath, buffer);
+  try {
+    return await fn(tempPath);
+  } finally {
+    await fs.promises.unlink(tempPath).catch(() => undefined);
+  }
+}
+
+/**
+ * Recreates the bundle's skills as skills of the importing user. A skill the user already
+ * has under the same name is linked instead of duplicated.
+ * @param {object} params
+ * @param {ServerRequest} params.req
+ * @param {BundledSkill[]} params.skills
+ * @param {AgentBundleReader['readFile']} params.readFile
+ * @returns {Promise<{ skillIds: Map<string, string>, skills: Array<{ source_id: string, id: string, name: string, reused: boolean }>, skipped: string[] }>}
+ */
+async function importBundledSkills({ req, skills, readFile }) {
+  const result = { skillIds: new Map(), skills: [], skipped: [] };
+  if (skills.length === 0) {
+    return result;
+  }
+
+  const canCreate = await checkAccess({
+    user: req.user,
+    permissionType: PermissionTypes.SKILLS,
+    permissions: [Permissions.USE, Permissions.CREATE],
+    getRoleByName: db.getRoleByName,
+  });
+  const tenantId = resolveRequestTenantId(req);
+  const author = req.user._id ?? req.user.id;
+
+  for (const bundled of skills) {
+    try {
+      const existing = await db.getAuthorSkillByName({ name: bundled.name, author, tenantId });
+      if (existing) {
+        result.skillIds.set(bundled._id, existing._id.toString());
+        result.skills.push({
+          source_id: bundled._id,
+          id: existing._id.toString(),
+          name: existing.name,
+          reused: true,
+        });
+        continue;
+      }
+      if (!canCreate) {
+        result.skipped.push(bundled.name);
+        continue;
+      }
+
+      const { skill } = await db.createSkill({
+        name: bundled.name,
+        displayTitle: bundled.displayTitle,
+        description: bundled.description,
+        body: bundled.body,
+        frontmatter: bundled.frontmatter,
+        category: bundled.category,
+        author,
+        authorName: req.user.name ?? req.user.username ?? 'Unknown',
+        tenantId,
+      });
+      await grantPermission({
+        principalType: PrincipalType.USER,
+        principalId: req.user.id,
+        resourceType: ResourceType.SKILL,
+        resourceId: skill._id,
+        accessRoleId: AccessRoleIds.SKILL_OWNER,
+        grantedBy: req.user.id,
+      });
+
+      for (const file of bundled.files ?? []) {
+        const buffer = await readFile(file.path);
+        if (!buffer) {
+          continue;
+        }
+        const stored = await saveBundledBuffer({
+          req,
+          buffer,
+          filename: file.filename,
+          type: file.type,
+          context: FileContext.skill_file,
+        });
+        try {
+          await db.upsertSkillFile({
+            skillId: skill._id,
+            relativePath: file.relativePath,
+            file_id: stored.file_id,
+            filename: file.filename,
+            filepath: stored.filepath,
+            storageKey: stored.storageKey,
+            storageRegion: stored.storageRegion,
+            source: stored.source,
+            mimeType: file.type || 'application/octet-stream',
+            bytes: buffer.length,
+            isExecutable: false,
+            author,
+            tenantId,
+          });
+        } catch (error) {
+          await deleteBundledBuffer(req, stored);
+          logger.warn(
+            `[importAgentBundle] Skipped file "${file.relativePath}" of skill "${bundled.name}"`,
+            error,
+          );
+        }
+      }
+
+      result.skillIds.set(bundled._id, skill._id.toString());
+      result.skills.push({
+        source_id: bundled._id,
+        id: skill._id.toString(),
+        name: skill.name,
+        reused: false,
+      });
+    } catch (error) {
+      logger.error(`[importAgentBundle] Failed to import skill "${bundled.name}"`, error);
+      result.skipped.push(bundled.name);
+    }
+  }
+  return result;
+}
+
+/**
+ * Recreates one bundled knowledge file for an imported agent, the way an upload to the
+ * same tool resource would have stored it. Returns the new file id, or null when the
+ * importing instance cannot host the file.
+ * @param {object} params
+ * @param {ServerRequest} params.req
+ * @param {BundledFile} params.file
+ * @param {string} params.agentId - The imported agent's id.
+ * @param {AgentBundleReader['readFile']} params.readFile
+ * @returns {Promise<string | null>}
+ */
+async function importBundledFile({ req, file, agentId, readFile }) {
+  const { tool_resource } = file;
+  const capability = TOOL_RESOURCE_CAPABILITIES[tool_resource];
+  if (capability && !(await checkCapability(req, capability))) {
+    return null;
+  }
+  if (tool_resource === EToolResources.file_search && !process.env.RAG_API_URL) {
+    return null;
+  }
+
+  const retentionExpiry = await getAgentFileRetentionExpiry({
+    req,
+    messageAttachment: false,
+    tool_resource,
+  });
+  const baseInfo = {
+    user: req.user.id,
+    filename: file.filename,
+    context: FileContext.agents,
+    tenantId: req.user.tenantId,
+  };
+
+  if (tool_resource === EToolResources.context && typeof file.text === 'string') {
+    const file_id = uuidv4();
+    /** Text files are read from `text`; like parsed uploads, their `filepath` names no stored object. */
+    await db.createFile(
+      {
+        ...removeNullishValues({
+          ...baseInfo,
+          file_id,
+          text: file.text,
+          bytes: Buffer.byteLength(file.text, 'utf8'),
+          type: file.type || 'text/plain',
+          filepath: sanitizeFilename(file.filename || 'file'),
+          source: FileSources.text,
+        }),
+        ...retentionExpiry,
+      },
+      true,
+    );
+    return file_id;
+  }
+
+  const buffer = await readFile(file.path);
+  if (!buffer) {
+    return null;
+  }
+  const stored = await saveBundledBuffer({
+    req,
+    buffer,
+    filename: file.filename,
+    type: file.type,
+    context: FileContext.agents,
+  });
+
+  try {
+    let embedded;
+    let metadata;
+    if (tool_resource === EToolResources.file_search) {
+      const { uploadVectors } = require('~/server/services/Files/VectorDB/crud');
+      const embedding = await withTempFile(
+        req,
+        { ...stored, buffer, filename: file.filename },
+        (tempPath) =>
+          uploadVectors({
+            req,
+            file: {
+              path: tempPath,
+              originalname: file.filename,
+              mimetype: file.type,
+              size: buffer.length,
+            },
+            file_id: stored.file_id,
+            entity_id: agentId,
+          }),
+      );
+      embedded = embedding.embedded;
+    } else if (tool_resource === EToolResources.execute_code) {
+      const { handleFileUpload } = getStrategyFunctions(FileSources.execute_code);
+      const uploaded = await withTempFile(
+        req,
+        { ...stored, buffer, filename: file.filename },
+        (tempPath) =>
+          handleFileUpload({
+            req,
+            stream: fs.createReadStream(tempPath),
+            filename: sanitizeFilename(file.filename || 'file'),
+            kind: 'agent',
+            id: agentId,
+          }),
+      );
+      metadata = mergeCodeEnvRef(undefined, {
+        kind: 'agent',
+        id: agentId,
+        storage_session_id: uploaded.storage_session_id,
+        file_id: uploaded.file_id,
+        executionProfile: 'default',
+      });
+    }
+
+    await db.createFile(
+      {
+        ...removeNullishValues({
+          ...baseInfo,
+          file_id: stored.file_id,
+          bytes: buffer.length,
+          filepath: stored.filepath,
+          storageKey: stored.storageKey,
+          storageRegion: stored.storageRegion,
+          type: file.type,
+          source: stored.source,
+          embedded,
+          metadata,
+        }),
+        ...retentionExpiry,
+      },
+      true,
+    );
+  } catch (error) {
+    await deleteBundledBuffer(req, stored);
+    throw error;
+  }
+  return stored.file_id;
+}
+
+/**
+ * Recreates a bundled agent's knowledge files.
+ * @param {object} params
+ * @param {ServerRequest} params.req
+ * @param {BundledAgent} params.bundled
+ * @param {string} params.agentId - The imported agent's id.
+ * @param {AgentBundleReader['readFile']} params.readFile
+ * @returns {Promise<{ fileIds: Map<string, string>, skipped: string[] }>}
+ */
+async function importBundledFiles({ req, bundled, agentId, readFile }) {
+  const result = { fileIds: new Map(), skipped: [] };
+  for (const file of bundled.files ?? []) {
+    try {
+      const file_id = await importBundledFile({ req, file, agentId, readFile });
+      if (file_id) {
+        result.fileIds.set(file.file_id, file_id);
+      } else {
+        result.skipped.push(file.filename);
+      }
+    } catch (error) {
+      logger.error(`[importAgentBundle] Failed to import file "${file.filename}"`, error);
+      result.skipped.push(file.filename);
+    }
+  }
+  return result;
+}
+
+/**
+ * Applies the checks of the actions route to bundled action metadata, since a bundle can
+ * be edited by hand. Returns why the action cannot be imported, if it cannot.
+ * @param {ServerRequest} req
+ * @param {ActionMetadata} metadata
+ * @returns {Promise<string | undefined>}
+ */
+async function getBundledActionError(req, metadata) {
+  const allowedAddresses = req.config?.actions?.allowedAddresses;
+  if (typeof metadata.domain !== 'string' || !metadata.domain) {
+    return 'No domain provided';
+  }
+  if (typeof metadata.raw_spec !== 'string' || !metadata.raw_spec) {
+    return 'No OpenAPI specification provided';
+  }
+
+  const validationResult = validateAndParseOpenAPISpec(metadata.raw_spec);
+  if (!validationResult.status || !validationResult.serverUrl) {
+    return validationResult.message || 'Invalid OpenAPI specification';
+  }
+  if (!validateActionDomain(metadata.domain, validationResult.serverUrl).isValid) {
+    return 'The domain in the OpenAPI spec does not match the provided domain';
+  }
+  const isDomainAllowed = await isActionDomainAllowed(
+    metadata.domain,
+    req.config?.actions?.allowedDomains,
+    allowedAddresses,
+  );
+  if (!isDomainAllowed) {
+    return 'Domain not allowed';
+  }
+  try {
+    await validateActionOAuthMetadata(metadata.auth, allowedAddresses);
+  } catch (error) {
+    return error.message;
+  }
+  return undefined;
+}
+
+/**
+ * Recreates a bundled agent's actions. Bundles carry no credentials, so actions that
+ * authenticate are reported for the importing user to configure.
+ * @param {object} params
+ * @param {ServerRequest} params.req
+ * @param {BundledAgent} params.bundled
+ * @param {string} params.agentId - The imported agent's id.
+ * @returns {Promise<{
+ *   actions: Map<string, { action_id: string, domain: string }>,
+ *   domains: Set<string>,
+ *   needsAuth: Array<{ action_id: string, domain: string, auth_type: string }>,
+ *   skipped: Array<{ domain: string, reason: string }>,
+ * }>}
+ */
+async function importBundledActions({ req, bundled, agentId }) {
+  const result = { actions: new Map(), domains: new Set(), needsAuth: [], skipped: [] };
+  for (const action of bundled.actions ?? []) {
+    const metadata = removeNullishValues(sanitizeBundledActionMetadata(action.metadata), true);
+    const domain = typeof metadata.domain === 'string' ? metadata.domain : '';
+    try {
+      const reason = await getBundledActionError(req, metadata);
+      const encodedDomain = reason ? null : await domainParser(domain, true);
+      if (!encodedDomain) {
+        result.skipped.push({ domain, reason: reason ?? 'No domain provided' });
+        continue;
+      }
+
+      const action_id = nanoid();
+      await db.updateAction(
+        { action_id, agent_id: agentId },
+        {
+          action_id,
+          metadata: await encryptMetadata(metadata),
+          agent_id: agentId,
+          user: req.user.id,
+        },
+      );
+      result.actions.set(action.action_id, { action_id, domain: encodedDomain });
+      result.domains.add(encodedDomain);
+      result.domains.add(legacyActionDomainEncode(domain));
+      if (actionRequiresAuth(metadata)) {
+        result.needsAuth.push({ action_id, domain, auth_type: metadata.auth.type });
+      }
+    } catch (error) {
+      logger.error(`[importAgentBundle] Failed to import action for "${domain}"`, error);
+      result.skipped.push({ domain, reason: 'Failed to save action' });
+    }
+  }
+  return result;
+}
+
+module.exports = {
+  exportAgentBundle,
+  importBundledSkills,
+  importBundledFiles,
+  importBundledActions,
+};
@@ -0,0 +1,120 @@
+const { EventEmitter } = require('events');
+const { nanoid } = require('nanoid');
+const { logger } = require('@librechat/data-schemas');
+const {
+  getBalanceConfig,
+  toAgentEvalReply,
+  isValidationFailure,
+  getTransactionsConfig,
+  createAgentRunEnvelope,
+  validateResponseRequest,
+  createAgentEvalHandlers,
+  generatePromptTestOutput,
+  createResponsesEventCollector,
+} = require('@librechat/api');
+const { executeResponse } = require('~/server/controllers/agents/responses');
+const db = require('~/models');
+
+/**
+ * A view of the request that started an evaluation run, for the Responses executor. It owns
+ * its body and its `close` never fires, so the run outlives the HTTP request that started it.
+ *
+ * @param {import('express').Request} req
+ */
+const createEvalRequest = (req) => {
+  const evalReq = Object.create(req);
+  const events = new EventEmitter();
+  evalReq.on = events.on.bind(events);
+  evalReq.once = events.once.bind(events);
+  evalReq.off = events.off.bind(events);
+  evalReq.removeListener = events.removeListener.bind(events);
+  evalReq.emit = events.emit.bind(events);
+  return evalReq;
+};
+
+/**
+ * Runs one turn of an evaluation case through the Responses executor, the same agent
+ * initialization remote API calls use, selecting the version with `agent_id@version`.
+ * Nothing is stored (`store: false`); usage is billed like any other run.
+ *
+ * @type {import('@librechat/api').AgentEvalDeps['runTurn']}
+ */
+const runAgentEvalTurn = async (req, { agentId, version, messages }) => {
+  const validation = validateResponseRequest({
+    model: version != null ? `${agentId}@${version}` : agentId,
+    input: messages.map(({ role, content }) => ({ type: 'message', role, content })),
+    stream: false,
+    store: false,
+  });
+  if (isValidationFailure(validation)) {
+    throw new Error(validation.error);
+  }
+
+  const envelope = createAgentRunEnvelope({
+    protocol: 'responses',
+    requestId: `agent-eval-${nanoid()}`,
+    receivedAt: Date.now(),
+    principal: req.user,
+    payload: validation.request,
+  });
+  const collector = createResponsesEventCollector();
+  await executeResponse(envelope, { req: createEvalRequest(req), res: collector.res });
+  return toAgentEvalReply(collector);
+};
+
+/**
+ * Grades `llm_judge` rubric entries with the agent's current model, billed to the user
+ * who started the run.
+ *
+ * @type {NonNullable<import('@librechat/api').AgentEvalDeps['createJudge']>}
+ */
+const createAgentEvalJudge = (req, agent) => async (prompt) => {
+  const generation = await generatePromptTestOutput({
+    req,
+    endpoint: agent.provider,
+    model: agent.model,
+    text: prompt,
+    db: { getUserKey: db.getUserKey, getUserKeyValues: db.getUserKeyValues },
+  });
+  await db
+    .spendTokens(
+      {
+        model: agent.model,
+        context: 'agent_eval',
+        balance: getBalanceConfig(req.config),
+        transactions: getTransactionsConfig(req.config),
+        user: req.user.id,
+        endpointTokenConfig: generation.endpointTokenConfig,
+      },
+      {
+        promptTokens: generation.promptTokens,
+        completionTokens: generation.completionTokens,
+      },
+    )
+    .catch((error) => {
+      logger.error('[agentEvals] Failed to record judge usage', error);
+    });
+  return generation.text;
+};
+
+const agentEvalHandlers = createAgentEvalHandlers({
+  getAgentEvalCases: db.getAgentEvalCases,
+  countAgentEvalCases: db.countAgentEvalCases,
+  createAgentEvalCase: db.createAgentEvalCase,
+  updateAgentEvalCase: db.updateAgentEvalCase,
+  deleteAgentEvalCase: db.deleteAgentEvalCase,
+  createAgentEvalRun: db.createAgentEvalRun,
+  getAgentEvalRun: db.getAgentEvalRun,
+  getAgentEvalRuns: db.getAgentEvalRuns,
+  findActiveAgentEvalRun: db.findActiveAgentEvalRun,
+  updateAgentEvalRun: db.updateAgentEvalRun,
+  pruneOldAgentEvalRuns: db.pruneOldAgentEvalRuns,
+  getAgent: db.getAgent,
+  runTurn: runAgentEvalTurn,
+  createJudge: createAgentEvalJudge,
+});
+
+module.exports = {
+  agentEvalHandlers,
+  runAgentEvalTurn,
+};
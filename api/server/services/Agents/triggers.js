@@ -1,4 +1,5 @@
 const {
+  createAgentScheduler,
   createAgentTriggerService,
   createSubagentCompletionWakeupResolver,
   GenerationJobManager,
@@ -14,9 +15,32 @@ const service = createAgentTriggerService({
   }),
 });
 
+const scheduler = createAgentScheduler({
+  methods,
+  enqueue: service.enqueue,
+  getContinueParentMessageId: async (schedule) => {
+    const [latest] = await methods.getMessages(
+      { conversationId: schedule.conversationId, user: String(schedule.user) },
+      'messageId',
+      { sort: { createdAt: -1 }, limit: 1 },
+    );
+    return latest?.messageId;
+  },
+});
+
+/**
+ * Starts durable delivery, then the schedule producer that feeds it.
+ * @param {Parameters<typeof service.initialize>[0]} options
+ */
+async function initializeAgentTriggerService(options) {
+  await service.initialize(options);
+  scheduler.start();
+}
+
 module.exports = {
-  initializeAgentTriggerService: service.initialize,
+  initializeAgentTriggerService,
   stopAgentTriggerService: service.stop,
+  stopAgentScheduler: scheduler.stop,
   dispatchAgentTrigger: service.dispatch,
   enqueueAgentTrigger: service.enqueue,
   getAgentTriggerDelivery: service.getDelivery,
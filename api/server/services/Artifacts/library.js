@@ -0,0 +1,113 @@
+const {
+  checkAccess,
+  findAllArtifacts,
+  createArtifactLibrary,
+  createArtifactsHandlers,
+  formatArtifactReferences,
+} = require('@librechat/api');
+const { logger, isValidObjectIdString } = require('@librechat/data-schemas');
+const { PermissionTypes, Permissions } = require('librechat-data-provider');
+const {
+  grantPermission,
+  hasPublicPermission,
+  getEffectivePermissions,
+  findAccessibleResources,
+  findPubliclyAccessibleResources,
+} = require('~/server/services/PermissionService');
+const db = require('~/models');
+
+const deps = {
+  createArtifact: db.createArtifact,
+  findConversationArtifact: db.findConversationArtifact,
+  addArtifactVersion: db.addArtifactVersion,
+  getArtifactById: db.getArtifactById,
+  listArtifactsByAccess: db.listArtifactsByAccess,
+  listArtifactVersions: db.listArtifactVersions,
+  getArtifactVersion: db.getArtifactVersion,
+  getLatestArtifactVersion: db.getLatestArtifactVersion,
+  linkArtifactConversation: db.linkArtifactConversation,
+  unlinkArtifactConversation: db.unlinkArtifactConversation,
+  deleteArtifact: db.deleteArtifact,
+  findAccessibleResources,
+  findPubliclyAccessibleResources,
+  hasPublicPermission,
+  grantPermission,
+  getEffectivePermissions,
+  isValidObjectIdString,
+};
+
+const { syncMessageArtifacts, resolveArtifactReferences } = createArtifactLibrary(deps);
+
+/**
+ * @param {ServerRequest} req
+ * @returns {Promise<boolean>} Whether the user's role can use the artifact library.
+ */
+const canUseArtifactLibrary = (req) =>
+  checkAccess({
+    user: req.user,
+    permissionType: PermissionTypes.ARTIFACTS,
+    permissions: [Permissions.USE],
+    getRoleByName: db.getRoleByName,
+  });
+
+/**
+ * Adds the artifacts of a saved message to the user's library. Temporary chats are not kept,
+ * and failures are only logged so they never affect the message itself.
+ * @param {ServerRequest} req
+ * @param {TMessage} message
+ * @param {'message' | 'edit'} [source='message']
+ * @returns {Promise<void>}
+ */
+async function saveMessageArtifacts(req, message, source = 'message') {
+  if (req.body?.isTemporary || !message?.conversationId || !message.messageId) {
+    return;
+  }
+  if (findAllArtifacts(message).length === 0) {
+    return;
+  }
+  try {
+    if (!(await canUseArtifactLibrary(req))) {
+      return;
+    }
+    await syncMessageArtifacts({
+      user: req.user,
+      conversationId: message.conversationId,
+      messageId: message.messageId,
+      message,
+      source,
+    });
+  } catch (error) {
+    logger.error(
+      `[saveMessageArtifacts] Failed to save artifacts of message ${message.messageId}:`,
+      error,
+    );
+  }
+}
+
+/**
+ * Context for the library artifacts a user message refers to.
+ * @param {ServerRequest} req
+ * @param {{ conversationId?: string; artifactIds: unknown }} params
+ * @returns {Promise<string | undefined>}
+ */
+async function getArtifactReferenceContext(req, { conversationId, artifactIds }) {
+  if (!Array.isArray(artifactIds) || artifactIds.length === 0) {
+    return;
+  }
+  if (!(await canUseArtifactLibrary(req))) {
+    return;
+  }
+  const references = await resolveArtifactReferences({
+    user: req.user,
+    conversationId,
+    artifactIds,
+  });
+  return formatArtifactReferences(references) || undefined;
+}
+
+/** Shared by the `/api/artifacts` routes, message saving and the agents client. */
+module.exports = {
+  artifactHandlers: createArtifactsHandlers(deps),
+  saveMessageArtifacts,
+  getArtifactReferenceContext,
+};
@@ -11,6 +11,7 @@ const { ErrorTypes, SystemRoles, errorsToString } = require('librechat-data-prov
 const {
   math,
   isEnabled,
+  removePorts,
   checkEmailConfig,
   setCloudFrontCookies,
   getCloudFrontConfig,
@@ -643,6 +644,22 @@ const setCloudFrontAuthCookies = (req, res, user, options = {}) => {
   return cookiesSet;
 };
 
+/**
+ * Device details stored on the session so the user can recognize it in their session list.
+ * @param {ServerRequest | null} req
+ * @returns {import('@librechat/data-schemas').SessionClientInfo | undefined}
+ */
+const getSessionClientInfo = (req) => {
+  if (!req) {
+    return undefined;
+  }
+  const userAgent = req.headers?.['user-agent'];
+  return {
+    userAgent: typeof userAgent === 'string' ? userAgent : undefined,
+    ip: removePorts(req),
+  };
+};
+
 /**
  * Set Auth Tokens
  * @param {String | ObjectId} userId
@@ -657,12 +674,13 @@ const setAuthTokens = async (userId, res, _session = null, req = null) => {
     let refreshToken;
     let refreshTokenExpires;
     const expiresIn = math(process.env.REFRESH_TOKEN_EXPIRY, DEFAULT_REFRESH_TOKEN_EXPIRY);
+    const client = getSessionClientInfo(req);
 
     if (session && session._id && session.expiration != null) {
       refreshTokenExpires = session.expiration.getTime();
-      refreshToken = await generateRefreshToken(session);
+      refreshToken = await generateRefreshToken(session, client);
     } else {
-      const result = await createSession(userId, { expiresIn });
+      const result = await createSession(userId, { expiresIn, client });
       session = result.session;
       refreshToken = result.refreshToken;
       refreshTokenExpires = session.expiration.getTime();
@@ -21,6 +21,7 @@ jest.mock(
   '@librechat/api',
   () => ({
     isEnabled: jest.fn((val) => val === 'true' || val === true),
+    removePorts: jest.fn((req) => req?.ip),
     checkEmailConfig: jest.fn(),
     isEmailDomainAllowed: jest.fn(),
     math: jest.fn((val, fallback) => (val ? Number(val) : fallback)),
@@ -1332,6 +1333,36 @@ describe('CloudFront cookie integration', () => {
 
       expect(result).toBe('mock-access-token');
     });
+
+    it('records the client device on a new session', async () => {
+      const res = mockResponse();
+      const req = {
+        ...mockRequest(),
+        ip: '203.0.113.7',
+        headers: { 'user-agent': 'Mozilla/5.0 Firefox/128.0' },
+      };
+
+      await setAuthTokens('user-123', res, null, req);
+
+      expect(createSession).toHaveBeenCalledWith('user-123', {
+        expiresIn: expect.any(Number),
+        client: { userAgent: 'Mozilla/5.0 Firefox/128.0', ip: '203.0.113.7' },
+      });
+    });
+
+    it('marks an existing session as used on refresh', async () => {
+      const res = mockResponse();
+      const req = { ...mockRequest(), ip: '198.51.100.2', headers: {} };
+      const session = { _id: 'session-1', expiration: new Date(Date.now() + 60_000) };
+
+      await setAuthTokens('user-123', res, session, req);
+
+      expect(createSession).not.toHaveBeenCalled();
+      expect(generateRefreshToken).toHaveBeenCalledWith(session, {
+        userAgent: undefined,
+        ip: '198.51.100.2',
+      });
+    });
   });
 });
 
@@ -5,6 +5,8 @@ const {
   createConcurrencyLimiter,
   loadSkillStates,
   initializeAgent,
+  initializeFallbackAgent,
+  resolveModelFallbacks,
   primeInvokedSkillsForProfiles,
   validateAgentModel,
   extractManualSkills,
@@ -1297,6 +1299,30 @@ const initializeClient = async ({
     }
   }
 
+  /** Failover chain for the primary agent's model. Steps are only initialized
+   *  when reached, so an unused chain costs nothing per request. */
+  const modelFallbacks = resolveModelFallbacks({
+    appConfig,
+    modelSpec: selectedModelSpec,
+    endpoint: primaryConfig.endpoint,
+    model: primaryConfig.model,
+  });
+  const initializeFallback =
+    modelFallbacks.length > 0
+      ? (agent, fallback) =>
+          initializeFallbackAgent(
+            {
+              req,
+              agent,
+              fallback,
+              allowedProviders: isAgentsEndpoint(endpointOption.endpoint)
+                ? allowedProviders
+                : undefined,
+            },
+            { getUserKey: db.getUserKey, getUserKeyValues: db.getUserKeyValues },
+          )
+      : undefined;
+
   const sender = resolveSender({
     agent: primaryConfig,
     specLabel: selectedModelSpec?.label,
@@ -1411,6 +1437,8 @@ const initializeClient = async ({
     toolInputValidationErrors,
     jobCreatedAt,
     checkpointNamespace,
+    modelFallbacks,
+    initializeFallback,
   });
 
   if (streamId) {
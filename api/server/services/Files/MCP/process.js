@@ -0,0 +1,229 @@
+const fs = require('fs');
+const path = require('path');
+const { v4 } = require('uuid');
+const { logger } = require('@librechat/data-schemas');
+const { createSafeUser, getUserMCPAuthMap } = require('@librechat/api');
+const {
+  megabyte,
+  FileContext,
+  FileSources,
+  removeNullishValues,
+  documentParserMimeTypes,
+} = require('librechat-data-provider');
+const { readMCPServerResource } = require('~/server/services/Tools/mcp');
+const { getStrategyFunctions } = require('~/server/services/Files/strategies');
+const { getRetentionExpiry } = require('~/server/services/Files/retention');
+const { resolveAllMcpConfigs } = require('~/server/services/MCP');
+const { getMCPManager } = require('~/config');
+const db = require('~/models');
+
+/** Same ceiling as extracted text from uploaded context files. */
+const MAX_RESOURCE_TEXT_BYTES = 15 * megabyte;
+
+/**
+ * Converts `resources/read` contents to file context text. Text contents (and blobs with a
+ * textual MIME type) are used as-is; binary documents go through the built-in document parser,
+ * and any other binary content is skipped.
+ * @param {object} params
+ * @param {ServerRequest} params.req
+ * @param {string} params.filename
+ * @param {import('@librechat/api').MCPResourceContents} params.contents
+ * @returns {Promise<{ text: string, type?: string }>}
+ */
+async function resolveResourceText({ req, filename, contents }) {
+  const blocks = contents.text ? [contents.text] : [];
+  let type = contents.mimeType;
+
+  for (const { mimeType, blob } of contents.blobs) {
+    if (!mimeType || !documentParserMimeTypes.some((regex) => regex.test(mimeType))) {
+      continue;
+    }
+    const outputPath = path.join(req.config.paths.uploads, 'temp', req.user.id);
+    const filepath = path.join(outputPath, `${v4()}-mcp-resource`);
+    try {
+      await fs.promises.mkdir(outputPath, { recursive: true });
+      const buffer = Buffer.from(blob, 'base64');
+      await fs.promises.writeFile(filepath, buffer);
+      const { handleFileUpload } = getStrategyFunctions(FileSources.document_parser);
+      const { text } = await handleFileUpload({
+        req,
+        file: { path: filepath, size: buffer.length, mimetype: mimeType, originalname: filename },
+      });
+      if (text) {
+        blocks.push(text);
+        type ??= mimeType;
+      }
+    } catch (error) {
+      logger.warn(`[MCP Resources] Could not parse ${mimeType} content of "${filename}":`, error);
+    } finally {
+      await fs.promises.unlink(filepath).catch(() => {});
+    }
+  }
+
+  return { text: blocks.join('\n\n'), type };
+}
+
+/**
+ * Loads the user's custom variables for a server, when it declares any.
+ * @param {string} userId
+ * @param {string} serverName
+ * @param {import('@librechat/api').ParsedServerConfig} serverConfig
+ * @returns {Promise<Record<string, Record<string, string>> | undefined>}
+ */
+async function loadUserMCPAuthMap(userId, serverName, serverConfig) {
+  if (!serverConfig.customUserVars || typeof serverConfig.customUserVars !== 'object') {
+    return undefined;
+  }
+  return await getUserMCPAuthMap({
+    userId,
+    servers: [serverName],
+    findPluginAuthsByKeys: db.findPluginAuthsByKeys,
+  });
+}
+
+/**
+ * Reads an MCP server resource and stores its text as an `mcp`-source message attachment,
+ * the same shape as extracted-text uploads, so it reaches the model as file context.
+ * @param {object} params
+ * @param {ServerRequest} params.req
+ * @param {string} params.serverName
+ * @param {import('@librechat/api').ParsedServerConfig} params.serverConfig
+ * @param {string} params.uri
+ * @param {string} [params.name] - Display name of the resource; defaults to its URI.
+ * @param {boolean} [params.subscribe] - Refresh the attachment on later turns when it changes.
+ * @returns {Promise<{ oauthRequired: true } | { oauthRequired: false, missingUserVars: string[] } | { oauthRequired: false, file: MongoFile | null, reason?: string }>}
+ */
+async function createMCPResourceFile({ req, serverName, serverConfig, uri, name, subscribe }) {
+  const user = createSafeUser(req.user);
+  const result = await readMCPServerResource({
+    user,
+    serverName,
+    serverConfig,
+    uri,
+    subscribe: subscribe === true,
+    userMCPAuthMap: await loadUserMCPAuthMap(user.id, serverName, serverConfig),
+  });
+  if (result.oauthRequired || result.missingUserVars) {
+    return result;
+  }
+
+  const filename = name?.trim() || uri;
+  const { text, type } = await resolveResourceText({ req, filename, contents: result });
+  if (!text.trim()) {
+    return {
+      oauthRequired: false,
+      file: null,
+      reason: `MCP resource "${filename}" has no text content that can be attached`,
+    };
+  }
+
+  const bytes = Buffer.byteLength(text, 'utf8');
+  if (bytes > MAX_RESOURCE_TEXT_BYTES) {
+    return {
+      oauthRequired: false,
+      file: null,
+      reason: `MCP resource "${filename}" exceeds the 15MB storage limit (${Math.round(bytes / megabyte)}MB)`,
+    };
+  }
+
+  const retentionExpiry = await getRetentionExpiry(req);
+  const fileInfo = {
+    ...removeNullishValues({
+      text,
+      bytes,
+      file_id: v4(),
+      user: req.user.id,
+      type: type ?? 'text/plain',
+      filepath: uri,
+      source: FileSources.mcp,
+      filename,
+      context: FileContext.message_attachment,
+      tenantId: req.user.tenantId,
+    }),
+    metadata: { mcpResource: { serverName, uri, subscribed: result.subscribed } },
+    ...retentionExpiry,
+  };
+
+  const file = await db.createFile(fileInfo, true);
+  return { oauthRequired: false, file };
+}
+
+/**
+ * Re-reads subscribed MCP resource attachments before their text is used as context, unless
+ * the server's subscription shows them unchanged since the last read. Updates the stored
+ * record and the passed file objects in place; on any failure the previous text is kept.
+ * @param {object} params
+ * @param {ServerRequest} params.req
+ * @param {MongoFile[]} [params.files]
+ * @returns {Promise<void>}
+ */
+async function refreshMCPResourceFiles({ req, files }) {
+  const userId = req?.user?.id;
+  const subscribedFiles = (files ?? []).filter(
+    (file) =>
+      file?.source === FileSources.mcp &&
+      file.metadata?.mcpResource?.subscribed === true &&
+      String(file.user) === userId,
+  );
+  if (!userId || subscribedFiles.length === 0) {
+    return;
+  }
+
+  const mcpManager = getMCPManager();
+  /** @type {Promise<Record<string, import('@librechat/api').ParsedServerConfig>> | undefined} */
+  let mcpConfigPromise;
+
+  await Promise.all(
+    subscribedFiles.map(async (file) => {
+      const { serverName, uri } = file.metadata.mcpResource;
+      try {
+        if (await mcpManager.isResourceCurrent(userId, serverName, uri)) {
+          return;
+        }
+        mcpConfigPromise ??= resolveAllMcpConfigs(userId, req.user);
+        const serverConfig = (await mcpConfigPromise)?.[serverName];
+        if (!serverConfig) {
+          return;
+        }
+
+        const user = createSafeUser(req.user);
+        const result = await readMCPServerResource({
+          user,
+          serverName,
+          serverConfig,
+          uri,
+          subscribe: true,
+          userMCPAuthMap: await loadUserMCPAuthMap(userId, serverName, serverConfig),
+        });
+        if (result.oauthRequired || result.missingUserVars) {
+          return;
+        }
+
+        const { text } = await resolveResourceText({
+          req,
+          filename: file.filename,
+          contents: result,
+        });
+        const bytes = Buffer.byteLength(text, 'utf8');
+        if (!text.trim() || bytes > MAX_RESOURCE_TEXT_BYTES || text === file.text) {
+          return;
+        }
+
+        await db.updateFile({ file_id: file.file_id, text, bytes });
+        file.text = text;
+        file.bytes = bytes;
+        logger.debug(`[MCP Resources] Refreshed "${file.filename}" from ${serverName}`);
+      } catch (error) {
+        logger.warn(
+          `[MCP Resources] Failed to refresh "${file.filename}" from ${serverName}; using stored text`,
+          error,
+        );
+      }
+    }),
+  );
+}
+
+module.exports = {
+  createMCPResourceFile,
+  refreshMCPResourceFiles,
+};
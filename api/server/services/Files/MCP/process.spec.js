@@ -0,0 +1,189 @@
+const { FileSources, FileContext } = require('librechat-data-provider');
+
+const mockReadMCPServerResource = jest.fn();
+const mockIsResourceCurrent = jest.fn();
+const mockResolveAllMcpConfigs = jest.fn();
+const mockParseDocument = jest.fn();
+
+jest.mock('@librechat/data-schemas', () => ({
+  logger: { debug: jest.fn(), warn: jest.fn(), error: jest.fn() },
+}));
+
+jest.mock('@librechat/api', () => ({
+  createSafeUser: jest.fn((user) => ({ id: user.id })),
+  getUserMCPAuthMap: jest.fn().mockResolvedValue({}),
+}));
+
+jest.mock('~/server/services/Tools/mcp', () => ({
+  readMCPServerResource: (...args) => mockReadMCPServerResource(...args),
+}));
+
+jest.mock('~/server/services/Files/strategies', () => ({
+  getStrategyFunctions: jest.fn(() => ({ handleFileUpload: mockParseDocument })),
+}));
+
+jest.mock('~/server/services/Files/retention', () => ({
+  getRetentionExpiry: jest.fn().mockResolvedValue({}),
+}));
+
+jest.mock('~/server/services/MCP', () => ({
+  resolveAllMcpConfigs: (...args) => mockResolveAllMcpConfigs(...args),
+}));
+
+jest.mock('~/config', () => ({
+  getMCPManager: jest.fn(() => ({ isResourceCurrent: mockIsResourceCurrent })),
+}));
+
+jest.mock('~/models', () => ({
+  createFile: jest.fn(async (data) => data),
+  updateFile: jest.fn(),
+  findPluginAuthsByKeys: jest.fn(),
+}));
+
+const db = require('~/models');
+const { createMCPResourceFile, refreshMCPResourceFiles } = require('./process');
+
+describe('MCP resource files', () => {
+  const req = {
+    user: { id: 'user-1', tenantId: 'tenant-a' },
+    config: { paths: { uploads: '/tmp/uploads' } },
+  };
+  const serverConfig = { type: 'streamable-http', url: 'https://jira.example.com/mcp' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('createMCPResourceFile', () => {
+    it('stores the resource text as an mcp-source attachment', async () => {
+      mockReadMCPServerResource.mockResolvedValue({
+        oauthRequired: false,
+        text: '# Fix login redirect',
+        mimeType: 'text/markdown',
+        blobs: [],
+        subscribed: true,
+      });
+
+      const result = await createMCPResourceFile({
+        req,
+        serverName: 'jira',
+        serverConfig,
+        uri: 'jira://LC-42',
+        name: 'LC-42',
+        subscribe: true,
+      });
+
+      expect(mockReadMCPServerResource).toHaveBeenCalledWith(
+        expect.objectContaining({ serverName: 'jira', uri: 'jira://LC-42', subscribe: true }),
+      );
+      expect(db.createFile).toHaveBeenCalledWith(
+        expect.objectContaining({
+          text: '# Fix login redirect',
+          bytes: 20,
+          user: 'user-1',
+          tenantId: 'tenant-a',
+          type: 'text/markdown',
+          filename: 'LC-42',
+          filepath: 'jira://LC-42',
+          source: FileSources.mcp,
+          context: FileContext.message_attachment,
+          metadata: { mcpResource: { serverName: 'jira', uri: 'jira://LC-42', subscribed: true } },
+        }),
+        true,
+      );
+      expect(result.file.source).toBe(FileSources.mcp);
+    });
+
+    it('reports resources without usable text instead of creating a file', async () => {
+      mockReadMCPServerResource.mockResolvedValue({
+        oauthRequired: false,
+        text: '',
+        blobs: [{ uri: 'jira://LC-42/logo', mimeType: 'image/png', blob: 'abc' }],
+        subscribed: false,
+      });
+
+      const result = await createMCPResourceFile({
+        req,
+        serverName: 'jira',
+        serverConfig,
+        uri: 'jira://LC-42/logo',
+      });
+
+      expect(result).toEqual({
+        oauthRequired: false,
+        file: null,
+        reason: 'MCP resource "jira://LC-42/logo" has no text content that can be attached',
+      });
+      expect(mockParseDocument).not.toHaveBeenCalled();
+      expect(db.createFile).not.toHaveBeenCalled();
+    });
+
+    it('passes through an OAuth requirement', async () => {
+      mockReadMCPServerResource.mockResolvedValue({ oauthRequired: true });
+
+      const result = await createMCPResourceFile({
+        req,
+        serverName: 'jira',
+        serverConfig,
+        uri: 'jira://LC-42',
+      });
+
+      expect(result).toEqual({ oauthRequired: true });
+      expect(db.createFile).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('refreshMCPResourceFiles', () => {
+    const subscribedFile = () => ({
+      file_id: 'file-1',
+      user: 'user-1',
+      filename: 'LC-42',
+      source: FileSources.mcp,
+      text: 'old text',
+      bytes: 8,
+      metadata: { mcpResource: { serverName: 'jira', uri: 'jira://LC-42', subscribed: true } },
+    });
+
+    it('re-reads a subscribed resource the server reported as changed', async () => {
+      mockIsResourceCurrent.mockResolvedValue(false);
+      mockResolveAllMcpConfigs.mockResolvedValue({ jira: serverConfig });
+      mockReadMCPServerResource.mockResolvedValue({
+        oauthRequired: false,
+        text: 'new text',
+        blobs: [],
+        subscribed: true,
+      });
+      const file = subscribedFile();
+
+      await refreshMCPResourceFiles({ req, files: [file] });
+
+      expect(mockIsResourceCurrent).toHaveBeenCalledWith('user-1', 'jira', 'jira://LC-42');
+      expect(db.updateFile).toHaveBeenCalledWith({ file_id: 'file-1', text: 'new text', bytes: 8 });
+      expect(file.text).toBe('new text');
+    });
+
+    it('keeps current and unsubscribed attachments as stored', async () => {
+      mockIsResourceCurrent.mockResolvedValue(true);
+      const unsubscribed = subscribedFile();
+      unsubscribed.metadata.mcpResource.subscribed = false;
+
+      await refreshMCPResourceFiles({ req, files: [subscribedFile(), unsubscribed] });
+
+      expect(mockIsResourceCurrent).toHaveBeenCalledTimes(1);
+      expect(mockReadMCPServerResource).not.toHaveBeenCalled();
+      expect(db.updateFile).not.toHaveBeenCalled();
+    });
+
+    it('keeps the stored text when the resource cannot be read', async () => {
+      mockIsResourceCurrent.mockResolvedValue(false);
+      mockResolveAllMcpConfigs.mockResolvedValue({ jira: serverConfig });
+      mockReadMCPServerResource.mockRejectedValue(new Error('server offline'));
+      const file = subscribedFile();
+
+      await expect(refreshMCPResourceFiles({ req, files: [file] })).resolves.toBeUndefined();
+
+      expect(file.text).toBe('old text');
+      expect(db.updateFile).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -253,7 +253,7 @@ const processDeleteRequest = async ({ req, files }) => {
       });
     }
 
-    if (source === FileSources.text) {
+    if (source === FileSources.text || source === FileSources.mcp) {
       resolvedFileIds.add(file.file_id);
       continue;
     }
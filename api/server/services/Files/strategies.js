@@ -334,7 +334,7 @@ const getStrategyFunctions = (fileSource) => {
     return vertexMistralOCRStrategy();
   } else if (fileSource === FileSources.document_parser) {
     return documentParserStrategy();
-  } else if (fileSource === FileSources.text) {
+  } else if (fileSource === FileSources.text || fileSource === FileSources.mcp) {
     return localStrategy(); // Text files use local strategy
   } else {
     throw new Error(
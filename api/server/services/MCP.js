@@ -35,6 +35,10 @@ const {
   hasRuntimeUrlPlaceholders,
   containsGraphTokenPlaceholder,
   isOAuthServer,
+  getBalanceConfig,
+  requestMCPElicitation,
+  getTransactionsConfig,
+  createMCPSamplingHandler,
   OpenIDReauthRequiredError,
 } = require('@librechat/api');
 const {
@@ -1007,6 +1011,87 @@ async function createMCPTool({
   });
 }
 
+/**
+ * Handlers for the sampling and elicitation requests a server may send during one tool call.
+ * Sampling needs the request (for endpoint credentials and billing); elicitation needs a
+ * resumable stream the pending form can be delivered on.
+ * @param {object} params
+ * @param {string} params.serverName
+ * @param {import('@librechat/api').ParsedServerConfig} [params.serverConfig]
+ * @param {GraphRunnableConfig} [params.config]
+ * @param {import('@librechat/api').RequestBody} [params.requestBody]
+ * @param {ToolCallChunk} params.toolCall
+ * @param {string | null} [params.streamId]
+ * @param {number} [params.jobCreatedAt]
+ * @returns {import('@librechat/api').MCPServerRequestHandlers}
+ */
+function createServerRequestHandlers({
+  serverName,
+  serverConfig,
+  config,
+  requestBody,
+  toolCall,
+  streamId,
+  jobCreatedAt,
+}) {
+  /** @type {ServerRequest | undefined} */
+  const req = config?.configurable?.req;
+  /** @type {import('@librechat/api').MCPServerRequestHandlers} */
+  const handlers = {};
+
+  if (req && serverConfig?.sampling?.enabled === true) {
+    handlers.createMessage = async (request, signal) => {
+      const appConfig =
+        req.config ??
+        (await getAppConfig({
+          role: req.user?.role,
+          tenantId: req.user?.tenantId,
+          userId: req.user?.id,
+        }));
+      const handler = createMCPSamplingHandler({
+        req,
+        serverName,
+        serverOptions: serverConfig.sampling,
+        config: appConfig?.mcpSettings?.sampling,
+        db,
+        onUsage: ({ model, promptTokens, completionTokens, endpointTokenConfig }) =>
+          db.spendTokens(
+            {
+              model,
+              context: 'mcp_sampling',
+              balance: getBalanceConfig(appConfig),
+              transactions: getTransactionsConfig(appConfig),
+              conversationId: requestBody?.conversationId,
+              messageId: requestBody?.messageId,
+              user: req.user?.id,
+              endpointTokenConfig,
+            },
+            { promptTokens, completionTokens },
+          ),
+      });
+      return await handler(request, signal);
+    };
+  }
+
+  if (streamId) {
+    handlers.elicit = (request, signal) =>
+      requestMCPElicitation(
+        {
+          streamId,
+          jobCreatedAt,
+          serverName,
+          conversationId: requestBody?.conversationId,
+          responseMessageId: requestBody?.messageId,
+          toolCallId: toolCall?.id,
+        },
+        request,
+        signal,
+      );
+  }
+
+  return handlers;
+}
+
 function createToolInstance({
   res,
   mcpPermissionContext,
@@ -1087,6 +1172,7 @@ function createToolInstance({
 
       const customUserVars =
         config?.configurable?.userMCPAuthMap?.[`${Constants.mcp_prefix}${serverName}`];
+      const requestBody = config?.configurable?.requestBody ?? capturedRequestBody;
 
       const result = await mcpManager.callTool({
         serverName,
@@ -1098,7 +1184,7 @@ function createToolInstance({
           signal: derivedSignal,
         },
         user: effectiveUser,
-        requestBody: config?.configurable?.requestBody ?? capturedRequestBody,
+        requestBody,
         requestScopedConnections:
           config?.configurable?.requestScopedConnections ?? capturedRequestScopedConnections,
         customUserVars,
@@ -1114,6 +1200,15 @@ function createToolInstance({
         graphTokenResolver: getGraphApiToken,
         oboTokenResolver: exchangeOboToken,
         oboTrustChecker: createOboTrustChecker(),
+        serverRequestHandlers: createServerRequestHandlers({
+          serverName,
+          serverConfig: capturedServerConfig,
+          config,
+          requestBody,
+          toolCall,
+          streamId,
+          jobCreatedAt,
+        }),
       });
 
       if (isAssistantsEndpoint(provider) && Array.isArray(result)) {
@@ -390,6 +390,128 @@ async function reinitMCPServer({
   }
 }
 
+/**
+ * Resolves an MCP server prompt (`prompts/get`) on the user's connection for that server.
+ * Never waits on an interactive OAuth flow: when one would be needed, reports `oauthRequired`
+ * so the caller can send the user through the normal server connect flow first.
+ * @param {Object} params
+ * @param {IUser} params.user - The user from the request object.
+ * @param {string} params.serverName - The name of the MCP server
+ * @param {import('@librechat/api').ParsedServerConfig} params.serverConfig
+ * @param {string} params.promptName
+ * @param {Record<string, string>} [params.promptArguments]
+ * @param {Record<string, Record<string, string>>} [params.userMCPAuthMap]
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<{ oauthRequired: true } | { oauthRequired: false, missingUserVars: string[] } | { oauthRequired: false, description?: string, content: string }>}
+ */
+async function getMCPServerPrompt({
+  user,
+  signal,
+  serverName,
+  serverConfig,
+  promptName,
+  promptArguments,
+  userMCPAuthMap,
+}) {
+  const customUserVars = userMCPAuthMap?.[`${Constants.mcp_prefix}${serverName}`];
+  const missingUserVars = getMissingCustomUserVars(serverConfig, customUserVars);
+  if (missingUserVars.length > 0) {
+    return { oauthRequired: false, missingUserVars };
+  }
+
+  let oauthRequired = false;
+  try {
+    const { description, content } = await getMCPManager().getPrompt({
+      user,
+      signal,
+      serverName,
+      serverConfig,
+      promptName,
+      promptArguments,
+      customUserVars,
+      flowManager: getFlowStateManager(getLogStores(CacheKeys.FLOWS)),
+      tokenMethods: { findToken, updateToken, createToken, deleteTokens },
+      returnOnOAuth: true,
+      oauthStart: async () => {
+        oauthRequired = true;
+      },
+      graphTokenResolver: getGraphApiToken,
+      oboTokenResolver: exchangeOboToken,
+      oboTrustChecker: createOboTrustChecker(),
+    });
+    return { oauthRequired: false, description, content };
+  } catch (error) {
+    if (oauthRequired) {
+      logger.info(
+        `[MCP Prompts] OAuth required for ${serverName}; prompt ${promptName} not resolved`,
+      );
+      return { oauthRequired: true };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Reads an MCP server resource (`resources/read`) on the user's connection for that server,
+ * optionally subscribing to its update notifications. Like {@link getMCPServerPrompt}, never
+ * waits on an interactive OAuth flow.
+ * @param {Object} params
+ * @param {IUser} params.user - The user from the request object.
+ * @param {string} params.serverName - The name of the MCP server
+ * @param {import('@librechat/api').ParsedServerConfig} params.serverConfig
+ * @param {string} params.uri
+ * @param {boolean} [params.subscribe]
+ * @param {Record<string, Record<string, string>>} [params.userMCPAuthMap]
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<{ oauthRequired: true } | { oauthRequired: false, missingUserVars: string[] } | ({ oauthRequired: false, subscribed: boolean } & import('@librechat/api').MCPResourceContents)>}
+ */
+async function readMCPServerResource({
+  user,
+  signal,
+  serverName,
+  serverConfig,
+  uri,
+  subscribe,
+  userMCPAuthMap,
+}) {
+  const customUserVars = userMCPAuthMap?.[`${Constants.mcp_prefix}${serverName}`];
+  const missingUserVars = getMissingCustomUserVars(serverConfig, customUserVars);
+  if (missingUserVars.length > 0) {
+    return { oauthRequired: false, missingUserVars };
+  }
+
+  let oauthRequired = false;
+  try {
+    const result = await getMCPManager().readResource({
+      user,
+      signal,
+      serverName,
+      serverConfig,
+      uri,
+      subscribe,
+      customUserVars,
+      flowManager: getFlowStateManager(getLogStores(CacheKeys.FLOWS)),
+      tokenMethods: { findToken, updateToken, createToken, deleteTokens },
+      returnOnOAuth: true,
+      oauthStart: async () => {
+        oauthRequired = true;
+      },
+      graphTokenResolver: getGraphApiToken,
+      oboTokenResolver: exchangeOboToken,
+      oboTrustChecker: createOboTrustChecker(),
+    });
+    return { oauthRequired: false, ...result };
+  } catch (error) {
+    if (oauthRequired) {
+      logger.info(`[MCP Resources] OAuth required for ${serverName}; resource ${uri} not read`);
+      return { oauthRequired: true };
+    }
+    throw error;
+  }
+}
+
 module.exports = {
   reinitMCPServer,
+  getMCPServerPrompt,
+  readMCPServerResource,
 };
@@ -1,6 +1,8 @@
 const { Constants } = require('librechat-data-provider');
 
 const mockGetConnection = jest.fn();
+const mockGetPrompt = jest.fn();
+const mockReadResource = jest.fn();
 const mockDiscoverServerTools = jest.fn();
 const mockGetGraphApiToken = jest.fn();
 const mockUpdateMCPServerTools = jest.fn();
@@ -10,6 +12,8 @@ const mockGetToolPublicationGeneration = jest.fn().mockReturnValue('generation-c
 jest.mock('~/config', () => ({
   getMCPManager: jest.fn(() => ({
     getConnection: mockGetConnection,
+    getPrompt: mockGetPrompt,
+    readResource: mockReadResource,
     discoverServerTools: mockDiscoverServerTools,
     getToolPublicationGeneration: mockGetToolPublicationGeneration,
   })),
@@ -33,7 +37,7 @@ jest.mock('~/cache', () => ({
   getLogStores: jest.fn(() => ({})),
 }));
 
-const { reinitMCPServer } = require('./mcp');
+const { reinitMCPServer, getMCPServerPrompt, readMCPServerResource } = require('./mcp');
 
 describe('reinitMCPServer — customUserVars gating (issue #10969)', () => {
   const user = { id: 'user-123' };
@@ -456,3 +460,149 @@ describe('reinitMCPServer — OAuth attempt lifetime', () => {
     });
   });
 });
+
+describe('getMCPServerPrompt', () => {
+  const user = { id: 'user-123' };
+  const serverName = 'tickets';
+  const serverConfig = { type: 'streamable-http', url: 'https://tickets.example.com/mcp' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('resolves the prompt with the user custom variables and without waiting on OAuth', async () => {
+    mockGetPrompt.mockResolvedValue({ description: 'Summarize', content: 'Summarize LC-42' });
+
+    const result = await getMCPServerPrompt({
+      user,
+      serverName,
+      serverConfig: {
+        ...serverConfig,
+        customUserVars: { TICKETS_TOKEN: { title: 'Token', description: '' } },
+      },
+      promptName: 'summarize',
+      promptArguments: { ticket: 'LC-42' },
+      userMCPAuthMap: { [`${Constants.mcp_prefix}${serverName}`]: { TICKETS_TOKEN: 'secret' } },
+    });
+
+    expect(result).toEqual({
+      oauthRequired: false,
+      description: 'Summarize',
+      content: 'Summarize LC-42',
+    });
+    expect(mockGetPrompt).toHaveBeenCalledWith(
+      expect.objectContaining({
+        user,
+        serverName,
+        promptName: 'summarize',
+        promptArguments: { ticket: 'LC-42' },
+        customUserVars: { TICKETS_TOKEN: 'secret' },
+        returnOnOAuth: true,
+        graphTokenResolver: mockGetGraphApiToken,
+      }),
+    );
+  });
+
+  it('reports missing custom user variables without connecting', async () => {
+    const result = await getMCPServerPrompt({
+      user,
+      serverName,
+      serverConfig: {
+        ...serverConfig,
+        customUserVars: { TICKETS_TOKEN: { title: 'Token', description: '' } },
+      },
+      promptName: 'summarize',
+    });
+
+    expect(result).toEqual({ oauthRequired: false, missingUserVars: ['TICKETS_TOKEN'] });
+    expect(mockGetPrompt).not.toHaveBeenCalled();
+  });
+
+  it('reports OAuth as required when the connection starts an OAuth flow', async () => {
+    mockGetPrompt.mockImplementation(async ({ oauthStart }) => {
+      await oauthStart('https://auth.example.com/authorize');
+      throw new Error('OAuth flow initiated - return early');
+    });
+
+    const result = await getMCPServerPrompt({
+      user,
+      serverName,
+      serverConfig,
+      promptName: 'summarize',
+    });
+
+    expect(result).toEqual({ oauthRequired: true });
+  });
+
+  it('rethrows other failures', async () => {
+    mockGetPrompt.mockRejectedValue(new Error('prompt not found'));
+
+    await expect(
+      getMCPServerPrompt({ user, serverName, serverConfig, promptName: 'missing' }),
+    ).rejects.toThrow('prompt not found');
+  });
+});
+
+describe('readMCPServerResource', () => {
+  const user = { id: 'user-123' };
+  const serverName = 'tickets';
+  const serverConfig = { type: 'streamable-http', url: 'https://tickets.example.com/mcp' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('reads the resource with the subscription request and without waiting on OAuth', async () => {
+    mockReadResource.mockResolvedValue({ text: '# LC-42', blobs: [], subscribed: true });
+
+    const result = await readMCPServerResource({
+      user,
+      serverName,
+      serverConfig,
+      uri: 'tickets://LC-42',
+      subscribe: true,
+    });
+
+    expect(result).toEqual({ oauthRequired: false, text: '# LC-42', blobs: [], subscribed: true });
+    expect(mockReadResource).toHaveBeenCalledWith(
+      expect.objectContaining({
+        user,
+        serverName,
+        uri: 'tickets://LC-42',
+        subscribe: true,
+        returnOnOAuth: true,
+      }),
+    );
+  });
+
+  it('reports missing custom user variables without connecting', async () => {
+    const result = await readMCPServerResource({
+      user,
+      serverName,
+      serverConfig: {
+        ...serverConfig,
+        customUserVars: { TICKETS_TOKEN: { title: 'Token', description: '' } },
+      },
+      uri: 'tickets://LC-42',
+    });
+
+    expect(result).toEqual({ oauthRequired: false, missingUserVars: ['TICKETS_TOKEN'] });
+    expect(mockReadResource).not.toHaveBeenCalled();
+  });
+
+  it('reports OAuth as required when the connection starts an OAuth flow', async () => {
+    mockReadResource.mockImplementation(async ({ oauthStart }) => {
+      await oauthStart('https://auth.example.com/authorize');
+      throw new Error('OAuth flow initiated - return early');
+    });
+
+    const result = await readMCPServerResource({
+      user,
+      serverName,
+      serverConfig,
+      uri: 'tickets://LC-42',
+    });
+
+    expect(result).toEqual({ oauthRequired: true });
+  });
+});
@@ -0,0 +1,201 @@
+const { CacheKeys, Time } = require('librechat-data-provider');
+const {
+  isEnabled,
+  readPasskeyChallenge,
+  getPasskeyRelyingParty,
+  generatePasskeyChallenge,
+  PasskeyVerificationError,
+  verifyPasskeyRegistration,
+  verifyPasskeyAuthentication,
+  buildPasskeyRegistrationOptions,
+  buildPasskeyAuthenticationOptions,
+} = require('@librechat/api');
+const {
+  createPasskey,
+  listUserPasskeys,
+  recordPasskeyUse,
+  findPasskeyByCredentialId,
+} = require('~/models');
+const getLogStores = require('~/cache/getLogStores');
+
+/** What an issued challenge may be answered for. */
+const PasskeyPurpose = {
+  REGISTER: 'register',
+  LOGIN: 'login',
+  SECOND_FACTOR: 'second_factor',
+};
+
+const MAX_PASSKEY_NAME_LENGTH = 100;
+
+/**
+ * Passkeys are enabled with `ALLOW_PASSKEYS`, and only alongside email login since they
+ * belong to local accounts.
+ * @returns {boolean}
+ */
+const isPasskeyEnabled = () =>
+  isEnabled(process.env.ALLOW_PASSKEYS) &&
+  (process.env.ALLOW_EMAIL_LOGIN === undefined || isEnabled(process.env.ALLOW_EMAIL_LOGIN));
+
+const challengeKey = (challenge) => `challenge:${challenge}`;
+
+/**
+ * Issues a single-use challenge bound to a purpose and, when known, a user.
+ * @param {string} purpose
+ * @param {string} [userId]
+ * @returns {Promise<string>}
+ */
+const issueChallenge = async (purpose, userId) => {
+  const challenge = generatePasskeyChallenge();
+  const cache = getLogStores(CacheKeys.PASSKEY_CHALLENGES);
+  await cache.set(challengeKey(challenge), { purpose, userId }, Time.FIVE_MINUTES);
+  return challenge;
+};
+
+/**
+ * Consumes the challenge a response was signed for. Deleted on first use, so a response
+ * can't be replayed even by authenticators that don't count signatures; the delete is what
+ * claims it, so of concurrent requests presenting the same response only one succeeds.
+ * @param {object} credential
+ * @param {string} purpose
+ * @param {string} [userId] - Required owner of the challenge, when it was issued for a user.
+ * @returns {Promise<string>} The challenge, to verify the response against.
+ */
+const consumeChallenge = async (credential, purpose, userId) => {
+  const challenge = readPasskeyChallenge(credential);
+  if (!challenge) {
+    throw new PasskeyVerificationError('INVALID_CREDENTIAL', 'Missing passkey challenge');
+  }
+  const cache = getLogStores(CacheKeys.PASSKEY_CHALLENGES);
+  const key = challengeKey(challenge);
+  const entry = await cache.get(key);
+  const claimed = entry ? await cache.delete(key) : false;
+  if (!claimed || entry.purpose !== purpose || (userId != null && entry.userId !== userId)) {
+    throw new PasskeyVerificationError('CLIENT_DATA_MISMATCH', 'Passkey challenge has expired');
+  }
+  return challenge;
+};
+
+/** @param {import('@librechat/data-schemas').IPasskey} passkey */
+const toDescriptor = (passkey) => ({
+  credentialId: passkey.credentialId,
+  transports: passkey.transports,
+});
+
+/**
+ * Creation options for adding a passkey to a signed-in user's account.
+ * @param {import('@librechat/data-schemas').IUser} user
+ */
+const createRegistrationOptions = async (user) => {
+  const userId = user._id.toString();
+  const [passkeys, challenge] = await Promise.all([
+    listUserPasskeys(userId),
+    issueChallenge(PasskeyPurpose.REGISTER, userId),
+  ]);
+  return buildPasskeyRegistrationOptions({
+    relyingParty: getPasskeyRelyingParty(),
+    challenge,
+    user: {
+      id: userId,
+      name: user.email,
+      displayName: user.name || user.username || user.email,
+    },
+    excludeCredentials: passkeys.map(toDescriptor),
+  });
+};
+
+/**
+ * Verifies and stores a passkey created from {@link createRegistrationOptions}.
+ * @param {string} userId
+ * @param {object} credential
+ * @param {string} [name]
+ */
+const registerPasskey = async (userId, credential, name) => {
+  const challenge = await consumeChallenge(credential, PasskeyPurpose.REGISTER, userId);
+  const verified = verifyPasskeyRegistration({
+    credential,
+    expectedChallenge: challenge,
+    relyingParty: getPasskeyRelyingParty(),
+  });
+  if (await findPasskeyByCredentialId(verified.credentialId)) {
+    throw new PasskeyVerificationError('INVALID_CREDENTIAL', 'Passkey is already registered');
+  }
+  const label = typeof name === 'string' ? name.trim().slice(0, MAX_PASSKEY_NAME_LENGTH) : '';
+  return createPasskey({ ...verified, user: userId, name: label || 'Passkey' });
+};
+
+/**
+ * Request options for passwordless login: any discoverable passkey for this site, with user
+ * verification required so the passkey alone covers both factors.
+ */
+const createLoginOptions = async () =>
+  buildPasskeyAuthenticationOptions({
+    relyingParty: getPasskeyRelyingParty(),
+    challenge: await issueChallenge(PasskeyPurpose.LOGIN),
+    userVerification: 'required',
+  });
+
+/**
+ * Request options for using a passkey as the second factor after the password.
+ * @param {string} userId
+ * @returns {Promise<object | null>} `null` when the user has no passkeys.
+ */
+const createSecondFactorOptions = async (userId) => {
+  const passkeys = await listUserPasskeys(userId);
+  if (passkeys.length === 0) {
+    return null;
+  }
+  return buildPasskeyAuthenticationOptions({
+    relyingParty: getPasskeyRelyingParty(),
+    challenge: await issueChallenge(PasskeyPurpose.SECOND_FACTOR, userId),
+    allowCredentials: passkeys.map(toDescriptor),
+    userVerification: 'preferred',
+  });
+};
+
+/**
+ * Verifies a passkey assertion and records the use.
+ * @param {object} credential
+ * @param {{ purpose: string, userId?: string }} params - `userId` restricts the passkey to that user.
+ * @returns {Promise<import('@librechat/data-schemas').IPasskey>} The passkey that signed.
+ */
+const verifyPasskeyAssertion = async (credential, { purpose, userId }) => {
+  const challenge = await consumeChallenge(credential, purpose, userId);
+  const { rawId } = credential;
+  const userHandle = credential.response?.userHandle;
+  if (typeof rawId !== 'string' || (userHandle != null && typeof userHandle !== 'string')) {
+    throw new PasskeyVerificationError('INVALID_CREDENTIAL', 'Not a public key credential');
+  }
+  const passkey = await findPasskeyByCredentialId(rawId);
+  const owner = passkey?.user?.toString();
+  if (
+    !passkey ||
+    (userId != null && owner !== userId) ||
+    (userHandle && Buffer.from(userHandle, 'base64url').toString('utf8') !== owner)
+  ) {
+    throw new PasskeyVerificationError('INVALID_CREDENTIAL', 'Passkey is not registered');
+  }
+
+  const verified = verifyPasskeyAuthentication({
+    credential,
+    expectedChallenge: challenge,
+    relyingParty: getPasskeyRelyingParty(),
+    publicKey: passkey.publicKey,
+    counter: passkey.counter,
+    requireUserVerification: purpose === PasskeyPurpose.LOGIN,
+  });
+  await recordPasskeyUse(passkey._id, {
+    counter: verified.newCounter,
+    backedUp: verified.backedUp,
+  });
+  return passkey;
+};
+
+module.exports = {
+  PasskeyPurpose,
+  isPasskeyEnabled,
+  registerPasskey,
+  createLoginOptions,
+  verifyPasskeyAssertion,
+  createRegistrationOptions,
+  createSecondFactorOptions,
+};
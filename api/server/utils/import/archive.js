@@ -0,0 +1,241 @@
+const { v4: uuidv4 } = require('uuid');
+const { logger, getTenantId } = require('@librechat/data-schemas');
+const { FileContext, checkOpenAIStorage } = require('librechat-data-provider');
+const {
+  sanitizeFilename,
+  checkEmailConfig,
+  TAKEOUT_RETENTION_MS,
+  getStorageMetadata,
+  remapConversationFiles,
+  readConversationArchive,
+} = require('@librechat/api');
+const { getStrategyFunctions } = require('~/server/services/Files/strategies');
+const { getFileStrategy } = require('~/server/utils/getFileStrategy');
+const { createImportBatchBuilder } = require('./importBatchBuilder');
+const { importLibreChatConvo } = require('./importers');
+const { sendEmail } = require('~/server/utils');
+const db = require('~/models');
+
+/**
+ * Opens a stored file for a conversation export through its storage strategy.
+ * Assistants-hosted files need an OpenAI client and are left out of exports.
+ * @param {ServerRequest} req
+ * @param {MongoFile} file
+ * @returns {Promise<import('stream').Readable | null>}
+ */
+async function getArchiveFileStream(req, file) {
+  if (checkOpenAIStorage(file.source)) {
+    return null;
+  }
+  const { getDownloadStream } = getStrategyFunctions(file.source);
+  if (!getDownloadStream) {
+    return null;
+  }
+  return (await getDownloadStream(req, file.storageKey || file.filepath)) ?? null;
+}
+
+/**
+ * Stores a finished conversation export through the configured file strategy.
+ * @param {ServerRequest} req
+ * @param {{ path: string, filename: string, bytes: number }} archive - The archive on local disk.
+ * @returns {Promise<{ filepath: string, source: string }>}
+ */
+async function saveExportArchive(req, archive) {
+  const source = getFileStrategy(req.config);
+  const { handleFileUpload } = getStrategyFunctions(source);
+  if (!handleFileUpload) {
+    throw new Error(`Storage "${source}" does not support file uploads`);
+  }
+  const { filepath } = await handleFileUpload({
+    req,
+    file: {
+      path: archive.path,
+      originalname: archive.filename,
+      mimetype: 'application/zip',
+      size: archive.bytes,
+    },
+    file_id: uuidv4(),
+    basePath: 'uploads',
+  });
+  return { filepath, source };
+}
+
+/**
+ * Deletes a stored conversation export. Expired exports of every user are removed
+ * while another user starts one, so the deletion runs on behalf of the archive's owner.
+ * @param {ServerRequest} req
+ * @param {IExportJob} job
+ */
+async function deleteExportArchive(req, job) {
+  const { deleteFile } = getStrategyFunctions(job.source);
+  if (!deleteFile) {
+    return;
+  }
+  const owner = { id: job.user, tenantId: job.tenantId };
+  await deleteFile(
+    { config: req.config, user: owner },
+    { filepath: job.filepath, source: job.source, user: job.user, tenantId: job.tenantId },
+  );
+}
+
+/**
+ * Emails the user that their conversation export is ready, when email is configured.
+ * @param {ServerRequest} req
+ * @param {TConversationExportJob} job
+ */
+async function notifyExportReady(req, job) {
+  if (!checkEmailConfig() || !req.user?.email) {
+    return;
+  }
+  await sendEmail({
+    email: req.user.email,
+    subject: 'Your conversation export is ready',
+    payload: {
+      appName: process.env.APP_TITLE || 'LibreChat',
+      name: req.user.name || req.user.username || req.user.email,
+      link: process.env.DOMAIN_CLIENT,
+      conversationCount: String(job.conversationCount),
+      fileCount: String(job.fileCount),
+      year: new Date().getFullYear(),
+    },
+    template: 'conversationExportReady.handlebars',
+  });
+}
+
+/**
+ * Emails the user that the export of their personal data is ready, when email is configured.
+ * @param {ServerRequest} req
+ * @param {TDataTakeoutJob} job
+ */
+async function notifyTakeoutReady(req, job) {
+  if (!checkEmailConfig() || !req.user?.email) {
+    return;
+  }
+  await sendEmail({
+    email: req.user.email,
+    subject: 'Your data export is ready',
+    payload: {
+      appName: process.env.APP_TITLE || 'LibreChat',
+      name: req.user.name || req.user.username || req.user.email,
+      link: process.env.DOMAIN_CLIENT,
+      conversationCount: String(job.counts.conversations),
+      fileCount: String(job.counts.files),
+      retentionDays: String(Math.round(TAKEOUT_RETENTION_MS / (24 * 60 * 60 * 1000))),
+      year: new Date().getFullYear(),
+    },
+    template: 'dataTakeoutReady.handlebars',
+  });
+}
+
+/**
+ * Stores a file from an archive as a new file owned by the importing user.
+ * @param {object} params
+ * @param {ExportedFile} params.file
+ * @param {Buffer} params.buffer
+ * @param {string} params.requestUserId
+ * @param {AppConfig} params.appConfig
+ * @returns {Promise<{ file_id: string, filepath: string, source: string } | null>}
+ */
+async function saveArchivedFile({ file, buffer, requestUserId, appConfig }) {
+  const isImage = typeof file.type === 'string' && file.type.startsWith('image/');
+  const source = getFileStrategy(appConfig, { isImage, context: FileContext.message_attachment });
+  const { saveBuffer } = getStrategyFunctions(source);
+  if (!saveBuffer) {
+    logger.warn(`[importConversationArchive] Storage "${source}" does not support file writes`);
+    return null;
+  }
+
+  const tenantId = getTenantId();
+  const file_id = uuidv4();
+  const filename = sanitizeFilename(file.filename || 'file');
+  const filepath = await saveBuffer({
+    userId: requestUserId,
+    buffer,
+    fileName: `${file_id}__${filename}`,
+    basePath: isImage ? 'images' : 'uploads',
+    tenantId,
+  });
+  await db.createFile(
+    {
+      user: requestUserId,
+      file_id,
+      bytes: buffer.length,
+      filepath,
+      ...getStorageMetadata({ filepath, source }),
+      filename: file.filename || filename,
+      context: FileContext.message_attachment,
+      source,
+      type: file.type,
+      width: file.width,
+      height: file.height,
+      tenantId,
+    },
+    true,
+  );
+  return { file_id, filepath, source };
+}
+
+/**
+ * Imports a ZIP written by the conversation export. Each bundled file is stored once
+ * and messages are pointed at the new copies before the conversation is imported.
+ * @param {object} params
+ * @param {Buffer} params.buffer - The archive contents.
+ * @param {number} params.maxBytes - Cap on the archive's decompressed size.
+ * @param {string} params.requestUserId
+ * @param {string} [params.userRole]
+ * @param {AppConfig} params.appConfig
+ * @param {Function} [params.builderFactory]
+ * @returns {Promise<void>}
+ */
+async function importConversationArchive({
+  buffer,
+  maxBytes,
+  requestUserId,
+  userRole,
+  appConfig,
+  builderFactory = createImportBatchBuilder,
+}) {
+  const { conversations, readFile } = await readConversationArchive(buffer, maxBytes);
+  /** @type {Map<string, { file_id: string, filepath: string, source: string }>} */
+  const fileMap = new Map();
+
+  for (const exported of conversations) {
+    for (const file of exported.files ?? []) {
+      if (fileMap.has(file.file_id)) {
+        continue;
+      }
+      try {
+        const data = await readFile(file);
+        const imported = data
+          ? await saveArchivedFile({ file, buffer: data, requestUserId, appConfig })
+          : null;
+        if (imported) {
+          fileMap.set(file.file_id, imported);
+        }
+      } catch (error) {
+        logger.error(
+          `user: ${requestUserId} | Failed to import file ${file.file_id} from archive`,
+          error,
+        );
+      }
+    }
+    await importLibreChatConvo(
+      remapConversationFiles(exported, fileMap),
+      requestUserId,
+      builderFactory,
+      userRole,
+    );
+  }
+  logger.info(
+    `user: ${requestUserId} | Imported ${conversations.length} conversation(s) and ${fileMap.size} file(s) from archive`,
+  );
+}
+
+module.exports = {
+  saveExportArchive,
+  notifyExportReady,
+  deleteExportArchive,
+  notifyTakeoutReady,
+  getArchiveFileStream,
+  importConversationArchive,
+};
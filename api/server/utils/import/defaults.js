@@ -1,5 +1,10 @@
 const { logger, getTenantId } = require('@librechat/data-schemas');
-const { EModelEndpoint, openAISettings, anthropicSettings } = require('librechat-data-provider');
+const {
+  EModelEndpoint,
+  googleSettings,
+  openAISettings,
+  anthropicSettings,
+} = require('librechat-data-provider');
 const { getModelsConfig } = require('~/server/controllers/ModelController');
 
 /**
@@ -9,6 +14,7 @@ const { getModelsConfig } = require('~/server/controllers/ModelController');
 const FALLBACK_MODEL_BY_ENDPOINT = {
   [EModelEndpoint.openAI]: openAISettings.model.default,
   [EModelEndpoint.anthropic]: anthropicSettings.model.default,
+  [EModelEndpoint.google]: googleSettings.model.default,
 };
 
 /**
@@ -1,47 +1,152 @@
 const fs = require('fs').promises;
-const { resolveImportMaxFileSize } = require('@librechat/api');
 const { logger } = require('@librechat/data-schemas');
-const { getImporter } = require('./importers');
+const {
+  isZipArchive,
+  isJsonArrayFile,
+  readJsonArrayFile,
+  resolveImportMaxFileSize,
+} = require('@librechat/api');
+const { getImporter, isGeminiActivity } = require('./importers');
+const { importConversationArchive } = require('./archive');
 const { createImportBatchBuilder } = require('./importBatchBuilder');
+const { getAppConfig } = require('~/server/services/Config');
 
 const maxFileSize = resolveImportMaxFileSize();
 
 /**
- * Job definition for importing a conversation.
- * @param {{ filepath: string, requestUserId: string, userRole?: string, interfaceConfig?: object }} job
+ * Parses JSON exports; other text (e.g. a Markdown transcript) is returned as-is for `getImporter`.
+ * @param {string} text
+ * @returns {object | string}
  */
-const importConversations = async (job) => {
-  const { filepath, requestUserId, userRole, interfaceConfig } = job;
+function parseImportData(text) {
   try {
-    logger.debug(`user: ${requestUserId} | Importing conversation(s) from file...`);
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+/**
+ * @param {unknown} entry - An entry of an exported conversation list.
+ * @returns {string | undefined}
+ */
+function getEntryTitle(entry) {
+  const title = entry?.title ?? entry?.name;
+  return typeof title === 'string' && title ? title.slice(0, 200) : undefined;
+}
 
-    const fileInfo = await fs.stat(filepath);
-    if (fileInfo.size > maxFileSize) {
-      throw new Error(
-        `File size is ${fileInfo.size} bytes. It exceeds the maximum limit of ${maxFileSize} bytes.`,
-      );
+/**
+ * Imports a JSON array one conversation at a time, reporting each entry as it is saved.
+ * Resumed jobs skip the entries they already handled.
+ * @param {IImportJob} job
+ * @param {ConversationImportReporter} reporter
+ * @param {object} params
+ * @param {Function} params.builderFactory
+ * @param {() => number} params.takeImportedCount - Conversations saved since the last call.
+ * @returns {Promise<boolean>} `false` when the array has to be imported as a whole instead.
+ */
+async function importJsonArrayEntries(job, reporter, { builderFactory, takeImportedCount }) {
+  const { filepath, user: requestUserId, userRole } = job;
+  for await (const entry of readJsonArrayFile(filepath, { skip: job.processedCount })) {
+    if (entry.error != null) {
+      await reporter.failed(entry.index, `Invalid JSON: ${entry.error}`);
+      continue;
+    }
+    /** Gemini activity has one entry per prompt; prompts are grouped into conversations later. */
+    if (entry.index === 0 && isGeminiActivity(entry.value)) {
+      return false;
     }
 
-    const fileData = await fs.readFile(filepath, 'utf8');
-    const jsonData = JSON.parse(fileData);
-    const importer = getImporter(jsonData);
-    await importer(
-      jsonData,
-      requestUserId,
-      (userId) => createImportBatchBuilder(userId, interfaceConfig),
-      userRole,
-    );
-    logger.debug(`user: ${requestUserId} | Finished importing conversations`);
-  } catch (error) {
-    logger.error(`user: ${requestUserId} | Failed to import conversation: `, error);
-    throw error; // throw error all the way up so request does not return success
-  } finally {
+    const title = getEntryTitle(entry.value);
+    let importer;
     try {
-      await fs.unlink(filepath);
+      importer = getImporter([entry.value]);
     } catch (error) {
-      logger.error(`user: ${requestUserId} | Failed to delete file: ${filepath}`, error);
+      /** An unknown first entry means the file is not a supported export at all. */
+      if (entry.index === 0) {
+        throw error;
+      }
+      await reporter.skipped(entry.index, 'Unsupported conversation format', title);
+      continue;
+    }
+
+    let error;
+    try {
+      await importer([entry.value], requestUserId, builderFactory, userRole);
+    } catch (importError) {
+      error = importError;
     }
+    const importedCount = takeImportedCount();
+    if (error) {
+      await reporter.failed(entry.index, error.message || 'Import failed', title);
+    } else {
+      await reporter.imported(entry.index, importedCount);
+    }
+  }
+  return true;
+}
+
+/**
+ * Processes a conversation import job. JSON arrays (ChatGPT, Claude and Open WebUI exports) are
+ * streamed and saved one conversation at a time, so large exports never sit in memory whole and
+ * a resumed job continues after the last saved conversation. Other files (single conversations,
+ * Markdown transcripts, Gemini activity and ZIP archives) are imported in one step.
+ * @param {IImportJob} job
+ * @param {ConversationImportReporter} reporter
+ */
+const importConversations = async (job, reporter) => {
+  const { filepath, user: requestUserId, userRole, tenantId } = job;
+  logger.debug(`user: ${requestUserId} | Importing conversation(s) from file...`);
+
+  const fileInfo = await fs.stat(filepath);
+  if (fileInfo.size > maxFileSize) {
+    throw new Error(
+      `File size is ${fileInfo.size} bytes. It exceeds the maximum limit of ${maxFileSize} bytes.`,
+    );
+  }
+
+  const appConfig = await getAppConfig({ role: userRole, tenantId });
+  /** @type {ImportBatchBuilder[]} */
+  const builders = [];
+  const builderFactory = (userId) => {
+    const builder = createImportBatchBuilder(userId, appConfig?.interfaceConfig);
+    builders.push(builder);
+    return builder;
+  };
+  const takeImportedCount = () =>
+    builders.splice(0).reduce((count, builder) => count + builder.conversations.length, 0);
+
+  if (
+    (await isJsonArrayFile(filepath)) &&
+    (await importJsonArrayEntries(job, reporter, { builderFactory, takeImportedCount }))
+  ) {
+    logger.debug(`user: ${requestUserId} | Finished importing conversations`);
+    return;
+  }
+
+  if (job.processedCount > 0 || job.attempts > 1) {
+    /** Part of the file may already be saved; importing it again would duplicate conversations. */
+    throw new Error('The import was interrupted before it finished');
+  }
+
+  const fileData = await fs.readFile(filepath);
+  if (isZipArchive(fileData)) {
+    await importConversationArchive({
+      buffer: fileData,
+      /** Archives are compressed; allow their contents to expand past the upload limit. */
+      maxBytes: maxFileSize * 2,
+      requestUserId,
+      userRole,
+      appConfig,
+      builderFactory,
+    });
+  } else {
+    const importData = parseImportData(fileData.toString('utf8'));
+    const importer = getImporter(importData);
+    await importer(importData, requestUserId, builderFactory, userRole);
   }
+  await reporter.imported(0, takeImportedCount());
+  logger.debug(`user: ${requestUserId} | Finished importing conversations`);
 };
 
 module.exports = importConversations;
@@ -0,0 +1,19 @@
+const path = require('path');
+const { createConversationImportHandlers } = require('@librechat/api');
+const importConversations = require('./importConversations');
+const db = require('~/models');
+
+/** Shared by the import routes and the startup recovery of interrupted imports. */
+const importJobHandlers = createConversationImportHandlers({
+  createImportJob: db.createImportJob,
+  getImportJob: db.getImportJob,
+  getLatestImportJob: db.getLatestImportJob,
+  claimImportJob: db.claimImportJob,
+  findStaleImportJobs: db.findStaleImportJobs,
+  recordImportProgress: db.recordImportProgress,
+  updateImportJob: db.updateImportJob,
+  getImportDir: (req) => path.join(req.config.paths.uploads, 'imports'),
+  processImport: importConversations,
+});
+
+module.exports = { importJobHandlers };
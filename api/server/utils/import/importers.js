@@ -76,7 +76,7 @@ function sanitizeImportedMessage(message) {
 /**
  * Returns the appropriate importer function based on the provided JSON data.
  *
- * @param {Object} jsonData - The JSON data to import.
+ * @param {Object | string} jsonData - The JSON data to import, or the raw text of a non-JSON file.
  * @returns {Function} - The importer function.
  * @throws {Error} - If the import type is not supported.
  */
@@ -88,6 +88,16 @@ function getImporter(jsonData) {
       logger.info('Importing Claude conversation');
       return importClaudeConvo;
     }
+    // Open WebUI format has a chat object with its message history in each conversation
+    if (jsonData.length > 0 && isOpenWebUIChat(jsonData[0])) {
+      logger.info('Importing Open WebUI conversation');
+      return importOpenWebUIConvo;
+    }
+    // Google Takeout "My Activity" format has one entry per Gemini prompt
+    if (jsonData.length > 0 && isGeminiActivity(jsonData[0])) {
+      logger.info('Importing Gemini conversation');
+      return importGeminiConvo;
+    }
     // ChatGPT format has mapping object in each conversation
     if (jsonData.length === 0 || jsonData[0]?.mapping) {
       logger.info('Importing ChatGPT conversation');
@@ -96,6 +106,21 @@ function getImporter(jsonData) {
     throw new Error('Unsupported import type');
   }
 
+  // For Markdown transcripts, which are not JSON
+  if (typeof jsonData === 'string') {
+    if (parseMarkdownTranscript(jsonData).turns.length > 0) {
+      logger.info('Importing Markdown transcript');
+      return importMarkdownConvo;
+    }
+    throw new Error('Unsupported import type');
+  }
+
+  // For a single Open WebUI chat
+  if (isOpenWebUIChat(jsonData)) {
+    logger.info('Importing Open WebUI conversation');
+    return importOpenWebUIConvo;
+  }
+
   // For ChatbotUI
   if (jsonData.version && Array.isArray(jsonData.history)) {
     logger.info('Importing ChatbotUI conversation');
@@ -272,6 +297,491 @@ async function importClaudeConvo(
   }
 }
 
+/** Gemini Takeout entries are single prompts; prompts closer together than this form one conversation. */
+const GEMINI_SESSION_GAP_MS = 30 * 60 * 1000;
+const GEMINI_PRODUCTS = new Set(['Gemini Apps', 'Bard']);
+const GEMINI_PROMPT_PREFIX = 'Prompted ';
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+/**
+ * Decodes the HTML entities found in Takeout exports.
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeHtmlEntities(text) {
+  return text.replace(/&(#x[\da-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const codePoint =
+        entity[1] === 'x' || entity[1] === 'X'
+          ? parseInt(entity.slice(2), 16)
+          : parseInt(entity.slice(1), 10);
+      return codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : match;
+    }
+    return HTML_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+/**
+ * Converts the HTML of a Gemini response to Markdown. Takeout only uses simple formatting
+ * (paragraphs, lists, headings, emphasis, links and code), so unknown tags are dropped.
+ * @param {string} html
+ * @returns {string}
+ */
+function geminiHtmlToMarkdown(html) {
+  const markdown = html
+    .replace(/\r\n?/g, '\n')
+    .replace(
+      /<pre[^>]*>\s*(?:<code[^>]*>)?([\s\S]*?)(?:<\/code>)?\s*<\/pre>/gi,
+      (_match, code) => `\n\n\`\`\`\n${code.replace(/<[^>]+>/g, '')}\n\`\`\`\n\n`,
+    )
+    .replace(/<h([1-6])[^>]*>/gi, (_match, level) => `\n\n${'#'.repeat(Number(level))} `)
+    .replace(/<\/h[1-6]>/gi, '\n\n')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/?(?:strong|b)>/gi, '**')
+    .replace(/<\/?(?:em|i)>/gi, '*')
+    .replace(/<\/?code[^>]*>/gi, '`')
+    .replace(/<li[^>]*>/gi, '\n- ')
+    .replace(/<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, '[$2]($1)')
+    .replace(/<\/(?:p|div|ul|ol|table|tr)>/gi, '\n\n')
+    .replace(/<\/t[dh]>/gi, ' | ')
+    .replace(/<[^>]+>/g, '');
+  return decodeHtmlEntities(markdown)
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * @param {unknown} entry - An item of a Google Takeout "My Activity" export.
+ * @returns {boolean}
+ */
+function isGeminiActivity(entry) {
+  if (entry == null || typeof entry !== 'object') {
+    return false;
+  }
+  return (
+    GEMINI_PRODUCTS.has(entry.header) ||
+    (Array.isArray(entry.products) &&
+      entry.products.some((product) => GEMINI_PRODUCTS.has(product)))
+  );
+}
+
+/**
+ * Imports Gemini history from a Google Takeout "My Activity" export (`MyActivity.json`).
+ * Takeout records each prompt and its response as a separate activity without a
+ * conversation id, so consecutive prompts are grouped into conversations by time.
+ *
+ * @param {Array} jsonData - Array of Takeout activity entries, newest first.
+ * @param {string} requestUserId - The ID of the user who initiated the import process.
+ * @param {Function} builderFactory - Factory function to create a new import batch builder instance.
+ * @returns {Promise<void>} Promise that resolves when all conversations have been imported.
+ */
+async function importGeminiConvo(
+  jsonData,
+  requestUserId,
+  builderFactory = createImportBatchBuilder,
+  userRole,
+) {
+  try {
+    const importBatchBuilder = builderFactory(requestUserId);
+    const defaultModel = await resolveImportDefaultModel({
+      endpoint: EModelEndpoint.google,
+      requestUserId,
+      userRole,
+    });
+
+    const prompts = jsonData
+      .filter(
+        (entry) =>
+          isGeminiActivity(entry) &&
+          typeof entry.title === 'string' &&
+          entry.title.startsWith(GEMINI_PROMPT_PREFIX),
+      )
+      .map((entry) => ({
+        text: entry.title.slice(GEMINI_PROMPT_PREFIX.length).trim(),
+        response: geminiHtmlToMarkdown(
+          (entry.safeHtmlItem ?? []).map((item) => item?.html ?? '').join('\n'),
+        ),
+        time: new Date(entry.time),
+      }))
+      .filter((prompt) => prompt.text && !Number.isNaN(prompt.time.getTime()))
+      .sort((a, b) => a.time - b.time);
+
+    /** @type {Array<typeof prompts>} */
+    const sessions = [];
+    for (const prompt of prompts) {
+      const session = sessions[sessions.length - 1];
+      const previous = session?.[session.length - 1];
+      if (previous && prompt.time - previous.time <= GEMINI_SESSION_GAP_MS) {
+        session.push(prompt);
+      } else {
+        sessions.push([prompt]);
+      }
+    }
+
+    for (const session of sessions) {
+      importBatchBuilder.startConversation(EModelEndpoint.google);
+      const messages = [];
+      let lastMessageId = Constants.NO_PARENT;
+      for (const prompt of session) {
+        const userMessageId = uuidv4();
+        messages.push({
+          messageId: userMessageId,
+          parentMessageId: lastMessageId,
+          text: prompt.text,
+          sender: 'user',
+          isCreatedByUser: true,
+          user: requestUserId,
+          endpoint: EModelEndpoint.google,
+          createdAt: prompt.time,
+        });
+        lastMessageId = userMessageId;
+
+        if (prompt.response) {
+          const responseId = uuidv4();
+          messages.push({
+            messageId: responseId,
+            parentMessageId: userMessageId,
+            text: prompt.response,
+            sender: 'Gemini',
+            isCreatedByUser: false,
+            user: requestUserId,
+            endpoint: EModelEndpoint.google,
+            createdAt: new Date(prompt.time.getTime() + 1),
+          });
+          lastMessageId = responseId;
+        }
+      }
+
+      saveImportedMessages(messages, importBatchBuilder);
+      const title = session[0].text.split('\n')[0].slice(0, 100);
+      importBatchBuilder.finishConversation(title, session[0].time, {}, defaultModel);
+    }
+
+    await importBatchBuilder.saveBatch();
+    logger.info(`user: ${requestUserId} | Gemini conversations imported`);
+  } catch (error) {
+    logger.error(`user: ${requestUserId} | Error creating conversation from Gemini file`, error);
+    throw error;
+  }
+}
+
+/**
+ * @param {unknown} item - An item of an Open WebUI chat export.
+ * @returns {boolean}
+ */
+function isOpenWebUIChat(item) {
+  const chat = item?.chat;
+  return (
+    chat != null &&
+    typeof chat === 'object' &&
+    ((chat.history != null && typeof chat.history.messages === 'object') ||
+      Array.isArray(chat.messages))
+  );
+}
+
+/**
+ * Open WebUI stores seconds; some versions and fields use milliseconds.
+ * @param {unknown} value
+ * @returns {Date | null}
+ */
+function openWebUITimestampToDate(value) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    return null;
+  }
+  return new Date(value > 1e12 ? value : value * 1000);
+}
+
+/**
+ * Moves Open WebUI's inline reasoning blocks (`<details type="reasoning">`) into a think part.
+ * @param {string} content
+ * @returns {{ text: string, thinking: string }}
+ */
+function extractOpenWebUIReasoning(content) {
+  const thoughts = [];
+  const text = content.replace(
+    /<details\s+type="reasoning"[^>]*>([\s\S]*?)<\/details>/gi,
+    (_match, inner) => {
+      const thought = inner
+        .replace(/<summary>[\s\S]*?<\/summary>/i, '')
+        .split('\n')
+        .map((line) => line.replace(/^>\s?/, ''))
+        .join('\n')
+        .trim();
+      if (thought) {
+        thoughts.push(thought);
+      }
+      return '';
+    },
+  );
+  return { text: text.trim(), thinking: thoughts.join('\n\n') };
+}
+
+/**
+ * Imports Open WebUI chats, keeping every branch of their message history.
+ * Open WebUI exports an array of chats whose `chat.history.messages` maps message ids to
+ * messages linked by `parentId`; older exports only have the linear `chat.messages` list.
+ *
+ * @param {Array | Object} jsonData - Open WebUI chat export, or a single chat.
+ * @param {string} requestUserId - The ID of the user who initiated the import process.
+ * @param {Function} builderFactory - Factory function to create a new import batch builder instance.
+ * @returns {Promise<void>} Promise that resolves when all conversations have been imported.
+ */
+async function importOpenWebUIConvo(
+  jsonData,
+  requestUserId,
+  builderFactory = createImportBatchBuilder,
+  userRole,
+) {
+  try {
+    const importBatchBuilder = builderFactory(requestUserId);
+    const defaultModel = await resolveImportDefaultModel({
+      endpoint: EModelEndpoint.openAI,
+      requestUserId,
+      userRole,
+    });
+
+    for (const item of Array.isArray(jsonData) ? jsonData : [jsonData]) {
+      if (!isOpenWebUIChat(item)) {
+        continue;
+      }
+      const { chat } = item;
+      const sourceMessages =
+        chat.history?.messages && typeof chat.history.messages === 'object'
+          ? Object.values(chat.history.messages)
+          : chat.messages;
+      const createdAt =
+        openWebUITimestampToDate(item.created_at) ??
+        openWebUITimestampToDate(chat.timestamp) ??
+        new Date();
+
+      const chatModel = Array.isArray(chat.models)
+        ? chat.models.find((candidate) => typeof candidate === 'string' && candidate)
+        : undefined;
+
+      importBatchBuilder.startConversation(EModelEndpoint.openAI);
+
+      /** Maps Open WebUI ids to new ids, for the user and assistant messages that are kept. */
+      const idMap = new Map();
+      const sourceById = new Map();
+      for (const source of sourceMessages) {
+        if (source?.id == null) {
+          continue;
+        }
+        sourceById.set(source.id, source);
+        if (source.role === 'user' || source.role === 'assistant') {
+          idMap.set(source.id, uuidv4());
+        }
+      }
+
+      /** Skipped messages (e.g. system prompts) are bridged to their nearest kept ancestor. */
+      const findParentId = (parentId) => {
+        const visited = new Set();
+        let current = parentId;
+        while (current != null && !visited.has(current)) {
+          if (idMap.has(current)) {
+            return idMap.get(current);
+          }
+          visited.add(current);
+          current = sourceById.get(current)?.parentId;
+        }
+        return Constants.NO_PARENT;
+      };
+
+      const messages = [];
+      let previousTimestamp = createdAt;
+      for (const source of sourceMessages) {
+        const messageId = idMap.get(source?.id);
+        if (!messageId) {
+          continue;
+        }
+        const isCreatedByUser = source.role === 'user';
+        const rawContent = typeof source.content === 'string' ? source.content : '';
+        const { text, thinking } = isCreatedByUser
+          ? { text: rawContent, thinking: '' }
+          : extractOpenWebUIReasoning(rawContent);
+        const model = isCreatedByUser ? undefined : source.model || chatModel;
+        const messageCreatedAt = openWebUITimestampToDate(source.timestamp) ?? previousTimestamp;
+        previousTimestamp = messageCreatedAt;
+
+        const message = {
+          messageId,
+          parentMessageId: findParentId(source.parentId),
+          text,
+          sender: isCreatedByUser ? 'user' : source.modelName || model || 'Assistant',
+          isCreatedByUser,
+          ...(model && { model }),
+          user: requestUserId,
+          endpoint: EModelEndpoint.openAI,
+          createdAt: messageCreatedAt,
+        };
+        if (thinking) {
+          message.content = [
+            { type: 'think', think: thinking },
+            { type: 'text', text },
+          ];
+        }
+        messages.push(message);
+      }
+
+      saveImportedMessages(messages, importBatchBuilder);
+      importBatchBuilder.finishConversation(
+        item.title || chat.title || 'Imported Open WebUI Chat',
+        createdAt,
+        chatModel ? { model: chatModel } : {},
+        defaultModel,
+      );
+    }
+
+    await importBatchBuilder.saveBatch();
+    logger.info(`user: ${requestUserId} | Open WebUI conversation imported`);
+  } catch (error) {
+    logger.error(
+      `user: ${requestUserId} | Error creating conversation from Open WebUI file`,
+      error,
+    );
+    throw error;
+  }
+}
+
+const MARKDOWN_ROLES = {
+  user: 'user',
+  human: 'user',
+  assistant: 'assistant',
+  ai: 'assistant',
+};
+
+/**
+ * Recognizes a turn heading such as `User:`, `**Assistant:**` or `## User`.
+ * A bare role name only counts as a heading when it is a Markdown heading or bold.
+ * @param {string} line
+ * @returns {{ role: 'user' | 'assistant', text: string } | null}
+ */
+function parseMarkdownTurnHeading(line) {
+  let rest = line.trim();
+  const heading = rest.match(/^#{1,6}[ \t]+/);
+  if (heading) {
+    rest = rest.slice(heading[0].length);
+  }
+  const bold = rest.match(/^(\*\*|__)([^*_]+?)\1[ \t]*(.*)$/);
+  let label;
+  let text;
+  let hasColon;
+  if (bold) {
+    label = bold[2].trim();
+    hasColon = label.endsWith(':') || bold[3].startsWith(':');
+    label = label.replace(/:$/, '').trim();
+    text = bold[3].replace(/^:/, '');
+  } else {
+    const match = rest.match(/^([A-Za-z]+)[ \t]*(:?)(.*)$/);
+    if (!match) {
+      return null;
+    }
+    [, label, , text] = match;
+    hasColon = match[2] === ':';
+  }
+  const role = MARKDOWN_ROLES[label.toLowerCase()];
+  if (!role || (!hasColon && !heading && !bold) || (!hasColon && text.trim())) {
+    return null;
+  }
+  return { role, text: text.trim() };
+}
+
+/**
+ * Splits a Markdown transcript into turns. Headings inside fenced code blocks are ignored,
+ * and a level-one heading before the first turn becomes the title.
+ * @param {string} markdown
+ * @returns {{ title?: string, turns: Array<{ role: 'user' | 'assistant', text: string }> }}
+ */
+function parseMarkdownTranscript(markdown) {
+  const turns = [];
+  let title;
+  let current = null;
+  let fence = null;
+  for (const line of markdown.replace(/\r\n?/g, '\n').split('\n')) {
+    const fenceMatch = line.match(/^\s*(```|~~~)/);
+    if (fenceMatch) {
+      fence = fence === fenceMatch[1] ? null : (fence ?? fenceMatch[1]);
+    }
+    const turn = !fence && !fenceMatch ? parseMarkdownTurnHeading(line) : null;
+    if (turn) {
+      current = { role: turn.role, lines: turn.text ? [turn.text] : [] };
+      turns.push(current);
+    } else if (current) {
+      current.lines.push(line);
+    } else if (!title && /^#[ \t]+\S/.test(line)) {
+      title = line.replace(/^#[ \t]+/, '').trim();
+    }
+  }
+  return {
+    title,
+    turns: turns
+      .map(({ role, lines }) => ({ role, text: lines.join('\n').trim() }))
+      .filter((turn) => turn.text),
+  };
+}
+
+/**
+ * Imports a plain Markdown transcript with `User:`/`Assistant:` headings as one conversation.
+ * Transcripts carry no timestamps, so messages are spaced a millisecond apart from the import time.
+ *
+ * @param {string} markdown - The transcript text.
+ * @param {string} requestUserId - The ID of the user who initiated the import process.
+ * @param {Function} builderFactory - Factory function to create a new import batch builder instance.
+ * @returns {Promise<void>} Promise that resolves when the conversation has been imported.
+ */
+async function importMarkdownConvo(
+  markdown,
+  requestUserId,
+  builderFactory = createImportBatchBuilder,
+  userRole,
+) {
+  try {
+    const importBatchBuilder = builderFactory(requestUserId);
+    const defaultModel = await resolveImportDefaultModel({
+      endpoint: EModelEndpoint.openAI,
+      requestUserId,
+      userRole,
+    });
+    const { title, turns } = parseMarkdownTranscript(markdown);
+    const createdAt = new Date();
+
+    importBatchBuilder.startConversation(EModelEndpoint.openAI);
+    const messages = [];
+    let lastMessageId = Constants.NO_PARENT;
+    turns.forEach((turn, index) => {
+      const messageId = uuidv4();
+      const isCreatedByUser = turn.role === 'user';
+      messages.push({
+        messageId,
+        parentMessageId: lastMessageId,
+        text: turn.text,
+        sender: isCreatedByUser ? 'user' : 'Assistant',
+        isCreatedByUser,
+        ...(!isCreatedByUser && { model: defaultModel }),
+        user: requestUserId,
+        endpoint: EModelEndpoint.openAI,
+        createdAt: new Date(createdAt.getTime() + index),
+      });
+      lastMessageId = messageId;
+    });
+
+    saveImportedMessages(messages, importBatchBuilder);
+    importBatchBuilder.finishConversation(
+      title || 'Imported Markdown Chat',
+      createdAt,
+      {},
+      defaultModel,
+    );
+    await importBatchBuilder.saveBatch();
+    logger.info(`user: ${requestUserId} | Markdown transcript imported`);
+  } catch (error) {
+    logger.error(`user: ${requestUserId} | Error creating conversation from Markdown file`, error);
+    throw error;
+  }
+}
+
 /**
  * Imports a LibreChat conversation from JSON.
  *
@@ -731,6 +1241,23 @@ function adjustTimestampsForOrdering(messages) {
   return cycleDetected;
 }
 
+/**
+ * Orders parents before children, breaks any parent cycles, and saves the sanitized messages.
+ * Used by importers of third-party formats whose message text is untrusted.
+ *
+ * @param {Array} messages - Array of message objects with messageId, parentMessageId, and createdAt.
+ * @param {ImportBatchBuilder} importBatchBuilder - The batch builder of the current conversation.
+ */
+function saveImportedMessages(messages, importBatchBuilder) {
+  const cycleDetected = adjustTimestampsForOrdering(messages);
+  if (cycleDetected) {
+    breakParentCycles(messages);
+  }
+  for (const message of messages) {
+    importBatchBuilder.saveMessage(sanitizeImportedMessage(message));
+  }
+}
+
 /**
  * Severs cyclic parentMessageId back-edges so saved messages form a valid tree.
  * Walks each message's parent chain; if a message is visited twice, its parentMessageId
@@ -766,4 +1293,9 @@ function breakParentCycles(messages) {
   }
 }
 
-module.exports = { getImporter, processAssistantMessage };
+module.exports = {
+  getImporter,
+  isGeminiActivity,
+  importLibreChatConvo,
+  processAssistantMessage,
+};
@@ -7,6 +7,7 @@ const {
   Tools,
   RetentionMode,
   openAISettings,
+  googleSettings,
   anthropicSettings,
 } = require('librechat-data-provider');
 const { getImporter, processAssistantMessage } = require('./importers');
@@ -1370,11 +1371,15 @@ describe('getImporter', () => {
     expect(() => getImporter(jsonData)).toThrow('Unsupported import type');
   });
 
-  it('should throw for array-based files that are not ChatGPT or Claude exports', () => {
-    const openWebUiExport = [
-      { id: 'abc', title: 'Open WebUI Chat', chat: { history: { messages: {} } } },
-    ];
-    expect(() => getImporter(openWebUiExport)).toThrow('Unsupported import type');
+  it('should throw for array-based files that are not a supported export', () => {
+    const unknownExport = [{ id: 'abc', title: 'Some Chat', items: [] }];
+    expect(() => getImporter(unknownExport)).toThrow('Unsupported import type');
+  });
+
+  it('should throw for text that is not a Markdown transcript', () => {
+    expect(() => getImporter('Just some notes\nwithout any turns')).toThrow(
+      'Unsupported import type',
+    );
   });
 
   it('should route empty arrays to the ChatGPT importer without throwing', () => {
@@ -2041,3 +2046,222 @@ describe('importClaudeConvo', () => {
     );
   });
 });
+
+describe('importGeminiConvo', () => {
+  const activity = (title, time, html) => ({
+    header: 'Gemini Apps',
+    title,
+    time,
+    products: ['Gemini Apps'],
+    activityControls: ['Gemini Apps Activity'],
+    ...(html && { safeHtmlItem: [{ html }] }),
+  });
+
+  it('groups prompts by session and converts responses to Markdown', async () => {
+    // Takeout lists the newest activity first
+    const jsonData = [
+      activity('Prompted Plan a weekend in Lisbon', '2025-03-02T09:00:00.000Z', '<p>Day one</p>'),
+      activity(
+        'Prompted What about food?',
+        '2025-03-01T10:10:00.000Z',
+        '<p>Try <strong>pastéis de nata</strong> &amp; bifanas.</p><ul><li>Manteigaria</li></ul>',
+      ),
+      activity(
+        'Prompted Explain closures in JavaScript',
+        '2025-03-01T10:00:00.000Z',
+        '<p>A closure keeps its scope:</p><pre><code>const f = () =&gt; x;</code></pre>',
+      ),
+      activity('Used Gemini Apps', '2025-03-01T09:00:00.000Z'),
+    ];
+
+    const requestUserId = 'user-123';
+    const importBatchBuilder = new ImportBatchBuilder(requestUserId);
+    jest.spyOn(importBatchBuilder, 'saveMessage');
+    jest.spyOn(importBatchBuilder, 'startConversation');
+    jest.spyOn(importBatchBuilder, 'finishConversation');
+
+    const importer = getImporter(jsonData);
+    await importer(jsonData, requestUserId, () => importBatchBuilder);
+
+    expect(importBatchBuilder.startConversation).toHaveBeenCalledTimes(2);
+    expect(importBatchBuilder.startConversation).toHaveBeenCalledWith(EModelEndpoint.google);
+    expect(importBatchBuilder.finishConversation).toHaveBeenNthCalledWith(
+      1,
+      'Explain closures in JavaScript',
+      new Date('2025-03-01T10:00:00.000Z'),
+      {},
+      googleSettings.model.default,
+    );
+    expect(importBatchBuilder.finishConversation).toHaveBeenNthCalledWith(
+      2,
+      'Plan a weekend in Lisbon',
+      new Date('2025-03-02T09:00:00.000Z'),
+      {},
+      googleSettings.model.default,
+    );
+
+    const savedMessages = importBatchBuilder.saveMessage.mock.calls.map((call) => call[0]);
+    expect(savedMessages).toHaveLength(6);
+    const [question, answer, followUp, followUpAnswer] = savedMessages;
+    expect(question).toMatchObject({
+      text: 'Explain closures in JavaScript',
+      isCreatedByUser: true,
+      parentMessageId: Constants.NO_PARENT,
+    });
+    expect(answer).toMatchObject({
+      sender: 'Gemini',
+      isCreatedByUser: false,
+      parentMessageId: question.messageId,
+      text: 'A closure keeps its scope:\n\n```\nconst f = () => x;\n```',
+    });
+    expect(followUp.parentMessageId).toBe(answer.messageId);
+    expect(followUpAnswer.text).toBe('Try **pastéis de nata** & bifanas.\n\n- Manteigaria');
+    expect(followUpAnswer.createdAt > followUp.createdAt).toBe(true);
+  });
+});
+
+describe('importOpenWebUIConvo', () => {
+  const jsonData = JSON.parse(
+    fs.readFileSync(path.join(__dirname, '__data__', 'open-webui-export.json'), 'utf8'),
+  );
+
+  it('keeps every branch of the message history', async () => {
+    const requestUserId = 'user-123';
+    const importBatchBuilder = new ImportBatchBuilder(requestUserId);
+    jest.spyOn(importBatchBuilder, 'saveMessage');
+    jest.spyOn(importBatchBuilder, 'finishConversation');
+
+    const importer = getImporter(jsonData);
+    await importer(jsonData, requestUserId, () => importBatchBuilder);
+
+    expect(importBatchBuilder.finishConversation).toHaveBeenCalledWith(
+      'Sourdough troubleshooting',
+      new Date(1717000000 * 1000),
+      { model: 'llama3.1:8b' },
+      expect.any(String),
+    );
+
+    const savedMessages = importBatchBuilder.saveMessage.mock.calls.map((call) => call[0]);
+    expect(savedMessages).toHaveLength(5);
+    const byText = (text) => savedMessages.find((msg) => msg.text === text);
+
+    const question = byText('Why is my sourdough so dense?');
+    const firstAnswer = byText('It is most likely underproofed.');
+    const secondAnswer = byText("Check your starter's activity first.");
+    const followUp = byText('How long should it proof?');
+
+    expect(question.parentMessageId).toBe(Constants.NO_PARENT);
+    expect(firstAnswer.parentMessageId).toBe(question.messageId);
+    expect(secondAnswer.parentMessageId).toBe(question.messageId);
+    expect(followUp.parentMessageId).toBe(firstAnswer.messageId);
+    expect(byText('Usually 4 to 6 hours at room temperature.').parentMessageId).toBe(
+      followUp.messageId,
+    );
+
+    expect(firstAnswer).toMatchObject({ sender: 'Llama 3.1 8B', model: 'llama3.1:8b' });
+    expect(secondAnswer).toMatchObject({ sender: 'qwen2.5:7b', model: 'qwen2.5:7b' });
+    expect(firstAnswer.content).toEqual([
+      { type: 'think', think: 'Dense crumb usually means underproofing.' },
+      { type: 'text', text: 'It is most likely underproofed.' },
+    ]);
+  });
+
+  it('bridges skipped system messages and corrects timestamp inversions', async () => {
+    const chat = {
+      id: 'chat-1',
+      title: 'Inverted',
+      chat: {
+        history: {
+          messages: {
+            s1: { id: 's1', parentId: null, role: 'system', content: 'Be brief', timestamp: 10 },
+            u1: { id: 'u1', parentId: 's1', role: 'user', content: 'Hi', timestamp: 20 },
+            a1: { id: 'a1', parentId: 'u1', role: 'assistant', content: 'Hello', timestamp: 5 },
+          },
+        },
+      },
+    };
+
+    const requestUserId = 'user-123';
+    const importBatchBuilder = new ImportBatchBuilder(requestUserId);
+    jest.spyOn(importBatchBuilder, 'saveMessage');
+
+    const importer = getImporter(chat);
+    await importer(chat, requestUserId, () => importBatchBuilder);
+
+    const [userMsg, assistantMsg] = importBatchBuilder.saveMessage.mock.calls.map(
+      (call) => call[0],
+    );
+    expect(userMsg.parentMessageId).toBe(Constants.NO_PARENT);
+    expect(assistantMsg.parentMessageId).toBe(userMsg.messageId);
+    expect(assistantMsg.createdAt > userMsg.createdAt).toBe(true);
+  });
+});
+
+describe('importMarkdownConvo', () => {
+  it('imports a transcript with User/Assistant headings as one conversation', async () => {
+    const markdown = [
+      '# Refactoring notes',
+      '',
+      '**User:** How do I rename a variable everywhere?',
+      '',
+      '## Assistant',
+      "Use your editor's rename refactoring.",
+      '',
+      '```',
+      'User: this line is code, not a turn',
+      '```',
+      '',
+      'User:',
+      'Thanks!',
+      '',
+      'Assistant: You are welcome.',
+    ].join('\n');
+
+    const requestUserId = 'user-123';
+    const importBatchBuilder = new ImportBatchBuilder(requestUserId);
+    jest.spyOn(importBatchBuilder, 'saveMessage');
+    jest.spyOn(importBatchBuilder, 'finishConversation');
+
+    const importer = getImporter(markdown);
+    await importer(markdown, requestUserId, () => importBatchBuilder);
+
+    expect(importBatchBuilder.finishConversation).toHaveBeenCalledWith(
+      'Refactoring notes',
+      expect.any(Date),
+      {},
+      expect.any(String),
+    );
+
+    const savedMessages = importBatchBuilder.saveMessage.mock.calls.map((call) => call[0]);
+    expect(savedMessages.map((msg) => [msg.isCreatedByUser, msg.text])).toEqual([
+      [true, 'How do I rename a variable everywhere?'],
+      [
+        false,
+        "Use your editor's rename refactoring.\n\n```\nUser: this line is code, not a turn\n```",
+      ],
+      [true, 'Thanks!'],
+      [false, 'You are welcome.'],
+    ]);
+    for (let i = 1; i < savedMessages.length; i++) {
+      expect(savedMessages[i].parentMessageId).toBe(savedMessages[i - 1].messageId);
+      expect(savedMessages[i].createdAt > savedMessages[i - 1].createdAt).toBe(true);
+    }
+  });
+
+  it('uses a default title when the transcript has none', async () => {
+    const markdown = 'User: Hi\nAssistant: Hello';
+    const requestUserId = 'user-123';
+    const importBatchBuilder = new ImportBatchBuilder(requestUserId);
+    jest.spyOn(importBatchBuilder, 'finishConversation');
+
+    const importer = getImporter(markdown);
+    await importer(markdown, requestUserId, () => importBatchBuilder);
+
+    expect(importBatchBuilder.finishConversation).toHaveBeenCalledWith(
+      'Imported Markdown Chat',
+      expect.any(Date),
+      {},
+      expect.any(String),
+    );
+  });
+});
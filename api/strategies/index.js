@@ -5,6 +5,7 @@ const { facebookAdminLogin } = facebookLogin;
 const discordLogin = require('./discordStrategy');
 const { discordAdminLogin } = discordLogin;
 const passportLogin = require('./localStrategy');
+const passkeyLogin = require('./passkeyStrategy');
 const googleLogin = require('./googleStrategy');
 const { googleAdminLogin } = googleLogin;
 const githubLogin = require('./githubStrategy');
@@ -19,6 +20,7 @@ module.exports = {
   appleLogin,
   appleAdminLogin,
   passportLogin,
+  passkeyLogin,
   googleLogin,
   googleAdminLogin,
   githubLogin,
@@ -47,6 +47,10 @@ const jwtLogin = () =>
           });
           return;
         }
+        if (user?.disabledAt != null) {
+          done(null, false, { message: 'Account is disabled', code: 'ACCOUNT_DISABLED' });
+          return;
+        }
         if (user) {
           user.id = user._id.toString();
           /** Absent on the full doc means local user; null skips getUserPrincipals' fallback lookup */
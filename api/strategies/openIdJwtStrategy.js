@@ -180,6 +180,11 @@ const openIdJwtLogin = (openIdConfig) => {
           return;
         }
 
+        if (user?.disabledAt != null) {
+          done(null, false, { message: 'Account is disabled', code: 'ACCOUNT_DISABLED' });
+          return;
+        }
+
         if (user) {
           user.id = user._id.toString();
           if (!(await runAsSystem(() => isAgentTriggerPrincipalActive(user.id)))) {
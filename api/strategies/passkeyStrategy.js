@@ -0,0 +1,60 @@
+const { Strategy } = require('passport');
+const { logger } = require('@librechat/data-schemas');
+const { isEnabled, PasskeyVerificationError } = require('@librechat/api');
+const { PasskeyPurpose, verifyPasskeyAssertion } = require('~/server/services/passkeyService');
+const { findUser } = require('~/models');
+
+/**
+ * Passwordless login with a discoverable passkey. The assertion must be user-verified, so a
+ * successful login reports `userVerified` and counts as both factors.
+ */
+class PasskeyStrategy extends Strategy {
+  constructor() {
+    super();
+    this.name = 'passkey';
+  }
+
+  async authenticate(req) {
+    try {
+      const credential = req.body?.credential;
+      if (!credential || typeof credential !== 'object') {
+        return this.fail({ message: 'Missing passkey credential.' }, 400);
+      }
+
+      let passkey;
+      try {
+        passkey = await verifyPasskeyAssertion(credential, { purpose: PasskeyPurpose.LOGIN });
+      } catch (error) {
+        if (!(error instanceof PasskeyVerificationError)) {
+          throw error;
+        }
+        logger.error(
+          `[Login] [Passkey login failed] [${error.code}: ${error.message}] [Request-IP: ${req.ip}]`,
+        );
+        return this.fail({ message: 'Passkey verification failed.' }, 401);
+      }
+
+      const user = await findUser({ _id: passkey.user });
+      if (!user) {
+        logger.error(
+          `[Login] [Passkey login failed] [Passkey owner not found] [Request-IP: ${req.ip}]`,
+        );
+        return this.fail({ message: 'Passkey verification failed.' }, 401);
+      }
+
+      if (!user.emailVerified && !isEnabled(process.env.ALLOW_UNVERIFIED_EMAIL_LOGIN)) {
+        logger.error(`[Login] [Login failed] [Username: ${user.email}] [Request-IP: ${req.ip}]`);
+        return this.success(user, { message: 'Email not verified.' });
+      }
+
+      logger.info(
+        `[Login] [Passkey login successful] [Username: ${user.email}] [Request-IP: ${req.ip}]`,
+      );
+      return this.success(user, { userVerified: true });
+    } catch (err) {
+      return this.error(err);
+    }
+  }
+}
+
+module.exports = () => new PasskeyStrategy();
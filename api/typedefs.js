@@ -898,6 +898,18 @@
  * @memberof typedefs
  */
 
+/**
+ * @exports IImportJob
+ * @typedef {import('@librechat/data-schemas').IImportJob} IImportJob
+ * @memberof typedefs
+ */
+
+/**
+ * @exports ConversationImportReporter
+ * @typedef {import('@librechat/api').ConversationImportReporter} ConversationImportReporter
+ * @memberof typedefs
+ */
+
 /**
  * @exports ObjectId
  * @typedef {import('mongoose').Types.ObjectId} ObjectId
@@ -1289,6 +1301,8 @@
  * @property {Object} [tools] - Available tools for the agent
  * @property {Object} [eventHandlers] - Custom event handlers
  * @property {import('@librechat/api').AgentStartupTelemetry} [startupTelemetry] - Startup latency recorder
+ * @property {import('librechat-data-provider').TModelFallback[]} [modelFallbacks] - Failover chain for the primary agent
+ * @property {(agent: Agent, fallback: import('librechat-data-provider').TModelFallback) => Promise<Agent>} [initializeFallback] - Re-targets the primary agent at a failover step
  * @property {Object} [addParams] - Additional parameters to add to requests
  * @property {string[]} [dropParams] - Parameters to remove from requests
  * @memberof typedefs
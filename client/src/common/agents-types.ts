@@ -1,6 +1,7 @@
 import { AgentCapabilities, ArtifactModes } from 'librechat-data-provider';
 import type {
   AgentModelParameters,
+  AgentResponseFormat,
   AgentSubagentsConfig,
   AgentToolOptions,
   SupportContact,
@@ -52,6 +53,8 @@ export type AgentForm = {
   agent_ids?: string[];
   edges?: GraphEdge[];
   subagents?: AgentSubagentsConfig;
+  /** Structured output schema; `null` marks an explicit removal on save */
+  response_format?: AgentResponseFormat | null;
   [AgentCapabilities.artifacts]?: ArtifactModes | string;
   recursion_limit?: number;
   support_contact?: SupportContact;
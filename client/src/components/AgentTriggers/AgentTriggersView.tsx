@@ -0,0 +1,528 @@
+import { useEffect, useMemo, useState } from 'react';
+import { Navigate } from 'react-router-dom';
+import { useTranslation } from 'react-i18next';
+import { AlertCircle, ChevronDown, ChevronRight } from 'lucide-react';
+import {
+  Button,
+  Input,
+  Spinner,
+  OGDialog,
+  OGDialogClose,
+  OGDialogTitle,
+  OGDialogHeader,
+  OGDialogContent,
+  useMediaQuery,
+  useToastContext,
+} from '@librechat/client';
+import { SystemRoles } from 'librechat-data-provider';
+import type {
+  TAgentTriggerDelivery,
+  TAgentTriggerDeliveriesParams,
+  TAgentTriggerDeliveryStatus,
+} from 'librechat-data-provider';
+import type { TranslationKeys } from '~/hooks';
+import {
+  useAgentTriggerDeliveryQuery,
+  useAgentTriggersAccessQuery,
+  useDeleteAgentTriggerMutation,
+  useAgentTriggerDeliveriesQuery,
+  useRequeueAgentTriggerMutation,
+} from '~/data-provider';
+import { useAuthContext, useDocumentTitle, useLocalize } from '~/hooks';
+import { NotificationSeverity } from '~/common';
+import OpenSidebar from '~/components/Chat/Menus/OpenSidebar';
+import { cn } from '~/utils';
+
+type Localize = ReturnType<typeof useLocalize>;
+
+const PAGE_SIZE = 25;
+const filterDelayMs = 350;
+
+const statuses: Array<{
+  value: TAgentTriggerDeliveryStatus | undefined;
+  labelKey: TranslationKeys;
+}> = [
+  { value: 'dead', labelKey: 'com_agent_triggers_status_dead' },
+  { value: 'pending', labelKey: 'com_agent_triggers_status_pending' },
+  { value: 'leased', labelKey: 'com_agent_triggers_status_leased' },
+  { value: 'succeeded', labelKey: 'com_agent_triggers_status_succeeded' },
+  { value: undefined, labelKey: 'com_agent_triggers_status_all' },
+];
+
+const sources: Array<{ value: string | undefined; labelKey: TranslationKeys }> = [
+  { value: undefined, labelKey: 'com_agent_triggers_source_all' },
+  { value: 'schedule', labelKey: 'com_agent_triggers_source_schedule' },
+  { value: 'webhook', labelKey: 'com_agent_triggers_source_webhook' },
+];
+
+function formatDateTime(value: string | undefined, locale: string) {
+  if (!value) {
+    return '—';
+  }
+  return new Intl.DateTimeFormat(locale, { dateStyle: 'medium', timeStyle: 'short' }).format(
+    new Date(value),
+  );
+}
+
+function responseStatus(error: unknown) {
+  return (error as { response?: { status?: number } } | undefined)?.response?.status;
+}
+
+function Panel({ children, className }: { children: React.ReactNode; className?: string }) {
+  return (
+    <section
+      className={cn(
+        'min-w-0 rounded-lg border border-border-light bg-surface-primary p-5',
+        className,
+      )}
+    >
+      {children}
+    </section>
+  );
+}
+
+function FilterGroup<T extends string | undefined>({
+  label,
+  options,
+  value,
+  onChange,
+  localize,
+}: {
+  label: string;
+  options: Array<{ value: T; labelKey: TranslationKeys }>;
+  value: T;
+  onChange: (value: T) => void;
+  localize: Localize;
+}) {
+  return (
+    <div
+      role="group"
+      aria-label={label}
+      className="inline-flex rounded-lg border border-border-light p-0.5"
+    >
+      {options.map((option) => (
+        <Button
+          key={option.labelKey}
+          size="sm"
+          variant="ghost"
+          aria-pressed={value === option.value}
+          className={cn('h-8 rounded-md px-3', value === option.value && 'bg-surface-active-alt')}
+          onClick={() => onChange(option.value)}
+        >
+          {localize(option.labelKey)}
+        </Button>
+      ))}
+    </div>
+  );
+}
+
+function DeliveryDetail({
+  id,
+  canManage,
+  localize,
+  locale,
+}: {
+  id: string;
+  canManage: boolean;
+  localize: Localize;
+  locale: string;
+}) {
+  const { showToast } = useToastContext();
+  const detail = useAgentTriggerDeliveryQuery(id);
+  const requeue = useRequeueAgentTriggerMutation();
+  const remove = useDeleteAgentTriggerMutation();
+  const [confirmDelete, setConfirmDelete] = useState(false);
+  const delivery = detail.data?.delivery;
+  const isMutating = requeue.isLoading || remove.isLoading;
+
+  const showActionError = () =>
+    showToast({
+      message: localize('com_agent_triggers_action_error'),
+      severity: NotificationSeverity.ERROR,
+      showIcon: true,
+    });
+
+  if (detail.isLoading) {
+    return (
+      <div className="flex items-center gap-2 py-3 text-sm text-text-secondary">
+        <Spinner className="size-4" />
+        {localize('com_agent_triggers_loading')}
+      </div>
+    );
+  }
+  if (!delivery) {
+    return (
+      <div className="py-3 text-sm text-text-secondary">
+        {localize('com_agent_triggers_load_error')}
+      </div>
+    );
+  }
+
+  const history = delivery.history ?? [];
+  return (
+    <div className="flex flex-col gap-3 py-3">
+      <dl className="grid grid-cols-[max-content_1fr] gap-x-4 gap-y-1 text-xs">
+        <dt className="text-text-secondary">{localize('com_agent_triggers_delivery_key')}</dt>
+        <dd className="break-all font-mono">{delivery.deliveryKey}</dd>
+        <dt className="text-text-secondary">{localize('com_agent_triggers_user')}</dt>
+        <dd className="font-mono">{delivery.user}</dd>
+        <dt className="text-text-secondary">{localize('com_agent_triggers_ordering_key')}</dt>
+        <dd className="break-all font-mono">{delivery.orderingKey}</dd>
+        <dt className="text-text-secondary">{localize('com_agent_triggers_requeue_count')}</dt>
+        <dd>{delivery.requeueCount}</dd>
+        {delivery.lastError && (
+          <>
+            <dt className="text-text-secondary">{localize('com_agent_triggers_last_error')}</dt>
+            <dd className="break-words">
+              <span className="font-mono">{delivery.lastError.code}</span>
+              {delivery.lastError.status != null && ` (${delivery.lastError.status})`}:{' '}
+              {delivery.lastError.message}
+            </dd>
+          </>
+        )}
+      </dl>
+      <div>
+        <h3 className="mb-1 text-xs font-medium text-text-secondary">
+          {localize('com_agent_triggers_history')}
+        </h3>
+        {history.length === 0 ? (
+          <p className="text-xs text-text-secondary">{localize('com_agent_triggers_no_history')}</p>
+        ) : (
+          <ol className="flex flex-col gap-1 text-xs">
+            {history.map((entry) => (
+              <li key={`${entry.attempt}:${entry.at}`} className="flex flex-wrap gap-x-3">
+                <span className="tabular-nums">#{entry.attempt}</span>
+                <span className="font-medium">{entry.outcome}</span>
+                <span className="text-text-secondary">{formatDateTime(entry.at, locale)}</span>
+                <span className="font-mono text-text-secondary">{entry.workerId}</span>
+                {entry.error && (
+                  <span className="break-words">
+                    {entry.error.code}: {entry.error.message}
+                  </span>
+                )}
+              </li>
+            ))}
+          </ol>
+        )}
+      </div>
+      {canManage && delivery.status === 'dead' && (
+        <div className="flex gap-2">
+          <Button
+            size="sm"
+            variant="outline"
+            disabled={isMutating}
+            onClick={() =>
+              requeue.mutate(id, {
+                onSuccess: () => showToast({ message: localize('com_agent_triggers_requeued') }),
+                onError: showActionError,
+              })
+            }
+          >
+            {localize('com_agent_triggers_requeue')}
+          </Button>
+          <Button
+            size="sm"
+            variant="destructive"
+            disabled={isMutating}
+            onClick={() => setConfirmDelete(true)}
+          >
+            {localize('com_ui_delete')}
+          </Button>
+        </div>
+      )}
+      <OGDialog open={confirmDelete} onOpenChange={setConfirmDelete}>
+        <OGDialogContent className="w-11/12 max-w-md" showCloseButton={false}>
+          <OGDialogHeader>
+            <OGDialogTitle>{localize('com_agent_triggers_delete_title')}</OGDialogTitle>
+          </OGDialogHeader>
+          <div className="text-sm text-text-secondary">
+            {localize('com_agent_triggers_delete_confirm')}
+          </div>
+          <div className="flex justify-end gap-4 pt-4">
+            <OGDialogClose asChild>
+              <Button aria-label={localize('com_ui_cancel')} variant="outline">
+                {localize('com_ui_cancel')}
+              </Button>
+            </OGDialogClose>
+            <Button
+              variant="destructive"
+              disabled={remove.isLoading}
+              onClick={() =>
+                remove.mutate(id, {
+                  onSuccess: () => {
+                    setConfirmDelete(false);
+                    showToast({ message: localize('com_agent_triggers_deleted') });
+                  },
+                  onError: showActionError,
+                })
+              }
+            >
+              {remove.isLoading ? <Spinner className="size-4" /> : localize('com_ui_delete')}
+            </Button>
+          </div>
+        </OGDialogContent>
+      </OGDialog>
+    </div>
+  );
+}
+
+function DeliveryRow({
+  delivery,
+  expanded,
+  onToggle,
+  canManage,
+  localize,
+  locale,
+}: {
+  delivery: TAgentTriggerDelivery;
+  expanded: boolean;
+  onToggle: () => void;
+  canManage: boolean;
+  localize: Localize;
+  locale: string;
+}) {
+  const Chevron = expanded ? ChevronDown : ChevronRight;
+  return (
+    <>
+      <tr className="cursor-pointer hover:bg-surface-hover" onClick={onToggle}>
+        <td className="px-2 py-3">
+          <button
+            type="button"
+            aria-expanded={expanded}
+            aria-label={localize('com_agent_triggers_toggle_details')}
+            className="rounded p-0.5 text-text-secondary"
+            onClick={(event) => {
+              event.stopPropagation();
+              onToggle();
+            }}
+          >
+            <Chevron className="size-4" aria-hidden="true" />
+          </button>
+        </td>
+        <td className="whitespace-nowrap px-2 py-3 text-text-secondary">
+          {formatDateTime(delivery.updatedAt ?? delivery.createdAt, locale)}
+        </td>
+        <td className="px-2 py-3">
+          <span
+            className={cn(
+              'rounded px-1.5 py-0.5 text-xs font-medium',
+              delivery.status === 'dead' ? 'bg-red-500/10 text-red-600' : 'bg-surface-tertiary',
+            )}
+          >
+            {delivery.status}
+          </span>
+        </td>
+        <td className="truncate px-2 py-3">{delivery.source?.type ?? '—'}</td>
+        <td className="truncate px-2 py-3 font-mono text-xs">{delivery.agentId ?? '—'}</td>
+        <td className="px-2 py-3 text-right tabular-nums">{delivery.attempts}</td>
+        <td className="px-2 py-3">
+          <span className="line-clamp-2 text-text-secondary">
+            {delivery.lastError ? `${delivery.lastError.code}: ${delivery.lastError.message}` : '—'}
+          </span>
+        </td>
+      </tr>
+      {expanded && (
+        <tr>
+          <td />
+          <td colSpan={6} className="px-2">
+            <DeliveryDetail
+              id={delivery.id}
+              canManage={canManage}
+              localize={localize}
+              locale={locale}
+            />
+          </td>
+        </tr>
+      )}
+    </>
+  );
+}
+
+export default function AgentTriggersView() {
+  const localize = useLocalize();
+  const { i18n } = useTranslation();
+  const locale = i18n.resolvedLanguage ?? i18n.language ?? 'en';
+  const { user } = useAuthContext();
+  const isSmallScreen = useMediaQuery('(max-width: 768px)');
+  const [status, setStatus] = useState<TAgentTriggerDeliveryStatus | undefined>('dead');
+  const [source, setSource] = useState<string>();
+  const [agentIdInput, setAgentIdInput] = useState('');
+  const [agentId, setAgentId] = useState('');
+  const [offset, setOffset] = useState(0);
+  const [expandedId, setExpandedId] = useState<string>();
+  const shouldCheckAccess = user?.role === SystemRoles.ADMIN;
+  const access = useAgentTriggersAccessQuery(user?.id, { enabled: shouldCheckAccess });
+  const isAllowed = access.data?.access === true;
+  const params = useMemo<TAgentTriggerDeliveriesParams>(
+    () => ({ status, source, agentId: agentId || undefined, limit: PAGE_SIZE, offset }),
+    [agentId, offset, source, status],
+  );
+  const deliveries = useAgentTriggerDeliveriesQuery(params, { enabled: isAllowed });
+  const data = deliveries.data;
+
+  useDocumentTitle(`${localize('com_agent_triggers_title')} | LibreChat`);
+
+  useEffect(() => {
+    const nextAgentId = agentIdInput.trim();
+    if (nextAgentId === agentId) {
+      return;
+    }
+    const timeout = window.setTimeout(() => {
+      setAgentId(nextAgentId);
+      setOffset(0);
+    }, filterDelayMs);
+    return () => window.clearTimeout(timeout);
+  }, [agentId, agentIdInput]);
+
+  if (shouldCheckAccess && access.isLoading) {
+    return (
+      <div className="flex h-full w-full items-center justify-center bg-presentation">
+        <Spinner className="size-7 text-text-secondary" />
+      </div>
+    );
+  }
+  const accessStatus = responseStatus(access.error);
+  if (access.isError && accessStatus !== 403 && accessStatus !== 404) {
+    return (
+      <div className="h-full w-full bg-presentation p-4">
+        <Panel className="flex items-center gap-2">
+          <AlertCircle className="size-4 text-status-error" />
+          <span className="text-sm">{localize('com_agent_triggers_load_error')}</span>
+        </Panel>
+      </div>
+    );
+  }
+  if (!isAllowed) {
+    return <Navigate to="/c/new" replace />;
+  }
+
+  const total = data?.total ?? 0;
+  const page = Math.floor(offset / PAGE_SIZE) + 1;
+  const pages = Math.max(1, Math.ceil(total / PAGE_SIZE));
+
+  return (
+    <div className="flex h-full w-full min-w-0 flex-col bg-presentation text-text-primary">
+      <header className="z-20 flex min-h-14 w-full flex-shrink-0 flex-col gap-3 border-b border-border-light bg-presentation px-4 py-3 sm:px-5 md:flex-row md:items-center md:justify-between md:px-6 lg:px-8">
+        <div className="flex min-w-0 items-center gap-3">
+          {isSmallScreen && <OpenSidebar />}
+          <h1 className="text-base font-semibold">{localize('com_agent_triggers_title')}</h1>
+        </div>
+        <div className="flex max-w-full flex-wrap items-center gap-2">
+          <FilterGroup
+            label={localize('com_agent_triggers_status')}
+            options={statuses}
+            value={status}
+            onChange={(value) => {
+              setStatus(value);
+              setOffset(0);
+            }}
+            localize={localize}
+          />
+          <FilterGroup
+            label={localize('com_agent_triggers_source')}
+            options={sources}
+            value={source}
+            onChange={(value) => {
+              setSource(value);
+              setOffset(0);
+            }}
+            localize={localize}
+          />
+          <div className="w-full sm:w-56">
+            <Input
+              aria-label={localize('com_agent_triggers_agent_filter')}
+              onChange={(event) => setAgentIdInput(event.target.value)}
+              placeholder={localize('com_agent_triggers_agent_filter')}
+              value={agentIdInput}
+            />
+          </div>
+        </div>
+      </header>
+      <main className="min-h-0 flex-1 overflow-y-auto overflow-x-hidden">
+        <div className="flex w-full min-w-0 flex-col gap-5 px-4 py-4 sm:px-5 md:px-6 lg:px-8">
+          <Panel className="overflow-hidden">
+            {deliveries.isError && (
+              <div className="mb-3 flex items-center gap-2">
+                <AlertCircle className="size-4 text-status-error" />
+                <span className="text-sm">{localize('com_agent_triggers_load_error')}</span>
+              </div>
+            )}
+            <div className="overflow-x-auto">
+              <table className="w-full min-w-[760px] table-fixed text-left text-sm">
+                <thead className="border-b border-border-medium text-xs text-text-secondary">
+                  <tr>
+                    <th className="w-8 px-2 py-2" />
+                    <th className="w-[160px] px-2 py-2 font-medium">
+                      {localize('com_agent_triggers_updated')}
+                    </th>
+                    <th className="w-24 px-2 py-2 font-medium">
+                      {localize('com_agent_triggers_status')}
+                    </th>
+                    <th className="w-24 px-2 py-2 font-medium">
+                      {localize('com_agent_triggers_source')}
+                    </th>
+                    <th className="w-[180px] px-2 py-2 font-medium">{localize('com_ui_agent')}</th>
+                    <th className="w-20 px-2 py-2 text-right font-medium">
+                      {localize('com_agent_triggers_attempts')}
+                    </th>
+                    <th className="px-2 py-2 font-medium">
+                      {localize('com_agent_triggers_last_error')}
+                    </th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-border-light">
+                  {data?.deliveries.map((delivery) => (
+                    <DeliveryRow
+                      key={delivery.id}
+                      delivery={delivery}
+                      expanded={expandedId === delivery.id}
+                      onToggle={() =>
+                        setExpandedId((current) =>
+                          current === delivery.id ? undefined : delivery.id,
+                        )
+                      }
+                      canManage={access.data?.canManage === true}
+                      localize={localize}
+                      locale={locale}
+                    />
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            {deliveries.isLoading && (
+              <div className="flex min-h-40 items-center justify-center">
+                <Spinner className="size-6 text-text-secondary" />
+              </div>
+            )}
+            {data && data.deliveries.length === 0 && (
+              <div className="flex min-h-40 items-center justify-center text-sm text-text-secondary">
+                {localize('com_agent_triggers_empty')}
+              </div>
+            )}
+            <div className="mt-3 flex items-center justify-between gap-3 border-t border-border-light pt-3 text-sm text-text-secondary">
+              <span>{localize('com_agent_triggers_page_of', { page, pages, total })}</span>
+              <div className="flex gap-2">
+                <Button
+                  variant="outline"
+                  size="sm"
+                  disabled={deliveries.isFetching || offset === 0}
+                  onClick={() => setOffset((value) => Math.max(0, value - PAGE_SIZE))}
+                >
+                  {localize('com_ui_prev')}
+                </Button>
+                <Button
+                  variant="outline"
+                  size="sm"
+                  disabled={deliveries.isFetching || page >= pages}
+                  onClick={() => setOffset((value) => value + PAGE_SIZE)}
+                >
+                  {localize('com_ui_next')}
+                </Button>
+              </div>
+            </div>
+          </Panel>
+        </div>
+      </main>
+    </div>
+  );
+}
@@ -1,9 +1,10 @@
 import { useEffect, useState } from 'react';
+import { KeyRound } from 'lucide-react';
 import { OpenIDIcon, useToastContext } from '@librechat/client';
 import { ErrorTypes, registerPage } from 'librechat-data-provider';
 import { useOutletContext, useSearchParams, useLocation } from 'react-router-dom';
 import type { TLoginLayoutContext } from '~/common';
-import { getLoginError, persistRedirectToSession } from '~/utils';
+import { getLoginError, isPasskeySupported, persistRedirectToSession } from '~/utils';
 import { ErrorMessage } from '~/components/Auth/ErrorMessage';
 import SocialButton from '~/components/Auth/SocialButton';
 import { useAuthContext } from '~/hooks/AuthContext';
@@ -17,7 +18,7 @@ interface LoginLocationState {
 function Login() {
   const localize = useLocalize();
   const { showToast } = useToastContext();
-  const { error, setError, login } = useAuthContext();
+  const { error, setError, login, loginWithPasskey } = useAuthContext();
   const { startupConfig } = useOutletContext<TLoginLayoutContext>();
 
   const [searchParams, setSearchParams] = useSearchParams();
@@ -109,6 +110,21 @@ function Login() {
           setError={setError}
         />
       )}
+      {startupConfig?.emailLoginEnabled === true &&
+        startupConfig.passkeysEnabled === true &&
+        isPasskeySupported() && (
+          <div className="mt-2 flex gap-x-2">
+            <button
+              type="button"
+              onClick={loginWithPasskey}
+              data-testid="passkey-login"
+              className="flex w-full items-center justify-center space-x-3 rounded-2xl border border-border-light bg-surface-primary px-5 py-3 text-text-primary transition-colors duration-200 hover:bg-surface-tertiary"
+            >
+              <KeyRound className="size-5" aria-hidden="true" />
+              <p>{localize('com_auth_passkey_login')}</p>
+            </button>
+          </div>
+        )}
       {startupConfig?.registrationEnabled === true && (
         <p className="my-4 text-center text-sm font-light text-text-secondary">
           {' '}
@@ -1,4 +1,5 @@
 import React, { useState, useCallback } from 'react';
+import { KeyRound } from 'lucide-react';
 import { useSearchParams } from 'react-router-dom';
 import { useToastContext } from '@librechat/client';
 import { useForm, Controller } from 'react-hook-form';
@@ -11,7 +12,8 @@ import {
   InputOTPGroup,
   InputOTPSeparator,
 } from '@librechat/client';
-import { useVerifyTwoFactorTempMutation } from '~/data-provider';
+import { useVerifyTwoFactorTempMutation, usePasskeySecondFactorMutation } from '~/data-provider';
+import { isPasskeyCancelled, isPasskeySupported } from '~/utils';
 import { useLocalize } from '~/hooks';
 
 interface VerifyPayload {
@@ -29,6 +31,7 @@ const TwoFactorScreen: React.FC = React.memo(() => {
   const [searchParams] = useSearchParams();
   const tempTokenRaw = searchParams.get('tempToken');
   const tempToken = tempTokenRaw !== null && tempTokenRaw !== '' ? tempTokenRaw : '';
+  const passkeyAvailable = searchParams.get('passkey') === 'true' && isPasskeySupported();
 
   const {
     control,
@@ -59,6 +62,24 @@ const TwoFactorScreen: React.FC = React.memo(() => {
     },
   });
 
+  const { mutate: passkeyMutate } = usePasskeySecondFactorMutation({
+    onSuccess: (result) => {
+      if (result.token != null && result.token !== '') {
+        window.location.href = '/';
+      }
+    },
+    onMutate: () => {
+      setIsLoading(true);
+    },
+    onError: (error: unknown) => {
+      setIsLoading(false);
+      if (isPasskeyCancelled(error)) {
+        return;
+      }
+      showToast({ message: localize('com_auth_passkey_verify_error'), status: 'error' });
+    },
+  });
+
   const onSubmit = useCallback(
     (data: TwoFactorFormInputs) => {
       const payload: VerifyPayload = { tempToken };
@@ -159,6 +180,20 @@ const TwoFactorScreen: React.FC = React.memo(() => {
             {isLoading ? localize('com_auth_email_verifying_ellipsis') : localize('com_ui_verify')}
           </Button>
         </div>
+        {passkeyAvailable && (
+          <div className="mt-2">
+            <Button
+              type="button"
+              variant="outline"
+              disabled={isLoading}
+              onClick={() => passkeyMutate({ tempToken })}
+              className="w-full rounded-2xl px-4 py-3 text-sm font-medium disabled:opacity-80"
+            >
+              <KeyRound className="mr-2 size-4" aria-hidden="true" />
+              {localize('com_auth_passkey_use')}
+            </Button>
+          </div>
+        )}
         <div className="mt-4 flex justify-center">
           {!useBackup ? (
             <Button
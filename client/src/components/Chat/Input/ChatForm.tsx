@@ -24,6 +24,7 @@ import {
 } from '~/Providers';
 import { cn, getModelSpec, hasIncompleteFiles, removeFocusRings } from '~/utils';
 import PendingManualSkillsChips from './PendingManualSkillsChips';
+import PendingArtifactChips from './PendingArtifactChips';
 import useAskAnswerMode from '~/hooks/Input/useAskAnswerMode';
 import AskUserQuestionPopover from './AskUserQuestionPopover';
 import InterruptSteerButton from './InterruptSteerButton';
@@ -309,12 +310,13 @@ const ChatForm = memo(function ChatForm({
   /** A draft is anything the user has staged, not just typed: `editToComposer`
    *  MERGES the steer's attachments into the composer's file map and its quotes
    *  and skill picks into their atoms, so restoring over staged context would
-   *  glue the two submissions together. */
+   *  glue the two submissions together. Queued library artifacts count too. */
   const hasStagedComposerContext = useRecoilCallback(
     ({ snapshot }) =>
       (convoId: string) =>
         snapshot.getLoadable(store.pendingQuotesByConvoId(convoId)).getValue().length > 0 ||
-        snapshot.getLoadable(store.pendingManualSkillsByConvoId(convoId)).getValue().length > 0,
+        snapshot.getLoadable(store.pendingManualSkillsByConvoId(convoId)).getValue().length > 0 ||
+        snapshot.getLoadable(store.pendingArtifactRefsByConvoId(convoId)).getValue().length > 0,
     [],
   );
 
@@ -570,6 +572,7 @@ const ChatForm = memo(function ChatForm({
               <TextareaHeader addedConvo={addedConvo} setAddedConvo={setAddedConvo} />
               <PendingManualSkillsChips conversationId={conversationId} />
               {quotesEnabled && <PendingQuoteChips conversationId={conversationId} />}
+              {quotesEnabled && <PendingArtifactChips conversationId={conversationId} />}
               {steering.enabled && (
                 <PendingSteerChips
                   conversationId={conversationId}
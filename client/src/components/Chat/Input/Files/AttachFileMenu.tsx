@@ -9,6 +9,7 @@ import {
   TerminalSquareIcon,
 } from 'lucide-react';
 import {
+  MCPIcon,
   FileUpload,
   TooltipAnchor,
   DropdownPopup,
@@ -17,8 +18,10 @@ import {
 } from '@librechat/client';
 import {
   Providers,
+  Permissions,
   EToolResources,
   EModelEndpoint,
+  PermissionTypes,
   getConfiguredMimeAccept,
   bedrockDocumentMimeTypes,
   defaultAgentCapabilities,
@@ -36,12 +39,14 @@ import {
   useAgentCapabilities,
   useGetAgentsConfig,
   useFileHandlingNoChatContext,
+  useHasAccess,
   useLocalize,
 } from '~/hooks';
 import { useSharePointFileHandlingNoChatContext } from '~/hooks/Files/useSharePointFileHandling';
 import { useShortcutAriaKey, useShortcutHint } from '~/hooks/useKeyboardShortcuts';
 import { SharePointPickerDialog } from '~/components/SharePoint';
-import { useGetStartupConfig } from '~/data-provider';
+import { useGetStartupConfig, useMCPResourcesQuery } from '~/data-provider';
+import MCPResourcesDialog from './MCPResourcesDialog';
 import { ephemeralAgentByConvoId } from '~/store';
 import { MenuItemProps } from '~/common';
 import { cn } from '~/utils';
@@ -123,6 +128,16 @@ const AttachFileMenu = ({
   const sharePointEnabled = startupConfig?.sharePointFilePickerEnabled;
 
   const [isSharePointDialogOpen, setIsSharePointDialogOpen] = useState(false);
+  const [mcpResourceServer, setMCPResourceServer] = useState<string | null>(null);
+
+  const hasMCPAccess = useHasAccess({
+    permissionType: PermissionTypes.MCP_SERVERS,
+    permission: Permissions.USE,
+  });
+  const { data: mcpResourcesData } = useMCPResourcesQuery({
+    enabled: hasMCPAccess && isPopoverActive,
+  });
+  const mcpResources = useMemo(() => mcpResourcesData?.resources ?? [], [mcpResourcesData]);
 
   /** TODO: Ephemeral Agent Capabilities
    * Allow defining agent capabilities on a per-endpoint basis
@@ -268,6 +283,19 @@ const AttachFileMenu = ({
 
     const localItems = createMenuItems(handleUploadClick);
 
+    const mcpResourceServers = [...new Set(mcpResources.map((resource) => resource.serverName))];
+    if (mcpResourceServers.length > 0) {
+      localItems.push({
+        label: localize('com_ui_mcp_resources'),
+        onClick: () => {},
+        icon: <MCPIcon className="icon-md" />,
+        subItems: mcpResourceServers.map((serverName) => ({
+          label: serverName,
+          onClick: () => setMCPResourceServer(serverName),
+        })),
+      });
+    }
+
     if (sharePointEnabled) {
       const sharePointItems = createMenuItems(() => {
         setIsSharePointDialogOpen(true);
@@ -293,6 +321,7 @@ const AttachFileMenu = ({
     handleUploadClick,
     setEphemeralAgent,
     sharePointEnabled,
+    mcpResources,
     codeAllowedByAgent,
     fileSearchAllowedByAgent,
     setIsSharePointDialogOpen,
@@ -360,6 +389,13 @@ const AttachFileMenu = ({
         downloadProgress={downloadProgress}
         maxSelectionCount={endpointFileConfig?.fileLimit}
       />
+      <MCPResourcesDialog
+        serverName={mcpResourceServer}
+        resources={mcpResources}
+        conversation={conversation}
+        setFiles={setFiles}
+        onClose={() => setMCPResourceServer(null)}
+      />
     </>
   );
 };
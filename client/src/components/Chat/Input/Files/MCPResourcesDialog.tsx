@@ -0,0 +1,141 @@
+import { useEffect, useState } from 'react';
+import {
+  Label,
+  Switch,
+  Spinner,
+  OGDialog,
+  OGDialogTitle,
+  OGDialogContent,
+  OGDialogDescription,
+  useToastContext,
+} from '@librechat/client';
+import { EToolResources } from 'librechat-data-provider';
+import type { MCPServerResource, TConversation, TError } from 'librechat-data-provider';
+import type { ExtendedFile, FileSetter } from '~/common';
+import { useAttachMCPResourceMutation } from '~/data-provider';
+import { NotificationSeverity } from '~/common';
+import { useLocalize } from '~/hooks';
+
+/** Lists one MCP server's resources; picking one attaches it to the message as context */
+export default function MCPResourcesDialog({
+  serverName,
+  resources,
+  conversation,
+  setFiles,
+  onClose,
+}: {
+  serverName: string | null;
+  resources: MCPServerResource[];
+  conversation: TConversation | null;
+  setFiles: FileSetter;
+  onClose: () => void;
+}) {
+  const localize = useLocalize();
+  const { showToast } = useToastContext();
+  const [subscribe, setSubscribe] = useState(true);
+  const [pendingUri, setPendingUri] = useState<string | null>(null);
+
+  useEffect(() => {
+    setPendingUri(null);
+  }, [serverName]);
+
+  const { mutate: attachResource } = useAttachMCPResourceMutation({
+    onSuccess: (file) => {
+      setPendingUri(null);
+      const attachment: ExtendedFile = {
+        file_id: file.file_id,
+        filename: file.filename,
+        filepath: file.filepath,
+        type: file.type,
+        size: file.bytes,
+        source: file.source,
+        metadata: file.metadata,
+        tool_resource: EToolResources.context,
+        progress: 1,
+        attached: true,
+      };
+      setFiles((prev) => new Map(prev).set(file.file_id, attachment));
+      onClose();
+    },
+    onError: (error) => {
+      setPendingUri(null);
+      showToast({
+        message:
+          (error as TError | undefined)?.response?.data?.message ??
+          localize('com_ui_mcp_resource_attach_error'),
+        severity: NotificationSeverity.ERROR,
+        showIcon: true,
+      });
+    },
+  });
+
+  if (!serverName) {
+    return null;
+  }
+
+  const serverResources = resources.filter((resource) => resource.serverName === serverName);
+  const subscribable = serverResources.some((resource) => resource.subscribable);
+
+  const handleAttach = (resource: MCPServerResource) => {
+    if (pendingUri != null) {
+      return;
+    }
+    setPendingUri(resource.uri);
+    attachResource({
+      serverName,
+      uri: resource.uri,
+      name: resource.title ?? resource.name,
+      subscribe: resource.subscribable && subscribe,
+      conversationId: conversation?.conversationId ?? undefined,
+    });
+  };
+
+  return (
+    <OGDialog open={true} onOpenChange={(open) => !open && onClose()}>
+      <OGDialogContent className="w-11/12 max-w-lg bg-surface-dialog text-text-primary">
+        <OGDialogTitle>{localize('com_ui_mcp_resources')}</OGDialogTitle>
+        <OGDialogDescription className="text-sm text-text-secondary">
+          {localize('com_ui_mcp_resources_from_server', { 0: serverName })}
+        </OGDialogDescription>
+        {subscribable && (
+          <div className="flex items-center justify-between gap-2">
+            <Label id="mcp-resource-subscribe-label" className="text-sm font-medium">
+              {localize('com_ui_mcp_resources_subscribe')}
+            </Label>
+            <Switch
+              checked={subscribe}
+              onCheckedChange={setSubscribe}
+              aria-labelledby="mcp-resource-subscribe-label"
+            />
+          </div>
+        )}
+        {serverResources.length === 0 ? (
+          <p className="text-sm text-text-secondary">{localize('com_ui_mcp_resources_empty')}</p>
+        ) : (
+          <ul className="max-h-80 space-y-1 overflow-y-auto">
+            {serverResources.map((resource) => (
+              <li key={resource.uri}>
+                <button
+                  type="button"
+                  disabled={pendingUri != null}
+                  onClick={() => handleAttach(resource)}
+                  className="flex w-full items-center justify-between gap-2 rounded-lg px-3 py-2 text-left hover:bg-surface-hover disabled:opacity-60"
+                >
+                  <span className="flex min-w-0 flex-col">
+                    <span className="truncate text-sm font-medium">
+                      {resource.title ?? resource.name}
+                    </span>
+                    <span className="truncate text-xs text-text-secondary">
+                      {resource.description ?? resource.uri}
+                    </span>
+                  </span>
+                  {pendingUri === resource.uri && <Spinner className="size-4 shrink-0" />}
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </OGDialogContent>
+    </OGDialog>
+  );
+}
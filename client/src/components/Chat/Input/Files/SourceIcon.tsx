@@ -1,4 +1,4 @@
-import { Terminal, Type, Database } from 'lucide-react';
+import { Terminal, Type, Database, Plug } from 'lucide-react';
 import { EModelEndpoint, FileSources } from 'librechat-data-provider';
 import { MinimalIcon } from '~/components/Endpoints';
 import { cn } from '~/utils';
@@ -15,6 +15,7 @@ const sourceToClassname = {
   [FileSources.execute_code]: 'bg-black text-white opacity-85',
   [FileSources.text]: 'bg-blue-500 dark:bg-blue-900 opacity-85 text-white',
   [FileSources.vectordb]: 'bg-yellow-700 dark:bg-yellow-900 opacity-85 text-white',
+  [FileSources.mcp]: 'bg-emerald-600 dark:bg-emerald-900 opacity-85 text-white',
 };
 
 const defaultClassName =
@@ -59,6 +60,16 @@ export default function SourceIcon({
     );
   }
 
+  if (source === FileSources.mcp) {
+    return (
+      <div className={cn(className, sourceToClassname[source] ?? '')}>
+        <span className="flex items-center justify-center">
+          <Plug className="h-3 w-3" aria-hidden="true" />
+        </span>
+      </div>
+    );
+  }
+
   const endpoint = sourceToEndpoint[source ?? ''];
 
   if (!endpoint) {
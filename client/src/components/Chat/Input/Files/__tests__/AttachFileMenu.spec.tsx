@@ -10,6 +10,7 @@ jest.mock('~/hooks', () => ({
   useAgentCapabilities: jest.fn(),
   useGetAgentsConfig: jest.fn(),
   useFileHandlingNoChatContext: jest.fn(),
+  useHasAccess: jest.fn(() => true),
   useLocalize: jest.fn(),
 }));
 
@@ -21,6 +22,12 @@ jest.mock('~/hooks/Files/useSharePointFileHandling', () => ({
 
 jest.mock('~/data-provider', () => ({
   useGetStartupConfig: jest.fn(),
+  useMCPResourcesQuery: jest.fn(() => ({ data: undefined })),
+}));
+
+jest.mock('../MCPResourcesDialog', () => ({
+  __esModule: true,
+  default: () => null,
 }));
 
 jest.mock('~/components/SharePoint', () => ({
@@ -70,6 +77,7 @@ jest.mock('@librechat/client', () => {
       ),
     AttachmentIcon: () => R.createElement('span', { 'data-testid': 'attachment-icon' }),
     SharePointIcon: () => R.createElement('span', { 'data-testid': 'sharepoint-icon' }),
+    MCPIcon: () => R.createElement('span', { 'data-testid': 'mcp-icon' }),
     useToastContext: () => ({ showToast: jest.fn() }),
   };
 });
@@ -94,6 +102,7 @@ const mockUseSharePointFileHandlingNoChatContext = jest.requireMock(
   '~/hooks/Files/useSharePointFileHandling',
 ).useSharePointFileHandlingNoChatContext;
 const mockUseGetStartupConfig = jest.requireMock('~/data-provider').useGetStartupConfig;
+const mockUseMCPResourcesQuery = jest.requireMock('~/data-provider').useMCPResourcesQuery;
 
 const queryClient = new QueryClient({ defaultOptions: { queries: { retry: false } } });
 
@@ -101,6 +110,7 @@ function setupMocks(overrides: { provider?: string } = {}) {
   const translations: Record<string, string> = {
     com_files_upload_sharepoint: 'Upload from SharePoint',
     com_sidepanel_attach_files: 'Attach Files',
+    com_ui_mcp_resources: 'MCP resources',
     com_ui_upload_code_environment: 'Upload to Code Environment',
     com_ui_upload_file_search: 'Upload for File Search',
     com_ui_upload_image_input: 'Upload Image',
@@ -124,6 +134,7 @@ function setupMocks(overrides: { provider?: string } = {}) {
   mockUseSharePointFileHandling.mockReturnValue(sharePointReturnValue);
   mockUseSharePointFileHandlingNoChatContext.mockReturnValue(sharePointReturnValue);
   mockUseGetStartupConfig.mockReturnValue({ data: { sharePointFilePickerEnabled: false } });
+  mockUseMCPResourcesQuery.mockReturnValue({ data: undefined });
   mockUseAgentToolPermissions.mockReturnValue({
     fileSearchAllowedByAgent: false,
     codeAllowedByAgent: false,
@@ -418,6 +429,29 @@ describe('AttachFileMenu', () => {
     });
   });
 
+  describe('MCP Resources', () => {
+    it('shows MCP resources option when a server exposes resources', () => {
+      setupMocks();
+      mockUseMCPResourcesQuery.mockReturnValue({
+        data: {
+          resources: [
+            { serverName: 'jira', uri: 'jira://LC-42', name: 'LC-42', subscribable: true },
+          ],
+        },
+      });
+      renderMenu({ endpointType: EModelEndpoint.openAI });
+      openMenu();
+      expect(screen.getByText('MCP resources')).toBeInTheDocument();
+    });
+
+    it('does NOT show MCP resources option when no server exposes resources', () => {
+      setupMocks();
+      renderMenu({ endpointType: EModelEndpoint.openAI });
+      openMenu();
+      expect(screen.queryByText('MCP resources')).not.toBeInTheDocument();
+    });
+  });
+
   describe('Edge Cases', () => {
     it('handles undefined endpoint and provider gracefully', () => {
       setupMocks();
@@ -0,0 +1,102 @@
+import { useEffect, useState } from 'react';
+import {
+  Input,
+  Label,
+  Button,
+  Spinner,
+  OGDialog,
+  OGDialogTitle,
+  OGDialogContent,
+  OGDialogDescription,
+} from '@librechat/client';
+import type { MCPServerPrompt } from 'librechat-data-provider';
+import { useLocalize } from '~/hooks';
+
+/** Renders the arguments an MCP server prompt declares as a small form */
+export default function MCPPromptDialog({
+  prompt,
+  isSubmitting,
+  onSubmit,
+  onClose,
+}: {
+  prompt: MCPServerPrompt | null;
+  isSubmitting: boolean;
+  onSubmit: (args: Record<string, string>) => void;
+  onClose: () => void;
+}) {
+  const localize = useLocalize();
+  const [values, setValues] = useState<Record<string, string>>({});
+
+  useEffect(() => {
+    setValues({});
+  }, [prompt]);
+
+  if (!prompt) {
+    return null;
+  }
+
+  const promptArguments = prompt.arguments ?? [];
+  const isMissingRequired = promptArguments.some(
+    (arg) => arg.required === true && !(values[arg.name] ?? '').trim(),
+  );
+
+  const handleSubmit = (e: React.FormEvent<HTMLFormElement>) => {
+    e.preventDefault();
+    if (isMissingRequired || isSubmitting) {
+      return;
+    }
+    const args: Record<string, string> = {};
+    for (const arg of promptArguments) {
+      const value = values[arg.name];
+      if (value) {
+        args[arg.name] = value;
+      }
+    }
+    onSubmit(args);
+  };
+
+  return (
+    <OGDialog open={true} onOpenChange={(open) => !open && onClose()}>
+      <OGDialogContent className="w-11/12 max-w-lg bg-surface-dialog text-text-primary">
+        <OGDialogTitle>{prompt.title ?? prompt.name}</OGDialogTitle>
+        <OGDialogDescription className="text-sm text-text-secondary">
+          {prompt.description
+            ? `${prompt.serverName} · ${prompt.description}`
+            : localize('com_ui_mcp_prompt_from_server', { 0: prompt.serverName })}
+        </OGDialogDescription>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          {promptArguments.map((arg) => {
+            const id = `mcp-prompt-arg-${arg.name}`;
+            return (
+              <div key={arg.name} className="flex flex-col gap-1">
+                <Label htmlFor={id} className="text-sm font-medium">
+                  {arg.name}
+                  {arg.required === true && (
+                    <span className="ml-1 text-red-500" aria-hidden="true">
+                      *
+                    </span>
+                  )}
+                </Label>
+                <Input
+                  id={id}
+                  value={values[arg.name] ?? ''}
+                  required={arg.required === true}
+                  placeholder={arg.description ?? ''}
+                  onChange={(e) => setValues((prev) => ({ ...prev, [arg.name]: e.target.value }))}
+                />
+              </div>
+            );
+          })}
+          <div className="flex justify-end gap-2">
+            <Button type="button" variant="outline" onClick={onClose}>
+              {localize('com_ui_cancel')}
+            </Button>
+            <Button type="submit" variant="submit" disabled={isMissingRequired || isSubmitting}>
+              {isSubmitting ? <Spinner className="size-4" /> : localize('com_ui_submit')}
+            </Button>
+          </div>
+        </form>
+      </OGDialogContent>
+    </OGDialog>
+  );
+}
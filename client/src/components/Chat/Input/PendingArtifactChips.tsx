@@ -0,0 +1,59 @@
+import { memo, useCallback } from 'react';
+import { Library, X } from 'lucide-react';
+import { useRecoilValue, useSetRecoilState } from 'recoil';
+import { useLocalize } from '~/hooks';
+import store from '~/store';
+
+/**
+ * Chip row rendered above the textarea for library artifacts the user brought
+ * into the next submission ("Use in new chat" in the artifact library). Each
+ * chip has an × button to drop that artifact before sending.
+ *
+ * Reads + writes `pendingArtifactRefsByConvoId` directly; the atom is drained
+ * in `useChatFunctions.ask` on submit, so chips disappear once the message is sent.
+ */
+function PendingArtifactChips({ conversationId }: { conversationId: string }) {
+  const localize = useLocalize();
+  const artifacts = useRecoilValue(store.pendingArtifactRefsByConvoId(conversationId));
+  const setArtifacts = useSetRecoilState(store.pendingArtifactRefsByConvoId(conversationId));
+
+  const remove = useCallback(
+    (id: string) => {
+      setArtifacts((prev) => prev.filter((artifact) => artifact._id !== id));
+    },
+    [setArtifacts],
+  );
+
+  if (artifacts.length === 0) {
+    return null;
+  }
+
+  return (
+    <div
+      className="flex flex-wrap gap-1.5 px-2 pt-2"
+      role="list"
+      aria-label={localize('com_ui_artifacts_queued')}
+    >
+      {artifacts.map((artifact) => (
+        <span
+          key={artifact._id}
+          role="listitem"
+          className="inline-flex items-center gap-1 rounded-full border border-border-light bg-surface-secondary px-2 py-0.5 text-xs text-text-secondary"
+        >
+          <Library className="h-3 w-3 text-text-secondary" aria-hidden="true" />
+          <span className="max-w-[12rem] truncate">{artifact.title}</span>
+          <button
+            type="button"
+            aria-label={localize('com_ui_remove_artifact_var', { 0: artifact.title })}
+            onClick={() => remove(artifact._id)}
+            className="-mr-0.5 ml-0.5 rounded-full p-0.5 text-text-secondary hover:bg-surface-tertiary hover:text-text-primary"
+          >
+            <X className="h-3 w-3" aria-hidden="true" />
+          </button>
+        </span>
+      ))}
+    </div>
+  );
+}
+
+export default memo(PendingArtifactChips);
@@ -1,16 +1,19 @@
 import { useState, useRef, useEffect, useMemo, memo, useCallback } from 'react';
 import { AutoSizer, List } from 'react-virtualized';
 import { useSetRecoilState, useRecoilValue } from 'recoil';
-import { Input, Spinner, useCombobox } from '@librechat/client';
-import type { TPromptGroup } from 'librechat-data-provider';
+import { PermissionTypes, Permissions } from 'librechat-data-provider';
+import { Input, Spinner, MCPIcon, useCombobox, useToastContext } from '@librechat/client';
+import type { MCPServerPrompt, TPromptGroup } from 'librechat-data-provider';
 import type { PromptOption } from '~/common';
+import { useRecordPromptUsage, useMCPPromptsQuery, useGetMCPPromptMutation } from '~/data-provider';
 import useInitPopoverInput from '~/hooks/Input/useInitPopoverInput';
 import { removeCharIfLast, detectVariables } from '~/utils';
-import { useRecordPromptUsage } from '~/data-provider';
 import { VariableDialog } from '~/components/Prompts';
 import { usePromptGroupsContext } from '~/Providers';
+import { useHasAccess, useLocalize } from '~/hooks';
+import { NotificationSeverity } from '~/common';
+import MCPPromptDialog from './MCPPromptDialog';
 import MentionItem from './MentionItem';
-import { useLocalize } from '~/hooks';
 import store from '~/store';
 
 const commandChar = '/';
@@ -52,6 +55,8 @@ const PopoverContainer = memo(
 
 const ROW_HEIGHT = 44;
 
+const getMCPPromptId = (prompt: MCPServerPrompt) => `mcp:${prompt.serverName}:${prompt.name}`;
+
 function PromptsCommand({
   index,
   textAreaRef,
@@ -62,24 +67,65 @@ function PromptsCommand({
   submitPrompt: (textPrompt: string) => void;
 }) {
   const localize = useLocalize();
+  const { showToast } = useToastContext();
   const { mutate: recordUsage } = useRecordPromptUsage();
   const promptGroupsContext = usePromptGroupsContext();
   const { allPromptGroups, hasAccess } = promptGroupsContext ?? {};
   const { data, isLoading } = allPromptGroups ?? {};
+  const hasMCPAccess = useHasAccess({
+    permissionType: PermissionTypes.MCP_SERVERS,
+    permission: Permissions.USE,
+  });
+  const showPromptsPopover = useRecoilValue(store.showPromptsPopoverFamily(index));
+  const { data: mcpPromptsData } = useMCPPromptsQuery({
+    enabled: hasAccess === true && hasMCPAccess && showPromptsPopover,
+  });
 
   const [activeIndex, setActiveIndex] = useState(0);
   const timeoutRef = useRef<NodeJS.Timeout | null>(null);
   const inputRef = useRef<HTMLInputElement | null>(null);
   const [isVariableDialogOpen, setVariableDialogOpen] = useState(false);
   const [variableGroup, setVariableGroup] = useState<TPromptGroup | null>(null);
+  const [argumentsPrompt, setArgumentsPrompt] = useState<MCPServerPrompt | null>(null);
   const setShowPromptsPopover = useSetRecoilState(store.showPromptsPopoverFamily(index));
 
-  const prompts = useMemo(() => data?.promptGroups, [data]);
   const promptsMap = useMemo(() => data?.promptsMap, [data]);
+  const mcpPromptsMap = useMemo(() => {
+    const map: Record<string, MCPServerPrompt> = {};
+    for (const prompt of mcpPromptsData?.prompts ?? []) {
+      map[getMCPPromptId(prompt)] = prompt;
+    }
+    return map;
+  }, [mcpPromptsData]);
+  const prompts = useMemo(() => {
+    const mcpOptions: PromptOption[] = (mcpPromptsData?.prompts ?? []).map((prompt) => ({
+      id: getMCPPromptId(prompt),
+      type: 'mcp_prompt',
+      value: prompt.name,
+      label: `${prompt.title ?? prompt.name}: ${prompt.description ?? prompt.serverName}`,
+      description: prompt.serverName,
+      icon: <MCPIcon className="h-5 w-5" />,
+    }));
+    return [...(data?.promptGroups ?? []), ...mcpOptions];
+  }, [data, mcpPromptsData]);
 
   const { open, setOpen, searchValue, setSearchValue, matches } = useCombobox({
     value: '',
-    options: prompts ?? [],
+    options: prompts,
+  });
+
+  const { mutate: resolveMCPPrompt, isLoading: isResolvingMCPPrompt } = useGetMCPPromptMutation({
+    onSuccess: (result) => {
+      setArgumentsPrompt(null);
+      submitPrompt(result.content);
+    },
+    onError: () => {
+      showToast({
+        message: localize('com_ui_mcp_prompt_error'),
+        severity: NotificationSeverity.ERROR,
+        showIcon: true,
+      });
+    },
   });
 
   const initInputRef = useInitPopoverInput({
@@ -104,6 +150,19 @@ function PromptsCommand({
         removeCharIfLast(textAreaRef.current, commandChar);
       }
 
+      const mcpPrompt = mcpPromptsMap[mention.id];
+      if (mcpPrompt) {
+        if (e && e.key === 'Tab') {
+          e.preventDefault();
+        }
+        if (mcpPrompt.arguments?.length) {
+          setArgumentsPrompt(mcpPrompt);
+          return;
+        }
+        resolveMCPPrompt({ serverName: mcpPrompt.serverName, name: mcpPrompt.name });
+        return;
+      }
+
       const group = promptsMap?.[mention.id];
       if (!group) {
         return;
@@ -130,8 +189,10 @@ function PromptsCommand({
       setShowPromptsPopover,
       textAreaRef,
       promptsMap,
+      mcpPromptsMap,
       submitPrompt,
       recordUsage,
+      resolveMCPPrompt,
     ],
   );
 
@@ -165,6 +226,13 @@ function PromptsCommand({
     return null;
   }
 
+  const closeArgumentsDialog = () => {
+    setArgumentsPrompt(null);
+    requestAnimationFrame(() => {
+      textAreaRef.current?.focus();
+    });
+  };
+
   const rowRenderer = ({
     index,
     key,
@@ -197,89 +265,104 @@ function PromptsCommand({
   };
 
   return (
-    <PopoverContainer
-      index={index}
-      isVariableDialogOpen={isVariableDialogOpen}
-      variableGroup={variableGroup}
-      setVariableDialogOpen={setVariableDialogOpen}
-      textAreaRef={textAreaRef}
-    >
-      <div className="absolute bottom-28 z-10 w-full space-y-2">
-        <div className="popover border-token-border-light rounded-2xl border bg-surface-tertiary-alt p-2 shadow-lg">
-          <Input
-            ref={initInputRef}
-            placeholder={localize('com_ui_command_usage_placeholder')}
-            className="mb-1 h-auto w-full rounded-none border-0 bg-surface-tertiary-alt p-2 text-sm text-text-primary focus:outline-none"
-            autoComplete="off"
-            value={searchValue}
-            onKeyDown={(e) => {
-              if (e.key === 'Escape') {
-                setOpen(false);
-                setShowPromptsPopover(false);
-                textAreaRef.current?.focus();
-              }
-              if (e.key === 'ArrowDown') {
-                if (matches.length === 0) {
-                  return;
-                }
-                setActiveIndex((prevIndex) => (prevIndex + 1) % matches.length);
-              } else if (e.key === 'ArrowUp') {
-                if (matches.length === 0) {
-                  return;
-                }
-                setActiveIndex((prevIndex) => (prevIndex - 1 + matches.length) % matches.length);
-              } else if (e.key === 'Enter' || e.key === 'Tab') {
-                if (matches.length === 0) {
-                  e.preventDefault();
+    <>
+      <MCPPromptDialog
+        prompt={argumentsPrompt}
+        isSubmitting={isResolvingMCPPrompt}
+        onClose={closeArgumentsDialog}
+        onSubmit={(args) =>
+          argumentsPrompt &&
+          resolveMCPPrompt({
+            serverName: argumentsPrompt.serverName,
+            name: argumentsPrompt.name,
+            arguments: args,
+          })
+        }
+      />
+      <PopoverContainer
+        index={index}
+        isVariableDialogOpen={isVariableDialogOpen}
+        variableGroup={variableGroup}
+        setVariableDialogOpen={setVariableDialogOpen}
+        textAreaRef={textAreaRef}
+      >
+        <div className="absolute bottom-28 z-10 w-full space-y-2">
+          <div className="popover border-token-border-light rounded-2xl border bg-surface-tertiary-alt p-2 shadow-lg">
+            <Input
+              ref={initInputRef}
+              placeholder={localize('com_ui_command_usage_placeholder')}
+              className="mb-1 h-auto w-full rounded-none border-0 bg-surface-tertiary-alt p-2 text-sm text-text-primary focus:outline-none"
+              autoComplete="off"
+              value={searchValue}
+              onKeyDown={(e) => {
+                if (e.key === 'Escape') {
                   setOpen(false);
                   setShowPromptsPopover(false);
                   textAreaRef.current?.focus();
-                  return;
                 }
-                if (e.key === 'Enter') {
-                  e.preventDefault();
+                if (e.key === 'ArrowDown') {
+                  if (matches.length === 0) {
+                    return;
+                  }
+                  setActiveIndex((prevIndex) => (prevIndex + 1) % matches.length);
+                } else if (e.key === 'ArrowUp') {
+                  if (matches.length === 0) {
+                    return;
+                  }
+                  setActiveIndex((prevIndex) => (prevIndex - 1 + matches.length) % matches.length);
+                } else if (e.key === 'Enter' || e.key === 'Tab') {
+                  if (matches.length === 0) {
+                    e.preventDefault();
+                    setOpen(false);
+                    setShowPromptsPopover(false);
+                    textAreaRef.current?.focus();
+                    return;
+                  }
+                  if (e.key === 'Enter') {
+                    e.preventDefault();
+                  }
+                  handleSelect(matches[activeIndex] as PromptOption | undefined, e);
+                } else if (e.key === 'Backspace' && searchValue === '') {
+                  setOpen(false);
+                  setShowPromptsPopover(false);
+                  textAreaRef.current?.focus();
                 }
-                handleSelect(matches[activeIndex] as PromptOption | undefined, e);
-              } else if (e.key === 'Backspace' && searchValue === '') {
-                setOpen(false);
-                setShowPromptsPopover(false);
-                textAreaRef.current?.focus();
-              }
-            }}
-            onChange={(e) => setSearchValue(e.target.value)}
-            onFocus={() => setOpen(true)}
-            onBlur={() => {
-              timeoutRef.current = setTimeout(() => {
-                setOpen(false);
-                setShowPromptsPopover(false);
-              }, 150);
-            }}
-          />
-          {open && isLoading && matches.length === 0 && (
-            <div className="flex h-32 items-center justify-center text-text-primary">
-              <Spinner />
-            </div>
-          )}
-          {open && matches.length > 0 && (
-            <div className="max-h-40">
-              <AutoSizer disableHeight>
-                {({ width }) => (
-                  <List
-                    width={width}
-                    overscanRowCount={5}
-                    rowHeight={ROW_HEIGHT}
-                    rowCount={matches.length}
-                    rowRenderer={rowRenderer}
-                    scrollToIndex={activeIndex}
-                    height={Math.min(matches.length * ROW_HEIGHT, 160)}
-                  />
-                )}
-              </AutoSizer>
-            </div>
-          )}
+              }}
+              onChange={(e) => setSearchValue(e.target.value)}
+              onFocus={() => setOpen(true)}
+              onBlur={() => {
+                timeoutRef.current = setTimeout(() => {
+                  setOpen(false);
+                  setShowPromptsPopover(false);
+                }, 150);
+              }}
+            />
+            {open && isLoading && matches.length === 0 && (
+              <div className="flex h-32 items-center justify-center text-text-primary">
+                <Spinner />
+              </div>
+            )}
+            {open && matches.length > 0 && (
+              <div className="max-h-40">
+                <AutoSizer disableHeight>
+                  {({ width }) => (
+                    <List
+                      width={width}
+                      overscanRowCount={5}
+                      rowHeight={ROW_HEIGHT}
+                      rowCount={matches.length}
+                      rowRenderer={rowRenderer}
+                      scrollToIndex={activeIndex}
+                      height={Math.min(matches.length * ROW_HEIGHT, 160)}
+                    />
+                  )}
+                </AutoSizer>
+              </div>
+            )}
+          </div>
         </div>
-      </div>
-    </PopoverContainer>
+      </PopoverContainer>
+    </>
   );
 }
 
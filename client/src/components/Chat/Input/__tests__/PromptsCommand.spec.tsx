@@ -8,6 +8,7 @@
  */
 import React from 'react';
 import { fireEvent, render, screen } from '@testing-library/react';
+import type { MCPServerPrompt } from 'librechat-data-provider';
 import type { PromptOption } from '~/common';
 
 const PLACEHOLDER = 'com_ui_command_usage_placeholder';
@@ -36,8 +37,17 @@ jest.mock('~/store', () => ({
 }));
 
 const mockRecordUsage = jest.fn();
+const mockResolveMCPPrompt = jest.fn();
+const mockMCPPrompts = { current: [] as MCPServerPrompt[] };
 jest.mock('~/data-provider', () => ({
   useRecordPromptUsage: () => ({ mutate: mockRecordUsage }),
+  useMCPPromptsQuery: () => ({ data: { prompts: mockMCPPrompts.current } }),
+  useGetMCPPromptMutation: () => ({ mutate: mockResolveMCPPrompt, isLoading: false }),
+}));
+
+jest.mock('@librechat/client', () => ({
+  ...jest.requireActual('@librechat/client'),
+  useToastContext: () => ({ showToast: jest.fn() }),
 }));
 
 const mockPromptGroupsContext = jest.fn();
@@ -51,6 +61,7 @@ jest.mock('~/components/Prompts', () => ({
 
 jest.mock('~/hooks', () => ({
   useLocalize: () => (key: string) => key,
+  useHasAccess: () => true,
 }));
 
 /* react-virtualized renders nothing in jsdom without a measured size; replace
@@ -119,6 +130,7 @@ beforeEach(() => {
   jest.clearAllMocks();
   document.body.innerHTML = '';
   mockShowPromptsPopover.current = true;
+  mockMCPPrompts.current = [];
   mockPromptGroupsContext.mockReturnValue({
     hasAccess: true,
     allPromptGroups: {
@@ -218,3 +230,51 @@ describe('PromptsCommand keyboard navigation', () => {
     expect((getInput() as HTMLInputElement).value).toBe('');
   });
 });
+
+describe('PromptsCommand MCP prompts', () => {
+  it('lists MCP server prompts after the prompt groups', () => {
+    mockMCPPrompts.current = [{ serverName: 'tickets', name: 'summarize' }];
+    renderCommand();
+
+    expect(screen.getAllByRole('button')).toHaveLength(3);
+    expect(screen.getByText('summarize: tickets')).toBeInTheDocument();
+  });
+
+  it('resolves an MCP prompt without arguments directly on select', () => {
+    mockMCPPrompts.current = [{ serverName: 'tickets', name: 'summarize' }];
+    renderCommand();
+
+    fireEvent.change(getInput(), { target: { value: 'summarize' } });
+    fireEvent.keyDown(getInput(), { key: 'Enter' });
+
+    expect(mockResolveMCPPrompt).toHaveBeenCalledWith({
+      serverName: 'tickets',
+      name: 'summarize',
+    });
+    expect(mockRecordUsage).not.toHaveBeenCalled();
+  });
+
+  it('asks for declared arguments before resolving an MCP prompt', () => {
+    mockMCPPrompts.current = [
+      {
+        serverName: 'tickets',
+        name: 'summarize',
+        arguments: [{ name: 'ticket', required: true }],
+      },
+    ];
+    renderCommand();
+
+    fireEvent.change(getInput(), { target: { value: 'summarize' } });
+    fireEvent.keyDown(getInput(), { key: 'Enter' });
+    expect(mockResolveMCPPrompt).not.toHaveBeenCalled();
+
+    fireEvent.change(screen.getByLabelText(/ticket/), { target: { value: 'LC-42' } });
+    fireEvent.click(screen.getByText('com_ui_submit'));
+
+    expect(mockResolveMCPPrompt).toHaveBeenCalledWith({
+      serverName: 'tickets',
+      name: 'summarize',
+      arguments: { ticket: 'LC-42' },
+    });
+  });
+});
@@ -4,6 +4,7 @@ import { atom, useRecoilState, useRecoilValue } from 'recoil';
 import type { Agents } from 'librechat-data-provider';
 import {
   useSubmitToolApprovalMutation,
+  useSubmitMCPElicitationMutation,
   useSubmitAskAnswerMutation,
   type ResumeAgentFields,
 } from '~/data-provider';
@@ -314,11 +315,13 @@ export function useResumeSubmit() {
   const getEphemeralAgent = useGetEphemeralAgent();
   const approvalMutation = useSubmitToolApprovalMutation();
   const askMutation = useSubmitAskAnswerMutation();
+  const elicitationMutation = useSubmitMCPElicitationMutation();
   const { getDecisions, isReady, setStatus } = useApprovalContext();
   /** React state cannot lock a second click in the same browser task. Keep a
    *  synchronous action-id guard alongside the rendered submission status. */
   const submittingToolActionIdsRef = useRef(new Set<string>());
   const submittingAskActionIdsRef = useRef(new Set<string>());
+  const submittingElicitationActionIdsRef = useRef(new Set<string>());
   /** Ask status lives in Recoil so it works from the composer (outside the
    *  provider); tool-approval status stays on the context. */
   const { setAskStatus } = useAskSubmitStatus();
@@ -449,5 +452,30 @@ export function useResumeSubmit() {
     [askMutation, buildResumeFields, setAskStatus, chatContext],
   );
 
-  return { submitToolApproval, submitAskAnswer };
+  const submitMCPElicitation = useCallback(
+    (actionId: string, elicitation: Agents.MCPElicitationResolution) => {
+      const fields = buildResumeFields();
+      if (!fields || submittingElicitationActionIdsRef.current.has(actionId)) {
+        return;
+      }
+      submittingElicitationActionIdsRef.current.add(actionId);
+      setStatus(actionId, 'submitting');
+      elicitationMutation.mutate(
+        { ...fields, actionId, elicitation },
+        {
+          onSuccess: () => setStatus(actionId, 'submitted'),
+          onError: (error) => {
+            const expired = isExpiredError(error);
+            if (!expired) {
+              submittingElicitationActionIdsRef.current.delete(actionId);
+            }
+            setStatus(actionId, expired ? 'expired' : 'error');
+          },
+        },
+      );
+    },
+    [elicitationMutation, buildResumeFields, setStatus],
+  );
+
+  return { submitToolApproval, submitAskAnswer, submitMCPElicitation };
 }
@@ -0,0 +1,190 @@
+import { useMemo, useState } from 'react';
+import { TriangleAlert } from 'lucide-react';
+import { Button, Dropdown, Input, Label, Switch } from '@librechat/client';
+import type { Agents } from 'librechat-data-provider';
+import { useApprovalContext, useResumeSubmit } from './ApprovalContext';
+import { useLocalize } from '~/hooks';
+
+type FieldValue = string | boolean;
+
+function initialValue(field: Agents.MCPElicitationField): FieldValue {
+  if (field.type === 'boolean') {
+    return typeof field.default === 'boolean' ? field.default : false;
+  }
+  return field.default != null ? String(field.default) : '';
+}
+
+/** Converts the form's string inputs to the declared JSON types; `null` when a value is invalid. */
+function toContent(
+  schema: Agents.MCPElicitationSchema,
+  values: Record<string, FieldValue>,
+): Record<string, string | number | boolean> | null {
+  const required = new Set(schema.required ?? []);
+  const content: Record<string, string | number | boolean> = {};
+  for (const [name, field] of Object.entries(schema.properties ?? {})) {
+    const value = values[name];
+    if (typeof value === 'boolean') {
+      content[name] = value;
+      continue;
+    }
+    if (value == null || value.trim() === '') {
+      if (required.has(name)) {
+        return null;
+      }
+      continue;
+    }
+    if (field.type === 'number' || field.type === 'integer') {
+      const parsed = Number(value);
+      if (!Number.isFinite(parsed) || (field.type === 'integer' && !Number.isInteger(parsed))) {
+        return null;
+      }
+      content[name] = parsed;
+      continue;
+    }
+    content[name] = value;
+  }
+  return content;
+}
+
+/**
+ * Renders the form an MCP server asked for while one of its tools is running. The
+ * answer (or a decline/cancel) goes back to the server; the tool call then continues.
+ */
+export default function MCPElicitation({
+  elicitation,
+}: {
+  elicitation: Agents.MCPElicitationToolCallState;
+}) {
+  const localize = useLocalize();
+  const { actionId, serverName, message, requestedSchema } = elicitation;
+  const { getStatus } = useApprovalContext();
+  const { submitMCPElicitation } = useResumeSubmit();
+  const fields = useMemo(
+    () => Object.entries(requestedSchema?.properties ?? {}),
+    [requestedSchema],
+  );
+  const [values, setValues] = useState<Record<string, FieldValue>>(() =>
+    Object.fromEntries(fields.map(([name, field]) => [name, initialValue(field)])),
+  );
+
+  const content = useMemo(() => toContent(requestedSchema, values), [requestedSchema, values]);
+  const status = getStatus(actionId);
+  const locked = status === 'submitting' || status === 'submitted' || status === 'expired';
+
+  if (status === 'submitted') {
+    return null;
+  }
+
+  const setValue = (name: string, value: FieldValue) =>
+    setValues((prev) => ({ ...prev, [name]: value }));
+
+  return (
+    <div
+      className="my-2 flex w-full flex-col gap-3 rounded-lg border border-border-light bg-surface-secondary p-3"
+      data-testid="mcp-elicitation"
+    >
+      <div className="flex flex-col gap-1">
+        <span className="text-xs text-text-secondary">
+          {localize('com_ui_mcp_elicitation_from', { 0: serverName })}
+        </span>
+        <p className="text-sm text-text-primary">{message}</p>
+      </div>
+
+      {fields.map(([name, field]) => {
+        const id = `mcp-elicitation-${actionId}-${name}`;
+        const label = field.title ?? name;
+        const value = values[name];
+        return (
+          <div key={name} className="flex flex-col gap-1">
+            {field.type === 'boolean' ? (
+              <div className="flex items-center justify-between gap-2">
+                <Label id={`${id}-label`} className="text-sm font-medium">
+                  {label}
+                </Label>
+                <Switch
+                  checked={value === true}
+                  disabled={locked}
+                  onCheckedChange={(checked) => setValue(name, checked)}
+                  aria-labelledby={`${id}-label`}
+                />
+              </div>
+            ) : (
+              <>
+                <Label htmlFor={id} id={`${id}-label`} className="text-sm font-medium">
+                  {label}
+                  {requestedSchema.required?.includes(name) === true && ' *'}
+                </Label>
+                {field.enum != null ? (
+                  <Dropdown
+                    value={typeof value === 'string' ? value : ''}
+                    onChange={(next) => setValue(name, next)}
+                    options={field.enum.map((option, index) => ({
+                      value: option,
+                      label: field.enumNames?.[index] ?? option,
+                    }))}
+                    disabled={locked}
+                    aria-labelledby={`${id}-label`}
+                    portal={false}
+                  />
+                ) : (
+                  <Input
+                    id={id}
+                    type={field.type === 'string' ? 'text' : 'number'}
+                    value={typeof value === 'string' ? value : ''}
+                    disabled={locked}
+                    onChange={(e) => setValue(name, e.target.value)}
+                    className="bg-surface-primary"
+                  />
+                )}
+              </>
+            )}
+            {field.description != null && field.description.length > 0 && (
+              <span className="text-xs text-text-secondary">{field.description}</span>
+            )}
+          </div>
+        );
+      })}
+
+      <div className="mt-1 flex flex-wrap items-center gap-2">
+        <Button
+          size="sm"
+          variant="submit"
+          disabled={locked || content == null}
+          onClick={() =>
+            content != null && submitMCPElicitation(actionId, { action: 'accept', content })
+          }
+        >
+          {status === 'submitting' ? localize('com_ui_submitting') : localize('com_ui_submit')}
+        </Button>
+        <Button
+          size="sm"
+          variant="outline"
+          disabled={locked}
+          onClick={() => submitMCPElicitation(actionId, { action: 'decline' })}
+        >
+          {localize('com_ui_mcp_elicitation_decline')}
+        </Button>
+        <Button
+          size="sm"
+          variant="outline"
+          disabled={locked}
+          onClick={() => submitMCPElicitation(actionId, { action: 'cancel' })}
+        >
+          {localize('com_ui_cancel')}
+        </Button>
+        {status === 'expired' && (
+          <span className="flex items-center text-xs text-text-warning">
+            <TriangleAlert className="mr-1.5 h-4 w-4" aria-hidden="true" />
+            {localize('com_ui_approval_expired')}
+          </span>
+        )}
+        {status === 'error' && (
+          <span className="flex items-center text-xs text-text-warning">
+            <TriangleAlert className="mr-1.5 h-4 w-4" aria-hidden="true" />
+            {localize('com_ui_mcp_elicitation_error')}
+          </span>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -29,6 +29,7 @@ import AskUserQuestionCall from './AskUserQuestionCall';
 import { isBashProgrammaticToolCall } from './routing';
 import { ErrorMessage } from './MessageContent';
 import AskUserQuestion from './AskUserQuestion';
+import MCPElicitation from './MCPElicitation';
 import RetrievalCall from './RetrievalCall';
 import ToolApproval from './ToolApproval';
 import AgentHandoff from './AgentHandoff';
@@ -405,6 +406,15 @@ const Part = memo(function Part({
           </>
         );
       }
+      /** An MCP server asked for input mid-call; the form stays until it is answered. */
+      if (toolCall.elicitation != null && (toolCall.output?.length ?? 0) === 0) {
+        return (
+          <>
+            {card}
+            <MCPElicitation elicitation={toolCall.elicitation} />
+          </>
+        );
+      }
       return card;
     } else if (toolCall.type === ToolCallTypes.CODE_INTERPRETER) {
       const code_interpreter = toolCall[ToolCallTypes.CODE_INTERPRETER];
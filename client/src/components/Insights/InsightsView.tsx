@@ -1,9 +1,12 @@
 import { useEffect, useId, useMemo, useRef, useState } from 'react';
 import { Navigate } from 'react-router-dom';
 import { useTranslation } from 'react-i18next';
-import { AlertCircle, Info, Search } from 'lucide-react';
-import { Button, Input, Spinner, TooltipAnchor, useMediaQuery } from '@librechat/client';
+import { AlertCircle, Info, Search, ThumbsDown, ThumbsUp } from 'lucide-react';
+import { Button, Dropdown, Input, Spinner, TooltipAnchor, useMediaQuery } from '@librechat/client';
 import {
+  FEEDBACK_TAGS,
+  getTagByKey,
+  getTagsForRating,
   INSIGHTS_MAX_RANGE_DAYS,
   INSIGHTS_SEARCH_MAX_LENGTH,
   INSIGHTS_SEARCH_MIN_LENGTH,
@@ -11,9 +14,15 @@ import {
 } from 'librechat-data-provider';
 import type {
   InsightsRange,
+  TFeedbackTagKey,
+  TInsightsFeedback,
+  TInsightsFeedbackSource,
   TInsightsChurnedUser,
   TInsightsConversation,
   TInsightsParams,
+  TInsightsUsage,
+  TInsightsUsageOption,
+  TInsightsUsageRow,
   TInsightsUser,
 } from 'librechat-data-provider';
 import type { TranslationKeys } from '~/hooks';
@@ -29,11 +38,18 @@ type Localize = ReturnType<typeof useLocalize>;
 type SparklinePoint = { date: string; value: number };
 type CustomDateRange = { startDate: Date; endDate: Date };
 
+type UsageFilters = Pick<TInsightsParams, 'endpoint' | 'model' | 'agentId'>;
+type UsageDimension = 'endpoints' | 'models' | 'agents';
+type FeedbackFilters = Pick<TInsightsParams, 'feedbackSource' | 'feedbackRating' | 'feedbackTag'>;
+type ValueFormatter = (value: number, locale: string) => string;
+
 type KpiCardData = {
-  id: 'conversations' | 'users' | 'messages' | 'tokens';
+  id: 'conversations' | 'users' | 'messages' | 'tokens' | 'cost';
   title: string;
   value: number;
   sparkline: SparklinePoint[];
+  format?: ValueFormatter;
+  exactFormat?: ValueFormatter;
 };
 
 const ranges: Array<{ value: ShortcutRange; labelKey: TranslationKeys; days: number }> = [
@@ -41,6 +57,34 @@ const ranges: Array<{ value: ShortcutRange; labelKey: TranslationKeys; days: num
   { value: '7d', labelKey: 'com_insights_range_7_days', days: 7 },
   { value: '30d', labelKey: 'com_insights_range_30_days', days: 30 },
 ];
+const usageDimensions: Array<{
+  value: UsageDimension;
+  filter: keyof UsageFilters;
+  labelKey: TranslationKeys;
+  allLabelKey: TranslationKeys;
+}> = [
+  {
+    value: 'endpoints',
+    filter: 'endpoint',
+    labelKey: 'com_insights_endpoint',
+    allLabelKey: 'com_insights_all_endpoints',
+  },
+  {
+    value: 'models',
+    filter: 'model',
+    labelKey: 'com_insights_model',
+    allLabelKey: 'com_insights_all_models',
+  },
+  {
+    value: 'agents',
+    filter: 'agentId',
+    labelKey: 'com_insights_agent',
+    allLabelKey: 'com_insights_all_agents',
+  },
+];
+const topReasonCount = 3;
+/** `Dropdown` renders an empty value as a blank trigger, so "all" needs a value of its own. */
+const allFilterValue = '__all__';
 const dateRangeSelectionDelayMs = 350;
 const searchDelayMs = 350;
 
@@ -55,6 +99,40 @@ function formatExactValue(value: number, locale: string) {
   return new Intl.NumberFormat(locale).format(value);
 }
 
+function formatCost(value: number, locale: string) {
+  return new Intl.NumberFormat(locale, {
+    style: 'currency',
+    currency: 'USD',
+    notation: value >= 10_000 ? 'compact' : 'standard',
+    maximumFractionDigits: value > 0 && value < 1 ? 4 : 2,
+  }).format(value);
+}
+
+function formatExactCost(value: number, locale: string) {
+  return new Intl.NumberFormat(locale, {
+    style: 'currency',
+    currency: 'USD',
+    maximumFractionDigits: 4,
+  }).format(value);
+}
+
+function formatPercent(value: number, locale: string) {
+  return new Intl.NumberFormat(locale, { style: 'percent', maximumFractionDigits: 1 }).format(
+    value,
+  );
+}
+
+/** Share of rated responses that were thumbs-down; 0 when nothing was rated. */
+function thumbsDownShare({ thumbsUp, thumbsDown }: { thumbsUp: number; thumbsDown: number }) {
+  const rated = thumbsUp + thumbsDown;
+  return rated === 0 ? 0 : thumbsDown / rated;
+}
+
+function feedbackTagLabel(key: TFeedbackTagKey, localize: Localize) {
+  const tag = getTagByKey(key);
+  return tag ? localize(tag.label as TranslationKeys) : key;
+}
+
 function formatDate(value: string, locale: string) {
   return new Intl.DateTimeFormat(locale, {
     month: 'short',
@@ -135,10 +213,12 @@ function Sparkline({
   values,
   label,
   locale,
+  format = formatExactValue,
 }: {
   values: SparklinePoint[];
   label: string;
   locale: string;
+  format?: ValueFormatter;
 }) {
   const patternId = useId().replace(/:/g, '');
   const [activeIndex, setActiveIndex] = useState<number>();
@@ -226,7 +306,7 @@ function Sparkline({
             style={{ left: `${Math.max(14, Math.min(86, (activePoint.x / 300) * 100))}%` }}
           >
             {formatter.format(new Date(activePoint.date))}{' '}
-            <strong>{formatExactValue(activePoint.value, locale)}</strong>
+            <strong>{format(activePoint.value, locale)}</strong>
           </span>
         </>
       )}
@@ -240,12 +320,13 @@ function KpiCard({ card, locale }: { card: KpiCardData; locale: string }) {
     <Panel>
       <h2 className="text-lg font-normal text-text-secondary">{card.title}</h2>
       <div className="mt-3 text-4xl font-semibold tabular-nums leading-none text-text-primary">
-        {formatValue(card.value, locale)}
+        {(card.format ?? formatValue)(card.value, locale)}
       </div>
       <Sparkline
         values={card.sparkline}
         label={localize('com_insights_sparkline_accessibility', { label: card.title })}
         locale={locale}
+        format={card.exactFormat}
       />
     </Panel>
   );
@@ -260,6 +341,492 @@ function TablePanel({ title, children }: { title: React.ReactNode; children: Rea
   );
 }
 
+function UsageFilterDropdown({
+  value,
+  options,
+  allLabel,
+  ariaLabel,
+  onChange,
+}: {
+  value?: string;
+  options: TInsightsUsageOption[];
+  allLabel: string;
+  ariaLabel: string;
+  onChange: (value?: string) => void;
+}) {
+  const dropdownOptions = useMemo(() => {
+    const items = [{ value: allFilterValue, label: allLabel }, ...options];
+    /** Keeps a selection that dropped out of the range's options readable in the trigger. */
+    if (value && !options.some((option) => option.value === value)) {
+      items.push({ value, label: value });
+    }
+    return items;
+  }, [allLabel, options, value]);
+
+  return (
+    <Dropdown
+      value={value ?? allFilterValue}
+      onChange={(next) => onChange(next === allFilterValue ? undefined : next)}
+      options={dropdownOptions}
+      ariaLabel={ariaLabel}
+      className="min-w-0"
+      triggerClassName="h-8 max-w-48"
+      sizeClasses="z-50 max-h-72 w-64"
+      searchable={options.length > 8}
+    />
+  );
+}
+
+function UsagePanel({
+  usage,
+  filters,
+  setFilter,
+  localize,
+  locale,
+}: {
+  usage: TInsightsUsage;
+  filters: UsageFilters;
+  setFilter: (filter: keyof UsageFilters, value?: string) => void;
+  localize: Localize;
+  locale: string;
+}) {
+  const [dimension, setDimension] = useState<UsageDimension>('endpoints');
+  const activeDimension =
+    usageDimensions.find((item) => item.value === dimension) ?? usageDimensions[0];
+  const rows: TInsightsUsageRow[] = usage[dimension];
+
+  return (
+    <TablePanel
+      title={
+        <div className="flex flex-col gap-3 md:flex-row md:items-center md:justify-between">
+          <span>{localize('com_insights_usage')}</span>
+          <div className="flex flex-wrap items-center gap-2 text-sm font-normal">
+            {usageDimensions.map((item) => (
+              <UsageFilterDropdown
+                key={item.filter}
+                value={filters[item.filter]}
+                options={usage.options[item.value]}
+                allLabel={localize(item.allLabelKey)}
+                ariaLabel={localize('com_insights_filter_by', { label: localize(item.labelKey) })}
+                onChange={(value) => setFilter(item.filter, value)}
+              />
+            ))}
+          </div>
+        </div>
+      }
+    >
+      <div className="mb-3 inline-flex rounded-lg border border-border-light p-0.5">
+        {usageDimensions.map((item) => (
+          <Button
+            key={item.value}
+            size="sm"
+            variant="ghost"
+            aria-pressed={dimension === item.value}
+            className={cn(
+              'h-8 rounded-md px-3',
+              dimension === item.value && 'bg-surface-active-alt',
+            )}
+            onClick={() => setDimension(item.value)}
+          >
+            {localize(item.labelKey)}
+          </Button>
+        ))}
+      </div>
+      {rows.length === 0 ? (
+        <EmptyState message={localize('com_insights_no_data')} />
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full min-w-[520px] text-left text-sm">
+            <thead className="border-b border-border-medium text-xs text-text-secondary">
+              <tr>
+                <th className="px-2 py-2 font-medium">{localize(activeDimension.labelKey)}</th>
+                <th className="px-2 py-2 text-right font-medium">
+                  {localize('com_insights_messages')}
+                </th>
+                <th className="px-2 py-2 text-right font-medium">
+                  {localize('com_insights_total_tokens')}
+                </th>
+                <th className="px-2 py-2 text-right font-medium">
+                  {localize('com_insights_estimated_cost')}
+                </th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-border-light">
+              {rows.map((row) => (
+                <tr key={row.key} className="hover:bg-surface-hover">
+                  <td className="max-w-72 px-2 py-3">
+                    <div className="truncate text-text-primary">{row.label}</div>
+                    {row.label !== row.key && (
+                      <div className="truncate text-xs text-text-secondary">{row.key}</div>
+                    )}
+                  </td>
+                  <td className="px-2 py-3 text-right tabular-nums">
+                    {formatExactValue(row.messages, locale)}
+                  </td>
+                  <td className="px-2 py-3 text-right tabular-nums">
+                    {formatExactValue(row.totalTokens, locale)}
+                  </td>
+                  <td className="px-2 py-3 text-right tabular-nums">
+                    {formatExactCost(row.cost, locale)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+      <p className="mt-3 text-xs text-text-secondary">
+        {localize('com_insights_estimated_cost_description')}
+      </p>
+    </TablePanel>
+  );
+}
+
+function FeedbackSourcesTable({
+  sources,
+  activeSource,
+  setSource,
+  localize,
+  locale,
+}: {
+  sources: TInsightsFeedbackSource[];
+  activeSource?: string;
+  setSource: (value?: string) => void;
+  localize: Localize;
+  locale: string;
+}) {
+  if (sources.length === 0) {
+    return <EmptyState message={localize('com_insights_no_feedback')} />;
+  }
+  return (
+    <div className="overflow-x-auto">
+      <table className="w-full min-w-[640px] text-left text-sm">
+        <thead className="border-b border-border-medium text-xs text-text-secondary">
+          <tr>
+            <th className="px-2 py-2 font-medium">{localize('com_insights_feedback_source')}</th>
+            <th className="px-2 py-2 text-right font-medium">
+              {localize('com_insights_feedback_rated')}
+            </th>
+            <th className="px-2 py-2 text-right font-medium">
+              {localize('com_insights_feedback_thumbs_down_rate')}
+            </th>
+            <th className="px-2 py-2 font-medium">{localize('com_insights_feedback_reasons')}</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-border-light">
+          {sources.map((source) => {
+            const rated = source.thumbsUp + source.thumbsDown;
+            const reasons = (Object.entries(source.reasons) as Array<[TFeedbackTagKey, number]>)
+              .sort(([, left], [, right]) => right - left)
+              .slice(0, topReasonCount);
+            const isActive = activeSource === source.id;
+            return (
+              <tr
+                key={source.id}
+                className={cn('hover:bg-surface-hover', isActive && 'bg-surface-active-alt')}
+              >
+                <td className="max-w-72 px-2 py-3">
+                  <button
+                    type="button"
+                    className="block w-full min-w-0 text-left"
+                    aria-pressed={isActive}
+                    onClick={() => setSource(isActive ? undefined : source.id)}
+                  >
+                    <span className="block truncate text-text-primary">{source.label}</span>
+                    <span className="block truncate text-xs text-text-secondary">
+                      {localize(
+                        source.kind === 'agent' ? 'com_insights_agent' : 'com_insights_model',
+                      )}
+                      {source.label !== source.key && ` · ${source.key}`}
+                    </span>
+                  </button>
+                </td>
+                <td className="px-2 py-3 text-right tabular-nums">
+                  {formatExactValue(rated, locale)}
+                  <span className="ml-1 text-xs text-text-secondary">
+                    ({formatPercent(source.responses === 0 ? 0 : rated / source.responses, locale)})
+                  </span>
+                </td>
+                <td className="px-2 py-3 text-right tabular-nums">
+                  {formatPercent(thumbsDownShare(source), locale)}
+                </td>
+                <td className="px-2 py-3 text-text-secondary">
+                  {reasons.length === 0
+                    ? '—'
+                    : reasons
+                        .map(([key, count]) => `${feedbackTagLabel(key, localize)} (${count})`)
+                        .join(', ')}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+function RatedMessagesTable({
+  messages,
+  filters,
+  setFilter,
+  isFetching,
+  setPage,
+  localize,
+  locale,
+}: {
+  messages: TInsightsFeedback['messages'];
+  filters: FeedbackFilters;
+  setFilter: (filter: keyof FeedbackFilters, value?: string) => void;
+  isFetching: boolean;
+  setPage: React.Dispatch<React.SetStateAction<number>>;
+  localize: Localize;
+  locale: string;
+}) {
+  const ratingOptions = useMemo(
+    () => [
+      { value: 'thumbsUp', label: localize('com_insights_feedback_thumbs_up') },
+      { value: 'thumbsDown', label: localize('com_insights_feedback_thumbs_down') },
+    ],
+    [localize],
+  );
+  const tagOptions = useMemo(
+    () =>
+      (filters.feedbackRating ? getTagsForRating(filters.feedbackRating) : FEEDBACK_TAGS).map(
+        (tag) => ({ value: tag.key, label: localize(tag.label as TranslationKeys) }),
+      ),
+    [filters.feedbackRating, localize],
+  );
+
+  return (
+    <div className="mt-5">
+      <div className="mb-3 flex min-w-0 flex-col gap-3 sm:flex-row sm:items-center sm:justify-between">
+        <div className="flex items-center gap-2">
+          <h3 className="text-sm font-semibold">{localize('com_insights_rated_messages')}</h3>
+          {isFetching && <Spinner className="size-4 text-text-secondary" />}
+        </div>
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <UsageFilterDropdown
+            value={filters.feedbackRating}
+            options={ratingOptions}
+            allLabel={localize('com_insights_all_ratings')}
+            ariaLabel={localize('com_insights_filter_by', {
+              label: localize('com_insights_feedback_rating'),
+            })}
+            onChange={(value) => setFilter('feedbackRating', value)}
+          />
+          <UsageFilterDropdown
+            value={filters.feedbackTag}
+            options={tagOptions}
+            allLabel={localize('com_insights_all_reasons')}
+            ariaLabel={localize('com_insights_filter_by', {
+              label: localize('com_insights_feedback_reason'),
+            })}
+            onChange={(value) => setFilter('feedbackTag', value)}
+          />
+        </div>
+      </div>
+      <div className="overflow-x-auto">
+        <table className="w-full min-w-[760px] table-fixed text-left text-sm">
+          <thead className="border-b border-border-medium text-xs text-text-secondary">
+            <tr>
+              <th className="w-[120px] px-2 py-2 font-medium">{localize('com_insights_date')}</th>
+              <th className="w-[192px] px-2 py-2 font-medium">{localize('com_insights_user')}</th>
+              <th className="w-[160px] px-2 py-2 font-medium">
+                {localize('com_insights_feedback_source')}
+              </th>
+              <th className="w-[176px] px-2 py-2 font-medium">
+                {localize('com_insights_feedback_rating')}
+              </th>
+              <th className="px-2 py-2 font-medium">
+                {localize('com_insights_feedback_response')}
+              </th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-border-light">
+            {messages.items.map((message) => (
+              <tr key={message.messageId} className="align-top hover:bg-surface-hover">
+                <td className="whitespace-nowrap px-2 py-3 text-text-secondary">
+                  {formatRecentChatDate(message.date, locale)}
+                </td>
+                <td className="px-2 py-3">
+                  <UserCell {...message} localize={localize} />
+                </td>
+                <td className="px-2 py-3">
+                  <span className="block truncate">{message.source.label}</span>
+                </td>
+                <td className="px-2 py-3">
+                  <span className="flex items-center gap-1.5">
+                    {message.rating === 'thumbsUp' ? (
+                      <ThumbsUp
+                        className="size-4 shrink-0 text-status-success"
+                        aria-hidden="true"
+                      />
+                    ) : (
+                      <ThumbsDown
+                        className="size-4 shrink-0 text-status-error"
+                        aria-hidden="true"
+                      />
+                    )}
+                    <span className="sr-only">
+                      {localize(
+                        message.rating === 'thumbsUp'
+                          ? 'com_insights_feedback_thumbs_up'
+                          : 'com_insights_feedback_thumbs_down',
+                      )}
+                    </span>
+                    <span className="truncate">
+                      {message.tag ? feedbackTagLabel(message.tag, localize) : '—'}
+                    </span>
+                  </span>
+                </td>
+                <td className="px-2 py-3">
+                  {messages.redacted ? (
+                    <span className="text-text-secondary">
+                      {localize('com_insights_content_redacted')}
+                    </span>
+                  ) : (
+                    <>
+                      {message.comment && (
+                        <span className="mb-1 block italic text-text-secondary">
+                          “{message.comment}”
+                        </span>
+                      )}
+                      <span className="line-clamp-3">
+                        {message.text || localize('com_insights_no_message')}
+                      </span>
+                    </>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {messages.items.length === 0 && (
+        <EmptyState message={localize('com_insights_no_rated_messages')} />
+      )}
+      <div className="mt-3 flex items-center justify-between gap-3 border-t border-border-light pt-3 text-sm text-text-secondary">
+        <span>
+          {localize('com_insights_page_of', { page: messages.page, pages: messages.pages })}
+        </span>
+        <div className="flex gap-2">
+          <Button
+            variant="outline"
+            size="sm"
+            disabled={isFetching || messages.page <= 1}
+            onClick={() => setPage((value) => Math.max(1, value - 1))}
+          >
+            {localize('com_ui_prev')}
+          </Button>
+          <Button
+            variant="outline"
+            size="sm"
+            disabled={isFetching || messages.page >= messages.pages}
+            onClick={() => setPage((value) => value + 1)}
+          >
+            {localize('com_ui_next')}
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function FeedbackPanel({
+  feedback,
+  filters,
+  setFilter,
+  isFetching,
+  setPage,
+  localize,
+  locale,
+}: {
+  feedback: TInsightsFeedback;
+  filters: FeedbackFilters;
+  setFilter: (filter: keyof FeedbackFilters, value?: string) => void;
+  isFetching: boolean;
+  setPage: React.Dispatch<React.SetStateAction<number>>;
+  localize: Localize;
+  locale: string;
+}) {
+  const { totals } = feedback;
+  const rated = totals.thumbsUp + totals.thumbsDown;
+  const sourceOptions = useMemo(
+    () => feedback.sources.map((source) => ({ value: source.id, label: source.label })),
+    [feedback.sources],
+  );
+  const trendLabel = localize('com_insights_feedback_thumbs_down_rate');
+
+  return (
+    <Panel className="overflow-hidden">
+      <div className="mb-3 flex min-w-0 flex-col gap-3 md:flex-row md:items-center md:justify-between">
+        <h2 className="text-base font-semibold text-text-primary">
+          {localize('com_insights_feedback')}
+        </h2>
+        <div className="text-sm">
+          <UsageFilterDropdown
+            value={filters.feedbackSource}
+            options={sourceOptions}
+            allLabel={localize('com_insights_all_sources')}
+            ariaLabel={localize('com_insights_filter_by', {
+              label: localize('com_insights_feedback_source'),
+            })}
+            onChange={(value) => setFilter('feedbackSource', value)}
+          />
+        </div>
+      </div>
+      <div className="mb-5 grid grid-cols-[repeat(auto-fit,minmax(min(100%,200px),1fr))] gap-5">
+        <div>
+          <div className="text-sm text-text-secondary">
+            {localize('com_insights_feedback_rated')}
+          </div>
+          <div className="mt-1 text-2xl font-semibold tabular-nums">
+            {formatPercent(totals.responses === 0 ? 0 : rated / totals.responses, locale)}
+          </div>
+          <div className="text-xs text-text-secondary">
+            {localize('com_insights_feedback_rated_of', {
+              rated: formatExactValue(rated, locale),
+              responses: formatExactValue(totals.responses, locale),
+            })}
+          </div>
+        </div>
+        <div>
+          <div className="text-sm text-text-secondary">{trendLabel}</div>
+          <div className="mt-1 text-2xl font-semibold tabular-nums">
+            {formatPercent(thumbsDownShare(totals), locale)}
+          </div>
+          <Sparkline
+            values={feedback.daily.map((day) => ({
+              date: day.date,
+              value: thumbsDownShare(day) * 100,
+            }))}
+            label={localize('com_insights_sparkline_accessibility', { label: trendLabel })}
+            locale={locale}
+            format={(value) => formatPercent(value / 100, locale)}
+          />
+        </div>
+      </div>
+      <FeedbackSourcesTable
+        sources={feedback.sources}
+        activeSource={filters.feedbackSource}
+        setSource={(value) => setFilter('feedbackSource', value)}
+        localize={localize}
+        locale={locale}
+      />
+      <RatedMessagesTable
+        messages={feedback.messages}
+        filters={filters}
+        setFilter={setFilter}
+        isFetching={isFetching}
+        setPage={setPage}
+        localize={localize}
+        locale={locale}
+      />
+    </Panel>
+  );
+}
+
 function UserCell({ name, email, localize }: { name: string; email: string; localize: Localize }) {
   return (
     <div className="min-w-0">
@@ -534,6 +1101,9 @@ export default function InsightsView() {
   const [searchInput, setSearchInput] = useState('');
   const [search, setSearch] = useState('');
   const [page, setPage] = useState(1);
+  const [usageFilters, setUsageFilters] = useState<UsageFilters>({});
+  const [feedbackFilters, setFeedbackFilters] = useState<FeedbackFilters>({});
+  const [feedbackPage, setFeedbackPage] = useState(1);
   const dateRangeSelectionTimeout = useRef<number>();
   const isSmallScreen = useMediaQuery('(max-width: 768px)');
   const insightsFeatureEnabled = startupConfig?.insightsEnabled === true;
@@ -543,7 +1113,15 @@ export default function InsightsView() {
   });
   const isAllowed = insightsFeatureEnabled && access.data?.access === true;
   const insightsParams = useMemo<TInsightsParams>(() => {
-    const params: TInsightsParams = { page, pageSize: 10, search, timeZone };
+    const params: TInsightsParams = {
+      page,
+      pageSize: 10,
+      search,
+      timeZone,
+      ...usageFilters,
+      ...feedbackFilters,
+      feedbackPage,
+    };
     if (customDateRange) {
       return {
         ...params,
@@ -553,7 +1131,7 @@ export default function InsightsView() {
       };
     }
     return { ...params, range };
-  }, [customDateRange, page, range, search, timeZone]);
+  }, [customDateRange, feedbackFilters, feedbackPage, page, range, search, timeZone, usageFilters]);
   const displayDateRange = useMemo(
     () => customDateRange ?? getShortcutDateRange(range),
     [customDateRange, range],
@@ -614,9 +1192,34 @@ export default function InsightsView() {
         value: data.summary.totalTokens,
         sparkline: data.daily.map((row) => ({ date: row.date, value: row.totalTokens })),
       },
+      {
+        id: 'cost',
+        title: localize('com_insights_estimated_cost'),
+        value: data.usage.totals.cost,
+        sparkline: data.usage.daily.map((row) => ({ date: row.date, value: row.cost })),
+        format: formatCost,
+        exactFormat: formatExactCost,
+      },
     ];
   }, [data, localize]);
 
+  const handleSetUsageFilter = (filter: keyof UsageFilters, value?: string) => {
+    setUsageFilters((current) => ({ ...current, [filter]: value }));
+    setPage(1);
+  };
+
+  const handleSetFeedbackFilter = (filter: keyof FeedbackFilters, value?: string) => {
+    setFeedbackFilters((current) => {
+      const next = { ...current, [filter]: value };
+      const tag = next.feedbackTag ? getTagByKey(next.feedbackTag) : undefined;
+      if (tag && next.feedbackRating && tag.direction !== next.feedbackRating) {
+        next.feedbackTag = undefined;
+      }
+      return next;
+    });
+    setFeedbackPage(1);
+  };
+
   const handleSelectDateRange = (startDate: Date, endDate: Date) => {
     if (dateRangeSelectionTimeout.current != null) {
       window.clearTimeout(dateRangeSelectionTimeout.current);
@@ -624,6 +1227,7 @@ export default function InsightsView() {
     dateRangeSelectionTimeout.current = window.setTimeout(() => {
       setCustomDateRange({ startDate: new Date(startDate), endDate: new Date(endDate) });
       setPage(1);
+      setFeedbackPage(1);
       dateRangeSelectionTimeout.current = undefined;
     }, dateRangeSelectionDelayMs);
   };
@@ -677,6 +1281,7 @@ export default function InsightsView() {
                   setRange(item.value);
                   setCustomDateRange(undefined);
                   setPage(1);
+                  setFeedbackPage(1);
                 }}
               >
                 {localize(item.labelKey)}
@@ -721,6 +1326,22 @@ export default function InsightsView() {
                   <KpiCard key={card.id} card={card} locale={locale} />
                 ))}
               </div>
+              <UsagePanel
+                usage={data.usage}
+                filters={usageFilters}
+                setFilter={handleSetUsageFilter}
+                localize={localize}
+                locale={locale}
+              />
+              <FeedbackPanel
+                feedback={data.feedback}
+                filters={feedbackFilters}
+                setFilter={handleSetFeedbackFilter}
+                isFetching={insights.isFetching}
+                setPage={setFeedbackPage}
+                localize={localize}
+                locale={locale}
+              />
               <div className="grid w-full grid-cols-[repeat(auto-fit,minmax(min(100%,580px),1fr))] gap-3">
                 <TopUsersTable rows={data.topUsers} localize={localize} locale={locale} />
                 <ChurnedUsersTable rows={data.churnedUsers} localize={localize} locale={locale} />
@@ -16,6 +16,7 @@ const ctx: SettingsContextValue = {
   hasPrompts: false,
   isLocalProvider: true,
   twoFactorEnabled: false,
+  passkeysEnabled: false,
   allowAccountDeletion: true,
   aboutEnabled: false,
   engineTTS: 'browser',
@@ -18,6 +18,7 @@ const settingsContext: SettingsContextValue = {
   hasPrompts: false,
   isLocalProvider: true,
   twoFactorEnabled: false,
+  passkeysEnabled: false,
   allowAccountDeletion: true,
   aboutEnabled: false,
   engineTTS: 'browser',
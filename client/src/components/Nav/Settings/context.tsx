@@ -32,6 +32,7 @@ export function useSettingsContext(): SettingsContextValue {
   const adminPanelURL = startupConfig?.adminPanelURL ?? '';
   const isLocalProvider = user?.provider === 'local';
   const twoFactorEnabled = user?.twoFactorEnabled === true;
+  const passkeysEnabled = startupConfig?.passkeysEnabled === true;
   const allowAccountDeletion = startupConfig?.allowAccountDeletion !== false;
   const aboutEnabled = startupConfig?.interface?.buildInfo !== false;
   const hasRemoteAgentsBool = hasRemoteAgents === true;
@@ -54,6 +55,7 @@ export function useSettingsContext(): SettingsContextValue {
       hasPrompts: hasPromptsBool,
       isLocalProvider,
       twoFactorEnabled,
+      passkeysEnabled,
       allowAccountDeletion,
       aboutEnabled,
       engineTTS,
@@ -71,6 +73,7 @@ export function useSettingsContext(): SettingsContextValue {
       hasPromptsBool,
       isLocalProvider,
       twoFactorEnabled,
+      passkeysEnabled,
       allowAccountDeletion,
       aboutEnabled,
       engineTTS,
@@ -20,6 +20,8 @@ import ConversationModeSwitch from '../SettingsTabs/Speech/ConversationModeSwitc
 import EnableTwoFactorItem from '../SettingsTabs/Account/TwoFactorAuthentication';
 import LangfuseConnection from '../SettingsTabs/Integrations/LangfuseConnection';
 import ImportConversations from '../SettingsTabs/Data/ImportConversations';
+import ExportConversations from '../SettingsTabs/Data/ExportConversations';
+import DataTakeout from '../SettingsTabs/Data/DataTakeout';
 import { ArchiveAllChats } from '../SettingsTabs/Data/ArchiveAllChats';
 import { toggleControl, ThemeSetting, LangSetting } from './controls';
 import BackupCodesItem from '../SettingsTabs/Account/BackupCodesItem';
@@ -29,6 +31,8 @@ import ChatTitleInTab from '../SettingsTabs/General/ChatTitleInTab';
 import AdvancedPrompts from '../SettingsTabs/Chat/AdvancedPrompts';
 import DuringRunAction from '../SettingsTabs/Chat/DuringRunAction';
 import DeleteAccount from '../SettingsTabs/Account/DeleteAccount';
+import Passkeys from '../SettingsTabs/Account/Passkeys';
+import Sessions from '../SettingsTabs/Account/Sessions';
 import StatefulWorkspaceDefault from './StatefulWorkspaceDefault';
 import { ForkSettings } from '../SettingsTabs/Chat/ForkSettings';
 import ChatDirection from '../SettingsTabs/Chat/ChatDirection';
@@ -552,6 +556,22 @@ export const registry: SettingEntry[] = [
     labelKey: 'com_ui_settings_label_import',
     Component: ImportConversations,
   },
+  {
+    id: 'exportConversations',
+    tab: DATA,
+    section: 'data',
+    labelKey: 'com_ui_settings_label_export',
+    keywords: ['export', 'backup', 'download', 'zip', 'archive', 'migrate'],
+    Component: ExportConversations,
+  },
+  {
+    id: 'dataTakeout',
+    tab: DATA,
+    section: 'data',
+    labelKey: 'com_ui_settings_label_data_takeout',
+    keywords: ['gdpr', 'privacy', 'personal data', 'takeout', 'download', 'export', 'account'],
+    Component: DataTakeout,
+  },
   {
     id: 'sharedLinks',
     tab: DATA,
@@ -651,6 +671,23 @@ export const registry: SettingEntry[] = [
     show: (ctx) => ctx.isLocalProvider && ctx.twoFactorEnabled,
     Component: BackupCodesItem,
   },
+  {
+    id: 'passkeys',
+    tab: ACCOUNT,
+    section: 'security',
+    labelKey: 'com_ui_passkeys',
+    keywords: ['webauthn', 'security key', 'biometric', 'passwordless'],
+    show: (ctx) => ctx.isLocalProvider && ctx.passkeysEnabled,
+    Component: Passkeys,
+  },
+  {
+    id: 'sessions',
+    tab: ACCOUNT,
+    section: 'security',
+    labelKey: 'com_ui_sessions',
+    keywords: ['devices', 'logged in', 'sign out', 'logout', 'revoke'],
+    Component: Sessions,
+  },
   // Account · Billing
   {
     id: 'tokenCredits',
@@ -48,6 +48,7 @@ export interface SettingsContextValue {
   hasPrompts: boolean;
   isLocalProvider: boolean;
   twoFactorEnabled: boolean;
+  passkeysEnabled: boolean;
   allowAccountDeletion: boolean;
   aboutEnabled: boolean;
   engineTTS: string;
@@ -0,0 +1,215 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { KeyRound, Pencil, Plus, Trash2 } from 'lucide-react';
+import {
+  Input,
+  Label,
+  Button,
+  Spinner,
+  OGDialog,
+  OGDialogTitle,
+  OGDialogContent,
+  OGDialogTrigger,
+  useToastContext,
+} from '@librechat/client';
+import type { TPasskey } from 'librechat-data-provider';
+import {
+  useGetPasskeysQuery,
+  useDeletePasskeyMutation,
+  useRenamePasskeyMutation,
+  useRegisterPasskeyMutation,
+} from '~/data-provider';
+import { isPasskeyCancelled, isPasskeySupported } from '~/utils';
+import { useLocalize } from '~/hooks';
+
+const MAX_NAME_LENGTH = 100;
+
+const PasskeyRow: React.FC<{ passkey: TPasskey }> = ({ passkey }) => {
+  const localize = useLocalize();
+  const { showToast } = useToastContext();
+  const [isEditing, setIsEditing] = useState(false);
+  const [isConfirmingDelete, setIsConfirmingDelete] = useState(false);
+  const [name, setName] = useState(passkey.name);
+  const inputRef = useRef<HTMLInputElement>(null);
+
+  useEffect(() => {
+    if (isEditing) {
+      inputRef.current?.focus();
+    }
+  }, [isEditing]);
+
+  const renameMutation = useRenamePasskeyMutation({
+    onSuccess: () => setIsEditing(false),
+    onError: () => showToast({ message: localize('com_ui_passkey_rename_error'), status: 'error' }),
+  });
+  const deleteMutation = useDeletePasskeyMutation({
+    onSuccess: () => showToast({ message: localize('com_ui_passkey_deleted'), status: 'success' }),
+    onError: () => showToast({ message: localize('com_ui_passkey_delete_error'), status: 'error' }),
+  });
+
+  const submitRename = (event: React.FormEvent) => {
+    event.preventDefault();
+    const trimmed = name.trim();
+    if (!trimmed || trimmed === passkey.name) {
+      setIsEditing(false);
+      setName(passkey.name);
+      return;
+    }
+    renameMutation.mutate({ id: passkey.id, name: trimmed });
+  };
+
+  const lastUsed =
+    passkey.lastUsedAt != null
+      ? localize('com_ui_passkey_last_used', {
+          0: new Date(passkey.lastUsedAt).toLocaleDateString(),
+        })
+      : localize('com_ui_passkey_never_used');
+
+  return (
+    <li className="flex items-center justify-between gap-3 rounded-xl border border-border-light p-3">
+      <KeyRound className="size-5 flex-shrink-0 text-text-secondary" aria-hidden="true" />
+      <div className="min-w-0 flex-1">
+        {isEditing ? (
+          <form onSubmit={submitRename} className="flex items-center gap-2">
+            <Input
+              ref={inputRef}
+              value={name}
+              maxLength={MAX_NAME_LENGTH}
+              onChange={(e) => setName(e.target.value)}
+              aria-label={localize('com_ui_passkey_name')}
+              className="h-8"
+            />
+            <Button type="submit" size="sm" disabled={renameMutation.isLoading}>
+              {localize('com_ui_save')}
+            </Button>
+          </form>
+        ) : (
+          <>
+            <p className="truncate text-sm font-medium text-text-primary">{passkey.name}</p>
+            <p className="truncate text-xs text-text-secondary">
+              {localize('com_ui_passkey_added', {
+                0: new Date(passkey.createdAt).toLocaleDateString(),
+              })}
+              {' · '}
+              {lastUsed}
+            </p>
+          </>
+        )}
+      </div>
+      {!isEditing && !isConfirmingDelete && (
+        <div className="flex flex-shrink-0 gap-1">
+          <Button
+            size="icon"
+            variant="ghost"
+            className="size-8"
+            onClick={() => setIsEditing(true)}
+            aria-label={localize('com_ui_rename')}
+          >
+            <Pencil className="size-4" aria-hidden="true" />
+          </Button>
+          <Button
+            size="icon"
+            variant="ghost"
+            className="size-8"
+            onClick={() => setIsConfirmingDelete(true)}
+            aria-label={localize('com_ui_delete')}
+          >
+            <Trash2 className="size-4" aria-hidden="true" />
+          </Button>
+        </div>
+      )}
+      {isConfirmingDelete && (
+        <div className="flex flex-shrink-0 gap-1">
+          <Button size="sm" variant="outline" onClick={() => setIsConfirmingDelete(false)}>
+            {localize('com_ui_cancel')}
+          </Button>
+          <Button
+            size="sm"
+            variant="destructive"
+            disabled={deleteMutation.isLoading}
+            onClick={() => deleteMutation.mutate(passkey.id)}
+          >
+            {localize('com_ui_delete')}
+          </Button>
+        </div>
+      )}
+    </li>
+  );
+};
+
+/**
+ * Passkeys on the account: sign in without a password, or answer the 2FA prompt.
+ */
+const Passkeys: React.FC = () => {
+  const localize = useLocalize();
+  const { showToast } = useToastContext();
+  const [isDialogOpen, setDialogOpen] = useState(false);
+  const { data, isLoading } = useGetPasskeysQuery({ enabled: isDialogOpen });
+  const passkeys = data?.passkeys ?? [];
+  const supported = isPasskeySupported();
+
+  const registerMutation = useRegisterPasskeyMutation({
+    onSuccess: () =>
+      showToast({ message: localize('com_ui_passkey_added_success'), status: 'success' }),
+    onError: (error) => {
+      if (isPasskeyCancelled(error)) {
+        return;
+      }
+      showToast({ message: localize('com_ui_passkey_add_error'), status: 'error' });
+    },
+  });
+
+  return (
+    <OGDialog open={isDialogOpen} onOpenChange={setDialogOpen}>
+      <div className="flex items-center justify-between">
+        <Label className="font-light">{localize('com_ui_passkeys')}</Label>
+        <OGDialogTrigger asChild>
+          <Button variant="outline">{localize('com_ui_manage')}</Button>
+        </OGDialogTrigger>
+      </div>
+
+      <OGDialogContent className="w-11/12 max-w-lg">
+        <OGDialogTitle className="mb-2 text-2xl font-semibold">
+          {localize('com_ui_passkeys')}
+        </OGDialogTitle>
+        <p className="mb-4 text-sm text-text-secondary">{localize('com_ui_passkeys_info')}</p>
+
+        {isLoading && (
+          <div className="flex justify-center py-4">
+            <Spinner className="size-5" />
+          </div>
+        )}
+        {!isLoading && passkeys.length > 0 && (
+          <ul className="flex flex-col gap-2">
+            {passkeys.map((passkey) => (
+              <PasskeyRow key={passkey.id} passkey={passkey} />
+            ))}
+          </ul>
+        )}
+        {!isLoading && passkeys.length === 0 && (
+          <p className="py-2 text-center text-sm text-text-secondary">
+            {localize('com_ui_passkeys_empty')}
+          </p>
+        )}
+
+        <div className="mt-4 flex flex-col items-center gap-2">
+          <Button
+            onClick={() => registerMutation.mutate({})}
+            disabled={!supported || registerMutation.isLoading}
+          >
+            {registerMutation.isLoading ? (
+              <Spinner className="mr-2" />
+            ) : (
+              <Plus className="mr-2 size-4" aria-hidden="true" />
+            )}
+            {localize('com_ui_passkey_add')}
+          </Button>
+          {!supported && (
+            <p className="text-xs text-text-secondary">{localize('com_ui_passkeys_unsupported')}</p>
+          )}
+        </div>
+      </OGDialogContent>
+    </OGDialog>
+  );
+};
+
+export default Passkeys;
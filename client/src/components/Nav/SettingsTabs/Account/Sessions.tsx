@@ -0,0 +1,164 @@
+import React, { useState } from 'react';
+import { LogOut, Monitor, Smartphone, Tablet } from 'lucide-react';
+import {
+  Label,
+  Button,
+  Spinner,
+  OGDialog,
+  OGDialogTitle,
+  OGDialogContent,
+  OGDialogTrigger,
+  useToastContext,
+} from '@librechat/client';
+import type { TAuthSession } from 'librechat-data-provider';
+import {
+  useGetAuthSessionsQuery,
+  useRevokeAuthSessionMutation,
+  useRevokeOtherAuthSessionsMutation,
+} from '~/data-provider';
+import { useLocalize } from '~/hooks';
+
+const DeviceIcon: React.FC<{ deviceType?: string }> = ({ deviceType }) => {
+  const className = 'size-5 flex-shrink-0 text-text-secondary';
+  if (deviceType === 'mobile') {
+    return <Smartphone className={className} aria-hidden="true" />;
+  }
+  if (deviceType === 'tablet') {
+    return <Tablet className={className} aria-hidden="true" />;
+  }
+  return <Monitor className={className} aria-hidden="true" />;
+};
+
+const SessionRow: React.FC<{ session: TAuthSession }> = ({ session }) => {
+  const localize = useLocalize();
+  const { showToast } = useToastContext();
+  const [isConfirming, setIsConfirming] = useState(false);
+
+  const revokeMutation = useRevokeAuthSessionMutation({
+    onSuccess: () => showToast({ message: localize('com_ui_session_revoked'), status: 'success' }),
+    onError: () => showToast({ message: localize('com_ui_session_revoke_error'), status: 'error' }),
+  });
+
+  const device =
+    [session.browser, session.os].filter(Boolean).join(' · ') ||
+    localize('com_ui_session_unknown_device');
+  const lastUsed =
+    session.lastUsedAt != null
+      ? localize('com_ui_session_last_active', {
+          0: new Date(session.lastUsedAt).toLocaleString(),
+        })
+      : null;
+  const details = [session.ip, lastUsed].filter(Boolean).join(' · ');
+
+  return (
+    <li className="flex items-center justify-between gap-3 rounded-xl border border-border-light p-3">
+      <DeviceIcon deviceType={session.deviceType} />
+      <div className="min-w-0 flex-1">
+        <p className="flex items-center gap-2 truncate text-sm font-medium text-text-primary">
+          {device}
+          {session.current && (
+            <span className="rounded-full bg-surface-tertiary px-2 py-0.5 text-xs font-normal text-text-secondary">
+              {localize('com_ui_session_this_device')}
+            </span>
+          )}
+        </p>
+        {details && <p className="truncate text-xs text-text-secondary">{details}</p>}
+      </div>
+      {!session.current && !isConfirming && (
+        <Button
+          size="icon"
+          variant="ghost"
+          className="size-8 flex-shrink-0"
+          onClick={() => setIsConfirming(true)}
+          aria-label={localize('com_ui_session_sign_out')}
+        >
+          <LogOut className="size-4" aria-hidden="true" />
+        </Button>
+      )}
+      {isConfirming && (
+        <div className="flex flex-shrink-0 gap-1">
+          <Button size="sm" variant="outline" onClick={() => setIsConfirming(false)}>
+            {localize('com_ui_cancel')}
+          </Button>
+          <Button
+            size="sm"
+            variant="destructive"
+            disabled={revokeMutation.isLoading}
+            onClick={() => revokeMutation.mutate(session.id)}
+          >
+            {localize('com_ui_session_sign_out')}
+          </Button>
+        </div>
+      )}
+    </li>
+  );
+};
+
+/**
+ * Where the user is logged in, with the option to sign other devices out.
+ */
+const Sessions: React.FC = () => {
+  const localize = useLocalize();
+  const { showToast } = useToastContext();
+  const [isDialogOpen, setDialogOpen] = useState(false);
+  const { data, isLoading } = useGetAuthSessionsQuery({ enabled: isDialogOpen });
+  const sessions = data?.sessions ?? [];
+  const hasOtherSessions = sessions.some((session) => !session.current);
+
+  const revokeOthersMutation = useRevokeOtherAuthSessionsMutation({
+    onSuccess: () =>
+      showToast({ message: localize('com_ui_sessions_revoked_others'), status: 'success' }),
+    onError: () => showToast({ message: localize('com_ui_session_revoke_error'), status: 'error' }),
+  });
+
+  return (
+    <OGDialog open={isDialogOpen} onOpenChange={setDialogOpen}>
+      <div className="flex items-center justify-between">
+        <Label className="font-light">{localize('com_ui_sessions')}</Label>
+        <OGDialogTrigger asChild>
+          <Button variant="outline">{localize('com_ui_manage')}</Button>
+        </OGDialogTrigger>
+      </div>
+
+      <OGDialogContent className="w-11/12 max-w-lg">
+        <OGDialogTitle className="mb-2 text-2xl font-semibold">
+          {localize('com_ui_sessions')}
+        </OGDialogTitle>
+        <p className="mb-4 text-sm text-text-secondary">{localize('com_ui_sessions_info')}</p>
+
+        {isLoading && (
+          <div className="flex justify-center py-4">
+            <Spinner className="size-5" />
+          </div>
+        )}
+        {!isLoading && sessions.length > 0 && (
+          <ul className="flex max-h-96 flex-col gap-2 overflow-y-auto">
+            {sessions.map((session) => (
+              <SessionRow key={session.id} session={session} />
+            ))}
+          </ul>
+        )}
+        {!isLoading && sessions.length === 0 && (
+          <p className="py-2 text-center text-sm text-text-secondary">
+            {localize('com_ui_sessions_empty')}
+          </p>
+        )}
+
+        {hasOtherSessions && (
+          <div className="mt-4 flex justify-center">
+            <Button
+              variant="destructive"
+              onClick={() => revokeOthersMutation.mutate()}
+              disabled={revokeOthersMutation.isLoading}
+            >
+              {revokeOthersMutation.isLoading && <Spinner className="mr-2" />}
+              {localize('com_ui_sessions_revoke_others')}
+            </Button>
+          </div>
+        )}
+      </OGDialogContent>
+    </OGDialog>
+  );
+};
+
+export default Sessions;
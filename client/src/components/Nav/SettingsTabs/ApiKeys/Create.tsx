@@ -17,6 +17,7 @@ export default function Create({ onCreated, onCancel }: CreateProps) {
   const [name, setName] = useState('');
   const [nameError, setNameError] = useState(false);
   const [expiry, setExpiry] = useState(DEFAULT_EXPIRY);
+  const [versionLabel, setVersionLabel] = useState('');
   const inputRef = useRef<HTMLInputElement>(null);
   const createMutation = useCreateAgentApiKeyMutation();
 
@@ -35,6 +36,7 @@ export default function Create({ onCreated, onCancel }: CreateProps) {
     try {
       const result = await createMutation.mutateAsync({
         name: name.trim(),
+        versionLabel: versionLabel || null,
         expiresAt: computeExpiresAt(expiry),
       });
       onCreated(result);
@@ -68,6 +70,23 @@ export default function Create({ onCreated, onCancel }: CreateProps) {
           </p>
         )}
       </div>
+      <div className="space-y-2">
+        <Label htmlFor="api-key-version-label">{localize('com_ui_api_key_version_label')}</Label>
+        <Input
+          id="api-key-version-label"
+          value={versionLabel}
+          maxLength={32}
+          aria-describedby="api-key-version-label-info"
+          onChange={(e) =>
+            setVersionLabel(e.target.value.toLowerCase().replace(/[^a-z0-9_-]/g, ''))
+          }
+          placeholder={localize('com_ui_agent_version_label_placeholder')}
+          className="font-mono"
+        />
+        <p id="api-key-version-label-info" className="text-xs text-text-secondary">
+          {localize('com_ui_api_key_version_label_info')}
+        </p>
+      </div>
       <div className="space-y-2">
         <Label id="api-key-expiry-label">{localize('com_ui_api_key_expiration')}</Label>
         <Radio
@@ -98,7 +117,11 @@ export default function Create({ onCreated, onCancel }: CreateProps) {
         <Button
           type="submit"
           variant="submit"
-          disabled={createMutation.isLoading || !name.trim()}
+          disabled={
+            createMutation.isLoading ||
+            !name.trim() ||
+            (versionLabel !== '' && !/^[a-z]/.test(versionLabel))
+          }
           aria-busy={createMutation.isLoading}
           aria-label={localize('com_ui_create')}
         >
@@ -40,6 +40,14 @@ export default function Item({ apiKey }: ItemProps) {
           <span aria-hidden="true" className="text-text-tertiary">
             ·
           </span>
+          <span>
+            {apiKey.versionLabel
+              ? localize('com_ui_api_key_version_pinned', { 0: apiKey.versionLabel })
+              : localize('com_ui_api_key_version_latest')}
+          </span>
+          <span aria-hidden="true" className="text-text-tertiary">
+            ·
+          </span>
           <span>
             {apiKey.lastUsedAt
               ? localize('com_ui_api_key_last_used', { 0: formatRelativeTime(apiKey.lastUsedAt) })
@@ -59,6 +59,31 @@ describe('Create', () => {
     expect(diffDays).toBeLessThanOrEqual(30.1);
   });
 
+  it('submits a sanitized version label and no label by default', async () => {
+    const onCreated = jest.fn();
+    const { getByRole, getByLabelText } = render(
+      <Create onCreated={onCreated} onCancel={jest.fn()} />,
+    );
+
+    fireEvent.change(getByLabelText('Key Name'), { target: { value: 'CI key' } });
+    fireEvent.change(getByLabelText('Agent version label'), { target: { value: 'Stable!' } });
+    expect(getByLabelText('Agent version label')).toHaveValue('stable');
+    fireEvent.click(getByRole('button', { name: 'Create' }));
+
+    await waitFor(() => expect(onCreated).toHaveBeenCalled());
+    expect(mutateAsync.mock.calls[0][0].versionLabel).toBe('stable');
+  });
+
+  it('disables create for a version label that starts with a digit', () => {
+    const { getByRole, getByLabelText } = render(
+      <Create onCreated={jest.fn()} onCancel={jest.fn()} />,
+    );
+
+    fireEvent.change(getByLabelText('Key Name'), { target: { value: 'CI key' } });
+    fireEvent.change(getByLabelText('Agent version label'), { target: { value: '2' } });
+    expect(getByRole('button', { name: 'Create' })).toBeDisabled();
+  });
+
   it('calls onCancel from the cancel button', () => {
     const onCancel = jest.fn();
     const { getByRole } = render(<Create onCreated={jest.fn()} onCancel={onCancel} />);
@@ -38,6 +38,12 @@ describe('Item', () => {
     expect(getByText(/lc-abc123/)).toBeInTheDocument();
     expect(getByText(/Never used/)).toBeInTheDocument();
     expect(getByText(/No expiration/)).toBeInTheDocument();
+    expect(getByText('Latest version')).toBeInTheDocument();
+  });
+
+  it('shows the agent version label the key is pinned to', () => {
+    const { getByText } = renderItem({ ...baseKey, versionLabel: 'stable' });
+    expect(getByText('Version: stable')).toBeInTheDocument();
   });
 
   it('shows the expiring badge within 14 days', () => {
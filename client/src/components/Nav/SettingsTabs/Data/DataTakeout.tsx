@@ -0,0 +1,163 @@
+import { useEffect, useRef, useState } from 'react';
+import download from 'downloadjs';
+import { Download } from 'lucide-react';
+import { dataService } from 'librechat-data-provider';
+import {
+  Label,
+  Button,
+  Spinner,
+  OGDialog,
+  OGDialogTrigger,
+  useToastContext,
+  OGDialogTemplate,
+} from '@librechat/client';
+import type { TDataTakeoutJob } from 'librechat-data-provider';
+import { useDataTakeoutQuery, useStartDataTakeoutMutation } from '~/data-provider';
+import { NotificationSeverity } from '~/common';
+import { useLocalize } from '~/hooks';
+import { logger } from '~/utils';
+
+const isInProgress = (job?: TDataTakeoutJob | null) =>
+  job?.status === 'pending' || job?.status === 'running';
+
+/** Everything stored about the user, for subject access requests and leaving the service. */
+function DataTakeout() {
+  const localize = useLocalize();
+  const { showToast } = useToastContext();
+  const [open, setOpen] = useState(false);
+  const [isDownloading, setIsDownloading] = useState(false);
+
+  const { data: takeoutData } = useDataTakeoutQuery();
+  const job = takeoutData?.job;
+
+  const previousStatus = useRef(job?.status);
+  useEffect(() => {
+    const wasInProgress =
+      previousStatus.current === 'pending' || previousStatus.current === 'running';
+    previousStatus.current = job?.status;
+    if (!wasInProgress || !job || isInProgress(job)) {
+      return;
+    }
+    showToast({
+      message: localize(
+        job.status === 'completed' ? 'com_ui_data_takeout_ready' : 'com_ui_data_takeout_error',
+      ),
+      severity:
+        job.status === 'completed' ? NotificationSeverity.SUCCESS : NotificationSeverity.ERROR,
+      showIcon: true,
+    });
+  }, [job, localize, showToast]);
+
+  const startTakeout = useStartDataTakeoutMutation({
+    onSuccess: () => {
+      setOpen(false);
+      showToast({
+        message: localize('com_ui_data_takeout_started'),
+        severity: NotificationSeverity.INFO,
+        showIcon: true,
+      });
+    },
+    onError: (error) => {
+      logger.error('Data takeout error:', error);
+      showToast({
+        message: localize('com_ui_data_takeout_error'),
+        severity: NotificationSeverity.ERROR,
+        showIcon: true,
+      });
+    },
+  });
+
+  const downloadArchive = async () => {
+    if (!job) {
+      return;
+    }
+    setIsDownloading(true);
+    try {
+      const response = await dataService.getDataTakeoutDownload(job.id);
+      const day = (job.finishedAt ?? job.expiresAt).slice(0, 10);
+      download(response.data, `librechat-takeout-${day}.zip`, 'application/zip');
+    } catch (error) {
+      logger.error('Data takeout download error:', error);
+      showToast({
+        message: localize('com_ui_data_takeout_download_error'),
+        severity: NotificationSeverity.ERROR,
+        showIcon: true,
+      });
+    } finally {
+      setIsDownloading(false);
+    }
+  };
+
+  const inProgress = isInProgress(job) || startTakeout.isLoading;
+
+  return (
+    <div className="flex flex-col gap-2">
+      <div className="flex items-center justify-between">
+        <Label id="data-takeout-label">{localize('com_ui_data_takeout_info')}</Label>
+        <OGDialog open={open} onOpenChange={setOpen}>
+          <OGDialogTrigger asChild>
+            <Button
+              variant="outline"
+              aria-labelledby="data-takeout-label"
+              disabled={inProgress}
+              onClick={() => setOpen(true)}
+            >
+              {inProgress ? (
+                <>
+                  <Spinner className="mr-1 w-4" />
+                  <span>{localize('com_ui_exporting')}</span>
+                </>
+              ) : (
+                localize('com_nav_export')
+              )}
+            </Button>
+          </OGDialogTrigger>
+          <OGDialogTemplate
+            title={localize('com_ui_data_takeout')}
+            className="max-w-[450px]"
+            main={
+              <p className="text-sm text-text-secondary">
+                {localize('com_ui_data_takeout_description')}
+              </p>
+            }
+            selection={
+              <Button
+                variant="submit"
+                disabled={startTakeout.isLoading}
+                onClick={() => startTakeout.mutate()}
+              >
+                {startTakeout.isLoading ? <Spinner /> : localize('com_nav_export')}
+              </Button>
+            }
+          />
+        </OGDialog>
+      </div>
+      {job?.status === 'completed' && (
+        <div className="flex items-center justify-between">
+          <span className="text-sm text-text-secondary">
+            {localize('com_ui_data_takeout_summary', {
+              0: job.counts.conversations,
+              1: job.counts.memories,
+              2: job.counts.files,
+            })}
+          </span>
+          <Button
+            variant="outline"
+            size="sm"
+            onClick={downloadArchive}
+            disabled={isDownloading}
+            aria-label={localize('com_ui_download')}
+          >
+            {isDownloading ? (
+              <Spinner className="w-4" />
+            ) : (
+              <Download className="h-4 w-4" aria-hidden="true" />
+            )}
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default DataTakeout;
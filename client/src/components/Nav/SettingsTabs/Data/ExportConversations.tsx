@@ -0,0 +1,282 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import download from 'downloadjs';
+import { Download } from 'lucide-react';
+import { dataService } from 'librechat-data-provider';
+import {
+  Input,
+  Label,
+  Button,
+  Spinner,
+  Dropdown,
+  OGDialog,
+  OGDialogTrigger,
+  useToastContext,
+  OGDialogTemplate,
+} from '@librechat/client';
+import type { TConversationExportFilter, TConversationExportJob } from 'librechat-data-provider';
+import {
+  useGetConversationTags,
+  useProjectsInfiniteQuery,
+  useConversationExportQuery,
+  useStartConversationExportMutation,
+} from '~/data-provider';
+import { NotificationSeverity } from '~/common';
+import { useLocalize } from '~/hooks';
+import { logger } from '~/utils';
+
+type FilterType = TConversationExportFilter['type'];
+
+const isInProgress = (job?: TConversationExportJob | null) =>
+  job?.status === 'pending' || job?.status === 'running';
+
+/** The end date is inclusive, so it covers the whole selected day. */
+const toEndOfDay = (date: string) => new Date(`${date}T23:59:59.999`).toISOString();
+const toStartOfDay = (date: string) => new Date(`${date}T00:00:00.000`).toISOString();
+
+function ExportConversations() {
+  const localize = useLocalize();
+  const { showToast } = useToastContext();
+  const [open, setOpen] = useState(false);
+  const [type, setType] = useState<FilterType>('all');
+  const [projectId, setProjectId] = useState('');
+  const [tag, setTag] = useState('');
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [isDownloading, setIsDownloading] = useState(false);
+
+  const { data: exportData } = useConversationExportQuery();
+  const job = exportData?.job;
+  const { data: tags = [] } = useGetConversationTags({ enabled: open && type === 'tag' });
+  const { data: projectPages } = useProjectsInfiniteQuery(
+    { limit: 100 },
+    { enabled: open && type === 'project' },
+  );
+
+  const previousStatus = useRef(job?.status);
+  useEffect(() => {
+    const wasInProgress =
+      previousStatus.current === 'pending' || previousStatus.current === 'running';
+    previousStatus.current = job?.status;
+    if (!wasInProgress || !job || isInProgress(job)) {
+      return;
+    }
+    showToast({
+      message: localize(
+        job.status === 'completed'
+          ? 'com_ui_export_conversations_ready'
+          : 'com_ui_export_conversations_error',
+      ),
+      severity:
+        job.status === 'completed' ? NotificationSeverity.SUCCESS : NotificationSeverity.ERROR,
+      showIcon: true,
+    });
+  }, [job, localize, showToast]);
+
+  const startExport = useStartConversationExportMutation({
+    onSuccess: () => {
+      setOpen(false);
+      showToast({
+        message: localize('com_ui_export_conversations_started'),
+        severity: NotificationSeverity.INFO,
+        showIcon: true,
+      });
+    },
+    onError: (error) => {
+      logger.error('Export error:', error);
+      showToast({
+        message: localize('com_ui_export_conversations_error'),
+        severity: NotificationSeverity.ERROR,
+        showIcon: true,
+      });
+    },
+  });
+
+  const typeOptions = useMemo(
+    () => [
+      { value: 'all', label: localize('com_ui_export_filter_all') },
+      { value: 'project', label: localize('com_ui_export_filter_project') },
+      { value: 'tag', label: localize('com_ui_export_filter_tag') },
+      { value: 'dateRange', label: localize('com_ui_export_filter_date_range') },
+    ],
+    [localize],
+  );
+  const projectOptions = useMemo(
+    () =>
+      (projectPages?.pages ?? []).flatMap((page) =>
+        page.projects.map((project) => ({ value: project._id, label: project.name })),
+      ),
+    [projectPages],
+  );
+  const tagOptions = useMemo(() => tags.map(({ tag: value }) => ({ value, label: value })), [tags]);
+
+  /** Until the user picks one, the first project or tag is selected. */
+  const selectedProject = projectId || projectOptions[0]?.value || '';
+  const selectedTag = tag || tagOptions[0]?.value || '';
+
+  const filter = useMemo((): TConversationExportFilter | null => {
+    if (type === 'project') {
+      return selectedProject ? { type, projectId: selectedProject } : null;
+    }
+    if (type === 'tag') {
+      return selectedTag ? { type, tag: selectedTag } : null;
+    }
+    if (type === 'dateRange') {
+      if (!from && !to) {
+        return null;
+      }
+      return {
+        type,
+        ...(from && { from: toStartOfDay(from) }),
+        ...(to && { to: toEndOfDay(to) }),
+      };
+    }
+    return { type: 'all' };
+  }, [type, selectedProject, selectedTag, from, to]);
+
+  const downloadArchive = async () => {
+    if (!job) {
+      return;
+    }
+    setIsDownloading(true);
+    try {
+      const response = await dataService.getConversationExportDownload(job.id);
+      const day = (job.finishedAt ?? job.expiresAt).slice(0, 10);
+      download(response.data, `librechat-export-${day}.zip`, 'application/zip');
+    } catch (error) {
+      logger.error('Export download error:', error);
+      showToast({
+        message: localize('com_ui_export_conversations_download_error'),
+        severity: NotificationSeverity.ERROR,
+        showIcon: true,
+      });
+    } finally {
+      setIsDownloading(false);
+    }
+  };
+
+  const inProgress = isInProgress(job) || startExport.isLoading;
+
+  return (
+    <div className="flex flex-col gap-2">
+      <div className="flex items-center justify-between">
+        <Label id="export-conversations-label">
+          {localize('com_ui_export_conversations_info')}
+        </Label>
+        <OGDialog open={open} onOpenChange={setOpen}>
+          <OGDialogTrigger asChild>
+            <Button
+              variant="outline"
+              aria-labelledby="export-conversations-label"
+              disabled={inProgress}
+              onClick={() => setOpen(true)}
+            >
+              {inProgress ? (
+                <>
+                  <Spinner className="mr-1 w-4" />
+                  <span>{localize('com_ui_exporting')}</span>
+                </>
+              ) : (
+                localize('com_nav_export')
+              )}
+            </Button>
+          </OGDialogTrigger>
+          <OGDialogTemplate
+            title={localize('com_ui_export_conversations')}
+            className="max-w-[450px]"
+            main={
+              <div className="flex flex-col gap-4">
+                <div className="flex items-center justify-between">
+                  <Label id="export-filter-label">{localize('com_ui_export_filter')}</Label>
+                  <Dropdown
+                    value={type}
+                    onChange={(value: string) => setType(value as FilterType)}
+                    options={typeOptions}
+                    sizeClasses="w-[180px]"
+                    aria-labelledby="export-filter-label"
+                  />
+                </div>
+                {type === 'project' && (
+                  <Dropdown
+                    value={selectedProject}
+                    onChange={setProjectId}
+                    options={projectOptions}
+                    ariaLabel={localize('com_ui_export_filter_project')}
+                  />
+                )}
+                {type === 'tag' && (
+                  <Dropdown
+                    value={selectedTag}
+                    onChange={setTag}
+                    options={tagOptions}
+                    ariaLabel={localize('com_ui_export_filter_tag')}
+                  />
+                )}
+                {type === 'dateRange' && (
+                  <div className="grid grid-cols-2 gap-2">
+                    <div className="flex flex-col gap-1">
+                      <Label htmlFor="export-from">{localize('com_ui_export_from')}</Label>
+                      <Input
+                        id="export-from"
+                        type="date"
+                        value={from}
+                        max={to || undefined}
+                        onChange={(e) => setFrom(e.target.value)}
+                      />
+                    </div>
+                    <div className="flex flex-col gap-1">
+                      <Label htmlFor="export-to">{localize('com_ui_export_to')}</Label>
+                      <Input
+                        id="export-to"
+                        type="date"
+                        value={to}
+                        min={from || undefined}
+                        onChange={(e) => setTo(e.target.value)}
+                      />
+                    </div>
+                  </div>
+                )}
+                <p className="text-sm text-text-secondary">
+                  {localize('com_ui_export_conversations_description')}
+                </p>
+              </div>
+            }
+            selection={
+              <Button
+                variant="submit"
+                disabled={!filter || startExport.isLoading}
+                onClick={() => filter && startExport.mutate(filter)}
+              >
+                {startExport.isLoading ? <Spinner /> : localize('com_nav_export')}
+              </Button>
+            }
+          />
+        </OGDialog>
+      </div>
+      {job?.status === 'completed' && (
+        <div className="flex items-center justify-between">
+          <span className="text-sm text-text-secondary">
+            {localize('com_ui_export_conversations_summary', {
+              0: job.conversationCount,
+              1: job.fileCount,
+            })}
+          </span>
+          <Button
+            variant="outline"
+            size="sm"
+            onClick={downloadArchive}
+            disabled={isDownloading}
+            aria-label={localize('com_ui_download')}
+          >
+            {isDownloading ? (
+              <Spinner className="w-4" />
+            ) : (
+              <Download className="h-4 w-4" aria-hidden="true" />
+            )}
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ExportConversations;
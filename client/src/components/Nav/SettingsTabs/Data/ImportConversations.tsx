@@ -1,13 +1,24 @@
-import { useState, useRef, useCallback } from 'react';
+import { useState, useRef, useEffect, useCallback } from 'react';
 import { Import } from 'lucide-react';
+import { QueryKeys } from 'librechat-data-provider';
 import { useQueryClient } from '@tanstack/react-query';
-import type { TStartupConfig } from 'librechat-data-provider';
+import type { TStartupConfig, TConversationImportJob } from 'librechat-data-provider';
 import { Spinner, useToastContext, Label, Button } from '@librechat/client';
-import { startupConfigKey, useUploadConversationsMutation } from '~/data-provider';
+import {
+  startupConfigKey,
+  useConversationImportQuery,
+  useUploadConversationsMutation,
+} from '~/data-provider';
 import { NotificationSeverity } from '~/common';
 import { useLocalize } from '~/hooks';
 import { cn, logger } from '~/utils';
 
+const isInProgress = (job?: TConversationImportJob | null) =>
+  job?.status === 'pending' || job?.status === 'running';
+
+/** How many skipped or failed entries are listed below the summary. */
+const MAX_LISTED_ISSUES = 5;
+
 function ImportConversations() {
   const localize = useLocalize();
   const queryClient = useQueryClient();
@@ -15,13 +26,44 @@ function ImportConversations() {
   const fileInputRef = useRef<HTMLInputElement>(null);
   const [isUploading, setIsUploading] = useState(false);
 
-  const handleSuccess = useCallback(() => {
+  const { data: importData } = useConversationImportQuery();
+  const job = importData?.job;
+
+  const previousStatus = useRef(job?.status);
+  useEffect(() => {
+    const wasInProgress =
+      previousStatus.current === 'pending' || previousStatus.current === 'running';
+    previousStatus.current = job?.status;
+    if (!wasInProgress || !job || isInProgress(job)) {
+      return;
+    }
+    /* TODO: optimize to return imported conversations and add manually */
+    queryClient.invalidateQueries([QueryKeys.allConversations]);
+    /** An imported chat can carry `pinned: true`. */
+    queryClient.invalidateQueries([QueryKeys.pinnedConversations]);
+    /** Archives bring their attachments along as new files. */
+    queryClient.invalidateQueries([QueryKeys.files]);
+
+    if (job.status === 'completed') {
+      showToast({
+        message: localize('com_ui_import_conversation_success'),
+        status: NotificationSeverity.SUCCESS,
+      });
+      return;
+    }
     showToast({
-      message: localize('com_ui_import_conversation_success'),
-      status: NotificationSeverity.SUCCESS,
+      message: localize(
+        job.error === 'Unsupported import type'
+          ? 'com_ui_import_conversation_file_type_error'
+          : 'com_ui_import_conversation_error',
+      ),
+      status: NotificationSeverity.ERROR,
     });
+  }, [job, localize, queryClient, showToast]);
+
+  const handleSuccess = useCallback(() => {
     setIsUploading(false);
-  }, [localize, showToast]);
+  }, []);
 
   const handleError = useCallback(
     (error: unknown) => {
@@ -104,39 +146,63 @@ function ImportConversations() {
     [handleImportClick],
   );
 
-  const isImportDisabled = isUploading;
+  const isImporting = isUploading || isInProgress(job);
+  const issues = job?.issues.slice(0, MAX_LISTED_ISSUES) ?? [];
 
   return (
-    <div className="flex items-center justify-between">
-      <Label id="import-conversation-label">{localize('com_ui_import_conversation_info')}</Label>
-      <Button
-        variant="outline"
-        onClick={handleImportClick}
-        onKeyDown={handleKeyDown}
-        disabled={isImportDisabled}
-        aria-label={localize('com_ui_import')}
-        aria-labelledby="import-conversation-label"
-      >
-        {isUploading ? (
-          <>
-            <Spinner className="mr-1 w-4" />
-            <span>{localize('com_ui_importing')}</span>
-          </>
-        ) : (
-          <>
-            <Import className="mr-1 flex h-4 w-4 items-center stroke-1" aria-hidden="true" />
-            <span>{localize('com_ui_import')}</span>
-          </>
-        )}
-      </Button>
-      <input
-        ref={fileInputRef}
-        type="file"
-        className={cn('hidden')}
-        accept=".json"
-        onChange={handleFileChange}
-        aria-hidden="true"
-      />
+    <div className="flex flex-col gap-2">
+      <div className="flex items-center justify-between">
+        <Label id="import-conversation-label">{localize('com_ui_import_conversation_info')}</Label>
+        <Button
+          variant="outline"
+          onClick={handleImportClick}
+          onKeyDown={handleKeyDown}
+          disabled={isImporting}
+          aria-label={localize('com_ui_import')}
+          aria-labelledby="import-conversation-label"
+        >
+          {isImporting ? (
+            <>
+              <Spinner className="mr-1 w-4" />
+              <span>{localize('com_ui_importing')}</span>
+            </>
+          ) : (
+            <>
+              <Import className="mr-1 flex h-4 w-4 items-center stroke-1" aria-hidden="true" />
+              <span>{localize('com_ui_import')}</span>
+            </>
+          )}
+        </Button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          className={cn('hidden')}
+          accept=".json,.zip,.md,.markdown"
+          onChange={handleFileChange}
+          aria-hidden="true"
+        />
+      </div>
+      {job && job.status !== 'failed' && (
+        <span className="text-sm text-text-secondary" aria-live="polite">
+          {localize('com_ui_import_conversation_progress', {
+            0: job.importedCount,
+            1: job.skippedCount,
+            2: job.failedCount,
+          })}
+        </span>
+      )}
+      {!isInProgress(job) && issues.length > 0 && (
+        <ul className="list-disc pl-5 text-xs text-text-secondary">
+          {issues.map((issue) => (
+            <li key={issue.index}>
+              {localize('com_ui_import_conversation_issue', {
+                0: issue.title ?? `#${issue.index + 1}`,
+                1: issue.reason,
+              })}
+            </li>
+          ))}
+        </ul>
+      )}
     </div>
   );
 }
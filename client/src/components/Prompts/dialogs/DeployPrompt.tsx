@@ -0,0 +1,73 @@
+import React, { useMemo } from 'react';
+import { OGDialog, OGDialogTemplate } from '@librechat/client';
+import type { TPrompt, TPromptGroup } from 'librechat-data-provider';
+import PromptTestComparison from '../display/PromptTestComparison';
+import { usePromptTestRunsQuery } from '~/data-provider';
+import { useLocalize } from '~/hooks';
+
+interface DeployPromptProps {
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+  group: TPromptGroup;
+  selectedPrompt: TPrompt;
+  versionLabel: string;
+  onDeploy: () => void;
+}
+
+/**
+ * Confirms moving `productionId` to the selected version, showing its latest test run
+ * next to the production version's so regressions are visible before deploying.
+ */
+export default function DeployPrompt({
+  open,
+  onOpenChange,
+  group,
+  selectedPrompt,
+  versionLabel,
+  onDeploy,
+}: DeployPromptProps) {
+  const localize = useLocalize();
+  const groupId = group._id ?? '';
+  const { data: productionRuns } = usePromptTestRunsQuery(
+    groupId,
+    group.productionId ?? undefined,
+    { enabled: open && !!group.productionId },
+  );
+  const { data: candidateRuns } = usePromptTestRunsQuery(groupId, selectedPrompt._id, {
+    enabled: open && !!selectedPrompt._id,
+  });
+
+  const columns = useMemo(
+    () => [
+      { label: localize('com_ui_production'), run: productionRuns?.runs[0] },
+      { label: versionLabel, run: candidateRuns?.runs[0] },
+    ],
+    [productionRuns, candidateRuns, versionLabel, localize],
+  );
+
+  return (
+    <OGDialog open={open} onOpenChange={onOpenChange}>
+      <OGDialogTemplate
+        showCloseButton={false}
+        title={localize('com_ui_prompt_test_compare')}
+        className="w-11/12 max-w-5xl"
+        main={
+          <div className="flex max-h-[65vh] flex-col gap-3 overflow-y-auto">
+            <p className="text-sm text-text-secondary">
+              {localize('com_ui_prompt_test_compare_description')}
+            </p>
+            <PromptTestComparison columns={columns} />
+          </div>
+        }
+        selection={{
+          selectHandler: () => {
+            onDeploy();
+            onOpenChange(false);
+          },
+          selectClasses: 'bg-surface-submit hover:bg-surface-submit-hover text-white',
+          selectText: localize('com_ui_deploy'),
+        }}
+      />
+    </OGDialog>
+  );
+}
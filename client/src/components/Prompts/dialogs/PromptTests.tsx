@@ -0,0 +1,405 @@
+import React, { useMemo, useState } from 'react';
+import { FlaskConical, Play, Plus, Trash2, X } from 'lucide-react';
+import { useGetModelsQuery } from 'librechat-data-provider/react-query';
+import {
+  Input,
+  Label,
+  Button,
+  OGDialog,
+  Dropdown,
+  Textarea,
+  TooltipAnchor,
+  OGDialogTitle,
+  OGDialogHeader,
+  OGDialogContent,
+  OGDialogTrigger,
+  useToastContext,
+} from '@librechat/client';
+import { specialVariables } from 'librechat-data-provider';
+import type {
+  TPrompt,
+  TPromptGroup,
+  TPromptTestModel,
+  TPromptTestAssertion,
+} from 'librechat-data-provider';
+import {
+  useStartPromptTestRun,
+  usePromptTestRunsQuery,
+  useCreatePromptTestCase,
+  useDeletePromptTestCase,
+  usePromptTestCasesQuery,
+} from '~/data-provider';
+import PromptTestComparison, { assertionLabels } from '../display/PromptTestComparison';
+import { extractUniqueVariables } from '~/utils';
+import { useLocalize } from '~/hooks';
+
+type AssertionDraft = { type: TPromptTestAssertion['type']; value: string };
+
+const MAX_MODELS = 4;
+
+/** Names of the variables a user fills in, e.g. `tone` for `{{tone:formal|casual}}`. */
+const getVariableNames = (text: string) =>
+  Array.from(
+    new Set(
+      extractUniqueVariables(text)
+        .map((variable) => variable.split(':')[0].trim())
+        .filter((name) => name && !specialVariables[name.toLowerCase()]),
+    ),
+  );
+
+const toAssertion = ({ type, value }: AssertionDraft): TPromptTestAssertion =>
+  type === 'json_schema'
+    ? { type, schema: JSON.parse(value) as Record<string, unknown> }
+    : { type, value };
+
+const TestCaseForm = ({ groupId, promptText }: { groupId: string; promptText: string }) => {
+  const localize = useLocalize();
+  const { showToast } = useToastContext();
+  const createTestCase = useCreatePromptTestCase(groupId);
+  const variableNames = useMemo(() => getVariableNames(promptText), [promptText]);
+  const [name, setName] = useState('');
+  const [variables, setVariables] = useState<Record<string, string>>({});
+  const [assertions, setAssertions] = useState<AssertionDraft[]>([]);
+
+  const assertionOptions = (Object.keys(assertionLabels) as AssertionDraft['type'][]).map(
+    (type) => ({ value: type, label: localize(assertionLabels[type]) }),
+  );
+
+  const onSubmit = () => {
+    let parsed: TPromptTestAssertion[];
+    try {
+      parsed = assertions.filter(({ value }) => value.trim()).map(toAssertion);
+    } catch {
+      showToast({ status: 'error', message: localize('com_ui_prompt_test_invalid_schema') });
+      return;
+    }
+    createTestCase.mutate(
+      { name: name.trim(), variables, assertions: parsed },
+      {
+        onSuccess: () => {
+          setName('');
+          setVariables({});
+          setAssertions([]);
+        },
+        onError: () =>
+          showToast({ status: 'error', message: localize('com_ui_prompt_test_case_error') }),
+      },
+    );
+  };
+
+  return (
+    <div className="flex flex-col gap-3 rounded-lg border border-border-light p-3">
+      <div className="flex flex-col gap-1.5">
+        <Label htmlFor="prompt-test-name">{localize('com_ui_name')}</Label>
+        <Input
+          id="prompt-test-name"
+          value={name}
+          maxLength={200}
+          onChange={(e) => setName(e.target.value)}
+        />
+      </div>
+      {variableNames.map((variable) => (
+        <div key={variable} className="flex flex-col gap-1.5">
+          <Label htmlFor={`prompt-test-var-${variable}`}>{`{{${variable}}}`}</Label>
+          <Textarea
+            id={`prompt-test-var-${variable}`}
+            className="min-h-12"
+            value={variables[variable] ?? ''}
+            onChange={(e) => setVariables((prev) => ({ ...prev, [variable]: e.target.value }))}
+          />
+        </div>
+      ))}
+      <div className="flex flex-col gap-2">
+        <span className="text-sm font-medium text-text-primary">
+          {localize('com_ui_prompt_test_assertions')}
+        </span>
+        {assertions.map((assertion, index) => (
+          <div key={index} className="flex items-start gap-2">
+            <Dropdown
+              value={assertion.type}
+              options={assertionOptions}
+              ariaLabel={localize('com_ui_prompt_test_assertion_type')}
+              onChange={(type) =>
+                setAssertions((prev) =>
+                  prev.map((item, i) =>
+                    i === index ? { ...item, type: type as AssertionDraft['type'] } : item,
+                  ),
+                )
+              }
+            />
+            <Textarea
+              className="min-h-10 flex-1 font-mono"
+              aria-label={localize(assertionLabels[assertion.type])}
+              placeholder={
+                assertion.type === 'json_schema' ? '{ "type": "object", "required": [] }' : ''
+              }
+              value={assertion.value}
+              onChange={(e) =>
+                setAssertions((prev) =>
+                  prev.map((item, i) => (i === index ? { ...item, value: e.target.value } : item)),
+                )
+              }
+            />
+            <Button
+              type="button"
+              variant="ghost"
+              size="icon"
+              aria-label={localize('com_ui_delete')}
+              onClick={() => setAssertions((prev) => prev.filter((_, i) => i !== index))}
+            >
+              <X className="size-4" aria-hidden="true" />
+            </Button>
+          </div>
+        ))}
+        <Button
+          type="button"
+          variant="outline"
+          size="sm"
+          className="self-start"
+          onClick={() => setAssertions((prev) => [...prev, { type: 'contains', value: '' }])}
+        >
+          <Plus className="mr-1 size-4" aria-hidden="true" />
+          {localize('com_ui_prompt_test_add_assertion')}
+        </Button>
+      </div>
+      <Button
+        type="button"
+        variant="submit"
+        className="self-end"
+        disabled={!name.trim() || createTestCase.isLoading}
+        onClick={onSubmit}
+      >
+        {localize('com_ui_prompt_test_add_case')}
+      </Button>
+    </div>
+  );
+};
+
+const ModelPicker = ({
+  models,
+  setModels,
+}: {
+  models: TPromptTestModel[];
+  setModels: React.Dispatch<React.SetStateAction<TPromptTestModel[]>>;
+}) => {
+  const localize = useLocalize();
+  const { data: modelsConfig } = useGetModelsQuery();
+
+  const available = useMemo(
+    () =>
+      Object.entries(modelsConfig ?? {}).flatMap(([endpoint, names]) =>
+        (names ?? []).map((model) => ({ endpoint, model })),
+      ),
+    [modelsConfig],
+  );
+  const options = useMemo(
+    () =>
+      available.map(({ endpoint, model }, index) => ({
+        value: String(index),
+        label: `${endpoint} / ${model}`,
+      })),
+    [available],
+  );
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      {models.map(({ endpoint, model }) => (
+        <span
+          key={`${endpoint}/${model}`}
+          className="flex items-center gap-1 rounded-full bg-surface-tertiary px-2.5 py-1 text-xs text-text-primary"
+        >
+          {endpoint} / {model}
+          <button
+            type="button"
+            aria-label={localize('com_ui_delete')}
+            onClick={() =>
+              setModels((prev) =>
+                prev.filter((item) => item.endpoint !== endpoint || item.model !== model),
+              )
+            }
+          >
+            <X className="size-3" aria-hidden="true" />
+          </button>
+        </span>
+      ))}
+      {models.length < MAX_MODELS && (
+        <Dropdown
+          searchable
+          value=""
+          label={localize('com_ui_prompt_test_add_model')}
+          ariaLabel={localize('com_ui_prompt_test_add_model')}
+          options={options}
+          onChange={(value) => {
+            const selected = available[Number(value)];
+            if (!selected) {
+              return;
+            }
+            setModels((prev) =>
+              prev.some(
+                (item) => item.endpoint === selected.endpoint && item.model === selected.model,
+              )
+                ? prev
+                : [...prev, selected],
+            );
+          }}
+        />
+      )}
+    </div>
+  );
+};
+
+interface PromptTestsProps {
+  group: TPromptGroup;
+  selectedPrompt?: TPrompt;
+  versionLabel: string;
+  disabled?: boolean;
+}
+
+/**
+ * Test cases for a prompt group, and runs of the selected version against up to four models.
+ * Results are compared side by side with the production version's latest run.
+ */
+export default function PromptTests({
+  group,
+  selectedPrompt,
+  versionLabel,
+  disabled,
+}: PromptTestsProps) {
+  const localize = useLocalize();
+  const { showToast } = useToastContext();
+  const [open, setOpen] = useState(false);
+  const [models, setModels] = useState<TPromptTestModel[]>([]);
+  const groupId = group._id ?? '';
+  const promptId = selectedPrompt?._id ?? '';
+  const isProduction = promptId === group.productionId;
+
+  const { data: testCasesData } = usePromptTestCasesQuery(groupId, { enabled: open });
+  const { data: runsData } = usePromptTestRunsQuery(groupId, promptId, {
+    enabled: open && !!promptId,
+  });
+  const { data: productionRunsData } = usePromptTestRunsQuery(
+    groupId,
+    group.productionId ?? undefined,
+    { enabled: open && !!group.productionId && !isProduction },
+  );
+  const deleteTestCase = useDeletePromptTestCase(groupId);
+  const startRun = useStartPromptTestRun();
+
+  const testCases = testCasesData?.testCases ?? [];
+  const latestRun = runsData?.runs[0];
+  const isRunning = latestRun?.status === 'pending' || latestRun?.status === 'running';
+
+  const columns = useMemo(
+    () => [
+      ...(isProduction
+        ? []
+        : [{ label: localize('com_ui_production'), run: productionRunsData?.runs[0] }]),
+      { label: versionLabel, run: latestRun },
+    ],
+    [isProduction, productionRunsData, latestRun, versionLabel, localize],
+  );
+
+  const onRun = () => {
+    startRun.mutate(
+      { groupId, promptId, models },
+      {
+        onError: () =>
+          showToast({ status: 'error', message: localize('com_ui_prompt_test_run_error') }),
+      },
+    );
+  };
+
+  return (
+    <OGDialog open={open} onOpenChange={setOpen}>
+      <OGDialogTrigger asChild>
+        <TooltipAnchor
+          description={localize('com_ui_prompt_tests')}
+          side="bottom"
+          render={
+            <Button
+              variant="outline"
+              size="icon"
+              aria-label={localize('com_ui_prompt_tests')}
+              disabled={disabled}
+            >
+              <FlaskConical className="size-5" aria-hidden="true" />
+            </Button>
+          }
+        />
+      </OGDialogTrigger>
+      <OGDialogContent className="w-11/12 max-w-6xl">
+        <OGDialogHeader>
+          <OGDialogTitle>{localize('com_ui_prompt_tests')}</OGDialogTitle>
+        </OGDialogHeader>
+        <div className="flex max-h-[75vh] flex-col gap-6 overflow-y-auto px-1 pt-3">
+          <section className="flex flex-col gap-3">
+            <h3 className="text-sm font-semibold text-text-primary">
+              {localize('com_ui_prompt_test_cases')}
+            </h3>
+            {testCases.length === 0 && (
+              <p className="text-sm text-text-secondary">
+                {localize('com_ui_prompt_test_no_cases')}
+              </p>
+            )}
+            <ul className="flex flex-col gap-2">
+              {testCases.map((testCase) => (
+                <li
+                  key={testCase._id}
+                  className="flex items-center justify-between gap-2 rounded-lg bg-surface-secondary px-3 py-2"
+                >
+                  <div className="min-w-0">
+                    <div className="truncate text-sm font-medium text-text-primary">
+                      {testCase.name}
+                    </div>
+                    <div className="truncate text-xs text-text-secondary">
+                      {[
+                        ...Object.entries(testCase.variables).map(
+                          ([name, value]) => `${name}: ${value}`,
+                        ),
+                        ...testCase.assertions.map(({ type }) => localize(assertionLabels[type])),
+                      ].join(' · ')}
+                    </div>
+                  </div>
+                  <Button
+                    type="button"
+                    variant="ghost"
+                    size="icon"
+                    aria-label={localize('com_ui_delete')}
+                    disabled={deleteTestCase.isLoading}
+                    onClick={() => deleteTestCase.mutate(testCase._id)}
+                  >
+                    <Trash2 className="size-4" aria-hidden="true" />
+                  </Button>
+                </li>
+              ))}
+            </ul>
+            <TestCaseForm groupId={groupId} promptText={selectedPrompt?.prompt ?? ''} />
+          </section>
+          <section className="flex flex-col gap-3">
+            <h3 className="text-sm font-semibold text-text-primary">
+              {localize('com_ui_prompt_test_run_var', { 0: versionLabel })}
+            </h3>
+            <ModelPicker models={models} setModels={setModels} />
+            <Button
+              type="button"
+              variant="submit"
+              className="self-start"
+              disabled={
+                !promptId ||
+                models.length === 0 ||
+                testCases.length === 0 ||
+                isRunning ||
+                startRun.isLoading
+              }
+              onClick={onRun}
+            >
+              <Play className="mr-1 size-4" aria-hidden="true" />
+              {localize('com_ui_prompt_test_run')}
+            </Button>
+            <PromptTestComparison columns={columns} />
+          </section>
+        </div>
+      </OGDialogContent>
+    </OGDialog>
+  );
+}
@@ -0,0 +1,160 @@
+import React, { useMemo } from 'react';
+import { CheckCircle2, XCircle, Loader2 } from 'lucide-react';
+import type {
+  TPromptTestRun,
+  TPromptTestResult,
+  TPromptTestAssertion,
+} from 'librechat-data-provider';
+import type { TranslationKeys } from '~/hooks';
+import { useLocalize } from '~/hooks';
+import { cn } from '~/utils';
+
+export interface PromptTestColumn {
+  label: string;
+  run?: TPromptTestRun;
+}
+
+export const assertionLabels: Record<TPromptTestAssertion['type'], TranslationKeys> = {
+  contains: 'com_ui_prompt_test_assertion_contains',
+  regex: 'com_ui_prompt_test_assertion_regex',
+  json_schema: 'com_ui_prompt_test_assertion_json_schema',
+};
+
+const resultKey = ({ testCaseId, endpoint, model }: TPromptTestResult) =>
+  `${testCaseId}\u0000${endpoint}\u0000${model}`;
+
+const ResultCell = ({ result, pending }: { result?: TPromptTestResult; pending: boolean }) => {
+  const localize = useLocalize();
+  if (!result) {
+    return (
+      <div className="flex items-center gap-1.5 text-xs text-text-secondary">
+        {pending && <Loader2 className="size-3.5 animate-spin" aria-hidden="true" />}
+        {pending
+          ? localize('com_ui_prompt_test_running')
+          : localize('com_ui_prompt_test_no_result')}
+      </div>
+    );
+  }
+  const failures = result.assertions.filter(({ passed }) => !passed);
+  return (
+    <div className="flex min-w-0 flex-col gap-1.5">
+      <div
+        className={cn(
+          'flex items-center gap-1.5 text-xs font-medium',
+          result.passed ? 'text-status-success' : 'text-text-destructive',
+        )}
+      >
+        {result.passed ? (
+          <CheckCircle2 className="size-3.5" aria-hidden="true" />
+        ) : (
+          <XCircle className="size-3.5" aria-hidden="true" />
+        )}
+        {result.passed ? localize('com_ui_prompt_test_passed') : localize('com_ui_failed')}
+      </div>
+      {result.error != null && <p className="text-xs text-text-destructive">{result.error}</p>}
+      {failures.map((assertion, index) => (
+        <p key={index} className="text-xs text-text-secondary">
+          {localize(assertionLabels[assertion.type])}
+          {assertion.message ? `: ${assertion.message}` : ''}
+        </p>
+      ))}
+      {result.output != null && (
+        <pre className="max-h-48 overflow-auto whitespace-pre-wrap break-words rounded-md bg-surface-tertiary p-2 text-xs text-text-primary">
+          {result.output}
+        </pre>
+      )}
+    </div>
+  );
+};
+
+const RunStatus = ({ run }: { run?: TPromptTestRun }) => {
+  const localize = useLocalize();
+  if (!run) {
+    return <>{localize('com_ui_prompt_test_no_run')}</>;
+  }
+  if (run.status === 'failed') {
+    return <>{run.error ?? localize('com_ui_failed')}</>;
+  }
+  const summary = localize('com_ui_prompt_test_summary', {
+    0: run.summary.passed,
+    1: run.summary.total,
+  });
+  if (run.status === 'completed') {
+    return <>{summary}</>;
+  }
+  return (
+    <span className="flex items-center gap-1.5">
+      <Loader2 className="size-3.5 animate-spin" aria-hidden="true" />
+      {localize('com_ui_prompt_test_running')} · {summary}
+    </span>
+  );
+};
+
+/**
+ * Side-by-side results of prompt test runs, one column per run and one row per test case
+ * and model, so a candidate version can be reviewed against production before deploying.
+ */
+export default function PromptTestComparison({ columns }: { columns: PromptTestColumn[] }) {
+  const localize = useLocalize();
+
+  const { rows, lookups } = useMemo(() => {
+    const rows = new Map<string, TPromptTestResult>();
+    const lookups = columns.map(({ run }) => {
+      const lookup = new Map<string, TPromptTestResult>();
+      for (const result of run?.results ?? []) {
+        const key = resultKey(result);
+        lookup.set(key, result);
+        if (!rows.has(key)) {
+          rows.set(key, result);
+        }
+      }
+      return lookup;
+    });
+    return { rows: Array.from(rows.entries()), lookups };
+  }, [columns]);
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="w-full table-fixed border-collapse text-sm">
+        <thead>
+          <tr className="border-b border-border-medium text-left">
+            <th scope="col" className="w-48 p-2 font-medium text-text-secondary">
+              {localize('com_ui_prompt_test_case')}
+            </th>
+            {columns.map(({ label, run }) => (
+              <th key={label} scope="col" className="p-2 font-medium text-text-primary">
+                <div>{label}</div>
+                <div className="text-xs font-normal text-text-secondary">
+                  <RunStatus run={run} />
+                </div>
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(([key, row]) => (
+            <tr key={key} className="border-b border-border-light align-top">
+              <th scope="row" className="p-2 text-left font-normal">
+                <div className="truncate font-medium text-text-primary">{row.testCaseName}</div>
+                <div className="truncate text-xs text-text-secondary">
+                  {row.endpoint} / {row.model}
+                </div>
+              </th>
+              {columns.map(({ label, run }, index) => (
+                <td key={label} className="p-2">
+                  <ResultCell
+                    result={lookups[index].get(key)}
+                    pending={run?.status === 'pending' || run?.status === 'running'}
+                  />
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {rows.length === 0 && (
+        <p className="p-2 text-sm text-text-secondary">{localize('com_ui_prompt_test_no_run')}</p>
+      )}
+    </div>
+  );
+}
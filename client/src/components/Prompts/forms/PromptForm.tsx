@@ -17,6 +17,7 @@ import {
   useGetPromptGroup,
   useAddPromptToGroup,
   useUpdatePromptGroup,
+  usePromptTestCasesQuery,
   useMakePromptProduction,
 } from '~/data-provider';
 import { useResourcePermissions, useHasAccess, useLocalize, useFocusTrap } from '~/hooks';
@@ -27,6 +28,8 @@ import PromptVersions from '../display/PromptVersions';
 import { usePromptGroupsContext } from '~/Providers';
 import PromptDetails from '../display/PromptDetails';
 import DeletePrompt from '../dialogs/DeletePrompt';
+import DeployPrompt from '../dialogs/DeployPrompt';
+import PromptTests from '../dialogs/PromptTests';
 import NoPromptGroup from '../lists/NoPromptGroup';
 import PromptEditor from '../editor/PromptEditor';
 import SkeletonForm from '../utils/SkeletonForm';
@@ -60,10 +63,25 @@ const VersionsPanel = React.memo(
   }: VersionsPanelProps) => {
     const localize = useLocalize();
     const makeProductionMutation = useMakePromptProduction();
+    const [showComparison, setShowComparison] = useState(false);
 
     const groupId = group?._id || '';
     const isLoadingGroup = !group;
     const isProductionVersion = selectedPrompt?._id === group?.productionId;
+    const { data: testCasesData } = usePromptTestCasesQuery(groupId, { enabled: canEdit });
+    const hasTestCases = (testCasesData?.testCases.length ?? 0) > 0;
+
+    const deploySelectedPrompt = () => {
+      if (!selectedPrompt) {
+        return;
+      }
+      const { _id: promptVersionId = '', prompt } = selectedPrompt;
+      makeProductionMutation.mutate({
+        id: promptVersionId,
+        groupId,
+        productionPrompt: { prompt },
+      });
+    };
 
     return (
       <div className="flex h-full w-full flex-col overflow-hidden">
@@ -79,15 +97,11 @@ const VersionsPanel = React.memo(
                   'border border-status-success-border bg-status-success-subtle text-status-success hover:bg-status-success-subtle',
               )}
               onClick={() => {
-                if (!selectedPrompt) {
+                if (hasTestCases) {
+                  setShowComparison(true);
                   return;
                 }
-                const { _id: promptVersionId = '', prompt } = selectedPrompt;
-                makeProductionMutation.mutate({
-                  id: promptVersionId,
-                  groupId,
-                  productionPrompt: { prompt },
-                });
+                deploySelectedPrompt();
               }}
               disabled={
                 isLoadingGroup ||
@@ -102,6 +116,18 @@ const VersionsPanel = React.memo(
                 {isProductionVersion ? localize('com_ui_production') : localize('com_ui_deploy')}
               </span>
             </Button>
+            {selectedPrompt && (
+              <DeployPrompt
+                open={showComparison}
+                onOpenChange={setShowComparison}
+                group={group}
+                selectedPrompt={selectedPrompt}
+                versionLabel={localize('com_ui_version_var', {
+                  0: prompts.length - selectionIndex,
+                })}
+                onDeploy={deploySelectedPrompt}
+              />
+            )}
           </div>
         )}
         <div className="flex-1 overflow-y-auto px-4 py-2">
@@ -141,12 +167,20 @@ interface HeaderActionsProps {
   group: TPromptGroup;
   canEdit: boolean;
   canDelete: boolean;
-  selectedPromptId?: string;
+  selectedPrompt?: TPrompt;
+  versionLabel: string;
   onCategoryChange?: (value: string) => void;
 }
 
 const HeaderActions = React.memo(
-  ({ group, canEdit, canDelete, selectedPromptId, onCategoryChange }: HeaderActionsProps) => {
+  ({
+    group,
+    canEdit,
+    canDelete,
+    selectedPrompt,
+    versionLabel,
+    onCategoryChange,
+  }: HeaderActionsProps) => {
     const hasShareAccess = useHasAccess({
       permissionType: PermissionTypes.PROMPTS,
       permission: Permissions.SHARE,
@@ -163,10 +197,18 @@ const HeaderActions = React.memo(
           currentCategory={groupCategory}
           onValueChange={canEdit ? onCategoryChange : undefined}
         />
+        {canEdit && (
+          <PromptTests
+            group={group}
+            selectedPrompt={selectedPrompt}
+            versionLabel={versionLabel}
+            disabled={isLoadingGroup}
+          />
+        )}
         {hasShareAccess && <SharePrompt group={group} disabled={isLoadingGroup} />}
         {canDelete && (
           <DeletePrompt
-            promptId={selectedPromptId}
+            promptId={selectedPrompt?._id}
             groupId={groupId}
             promptName={group?.name || ''}
             disabled={isLoadingGroup}
@@ -236,7 +278,7 @@ const PromptForm = ({ promptId: promptIdProp }: { promptId?: string }) => {
     [prompts, selectionIndex],
   );
 
-  const selectedPromptId = useMemo(() => selectedPrompt?._id, [selectedPrompt?._id]);
+  const versionLabel = localize('com_ui_version_var', { 0: prompts.length - selectionIndex });
 
   const updateGroupMutation = useUpdatePromptGroup({
     onError: () => {
@@ -480,7 +522,8 @@ const PromptForm = ({ promptId: promptIdProp }: { promptId?: string }) => {
                       group={group}
                       canEdit={canEdit}
                       canDelete={canDelete}
-                      selectedPromptId={selectedPromptId}
+                      selectedPrompt={selectedPrompt}
+                      versionLabel={versionLabel}
                       onCategoryChange={handleCategoryChange}
                     />
                   </div>
@@ -527,7 +570,8 @@ const PromptForm = ({ promptId: promptIdProp }: { promptId?: string }) => {
                             group={group}
                             canEdit={canEdit}
                             canDelete={canDelete}
-                            selectedPromptId={selectedPromptId}
+                            selectedPrompt={selectedPrompt}
+                            versionLabel={versionLabel}
                             onCategoryChange={handleCategoryChange}
                           />
                         </div>
@@ -19,7 +19,12 @@ interface PublicSharingToggleProps {
 
 const accessDescriptions: Record<
   ResourceType,
-  'com_ui_agent' | 'com_ui_prompt' | 'com_ui_mcp_server' | 'com_ui_skill' | 'com_ui_shared_link'
+  | 'com_ui_agent'
+  | 'com_ui_prompt'
+  | 'com_ui_mcp_server'
+  | 'com_ui_skill'
+  | 'com_ui_shared_link'
+  | 'com_ui_artifact'
 > = {
   [ResourceType.AGENT]: 'com_ui_agent',
   [ResourceType.PROMPTGROUP]: 'com_ui_prompt',
@@ -27,6 +32,7 @@ const accessDescriptions: Record<
   [ResourceType.REMOTE_AGENT]: 'com_ui_agent',
   [ResourceType.SKILL]: 'com_ui_skill',
   [ResourceType.SHARED_LINK]: 'com_ui_shared_link',
+  [ResourceType.ARTIFACT]: 'com_ui_artifact',
 };
 
 export default function PublicSharingToggle({
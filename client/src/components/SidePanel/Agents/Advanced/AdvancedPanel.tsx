@@ -5,6 +5,7 @@ import { AgentCapabilities } from 'librechat-data-provider';
 import { Button, TooltipAnchor, labelVariants, useToastContext } from '@librechat/client';
 import type { AgentForm } from '~/common';
 import { useAgentPanelContext } from '~/Providers';
+import StructuredOutput from './StructuredOutput';
 import StatefulSessions from './StatefulSessions';
 import OrchestrationHub from './OrchestrationHub';
 import MaxAgentSteps from './MaxAgentSteps';
@@ -60,6 +61,7 @@ export default function AdvancedPanel() {
           <span className={groupHeadingClass}>{localize('com_ui_essentials')}</span>
           <MaxAgentSteps />
           {statefulSessionsEnabled && <StatefulSessions />}
+          <StructuredOutput />
         </section>
 
         <OrchestrationHub currentAgentId={currentAgentId} />
@@ -0,0 +1,147 @@
+import { useEffect, useState } from 'react';
+import { useFormContext } from 'react-hook-form';
+import { Input, Label, Textarea } from '@librechat/client';
+import type { AgentResponseFormat } from 'librechat-data-provider';
+import type { AgentForm } from '~/common';
+import { ToggleSetting } from './ui';
+import { useLocalize } from '~/hooks';
+
+const DEFAULT_RESPONSE_FORMAT: AgentResponseFormat = {
+  name: 'response',
+  schema: {
+    type: 'object',
+    properties: { answer: { type: 'string' } },
+    required: ['answer'],
+    additionalProperties: false,
+  },
+  strict: true,
+};
+
+function formatSchema(schema?: Record<string, unknown>): string {
+  return schema ? JSON.stringify(schema, null, 2) : '';
+}
+
+/**
+ * Parses the schema editor's text. Only a JSON object with an object root is
+ * written to the form; anything else stays local with an error, so a save
+ * never sends a schema the server would reject as unparseable.
+ */
+function parseSchema(text: string): Record<string, unknown> | 'invalid_json' | 'invalid_root' {
+  let parsed: unknown;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    return 'invalid_json';
+  }
+  if (
+    parsed == null ||
+    typeof parsed !== 'object' ||
+    Array.isArray(parsed) ||
+    (parsed as Record<string, unknown>).type !== 'object'
+  ) {
+    return 'invalid_root';
+  }
+  return parsed as Record<string, unknown>;
+}
+
+export default function StructuredOutput() {
+  const localize = useLocalize();
+  const { watch, setValue } = useFormContext<AgentForm>();
+  const responseFormat = watch('response_format');
+  const agentId = watch('id');
+  const [schemaText, setSchemaText] = useState(() => formatSchema(responseFormat?.schema));
+  const [schemaError, setSchemaError] = useState<'invalid_json' | 'invalid_root' | null>(null);
+
+  /** Re-sync the editor when another agent is loaded into the form. */
+  useEffect(() => {
+    setSchemaText(formatSchema(responseFormat?.schema));
+    setSchemaError(null);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [agentId]);
+
+  const update = (next: AgentResponseFormat | null) =>
+    setValue('response_format', next, { shouldDirty: true });
+
+  const handleToggle = (enabled: boolean) => {
+    if (!enabled) {
+      update(null);
+      return;
+    }
+    setSchemaText(formatSchema(DEFAULT_RESPONSE_FORMAT.schema));
+    setSchemaError(null);
+    update(DEFAULT_RESPONSE_FORMAT);
+  };
+
+  const handleSchemaChange = (text: string) => {
+    setSchemaText(text);
+    const parsed = parseSchema(text);
+    if (typeof parsed === 'string') {
+      setSchemaError(parsed);
+      return;
+    }
+    setSchemaError(null);
+    if (responseFormat) {
+      update({ ...responseFormat, schema: parsed });
+    }
+  };
+
+  return (
+    <div className="flex flex-col gap-3">
+      <ToggleSetting
+        id="structured-output"
+        label={localize('com_ui_structured_output')}
+        checked={responseFormat != null}
+        onCheckedChange={handleToggle}
+        info={<p>{localize('com_ui_structured_output_info')}</p>}
+      />
+      {responseFormat != null && (
+        <div className="flex flex-col gap-3 pl-1">
+          <div className="flex flex-col gap-1.5">
+            <Label htmlFor="structured-output-name" className="w-auto text-xs font-medium">
+              {localize('com_ui_structured_output_name')}
+            </Label>
+            <Input
+              id="structured-output-name"
+              value={responseFormat.name}
+              maxLength={64}
+              onChange={(e) =>
+                update({ ...responseFormat, name: e.target.value.replace(/[^a-zA-Z0-9_-]/g, '') })
+              }
+              className="h-9 w-full"
+            />
+          </div>
+          <div className="flex flex-col gap-1.5">
+            <Label htmlFor="structured-output-schema" className="w-auto text-xs font-medium">
+              {localize('com_ui_structured_output_schema')}
+            </Label>
+            <Textarea
+              id="structured-output-schema"
+              value={schemaText}
+              onChange={(e) => handleSchemaChange(e.target.value)}
+              rows={8}
+              spellCheck={false}
+              aria-invalid={schemaError ? 'true' : 'false'}
+              className="min-h-[140px] resize-y font-mono text-xs"
+            />
+            {schemaError && (
+              <span className="text-xs text-text-destructive" role="alert">
+                {localize(
+                  schemaError === 'invalid_json'
+                    ? 'com_ui_structured_output_invalid_json'
+                    : 'com_ui_structured_output_invalid_root',
+                )}
+              </span>
+            )}
+          </div>
+          <ToggleSetting
+            id="structured-output-strict"
+            label={localize('com_ui_structured_output_strict')}
+            checked={responseFormat.strict === true}
+            onCheckedChange={(strict) => update({ ...responseFormat, strict })}
+            info={<p>{localize('com_ui_structured_output_strict_info')}</p>}
+          />
+        </div>
+      )}
+    </div>
+  );
+}
@@ -15,6 +15,8 @@ import { useUpdateAgentMutation } from '~/data-provider';
 import AdvancedButton from './Advanced/AdvancedButton';
 import VersionButton from './Version/VersionButton';
 import DuplicateAgent from './DuplicateAgent';
+import AgentEvals from './Evals/AgentEvals';
+import ExportAgent from './ExportAgent';
 import AdminSettings from './AdminSettings';
 import DeleteButton from './DeleteButton';
 import { Panel } from '~/common';
@@ -127,6 +129,13 @@ export default function AgentFooter({
           )}
         {(agent?.author === user?.id || user?.role === SystemRoles.ADMIN || canEditThisAgent) &&
           !permissionsLoading && <DuplicateAgent agent_id={agent_id} />}
+        {(agent?.author === user?.id || user?.role === SystemRoles.ADMIN || canEditThisAgent) &&
+          !permissionsLoading && (
+            <ExportAgent agent_id={agent_id} name={agent?.name ?? undefined} />
+          )}
+        {(agent?.author === user?.id || user?.role === SystemRoles.ADMIN || canEditThisAgent) &&
+          !permissionsLoading &&
+          !!agent_id && <AgentEvals agent_id={agent_id} />}
         {/* Submit Button */}
         <Button
           variant="submit"
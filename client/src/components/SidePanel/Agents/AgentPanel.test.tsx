@@ -152,6 +152,11 @@ jest.mock('./AgentSelect', () => ({
   default: () => <div>{`Agent Select`}</div>,
 }));
 
+jest.mock('./ImportAgent', () => ({
+  __esModule: true,
+  default: () => <div>{`Import Agent`}</div>,
+}));
+
 jest.mock('./ModelPanel', () => ({
   __esModule: true,
   default: () => <div>{`Model Panel`}</div>,
@@ -35,6 +35,7 @@ import AdvancedPanel from './Advanced/AdvancedPanel';
 import { Panel, isEphemeralAgent } from '~/common';
 import AgentConfig from './AgentConfig';
 import AgentSelect from './AgentSelect';
+import ImportAgent from './ImportAgent';
 import AgentFooter from './AgentFooter';
 import ModelPanel from './ModelPanel';
 
@@ -85,6 +86,7 @@ export function composeAgentUpdatePayload(data: AgentForm, agent_id?: string | n
     skills,
     skills_enabled,
     memory_scope,
+    response_format,
     avatar_action: avatarActionState,
   } = data;
 
@@ -127,6 +129,7 @@ export function composeAgentUpdatePayload(data: AgentForm, agent_id?: string | n
       /** A hidden stale 'agent' scope must not survive disabling memory —
        *  runtime partitioning keys off memory_scope alone. */
       memory_scope: data.memory === true ? memory_scope : MemoryScope.user,
+      response_format,
       ...(shouldResetAvatar ? { avatar: null } : {}),
     },
     provider,
@@ -620,6 +623,9 @@ export default function AgentPanel() {
                 </Button>
               </div>
             )}
+            <div className="w-full">
+              <ImportAgent setCurrentAgentId={setCurrentAgentId} />
+            </div>
           </div>
           {agentQuery.isInitialLoading && <AgentPanelSkeleton />}
           {!canEditAgent && !agentQuery.isInitialLoading && (
@@ -135,6 +135,11 @@ function AgentSelect({
           return;
         }
 
+        if (name === 'response_format' && typeof value === 'object' && value !== null) {
+          formValues[name] = value;
+          return;
+        }
+
         if (name === 'tool_options' && typeof value === 'object' && value !== null) {
           formValues[name] = value;
           return;
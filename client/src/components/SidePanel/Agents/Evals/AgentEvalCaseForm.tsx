@@ -0,0 +1,174 @@
+import React, { useState } from 'react';
+import { Plus, X } from 'lucide-react';
+import { Input, Label, Button, Dropdown, Textarea, useToastContext } from '@librechat/client';
+import type { TAgentEvalAssertion } from 'librechat-data-provider';
+import { useCreateAgentEvalCaseMutation } from '~/data-provider';
+import { assertionLabels } from './AgentEvalComparison';
+import { useLocalize } from '~/hooks';
+
+type AssertionDraft = { type: TAgentEvalAssertion['type']; value: string };
+
+/** Matches the server's limit on user turns per case. */
+const MAX_TURNS = 10;
+
+const placeholders: Partial<Record<AssertionDraft['type'], string>> = {
+  tool_call: 'lookup_order',
+  json_schema: '{ "type": "object", "required": [] }',
+};
+
+const toAssertion = ({ type, value }: AssertionDraft): TAgentEvalAssertion =>
+  type === 'json_schema'
+    ? { type, schema: JSON.parse(value) as Record<string, unknown> }
+    : { type, value: value.trim() };
+
+/** Adds an evaluation case: the user turns to replay and the rubric to grade the reply with. */
+export default function AgentEvalCaseForm({ agent_id }: { agent_id: string }) {
+  const localize = useLocalize();
+  const { showToast } = useToastContext();
+  const createCase = useCreateAgentEvalCaseMutation(agent_id);
+  const [name, setName] = useState('');
+  const [turns, setTurns] = useState<string[]>(['']);
+  const [assertions, setAssertions] = useState<AssertionDraft[]>([]);
+
+  const assertionOptions = (Object.keys(assertionLabels) as AssertionDraft['type'][]).map(
+    (type) => ({ value: type, label: localize(assertionLabels[type]) }),
+  );
+  const filledTurns = turns.map((turn) => turn.trim()).filter(Boolean);
+
+  const onSubmit = () => {
+    let parsed: TAgentEvalAssertion[];
+    try {
+      parsed = assertions.filter(({ value }) => value.trim()).map(toAssertion);
+    } catch {
+      showToast({ status: 'error', message: localize('com_ui_agent_eval_invalid_schema') });
+      return;
+    }
+    createCase.mutate(
+      { name: name.trim(), turns: filledTurns, assertions: parsed },
+      {
+        onSuccess: () => {
+          setName('');
+          setTurns(['']);
+          setAssertions([]);
+        },
+        onError: () =>
+          showToast({ status: 'error', message: localize('com_ui_agent_eval_case_error') }),
+      },
+    );
+  };
+
+  return (
+    <div className="flex flex-col gap-3 rounded-lg border border-border-light p-3">
+      <div className="flex flex-col gap-1.5">
+        <Label htmlFor="agent-eval-name">{localize('com_ui_name')}</Label>
+        <Input
+          id="agent-eval-name"
+          value={name}
+          maxLength={200}
+          onChange={(e) => setName(e.target.value)}
+        />
+      </div>
+      <div className="flex flex-col gap-2">
+        <span className="text-sm font-medium text-text-primary">
+          {localize('com_ui_agent_eval_turns')}
+        </span>
+        {turns.map((turn, index) => (
+          <div key={index} className="flex items-start gap-2">
+            <Textarea
+              className="min-h-12 flex-1"
+              aria-label={localize('com_ui_agent_eval_turn_var', { 0: index + 1 })}
+              placeholder={localize('com_ui_agent_eval_turn_var', { 0: index + 1 })}
+              value={turn}
+              onChange={(e) =>
+                setTurns((prev) => prev.map((item, i) => (i === index ? e.target.value : item)))
+              }
+            />
+            {turns.length > 1 && (
+              <Button
+                type="button"
+                variant="ghost"
+                size="icon"
+                aria-label={localize('com_ui_delete')}
+                onClick={() => setTurns((prev) => prev.filter((_, i) => i !== index))}
+              >
+                <X className="size-4" aria-hidden="true" />
+              </Button>
+            )}
+          </div>
+        ))}
+        {turns.length < MAX_TURNS && (
+          <Button
+            type="button"
+            variant="outline"
+            size="sm"
+            className="self-start"
+            onClick={() => setTurns((prev) => [...prev, ''])}
+          >
+            <Plus className="mr-1 size-4" aria-hidden="true" />
+            {localize('com_ui_agent_eval_add_turn')}
+          </Button>
+        )}
+      </div>
+      <div className="flex flex-col gap-2">
+        <span className="text-sm font-medium text-text-primary">
+          {localize('com_ui_agent_eval_rubric')}
+        </span>
+        {assertions.map((assertion, index) => (
+          <div key={index} className="flex items-start gap-2">
+            <Dropdown
+              value={assertion.type}
+              options={assertionOptions}
+              ariaLabel={localize('com_ui_agent_eval_assertion_type')}
+              onChange={(type) =>
+                setAssertions((prev) =>
+                  prev.map((item, i) =>
+                    i === index ? { ...item, type: type as AssertionDraft['type'] } : item,
+                  ),
+                )
+              }
+            />
+            <Textarea
+              className="min-h-10 flex-1 font-mono"
+              aria-label={localize(assertionLabels[assertion.type])}
+              placeholder={placeholders[assertion.type] ?? ''}
+              value={assertion.value}
+              onChange={(e) =>
+                setAssertions((prev) =>
+                  prev.map((item, i) => (i === index ? { ...item, value: e.target.value } : item)),
+                )
+              }
+            />
+            <Button
+              type="button"
+              variant="ghost"
+              size="icon"
+              aria-label={localize('com_ui_delete')}
+              onClick={() => setAssertions((prev) => prev.filter((_, i) => i !== index))}
+            >
+              <X className="size-4" aria-hidden="true" />
+            </Button>
+          </div>
+        ))}
+        <Button
+          type="button"
+          variant="outline"
+          size="sm"
+          className="self-start"
+          onClick={() => setAssertions((prev) => [...prev, { type: 'tool_call', value: '' }])}
+        >
+          <Plus className="mr-1 size-4" aria-hidden="true" />
+          {localize('com_ui_agent_eval_add_assertion')}
+        </Button>
+      </div>
+      <Button
+        type="button"
+        variant="submit"
+        className="self-end"
+        disabled={!name.trim() || filledTurns.length === 0 || createCase.isLoading}
+        onClick={onSubmit}
+      >
+        {localize('com_ui_agent_eval_add_case')}
+      </Button>
+    </div>
+  );
+}
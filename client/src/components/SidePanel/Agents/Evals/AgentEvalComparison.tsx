@@ -0,0 +1,155 @@
+import React, { useMemo } from 'react';
+import { CheckCircle2, XCircle, Loader2 } from 'lucide-react';
+import type { TAgentEvalRun, TAgentEvalResult, TAgentEvalAssertion } from 'librechat-data-provider';
+import type { TranslationKeys } from '~/hooks';
+import { useLocalize } from '~/hooks';
+import { cn } from '~/utils';
+
+export interface AgentEvalColumn {
+  key: string;
+  label: string;
+  run?: TAgentEvalRun;
+}
+
+export const assertionLabels: Record<TAgentEvalAssertion['type'], TranslationKeys> = {
+  tool_call: 'com_ui_agent_eval_assertion_tool_call',
+  contains: 'com_ui_agent_eval_assertion_contains',
+  not_contains: 'com_ui_agent_eval_assertion_not_contains',
+  json_schema: 'com_ui_agent_eval_assertion_json_schema',
+  llm_judge: 'com_ui_agent_eval_assertion_llm_judge',
+};
+
+const isInProgress = (run?: TAgentEvalRun) =>
+  run?.status === 'pending' || run?.status === 'running';
+
+const ResultCell = ({ result, pending }: { result?: TAgentEvalResult; pending: boolean }) => {
+  const localize = useLocalize();
+  if (!result) {
+    return (
+      <div className="flex items-center gap-1.5 text-xs text-text-secondary">
+        {pending && <Loader2 className="size-3.5 animate-spin" aria-hidden="true" />}
+        {pending ? localize('com_ui_agent_eval_running') : localize('com_ui_agent_eval_no_result')}
+      </div>
+    );
+  }
+  const failures = result.assertions.filter(({ passed }) => !passed);
+  return (
+    <div className="flex min-w-0 flex-col gap-1.5">
+      <div
+        className={cn(
+          'flex items-center gap-1.5 text-xs font-medium',
+          result.passed ? 'text-status-success' : 'text-text-destructive',
+        )}
+      >
+        {result.passed ? (
+          <CheckCircle2 className="size-3.5" aria-hidden="true" />
+        ) : (
+          <XCircle className="size-3.5" aria-hidden="true" />
+        )}
+        {result.passed ? localize('com_ui_agent_eval_passed') : localize('com_ui_failed')}
+      </div>
+      {result.error != null && <p className="text-xs text-text-destructive">{result.error}</p>}
+      {failures.map((assertion, index) => (
+        <p key={index} className="text-xs text-text-secondary">
+          {localize(assertionLabels[assertion.type])}
+          {assertion.message ? `: ${assertion.message}` : ''}
+        </p>
+      ))}
+      {result.toolCalls.length > 0 && (
+        <p className="text-xs text-text-secondary">
+          {localize('com_ui_agent_eval_tool_calls_var', { 0: result.toolCalls.join(', ') })}
+        </p>
+      )}
+      {result.output != null && (
+        <pre className="max-h-48 overflow-auto whitespace-pre-wrap break-words rounded-md bg-surface-tertiary p-2 text-xs text-text-primary">
+          {result.output}
+        </pre>
+      )}
+    </div>
+  );
+};
+
+const RunStatus = ({ run }: { run?: TAgentEvalRun }) => {
+  const localize = useLocalize();
+  if (!run) {
+    return <>{localize('com_ui_agent_eval_no_run')}</>;
+  }
+  if (run.status === 'failed') {
+    return <>{run.error ?? localize('com_ui_failed')}</>;
+  }
+  const summary = localize('com_ui_agent_eval_summary', {
+    0: run.summary.passed,
+    1: run.summary.total,
+  });
+  if (run.status === 'completed') {
+    return <>{summary}</>;
+  }
+  return (
+    <span className="flex items-center gap-1.5">
+      <Loader2 className="size-3.5 animate-spin" aria-hidden="true" />
+      {localize('com_ui_agent_eval_running')} · {summary}
+    </span>
+  );
+};
+
+/**
+ * Side-by-side results of agent evaluation runs, one column per run and one row per case,
+ * so a version can be checked for regressions against another before it is published.
+ */
+export default function AgentEvalComparison({ columns }: { columns: AgentEvalColumn[] }) {
+  const localize = useLocalize();
+
+  const { rows, lookups } = useMemo(() => {
+    const rows = new Map<string, TAgentEvalResult>();
+    const lookups = columns.map(({ run }) => {
+      const lookup = new Map<string, TAgentEvalResult>();
+      for (const result of run?.results ?? []) {
+        lookup.set(result.caseId, result);
+        if (!rows.has(result.caseId)) {
+          rows.set(result.caseId, result);
+        }
+      }
+      return lookup;
+    });
+    return { rows: Array.from(rows.entries()), lookups };
+  }, [columns]);
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="w-full table-fixed border-collapse text-sm">
+        <thead>
+          <tr className="border-b border-border-medium text-left">
+            <th scope="col" className="w-40 p-2 font-medium text-text-secondary">
+              {localize('com_ui_agent_eval_case')}
+            </th>
+            {columns.map(({ key, label, run }) => (
+              <th key={key} scope="col" className="p-2 font-medium text-text-primary">
+                <div>{label}</div>
+                <div className="text-xs font-normal text-text-secondary">
+                  <RunStatus run={run} />
+                </div>
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(([caseId, row]) => (
+            <tr key={caseId} className="border-b border-border-light align-top">
+              <th scope="row" className="p-2 text-left font-normal">
+                <div className="truncate font-medium text-text-primary">{row.caseName}</div>
+              </th>
+              {columns.map(({ key, run }, index) => (
+                <td key={key} className="p-2">
+                  <ResultCell result={lookups[index].get(caseId)} pending={isInProgress(run)} />
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {rows.length === 0 && (
+        <p className="p-2 text-sm text-text-secondary">{localize('com_ui_agent_eval_no_run')}</p>
+      )}
+    </div>
+  );
+}
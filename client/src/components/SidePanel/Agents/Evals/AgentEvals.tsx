@@ -0,0 +1,254 @@
+import React, { useCallback, useMemo, useState } from 'react';
+import { FlaskConical, Play, Trash2 } from 'lucide-react';
+import {
+  Button,
+  OGDialog,
+  Dropdown,
+  TooltipAnchor,
+  OGDialogTitle,
+  OGDialogHeader,
+  OGDialogContent,
+  OGDialogTrigger,
+  useToastContext,
+} from '@librechat/client';
+import type { TAgentEvalRun } from 'librechat-data-provider';
+import {
+  useAgentEvalRunsQuery,
+  useAgentEvalCasesQuery,
+  useGetAgentVersionsQuery,
+  useStartAgentEvalRunMutation,
+  useDeleteAgentEvalCaseMutation,
+} from '~/data-provider';
+import AgentEvalComparison, { assertionLabels } from './AgentEvalComparison';
+import AgentEvalCaseForm from './AgentEvalCaseForm';
+import { isEphemeralAgent } from '~/common';
+import { useLocalize } from '~/hooks';
+
+/** The run a column shows by default: the newest one, and the newest of another version. */
+const getDefaultRunIds = (runs: TAgentEvalRun[]) => {
+  const candidate = runs[0];
+  const baseline =
+    runs.find((run) => run !== candidate && run.version !== candidate?.version) ?? runs[1];
+  return { baseline: baseline?._id ?? '', candidate: candidate?._id ?? '' };
+};
+
+/**
+ * Evaluation cases of an agent, and runs of them against a version from its history.
+ * Two runs are compared side by side, by default the latest against the latest of another
+ * version, so a change to instructions, tools or model can be checked for regressions.
+ */
+export default function AgentEvals({ agent_id }: { agent_id: string }) {
+  const localize = useLocalize();
+  const { showToast } = useToastContext();
+  const [open, setOpen] = useState(false);
+  const [version, setVersion] = useState('');
+  const [selectedRunIds, setSelectedRunIds] = useState({ baseline: '', candidate: '' });
+
+  const { data: casesData } = useAgentEvalCasesQuery(agent_id, { enabled: open });
+  const { data: runsData } = useAgentEvalRunsQuery(agent_id, { enabled: open });
+  const { data: versions } = useGetAgentVersionsQuery(agent_id, { enabled: open });
+  const deleteCase = useDeleteAgentEvalCaseMutation(agent_id);
+  const startRun = useStartAgentEvalRunMutation();
+
+  const cases = casesData?.cases ?? [];
+  const runs = useMemo(() => runsData?.runs ?? [], [runsData]);
+  const versionCount = versions?.length ?? 0;
+  const isRunning = runs.some(({ status }) => status === 'pending' || status === 'running');
+
+  const getVersionLabel = useCallback(
+    (versionNumber: number | null) =>
+      versionNumber != null
+        ? localize('com_ui_agent_version_title', { versionNumber })
+        : localize('com_ui_agent_version_current'),
+    [localize],
+  );
+
+  const versionOptions = useMemo(
+    () =>
+      Array.from({ length: versionCount }, (_, index) => versionCount - index).map(
+        (versionNumber) => ({
+          value: String(versionNumber),
+          label: localize('com_ui_agent_version_title', { versionNumber }),
+        }),
+      ),
+    [versionCount, localize],
+  );
+
+  const runOptions = useMemo(
+    () =>
+      runs.map((run) => ({
+        value: run._id,
+        label: [
+          getVersionLabel(run.version),
+          run.createdAt ? new Date(run.createdAt).toLocaleString() : '',
+        ]
+          .filter(Boolean)
+          .join(' · '),
+      })),
+    [runs, getVersionLabel],
+  );
+
+  const columns = useMemo(() => {
+    const defaults = getDefaultRunIds(runs);
+    const findRun = (runId: string, fallback: string) =>
+      runs.find(({ _id }) => _id === runId) ?? runs.find(({ _id }) => _id === fallback);
+    const baseline = findRun(selectedRunIds.baseline, defaults.baseline);
+    const candidate = findRun(selectedRunIds.candidate, defaults.candidate);
+    return [
+      ...(baseline && baseline !== candidate
+        ? [{ key: 'baseline', label: getVersionLabel(baseline.version), run: baseline }]
+        : []),
+      {
+        key: 'candidate',
+        label: candidate ? getVersionLabel(candidate.version) : localize('com_ui_agent_eval_run'),
+        run: candidate,
+      },
+    ];
+  }, [runs, selectedRunIds, getVersionLabel, localize]);
+
+  if (isEphemeralAgent(agent_id)) {
+    return null;
+  }
+
+  const onRun = () => {
+    startRun.mutate(
+      { agent_id, ...(version ? { version: Number(version) } : {}) },
+      {
+        onSuccess: () => setSelectedRunIds((prev) => ({ ...prev, candidate: '' })),
+        onError: () =>
+          showToast({ status: 'error', message: localize('com_ui_agent_eval_run_error') }),
+      },
+    );
+  };
+
+  return (
+    <OGDialog open={open} onOpenChange={setOpen}>
+      <OGDialogTrigger asChild>
+        <TooltipAnchor
+          description={localize('com_ui_agent_evals')}
+          side="top"
+          render={
+            <Button
+              size="sm"
+              variant="outline"
+              type="button"
+              aria-label={localize('com_ui_agent_evals')}
+            >
+              <div className="flex w-full items-center justify-center gap-2 text-text-primary">
+                <FlaskConical className="size-4" aria-hidden="true" />
+              </div>
+            </Button>
+          }
+        />
+      </OGDialogTrigger>
+      <OGDialogContent className="w-11/12 max-w-6xl">
+        <OGDialogHeader>
+          <OGDialogTitle>{localize('com_ui_agent_evals')}</OGDialogTitle>
+        </OGDialogHeader>
+        <div className="flex max-h-[75vh] flex-col gap-6 overflow-y-auto px-1 pt-3">
+          <section className="flex flex-col gap-3">
+            <h3 className="text-sm font-semibold text-text-primary">
+              {localize('com_ui_agent_eval_cases')}
+            </h3>
+            {cases.length === 0 && (
+              <p className="text-sm text-text-secondary">
+                {localize('com_ui_agent_eval_no_cases')}
+              </p>
+            )}
+            <ul className="flex flex-col gap-2">
+              {cases.map((evalCase) => (
+                <li
+                  key={evalCase._id}
+                  className="flex items-center justify-between gap-2 rounded-lg bg-surface-secondary px-3 py-2"
+                >
+                  <div className="min-w-0">
+                    <div className="truncate text-sm font-medium text-text-primary">
+                      {evalCase.name}
+                    </div>
+                    <div className="truncate text-xs text-text-secondary">
+                      {[
+                        localize(
+                          evalCase.turns.length === 1
+                            ? 'com_ui_agent_eval_turn_count_one'
+                            : 'com_ui_agent_eval_turn_count',
+                          { count: evalCase.turns.length },
+                        ),
+                        ...evalCase.assertions.map(({ type }) => localize(assertionLabels[type])),
+                      ].join(' · ')}
+                    </div>
+                  </div>
+                  <Button
+                    type="button"
+                    variant="ghost"
+                    size="icon"
+                    aria-label={localize('com_ui_delete')}
+                    disabled={deleteCase.isLoading}
+                    onClick={() => deleteCase.mutate(evalCase._id)}
+                  >
+                    <Trash2 className="size-4" aria-hidden="true" />
+                  </Button>
+                </li>
+              ))}
+            </ul>
+            <AgentEvalCaseForm agent_id={agent_id} />
+          </section>
+          <section className="flex flex-col gap-3">
+            <h3 className="text-sm font-semibold text-text-primary">
+              {localize('com_ui_agent_eval_runs')}
+            </h3>
+            <div className="flex flex-wrap items-center gap-2">
+              {versionOptions.length > 0 && (
+                <Dropdown
+                  value={version || versionOptions[0].value}
+                  options={versionOptions}
+                  ariaLabel={localize('com_ui_agent_version')}
+                  onChange={setVersion}
+                />
+              )}
+              <Button
+                type="button"
+                variant="submit"
+                disabled={cases.length === 0 || isRunning || startRun.isLoading}
+                onClick={onRun}
+              >
+                <Play className="mr-1 size-4" aria-hidden="true" />
+                {localize('com_ui_agent_eval_run')}
+              </Button>
+            </div>
+            {runOptions.length > 1 && (
+              <div className="flex flex-wrap items-center gap-4">
+                {(['baseline', 'candidate'] as const).map((column) => (
+                  <div key={column} className="flex items-center gap-2">
+                    <span className="text-sm text-text-secondary">
+                      {localize(
+                        column === 'baseline'
+                          ? 'com_ui_agent_eval_baseline'
+                          : 'com_ui_agent_eval_candidate',
+                      )}
+                    </span>
+                    <Dropdown
+                      value={
+                        columns.find(({ key }) => key === column)?.run?._id ??
+                        getDefaultRunIds(runs)[column]
+                      }
+                      options={runOptions}
+                      ariaLabel={localize(
+                        column === 'baseline'
+                          ? 'com_ui_agent_eval_baseline'
+                          : 'com_ui_agent_eval_candidate',
+                      )}
+                      onChange={(runId) =>
+                        setSelectedRunIds((prev) => ({ ...prev, [column]: runId }))
+                      }
+                    />
+                  </div>
+                ))}
+              </div>
+            )}
+            <AgentEvalComparison columns={columns} />
+          </section>
+        </div>
+      </OGDialogContent>
+    </OGDialog>
+  );
+}
@@ -0,0 +1,56 @@
+import { useState } from 'react';
+import download from 'downloadjs';
+import { Download } from 'lucide-react';
+import { dataService } from 'librechat-data-provider';
+import { useToastContext, TooltipAnchor, Button, Spinner } from '@librechat/client';
+import { isEphemeralAgent } from '~/common';
+import { useLocalize } from '~/hooks';
+import { logger } from '~/utils';
+
+/** Downloads the agent, with the agents, actions, skills and files it uses, as a bundle. */
+export default function ExportAgent({ agent_id, name }: { agent_id: string; name?: string }) {
+  const localize = useLocalize();
+  const { showToast } = useToastContext();
+  const [isExporting, setIsExporting] = useState(false);
+
+  if (isEphemeralAgent(agent_id)) {
+    return null;
+  }
+
+  const handleExport = async () => {
+    setIsExporting(true);
+    try {
+      const response = await dataService.exportAgentBundle(agent_id);
+      download(response.data, `${name || agent_id}.zip`, 'application/zip');
+    } catch (error) {
+      logger.error('Agent export error:', error);
+      showToast({
+        message: localize('com_ui_export_agent_error'),
+        status: 'error',
+      });
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <TooltipAnchor
+      description={localize('com_ui_export_agent')}
+      side="top"
+      render={
+        <Button
+          size="sm"
+          variant="outline"
+          aria-label={localize('com_ui_export_agent')}
+          type="button"
+          disabled={isExporting}
+          onClick={handleExport}
+        >
+          <div className="flex w-full items-center justify-center gap-2 text-text-primary">
+            {isExporting ? <Spinner className="size-4" /> : <Download className="size-4" />}
+          </div>
+        </Button>
+      }
+    />
+  );
+}
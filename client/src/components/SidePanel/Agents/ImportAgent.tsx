@@ -0,0 +1,95 @@
+import { useCallback, useRef } from 'react';
+import { Import } from 'lucide-react';
+import { Button, Spinner, useToastContext } from '@librechat/client';
+import type { TAgentBundleImportResponse } from 'librechat-data-provider';
+import type { AgentPanelProps } from '~/common';
+import { useImportAgentBundleMutation } from '~/data-provider';
+import { NotificationSeverity } from '~/common';
+import { useLocalize } from '~/hooks';
+import { logger } from '~/utils';
+
+/** Counts what an import could not bring over, including what the export left out. */
+const countSkipped = ({ skipped, not_exported }: TAgentBundleImportResponse) =>
+  Object.values(skipped).reduce((total, items) => total + items.length, 0) +
+  Object.values(not_exported).reduce((total, items) => total + items.length, 0);
+
+export default function ImportAgent({
+  setCurrentAgentId,
+}: Pick<AgentPanelProps, 'setCurrentAgentId'>) {
+  const localize = useLocalize();
+  const { showToast } = useToastContext();
+  const fileInputRef = useRef<HTMLInputElement>(null);
+
+  const importBundle = useImportAgentBundleMutation({
+    onSuccess: (response) => {
+      setCurrentAgentId(response.agent_id);
+      showToast({
+        message: localize('com_ui_import_agent_success', { 0: response.agents.length }),
+        status: NotificationSeverity.SUCCESS,
+      });
+      if (response.needs_auth.length > 0) {
+        const domains = [...new Set(response.needs_auth.map((action) => action.domain))];
+        showToast({
+          message: localize('com_ui_import_agent_needs_auth', { 0: domains.join(', ') }),
+          status: NotificationSeverity.WARNING,
+        });
+      }
+      const skippedCount = countSkipped(response);
+      if (skippedCount > 0) {
+        showToast({
+          message: localize('com_ui_import_agent_skipped', { 0: skippedCount }),
+          status: NotificationSeverity.WARNING,
+        });
+      }
+    },
+    onError: (error) => {
+      logger.error('Agent import error:', error);
+      showToast({
+        message: localize('com_ui_import_agent_error'),
+        status: NotificationSeverity.ERROR,
+      });
+    },
+  });
+
+  const handleFileChange = useCallback(
+    (event: React.ChangeEvent<HTMLInputElement>) => {
+      const file = event.target.files?.[0];
+      if (file) {
+        const formData = new FormData();
+        formData.append('file', file, encodeURIComponent(file.name || 'File'));
+        importBundle.mutate(formData);
+      }
+      event.target.value = '';
+    },
+    [importBundle],
+  );
+
+  return (
+    <>
+      <Button
+        type="button"
+        variant="outline"
+        className="w-full justify-center"
+        disabled={importBundle.isLoading}
+        onClick={() => fileInputRef.current?.click()}
+        aria-label={localize('com_ui_import_agent')}
+      >
+        {importBundle.isLoading ? (
+          <Spinner className="mr-1 w-4" />
+        ) : (
+          <Import className="mr-1 h-4 w-4" aria-hidden="true" />
+        )}
+        {localize('com_ui_import_agent')}
+      </Button>
+      <input
+        ref={fileInputRef}
+        type="file"
+        className="hidden"
+        accept=".zip"
+        onChange={handleFileChange}
+        aria-hidden="true"
+        tabIndex={-1}
+      />
+    </>
+  );
+}
@@ -10,6 +10,10 @@ type VersionContentProps = {
   error: unknown;
   versionContext: VersionContext;
   onRestore: (index: number) => void;
+  /** Published labels mapped to 1-based version numbers. */
+  versionLabels?: Record<string, number>;
+  onSetLabel?: (label: string, version: number) => void;
+  onRemoveLabel?: (label: string) => void;
 };
 
 function EmptyState({
@@ -63,6 +67,9 @@ export default function VersionContent({
   error,
   versionContext,
   onRestore,
+  versionLabels,
+  onSetLabel,
+  onRemoveLabel,
 }: VersionContentProps) {
   const { versions, versionIds } = versionContext;
   const localize = useLocalize();
@@ -101,7 +108,7 @@ export default function VersionContent({
   if (versionIds.length > 0) {
     return (
       <ul aria-label={localize('com_ui_agent_version_history')} className="flex flex-col">
-        {versionIds.map(({ id, version, isActive }) => (
+        {versionIds.map(({ id, originalIndex, version, isActive }) => (
           <VersionItem
             key={id}
             version={version}
@@ -109,6 +116,11 @@ export default function VersionContent({
             isActive={isActive}
             versionsLength={versions.length}
             onRestore={onRestore}
+            labels={Object.keys(versionLabels ?? {}).filter(
+              (label) => versionLabels?.[label] === originalIndex + 1,
+            )}
+            onSetLabel={onSetLabel ? (label) => onSetLabel(label, originalIndex + 1) : undefined}
+            onRemoveLabel={onRemoveLabel}
           />
         ))}
       </ul>
@@ -1,7 +1,8 @@
 import { useState } from 'react';
 import { formatDistanceToNow } from 'date-fns';
-import { Check, RotateCcw, Circle } from 'lucide-react';
+import { Check, RotateCcw, Circle, Plus, Tag, X } from 'lucide-react';
 import {
+  Input,
   Label,
   Button,
   OGDialog,
@@ -19,8 +20,20 @@ type VersionItemProps = {
   isActive: boolean;
   versionsLength: number;
   onRestore: (index: number) => void;
+  /** Published version labels pointing at this version. */
+  labels?: string[];
+  onSetLabel?: (label: string) => void;
+  onRemoveLabel?: (label: string) => void;
 };
 
+/** Keeps label input within the server's label pattern: lowercase letters, digits, `_` and `-`. */
+function sanitizeLabel(value: string): string {
+  return value
+    .toLowerCase()
+    .replace(/[^a-z0-9_-]/g, '')
+    .slice(0, 32);
+}
+
 function getTimestampDate(version: VersionRecord): Date | null {
   const value = version.updatedAt ?? version.createdAt;
   if (!value) {
@@ -43,9 +56,14 @@ export default function VersionItem({
   isActive,
   versionsLength,
   onRestore,
+  labels = [],
+  onSetLabel,
+  onRemoveLabel,
 }: VersionItemProps) {
   const localize = useLocalize();
   const [open, setOpen] = useState(false);
+  const [labelOpen, setLabelOpen] = useState(false);
+  const [labelInput, setLabelInput] = useState('');
 
   const versionNumber = versionsLength - index;
   const isLatest = index === 0;
@@ -210,6 +228,78 @@ export default function VersionItem({
           )}
         </div>
 
+        {(labels.length > 0 || onSetLabel) && (
+          <div className="mt-1.5 flex flex-wrap items-center gap-1">
+            {labels.map((label) => (
+              <span
+                key={label}
+                className="inline-flex items-center gap-1 rounded-full border border-border-medium bg-surface-secondary px-2 py-0.5 font-mono text-[11px] text-text-primary"
+              >
+                <Tag className="size-3 text-text-secondary" aria-hidden="true" />
+                {label}
+                {onRemoveLabel && (
+                  <button
+                    type="button"
+                    onClick={() => onRemoveLabel(label)}
+                    aria-label={localize('com_ui_agent_version_label_remove', { 0: label })}
+                    className="focus-visible:ring-ring rounded-full text-text-secondary hover:text-text-primary focus:outline-none focus-visible:ring-1"
+                  >
+                    <X className="size-3" aria-hidden="true" />
+                  </button>
+                )}
+              </span>
+            ))}
+            {onSetLabel && (
+              <OGDialog
+                open={labelOpen}
+                onOpenChange={(next) => {
+                  setLabelOpen(next);
+                  setLabelInput('');
+                }}
+              >
+                <OGDialogTrigger asChild>
+                  <button
+                    type="button"
+                    className="inline-flex items-center gap-1 rounded-full border border-dashed border-border-light px-2 py-0.5 text-[11px] text-text-secondary opacity-0 transition-all hover:border-border-medium hover:text-text-primary focus:outline-none focus-visible:opacity-100 group-hover:opacity-100"
+                  >
+                    <Plus className="size-3" aria-hidden="true" />
+                    {localize('com_ui_agent_version_label_add')}
+                  </button>
+                </OGDialogTrigger>
+                <OGDialogTemplate
+                  title={localize('com_ui_agent_version_label_add')}
+                  className="max-w-[450px]"
+                  main={
+                    <div className="flex w-full flex-col gap-3 text-sm">
+                      <Label className="text-left text-text-secondary">
+                        {localize('com_ui_agent_version_label_description', { versionNumber })}
+                      </Label>
+                      <Input
+                        value={labelInput}
+                        aria-label={localize('com_ui_agent_version_label')}
+                        placeholder={localize('com_ui_agent_version_label_placeholder')}
+                        onChange={(e) => setLabelInput(sanitizeLabel(e.target.value))}
+                        className="h-9 w-full font-mono"
+                      />
+                    </div>
+                  }
+                  selection={{
+                    selectHandler: () => {
+                      if (/^[a-z]/.test(labelInput)) {
+                        onSetLabel(labelInput);
+                      }
+                      setLabelOpen(false);
+                    },
+                    selectClasses:
+                      'bg-green-600 hover:bg-green-700 dark:hover:bg-green-700 text-white',
+                    selectText: localize('com_ui_save'),
+                  }}
+                />
+              </OGDialog>
+            )}
+          </div>
+        )}
+
         <div className="mt-1 flex flex-wrap items-center gap-x-2 gap-y-1">
           {date ? (
             <TooltipAnchor
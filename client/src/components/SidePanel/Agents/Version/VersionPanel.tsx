@@ -6,6 +6,7 @@ import {
   useGetAgentVersionsQuery,
   useRevertAgentVersionMutation,
   useGetExpandedAgentByIdQuery,
+  useSetAgentVersionLabelMutation,
 } from '~/data-provider';
 import { isActiveVersion } from './isActiveVersion';
 import { useAgentPanelContext } from '~/Providers';
@@ -46,6 +47,15 @@ export default function VersionPanel() {
     },
   });
 
+  const setVersionLabel = useSetAgentVersionLabelMutation({
+    onError: () => {
+      showToast({
+        message: localize('com_ui_agent_version_label_error'),
+        status: 'error',
+      });
+    },
+  });
+
   const agentWithVersions = agent as AgentWithVersions | undefined;
 
   const currentAgent = useMemo(() => {
@@ -130,6 +140,17 @@ export default function VersionPanel() {
     [revertAgentVersion, selectedAgentId, versionIds],
   );
 
+  const handleSetLabel = useCallback(
+    (label: string, version: number) =>
+      setVersionLabel.mutate({ agent_id: selectedAgentId, label, version }),
+    [setVersionLabel, selectedAgentId],
+  );
+
+  const handleRemoveLabel = useCallback(
+    (label: string) => setVersionLabel.mutate({ agent_id: selectedAgentId, label, version: null }),
+    [setVersionLabel, selectedAgentId],
+  );
+
   const versionCount = versionIds.length;
   const countLabel =
     versionCount > 0
@@ -170,6 +191,9 @@ export default function VersionPanel() {
           error={error}
           versionContext={versionContext}
           onRestore={handleRestore}
+          versionLabels={agentWithVersions?.version_labels}
+          onSetLabel={handleSetLabel}
+          onRemoveLabel={handleRemoveLabel}
         />
       </div>
     </div>
@@ -18,6 +18,7 @@ jest.mock('~/hooks', () => ({
         com_ui_agent_version_unknown_date: 'Unknown date',
         com_ui_agent_version_no_date: 'No date',
         com_ui_latest: 'Latest',
+        com_ui_agent_version_label_remove: `Remove label ${params?.[0]}`,
       };
       return translations[key] || key;
     }),
@@ -113,4 +114,16 @@ describe('VersionItem', () => {
     render(<VersionItem {...defaultProps} index={0} isActive={false} />);
     expect(screen.getByText('Latest')).toBeInTheDocument();
   });
+
+  test('shows published labels and removes them', () => {
+    const onRemoveLabel = jest.fn();
+    render(
+      <VersionItem {...defaultProps} labels={['stable', 'canary']} onRemoveLabel={onRemoveLabel} />,
+    );
+    expect(screen.getByText('stable')).toBeInTheDocument();
+    expect(screen.getByText('canary')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByLabelText('Remove label canary'));
+    expect(onRemoveLabel).toHaveBeenCalledWith('canary');
+  });
 });
@@ -51,6 +51,10 @@ jest.mock('~/data-provider', () => ({
     mutate: jest.fn(),
     isLoading: false,
   })),
+  useSetAgentVersionLabelMutation: jest.fn(() => ({
+    mutate: jest.fn(),
+    isLoading: false,
+  })),
 }));
 
 jest.mock('../VersionContent', () => ({
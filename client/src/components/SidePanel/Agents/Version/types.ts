@@ -36,4 +36,5 @@ export interface AgentWithVersions {
   tools?: string[];
   edges?: GraphEdge[];
   versions?: Array<VersionRecord>;
+  version_labels?: Record<string, number>;
 }
@@ -155,6 +155,20 @@ jest.mock('../DuplicateAgent', () => ({
   ),
 }));
 
+jest.mock('../ExportAgent', () => ({
+  __esModule: true,
+  default: ({ agent_id }: { agent_id: string }) => (
+    <button data-testid="export-button" data-agent-id={agent_id} title="Export Agent" />
+  ),
+}));
+
+jest.mock('../Evals/AgentEvals', () => ({
+  __esModule: true,
+  default: ({ agent_id }: { agent_id: string }) => (
+    <button data-testid="evals-button" data-agent-id={agent_id} title="Evaluations" />
+  ),
+}));
+
 jest.mock('@librechat/client', () => ({
   Spinner: () => <div data-testid="spinner" />,
   Button: ({
@@ -280,6 +294,8 @@ describe('AgentFooter', () => {
       expect(screen.queryByTestId('admin-settings')).not.toBeInTheDocument();
       expect(screen.getByTestId('grant-access-dialog-agent')).toBeInTheDocument();
       expect(screen.getByTestId('duplicate-button')).toBeInTheDocument();
+      expect(screen.getByTestId('export-button')).toBeInTheDocument();
+      expect(screen.getByTestId('evals-button')).toBeInTheDocument();
       // The icon-swap always renders both label and spinner; the visible state
       // is driven by data-state ('a' = idle/label, 'b' = saving/spinner).
       expect(container.querySelector('.t-icon-swap')).toHaveAttribute('data-state', 'a');
@@ -484,6 +500,7 @@ describe('AgentFooter', () => {
       });
       render(<AgentFooter {...defaultProps} />);
       expect(screen.queryByTestId('duplicate-button')).not.toBeInTheDocument();
+      expect(screen.queryByTestId('evals-button')).not.toBeInTheDocument();
     });
 
     test('shows duplicate button for admin who is not the author', () => {
@@ -0,0 +1,39 @@
+import { Code } from 'lucide-react';
+import type { TLibraryArtifact } from 'librechat-data-provider';
+import { useLocalize } from '~/hooks';
+import { cn } from '~/utils';
+
+interface ArtifactCardProps {
+  artifact: TLibraryArtifact;
+  onSelect: (artifact: TLibraryArtifact) => void;
+}
+
+export default function ArtifactCard({ artifact, onSelect }: ArtifactCardProps) {
+  const localize = useLocalize();
+
+  return (
+    <button
+      type="button"
+      onClick={() => onSelect(artifact)}
+      className={cn(
+        'flex w-full items-center gap-2 rounded-lg px-3 py-2.5 text-left',
+        'border border-border-light bg-transparent',
+        'hover:bg-surface-secondary focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-border-xheavy',
+      )}
+    >
+      <Code className="size-4 shrink-0 text-text-tertiary" aria-hidden="true" />
+      <span className="flex min-w-0 flex-1 flex-col">
+        <span className="truncate text-sm font-semibold text-text-primary">{artifact.title}</span>
+        <span className="truncate text-xs text-text-secondary">
+          {artifact.authorName ? `${artifact.type} · ${artifact.authorName}` : artifact.type}
+        </span>
+      </span>
+      <span
+        className="shrink-0 rounded-full bg-surface-tertiary px-2 py-0.5 text-xs text-text-secondary"
+        aria-label={localize('com_ui_artifact_version_var', { 0: artifact.latestVersion })}
+      >
+        {localize('com_ui_artifact_version_short_var', { 0: artifact.latestVersion })}
+      </span>
+    </button>
+  );
+}
@@ -0,0 +1,22 @@
+import { Skeleton } from '@librechat/client';
+
+/** Mirrors ArtifactCard: icon, title over type, then the version pill */
+export default function ArtifactCardSkeleton({ count = 6 }: { count?: number }) {
+  return (
+    <div className="flex flex-col gap-2" aria-hidden="true">
+      {Array.from({ length: count }, (_, i) => (
+        <div
+          key={i}
+          className="flex items-center gap-2 rounded-lg border border-border-light px-3 py-2.5"
+        >
+          <Skeleton className="size-4 shrink-0 rounded" />
+          <div className="flex min-w-0 flex-1 flex-col gap-1">
+            <Skeleton className="h-4 rounded" />
+            <Skeleton className="h-3 w-1/2 rounded" />
+          </div>
+          <Skeleton className="h-4 w-8 shrink-0 rounded-full" />
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,262 @@
+import { useState, useRef, useCallback } from 'react';
+import { useSetRecoilState } from 'recoil';
+import { ChevronLeft, MessageSquarePlus, RotateCcw, Share2Icon, Trash2 } from 'lucide-react';
+import {
+  Button,
+  Spinner,
+  OGDialog,
+  TooltipAnchor,
+  OGDialogTrigger,
+  OGDialogTemplate,
+  useToastContext,
+} from '@librechat/client';
+import {
+  Constants,
+  Permissions,
+  ResourceType,
+  PermissionBits,
+  PermissionTypes,
+} from 'librechat-data-provider';
+import {
+  useArtifactQuery,
+  useArtifactVersionQuery,
+  useArtifactVersionsQuery,
+  useDeleteArtifactMutation,
+  useCreateArtifactVersionMutation,
+} from '~/data-provider';
+import { useLocalize, useNewConvo, useHasAccess, useResourcePermissions } from '~/hooks';
+import { GenericGrantAccessDialog } from '~/components/Sharing';
+import { NotificationSeverity } from '~/common';
+import { cn } from '~/utils';
+import store from '~/store';
+
+interface ArtifactDetailProps {
+  artifactId: string;
+  onBack: () => void;
+}
+
+/**
+ * A library artifact: its version history with a preview of the selected version,
+ * plus restoring an older version, sharing, deleting, and starting a new chat
+ * that iterates on it.
+ */
+export default function ArtifactDetail({ artifactId, onBack }: ArtifactDetailProps) {
+  const localize = useLocalize();
+  const { showToast } = useToastContext();
+  const { newConversation } = useNewConvo();
+  const [selectedVersion, setSelectedVersion] = useState<number | null>(null);
+  const [deleteOpen, setDeleteOpen] = useState(false);
+  const deleteTriggerRef = useRef<HTMLButtonElement>(null);
+  const setPendingRefs = useSetRecoilState(store.pendingArtifactRefsByConvoId(Constants.NEW_CONVO));
+
+  const { data: artifact, isLoading } = useArtifactQuery(artifactId);
+  const { data: versionsData } = useArtifactVersionsQuery(artifactId);
+  const versions = versionsData?.versions ?? [];
+
+  const isLatest = selectedVersion == null || selectedVersion === artifact?.latestVersion;
+  const { data: olderVersion, isLoading: isVersionLoading } = useArtifactVersionQuery(
+    artifactId,
+    isLatest ? null : selectedVersion,
+  );
+  const content = isLatest ? artifact?.content : olderVersion?.content;
+
+  const { hasPermission } = useResourcePermissions(ResourceType.ARTIFACT, artifactId);
+  const hasAccessToShare = useHasAccess({
+    permissionType: PermissionTypes.ARTIFACTS,
+    permission: Permissions.SHARE,
+  });
+  const canEdit = hasPermission(PermissionBits.EDIT);
+  const canDelete = hasPermission(PermissionBits.DELETE);
+  const canShare = hasAccessToShare && hasPermission(PermissionBits.SHARE);
+
+  const restoreMutation = useCreateArtifactVersionMutation({
+    onSuccess: () => {
+      setSelectedVersion(null);
+      showToast({ message: localize('com_ui_artifact_restore_success') });
+    },
+    onError: () => {
+      showToast({
+        message: localize('com_ui_artifact_restore_error'),
+        severity: NotificationSeverity.ERROR,
+      });
+    },
+  });
+
+  const deleteMutation = useDeleteArtifactMutation({
+    onSuccess: () => {
+      showToast({ message: localize('com_ui_artifact_delete_success') });
+      setDeleteOpen(false);
+      onBack();
+    },
+    onError: () => {
+      showToast({
+        message: localize('com_ui_artifact_delete_error'),
+        severity: NotificationSeverity.ERROR,
+      });
+    },
+  });
+
+  const restore = useCallback(() => {
+    if (olderVersion == null) {
+      return;
+    }
+    restoreMutation.mutate({ id: artifactId, content: olderVersion.content });
+  }, [artifactId, olderVersion, restoreMutation]);
+
+  /** The backend gives the model the latest version of each queued artifact */
+  const startChatWithArtifact = useCallback(() => {
+    if (artifact == null) {
+      return;
+    }
+    newConversation();
+    setPendingRefs((prev) =>
+      prev.some((ref) => ref._id === artifact._id)
+        ? prev
+        : [...prev, { _id: artifact._id, title: artifact.title }],
+    );
+  }, [artifact, newConversation, setPendingRefs]);
+
+  return (
+    <div className="flex min-h-0 flex-1 flex-col gap-3 px-3 pb-3 text-sm">
+      <header className="grid shrink-0 grid-cols-[auto_1fr_auto] items-center gap-2">
+        <Button
+          variant="outline"
+          size="icon"
+          onClick={onBack}
+          aria-label={localize('com_ui_back_to_artifact_library')}
+          className="size-9 flex-shrink-0 text-text-secondary hover:bg-surface-secondary hover:text-text-primary"
+        >
+          <ChevronLeft className="size-5" strokeWidth={1.75} aria-hidden="true" />
+        </Button>
+        <h2 className="truncate text-base font-semibold text-text-primary">
+          {artifact?.title ?? ''}
+        </h2>
+        {artifact != null && canShare ? (
+          <GenericGrantAccessDialog
+            resourceDbId={artifact._id}
+            resourceName={artifact.title}
+            resourceType={ResourceType.ARTIFACT}
+          >
+            <TooltipAnchor
+              description={localize('com_ui_share')}
+              side="bottom"
+              render={
+                <Button
+                  variant="outline"
+                  size="icon"
+                  className="size-9 border-border-medium"
+                  aria-label={localize('com_ui_share')}
+                >
+                  <Share2Icon className="size-4" aria-hidden="true" />
+                </Button>
+              }
+            />
+          </GenericGrantAccessDialog>
+        ) : (
+          <span aria-hidden="true" className="size-9" />
+        )}
+      </header>
+
+      {isLoading || artifact == null ? (
+        <div className="flex justify-center py-4">
+          <Spinner className="size-5" />
+        </div>
+      ) : (
+        <>
+          <div className="flex shrink-0 flex-wrap gap-2">
+            <Button variant="outline" size="sm" onClick={startChatWithArtifact}>
+              <MessageSquarePlus className="mr-1.5 size-4" aria-hidden="true" />
+              {localize('com_ui_artifact_use_in_new_chat')}
+            </Button>
+            {!isLatest && canEdit && (
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={restore}
+                disabled={olderVersion == null || restoreMutation.isLoading}
+              >
+                <RotateCcw className="mr-1.5 size-4" aria-hidden="true" />
+                {localize('com_ui_artifact_restore_version')}
+              </Button>
+            )}
+            {canDelete && (
+              <OGDialog
+                open={deleteOpen}
+                onOpenChange={setDeleteOpen}
+                triggerRef={deleteTriggerRef}
+              >
+                <OGDialogTrigger asChild>
+                  <Button
+                    ref={deleteTriggerRef}
+                    variant="outline"
+                    size="sm"
+                    onClick={() => setDeleteOpen(true)}
+                  >
+                    <Trash2 className="mr-1.5 size-4" aria-hidden="true" />
+                    {localize('com_ui_delete')}
+                  </Button>
+                </OGDialogTrigger>
+                <OGDialogTemplate
+                  showCloseButton={false}
+                  title={localize('com_ui_artifact_delete')}
+                  className="max-w-[450px]"
+                  main={
+                    <p className="text-left text-sm text-text-secondary">
+                      {localize('com_ui_artifact_delete_confirm')} <strong>{artifact.title}</strong>
+                    </p>
+                  }
+                  selection={{
+                    selectHandler: () => deleteMutation.mutate({ id: artifactId }),
+                    selectClasses:
+                      'bg-surface-destructive text-white transition-all duration-200 hover:bg-surface-destructive-hover',
+                    selectText: localize('com_ui_delete'),
+                  }}
+                />
+              </OGDialog>
+            )}
+          </div>
+
+          <section aria-label={localize('com_ui_artifact_versions')} className="shrink-0">
+            <h3 className="mb-1.5 text-xs font-medium text-text-secondary">
+              {localize('com_ui_artifact_versions')}
+            </h3>
+            <div className="flex max-h-32 flex-wrap gap-1.5 overflow-y-auto">
+              {versions.map((version) => {
+                const selected = version.version === (selectedVersion ?? artifact.latestVersion);
+                return (
+                  <button
+                    key={version.version}
+                    type="button"
+                    aria-pressed={selected}
+                    title={new Date(version.createdAt).toLocaleString()}
+                    onClick={() => setSelectedVersion(version.version)}
+                    className={cn(
+                      'rounded-full border px-2 py-0.5 text-xs',
+                      selected
+                        ? 'border-border-heavy bg-surface-tertiary text-text-primary'
+                        : 'border-border-light text-text-secondary hover:bg-surface-secondary',
+                    )}
+                  >
+                    {localize('com_ui_artifact_version_var', { 0: version.version })}
+                  </button>
+                );
+              })}
+            </div>
+          </section>
+
+          <div className="min-h-0 flex-1 overflow-auto rounded-lg border border-border-light bg-surface-secondary">
+            {!isLatest && isVersionLoading ? (
+              <div className="flex justify-center py-4">
+                <Spinner className="size-4" />
+              </div>
+            ) : (
+              <pre className="whitespace-pre-wrap break-words p-3 font-mono text-xs text-text-primary">
+                {content ?? ''}
+              </pre>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
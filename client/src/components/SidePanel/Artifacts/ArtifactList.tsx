@@ -0,0 +1,32 @@
+import type { TLibraryArtifact } from 'librechat-data-provider';
+import ArtifactEmptyState from './ArtifactEmptyState';
+import ArtifactCard from './ArtifactCard';
+import { useLocalize } from '~/hooks';
+
+interface ArtifactListProps {
+  artifacts: TLibraryArtifact[];
+  onSelect: (artifact: TLibraryArtifact) => void;
+  isFiltered?: boolean;
+}
+
+export default function ArtifactList({
+  artifacts,
+  onSelect,
+  isFiltered = false,
+}: ArtifactListProps) {
+  const localize = useLocalize();
+
+  if (artifacts.length === 0) {
+    return <ArtifactEmptyState isFiltered={isFiltered} />;
+  }
+
+  return (
+    <ul className="flex flex-col gap-2" aria-label={localize('com_ui_artifact_library')}>
+      {artifacts.map((artifact) => (
+        <li key={artifact._id}>
+          <ArtifactCard artifact={artifact} onSelect={onSelect} />
+        </li>
+      ))}
+    </ul>
+  );
+}
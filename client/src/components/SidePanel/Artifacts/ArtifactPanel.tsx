@@ -0,0 +1,91 @@
+import { useMemo, useState } from 'react';
+import { useRecoilValue } from 'recoil';
+import { FilterInput, Spinner } from '@librechat/client';
+import type { TArtifactListResponse } from 'librechat-data-provider';
+import { useLocalize, useDebounce, useNavScrolling } from '~/hooks';
+import { useArtifactsInfiniteQuery } from '~/data-provider';
+import ArtifactCardSkeleton from './ArtifactCardSkeleton';
+import { PanelContent } from '~/components/ui';
+import ArtifactDetail from './ArtifactDetail';
+import ArtifactList from './ArtifactList';
+import store from '~/store';
+
+/**
+ * Artifact library: every artifact the user can view, across conversations.
+ * Selecting one swaps the list for its detail view (versions, sharing, reuse).
+ */
+export default function ArtifactPanel() {
+  const localize = useLocalize();
+  const [searchQuery, setSearchQuery] = useState('');
+  const [selectedId, setSelectedId] = useState<string | null>(null);
+  const debouncedSearch = useDebounce(searchQuery, 250);
+
+  const listQuery = useArtifactsInfiniteQuery({ search: debouncedSearch || undefined, limit: 20 });
+
+  const pages = useMemo(() => listQuery.data?.pages ?? [], [listQuery.data]);
+  const artifacts = useMemo(() => pages.flatMap((page) => page.artifacts), [pages]);
+
+  const lastPage = pages[pages.length - 1];
+  const nextCursor = lastPage?.has_more === true ? lastPage.after : null;
+
+  /** A collapsed sidebar keeps this panel mounted, so stop draining pages into it */
+  const sidebarExpanded = useRecoilValue(store.sidebarExpanded);
+
+  const { containerRef } = useNavScrolling<TArtifactListResponse>({
+    nextCursor,
+    isFetchingNext: listQuery.isFetchingNextPage,
+    fetchNextPage: listQuery.fetchNextPage,
+    enabled: sidebarExpanded && selectedId == null,
+  });
+
+  if (selectedId != null) {
+    return (
+      <div className="flex h-full w-full flex-col overflow-hidden pt-2">
+        <ArtifactDetail artifactId={selectedId} onBack={() => setSelectedId(null)} />
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex h-full w-full flex-col overflow-hidden pt-2">
+      <div
+        role="region"
+        aria-label={localize('com_ui_artifact_library')}
+        className="flex min-h-0 flex-1 flex-col"
+      >
+        <div className="flex shrink-0 items-center gap-2 px-3 pb-2">
+          <FilterInput
+            inputId="artifacts-filter"
+            label={localize('com_ui_artifacts_filter')}
+            value={searchQuery}
+            onChange={(e) => setSearchQuery(e.target.value)}
+            containerClassName="flex-1"
+          />
+        </div>
+
+        {/* Only the list scrolls */}
+        <PanelContent
+          ref={containerRef}
+          isLoading={listQuery.isLoading}
+          skeleton={<ArtifactCardSkeleton />}
+          className="px-3 pb-3"
+        >
+          <ArtifactList
+            artifacts={artifacts}
+            onSelect={(artifact) => setSelectedId(artifact._id)}
+            isFiltered={debouncedSearch.length > 0}
+          />
+          {/* Appending the next page, so the loaded rows stay put */}
+          {listQuery.isFetchingNextPage && (
+            <div className="flex shrink-0 justify-center py-2">
+              <Spinner className="size-4" />
+              <span className="sr-only" aria-live="polite" aria-atomic="true">
+                {localize('com_ui_loading')}
+              </span>
+            </div>
+          )}
+        </PanelContent>
+      </div>
+    </div>
+  );
+}
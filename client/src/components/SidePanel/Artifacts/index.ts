@@ -0,0 +1,5 @@
+export { default as ArtifactPanel } from './ArtifactPanel';
+export { default as ArtifactList } from './ArtifactList';
+export { default as ArtifactCard } from './ArtifactCard';
+export { default as ArtifactDetail } from './ArtifactDetail';
+export { default as ArtifactEmptyState } from './ArtifactEmptyState';
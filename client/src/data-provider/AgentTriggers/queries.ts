@@ -0,0 +1,86 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { dataService, QueryKeys, MutationKeys } from 'librechat-data-provider';
+import type {
+  TAgentTriggerDeliveriesParams,
+  TAgentTriggerDeliveriesResponse,
+  TAgentTriggerDeliveryResponse,
+  TAgentTriggersAccessResponse,
+} from 'librechat-data-provider';
+import type {
+  QueryObserverResult,
+  UseMutationResult,
+  UseQueryOptions,
+} from '@tanstack/react-query';
+
+export const useAgentTriggersAccessQuery = (
+  userId?: string,
+  config?: UseQueryOptions<TAgentTriggersAccessResponse>,
+): QueryObserverResult<TAgentTriggersAccessResponse> =>
+  useQuery<TAgentTriggersAccessResponse>(
+    [QueryKeys.adminAgentTriggersAccess, userId ?? 'anonymous'],
+    () => dataService.getAdminAgentTriggersAccess(),
+    {
+      retry: false,
+      staleTime: 60_000,
+      refetchOnWindowFocus: false,
+      ...config,
+    },
+  );
+
+export const useAgentTriggerDeliveriesQuery = (
+  params: TAgentTriggerDeliveriesParams,
+  config?: UseQueryOptions<TAgentTriggerDeliveriesResponse>,
+): QueryObserverResult<TAgentTriggerDeliveriesResponse> =>
+  useQuery<TAgentTriggerDeliveriesResponse>(
+    [QueryKeys.adminAgentTriggers, params],
+    () => dataService.getAdminAgentTriggerDeliveries(params),
+    {
+      keepPreviousData: true,
+      refetchOnWindowFocus: false,
+      ...config,
+    },
+  );
+
+export const useAgentTriggerDeliveryQuery = (
+  id: string,
+  config?: UseQueryOptions<TAgentTriggerDeliveryResponse>,
+): QueryObserverResult<TAgentTriggerDeliveryResponse> =>
+  useQuery<TAgentTriggerDeliveryResponse>(
+    [QueryKeys.adminAgentTrigger, id],
+    () => dataService.getAdminAgentTriggerDelivery(id),
+    {
+      enabled: !!id,
+      refetchOnWindowFocus: false,
+      ...config,
+    },
+  );
+
+export const useRequeueAgentTriggerMutation = (): UseMutationResult<
+  TAgentTriggerDeliveryResponse,
+  unknown,
+  string
+> => {
+  const queryClient = useQueryClient();
+  return useMutation((id: string) => dataService.requeueAdminAgentTrigger(id), {
+    mutationKey: [MutationKeys.requeueAdminAgentTrigger],
+    onSuccess: (_data, id) => {
+      queryClient.invalidateQueries([QueryKeys.adminAgentTriggers]);
+      queryClient.invalidateQueries([QueryKeys.adminAgentTrigger, id]);
+    },
+  });
+};
+
+export const useDeleteAgentTriggerMutation = (): UseMutationResult<
+  { success: boolean },
+  unknown,
+  string
+> => {
+  const queryClient = useQueryClient();
+  return useMutation((id: string) => dataService.deleteAdminAgentTrigger(id), {
+    mutationKey: [MutationKeys.deleteAdminAgentTrigger],
+    onSuccess: (_data, id) => {
+      queryClient.removeQueries([QueryKeys.adminAgentTrigger, id]);
+      queryClient.invalidateQueries([QueryKeys.adminAgentTriggers]);
+    },
+  });
+};
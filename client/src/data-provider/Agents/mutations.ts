@@ -225,6 +225,33 @@ export const useDuplicateAgentMutation = (
   );
 };
 
+/**
+ * Hook for importing an agent bundle exported from another instance
+ */
+export const useImportAgentBundleMutation = (
+  options?: t.ImportAgentBundleOptions,
+): UseMutationResult<t.TAgentBundleImportResponse, Error, FormData> => {
+  const queryClient = useQueryClient();
+
+  return useMutation<t.TAgentBundleImportResponse, Error, FormData>(
+    (formData: FormData) => dataService.importAgentBundle(formData),
+    {
+      onMutate: options?.onMutate,
+      onError: options?.onError,
+      onSuccess: (response, variables, context) => {
+        /** An import can create several agents, actions, skills and files at once. */
+        queryClient.invalidateQueries([QueryKeys.agents]);
+        queryClient.invalidateQueries([QueryKeys.actions]);
+        queryClient.invalidateQueries([QueryKeys.skills]);
+        queryClient.invalidateQueries([QueryKeys.files]);
+        invalidateAgentMarketplaceQueries(queryClient);
+
+        return options?.onSuccess?.(response, variables, context);
+      },
+    },
+  );
+};
+
 /**
  * Hook for uploading an agent avatar
  */
@@ -456,6 +483,85 @@ export const useRevertAgentVersionMutation = (
   );
 };
 
+/**
+ * Hook for moving or removing a published agent version label
+ */
+export const useSetAgentVersionLabelMutation = (
+  options?: t.SetAgentVersionLabelOptions,
+): UseMutationResult<t.SetAgentVersionLabelResponse, Error, t.SetAgentVersionLabelVariables> => {
+  const queryClient = useQueryClient();
+  return useMutation(
+    [MutationKeys.setAgentVersionLabel],
+    (variables: t.SetAgentVersionLabelVariables) => dataService.setAgentVersionLabel(variables),
+    {
+      onMutate: (variables) => options?.onMutate?.(variables),
+      onError: (error, variables, context) => options?.onError?.(error, variables, context),
+      onSuccess: (data, variables, context) => {
+        const updaterFn = (prev?: t.Agent) =>
+          prev ? { ...prev, version_labels: data.version_labels } : prev;
+        queryClient.setQueryData<t.Agent>([QueryKeys.agent, variables.agent_id], updaterFn);
+        queryClient.setQueryData<t.Agent>(
+          [QueryKeys.agent, variables.agent_id, 'expanded'],
+          updaterFn,
+        );
+        return options?.onSuccess?.(data, variables, context);
+      },
+    },
+  );
+};
+
+export const useCreateAgentEvalCaseMutation = (
+  agent_id: string,
+): UseMutationResult<{ case: t.TAgentEvalCase }, unknown, t.TAgentEvalCaseRequest> => {
+  const queryClient = useQueryClient();
+  return useMutation({
+    mutationFn: (payload: t.TAgentEvalCaseRequest) =>
+      dataService.createAgentEvalCase(agent_id, payload),
+    onSuccess: () => queryClient.invalidateQueries([QueryKeys.agentEvalCases, agent_id]),
+  });
+};
+
+export const useUpdateAgentEvalCaseMutation = (
+  agent_id: string,
+): UseMutationResult<
+  { case: t.TAgentEvalCase },
+  unknown,
+  { caseId: string; payload: Partial<t.TAgentEvalCaseRequest> }
+> => {
+  const queryClient = useQueryClient();
+  return useMutation({
+    mutationFn: ({ caseId, payload }) => dataService.updateAgentEvalCase(agent_id, caseId, payload),
+    onSuccess: () => queryClient.invalidateQueries([QueryKeys.agentEvalCases, agent_id]),
+  });
+};
+
+export const useDeleteAgentEvalCaseMutation = (
+  agent_id: string,
+): UseMutationResult<{ message: string }, unknown, string> => {
+  const queryClient = useQueryClient();
+  return useMutation({
+    mutationFn: (caseId: string) => dataService.deleteAgentEvalCase(agent_id, caseId),
+    onSuccess: () => queryClient.invalidateQueries([QueryKeys.agentEvalCases, agent_id]),
+  });
+};
+
+/**
+ * Hook for starting an evaluation run of an agent version; the run continues in the background
+ */
+export const useStartAgentEvalRunMutation = (): UseMutationResult<
+  { run: t.TAgentEvalRun },
+  unknown,
+  t.TStartAgentEvalRunRequest
+> => {
+  const queryClient = useQueryClient();
+  return useMutation({
+    mutationFn: (variables: t.TStartAgentEvalRunRequest) =>
+      dataService.startAgentEvalRun(variables),
+    onSettled: (_data, _error, variables) =>
+      queryClient.invalidateQueries([QueryKeys.agentEvalRuns, variables.agent_id]),
+  });
+};
+
 export const invalidateAgentMarketplaceQueries = (queryClient: QueryClient) => {
   queryClient.invalidateQueries([QueryKeys.marketplaceAgents]);
 };
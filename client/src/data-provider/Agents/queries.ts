@@ -169,6 +169,49 @@ export const useGetAgentVersionsQuery = (
   );
 };
 
+/**
+ * Hook for the evaluation cases of an agent
+ */
+export const useAgentEvalCasesQuery = (
+  agent_id: string,
+  config?: UseQueryOptions<{ cases: t.TAgentEvalCase[] }>,
+): QueryObserverResult<{ cases: t.TAgentEvalCase[] }> => {
+  return useQuery<{ cases: t.TAgentEvalCase[] }>(
+    [QueryKeys.agentEvalCases, agent_id],
+    () => dataService.getAgentEvalCases(agent_id),
+    {
+      refetchOnWindowFocus: false,
+      retry: false,
+      ...config,
+      enabled: !!agent_id && !isEphemeralAgent(agent_id) && (config?.enabled ?? true),
+    },
+  );
+};
+
+/**
+ * Hook for the recent evaluation runs of an agent, newest first.
+ * Polls while a run is in progress so its results fill in as cases finish.
+ */
+export const useAgentEvalRunsQuery = (
+  agent_id: string,
+  config?: UseQueryOptions<{ runs: t.TAgentEvalRun[] }>,
+): QueryObserverResult<{ runs: t.TAgentEvalRun[] }> => {
+  return useQuery<{ runs: t.TAgentEvalRun[] }>(
+    [QueryKeys.agentEvalRuns, agent_id],
+    () => dataService.getAgentEvalRuns(agent_id),
+    {
+      refetchOnWindowFocus: false,
+      retry: false,
+      refetchInterval: (data) =>
+        data?.runs.some(({ status }) => status === 'pending' || status === 'running')
+          ? 3_000
+          : false,
+      ...config,
+      enabled: !!agent_id && !isEphemeralAgent(agent_id) && (config?.enabled ?? true),
+    },
+  );
+};
+
 /**
  * MARKETPLACE
  */
@@ -0,0 +1,132 @@
+import { useQuery, useMutation, useInfiniteQuery, useQueryClient } from '@tanstack/react-query';
+import { QueryKeys, dataService } from 'librechat-data-provider';
+import type {
+  UseQueryOptions,
+  UseMutationOptions,
+  QueryObserverResult,
+  UseInfiniteQueryOptions,
+} from '@tanstack/react-query';
+import type {
+  TArtifactVersion,
+  TArtifactResponse,
+  TArtifactListRequest,
+  TArtifactListResponse,
+  TCreateArtifactVersion,
+  TDeleteArtifactResponse,
+  TArtifactVersionsResponse,
+} from 'librechat-data-provider';
+
+/** Cursor-paginated list of the artifacts in the user's library. */
+export const useArtifactsInfiniteQuery = (
+  params?: Omit<TArtifactListRequest, 'cursor'>,
+  config?: UseInfiniteQueryOptions<TArtifactListResponse, unknown>,
+) => {
+  return useInfiniteQuery<TArtifactListResponse, unknown>(
+    [QueryKeys.artifacts, params?.search ?? '', params?.limit ?? 20],
+    ({ pageParam }) => {
+      const request: TArtifactListRequest = { search: params?.search, limit: params?.limit };
+      if (typeof pageParam === 'string' && pageParam.length > 0) {
+        request.cursor = pageParam;
+      }
+      return dataService.listArtifacts(request);
+    },
+    {
+      getNextPageParam: (lastPage) =>
+        lastPage.has_more && lastPage.after ? lastPage.after : undefined,
+      refetchOnWindowFocus: false,
+      refetchOnReconnect: false,
+      ...config,
+    },
+  );
+};
+
+/** An artifact with the content of its latest version. */
+export const useArtifactQuery = (
+  id: string | null | undefined,
+  config?: UseQueryOptions<TArtifactResponse>,
+): QueryObserverResult<TArtifactResponse> => {
+  return useQuery<TArtifactResponse>(
+    [QueryKeys.artifact, id],
+    () => dataService.getArtifact(id as string),
+    {
+      enabled: !!id,
+      refetchOnWindowFocus: false,
+      refetchOnReconnect: false,
+      ...config,
+    },
+  );
+};
+
+export const useArtifactVersionsQuery = (
+  id: string | null | undefined,
+  config?: UseQueryOptions<TArtifactVersionsResponse>,
+): QueryObserverResult<TArtifactVersionsResponse> => {
+  return useQuery<TArtifactVersionsResponse>(
+    [QueryKeys.artifactVersions, id],
+    () => dataService.listArtifactVersions(id as string),
+    {
+      enabled: !!id,
+      refetchOnWindowFocus: false,
+      refetchOnReconnect: false,
+      ...config,
+    },
+  );
+};
+
+export const useArtifactVersionQuery = (
+  id: string | null | undefined,
+  version: number | null | undefined,
+  config?: UseQueryOptions<TArtifactVersion>,
+): QueryObserverResult<TArtifactVersion> => {
+  return useQuery<TArtifactVersion>(
+    [QueryKeys.artifactVersion, id, version],
+    () => dataService.getArtifactVersion(id as string, version as number),
+    {
+      enabled: !!id && version != null,
+      refetchOnWindowFocus: false,
+      refetchOnReconnect: false,
+      /** Versions never change once saved */
+      staleTime: Infinity,
+      ...config,
+    },
+  );
+};
+
+export type CreateArtifactVersionParams = TCreateArtifactVersion & { id: string };
+
+/** Saves content (e.g. an older version being restored) as the artifact's newest version. */
+export const useCreateArtifactVersionMutation = (
+  options?: UseMutationOptions<TArtifactVersion, Error, CreateArtifactVersionParams>,
+) => {
+  const queryClient = useQueryClient();
+  return useMutation(
+    ({ id, ...payload }: CreateArtifactVersionParams) =>
+      dataService.createArtifactVersion(id, payload),
+    {
+      ...options,
+      onSuccess: (...params) => {
+        const [, { id }] = params;
+        queryClient.invalidateQueries([QueryKeys.artifact, id]);
+        queryClient.invalidateQueries([QueryKeys.artifactVersions, id]);
+        queryClient.invalidateQueries([QueryKeys.artifacts]);
+        options?.onSuccess?.(...params);
+      },
+    },
+  );
+};
+
+export const useDeleteArtifactMutation = (
+  options?: UseMutationOptions<TDeleteArtifactResponse, Error, { id: string }>,
+) => {
+  const queryClient = useQueryClient();
+  return useMutation(({ id }: { id: string }) => dataService.deleteArtifact(id), {
+    ...options,
+    onSuccess: (...params) => {
+      const [, { id }] = params;
+      queryClient.removeQueries([QueryKeys.artifact, id]);
+      queryClient.removeQueries([QueryKeys.artifactVersions, id]);
+      queryClient.invalidateQueries([QueryKeys.artifacts]);
+      options?.onSuccess?.(...params);
+    },
+  });
+};
@@ -4,7 +4,7 @@ import { MutationKeys, QueryKeys, dataService, request } from 'librechat-data-pr
 import type { UseMutationOptions, UseMutationResult } from '@tanstack/react-query';
 import type * as t from 'librechat-data-provider';
 import useClearStates from '~/hooks/Config/useClearStates';
-import { clearAllConversationStorage } from '~/utils';
+import { createPasskey, getPasskeyAssertion, clearAllConversationStorage } from '~/utils';
 import store from '~/store';
 
 /* login/logout */
@@ -217,3 +217,105 @@ export const useVerifyTwoFactorTempMutation = (
     },
   );
 };
+
+/* passkeys */
+/** Signs in with any passkey for this site; the browser prompts for which one. */
+export const usePasskeyLoginMutation = (
+  options?: t.MutationOptions<t.TLoginResponse, void, unknown, unknown>,
+): UseMutationResult<t.TLoginResponse, unknown, void, unknown> => {
+  return useMutation(
+    async () => {
+      const requestOptions = await dataService.getPasskeyLoginOptions();
+      const credential = await getPasskeyAssertion(requestOptions);
+      return dataService.loginWithPasskey({ credential });
+    },
+    { ...(options || {}) },
+  );
+};
+
+/** Answers a pending 2FA login with a passkey instead of a TOTP code. */
+export const usePasskeySecondFactorMutation = (
+  options?: t.MutationOptions<t.TVerify2FATempResponse, { tempToken: string }, unknown, unknown>,
+): UseMutationResult<t.TVerify2FATempResponse, unknown, { tempToken: string }, unknown> => {
+  return useMutation(
+    async ({ tempToken }: { tempToken: string }) => {
+      const requestOptions = await dataService.getPasskeySecondFactorOptions({ tempToken });
+      const passkey = await getPasskeyAssertion(requestOptions);
+      return dataService.verifyTwoFactorTemp({ tempToken, passkey });
+    },
+    { ...(options || {}) },
+  );
+};
+
+export const useRegisterPasskeyMutation = (
+  options?: t.MutationOptions<t.TPasskey, { name?: string }, unknown, unknown>,
+): UseMutationResult<t.TPasskey, unknown, { name?: string }, unknown> => {
+  const queryClient = useQueryClient();
+  return useMutation(
+    async ({ name }: { name?: string }) => {
+      const creationOptions = await dataService.getPasskeyRegistrationOptions();
+      const credential = await createPasskey(creationOptions);
+      return dataService.registerPasskey({ credential, name });
+    },
+    {
+      ...(options || {}),
+      onSuccess: (...args) => {
+        queryClient.invalidateQueries([QueryKeys.passkeys]);
+        options?.onSuccess?.(...args);
+      },
+    },
+  );
+};
+
+export const useRenamePasskeyMutation = (
+  options?: t.MutationOptions<t.TPasskey, t.TRenamePasskeyRequest, unknown, unknown>,
+): UseMutationResult<t.TPasskey, unknown, t.TRenamePasskeyRequest, unknown> => {
+  const queryClient = useQueryClient();
+  return useMutation((payload: t.TRenamePasskeyRequest) => dataService.renamePasskey(payload), {
+    ...(options || {}),
+    onSuccess: (...args) => {
+      queryClient.invalidateQueries([QueryKeys.passkeys]);
+      options?.onSuccess?.(...args);
+    },
+  });
+};
+
+export const useDeletePasskeyMutation = (
+  options?: t.MutationOptions<{ id: string; deleted: boolean }, string, unknown, unknown>,
+): UseMutationResult<{ id: string; deleted: boolean }, unknown, string, unknown> => {
+  const queryClient = useQueryClient();
+  return useMutation((id: string) => dataService.deletePasskey(id), {
+    ...(options || {}),
+    onSuccess: (...args) => {
+      queryClient.invalidateQueries([QueryKeys.passkeys]);
+      options?.onSuccess?.(...args);
+    },
+  });
+};
+
+/* sessions */
+export const useRevokeAuthSessionMutation = (
+  options?: t.MutationOptions<{ id: string; revoked: boolean }, string, unknown, unknown>,
+): UseMutationResult<{ id: string; revoked: boolean }, unknown, string, unknown> => {
+  const queryClient = useQueryClient();
+  return useMutation((id: string) => dataService.revokeAuthSession(id), {
+    ...(options || {}),
+    onSuccess: (...args) => {
+      queryClient.invalidateQueries([QueryKeys.authSessions]);
+      options?.onSuccess?.(...args);
+    },
+  });
+};
+
+export const useRevokeOtherAuthSessionsMutation = (
+  options?: t.MutationOptions<{ revoked: number }, void, unknown, unknown>,
+): UseMutationResult<{ revoked: number }, unknown, void, unknown> => {
+  const queryClient = useQueryClient();
+  return useMutation(() => dataService.revokeOtherAuthSessions(), {
+    ...(options || {}),
+    onSuccess: (...args) => {
+      queryClient.invalidateQueries([QueryKeys.authSessions]);
+      options?.onSuccess?.(...args);
+    },
+  });
+};
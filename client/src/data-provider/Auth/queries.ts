@@ -42,3 +42,31 @@ export const useGraphTokenQuery = (
     ...config,
   });
 };
+
+export const useGetPasskeysQuery = (
+  config?: UseQueryOptions<t.TPasskeysResponse>,
+): QueryObserverResult<t.TPasskeysResponse> => {
+  const queriesEnabled = useRecoilValue<boolean>(store.queriesEnabled);
+  return useQuery<t.TPasskeysResponse>([QueryKeys.passkeys], () => dataService.getPasskeys(), {
+    refetchOnWindowFocus: false,
+    refetchOnReconnect: false,
+    ...config,
+    enabled: (config?.enabled ?? true) === true && queriesEnabled,
+  });
+};
+
+export const useGetAuthSessionsQuery = (
+  config?: UseQueryOptions<t.TAuthSessionsResponse>,
+): QueryObserverResult<t.TAuthSessionsResponse> => {
+  const queriesEnabled = useRecoilValue<boolean>(store.queriesEnabled);
+  return useQuery<t.TAuthSessionsResponse>(
+    [QueryKeys.authSessions],
+    () => dataService.getAuthSessions(),
+    {
+      refetchOnWindowFocus: false,
+      refetchOnReconnect: false,
+      ...config,
+      enabled: (config?.enabled ?? true) === true && queriesEnabled,
+    },
+  );
+};
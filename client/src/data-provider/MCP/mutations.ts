@@ -142,3 +142,37 @@ export const useDeleteMCPServerMutation = (options?: {
     },
   });
 };
+
+/**
+ * Hook for resolving an MCP server prompt (`prompts/get`) with the user's arguments
+ */
+export const useGetMCPPromptMutation = (options?: {
+  onSuccess?: (
+    data: t.MCPGetPromptResponse,
+    variables: t.MCPGetPromptParams,
+    context: unknown,
+  ) => void;
+  onError?: (error: Error, variables: t.MCPGetPromptParams, context: unknown) => void;
+}): UseMutationResult<t.MCPGetPromptResponse, Error, t.MCPGetPromptParams> => {
+  return useMutation((params: t.MCPGetPromptParams) => dataService.getMCPPrompt(params), {
+    onError: (error, variables, context) => options?.onError?.(error, variables, context),
+    onSuccess: (data, variables, context) => options?.onSuccess?.(data, variables, context),
+  });
+};
+
+/**
+ * Hook for attaching an MCP server resource (`resources/read`) as a file
+ */
+export const useAttachMCPResourceMutation = (options?: {
+  onSuccess?: (
+    data: t.MCPAttachResourceResponse,
+    variables: t.MCPAttachResourceParams,
+    context: unknown,
+  ) => void;
+  onError?: (error: Error, variables: t.MCPAttachResourceParams, context: unknown) => void;
+}): UseMutationResult<t.MCPAttachResourceResponse, Error, t.MCPAttachResourceParams> => {
+  return useMutation((params: t.MCPAttachResourceParams) => dataService.attachMCPResource(params), {
+    onError: (error, variables, context) => options?.onError?.(error, variables, context),
+    onSuccess: (data, variables, context) => options?.onSuccess?.(data, variables, context),
+  });
+};
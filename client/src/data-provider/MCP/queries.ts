@@ -42,3 +42,45 @@ export const useMCPToolsQuery = <TData = t.MCPServersResponse>(
     },
   );
 };
+
+/**
+ * Hook for fetching prompts declared by the user's connected MCP servers
+ * @param config - React Query configuration
+ * @returns Prompts tagged with their server name
+ */
+export const useMCPPromptsQuery = <TData = t.MCPPromptsResponse>(
+  config?: UseQueryOptions<t.MCPPromptsResponse, unknown, TData>,
+): QueryObserverResult<TData> => {
+  return useQuery<t.MCPPromptsResponse, unknown, TData>(
+    [QueryKeys.mcpPrompts],
+    () => dataService.getMCPPrompts(),
+    {
+      refetchOnWindowFocus: false,
+      refetchOnReconnect: false,
+      staleTime: 60 * 1000,
+      retry: false,
+      ...config,
+    },
+  );
+};
+
+/**
+ * Hook for listing resources exposed by the user's connected MCP servers
+ * @param config - React Query configuration
+ * @returns Resources tagged with their server name
+ */
+export const useMCPResourcesQuery = <TData = t.MCPResourcesResponse>(
+  config?: UseQueryOptions<t.MCPResourcesResponse, unknown, TData>,
+): QueryObserverResult<TData> => {
+  return useQuery<t.MCPResourcesResponse, unknown, TData>(
+    [QueryKeys.mcpResources],
+    () => dataService.getMCPResources(),
+    {
+      refetchOnWindowFocus: false,
+      refetchOnReconnect: false,
+      staleTime: 60 * 1000,
+      retry: false,
+      ...config,
+    },
+  );
+};
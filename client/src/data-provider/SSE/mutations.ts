@@ -162,6 +162,33 @@ export function useSubmitAskAnswerMutation() {
   });
 }
 
+export interface SubmitMCPElicitationParams extends ResumeAgentFields {
+  actionId: string;
+  elicitation: Agents.MCPElicitationResolution;
+}
+
+/**
+ * Answer an MCP server's elicitation form. The tool call that asked is still running, so
+ * this only hands the answer back; its result keeps streaming over the existing SSE.
+ */
+export const submitMCPElicitation = async (
+  params: SubmitMCPElicitationParams,
+): Promise<ResumeResponse> => {
+  const { actionId, elicitation, ...fields } = params;
+  return postGenerationRequest<ResumeResponse>(`${apiBaseUrl()}/api/agents/chat/resume`, {
+    ...buildResumeBase(fields),
+    actionId,
+    elicitation,
+  });
+};
+
+/** React Query mutation hook for answering an MCP elicitation. */
+export function useSubmitMCPElicitationMutation() {
+  return useMutation({
+    mutationFn: submitMCPElicitation,
+  });
+}
+
 export interface SteerMessageParams {
   conversationId: string;
   /** Exact live generation being steered. */
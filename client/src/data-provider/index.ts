@@ -1,10 +1,12 @@
 export * from './Auth';
 export * from './Agents';
+export * from './Artifacts';
 export * from './Endpoints';
 export * from './Skills';
 export * from './Files';
 export * from './Langfuse';
 export * from './Insights';
+export * from './AgentTriggers';
 /* Memories */
 export * from './Memories';
 export * from './Messages';
@@ -922,6 +922,42 @@ export const useForkSharedConvoMutation = (
   );
 };
 
+export const useStartConversationExportMutation = (
+  options?: t.MutationOptions<t.TConversationExportJobResponse, t.TConversationExportFilter>,
+): UseMutationResult<
+  t.TConversationExportJobResponse,
+  unknown,
+  t.TConversationExportFilter,
+  unknown
+> => {
+  const queryClient = useQueryClient();
+  const { onSuccess, ..._options } = options || {};
+  return useMutation([MutationKeys.startConversationExport], {
+    mutationFn: (filter: t.TConversationExportFilter) =>
+      dataService.startConversationExport(filter),
+    onSuccess: (data, variables, context) => {
+      queryClient.setQueryData([QueryKeys.conversationExport], data);
+      onSuccess?.(data, variables, context);
+    },
+    ..._options,
+  });
+};
+
+export const useStartDataTakeoutMutation = (
+  options?: t.MutationOptions<t.TDataTakeoutJobResponse, void>,
+): UseMutationResult<t.TDataTakeoutJobResponse, unknown, void, unknown> => {
+  const queryClient = useQueryClient();
+  const { onSuccess, ..._options } = options || {};
+  return useMutation([MutationKeys.startDataTakeout], {
+    mutationFn: () => dataService.startDataTakeout(),
+    onSuccess: (data, variables, context) => {
+      queryClient.setQueryData([QueryKeys.dataTakeout], data);
+      onSuccess?.(data, variables, context);
+    },
+    ..._options,
+  });
+};
+
 export const useUploadConversationsMutation = (
   _options?: t.MutationOptions<t.TImportResponse, FormData>,
 ) => {
@@ -931,10 +967,10 @@ export const useUploadConversationsMutation = (
   return useMutation<t.TImportResponse, unknown, FormData>({
     mutationFn: (formData: FormData) => dataService.importConversationsFile(formData),
     onSuccess: (data, variables, context) => {
-      /* TODO: optimize to return imported conversations and add manually */
-      queryClient.invalidateQueries([QueryKeys.allConversations]);
-      /** An imported chat can carry `pinned: true`. */
-      queryClient.invalidateQueries([QueryKeys.pinnedConversations]);
+      /** The import runs in the background; `useConversationImportQuery` polls its progress. */
+      queryClient.setQueryData<t.TConversationImportJobResponse>([QueryKeys.conversationImport], {
+        job: data.job,
+      });
       if (onSuccess) {
         onSuccess(data, variables, context);
       }
@@ -357,6 +357,56 @@ export const useMakePromptProduction = (options?: t.MakePromptProductionOptions)
   });
 };
 
+export const useCreatePromptTestCase = (
+  groupId: string,
+): UseMutationResult<{ testCase: t.TPromptTestCase }, unknown, t.TPromptTestCaseRequest> => {
+  const queryClient = useQueryClient();
+  return useMutation({
+    mutationFn: (payload: t.TPromptTestCaseRequest) =>
+      dataService.createPromptTestCase(groupId, payload),
+    onSuccess: () => queryClient.invalidateQueries([QueryKeys.promptTestCases, groupId]),
+  });
+};
+
+export const useUpdatePromptTestCase = (
+  groupId: string,
+): UseMutationResult<
+  { testCase: t.TPromptTestCase },
+  unknown,
+  { testCaseId: string; payload: Partial<t.TPromptTestCaseRequest> }
+> => {
+  const queryClient = useQueryClient();
+  return useMutation({
+    mutationFn: ({ testCaseId, payload }) =>
+      dataService.updatePromptTestCase(groupId, testCaseId, payload),
+    onSuccess: () => queryClient.invalidateQueries([QueryKeys.promptTestCases, groupId]),
+  });
+};
+
+export const useDeletePromptTestCase = (
+  groupId: string,
+): UseMutationResult<{ message: string }, unknown, string> => {
+  const queryClient = useQueryClient();
+  return useMutation({
+    mutationFn: (testCaseId: string) => dataService.deletePromptTestCase(groupId, testCaseId),
+    onSuccess: () => queryClient.invalidateQueries([QueryKeys.promptTestCases, groupId]),
+  });
+};
+
+export const useStartPromptTestRun = (): UseMutationResult<
+  { run: t.TPromptTestRun },
+  unknown,
+  t.TStartPromptTestRunRequest
+> => {
+  const queryClient = useQueryClient();
+  return useMutation({
+    mutationFn: (variables: t.TStartPromptTestRunRequest) =>
+      dataService.startPromptTestRun(variables),
+    onSettled: (_data, _error, variables) =>
+      queryClient.invalidateQueries([QueryKeys.promptTestRuns, variables.groupId]),
+  });
+};
+
 export const useRecordPromptUsage = (): UseMutationResult<
   { numberOfGenerations: number },
   unknown,
@@ -45,6 +45,63 @@ export const useGetPresetsQuery = (
   });
 };
 
+/**
+ * The user's latest server-side conversation export.
+ * Polls while the archive is being built so the settings page sees it complete.
+ */
+export const useConversationExportQuery = (
+  config?: UseQueryOptions<t.TConversationExportJobResponse>,
+): QueryObserverResult<t.TConversationExportJobResponse> => {
+  return useQuery<t.TConversationExportJobResponse>(
+    [QueryKeys.conversationExport],
+    () => dataService.getLatestConversationExport(),
+    {
+      refetchOnWindowFocus: false,
+      refetchInterval: (data) =>
+        data?.job?.status === 'pending' || data?.job?.status === 'running' ? 3_000 : false,
+      ...config,
+    },
+  );
+};
+
+/**
+ * The user's latest conversation import.
+ * Polls while the upload is being imported so the settings page can show its progress.
+ */
+export const useConversationImportQuery = (
+  config?: UseQueryOptions<t.TConversationImportJobResponse>,
+): QueryObserverResult<t.TConversationImportJobResponse> => {
+  return useQuery<t.TConversationImportJobResponse>(
+    [QueryKeys.conversationImport],
+    () => dataService.getLatestConversationImport(),
+    {
+      refetchOnWindowFocus: false,
+      refetchInterval: (data) =>
+        data?.job?.status === 'pending' || data?.job?.status === 'running' ? 2_000 : false,
+      ...config,
+    },
+  );
+};
+
+/**
+ * The user's latest personal data takeout.
+ * Polls while the archive is being built so the settings page sees it complete.
+ */
+export const useDataTakeoutQuery = (
+  config?: UseQueryOptions<t.TDataTakeoutJobResponse>,
+): QueryObserverResult<t.TDataTakeoutJobResponse> => {
+  return useQuery<t.TDataTakeoutJobResponse>(
+    [QueryKeys.dataTakeout],
+    () => dataService.getLatestDataTakeout(),
+    {
+      refetchOnWindowFocus: false,
+      refetchInterval: (data) =>
+        data?.job?.status === 'pending' || data?.job?.status === 'running' ? 3_000 : false,
+      ...config,
+    },
+  );
+};
+
 export const useGetConvoIdQuery = (
   id: string,
   config?: UseQueryOptions<t.TConversation>,
@@ -535,6 +592,47 @@ export const useGetPrompts = (
   );
 };
 
+export const usePromptTestCasesQuery = (
+  groupId: string,
+  config?: UseQueryOptions<{ testCases: t.TPromptTestCase[] }>,
+): QueryObserverResult<{ testCases: t.TPromptTestCase[] }> => {
+  return useQuery<{ testCases: t.TPromptTestCase[] }>(
+    [QueryKeys.promptTestCases, groupId],
+    () => dataService.getPromptTestCases(groupId),
+    {
+      refetchOnWindowFocus: false,
+      retry: false,
+      ...config,
+      enabled: !!groupId && (config?.enabled ?? true),
+    },
+  );
+};
+
+/**
+ * Recent test runs of a prompt group, optionally for one version.
+ * Polls while a run is in progress so its results fill in as they are generated.
+ */
+export const usePromptTestRunsQuery = (
+  groupId: string,
+  promptId?: string,
+  config?: UseQueryOptions<{ runs: t.TPromptTestRun[] }>,
+): QueryObserverResult<{ runs: t.TPromptTestRun[] }> => {
+  return useQuery<{ runs: t.TPromptTestRun[] }>(
+    [QueryKeys.promptTestRuns, groupId, promptId ?? ''],
+    () => dataService.getPromptTestRuns(groupId, promptId),
+    {
+      refetchOnWindowFocus: false,
+      retry: false,
+      refetchInterval: (data) =>
+        data?.runs.some(({ status }) => status === 'pending' || status === 'running')
+          ? 3_000
+          : false,
+      ...config,
+      enabled: !!groupId && (config?.enabled ?? true),
+    },
+  );
+};
+
 export const useGetAllPromptGroups = <TData = t.AllPromptGroupsResponse>(
   filter?: t.AllPromptGroupsFilterRequest,
   config?: UseQueryOptions<t.AllPromptGroupsResponse, unknown, TData>,
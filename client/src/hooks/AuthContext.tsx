@@ -24,10 +24,11 @@ import {
   useGetUserQuery,
   useLoginUserMutation,
   useLogoutUserMutation,
+  usePasskeyLoginMutation,
   useRefreshTokenMutation,
 } from '~/data-provider';
 import { TAuthConfig, TUserContext, TAuthContext, TResError } from '~/common';
-import { SESSION_KEY, isSafeRedirect, getPostLoginRedirect } from '~/utils';
+import { SESSION_KEY, isSafeRedirect, isPasskeyCancelled, getPostLoginRedirect } from '~/utils';
 import useTimeout from './useTimeout';
 import store from '~/store';
 
@@ -100,16 +101,19 @@ const AuthContextProvider = ({
   );
   const doSetError = useTimeout({ callback: (error) => setError(error as string | undefined) });
 
+  const onLoginSuccess = (data: t.TLoginResponse) => {
+    const { user, token, twoFAPending, tempToken, passkeyAvailable } = data;
+    if (twoFAPending) {
+      const passkeyParam = passkeyAvailable === true ? '&passkey=true' : '';
+      navigate(`/login/2fa?tempToken=${tempToken}${passkeyParam}`, { replace: true });
+      return;
+    }
+    setError(undefined);
+    setUserContext({ token, isAuthenticated: true, user, redirect: '/c/new' });
+  };
+
   const loginUser = useLoginUserMutation({
-    onSuccess: (data: t.TLoginResponse) => {
-      const { user, token, twoFAPending, tempToken } = data;
-      if (twoFAPending) {
-        navigate(`/login/2fa?tempToken=${tempToken}`, { replace: true });
-        return;
-      }
-      setError(undefined);
-      setUserContext({ token, isAuthenticated: true, user, redirect: '/c/new' });
-    },
+    onSuccess: onLoginSuccess,
     onError: (error: TResError | unknown) => {
       const resError = error as TResError;
       doSetError(resError.message);
@@ -124,6 +128,15 @@ const AuthContextProvider = ({
       navigate(loginPath, { replace: true });
     },
   });
+  const passkeyLogin = usePasskeyLoginMutation({
+    onSuccess: onLoginSuccess,
+    onError: (error: TResError | unknown) => {
+      if (isPasskeyCancelled(error)) {
+        return;
+      }
+      doSetError((error as TResError).message);
+    },
+  });
   const logoutUser = useLogoutUserMutation({
     onSuccess: (data) => {
       if (data.redirect) {
@@ -171,6 +184,10 @@ const AuthContextProvider = ({
     loginUser.mutate(data);
   };
 
+  const loginWithPasskey = useCallback(() => {
+    passkeyLogin.mutate();
+  }, [passkeyLogin]);
+
   const silentRefresh = useCallback(() => {
     if (authConfig?.test === true) {
       console.log('Test mode. Skipping silent refresh.');
@@ -273,6 +290,7 @@ const AuthContextProvider = ({
       token,
       error,
       login,
+      loginWithPasskey,
       logout,
       setError,
       roles: {
@@ -288,6 +306,7 @@ const AuthContextProvider = ({
       error,
       isAuthenticated,
       token,
+      loginWithPasskey,
       userRole,
       adminRole,
       isCustomRole,
@@ -265,6 +265,23 @@ export default function useChatFunctions({
     [],
   );
 
+  /** Atomically read + reset the library artifacts queued for the next submission. */
+  const drainPendingArtifactRefs = useRecoilCallback(
+    ({ snapshot, reset }) =>
+      (convoId: string): string[] => {
+        const loadable = snapshot.getLoadable(store.pendingArtifactRefsByConvoId(convoId));
+        const refs =
+          loadable.state === 'hasValue'
+            ? (loadable.contents as Array<{ _id: string }>).map((ref) => ref._id)
+            : [];
+        if (refs.length > 0) {
+          reset(store.pendingArtifactRefsByConvoId(convoId));
+        }
+        return refs;
+      },
+    [],
+  );
+
   const ask: TAskFunction = (
     {
       text,
@@ -407,6 +424,11 @@ export default function useChatFunctions({
         quotes = drainPendingQuotes(conversationId ?? Constants.NEW_CONVO);
       }
     }
+    /** Regenerated turns keep the refs persisted on the original user message */
+    const artifactRefs =
+      quotesSupported && !isRegenerate && !isContinued && !isEdited
+        ? drainPendingArtifactRefs(conversationId ?? Constants.NEW_CONVO)
+        : [];
     const isEditOrContinue = isEdited || isContinued;
 
     let currentMessages: TMessage[] = overrideMessages ?? cachedMessages ?? [];
@@ -536,6 +558,12 @@ export default function useChatFunctions({
        * also merges these into the model-facing user text at request time.
        */
       quotes: quotes.length > 0 ? quotes : undefined,
+      /**
+       * Library artifacts brought into this turn. Sent with the user message
+       * and persisted on it; the backend adds their latest versions to the
+       * model's context.
+       */
+      artifactRefs: artifactRefs.length > 0 ? artifactRefs : undefined,
     };
 
     const submissionFiles = overrideFiles ?? targetParentMessage?.files;
@@ -3,6 +3,7 @@ import { MCPIcon, AttachmentIcon, OpenAIMinimalIcon } from '@librechat/client';
 import {
   Bot,
   Brain,
+  Library,
   Bookmark,
   NotebookPen,
   ScrollText,
@@ -27,6 +28,7 @@ import {
 } from '~/hooks';
 import MCPBuilderPanel from '~/components/SidePanel/MCPBuilder/MCPBuilderPanel';
 import AgentPanelSwitch from '~/components/SidePanel/Agents/AgentPanelSwitch';
+import ArtifactPanel from '~/components/SidePanel/Artifacts/ArtifactPanel';
 import BookmarkPanel from '~/components/SidePanel/Bookmarks/BookmarkPanel';
 import PanelSwitch from '~/components/SidePanel/Builder/PanelSwitch';
 import Parameters from '~/components/SidePanel/Parameters/Panel';
@@ -64,6 +66,10 @@ export default function useSideNavLinks({
     permissionType: PermissionTypes.BOOKMARKS,
     permission: Permissions.USE,
   });
+  const hasAccessToArtifacts = useHasAccess({
+    permissionType: PermissionTypes.ARTIFACTS,
+    permission: Permissions.USE,
+  });
   const hasAccessToMemories = useHasAccess({
     permissionType: PermissionTypes.MEMORIES,
     permission: Permissions.USE,
@@ -170,6 +176,16 @@ export default function useSideNavLinks({
       });
     }
 
+    if (hasAccessToArtifacts) {
+      links.push({
+        title: 'com_ui_artifact_library',
+        label: '',
+        icon: Library,
+        id: 'artifacts',
+        Component: ArtifactPanel,
+      });
+    }
+
     links.push({
       title: 'com_sidepanel_attach_files',
       label: '',
@@ -231,6 +247,7 @@ export default function useSideNavLinks({
     interfaceConfig.parameters,
     endpointType,
     hasAccessToBookmarks,
+    hasAccessToArtifacts,
     availableMCPServers,
     hasAccessToUseMCPSettings,
     hasAccessToCreateMCP,
@@ -1,12 +1,17 @@
 import { useMemo } from 'react';
 import { useRecoilValue } from 'recoil';
-import { BarChart3, MessagesSquare } from 'lucide-react';
+import { BarChart3, MessagesSquare, Zap } from 'lucide-react';
 import { useLocation, useNavigate } from 'react-router-dom';
 import { useUserKeyQuery } from 'librechat-data-provider/react-query';
 import { getConfigDefaults, getEndpointField, SystemRoles } from 'librechat-data-provider';
 import type { TEndpointsConfig } from 'librechat-data-provider';
 import type { NavLink } from '~/common';
-import { useGetEndpointsQuery, useGetStartupConfig, useInsightsAccessQuery } from '~/data-provider';
+import {
+  useGetEndpointsQuery,
+  useGetStartupConfig,
+  useInsightsAccessQuery,
+  useAgentTriggersAccessQuery,
+} from '~/data-provider';
 import ConversationsSection from '~/components/UnifiedSidebar/ConversationsSection';
 import useSideNavLinks from '~/hooks/Nav/useSideNavLinks';
 import { useAuthContext } from '~/hooks';
@@ -32,6 +37,9 @@ export default function useUnifiedSidebarLinks() {
   const { data: insightsAccess } = useInsightsAccessQuery(user?.id, {
     enabled: user?.role === SystemRoles.ADMIN && insightsFeatureEnabled,
   });
+  const { data: agentTriggersAccess } = useAgentTriggersAccessQuery(user?.id, {
+    enabled: user?.role === SystemRoles.ADMIN,
+  });
 
   const endpointType = useMemo(
     () => getEndpointField(endpointsConfig, endpoint, 'type'),
@@ -68,27 +76,50 @@ export default function useUnifiedSidebarLinks() {
       Component: ConversationsSection,
     };
 
-    if (!insightsFeatureEnabled || insightsAccess?.access !== true) {
+    const adminLinks: NavLink[] = [];
+    if (insightsFeatureEnabled && insightsAccess?.access === true) {
+      adminLinks.push({
+        title: 'com_insights_navigation',
+        label: '',
+        icon: BarChart3,
+        id: 'insights',
+        onClick: () => {
+          if (!location.pathname.startsWith('/insights')) {
+            navigate('/insights');
+          }
+        },
+      });
+    }
+    if (agentTriggersAccess?.access === true) {
+      adminLinks.push({
+        title: 'com_agent_triggers_navigation',
+        label: '',
+        icon: Zap,
+        id: 'agent-triggers',
+        onClick: () => {
+          if (!location.pathname.startsWith('/agent-triggers')) {
+            navigate('/agent-triggers');
+          }
+        },
+      });
+    }
+    if (adminLinks.length === 0) {
       return [conversationLink, ...sideNavLinks];
     }
 
-    const insightsLink: NavLink = {
-      title: 'com_insights_navigation',
-      label: '',
-      icon: BarChart3,
-      id: 'insights',
-      onClick: () => {
-        if (!location.pathname.startsWith('/insights')) {
-          navigate('/insights');
-        }
-      },
-    };
     const mcpIndex = sideNavLinks.findIndex((link) => link.id === 'mcp-builder');
     const nextLinks = [...sideNavLinks];
-    nextLinks.splice(mcpIndex >= 0 ? mcpIndex + 1 : nextLinks.length, 0, insightsLink);
+    nextLinks.splice(mcpIndex >= 0 ? mcpIndex + 1 : nextLinks.length, 0, ...adminLinks);
 
     return [conversationLink, ...nextLinks];
-  }, [insightsAccess?.access, insightsFeatureEnabled, location.pathname, navigate, sideNavLinks]);
+  }, [
+    agentTriggersAccess?.access,
+    insightsAccess?.access,
+    insightsFeatureEnabled,
+    location.pathname,
+    navigate,
+    sideNavLinks,
+  ]);
 
   return links;
 }
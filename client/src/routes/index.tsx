@@ -46,6 +46,11 @@ const loadInsightsView = () =>
     Component: m.default,
   }));
 
+const loadAgentTriggersView = () =>
+  import('~/components/AgentTriggers').then((m) => ({
+    Component: m.default,
+  }));
+
 const loadProjectsView = () =>
   import('~/components/Projects').then((m) => ({
     Component: m.ProjectsView,
@@ -160,6 +165,10 @@ export const router = createBrowserRouter(
               path: 'insights',
               lazy: loadInsightsView,
             },
+            {
+              path: 'agent-triggers',
+              lazy: loadAgentTriggersView,
+            },
             {
               path: 'skills/new',
               lazy: loadSkillsView,
@@ -17,6 +17,7 @@ import type {
   TSubmission,
   TMessage,
   TPreset,
+  TLibraryArtifact,
 } from 'librechat-data-provider';
 import type { GenerationProtocolVersion } from '~/data-provider/SSE/protocol';
 import type { TOptionSettings, ExtendedFile } from '~/common';
@@ -311,6 +312,20 @@ const pendingQuotesByConvoId = atomFamily<string[], string>({
   default: [],
 });
 
+/**
+ * Per-conversation queue of library artifacts the user picked (e.g. "Use in new
+ * chat" in the artifact library) for the next submission. Drained onto the user
+ * message's `artifactRefs` by `useChatFunctions.ask`; the backend then gives
+ * the model their latest versions to iterate on.
+ */
+const pendingArtifactRefsByConvoId = atomFamily<
+  Array<Pick<TLibraryArtifact, '_id' | 'title'>>,
+  string
+>({
+  key: 'pendingArtifactRefsByConvoId',
+  default: [],
+});
+
 /**
  * A steer message submitted mid-run. Server truth: `sending` covers the POST
  * in flight, `pending` means the server queued it (awaiting its injection
@@ -716,6 +731,7 @@ export default {
   showSkillsPopoverFamily,
   pendingManualSkillsByConvoId,
   pendingQuotesByConvoId,
+  pendingArtifactRefsByConvoId,
   pendingSteersByConvoId,
   queuedMessagesByConvoId,
   runEndByIndex,
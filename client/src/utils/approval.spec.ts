@@ -620,6 +620,49 @@ describe('isAnsweredAskUserQuestionPart', () => {
   });
 });
 
+describe('applyPendingAction — mcp_elicitation', () => {
+  const elicitationAction = (over: Record<string, unknown> = {}): Agents.PendingAction =>
+    ({
+      actionId: 'e1',
+      streamId: 's1',
+      createdAt: 0,
+      payload: {
+        type: 'mcp_elicitation',
+        serverName: 'jira',
+        message: 'Which project?',
+        requestedSchema: { type: 'object', properties: { project: { type: 'string' } } },
+        tool_call_id: 'tc1',
+      },
+      ...over,
+    }) as unknown as Agents.PendingAction;
+
+  it('tags the in-flight tool call the server asked from', () => {
+    const message = msg({ content: [toolCallPart('tcX'), toolCallPart('tc1')] });
+    const result = applyPendingAction(message, elicitationAction());
+
+    expect(getToolCall(result.content?.[0] as TMessageContentParts)?.elicitation).toBeUndefined();
+    expect(getToolCall(result.content?.[1] as TMessageContentParts)?.elicitation).toEqual({
+      actionId: 'e1',
+      serverName: 'jira',
+      message: 'Which project?',
+      requestedSchema: { type: 'object', properties: { project: { type: 'string' } } },
+    });
+  });
+
+  it('returns the same message until the tool call part has rendered, and on replay', () => {
+    const empty = msg({ content: [textPart('hi')] });
+    expect(applyPendingAction(empty, elicitationAction())).toBe(empty);
+
+    const tagged = applyPendingAction(msg({ content: [toolCallPart('tc1')] }), elicitationAction());
+    expect(applyPendingAction(tagged, elicitationAction())).toBe(tagged);
+  });
+
+  it('leaves a completed tool call alone', () => {
+    const message = msg({ content: [toolCallPart('tc1', { output: 'done' })] });
+    expect(applyPendingAction(message, elicitationAction())).toBe(message);
+  });
+});
+
 describe('applyPendingAction — unsupported type', () => {
   it('returns the original message unchanged', () => {
     const message = msg({ content: [textPart('hi')] });
@@ -166,6 +166,82 @@ function applyToolApproval(
   return { ...message, content: nextContent };
 }
 
+/**
+ * Tags the MCP tool call whose server asked for input with the elicitation form, descending
+ * into subagent content like {@link tagApprovalOnPart}. Returns a NEW part only when changed.
+ */
+function tagElicitationOnPart(
+  part: TMessageContentParts,
+  toolCallId: string,
+  elicitation: Agents.MCPElicitationToolCallState,
+): { part: TMessageContentParts; changed: boolean } {
+  if (part?.type !== ContentTypes.TOOL_CALL) {
+    return { part, changed: false };
+  }
+  const toolCall = part[ContentTypes.TOOL_CALL] as ToolCallWithApproval | undefined;
+  if (!toolCall) {
+    return { part, changed: false };
+  }
+
+  let nextToolCall = toolCall;
+  let changed = false;
+  if (Array.isArray(toolCall.subagent_content) && toolCall.subagent_content.length > 0) {
+    let nestedChanged = false;
+    const nextNested = toolCall.subagent_content.map((nestedPart) => {
+      const res = tagElicitationOnPart(nestedPart, toolCallId, elicitation);
+      nestedChanged ||= res.changed;
+      return res.part;
+    });
+    if (nestedChanged) {
+      nextToolCall = { ...nextToolCall, subagent_content: nextNested };
+      changed = true;
+    }
+  }
+
+  if (
+    getToolCallId(part) === toolCallId &&
+    (nextToolCall.output?.length ?? 0) === 0 &&
+    nextToolCall.elicitation?.actionId !== elicitation.actionId
+  ) {
+    nextToolCall = { ...nextToolCall, elicitation };
+    changed = true;
+  }
+
+  if (!changed) {
+    return { part, changed: false };
+  }
+  return {
+    part: { ...part, [ContentTypes.TOOL_CALL]: nextToolCall } as TMessageContentParts,
+    changed: true,
+  };
+}
+
+function applyMCPElicitation(
+  message: TMessage,
+  actionId: string,
+  payload: Agents.MCPElicitationInterruptPayload,
+): TMessage {
+  const content = message.content;
+  const toolCallId = payload.tool_call_id;
+  if (!toolCallId || !Array.isArray(content) || content.length === 0) {
+    return message;
+  }
+  const elicitation: Agents.MCPElicitationToolCallState = {
+    actionId,
+    serverName: payload.serverName,
+    message: payload.message,
+    requestedSchema: payload.requestedSchema,
+  };
+
+  let changed = false;
+  const nextContent = content.map((part) => {
+    const res = tagElicitationOnPart(part, toolCallId, elicitation);
+    changed ||= res.changed;
+    return res.part;
+  });
+  return changed ? { ...message, content: nextContent } : message;
+}
+
 /**
  * Appends (or refreshes) an ask-user-question content part for the pending
  * action. Idempotent: replaces an existing part with the same `actionId` rather
@@ -574,6 +650,9 @@ export function applyPendingAction(
   if (payload.type === 'ask_user_question') {
     return applyAskUserQuestion(message, actionId, payload);
   }
+  if (payload.type === 'mcp_elicitation') {
+    return applyMCPElicitation(message, actionId, payload);
+  }
   return message;
 }
 
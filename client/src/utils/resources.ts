@@ -71,6 +71,17 @@ export const RESOURCE_CONFIGS: Record<ResourceType, ResourceConfig> = {
       `Manage permissions for ${name && name !== '' ? name : 'skill'}`,
     getCopyUrlMessage: () => 'Skill URL copied',
   },
+  [ResourceType.ARTIFACT]: {
+    resourceType: ResourceType.ARTIFACT,
+    defaultViewerRoleId: AccessRoleIds.ARTIFACT_VIEWER,
+    defaultEditorRoleId: AccessRoleIds.ARTIFACT_EDITOR,
+    defaultOwnerRoleId: AccessRoleIds.ARTIFACT_OWNER,
+    getResourceName: (name?: string) => (name && name !== '' ? name : 'artifact'),
+    getShareMessage: (name?: string) => (name && name !== '' ? name : 'artifact'),
+    getManageMessage: (name?: string) =>
+      `Manage permissions for ${name && name !== '' ? name : 'artifact'}`,
+    getCopyUrlMessage: () => 'Artifact URL copied',
+  },
   [ResourceType.SHARED_LINK]: {
     resourceType: ResourceType.SHARED_LINK,
     defaultViewerRoleId: AccessRoleIds.SHARED_LINK_VIEWER,
@@ -0,0 +1,101 @@
+import type {
+  TPasskeyRegistrationOptions,
+  TPasskeyAuthenticationOptions,
+  TPasskeyRegistrationCredential,
+  TPasskeyAuthenticationCredential,
+} from 'librechat-data-provider';
+
+const toBase64Url = (buffer: ArrayBuffer): string => {
+  let binary = '';
+  for (const byte of new Uint8Array(buffer)) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (value: string): ArrayBuffer => {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, '='));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes.buffer;
+};
+
+const toDescriptors = (
+  descriptors?: Array<{ id: string; type: 'public-key'; transports?: string[] }>,
+): PublicKeyCredentialDescriptor[] | undefined =>
+  descriptors?.map(({ id, type, transports }) => ({
+    id: fromBase64Url(id),
+    type,
+    transports: transports as AuthenticatorTransport[] | undefined,
+  }));
+
+export const isPasskeySupported = (): boolean =>
+  typeof window !== 'undefined' &&
+  typeof window.PublicKeyCredential === 'function' &&
+  navigator.credentials != null;
+
+/** Whether the user dismissed the browser prompt, which should not be shown as an error. */
+export const isPasskeyCancelled = (error: unknown): boolean =>
+  error instanceof DOMException &&
+  (error.name === 'NotAllowedError' || error.name === 'AbortError');
+
+/** Creates a passkey from server options and encodes the result for `/passkeys/register`. */
+export async function createPasskey(
+  options: TPasskeyRegistrationOptions,
+): Promise<TPasskeyRegistrationCredential> {
+  const credential = (await navigator.credentials.create({
+    publicKey: {
+      ...options,
+      challenge: fromBase64Url(options.challenge),
+      user: { ...options.user, id: fromBase64Url(options.user.id) },
+      excludeCredentials: toDescriptors(options.excludeCredentials),
+    },
+  })) as PublicKeyCredential | null;
+  if (!credential) {
+    throw new DOMException('No passkey was created', 'NotAllowedError');
+  }
+
+  const response = credential.response as AuthenticatorAttestationResponse;
+  return {
+    id: credential.id,
+    rawId: toBase64Url(credential.rawId),
+    type: credential.type,
+    response: {
+      clientDataJSON: toBase64Url(response.clientDataJSON),
+      attestationObject: toBase64Url(response.attestationObject),
+      transports: response.getTransports?.() ?? [],
+    },
+  };
+}
+
+/** Signs a server challenge with a passkey and encodes the assertion for the server. */
+export async function getPasskeyAssertion(
+  options: TPasskeyAuthenticationOptions,
+): Promise<TPasskeyAuthenticationCredential> {
+  const credential = (await navigator.credentials.get({
+    publicKey: {
+      ...options,
+      challenge: fromBase64Url(options.challenge),
+      allowCredentials: toDescriptors(options.allowCredentials),
+    },
+  })) as PublicKeyCredential | null;
+  if (!credential) {
+    throw new DOMException('No passkey was selected', 'NotAllowedError');
+  }
+
+  const response = credential.response as AuthenticatorAssertionResponse;
+  return {
+    id: credential.id,
+    rawId: toBase64Url(credential.rawId),
+    type: credential.type,
+    response: {
+      clientDataJSON: toBase64Url(response.clientDataJSON),
+      authenticatorData: toBase64Url(response.authenticatorData),
+      signature: toBase64Url(response.signature),
+      userHandle: response.userHandle ? toBase64Url(response.userHandle) : null,
+    },
+  };
+}
@@ -0,0 +1,392 @@
+import { Types } from 'mongoose';
+import { SystemCapabilities } from '@librechat/data-schemas';
+import type { AgentTriggerDeliveryRecord } from '@librechat/data-schemas';
+import type { Response } from 'express';
+import type { ServerRequest } from '~/types/http';
+import type { AdminAgentTriggersDeps } from './agentTriggers';
+import { createAdminAgentTriggersHandlers } from './agentTriggers';
+
+jest.mock('@librechat/data-schemas', () => ({
+  ...jest.requireActual('@librechat/data-schemas'),
+  logger: { error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() },
+}));
+
+const deliveryId = new Types.ObjectId().toString();
+const ownerId = new Types.ObjectId();
+
+function mockDelivery(
+  overrides: Partial<AgentTriggerDeliveryRecord> = {},
+): AgentTriggerDeliveryRecord {
+  const attemptedAt = new Date('2026-01-02T00:00:00.000Z');
+  const lastError = {
+    code: 'AGENT_RUN_FAILED',
+    message: 'Agent not found',
+    certainty: 'definite' as const,
+    retryable: false,
+    attemptedAt,
+  };
+  return {
+    id: deliveryId,
+    deliveryKey: 'trigger_abc',
+    fingerprint: 'fingerprint',
+    orderingKey: 'schedule:1',
+    laneSequence: 1,
+    envelope: {
+      mode: 'fire',
+      input: 'Summarize the nightly build',
+      target: { agentId: 'agent_1' },
+      event: {
+        id: 'evt_1',
+        type: 'schedule.fired',
+        occurredAt: 1_700_000_000_000,
+        payload: { token: 'secret' },
+        source: { id: 'schedule_1', type: 'schedule' },
+      },
+    },
+    user: ownerId,
+    status: 'dead',
+    attempts: 3,
+    availableAt: attemptedAt,
+    lastError,
+    result: { conversationId: 'convo_1' },
+    history: [
+      { attempt: 3, outcome: 'dead', at: attemptedAt, workerId: 'worker_1', error: lastError },
+    ],
+    createdAt: new Date('2026-01-01T00:00:00.000Z'),
+    ...overrides,
+  };
+}
+
+function createReqRes(
+  overrides: {
+    params?: Record<string, string>;
+    query?: Record<string, string>;
+    user?: { _id: Types.ObjectId; role: string; name?: string; tenantId?: string } | null;
+  } = {},
+) {
+  const req = {
+    params: overrides.params ?? {},
+    query: overrides.query ?? {},
+    body: {},
+    headers: { 'user-agent': 'jest' },
+    user:
+      overrides.user === null
+        ? undefined
+        : (overrides.user ?? { _id: new Types.ObjectId(), role: 'ADMIN', name: 'Operator' }),
+  } as unknown as ServerRequest;
+
+  const json = jest.fn();
+  const status = jest.fn().mockReturnValue({ json });
+  const res = { status, json } as unknown as Response;
+
+  return { req, res, status, json };
+}
+
+function createDeps(overrides: Partial<AdminAgentTriggersDeps> = {}): AdminAgentTriggersDeps {
+  return {
+    listAgentTriggerDeliveries: jest.fn().mockResolvedValue({ deliveries: [], total: 0 }),
+    getAgentTriggerDeliveryById: jest.fn().mockResolvedValue(mockDelivery()),
+    deleteAgentTriggerDeadLetter: jest.fn().mockResolvedValue(true),
+    requeueAgentTrigger: jest
+      .fn()
+      .mockResolvedValue(mockDelivery({ status: 'pending', attempts: 0, requeueCount: 1 })),
+    hasCapability: jest.fn().mockResolvedValue(true),
+    ...overrides,
+  };
+}
+
+describe('createAdminAgentTriggersHandlers', () => {
+  describe('getAccess', () => {
+    it('reports whether the caller may requeue or delete', async () => {
+      const hasCapability = jest.fn().mockResolvedValue(false);
+      const handlers = createAdminAgentTriggersHandlers(createDeps({ hasCapability }));
+      const { req, res, status, json } = createReqRes();
+
+      await handlers.getAccess(req, res);
+
+      expect(hasCapability).toHaveBeenCalledWith(
+        expect.objectContaining({ role: 'ADMIN' }),
+        SystemCapabilities.MANAGE_AGENT_TRIGGERS,
+      );
+      expect(status).toHaveBeenCalledWith(200);
+      expect(json).toHaveBeenCalledWith({ access: true, canManage: false });
+    });
+  });
+
+  describe('listDeliveries', () => {
+    it('passes filters and pagination through and omits private envelope fields', async () => {
+      const listAgentTriggerDeliveries = jest
+        .fn()
+        .mockResolvedValue({ deliveries: [mockDelivery()], total: 1 });
+      const handlers = createAdminAgentTriggersHandlers(createDeps({ listAgentTriggerDeliveries }));
+      const userId = ownerId.toString();
+      const { req, res, status, json } = createReqRes({
+        query: {
+          status: 'dead',
+          source: 'schedule',
+          agentId: 'agent_1',
+          userId,
+          limit: '10',
+          offset: '20',
+        },
+      });
+
+      await handlers.listDeliveries(req, res);
+
+      expect(listAgentTriggerDeliveries).toHaveBeenCalledWith({
+        status: 'dead',
+        sourceType: 'schedule',
+        agentId: 'agent_1',
+        user: userId,
+        limit: 10,
+        offset: 20,
+      });
+      expect(status).toHaveBeenCalledWith(200);
+      const body = json.mock.calls[0][0];
+      expect(body).toMatchObject({ total: 1, limit: 10, offset: 20 });
+      expect(body.deliveries[0]).toMatchObject({
+        id: deliveryId,
+        status: 'dead',
+        agentId: 'agent_1',
+        mode: 'fire',
+        source: { type: 'schedule', id: 'schedule_1' },
+        event: { type: 'schedule.fired', occurredAt: 1_700_000_000_000 },
+        lastError: { code: 'AGENT_RUN_FAILED', attemptedAt: '2026-01-02T00:00:00.000Z' },
+      });
+      expect(body.deliveries[0]).not.toHaveProperty('history');
+      const serialized = JSON.stringify(body);
+      expect(serialized).not.toContain('nightly build');
+      expect(serialized).not.toContain('secret');
+      expect(serialized).not.toContain('convo_1');
+    });
+
+    it('rejects an unknown status', async () => {
+      const deps = createDeps();
+      const handlers = createAdminAgentTriggersHandlers(deps);
+      const { req, res, status } = createReqRes({ query: { status: 'exploded' } });
+
+      await handlers.listDeliveries(req, res);
+
+      expect(status).toHaveBeenCalledWith(400);
+      expect(deps.listAgentTriggerDeliveries).not.toHaveBeenCalled();
+    });
+
+    it('rejects a malformed user id', async () => {
+      const handlers = createAdminAgentTriggersHandlers(createDeps());
+      const { req, res, status } = createReqRes({ query: { userId: 'not-an-id' } });
+
+      await handlers.listDeliveries(req, res);
+
+      expect(status).toHaveBeenCalledWith(400);
+    });
+
+    it('returns 500 when the query fails', async () => {
+      const handlers = createAdminAgentTriggersHandlers(
+        createDeps({ listAgentTriggerDeliveries: jest.fn().mockRejectedValue(new Error('db')) }),
+      );
+      const { req, res, status } = createReqRes();
+
+      await handlers.listDeliveries(req, res);
+
+      expect(status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe('getDelivery', () => {
+    it('includes the attempt history', async () => {
+      const handlers = createAdminAgentTriggersHandlers(createDeps());
+      const { req, res, status, json } = createReqRes({ params: { id: deliveryId } });
+
+      await handlers.getDelivery(req, res);
+
+      expect(status).toHaveBeenCalledWith(200);
+      expect(json.mock.calls[0][0].delivery.history).toEqual([
+        expect.objectContaining({
+          attempt: 3,
+          outcome: 'dead',
+          at: '2026-01-02T00:00:00.000Z',
+          workerId: 'worker_1',
+          error: expect.objectContaining({ code: 'AGENT_RUN_FAILED' }),
+        }),
+      ]);
+    });
+
+    it('returns 404 for a delivery outside the tenant', async () => {
+      const handlers = createAdminAgentTriggersHandlers(
+        createDeps({ getAgentTriggerDeliveryById: jest.fn().mockResolvedValue(null) }),
+      );
+      const { req, res, status } = createReqRes({ params: { id: deliveryId } });
+
+      await handlers.getDelivery(req, res);
+
+      expect(status).toHaveBeenCalledWith(404);
+    });
+
+    it('returns 400 for a malformed id', async () => {
+      const deps = createDeps();
+      const handlers = createAdminAgentTriggersHandlers(deps);
+      const { req, res, status } = createReqRes({ params: { id: 'bad' } });
+
+      await handlers.getDelivery(req, res);
+
+      expect(status).toHaveBeenCalledWith(400);
+      expect(deps.getAgentTriggerDeliveryById).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('requeueDelivery', () => {
+    it('requeues a dead letter and writes an audit entry', async () => {
+      const recordAuditEntry = jest.fn().mockResolvedValue(undefined);
+      const deps = createDeps({ recordAuditEntry });
+      const handlers = createAdminAgentTriggersHandlers(deps);
+      const { req, res, status, json } = createReqRes({ params: { id: deliveryId } });
+
+      await handlers.requeueDelivery(req, res);
+
+      expect(deps.requeueAgentTrigger).toHaveBeenCalledWith(deliveryId);
+      expect(status).toHaveBeenCalledWith(200);
+      expect(json.mock.calls[0][0].delivery).toMatchObject({ status: 'pending', requeueCount: 1 });
+      expect(recordAuditEntry).toHaveBeenCalledWith(
+        expect.objectContaining({
+          action: 'agent_trigger.requeued',
+          outcome: 'success',
+          actor: expect.objectContaining({ type: 'user', name: 'Operator' }),
+          target: { type: 'agent_trigger_delivery', id: deliveryId, name: 'trigger_abc' },
+          metadata: expect.objectContaining({
+            status: 'dead',
+            agentId: 'agent_1',
+            sourceType: 'schedule',
+            lastErrorCode: 'AGENT_RUN_FAILED',
+          }),
+          context: expect.objectContaining({ userAgent: 'jest' }),
+        }),
+      );
+    });
+
+    it('returns 409 without auditing when the delivery is not a dead letter', async () => {
+      const recordAuditEntry = jest.fn();
+      const deps = createDeps({
+        recordAuditEntry,
+        getAgentTriggerDeliveryById: jest
+          .fn()
+          .mockResolvedValue(mockDelivery({ status: 'leased' })),
+      });
+      const handlers = createAdminAgentTriggersHandlers(deps);
+      const { req, res, status } = createReqRes({ params: { id: deliveryId } });
+
+      await handlers.requeueDelivery(req, res);
+
+      expect(status).toHaveBeenCalledWith(409);
+      expect(deps.requeueAgentTrigger).not.toHaveBeenCalled();
+      expect(recordAuditEntry).not.toHaveBeenCalled();
+    });
+
+    it('does not requeue a delivery the tenant cannot see', async () => {
+      const deps = createDeps({ getAgentTriggerDeliveryById: jest.fn().mockResolvedValue(null) });
+      const handlers = createAdminAgentTriggersHandlers(deps);
+      const { req, res, status } = createReqRes({ params: { id: deliveryId } });
+
+      await handlers.requeueDelivery(req, res);
+
+      expect(status).toHaveBeenCalledWith(404);
+      expect(deps.requeueAgentTrigger).not.toHaveBeenCalled();
+    });
+
+    it('returns 409 when the row changed before the requeue applied', async () => {
+      const recordAuditEntry = jest.fn();
+      const handlers = createAdminAgentTriggersHandlers(
+        createDeps({ recordAuditEntry, requeueAgentTrigger: jest.fn().mockResolvedValue(null) }),
+      );
+      const { req, res, status } = createReqRes({ params: { id: deliveryId } });
+
+      await handlers.requeueDelivery(req, res);
+
+      expect(status).toHaveBeenCalledWith(409);
+      expect(recordAuditEntry).not.toHaveBeenCalled();
+    });
+
+    it('fail-open: a failed audit write does not fail the requeue', async () => {
+      const recordAuditEntry = jest.fn().mockRejectedValue(new Error('audit down'));
+      const handlers = createAdminAgentTriggersHandlers(createDeps({ recordAuditEntry }));
+      const { req, res, status } = createReqRes({ params: { id: deliveryId } });
+
+      await handlers.requeueDelivery(req, res);
+
+      expect(status).toHaveBeenCalledWith(200);
+    });
+
+    it('fail-closed: a failed audit write returns 500', async () => {
+      const recordAuditEntry = jest.fn().mockRejectedValue(new Error('audit down'));
+      const handlers = createAdminAgentTriggersHandlers(
+        createDeps({ recordAuditEntry, auditFailClosed: true }),
+      );
+      const { req, res, status } = createReqRes({ params: { id: deliveryId } });
+
+      await handlers.requeueDelivery(req, res);
+
+      expect(recordAuditEntry).toHaveBeenCalledWith(expect.any(Object), { failClosed: true });
+      expect(status).toHaveBeenCalledWith(500);
+    });
+
+    it('returns 401 without a user', async () => {
+      const handlers = createAdminAgentTriggersHandlers(createDeps());
+      const { req, res, status } = createReqRes({ params: { id: deliveryId }, user: null });
+
+      await handlers.requeueDelivery(req, res);
+
+      expect(status).toHaveBeenCalledWith(401);
+    });
+  });
+
+  describe('deleteDelivery', () => {
+    it('deletes a dead letter and writes an audit entry', async () => {
+      const recordAuditEntry = jest.fn().mockResolvedValue(undefined);
+      const deps = createDeps({ recordAuditEntry });
+      const handlers = createAdminAgentTriggersHandlers(deps);
+      const { req, res, status, json } = createReqRes({ params: { id: deliveryId } });
+
+      await handlers.deleteDelivery(req, res);
+
+      expect(deps.deleteAgentTriggerDeadLetter).toHaveBeenCalledWith(deliveryId);
+      expect(status).toHaveBeenCalledWith(200);
+      expect(json).toHaveBeenCalledWith({ success: true });
+      expect(recordAuditEntry).toHaveBeenCalledWith(
+        expect.objectContaining({
+          action: 'agent_trigger.deleted',
+          target: expect.objectContaining({ id: deliveryId }),
+        }),
+      );
+    });
+
+    it('refuses to delete a pending delivery', async () => {
+      const deps = createDeps({
+        getAgentTriggerDeliveryById: jest
+          .fn()
+          .mockResolvedValue(mockDelivery({ status: 'pending' })),
+      });
+      const handlers = createAdminAgentTriggersHandlers(deps);
+      const { req, res, status } = createReqRes({ params: { id: deliveryId } });
+
+      await handlers.deleteDelivery(req, res);
+
+      expect(status).toHaveBeenCalledWith(409);
+      expect(deps.deleteAgentTriggerDeadLetter).not.toHaveBeenCalled();
+    });
+
+    it('returns 409 when the dead letter was already removed', async () => {
+      const recordAuditEntry = jest.fn();
+      const handlers = createAdminAgentTriggersHandlers(
+        createDeps({
+          recordAuditEntry,
+          deleteAgentTriggerDeadLetter: jest.fn().mockResolvedValue(false),
+        }),
+      );
+      const { req, res, status } = createReqRes({ params: { id: deliveryId } });
+
+      await handlers.deleteDelivery(req, res);
+
+      expect(status).toHaveBeenCalledWith(409);
+      expect(recordAuditEntry).not.toHaveBeenCalled();
+    });
+  });
+});
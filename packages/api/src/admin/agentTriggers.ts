@@ -0,0 +1,385 @@
+import { logger, SystemCapabilities, isValidObjectIdString } from '@librechat/data-schemas';
+import type {
+  AuditAction,
+  AuditContext,
+  SystemCapability,
+  RecordAuditEntryInput,
+  RecordAuditEntryOptions,
+  AdminAgentTriggerDelivery,
+  AgentTriggerDeliveryRecord,
+  AgentTriggerDeliveryFailure,
+  AgentTriggerDeliveryStatus,
+  AgentTriggerDeliveryListFilters,
+} from '@librechat/data-schemas';
+import type { Response } from 'express';
+import type { ServerRequest } from '~/types/http';
+import { parsePagination } from './pagination';
+import { buildAuditContext } from './context';
+
+const DELIVERY_STATUSES = new Set<AgentTriggerDeliveryStatus>([
+  'staging',
+  'pending',
+  'leased',
+  'succeeded',
+  'dead',
+]);
+
+const MAX_FILTER_LENGTH = 200;
+
+type AgentTriggerCapabilityUser = {
+  id: string;
+  role: string;
+  tenantId?: string;
+};
+
+type DeliveryIdParams = { id: string };
+
+/** Envelope fields an operator needs to identify a delivery; the rest stays private. */
+type DeliveryEnvelopeSummary = {
+  mode?: string;
+  target?: { agentId?: string };
+  event?: { type?: string; occurredAt?: number; source?: { id?: string; type?: string } };
+};
+
+export interface AdminAgentTriggersDeps {
+  listAgentTriggerDeliveries: (
+    filters: AgentTriggerDeliveryListFilters,
+  ) => Promise<{ deliveries: AgentTriggerDeliveryRecord[]; total: number }>;
+  getAgentTriggerDeliveryById: (id: string) => Promise<AgentTriggerDeliveryRecord | null>;
+  deleteAgentTriggerDeadLetter: (id: string) => Promise<boolean>;
+  /** Trigger service requeue; runs outside the tenant context, so callers load the row first. */
+  requeueAgentTrigger: (id: string) => Promise<AgentTriggerDeliveryRecord | null>;
+  hasCapability: (
+    user: AgentTriggerCapabilityUser,
+    capability: SystemCapability,
+  ) => Promise<boolean>;
+  /** Optional audit emission. Failure is logged but does not fail the request
+   * unless `auditFailClosed` is set. */
+  recordAuditEntry?: (
+    input: RecordAuditEntryInput,
+    options?: RecordAuditEntryOptions,
+  ) => Promise<void>;
+  /**
+   * When true, a failed audit write surfaces as a 5xx. The requeue or delete
+   * has already been applied at that point; an operator must reconcile the
+   * missing audit row. Defaults to fail-open.
+   */
+  auditFailClosed?: boolean;
+}
+
+function toIsoString(value: Date | string | undefined): string | undefined {
+  if (value == null) {
+    return undefined;
+  }
+  return new Date(value).toISOString();
+}
+
+function toAdminError(error: AgentTriggerDeliveryFailure) {
+  return {
+    code: error.code,
+    message: error.message,
+    certainty: error.certainty,
+    retryable: error.retryable,
+    attemptedAt: toIsoString(error.attemptedAt) ?? '',
+    ...(error.status != null && { status: error.status }),
+  };
+}
+
+function getEnvelopeSummary(envelope: unknown): DeliveryEnvelopeSummary {
+  return envelope != null && typeof envelope === 'object'
+    ? (envelope as DeliveryEnvelopeSummary)
+    : {};
+}
+
+function toAdminDelivery(
+  delivery: AgentTriggerDeliveryRecord,
+  { includeHistory = false }: { includeHistory?: boolean } = {},
+): AdminAgentTriggerDelivery {
+  const envelope = getEnvelopeSummary(delivery.envelope);
+  const source = envelope.event?.source;
+  return {
+    id: delivery.id,
+    deliveryKey: delivery.deliveryKey,
+    status: delivery.status,
+    attempts: delivery.attempts,
+    requeueCount: delivery.requeueCount ?? 0,
+    user: String(delivery.user),
+    tenantId: delivery.tenantId,
+    orderingKey: delivery.orderingKey,
+    mode: envelope.mode,
+    agentId: envelope.target?.agentId,
+    source: source?.type ? { type: source.type, id: source.id ?? '' } : undefined,
+    event: envelope.event?.type
+      ? { type: envelope.event.type, occurredAt: envelope.event.occurredAt }
+      : undefined,
+    availableAt: toIsoString(delivery.availableAt),
+    createdAt: toIsoString(delivery.createdAt),
+    updatedAt: toIsoString(delivery.updatedAt),
+    settledAt: toIsoString(delivery.settledAt),
+    lastError: delivery.lastError ? toAdminError(delivery.lastError) : undefined,
+    ...(includeHistory && {
+      history: (delivery.history ?? []).map((entry) => ({
+        attempt: entry.attempt,
+        outcome: entry.outcome,
+        at: toIsoString(entry.at) ?? '',
+        workerId: entry.workerId,
+        error: entry.error ? toAdminError(entry.error) : undefined,
+      })),
+    }),
+  };
+}
+
+function readFilter(value: unknown): string | undefined {
+  if (typeof value !== 'string') {
+    return undefined;
+  }
+  const trimmed = value.trim();
+  return trimmed ? trimmed : undefined;
+}
+
+function resolveUser(
+  req: ServerRequest,
+): { userId: string; role: string; actorName: string; tenantId?: string } | null {
+  const user = req.user;
+  if (!user) {
+    return null;
+  }
+  const userId = user._id?.toString() ?? user.id;
+  if (!userId) {
+    return null;
+  }
+  const actorName = user.name || user.username || user.email || userId;
+  return { userId, role: user.role ?? '', actorName, tenantId: user.tenantId };
+}
+
+/**
+ * Creates handlers for /api/admin/agent-triggers. Every lookup runs in the
+ * request's tenant context, so an operator only sees and changes deliveries
+ * of their own tenant even though the trigger service requeues as system.
+ */
+export function createAdminAgentTriggersHandlers(deps: AdminAgentTriggersDeps): {
+  getAccess: (req: ServerRequest, res: Response) => Promise<Response>;
+  listDeliveries: (req: ServerRequest, res: Response) => Promise<Response>;
+  getDelivery: (req: ServerRequest, res: Response) => Promise<Response>;
+  requeueDelivery: (req: ServerRequest, res: Response) => Promise<Response>;
+  deleteDelivery: (req: ServerRequest, res: Response) => Promise<Response>;
+} {
+  const {
+    listAgentTriggerDeliveries,
+    getAgentTriggerDeliveryById,
+    deleteAgentTriggerDeadLetter,
+    requeueAgentTrigger,
+    hasCapability,
+    recordAuditEntry,
+    auditFailClosed,
+  } = deps;
+
+  async function emitAudit(args: {
+    action: AuditAction;
+    caller: { userId: string; actorName: string; tenantId?: string };
+    delivery: AdminAgentTriggerDelivery;
+    context?: AuditContext;
+  }): Promise<void> {
+    if (!recordAuditEntry) return;
+    const { delivery } = args;
+    const input: RecordAuditEntryInput = {
+      action: args.action,
+      outcome: 'success',
+      severity: 'warning',
+      actor: { type: 'user', id: args.caller.userId, name: args.caller.actorName },
+      target: { type: 'agent_trigger_delivery', id: delivery.id, name: delivery.deliveryKey },
+      metadata: {
+        status: delivery.status,
+        attempts: delivery.attempts,
+        user: delivery.user,
+        ...(delivery.agentId != null && { agentId: delivery.agentId }),
+        ...(delivery.source && { sourceType: delivery.source.type }),
+        ...(delivery.lastError && { lastErrorCode: delivery.lastError.code }),
+      },
+      context: args.context,
+      tenantId: args.caller.tenantId,
+    };
+    if (auditFailClosed) {
+      /** Let the failure propagate to the handler (→ 5xx); see `auditFailClosed`. */
+      await recordAuditEntry(input, { failClosed: true });
+      return;
+    }
+    try {
+      await recordAuditEntry(input);
+    } catch (err) {
+      logger.error('[adminAgentTriggers] audit write failed', err);
+    }
+  }
+
+  /** Loads a dead letter visible to the caller's tenant, or writes the error response. */
+  async function loadDeadLetter(
+    req: ServerRequest,
+    res: Response,
+  ): Promise<AgentTriggerDeliveryRecord | null> {
+    const { id } = req.params as DeliveryIdParams;
+    if (!isValidObjectIdString(id)) {
+      res.status(400).json({ error: 'Invalid delivery ID format' });
+      return null;
+    }
+    const delivery = await getAgentTriggerDeliveryById(id);
+    if (!delivery) {
+      res.status(404).json({ error: 'Delivery not found' });
+      return null;
+    }
+    if (delivery.status !== 'dead') {
+      res.status(409).json({ error: 'Only dead-letter deliveries can be changed' });
+      return null;
+    }
+    return delivery;
+  }
+
+  async function getAccessHandler(req: ServerRequest, res: Response) {
+    try {
+      const caller = resolveUser(req);
+      if (!caller) {
+        return res.status(401).json({ error: 'Authentication required' });
+      }
+      const canManage = await hasCapability(
+        { id: caller.userId, role: caller.role, tenantId: caller.tenantId },
+        SystemCapabilities.MANAGE_AGENT_TRIGGERS,
+      );
+      return res.status(200).json({ access: true, canManage });
+    } catch (error) {
+      logger.error('[adminAgentTriggers] getAccess error:', error);
+      return res.status(500).json({ error: 'Failed to check access' });
+    }
+  }
+
+  async function listDeliveriesHandler(req: ServerRequest, res: Response) {
+    try {
+      const { limit, offset } = parsePagination(req.query);
+      const status = readFilter(req.query.status);
+      const sourceType = readFilter(req.query.source);
+      const agentId = readFilter(req.query.agentId);
+      const user = readFilter(req.query.userId);
+
+      if (status && !DELIVERY_STATUSES.has(status as AgentTriggerDeliveryStatus)) {
+        return res.status(400).json({ error: 'Invalid delivery status' });
+      }
+      if (user && !isValidObjectIdString(user)) {
+        return res.status(400).json({ error: 'Invalid user ID format' });
+      }
+      if (
+        (sourceType?.length ?? 0) > MAX_FILTER_LENGTH ||
+        (agentId?.length ?? 0) > MAX_FILTER_LENGTH
+      ) {
+        return res.status(400).json({ error: 'Filter value is too long' });
+      }
+
+      const { deliveries, total } = await listAgentTriggerDeliveries({
+        status: status as AgentTriggerDeliveryStatus | undefined,
+        sourceType,
+        agentId,
+        user,
+        limit,
+        offset,
+      });
+      return res.status(200).json({
+        deliveries: deliveries.map((delivery) => toAdminDelivery(delivery)),
+        total,
+        limit,
+        offset,
+      });
+    } catch (error) {
+      logger.error('[adminAgentTriggers] listDeliveries error:', error);
+      return res.status(500).json({ error: 'Failed to list deliveries' });
+    }
+  }
+
+  async function getDeliveryHandler(req: ServerRequest, res: Response) {
+    try {
+      const { id } = req.params as DeliveryIdParams;
+      if (!isValidObjectIdString(id)) {
+        return res.status(400).json({ error: 'Invalid delivery ID format' });
+      }
+      const delivery = await getAgentTriggerDeliveryById(id);
+      if (!delivery) {
+        return res.status(404).json({ error: 'Delivery not found' });
+      }
+      return res
+        .status(200)
+        .json({ delivery: toAdminDelivery(delivery, { includeHistory: true }) });
+    } catch (error) {
+      logger.error('[adminAgentTriggers] getDelivery error:', error);
+      return res.status(500).json({ error: 'Failed to get delivery' });
+    }
+  }
+
+  async function requeueDeliveryHandler(req: ServerRequest, res: Response) {
+    try {
+      const caller = resolveUser(req);
+      if (!caller) {
+        return res.status(401).json({ error: 'Authentication required' });
+      }
+      const deadLetter = await loadDeadLetter(req, res);
+      if (!deadLetter) {
+        return res;
+      }
+      /** `null` means another operator or the purge path changed the row since it was loaded. */
+      const requeued = await requeueAgentTrigger(deadLetter.id);
+      if (!requeued) {
+        return res.status(409).json({ error: 'Delivery is no longer a dead letter' });
+      }
+      try {
+        await emitAudit({
+          action: 'agent_trigger.requeued',
+          caller,
+          delivery: toAdminDelivery(deadLetter),
+          context: buildAuditContext(req),
+        });
+      } catch (auditErr) {
+        logger.error('[adminAgentTriggers] requeue audit failed (fail-closed)', auditErr);
+        return res.status(500).json({ error: 'Failed to record audit entry' });
+      }
+      return res.status(200).json({ delivery: toAdminDelivery(requeued) });
+    } catch (error) {
+      logger.error('[adminAgentTriggers] requeueDelivery error:', error);
+      return res.status(500).json({ error: 'Failed to requeue delivery' });
+    }
+  }
+
+  async function deleteDeliveryHandler(req: ServerRequest, res: Response) {
+    try {
+      const caller = resolveUser(req);
+      if (!caller) {
+        return res.status(401).json({ error: 'Authentication required' });
+      }
+      const deadLetter = await loadDeadLetter(req, res);
+      if (!deadLetter) {
+        return res;
+      }
+      const deleted = await deleteAgentTriggerDeadLetter(deadLetter.id);
+      if (!deleted) {
+        return res.status(409).json({ error: 'Delivery is no longer a dead letter' });
+      }
+      try {
+        await emitAudit({
+          action: 'agent_trigger.deleted',
+          caller,
+          delivery: toAdminDelivery(deadLetter),
+          context: buildAuditContext(req),
+        });
+      } catch (auditErr) {
+        logger.error('[adminAgentTriggers] delete audit failed (fail-closed)', auditErr);
+        return res.status(500).json({ error: 'Failed to record audit entry' });
+      }
+      return res.status(200).json({ success: true });
+    } catch (error) {
+      logger.error('[adminAgentTriggers] deleteDelivery error:', error);
+      return res.status(500).json({ error: 'Failed to delete delivery' });
+    }
+  }
+
+  return {
+    getAccess: getAccessHandler,
+    listDeliveries: listDeliveriesHandler,
+    getDelivery: getDeliveryHandler,
+    requeueDelivery: requeueDeliveryHandler,
+    deleteDelivery: deleteDeliveryHandler,
+  };
+}
@@ -0,0 +1,266 @@
+import { Types } from 'mongoose';
+import type { IBudget, IGroup } from '@librechat/data-schemas';
+import type { Response } from 'express';
+import type { ServerRequest } from '~/types/http';
+import type { AdminBudgetsDeps } from './budgets';
+import { createAdminBudgetsHandlers, parseBudgetSettings } from './budgets';
+
+jest.mock('@librechat/data-schemas', () => ({
+  ...jest.requireActual('@librechat/data-schemas'),
+  logger: { error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() },
+}));
+
+describe('createAdminBudgetsHandlers', () => {
+  let groupId: string;
+
+  beforeEach(() => {
+    groupId = new Types.ObjectId().toString();
+  });
+
+  function mockBudget(overrides: Partial<IBudget> = {}): IBudget {
+    return {
+      _id: new Types.ObjectId(),
+      scope: 'group',
+      groupId: new Types.ObjectId(groupId),
+      monthlyLimit: 1000,
+      warningThresholds: [0.8],
+      hardStop: true,
+      mode: 'additional',
+      enabled: true,
+      periodStart: new Date('2026-10-01T00:00:00.000Z'),
+      spent: 250,
+      warnedThresholds: [],
+      ...overrides,
+    };
+  }
+
+  function mockGroup(): IGroup {
+    return { _id: new Types.ObjectId(groupId), name: 'Finance' } as IGroup;
+  }
+
+  function createReqRes(
+    overrides: {
+      params?: Record<string, string>;
+      query?: Record<string, string>;
+      body?: unknown;
+    } = {},
+  ) {
+    const req = {
+      params: overrides.params ?? {},
+      query: overrides.query ?? {},
+      body: overrides.body ?? {},
+    } as unknown as ServerRequest;
+
+    const json = jest.fn();
+    const status = jest.fn().mockReturnValue({ json });
+    const res = { status, json } as unknown as Response;
+
+    return { req, res, status, json };
+  }
+
+  function createDeps(overrides: Partial<AdminBudgetsDeps> = {}): AdminBudgetsDeps {
+    return {
+      listBudgets: jest.fn().mockResolvedValue([]),
+      countBudgets: jest.fn().mockResolvedValue(0),
+      getBudget: jest.fn().mockResolvedValue(null),
+      upsertBudget: jest.fn().mockResolvedValue(mockBudget()),
+      deleteBudget: jest.fn().mockResolvedValue(true),
+      findGroupById: jest.fn().mockResolvedValue(mockGroup()),
+      ...overrides,
+    };
+  }
+
+  describe('listBudgets', () => {
+    it('returns budgets with group names, remaining credits, and pagination', async () => {
+      const tenantBudget = mockBudget({ scope: 'tenant', groupId: null, spent: 1200 });
+      const deps = createDeps({
+        listBudgets: jest.fn().mockResolvedValue([tenantBudget, mockBudget()]),
+        countBudgets: jest.fn().mockResolvedValue(2),
+      });
+      const handlers = createAdminBudgetsHandlers(deps);
+      const { req, res, status, json } = createReqRes({ query: { limit: '10' } });
+
+      await handlers.listBudgets(req, res);
+
+      expect(deps.listBudgets).toHaveBeenCalledWith({ limit: 10, offset: 0 });
+      expect(deps.findGroupById).toHaveBeenCalledTimes(1);
+      expect(status).toHaveBeenCalledWith(200);
+      const body = json.mock.calls[0][0];
+      expect(body.total).toBe(2);
+      expect(body.budgets[0]).toMatchObject({ scope: 'tenant', spent: 1200, remaining: 0 });
+      expect(body.budgets[0].groupId).toBeUndefined();
+      expect(body.budgets[1]).toMatchObject({
+        scope: 'group',
+        groupId,
+        groupName: 'Finance',
+        remaining: 750,
+        periodStart: '2026-10-01T00:00:00.000Z',
+      });
+    });
+
+    it('filters by scope and rejects unknown scopes', async () => {
+      const deps = createDeps();
+      const handlers = createAdminBudgetsHandlers(deps);
+
+      const valid = createReqRes({ query: { scope: 'tenant' } });
+      await handlers.listBudgets(valid.req, valid.res);
+      expect(deps.countBudgets).toHaveBeenCalledWith({ scope: 'tenant' });
+
+      const invalid = createReqRes({ query: { scope: 'user' } });
+      await handlers.listBudgets(invalid.req, invalid.res);
+      expect(invalid.status).toHaveBeenCalledWith(400);
+    });
+  });
+
+  describe('tenant budget', () => {
+    it('returns 404 when the tenant has no budget', async () => {
+      const handlers = createAdminBudgetsHandlers(createDeps());
+      const { req, res, status, json } = createReqRes();
+
+      await handlers.getTenantBudget(req, res);
+
+      expect(status).toHaveBeenCalledWith(404);
+      expect(json).toHaveBeenCalledWith({ error: 'Budget not found' });
+    });
+
+    it('saves the tenant budget with normalized thresholds', async () => {
+      const deps = createDeps({
+        upsertBudget: jest.fn().mockResolvedValue(mockBudget({ scope: 'tenant', groupId: null })),
+      });
+      const handlers = createAdminBudgetsHandlers(deps);
+      const { req, res, status } = createReqRes({
+        body: { monthlyLimit: 5000, warningThresholds: [0.9, 0.5, 0.9], mode: 'instead' },
+      });
+
+      await handlers.putTenantBudget(req, res);
+
+      expect(deps.upsertBudget).toHaveBeenCalledWith(
+        { scope: 'tenant' },
+        { monthlyLimit: 5000, warningThresholds: [0.5, 0.9], mode: 'instead' },
+      );
+      expect(status).toHaveBeenCalledWith(200);
+    });
+
+    it('deletes the tenant budget', async () => {
+      const deps = createDeps();
+      const handlers = createAdminBudgetsHandlers(deps);
+      const { req, res, status } = createReqRes();
+
+      await handlers.deleteTenantBudget(req, res);
+
+      expect(deps.deleteBudget).toHaveBeenCalledWith({ scope: 'tenant' });
+      expect(status).toHaveBeenCalledWith(200);
+    });
+  });
+
+  describe('group budget', () => {
+    it('returns the budget with the group name', async () => {
+      const deps = createDeps({ getBudget: jest.fn().mockResolvedValue(mockBudget()) });
+      const handlers = createAdminBudgetsHandlers(deps);
+      const { req, res, status, json } = createReqRes({ params: { groupId } });
+
+      await handlers.getGroupBudget(req, res);
+
+      expect(deps.getBudget).toHaveBeenCalledWith({ scope: 'group', groupId });
+      expect(status).toHaveBeenCalledWith(200);
+      expect(json.mock.calls[0][0].budget).toMatchObject({ groupName: 'Finance', spent: 250 });
+    });
+
+    it('rejects invalid group ids and unknown groups', async () => {
+      const deps = createDeps({ findGroupById: jest.fn().mockResolvedValue(null) });
+      const handlers = createAdminBudgetsHandlers(deps);
+
+      const invalid = createReqRes({ params: { groupId: 'bad-id' }, body: { monthlyLimit: 1 } });
+      await handlers.putGroupBudget(invalid.req, invalid.res);
+      expect(invalid.status).toHaveBeenCalledWith(400);
+
+      const missing = createReqRes({ params: { groupId }, body: { monthlyLimit: 1 } });
+      await handlers.putGroupBudget(missing.req, missing.res);
+      expect(missing.status).toHaveBeenCalledWith(404);
+      expect(deps.upsertBudget).not.toHaveBeenCalled();
+    });
+
+    it('validates the body before saving', async () => {
+      const deps = createDeps();
+      const handlers = createAdminBudgetsHandlers(deps);
+      const { req, res, status, json } = createReqRes({
+        params: { groupId },
+        body: { monthlyLimit: -5 },
+      });
+
+      await handlers.putGroupBudget(req, res);
+
+      expect(status).toHaveBeenCalledWith(400);
+      expect(json).toHaveBeenCalledWith({ error: 'monthlyLimit must be a non-negative number' });
+      expect(deps.upsertBudget).not.toHaveBeenCalled();
+    });
+
+    it('deletes a budget whose group no longer exists', async () => {
+      const deps = createDeps({ findGroupById: jest.fn().mockResolvedValue(null) });
+      const handlers = createAdminBudgetsHandlers(deps);
+      const { req, res, status, json } = createReqRes({ params: { groupId } });
+
+      await handlers.deleteGroupBudget(req, res);
+
+      expect(deps.deleteBudget).toHaveBeenCalledWith({ scope: 'group', groupId });
+      expect(status).toHaveBeenCalledWith(200);
+      expect(json).toHaveBeenCalledWith({ success: true, groupId });
+    });
+
+    it('returns 500 when saving fails', async () => {
+      const deps = createDeps({ upsertBudget: jest.fn().mockRejectedValue(new Error('db down')) });
+      const handlers = createAdminBudgetsHandlers(deps);
+      const { req, res, status, json } = createReqRes({
+        params: { groupId },
+        body: { monthlyLimit: 100 },
+      });
+
+      await handlers.putGroupBudget(req, res);
+
+      expect(status).toHaveBeenCalledWith(500);
+      expect(json).toHaveBeenCalledWith({ error: 'Failed to save budget' });
+    });
+  });
+});
+
+describe('parseBudgetSettings', () => {
+  it('accepts a full settings object', () => {
+    expect(
+      parseBudgetSettings({
+        monthlyLimit: 0,
+        warningThresholds: [1],
+        hardStop: false,
+        mode: 'additional',
+        enabled: false,
+      }),
+    ).toEqual({
+      settings: {
+        monthlyLimit: 0,
+        warningThresholds: [1],
+        hardStop: false,
+        mode: 'additional',
+        enabled: false,
+      },
+    });
+  });
+
+  it.each([
+    [null, 'Request body must be an object'],
+    [{ monthlyLimit: '100' }, 'monthlyLimit must be a non-negative number'],
+    [{ monthlyLimit: Infinity }, 'monthlyLimit must be a non-negative number'],
+    [{ monthlyLimit: 1, warningThresholds: 0.8 }, 'warningThresholds must be an array'],
+    [
+      { monthlyLimit: 1, warningThresholds: [0] },
+      'warningThresholds must be fractions between 0 (exclusive) and 1',
+    ],
+    [
+      { monthlyLimit: 1, warningThresholds: [1.5] },
+      'warningThresholds must be fractions between 0 (exclusive) and 1',
+    ],
+    [{ monthlyLimit: 1, hardStop: 'yes' }, 'hardStop must be a boolean'],
+    [{ monthlyLimit: 1, enabled: 1 }, 'enabled must be a boolean'],
+    [{ monthlyLimit: 1, mode: 'shared' }, 'mode must be "additional" or "instead"'],
+  ])('rejects %j', (body, error) => {
+    expect(parseBudgetSettings(body)).toEqual({ error });
+  });
+});
@@ -0,0 +1,288 @@
+import { logger, isValidObjectIdString } from '@librechat/data-schemas';
+import type {
+  IBudget,
+  IGroup,
+  BudgetMode,
+  BudgetScope,
+  AdminBudget,
+  BudgetTarget,
+  BudgetSettings,
+} from '@librechat/data-schemas';
+import type { Types } from 'mongoose';
+import type { Response } from 'express';
+import type { ServerRequest } from '~/types/http';
+import { parsePagination } from './pagination';
+
+const BUDGET_SCOPES: ReadonlySet<string> = new Set<BudgetScope>(['group', 'tenant']);
+const BUDGET_MODES: ReadonlySet<string> = new Set<BudgetMode>(['additional', 'instead']);
+const MAX_WARNING_THRESHOLDS = 10;
+
+interface GroupIdParams {
+  groupId: string;
+}
+
+export interface AdminBudgetsDeps {
+  listBudgets: (options?: {
+    scope?: BudgetScope;
+    limit?: number;
+    offset?: number;
+  }) => Promise<IBudget[]>;
+  countBudgets: (options?: { scope?: BudgetScope }) => Promise<number>;
+  getBudget: (target: BudgetTarget) => Promise<IBudget | null>;
+  upsertBudget: (target: BudgetTarget, settings: BudgetSettings) => Promise<IBudget | null>;
+  deleteBudget: (target: BudgetTarget) => Promise<boolean>;
+  findGroupById: (
+    groupId: string | Types.ObjectId,
+    projection?: Record<string, 0 | 1>,
+  ) => Promise<IGroup | null>;
+}
+
+function toAdminBudget(budget: IBudget, groupName?: string): AdminBudget {
+  return {
+    id: String(budget._id),
+    scope: budget.scope,
+    ...(budget.groupId != null && { groupId: String(budget.groupId) }),
+    ...(groupName != null && { groupName }),
+    monthlyLimit: budget.monthlyLimit,
+    warningThresholds: budget.warningThresholds ?? [],
+    hardStop: budget.hardStop,
+    mode: budget.mode,
+    enabled: budget.enabled,
+    periodStart: new Date(budget.periodStart).toISOString(),
+    spent: budget.spent,
+    remaining: Math.max(budget.monthlyLimit - budget.spent, 0),
+    warnedThresholds: budget.warnedThresholds ?? [],
+    ...(budget.updatedAt != null && { updatedAt: new Date(budget.updatedAt).toISOString() }),
+  };
+}
+
+/**
+ * Validates a PUT body. The body replaces the budget's settings, so omitted optional fields
+ * fall back to their defaults rather than keeping earlier values.
+ */
+export function parseBudgetSettings(
+  body: unknown,
+): { settings: BudgetSettings } | { error: string } {
+  if (body == null || typeof body !== 'object' || Array.isArray(body)) {
+    return { error: 'Request body must be an object' };
+  }
+  const { monthlyLimit, warningThresholds, hardStop, mode, enabled } = body as Record<
+    string,
+    unknown
+  >;
+
+  if (typeof monthlyLimit !== 'number' || !Number.isFinite(monthlyLimit) || monthlyLimit < 0) {
+    return { error: 'monthlyLimit must be a non-negative number' };
+  }
+  if (warningThresholds !== undefined) {
+    if (!Array.isArray(warningThresholds)) {
+      return { error: 'warningThresholds must be an array' };
+    }
+    if (warningThresholds.length > MAX_WARNING_THRESHOLDS) {
+      return { error: `warningThresholds must not exceed ${MAX_WARNING_THRESHOLDS} entries` };
+    }
+    const valid = warningThresholds.every(
+      (threshold) => typeof threshold === 'number' && threshold > 0 && threshold <= 1,
+    );
+    if (!valid) {
+      return { error: 'warningThresholds must be fractions between 0 (exclusive) and 1' };
+    }
+  }
+  if (hardStop !== undefined && typeof hardStop !== 'boolean') {
+    return { error: 'hardStop must be a boolean' };
+  }
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    return { error: 'enabled must be a boolean' };
+  }
+  if (mode !== undefined && (typeof mode !== 'string' || !BUDGET_MODES.has(mode))) {
+    return { error: 'mode must be "additional" or "instead"' };
+  }
+
+  return {
+    settings: {
+      monthlyLimit,
+      ...(warningThresholds !== undefined && {
+        warningThresholds: [...new Set(warningThresholds as number[])].sort((a, b) => a - b),
+      }),
+      ...(hardStop !== undefined && { hardStop }),
+      ...(mode !== undefined && { mode: mode as BudgetMode }),
+      ...(enabled !== undefined && { enabled }),
+    },
+  };
+}
+
+/**
+ * Creates handlers for /api/admin/budgets. Budgets are pooled token allowances attached to
+ * a group or to the whole tenant; the balance system charges and enforces them.
+ */
+export function createAdminBudgetsHandlers(deps: AdminBudgetsDeps): {
+  listBudgets: (req: ServerRequest, res: Response) => Promise<Response>;
+  getTenantBudget: (req: ServerRequest, res: Response) => Promise<Response>;
+  putTenantBudget: (req: ServerRequest, res: Response) => Promise<Response>;
+  deleteTenantBudget: (req: ServerRequest, res: Response) => Promise<Response>;
+  getGroupBudget: (req: ServerRequest, res: Response) => Promise<Response>;
+  putGroupBudget: (req: ServerRequest, res: Response) => Promise<Response>;
+  deleteGroupBudget: (req: ServerRequest, res: Response) => Promise<Response>;
+} {
+  const { listBudgets, countBudgets, getBudget, upsertBudget, deleteBudget, findGroupById } = deps;
+
+  async function getGroupName(groupId: unknown): Promise<string | undefined> {
+    if (groupId == null) {
+      return undefined;
+    }
+    const group = await findGroupById(String(groupId), { name: 1 });
+    return group?.name;
+  }
+
+  async function listBudgetsHandler(req: ServerRequest, res: Response) {
+    try {
+      const { scope } = req.query as { scope?: string };
+      if (scope != null && !BUDGET_SCOPES.has(scope)) {
+        return res.status(400).json({ error: 'scope must be "group" or "tenant"' });
+      }
+      const filter = scope != null ? { scope: scope as BudgetScope } : {};
+      const { limit, offset } = parsePagination(req.query);
+      const [budgets, total] = await Promise.all([
+        listBudgets({ ...filter, limit, offset }),
+        countBudgets(filter),
+      ]);
+      const groupNames = await Promise.all(budgets.map((budget) => getGroupName(budget.groupId)));
+      return res.status(200).json({
+        budgets: budgets.map((budget, index) => toAdminBudget(budget, groupNames[index])),
+        total,
+        limit,
+        offset,
+      });
+    } catch (error) {
+      logger.error('[adminBudgets] listBudgets error:', error);
+      return res.status(500).json({ error: 'Failed to list budgets' });
+    }
+  }
+
+  /** Resolves the group target from the route, or writes the error response. */
+  async function resolveGroupTarget(
+    req: ServerRequest,
+    res: Response,
+  ): Promise<{ target: BudgetTarget; group: IGroup } | null> {
+    const { groupId } = req.params as GroupIdParams;
+    if (!isValidObjectIdString(groupId)) {
+      res.status(400).json({ error: 'Invalid group ID format' });
+      return null;
+    }
+    const group = await findGroupById(groupId, { name: 1 });
+    if (!group) {
+      res.status(404).json({ error: 'Group not found' });
+      return null;
+    }
+    return { target: { scope: 'group', groupId }, group };
+  }
+
+  async function getTenantBudgetHandler(_req: ServerRequest, res: Response) {
+    try {
+      const budget = await getBudget({ scope: 'tenant' });
+      if (!budget) {
+        return res.status(404).json({ error: 'Budget not found' });
+      }
+      return res.status(200).json({ budget: toAdminBudget(budget) });
+    } catch (error) {
+      logger.error('[adminBudgets] getTenantBudget error:', error);
+      return res.status(500).json({ error: 'Failed to get budget' });
+    }
+  }
+
+  async function putTenantBudgetHandler(req: ServerRequest, res: Response) {
+    try {
+      const parsed = parseBudgetSettings(req.body);
+      if ('error' in parsed) {
+        return res.status(400).json({ error: parsed.error });
+      }
+      const budget = await upsertBudget({ scope: 'tenant' }, parsed.settings);
+      if (!budget) {
+        return res.status(500).json({ error: 'Failed to save budget' });
+      }
+      return res.status(200).json({ budget: toAdminBudget(budget) });
+    } catch (error) {
+      logger.error('[adminBudgets] putTenantBudget error:', error);
+      return res.status(500).json({ error: 'Failed to save budget' });
+    }
+  }
+
+  async function deleteTenantBudgetHandler(_req: ServerRequest, res: Response) {
+    try {
+      const deleted = await deleteBudget({ scope: 'tenant' });
+      if (!deleted) {
+        return res.status(404).json({ error: 'Budget not found' });
+      }
+      return res.status(200).json({ success: true });
+    } catch (error) {
+      logger.error('[adminBudgets] deleteTenantBudget error:', error);
+      return res.status(500).json({ error: 'Failed to delete budget' });
+    }
+  }
+
+  async function getGroupBudgetHandler(req: ServerRequest, res: Response) {
+    try {
+      const resolved = await resolveGroupTarget(req, res);
+      if (!resolved) {
+        return res;
+      }
+      const budget = await getBudget(resolved.target);
+      if (!budget) {
+        return res.status(404).json({ error: 'Budget not found' });
+      }
+      return res.status(200).json({ budget: toAdminBudget(budget, resolved.group.name) });
+    } catch (error) {
+      logger.error('[adminBudgets] getGroupBudget error:', error);
+      return res.status(500).json({ error: 'Failed to get budget' });
+    }
+  }
+
+  async function putGroupBudgetHandler(req: ServerRequest, res: Response) {
+    try {
+      const parsed = parseBudgetSettings(req.body);
+      if ('error' in parsed) {
+        return res.status(400).json({ error: parsed.error });
+      }
+      const resolved = await resolveGroupTarget(req, res);
+      if (!resolved) {
+        return res;
+      }
+      const budget = await upsertBudget(resolved.target, parsed.settings);
+      if (!budget) {
+        return res.status(500).json({ error: 'Failed to save budget' });
+      }
+      return res.status(200).json({ budget: toAdminBudget(budget, resolved.group.name) });
+    } catch (error) {
+      logger.error('[adminBudgets] putGroupBudget error:', error);
+      return res.status(500).json({ error: 'Failed to save budget' });
+    }
+  }
+
+  /** Deletes without requiring the group to exist, so budgets of removed groups can be cleared. */
+  async function deleteGroupBudgetHandler(req: ServerRequest, res: Response) {
+    try {
+      const { groupId } = req.params as GroupIdParams;
+      if (!isValidObjectIdString(groupId)) {
+        return res.status(400).json({ error: 'Invalid group ID format' });
+      }
+      const deleted = await deleteBudget({ scope: 'group', groupId });
+      if (!deleted) {
+        return res.status(404).json({ error: 'Budget not found' });
+      }
+      return res.status(200).json({ success: true, groupId });
+    } catch (error) {
+      logger.error('[adminBudgets] deleteGroupBudget error:', error);
+      return res.status(500).json({ error: 'Failed to delete budget' });
+    }
+  }
+
+  return {
+    listBudgets: listBudgetsHandler,
+    getTenantBudget: getTenantBudgetHandler,
+    putTenantBudget: putTenantBudgetHandler,
+    deleteTenantBudget: deleteTenantBudgetHandler,
+    getGroupBudget: getGroupBudgetHandler,
+    putGroupBudget: putGroupBudgetHandler,
+    deleteGroupBudget: deleteGroupBudgetHandler,
+  };
+}
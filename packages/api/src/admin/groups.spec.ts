@@ -824,6 +824,18 @@ describe('createAdminGroupsHandlers', () => {
         principalId: new Types.ObjectId(validId),
       });
     });
+
+    it('removes the group budget on group delete', async () => {
+      const deleteBudget = jest.fn().mockResolvedValue(true);
+      const deps = createDeps({ deleteBudget });
+      const handlers = createAdminGroupsHandlers(deps);
+      const { req, res, status } = createReqRes({ params: { id: validId } });
+
+      await handlers.deleteGroup(req, res);
+
+      expect(status).toHaveBeenCalledWith(200);
+      expect(deleteBudget).toHaveBeenCalledWith({ scope: 'group', groupId: validId });
+    });
   });
 
   describe('getGroupMembers', () => {
@@ -5,6 +5,7 @@ import type {
   IGroup,
   IUser,
   IConfig,
+  BudgetTarget,
   CreateGroupRequest,
   UpdateGroupRequest,
   GroupFilterOptions,
@@ -82,6 +83,8 @@ export interface AdminGroupsDeps {
     principalType: PrincipalType;
     principalId: string | Types.ObjectId;
   }) => Promise<DeleteResult>;
+  /** Removes the group's pooled token budget, if any. */
+  deleteBudget?: (target: BudgetTarget) => Promise<boolean>;
 }
 
 export function createAdminGroupsHandlers(deps: AdminGroupsDeps): {
@@ -107,6 +110,7 @@ export function createAdminGroupsHandlers(deps: AdminGroupsDeps): {
     findUsers,
     deleteConfig,
     deleteAclEntries,
+    deleteBudget,
   } = deps;
 
   async function listGroupsHandler(req: ServerRequest, res: Response) {
@@ -320,6 +324,7 @@ export function createAdminGroupsHandlers(deps: AdminGroupsDeps): {
           principalType: PrincipalType.GROUP,
           principalId: new Types.ObjectId(id),
         }),
+        deleteBudget?.({ scope: 'group', groupId: id }),
       ]);
       for (const result of cleanupResults) {
         if (result.status === 'rejected') {
@@ -64,6 +64,7 @@ function createDeps(overrides: Partial<AdminUsersDeps> = {}): AdminUsersDeps {
       .mockResolvedValue({ deletedCount: 1, message: 'User was deleted successfully.' }),
     deleteConfig: jest.fn().mockResolvedValue(null),
     deleteAclEntries: jest.fn().mockResolvedValue(undefined),
+    deleteAllUserSessions: jest.fn().mockResolvedValue({ deletedCount: 0 }),
     ...overrides,
   };
 }
@@ -605,4 +606,91 @@ describe('createAdminUsersHandlers', () => {
       expect(deps.cancelAgentTriggerUserDeletion).not.toHaveBeenCalled();
     });
   });
+
+  describe('revokeUserSessions', () => {
+    const targetUser = () =>
+      mockUser({ _id: new Types.ObjectId(validUserId), email: 'lost-laptop@example.com' });
+
+    it('revokes every session of the user and records an audit entry', async () => {
+      const adminId = new Types.ObjectId();
+      const recordAuditEntry = jest.fn().mockResolvedValue(undefined);
+      const deps = createDeps({
+        findUsers: jest.fn().mockResolvedValue([targetUser()]),
+        deleteAllUserSessions: jest.fn().mockResolvedValue({ deletedCount: 3 }),
+        recordAuditEntry,
+      });
+      const handlers = createAdminUsersHandlers(deps);
+      const { req, res, status, json } = createReqRes({
+        params: { id: validUserId },
+        user: { _id: adminId, role: 'ADMIN', tenantId: 'tenant-a' },
+      });
+
+      await handlers.revokeUserSessions(req, res);
+
+      expect(deps.deleteAllUserSessions).toHaveBeenCalledWith(validUserId);
+      expect(recordAuditEntry).toHaveBeenCalledWith(
+        expect.objectContaining({
+          action: 'auth.sessions_revoked',
+          actor: expect.objectContaining({ type: 'user', id: adminId.toString() }),
+          target: { type: 'user', id: validUserId, name: 'lost-laptop@example.com' },
+          metadata: { revokedSessions: 3 },
+          tenantId: 'tenant-a',
+        }),
+      );
+      expect(status).toHaveBeenCalledWith(200);
+      expect(json).toHaveBeenCalledWith({ revoked: 3 });
+    });
+
+    it('returns 404 for a user outside the tenant or unknown', async () => {
+      const deps = createDeps();
+      const handlers = createAdminUsersHandlers(deps);
+      const { req, res, status } = createReqRes({ params: { id: validUserId } });
+
+      await handlers.revokeUserSessions(req, res);
+
+      expect(status).toHaveBeenCalledWith(404);
+      expect(deps.deleteAllUserSessions).not.toHaveBeenCalled();
+    });
+
+    it('rejects an invalid user ID', async () => {
+      const deps = createDeps();
+      const handlers = createAdminUsersHandlers(deps);
+      const { req, res, status } = createReqRes({ params: { id: 'nope' } });
+
+      await handlers.revokeUserSessions(req, res);
+
+      expect(status).toHaveBeenCalledWith(400);
+    });
+
+    it('still succeeds when the audit write fails open', async () => {
+      const deps = createDeps({
+        findUsers: jest.fn().mockResolvedValue([targetUser()]),
+        recordAuditEntry: jest.fn().mockRejectedValue(new Error('audit down')),
+      });
+      const handlers = createAdminUsersHandlers(deps);
+      const { req, res, status } = createReqRes({ params: { id: validUserId } });
+
+      await handlers.revokeUserSessions(req, res);
+
+      expect(status).toHaveBeenCalledWith(200);
+    });
+
+    it('returns 500 when the audit write fails closed', async () => {
+      const deps = createDeps({
+        findUsers: jest.fn().mockResolvedValue([targetUser()]),
+        recordAuditEntry: jest.fn().mockRejectedValue(new Error('audit down')),
+        auditFailClosed: true,
+      });
+      const handlers = createAdminUsersHandlers(deps);
+      const { req, res, status, json } = createReqRes({ params: { id: validUserId } });
+
+      await handlers.revokeUserSessions(req, res);
+
+      expect(deps.recordAuditEntry).toHaveBeenCalledWith(expect.any(Object), {
+        failClosed: true,
+      });
+      expect(status).toHaveBeenCalledWith(500);
+      expect(json).toHaveBeenCalledWith({ error: 'Failed to record audit entry' });
+    });
+  });
 });
@@ -7,11 +7,14 @@ import type {
   AdminUserListItem,
   AdminUserSearchResult,
   UserDeleteResult,
+  RecordAuditEntryInput,
+  RecordAuditEntryOptions,
 } from '@librechat/data-schemas';
 import type { FilterQuery } from 'mongoose';
 import type { Response } from 'express';
 import type { ServerRequest } from '~/types/http';
 import { parsePagination } from './pagination';
+import { buildAuditContext } from './context';
 
 const MAX_SEARCH_LENGTH = 200;
 
@@ -54,12 +57,26 @@ export interface AdminUsersDeps {
     principalType: PrincipalType;
     principalId: string | Types.ObjectId;
   }) => Promise<void>;
+  deleteAllUserSessions: (userId: string) => Promise<{ deletedCount?: number }>;
+  /** Optional audit emission. Failure is logged but does not fail the request
+   * unless `auditFailClosed` is set. */
+  recordAuditEntry?: (
+    input: RecordAuditEntryInput,
+    options?: RecordAuditEntryOptions,
+  ) => Promise<void>;
+  /**
+   * When true, a failed audit write surfaces as a 5xx. The sessions are already
+   * revoked at that point; an operator must reconcile the missing audit row.
+   * Defaults to fail-open.
+   */
+  auditFailClosed?: boolean;
 }
 
 export function createAdminUsersHandlers(deps: AdminUsersDeps): {
   listUsers: (req: ServerRequest, res: Response) => Promise<Response>;
   searchUsers: (req: ServerRequest, res: Response) => Promise<Response>;
   deleteUser: (req: ServerRequest, res: Response) => Promise<Response>;
+  revokeUserSessions: (req: ServerRequest, res: Response) => Promise<Response>;
 } {
   const {
     findUsers,
@@ -73,6 +90,9 @@ export function createAdminUsersHandlers(deps: AdminUsersDeps): {
     deleteUserById,
     deleteConfig,
     deleteAclEntries,
+    deleteAllUserSessions,
+    recordAuditEntry,
+    auditFailClosed,
   } = deps;
 
   async function listUsersHandler(req: ServerRequest, res: Response) {
@@ -241,9 +261,75 @@ export function createAdminUsersHandlers(deps: AdminUsersDeps): {
     }
   }
 
+  /**
+   * Signs a user out everywhere, e.g. after a lost device, without resetting their password.
+   * Their sessions can no longer refresh, so each ends once its access token expires.
+   */
+  async function revokeUserSessionsHandler(req: ServerRequest, res: Response) {
+    try {
+      const { id } = req.params as { id: string };
+      if (!isValidObjectIdString(id)) {
+        return res.status(400).json({ error: 'Invalid user ID format' });
+      }
+
+      const [targetUser] = await findUsers({ _id: id }, '_id name username email tenantId', {
+        limit: 1,
+      });
+      if (!targetUser) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      const { deletedCount = 0 } = await deleteAllUserSessions(id);
+
+      if (recordAuditEntry) {
+        const caller = req.user;
+        const callerId = caller?._id?.toString() ?? caller?.id;
+        const input: RecordAuditEntryInput = {
+          action: 'auth.sessions_revoked',
+          outcome: 'success',
+          severity: 'warning',
+          actor: {
+            type: 'user',
+            id: callerId,
+            name: caller?.name || caller?.username || caller?.email || callerId || 'unknown',
+          },
+          target: {
+            type: 'user',
+            id,
+            name: targetUser.email || targetUser.username || targetUser.name,
+          },
+          metadata: { revokedSessions: deletedCount },
+          context: buildAuditContext(req),
+          tenantId: caller?.tenantId,
+        };
+        if (auditFailClosed) {
+          try {
+            await recordAuditEntry(input, { failClosed: true });
+          } catch (auditErr) {
+            logger.error('[adminUsers] session revocation audit failed (fail-closed)', auditErr);
+            return res.status(500).json({ error: 'Failed to record audit entry' });
+          }
+        } else {
+          try {
+            await recordAuditEntry(input);
+          } catch (auditErr) {
+            logger.error('[adminUsers] audit write failed', auditErr);
+          }
+        }
+      }
+
+      logger.info(`[adminUsers] Revoked ${deletedCount} session(s) of user ${id}`);
+      return res.status(200).json({ revoked: deletedCount });
+    } catch (error) {
+      logger.error('[adminUsers] revokeUserSessions error:', error);
+      return res.status(500).json({ error: 'Failed to revoke sessions' });
+    }
+  }
+
   return {
     listUsers: listUsersHandler,
     searchUsers: searchUsersHandler,
     deleteUser: deleteUserHandler,
+    revokeUserSessions: revokeUserSessionsHandler,
   };
 }
@@ -19,6 +19,7 @@ import {
   CHECK_BACKGROUND_TASK_NAME,
   RUN_IN_BACKGROUND_ARG,
 } from './background';
+import { InMemoryBackgroundResultStore } from './backgroundResults/InMemoryBackgroundResultStore';
 import { SubagentTaskOwnerUnavailableError } from './subagentTaskRouting';
 import { TOOL_SELECTION_WILDCARD } from './selection';
 import { toolOptionsSchema } from './validation';
@@ -986,6 +987,187 @@ describe('BackgroundTaskRegistryClass', () => {
   });
 });
 
+describe('shared background result store', () => {
+  const dispatch = (registry: BackgroundTaskRegistryClass, conversationId: string) => {
+    const created = registry.create({
+      userId: 'shared_user',
+      conversationId,
+      toolCallId: 'call_shared',
+      toolName: 'search_mcp_docs',
+      messageId: 'dispatch-msg',
+    });
+    if ('atCapacity' in created) {
+      throw new Error('unexpected capacity');
+    }
+    return created.task;
+  };
+
+  afterEach(() => {
+    backgroundTaskRegistry.configureStore(null);
+  });
+
+  it('writes each state change through, in order', async () => {
+    const store = new InMemoryBackgroundResultStore();
+    const save = jest.spyOn(store, 'save');
+    const registry = new BackgroundTaskRegistryClass();
+    registry.configureStore(store);
+
+    const task = dispatch(registry, 'shared_writes');
+    registry.complete('shared_user', 'shared_writes', task.id, { content: 'DONE' });
+    registry.attachHarvest('shared_user', 'shared_writes', task.id, [{ file_id: 'f1' }]);
+    await registry.flush();
+
+    expect(save.mock.calls.map(([record]) => record.status)).toEqual([
+      'running',
+      'completed',
+      'completed',
+    ]);
+    await expect(store.get('shared_user', 'shared_writes', task.id)).resolves.toEqual(
+      expect.objectContaining({
+        status: 'completed',
+        result: 'DONE',
+        attachmentCount: 1,
+        ownerId: registry.ownerId,
+      }),
+    );
+    registry.configureStore(null);
+  });
+
+  it('answers a poll for a task dispatched by another replica', async () => {
+    const store = new InMemoryBackgroundResultStore();
+    const owner = new BackgroundTaskRegistryClass();
+    owner.configureStore(store);
+    backgroundTaskRegistry.configureStore(store);
+
+    const task = dispatch(owner, 'shared_poll');
+    owner.complete('shared_user', 'shared_poll', task.id, {
+      content: 'REMOTE_RESULT',
+      artifact: { big: true },
+    });
+    await owner.flush();
+
+    const polled = JSON.parse(
+      await runCheckBackgroundTask({
+        userId: 'shared_user',
+        conversationId: 'shared_poll',
+        args: { background_task_id: task.id },
+      }),
+    );
+    expect(polled).toEqual(
+      expect.objectContaining({
+        background_task_id: task.id,
+        status: 'completed',
+        result: 'REMOTE_RESULT',
+        note: 'The tool produced an artifact that is not included inline.',
+      }),
+    );
+    owner.configureStore(null);
+  });
+
+  it('reports a running task as interrupted once its owner stops heartbeating', async () => {
+    const store = new InMemoryBackgroundResultStore({ ownerTtlMs: 1_000 });
+    const owner = new BackgroundTaskRegistryClass();
+    owner.configureStore(store);
+    backgroundTaskRegistry.configureStore(store);
+    const task = dispatch(owner, 'shared_crash');
+    await owner.flush();
+    /** The owner process dies: no more heartbeats or writes. */
+    owner.configureStore(null);
+
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now + 2_000);
+    try {
+      const polled = JSON.parse(
+        await runCheckBackgroundTask({
+          userId: 'shared_user',
+          conversationId: 'shared_crash',
+          args: { background_task_id: task.id },
+        }),
+      );
+      expect(polled).toEqual(
+        expect.objectContaining({
+          background_task_id: task.id,
+          status: 'interrupted',
+          progress: 1,
+          error: expect.stringContaining('stopped before it finished'),
+        }),
+      );
+    } finally {
+      jest.restoreAllMocks();
+    }
+  });
+
+  it('merges shared tasks into the list without duplicating local ones', async () => {
+    const store = new InMemoryBackgroundResultStore();
+    const remote = new BackgroundTaskRegistryClass();
+    remote.configureStore(store);
+    backgroundTaskRegistry.configureStore(store);
+
+    const remoteTask = dispatch(remote, 'shared_list');
+    const localTask = dispatch(backgroundTaskRegistry, 'shared_list');
+    await remote.flush();
+    await backgroundTaskRegistry.flush();
+
+    const listed = JSON.parse(
+      await runCheckBackgroundTask({
+        userId: 'shared_user',
+        conversationId: 'shared_list',
+        args: {},
+      }),
+    );
+    expect(
+      listed.tasks.map((task: { background_task_id: string }) => task.background_task_id),
+    ).toEqual([remoteTask.id, localTask.id]);
+    expect(listed).not.toHaveProperty('partial');
+    remote.configureStore(null);
+  });
+
+  it('keeps local results visible when the shared store is unreachable', async () => {
+    const store = new InMemoryBackgroundResultStore();
+    backgroundTaskRegistry.configureStore(store);
+    const localTask = dispatch(backgroundTaskRegistry, 'shared_outage');
+    await backgroundTaskRegistry.flush();
+    jest.spyOn(store, 'list').mockRejectedValue(new Error('connection lost'));
+    jest.spyOn(store, 'get').mockRejectedValue(new Error('connection lost'));
+
+    try {
+      const listed = JSON.parse(
+        await runCheckBackgroundTask({
+          userId: 'shared_user',
+          conversationId: 'shared_outage',
+          args: {},
+        }),
+      );
+      expect(listed.partial).toBe(true);
+      expect(
+        listed.tasks.map((task: { background_task_id: string }) => task.background_task_id),
+      ).toEqual([localTask.id]);
+
+      const local = JSON.parse(
+        await runCheckBackgroundTask({
+          userId: 'shared_user',
+          conversationId: 'shared_outage',
+          args: { background_task_id: localTask.id },
+        }),
+      );
+      expect(local.status).toBe('running');
+
+      const unknown = JSON.parse(
+        await runCheckBackgroundTask({
+          userId: 'shared_user',
+          conversationId: 'shared_outage',
+          args: { background_task_id: 'elsewhere' },
+        }),
+      );
+      expect(unknown).toEqual(
+        expect.objectContaining({ status: 'unavailable', background_task_id: 'elsewhere' }),
+      );
+    } finally {
+      jest.restoreAllMocks();
+    }
+  });
+});
+
 describe('getBackgroundCodeDelivery (singleton)', () => {
   it('exposes harvest state for a settled task and stays available across polls', () => {
     const created = backgroundTaskRegistry.create({
@@ -13,14 +13,17 @@
  * signal does not reach the detached invoke (the graph forwards only
  * `configurable`/`metadata` to the tool-execute handler, never `signal`), so
  * the floating promise keeps running past turn completion and its result stays
- * in the in-process registry for a later turn to poll. Two boundaries: results
- * are lost on restart and are not shared across replicas (durable follow-up),
- * and ephemeral request-scoped MCP tools (runtime `{{LIBRECHAT_BODY_*}}`
- * placeholders) are never backgrounded — their connection is torn down at
- * request end, so the executor runs them in the foreground instead. Detached
- * subagents use the separate host task store; Redis-backed hosts may route
- * their poll/control operations to the owning process without moving the live
- * executor or making ordinary background tool results durable.
+ * in the in-process registry for a later turn to poll. When a shared result
+ * store is configured (`BACKGROUND_TASK_STORE`, Redis or Mongo), every task
+ * state change is written through to it, so a poll routed to another replica —
+ * or arriving after a restart — still finds the result; a task whose owning
+ * process stopped heartbeating before it settled reports `interrupted`.
+ * Artifacts and harvested files stay with the owning process. Ephemeral
+ * request-scoped MCP tools (runtime `{{LIBRECHAT_BODY_*}}` placeholders) are
+ * never backgrounded — their connection is torn down at request end, so the
+ * executor runs them in the foreground instead. Detached subagents use the
+ * separate host task store; Redis-backed hosts may route their poll/control
+ * operations to the owning process without moving the live executor.
  *
  * Opt-in mirrors `deferred_tools`: an admin capability
  * (`AgentCapabilities.run_in_background`) gates the feature, and a per-tool
@@ -49,6 +52,11 @@ import type {
   SubagentTaskStore,
 } from '@librechat/agents';
 import type { AgentToolOptions } from 'librechat-data-provider';
+import type {
+  BackgroundResultRecord,
+  IBackgroundResultStore,
+  SharedBackgroundResult,
+} from './backgroundResults';
 import type { CapabilityToolNames } from './selection';
 import {
   resolveToolOption,
@@ -198,7 +206,7 @@ export function stripRunInBackgroundArg(args: unknown): unknown {
 const RUN_IN_BACKGROUND_PROPERTY: JsonSchemaType = Object.freeze<JsonSchemaType>({
   type: 'boolean',
   description:
-    'Set true to run this tool call in the background: it returns immediately with a background_task_id instead of blocking, so you can keep working while it runs. Poll check_background_task with that id to collect the result. The task persists on this server, so you may collect it later in this turn or in a following turn (it does not survive a server restart). Use for a slow call whose result you do not need right away.',
+    'Set true to run this tool call in the background: it returns immediately with a background_task_id instead of blocking, so you can keep working while it runs. Poll check_background_task with that id to collect the result. You may collect it later in this turn or in a following turn; if the server running it stops first, polling reports status "interrupted". Use for a slow call whose result you do not need right away.',
 });
 
 /**
@@ -305,7 +313,7 @@ export function stripBackgroundFromToolRegistry(
 
 const CHECK_BACKGROUND_TASK_DESCRIPTION = `Check, control, and retrieve tool or subagent tasks previously dispatched in the background (with run_in_background: true).
 
-Provide a background_task_id to poll one task; omit it to list every background task in this thread. A task is only finished when its status is "completed", "error", or "cancelled" — never assume completion without polling. Results are not pushed to you; you must call this tool to collect them. Subagent tasks additionally accept steer, queue, interrupt, cancel, and cancel_message actions while running. Live subagent controls route across API replicas but do not survive a restart of the process that owns the executor. A completed subagent thread may be continued later through the subagent tool's durable thread id.`;
+Provide a background_task_id to poll one task; omit it to list every background task in this thread. A task is only finished when its status is "completed", "error", "interrupted", or "cancelled" — never assume completion without polling. Results are not pushed to you; you must call this tool to collect them. Subagent tasks additionally accept steer, queue, interrupt, cancel, and cancel_message actions while running. Live subagent controls route across API replicas but do not survive a restart of the process that owns the executor. A completed subagent thread may be continued later through the subagent tool's durable thread id.`;
 
 /**
  * `maxLength` is valid JSON Schema and is honored by providers, but the SDK's
@@ -525,7 +533,12 @@ export function synthesizeBackgroundToolOptions(sources: {
   );
 }
 
-export type BackgroundTaskStatus = 'running' | 'completed' | 'error';
+/**
+ * `interrupted` is never set by the owning registry: it is how a task read back
+ * from the shared store reports a `running` record whose owner stopped
+ * heartbeating, since that result will never arrive.
+ */
+export type BackgroundTaskStatus = 'running' | 'completed' | 'error' | 'interrupted';
 
 export interface BackgroundTask {
   id: string;
@@ -561,6 +574,11 @@ export interface BackgroundTask {
   harvestStarted?: boolean;
   /** True once the artifact has been handed to a live poll turn's callback. */
   artifactDelivered?: boolean;
+  /**
+   * Harvested attachment count, set only on tasks read back from the shared
+   * store — the attachments themselves are delivered by the owning process.
+   */
+  attachmentCount?: number;
   /** Error message when status === 'error'. */
   error?: string;
   createdAt: number;
@@ -568,6 +586,8 @@ export interface BackgroundTask {
 }
 
 interface TaskBucket {
+  userId: string;
+  conversationId: string;
   tasks: Map<string, BackgroundTask>;
   /** toolCallId -> taskId, for dispatch idempotency across graph re-execution. */
   byToolCall: Map<string, string>;
@@ -585,6 +605,11 @@ const MAX_TASKS_PER_BUCKET = 200;
 const MAX_RESULT_CHARS = 100_000;
 const MAX_ARTIFACT_CHARS = 10_000_000;
 const GLOBAL_SWEEP_INTERVAL_MS = 60 * 1000;
+/** Kept well under the store's owner TTL (90s by default) so one missed beat
+ *  doesn't mark live tasks as interrupted. */
+const OWNER_HEARTBEAT_INTERVAL_MS = 30 * 1000;
+const INTERRUPTED_TASK_ERROR =
+  'The server running this task stopped before it finished. Run the tool again if you still need its result.';
 
 let lastDispatchStamp = 0;
 /**
@@ -627,18 +652,139 @@ function toStoredArtifact(taskId: string, artifact: unknown): unknown {
   return artifact;
 }
 
+/**
+ * Rebuilds a task from its shared record. A `running` record is settled here
+ * rather than by its owner when the owner is gone (`interrupted`) or when the
+ * owner would already have reaped it as timed out.
+ */
+function fromSharedResult(shared: SharedBackgroundResult, now: number): BackgroundTask {
+  const task: BackgroundTask = {
+    id: shared.id,
+    toolName: shared.toolName,
+    toolCallId: shared.toolCallId,
+    ...(shared.messageId != null && { messageId: shared.messageId }),
+    ...(shared.agentId != null && { agentId: shared.agentId }),
+    status: shared.status,
+    ...(shared.result != null && { result: shared.result }),
+    ...(shared.error != null && { error: shared.error }),
+    ...(shared.harvestStarted === true && { harvestStarted: true }),
+    ...(shared.hasArtifact === true && { artifactDelivered: true }),
+    ...(shared.attachmentCount != null &&
+      shared.attachmentCount > 0 && { attachmentCount: shared.attachmentCount }),
+    createdAt: shared.createdAt,
+    updatedAt: shared.updatedAt,
+  };
+  if (task.status !== 'running') {
+    return task;
+  }
+  if (!shared.ownerAlive) {
+    return { ...task, status: 'interrupted', error: INTERRUPTED_TASK_ERROR };
+  }
+  if (now - task.createdAt > RUNNING_TASK_TTL_MS) {
+    return { ...task, status: 'error', error: 'Background task timed out' };
+  }
+  return task;
+}
+
 /**
  * In-process store of background tool tasks, scoped per user + conversation.
  *
- * MVP scope: single Node process. A task's result survives across turns within
- * the same server process (a floating promise keeps running on the event loop),
- * but is lost on restart and is not shared across Redis replicas — a run resumed
- * on another replica cannot see it. A Redis-backed store would slot in behind
- * this same interface as a follow-up.
+ * The registry owns the live tasks of this process: the floating promise that
+ * settles a task, its artifact, and its harvest all stay here. With a shared
+ * store configured (`configureStore`), each state change is also written
+ * through, in order per task, so `getShared`/`listShared` can answer a poll
+ * for a task this process never ran. Without one, results are lost on restart
+ * and are not visible to other replicas.
  */
 export class BackgroundTaskRegistryClass {
   private readonly buckets = new Map<string, TaskBucket>();
   private lastGlobalSweepAt = 0;
+  private store: IBackgroundResultStore | null = null;
+  private heartbeatInterval: NodeJS.Timeout | null = null;
+  /** Tail of each task's write chain, so a late `running` write can't land
+   *  after (and overwrite) the settled one. */
+  private readonly pendingWrites = new Map<string, Promise<void>>();
+  /** Identifies this process's tasks in the shared store for liveness checks. */
+  readonly ownerId: string = randomUUID();
+
+  /**
+   * Attaches (or, with null, detaches) the shared result store and starts this
+   * process's owner heartbeat. The heartbeat timer is unref'd so it never holds
+   * the process open.
+   */
+  configureStore(store: IBackgroundResultStore | null): void {
+    if (this.heartbeatInterval) {
+      clearInterval(this.heartbeatInterval);
+      this.heartbeatInterval = null;
+    }
+    this.store = store;
+    if (!store) {
+      return;
+    }
+    const beat = () => {
+      store.heartbeat(this.ownerId).catch((error) => {
+        logger.warn('[background] Failed to refresh the background task owner heartbeat', error);
+      });
+    };
+    beat();
+    this.heartbeatInterval = setInterval(beat, OWNER_HEARTBEAT_INTERVAL_MS);
+    if (this.heartbeatInterval.unref) {
+      this.heartbeatInterval.unref();
+    }
+  }
+
+  /** Resolves once every write-through issued so far has settled. */
+  async flush(): Promise<void> {
+    await Promise.all([...this.pendingWrites.values()]);
+  }
+
+  /**
+   * Writes a snapshot of the task to the shared store. Fire-and-forget: the
+   * registry stays the source of truth for this process, so a failed write only
+   * narrows what other replicas can see, and is logged rather than thrown.
+   */
+  private persist(bucket: TaskBucket, task: BackgroundTask): void {
+    const store = this.store;
+    if (!store) {
+      return;
+    }
+    const record: BackgroundResultRecord = {
+      id: task.id,
+      userId: bucket.userId,
+      conversationId: bucket.conversationId,
+      toolName: task.toolName,
+      toolCallId: task.toolCallId,
+      ...(task.messageId != null && { messageId: task.messageId }),
+      ...(task.agentId != null && { agentId: task.agentId }),
+      status: task.status === 'interrupted' ? 'error' : task.status,
+      ...(task.result != null && { result: task.result }),
+      ...(task.error != null && { error: task.error }),
+      hasArtifact: task.artifact != null || task.artifactDelivered === true,
+      attachmentCount: task.attachments?.length ?? 0,
+      harvestStarted: task.harvestStarted === true,
+      ownerId: this.ownerId,
+      createdAt: task.createdAt,
+      updatedAt: task.updatedAt,
+    };
+    /** A running record must outlive the running TTL plus the settled TTL, so a
+     *  poll after a crash still finds it and reports it interrupted. */
+    const ttlMs =
+      task.status === 'running'
+        ? RUNNING_TASK_TTL_MS + COMPLETED_TASK_TTL_MS
+        : COMPLETED_TASK_TTL_MS;
+    const previous = this.pendingWrites.get(task.id) ?? Promise.resolve();
+    const write = previous
+      .then(() => store.save(record, ttlMs))
+      .catch((error) => {
+        logger.warn(`[background] Failed to share the state of background task ${task.id}`, error);
+      });
+    this.pendingWrites.set(task.id, write);
+    void write.then(() => {
+      if (this.pendingWrites.get(task.id) === write) {
+        this.pendingWrites.delete(task.id);
+      }
+    });
+  }
 
   private key(userId: string, conversationId: string): string {
     return `${userId}::${conversationId}`;
@@ -652,6 +798,7 @@ export class BackgroundTaskRegistryClass {
         task.status = 'error';
         task.error = 'Background task timed out';
         task.updatedAt = now;
+        this.persist(bucket, task);
         continue;
       }
       if (task.status !== 'running' && now - task.updatedAt > COMPLETED_TASK_TTL_MS) {
@@ -691,7 +838,7 @@ export class BackgroundTaskRegistryClass {
     const bucketKey = this.key(userId, conversationId);
     let bucket = this.buckets.get(bucketKey);
     if (!bucket) {
-      bucket = { tasks: new Map(), byToolCall: new Map(), lastAccess: now };
+      bucket = { userId, conversationId, tasks: new Map(), byToolCall: new Map(), lastAccess: now };
       this.buckets.set(bucketKey, bucket);
     }
     bucket.lastAccess = now;
@@ -778,6 +925,7 @@ export class BackgroundTaskRegistryClass {
     };
     bucket.tasks.set(task.id, task);
     bucket.byToolCall.set(dedupeKey, task.id);
+    this.persist(bucket, task);
     return { task, isNew: true };
   }
 
@@ -789,10 +937,11 @@ export class BackgroundTaskRegistryClass {
   ): void {
     const bucket = this.buckets.get(this.key(userId, conversationId));
     const task = bucket?.tasks.get(taskId);
-    if (!task) {
+    if (!bucket || !task) {
       return;
     }
     Object.assign(task, patch, { updatedAt: Date.now() });
+    this.persist(bucket, task);
   }
 
   complete(
@@ -911,7 +1060,7 @@ export class BackgroundTaskRegistryClass {
   revokeHarvest(userId: string, conversationId: string, taskId: string, artifact?: unknown): void {
     const bucket = this.buckets.get(this.key(userId, conversationId));
     const task = bucket?.tasks.get(taskId);
-    if (!task) {
+    if (!bucket || !task) {
       return;
     }
     task.harvestStarted = undefined;
@@ -920,6 +1069,7 @@ export class BackgroundTaskRegistryClass {
       task.artifactDelivered = false;
     }
     task.updatedAt = Date.now();
+    this.persist(bucket, task);
   }
 
   get(userId: string, conversationId: string, taskId: string): BackgroundTask | undefined {
@@ -947,9 +1097,55 @@ export class BackgroundTaskRegistryClass {
     this.sweepBucketTasks(bucket, now);
     return [...bucket.tasks.values()].sort((a, b) => a.createdAt - b.createdAt);
   }
+
+  /**
+   * Like `get`, but falls back to the shared store for a task this process
+   * does not hold. Store errors propagate so the caller can tell "missing"
+   * apart from "unreachable".
+   */
+  async getShared(
+    userId: string,
+    conversationId: string,
+    taskId: string,
+  ): Promise<BackgroundTask | undefined> {
+    const local = this.get(userId, conversationId, taskId);
+    if (local != null || !this.store) {
+      return local;
+    }
+    const shared = await this.store.get(userId, conversationId, taskId);
+    return shared ? fromSharedResult(shared, Date.now()) : undefined;
+  }
+
+  /**
+   * Like `list`, merged with the shared store's tasks for the conversation.
+   * Local entries win: they carry the artifact and harvest state the shared
+   * record only summarizes.
+   */
+  async listShared(userId: string, conversationId: string): Promise<BackgroundTask[]> {
+    const local = this.list(userId, conversationId);
+    if (!this.store) {
+      return local;
+    }
+    const shared = await this.store.list(userId, conversationId);
+    const localIds = new Set(local.map((task) => task.id));
+    const now = Date.now();
+    const remote = shared
+      .filter((record) => !localIds.has(record.id))
+      .map((record) => fromSharedResult(record, now));
+    return [...local, ...remote].sort((a, b) => a.createdAt - b.createdAt);
+  }
 }
 
-export const backgroundTaskRegistry = new BackgroundTaskRegistryClass();
+export const backgroundTaskRegistry: BackgroundTaskRegistryClass =
+  new BackgroundTaskRegistryClass();
+
+/**
+ * Attaches the shared background result store at startup; see
+ * `createBackgroundResultStore`. Passing null keeps results process-local.
+ */
+export function configureBackgroundResultStore(store: IBackgroundResultStore | null): void {
+  backgroundTaskRegistry.configureStore(store);
+}
 
 /** Content for the synthetic ToolMessage returned when a call is backgrounded. */
 export function buildBackgroundHandleContent(task: BackgroundTask): string {
@@ -957,7 +1153,7 @@ export function buildBackgroundHandleContent(task: BackgroundTask): string {
     background_task_id: task.id,
     tool: task.toolName,
     status: task.status,
-    message: `Started "${task.toolName}" in the background. Call ${CHECK_BACKGROUND_TASK_NAME} with background_task_id "${task.id}" to check progress and retrieve the result; it persists on this server, so you may poll it later in this turn or in a following turn. Do not assume it has finished until you have polled and seen status "completed".`,
+    message: `Started "${task.toolName}" in the background. Call ${CHECK_BACKGROUND_TASK_NAME} with background_task_id "${task.id}" to check progress and retrieve the result; you may poll it later in this turn or in a following turn. Do not assume it has finished until you have polled and seen status "completed".`,
   });
 }
 
@@ -1003,7 +1199,7 @@ function resultFields(
 }
 
 function taskNote(task: BackgroundTask): Pick<SerializedBackgroundTask, 'note'> {
-  if (task.attachments != null && task.attachments.length > 0) {
+  if ((task.attachments?.length ?? task.attachmentCount ?? 0) > 0) {
     return {
       note: 'Generated files were saved and attached to the tool call that dispatched this task.',
     };
@@ -1195,7 +1391,21 @@ export async function runCheckBackgroundTask(params: {
   const invocationId = controlInvocationId(params);
 
   if (taskId) {
-    const task = backgroundTaskRegistry.get(userId, conversationId, taskId);
+    let task: BackgroundTask | undefined;
+    try {
+      task = await backgroundTaskRegistry.getShared(userId, conversationId, taskId);
+    } catch (error) {
+      logger.warn(
+        `[background] Failed to read background task ${taskId} from the shared store`,
+        error,
+      );
+      return JSON.stringify({
+        status: 'unavailable',
+        background_task_id: taskId,
+        message:
+          'The background task store is unreachable, so this task cannot be checked right now. Try again shortly.',
+      });
+    }
     if (task != null) {
       if (action !== 'poll') {
         return JSON.stringify({
@@ -1264,9 +1474,20 @@ export async function runCheckBackgroundTask(params: {
     });
   }
 
-  const tasks = backgroundTaskRegistry.list(userId, conversationId);
+  let tasks: BackgroundTask[];
+  const listWarnings: string[] = [];
+  try {
+    tasks = await backgroundTaskRegistry.listShared(userId, conversationId);
+  } catch (error) {
+    /** Same rule as subagent discovery below: the shared store is additive, so
+     *  an outage lists this process's tasks and flags the view as partial. */
+    logger.warn('[background] Failed to list background tasks from the shared store', error);
+    tasks = backgroundTaskRegistry.list(userId, conversationId);
+    listWarnings.push(
+      'Background tasks started by other servers could not be listed because the task store is unreachable.',
+    );
+  }
   let subagentTasks: SerializedSubagentTask[] = [];
-  let listWarning: string | undefined;
   if (params.subagentTasks != null) {
     try {
       const routedStore = routedSubagentStore(params.subagentTasks.store);
@@ -1283,7 +1504,7 @@ export async function runCheckBackgroundTask(params: {
         subagentTasks = params.subagentTasks.store
           .list(params.subagentTasks.scopeId)
           .map((task) => serializeSubagentSnapshot(task));
-        listWarning = `Cross-replica subagent tasks could not be listed: ${error.message}`;
+        listWarnings.push(`Cross-replica subagent tasks could not be listed: ${error.message}`);
       } else {
         throw error;
       }
@@ -1297,7 +1518,7 @@ export async function runCheckBackgroundTask(params: {
       ...tasks.map((task) => serializeTask(task, { includeResult: false })),
       ...subagentTasks,
     ],
-    ...(listWarning != null && { partial: true, warning: listWarning }),
+    ...(listWarnings.length > 0 && { partial: true, warning: listWarnings.join(' ') }),
   });
 }
 
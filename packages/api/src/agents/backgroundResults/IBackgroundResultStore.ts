@@ -0,0 +1,69 @@
+/**
+ * Shared storage for backgrounded tool call results.
+ *
+ * The process that dispatches a background tool call keeps the live task in its
+ * in-process registry (the floating promise, artifacts, harvest bookkeeping) and
+ * writes a serializable copy through to this store, so a follow-up
+ * `check_background_task` routed to another replica, or served after a restart,
+ * can still find the result. Every owning process sends a heartbeat; a running
+ * task whose owner stopped sending one can never settle, and reads report it as
+ * such instead of leaving the model polling a task nobody is running.
+ */
+
+/** Status as written by the owning process. */
+export type BackgroundResultStatus = 'running' | 'completed' | 'error';
+
+export interface BackgroundResultRecord {
+  id: string;
+  userId: string;
+  conversationId: string;
+  toolName: string;
+  toolCallId: string;
+  messageId?: string;
+  agentId?: string;
+  status: BackgroundResultStatus;
+  result?: string;
+  error?: string;
+  /** The tool produced an artifact, held by the owning process only. */
+  hasArtifact?: boolean;
+  /** Attachments the owner persisted onto the dispatch turn's message. */
+  attachmentCount?: number;
+  harvestStarted?: boolean;
+  /** Instance id of the process running the task. */
+  ownerId: string;
+  createdAt: number;
+  updatedAt: number;
+}
+
+/** A record as read back, with the liveness of its owner resolved by the store. */
+export interface SharedBackgroundResult extends BackgroundResultRecord {
+  /** Whether the owning process sent a heartbeat within the store's owner TTL. */
+  ownerAlive: boolean;
+}
+
+export interface BackgroundResultStoreOptions {
+  /** How long an owner counts as alive after its last heartbeat (default: 90 seconds). */
+  ownerTtlMs?: number;
+}
+
+export const DEFAULT_BACKGROUND_OWNER_TTL_MS: number = 90 * 1000;
+
+export interface IBackgroundResultStore {
+  /** Starts any periodic cleanup; idempotent. */
+  initialize(): Promise<void>;
+  /**
+   * Writes the latest state of a task, replacing the previous one, and expires it
+   * after `ttlMs`. Writes for one task are issued in order by its owner.
+   */
+  save(record: BackgroundResultRecord, ttlMs: number): Promise<void>;
+  get(
+    userId: string,
+    conversationId: string,
+    taskId: string,
+  ): Promise<SharedBackgroundResult | null>;
+  /** Tasks of one conversation in dispatch order. */
+  list(userId: string, conversationId: string): Promise<SharedBackgroundResult[]>;
+  /** Records that `ownerId` is alive and still running its tasks. */
+  heartbeat(ownerId: string): Promise<void>;
+  destroy(): Promise<void>;
+}
@@ -0,0 +1,112 @@
+import type {
+  BackgroundResultRecord,
+  IBackgroundResultStore,
+  SharedBackgroundResult,
+  BackgroundResultStoreOptions,
+} from './IBackgroundResultStore';
+import { DEFAULT_BACKGROUND_OWNER_TTL_MS } from './IBackgroundResultStore';
+
+interface StoredEntry {
+  record: BackgroundResultRecord;
+  expiresAt: number;
+}
+
+/**
+ * Single-process implementation of {@link IBackgroundResultStore}. Results are
+ * shared between registries of one process only — it exists for tests and for
+ * parity with the Redis and Mongo stores, not for durability.
+ */
+export class InMemoryBackgroundResultStore implements IBackgroundResultStore {
+  private readonly entries = new Map<string, StoredEntry>();
+  private readonly owners = new Map<string, number>();
+  private readonly ownerTtlMs: number;
+  private cleanupInterval: NodeJS.Timeout | null = null;
+
+  /** Cleanup interval in ms (1 minute) */
+  private cleanupIntervalMs = 60000;
+
+  constructor(options: BackgroundResultStoreOptions = {}) {
+    this.ownerTtlMs = options.ownerTtlMs ?? DEFAULT_BACKGROUND_OWNER_TTL_MS;
+  }
+
+  async initialize(): Promise<void> {
+    if (this.cleanupInterval) {
+      return;
+    }
+    this.cleanupInterval = setInterval(() => this.cleanup(), this.cleanupIntervalMs);
+    if (this.cleanupInterval.unref) {
+      this.cleanupInterval.unref();
+    }
+  }
+
+  private key(userId: string, conversationId: string, taskId: string): string {
+    return `${userId}::${conversationId}::${taskId}`;
+  }
+
+  private cleanup(now = Date.now()): void {
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(key);
+      }
+    }
+    for (const [ownerId, expiresAt] of this.owners) {
+      if (expiresAt <= now) {
+        this.owners.delete(ownerId);
+      }
+    }
+  }
+
+  private resolve(entry: StoredEntry | undefined, now: number): SharedBackgroundResult | null {
+    if (!entry || entry.expiresAt <= now) {
+      return null;
+    }
+    const ownerExpiresAt = this.owners.get(entry.record.ownerId) ?? 0;
+    return { ...entry.record, ownerAlive: ownerExpiresAt > now };
+  }
+
+  async save(record: BackgroundResultRecord, ttlMs: number): Promise<void> {
+    const now = Date.now();
+    this.entries.set(this.key(record.userId, record.conversationId, record.id), {
+      record: { ...record },
+      expiresAt: now + ttlMs,
+    });
+    /** A write is proof of life, as it is for the Mongo store's `heartbeatAt`. */
+    this.owners.set(record.ownerId, now + this.ownerTtlMs);
+  }
+
+  async get(
+    userId: string,
+    conversationId: string,
+    taskId: string,
+  ): Promise<SharedBackgroundResult | null> {
+    return this.resolve(this.entries.get(this.key(userId, conversationId, taskId)), Date.now());
+  }
+
+  async list(userId: string, conversationId: string): Promise<SharedBackgroundResult[]> {
+    const now = Date.now();
+    const results: SharedBackgroundResult[] = [];
+    for (const entry of this.entries.values()) {
+      if (entry.record.userId !== userId || entry.record.conversationId !== conversationId) {
+        continue;
+      }
+      const resolved = this.resolve(entry, now);
+      if (resolved) {
+        results.push(resolved);
+      }
+    }
+    return results.sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  async heartbeat(ownerId: string): Promise<void> {
+    this.owners.set(ownerId, Date.now() + this.ownerTtlMs);
+  }
+
+  async destroy(): Promise<void> {
+    if (this.cleanupInterval) {
+      clearInterval(this.cleanupInterval);
+      this.cleanupInterval = null;
+    }
+    this.entries.clear();
+    this.owners.clear();
+  }
+}
@@ -0,0 +1,98 @@
+import type { IBackgroundTaskResult, BackgroundTaskResultMethods } from '@librechat/data-schemas';
+import type {
+  BackgroundResultRecord,
+  IBackgroundResultStore,
+  SharedBackgroundResult,
+  BackgroundResultStoreOptions,
+} from './IBackgroundResultStore';
+import { DEFAULT_BACKGROUND_OWNER_TTL_MS } from './IBackgroundResultStore';
+
+export type MongoBackgroundResultStoreDeps = BackgroundTaskResultMethods;
+
+/**
+ * MongoDB implementation of {@link IBackgroundResultStore}, for multi-replica
+ * deployments without Redis. Expiry is left to the collection's TTL index, and
+ * a heartbeat refreshes `heartbeatAt` on all running tasks of its owner.
+ */
+export class MongoBackgroundResultStore implements IBackgroundResultStore {
+  private readonly ownerTtlMs: number;
+
+  constructor(
+    private readonly deps: MongoBackgroundResultStoreDeps,
+    options: BackgroundResultStoreOptions = {},
+  ) {
+    this.ownerTtlMs = options.ownerTtlMs ?? DEFAULT_BACKGROUND_OWNER_TTL_MS;
+  }
+
+  async initialize(): Promise<void> {
+    /** The TTL index expires records; nothing to schedule. */
+  }
+
+  private fromDocument(document: IBackgroundTaskResult): SharedBackgroundResult {
+    return {
+      id: document.taskId,
+      userId: document.user,
+      conversationId: document.conversationId,
+      toolName: document.toolName,
+      toolCallId: document.toolCallId,
+      ...(document.messageId != null && { messageId: document.messageId }),
+      ...(document.agentId != null && { agentId: document.agentId }),
+      status: document.status,
+      ...(document.result != null && { result: document.result }),
+      ...(document.error != null && { error: document.error }),
+      ...(document.hasArtifact === true && { hasArtifact: true }),
+      ...(document.attachmentCount != null && { attachmentCount: document.attachmentCount }),
+      ...(document.harvestStarted === true && { harvestStarted: true }),
+      ownerId: document.ownerId,
+      createdAt: document.dispatchedAt,
+      updatedAt: new Date(document.updatedAt ?? document.heartbeatAt).getTime(),
+      ownerAlive: Date.now() - new Date(document.heartbeatAt).getTime() < this.ownerTtlMs,
+    };
+  }
+
+  async save(record: BackgroundResultRecord, ttlMs: number): Promise<void> {
+    const now = Date.now();
+    await this.deps.saveBackgroundTaskResult({
+      taskId: record.id,
+      user: record.userId,
+      conversationId: record.conversationId,
+      toolName: record.toolName,
+      toolCallId: record.toolCallId,
+      messageId: record.messageId,
+      agentId: record.agentId,
+      status: record.status,
+      result: record.result,
+      error: record.error,
+      hasArtifact: record.hasArtifact === true,
+      attachmentCount: record.attachmentCount ?? 0,
+      harvestStarted: record.harvestStarted === true,
+      ownerId: record.ownerId,
+      /** A write is proof of life, so it counts as a heartbeat. */
+      heartbeatAt: new Date(now),
+      dispatchedAt: record.createdAt,
+      expiresAt: new Date(now + ttlMs),
+    });
+  }
+
+  async get(
+    userId: string,
+    conversationId: string,
+    taskId: string,
+  ): Promise<SharedBackgroundResult | null> {
+    const document = await this.deps.getBackgroundTaskResult(userId, conversationId, taskId);
+    return document ? this.fromDocument(document) : null;
+  }
+
+  async list(userId: string, conversationId: string): Promise<SharedBackgroundResult[]> {
+    const documents = await this.deps.listBackgroundTaskResults(userId, conversationId);
+    return documents.map((document) => this.fromDocument(document));
+  }
+
+  async heartbeat(ownerId: string): Promise<void> {
+    await this.deps.heartbeatBackgroundTaskResults(ownerId, new Date());
+  }
+
+  async destroy(): Promise<void> {
+    /** Nothing to release; the connection belongs to the app. */
+  }
+}
@@ -0,0 +1,135 @@
+import { logger } from '@librechat/data-schemas';
+import type { Redis, Cluster } from 'ioredis';
+import type {
+  BackgroundResultRecord,
+  IBackgroundResultStore,
+  SharedBackgroundResult,
+  BackgroundResultStoreOptions,
+} from './IBackgroundResultStore';
+import { DEFAULT_BACKGROUND_OWNER_TTL_MS } from './IBackgroundResultStore';
+import { instrumentIORedisClient, RedisUseCases } from '~/cache/redisTelemetry';
+
+/** Upper bound on the tasks listed per conversation, matching the registry's bucket cap. */
+const MAX_LISTED_TASKS = 200;
+
+/**
+ * Key layout. The task records and the dispatch-ordered index of one conversation
+ * share the `{userId:conversationId}` hash tag, so they live in one Redis Cluster
+ * slot and can be read with a single MGET.
+ */
+const KEYS = {
+  /** Serialized record: background:{userId:conversationId}:task:taskId */
+  task: (userId: string, conversationId: string, taskId: string) =>
+    `background:{${userId}:${conversationId}}:task:${taskId}`,
+  /** Task ids scored by dispatch time: background:{userId:conversationId}:tasks */
+  tasks: (userId: string, conversationId: string) =>
+    `background:{${userId}:${conversationId}}:tasks`,
+  /** Heartbeat of an owning process: background:owner:ownerId */
+  owner: (ownerId: string) => `background:owner:${ownerId}`,
+};
+
+function parseRecord(raw: string | null): BackgroundResultRecord | null {
+  if (raw == null) {
+    return null;
+  }
+  try {
+    return JSON.parse(raw) as BackgroundResultRecord;
+  } catch (error) {
+    logger.warn('[RedisBackgroundResultStore] Skipping unreadable task record', error);
+    return null;
+  }
+}
+
+/**
+ * Redis implementation of {@link IBackgroundResultStore}, for deployments that
+ * already run Redis for streams or caches. Expiry is left to Redis key TTLs; the
+ * per-conversation index is pruned of expired ids as it is read.
+ */
+export class RedisBackgroundResultStore implements IBackgroundResultStore {
+  private readonly redis: Redis | Cluster;
+  private readonly ownerTtlMs: number;
+
+  constructor(redis: Redis | Cluster, options: BackgroundResultStoreOptions = {}) {
+    this.redis = instrumentIORedisClient(redis, RedisUseCases.BACKGROUND_TASKS);
+    this.ownerTtlMs = options.ownerTtlMs ?? DEFAULT_BACKGROUND_OWNER_TTL_MS;
+  }
+
+  async initialize(): Promise<void> {
+    logger.info('[RedisBackgroundResultStore] Initialized');
+  }
+
+  async save(record: BackgroundResultRecord, ttlMs: number): Promise<void> {
+    const { userId, conversationId, id } = record;
+    const indexKey = KEYS.tasks(userId, conversationId);
+    await this.redis.set(
+      KEYS.task(userId, conversationId, id),
+      JSON.stringify(record),
+      'PX',
+      ttlMs,
+    );
+    await this.redis.zadd(indexKey, record.createdAt, id);
+    /** The index must outlive every record it lists, so its TTL only ever grows. */
+    const indexTtl = await this.redis.pttl(indexKey);
+    if (indexTtl < ttlMs) {
+      await this.redis.pexpire(indexKey, ttlMs);
+    }
+  }
+
+  /** Resolves owner liveness once per distinct owner; owner keys live in other slots. */
+  private async withOwners(records: BackgroundResultRecord[]): Promise<SharedBackgroundResult[]> {
+    const ownerIds = [...new Set(records.map((record) => record.ownerId))];
+    const alive = new Map<string, boolean>();
+    await Promise.all(
+      ownerIds.map(async (ownerId) => {
+        alive.set(ownerId, (await this.redis.exists(KEYS.owner(ownerId))) === 1);
+      }),
+    );
+    return records.map((record) => ({ ...record, ownerAlive: alive.get(record.ownerId) === true }));
+  }
+
+  async get(
+    userId: string,
+    conversationId: string,
+    taskId: string,
+  ): Promise<SharedBackgroundResult | null> {
+    const record = parseRecord(await this.redis.get(KEYS.task(userId, conversationId, taskId)));
+    if (!record) {
+      return null;
+    }
+    const [resolved] = await this.withOwners([record]);
+    return resolved;
+  }
+
+  async list(userId: string, conversationId: string): Promise<SharedBackgroundResult[]> {
+    const indexKey = KEYS.tasks(userId, conversationId);
+    const taskIds = await this.redis.zrange(indexKey, -MAX_LISTED_TASKS, -1);
+    if (taskIds.length === 0) {
+      return [];
+    }
+    const raw = await this.redis.mget(
+      ...taskIds.map((taskId) => KEYS.task(userId, conversationId, taskId)),
+    );
+    const records: BackgroundResultRecord[] = [];
+    const expired: string[] = [];
+    raw.forEach((value, index) => {
+      const record = parseRecord(value);
+      if (record) {
+        records.push(record);
+      } else {
+        expired.push(taskIds[index]);
+      }
+    });
+    if (expired.length > 0) {
+      await this.redis.zrem(indexKey, ...expired);
+    }
+    return this.withOwners(records);
+  }
+
+  async heartbeat(ownerId: string): Promise<void> {
+    await this.redis.set(KEYS.owner(ownerId), String(Date.now()), 'PX', this.ownerTtlMs);
+  }
+
+  async destroy(): Promise<void> {
+    /** The client is shared; closing it is the owner's job. */
+  }
+}
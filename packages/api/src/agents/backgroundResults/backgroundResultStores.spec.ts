@@ -0,0 +1,329 @@
+import type { Redis } from 'ioredis';
+import type { IBackgroundTaskResult } from '@librechat/data-schemas';
+import type { BackgroundResultRecord } from './IBackgroundResultStore';
+import type { MongoBackgroundResultStoreDeps } from './MongoBackgroundResultStore';
+import { InMemoryBackgroundResultStore } from './InMemoryBackgroundResultStore';
+import { RedisBackgroundResultStore } from './RedisBackgroundResultStore';
+import { MongoBackgroundResultStore } from './MongoBackgroundResultStore';
+import { createBackgroundResultStore } from './createBackgroundResultStore';
+
+jest.mock('~/cache/redisTelemetry', () => ({
+  RedisUseCases: { BACKGROUND_TASKS: 'background_tasks' },
+  instrumentIORedisClient: (client: unknown) => client,
+}));
+
+jest.mock('~/cache/redisClients', () => ({ ioredisClient: null }));
+
+jest.mock('~/cache/cacheConfig', () => ({ cacheConfig: { USE_REDIS: false } }));
+
+const record = (overrides: Partial<BackgroundResultRecord> = {}): BackgroundResultRecord => ({
+  id: 'task-1',
+  userId: 'user-1',
+  conversationId: 'convo-1',
+  toolName: 'search_mcp_docs',
+  toolCallId: 'call_0',
+  status: 'running',
+  ownerId: 'owner-a',
+  createdAt: 1000,
+  updatedAt: 1000,
+  ...overrides,
+});
+
+/** Just enough of ioredis for the store: strings with PX expiry, sorted sets, and key TTLs. */
+function createFakeRedis(now: () => number) {
+  const strings = new Map<string, { value: string; expiresAt: number }>();
+  const zsets = new Map<string, Map<string, number>>();
+  const zsetExpiry = new Map<string, number>();
+
+  const readString = (key: string): string | null => {
+    const entry = strings.get(key);
+    if (!entry || entry.expiresAt <= now()) {
+      strings.delete(key);
+      return null;
+    }
+    return entry.value;
+  };
+
+  return {
+    strings,
+    zsets,
+    set: jest.fn(async (key: string, value: string, _px: 'PX', ttlMs: number) => {
+      strings.set(key, { value, expiresAt: now() + ttlMs });
+      return 'OK';
+    }),
+    get: jest.fn(async (key: string) => readString(key)),
+    mget: jest.fn(async (...keys: string[]) => keys.map(readString)),
+    exists: jest.fn(async (key: string) => (readString(key) == null ? 0 : 1)),
+    zadd: jest.fn(async (key: string, score: number, member: string) => {
+      const zset = zsets.get(key) ?? new Map<string, number>();
+      zset.set(member, score);
+      zsets.set(key, zset);
+      return 1;
+    }),
+    zrange: jest.fn(async (key: string, start: number, stop: number) => {
+      const members = [...(zsets.get(key) ?? new Map<string, number>()).entries()]
+        .sort((a, b) => a[1] - b[1])
+        .map(([member]) => member);
+      const from = start < 0 ? Math.max(members.length + start, 0) : start;
+      return members.slice(from, stop < 0 ? members.length + stop + 1 : stop + 1);
+    }),
+    zrem: jest.fn(async (key: string, ...members: string[]) => {
+      members.forEach((member) => zsets.get(key)?.delete(member));
+      return members.length;
+    }),
+    pttl: jest.fn(async (key: string) => {
+      if (!zsets.has(key)) {
+        return -2;
+      }
+      const expiresAt = zsetExpiry.get(key);
+      return expiresAt == null ? -1 : expiresAt - now();
+    }),
+    pexpire: jest.fn(async (key: string, ttlMs: number) => {
+      zsetExpiry.set(key, now() + ttlMs);
+      return 1;
+    }),
+  };
+}
+
+describe('InMemoryBackgroundResultStore', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('round-trips records scoped to user and conversation', async () => {
+    const store = new InMemoryBackgroundResultStore();
+    await store.save(record(), 60_000);
+    await store.save(record({ id: 'task-2', createdAt: 500 }), 60_000);
+    await store.save(record({ id: 'task-3', conversationId: 'convo-2' }), 60_000);
+
+    await expect(store.get('user-1', 'convo-1', 'task-1')).resolves.toEqual(
+      expect.objectContaining({ id: 'task-1', status: 'running', ownerAlive: true }),
+    );
+    await expect(store.get('user-2', 'convo-1', 'task-1')).resolves.toBeNull();
+    const listed = await store.list('user-1', 'convo-1');
+    expect(listed.map((entry) => entry.id)).toEqual(['task-2', 'task-1']);
+    await store.destroy();
+  });
+
+  it('expires records after their TTL and owners after the owner TTL', async () => {
+    jest.useFakeTimers({ now: 0 });
+    const store = new InMemoryBackgroundResultStore({ ownerTtlMs: 5_000 });
+    await store.save(record(), 10_000);
+
+    jest.setSystemTime(6_000);
+    await expect(store.get('user-1', 'convo-1', 'task-1')).resolves.toEqual(
+      expect.objectContaining({ ownerAlive: false }),
+    );
+    await store.heartbeat('owner-a');
+    await expect(store.get('user-1', 'convo-1', 'task-1')).resolves.toEqual(
+      expect.objectContaining({ ownerAlive: true }),
+    );
+
+    jest.setSystemTime(11_000);
+    await expect(store.get('user-1', 'convo-1', 'task-1')).resolves.toBeNull();
+    await store.destroy();
+  });
+});
+
+describe('RedisBackgroundResultStore', () => {
+  let clock: number;
+  let redis: ReturnType<typeof createFakeRedis>;
+  let store: RedisBackgroundResultStore;
+
+  beforeEach(() => {
+    clock = 0;
+    redis = createFakeRedis(() => clock);
+    jest.spyOn(Date, 'now').mockImplementation(() => clock);
+    store = new RedisBackgroundResultStore(redis as unknown as Redis, { ownerTtlMs: 5_000 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('writes the record and its index under one conversation hash tag', async () => {
+    await store.save(record(), 10_000);
+
+    expect(redis.set).toHaveBeenCalledWith(
+      'background:{user-1:convo-1}:task:task-1',
+      JSON.stringify(record()),
+      'PX',
+      10_000,
+    );
+    expect(redis.zadd).toHaveBeenCalledWith('background:{user-1:convo-1}:tasks', 1000, 'task-1');
+    expect(redis.pexpire).toHaveBeenCalledWith('background:{user-1:convo-1}:tasks', 10_000);
+  });
+
+  it('never shortens the index TTL below a longer-lived record', async () => {
+    await store.save(record(), 90_000);
+    await store.save(record({ id: 'task-2', status: 'completed' }), 10_000);
+
+    expect(redis.pexpire).toHaveBeenCalledTimes(1);
+    expect(redis.pexpire).toHaveBeenCalledWith('background:{user-1:convo-1}:tasks', 90_000);
+  });
+
+  it('reports owner liveness from the heartbeat key', async () => {
+    await store.save(record(), 60_000);
+    await expect(store.get('user-1', 'convo-1', 'task-1')).resolves.toEqual(
+      expect.objectContaining({ ownerAlive: false }),
+    );
+
+    await store.heartbeat('owner-a');
+    await expect(store.get('user-1', 'convo-1', 'task-1')).resolves.toEqual(
+      expect.objectContaining({ ownerAlive: true }),
+    );
+
+    clock = 6_000;
+    await expect(store.get('user-1', 'convo-1', 'task-1')).resolves.toEqual(
+      expect.objectContaining({ ownerAlive: false }),
+    );
+  });
+
+  it('lists in dispatch order and prunes expired ids from the index', async () => {
+    await store.heartbeat('owner-a');
+    await store.save(record({ id: 'late', createdAt: 3000 }), 60_000);
+    await store.save(record({ id: 'early', createdAt: 1000 }), 60_000);
+    await store.save(record({ id: 'gone', createdAt: 2000 }), 1_000);
+
+    clock = 2_000;
+    const listed = await store.list('user-1', 'convo-1');
+
+    expect(listed.map((entry) => entry.id)).toEqual(['early', 'late']);
+    expect(redis.zrem).toHaveBeenCalledWith('background:{user-1:convo-1}:tasks', 'gone');
+    expect(redis.exists).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('MongoBackgroundResultStore', () => {
+  const createDeps = () =>
+    ({
+      saveBackgroundTaskResult: jest.fn().mockResolvedValue(undefined),
+      getBackgroundTaskResult: jest.fn().mockResolvedValue(null),
+      listBackgroundTaskResults: jest.fn().mockResolvedValue([]),
+      heartbeatBackgroundTaskResults: jest.fn().mockResolvedValue(1),
+    }) as unknown as jest.Mocked<MongoBackgroundResultStoreDeps>;
+
+  const document = (overrides: Partial<IBackgroundTaskResult> = {}): IBackgroundTaskResult => ({
+    taskId: 'task-1',
+    user: 'user-1',
+    conversationId: 'convo-1',
+    toolName: 'search_mcp_docs',
+    toolCallId: 'call_0',
+    status: 'completed',
+    result: 'RESULT',
+    ownerId: 'owner-a',
+    heartbeatAt: new Date(),
+    dispatchedAt: 1000,
+    expiresAt: new Date(Date.now() + 60_000),
+    ...overrides,
+  });
+
+  it('saves a write as a heartbeat with a TTL-index expiry', async () => {
+    const deps = createDeps();
+    const store = new MongoBackgroundResultStore(deps);
+    const before = Date.now();
+    await store.save(record({ messageId: 'msg-1' }), 10_000);
+
+    const [saved] = deps.saveBackgroundTaskResult.mock.calls[0];
+    expect(saved).toEqual(
+      expect.objectContaining({
+        taskId: 'task-1',
+        user: 'user-1',
+        messageId: 'msg-1',
+        status: 'running',
+        ownerId: 'owner-a',
+        dispatchedAt: 1000,
+      }),
+    );
+    expect(saved.heartbeatAt.getTime()).toBeGreaterThanOrEqual(before);
+    expect(saved.expiresAt.getTime() - saved.heartbeatAt.getTime()).toBe(10_000);
+  });
+
+  it('derives owner liveness from heartbeatAt', async () => {
+    const deps = createDeps();
+    deps.listBackgroundTaskResults.mockResolvedValue([
+      document({ taskId: 'fresh', status: 'running', result: undefined }),
+      document({
+        taskId: 'stale',
+        status: 'running',
+        result: undefined,
+        heartbeatAt: new Date(Date.now() - 10_000),
+      }),
+    ]);
+    const store = new MongoBackgroundResultStore(deps, { ownerTtlMs: 5_000 });
+
+    const listed = await store.list('user-1', 'convo-1');
+    expect(listed.map(({ id, ownerAlive }) => ({ id, ownerAlive }))).toEqual([
+      { id: 'fresh', ownerAlive: true },
+      { id: 'stale', ownerAlive: false },
+    ]);
+    expect(listed[0]).not.toHaveProperty('result');
+  });
+
+  it('maps a stored document back to a record', async () => {
+    const deps = createDeps();
+    deps.getBackgroundTaskResult.mockResolvedValue(document({ attachmentCount: 2 }));
+    const store = new MongoBackgroundResultStore(deps);
+
+    await expect(store.get('user-1', 'convo-1', 'task-1')).resolves.toEqual(
+      expect.objectContaining({
+        id: 'task-1',
+        userId: 'user-1',
+        status: 'completed',
+        result: 'RESULT',
+        attachmentCount: 2,
+        createdAt: 1000,
+      }),
+    );
+    expect(deps.getBackgroundTaskResult).toHaveBeenCalledWith('user-1', 'convo-1', 'task-1');
+  });
+
+  it('refreshes every running task of the owner on heartbeat', async () => {
+    const deps = createDeps();
+    const store = new MongoBackgroundResultStore(deps);
+    await store.heartbeat('owner-a');
+
+    expect(deps.heartbeatBackgroundTaskResults).toHaveBeenCalledWith('owner-a', expect.any(Date));
+  });
+});
+
+describe('createBackgroundResultStore', () => {
+  const originalStore = process.env.BACKGROUND_TASK_STORE;
+
+  afterEach(() => {
+    if (originalStore === undefined) {
+      delete process.env.BACKGROUND_TASK_STORE;
+    } else {
+      process.env.BACKGROUND_TASK_STORE = originalStore;
+    }
+  });
+
+  it('returns null when no store is configured', () => {
+    delete process.env.BACKGROUND_TASK_STORE;
+    expect(createBackgroundResultStore()).toBeNull();
+  });
+
+  it('honors BACKGROUND_TASK_STORE', () => {
+    process.env.BACKGROUND_TASK_STORE = 'memory';
+    expect(createBackgroundResultStore()).toBeInstanceOf(InMemoryBackgroundResultStore);
+
+    process.env.BACKGROUND_TASK_STORE = 'mongo';
+    expect(
+      createBackgroundResultStore({ mongo: {} as MongoBackgroundResultStoreDeps }),
+    ).toBeInstanceOf(MongoBackgroundResultStore);
+  });
+
+  it('falls back to process-local results when the store cannot be created', () => {
+    process.env.BACKGROUND_TASK_STORE = 'redis';
+    expect(createBackgroundResultStore()).toBeNull();
+
+    process.env.BACKGROUND_TASK_STORE = 'mongo';
+    expect(createBackgroundResultStore()).toBeNull();
+  });
+
+  it('uses an explicit Redis client', () => {
+    expect(createBackgroundResultStore({ type: 'redis', redisClient: {} as Redis })).toBeInstanceOf(
+      RedisBackgroundResultStore,
+    );
+  });
+});
@@ -0,0 +1,93 @@
+import { logger } from '@librechat/data-schemas';
+import type { Redis, Cluster } from 'ioredis';
+import type { MongoBackgroundResultStoreDeps } from './MongoBackgroundResultStore';
+import type {
+  IBackgroundResultStore,
+  BackgroundResultStoreOptions,
+} from './IBackgroundResultStore';
+import { InMemoryBackgroundResultStore } from './InMemoryBackgroundResultStore';
+import { RedisBackgroundResultStore } from './RedisBackgroundResultStore';
+import { MongoBackgroundResultStore } from './MongoBackgroundResultStore';
+import { ioredisClient } from '~/cache/redisClients';
+import { cacheConfig } from '~/cache/cacheConfig';
+
+export type BackgroundResultStoreType = 'redis' | 'mongo' | 'memory';
+
+const STORE_TYPES: ReadonlySet<string> = new Set<BackgroundResultStoreType>([
+  'redis',
+  'mongo',
+  'memory',
+]);
+
+export interface BackgroundResultStoreConfig {
+  /**
+   * Override the store type. If not provided, uses `BACKGROUND_TASK_STORE`, then
+   * Redis when `cacheConfig.USE_REDIS` is set.
+   */
+  type?: BackgroundResultStoreType;
+  /** Override Redis client. If not provided, uses ioredisClient from cache. */
+  redisClient?: Redis | Cluster | null;
+  /** Database methods backing the Mongo store. */
+  mongo?: MongoBackgroundResultStoreDeps;
+  options?: BackgroundResultStoreOptions;
+}
+
+function resolveStoreType(config: BackgroundResultStoreConfig): BackgroundResultStoreType | null {
+  if (config.type != null) {
+    return config.type;
+  }
+  const configured = process.env.BACKGROUND_TASK_STORE?.trim().toLowerCase();
+  if (configured) {
+    if (STORE_TYPES.has(configured)) {
+      return configured as BackgroundResultStoreType;
+    }
+    logger.warn(
+      `[BackgroundResultStore] Ignoring unknown BACKGROUND_TASK_STORE "${configured}"; expected redis, mongo, or memory.`,
+    );
+  }
+  return cacheConfig.USE_REDIS ? 'redis' : null;
+}
+
+/**
+ * Create the shared store for background tool results.
+ *
+ * Returns null when no store is configured, leaving results in the process that
+ * ran the tool. A store that cannot be created falls back the same way, since
+ * background dispatch keeps working without one.
+ *
+ * @example Auto-detect
+ * ```ts
+ * const store = createBackgroundResultStore({ mongo: db });
+ * // Uses BACKGROUND_TASK_STORE, else Redis if USE_REDIS=true, else null
+ * ```
+ */
+export function createBackgroundResultStore(
+  config: BackgroundResultStoreConfig = {},
+): IBackgroundResultStore | null {
+  const type = resolveStoreType(config);
+  if (type == null) {
+    return null;
+  }
+
+  if (type === 'memory') {
+    logger.info('[BackgroundResultStore] Created in-memory background result store');
+    return new InMemoryBackgroundResultStore(config.options);
+  }
+
+  if (type === 'mongo') {
+    if (!config.mongo) {
+      logger.warn('[BackgroundResultStore] Mongo store requested without database methods');
+      return null;
+    }
+    logger.info('[BackgroundResultStore] Created Mongo-backed background result store');
+    return new MongoBackgroundResultStore(config.mongo, config.options);
+  }
+
+  const redisClient = config.redisClient ?? ioredisClient;
+  if (!redisClient) {
+    logger.warn('[BackgroundResultStore] Redis store requested but no Redis client is available');
+    return null;
+  }
+  logger.info('[BackgroundResultStore] Created Redis-backed background result store');
+  return new RedisBackgroundResultStore(redisClient, config.options);
+}
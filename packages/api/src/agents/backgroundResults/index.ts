@@ -0,0 +1,5 @@
+export * from './IBackgroundResultStore';
+export * from './InMemoryBackgroundResultStore';
+export * from './RedisBackgroundResultStore';
+export * from './MongoBackgroundResultStore';
+export * from './createBackgroundResultStore';
@@ -0,0 +1,297 @@
+import JSZip from 'jszip';
+import { Types } from 'mongoose';
+import { Readable } from 'stream';
+import type { IAction, IAgent, IMongoFile, ISkill, ISkillFile } from '@librechat/data-schemas';
+import type { AgentBundleDeps, AgentBundleIdMap, BundledAgent } from './bundle';
+import {
+  readAgentBundle,
+  createAgentBundle,
+  remapBundledAgent,
+  actionRequiresAuth,
+  AGENT_BUNDLE_MANIFEST,
+  collectBundleAgentReferences,
+} from './bundle';
+
+jest.mock('@librechat/data-schemas', () => ({
+  logger: {
+    debug: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+const skillId = new Types.ObjectId();
+const sharedSkillId = new Types.ObjectId();
+
+const router = {
+  _id: new Types.ObjectId(),
+  id: 'agent_router',
+  name: 'Router',
+  provider: 'openAI',
+  model: 'gpt-4.1',
+  author: new Types.ObjectId(),
+  authorName: 'Staging Admin',
+  tools: ['getWeather_action_api---example---com'],
+  actions: ['api---example---com_action_act-1'],
+  mcpServerNames: ['staging-mcp'],
+  skills: [skillId.toString(), sharedSkillId.toString()],
+  edges: [
+    { from: 'agent_router', to: 'agent_billing', edgeType: 'handoff' },
+    { from: 'agent_router', to: 'agent_private', edgeType: 'handoff' },
+  ],
+  tool_resources: {
+    file_search: { file_ids: ['file-pdf'] },
+    ocr: { file_ids: ['file-ocr'] },
+  },
+  versions: [{ name: 'Router' }],
+  version_labels: { stable: 1 },
+} as unknown as IAgent;
+
+const billing = {
+  _id: new Types.ObjectId(),
+  id: 'agent_billing',
+  name: 'Billing',
+  provider: 'openAI',
+  model: 'gpt-4.1',
+  author: new Types.ObjectId(),
+} as unknown as IAgent;
+
+const privateAgent = { ...billing, id: 'agent_private' } as unknown as IAgent;
+
+const actions = [
+  {
+    action_id: 'act-1',
+    agent_id: 'agent_router',
+    metadata: {
+      domain: 'api---example---com',
+      raw_spec: 'openapi: 3.1.0',
+      auth: { type: 'service_http', authorization_type: 'bearer' },
+      api_key: 'secret',
+    },
+  },
+] as unknown as IAction[];
+
+const files = [
+  { file_id: 'file-pdf', filename: 'handbook.pdf', type: 'application/pdf', bytes: 4 },
+  {
+    file_id: 'file-ocr',
+    filename: 'scan.pdf',
+    type: 'application/pdf',
+    bytes: 9,
+    text: 'Scan text',
+  },
+] as unknown as IMongoFile[];
+
+const skill = {
+  _id: skillId,
+  name: 'refunds',
+  description: 'How to issue refunds',
+  body: '# Refunds',
+  frontmatter: {},
+} as unknown as ISkill & { _id: Types.ObjectId };
+
+const skillFiles = [
+  {
+    file_id: 'skill-file-1',
+    relativePath: 'scripts/refund.py',
+    filename: 'refund.py',
+    mimeType: 'text/x-python',
+    bytes: 5,
+  },
+] as unknown as ISkillFile[];
+
+const fileContents: Record<string, string> = { 'file-pdf': '%PDF', 'skill-file-1': 'print' };
+
+function createDeps(overrides: Partial<AgentBundleDeps> = {}): AgentBundleDeps {
+  const agents: Record<string, IAgent> = {
+    agent_billing: billing,
+    agent_private: privateAgent,
+  };
+  return {
+    getAgent: jest.fn(async (id: string) => agents[id] ?? null),
+    canExportAgent: jest.fn(async (agent: IAgent) => agent.id !== 'agent_private'),
+    getActions: jest.fn(async (agentId: string) => (agentId === 'agent_router' ? actions : [])),
+    getFiles: jest.fn().mockResolvedValue(files),
+    getOwnedSkills: jest.fn().mockResolvedValue([skill]),
+    listSkillFiles: jest.fn().mockResolvedValue(skillFiles),
+    getFileStream: jest.fn(async (file: IMongoFile) =>
+      Readable.from([Buffer.from(fileContents[file.file_id])]),
+    ),
+    ...overrides,
+  };
+}
+
+describe('collectBundleAgentReferences', () => {
+  it('collects edge, legacy chain and subagent references', () => {
+    expect(
+      collectBundleAgentReferences({
+        agent_ids: ['agent_chain'],
+        edges: [{ from: '', to: ['agent_a', 'agent_b'], edgeType: 'handoff' }],
+        subagents: {
+          enabled: true,
+          agent_ids: ['agent_sub'],
+          graphs: [
+            {
+              type: 'team',
+              name: 'Team',
+              description: 'A team',
+              agent_ids: ['agent_lead', 'agent_member'],
+              edges: [{ from: 'agent_lead', to: 'agent_member', edgeType: 'direct' }],
+              entry_agent_id: 'agent_lead',
+              result_agent_id: 'agent_member',
+            },
+          ],
+        },
+      }).sort(),
+    ).toEqual(['agent_a', 'agent_b', 'agent_chain', 'agent_lead', 'agent_member', 'agent_sub']);
+  });
+});
+
+describe('agent bundles', () => {
+  it('bundles referenced agents, actions without secrets, owned skills and files', async () => {
+    const { zip, manifest, skipped } = await createAgentBundle(createDeps(), {
+      agent: router,
+      maxBytes: 1024,
+    });
+
+    expect(skipped).toEqual({
+      agents: ['agent_private'],
+      skills: [sharedSkillId.toString()],
+      files: [],
+    });
+    expect(manifest.agent_id).toBe('agent_router');
+    expect(manifest.agents.map((bundled) => bundled.id)).toEqual(['agent_router', 'agent_billing']);
+
+    const [bundledRouter] = manifest.agents;
+    expect(bundledRouter.agent).not.toHaveProperty('_id');
+    expect(bundledRouter.agent).not.toHaveProperty('author');
+    expect(bundledRouter.agent).not.toHaveProperty('versions');
+    expect(bundledRouter.agent).not.toHaveProperty('mcpServerNames');
+    expect(bundledRouter.agent.tool_resources).toEqual({
+      file_search: { file_ids: ['file-pdf'] },
+      context: { file_ids: ['file-ocr'] },
+    });
+    expect(bundledRouter.actions).toEqual([
+      {
+        action_id: 'act-1',
+        metadata: {
+          domain: 'api---example---com',
+          raw_spec: 'openapi: 3.1.0',
+          auth: { type: 'service_http', authorization_type: 'bearer' },
+        },
+      },
+    ]);
+    expect(actionRequiresAuth(bundledRouter.actions[0].metadata)).toBe(true);
+    expect(bundledRouter.files).toEqual([
+      expect.objectContaining({
+        file_id: 'file-pdf',
+        tool_resource: 'file_search',
+        path: expect.any(String),
+      }),
+      expect.objectContaining({ file_id: 'file-ocr', tool_resource: 'context', text: 'Scan text' }),
+    ]);
+    expect(manifest.skills).toEqual([
+      expect.objectContaining({
+        _id: skillId.toString(),
+        name: 'refunds',
+        files: [expect.objectContaining({ relativePath: 'scripts/refund.py' })],
+      }),
+    ]);
+
+    const buffer = await zip.generateAsync({ type: 'nodebuffer' });
+    const reader = await readAgentBundle(buffer, 1024 * 1024);
+    expect(reader.manifest).toEqual(JSON.parse(JSON.stringify(manifest)));
+    const pdf = await reader.readFile(reader.manifest.agents[0].files[0].path);
+    expect(pdf?.toString()).toBe('%PDF');
+    const script = await reader.readFile(reader.manifest.skills[0].files[0].path);
+    expect(script?.toString()).toBe('print');
+  });
+
+  it('skips files that do not fit in the size budget', async () => {
+    const { manifest, skipped } = await createAgentBundle(createDeps(), {
+      agent: router,
+      maxBytes: 2,
+    });
+    expect(skipped.files).toEqual(['file-pdf', 'skill-file-1']);
+    expect(manifest.agents[0].files.map((file) => file.file_id)).toEqual(['file-ocr']);
+  });
+
+  it('rejects bundles without a supported manifest', async () => {
+    const zip = new JSZip();
+    const empty = await zip.generateAsync({ type: 'nodebuffer' });
+    await expect(readAgentBundle(empty, 1024)).rejects.toThrow(AGENT_BUNDLE_MANIFEST);
+
+    zip.file(AGENT_BUNDLE_MANIFEST, JSON.stringify({ version: 99, agents: [] }));
+    const future = await zip.generateAsync({ type: 'nodebuffer' });
+    await expect(readAgentBundle(future, 1024)).rejects.toThrow(/version/);
+
+    zip.file(AGENT_BUNDLE_MANIFEST, JSON.stringify({ version: 1, agent_id: 'x', agents: [] }));
+    const withoutAgent = await zip.generateAsync({ type: 'nodebuffer' });
+    await expect(readAgentBundle(withoutAgent, 1024)).rejects.toThrow(/valid agent/);
+  });
+});
+
+describe('remapBundledAgent', () => {
+  const ids: AgentBundleIdMap = {
+    agents: new Map([
+      ['agent_router', 'agent_new_router'],
+      ['agent_billing', 'agent_new_billing'],
+    ]),
+    actions: new Map([['act-1', { action_id: 'act-new', domain: 'api---example---com' }]]),
+    files: new Map([['file-pdf', 'file-new-pdf']]),
+    skills: new Map([[skillId.toString(), 'skill-new']]),
+  };
+
+  it('points the definition at imported resources and drops the rest', () => {
+    const bundled: BundledAgent = {
+      id: 'agent_router',
+      agent: {
+        name: 'Router',
+        tools: ['getWeather_action_api---example---com'],
+        skills: [skillId.toString(), sharedSkillId.toString()],
+        edges: [
+          { from: 'agent_router', to: 'agent_billing', edgeType: 'handoff' },
+          { from: '', to: ['agent_billing', 'agent_private'], edgeType: 'handoff' },
+        ],
+        subagents: {
+          enabled: true,
+          agent_ids: ['agent_billing', 'agent_private'],
+          graphs: [
+            {
+              type: 'team',
+              name: 'Team',
+              description: 'A team',
+              agent_ids: ['agent_billing', 'agent_private'],
+              edges: [],
+              entry_agent_id: 'agent_billing',
+              result_agent_id: 'agent_private',
+            },
+          ],
+        },
+        tool_resources: {
+          file_search: { file_ids: ['file-pdf', 'file-missing'] },
+        },
+      },
+      actions: [{ action_id: 'act-1', metadata: { domain: 'api---example---com' } }],
+      files: [],
+    };
+
+    const { agent, dropped } = remapBundledAgent(bundled, ids);
+
+    expect(agent).toEqual({
+      id: 'agent_new_router',
+      name: 'Router',
+      tools: ['getWeather_action_api---example---com'],
+      actions: ['api---example---com_action_act-new'],
+      skills: ['skill-new'],
+      edges: [{ from: 'agent_new_router', to: 'agent_new_billing', edgeType: 'handoff' }],
+      subagents: { enabled: true, agent_ids: ['agent_new_billing'], graphs: [] },
+      tool_resources: { file_search: { file_ids: ['file-new-pdf'] } },
+    });
+    expect(dropped).toEqual({
+      agents: ['agent_private'],
+      files: ['file-missing'],
+      skills: [sharedSkillId.toString()],
+    });
+  });
+});
@@ -0,0 +1,516 @@
+import JSZip from 'jszip';
+import { actionDelimiter, EToolResources } from 'librechat-data-provider';
+import type {
+  GraphEdge,
+  AgentToolResources,
+  AgentSubagentsConfig,
+  AgentSubagentGraph,
+} from 'librechat-data-provider';
+import type { IAgent, IAction, IMongoFile, ISkill, ISkillFile } from '@librechat/data-schemas';
+import type { Types } from 'mongoose';
+import type { ConversationArchiveDeps } from '~/conversations/export';
+import { addArchiveFile, openArchive } from '~/conversations/export';
+import { collectToolResourceFileIds, TOOL_RESOURCE_KEYS } from './orphans';
+import { convertOcrToContextInPlace } from './legacy';
+import { getEdgeParticipants } from './edges';
+
+export const AGENT_BUNDLE_VERSION = 1;
+export const AGENT_BUNDLE_MANIFEST = 'agent-bundle.json';
+
+/** Cap on the agents one bundle carries: the exported agent plus the agents it hands off to or spawns. */
+export const MAX_AGENT_BUNDLE_AGENTS = 25;
+
+/** Agent fields tied to the exporting instance or its users; import assigns fresh values. */
+const NON_PORTABLE_AGENT_FIELDS = [
+  '_id',
+  '__v',
+  'id',
+  'author',
+  'authorName',
+  'avatar',
+  'actions',
+  'mcpServerNames',
+  'versions',
+  'version_labels',
+  'support_contact',
+  'is_promoted',
+  'tenantId',
+  'createdAt',
+  'updatedAt',
+] as const;
+
+/** Action metadata that holds credentials; the importing user supplies their own. */
+const SENSITIVE_ACTION_FIELDS = ['api_key', 'oauth_client_id', 'oauth_client_secret'] as const;
+
+export interface BundledAction {
+  action_id: string;
+  /** The action's OpenAPI spec, domain and auth settings, without credentials. */
+  metadata: Record<string, unknown>;
+}
+
+/** A knowledge file attached to a bundled agent through one of its `tool_resources`. */
+export interface BundledFile {
+  file_id: string;
+  filename: string;
+  type: string;
+  bytes: number;
+  tool_resource: string;
+  /** Location of the file's bytes inside the bundle. */
+  path?: string;
+  /** Extracted text of `context` files, which are imported without parsing them again. */
+  text?: string;
+}
+
+export interface BundledSkillFile {
+  relativePath: string;
+  filename: string;
+  type: string;
+  bytes: number;
+  path: string;
+}
+
+export interface BundledSkill {
+  /** The skill's id on the exporting instance, as referenced by agents' `skills`. */
+  _id: string;
+  name: string;
+  displayTitle?: string;
+  description: string;
+  body: string;
+  frontmatter?: Record<string, unknown>;
+  category?: string;
+  files: BundledSkillFile[];
+}
+
+export interface BundledAgent {
+  /** The agent's id on the exporting instance, as referenced by edges and subagents. */
+  id: string;
+  /** The agent definition without instance-bound fields. */
+  agent: Record<string, unknown>;
+  actions: BundledAction[];
+  files: BundledFile[];
+}
+
+export interface AgentBundleManifest {
+  version: number;
+  exportedAt: string;
+  /** Id of the exported agent; the other agents are the ones it hands off to or spawns. */
+  agent_id: string;
+  agents: BundledAgent[];
+  skills: BundledSkill[];
+  /** What the export left out, so the importing user sees it too. */
+  skipped?: AgentBundleSkipped;
+}
+
+/** References left out of a bundle, reported so the exporting user knows what will not travel. */
+export interface AgentBundleSkipped {
+  /** Referenced agents that were missing, not editable by the exporting user, or over the cap. */
+  agents: string[];
+  /** Skills the exporting user does not own. */
+  skills: string[];
+  /** Files that could not be read or did not fit in the size budget. */
+  files: string[];
+}
+
+export interface AgentBundleDeps {
+  getAgent: (id: string) => Promise<IAgent | null>;
+  /** Whether the exporting user may export an agent the exported agent references. */
+  canExportAgent: (agent: IAgent) => Promise<boolean>;
+  /** Actions of an agent; credentials are removed again before bundling. */
+  getActions: (agentId: string) => Promise<IAction[]>;
+  getFiles: (fileIds: string[]) => Promise<IMongoFile[]>;
+  /** Skills among `skillIds` that the exporting user owns. */
+  getOwnedSkills: (skillIds: string[]) => Promise<Array<ISkill & { _id: Types.ObjectId }>>;
+  listSkillFiles: (skillId: Types.ObjectId) => Promise<ISkillFile[]>;
+  getFileStream: ConversationArchiveDeps['getFileStream'];
+}
+
+export interface AgentBundle {
+  zip: JSZip;
+  manifest: AgentBundleManifest;
+  skipped: AgentBundleSkipped;
+}
+
+/** Ids of every saved agent a definition hands off to, chains to or may spawn. */
+export function collectBundleAgentReferences(agent: {
+  edges?: GraphEdge[];
+  agent_ids?: string[];
+  subagents?: AgentSubagentsConfig;
+}): string[] {
+  const ids = new Set<string>(agent.agent_ids ?? []);
+  for (const edge of agent.edges ?? []) {
+    getEdgeParticipants(edge).forEach((id) => ids.add(id));
+  }
+  for (const id of agent.subagents?.agent_ids ?? []) {
+    ids.add(id);
+  }
+  for (const graph of agent.subagents?.graphs ?? []) {
+    graph.agent_ids?.forEach((id) => ids.add(id));
+    graph.edges?.forEach((edge) => getEdgeParticipants(edge).forEach((id) => ids.add(id)));
+    ids.add(graph.entry_agent_id);
+    ids.add(graph.result_agent_id);
+  }
+  ids.delete('');
+  return [...ids];
+}
+
+/** The portable part of an agent: instance-bound fields dropped and legacy `ocr` files moved to `context`. */
+export function getBundleAgentDefinition(agent: IAgent): Record<string, unknown> {
+  const definition = JSON.parse(JSON.stringify(agent)) as Record<string, unknown>;
+  for (const field of NON_PORTABLE_AGENT_FIELDS) {
+    delete definition[field];
+  }
+  convertOcrToContextInPlace(
+    definition as { tool_resources?: AgentToolResources; tools?: string[] },
+  );
+  return definition;
+}
+
+/** Action metadata without credentials, so a bundle never carries another user's secrets. */
+export function sanitizeBundledActionMetadata(
+  metadata: IAction['metadata'] | undefined,
+): Record<string, unknown> {
+  const sanitized: Record<string, unknown> = { ...(metadata ?? {}) };
+  for (const field of SENSITIVE_ACTION_FIELDS) {
+    delete sanitized[field];
+  }
+  return sanitized;
+}
+
+/** Whether an imported action needs the importing user to enter credentials before it works. */
+export function actionRequiresAuth(metadata: Record<string, unknown>): boolean {
+  const type = (metadata.auth as { type?: string } | undefined)?.type;
+  return type != null && type !== 'none';
+}
+
+/**
+ * Builds a bundle of an agent and everything it references: the agents it hands
+ * off to or spawns (recursively, up to `MAX_AGENT_BUNDLE_AGENTS`), their actions
+ * without credentials, the skills the exporting user owns, and their knowledge
+ * and skill files, whose bytes are capped at `maxBytes` in total.
+ */
+export async function createAgentBundle(
+  deps: AgentBundleDeps,
+  { agent: root, maxBytes }: { agent: IAgent; maxBytes: number },
+): Promise<AgentBundle> {
+  const zip = new JSZip();
+  const skipped: AgentBundleSkipped = { agents: [], skills: [], files: [] };
+  const agents: BundledAgent[] = [];
+  const skillIds = new Set<string>();
+  let remaining = maxBytes;
+  /** Bundles are capped small enough to assemble in memory before they are sent. */
+  const archive = {
+    addEntry: async (entryPath: string, data: string | Buffer) => {
+      zip.file(entryPath, data);
+    },
+  };
+
+  const addFile = async (file: IMongoFile): Promise<string | null> => {
+    const entry = await addArchiveFile(archive, deps.getFileStream, file, remaining);
+    if (!entry) {
+      return null;
+    }
+    remaining -= entry.bytes;
+    return entry.path;
+  };
+
+  const queue: IAgent[] = [root];
+  const seen = new Set<string>([root.id]);
+  while (queue.length > 0) {
+    const agent = queue.shift() as IAgent;
+    const definition = getBundleAgentDefinition(agent);
+
+    for (const id of collectBundleAgentReferences(definition)) {
+      if (seen.has(id)) {
+        continue;
+      }
+      seen.add(id);
+      const child = seen.size <= MAX_AGENT_BUNDLE_AGENTS ? await deps.getAgent(id) : null;
+      if (child && (await deps.canExportAgent(child))) {
+        queue.push(child);
+      } else {
+        skipped.agents.push(id);
+      }
+    }
+
+    const actions = (await deps.getActions(agent.id)).map((action) => ({
+      action_id: action.action_id,
+      metadata: sanitizeBundledActionMetadata(action.metadata),
+    }));
+
+    const toolResources = definition.tool_resources as AgentToolResources | undefined;
+    const fileIds = collectToolResourceFileIds(toolResources);
+    const filesById = new Map(
+      (fileIds.length > 0 ? await deps.getFiles(fileIds) : []).map((file) => [file.file_id, file]),
+    );
+    const files: BundledFile[] = [];
+    for (const key of TOOL_RESOURCE_KEYS) {
+      for (const fileId of toolResources?.[key]?.file_ids ?? []) {
+        const file = filesById.get(fileId);
+        const bundled: BundledFile | null = file
+          ? {
+              file_id: file.file_id,
+              filename: file.filename,
+              type: file.type,
+              bytes: file.bytes,
+              tool_resource: key,
+            }
+          : null;
+        if (bundled && key === EToolResources.context && typeof file?.text === 'string') {
+          bundled.text = file.text;
+        } else if (bundled && file) {
+          const path = await addFile(file);
+          bundled.path = path ?? undefined;
+        }
+        if (bundled && (bundled.text != null || bundled.path != null)) {
+          files.push(bundled);
+        } else {
+          skipped.files.push(fileId);
+        }
+      }
+    }
+
+    for (const skillId of (definition.skills as string[] | undefined) ?? []) {
+      skillIds.add(String(skillId));
+    }
+    agents.push({ id: agent.id, agent: definition, actions, files });
+  }
+
+  const ownedSkills = skillIds.size > 0 ? await deps.getOwnedSkills([...skillIds]) : [];
+  const skills: BundledSkill[] = [];
+  for (const skill of ownedSkills) {
+    const files: BundledSkillFile[] = [];
+    for (const skillFile of await deps.listSkillFiles(skill._id)) {
+      const path = await addFile({
+        ...skillFile,
+        type: skillFile.mimeType,
+      } as unknown as IMongoFile);
+      if (path) {
+        files.push({
+          relativePath: skillFile.relativePath,
+          filename: skillFile.filename,
+          type: skillFile.mimeType,
+          bytes: skillFile.bytes,
+          path,
+        });
+      } else {
+        skipped.files.push(skillFile.file_id);
+      }
+    }
+    skills.push({
+      _id: skill._id.toString(),
+      name: skill.name,
+      ...(skill.displayTitle && { displayTitle: skill.displayTitle }),
+      description: skill.description,
+      body: skill.body,
+      frontmatter: skill.frontmatter,
+      ...(skill.category && { category: skill.category }),
+      files,
+    });
+    skillIds.delete(skill._id.toString());
+  }
+  skipped.skills.push(...skillIds);
+
+  const manifest: AgentBundleManifest = {
+    version: AGENT_BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    agent_id: root.id,
+    agents,
+    skills,
+    skipped,
+  };
+  zip.file(AGENT_BUNDLE_MANIFEST, JSON.stringify(manifest, null, 2));
+  return { zip, manifest, skipped };
+}
+
+export interface AgentBundleReader {
+  manifest: AgentBundleManifest;
+  /** Reads a bundled file; `null` when it is missing or exceeds the remaining size budget. */
+  readFile: (path: string | undefined) => Promise<Buffer | null>;
+}
+
+/**
+ * Opens a bundle written by `createAgentBundle`. `maxBytes` caps the total
+ * decompressed size, so a small bundle cannot expand without bound.
+ */
+export async function readAgentBundle(
+  buffer: Buffer,
+  maxBytes: number,
+): Promise<AgentBundleReader> {
+  const readEntry = await openArchive(buffer, maxBytes);
+  const manifestData = await readEntry(AGENT_BUNDLE_MANIFEST);
+  if (!manifestData) {
+    throw new Error(`Bundle must contain an ${AGENT_BUNDLE_MANIFEST} file`);
+  }
+
+  let manifest: AgentBundleManifest;
+  try {
+    manifest = JSON.parse(manifestData.toString('utf8')) as AgentBundleManifest;
+  } catch {
+    throw new Error(`Bundle ${AGENT_BUNDLE_MANIFEST} is not valid JSON`);
+  }
+  if (manifest?.version !== AGENT_BUNDLE_VERSION) {
+    throw new Error('Unsupported bundle version');
+  }
+  if (
+    !Array.isArray(manifest.agents) ||
+    manifest.agents.length === 0 ||
+    manifest.agents.length > MAX_AGENT_BUNDLE_AGENTS ||
+    !manifest.agents.some((bundled) => bundled?.id === manifest.agent_id)
+  ) {
+    throw new Error('Bundle does not contain a valid agent');
+  }
+  if (!Array.isArray(manifest.skills)) {
+    manifest.skills = [];
+  }
+
+  return {
+    manifest,
+    readFile: (path) => (typeof path === 'string' ? readEntry(path) : Promise.resolve(null)),
+  };
+}
+
+/** New ids of bundled resources created on import, keyed by their ids in the bundle. */
+export interface AgentBundleIdMap {
+  agents: Map<string, string>;
+  /** Keyed by the bundled `action_id`. */
+  actions: Map<string, { action_id: string; domain: string }>;
+  files: Map<string, string>;
+  skills: Map<string, string>;
+}
+
+export interface RemappedBundleAgent {
+  agent: Record<string, unknown>;
+  /** Bundle references with no imported counterpart, dropped from the definition. */
+  dropped: { agents: string[]; files: string[]; skills: string[] };
+}
+
+/**
+ * Points a bundled agent definition at the resources created on import: its own
+ * and referenced agent ids, actions, knowledge files and skills. References to
+ * anything that was not imported are dropped, along with edges and subagent
+ * teams that would be left with a missing member.
+ */
+export function remapBundledAgent(
+  bundled: BundledAgent,
+  ids: AgentBundleIdMap,
+): RemappedBundleAgent {
+  const dropped = {
+    agents: new Set<string>(),
+    files: new Set<string>(),
+    skills: new Set<string>(),
+  };
+  const agentId = ids.agents.get(bundled.id) as string;
+  const mapAgentId = (id: string): string | undefined => {
+    const mapped = id === '' ? agentId : ids.agents.get(id);
+    if (mapped == null) {
+      dropped.agents.add(id);
+    }
+    return mapped;
+  };
+  const mapIds = (values: string[] | undefined) =>
+    values?.map(mapAgentId).filter((id): id is string => id != null);
+  const mapEdge = <T extends Pick<GraphEdge, 'from' | 'to'>>(edge: T): T | null => {
+    const from = Array.isArray(edge.from) ? edge.from.map(mapAgentId) : mapAgentId(edge.from);
+    const to = Array.isArray(edge.to) ? edge.to.map(mapAgentId) : mapAgentId(edge.to);
+    if ([from, to].flat().some((id) => id == null)) {
+      return null;
+    }
+    return { ...edge, from, to } as T;
+  };
+  const mapEdges = <T extends Pick<GraphEdge, 'from' | 'to'>>(edges: T[] | undefined) =>
+    edges?.map(mapEdge).filter((edge): edge is T => edge != null);
+
+  const { edges, agent_ids, subagents, tool_resources, skills, ...definition } = bundled.agent as {
+    edges?: GraphEdge[];
+    agent_ids?: string[];
+    subagents?: AgentSubagentsConfig;
+    tool_resources?: AgentToolResources;
+    skills?: string[];
+    [key: string]: unknown;
+  };
+  const agent: Record<string, unknown> = { ...definition, id: agentId };
+
+  if (edges) {
+    agent.edges = mapEdges(edges);
+  }
+  if (agent_ids) {
+    agent.agent_ids = mapIds(agent_ids);
+  }
+  if (subagents) {
+    const graphs = subagents.graphs
+      ?.map((graph): AgentSubagentGraph | null => {
+        const members = mapIds(graph.agent_ids) ?? [];
+        const graphEdges = mapEdges(graph.edges) ?? [];
+        const entry = mapAgentId(graph.entry_agent_id);
+        const result = mapAgentId(graph.result_agent_id);
+        if (
+          members.length !== (graph.agent_ids?.length ?? 0) ||
+          graphEdges.length !== (graph.edges?.length ?? 0) ||
+          entry == null ||
+          result == null
+        ) {
+          return null;
+        }
+        return {
+          ...graph,
+          agent_ids: members,
+          edges: graphEdges,
+          entry_agent_id: entry,
+          result_agent_id: result,
+        };
+      })
+      .filter((graph): graph is AgentSubagentGraph => graph != null);
+    agent.subagents = {
+      ...subagents,
+      ...(subagents.agent_ids && { agent_ids: mapIds(subagents.agent_ids) }),
+      ...(graphs && { graphs }),
+    };
+  }
+
+  if (tool_resources) {
+    const resources: AgentToolResources = {};
+    for (const key of TOOL_RESOURCE_KEYS) {
+      const resource = tool_resources[key];
+      if (!resource) {
+        continue;
+      }
+      const fileIds: string[] = [];
+      for (const fileId of resource.file_ids ?? []) {
+        const mapped = ids.files.get(fileId);
+        if (mapped) {
+          fileIds.push(mapped);
+        } else {
+          dropped.files.add(fileId);
+        }
+      }
+      resources[key] = { file_ids: fileIds };
+    }
+    agent.tool_resources = resources;
+  }
+
+  if (skills) {
+    agent.skills = skills
+      .map((skillId) => {
+        const mapped = ids.skills.get(String(skillId));
+        if (mapped == null) {
+          dropped.skills.add(String(skillId));
+        }
+        return mapped;
+      })
+      .filter((skillId): skillId is string => skillId != null);
+  }
+
+  agent.actions = bundled.actions
+    .map((action) => ids.actions.get(action.action_id))
+    .filter((action) => action != null)
+    .map(({ domain, action_id }) => `${domain}${actionDelimiter}${action_id}`);
+
+  return {
+    agent,
+    dropped: {
+      agents: [...dropped.agents],
+      files: [...dropped.files],
+      skills: [...dropped.skills],
+    },
+  };
+}
@@ -0,0 +1,148 @@
+import type { AgentEvalTranscript } from './rubric';
+import {
+  agentEvalCaseSchema,
+  parseAgentEvalVerdict,
+  buildAgentEvalJudgePrompt,
+  evaluateAgentEvalAssertion,
+} from './rubric';
+
+jest.mock('@librechat/agents', () => ({
+  initializeModel: jest.fn(),
+}));
+
+jest.mock('~/mcp/sampling', () => ({
+  resolveMCPSamplingModel: jest.fn(),
+}));
+
+const transcript: AgentEvalTranscript = {
+  turns: ['Where is my order?', 'It is order 1234'],
+  output: '```json\n{"status": "shipped", "order": "1234"}\n```',
+  toolCalls: ['lookup_order', 'track_shipment'],
+};
+
+describe('agentEvalCaseSchema', () => {
+  it('requires at least one user turn', () => {
+    expect(agentEvalCaseSchema.safeParse({ name: 'Empty', turns: [] }).success).toBe(false);
+    expect(
+      agentEvalCaseSchema.safeParse({
+        name: 'Order status',
+        turns: ['Where is my order?'],
+        assertions: [{ type: 'tool_call', value: 'lookup_order' }],
+      }).success,
+    ).toBe(true);
+  });
+
+  it('rejects rubric entries with the wrong shape', () => {
+    const result = agentEvalCaseSchema.safeParse({
+      name: 'Order status',
+      turns: ['Where is my order?'],
+      assertions: [{ type: 'llm_judge', schema: {} }],
+    });
+    expect(result.success).toBe(false);
+  });
+});
+
+describe('evaluateAgentEvalAssertion', () => {
+  it('checks tool calls across all turns', async () => {
+    await expect(
+      evaluateAgentEvalAssertion({ type: 'tool_call', value: 'track_shipment' }, transcript),
+    ).resolves.toEqual({ type: 'tool_call', passed: true });
+    await expect(
+      evaluateAgentEvalAssertion({ type: 'tool_call', value: 'issue_refund' }, transcript),
+    ).resolves.toEqual({
+      type: 'tool_call',
+      passed: false,
+      message: '"issue_refund" was not called (called: lookup_order, track_shipment)',
+    });
+  });
+
+  it('checks text the final reply must and must not contain', async () => {
+    await expect(
+      evaluateAgentEvalAssertion({ type: 'contains', value: 'shipped' }, transcript),
+    ).resolves.toEqual({ type: 'contains', passed: true });
+    await expect(
+      evaluateAgentEvalAssertion({ type: 'not_contains', value: 'refund' }, transcript),
+    ).resolves.toEqual({ type: 'not_contains', passed: true });
+    await expect(
+      evaluateAgentEvalAssertion({ type: 'not_contains', value: '1234' }, transcript),
+    ).resolves.toEqual({ type: 'not_contains', passed: false, message: 'Unexpected text found' });
+  });
+
+  it('validates the final reply against a JSON schema', async () => {
+    const schema = {
+      type: 'object',
+      properties: { status: { type: 'string', enum: ['shipped', 'pending'] } },
+      required: ['status'],
+    };
+    await expect(
+      evaluateAgentEvalAssertion({ type: 'json_schema', schema }, transcript),
+    ).resolves.toEqual({ type: 'json_schema', passed: true });
+    await expect(
+      evaluateAgentEvalAssertion(
+        { type: 'json_schema', schema },
+        { ...transcript, output: 'Shipped!' },
+      ),
+    ).resolves.toEqual({ type: 'json_schema', passed: false, message: 'Output is not valid JSON' });
+  });
+
+  it('asks the judge for a verdict on the transcript', async () => {
+    const judge = jest.fn().mockResolvedValue('PASS: the reply gives the shipping status.');
+    const result = await evaluateAgentEvalAssertion(
+      { type: 'llm_judge', value: 'The reply states the order status.' },
+      transcript,
+      judge,
+    );
+
+    expect(result).toEqual({
+      type: 'llm_judge',
+      passed: true,
+      message: 'the reply gives the shipping status.',
+    });
+    const [prompt] = judge.mock.calls[0];
+    expect(prompt).toContain('The reply states the order status.');
+    expect(prompt).toContain('User (turn 2): It is order 1234');
+    expect(prompt).toContain('<tool_calls>lookup_order, track_shipment</tool_calls>');
+  });
+
+  it('fails judge entries without a judge or when the judge errors', async () => {
+    const assertion = { type: 'llm_judge' as const, value: 'Polite' };
+    await expect(evaluateAgentEvalAssertion(assertion, transcript)).resolves.toEqual({
+      type: 'llm_judge',
+      passed: false,
+      message: 'No judge model is available',
+    });
+    await expect(
+      evaluateAgentEvalAssertion(
+        assertion,
+        transcript,
+        jest.fn().mockRejectedValue(new Error('rate limited')),
+      ),
+    ).resolves.toEqual({
+      type: 'llm_judge',
+      passed: false,
+      message: 'The judge failed: rate limited',
+    });
+  });
+});
+
+describe('parseAgentEvalVerdict', () => {
+  it('reads the verdict from the first line, tolerating markdown', () => {
+    expect(parseAgentEvalVerdict('**FAIL** - no order number given')).toEqual({
+      passed: false,
+      message: 'no order number given',
+    });
+    expect(parseAgentEvalVerdict('pass')).toEqual({ passed: true });
+    expect(parseAgentEvalVerdict('The reply is fine.')).toEqual({
+      passed: false,
+      message: 'The judge did not return a verdict',
+    });
+  });
+});
+
+describe('buildAgentEvalJudgePrompt', () => {
+  it('notes when no tools were called', () => {
+    expect(
+      buildAgentEvalJudgePrompt('Criteria', { turns: ['Hi'], output: 'Hello', toolCalls: [] }),
+    ).toContain('<tool_calls>none</tool_calls>');
+  });
+});
@@ -0,0 +1,149 @@
+import { z } from 'zod';
+import type { IAgentEvalAssertion, IAgentEvalAssertionResult } from '@librechat/data-schemas';
+import { evaluatePromptTestAssertion } from '~/prompts/testSuite';
+
+/** Upper bound for the evaluation cases of one agent. */
+export const AGENT_EVAL_MAX_CASES: number = 25;
+/** Upper bound for the user turns of one case. */
+export const AGENT_EVAL_MAX_TURNS: number = 10;
+/** Replies are stored for comparison; longer ones are truncated. */
+export const AGENT_EVAL_MAX_OUTPUT_LENGTH: number = 20_000;
+
+const VERDICT_REGEX = /^[\s*_#>`]*(PASS|FAIL)\b[\s*_:.\-–—]*/i;
+
+export const agentEvalAssertionSchema: z.ZodDiscriminatedUnion<
+  'type',
+  [
+    z.ZodObject<{ type: z.ZodLiteral<'tool_call'>; value: z.ZodString }, 'strict'>,
+    z.ZodObject<{ type: z.ZodLiteral<'contains'>; value: z.ZodString }, 'strict'>,
+    z.ZodObject<{ type: z.ZodLiteral<'not_contains'>; value: z.ZodString }, 'strict'>,
+    z.ZodObject<
+      { type: z.ZodLiteral<'json_schema'>; schema: z.ZodRecord<z.ZodString, z.ZodUnknown> },
+      'strict'
+    >,
+    z.ZodObject<{ type: z.ZodLiteral<'llm_judge'>; value: z.ZodString }, 'strict'>,
+  ]
+> = z.discriminatedUnion('type', [
+  z.object({ type: z.literal('tool_call'), value: z.string().trim().min(1).max(200) }).strict(),
+  z.object({ type: z.literal('contains'), value: z.string().min(1).max(2000) }).strict(),
+  z.object({ type: z.literal('not_contains'), value: z.string().min(1).max(2000) }).strict(),
+  z.object({ type: z.literal('json_schema'), schema: z.record(z.unknown()) }).strict(),
+  z.object({ type: z.literal('llm_judge'), value: z.string().trim().min(1).max(4000) }).strict(),
+]);
+
+/** Payload for creating an evaluation case; updates accept any subset of it. */
+export const agentEvalCaseSchema: z.ZodObject<
+  {
+    name: z.ZodString;
+    turns: z.ZodArray<z.ZodString, 'many'>;
+    assertions: z.ZodDefault<z.ZodArray<typeof agentEvalAssertionSchema, 'many'>>;
+  },
+  'strict'
+> = z
+  .object({
+    name: z.string().trim().min(1).max(200),
+    turns: z.array(z.string().trim().min(1).max(20_000)).min(1).max(AGENT_EVAL_MAX_TURNS),
+    assertions: z.array(agentEvalAssertionSchema).max(10).default([]),
+  })
+  .strict();
+
+export const agentEvalRunSchema: z.ZodObject<{ version: z.ZodOptional<z.ZodNumber> }, 'strict'> = z
+  .object({
+    /** 1-based entry of the agent's `versions`; defaults to the current saved state. */
+    version: z.number().int().positive().optional(),
+  })
+  .strict();
+
+export type TAgentEvalCaseInput = z.infer<typeof agentEvalCaseSchema>;
+
+/** What one evaluation case produced across its turns. */
+export interface AgentEvalTranscript {
+  turns: string[];
+  /** The agent's reply to the last turn. */
+  output: string;
+  /** Names of the tools the agent called, in order, across all turns. */
+  toolCalls: string[];
+}
+
+/** Grades a transcript against written criteria; resolves with the judge model's reply. */
+export type AgentEvalJudge = (prompt: string) => Promise<string>;
+
+/** Asks for a verdict on the first line so the reply can be read without structured output. */
+export function buildAgentEvalJudgePrompt(
+  criteria: string,
+  { turns, output, toolCalls }: AgentEvalTranscript,
+): string {
+  const conversation = turns.map((turn, index) => `User (turn ${index + 1}): ${turn}`).join('\n');
+  return [
+    'You are grading the reply of an AI agent against the criteria below.',
+    'Answer with PASS or FAIL on the first line, then one or two sentences explaining why.',
+    '',
+    '<criteria>',
+    criteria,
+    '</criteria>',
+    '',
+    '<conversation>',
+    conversation,
+    '</conversation>',
+    '',
+    `<tool_calls>${toolCalls.length > 0 ? toolCalls.join(', ') : 'none'}</tool_calls>`,
+    '',
+    '<final_reply>',
+    output,
+    '</final_reply>',
+  ].join('\n');
+}
+
+/** Reads the judge's verdict; a reply without one fails the assertion. */
+export function parseAgentEvalVerdict(reply: string): { passed: boolean; message?: string } {
+  const match = VERDICT_REGEX.exec(reply);
+  if (!match) {
+    return { passed: false, message: 'The judge did not return a verdict' };
+  }
+  const reason = reply.slice(match[0].length).trim().slice(0, 1000);
+  return {
+    passed: match[1].toUpperCase() === 'PASS',
+    ...(reason && { message: reason }),
+  };
+}
+
+/**
+ * Checks one rubric entry against a case's transcript. Text checks read the reply to the
+ * last turn, `tool_call` looks at every turn, and `llm_judge` needs a `judge`.
+ */
+export async function evaluateAgentEvalAssertion(
+  assertion: IAgentEvalAssertion,
+  transcript: AgentEvalTranscript,
+  judge?: AgentEvalJudge,
+): Promise<IAgentEvalAssertionResult> {
+  const { type } = assertion;
+  const value = assertion.value ?? '';
+  if (type === 'tool_call') {
+    if (transcript.toolCalls.includes(value)) {
+      return { type, passed: true };
+    }
+    const called = transcript.toolCalls.length > 0 ? transcript.toolCalls.join(', ') : 'none';
+    return { type, passed: false, message: `"${value}" was not called (called: ${called})` };
+  }
+  if (type === 'not_contains') {
+    const passed = !transcript.output.includes(value);
+    return passed ? { type, passed } : { type, passed, message: 'Unexpected text found' };
+  }
+  if (type === 'contains' || type === 'json_schema') {
+    const result = evaluatePromptTestAssertion(
+      { type, value, schema: assertion.schema },
+      transcript.output,
+    );
+    return { ...result, type };
+  }
+  if (!judge) {
+    return { type, passed: false, message: 'No judge model is available' };
+  }
+  try {
+    const reply = await judge(buildAgentEvalJudgePrompt(value, transcript));
+    return { type, ...parseAgentEvalVerdict(reply) };
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    return { type, passed: false, message: `The judge failed: ${message}`.slice(0, 1000) };
+  }
+}
@@ -0,0 +1,348 @@
+import type { Response } from 'express';
+import type { IAgent, IAgentEvalCase, IAgentEvalRun } from '@librechat/data-schemas';
+import type { ResponsesEventCollector } from '../mcpServer/collector';
+import type { AgentEvalDeps } from './runs';
+import type { ServerRequest } from '~/types';
+import {
+  toAgentEvalReply,
+  AGENT_EVAL_STALE_MS,
+  AGENT_EVAL_RUNS_KEPT,
+  createAgentEvalHandlers,
+} from './runs';
+import { AGENT_EVAL_MAX_CASES } from './rubric';
+
+jest.mock('@librechat/data-schemas', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+jest.mock('@librechat/agents', () => ({
+  initializeModel: jest.fn(),
+}));
+
+jest.mock('~/mcp/sampling', () => ({
+  resolveMCPSamplingModel: jest.fn(),
+}));
+
+const agentId = 'agent_support';
+
+interface MockResponse {
+  statusCode: number;
+  body: unknown;
+  status: jest.Mock;
+  json: jest.Mock;
+}
+
+function mockRequest(
+  overrides: { body?: unknown; params?: Record<string, string> } = {},
+): ServerRequest {
+  return {
+    user: { id: 'user-1', name: 'Sam' },
+    headers: {},
+    body: {},
+    query: {},
+    params: { id: agentId },
+    ...overrides,
+  } as unknown as ServerRequest;
+}
+
+function mockResponse(): Response & MockResponse {
+  const res: MockResponse = {
+    statusCode: 200,
+    body: undefined,
+    status: jest.fn((statusCode: number) => {
+      res.statusCode = statusCode;
+      return res;
+    }),
+    json: jest.fn((body: unknown) => {
+      res.body = body;
+      return res;
+    }),
+  };
+  return res as Partial<Response> as Response & MockResponse;
+}
+
+function createEvalCase(overrides: Partial<IAgentEvalCase> = {}): IAgentEvalCase {
+  return {
+    _id: 'case-1',
+    agent_id: agentId,
+    author: 'user-1',
+    name: 'Order status',
+    turns: ['Where is my order?', 'Order 1234'],
+    assertions: [
+      { type: 'tool_call', value: 'lookup_order' },
+      { type: 'contains', value: 'shipped' },
+    ],
+    ...overrides,
+  } as IAgentEvalCase;
+}
+
+function createRun(overrides: Partial<IAgentEvalRun> = {}): IAgentEvalRun {
+  return {
+    _id: 'run-1',
+    agent_id: agentId,
+    version: 2,
+    user: 'user-1',
+    status: 'pending',
+    results: [],
+    summary: { total: 0, passed: 0, failed: 0 },
+    createdAt: new Date('2026-03-01T00:00:00.000Z'),
+    ...overrides,
+  } as IAgentEvalRun;
+}
+
+const agent = {
+  id: agentId,
+  provider: 'openAI',
+  model: 'gpt-4.1',
+  versions: [{ model: 'gpt-4o' }, { model: 'gpt-4.1' }],
+} as unknown as IAgent;
+
+const sleep = (ms: number) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('createAgentEvalHandlers', () => {
+  let deps: jest.Mocked<AgentEvalDeps>;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    deps = {
+      getAgentEvalCases: jest.fn().mockResolvedValue([createEvalCase()]),
+      countAgentEvalCases: jest.fn().mockResolvedValue(0),
+      createAgentEvalCase: jest.fn(async (data) => createEvalCase(data)),
+      updateAgentEvalCase: jest.fn(),
+      deleteAgentEvalCase: jest.fn(),
+      createAgentEvalRun: jest.fn(async (data) => createRun(data)),
+      getAgentEvalRun: jest.fn(),
+      getAgentEvalRuns: jest.fn().mockResolvedValue([]),
+      findActiveAgentEvalRun: jest.fn().mockResolvedValue(null),
+      updateAgentEvalRun: jest.fn(async (_runId, update) => createRun(update)),
+      pruneOldAgentEvalRuns: jest.fn().mockResolvedValue(0),
+      getAgent: jest.fn().mockResolvedValue(agent),
+      runTurn: jest
+        .fn()
+        .mockResolvedValueOnce({ text: 'Which order?', toolCalls: [] })
+        .mockResolvedValueOnce({ text: 'Order 1234 has shipped.', toolCalls: ['lookup_order'] }),
+    } as unknown as jest.Mocked<AgentEvalDeps>;
+  });
+
+  /** Waits for the fire-and-forget run to record its outcome. */
+  async function waitForRun() {
+    const isFinished = () =>
+      deps.updateAgentEvalRun.mock.calls.some(
+        ([, update]) => update.status === 'completed' || update.status === 'failed',
+      );
+    for (let i = 0; i < 100 && !isFinished(); i++) {
+      await sleep(10);
+    }
+    await sleep(0);
+  }
+
+  function getFinalUpdate() {
+    const { calls } = deps.updateAgentEvalRun.mock;
+    return calls[calls.length - 1]?.[1];
+  }
+
+  describe('createEvalCase', () => {
+    it('saves a valid case for the agent', async () => {
+      const { createEvalCase: create } = createAgentEvalHandlers(deps);
+      const res = mockResponse();
+
+      await create(
+        mockRequest({
+          body: {
+            name: 'Order status',
+            turns: ['Where is my order?'],
+            assertions: [{ type: 'not_contains', value: 'refund' }],
+          },
+        }),
+        res,
+      );
+
+      expect(res.statusCode).toBe(201);
+      expect(deps.createAgentEvalCase).toHaveBeenCalledWith({
+        name: 'Order status',
+        turns: ['Where is my order?'],
+        assertions: [{ type: 'not_contains', value: 'refund' }],
+        agent_id: agentId,
+        author: 'user-1',
+      });
+      expect((res.body as { case: { _id: string } }).case._id).toBe('case-1');
+    });
+
+    it('rejects invalid cases and agents at the case limit', async () => {
+      const { createEvalCase: create } = createAgentEvalHandlers(deps);
+
+      const invalid = mockResponse();
+      await create(mockRequest({ body: { name: 'No turns', turns: [] } }), invalid);
+      expect(invalid.statusCode).toBe(400);
+
+      deps.countAgentEvalCases.mockResolvedValue(AGENT_EVAL_MAX_CASES);
+      const full = mockResponse();
+      await create(mockRequest({ body: { name: 'One more', turns: ['Hi'] } }), full);
+      expect(full.statusCode).toBe(400);
+      expect(deps.createAgentEvalCase).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('startEvalRun', () => {
+    it('replays every turn of each case against the selected version and grades it', async () => {
+      const { startEvalRun } = createAgentEvalHandlers(deps);
+      const res = mockResponse();
+
+      await startEvalRun(mockRequest({ body: { version: 1 } }), res);
+      await waitForRun();
+
+      expect(res.statusCode).toBe(202);
+      expect(deps.createAgentEvalRun).toHaveBeenCalledWith({
+        agent_id: agentId,
+        version: 1,
+        user: 'user-1',
+      });
+      expect(deps.pruneOldAgentEvalRuns).toHaveBeenCalledWith(agentId, AGENT_EVAL_RUNS_KEPT);
+      expect(deps.runTurn).toHaveBeenCalledTimes(2);
+      expect(deps.runTurn.mock.calls[1][1]).toEqual({
+        agentId,
+        version: 1,
+        messages: [
+          { role: 'user', content: 'Where is my order?' },
+          { role: 'assistant', content: 'Which order?' },
+          { role: 'user', content: 'Order 1234' },
+        ],
+      });
+
+      const final = getFinalUpdate();
+      expect(final?.status).toBe('completed');
+      expect(final?.summary).toEqual({ total: 1, passed: 1, failed: 0 });
+      expect(final?.results?.[0]).toMatchObject({
+        caseName: 'Order status',
+        output: 'Order 1234 has shipped.',
+        toolCalls: ['lookup_order'],
+        passed: true,
+      });
+    });
+
+    it('defaults to the current saved state and grades judge entries with the live agent', async () => {
+      const judge = jest.fn().mockResolvedValue('FAIL: too terse');
+      deps.createJudge = jest.fn().mockReturnValue(judge);
+      deps.getAgentEvalCases.mockResolvedValue([
+        createEvalCase({ assertions: [{ type: 'llm_judge', value: 'Polite' }] }),
+      ]);
+      const { startEvalRun } = createAgentEvalHandlers(deps);
+      const req = mockRequest();
+
+      await startEvalRun(req, mockResponse());
+      await waitForRun();
+
+      expect(deps.createAgentEvalRun).toHaveBeenCalledWith(expect.objectContaining({ version: 2 }));
+      expect(deps.createJudge).toHaveBeenCalledWith(req, agent);
+      const final = getFinalUpdate();
+      expect(final?.results?.[0].assertions).toEqual([
+        { type: 'llm_judge', passed: false, message: 'too terse' },
+      ]);
+      expect(final?.summary).toEqual({ total: 1, passed: 0, failed: 1 });
+    });
+
+    it('records a failed turn on its case and keeps going', async () => {
+      deps.runTurn.mockReset().mockRejectedValue(new Error('Provider unavailable'));
+      const { startEvalRun } = createAgentEvalHandlers(deps);
+
+      await startEvalRun(mockRequest(), mockResponse());
+      await waitForRun();
+
+      const final = getFinalUpdate();
+      expect(final?.status).toBe('completed');
+      expect(final?.results?.[0]).toMatchObject({
+        passed: false,
+        error: 'Provider unavailable',
+        assertions: [],
+      });
+    });
+
+    it('rejects unknown versions, agents without cases and concurrent runs', async () => {
+      const { startEvalRun } = createAgentEvalHandlers(deps);
+
+      const unknownVersion = mockResponse();
+      await startEvalRun(mockRequest({ body: { version: 3 } }), unknownVersion);
+      expect(unknownVersion.statusCode).toBe(404);
+
+      deps.getAgentEvalCases.mockResolvedValueOnce([]);
+      const empty = mockResponse();
+      await startEvalRun(mockRequest(), empty);
+      expect(empty.statusCode).toBe(400);
+
+      deps.findActiveAgentEvalRun.mockResolvedValueOnce(createRun({ status: 'running' }));
+      const busy = mockResponse();
+      await startEvalRun(mockRequest(), busy);
+      expect(busy.statusCode).toBe(409);
+      const [, staleBefore] = deps.findActiveAgentEvalRun.mock.calls[0];
+      expect(Date.now() - staleBefore.getTime()).toBeGreaterThanOrEqual(AGENT_EVAL_STALE_MS);
+
+      expect(deps.createAgentEvalRun).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getEvalRun', () => {
+    it('returns runs with their version', async () => {
+      deps.getAgentEvalRun.mockResolvedValue(createRun({ version: null }));
+      const { getEvalRun } = createAgentEvalHandlers(deps);
+      const res = mockResponse();
+
+      await getEvalRun(mockRequest({ params: { id: agentId, runId: 'run-1' } }), res);
+
+      expect(deps.getAgentEvalRun).toHaveBeenCalledWith(agentId, 'run-1');
+      expect(res.body).toEqual({
+        run: expect.objectContaining({
+          _id: 'run-1',
+          version: null,
+          createdAt: '2026-03-01T00:00:00.000Z',
+        }),
+      });
+    });
+  });
+});
+
+describe('toAgentEvalReply', () => {
+  function collectorFor(
+    response: unknown,
+    error?: { statusCode: number; message: string },
+  ): ResponsesEventCollector {
+    return {
+      res: {} as ResponsesEventCollector['res'],
+      getResponse: () => response as ReturnType<ResponsesEventCollector['getResponse']>,
+      getAttachments: () => [],
+      getError: () => error,
+    };
+  }
+
+  it('collects the reply text and the tools called', () => {
+    const reply = toAgentEvalReply(
+      collectorFor({
+        status: 'completed',
+        output: [
+          { type: 'function_call', name: 'lookup_order', call_id: 'c1', arguments: '{}' },
+          { type: 'function_call_output', call_id: 'c1', output: '{"status":"shipped"}' },
+          {
+            type: 'message',
+            role: 'assistant',
+            content: [{ type: 'output_text', text: 'It has shipped.' }],
+          },
+        ],
+      }),
+    );
+    expect(reply).toEqual({ text: 'It has shipped.', toolCalls: ['lookup_order'] });
+  });
+
+  it('throws the error of a run that did not complete', () => {
+    expect(() =>
+      toAgentEvalReply(collectorFor(undefined, { statusCode: 404, message: 'No version 9' })),
+    ).toThrow('No version 9');
+    expect(() =>
+      toAgentEvalReply(
+        collectorFor({ status: 'failed', output: [], error: { message: 'Tool crashed' } }),
+      ),
+    ).toThrow('Tool crashed');
+  });
+});
@@ -0,0 +1,401 @@
+import { logger } from '@librechat/data-schemas';
+import type {
+  IAgent,
+  IAgentEvalRun,
+  IAgentEvalCase,
+  IAgentEvalResult,
+  AgentEvalMethods,
+  IAgentEvalAssertionResult,
+} from '@librechat/data-schemas';
+import type { TAgentEvalRun, TAgentEvalCase, TAgentEvalAssertion } from 'librechat-data-provider';
+import type { Response } from 'express';
+import type { ResponsesEventCollector } from '../mcpServer/collector';
+import type { AgentEvalJudge } from './rubric';
+import type { ServerRequest } from '~/types';
+import {
+  agentEvalRunSchema,
+  agentEvalCaseSchema,
+  AGENT_EVAL_MAX_CASES,
+  evaluateAgentEvalAssertion,
+  AGENT_EVAL_MAX_OUTPUT_LENGTH,
+} from './rubric';
+
+/** A pending or running evaluation run that has not reported progress for this long is treated as abandoned. */
+export const AGENT_EVAL_STALE_MS: number = 30 * 60 * 1000;
+/** Runs kept per agent; older ones are deleted when a new run starts. */
+export const AGENT_EVAL_RUNS_KEPT: number = 20;
+
+export interface AgentEvalMessage {
+  role: 'user' | 'assistant';
+  content: string;
+}
+
+/** The agent's answer to one turn. */
+export interface AgentEvalReply {
+  text: string;
+  toolCalls: string[];
+}
+
+export interface AgentEvalDeps
+  extends Pick<
+    AgentEvalMethods,
+    | 'getAgentEvalCases'
+    | 'countAgentEvalCases'
+    | 'createAgentEvalCase'
+    | 'updateAgentEvalCase'
+    | 'deleteAgentEvalCase'
+    | 'createAgentEvalRun'
+    | 'getAgentEvalRun'
+    | 'getAgentEvalRuns'
+    | 'findActiveAgentEvalRun'
+    | 'updateAgentEvalRun'
+    | 'pruneOldAgentEvalRuns'
+  > {
+  getAgent: (filter: { id: string }) => Promise<IAgent | null>;
+  /**
+   * Runs the agent version on the conversation so far, through the same initialization
+   * as any other run, without storing a conversation.
+   */
+  runTurn: (
+    req: ServerRequest,
+    options: { agentId: string; version: number | null; messages: AgentEvalMessage[] },
+  ) => Promise<AgentEvalReply>;
+  /** Judge for `llm_judge` rubric entries; without it they fail. */
+  createJudge?: (req: ServerRequest, agent: IAgent) => AgentEvalJudge;
+}
+
+type AgentParams = { id: string };
+type CaseParams = AgentParams & { caseId: string };
+type RunParams = AgentParams & { runId: string };
+
+const toISOString = (date?: Date) => (date != null ? new Date(date).toISOString() : undefined);
+
+/**
+ * Reduces a non-streaming Responses run to the reply text and the names of the tools it
+ * called. Throws with the run's error message when it did not complete.
+ */
+export function toAgentEvalReply(collector: ResponsesEventCollector): AgentEvalReply {
+  const error = collector.getError();
+  if (error) {
+    throw new Error(error.message);
+  }
+  const response = collector.getResponse();
+  if (!response) {
+    throw new Error('The agent run ended without a response');
+  }
+  if (response.status !== 'completed') {
+    throw new Error(response.error?.message ?? `The agent run ended as ${response.status}`);
+  }
+
+  const text = response.output
+    .flatMap((item) => (item.type === 'message' ? item.content : []))
+    .map((part) => (part.type === 'output_text' ? part.text : ''))
+    .join('');
+  const toolCalls = response.output.flatMap((item) =>
+    item.type === 'function_call' ? [item.name] : [],
+  );
+  return { text, toolCalls };
+}
+
+function toEvalCaseResponse(evalCase: IAgentEvalCase): TAgentEvalCase {
+  return {
+    _id: String(evalCase._id),
+    agent_id: evalCase.agent_id,
+    name: evalCase.name,
+    turns: evalCase.turns ?? [],
+    assertions: (evalCase.assertions ?? []).map((assertion) =>
+      assertion.type === 'json_schema'
+        ? { type: assertion.type, schema: assertion.schema ?? {} }
+        : { type: assertion.type, value: assertion.value ?? '' },
+    ) as TAgentEvalAssertion[],
+    createdAt: toISOString(evalCase.createdAt),
+    updatedAt: toISOString(evalCase.updatedAt),
+  };
+}
+
+function toEvalRunResponse(run: IAgentEvalRun): TAgentEvalRun {
+  return {
+    _id: String(run._id),
+    agent_id: run.agent_id,
+    version: run.version ?? null,
+    status: run.status,
+    results: (run.results ?? []).map((result) => ({
+      ...result,
+      caseId: String(result.caseId),
+      toolCalls: result.toolCalls ?? [],
+      assertions: result.assertions ?? [],
+    })),
+    summary: {
+      total: run.summary?.total ?? 0,
+      passed: run.summary?.passed ?? 0,
+      failed: run.summary?.failed ?? 0,
+    },
+    ...(run.error != null && { error: run.error }),
+    ...(run.createdAt != null && { createdAt: toISOString(run.createdAt) }),
+    ...(run.finishedAt != null && { finishedAt: toISOString(run.finishedAt) }),
+  };
+}
+
+function summarize(results: IAgentEvalResult[]): IAgentEvalRun['summary'] {
+  const passed = results.filter((result) => result.passed).length;
+  return { total: results.length, passed, failed: results.length - passed };
+}
+
+/**
+ * Creates handlers for agent evaluations under `/api/agents/:id`: evaluation cases (user
+ * turns with a rubric), and runs that replay every case against one entry of the agent's
+ * `versions` in the background. Runs store each reply, the tools called and the rubric
+ * results, so versions can be compared before a label is moved to a new one.
+ */
+export function createAgentEvalHandlers(deps: AgentEvalDeps): {
+  listEvalCases: (req: ServerRequest, res: Response) => Promise<Response>;
+  createEvalCase: (req: ServerRequest, res: Response) => Promise<Response>;
+  updateEvalCase: (req: ServerRequest, res: Response) => Promise<Response>;
+  deleteEvalCase: (req: ServerRequest, res: Response) => Promise<Response>;
+  startEvalRun: (req: ServerRequest, res: Response) => Promise<Response>;
+  listEvalRuns: (req: ServerRequest, res: Response) => Promise<Response>;
+  getEvalRun: (req: ServerRequest, res: Response) => Promise<Response>;
+} {
+  async function runEvalCase(
+    req: ServerRequest,
+    run: IAgentEvalRun,
+    evalCase: IAgentEvalCase,
+    judge?: AgentEvalJudge,
+  ): Promise<IAgentEvalResult> {
+    const base = { caseId: evalCase._id!, caseName: evalCase.name };
+    const startedAt = Date.now();
+    const messages: AgentEvalMessage[] = [];
+    const toolCalls: string[] = [];
+    let output = '';
+    try {
+      for (const turn of evalCase.turns) {
+        messages.push({ role: 'user', content: turn });
+        const reply = await deps.runTurn(req, {
+          agentId: run.agent_id,
+          version: run.version,
+          messages: [...messages],
+        });
+        toolCalls.push(...reply.toolCalls);
+        output = reply.text;
+        messages.push({ role: 'assistant', content: reply.text });
+      }
+      const transcript = { turns: evalCase.turns, output, toolCalls };
+      const assertions: IAgentEvalAssertionResult[] = [];
+      for (const assertion of evalCase.assertions ?? []) {
+        assertions.push(await evaluateAgentEvalAssertion(assertion, transcript, judge));
+      }
+      return {
+        ...base,
+        output: output.slice(0, AGENT_EVAL_MAX_OUTPUT_LENGTH),
+        toolCalls,
+        passed: assertions.every((assertion) => assertion.passed),
+        assertions,
+        durationMs: Date.now() - startedAt,
+      };
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
+      return {
+        ...base,
+        ...(output && { output: output.slice(0, AGENT_EVAL_MAX_OUTPUT_LENGTH) }),
+        toolCalls,
+        error: message.slice(0, 500),
+        passed: false,
+        assertions: [],
+        durationMs: Date.now() - startedAt,
+      };
+    }
+  }
+
+  async function runEvalSuite(
+    req: ServerRequest,
+    run: IAgentEvalRun,
+    agent: IAgent,
+    evalCases: IAgentEvalCase[],
+  ): Promise<void> {
+    const runId = String(run._id);
+    try {
+      await deps.updateAgentEvalRun(runId, { status: 'running', startedAt: new Date() });
+      /** Every version is graded by the agent's current model, so their scores compare. */
+      const judge = deps.createJudge?.(req, agent);
+      const results: IAgentEvalResult[] = [];
+      for (const evalCase of evalCases) {
+        results.push(await runEvalCase(req, run, evalCase, judge));
+        await deps.updateAgentEvalRun(runId, { results, summary: summarize(results) });
+      }
+      const summary = summarize(results);
+      await deps.updateAgentEvalRun(runId, {
+        status: 'completed',
+        results,
+        summary,
+        finishedAt: new Date(),
+      });
+      logger.info(
+        `[agentEvals] agent: ${run.agent_id} | Run ${runId} passed ${summary.passed}/${summary.total}`,
+      );
+    } catch (error) {
+      logger.error(`[agentEvals] agent: ${run.agent_id} | Run ${runId} failed`, error);
+      await deps
+        .updateAgentEvalRun(runId, {
+          status: 'failed',
+          error: 'The evaluation run could not be completed',
+          finishedAt: new Date(),
+        })
+        .catch((updateError) => {
+          logger.error('[agentEvals] Failed to record run failure', updateError);
+        });
+    }
+  }
+
+  async function listEvalCases(req: ServerRequest, res: Response) {
+    try {
+      const { id } = req.params as AgentParams;
+      const evalCases = await deps.getAgentEvalCases(id);
+      return res.status(200).json({ cases: evalCases.map(toEvalCaseResponse) });
+    } catch (error) {
+      logger.error('[agentEvals] listEvalCases error:', error);
+      return res.status(500).json({ error: 'Failed to get evaluation cases' });
+    }
+  }
+
+  async function createEvalCase(req: ServerRequest, res: Response) {
+    try {
+      const { id } = req.params as AgentParams;
+      const validation = agentEvalCaseSchema.safeParse(req.body);
+      if (!validation.success) {
+        return res
+          .status(400)
+          .json({ error: 'Invalid request body', details: validation.error.errors });
+      }
+      if ((await deps.countAgentEvalCases(id)) >= AGENT_EVAL_MAX_CASES) {
+        return res
+          .status(400)
+          .json({ error: `An agent can have at most ${AGENT_EVAL_MAX_CASES} evaluation cases` });
+      }
+      const evalCase = await deps.createAgentEvalCase({
+        ...validation.data,
+        agent_id: id,
+        author: req.user!.id,
+      });
+      return res.status(201).json({ case: toEvalCaseResponse(evalCase) });
+    } catch (error) {
+      logger.error('[agentEvals] createEvalCase error:', error);
+      return res.status(500).json({ error: 'Failed to create evaluation case' });
+    }
+  }
+
+  async function updateEvalCase(req: ServerRequest, res: Response) {
+    try {
+      const { id, caseId } = req.params as CaseParams;
+      const validation = agentEvalCaseSchema.partial().safeParse(req.body);
+      if (!validation.success) {
+        return res
+          .status(400)
+          .json({ error: 'Invalid request body', details: validation.error.errors });
+      }
+      const evalCase = await deps.updateAgentEvalCase(id, caseId, validation.data);
+      if (!evalCase) {
+        return res.status(404).json({ error: 'Evaluation case not found' });
+      }
+      return res.status(200).json({ case: toEvalCaseResponse(evalCase) });
+    } catch (error) {
+      logger.error('[agentEvals] updateEvalCase error:', error);
+      return res.status(500).json({ error: 'Failed to update evaluation case' });
+    }
+  }
+
+  async function deleteEvalCase(req: ServerRequest, res: Response) {
+    try {
+      const { id, caseId } = req.params as CaseParams;
+      if (!(await deps.deleteAgentEvalCase(id, caseId))) {
+        return res.status(404).json({ error: 'Evaluation case not found' });
+      }
+      return res.status(200).json({ message: 'Evaluation case deleted' });
+    } catch (error) {
+      logger.error('[agentEvals] deleteEvalCase error:', error);
+      return res.status(500).json({ error: 'Failed to delete evaluation case' });
+    }
+  }
+
+  async function startEvalRun(req: ServerRequest, res: Response) {
+    try {
+      const { id } = req.params as AgentParams;
+      const validation = agentEvalRunSchema.safeParse(req.body ?? {});
+      if (!validation.success) {
+        return res
+          .status(400)
+          .json({ error: 'Invalid request body', details: validation.error.errors });
+      }
+
+      const agent = await deps.getAgent({ id });
+      if (!agent) {
+        return res.status(404).json({ error: 'Agent not found' });
+      }
+      const versionCount = agent.versions?.length ?? 0;
+      const { version = versionCount > 0 ? versionCount : null } = validation.data;
+      if (version != null && version > versionCount) {
+        return res.status(404).json({ error: `Agent version ${version} not found` });
+      }
+
+      const evalCases = await deps.getAgentEvalCases(id);
+      if (evalCases.length === 0) {
+        return res.status(400).json({ error: 'Add an evaluation case before running them' });
+      }
+
+      const active = await deps.findActiveAgentEvalRun(
+        id,
+        new Date(Date.now() - AGENT_EVAL_STALE_MS),
+      );
+      if (active) {
+        return res.status(409).json({
+          error: 'An evaluation run for this agent is already in progress',
+          run: toEvalRunResponse(active),
+        });
+      }
+
+      const run = await deps.createAgentEvalRun({ agent_id: id, version, user: req.user!.id });
+      await deps.pruneOldAgentEvalRuns(id, AGENT_EVAL_RUNS_KEPT).catch((error) => {
+        logger.warn('[agentEvals] Failed to remove old evaluation runs', error);
+      });
+      void runEvalSuite(req, run, agent, evalCases);
+      return res.status(202).json({ run: toEvalRunResponse(run) });
+    } catch (error) {
+      logger.error('[agentEvals] startEvalRun error:', error);
+      return res.status(500).json({ error: 'Failed to start evaluation run' });
+    }
+  }
+
+  async function listEvalRuns(req: ServerRequest, res: Response) {
+    try {
+      const { id } = req.params as AgentParams;
+      const runs = await deps.getAgentEvalRuns(id);
+      return res.status(200).json({ runs: runs.map(toEvalRunResponse) });
+    } catch (error) {
+      logger.error('[agentEvals] listEvalRuns error:', error);
+      return res.status(500).json({ error: 'Failed to get evaluation runs' });
+    }
+  }
+
+  async function getEvalRun(req: ServerRequest, res: Response) {
+    try {
+      const { id, runId } = req.params as RunParams;
+      const run = await deps.getAgentEvalRun(id, runId);
+      if (!run) {
+        return res.status(404).json({ error: 'Evaluation run not found' });
+      }
+      return res.status(200).json({ run: toEvalRunResponse(run) });
+    } catch (error) {
+      logger.error('[agentEvals] getEvalRun error:', error);
+      return res.status(500).json({ error: 'Failed to get evaluation run' });
+    }
+  }
+
+  return {
+    listEvalCases,
+    createEvalCase,
+    updateEvalCase,
+    deleteEvalCase,
+    startEvalRun,
+    listEvalRuns,
+    getEvalRun,
+  };
+}
@@ -0,0 +1,120 @@
+import { EModelEndpoint } from 'librechat-data-provider';
+import type { AppConfig } from '@librechat/data-schemas';
+import {
+  isFailoverError,
+  toFailoverAttempt,
+  resolveModelFallbacks,
+  getFailoverErrorStatus,
+} from './failover';
+
+jest.mock('~/app/config', () => ({
+  getCustomEndpointConfig: ({ endpoint, appConfig }: { endpoint: string; appConfig: AppConfig }) =>
+    appConfig.endpoints?.custom?.find((config) => config.name === endpoint),
+}));
+
+const appConfig = {
+  endpoints: {
+    [EModelEndpoint.azureOpenAI]: {
+      fallbacks: {
+        'gpt-4o': [
+          { endpoint: EModelEndpoint.openAI, model: 'gpt-4o' },
+          { endpoint: EModelEndpoint.bedrock, model: 'anthropic.claude-sonnet-4' },
+        ],
+      },
+    },
+    [EModelEndpoint.custom]: [
+      {
+        name: 'OpenRouter',
+        fallbacks: { 'llama-3.3-70b': [{ endpoint: 'Groq', model: 'llama-3.3-70b' }] },
+      },
+    ],
+    all: {
+      fallbacks: { 'gpt-4o-mini': [{ endpoint: EModelEndpoint.openAI, model: 'gpt-4o-mini' }] },
+    },
+  },
+} as unknown as AppConfig;
+
+describe('resolveModelFallbacks', () => {
+  it('uses the endpoint chain for the requested model', () => {
+    expect(
+      resolveModelFallbacks({ appConfig, endpoint: EModelEndpoint.azureOpenAI, model: 'gpt-4o' }),
+    ).toEqual([
+      { endpoint: EModelEndpoint.openAI, model: 'gpt-4o' },
+      { endpoint: EModelEndpoint.bedrock, model: 'anthropic.claude-sonnet-4' },
+    ]);
+  });
+
+  it('reads chains from custom endpoints and from `endpoints.all`', () => {
+    expect(
+      resolveModelFallbacks({ appConfig, endpoint: 'OpenRouter', model: 'llama-3.3-70b' }),
+    ).toEqual([{ endpoint: 'Groq', model: 'llama-3.3-70b' }]);
+    expect(
+      resolveModelFallbacks({ appConfig, endpoint: EModelEndpoint.google, model: 'gpt-4o-mini' }),
+    ).toEqual([{ endpoint: EModelEndpoint.openAI, model: 'gpt-4o-mini' }]);
+  });
+
+  it('prefers the model spec chain and drops the primary and repeated steps', () => {
+    const modelSpec = {
+      fallbacks: [
+        { endpoint: EModelEndpoint.azureOpenAI, model: 'gpt-4o' },
+        { endpoint: EModelEndpoint.anthropic, model: 'claude-sonnet-4' },
+        { endpoint: EModelEndpoint.anthropic, model: 'claude-sonnet-4' },
+      ],
+    };
+    expect(
+      resolveModelFallbacks({
+        appConfig,
+        modelSpec,
+        endpoint: EModelEndpoint.azureOpenAI,
+        model: 'gpt-4o',
+      }),
+    ).toEqual([{ endpoint: EModelEndpoint.anthropic, model: 'claude-sonnet-4' }]);
+  });
+
+  it('returns an empty chain when nothing is configured', () => {
+    expect(
+      resolveModelFallbacks({ appConfig, endpoint: EModelEndpoint.openAI, model: 'o3' }),
+    ).toEqual([]);
+    expect(resolveModelFallbacks({ endpoint: 'OpenRouter', model: 'llama-3.3-70b' })).toEqual([]);
+  });
+});
+
+describe('isFailoverError', () => {
+  it.each([
+    ['rate limits', { status: 429 }],
+    ['server errors', { status: 503 }],
+    ['Anthropic overload', { status: 529 }],
+    ['Bedrock throttling', { $metadata: { httpStatusCode: 429 } }],
+    ['wrapped responses', { response: { status: 502 } }],
+    ['status-prefixed messages', new Error('500 Internal server error')],
+    ['connection failures', Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' })],
+    ['causes', new Error('fetch failed', { cause: { code: 'ETIMEDOUT' } })],
+  ])('fails over on %s', (_label, error) => {
+    expect(isFailoverError(error)).toBe(true);
+  });
+
+  it.each([
+    ['invalid requests', { status: 400 }],
+    ['authentication errors', { status: 401 }],
+    ['content filtering', new Error('Content policy violation')],
+    ['non-errors', undefined],
+  ])('does not fail over on %s', (_label, error) => {
+    expect(isFailoverError(error)).toBe(false);
+  });
+});
+
+describe('toFailoverAttempt', () => {
+  it('records the step, a bounded message, and the status when known', () => {
+    const error = Object.assign(new Error('x'.repeat(600)), { status: 429 });
+    const attempt = toFailoverAttempt({ endpoint: 'azureOpenAI', model: 'gpt-4o' }, error);
+
+    expect(attempt).toMatchObject({ endpoint: 'azureOpenAI', model: 'gpt-4o', status: 429 });
+    expect(attempt.error).toHaveLength(500);
+    expect(getFailoverErrorStatus(new Error('no status'))).toBeUndefined();
+    expect(toFailoverAttempt({ endpoint: 'a', model: 'b' }, 'boom')).toEqual({
+      endpoint: 'a',
+      model: 'b',
+      error: 'boom',
+    });
+  });
+});
@@ -0,0 +1,130 @@
+import { EModelEndpoint } from 'librechat-data-provider';
+import type { TModelFailover, TModelFallback } from 'librechat-data-provider';
+import type { AppConfig } from '@librechat/data-schemas';
+import { getCustomEndpointConfig } from '~/app/config';
+
+type FallbackSource = { fallbacks?: Record<string, TModelFallback[] | undefined> } | undefined;
+
+/** Connection failures that say nothing about the request itself, so another provider may succeed. */
+const RETRYABLE_NETWORK_CODES = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'ENOTFOUND',
+  'EAI_AGAIN',
+  'UND_ERR_CONNECT_TIMEOUT',
+  'UND_ERR_SOCKET',
+]);
+
+const BUILT_IN_ENDPOINTS = new Set<string>(Object.values(EModelEndpoint));
+
+/** Provider SDKs prefix their messages with the HTTP status, e.g. `429 Rate limit reached`. */
+const STATUS_PREFIX_REGEX = /^(\d{3})\b/;
+
+function getEndpointFallbacks(appConfig: AppConfig | undefined, endpoint: string): FallbackSource {
+  const endpoints = appConfig?.endpoints as Record<string, unknown> | undefined;
+  const builtIn = endpoints?.[endpoint];
+  if (builtIn != null && !Array.isArray(builtIn)) {
+    return builtIn as FallbackSource;
+  }
+  if (appConfig == null || BUILT_IN_ENDPOINTS.has(endpoint)) {
+    return undefined;
+  }
+  return getCustomEndpointConfig({ endpoint, appConfig }) as FallbackSource;
+}
+
+/**
+ * Resolves the ordered failover chain for a request. A model spec's own
+ * `fallbacks` win; otherwise the endpoint's chain for the model is used, then
+ * the `endpoints.all` chain. Steps naming the primary or repeating an earlier
+ * step are dropped.
+ */
+export function resolveModelFallbacks({
+  appConfig,
+  modelSpec,
+  endpoint,
+  model,
+}: {
+  appConfig?: AppConfig;
+  modelSpec?: { fallbacks?: TModelFallback[] } | null;
+  endpoint: string;
+  model: string;
+}): TModelFallback[] {
+  const chain =
+    modelSpec?.fallbacks ??
+    getEndpointFallbacks(appConfig, endpoint)?.fallbacks?.[model] ??
+    (appConfig?.endpoints?.all as FallbackSource)?.fallbacks?.[model] ??
+    [];
+
+  const seen = new Set([`${endpoint}\u0000${model}`]);
+  const fallbacks: TModelFallback[] = [];
+  for (const step of chain) {
+    const key = `${step.endpoint}\u0000${step.model}`;
+    if (!seen.has(key)) {
+      seen.add(key);
+      fallbacks.push({ endpoint: step.endpoint, model: step.model });
+    }
+  }
+  return fallbacks;
+}
+
+/** Reads the HTTP status from the error shapes of the provider SDKs and LangChain wrappers. */
+export function getFailoverErrorStatus(error: unknown): number | undefined {
+  if (error == null || typeof error !== 'object') {
+    return undefined;
+  }
+  const candidate = error as {
+    status?: unknown;
+    statusCode?: unknown;
+    response?: { status?: unknown };
+    $metadata?: { httpStatusCode?: unknown };
+    message?: unknown;
+  };
+  const status =
+    candidate.status ??
+    candidate.statusCode ??
+    candidate.response?.status ??
+    candidate.$metadata?.httpStatusCode;
+  if (typeof status === 'number') {
+    return status;
+  }
+  if (typeof status === 'string' && /^\d{3}$/.test(status)) {
+    return Number(status);
+  }
+  const match =
+    typeof candidate.message === 'string' ? STATUS_PREFIX_REGEX.exec(candidate.message) : null;
+  return match ? Number(match[1]) : undefined;
+}
+
+/**
+ * Whether a failed generation may be retried on the next step of its chain:
+ * rate limits, timeouts, provider-side errors, and connection failures.
+ * Client errors such as invalid requests or content filtering are not, since
+ * the fallback would reject the same request.
+ */
+export function isFailoverError(error: unknown): boolean {
+  const status = getFailoverErrorStatus(error);
+  if (status != null) {
+    return status === 408 || status === 429 || (status >= 500 && status <= 599);
+  }
+  const { code, cause } = (error ?? {}) as { code?: unknown; cause?: unknown };
+  if (typeof code === 'string' && RETRYABLE_NETWORK_CODES.has(code)) {
+    return true;
+  }
+  return cause != null && cause !== error && isFailoverError(cause);
+}
+
+/** Describes a failed step for `message.metadata.failover.attempts`. */
+export function toFailoverAttempt(
+  step: TModelFallback,
+  error: unknown,
+): TModelFailover['attempts'][number] {
+  const status = getFailoverErrorStatus(error);
+  const message = error instanceof Error ? error.message : String(error);
+  return {
+    endpoint: step.endpoint,
+    model: step.model,
+    error: message.slice(0, 500),
+    ...(status != null && { status }),
+  };
+}
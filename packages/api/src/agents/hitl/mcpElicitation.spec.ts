@@ -0,0 +1,71 @@
+import type { Agents } from 'librechat-data-provider';
+import { resolveMCPElicitationResume } from './mcpElicitation';
+
+const payload: Agents.MCPElicitationInterruptPayload = {
+  type: 'mcp_elicitation',
+  serverName: 'jira',
+  message: 'Which project should the issue go in?',
+  requestedSchema: {
+    type: 'object',
+    properties: {
+      project: { type: 'string', enum: ['WEB', 'API'] },
+      priority: { type: 'integer', minimum: 1, maximum: 5 },
+      notify: { type: 'boolean' },
+      summary: { type: 'string', maxLength: 10 },
+    },
+    required: ['project'],
+  },
+};
+
+describe('resolveMCPElicitationResume', () => {
+  test('passes decline and cancel through without content', () => {
+    expect(
+      resolveMCPElicitationResume(payload, {
+        elicitation: { action: 'decline', content: { project: 'WEB' } },
+      }),
+    ).toEqual({ resumeValue: { action: 'decline' } });
+    expect(resolveMCPElicitationResume(payload, { elicitation: { action: 'cancel' } })).toEqual({
+      resumeValue: { action: 'cancel' },
+    });
+  });
+
+  test('forwards only the declared fields of an accepted form', () => {
+    const result = resolveMCPElicitationResume(payload, {
+      elicitation: {
+        action: 'accept',
+        content: { project: 'API', priority: 2, notify: false, extra: 'not asked for' },
+      },
+    });
+    expect(result).toEqual({
+      resumeValue: { action: 'accept', content: { project: 'API', priority: 2, notify: false } },
+    });
+  });
+
+  test('rejects a missing required field', () => {
+    expect(
+      resolveMCPElicitationResume(payload, { elicitation: { action: 'accept', content: {} } }),
+    ).toEqual({ status: 400, error: '"project" is required' });
+  });
+
+  test.each([
+    ['an option outside the enum', { project: 'OPS' }, 'project'],
+    ['a non-integer', { project: 'WEB', priority: 2.5 }, 'priority'],
+    ['a number above the maximum', { project: 'WEB', priority: 9 }, 'priority'],
+    ['a string for a boolean', { project: 'WEB', notify: 'yes' }, 'notify'],
+    ['a string over maxLength', { project: 'WEB', summary: 'far too long' }, 'summary'],
+  ])('rejects %s', (_label, content, field) => {
+    expect(
+      resolveMCPElicitationResume(payload, { elicitation: { action: 'accept', content } }),
+    ).toEqual({ status: 400, error: `"${field}" is not a valid value` });
+  });
+
+  test('rejects an unknown action or an accept without content', () => {
+    expect(resolveMCPElicitationResume(payload, {})).toMatchObject({ status: 400 });
+    expect(
+      resolveMCPElicitationResume(payload, { elicitation: { action: 'approve' } }),
+    ).toMatchObject({ status: 400 });
+    expect(
+      resolveMCPElicitationResume(payload, { elicitation: { action: 'accept', content: [] } }),
+    ).toEqual({ status: 400, error: 'content is required to accept' });
+  });
+});
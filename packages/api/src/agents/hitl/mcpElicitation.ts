@@ -0,0 +1,198 @@
+import { logger } from '@librechat/data-schemas';
+import { ApprovalEvents } from 'librechat-data-provider';
+import type { Agents } from 'librechat-data-provider';
+import type * as t from '~/mcp/types';
+import { GenerationJobManager } from '~/stream/GenerationJobManager';
+import { buildPendingAction, toClientPendingAction } from './policy';
+
+/** How long the user has to answer before the server is told the request was cancelled. */
+export const MCP_ELICITATION_TTL_MS: number = 10 * 60 * 1000;
+/** The waiter withdraws this long before `expiresAt`, so the store's expiry sweep (which
+ *  aborts the whole job) never races a tool call that is still waiting. */
+const WITHDRAW_MARGIN_MS = 5000;
+const POLL_INTERVAL_MS = 500;
+const MAX_STRING_VALUE_LENGTH = 16_000;
+
+const CANCELLED: t.MCPElicitationResult = { action: 'cancel' };
+
+function delay(ms: number, signal?: AbortSignal): Promise<void> {
+  return new Promise((resolve) => {
+    const timer = setTimeout(done, ms);
+    function done() {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', done);
+      resolve();
+    }
+    signal?.addEventListener('abort', done, { once: true });
+  });
+}
+
+export interface MCPElicitationContext {
+  streamId: string;
+  /** Generation epoch of the run whose tool call is waiting */
+  jobCreatedAt?: number;
+  conversationId?: string;
+  responseMessageId?: string;
+  serverName: string;
+  toolCallId?: string;
+}
+
+/**
+ * Surfaces an `elicitation/create` request to the user and waits for the answer.
+ *
+ * Unlike the SDK's interrupts this pause is taken while the tool call is still running: the
+ * job moves to `requires_action` (so the existing pending-action SSE, status route, and expiry
+ * all apply) but this process keeps ownership, and the resume route only hands the answer back
+ * through the job store. Anything other than an answer — Stop, a replaced generation, the
+ * server or tool call giving up, expiry — resolves as `cancel`. The tool call's own `timeout`
+ * keeps running while the form is open, so it also bounds how long the user has to answer.
+ */
+export async function requestMCPElicitation(
+  context: MCPElicitationContext,
+  request: t.MCPElicitationRequest,
+  signal?: AbortSignal,
+): Promise<t.MCPElicitationResult> {
+  const { streamId, jobCreatedAt, serverName } = context;
+  const pendingAction = buildPendingAction(
+    {
+      type: 'mcp_elicitation',
+      serverName,
+      message: request.message,
+      requestedSchema: request.requestedSchema as Agents.MCPElicitationSchema,
+      ...(context.toolCallId && { tool_call_id: context.toolCallId }),
+    },
+    {
+      streamId,
+      conversationId: context.conversationId,
+      responseMessageId: context.responseMessageId,
+      ttlMs: MCP_ELICITATION_TTL_MS,
+    },
+  );
+  const { actionId } = pendingAction;
+
+  const paused = await GenerationJobManager.approvals.pause(streamId, pendingAction, {
+    expectedCreatedAt: jobCreatedAt,
+    inFlight: true,
+  });
+  if (!paused) {
+    logger.debug(`[MCP][${serverName}] Elicitation dropped; job ${streamId} is not running`);
+    return CANCELLED;
+  }
+  const clientPendingAction = toClientPendingAction(pendingAction);
+  if (clientPendingAction) {
+    await GenerationJobManager.emitChunk(
+      streamId,
+      {
+        event: ApprovalEvents.ON_PENDING_ACTION,
+        data: clientPendingAction as unknown as Record<string, unknown>,
+      },
+      { expectedCreatedAt: jobCreatedAt },
+    );
+  }
+
+  const withdrawAt = (pendingAction.expiresAt ?? Infinity) - WITHDRAW_MARGIN_MS;
+  while (!signal?.aborted && Date.now() < withdrawAt) {
+    const job = await GenerationJobManager.getJobStore().getJob(streamId);
+    if (!job || (jobCreatedAt != null && job.createdAt !== jobCreatedAt)) {
+      return CANCELLED;
+    }
+    if (job.mcpElicitationResult?.actionId === actionId) {
+      const { action, content } = job.mcpElicitationResult;
+      return action === 'accept' ? { action, content } : { action };
+    }
+    if (job.status !== 'requires_action' || job.pendingAction?.actionId !== actionId) {
+      return CANCELLED;
+    }
+    await delay(POLL_INTERVAL_MS, signal);
+  }
+
+  /** Hand the job back to the run; losing this CAS means the user answered or the job ended. */
+  const withdrawn = await GenerationJobManager.approvals.resolveInFlight(
+    streamId,
+    actionId,
+    { mcpElicitationResult: { actionId, action: 'cancel' } },
+    jobCreatedAt,
+  );
+  if (!withdrawn) {
+    const job = await GenerationJobManager.getJobStore().getJob(streamId);
+    const result = job?.mcpElicitationResult;
+    if (result?.actionId === actionId && result.action === 'accept') {
+      return { action: result.action, content: result.content };
+    }
+  }
+  return CANCELLED;
+}
+
+interface MCPElicitationResumeBody {
+  elicitation?: unknown;
+}
+
+type MCPElicitationResumeResult =
+  | { resumeValue: Agents.MCPElicitationResolution }
+  | { status: 400; error: string };
+
+function isValidFieldValue(field: Agents.MCPElicitationField, value: unknown): boolean {
+  switch (field.type) {
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'integer':
+    case 'number':
+      return (
+        typeof value === 'number' &&
+        Number.isFinite(value) &&
+        (field.type !== 'integer' || Number.isInteger(value)) &&
+        (field.minimum == null || value >= field.minimum) &&
+        (field.maximum == null || value <= field.maximum)
+      );
+    case 'string':
+      return (
+        typeof value === 'string' &&
+        value.length <= MAX_STRING_VALUE_LENGTH &&
+        (field.enum == null || field.enum.includes(value)) &&
+        (field.minLength == null || value.length >= field.minLength) &&
+        (field.maxLength == null || value.length <= field.maxLength)
+      );
+    default:
+      return false;
+  }
+}
+
+/**
+ * Validate an elicitation response against the pending form. Only declared fields are
+ * forwarded, so a crafted POST cannot send the MCP server values it never asked for.
+ */
+export function resolveMCPElicitationResume(
+  payload: Agents.MCPElicitationInterruptPayload,
+  body: MCPElicitationResumeBody,
+): MCPElicitationResumeResult {
+  const elicitation = body.elicitation as Partial<Agents.MCPElicitationResolution> | undefined;
+  const action = elicitation?.action;
+  if (action === 'decline' || action === 'cancel') {
+    return { resumeValue: { action } };
+  }
+  if (action !== 'accept') {
+    return { status: 400, error: 'action must be accept, decline, or cancel' };
+  }
+  const submitted = elicitation?.content;
+  if (submitted == null || typeof submitted !== 'object' || Array.isArray(submitted)) {
+    return { status: 400, error: 'content is required to accept' };
+  }
+
+  const properties = payload.requestedSchema?.properties ?? {};
+  const required = new Set(payload.requestedSchema?.required ?? []);
+  const content: Record<string, string | number | boolean> = {};
+  for (const [name, field] of Object.entries(properties)) {
+    const value = Object.getOwnPropertyDescriptor(submitted, name)?.value;
+    if (value == null || value === '') {
+      if (required.has(name)) {
+        return { status: 400, error: `"${name}" is required` };
+      }
+      continue;
+    }
+    if (!isValidFieldValue(field, value)) {
+      return { status: 400, error: `"${name}" is not a valid value` };
+    }
+    content[name] = value as string | number | boolean;
+  }
+  return { resumeValue: { action, content } };
+}
@@ -1,4 +1,7 @@
 export * from './avatars';
+export * from './bundle';
+export * from './backgroundResults';
+export { configureBackgroundResultStore } from './background';
 export * from './attachments';
 export * from './chain';
 export * from './client';
@@ -10,6 +13,8 @@ export * from './conversation';
 export * from './discovery';
 export * from './edges';
 export * from './errors';
+export * from './evals';
+export * from './failover';
 export * from './envelope';
 export * from './execution';
 export * from './handlers';
@@ -26,8 +31,11 @@ export * from './prewarm';
 export * from './openai';
 export * from './transactions';
 export * from './usage';
+export * from './versionLabels';
 export * from './resources';
+export * from './responseFormat';
 export * from './responses';
+export * from './mcpServer';
 export * from './skills';
 export * from './phases';
 export * from './startup';
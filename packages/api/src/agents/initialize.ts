@@ -22,6 +22,7 @@ import type {
   Agent,
   TUser,
   StatefulCodeEnvironment,
+  TModelFallback,
 } from 'librechat-data-provider';
 import type { GenericTool, LCToolRegistry, ToolMap, LCTool } from '@librechat/agents';
 import type { IMongoFile, FileOwnerScope } from '@librechat/data-schemas';
@@ -1595,3 +1596,133 @@ export async function initializeAgent(
 
   return initializedAgent;
 }
+
+/**
+ * Re-targets an initialized agent at one step of its failover chain. Only the
+ * provider configuration is rebuilt: tool definitions, files and instructions
+ * stay as initialized for the primary, and sampling parameters fall back to
+ * the endpoint's defaults since they rarely carry over between providers.
+ * In event-driven runs `tools` only holds provider-native tools, so those are
+ * replaced by the fallback provider's own.
+ */
+export async function initializeFallbackAgent(
+  {
+    req,
+    agent,
+    fallback,
+    allowedProviders,
+  }: {
+    req: ServerRequest;
+    agent: InitializedAgent;
+    fallback: TModelFallback;
+    /** Checked only for persisted agents, mirroring `initializeAgent`. */
+    allowedProviders?: Set<string>;
+  },
+  db: EndpointDbMethods,
+): Promise<InitializedAgent> {
+  if (
+    allowedProviders != null &&
+    allowedProviders.size > 0 &&
+    !allowedProviders.has(fallback.endpoint)
+  ) {
+    throw new Error(
+      `{ "type": "${ErrorTypes.INVALID_AGENT_PROVIDER}", "info": "${fallback.endpoint}" }`,
+    );
+  }
+
+  const { getOptions, overrideProvider, customEndpointConfig } = getProviderConfig({
+    provider: fallback.endpoint,
+    appConfig: req.config,
+  });
+  const options: InitializeResultBase = await getOptions({
+    req,
+    endpoint: fallback.endpoint,
+    model_parameters: { model: fallback.model },
+    db,
+  });
+
+  const llmConfig = options.llmConfig as Record<string, unknown>;
+  let provider: string = overrideProvider;
+  if (
+    fallback.endpoint === EModelEndpoint.azureOpenAI &&
+    (llmConfig?.azureOpenAIApiInstanceName as string | undefined) == null
+  ) {
+    provider = Providers.OPENAI;
+  }
+  if (options.provider != null) {
+    provider = options.provider;
+  }
+
+  const tokensModel =
+    fallback.endpoint === EModelEndpoint.azureOpenAI
+      ? fallback.model
+      : (llmConfig?.model as string);
+  const contextTokens =
+    Number(
+      getModelMaxTokens(
+        tokensModel ?? '',
+        providerEndpointMap[overrideProvider as keyof typeof providerEndpointMap],
+        options.endpointTokenConfig,
+      ),
+    ) || DEFAULT_MAX_CONTEXT_TOKENS;
+  const maxOutputTokens =
+    Number(
+      optionalChainWithEmptyCheck(
+        llmConfig?.maxOutputTokens as number | undefined,
+        llmConfig?.maxTokens as number | undefined,
+        0,
+      ),
+    ) || 0;
+  const baseContextTokens = Math.max(0, contextTokens - maxOutputTokens);
+  const fallbackContextTokens = Math.max(
+    1024,
+    Math.round(baseContextTokens * (1 - DEFAULT_RESERVE_RATIO)),
+  );
+
+  const hasAgentTools = (agent.toolDefinitions?.length ?? 0) > 0;
+  let providerTools =
+    resolveProviderToolConflicts({
+      provider,
+      tools: options.tools,
+      toolDefinitions: agent.toolDefinitions,
+    }) ?? [];
+  if (
+    shouldIncludeGoogleServerSideToolInvocations({
+      provider,
+      hasProviderTools: providerTools.length > 0,
+      hasAgentTools,
+    }) &&
+    !supportsGoogleToolCombination(llmConfig.model)
+  ) {
+    providerTools = [];
+  }
+
+  const model_parameters = { ...llmConfig } as Agent['model_parameters'];
+  if (options.configOptions) {
+    (model_parameters as Record<string, unknown>).configuration = options.configOptions;
+  }
+  const fallbackAgent: InitializedAgent = {
+    ...agent,
+    provider,
+    endpoint: fallback.endpoint,
+    model: fallback.model,
+    model_parameters,
+    tools: providerTools as GenericTool[] & string[],
+    baseContextTokens: Math.min(agent.baseContextTokens ?? baseContextTokens, baseContextTokens),
+    maxContextTokens: Math.min(agent.maxContextTokens, fallbackContextTokens),
+    reasoningKey: customEndpointConfig?.customParams?.reasoningKey,
+    includeReasoningHistory: customEndpointConfig?.customParams?.includeReasoningHistory,
+    useLegacyContent: !!options.useLegacyContent,
+    endpointTokenConfig: options.endpointTokenConfig,
+  };
+  if (
+    shouldIncludeGoogleServerSideToolInvocations({
+      provider,
+      hasProviderTools: providerTools.length > 0,
+      hasAgentTools,
+    })
+  ) {
+    enableGoogleServerSideToolInvocations({ agent: fallbackAgent, llmConfig });
+  }
+  return fallbackAgent;
+}
@@ -28,6 +28,7 @@ type VersionedAgent = Pick<
   | 'hide_sequential_outputs'
   | 'subagents'
   | 'memory_scope'
+  | 'response_format'
 > & {
   version?: number;
   actions?: string[];
@@ -97,6 +98,7 @@ export function selectLazySubagentConfig(agent: VersionedAgent): Omit<VersionedA
     hide_sequential_outputs,
     subagents,
     memory_scope,
+    response_format,
     actions,
     mcpServerNames,
   } = agent;
@@ -126,6 +128,7 @@ export function selectLazySubagentConfig(agent: VersionedAgent): Omit<VersionedA
     hide_sequential_outputs,
     subagents,
     memory_scope,
+    response_format,
     actions,
     mcpServerNames,
   };
@@ -0,0 +1,130 @@
+import type { ResponseEvent, Response } from '../responses/types';
+import { createResponsesEventCollector, toAgentMCPRunResult } from './collector';
+
+const options = { conversationId: 'convo-1', baseUrl: 'https://chat.example.com' };
+
+function writeEvent(res: { write: (chunk: string) => boolean }, event: Record<string, unknown>) {
+  res.write(`event: ${event.type}\n`);
+  res.write(`data: ${JSON.stringify(event)}\n\n`);
+}
+
+function completedResponse(over: Partial<Response> = {}): Response {
+  return {
+    status: 'completed',
+    error: null,
+    output: [
+      {
+        type: 'function_call',
+        id: 'fc_1',
+        call_id: 'call_1',
+        name: 'execute_code',
+        arguments: '{}',
+        status: 'completed',
+      },
+      {
+        type: 'message',
+        id: 'msg_1',
+        role: 'assistant',
+        status: 'completed',
+        content: [
+          { type: 'output_text', text: 'Here is ', annotations: [], logprobs: [] },
+          { type: 'output_text', text: 'the report.', annotations: [], logprobs: [] },
+        ],
+      },
+    ],
+    ...over,
+  } as Response;
+}
+
+describe('createResponsesEventCollector', () => {
+  it('parses streamed events and builds the tool result', () => {
+    const events: ResponseEvent[] = [];
+    const collector = createResponsesEventCollector((event) => events.push(event));
+    const { res } = collector;
+
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.flushHeaders();
+    writeEvent(res, { type: 'response.in_progress', sequence_number: 1 });
+    writeEvent(res, {
+      type: 'librechat:attachment',
+      sequence_number: 2,
+      attachment: {
+        filename: 'report.csv',
+        filepath: '/api/files/code/download/s/f',
+        type: 'text/csv',
+      },
+    });
+    writeEvent(res, {
+      type: 'librechat:attachment',
+      sequence_number: 3,
+      attachment: { filename: 'chart.png', url: 'data:image/png;base64,AAAA' },
+    });
+    res.write('event: message\ndata: not json\n\n');
+    writeEvent(res, {
+      type: 'response.completed',
+      sequence_number: 4,
+      response: completedResponse(),
+    });
+    res.write('data: [DONE]\n\n');
+    res.end();
+
+    expect(res.headersSent).toBe(true);
+    expect(res.writableEnded).toBe(true);
+    expect(events.map((event) => event.type)).toEqual([
+      'response.in_progress',
+      'librechat:attachment',
+      'librechat:attachment',
+      'response.completed',
+    ]);
+    expect(toAgentMCPRunResult(collector, options)).toEqual({
+      text: 'Here is the report.',
+      conversationId: 'convo-1',
+      files: [
+        {
+          name: 'report.csv',
+          url: 'https://chat.example.com/api/files/code/download/s/f',
+          mimeType: 'text/csv',
+        },
+      ],
+    });
+  });
+
+  it('accepts a frame split across writes', () => {
+    const collector = createResponsesEventCollector();
+    const frame = `data: ${JSON.stringify({ type: 'response.completed', response: completedResponse() })}\n\n`;
+    collector.res.write(frame.slice(0, 20));
+    collector.res.write(frame.slice(20));
+
+    expect(toAgentMCPRunResult(collector, options).text).toBe('Here is the report.');
+  });
+
+  it('takes the response from a non-streaming JSON body', () => {
+    const collector = createResponsesEventCollector();
+    collector.res.json(completedResponse({ object: 'response' }));
+
+    expect(toAgentMCPRunResult(collector, options).text).toBe('Here is the report.');
+  });
+
+  it('throws the error message of a rejected request or failed run', () => {
+    const rejected = createResponsesEventCollector();
+    rejected.res
+      .status(404)
+      .json({ error: { type: 'not_found', message: 'Conversation not found' } });
+    expect(() => toAgentMCPRunResult(rejected, options)).toThrow('Conversation not found');
+    expect(rejected.getError()).toEqual({ statusCode: 404, message: 'Conversation not found' });
+
+    const failed = createResponsesEventCollector();
+    writeEvent(failed.res, {
+      type: 'response.failed',
+      response: completedResponse({
+        status: 'failed',
+        error: { type: 'model_error', message: 'Provider unavailable' },
+      }),
+    });
+    expect(() => toAgentMCPRunResult(failed, options)).toThrow('Provider unavailable');
+
+    expect(() => toAgentMCPRunResult(createResponsesEventCollector(), options)).toThrow(
+      'without a response',
+    );
+  });
+});
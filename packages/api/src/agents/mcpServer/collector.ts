@@ -0,0 +1,196 @@
+import type { Response, ResponseEvent, LibreChatAttachmentContent } from '../responses/types';
+import type { AgentMCPFile, AgentMCPRunResult } from './types';
+
+/**
+ * The subset of an Express response the Responses executor writes to. An MCP tool call
+ * runs the agent against this sink instead of a socket, so the run keeps the executor's
+ * persistence, billing, and tool handling while its events feed the MCP reply.
+ */
+export interface ResponsesEventSink {
+  headersSent: boolean;
+  writableEnded: boolean;
+  statusCode: number;
+  setHeader(name: string, value: string | number | readonly string[]): ResponsesEventSink;
+  flushHeaders(): void;
+  status(code: number): ResponsesEventSink;
+  json(body: unknown): ResponsesEventSink;
+  write(chunk: string | Uint8Array): boolean;
+  end(chunk?: string | Uint8Array): ResponsesEventSink;
+}
+
+export interface ResponsesEventCollector {
+  res: ResponsesEventSink;
+  /** The final Response from `response.completed`/`failed`/`incomplete`, or the JSON body. */
+  getResponse(): Response | undefined;
+  getAttachments(): LibreChatAttachmentContent[];
+  /** Set when the executor answered with an error body instead of a run. */
+  getError(): { statusCode: number; message: string } | undefined;
+}
+
+const TERMINAL_EVENTS = new Set(['response.completed', 'response.failed', 'response.incomplete']);
+
+function isResponseEvent(value: unknown): value is ResponseEvent {
+  return (
+    value != null &&
+    typeof value === 'object' &&
+    typeof (value as { type?: unknown }).type === 'string'
+  );
+}
+
+/** Parses the SSE frames written by `writeEvent`; frames that are not Responses events are ignored. */
+export function createResponsesEventCollector(
+  onEvent?: (event: ResponseEvent) => void,
+): ResponsesEventCollector {
+  let buffer = '';
+  let response: Response | undefined;
+  let error: { statusCode: number; message: string } | undefined;
+  const attachments: LibreChatAttachmentContent[] = [];
+
+  const handleEvent = (event: ResponseEvent) => {
+    if (TERMINAL_EVENTS.has(event.type)) {
+      response = (event as { response: Response }).response;
+    } else if (event.type === 'librechat:attachment') {
+      attachments.push(event.attachment);
+    }
+    onEvent?.(event);
+  };
+
+  const handleFrame = (frame: string) => {
+    for (const line of frame.split('\n')) {
+      if (!line.startsWith('data: ')) {
+        continue;
+      }
+      const data = line.slice('data: '.length);
+      if (data === '[DONE]') {
+        continue;
+      }
+      try {
+        const parsed: unknown = JSON.parse(data);
+        if (isResponseEvent(parsed)) {
+          handleEvent(parsed);
+        }
+      } catch {
+        // Not every writer on this response speaks JSON; only events matter here.
+      }
+    }
+  };
+
+  const res: ResponsesEventSink = {
+    headersSent: false,
+    writableEnded: false,
+    statusCode: 200,
+    setHeader() {
+      return res;
+    },
+    flushHeaders() {
+      res.headersSent = true;
+    },
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body) {
+      res.headersSent = true;
+      res.writableEnded = true;
+      const payload = body as { object?: string; error?: { message?: string } } | null;
+      if (payload?.object === 'response') {
+        response = body as Response;
+      } else {
+        error = {
+          statusCode: res.statusCode,
+          message: payload?.error?.message ?? 'The agent run failed',
+        };
+      }
+      return res;
+    },
+    write(chunk) {
+      res.headersSent = true;
+      buffer += typeof chunk === 'string' ? chunk : Buffer.from(chunk).toString('utf8');
+      let boundary = buffer.indexOf('\n\n');
+      while (boundary !== -1) {
+        handleFrame(buffer.slice(0, boundary));
+        buffer = buffer.slice(boundary + 2);
+        boundary = buffer.indexOf('\n\n');
+      }
+      return true;
+    },
+    end(chunk) {
+      if (chunk != null) {
+        res.write(chunk);
+      }
+      res.writableEnded = true;
+      return res;
+    },
+  };
+
+  return {
+    res,
+    getResponse: () => response,
+    getAttachments: () => attachments,
+    getError: () => error,
+  };
+}
+
+function toAbsoluteUrl(url: string, baseUrl: string): string {
+  try {
+    return new URL(url, baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`).toString();
+  } catch {
+    return url;
+  }
+}
+
+/** Data URLs (inline images) are not links a client can follow later, so they are left out. */
+function toAgentMCPFile(
+  attachment: LibreChatAttachmentContent,
+  baseUrl: string,
+): AgentMCPFile | null {
+  const location = attachment.url ?? attachment.filepath;
+  if (typeof location !== 'string' || location === '' || location.startsWith('data:')) {
+    return null;
+  }
+  const name =
+    attachment.filename ?? (typeof attachment.name === 'string' ? attachment.name : undefined);
+  return {
+    name: name ?? location.split('/').pop() ?? location,
+    url: toAbsoluteUrl(location, baseUrl),
+    ...(attachment.type != null && attachment.type.includes('/') && { mimeType: attachment.type }),
+  };
+}
+
+/**
+ * Reduces a finished run to the tool result: the assistant's final text and links to the
+ * files its tools produced. Throws with the run's error message when it did not complete.
+ */
+export function toAgentMCPRunResult(
+  collector: ResponsesEventCollector,
+  { conversationId, baseUrl }: { conversationId: string; baseUrl: string },
+): AgentMCPRunResult {
+  const error = collector.getError();
+  if (error) {
+    throw new Error(error.message);
+  }
+  const response = collector.getResponse();
+  if (!response) {
+    throw new Error('The agent run ended without a response');
+  }
+  if (response.status !== 'completed') {
+    throw new Error(response.error?.message ?? `The agent run ended as ${response.status}`);
+  }
+
+  const text = response.output
+    .flatMap((item) => (item.type === 'message' ? item.content : []))
+    .map((part) => (part.type === 'output_text' ? part.text : ''))
+    .join('');
+
+  const files: AgentMCPFile[] = [];
+  const seen = new Set<string>();
+  for (const attachment of collector.getAttachments()) {
+    const file = toAgentMCPFile(attachment, baseUrl);
+    if (file && !seen.has(file.url)) {
+      seen.add(file.url);
+      files.push(file);
+    }
+  }
+
+  return { text, conversationId, files };
+}
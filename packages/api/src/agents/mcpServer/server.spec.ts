@@ -0,0 +1,116 @@
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import type { Progress } from '@modelcontextprotocol/sdk/types.js';
+import type { ResponseEvent } from '../responses/types';
+import type { RunAgentMCPTool } from './types';
+import { createAgentsMCPServer, describeAgentRunEvent } from './server';
+
+jest.mock('@librechat/data-schemas', () => ({
+  logger: { debug: jest.fn(), warn: jest.fn(), error: jest.fn() },
+}));
+
+const agents = [
+  { id: 'agent_support', name: 'Support', description: 'Answers support tickets' },
+  { id: 'agent_blank', name: null, description: null },
+];
+
+async function connect(runAgent: RunAgentMCPTool) {
+  const server = createAgentsMCPServer({ agents, runAgent });
+  const client = new Client({ name: 'test-client', version: '1.0.0' });
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  await server.connect(serverTransport);
+  await client.connect(clientTransport);
+  return client;
+}
+
+describe('createAgentsMCPServer', () => {
+  it('lists each agent as a tool named by its id', async () => {
+    const client = await connect(jest.fn());
+    const { tools } = await client.listTools();
+
+    expect(tools.map((tool) => [tool.name, tool.title, tool.description])).toEqual([
+      ['agent_support', 'Support', 'Answers support tickets'],
+      ['agent_blank', 'agent_blank', 'Send a message to the "agent_blank" agent.'],
+    ]);
+    expect(tools[0].inputSchema.required).toEqual(['message']);
+  });
+
+  it('runs the agent and returns its text, conversation id, and file links', async () => {
+    const runAgent = jest.fn<ReturnType<RunAgentMCPTool>, Parameters<RunAgentMCPTool>>(
+      async (_agentId, _input, { onEvent }) => {
+        onEvent({ type: 'response.in_progress' } as ResponseEvent);
+        onEvent({
+          type: 'response.output_item.added',
+          item: { type: 'function_call', name: 'execute_code' },
+        } as ResponseEvent);
+        onEvent({ type: 'response.output_text.delta', delta: 'Done' } as ResponseEvent);
+        return {
+          text: 'Done',
+          conversationId: 'convo-1',
+          files: [{ name: 'report.csv', url: 'https://chat.example.com/api/files/report.csv' }],
+        };
+      },
+    );
+    const client = await connect(runAgent);
+    const progress: Progress[] = [];
+
+    const result = await client.callTool(
+      { name: 'agent_support', arguments: { message: 'Summarize', conversation_id: 'convo-1' } },
+      undefined,
+      { onprogress: (update) => progress.push(update) },
+    );
+
+    expect(runAgent).toHaveBeenCalledWith(
+      'agent_support',
+      { message: 'Summarize', conversation_id: 'convo-1' },
+      expect.objectContaining({ signal: expect.any(AbortSignal) }),
+    );
+    expect(result.content).toEqual([
+      { type: 'text', text: 'Done' },
+      {
+        type: 'resource_link',
+        uri: 'https://chat.example.com/api/files/report.csv',
+        name: 'report.csv',
+      },
+    ]);
+    expect(result.structuredContent).toEqual({
+      text: 'Done',
+      conversation_id: 'convo-1',
+      files: [{ name: 'report.csv', url: 'https://chat.example.com/api/files/report.csv' }],
+    });
+    expect(progress).toEqual([
+      { progress: 1, message: 'Agent started' },
+      { progress: 2, message: 'Calling tool: execute_code' },
+    ]);
+  });
+
+  it('reports a failed run as a tool error', async () => {
+    const client = await connect(jest.fn().mockRejectedValue(new Error('Conversation not found')));
+
+    const result = await client.callTool({ name: 'agent_support', arguments: { message: 'Hi' } });
+
+    expect(result.isError).toBe(true);
+    expect(result.content).toEqual([{ type: 'text', text: 'Conversation not found' }]);
+  });
+
+  it('rejects unknown tools and invalid arguments without running an agent', async () => {
+    const runAgent = jest.fn();
+    const client = await connect(runAgent);
+
+    await expect(
+      client.callTool({ name: 'agent_other', arguments: { message: 'Hi' } }),
+    ).rejects.toThrow('Unknown tool');
+    await expect(
+      client.callTool({ name: 'agent_support', arguments: { message: '  ' } }),
+    ).rejects.toThrow('message must be a non-empty string');
+    expect(runAgent).not.toHaveBeenCalled();
+  });
+});
+
+describe('describeAgentRunEvent', () => {
+  it('skips token deltas', () => {
+    expect(
+      describeAgentRunEvent({ type: 'response.output_text.delta', delta: 'x' } as ResponseEvent),
+    ).toBeUndefined();
+  });
+});
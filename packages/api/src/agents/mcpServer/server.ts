@@ -0,0 +1,195 @@
+import { logger } from '@librechat/data-schemas';
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import {
+  ErrorCode,
+  McpError,
+  CallToolRequestSchema,
+  ListToolsRequestSchema,
+} from '@modelcontextprotocol/sdk/types.js';
+import type { CallToolResult, Tool } from '@modelcontextprotocol/sdk/types.js';
+import type { ResponseEvent } from '../responses/types';
+import type { AgentMCPToolInput, AgentMCPToolSource, RunAgentMCPTool } from './types';
+
+const SERVER_NAME = 'librechat-agents';
+const MAX_MESSAGE_LENGTH = 100_000;
+
+const inputSchema: Tool['inputSchema'] = {
+  type: 'object',
+  properties: {
+    message: { type: 'string', description: 'The message to send to the agent.' },
+    conversation_id: {
+      type: 'string',
+      description:
+        'Continue an earlier conversation with this agent. Use the conversation_id returned by a previous call.',
+    },
+  },
+  required: ['message'],
+};
+
+const outputSchema: Tool['outputSchema'] = {
+  type: 'object',
+  properties: {
+    text: { type: 'string' },
+    conversation_id: { type: 'string' },
+    files: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          url: { type: 'string' },
+          mimeType: { type: 'string' },
+        },
+        required: ['name', 'url'],
+      },
+    },
+  },
+  required: ['text', 'conversation_id', 'files'],
+};
+
+/** Agent ids are already valid, stable MCP tool names; the agent's name becomes the title. */
+export function toAgentMCPTool(agent: AgentMCPToolSource): Tool {
+  const title = agent.name?.trim() || agent.id;
+  return {
+    name: agent.id,
+    title,
+    description: agent.description?.trim() || `Send a message to the "${title}" agent.`,
+    inputSchema,
+    outputSchema,
+  };
+}
+
+export function parseAgentMCPToolInput(args: unknown): AgentMCPToolInput {
+  const { message, conversation_id } = (args ?? {}) as Record<string, unknown>;
+  if (typeof message !== 'string' || message.trim() === '') {
+    throw new McpError(ErrorCode.InvalidParams, 'message must be a non-empty string');
+  }
+  if (message.length > MAX_MESSAGE_LENGTH) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `message must be at most ${MAX_MESSAGE_LENGTH} characters`,
+    );
+  }
+  if (conversation_id != null && (typeof conversation_id !== 'string' || conversation_id === '')) {
+    throw new McpError(ErrorCode.InvalidParams, 'conversation_id must be a non-empty string');
+  }
+  return conversation_id == null ? { message } : { message, conversation_id };
+}
+
+/**
+ * Describes the run events worth a progress notification. Text and argument deltas are
+ * left out: a progress message replaces the previous one, so per-token updates would only
+ * flicker, and the full text arrives in the result anyway.
+ */
+export function describeAgentRunEvent(event: ResponseEvent): string | undefined {
+  switch (event.type) {
+    case 'response.in_progress':
+      return 'Agent started';
+    case 'response.output_item.added':
+      if (event.item.type === 'reasoning') {
+        return 'Thinking';
+      }
+      if (event.item.type === 'function_call') {
+        return `Calling tool: ${event.item.name}`;
+      }
+      if (event.item.type === 'message') {
+        return 'Writing response';
+      }
+      return undefined;
+    case 'response.output_item.done':
+      return event.item.type === 'function_call_output' ? 'Tool finished' : undefined;
+    case 'librechat:attachment':
+      return event.attachment.filename != null
+        ? `Created file: ${event.attachment.filename}`
+        : undefined;
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Builds an MCP server whose tools are the given agents. Each instance serves one request
+ * (the endpoint is stateless), so `agents` is the caller's accessible set at that moment.
+ *
+ * When the client sends a `progressToken`, run events become `notifications/progress`
+ * messages on the same response stream while the agent works.
+ */
+export function createAgentsMCPServer({
+  agents,
+  runAgent,
+  version,
+}: {
+  agents: AgentMCPToolSource[];
+  runAgent: RunAgentMCPTool;
+  version?: string;
+}): Server {
+  const server = new Server(
+    { name: SERVER_NAME, version: version ?? '1.0.0' },
+    { capabilities: { tools: {} } },
+  );
+  const agentIds = new Set(agents.map((agent) => agent.id));
+
+  server.setRequestHandler(ListToolsRequestSchema, async () => ({
+    tools: agents.map(toAgentMCPTool),
+  }));
+
+  server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+    const agentId = request.params.name;
+    if (!agentIds.has(agentId)) {
+      throw new McpError(ErrorCode.InvalidParams, `Unknown tool: ${agentId}`);
+    }
+    const input = parseAgentMCPToolInput(request.params.arguments);
+    const progressToken = request.params._meta?.progressToken;
+
+    let progress = 0;
+    const onEvent = (event: ResponseEvent) => {
+      if (progressToken == null || extra.signal.aborted) {
+        return;
+      }
+      const message = describeAgentRunEvent(event);
+      if (message == null) {
+        return;
+      }
+      progress += 1;
+      extra
+        .sendNotification({
+          method: 'notifications/progress',
+          params: { progressToken, progress, message },
+        })
+        .catch((error) => {
+          logger.debug(`[Agents MCP] Could not send progress for ${agentId}:`, error);
+        });
+    };
+
+    try {
+      const result = await runAgent(agentId, input, { signal: extra.signal, onEvent });
+      const content: CallToolResult['content'] = [{ type: 'text', text: result.text }];
+      for (const file of result.files) {
+        content.push({
+          type: 'resource_link',
+          uri: file.url,
+          name: file.name,
+          ...(file.mimeType != null && { mimeType: file.mimeType }),
+        });
+      }
+      return {
+        content,
+        structuredContent: {
+          text: result.text,
+          conversation_id: result.conversationId,
+          files: result.files,
+        },
+      };
+    } catch (error) {
+      logger.error(`[Agents MCP] Run failed for agent ${agentId}:`, error);
+      return {
+        isError: true,
+        content: [
+          { type: 'text', text: error instanceof Error ? error.message : 'The agent run failed' },
+        ],
+      };
+    }
+  });
+
+  return server;
+}
@@ -0,0 +1,41 @@
+import type { ResponseEvent } from '../responses/types';
+
+/** The fields of an agent document that describe it as an MCP tool. */
+export interface AgentMCPToolSource {
+  id: string;
+  name?: string | null;
+  description?: string | null;
+}
+
+/** Arguments of an agent tool call. */
+export interface AgentMCPToolInput {
+  message: string;
+  /** Continues an earlier run; the id comes from a previous call's `conversation_id`. */
+  conversation_id?: string;
+}
+
+export interface AgentMCPFile {
+  name: string;
+  url: string;
+  mimeType?: string;
+}
+
+export interface AgentMCPRunResult {
+  text: string;
+  conversationId: string;
+  files: AgentMCPFile[];
+}
+
+export interface AgentMCPRunOptions {
+  /** Aborts when the MCP client cancels the call or disconnects. */
+  signal: AbortSignal;
+  /** Receives every Open Responses event the run emits, in order. */
+  onEvent: (event: ResponseEvent) => void;
+}
+
+/** Runs one agent for one tool call; rejects with a user-facing message when the run fails. */
+export type RunAgentMCPTool = (
+  agentId: string,
+  input: AgentMCPToolInput,
+  options: AgentMCPRunOptions,
+) => Promise<AgentMCPRunResult>;
@@ -62,4 +62,31 @@ describe('OpenAI-compatible agent stream handlers', () => {
       },
     });
   });
+
+  it('sends validated structured output in the final chunk', () => {
+    const tracker = createOpenAIStreamTracker({ collectText: true });
+    tracker.addText('{"title":');
+    tracker.addText('"Login fails"}');
+    expect(tracker.getText()).toBe('{"title":"Login fails"}');
+
+    const writes: string[] = [];
+    const res = {
+      write: (chunk: string) => {
+        writes.push(chunk);
+      },
+    } as unknown as ServerResponse;
+
+    sendFinalChunk({ context, tracker, res }, 'stop', { title: 'Login fails' });
+
+    const finalChunk = JSON.parse(writes[0].replace(/^data: /, '').trim());
+    expect(finalChunk.choices[0].delta).toEqual({ parsed: { title: 'Login fails' } });
+    expect(finalChunk.choices[0].finish_reason).toBe('stop');
+  });
+
+  it('does not store text unless asked to', () => {
+    const tracker = createOpenAIStreamTracker();
+    tracker.addText('hello');
+    expect(tracker.hasText).toBe(true);
+    expect(tracker.getText()).toBe('');
+  });
 });
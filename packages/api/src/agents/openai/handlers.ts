@@ -53,7 +53,8 @@ export function writeSSE(res: ServerResponse, data: ChatCompletionChunk | string
 
 /**
  * Lightweight tracker for streaming responses.
- * Only tracks what's needed for finish_reason and usage - doesn't store content.
+ * Only tracks what's needed for finish_reason and usage; stores text only when
+ * the agent's answer must be validated against a response format.
  */
 export interface OpenAIStreamTracker {
   /** Whether any text content was emitted */
@@ -69,15 +70,20 @@ export interface OpenAIStreamTracker {
     reasoningTokens: number;
   };
   /** Mark that text was emitted */
-  addText: () => void;
+  addText: (text?: string) => void;
   /** Mark that reasoning was emitted */
   addReasoning: () => void;
+  /** Emitted text; empty unless created with `collectText` */
+  getText: () => string;
 }
 
 /**
- * Create a lightweight stream tracker (doesn't store content)
+ * Create a lightweight stream tracker (doesn't store content unless `collectText` is set)
  */
-export function createOpenAIStreamTracker(): OpenAIStreamTracker {
+export function createOpenAIStreamTracker(
+  options: { collectText?: boolean } = {},
+): OpenAIStreamTracker {
+  const textChunks: string[] = [];
   const tracker: OpenAIStreamTracker = {
     hasText: false,
     hasReasoning: false,
@@ -87,12 +93,16 @@ export function createOpenAIStreamTracker(): OpenAIStreamTracker {
       completionTokens: 0,
       reasoningTokens: 0,
     },
-    addText: () => {
+    addText: (text) => {
       tracker.hasText = true;
+      if (options.collectText === true && text) {
+        textChunks.push(text);
+      }
     },
     addReasoning: () => {
       tracker.hasReasoning = true;
     },
+    getText: () => textChunks.join(''),
   };
   return tracker;
 }
@@ -252,7 +262,7 @@ export class OpenAIMessageDeltaHandler implements EventHandler {
 
     for (const part of content) {
       if (part.type === 'text' && part.text) {
-        this.config.tracker.addText();
+        this.config.tracker.addText(part.text);
         const chunk = createChunk(this.config.context, { content: part.text });
         writeSSE(this.config.res, chunk);
       }
@@ -434,11 +444,13 @@ export function createOpenAIHandlers(
 }
 
 /**
- * Send the final chunk with finish_reason and optional usage
+ * Send the final chunk with finish_reason and optional usage. `parsed` carries the
+ * validated structured output of agents with a response format.
  */
 export function sendFinalChunk(
   config: OpenAIStreamHandlerConfig,
   finishReason: ChatCompletionChunkChoice['finish_reason'] = 'stop',
+  parsed?: Record<string, unknown> | null,
 ): void {
   const { res, context, tracker } = config;
 
@@ -462,7 +474,7 @@ export function sendFinalChunk(
     };
   }
 
-  const finalChunk = createChunk(context, {}, reason, usage);
+  const finalChunk = createChunk(context, parsed !== undefined ? { parsed } : {}, reason, usage);
   writeSSE(res, finalChunk);
 
   // Send [DONE] marker
@@ -357,7 +357,8 @@ export function validateRequest(body: unknown): ChatCompletionValidationResult {
 }
 
 /**
- * Build a non-streaming response from aggregated content
+ * Build a non-streaming response from aggregated content. `parsed` carries the
+ * validated structured output of agents with a response format.
  */
 export function buildNonStreamingResponse(
   context: OpenAIResponseContext,
@@ -365,6 +366,7 @@ export function buildNonStreamingResponse(
   reasoning: string,
   toolCalls: Map<number, ToolCall>,
   usage: CompletionUsage,
+  parsed?: Record<string, unknown> | null,
 ): ChatCompletionResponse {
   const toolCallsArray = Array.from(toolCalls.values());
   const finishReason = toolCallsArray.length > 0 && !text ? 'tool_calls' : 'stop';
@@ -382,6 +384,7 @@ export function buildNonStreamingResponse(
           content: text || null,
           ...(reasoning && { reasoning }),
           ...(toolCallsArray.length > 0 && { tool_calls: toolCallsArray }),
+          ...(parsed !== undefined && { parsed }),
         },
         finish_reason: finishReason,
       },
@@ -101,6 +101,8 @@ export interface ChatCompletionChoice {
     /** Reasoning/thinking content (OpenRouter convention) */
     reasoning?: string | null;
     tool_calls?: ToolCall[];
+    /** Validated structured output, for agents with a response format; null when invalid */
+    parsed?: Record<string, unknown> | null;
   };
   finish_reason: 'stop' | 'length' | 'tool_calls' | 'content_filter' | null;
 }
@@ -137,6 +139,8 @@ export interface ChatCompletionChunkChoice {
         arguments?: string;
       };
     }>;
+    /** Validated structured output, sent once in the final chunk */
+    parsed?: Record<string, unknown> | null;
   };
   finish_reason: 'stop' | 'length' | 'tool_calls' | 'content_filter' | null;
 }
@@ -0,0 +1,237 @@
+import { initializeModel } from '@librechat/agents';
+import type { Agent, AgentResponseFormat } from 'librechat-data-provider';
+import {
+  enforceResponseFormat,
+  applyNativeResponseFormat,
+  validateStructuredOutput,
+  supportsNativeResponseFormat,
+  getResponseFormatSchemaError,
+  getAgentResponseFormatInstructions,
+} from './responseFormat';
+
+jest.mock('@librechat/agents', () => ({
+  initializeModel: jest.fn(),
+}));
+
+const format: AgentResponseFormat = {
+  name: 'ticket',
+  description: 'A support ticket',
+  schema: {
+    type: 'object',
+    properties: {
+      title: { type: 'string' },
+      priority: { type: 'string', enum: ['low', 'high'] },
+    },
+    required: ['title', 'priority'],
+    additionalProperties: false,
+  },
+  strict: true,
+};
+
+const mockModel = (...contents: unknown[]) => {
+  const invoke = jest.fn();
+  for (const content of contents) {
+    invoke.mockResolvedValueOnce({
+      content,
+      usage_metadata: { input_tokens: 10, output_tokens: 5, total_tokens: 15 },
+    });
+  }
+  (initializeModel as jest.Mock).mockReturnValue({ invoke });
+  return invoke;
+};
+
+describe('getResponseFormatSchemaError', () => {
+  it('accepts an object-rooted schema', () => {
+    expect(getResponseFormatSchemaError(format.schema)).toBeUndefined();
+  });
+
+  it('rejects non-object roots', () => {
+    expect(getResponseFormatSchemaError({ type: 'array', items: { type: 'string' } })).toMatch(
+      /"type": "object"/,
+    );
+  });
+
+  it('rejects oversized schemas', () => {
+    const properties = Object.fromEntries(
+      Array.from({ length: 2000 }, (_, i) => [`property_${i}`, { type: 'string' }]),
+    );
+    expect(getResponseFormatSchemaError({ type: 'object', properties })).toMatch(/exceeds/);
+  });
+});
+
+describe('supportsNativeResponseFormat', () => {
+  it('is true for first-party OpenAI and Azure', () => {
+    expect(supportsNativeResponseFormat({ provider: 'openAI', endpoint: 'openAI' })).toBe(true);
+    expect(supportsNativeResponseFormat({ provider: 'azureOpenAI', endpoint: 'azureOpenAI' })).toBe(
+      true,
+    );
+    expect(supportsNativeResponseFormat({ provider: 'openAI', endpoint: 'azureOpenAI' })).toBe(
+      true,
+    );
+  });
+
+  it('is false for custom endpoints and other providers', () => {
+    expect(supportsNativeResponseFormat({ provider: 'openAI', endpoint: 'openrouter' })).toBe(
+      false,
+    );
+    expect(supportsNativeResponseFormat({ provider: 'anthropic', endpoint: 'anthropic' })).toBe(
+      false,
+    );
+  });
+});
+
+describe('applyNativeResponseFormat', () => {
+  it('sets response_format for Chat Completions without mutating shared kwargs', () => {
+    const modelKwargs = { reasoning_effort: 'low' };
+    const llmConfig: { modelKwargs?: Record<string, unknown> } = { modelKwargs };
+    applyNativeResponseFormat(llmConfig, format);
+
+    expect(llmConfig.modelKwargs).toEqual({
+      reasoning_effort: 'low',
+      response_format: {
+        type: 'json_schema',
+        json_schema: {
+          name: 'ticket',
+          description: 'A support ticket',
+          schema: format.schema,
+          strict: true,
+        },
+      },
+    });
+    expect(modelKwargs).toEqual({ reasoning_effort: 'low' });
+  });
+
+  it('sets text.format for the Responses API, keeping verbosity', () => {
+    const llmConfig: { useResponsesApi: boolean; modelKwargs?: Record<string, unknown> } = {
+      useResponsesApi: true,
+      modelKwargs: { text: { verbosity: 'low' } },
+    };
+    applyNativeResponseFormat(llmConfig, { name: 'ticket', schema: format.schema });
+
+    expect(llmConfig.modelKwargs?.text).toEqual({
+      verbosity: 'low',
+      format: { type: 'json_schema', name: 'ticket', schema: format.schema },
+    });
+  });
+});
+
+describe('getAgentResponseFormatInstructions', () => {
+  it('prompts with the schema only when the provider lacks native support', () => {
+    const instructions = getAgentResponseFormatInstructions({
+      provider: 'anthropic',
+      endpoint: 'anthropic',
+      response_format: format,
+    });
+    expect(instructions).toContain('"ticket": A support ticket');
+    expect(instructions).toContain(JSON.stringify(format.schema));
+
+    expect(
+      getAgentResponseFormatInstructions({
+        provider: 'openAI',
+        endpoint: 'openAI',
+        response_format: format,
+      }),
+    ).toBe('');
+    expect(getAgentResponseFormatInstructions({ provider: 'anthropic' })).toBe('');
+  });
+});
+
+describe('validateStructuredOutput', () => {
+  it('parses a valid answer, tolerating a code fence', () => {
+    const answer = '```json\n{"title":"Login fails","priority":"high"}\n```';
+    expect(validateStructuredOutput(format, answer)).toEqual({
+      success: true,
+      data: { title: 'Login fails', priority: 'high' },
+    });
+  });
+
+  it('reports invalid JSON and non-object answers', () => {
+    expect(validateStructuredOutput(format, 'Sure! Here it is')).toEqual({
+      success: false,
+      error: 'Output is not valid JSON',
+    });
+    expect(validateStructuredOutput(format, '["a"]')).toEqual({
+      success: false,
+      error: 'Output is not a JSON object',
+    });
+  });
+
+  it('reports the path of schema violations', () => {
+    const result = validateStructuredOutput(format, '{"title":"Login fails","priority":"urgent"}');
+    expect(result.success).toBe(false);
+    expect(!result.success && result.error).toMatch(/^priority: /);
+  });
+});
+
+describe('enforceResponseFormat', () => {
+  const agent: Parameters<typeof enforceResponseFormat>[0]['agent'] = {
+    provider: 'anthropic',
+    endpoint: 'anthropic',
+    model_parameters: { model: 'claude-sonnet-4-5' } as Agent['model_parameters'],
+    response_format: format,
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('returns a valid answer without repair requests', async () => {
+    const invoke = mockModel();
+    const result = await enforceResponseFormat({
+      agent,
+      text: '{"title":"Login fails","priority":"low"}',
+    });
+
+    expect(result).toEqual({ parsed: { title: 'Login fails', priority: 'low' }, retries: 0 });
+    expect(invoke).not.toHaveBeenCalled();
+  });
+
+  it('repairs an invalid answer and reports repair usage', async () => {
+    const invoke = mockModel('{"title":"Login fails","priority":"high"}');
+    const onUsage = jest.fn();
+    const result = await enforceResponseFormat({
+      agent,
+      text: 'The ticket is "Login fails" with high priority.',
+      onUsage,
+    });
+
+    expect(result).toEqual({ parsed: { title: 'Login fails', priority: 'high' }, retries: 1 });
+    expect(initializeModel).toHaveBeenCalledWith({
+      provider: 'anthropic',
+      clientOptions: expect.objectContaining({ model: 'claude-sonnet-4-5', streaming: false }),
+    });
+    const [messages] = invoke.mock.calls[0];
+    expect(messages[0][0]).toBe('system');
+    expect(messages[1][1]).toContain('Output is not valid JSON');
+    expect(onUsage).toHaveBeenCalledWith(expect.objectContaining({ input_tokens: 10 }));
+  });
+
+  it('gives up after the retry budget with parsed: null', async () => {
+    const invoke = mockModel('still not json', [{ type: 'text', text: '{"title":1}' }]);
+    const result = await enforceResponseFormat({ agent, text: 'nope', maxRetries: 2 });
+
+    expect(invoke).toHaveBeenCalledTimes(2);
+    expect(result.parsed).toBeNull();
+    expect(result.retries).toBe(2);
+    expect(result.error).toMatch(/title|priority/);
+  });
+
+  it('does not repair an empty answer', async () => {
+    const invoke = mockModel();
+    const result = await enforceResponseFormat({ agent, text: '  ' });
+
+    expect(invoke).not.toHaveBeenCalled();
+    expect(result).toEqual({ parsed: null, retries: 0, error: 'Output is not valid JSON' });
+  });
+
+  it('applies the native format to repair requests of native providers', async () => {
+    mockModel('{"title":"Login fails","priority":"low"}');
+    await enforceResponseFormat({
+      agent: { ...agent, provider: 'openAI', endpoint: 'openAI' },
+      text: 'not json',
+    });
+
+    const { clientOptions } = (initializeModel as jest.Mock).mock.calls[0][0];
+    expect(clientOptions.modelKwargs.response_format.type).toBe('json_schema');
+  });
+});
@@ -0,0 +1,290 @@
+import { logger } from '@librechat/data-schemas';
+import { initializeModel } from '@librechat/agents';
+import { EModelEndpoint, providerEndpointMap } from 'librechat-data-provider';
+import type { ClientOptions, Providers } from '@librechat/agents';
+import type { Agent, AgentResponseFormat } from 'librechat-data-provider';
+import type { JsonSchemaType } from '@librechat/data-schemas';
+import type { UsageMetadata } from '~/stream/interfaces/IJobStore';
+import type { RequestBody, RunLLMConfig } from '~/types';
+import { resolveConfigHeaders } from '~/utils/headers';
+import { convertWithResolvedRefs } from '~/mcp/zod';
+import { createSafeUser } from '~/utils/env';
+
+/** Provider-facing schema names: OpenAI's `json_schema.name` constraint. */
+export const RESPONSE_FORMAT_NAME_PATTERN: RegExp = /^[a-zA-Z0-9_-]{1,64}$/;
+
+/** Upper bound on a serialized response format schema. */
+export const MAX_RESPONSE_FORMAT_SCHEMA_LENGTH: number = 32_768;
+
+/** Repair requests made after an answer fails validation. */
+export const STRUCTURED_OUTPUT_MAX_RETRIES: number = 2;
+
+/** Cap on the invalid answer echoed back in a repair request. */
+const MAX_REPAIR_INPUT_LENGTH = 20_000;
+
+const CODE_FENCE_REGEX = /^```[\w-]*\s*\n([\s\S]*?)\n?```$/;
+
+type ResponseFormatAgent = Pick<
+  Agent,
+  'provider' | 'endpoint' | 'model_parameters' | 'response_format'
+>;
+
+type ResponseFormatLLMConfig = {
+  useResponsesApi?: boolean;
+  modelKwargs?: Record<string, unknown>;
+};
+
+export type StructuredOutputValidation =
+  | { success: true; data: Record<string, unknown> }
+  | { success: false; error: string };
+
+export interface StructuredOutputResult {
+  /** The validated object, or null when no attempt satisfied the schema. */
+  parsed: Record<string, unknown> | null;
+  /** Repair requests made after the agent's own answer. */
+  retries: number;
+  /** Validation error of the last attempt, when none succeeded. */
+  error?: string;
+}
+
+function isPlainObject(value: unknown): value is Record<string, unknown> {
+  return value != null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Returns why a JSON Schema cannot be used as a response format, or undefined
+ * when it can. Providers only accept object roots for structured output.
+ */
+export function getResponseFormatSchemaError(schema: Record<string, unknown>): string | undefined {
+  if (schema.type !== 'object') {
+    return 'Response format schema must have "type": "object" at its root';
+  }
+  if (JSON.stringify(schema).length > MAX_RESPONSE_FORMAT_SCHEMA_LENGTH) {
+    return `Response format schema exceeds ${MAX_RESPONSE_FORMAT_SCHEMA_LENGTH} characters`;
+  }
+  try {
+    if (!convertWithResolvedRefs(schema as JsonSchemaType & Record<string, unknown>)) {
+      return 'Response format schema could not be interpreted';
+    }
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    return `Response format schema is invalid: ${message}`.slice(0, 500);
+  }
+  return undefined;
+}
+
+/**
+ * Whether the agent's provider enforces the schema itself. Only first-party
+ * OpenAI and Azure OpenAI qualify: OpenAI-compatible custom endpoints accept
+ * `response_format` inconsistently, so they take the validate-and-retry path.
+ */
+export function supportsNativeResponseFormat(agent: Pick<Agent, 'provider' | 'endpoint'>): boolean {
+  if (agent.provider === EModelEndpoint.azureOpenAI) {
+    return true;
+  }
+  return (
+    agent.provider === EModelEndpoint.openAI &&
+    (agent.endpoint == null ||
+      agent.endpoint === EModelEndpoint.openAI ||
+      agent.endpoint === EModelEndpoint.azureOpenAI)
+  );
+}
+
+/**
+ * Sets the provider's structured output parameter on an LLM config: `text.format`
+ * for the Responses API, `response_format` for Chat Completions. `modelKwargs` is
+ * replaced rather than mutated, since it is shared with the agent's parameters.
+ */
+export function applyNativeResponseFormat(
+  llmConfig: ResponseFormatLLMConfig,
+  format: AgentResponseFormat,
+): void {
+  const { name, description, schema, strict } = format;
+  const jsonSchema = {
+    name,
+    ...(description ? { description } : {}),
+    schema,
+    ...(strict != null ? { strict } : {}),
+  };
+  const modelKwargs = { ...(llmConfig.modelKwargs ?? {}) };
+  if (llmConfig.useResponsesApi === true) {
+    const text = isPlainObject(modelKwargs.text) ? modelKwargs.text : {};
+    modelKwargs.text = { ...text, format: { type: 'json_schema', ...jsonSchema } };
+  } else {
+    modelKwargs.response_format = { type: 'json_schema', json_schema: jsonSchema };
+  }
+  llmConfig.modelKwargs = modelKwargs;
+}
+
+/** System instructions that ask a provider without native support for schema-shaped answers. */
+export function getResponseFormatInstructions(format: AgentResponseFormat): string {
+  const label = format.description ? `"${format.name}": ${format.description}` : `"${format.name}"`;
+  return [
+    `Your final answer must be a single JSON object that satisfies the JSON Schema ${label}.`,
+    'Respond with the JSON object only, without code fences or commentary.',
+    JSON.stringify(format.schema),
+  ].join('\n');
+}
+
+/**
+ * Instructions to append to an agent's system prompt: empty when the agent has
+ * no response format or its provider enforces the schema natively.
+ */
+export function getAgentResponseFormatInstructions(
+  agent: Pick<Agent, 'provider' | 'endpoint' | 'response_format'>,
+): string {
+  const format = agent.response_format;
+  if (!format || supportsNativeResponseFormat(agent)) {
+    return '';
+  }
+  return getResponseFormatInstructions(format);
+}
+
+/** Parses and validates an answer against a response format, tolerating a code fence. */
+export function validateStructuredOutput(
+  format: AgentResponseFormat,
+  text: string,
+): StructuredOutputValidation {
+  const trimmed = text.trim();
+  const fenced = CODE_FENCE_REGEX.exec(trimmed);
+  let parsed: unknown;
+  try {
+    parsed = JSON.parse(fenced ? fenced[1] : trimmed);
+  } catch {
+    return { success: false, error: 'Output is not valid JSON' };
+  }
+  if (!isPlainObject(parsed)) {
+    return { success: false, error: 'Output is not a JSON object' };
+  }
+  const schema = convertWithResolvedRefs(format.schema as JsonSchemaType & Record<string, unknown>);
+  const result = schema?.safeParse(parsed);
+  if (!result || result.success) {
+    return { success: true, data: parsed };
+  }
+  const error = result.error.issues
+    .slice(0, 3)
+    .map((issue) => {
+      const location = issue.path.length > 0 ? `${issue.path.join('.')}: ` : '';
+      return `${location}${issue.message}`;
+    })
+    .join('; ');
+  return { success: false, error: error.slice(0, 500) };
+}
+
+function extractText(content: unknown): string {
+  if (typeof content === 'string') {
+    return content;
+  }
+  if (!Array.isArray(content)) {
+    return '';
+  }
+  return content
+    .map((part: { type?: string; text?: string }) =>
+      part?.type === 'text' && typeof part.text === 'string' ? part.text : '',
+    )
+    .join('');
+}
+
+function buildRepairPrompt(text: string, error: string): string {
+  return [
+    `Your previous answer did not satisfy the required JSON Schema (${error}).`,
+    'Previous answer:',
+    text.slice(0, MAX_REPAIR_INPUT_LENGTH),
+    'Reply again with only the corrected JSON object.',
+  ].join('\n\n');
+}
+
+/**
+ * Validates an agent's final answer against its response format and, when it
+ * does not satisfy the schema, asks the agent's model to repair it without
+ * tools, up to `maxRetries` times. Returns `parsed: null` rather than throwing
+ * when every attempt fails, so the free-form answer still reaches the caller.
+ */
+export async function enforceResponseFormat({
+  agent,
+  text,
+  user,
+  requestBody,
+  signal,
+  maxRetries = STRUCTURED_OUTPUT_MAX_RETRIES,
+  onUsage,
+}: {
+  agent: ResponseFormatAgent;
+  text: string;
+  user?: Parameters<typeof createSafeUser>[0];
+  requestBody?: RequestBody;
+  signal?: AbortSignal;
+  maxRetries?: number;
+  /** Receives the usage of each repair request, for billing. */
+  onUsage?: (usage: UsageMetadata) => void;
+}): Promise<StructuredOutputResult> {
+  const format = agent.response_format;
+  if (!format) {
+    return { parsed: null, retries: 0 };
+  }
+
+  let validation = validateStructuredOutput(format, text);
+  if (validation.success) {
+    return { parsed: validation.data, retries: 0 };
+  }
+  /** Nothing to repair: the run ended on tool calls or produced no answer. */
+  if (!text.trim()) {
+    return { parsed: null, retries: 0, error: validation.error };
+  }
+
+  const provider =
+    (providerEndpointMap[
+      agent.provider as keyof typeof providerEndpointMap
+    ] as unknown as Providers) ?? (agent.provider as Providers);
+  const clientOptions = {
+    ...(agent.model_parameters as Record<string, unknown>),
+    streaming: false,
+  } as ClientOptions & ResponseFormatLLMConfig;
+  if (supportsNativeResponseFormat(agent)) {
+    applyNativeResponseFormat(clientOptions, format);
+  }
+  resolveConfigHeaders({
+    llmConfig: clientOptions as Partial<RunLLMConfig>,
+    user: createSafeUser(user),
+    body: requestBody,
+  });
+
+  const llm = initializeModel({ provider, clientOptions }) as unknown as {
+    invoke: (
+      input: Array<[role: 'system' | 'human', content: string]>,
+      config?: object,
+    ) => Promise<{ content?: unknown; usage_metadata?: UsageMetadata }>;
+  };
+  const instructions = getResponseFormatInstructions(format);
+
+  let answer = text;
+  let retries = 0;
+  while (!validation.success && retries < maxRetries && signal?.aborted !== true) {
+    retries++;
+    try {
+      const response = await llm.invoke(
+        [
+          ['system', instructions],
+          ['human', buildRepairPrompt(answer, validation.error)],
+        ],
+        { signal },
+      );
+      if (response?.usage_metadata) {
+        onUsage?.(response.usage_metadata);
+      }
+      answer = extractText(response?.content);
+      validation = validateStructuredOutput(format, answer);
+    } catch (error) {
+      logger.warn('[enforceResponseFormat] Repair request failed', error);
+      break;
+    }
+  }
+
+  if (validation.success) {
+    return { parsed: validation.data, retries };
+  }
+  logger.warn(
+    `[enforceResponseFormat] Answer did not satisfy response format "${format.name}" after ${retries} repair(s): ${validation.error}`,
+  );
+  return { parsed: null, retries, error: validation.error };
+}
@@ -118,12 +118,14 @@ export function writeDone(res: ServerResponse): void {
 
 /**
  * Build a Response object from context and tracker
- * Includes all required fields per Open Responses spec
+ * Includes all required fields per Open Responses spec, plus `output_parsed`
+ * when structured output was validated
  */
 export function buildResponse(
   context: ResponseContext,
   tracker: ResponseTracker,
   status: ResponseStatus = 'in_progress',
+  outputParsed?: Record<string, unknown> | null,
 ): Response {
   const isCompleted = status === 'completed';
 
@@ -169,9 +171,28 @@ export function buildResponse(
     metadata: {},
     safety_identifier: null,
     prompt_cache_key: null,
+    ...(outputParsed !== undefined && { output_parsed: outputParsed }),
   };
 }
 
+/**
+ * Concatenated text of the assistant message items, like the SDKs' `output_text`
+ */
+export function getOutputText(items: OutputItem[]): string {
+  let text = '';
+  for (const item of items) {
+    if (item.type !== 'message') {
+      continue;
+    }
+    for (const part of item.content) {
+      if (part.type === 'output_text') {
+        text += part.text;
+      }
+    }
+  }
+  return text;
+}
+
 /* =============================================================================
  * ITEM BUILDERS
  * ============================================================================= */
@@ -308,10 +329,13 @@ export function emitResponseInProgress(config: StreamHandlerConfig): void {
 /**
  * Emit response.completed event
  */
-export function emitResponseCompleted(config: StreamHandlerConfig): void {
+export function emitResponseCompleted(
+  config: StreamHandlerConfig,
+  outputParsed?: Record<string, unknown> | null,
+): void {
   const { res, context, tracker } = config;
   tracker.status = 'completed';
-  const response = buildResponse(context, tracker, 'completed');
+  const response = buildResponse(context, tracker, 'completed', outputParsed);
   writeEvent(res, {
     type: 'response.completed',
     sequence_number: tracker.nextSequence(),
@@ -111,6 +111,7 @@ export {
   writeDone,
   // Response building
   buildResponse,
+  getOutputText,
   // Item builders
   generateItemId,
   createMessageItem,
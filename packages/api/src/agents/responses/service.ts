@@ -361,7 +361,8 @@ interface StreamState {
 export function createResponsesEventHandlers(config: StreamHandlerConfig): {
   handlers: Record<string, { handle: (event: string, data: unknown) => void }>;
   state: StreamState;
-  finalizeStream: () => void;
+  closeOpenStreams: () => void;
+  finalizeStream: (outputParsed?: Record<string, unknown> | null) => void;
 } {
   const state: StreamState = {
     messageStarted: false,
@@ -587,13 +588,13 @@ export function createResponsesEventHandlers(config: StreamHandlerConfig): {
   /**
    * Finalize the stream - close open items and emit completed
    */
-  const finalizeStream = (): void => {
+  const finalizeStream = (outputParsed?: Record<string, unknown> | null): void => {
     closeOpenStreams();
-    emitResponseCompleted(config);
+    emitResponseCompleted(config, outputParsed);
     writeDone(config.res);
   };
 
-  return { handlers, state, finalizeStream };
+  return { handlers, state, closeOpenStreams, finalizeStream };
 }
 
 /* =============================================================================
@@ -656,11 +657,13 @@ export function createResponseAggregator(): ResponseAggregator {
 
 /**
  * Build a non-streaming response from aggregator
- * Includes all required fields per Open Responses spec
+ * Includes all required fields per Open Responses spec, plus `output_parsed`
+ * when structured output was validated
  */
 export function buildAggregatedResponse(
   context: ResponseContext,
   aggregator: ResponseAggregator,
+  outputParsed?: Record<string, unknown> | null,
 ): Response {
   const output: Response['output'] = [];
 
@@ -751,6 +754,7 @@ export function buildAggregatedResponse(
     metadata: {},
     safety_identifier: null,
     prompt_cache_key: null,
+    ...(outputParsed !== undefined && { output_parsed: outputParsed }),
   };
 }
 
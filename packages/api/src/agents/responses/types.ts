@@ -534,6 +534,12 @@ export interface Response {
 
   /** Prompt cache key - null if none */
   prompt_cache_key: string | null;
+
+  /**
+   * LibreChat extension: validated structured output of agents with a response
+   * format; null when the answer did not satisfy the schema
+   */
+  output_parsed?: Record<string, unknown> | null;
 }
 
 /* =============================================================================
@@ -56,6 +56,11 @@ import {
 import { resolveToolApprovalPolicy, exemptAskUserQuestionFromApproval } from '~/agents/hitl/policy';
 import { applyCustomHandoffPromptKeyCompatibility } from '~/agents/handoffPromptKeyCompatibility';
 import { stripIntentFromToolRegistry, stripIntentFromToolDefinitions } from '~/agents/intent';
+import {
+  applyNativeResponseFormat,
+  supportsNativeResponseFormat,
+  getAgentResponseFormatInstructions,
+} from '~/agents/responseFormat';
 import { isSteeringSupported, isSteerPreemptSupported } from '~/agents/steering/runtime';
 import { getLLMConfig as getAnthropicLLMConfig } from '~/endpoints/anthropic/llm';
 import { resolveStreamLimits, resolveSubagentMaxTurns } from '~/agents/config';
@@ -1425,7 +1430,13 @@ export async function createRun({
     const toolInstructions = joinInstructionMap(agent.toolContextMap);
     const dynamicToolInstructions = joinInstructionMap(agent.dynamicToolContextMap);
 
-    const systemContent = [toolInstructions, agent.instructions ?? ''].join('\n').trim();
+    const systemContent = [
+      toolInstructions,
+      agent.instructions ?? '',
+      getAgentResponseFormatInstructions(agent),
+    ]
+      .join('\n')
+      .trim();
 
     const additionalInstructions = [dynamicToolInstructions, agent.additional_instructions ?? '']
       .join('\n')
@@ -1455,6 +1466,11 @@ export async function createRun({
       llmConfig.usage = true;
     }
 
+    /** Other providers get the schema in `systemContent` and are validated after the run */
+    if (agent.response_format && supportsNativeResponseFormat(agent)) {
+      applyNativeResponseFormat(llmConfig, agent.response_format);
+    }
+
     /**
      * Override defer_loading for tools that were discovered in previous
      * turns. This prevents the LLM from having to re-discover tools via
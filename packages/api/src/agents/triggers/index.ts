@@ -4,3 +4,5 @@ export * from './envelope';
 export * from './host';
 export * from './service';
 export * from './engine';
+export * from './schedules';
+export * from './webhooks';
@@ -0,0 +1,141 @@
+import {
+  CronExpressionError,
+  getLatestCronTime,
+  getNextCronTime,
+  isValidTimezone,
+  listCronTimes,
+  parseCronExpression,
+} from './cron';
+
+const at = (iso: string) => new Date(iso);
+const iso = (date: Date | null) => date?.toISOString() ?? null;
+
+describe('parseCronExpression', () => {
+  it('expands ranges, steps, lists and names', () => {
+    const schedule = parseCronExpression('*/15 9-17/4 1,15 jan-mar mon-fri');
+
+    expect(schedule.minutes).toEqual([0, 15, 30, 45]);
+    expect(schedule.hours).toEqual([9, 13, 17]);
+    expect([...schedule.daysOfMonth]).toEqual([1, 15]);
+    expect([...schedule.months]).toEqual([1, 2, 3]);
+    expect([...schedule.daysOfWeek]).toEqual([1, 2, 3, 4, 5]);
+    expect(schedule.dayOfMonthRestricted).toBe(true);
+    expect(schedule.dayOfWeekRestricted).toBe(true);
+  });
+
+  it('accepts macros and folds 7 into Sunday', () => {
+    expect(parseCronExpression('@daily').minutes).toEqual([0]);
+    expect([...parseCronExpression('0 0 * * 7').daysOfWeek]).toEqual([0]);
+  });
+
+  it.each([
+    '',
+    '* * * *',
+    '60 * * * *',
+    '* 24 * * *',
+    '* * 0 * *',
+    '*/0 * * * *',
+    '5-1 * * * *',
+    '* * * foo *',
+    '@reboot',
+  ])('rejects %p', (expression) => {
+    expect(() => parseCronExpression(expression)).toThrow(CronExpressionError);
+  });
+});
+
+describe('isValidTimezone', () => {
+  it('accepts IANA zones and rejects everything else', () => {
+    expect(isValidTimezone('UTC')).toBe(true);
+    expect(isValidTimezone('America/New_York')).toBe(true);
+    expect(isValidTimezone('Mars/Olympus')).toBe(false);
+    expect(isValidTimezone(42)).toBe(false);
+  });
+});
+
+describe('getNextCronTime', () => {
+  it('returns the first matching minute strictly after the reference', () => {
+    expect(iso(getNextCronTime('0 9 * * *', at('2026-03-02T09:00:00.000Z')))).toBe(
+      '2026-03-03T09:00:00.000Z',
+    );
+    expect(iso(getNextCronTime('*/5 * * * *', at('2026-03-02T09:02:30.000Z')))).toBe(
+      '2026-03-02T09:05:00.000Z',
+    );
+  });
+
+  it('matches either restricted day field', () => {
+    // 2026-03-02 is a Monday; the 15th is a Sunday.
+    const next = getNextCronTime('0 0 15 * 3', at('2026-03-02T12:00:00.000Z'));
+    expect(iso(next)).toBe('2026-03-04T00:00:00.000Z');
+  });
+
+  it('evaluates wall-clock times in the schedule timezone', () => {
+    const next = getNextCronTime('0 9 * * *', at('2026-01-10T00:00:00.000Z'), 'America/New_York');
+    expect(iso(next)).toBe('2026-01-10T14:00:00.000Z');
+  });
+
+  it('skips wall times that do not exist during a DST gap', () => {
+    const next = getNextCronTime('30 2 * * *', at('2026-03-08T00:00:00.000Z'), 'America/New_York');
+    expect(iso(next)).toBe('2026-03-09T06:30:00.000Z');
+  });
+
+  it('fires repeated wall times once during a DST overlap', () => {
+    const ticks = listCronTimes(
+      '30 1 * * *',
+      at('2026-11-01T00:00:00.000Z'),
+      at('2026-11-02T00:00:00.000Z'),
+      'America/New_York',
+    );
+    expect(ticks.map(iso)).toEqual(['2026-11-01T05:30:00.000Z']);
+  });
+
+  it('finds rare dates and returns null for impossible ones', () => {
+    expect(iso(getNextCronTime('0 0 29 2 *', at('2026-03-01T00:00:00.000Z')))).toBe(
+      '2028-02-29T00:00:00.000Z',
+    );
+    expect(getNextCronTime('0 0 31 2 *', at('2026-03-01T00:00:00.000Z'))).toBeNull();
+  });
+});
+
+describe('listCronTimes', () => {
+  it('lists ticks in (after, until] up to the limit', () => {
+    const ticks = listCronTimes(
+      '0 * * * *',
+      at('2026-03-02T09:00:00.000Z'),
+      at('2026-03-02T12:00:00.000Z'),
+    );
+    expect(ticks.map(iso)).toEqual([
+      '2026-03-02T10:00:00.000Z',
+      '2026-03-02T11:00:00.000Z',
+      '2026-03-02T12:00:00.000Z',
+    ]);
+
+    const limited = listCronTimes(
+      '0 * * * *',
+      at('2026-03-02T09:00:00.000Z'),
+      at('2026-03-02T12:00:00.000Z'),
+      'UTC',
+      2,
+    );
+    expect(limited).toHaveLength(2);
+  });
+});
+
+describe('getLatestCronTime', () => {
+  it('returns the most recent tick in (after, until]', () => {
+    const latest = getLatestCronTime(
+      '0 9 * * *',
+      at('2026-03-01T00:00:00.000Z'),
+      at('2026-03-10T12:00:00.000Z'),
+    );
+    expect(iso(latest)).toBe('2026-03-10T09:00:00.000Z');
+  });
+
+  it('returns null when no tick falls in the window', () => {
+    const latest = getLatestCronTime(
+      '0 9 * * *',
+      at('2026-03-10T09:00:00.000Z'),
+      at('2026-03-10T12:00:00.000Z'),
+    );
+    expect(latest).toBeNull();
+  });
+});
@@ -0,0 +1,384 @@
+const MINUTE_MS = 60_000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+/** Upper bound for any UTC offset change, used to skip wall times that cannot follow `after`. */
+const MAX_OFFSET_SHIFT_MS = 3 * HOUR_MS;
+/** Leap-day and weekday combinations repeat well within eight calendar years. */
+const MAX_SEARCH_DAYS = 366 * 8;
+const MAX_EXPRESSION_LENGTH = 256;
+
+const MONTH_NAMES = [
+  'jan',
+  'feb',
+  'mar',
+  'apr',
+  'may',
+  'jun',
+  'jul',
+  'aug',
+  'sep',
+  'oct',
+  'nov',
+  'dec',
+] as const;
+const WEEKDAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] as const;
+
+const MACROS: Record<string, string> = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *',
+};
+
+interface FieldSpec {
+  name: string;
+  min: number;
+  max: number;
+  names?: readonly string[];
+  /** Offset added to a name's index, e.g. `jan` is month 1. */
+  nameOffset?: number;
+}
+
+const FIELDS: readonly FieldSpec[] = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, nameOffset: 1 },
+  // 7 is accepted as an alias for Sunday and folded into 0 after parsing.
+  { name: 'day of week', min: 0, max: 7, names: WEEKDAY_NAMES, nameOffset: 0 },
+];
+
+/** A parsed five-field cron expression. Field sets are sorted ascending. */
+export interface CronSchedule {
+  expression: string;
+  minutes: number[];
+  hours: number[];
+  daysOfMonth: Set<number>;
+  months: Set<number>;
+  daysOfWeek: Set<number>;
+  /** Vixie-cron semantics: when both day fields are restricted, either may match. */
+  dayOfMonthRestricted: boolean;
+  dayOfWeekRestricted: boolean;
+}
+
+export class CronExpressionError extends TypeError {
+  constructor(message: string) {
+    super(message);
+    this.name = 'CronExpressionError';
+  }
+}
+
+interface ZonedDate {
+  year: number;
+  month: number;
+  day: number;
+  hour: number;
+  minute: number;
+}
+
+function parseValue(token: string, spec: FieldSpec): number {
+  const lower = token.toLowerCase();
+  const nameIndex = spec.names?.indexOf(lower) ?? -1;
+  if (nameIndex >= 0) {
+    return nameIndex + (spec.nameOffset ?? 0);
+  }
+  if (!/^\d+$/.test(token)) {
+    throw new CronExpressionError(`Invalid ${spec.name} value "${token}"`);
+  }
+  const value = Number(token);
+  if (value < spec.min || value > spec.max) {
+    throw new CronExpressionError(`${spec.name} value ${value} is outside ${spec.min}-${spec.max}`);
+  }
+  return value;
+}
+
+function parseField(field: string, spec: FieldSpec): { values: Set<number>; restricted: boolean } {
+  const values = new Set<number>();
+  let restricted = true;
+  for (const part of field.split(',')) {
+    if (part.length === 0) {
+      throw new CronExpressionError(`Empty list item in ${spec.name} field`);
+    }
+    const [range, stepToken, extra] = part.split('/');
+    if (extra != null) {
+      throw new CronExpressionError(`Invalid step in ${spec.name} field "${part}"`);
+    }
+    let step = 1;
+    if (stepToken != null) {
+      if (!/^\d+$/.test(stepToken) || Number(stepToken) === 0) {
+        throw new CronExpressionError(`Invalid step in ${spec.name} field "${part}"`);
+      }
+      step = Number(stepToken);
+    }
+
+    let start: number;
+    let end: number;
+    if (range === '*' || range === '?') {
+      start = spec.min;
+      end = spec.max;
+      if (stepToken == null) {
+        restricted = false;
+      }
+    } else if (range.includes('-')) {
+      const [from, to, rest] = range.split('-');
+      if (rest != null || !from || !to) {
+        throw new CronExpressionError(`Invalid range in ${spec.name} field "${part}"`);
+      }
+      start = parseValue(from, spec);
+      end = parseValue(to, spec);
+      if (start > end) {
+        throw new CronExpressionError(`Descending range in ${spec.name} field "${part}"`);
+      }
+    } else {
+      start = parseValue(range, spec);
+      // `5/15` means "every 15 starting at 5", matching common cron dialects.
+      end = stepToken != null ? spec.max : start;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+  return { values, restricted };
+}
+
+/** Parses a standard five-field cron expression or one of the `@daily`-style macros. */
+export function parseCronExpression(expression: string): CronSchedule {
+  if (typeof expression !== 'string') {
+    throw new CronExpressionError('Cron expression must be a string');
+  }
+  const trimmed = expression.trim();
+  if (trimmed.length === 0 || trimmed.length > MAX_EXPRESSION_LENGTH) {
+    throw new CronExpressionError(
+      `Cron expression must contain between 1 and ${MAX_EXPRESSION_LENGTH} characters`,
+    );
+  }
+  const source = MACROS[trimmed.toLowerCase()] ?? trimmed;
+  const parts = source.split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new CronExpressionError(
+      `Cron expression must have ${FIELDS.length} fields (minute hour day month weekday)`,
+    );
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, index) =>
+    parseField(part, FIELDS[index]),
+  );
+  if (daysOfWeek.values.delete(7)) {
+    daysOfWeek.values.add(0);
+  }
+
+  return {
+    expression: trimmed,
+    minutes: [...minutes.values].sort((a, b) => a - b),
+    hours: [...hours.values].sort((a, b) => a - b),
+    daysOfMonth: daysOfMonth.values,
+    months: months.values,
+    daysOfWeek: daysOfWeek.values,
+    dayOfMonthRestricted: daysOfMonth.restricted,
+    dayOfWeekRestricted: daysOfWeek.restricted,
+  };
+}
+
+const formatters = new Map<string, Intl.DateTimeFormat>();
+
+function getFormatter(timeZone: string): Intl.DateTimeFormat {
+  let formatter = formatters.get(timeZone);
+  if (formatter == null) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+    });
+    formatters.set(timeZone, formatter);
+  }
+  return formatter;
+}
+
+/** Returns true for IANA zone names accepted by the runtime's `Intl` implementation. */
+export function isValidTimezone(timeZone: unknown): timeZone is string {
+  if (typeof timeZone !== 'string' || timeZone.length === 0 || timeZone.length > 100) {
+    return false;
+  }
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function toZoned(time: number, timeZone: string): ZonedDate {
+  const parts: Partial<ZonedDate> = {};
+  for (const part of getFormatter(timeZone).formatToParts(new Date(time))) {
+    if (
+      part.type === 'year' ||
+      part.type === 'month' ||
+      part.type === 'day' ||
+      part.type === 'hour' ||
+      part.type === 'minute'
+    ) {
+      parts[part.type] = Number(part.value);
+    }
+  }
+  return parts as ZonedDate;
+}
+
+function wallClockMs(date: ZonedDate): number {
+  return Date.UTC(date.year, date.month - 1, date.day, date.hour, date.minute);
+}
+
+/**
+ * Resolves a wall-clock time in `timeZone` to an instant. Returns undefined for
+ * times skipped by a DST transition; repeated times resolve to the earlier instant.
+ */
+function fromZoned(date: ZonedDate, timeZone: string): number | undefined {
+  const wall = wallClockMs(date);
+  const firstGuess = wall - (wallClockMs(toZoned(wall, timeZone)) - wall);
+  const candidates = [
+    firstGuess,
+    wall - (wallClockMs(toZoned(firstGuess, timeZone)) - firstGuess),
+  ].sort((a, b) => a - b);
+  for (const candidate of candidates) {
+    if (wallClockMs(toZoned(candidate, timeZone)) === wall) {
+      // During a fall-back overlap the same wall time occurs an hour earlier too.
+      const earlier = candidate - HOUR_MS;
+      return wallClockMs(toZoned(earlier, timeZone)) === wall ? earlier : candidate;
+    }
+  }
+  return undefined;
+}
+
+function matchesDay(schedule: CronSchedule, year: number, month: number, day: number): boolean {
+  if (!schedule.months.has(month)) {
+    return false;
+  }
+  const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+  const domMatch = schedule.daysOfMonth.has(day);
+  const dowMatch = schedule.daysOfWeek.has(weekday);
+  if (schedule.dayOfMonthRestricted && schedule.dayOfWeekRestricted) {
+    return domMatch || dowMatch;
+  }
+  if (schedule.dayOfMonthRestricted) {
+    return domMatch;
+  }
+  if (schedule.dayOfWeekRestricted) {
+    return dowMatch;
+  }
+  return true;
+}
+
+/**
+ * Returns the first tick strictly after `after`, evaluated on the wall clock of
+ * `timeZone`. Wall times skipped by a DST transition do not fire; a repeated
+ * wall time fires once, at its first occurrence.
+ */
+export function getNextCronTime(
+  schedule: CronSchedule | string,
+  after: Date,
+  timeZone: string = 'UTC',
+): Date | null {
+  const parsed = typeof schedule === 'string' ? parseCronExpression(schedule) : schedule;
+  if (!isValidTimezone(timeZone)) {
+    throw new CronExpressionError(`Unknown timezone "${String(timeZone)}"`);
+  }
+  const afterMs = after.getTime();
+  if (!Number.isFinite(afterMs)) {
+    throw new CronExpressionError('Cron search start must be a valid Date');
+  }
+
+  const start = toZoned(afterMs, timeZone);
+  const startWall = wallClockMs(start);
+  const startDay = Date.UTC(start.year, start.month - 1, start.day);
+  // Begin a day early so a fall-back overlap cannot hide a tick on the boundary.
+  for (let offset = -1; offset <= MAX_SEARCH_DAYS; offset++) {
+    const day = new Date(startDay + offset * DAY_MS);
+    const year = day.getUTCFullYear();
+    const month = day.getUTCMonth() + 1;
+    const date = day.getUTCDate();
+    if (!matchesDay(parsed, year, month, date)) {
+      continue;
+    }
+    for (const hour of parsed.hours) {
+      if (Date.UTC(year, month - 1, date, hour, 59) + MAX_OFFSET_SHIFT_MS < startWall) {
+        continue;
+      }
+      for (const minute of parsed.minutes) {
+        if (Date.UTC(year, month - 1, date, hour, minute) + MAX_OFFSET_SHIFT_MS < startWall) {
+          continue;
+        }
+        const instant = fromZoned({ year, month, day: date, hour, minute }, timeZone);
+        if (instant != null && instant > afterMs) {
+          return new Date(instant);
+        }
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Lists ticks in `(after, until]`, oldest first, stopping after `limit` results.
+ * Used to enumerate ticks missed while no scheduler was running.
+ */
+export function listCronTimes(
+  schedule: CronSchedule | string,
+  after: Date,
+  until: Date,
+  timeZone: string = 'UTC',
+  limit: number = 1000,
+): Date[] {
+  const parsed = typeof schedule === 'string' ? parseCronExpression(schedule) : schedule;
+  const ticks: Date[] = [];
+  let cursor = after;
+  while (ticks.length < limit) {
+    const next = getNextCronTime(parsed, cursor, timeZone);
+    if (next == null || next.getTime() > until.getTime()) {
+      break;
+    }
+    ticks.push(next);
+    cursor = next;
+  }
+  return ticks;
+}
+
+const LOOKBACK_WINDOWS_MS = [HOUR_MS, DAY_MS, 8 * DAY_MS, 32 * DAY_MS, 367 * DAY_MS];
+
+/**
+ * Returns the latest tick in `(after, until]`, or null when none exists. Searches
+ * progressively wider windows ending at `until` so a long outage does not require
+ * enumerating every tick it missed.
+ */
+export function getLatestCronTime(
+  schedule: CronSchedule | string,
+  after: Date,
+  until: Date,
+  timeZone: string = 'UTC',
+): Date | null {
+  const parsed = typeof schedule === 'string' ? parseCronExpression(schedule) : schedule;
+  const untilMs = until.getTime();
+  for (const windowMs of [...LOOKBACK_WINDOWS_MS, untilMs - after.getTime()]) {
+    const windowStart = new Date(Math.max(after.getTime(), untilMs - windowMs));
+    let latest: Date | null = null;
+    let cursor = windowStart;
+    while (true) {
+      const next = getNextCronTime(parsed, cursor, timeZone);
+      if (next == null || next.getTime() > untilMs) {
+        break;
+      }
+      latest = next;
+      cursor = next;
+    }
+    if (latest != null || windowStart.getTime() <= after.getTime()) {
+      return latest;
+    }
+  }
+  return null;
+}
@@ -0,0 +1,235 @@
+import type { Response } from 'express';
+import type {
+  CreateAgentScheduleData,
+  IAgentSchedule,
+  UpdateAgentScheduleData,
+} from '@librechat/data-schemas';
+import { createAgentScheduleHandlers } from './handlers';
+
+jest.mock('@librechat/data-schemas', () => {
+  const actual = jest.requireActual('@librechat/data-schemas');
+  return {
+    ...actual,
+    logger: { error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() },
+  };
+});
+
+const NOW = new Date('2026-08-17T12:00:30.000Z');
+const SCHEDULE_ID = '66c0a0000000000000000001';
+
+type Handlers = ReturnType<typeof createAgentScheduleHandlers>;
+type HandlerRequest = Parameters<Handlers['createSchedule']>[0];
+
+const createResponse = () => {
+  const status = jest.fn();
+  const json = jest.fn();
+  status.mockReturnValue({ json });
+  return {
+    response: { status, json } as Partial<Response> as Response,
+    status,
+    json,
+  };
+};
+
+const createRequest = (
+  overrides: {
+    body?: unknown;
+    params?: Record<string, string>;
+    query?: Record<string, string>;
+  } = {},
+): HandlerRequest =>
+  ({
+    body: overrides.body,
+    params: overrides.params ?? {},
+    query: overrides.query ?? {},
+    user: { id: 'user-1', role: 'USER' },
+  }) as unknown as HandlerRequest;
+
+const existingSchedule = (overrides: Partial<IAgentSchedule> = {}): IAgentSchedule =>
+  ({
+    _id: SCHEDULE_ID,
+    user: 'user-1',
+    name: 'Daily digest',
+    agent_id: 'agent_digest',
+    cron: '0 9 * * *',
+    timezone: 'UTC',
+    input: 'Summarize yesterday',
+    mode: 'fire',
+    enabled: true,
+    missedRunPolicy: 'latest',
+    nextRunAt: new Date('2026-08-18T09:00:00.000Z'),
+    ...overrides,
+  }) as unknown as IAgentSchedule;
+
+function createDeps() {
+  return {
+    listAgentSchedules: jest.fn().mockResolvedValue([]),
+    createAgentSchedule: jest.fn(
+      async (data: CreateAgentScheduleData) =>
+        ({ _id: SCHEDULE_ID, ...data }) as unknown as IAgentSchedule,
+    ),
+    getAgentSchedule: jest.fn().mockResolvedValue(existingSchedule()),
+    updateAgentSchedule: jest.fn(
+      async (_userId: unknown, _id: string, update: UpdateAgentScheduleData) =>
+        ({ ...existingSchedule(), ...update }) as unknown as IAgentSchedule,
+    ),
+    deleteAgentSchedule: jest.fn().mockResolvedValue(true),
+    canUseAgent: jest.fn().mockResolvedValue(true),
+    ownsConversation: jest.fn().mockResolvedValue(true),
+    now: () => NOW.getTime(),
+  };
+}
+
+describe('Agent schedule handlers', () => {
+  it('creates a schedule with defaults and its first run', async () => {
+    const deps = createDeps();
+    const handlers = createAgentScheduleHandlers(deps);
+    const { response, status } = createResponse();
+
+    await handlers.createSchedule(
+      createRequest({
+        body: {
+          name: ' Daily digest ',
+          agent_id: 'agent_digest',
+          cron: '0 9 * * *',
+          input: 'Summarize yesterday',
+        },
+      }),
+      response,
+    );
+
+    expect(status).toHaveBeenCalledWith(201);
+    expect(deps.canUseAgent).toHaveBeenCalledWith(
+      expect.objectContaining({ id: 'user-1' }),
+      'agent_digest',
+    );
+    expect(deps.createAgentSchedule).toHaveBeenCalledWith({
+      user: 'user-1',
+      name: 'Daily digest',
+      agent_id: 'agent_digest',
+      cron: '0 9 * * *',
+      timezone: 'UTC',
+      input: 'Summarize yesterday',
+      mode: 'fire',
+      enabled: true,
+      missedRunPolicy: 'latest',
+      nextRunAt: new Date('2026-08-18T09:00:00.000Z'),
+    });
+  });
+
+  it.each([
+    [{ cron: '61 * * * *' }, /minute/],
+    [{ timezone: 'Mars/Olympus' }, /timezone/],
+    [{ mode: 'steer' }, /mode/],
+    [{ mode: 'continue' }, /conversationId/],
+    [{ missedRunPolicy: 'never' }, /missedRunPolicy/],
+    [{ input: '   ' }, /input/],
+  ])('rejects invalid definitions: %p', async (override, message) => {
+    const deps = createDeps();
+    const handlers = createAgentScheduleHandlers(deps);
+    const { response, status, json } = createResponse();
+
+    await handlers.createSchedule(
+      createRequest({
+        body: {
+          name: 'Digest',
+          agent_id: 'agent_digest',
+          cron: '0 9 * * *',
+          input: 'Summarize',
+          ...override,
+        },
+      }),
+      response,
+    );
+
+    expect(status).toHaveBeenCalledWith(400);
+    expect(json).toHaveBeenCalledWith({ error: expect.stringMatching(message) });
+    expect(deps.createAgentSchedule).not.toHaveBeenCalled();
+  });
+
+  it('rejects agents and conversations the user cannot reach', async () => {
+    const deps = createDeps();
+    deps.canUseAgent.mockResolvedValueOnce(false);
+    const handlers = createAgentScheduleHandlers(deps);
+    const body = {
+      name: 'Digest',
+      agent_id: 'agent_private',
+      cron: '@daily',
+      input: 'Summarize',
+      mode: 'continue',
+      conversationId: 'convo-1',
+    };
+
+    const denied = createResponse();
+    await handlers.createSchedule(createRequest({ body }), denied.response);
+    expect(denied.status).toHaveBeenCalledWith(403);
+
+    deps.ownsConversation.mockResolvedValueOnce(false);
+    const missing = createResponse();
+    await handlers.createSchedule(createRequest({ body }), missing.response);
+    expect(missing.status).toHaveBeenCalledWith(404);
+    expect(deps.createAgentSchedule).not.toHaveBeenCalled();
+  });
+
+  it('recomputes the next run only when timing changes', async () => {
+    const deps = createDeps();
+    const handlers = createAgentScheduleHandlers(deps);
+
+    await handlers.updateSchedule(
+      createRequest({ params: { scheduleId: SCHEDULE_ID }, body: { name: 'Renamed' } }),
+      createResponse().response,
+    );
+    expect(deps.updateAgentSchedule.mock.calls[0][2]).not.toHaveProperty('nextRunAt');
+    expect(deps.canUseAgent).not.toHaveBeenCalled();
+
+    await handlers.updateSchedule(
+      createRequest({ params: { scheduleId: SCHEDULE_ID }, body: { cron: '30 12 * * *' } }),
+      createResponse().response,
+    );
+    expect(deps.updateAgentSchedule.mock.calls[1][2]).toMatchObject({
+      cron: '30 12 * * *',
+      nextRunAt: new Date('2026-08-17T12:30:00.000Z'),
+    });
+  });
+
+  it('returns 404 for unknown or malformed schedule ids', async () => {
+    const deps = createDeps();
+    deps.getAgentSchedule.mockResolvedValueOnce(null);
+    const handlers = createAgentScheduleHandlers(deps);
+
+    const unknown = createResponse();
+    await handlers.getSchedule(
+      createRequest({ params: { scheduleId: SCHEDULE_ID } }),
+      unknown.response,
+    );
+    expect(unknown.status).toHaveBeenCalledWith(404);
+
+    const malformed = createResponse();
+    await handlers.deleteSchedule(
+      createRequest({ params: { scheduleId: 'nope' } }),
+      malformed.response,
+    );
+    expect(malformed.status).toHaveBeenCalledWith(404);
+    expect(deps.deleteAgentSchedule).not.toHaveBeenCalled();
+  });
+
+  it('previews upcoming runs in the requested timezone', async () => {
+    const handlers = createAgentScheduleHandlers(createDeps());
+    const { response, json } = createResponse();
+
+    await handlers.previewSchedule(
+      createRequest({ query: { cron: '0 9 * * 1', timezone: 'America/New_York' } }),
+      response,
+    );
+
+    expect(json).toHaveBeenCalledWith({
+      nextRuns: [
+        '2026-08-17T13:00:00.000Z',
+        '2026-08-24T13:00:00.000Z',
+        '2026-08-31T13:00:00.000Z',
+        '2026-09-07T13:00:00.000Z',
+        '2026-09-14T13:00:00.000Z',
+      ],
+    });
+  });
+});
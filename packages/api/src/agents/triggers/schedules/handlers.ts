@@ -0,0 +1,331 @@
+import { isValidObjectIdString, logger } from '@librechat/data-schemas';
+import {
+  MAX_AGENT_SCHEDULE_INPUT_LENGTH,
+  MAX_AGENT_SCHEDULE_NAME_LENGTH,
+} from 'librechat-data-provider';
+import type {
+  AgentScheduleMethods,
+  AgentScheduleMissedRunPolicy,
+  AgentScheduleMode,
+  CreateAgentScheduleData,
+  IAgentSchedule,
+} from '@librechat/data-schemas';
+import type { Request, Response } from 'express';
+import { CronExpressionError, isValidTimezone, listCronTimes, parseCronExpression } from './cron';
+import { getNextAgentScheduleRun } from './scheduler';
+
+const SCHEDULE_NOT_FOUND = 'Schedule not found';
+const MAX_SCHEDULES_PER_USER = 50;
+const PREVIEW_TICKS = 5;
+const MODES = new Set<AgentScheduleMode>(['fire', 'continue']);
+const MISSED_RUN_POLICIES = new Set<AgentScheduleMissedRunPolicy>(['latest', 'all', 'skip']);
+
+interface ScheduleUser {
+  id: string;
+  role?: string;
+  tenantId?: string;
+  _id?: {
+    toString(): string;
+  };
+}
+
+interface ScheduleRequest extends Request {
+  user?: ScheduleUser;
+}
+
+type ScheduleHandlerDependencies = Pick<
+  AgentScheduleMethods,
+  | 'listAgentSchedules'
+  | 'createAgentSchedule'
+  | 'getAgentSchedule'
+  | 'updateAgentSchedule'
+  | 'deleteAgentSchedule'
+> & {
+  /** Current-permission check; the run re-checks access when each tick is dispatched. */
+  canUseAgent: (user: ScheduleUser, agentId: string) => Promise<boolean>;
+  /** Verifies the requesting user owns the conversation a `continue` schedule targets. */
+  ownsConversation: (userId: string, conversationId: string) => Promise<boolean>;
+  now?: () => number;
+};
+
+type ScheduleDefinition = Omit<CreateAgentScheduleData, 'user' | 'nextRunAt'>;
+
+class ScheduleValidationError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'ScheduleValidationError';
+  }
+}
+
+const getUserId = (req: ScheduleRequest): string => req.user?.id ?? req.user?._id?.toString() ?? '';
+
+const queryString = (value: Request['query'][string]): string | undefined => {
+  if (typeof value === 'string') {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return queryString(value[0]);
+  }
+  return undefined;
+};
+
+function requireText(value: unknown, field: string, maxLength: number): string {
+  const text = typeof value === 'string' ? value.trim() : '';
+  if (!text) {
+    throw new ScheduleValidationError(`${field} is required`);
+  }
+  if (text.length > maxLength) {
+    throw new ScheduleValidationError(`${field} must be at most ${maxLength} characters`);
+  }
+  return text;
+}
+
+/** Merges a request body over an optional existing definition and validates the result. */
+function resolveDefinition(
+  body: Record<string, unknown> | undefined,
+  existing?: IAgentSchedule,
+): ScheduleDefinition {
+  const input = body ?? {};
+  const pick = <K extends keyof ScheduleDefinition>(key: K): unknown =>
+    input[key] !== undefined ? input[key] : existing?.[key];
+
+  const cron = requireText(pick('cron'), 'cron', 256);
+  try {
+    parseCronExpression(cron);
+  } catch (error) {
+    throw new ScheduleValidationError(
+      error instanceof CronExpressionError ? error.message : 'cron is invalid',
+    );
+  }
+
+  const timezone = pick('timezone') ?? 'UTC';
+  if (!isValidTimezone(timezone)) {
+    throw new ScheduleValidationError('timezone must be a valid IANA timezone');
+  }
+
+  const mode = (pick('mode') ?? 'fire') as AgentScheduleMode;
+  if (!MODES.has(mode)) {
+    throw new ScheduleValidationError('mode must be "fire" or "continue"');
+  }
+
+  const missedRunPolicy = (pick('missedRunPolicy') ?? 'latest') as AgentScheduleMissedRunPolicy;
+  if (!MISSED_RUN_POLICIES.has(missedRunPolicy)) {
+    throw new ScheduleValidationError('missedRunPolicy must be "latest", "all" or "skip"');
+  }
+
+  const enabled = pick('enabled') ?? true;
+  if (typeof enabled !== 'boolean') {
+    throw new ScheduleValidationError('enabled must be a boolean');
+  }
+
+  const definition: ScheduleDefinition = {
+    name: requireText(pick('name'), 'name', MAX_AGENT_SCHEDULE_NAME_LENGTH),
+    agent_id: requireText(pick('agent_id'), 'agent_id', 256),
+    cron,
+    timezone,
+    input: requireText(pick('input'), 'input', MAX_AGENT_SCHEDULE_INPUT_LENGTH),
+    mode,
+    enabled,
+    missedRunPolicy,
+  };
+  if (mode === 'continue') {
+    definition.conversationId = requireText(pick('conversationId'), 'conversationId', 256);
+  }
+  return definition;
+}
+
+export function createAgentScheduleHandlers(deps: ScheduleHandlerDependencies): {
+  listSchedules: (req: ScheduleRequest, res: Response) => Promise<Response>;
+  previewSchedule: (req: ScheduleRequest, res: Response) => Promise<Response>;
+  createSchedule: (req: ScheduleRequest, res: Response) => Promise<Response>;
+  getSchedule: (req: ScheduleRequest, res: Response) => Promise<Response>;
+  updateSchedule: (req: ScheduleRequest, res: Response) => Promise<Response>;
+  deleteSchedule: (req: ScheduleRequest, res: Response) => Promise<Response>;
+} {
+  const now = deps.now ?? Date.now;
+
+  /** Rejects targets the user cannot currently reach; returns the error to send, if any. */
+  async function checkTargets(
+    req: ScheduleRequest,
+    definition: ScheduleDefinition,
+    existing?: IAgentSchedule,
+  ): Promise<{ status: number; error: string } | null> {
+    const user = req.user as ScheduleUser;
+    if (definition.agent_id !== existing?.agent_id) {
+      if (!(await deps.canUseAgent(user, definition.agent_id))) {
+        return { status: 403, error: 'Insufficient permissions to schedule this agent' };
+      }
+    }
+    if (
+      definition.mode === 'continue' &&
+      definition.conversationId != null &&
+      definition.conversationId !== existing?.conversationId &&
+      !(await deps.ownsConversation(getUserId(req), definition.conversationId))
+    ) {
+      return { status: 404, error: 'Conversation not found' };
+    }
+    return null;
+  }
+
+  async function listSchedules(req: ScheduleRequest, res: Response): Promise<Response> {
+    try {
+      const agentId = queryString(req.query.agent_id);
+      const schedules = await deps.listAgentSchedules(getUserId(req), agentId ? { agentId } : {});
+      return res.status(200).json({ schedules });
+    } catch (error) {
+      logger.error('[agent-schedules] Error listing schedules', error);
+      return res.status(500).json({ error: 'Error listing schedules' });
+    }
+  }
+
+  async function previewSchedule(req: ScheduleRequest, res: Response): Promise<Response> {
+    const cron = queryString(req.query.cron) ?? '';
+    const timezone = queryString(req.query.timezone) ?? 'UTC';
+    if (!isValidTimezone(timezone)) {
+      return res.status(400).json({ error: 'timezone must be a valid IANA timezone' });
+    }
+    try {
+      const parsed = parseCronExpression(cron);
+      const from = new Date(now());
+      const ticks = listCronTimes(parsed, from, new Date(8.64e15), timezone, PREVIEW_TICKS);
+      return res.status(200).json({ nextRuns: ticks.map((tick) => tick.toISOString()) });
+    } catch (error) {
+      if (error instanceof CronExpressionError) {
+        return res.status(400).json({ error: error.message });
+      }
+      logger.error('[agent-schedules] Error previewing schedule', error);
+      return res.status(500).json({ error: 'Error previewing schedule' });
+    }
+  }
+
+  async function createSchedule(req: ScheduleRequest, res: Response): Promise<Response> {
+    let definition: ScheduleDefinition;
+    try {
+      definition = resolveDefinition(req.body);
+    } catch (error) {
+      if (error instanceof ScheduleValidationError) {
+        return res.status(400).json({ error: error.message });
+      }
+      throw error;
+    }
+
+    try {
+      const userId = getUserId(req);
+      const existing = await deps.listAgentSchedules(userId);
+      if (existing.length >= MAX_SCHEDULES_PER_USER) {
+        return res
+          .status(400)
+          .json({ error: `A user may have at most ${MAX_SCHEDULES_PER_USER} schedules` });
+      }
+      const rejection = await checkTargets(req, definition);
+      if (rejection) {
+        return res.status(rejection.status).json({ error: rejection.error });
+      }
+      const schedule = await deps.createAgentSchedule({
+        ...definition,
+        user: userId,
+        nextRunAt: definition.enabled
+          ? getNextAgentScheduleRun(definition.cron, definition.timezone, new Date(now()))
+          : null,
+      });
+      return res.status(201).json(schedule);
+    } catch (error) {
+      logger.error('[agent-schedules] Error creating schedule', error);
+      return res.status(500).json({ error: 'Error creating schedule' });
+    }
+  }
+
+  async function getSchedule(req: ScheduleRequest, res: Response): Promise<Response> {
+    const { scheduleId } = req.params;
+    if (!isValidObjectIdString(scheduleId)) {
+      return res.status(404).json({ error: SCHEDULE_NOT_FOUND });
+    }
+    try {
+      const schedule = await deps.getAgentSchedule(getUserId(req), scheduleId);
+      if (!schedule) {
+        return res.status(404).json({ error: SCHEDULE_NOT_FOUND });
+      }
+      return res.status(200).json(schedule);
+    } catch (error) {
+      logger.error('[agent-schedules] Error getting schedule', error);
+      return res.status(500).json({ error: 'Error getting schedule' });
+    }
+  }
+
+  async function updateSchedule(req: ScheduleRequest, res: Response): Promise<Response> {
+    const { scheduleId } = req.params;
+    if (!isValidObjectIdString(scheduleId)) {
+      return res.status(404).json({ error: SCHEDULE_NOT_FOUND });
+    }
+
+    try {
+      const userId = getUserId(req);
+      const existing = await deps.getAgentSchedule(userId, scheduleId);
+      if (!existing) {
+        return res.status(404).json({ error: SCHEDULE_NOT_FOUND });
+      }
+
+      let definition: ScheduleDefinition;
+      try {
+        definition = resolveDefinition(req.body, existing);
+      } catch (error) {
+        if (error instanceof ScheduleValidationError) {
+          return res.status(400).json({ error: error.message });
+        }
+        throw error;
+      }
+      const rejection = await checkTargets(req, definition, existing);
+      if (rejection) {
+        return res.status(rejection.status).json({ error: rejection.error });
+      }
+
+      const timingChanged =
+        definition.cron !== existing.cron ||
+        definition.timezone !== existing.timezone ||
+        definition.enabled !== existing.enabled;
+      const schedule = await deps.updateAgentSchedule(userId, scheduleId, {
+        ...definition,
+        conversationId: definition.mode === 'continue' ? definition.conversationId : null,
+        // Re-enabling never replays ticks missed while the schedule was paused.
+        ...(timingChanged && {
+          nextRunAt: definition.enabled
+            ? getNextAgentScheduleRun(definition.cron, definition.timezone, new Date(now()))
+            : null,
+        }),
+      });
+      if (!schedule) {
+        return res.status(404).json({ error: SCHEDULE_NOT_FOUND });
+      }
+      return res.status(200).json(schedule);
+    } catch (error) {
+      logger.error('[agent-schedules] Error updating schedule', error);
+      return res.status(500).json({ error: 'Error updating schedule' });
+    }
+  }
+
+  async function deleteSchedule(req: ScheduleRequest, res: Response): Promise<Response> {
+    const { scheduleId } = req.params;
+    if (!isValidObjectIdString(scheduleId)) {
+      return res.status(404).json({ error: SCHEDULE_NOT_FOUND });
+    }
+    try {
+      const deleted = await deps.deleteAgentSchedule(getUserId(req), scheduleId);
+      if (!deleted) {
+        return res.status(404).json({ error: SCHEDULE_NOT_FOUND });
+      }
+      return res.status(200).json({ deleted: true });
+    } catch (error) {
+      logger.error('[agent-schedules] Error deleting schedule', error);
+      return res.status(500).json({ error: 'Error deleting schedule' });
+    }
+  }
+
+  return {
+    listSchedules,
+    previewSchedule,
+    createSchedule,
+    getSchedule,
+    updateSchedule,
+    deleteSchedule,
+  };
+}
@@ -0,0 +1,3 @@
+export * from './cron';
+export * from './scheduler';
+export * from './handlers';
@@ -0,0 +1,267 @@
+import { Types } from 'mongoose';
+import type { IAgentSchedule } from '@librechat/data-schemas';
+import type { AgentSchedulePersistence, AgentSchedulerDeps } from './scheduler';
+import type { AgentTriggerEnvelope } from '../envelope';
+import {
+  AGENT_SCHEDULE_EVENT_TYPE,
+  AGENT_SCHEDULE_SOURCE_TYPE,
+  createAgentScheduleTickEnvelope,
+  createAgentScheduler,
+  getAgentScheduleTickId,
+  planAgentScheduleTicks,
+  renderAgentScheduleInput,
+} from './scheduler';
+import { AgentTriggerDeliveryDeferredError } from '../engine';
+import { __resetShutdownStateForTests } from '../../../app/shutdown';
+import { parseCronExpression } from './cron';
+
+jest.mock('@librechat/data-schemas', () => {
+  const actual = jest.requireActual('@librechat/data-schemas');
+  return {
+    ...actual,
+    logger: { error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() },
+  };
+});
+
+const NOW = new Date('2026-08-17T12:00:30.000Z');
+const HOURLY = parseCronExpression('0 * * * *');
+
+function createSchedule(overrides: Partial<IAgentSchedule> = {}): IAgentSchedule {
+  return {
+    _id: new Types.ObjectId('66c0a0000000000000000001'),
+    user: new Types.ObjectId('66c0a0000000000000000002'),
+    name: 'Daily digest',
+    agent_id: 'agent_digest',
+    cron: '0 * * * *',
+    timezone: 'UTC',
+    input: 'Summarize {{scheduled_date}} at {{scheduled_time}} for {{schedule_name}}',
+    mode: 'fire',
+    enabled: true,
+    missedRunPolicy: 'latest',
+    nextRunAt: new Date('2026-08-17T12:00:00.000Z'),
+    ...overrides,
+  } as IAgentSchedule;
+}
+
+function createMethods(schedules: IAgentSchedule[]): jest.Mocked<AgentSchedulePersistence> {
+  return {
+    getDueAgentSchedules: jest.fn().mockResolvedValue(schedules),
+    advanceAgentSchedule: jest.fn().mockResolvedValue(true),
+    setAgentScheduleError: jest.fn().mockResolvedValue(undefined),
+  };
+}
+
+function createDeps(
+  methods: AgentSchedulePersistence,
+  overrides: Partial<AgentSchedulerDeps> = {},
+): AgentSchedulerDeps & { enqueue: jest.Mock } {
+  return {
+    methods,
+    enqueue: jest.fn(async (envelope: AgentTriggerEnvelope) => ({
+      id: 'delivery-1',
+      deliveryKey: `key:${envelope.deliveryId}`,
+      status: 'pending' as const,
+      availableAt: NOW,
+      replayed: false,
+    })),
+    isLeader: async () => true,
+    now: () => NOW.getTime(),
+    ...overrides,
+  } as AgentSchedulerDeps & { enqueue: jest.Mock };
+}
+
+describe('planAgentScheduleTicks', () => {
+  const due = new Date('2026-08-17T08:00:00.000Z');
+  const options = { maxCatchUpTicks: 3, skipGraceMs: 5 * 60_000 };
+
+  it('collapses missed ticks into the latest one', () => {
+    const plan = planAgentScheduleTicks(
+      { missedRunPolicy: 'latest', timezone: 'UTC' },
+      HOURLY,
+      due,
+      NOW,
+      options,
+    );
+    expect(plan.ticks.map((tick) => tick.toISOString())).toEqual(['2026-08-17T12:00:00.000Z']);
+    expect(plan.nextRunAt?.toISOString()).toBe('2026-08-17T13:00:00.000Z');
+  });
+
+  it('replays missed ticks oldest first, bounded per pass', () => {
+    const plan = planAgentScheduleTicks(
+      { missedRunPolicy: 'all', timezone: 'UTC' },
+      HOURLY,
+      due,
+      NOW,
+      options,
+    );
+    expect(plan.ticks.map((tick) => tick.toISOString())).toEqual([
+      '2026-08-17T08:00:00.000Z',
+      '2026-08-17T09:00:00.000Z',
+      '2026-08-17T10:00:00.000Z',
+    ]);
+    expect(plan.nextRunAt?.toISOString()).toBe('2026-08-17T11:00:00.000Z');
+  });
+
+  it('drops stale ticks for skip schedules but keeps ones inside the grace window', () => {
+    const late = new Date('2026-08-17T12:10:00.000Z');
+    const stale = planAgentScheduleTicks(
+      { missedRunPolicy: 'skip', timezone: 'UTC' },
+      HOURLY,
+      due,
+      late,
+      options,
+    );
+    expect(stale.ticks).toEqual([]);
+    expect(stale.nextRunAt?.toISOString()).toBe('2026-08-17T13:00:00.000Z');
+
+    const onTime = planAgentScheduleTicks(
+      { missedRunPolicy: 'skip', timezone: 'UTC' },
+      HOURLY,
+      due,
+      NOW,
+      options,
+    );
+    expect(onTime.ticks.map((tick) => tick.toISOString())).toEqual(['2026-08-17T12:00:00.000Z']);
+  });
+});
+
+describe('createAgentScheduleTickEnvelope', () => {
+  it('derives stable event and delivery ids from the schedule and tick', () => {
+    const schedule = createSchedule({ timezone: 'Europe/Berlin' });
+    const tick = new Date('2026-08-17T12:00:00.000Z');
+    const first = createAgentScheduleTickEnvelope(schedule, tick, { receivedAt: 1 });
+    const second = createAgentScheduleTickEnvelope(schedule, tick, { receivedAt: 2 });
+    const tickId = getAgentScheduleTickId(schedule, tick);
+
+    expect(first.mode).toBe('fire');
+    expect(first.deliveryId).toBe(tickId);
+    expect(first.event).toEqual(second.event);
+    expect(first.event).toMatchObject({
+      id: tickId,
+      type: AGENT_SCHEDULE_EVENT_TYPE,
+      occurredAt: tick.getTime(),
+      source: { id: String(schedule._id), type: AGENT_SCHEDULE_SOURCE_TYPE },
+    });
+    expect(first.target).toEqual({ agentId: 'agent_digest' });
+    expect(first.input).toBe('Summarize 2026-08-17 at 14:00 for Daily digest');
+  });
+
+  it('targets the fixed conversation in continue mode', () => {
+    const schedule = createSchedule({ mode: 'continue', conversationId: 'convo-1' });
+    const envelope = createAgentScheduleTickEnvelope(schedule, NOW, { parentMessageId: 'msg-9' });
+
+    expect(envelope.mode).toBe('continue');
+    expect(envelope.target).toEqual({
+      agentId: 'agent_digest',
+      conversationId: 'convo-1',
+      parentMessageId: 'msg-9',
+    });
+  });
+
+  it('leaves unknown template variables for the run to resolve', () => {
+    const schedule = createSchedule({ input: '{{current_date}} / {{ timezone }}' });
+    expect(renderAgentScheduleInput(schedule, NOW)).toBe('{{current_date}} / UTC');
+  });
+});
+
+describe('createAgentScheduler', () => {
+  beforeEach(() => {
+    __resetShutdownStateForTests();
+  });
+
+  afterEach(() => {
+    __resetShutdownStateForTests();
+  });
+
+  it('enqueues due ticks and advances each schedule with a compare-and-set', async () => {
+    const schedule = createSchedule();
+    const methods = createMethods([schedule]);
+    const deps = createDeps(methods);
+
+    await expect(createAgentScheduler(deps).poll()).resolves.toBe(1);
+
+    const tick = new Date('2026-08-17T12:00:00.000Z');
+    expect(deps.enqueue).toHaveBeenCalledWith(
+      expect.objectContaining({ deliveryId: getAgentScheduleTickId(schedule, tick) }),
+      { availableAt: tick },
+    );
+    expect(methods.advanceAgentSchedule).toHaveBeenCalledWith({
+      id: schedule._id,
+      expectedNextRunAt: schedule.nextRunAt,
+      nextRunAt: new Date('2026-08-17T13:00:00.000Z'),
+      lastRunAt: tick,
+      lastDeliveryKey: `key:${getAgentScheduleTickId(schedule, tick)}`,
+      lastError: null,
+    });
+  });
+
+  it('does nothing on replicas that are not the leader', async () => {
+    const methods = createMethods([createSchedule()]);
+    const deps = createDeps(methods, { isLeader: async () => false });
+
+    await expect(createAgentScheduler(deps).poll()).resolves.toBe(0);
+    expect(methods.getDueAgentSchedules).not.toHaveBeenCalled();
+  });
+
+  it('parks schedules whose expression can no longer be evaluated', async () => {
+    const schedule = createSchedule({ cron: 'not a cron' });
+    const methods = createMethods([schedule]);
+    const deps = createDeps(methods);
+
+    await createAgentScheduler(deps).poll();
+
+    expect(deps.enqueue).not.toHaveBeenCalled();
+    expect(methods.advanceAgentSchedule).toHaveBeenCalledWith(
+      expect.objectContaining({
+        nextRunAt: null,
+        lastError: expect.objectContaining({ code: 'INVALID_SCHEDULE' }),
+      }),
+    );
+  });
+
+  it('keeps deferred schedules due and records other enqueue failures', async () => {
+    const deferred = createSchedule();
+    const failing = createSchedule({ _id: new Types.ObjectId('66c0a0000000000000000003') });
+    const methods = createMethods([deferred, failing]);
+    const deps = createDeps(methods);
+    deps.enqueue
+      .mockRejectedValueOnce(new AgentTriggerDeliveryDeferredError('queue unavailable'))
+      .mockRejectedValueOnce(new Error('boom'));
+
+    await createAgentScheduler(deps).poll();
+
+    expect(methods.advanceAgentSchedule).not.toHaveBeenCalled();
+    expect(methods.setAgentScheduleError).toHaveBeenCalledTimes(1);
+    expect(methods.setAgentScheduleError).toHaveBeenCalledWith(
+      failing._id,
+      expect.objectContaining({ code: 'ENQUEUE_FAILED' }),
+    );
+  });
+
+  it('skips continue ticks when the conversation has nothing to continue from', async () => {
+    const schedule = createSchedule({ mode: 'continue', conversationId: 'convo-1' });
+    const methods = createMethods([schedule]);
+    const deps = createDeps(methods, { getContinueParentMessageId: async () => null });
+
+    await createAgentScheduler(deps).poll();
+
+    expect(deps.enqueue).not.toHaveBeenCalled();
+    expect(methods.advanceAgentSchedule).toHaveBeenCalledWith(
+      expect.objectContaining({
+        nextRunAt: new Date('2026-08-17T13:00:00.000Z'),
+        lastError: expect.objectContaining({ code: 'CONVERSATION_UNAVAILABLE' }),
+      }),
+    );
+  });
+
+  it('shares one in-flight pass between overlapping polls', async () => {
+    const methods = createMethods([createSchedule()]);
+    const scheduler = createAgentScheduler(createDeps(methods));
+
+    const [first, second] = await Promise.all([scheduler.poll(), scheduler.poll()]);
+
+    expect(first).toBe(1);
+    expect(second).toBe(1);
+    expect(methods.getDueAgentSchedules).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,383 @@
+import { randomUUID } from 'node:crypto';
+import { logger, runAsSystem } from '@librechat/data-schemas';
+import type {
+  AgentScheduleError,
+  AgentScheduleMethods,
+  IAgentSchedule,
+} from '@librechat/data-schemas';
+import type { AgentTriggerEnqueueOptions } from '../delivery';
+import type { AgentTriggerDeliveryReceipt } from '../service';
+import type { AgentTriggerEnvelope } from '../envelope';
+import type { CronSchedule } from './cron';
+import { getLatestCronTime, getNextCronTime, listCronTimes, parseCronExpression } from './cron';
+import { AgentTriggerDeliveryDeferredError } from '../engine';
+import { registerShutdownTask } from '../../../app/shutdown';
+import { createAgentTriggerEnvelope } from '../envelope';
+import { isLeader as isClusterLeader } from '../../../cluster';
+
+export const AGENT_SCHEDULE_SOURCE_TYPE = 'schedule';
+export const AGENT_SCHEDULE_EVENT_TYPE = 'schedule.tick';
+
+const DEFAULT_INTERVAL_MS = 15_000;
+const DEFAULT_BATCH_SIZE = 50;
+const DEFAULT_MAX_CATCH_UP_TICKS = 24;
+const DEFAULT_SKIP_GRACE_MS = 5 * 60_000;
+
+export type AgentSchedulePersistence = Pick<
+  AgentScheduleMethods,
+  'getDueAgentSchedules' | 'advanceAgentSchedule' | 'setAgentScheduleError'
+>;
+
+export interface AgentSchedulerDeps {
+  methods: AgentSchedulePersistence;
+  enqueue: (
+    envelope: AgentTriggerEnvelope,
+    options?: AgentTriggerEnqueueOptions,
+  ) => Promise<AgentTriggerDeliveryReceipt>;
+  /** Resolves the branch leaf a `continue` schedule appends to at tick time. */
+  getContinueParentMessageId?: (schedule: IAgentSchedule) => Promise<string | null | undefined>;
+  isLeader?: () => Promise<boolean>;
+  now?: () => number;
+}
+
+export interface AgentSchedulerOptions {
+  intervalMs?: number;
+  batchSize?: number;
+  /** Upper bound of missed ticks one pass emits for an `all` schedule. */
+  maxCatchUpTicks?: number;
+  /** How late a tick may be observed before a `skip` schedule drops it. */
+  skipGraceMs?: number;
+}
+
+export interface AgentScheduler {
+  start: () => void;
+  stop: () => Promise<void>;
+  /** Runs one leader-gated pass and returns the number of ticks enqueued. */
+  poll: () => Promise<number>;
+}
+
+interface TickPlan {
+  ticks: Date[];
+  nextRunAt: Date | null;
+}
+
+function positiveInteger(value: number | undefined, fallback: number, name: string): number {
+  const resolved = value ?? fallback;
+  if (!Number.isSafeInteger(resolved) || resolved <= 0) {
+    throw new TypeError(`${name} must be a positive integer`);
+  }
+  return resolved;
+}
+
+function scheduleError(code: string, error: unknown, at: Date): AgentScheduleError {
+  const message = error instanceof Error ? error.message : String(error);
+  return { code, message: message.slice(0, 2048) || code, at };
+}
+
+function zonedParts(date: Date, timeZone: string): { date: string; time: string } {
+  const parts = new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+  }).formatToParts(date);
+  const value = (type: Intl.DateTimeFormatPartTypes) =>
+    parts.find((part) => part.type === type)?.value ?? '';
+  return {
+    date: `${value('year')}-${value('month')}-${value('day')}`,
+    time: `${value('hour')}:${value('minute')}`,
+  };
+}
+
+/**
+ * Renders the schedule-owned template variables. Conversation-level special
+ * variables such as `{{current_date}}` are left for the run itself to resolve.
+ */
+export function renderAgentScheduleInput(schedule: IAgentSchedule, tick: Date): string {
+  const zoned = zonedParts(tick, schedule.timezone);
+  const values: Record<string, string> = {
+    schedule_name: schedule.name,
+    scheduled_at: tick.toISOString(),
+    scheduled_date: zoned.date,
+    scheduled_time: zoned.time,
+    timezone: schedule.timezone,
+  };
+  return schedule.input.replace(/\{\{\s*([a-z_]+)\s*\}\}/gi, (match, name: string) => {
+    const value = values[name.toLowerCase()];
+    return value ?? match;
+  });
+}
+
+/** Stable per-tick identity; a replay after a crash re-derives the same delivery. */
+export function getAgentScheduleTickId(schedule: Pick<IAgentSchedule, '_id'>, tick: Date): string {
+  return `schedule_${String(schedule._id)}_${tick.getTime()}`;
+}
+
+/** Builds the `fire` or `continue` envelope a schedule emits for one tick. */
+export function createAgentScheduleTickEnvelope(
+  schedule: IAgentSchedule,
+  tick: Date,
+  options: { parentMessageId?: string; receivedAt?: number } = {},
+): AgentTriggerEnvelope {
+  const scheduleId = String(schedule._id);
+  const tickId = getAgentScheduleTickId(schedule, tick);
+  const base = {
+    requestId: randomUUID(),
+    deliveryId: tickId,
+    receivedAt: options.receivedAt ?? Date.now(),
+    principal: {
+      id: String(schedule.user),
+      ...(schedule.tenantId != null && { tenantId: schedule.tenantId }),
+    },
+    event: {
+      id: tickId,
+      type: AGENT_SCHEDULE_EVENT_TYPE,
+      occurredAt: tick.getTime(),
+      source: { id: scheduleId, type: AGENT_SCHEDULE_SOURCE_TYPE },
+      payload: {
+        scheduleId,
+        name: schedule.name,
+        cron: schedule.cron,
+        timezone: schedule.timezone,
+        scheduledAt: tick.toISOString(),
+      },
+    },
+    input: renderAgentScheduleInput(schedule, tick),
+  };
+
+  if (schedule.mode === 'continue') {
+    return createAgentTriggerEnvelope({
+      ...base,
+      mode: 'continue',
+      target: {
+        agentId: schedule.agent_id,
+        conversationId: schedule.conversationId ?? '',
+        parentMessageId: options.parentMessageId ?? '',
+      },
+    });
+  }
+  return createAgentTriggerEnvelope({
+    ...base,
+    mode: 'fire',
+    target: { agentId: schedule.agent_id },
+  });
+}
+
+/** Computes the first tick after `after`, or null when the expression never fires again. */
+export function getNextAgentScheduleRun(
+  cron: CronSchedule | string,
+  timezone: string,
+  after: Date = new Date(),
+): Date | null {
+  return getNextCronTime(cron, after, timezone);
+}
+
+/**
+ * Decides which due ticks one pass emits. `due` is the persisted `nextRunAt`,
+ * which is always itself a tick; every decision derives from it and `now`, so
+ * two leaders observing the same row emit the same delivery identities.
+ */
+export function planAgentScheduleTicks(
+  schedule: Pick<IAgentSchedule, 'missedRunPolicy' | 'timezone'>,
+  cron: CronSchedule,
+  due: Date,
+  now: Date,
+  options: { maxCatchUpTicks: number; skipGraceMs: number },
+): TickPlan {
+  const { timezone } = schedule;
+  if (schedule.missedRunPolicy === 'all') {
+    const ticks = [
+      due,
+      ...listCronTimes(cron, due, now, timezone, Math.max(0, options.maxCatchUpTicks - 1)),
+    ];
+    const last = ticks[ticks.length - 1];
+    return { ticks, nextRunAt: getNextCronTime(cron, last, timezone) };
+  }
+
+  const latest = getLatestCronTime(cron, due, now, timezone) ?? due;
+  const nextRunAt = getNextCronTime(cron, now, timezone);
+  if (
+    schedule.missedRunPolicy === 'skip' &&
+    now.getTime() - latest.getTime() > options.skipGraceMs
+  ) {
+    return { ticks: [], nextRunAt };
+  }
+  return { ticks: [latest], nextRunAt };
+}
+
+/**
+ * Leader-elected producer of `fire`/`continue` trigger envelopes for saved
+ * schedules. Only the elected replica scans for due rows; `nextRunAt` advances
+ * through a compare-and-set, and tick-derived delivery ids make a replay by a
+ * new leader after a crash an idempotent re-enqueue.
+ */
+export function createAgentScheduler(
+  deps: AgentSchedulerDeps,
+  options: AgentSchedulerOptions = {},
+): AgentScheduler {
+  const intervalMs = positiveInteger(options.intervalMs, DEFAULT_INTERVAL_MS, 'intervalMs');
+  const batchSize = positiveInteger(options.batchSize, DEFAULT_BATCH_SIZE, 'batchSize');
+  const maxCatchUpTicks = positiveInteger(
+    options.maxCatchUpTicks,
+    DEFAULT_MAX_CATCH_UP_TICKS,
+    'maxCatchUpTicks',
+  );
+  const skipGraceMs = positiveInteger(options.skipGraceMs, DEFAULT_SKIP_GRACE_MS, 'skipGraceMs');
+  const isLeader = deps.isLeader ?? isClusterLeader;
+  const now = deps.now ?? Date.now;
+  const { methods } = deps;
+
+  let timer: NodeJS.Timeout | undefined;
+  let pollPromise: Promise<number> | undefined;
+  let stopping = false;
+  let shutdownRegistered = false;
+
+  const processSchedule = async (schedule: IAgentSchedule, at: Date): Promise<number> => {
+    const due = schedule.nextRunAt;
+    if (due == null) {
+      return 0;
+    }
+    let cron: CronSchedule;
+    let plan: TickPlan;
+    try {
+      cron = parseCronExpression(schedule.cron);
+      plan = planAgentScheduleTicks(schedule, cron, new Date(due), at, {
+        maxCatchUpTicks,
+        skipGraceMs,
+      });
+    } catch (error) {
+      // A definition that can no longer be evaluated parks the schedule until edited.
+      await methods.advanceAgentSchedule({
+        id: schedule._id!,
+        expectedNextRunAt: due,
+        nextRunAt: null,
+        lastError: scheduleError('INVALID_SCHEDULE', error, at),
+      });
+      return 0;
+    }
+
+    let parentMessageId: string | undefined;
+    if (schedule.mode === 'continue' && plan.ticks.length > 0) {
+      parentMessageId = (await deps.getContinueParentMessageId?.(schedule)) ?? undefined;
+      if (parentMessageId == null || schedule.conversationId == null) {
+        await methods.advanceAgentSchedule({
+          id: schedule._id!,
+          expectedNextRunAt: due,
+          nextRunAt: plan.nextRunAt,
+          lastError: scheduleError(
+            'CONVERSATION_UNAVAILABLE',
+            'The scheduled conversation has no message to continue from',
+            at,
+          ),
+        });
+        return 0;
+      }
+    }
+
+    let lastDeliveryKey: string | undefined;
+    for (const tick of plan.ticks) {
+      const envelope = createAgentScheduleTickEnvelope(schedule, tick, {
+        parentMessageId,
+        receivedAt: at.getTime(),
+      });
+      const receipt = await deps.enqueue(envelope, { availableAt: tick });
+      lastDeliveryKey = receipt.deliveryKey;
+    }
+
+    const advanced = await methods.advanceAgentSchedule({
+      id: schedule._id!,
+      expectedNextRunAt: due,
+      nextRunAt: plan.nextRunAt,
+      ...(plan.ticks.length > 0 && { lastRunAt: plan.ticks[plan.ticks.length - 1] }),
+      ...(lastDeliveryKey != null && { lastDeliveryKey }),
+      lastError: null,
+    });
+    if (!advanced) {
+      logger.debug(`[agent-schedules] Schedule ${String(schedule._id)} changed during its tick`);
+    }
+    return plan.ticks.length;
+  };
+
+  const runPass = async (): Promise<number> => {
+    if (stopping || !(await isLeader())) {
+      return 0;
+    }
+    return runAsSystem(async () => {
+      const at = new Date(now());
+      const due = await methods.getDueAgentSchedules(at, batchSize);
+      let enqueued = 0;
+      for (const schedule of due) {
+        if (stopping) {
+          break;
+        }
+        try {
+          enqueued += await processSchedule(schedule, at);
+        } catch (error) {
+          if (error instanceof AgentTriggerDeliveryDeferredError) {
+            // Delivery is temporarily unavailable; the row stays due for the next pass.
+            logger.warn(
+              `[agent-schedules] Deferred schedule ${String(schedule._id)}: ${error.message}`,
+            );
+            continue;
+          }
+          logger.error(`[agent-schedules] Failed to emit schedule ${String(schedule._id)}`, error);
+          await methods
+            .setAgentScheduleError(schedule._id!, scheduleError('ENQUEUE_FAILED', error, at))
+            .catch((recordError: unknown) => {
+              logger.error('[agent-schedules] Failed to record schedule error', recordError);
+            });
+        }
+      }
+      return enqueued;
+    });
+  };
+
+  const poll = (): Promise<number> => {
+    if (pollPromise != null) {
+      return pollPromise;
+    }
+    const current = runPass()
+      .catch((error: unknown) => {
+        logger.error('[agent-schedules] Scheduler pass failed', error);
+        return 0;
+      })
+      .finally(() => {
+        if (pollPromise === current) {
+          pollPromise = undefined;
+        }
+      });
+    pollPromise = current;
+    return current;
+  };
+
+  const stop = async (): Promise<void> => {
+    stopping = true;
+    if (timer != null) {
+      clearInterval(timer);
+      timer = undefined;
+    }
+    await pollPromise;
+  };
+
+  return {
+    start: () => {
+      if (timer != null) {
+        return;
+      }
+      stopping = false;
+      if (!shutdownRegistered) {
+        shutdownRegistered = true;
+        registerShutdownTask('agent scheduler', stop, { phase: 'pre-drain', priority: 110 });
+      }
+      void poll();
+      timer = setInterval(() => void poll(), intervalMs);
+      timer.unref();
+      logger.info('[agent-schedules] scheduler started');
+    },
+    stop,
+    poll,
+  };
+}
@@ -0,0 +1,319 @@
+import type { Response } from 'express';
+import type {
+  AgentWebhookWithSecret,
+  CreateAgentWebhookData,
+  IAgentWebhook,
+  UpdateAgentWebhookData,
+} from '@librechat/data-schemas';
+import { AgentTriggerDeliveryConflictError } from '@librechat/data-schemas';
+import type { AgentTriggerEnvelope } from '../envelope';
+import { createAgentWebhookHandlers, createAgentWebhookIngressHandler } from './handlers';
+import { AgentTriggerServiceUnavailableError } from '../service';
+import { signAgentWebhookPayload } from './signature';
+
+jest.mock('@librechat/data-schemas', () => {
+  const actual = jest.requireActual('@librechat/data-schemas');
+  return {
+    ...actual,
+    logger: { error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() },
+  };
+});
+
+const NOW = Date.parse('2026-08-17T12:00:00.000Z');
+const WEBHOOK_ID = '66c0a0000000000000000002';
+const PUBLIC_ID = 'a1'.repeat(24);
+const SECRET = 'whsec_test';
+
+type Handlers = ReturnType<typeof createAgentWebhookHandlers>;
+type HandlerRequest = Parameters<Handlers['createWebhook']>[0];
+type IngressRequest = Parameters<ReturnType<typeof createAgentWebhookIngressHandler>>[0];
+
+const createResponse = () => {
+  const status = jest.fn();
+  const json = jest.fn();
+  const setHeader = jest.fn();
+  status.mockReturnValue({ json });
+  return {
+    response: { status, json, setHeader } as Partial<Response> as Response,
+    status,
+    json,
+    setHeader,
+  };
+};
+
+const createRequest = (
+  overrides: { body?: unknown; params?: Record<string, string> } = {},
+): HandlerRequest =>
+  ({
+    body: overrides.body,
+    params: overrides.params ?? {},
+    query: {},
+    user: { id: 'user-1', role: 'USER' },
+  }) as unknown as HandlerRequest;
+
+const existingWebhook = (overrides: Partial<IAgentWebhook> = {}): IAgentWebhook =>
+  ({
+    _id: WEBHOOK_ID,
+    user: 'user-1',
+    name: 'CI failures',
+    agent_id: 'agent_ci',
+    publicId: PUBLIC_ID,
+    inputTemplate: 'Build {{payload.build.id}} failed',
+    enabled: true,
+    ...overrides,
+  }) as unknown as IAgentWebhook;
+
+function createDeps() {
+  return {
+    listAgentWebhooks: jest.fn().mockResolvedValue([]),
+    createAgentWebhook: jest.fn(
+      async (data: CreateAgentWebhookData): Promise<AgentWebhookWithSecret> => ({
+        webhook: { _id: WEBHOOK_ID, publicId: PUBLIC_ID, ...data } as unknown as IAgentWebhook,
+        secret: SECRET,
+      }),
+    ),
+    getAgentWebhook: jest.fn().mockResolvedValue(existingWebhook()),
+    updateAgentWebhook: jest.fn(
+      async (_userId: unknown, _id: string, update: UpdateAgentWebhookData) =>
+        ({ ...existingWebhook(), ...update }) as unknown as IAgentWebhook,
+    ),
+    rotateAgentWebhookSecret: jest
+      .fn()
+      .mockResolvedValue({ webhook: existingWebhook(), secret: 'whsec_rotated' }),
+    deleteAgentWebhook: jest.fn().mockResolvedValue(true),
+    canUseAgent: jest.fn().mockResolvedValue(true),
+    getWebhookUrl: (publicId: string) => `https://chat.example.com/api/webhooks/agents/${publicId}`,
+  };
+}
+
+describe('Agent webhook handlers', () => {
+  it('creates a webhook and returns its secret once', async () => {
+    const deps = createDeps();
+    const handlers = createAgentWebhookHandlers(deps);
+    const { response, status, json } = createResponse();
+
+    await handlers.createWebhook(
+      createRequest({
+        body: {
+          name: ' CI failures ',
+          agent_id: 'agent_ci',
+          inputTemplate: 'Build {{payload.build.id}} failed',
+          orderingKeyPath: 'repository.id',
+        },
+      }),
+      response,
+    );
+
+    expect(status).toHaveBeenCalledWith(201);
+    expect(deps.createAgentWebhook).toHaveBeenCalledWith({
+      user: 'user-1',
+      name: 'CI failures',
+      agent_id: 'agent_ci',
+      inputTemplate: 'Build {{payload.build.id}} failed',
+      orderingKeyPath: 'repository.id',
+      enabled: true,
+    });
+    expect(json).toHaveBeenCalledWith(
+      expect.objectContaining({
+        secret: SECRET,
+        url: `https://chat.example.com/api/webhooks/agents/${PUBLIC_ID}`,
+      }),
+    );
+  });
+
+  it.each([
+    [{ agent_id: 'agent_ci', inputTemplate: 'x' }, 'name is required'],
+    [{ name: 'CI', agent_id: 'agent_ci' }, 'inputTemplate is required'],
+    [{ name: 'CI', agent_id: 'agent_ci', inputTemplate: 'x', enabled: 'yes' }, 'enabled'],
+    [{ name: 'CI', agent_id: 'agent_ci', inputTemplate: 'x', orderingKeyPath: '$.a' }, 'path'],
+  ])('rejects invalid definitions (%#)', async (body, message) => {
+    const deps = createDeps();
+    const { response, status, json } = createResponse();
+
+    await createAgentWebhookHandlers(deps).createWebhook(createRequest({ body }), response);
+
+    expect(status).toHaveBeenCalledWith(400);
+    expect(json).toHaveBeenCalledWith({ error: expect.stringContaining(message) });
+    expect(deps.createAgentWebhook).not.toHaveBeenCalled();
+  });
+
+  it('requires access to the target agent', async () => {
+    const deps = createDeps();
+    deps.canUseAgent.mockResolvedValue(false);
+    const { response, status } = createResponse();
+
+    await createAgentWebhookHandlers(deps).createWebhook(
+      createRequest({ body: { name: 'CI', agent_id: 'agent_private', inputTemplate: 'x' } }),
+      response,
+    );
+
+    expect(status).toHaveBeenCalledWith(403);
+    expect(deps.createAgentWebhook).not.toHaveBeenCalled();
+  });
+
+  it('clears the ordering path and re-checks access only when the agent changes', async () => {
+    const deps = createDeps();
+    deps.getAgentWebhook.mockResolvedValue(existingWebhook({ orderingKeyPath: 'repository.id' }));
+    const handlers = createAgentWebhookHandlers(deps);
+
+    await handlers.updateWebhook(
+      createRequest({ params: { webhookId: WEBHOOK_ID }, body: { orderingKeyPath: null } }),
+      createResponse().response,
+    );
+    expect(deps.canUseAgent).not.toHaveBeenCalled();
+    expect(deps.updateAgentWebhook).toHaveBeenCalledWith(
+      'user-1',
+      WEBHOOK_ID,
+      expect.objectContaining({ orderingKeyPath: null }),
+    );
+
+    await handlers.updateWebhook(
+      createRequest({ params: { webhookId: WEBHOOK_ID }, body: { agent_id: 'agent_other' } }),
+      createResponse().response,
+    );
+    expect(deps.canUseAgent).toHaveBeenCalledWith(
+      expect.objectContaining({ id: 'user-1' }),
+      'agent_other',
+    );
+  });
+
+  it('returns the new secret on rotation and 404s for unknown ids', async () => {
+    const deps = createDeps();
+    const handlers = createAgentWebhookHandlers(deps);
+    const rotated = createResponse();
+
+    await handlers.rotateWebhookSecret(
+      createRequest({ params: { webhookId: WEBHOOK_ID } }),
+      rotated.response,
+    );
+    expect(rotated.json).toHaveBeenCalledWith(expect.objectContaining({ secret: 'whsec_rotated' }));
+
+    const missing = createResponse();
+    await handlers.deleteWebhook(
+      createRequest({ params: { webhookId: 'nope' } }),
+      missing.response,
+    );
+    expect(missing.status).toHaveBeenCalledWith(404);
+    expect(deps.deleteAgentWebhook).not.toHaveBeenCalled();
+  });
+});
+
+describe('Agent webhook ingress', () => {
+  const body = Buffer.from(JSON.stringify({ build: { id: 42 }, repository: { id: 'api' } }));
+  const timestamp = String(NOW / 1000);
+
+  const ingressRequest = (
+    overrides: { body?: Buffer; headers?: Record<string, string> } = {},
+  ): IngressRequest =>
+    ({
+      params: { publicId: PUBLIC_ID },
+      body: overrides.body ?? body,
+      headers: {
+        'x-librechat-webhook-timestamp': timestamp,
+        'x-librechat-webhook-signature': `v1=${signAgentWebhookPayload(SECRET, timestamp, body)}`,
+        ...overrides.headers,
+      },
+    }) as unknown as IngressRequest;
+
+  function createIngressDeps() {
+    return {
+      getAgentWebhookForIngress: jest.fn().mockResolvedValue({
+        webhook: existingWebhook({ orderingKeyPath: 'repository.id', tenantId: 'tenant-a' }),
+        secret: SECRET,
+      }),
+      recordAgentWebhookDelivery: jest.fn().mockResolvedValue(undefined),
+      enqueue: jest.fn().mockResolvedValue({
+        id: 'delivery-1',
+        deliveryKey: 'trigger_abc',
+        status: 'pending',
+        availableAt: new Date(NOW),
+        replayed: false,
+      }),
+      now: () => NOW,
+    };
+  }
+
+  it('enqueues a verified request as a fire envelope for the owner', async () => {
+    const deps = createIngressDeps();
+    const { response, status, json } = createResponse();
+
+    await createAgentWebhookIngressHandler(deps)(ingressRequest(), response);
+
+    expect(status).toHaveBeenCalledWith(202);
+    const [envelope, options] = deps.enqueue.mock.calls[0] as [AgentTriggerEnvelope, unknown];
+    expect(options).toEqual({ orderingKey: 'api' });
+    expect(envelope).toMatchObject({
+      mode: 'fire',
+      principal: { userId: 'user-1', tenantId: 'tenant-a' },
+      event: {
+        type: 'webhook.received',
+        occurredAt: NOW,
+        source: { id: WEBHOOK_ID, type: 'webhook' },
+        payload: { build: { id: 42 }, repository: { id: 'api' } },
+      },
+      target: { agentId: 'agent_ci' },
+      input: 'Build 42 failed',
+    });
+    expect(envelope.deliveryId).toBe(envelope.event.id);
+    expect(deps.recordAgentWebhookDelivery).toHaveBeenCalledWith(WEBHOOK_ID, {
+      receivedAt: new Date(NOW),
+      deliveryKey: 'trigger_abc',
+    });
+    expect(json).toHaveBeenCalledWith(
+      expect.objectContaining({ id: 'delivery-1', status: 'pending', replayed: false }),
+    );
+  });
+
+  it('derives the same delivery for a replayed request', async () => {
+    const deps = createIngressDeps();
+    const handler = createAgentWebhookIngressHandler(deps);
+
+    await handler(ingressRequest(), createResponse().response);
+    await handler(ingressRequest(), createResponse().response);
+
+    const [first, second] = deps.enqueue.mock.calls.map(
+      ([envelope]) => (envelope as AgentTriggerEnvelope).deliveryId,
+    );
+    expect(first).toBe(second);
+  });
+
+  it('hides disabled webhooks and rejects bad signatures', async () => {
+    const deps = createIngressDeps();
+    const handler = createAgentWebhookIngressHandler(deps);
+
+    const forged = createResponse();
+    await handler(
+      ingressRequest({ headers: { 'x-librechat-webhook-signature': `v1=${'0'.repeat(64)}` } }),
+      forged.response,
+    );
+    expect(forged.status).toHaveBeenCalledWith(404);
+    expect(forged.json).toHaveBeenCalledWith({ error: 'Webhook not found' });
+
+    deps.getAgentWebhookForIngress.mockResolvedValue({
+      webhook: existingWebhook({ enabled: false }),
+      secret: SECRET,
+    });
+    const disabled = createResponse();
+    await handler(ingressRequest(), disabled.response);
+    expect(disabled.status).toHaveBeenCalledWith(404);
+    expect(deps.enqueue).not.toHaveBeenCalled();
+  });
+
+  it('maps queue failures to retryable and conflict responses', async () => {
+    const deps = createIngressDeps();
+    const handler = createAgentWebhookIngressHandler(deps);
+
+    deps.enqueue.mockRejectedValueOnce(
+      new AgentTriggerServiceUnavailableError('Agent trigger service is not ready'),
+    );
+    const unavailable = createResponse();
+    await handler(ingressRequest(), unavailable.response);
+    expect(unavailable.status).toHaveBeenCalledWith(503);
+    expect(unavailable.setHeader).toHaveBeenCalledWith('Retry-After', expect.any(String));
+
+    deps.enqueue.mockRejectedValueOnce(new AgentTriggerDeliveryConflictError('trigger_abc'));
+    const conflict = createResponse();
+    await handler(ingressRequest(), conflict.response);
+    expect(conflict.status).toHaveBeenCalledWith(409);
+  });
+});
@@ -0,0 +1,423 @@
+import { randomUUID } from 'node:crypto';
+import {
+  AgentTriggerDeliveryConflictError,
+  isValidObjectIdString,
+  runAsSystem,
+  logger,
+} from '@librechat/data-schemas';
+import {
+  MAX_AGENT_WEBHOOK_INPUT_LENGTH,
+  MAX_AGENT_WEBHOOK_NAME_LENGTH,
+} from 'librechat-data-provider';
+import type {
+  AgentWebhookMethods,
+  CreateAgentWebhookData,
+  IAgentWebhook,
+} from '@librechat/data-schemas';
+import type { Request, Response } from 'express';
+import type { AgentTriggerEnqueueOptions } from '../delivery';
+import type { AgentTriggerDeliveryReceipt } from '../service';
+import type { AgentTriggerEnvelope } from '../envelope';
+import {
+  AGENT_WEBHOOK_EVENT_ID_HEADER,
+  AGENT_WEBHOOK_SIGNATURE_HEADER,
+  AGENT_WEBHOOK_TIMESTAMP_HEADER,
+  AgentWebhookSignatureError,
+  getAgentWebhookEventId,
+  verifyAgentWebhookSignature,
+} from './signature';
+import {
+  AgentWebhookPayloadError,
+  getAgentWebhookOrderingKey,
+  isValidAgentWebhookPayloadPath,
+  parseAgentWebhookPayload,
+  renderAgentWebhookInput,
+} from './payload';
+import { AgentTriggerEnvelopeError, createAgentTriggerEnvelope } from '../envelope';
+import { AgentTriggerDeliveryDeferredError } from '../engine';
+import { AgentTriggerDeliveryError } from '../delivery';
+
+export const AGENT_WEBHOOK_SOURCE_TYPE = 'webhook';
+export const AGENT_WEBHOOK_EVENT_TYPE = 'webhook.received';
+
+const WEBHOOK_NOT_FOUND = 'Webhook not found';
+const MAX_WEBHOOKS_PER_USER = 50;
+
+interface WebhookUser {
+  id: string;
+  role?: string;
+  tenantId?: string;
+  _id?: {
+    toString(): string;
+  };
+}
+
+interface WebhookRequest extends Request {
+  user?: WebhookUser;
+}
+
+type WebhookHandlerDependencies = Pick<
+  AgentWebhookMethods,
+  | 'listAgentWebhooks'
+  | 'createAgentWebhook'
+  | 'getAgentWebhook'
+  | 'updateAgentWebhook'
+  | 'rotateAgentWebhookSecret'
+  | 'deleteAgentWebhook'
+> & {
+  /** Current-permission check; each delivery re-checks access when the run starts. */
+  canUseAgent: (user: WebhookUser, agentId: string) => Promise<boolean>;
+  /** Absolute ingress URL for a webhook's public id. */
+  getWebhookUrl: (publicId: string) => string;
+};
+
+type WebhookDefinition = Omit<CreateAgentWebhookData, 'user'>;
+
+class WebhookValidationError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'WebhookValidationError';
+  }
+}
+
+const getUserId = (req: WebhookRequest): string => req.user?.id ?? req.user?._id?.toString() ?? '';
+
+const queryString = (value: Request['query'][string]): string | undefined => {
+  if (typeof value === 'string') {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return queryString(value[0]);
+  }
+  return undefined;
+};
+
+function requireText(value: unknown, field: string, maxLength: number): string {
+  const text = typeof value === 'string' ? value.trim() : '';
+  if (!text) {
+    throw new WebhookValidationError(`${field} is required`);
+  }
+  if (text.length > maxLength) {
+    throw new WebhookValidationError(`${field} must be at most ${maxLength} characters`);
+  }
+  return text;
+}
+
+/** Merges a request body over an optional existing definition and validates the result. */
+function resolveDefinition(
+  body: Record<string, unknown> | undefined,
+  existing?: IAgentWebhook,
+): WebhookDefinition {
+  const input = body ?? {};
+  const pick = <K extends keyof WebhookDefinition>(key: K): unknown =>
+    input[key] !== undefined ? input[key] : existing?.[key];
+
+  const enabled = pick('enabled') ?? true;
+  if (typeof enabled !== 'boolean') {
+    throw new WebhookValidationError('enabled must be a boolean');
+  }
+
+  const orderingKeyPath = pick('orderingKeyPath');
+  if (orderingKeyPath != null && orderingKeyPath !== '') {
+    if (!isValidAgentWebhookPayloadPath(orderingKeyPath)) {
+      throw new WebhookValidationError(
+        'orderingKeyPath must be a dotted payload path such as "repository.id"',
+      );
+    }
+  }
+
+  return {
+    name: requireText(pick('name'), 'name', MAX_AGENT_WEBHOOK_NAME_LENGTH),
+    agent_id: requireText(pick('agent_id'), 'agent_id', 256),
+    inputTemplate: requireText(
+      pick('inputTemplate'),
+      'inputTemplate',
+      MAX_AGENT_WEBHOOK_INPUT_LENGTH,
+    ),
+    enabled,
+    ...(typeof orderingKeyPath === 'string' && orderingKeyPath !== '' ? { orderingKeyPath } : {}),
+  };
+}
+
+export function createAgentWebhookHandlers(deps: WebhookHandlerDependencies): {
+  listWebhooks: (req: WebhookRequest, res: Response) => Promise<Response>;
+  createWebhook: (req: WebhookRequest, res: Response) => Promise<Response>;
+  getWebhook: (req: WebhookRequest, res: Response) => Promise<Response>;
+  updateWebhook: (req: WebhookRequest, res: Response) => Promise<Response>;
+  rotateWebhookSecret: (req: WebhookRequest, res: Response) => Promise<Response>;
+  deleteWebhook: (req: WebhookRequest, res: Response) => Promise<Response>;
+} {
+  const present = (webhook: IAgentWebhook) => ({
+    ...webhook,
+    url: deps.getWebhookUrl(webhook.publicId),
+  });
+
+  async function listWebhooks(req: WebhookRequest, res: Response): Promise<Response> {
+    try {
+      const agentId = queryString(req.query.agent_id);
+      const webhooks = await deps.listAgentWebhooks(getUserId(req), agentId ? { agentId } : {});
+      return res.status(200).json({ webhooks: webhooks.map(present) });
+    } catch (error) {
+      logger.error('[agent-webhooks] Error listing webhooks', error);
+      return res.status(500).json({ error: 'Error listing webhooks' });
+    }
+  }
+
+  async function createWebhook(req: WebhookRequest, res: Response): Promise<Response> {
+    let definition: WebhookDefinition;
+    try {
+      definition = resolveDefinition(req.body);
+    } catch (error) {
+      if (error instanceof WebhookValidationError) {
+        return res.status(400).json({ error: error.message });
+      }
+      throw error;
+    }
+
+    try {
+      const userId = getUserId(req);
+      const existing = await deps.listAgentWebhooks(userId);
+      if (existing.length >= MAX_WEBHOOKS_PER_USER) {
+        return res
+          .status(400)
+          .json({ error: `A user may have at most ${MAX_WEBHOOKS_PER_USER} webhooks` });
+      }
+      if (!(await deps.canUseAgent(req.user as WebhookUser, definition.agent_id))) {
+        return res.status(403).json({ error: 'Insufficient permissions to use this agent' });
+      }
+      const { webhook, secret } = await deps.createAgentWebhook({ ...definition, user: userId });
+      // The plaintext secret is only ever returned here and on rotation.
+      return res.status(201).json({ ...present(webhook), secret });
+    } catch (error) {
+      logger.error('[agent-webhooks] Error creating webhook', error);
+      return res.status(500).json({ error: 'Error creating webhook' });
+    }
+  }
+
+  async function getWebhook(req: WebhookRequest, res: Response): Promise<Response> {
+    const { webhookId } = req.params;
+    if (!isValidObjectIdString(webhookId)) {
+      return res.status(404).json({ error: WEBHOOK_NOT_FOUND });
+    }
+    try {
+      const webhook = await deps.getAgentWebhook(getUserId(req), webhookId);
+      if (!webhook) {
+        return res.status(404).json({ error: WEBHOOK_NOT_FOUND });
+      }
+      return res.status(200).json(present(webhook));
+    } catch (error) {
+      logger.error('[agent-webhooks] Error getting webhook', error);
+      return res.status(500).json({ error: 'Error getting webhook' });
+    }
+  }
+
+  async function updateWebhook(req: WebhookRequest, res: Response): Promise<Response> {
+    const { webhookId } = req.params;
+    if (!isValidObjectIdString(webhookId)) {
+      return res.status(404).json({ error: WEBHOOK_NOT_FOUND });
+    }
+
+    try {
+      const userId = getUserId(req);
+      const existing = await deps.getAgentWebhook(userId, webhookId);
+      if (!existing) {
+        return res.status(404).json({ error: WEBHOOK_NOT_FOUND });
+      }
+
+      let definition: WebhookDefinition;
+      try {
+        definition = resolveDefinition(req.body, existing);
+      } catch (error) {
+        if (error instanceof WebhookValidationError) {
+          return res.status(400).json({ error: error.message });
+        }
+        throw error;
+      }
+      if (
+        definition.agent_id !== existing.agent_id &&
+        !(await deps.canUseAgent(req.user as WebhookUser, definition.agent_id))
+      ) {
+        return res.status(403).json({ error: 'Insufficient permissions to use this agent' });
+      }
+
+      const webhook = await deps.updateAgentWebhook(userId, webhookId, {
+        ...definition,
+        orderingKeyPath: definition.orderingKeyPath ?? null,
+      });
+      if (!webhook) {
+        return res.status(404).json({ error: WEBHOOK_NOT_FOUND });
+      }
+      return res.status(200).json(present(webhook));
+    } catch (error) {
+      logger.error('[agent-webhooks] Error updating webhook', error);
+      return res.status(500).json({ error: 'Error updating webhook' });
+    }
+  }
+
+  async function rotateWebhookSecret(req: WebhookRequest, res: Response): Promise<Response> {
+    const { webhookId } = req.params;
+    if (!isValidObjectIdString(webhookId)) {
+      return res.status(404).json({ error: WEBHOOK_NOT_FOUND });
+    }
+    try {
+      const rotated = await deps.rotateAgentWebhookSecret(getUserId(req), webhookId);
+      if (!rotated) {
+        return res.status(404).json({ error: WEBHOOK_NOT_FOUND });
+      }
+      return res.status(200).json({ ...present(rotated.webhook), secret: rotated.secret });
+    } catch (error) {
+      logger.error('[agent-webhooks] Error rotating webhook secret', error);
+      return res.status(500).json({ error: 'Error rotating webhook secret' });
+    }
+  }
+
+  async function deleteWebhook(req: WebhookRequest, res: Response): Promise<Response> {
+    const { webhookId } = req.params;
+    if (!isValidObjectIdString(webhookId)) {
+      return res.status(404).json({ error: WEBHOOK_NOT_FOUND });
+    }
+    try {
+      const deleted = await deps.deleteAgentWebhook(getUserId(req), webhookId);
+      if (!deleted) {
+        return res.status(404).json({ error: WEBHOOK_NOT_FOUND });
+      }
+      return res.status(200).json({ deleted: true });
+    } catch (error) {
+      logger.error('[agent-webhooks] Error deleting webhook', error);
+      return res.status(500).json({ error: 'Error deleting webhook' });
+    }
+  }
+
+  return {
+    listWebhooks,
+    createWebhook,
+    getWebhook,
+    updateWebhook,
+    rotateWebhookSecret,
+    deleteWebhook,
+  };
+}
+
+export interface AgentWebhookIngressDependencies
+  extends Pick<AgentWebhookMethods, 'getAgentWebhookForIngress' | 'recordAgentWebhookDelivery'> {
+  enqueue: (
+    envelope: AgentTriggerEnvelope,
+    options?: AgentTriggerEnqueueOptions,
+  ) => Promise<AgentTriggerDeliveryReceipt>;
+  /** Accepted clock skew for the signed timestamp, in seconds. */
+  toleranceSeconds?: number;
+  now?: () => number;
+}
+
+const headerValue = (req: Request, name: string): string | undefined => {
+  const value = req.headers[name];
+  return Array.isArray(value) ? value[0] : value;
+};
+
+/**
+ * Unauthenticated ingress for `POST /api/webhooks/agents/:publicId`. The raw
+ * body must reach this handler unparsed so the HMAC covers the exact bytes
+ * the sender signed. Unknown, disabled, and unverifiable requests share one
+ * response shape so the endpoint does not confirm which ids exist.
+ */
+export function createAgentWebhookIngressHandler(
+  deps: AgentWebhookIngressDependencies,
+): (req: Request, res: Response) => Promise<Response> {
+  const now = deps.now ?? Date.now;
+
+  async function receive(req: Request, res: Response, rawBody: Buffer): Promise<Response> {
+    const found = await deps.getAgentWebhookForIngress(req.params.publicId);
+    if (!found || !found.webhook.enabled) {
+      return res.status(404).json({ error: WEBHOOK_NOT_FOUND });
+    }
+    const { webhook, secret } = found;
+
+    const timestamp = headerValue(req, AGENT_WEBHOOK_TIMESTAMP_HEADER);
+    const receivedAt = now();
+    const occurredAt = verifyAgentWebhookSignature({
+      secret,
+      rawBody,
+      timestamp,
+      signature: headerValue(req, AGENT_WEBHOOK_SIGNATURE_HEADER),
+      now: receivedAt,
+      toleranceSeconds: deps.toleranceSeconds,
+    });
+
+    const payload = parseAgentWebhookPayload(rawBody);
+    const webhookId = String(webhook._id);
+    const eventId = getAgentWebhookEventId(
+      timestamp as string,
+      rawBody,
+      headerValue(req, AGENT_WEBHOOK_EVENT_ID_HEADER),
+    );
+    const envelope = createAgentTriggerEnvelope({
+      mode: 'fire',
+      requestId: randomUUID(),
+      deliveryId: eventId,
+      receivedAt,
+      principal: {
+        id: String(webhook.user),
+        ...(webhook.tenantId != null && { tenantId: webhook.tenantId }),
+      },
+      event: {
+        id: eventId,
+        type: AGENT_WEBHOOK_EVENT_TYPE,
+        occurredAt,
+        source: { id: webhookId, type: AGENT_WEBHOOK_SOURCE_TYPE },
+        payload,
+      },
+      target: { agentId: webhook.agent_id },
+      input: renderAgentWebhookInput(webhook.inputTemplate, {
+        payload,
+        webhookName: webhook.name,
+        receivedAt,
+      }),
+    });
+
+    const orderingKey = getAgentWebhookOrderingKey(payload, webhook.orderingKeyPath);
+    const receipt = await deps.enqueue(envelope, orderingKey ? { orderingKey } : undefined);
+    await deps
+      .recordAgentWebhookDelivery(webhookId, {
+        receivedAt: new Date(receivedAt),
+        deliveryKey: receipt.deliveryKey,
+      })
+      .catch((error: unknown) => {
+        logger.warn('[agent-webhooks] Failed to record webhook delivery', error);
+      });
+    return res.status(202).json({
+      id: receipt.id,
+      eventId,
+      status: receipt.status,
+      replayed: receipt.replayed,
+    });
+  }
+
+  return async function receiveAgentWebhook(req: Request, res: Response): Promise<Response> {
+    const rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    try {
+      // Ingress carries no user session, so lookups and enqueue run like the scheduler.
+      return await runAsSystem(() => receive(req, res, rawBody));
+    } catch (error) {
+      if (error instanceof AgentWebhookSignatureError) {
+        logger.debug(`[agent-webhooks] Rejected webhook signature: ${error.code}`);
+        return res.status(404).json({ error: WEBHOOK_NOT_FOUND });
+      }
+      if (
+        error instanceof AgentWebhookPayloadError ||
+        error instanceof AgentTriggerEnvelopeError ||
+        error instanceof AgentTriggerDeliveryError
+      ) {
+        return res.status(400).json({ error: error.message });
+      }
+      if (error instanceof AgentTriggerDeliveryConflictError) {
+        return res.status(409).json({ error: 'Webhook event id was reused with a different body' });
+      }
+      if (error instanceof AgentTriggerDeliveryDeferredError) {
+        res.setHeader('Retry-After', String(Math.ceil(error.delayMs / 1000)));
+        return res.status(503).json({ error: 'Webhook delivery is temporarily unavailable' });
+      }
+      logger.error('[agent-webhooks] Error receiving webhook', error);
+      return res.status(500).json({ error: 'Error receiving webhook' });
+    }
+  };
+}
@@ -0,0 +1,3 @@
+export * from './signature';
+export * from './payload';
+export * from './handlers';
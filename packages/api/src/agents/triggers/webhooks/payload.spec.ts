@@ -0,0 +1,124 @@
+import {
+  AgentWebhookPayloadError,
+  MAX_AGENT_WEBHOOK_RENDERED_INPUT_LENGTH,
+  getAgentWebhookOrderingKey,
+  isValidAgentWebhookPayloadPath,
+  parseAgentWebhookPayload,
+  renderAgentWebhookInput,
+} from './payload';
+
+const RECEIVED_AT = Date.parse('2026-08-17T12:00:00.000Z');
+
+describe('parseAgentWebhookPayload', () => {
+  it('treats an empty body as an empty object', () => {
+    expect(parseAgentWebhookPayload(Buffer.alloc(0))).toEqual({});
+  });
+
+  it('rejects non-JSON bodies', () => {
+    expect(() => parseAgentWebhookPayload(Buffer.from('build=42'))).toThrow(
+      AgentWebhookPayloadError,
+    );
+  });
+
+  it('redacts credential-looking keys in any casing', () => {
+    const payload = parseAgentWebhookPayload(
+      Buffer.from(
+        JSON.stringify({
+          issue: { key: 'OPS-1', accessToken: 'a', api_key: 'b', 'client-secret': 'c' },
+          headers: { Authorization: 'Bearer x', cookies: 'y' },
+          tokenizer: 'kept',
+        }),
+      ),
+    );
+    expect(payload).toEqual({
+      issue: {
+        key: 'OPS-1',
+        accessToken: '[REDACTED]',
+        api_key: '[REDACTED]',
+        'client-secret': '[REDACTED]',
+      },
+      headers: { Authorization: '[REDACTED]', cookies: '[REDACTED]' },
+      tokenizer: 'kept',
+    });
+  });
+
+  it('bounds depth, array length and string length, and drops prototype keys', () => {
+    let nested: unknown = 'leaf';
+    for (let i = 0; i < 20; i++) {
+      nested = { next: nested };
+    }
+    const payload = parseAgentWebhookPayload(
+      Buffer.from(
+        `{"__proto__":{"polluted":true},"items":${JSON.stringify(
+          Array.from({ length: 500 }, (_, i) => i),
+        )},"text":"${'x'.repeat(9_000)}","nested":${JSON.stringify(nested)}}`,
+      ),
+    ) as Record<string, unknown>;
+
+    expect(Object.prototype.hasOwnProperty.call(payload, '__proto__')).toBe(false);
+    expect(({} as Record<string, unknown>).polluted).toBeUndefined();
+    expect(payload.items).toHaveLength(200);
+    expect((payload.text as string).length).toBe(8_001);
+    expect(JSON.stringify(payload.nested)).toContain('[Truncated]');
+  });
+});
+
+describe('getAgentWebhookOrderingKey', () => {
+  const payload = { repository: { id: 7, name: ' api ' }, labels: ['a'] };
+
+  it('reads scalar values from a dotted path', () => {
+    expect(getAgentWebhookOrderingKey(payload, 'repository.id')).toBe('7');
+    expect(getAgentWebhookOrderingKey(payload, 'repository.name')).toBe('api');
+    expect(getAgentWebhookOrderingKey(payload, 'labels.0')).toBe('a');
+  });
+
+  it('falls back to the default lane for missing or structured values', () => {
+    expect(getAgentWebhookOrderingKey(payload, undefined)).toBeUndefined();
+    expect(getAgentWebhookOrderingKey(payload, 'repository')).toBeUndefined();
+    expect(getAgentWebhookOrderingKey(payload, 'repository.owner.id')).toBeUndefined();
+  });
+
+  it('validates owner-supplied paths', () => {
+    expect(isValidAgentWebhookPayloadPath('issue.fields.project-key')).toBe(true);
+    expect(isValidAgentWebhookPayloadPath('issue..key')).toBe(false);
+    expect(isValidAgentWebhookPayloadPath('$.issue')).toBe(false);
+    expect(isValidAgentWebhookPayloadPath(42)).toBe(false);
+  });
+});
+
+describe('renderAgentWebhookInput', () => {
+  const context = {
+    payload: { build: { id: 42, status: 'failed' } },
+    webhookName: 'CI',
+    receivedAt: RECEIVED_AT,
+  };
+
+  it('renders payload paths and webhook variables', () => {
+    expect(
+      renderAgentWebhookInput(
+        '{{webhook_name}} build {{ payload.build.id }} {{payload.build.status}} at {{received_at}}',
+        context,
+      ),
+    ).toBe('CI build 42 failed at 2026-08-17T12:00:00.000Z');
+    expect(renderAgentWebhookInput('Event: {{payload}}', context)).toBe(
+      'Event: {"build":{"id":42,"status":"failed"}}',
+    );
+  });
+
+  it('leaves unknown variables and renders missing paths as empty', () => {
+    expect(renderAgentWebhookInput('{{ticket}} [{{payload.missing}}]', context)).toBe(
+      '{{ticket}} []',
+    );
+  });
+
+  it('bounds the rendered input and rejects an empty result', () => {
+    const rendered = renderAgentWebhookInput('{{payload.text}}', {
+      ...context,
+      payload: { text: 'x'.repeat(MAX_AGENT_WEBHOOK_RENDERED_INPUT_LENGTH * 2) },
+    });
+    expect(rendered.length).toBe(MAX_AGENT_WEBHOOK_RENDERED_INPUT_LENGTH + 1);
+    expect(() => renderAgentWebhookInput('{{payload.missing}}', context)).toThrow(
+      AgentWebhookPayloadError,
+    );
+  });
+});
@@ -0,0 +1,167 @@
+import type { JsonValue } from '../../json';
+
+/** Raw request bodies above this size are rejected before signature verification. */
+export const MAX_AGENT_WEBHOOK_BODY_BYTES: number = 256 * 1024;
+/** Upper bound of the rendered agent input, independent of the template length. */
+export const MAX_AGENT_WEBHOOK_RENDERED_INPUT_LENGTH = 32_000;
+
+const MAX_DEPTH = 12;
+const MAX_ARRAY_ITEMS = 200;
+const MAX_STRING_LENGTH = 8_000;
+const MAX_ORDERING_KEY_LENGTH = 200;
+const REDACTED = '[REDACTED]';
+
+/** Keys whose values are credentials in common CI and ticketing payloads. */
+const SENSITIVE_KEY_PATTERN =
+  /(^|[_-])(secret|password|passwd|token|api[_-]?key|authorization|cookie|signature|private[_-]?key|client[_-]?secret|access[_-]?key)s?($|[_-])/i;
+
+export class AgentWebhookPayloadError extends TypeError {
+  constructor(message: string) {
+    super(message);
+    this.name = 'AgentWebhookPayloadError';
+  }
+}
+
+/** Splits camelCase so `accessToken` and `apiKey` match the same way as `access_token`. */
+const isSensitiveKey = (key: string): boolean =>
+  SENSITIVE_KEY_PATTERN.test(key.replace(/([a-z0-9])([A-Z])/g, '$1_$2'));
+
+const isRecord = (value: unknown): value is Record<string, unknown> =>
+  value != null && typeof value === 'object' && !Array.isArray(value);
+
+function truncate(value: string, maxLength: number): string {
+  return value.length > maxLength ? `${value.slice(0, maxLength)}…` : value;
+}
+
+function sanitizeValue(value: unknown, depth: number): JsonValue {
+  if (value === null || typeof value === 'boolean') {
+    return value;
+  }
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : null;
+  }
+  if (typeof value === 'string') {
+    return truncate(value, MAX_STRING_LENGTH);
+  }
+  if (depth >= MAX_DEPTH) {
+    return '[Truncated]';
+  }
+  if (Array.isArray(value)) {
+    return value.slice(0, MAX_ARRAY_ITEMS).map((item) => sanitizeValue(item, depth + 1));
+  }
+  if (isRecord(value)) {
+    const result: Record<string, JsonValue> = {};
+    for (const [key, entry] of Object.entries(value)) {
+      if (key === '__proto__' || key === 'constructor' || key === 'prototype') {
+        continue;
+      }
+      result[key] = isSensitiveKey(key) ? REDACTED : sanitizeValue(entry, depth + 1);
+    }
+    return result;
+  }
+  return null;
+}
+
+/**
+ * Parses a verified JSON body and strips credential-looking fields, deep
+ * nesting, and oversized strings before the payload enters a durable envelope.
+ */
+export function parseAgentWebhookPayload(rawBody: Buffer): JsonValue {
+  if (rawBody.length === 0) {
+    return {};
+  }
+  let parsed: unknown;
+  try {
+    parsed = JSON.parse(rawBody.toString('utf8'));
+  } catch {
+    throw new AgentWebhookPayloadError('Webhook body must be valid JSON');
+  }
+  return sanitizeValue(parsed, 0);
+}
+
+/** Reads a dotted path (`repository.id`, `items.0.key`) from a sanitized payload. */
+export function getAgentWebhookPayloadValue(
+  payload: JsonValue,
+  path: string,
+): JsonValue | undefined {
+  let current: JsonValue | undefined = payload;
+  for (const segment of path.split('.')) {
+    if (current == null || typeof current !== 'object') {
+      return undefined;
+    }
+    if (Array.isArray(current)) {
+      current = current[Number(segment)];
+    } else {
+      current = Object.prototype.hasOwnProperty.call(current, segment)
+        ? current[segment]
+        : undefined;
+    }
+  }
+  return current;
+}
+
+/** Validates a dotted payload path as typed by a webhook owner. */
+export function isValidAgentWebhookPayloadPath(path: unknown): path is string {
+  return typeof path === 'string' && /^[\w-]+(\.[\w-]+){0,15}$/.test(path) && path.length <= 256;
+}
+
+/** Resolves the configured ordering key; non-scalar or missing values fall back to the default lane. */
+export function getAgentWebhookOrderingKey(
+  payload: JsonValue,
+  path: string | undefined,
+): string | undefined {
+  if (!path) {
+    return undefined;
+  }
+  const value = getAgentWebhookPayloadValue(payload, path);
+  if (typeof value !== 'string' && typeof value !== 'number' && typeof value !== 'boolean') {
+    return undefined;
+  }
+  const key = String(value).trim();
+  return key ? truncate(key, MAX_ORDERING_KEY_LENGTH) : undefined;
+}
+
+function stringifyTemplateValue(value: JsonValue | undefined): string {
+  if (value === undefined) {
+    return '';
+  }
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+/**
+ * Renders `{{payload}}`, `{{payload.some.path}}`, `{{webhook_name}}`, and
+ * `{{received_at}}`. Unknown variables are left for the run to resolve and the
+ * result is bounded regardless of payload size.
+ */
+export function renderAgentWebhookInput(
+  template: string,
+  context: { payload: JsonValue; webhookName: string; receivedAt: number },
+): string {
+  const rendered = template.replace(
+    /\{\{\s*([a-z_]+)((?:\.[\w-]+)*)\s*\}\}/gi,
+    (match, name: string, path: string) => {
+      const variable = name.toLowerCase();
+      if (variable === 'payload') {
+        const value = path
+          ? getAgentWebhookPayloadValue(context.payload, path.slice(1))
+          : context.payload;
+        return stringifyTemplateValue(value);
+      }
+      if (path) {
+        return match;
+      }
+      if (variable === 'webhook_name') {
+        return context.webhookName;
+      }
+      if (variable === 'received_at') {
+        return new Date(context.receivedAt).toISOString();
+      }
+      return match;
+    },
+  );
+  const bounded = truncate(rendered, MAX_AGENT_WEBHOOK_RENDERED_INPUT_LENGTH).trim();
+  if (!bounded) {
+    throw new AgentWebhookPayloadError('Rendered webhook input is empty');
+  }
+  return bounded;
+}
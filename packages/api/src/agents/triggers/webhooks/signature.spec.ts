@@ -0,0 +1,79 @@
+import {
+  AgentWebhookSignatureError,
+  getAgentWebhookEventId,
+  signAgentWebhookPayload,
+  verifyAgentWebhookSignature,
+} from './signature';
+
+const SECRET = 'whsec_test';
+const NOW = Date.parse('2026-08-17T12:00:00.000Z');
+const TIMESTAMP = String(NOW / 1000);
+const BODY = Buffer.from('{"build":{"id":42}}');
+
+const verify = (overrides: Partial<Parameters<typeof verifyAgentWebhookSignature>[0]> = {}) =>
+  verifyAgentWebhookSignature({
+    secret: SECRET,
+    rawBody: BODY,
+    timestamp: TIMESTAMP,
+    signature: `v1=${signAgentWebhookPayload(SECRET, TIMESTAMP, BODY)}`,
+    now: NOW,
+    ...overrides,
+  });
+
+const failureCode = (fn: () => unknown): string | undefined => {
+  try {
+    fn();
+  } catch (error) {
+    return error instanceof AgentWebhookSignatureError ? error.code : 'UNEXPECTED';
+  }
+  return undefined;
+};
+
+describe('verifyAgentWebhookSignature', () => {
+  it('returns the signed timestamp in milliseconds', () => {
+    expect(verify()).toBe(NOW);
+  });
+
+  it('accepts any matching v1 value so secrets can be rolled', () => {
+    const current = signAgentWebhookPayload(SECRET, TIMESTAMP, BODY);
+    expect(verify({ signature: `v1=${'0'.repeat(64)}, v1=${current}` })).toBe(NOW);
+  });
+
+  it.each([
+    ['MISSING_SIGNATURE', { signature: undefined }],
+    ['MISSING_SIGNATURE', { timestamp: undefined }],
+    ['INVALID_TIMESTAMP', { timestamp: '2026-08-17T12:00:00Z' }],
+    ['STALE_TIMESTAMP', { now: NOW + 301_000 }],
+    ['STALE_TIMESTAMP', { now: NOW - 301_000 }],
+    ['SIGNATURE_MISMATCH', { rawBody: Buffer.from('{"build":{"id":43}}') }],
+    ['SIGNATURE_MISMATCH', { secret: 'whsec_other' }],
+    ['SIGNATURE_MISMATCH', { signature: 'v1=abc' }],
+    ['SIGNATURE_MISMATCH', { signature: `v0=${'0'.repeat(64)}` }],
+  ] as const)('rejects with %s', (code, overrides) => {
+    expect(failureCode(() => verify(overrides))).toBe(code);
+  });
+
+  it('honors a custom tolerance', () => {
+    expect(failureCode(() => verify({ now: NOW + 61_000, toleranceSeconds: 60 }))).toBe(
+      'STALE_TIMESTAMP',
+    );
+  });
+});
+
+describe('getAgentWebhookEventId', () => {
+  it('derives a stable id from the signed content', () => {
+    const id = getAgentWebhookEventId(TIMESTAMP, BODY);
+    expect(id).toMatch(/^webhook_[a-f0-9]{64}$/);
+    expect(getAgentWebhookEventId(TIMESTAMP, BODY)).toBe(id);
+    expect(getAgentWebhookEventId(String(NOW / 1000 + 1), BODY)).not.toBe(id);
+  });
+
+  it('prefers a well-formed sender event id', () => {
+    expect(getAgentWebhookEventId(TIMESTAMP, BODY, 'evt_123:retry-1')).toBe(
+      'webhook_evt_123:retry-1',
+    );
+    expect(getAgentWebhookEventId(TIMESTAMP, BODY, 'bad id/with spaces')).toMatch(
+      /^webhook_[a-f0-9]{64}$/,
+    );
+  });
+});
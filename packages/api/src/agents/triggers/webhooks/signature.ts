@@ -0,0 +1,106 @@
+import { createHash, createHmac, timingSafeEqual } from 'node:crypto';
+
+export const AGENT_WEBHOOK_TIMESTAMP_HEADER = 'x-librechat-webhook-timestamp';
+export const AGENT_WEBHOOK_SIGNATURE_HEADER = 'x-librechat-webhook-signature';
+/** Optional sender-assigned event id; retries that reuse it collapse into one delivery. */
+export const AGENT_WEBHOOK_EVENT_ID_HEADER = 'x-librechat-webhook-id';
+
+const SIGNATURE_VERSION = 'v1';
+const DEFAULT_TOLERANCE_SECONDS = 5 * 60;
+
+export type AgentWebhookSignatureFailure =
+  | 'MISSING_SIGNATURE'
+  | 'INVALID_TIMESTAMP'
+  | 'STALE_TIMESTAMP'
+  | 'SIGNATURE_MISMATCH';
+
+export class AgentWebhookSignatureError extends Error {
+  readonly code: AgentWebhookSignatureFailure;
+
+  constructor(code: AgentWebhookSignatureFailure, message: string) {
+    super(message);
+    this.name = 'AgentWebhookSignatureError';
+    this.code = code;
+  }
+}
+
+export interface VerifyAgentWebhookSignatureInput {
+  secret: string;
+  rawBody: Buffer;
+  timestamp: string | undefined;
+  signature: string | undefined;
+  /** Milliseconds since epoch; defaults to `Date.now()`. */
+  now?: number;
+  /** Accepted clock skew in either direction. */
+  toleranceSeconds?: number;
+}
+
+const signedContent = (timestamp: string, rawBody: Buffer): Buffer =>
+  Buffer.concat([Buffer.from(`${timestamp}.`, 'utf8'), rawBody]);
+
+/** Computes the hex HMAC-SHA256 a sender puts after `v1=` in the signature header. */
+export function signAgentWebhookPayload(
+  secret: string,
+  timestamp: string | number,
+  rawBody: Buffer | string,
+): string {
+  const body = typeof rawBody === 'string' ? Buffer.from(rawBody, 'utf8') : rawBody;
+  return createHmac('sha256', secret)
+    .update(signedContent(String(timestamp), body))
+    .digest('hex');
+}
+
+/**
+ * Verifies `X-LibreChat-Webhook-Signature` over `<timestamp>.<raw body>`.
+ * The header may carry several comma-separated `v1=` values so senders can
+ * roll secrets without a gap. Returns the verified timestamp in milliseconds.
+ */
+export function verifyAgentWebhookSignature(input: VerifyAgentWebhookSignatureInput): number {
+  const { secret, rawBody, timestamp, signature } = input;
+  if (!timestamp || !signature) {
+    throw new AgentWebhookSignatureError('MISSING_SIGNATURE', 'Missing webhook signature headers');
+  }
+  if (!/^\d{1,12}$/.test(timestamp)) {
+    throw new AgentWebhookSignatureError('INVALID_TIMESTAMP', 'Invalid webhook timestamp');
+  }
+
+  const timestampMs = Number(timestamp) * 1000;
+  const toleranceMs = (input.toleranceSeconds ?? DEFAULT_TOLERANCE_SECONDS) * 1000;
+  if (Math.abs((input.now ?? Date.now()) - timestampMs) > toleranceMs) {
+    throw new AgentWebhookSignatureError(
+      'STALE_TIMESTAMP',
+      'Webhook timestamp is outside the replay window',
+    );
+  }
+
+  const expected = Buffer.from(signAgentWebhookPayload(secret, timestamp, rawBody), 'hex');
+  const candidates = signature
+    .split(',')
+    .map((part) => part.trim())
+    .filter((part) => part.startsWith(`${SIGNATURE_VERSION}=`))
+    .map((part) => Buffer.from(part.slice(SIGNATURE_VERSION.length + 1), 'hex'));
+  const matched = candidates.some(
+    (candidate) => candidate.length === expected.length && timingSafeEqual(candidate, expected),
+  );
+  if (!matched) {
+    throw new AgentWebhookSignatureError('SIGNATURE_MISMATCH', 'Invalid webhook signature');
+  }
+  return timestampMs;
+}
+
+/**
+ * Stable event identity for a verified request. Without a sender id, the
+ * signed timestamp and body identify the event, so a replay inside the
+ * window re-derives the same delivery instead of running the agent twice.
+ */
+export function getAgentWebhookEventId(
+  timestamp: string,
+  rawBody: Buffer,
+  senderEventId?: string,
+): string {
+  if (senderEventId && /^[\w.:-]{1,200}$/.test(senderEventId)) {
+    return `webhook_${senderEventId}`;
+  }
+  const digest = createHash('sha256').update(signedContent(timestamp, rawBody)).digest('hex');
+  return `webhook_${digest}`;
+}
@@ -311,3 +311,44 @@ describe('agentUpdateSchema with subagents', () => {
     });
   });
 });
+
+describe('response_format', () => {
+  const responseFormat = {
+    name: 'ticket',
+    schema: {
+      type: 'object',
+      properties: { title: { type: 'string' } },
+      required: ['title'],
+    },
+    strict: true,
+  };
+
+  it('accepts an object-rooted schema on create', () => {
+    const result = agentCreateSchema.safeParse({
+      provider: 'openAI',
+      model: 'gpt-4o-mini',
+      response_format: responseFormat,
+    });
+    expect(result.success).toBe(true);
+  });
+
+  it('accepts null on update to clear the format', () => {
+    const result = agentUpdateSchema.parse({ response_format: null });
+    expect(result.response_format).toBeNull();
+  });
+
+  it('rejects names providers would refuse', () => {
+    const result = agentUpdateSchema.safeParse({
+      response_format: { ...responseFormat, name: 'ticket schema' },
+    });
+    expect(result.success).toBe(false);
+  });
+
+  it('rejects schemas without an object root', () => {
+    const result = agentUpdateSchema.safeParse({
+      response_format: { ...responseFormat, schema: { type: 'string' } },
+    });
+    expect(result.success).toBe(false);
+    expect(!result.success && result.error.issues[0].path).toEqual(['response_format', 'schema']);
+  });
+});
@@ -7,8 +7,14 @@ import {
   MAX_SUBAGENT_GRAPH_NODES,
   MAX_GRAPH_SUBAGENT_MEMBERS,
 } from 'librechat-data-provider';
-import type { Agent, TModelsConfig, AgentSubagentsConfig } from 'librechat-data-provider';
+import type {
+  Agent,
+  TModelsConfig,
+  AgentResponseFormat,
+  AgentSubagentsConfig,
+} from 'librechat-data-provider';
 import type { Request, Response } from 'express';
+import { RESPONSE_FORMAT_NAME_PATTERN, getResponseFormatSchemaError } from './responseFormat';
 
 /**
  * Permissive Request alias used by {@link validateAgentModel}. Accepts either
@@ -381,6 +387,34 @@ export const agentSubagentsSchema: z.ZodOptional<z.ZodType<AgentSubagentsConfig>
   })
   .optional();
 
+/** Structured output format; `null` clears a previously saved one. */
+export const agentResponseFormatSchema: z.ZodOptional<
+  z.ZodNullable<z.ZodType<AgentResponseFormat>>
+> = z
+  .object({
+    name: z
+      .string()
+      .regex(
+        RESPONSE_FORMAT_NAME_PATTERN,
+        'Name must be 1-64 letters, digits, underscores, or dashes',
+      ),
+    description: z.string().max(1024).optional(),
+    schema: z.record(z.unknown()),
+    strict: z.boolean().optional(),
+  })
+  .superRefine((format, ctx) => {
+    const error = getResponseFormatSchemaError(format.schema);
+    if (error) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ['schema'],
+        message: error,
+      });
+    }
+  })
+  .nullable()
+  .optional();
+
 /** Base agent schema with all common fields */
 export const agentBaseSchema: z.ZodObject<
   {
@@ -502,6 +536,7 @@ export const agentBaseSchema: z.ZodObject<
       >
     >;
     subagents: typeof agentSubagentsSchema;
+    response_format: typeof agentResponseFormatSchema;
     support_contact: z.ZodOptional<
       z.ZodObject<
         {
@@ -546,6 +581,7 @@ export const agentBaseSchema: z.ZodObject<
   tool_resources: agentToolResourcesSchema,
   tool_options: agentToolOptionsSchema,
   subagents: agentSubagentsSchema,
+  response_format: agentResponseFormatSchema,
   support_contact: agentSupportContactSchema,
   category: z.string().optional(),
 });
@@ -669,6 +705,7 @@ export const agentCreateSchema: z.ZodObject<
       >
     >;
     subagents: typeof agentSubagentsSchema;
+    response_format: typeof agentResponseFormatSchema;
     support_contact: z.ZodOptional<
       z.ZodObject<
         {
@@ -800,6 +837,7 @@ export const agentUpdateSchema: z.ZodObject<
       >
     >;
     subagents: typeof agentSubagentsSchema;
+    response_format: typeof agentResponseFormatSchema;
     support_contact: z.ZodOptional<
       z.ZodObject<
         {
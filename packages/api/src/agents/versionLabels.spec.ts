@@ -0,0 +1,113 @@
+import { Types } from 'mongoose';
+import type { IAgent } from '@librechat/data-schemas';
+import { parseAgentModel, resolveAgentVersion, getAgentVersionLabelError } from './versionLabels';
+
+const _id = new Types.ObjectId();
+const author = new Types.ObjectId();
+
+const agent = {
+  _id,
+  id: 'agent_abc',
+  author,
+  name: 'Support',
+  provider: 'openAI',
+  model: 'gpt-4.1',
+  instructions: 'Current instructions',
+  response_format: { name: 'ticket', schema: { type: 'object' } },
+  version_labels: { stable: 1, canary: 2 },
+  versions: [
+    {
+      name: 'Support',
+      provider: 'openAI',
+      model: 'gpt-4o',
+      instructions: 'First instructions',
+      edges: [{ from: '', to: 'agent_helper', edgeType: 'handoff' }],
+      updatedBy: new Types.ObjectId(),
+      createdAt: new Date('2026-01-01'),
+      updatedAt: new Date('2026-01-01'),
+    },
+    {
+      name: 'Support',
+      provider: 'openAI',
+      model: 'gpt-4.1',
+      instructions: 'Current instructions',
+      response_format: { name: 'ticket', schema: { type: 'object' } },
+      updatedAt: new Date('2026-02-01'),
+    },
+  ],
+} as unknown as IAgent;
+
+describe('parseAgentModel', () => {
+  it('splits a label or version number from the agent id', () => {
+    expect(parseAgentModel('agent_abc@stable')).toEqual({
+      agentId: 'agent_abc',
+      selector: 'stable',
+    });
+    expect(parseAgentModel('agent_abc@3')).toEqual({ agentId: 'agent_abc', selector: '3' });
+  });
+
+  it('treats a bare or malformed model as an agent id', () => {
+    expect(parseAgentModel('agent_abc')).toEqual({ agentId: 'agent_abc' });
+    expect(parseAgentModel('agent_abc@')).toEqual({ agentId: 'agent_abc@' });
+    expect(parseAgentModel('@stable')).toEqual({ agentId: '@stable' });
+  });
+});
+
+describe('getAgentVersionLabelError', () => {
+  it('accepts lowercase labels', () => {
+    expect(getAgentVersionLabelError('stable')).toBeUndefined();
+    expect(getAgentVersionLabelError('release-2_b')).toBeUndefined();
+  });
+
+  it('rejects numeric, reserved and path-like labels', () => {
+    expect(getAgentVersionLabelError('2')).toMatch(/starting with a letter/);
+    expect(getAgentVersionLabelError('latest')).toMatch(/reserved/);
+    expect(getAgentVersionLabelError('a.b')).toBeDefined();
+    expect(getAgentVersionLabelError('$set')).toBeDefined();
+    expect(getAgentVersionLabelError(undefined)).toBeDefined();
+  });
+});
+
+describe('resolveAgentVersion', () => {
+  it('returns the current saved state without a selector or with latest', () => {
+    expect(resolveAgentVersion(agent)).toEqual({ agent, version: null });
+    expect(resolveAgentVersion(agent, 'latest')).toEqual({ agent, version: null });
+  });
+
+  it('resolves a label to its snapshot with the live identity', () => {
+    const result = resolveAgentVersion(agent, 'stable');
+    if ('error' in result) {
+      throw new Error(result.error);
+    }
+
+    expect(result.version).toBe(1);
+    expect(result.agent).toMatchObject({
+      _id,
+      id: 'agent_abc',
+      author,
+      model: 'gpt-4o',
+      instructions: 'First instructions',
+      version_labels: { stable: 1, canary: 2 },
+    });
+    expect(result.agent).not.toHaveProperty('versions');
+    expect(result.agent).not.toHaveProperty('updatedBy');
+    expect(result.agent.response_format).toBeUndefined();
+    expect(result.agent.edges).toEqual([
+      { from: 'agent_abc', to: 'agent_helper', edgeType: 'handoff' },
+    ]);
+  });
+
+  it('resolves an explicit version number', () => {
+    const result = resolveAgentVersion(agent, '2');
+    expect('error' in result ? result.error : result.agent.model).toBe('gpt-4.1');
+  });
+
+  it('reports unknown labels and versions', () => {
+    expect(resolveAgentVersion(agent, 'beta')).toEqual({
+      error: 'Agent agent_abc has no version labeled "beta"',
+    });
+    expect(resolveAgentVersion(agent, '3')).toEqual({
+      error: 'Agent agent_abc has no version 3',
+    });
+  });
+});
@@ -0,0 +1,107 @@
+import type { GraphEdge } from 'librechat-data-provider';
+import type { IAgent } from '@librechat/data-schemas';
+import { replaceEdgeSourceId } from './edges';
+
+/** Version labels: lowercase, starting with a letter so they never read as a version number. */
+export const AGENT_VERSION_LABEL_PATTERN: RegExp = /^[a-z][a-z0-9_-]{0,31}$/;
+
+/** Selector for the agent's current saved state; reserved as a label. */
+export const LATEST_AGENT_VERSION = 'latest';
+
+/** Upper bound on published labels per agent. */
+export const MAX_AGENT_VERSION_LABELS: number = 20;
+
+const VERSION_NUMBER_REGEX = /^[1-9]\d*$/;
+
+/** Snapshot fields that describe the snapshot itself rather than the agent. */
+const SNAPSHOT_METADATA_FIELDS = [
+  '_id',
+  'id',
+  'author',
+  'versions',
+  'version_labels',
+  'updatedBy',
+  'actionsHash',
+] as const;
+
+export type AgentVersionResolution =
+  | {
+      agent: IAgent;
+      /** 1-based version number, or null when the current saved state was selected. */
+      version: number | null;
+    }
+  | { error: string };
+
+/** Returns why a string cannot be used as a version label, or undefined when it can. */
+export function getAgentVersionLabelError(label: unknown): string | undefined {
+  if (typeof label !== 'string' || !AGENT_VERSION_LABEL_PATTERN.test(label)) {
+    return 'Version labels must be 1-32 lowercase letters, digits, "_" or "-", starting with a letter';
+  }
+  if (label === LATEST_AGENT_VERSION) {
+    return `"${LATEST_AGENT_VERSION}" is reserved for the current saved state`;
+  }
+  return undefined;
+}
+
+/**
+ * Splits a remote API `model` value into the agent id and an optional version
+ * selector: `agent_abc@stable` selects a label, `agent_abc@3` a version number.
+ * Agent ids never contain `@`, so the last one separates the selector.
+ */
+export function parseAgentModel(model: string): { agentId: string; selector?: string } {
+  const separator = model.lastIndexOf('@');
+  if (separator <= 0 || separator === model.length - 1) {
+    return { agentId: model };
+  }
+  return { agentId: model.slice(0, separator), selector: model.slice(separator + 1) };
+}
+
+/**
+ * Resolves the agent configuration a remote API call runs: the current saved
+ * state when no selector (or `latest`) is given, otherwise the `versions`
+ * snapshot named by a version number or a published label. The snapshot keeps
+ * the live document's identity (`_id`, `id`, `author`) so permissions, usage
+ * and conversations still attach to the agent itself.
+ */
+export function resolveAgentVersion(
+  agent: IAgent,
+  selector?: string | null,
+): AgentVersionResolution {
+  if (!selector || selector === LATEST_AGENT_VERSION) {
+    return { agent, version: null };
+  }
+
+  let version: number | undefined;
+  if (VERSION_NUMBER_REGEX.test(selector)) {
+    version = Number(selector);
+  } else {
+    version = agent.version_labels?.[selector];
+    if (version == null) {
+      return { error: `Agent ${agent.id} has no version labeled "${selector}"` };
+    }
+  }
+
+  const snapshot = agent.versions?.[version - 1] as Record<string, unknown> | undefined;
+  if (!snapshot) {
+    return { error: `Agent ${agent.id} has no version ${version}` };
+  }
+
+  const config = { ...snapshot };
+  for (const field of SNAPSHOT_METADATA_FIELDS) {
+    delete config[field];
+  }
+  /** Early snapshots can store the agent's own edges under the pre-creation empty source id. */
+  config.edges = replaceEdgeSourceId(config.edges as GraphEdge[] | undefined, '', agent.id);
+
+  return {
+    agent: {
+      ...config,
+      _id: agent._id,
+      id: agent.id,
+      author: agent.author,
+      tenantId: agent.tenantId,
+      version_labels: agent.version_labels,
+    } as unknown as IAgent,
+    version,
+  };
+}
@@ -1,17 +1,20 @@
 import { logger } from '@librechat/data-schemas';
 import type { Request, Response } from 'express';
 import type { Types } from 'mongoose';
+import { getAgentVersionLabelError } from '~/agents/versionLabels';
 
 export interface ApiKeyHandlerDependencies {
   createAgentApiKey: (params: {
     userId: string | Types.ObjectId;
     name: string;
+    versionLabel?: string | null;
     expiresAt?: Date | null;
   }) => Promise<{
     id: string;
     name: string;
     key: string;
     keyPrefix: string;
+    versionLabel?: string;
     createdAt: Date;
     expiresAt?: Date;
   }>;
@@ -20,6 +23,7 @@ export interface ApiKeyHandlerDependencies {
       id: string;
       name: string;
       keyPrefix: string;
+      versionLabel?: string;
       lastUsedAt?: Date;
       expiresAt?: Date;
       createdAt: Date;
@@ -36,6 +40,7 @@ export interface ApiKeyHandlerDependencies {
     id: string;
     name: string;
     keyPrefix: string;
+    versionLabel?: string;
     lastUsedAt?: Date;
     expiresAt?: Date;
     createdAt: Date;
@@ -60,7 +65,7 @@ export function createApiKeyHandlers(deps: ApiKeyHandlerDependencies): {
     res: Response,
   ): Promise<Response | undefined> {
     try {
-      const { name, expiresAt } = req.body;
+      const { name, expiresAt, versionLabel } = req.body;
 
       if (!name || typeof name !== 'string' || name.trim() === '') {
         return res.status(400).json({
@@ -68,9 +73,18 @@ export function createApiKeyHandlers(deps: ApiKeyHandlerDependencies): {
         });
       }
 
+      const versionLabelError =
+        versionLabel != null && versionLabel !== ''
+          ? getAgentVersionLabelError(versionLabel)
+          : undefined;
+      if (versionLabelError) {
+        return res.status(400).json({ error: versionLabelError });
+      }
+
       const result = await deps.createAgentApiKey({
         userId: req.user?.id || '',
         name: name.trim(),
+        versionLabel: versionLabel || null,
         expiresAt: expiresAt ? new Date(expiresAt) : null,
       });
 
@@ -79,6 +93,7 @@ export function createApiKeyHandlers(deps: ApiKeyHandlerDependencies): {
         name: result.name,
         key: result.key,
         keyPrefix: result.keyPrefix,
+        versionLabel: result.versionLabel,
         createdAt: result.createdAt,
         expiresAt: result.expiresAt,
       });
@@ -3,12 +3,14 @@ import { ResourceType, PermissionBits, hasPermissions } from 'librechat-data-pro
 import type { Request, Response, NextFunction } from 'express';
 import type { IUser } from '@librechat/data-schemas';
 import type { Types } from 'mongoose';
+import { parseAgentModel } from '~/agents/versionLabels';
 import { getRemoteAgentPermissions } from './service';
 
 export interface ApiKeyAuthDependencies {
   validateAgentApiKey: (apiKey: string) => Promise<{
     userId: Types.ObjectId;
     keyId: Types.ObjectId;
+    versionLabel?: string;
   } | null>;
   findUser: (query: { _id: string | Types.ObjectId }) => Promise<IUser | null>;
 }
@@ -28,6 +30,8 @@ export interface RemoteAgentAccessDependencies {
 export interface ApiKeyAuthRequest extends Request {
   user?: IUser & { id: string };
   apiKeyId?: Types.ObjectId;
+  /** Agent version label the API key runs when `model` names no version. */
+  apiKeyVersionLabel?: string;
 }
 
 export interface RemoteAgentAccessRequest extends ApiKeyAuthRequest {
@@ -93,6 +97,7 @@ export function createRequireApiKeyAuth(deps: ApiKeyAuthDependencies) {
       user.id = (user._id as Types.ObjectId).toString();
       req.user = user as IUser & { id: string };
       req.apiKeyId = keyValidation.keyId;
+      req.apiKeyVersionLabel = keyValidation.versionLabel;
 
       next();
     } catch (error) {
@@ -114,7 +119,9 @@ export function createCheckRemoteAgentAccess(deps: RemoteAgentAccessDependencies
     res: Response,
     next: NextFunction,
   ): Promise<Response | undefined> => {
-    const agentId = req.body?.model || req.params?.model;
+    const model = req.body?.model || req.params?.model;
+    /** `model` may pin a version (`agent_id@label`); access is granted per agent. */
+    const agentId = typeof model === 'string' ? parseAgentModel(model).agentId : model;
 
     if (!agentId) {
       return res.status(400).json({
@@ -33,6 +33,7 @@ export class AgentApiKeyService {
   async validateApiKey(apiKey: string): Promise<{
     userId: Types.ObjectId;
     keyId: Types.ObjectId;
+    versionLabel?: string;
   } | null> {
     return this.deps.validateAgentApiKey(apiKey);
   }
@@ -40,6 +41,7 @@ export class AgentApiKeyService {
   async createApiKey(params: {
     userId: string | Types.ObjectId;
     name: string;
+    versionLabel?: string | null;
     expiresAt?: Date | null;
   }): Promise<AgentApiKeyCreateResult> {
     return this.deps.createAgentApiKey(params);
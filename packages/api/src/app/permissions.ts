@@ -49,6 +49,8 @@ function hasExplicitConfig(
       return interfaceConfig?.skills !== undefined;
     case PermissionTypes.SHARED_LINKS:
       return interfaceConfig?.sharedLinks !== undefined;
+    case PermissionTypes.ARTIFACTS:
+      return interfaceConfig?.artifacts !== undefined;
     default:
       return false;
   }
@@ -205,6 +207,12 @@ export async function updateInterfacePermissions({
       typeof defaults.sharedLinks === 'object' ? defaults.sharedLinks?.share : undefined;
     const sharedLinksDefaultPublic =
       typeof defaults.sharedLinks === 'object' ? defaults.sharedLinks?.public : undefined;
+    const artifactsDefaultUse =
+      typeof defaults.artifacts === 'boolean' ? defaults.artifacts : defaults.artifacts?.use;
+    const artifactsDefaultShare =
+      typeof defaults.artifacts === 'object' ? defaults.artifacts?.share : undefined;
+    const artifactsDefaultPublic =
+      typeof defaults.artifacts === 'object' ? defaults.artifacts?.public : undefined;
 
     const allPermissions: Partial<Record<PermissionTypes, Record<string, boolean | undefined>>> = {
       [PermissionTypes.PROMPTS]: {
@@ -528,6 +536,29 @@ export async function updateInterfacePermissions({
             }
           : {}),
       },
+      [PermissionTypes.ARTIFACTS]: {
+        [Permissions.USE]: getPermissionValue(
+          getConfigUse(loadedInterface.artifacts),
+          defaultPerms[PermissionTypes.ARTIFACTS]?.[Permissions.USE],
+          artifactsDefaultUse,
+        ),
+        ...((typeof interfaceConfig?.artifacts === 'object' &&
+          ('share' in interfaceConfig.artifacts || 'public' in interfaceConfig.artifacts)) ||
+        !existingPermissions?.[PermissionTypes.ARTIFACTS]
+          ? {
+              [Permissions.SHARE]: getPermissionValue(
+                getConfigShare(loadedInterface.artifacts),
+                defaultPerms[PermissionTypes.ARTIFACTS]?.[Permissions.SHARE],
+                artifactsDefaultShare,
+              ),
+              [Permissions.SHARE_PUBLIC]: getPermissionValue(
+                getConfigPublic(loadedInterface.artifacts),
+                defaultPerms[PermissionTypes.ARTIFACTS]?.[Permissions.SHARE_PUBLIC],
+                artifactsDefaultPublic,
+              ),
+            }
+          : {}),
+      },
     };
 
     // Check and add each permission type if needed
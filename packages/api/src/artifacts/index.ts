@@ -1 +1,2 @@
 export * from './update';
+export * from './library';
@@ -0,0 +1,387 @@
+import { Types } from 'mongoose';
+import { AccessRoleIds, PermissionBits, ResourceType } from 'librechat-data-provider';
+import type { Response } from 'express';
+import type { ArtifactLibraryDeps, ArtifactReference } from './library';
+import type { ServerRequest } from '~/types';
+import {
+  createArtifactLibrary,
+  createArtifactsHandlers,
+  formatArtifactReferences,
+  MAX_ARTIFACT_CONTENT_LENGTH,
+} from './library';
+
+jest.mock('@librechat/data-schemas', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+const user = { id: 'user-1', role: 'USER', name: 'User' };
+const artifactId = new Types.ObjectId();
+
+const artifactMessage = (content: string, identifier = 'landing-page') => ({
+  text: [
+    'Here it is:',
+    `:::artifact{identifier="${identifier}" type="text/html" title="Landing page"}`,
+    '```html',
+    content,
+    '```',
+    ':::',
+  ].join('\n'),
+});
+
+function makeArtifact(overrides: Record<string, unknown> = {}) {
+  return {
+    _id: artifactId,
+    identifier: 'landing-page',
+    title: 'Landing page',
+    type: 'text/html',
+    language: 'html',
+    author: new Types.ObjectId(),
+    conversationIds: ['convo-1'],
+    latestVersion: 1,
+    createdAt: new Date('2026-01-01'),
+    updatedAt: new Date('2026-01-02'),
+    ...overrides,
+  };
+}
+
+function makeVersion(overrides: Record<string, unknown> = {}) {
+  return {
+    _id: new Types.ObjectId(),
+    artifactId,
+    version: 1,
+    content: '<p>v1</p>',
+    title: 'Landing page',
+    type: 'text/html',
+    language: 'html',
+    source: 'message' as const,
+    author: new Types.ObjectId(),
+    createdAt: new Date('2026-01-02'),
+    ...overrides,
+  };
+}
+
+function createDeps(
+  overrides: Partial<ArtifactLibraryDeps> = {},
+): jest.Mocked<ArtifactLibraryDeps> {
+  return {
+    createArtifact: jest.fn().mockResolvedValue(makeArtifact({ latestVersion: 0 })),
+    findConversationArtifact: jest.fn().mockResolvedValue(null),
+    addArtifactVersion: jest.fn().mockResolvedValue(makeVersion()),
+    getArtifactById: jest.fn().mockResolvedValue(makeArtifact()),
+    listArtifactsByAccess: jest.fn(),
+    listArtifactVersions: jest.fn(),
+    getArtifactVersion: jest.fn(),
+    getLatestArtifactVersion: jest.fn().mockResolvedValue(makeVersion()),
+    linkArtifactConversation: jest.fn().mockResolvedValue(undefined),
+    unlinkArtifactConversation: jest.fn().mockResolvedValue(undefined),
+    deleteArtifact: jest.fn().mockResolvedValue({ deleted: true }),
+    findAccessibleResources: jest.fn().mockResolvedValue([]),
+    findPubliclyAccessibleResources: jest.fn().mockResolvedValue([]),
+    hasPublicPermission: jest.fn().mockResolvedValue(false),
+    grantPermission: jest.fn().mockResolvedValue({}),
+    getEffectivePermissions: jest.fn().mockResolvedValue(PermissionBits.VIEW | PermissionBits.EDIT),
+    isValidObjectIdString: jest.fn((value: unknown) => Types.ObjectId.isValid(value as string)),
+    ...overrides,
+  } as jest.Mocked<ArtifactLibraryDeps>;
+}
+
+interface MockResponse {
+  statusCode: number;
+  body: unknown;
+  status: jest.Mock;
+  json: jest.Mock;
+}
+
+function mockResponse(): Response & MockResponse {
+  const res: MockResponse = {
+    statusCode: 200,
+    body: undefined,
+    status: jest.fn((statusCode: number) => {
+      res.statusCode = statusCode;
+      return res;
+    }),
+    json: jest.fn((body: unknown) => {
+      res.body = body;
+      return res;
+    }),
+  };
+  return res as Partial<Response> as Response & MockResponse;
+}
+
+function mockRequest(overrides: Record<string, unknown> = {}): ServerRequest {
+  return {
+    user,
+    body: {},
+    params: { id: artifactId.toString() },
+    query: {},
+    ...overrides,
+  } as Partial<ServerRequest> as ServerRequest;
+}
+
+describe('createArtifactLibrary', () => {
+  describe('syncMessageArtifacts', () => {
+    it('creates an owned artifact for a new identifier and records its first version', async () => {
+      const deps = createDeps();
+      const library = createArtifactLibrary(deps);
+
+      const added = await library.syncMessageArtifacts({
+        user,
+        conversationId: 'convo-1',
+        messageId: 'msg-1',
+        message: artifactMessage('<p>v1</p>'),
+      });
+
+      expect(added).toBe(1);
+      expect(deps.createArtifact).toHaveBeenCalledWith(
+        expect.objectContaining({
+          identifier: 'landing-page',
+          title: 'Landing page',
+          type: 'text/html',
+          language: 'html',
+          conversationId: 'convo-1',
+        }),
+      );
+      expect(deps.grantPermission).toHaveBeenCalledWith(
+        expect.objectContaining({
+          resourceType: ResourceType.ARTIFACT,
+          resourceId: artifactId,
+          accessRoleId: AccessRoleIds.ARTIFACT_OWNER,
+        }),
+      );
+      expect(deps.addArtifactVersion).toHaveBeenCalledWith(
+        artifactId.toString(),
+        expect.objectContaining({
+          content: '<p>v1</p>',
+          source: 'message',
+          conversationId: 'convo-1',
+          messageId: 'msg-1',
+        }),
+      );
+    });
+
+    it('adds a version to the artifact the conversation already has', async () => {
+      const deps = createDeps({
+        findConversationArtifact: jest.fn().mockResolvedValue(makeArtifact()),
+        addArtifactVersion: jest.fn().mockResolvedValue(null),
+      });
+      const library = createArtifactLibrary(deps);
+
+      const added = await library.syncMessageArtifacts({
+        user,
+        conversationId: 'convo-1',
+        messageId: 'msg-2',
+        message: artifactMessage('<p>v1</p>'),
+      });
+
+      expect(added).toBe(0);
+      expect(deps.createArtifact).not.toHaveBeenCalled();
+      expect(deps.addArtifactVersion).toHaveBeenCalledTimes(1);
+    });
+
+    it('starts a copy when the user can no longer edit the linked artifact', async () => {
+      const deps = createDeps({
+        findConversationArtifact: jest.fn().mockResolvedValue(makeArtifact()),
+        getEffectivePermissions: jest.fn().mockResolvedValue(PermissionBits.VIEW),
+      });
+      const library = createArtifactLibrary(deps);
+
+      await library.syncMessageArtifacts({
+        user,
+        conversationId: 'convo-2',
+        messageId: 'msg-3',
+        message: artifactMessage('<p>mine</p>'),
+      });
+
+      expect(deps.unlinkArtifactConversation).toHaveBeenCalledWith(
+        artifactId.toString(),
+        'convo-2',
+      );
+      expect(deps.createArtifact).toHaveBeenCalledWith(
+        expect.objectContaining({ conversationId: 'convo-2' }),
+      );
+    });
+
+    it('removes the new artifact when the owner grant fails', async () => {
+      const deps = createDeps({
+        grantPermission: jest.fn().mockRejectedValue(new Error('acl down')),
+      });
+      const library = createArtifactLibrary(deps);
+
+      await expect(
+        library.syncMessageArtifacts({
+          user,
+          conversationId: 'convo-1',
+          messageId: 'msg-1',
+          message: artifactMessage('<p>v1</p>'),
+        }),
+      ).rejects.toThrow('acl down');
+      expect(deps.deleteArtifact).toHaveBeenCalledWith(artifactId.toString());
+      expect(deps.addArtifactVersion).not.toHaveBeenCalled();
+    });
+
+    it('ignores messages without artifacts', async () => {
+      const deps = createDeps();
+      const library = createArtifactLibrary(deps);
+
+      const added = await library.syncMessageArtifacts({
+        user,
+        conversationId: 'convo-1',
+        messageId: 'msg-1',
+        message: { text: 'No artifacts here' },
+      });
+
+      expect(added).toBe(0);
+      expect(deps.findConversationArtifact).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('resolveArtifactReferences', () => {
+    it('links editable artifacts to the conversation', async () => {
+      const deps = createDeps();
+      const library = createArtifactLibrary(deps);
+
+      const references = await library.resolveArtifactReferences({
+        user,
+        conversationId: 'convo-2',
+        artifactIds: [artifactId.toString(), artifactId.toString(), 'not-an-id', 42],
+      });
+
+      expect(references).toHaveLength(1);
+      expect(references[0].canEdit).toBe(true);
+      expect(deps.getArtifactById).toHaveBeenCalledTimes(1);
+      expect(deps.linkArtifactConversation).toHaveBeenCalledWith(artifactId.toString(), 'convo-2');
+    });
+
+    it('includes view-only artifacts without linking them', async () => {
+      const deps = createDeps({
+        getEffectivePermissions: jest.fn().mockResolvedValue(PermissionBits.VIEW),
+      });
+      const library = createArtifactLibrary(deps);
+
+      const references = await library.resolveArtifactReferences({
+        user,
+        conversationId: 'convo-2',
+        artifactIds: [artifactId.toString()],
+      });
+
+      expect(references[0].canEdit).toBe(false);
+      expect(deps.linkArtifactConversation).not.toHaveBeenCalled();
+    });
+
+    it('skips artifacts the user cannot view', async () => {
+      const deps = createDeps({ getEffectivePermissions: jest.fn().mockResolvedValue(0) });
+      const library = createArtifactLibrary(deps);
+
+      const references = await library.resolveArtifactReferences({
+        user,
+        conversationId: 'convo-2',
+        artifactIds: [artifactId.toString()],
+      });
+
+      expect(references).toEqual([]);
+      expect(deps.getLatestArtifactVersion).not.toHaveBeenCalled();
+    });
+  });
+});
+
+describe('formatArtifactReferences', () => {
+  it('writes references in artifact syntax with the identifier to reuse', () => {
+    const reference = {
+      artifact: makeArtifact(),
+      version: makeVersion(),
+      canEdit: true,
+    } as ArtifactReference;
+
+    const text = formatArtifactReferences([reference]);
+
+    expect(text).toContain('using the identifier "landing-page"');
+    expect(text).toContain(
+      ':::artifact{identifier="landing-page" type="text/html" title="Landing page"}\n```html\n<p>v1</p>\n```\n:::',
+    );
+  });
+
+  it('returns nothing without references', () => {
+    expect(formatArtifactReferences([])).toBe('');
+  });
+});
+
+describe('createArtifactsHandlers', () => {
+  it('returns the artifact with its latest content', async () => {
+    const deps = createDeps();
+    const handlers = createArtifactsHandlers(deps);
+    const res = mockResponse();
+
+    await handlers.get(mockRequest(), res);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({
+      _id: artifactId.toString(),
+      identifier: 'landing-page',
+      content: '<p>v1</p>',
+      isPublic: false,
+    });
+  });
+
+  it('saves edited content as a new version', async () => {
+    const deps = createDeps({
+      addArtifactVersion: jest.fn().mockResolvedValue(makeVersion({ version: 2, source: 'edit' })),
+    });
+    const handlers = createArtifactsHandlers(deps);
+    const res = mockResponse();
+
+    await handlers.createVersion(mockRequest({ body: { content: '<p>v2</p>' } }), res);
+
+    expect(res.statusCode).toBe(201);
+    expect(deps.addArtifactVersion).toHaveBeenCalledWith(
+      artifactId.toString(),
+      expect.objectContaining({ content: '<p>v2</p>', source: 'edit', title: 'Landing page' }),
+    );
+    expect(res.body).toMatchObject({ version: 2, source: 'edit' });
+  });
+
+  it('returns the latest version when the content is unchanged', async () => {
+    const deps = createDeps({ addArtifactVersion: jest.fn().mockResolvedValue(null) });
+    const handlers = createArtifactsHandlers(deps);
+    const res = mockResponse();
+
+    await handlers.createVersion(mockRequest({ body: { content: '<p>v1</p>' } }), res);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({ version: 1 });
+  });
+
+  it('rejects empty and oversized content', async () => {
+    const deps = createDeps();
+    const handlers = createArtifactsHandlers(deps);
+
+    const empty = mockResponse();
+    await handlers.createVersion(mockRequest({ body: { content: '  ' } }), empty);
+    expect(empty.statusCode).toBe(400);
+
+    const large = mockResponse();
+    await handlers.createVersion(
+      mockRequest({ body: { content: 'a'.repeat(MAX_ARTIFACT_CONTENT_LENGTH + 1) } }),
+      large,
+    );
+    expect(large.statusCode).toBe(413);
+    expect(deps.addArtifactVersion).not.toHaveBeenCalled();
+  });
+
+  it('rejects invalid version numbers', async () => {
+    const deps = createDeps();
+    const handlers = createArtifactsHandlers(deps);
+    const res = mockResponse();
+
+    await handlers.getVersion(
+      mockRequest({ params: { id: artifactId.toString(), version: 'latest' } }),
+      res,
+    );
+
+    expect(res.statusCode).toBe(400);
+    expect(deps.getArtifactVersion).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,549 @@
+import { logger } from '@librechat/data-schemas';
+import {
+  ResourceType,
+  AccessRoleIds,
+  PrincipalType,
+  PermissionBits,
+} from 'librechat-data-provider';
+import type {
+  TLibraryArtifact,
+  TArtifactVersion,
+  TArtifactResponse,
+  TArtifactVersionSummary,
+  TCreateArtifactVersion,
+  TDeleteArtifactResponse,
+} from 'librechat-data-provider';
+import type {
+  IArtifact,
+  IArtifactVersion,
+  ArtifactMethods,
+  ArtifactVersionSummary,
+} from '@librechat/data-schemas';
+import type { Response } from 'express';
+import type { Types } from 'mongoose';
+import type { ServerRequest } from '~/types';
+import { parseArtifacts } from './update';
+
+/** Most artifacts a single message can bring into a conversation. */
+export const MAX_ARTIFACT_REFS: number = 5;
+/** Largest artifact content, in characters, that can be saved as a version. */
+export const MAX_ARTIFACT_CONTENT_LENGTH: number = 512 * 1024;
+
+type LibraryArtifact = IArtifact & { _id: Types.ObjectId };
+type ArtifactVersionDoc = IArtifactVersion & { _id: Types.ObjectId };
+
+/**
+ * Dependencies of the artifact library, resolved from `~/models` and `PermissionService`
+ * by `api/server/services/Artifacts/library.js`.
+ */
+export interface ArtifactLibraryDeps
+  extends Pick<
+    ArtifactMethods,
+    | 'createArtifact'
+    | 'findConversationArtifact'
+    | 'addArtifactVersion'
+    | 'getArtifactById'
+    | 'listArtifactsByAccess'
+    | 'listArtifactVersions'
+    | 'getArtifactVersion'
+    | 'getLatestArtifactVersion'
+    | 'linkArtifactConversation'
+    | 'unlinkArtifactConversation'
+    | 'deleteArtifact'
+  > {
+  findAccessibleResources: (params: {
+    userId: string;
+    role?: string | null;
+    resourceType: string;
+    requiredPermissions: number;
+  }) => Promise<Types.ObjectId[]>;
+  findPubliclyAccessibleResources: (params: {
+    resourceType: string;
+    requiredPermissions: number;
+  }) => Promise<Types.ObjectId[]>;
+  hasPublicPermission: (params: {
+    resourceType: string;
+    resourceId: string | Types.ObjectId;
+    requiredPermissions: number;
+  }) => Promise<boolean>;
+  grantPermission: (params: {
+    principalType: string;
+    principalId: string | Types.ObjectId;
+    resourceType: string;
+    resourceId: string | Types.ObjectId;
+    accessRoleId: string;
+    grantedBy: string | Types.ObjectId;
+  }) => Promise<unknown>;
+  /** Permission bits the user holds on a resource, including public ones. */
+  getEffectivePermissions: (params: {
+    userId: string;
+    role?: string | null;
+    resourceType: string;
+    resourceId: string | Types.ObjectId;
+  }) => Promise<number>;
+  isValidObjectIdString: (value: unknown) => boolean;
+}
+
+/** The user a library operation runs for. */
+export type ArtifactLibraryUser = {
+  id: string;
+  role?: string | null;
+  name?: string;
+  username?: string;
+};
+
+export type SyncMessageArtifactsParams = {
+  user: ArtifactLibraryUser;
+  conversationId: string;
+  messageId: string;
+  message: { text?: string; content?: Array<{ type?: string; text?: string }> };
+  source?: IArtifactVersion['source'];
+};
+
+export type ResolveArtifactReferencesParams = {
+  user: ArtifactLibraryUser;
+  conversationId?: string;
+  /** Artifact ids from the request; anything else is ignored. */
+  artifactIds: unknown;
+};
+
+/** An artifact a message refers to, with the version the model should iterate on. */
+export type ArtifactReference = {
+  artifact: LibraryArtifact;
+  version: ArtifactVersionDoc;
+  /** Whether responses in the conversation can add versions to the artifact. */
+  canEdit: boolean;
+};
+
+function serializeArtifact(artifact: LibraryArtifact, isPublic: boolean): TLibraryArtifact {
+  return {
+    _id: artifact._id.toString(),
+    identifier: artifact.identifier,
+    title: artifact.title,
+    type: artifact.type,
+    language: artifact.language,
+    author: artifact.author.toString(),
+    authorName: artifact.authorName,
+    latestVersion: artifact.latestVersion,
+    isPublic,
+    createdAt: (artifact.createdAt ?? new Date()).toISOString(),
+    updatedAt: (artifact.updatedAt ?? new Date()).toISOString(),
+  };
+}
+
+function serializeVersionSummary(
+  version: ArtifactVersionSummary | ArtifactVersionDoc,
+): TArtifactVersionSummary {
+  return {
+    version: version.version,
+    title: version.title,
+    type: version.type,
+    language: version.language,
+    source: version.source,
+    conversationId: version.conversationId,
+    messageId: version.messageId,
+    author: version.author.toString(),
+    createdAt: (version.createdAt ?? new Date()).toISOString(),
+  };
+}
+
+function serializeVersion(version: ArtifactVersionDoc): TArtifactVersion {
+  return {
+    ...serializeVersionSummary(version),
+    artifactId: version.artifactId.toString(),
+    content: version.content,
+  };
+}
+
+function parseLimit(raw: unknown): number {
+  const parsed = parseInt(String(raw ?? '20'), 10);
+  if (Number.isNaN(parsed)) {
+    return 20;
+  }
+  return Math.min(Math.max(1, parsed), 100);
+}
+
+const hasPermission = (bits: number, permission: PermissionBits) =>
+  (bits & permission) === permission;
+
+/**
+ * Keeps artifacts from responses in the library and resolves the artifacts a message refers to.
+ * An artifact belongs to the conversations it is linked to: a response there that reuses its
+ * identifier adds a version instead of starting a new artifact.
+ */
+export function createArtifactLibrary(deps: ArtifactLibraryDeps): {
+  syncMessageArtifacts: (params: SyncMessageArtifactsParams) => Promise<number>;
+  resolveArtifactReferences: (
+    params: ResolveArtifactReferencesParams,
+  ) => Promise<ArtifactReference[]>;
+} {
+  async function getPermissions(user: ArtifactLibraryUser, artifactId: Types.ObjectId) {
+    return deps.getEffectivePermissions({
+      userId: user.id,
+      role: user.role,
+      resourceType: ResourceType.ARTIFACT,
+      resourceId: artifactId,
+    });
+  }
+
+  /** Creates an artifact owned by the user; it is removed again when the owner grant fails. */
+  async function createOwnedArtifact(
+    user: ArtifactLibraryUser,
+    data: Parameters<ArtifactLibraryDeps['createArtifact']>[0],
+  ): Promise<LibraryArtifact> {
+    const artifact = await deps.createArtifact(data);
+    try {
+      await deps.grantPermission({
+        principalType: PrincipalType.USER,
+        principalId: user.id,
+        resourceType: ResourceType.ARTIFACT,
+        resourceId: artifact._id,
+        accessRoleId: AccessRoleIds.ARTIFACT_OWNER,
+        grantedBy: user.id,
+      });
+    } catch (error) {
+      await deps.deleteArtifact(artifact._id.toString()).catch((rollbackError) => {
+        logger.error(
+          `[artifactLibrary] Failed to remove artifact ${artifact._id.toString()} without an owner:`,
+          rollbackError,
+        );
+      });
+      throw error;
+    }
+    return artifact;
+  }
+
+  /**
+   * Records every artifact of a saved message as a version in the library. Artifacts the user
+   * can no longer edit are left alone, and the conversation continues with its own copy.
+   * @returns The number of versions added.
+   */
+  async function syncMessageArtifacts({
+    user,
+    conversationId,
+    messageId,
+    message,
+    source = 'message',
+  }: SyncMessageArtifactsParams): Promise<number> {
+    let added = 0;
+    for (const parsed of parseArtifacts(message)) {
+      if (parsed.content.length > MAX_ARTIFACT_CONTENT_LENGTH) {
+        logger.warn(
+          `[artifactLibrary] Skipping artifact "${parsed.identifier}" of message ${messageId}: content too large`,
+        );
+        continue;
+      }
+
+      let artifact = await deps.findConversationArtifact(conversationId, parsed.identifier);
+      if (artifact) {
+        const permissions = await getPermissions(user, artifact._id);
+        if (!hasPermission(permissions, PermissionBits.EDIT)) {
+          await deps.unlinkArtifactConversation(artifact._id.toString(), conversationId);
+          artifact = null;
+        }
+      }
+      if (!artifact) {
+        artifact = await createOwnedArtifact(user, {
+          identifier: parsed.identifier,
+          title: parsed.title,
+          type: parsed.type,
+          language: parsed.language,
+          author: user.id,
+          authorName: user.name ?? user.username,
+          conversationId,
+        });
+      }
+
+      const version = await deps.addArtifactVersion(artifact._id.toString(), {
+        content: parsed.content,
+        title: parsed.title,
+        type: parsed.type,
+        language: parsed.language,
+        source,
+        author: user.id,
+        conversationId,
+        messageId,
+      });
+      if (version) {
+        added++;
+      }
+    }
+    return added;
+  }
+
+  /**
+   * Loads the artifacts a message refers to, skipping those the user cannot view. Editable
+   * artifacts are linked to the conversation so the model's next version lands in their history.
+   */
+  async function resolveArtifactReferences({
+    user,
+    conversationId,
+    artifactIds,
+  }: ResolveArtifactReferencesParams): Promise<ArtifactReference[]> {
+    if (!Array.isArray(artifactIds)) {
+      return [];
+    }
+    const ids = [
+      ...new Set(
+        artifactIds.filter(
+          (id): id is string => typeof id === 'string' && deps.isValidObjectIdString(id),
+        ),
+      ),
+    ].slice(0, MAX_ARTIFACT_REFS);
+
+    const references: ArtifactReference[] = [];
+    for (const id of ids) {
+      const artifact = await deps.getArtifactById(id);
+      if (!artifact) {
+        continue;
+      }
+      const permissions = await getPermissions(user, artifact._id);
+      if (!hasPermission(permissions, PermissionBits.VIEW)) {
+        continue;
+      }
+      const version = await deps.getLatestArtifactVersion(id);
+      if (!version) {
+        continue;
+      }
+      const canEdit = hasPermission(permissions, PermissionBits.EDIT);
+      if (canEdit && conversationId) {
+        await deps.linkArtifactConversation(id, conversationId);
+      }
+      references.push({ artifact, version, canEdit });
+    }
+    return references;
+  }
+
+  return { syncMessageArtifacts, resolveArtifactReferences };
+}
+
+/**
+ * Instructions and contents of referenced artifacts, for the model's context. The artifacts are
+ * written in the same syntax the model uses to create them, so it can continue from them.
+ */
+export function formatArtifactReferences(references: ArtifactReference[]): string {
+  if (!references.length) {
+    return '';
+  }
+  const sections = references.map(({ artifact, version, canEdit }) => {
+    const note = canEdit
+      ? `To change "${version.title}", respond with the complete updated artifact using the identifier "${artifact.identifier}".`
+      : `"${version.title}" is read-only for this user; use a new identifier for a changed copy.`;
+    return [
+      note,
+      `:::artifact{identifier="${artifact.identifier}" type="${version.type}" title="${version.title}"}`,
+      '```' + (version.language ?? ''),
+      version.content,
+      '```',
+      ':::',
+    ].join('\n');
+  });
+  return [
+    '# Referenced Artifacts',
+    'The user brought these artifacts from their library into the conversation. Always output the full artifact when changing one, not only the changed parts.',
+    ...sections,
+  ].join('\n\n');
+}
+
+/**
+ * Factory for the Express handlers served at `/api/artifacts`. Routes check access with
+ * `canAccessArtifactResource` first, which stores the artifact on `req.resourceAccess`.
+ */
+export function createArtifactsHandlers(deps: ArtifactLibraryDeps): {
+  list: (req: ServerRequest, res: Response) => Promise<Response>;
+  get: (req: ServerRequest, res: Response) => Promise<Response>;
+  listVersions: (req: ServerRequest, res: Response) => Promise<Response>;
+  getVersion: (req: ServerRequest, res: Response) => Promise<Response>;
+  createVersion: (req: ServerRequest, res: Response) => Promise<Response>;
+  delete: (req: ServerRequest, res: Response) => Promise<Response>;
+} {
+  async function isArtifactPublic(artifactId: string | Types.ObjectId): Promise<boolean> {
+    try {
+      return await deps.hasPublicPermission({
+        resourceType: ResourceType.ARTIFACT,
+        resourceId: artifactId,
+        requiredPermissions: PermissionBits.VIEW,
+      });
+    } catch {
+      return false;
+    }
+  }
+
+  async function getResolvedArtifact(req: ServerRequest): Promise<LibraryArtifact | null> {
+    const resolved = (
+      req as ServerRequest & { resourceAccess?: { resourceInfo?: LibraryArtifact } }
+    ).resourceAccess?.resourceInfo;
+    return resolved ?? (await deps.getArtifactById((req.params as { id: string }).id));
+  }
+
+  async function listHandler(req: ServerRequest, res: Response) {
+    try {
+      const user = req.user;
+      if (!user || !user.id) {
+        return res.status(401).json({ error: 'Authentication required' });
+      }
+      const { search, limit, cursor } = req.query as {
+        search?: string;
+        limit?: string;
+        cursor?: string;
+      };
+
+      const [accessibleIds, publicIds] = await Promise.all([
+        deps.findAccessibleResources({
+          userId: user.id,
+          role: user.role,
+          resourceType: ResourceType.ARTIFACT,
+          requiredPermissions: PermissionBits.VIEW,
+        }),
+        deps.findPubliclyAccessibleResources({
+          resourceType: ResourceType.ARTIFACT,
+          requiredPermissions: PermissionBits.VIEW,
+        }),
+      ]);
+
+      const result = await deps.listArtifactsByAccess({
+        accessibleIds: Array.from(
+          new Map([...accessibleIds, ...publicIds].map((id) => [id.toString(), id])).values(),
+        ),
+        search: typeof search === 'string' && search.length > 0 ? search : undefined,
+        limit: parseLimit(limit),
+        cursor: typeof cursor === 'string' && cursor.length > 0 ? cursor : null,
+      });
+
+      const publicSet = new Set(publicIds.map((id) => id.toString()));
+      return res.status(200).json({
+        artifacts: result.artifacts.map((a) =>
+          serializeArtifact(a, publicSet.has(a._id.toString())),
+        ),
+        has_more: result.has_more,
+        after: result.after,
+      });
+    } catch (error) {
+      logger.error('[GET /artifacts] Error listing artifacts', error);
+      return res.status(500).json({ error: 'Error listing artifacts' });
+    }
+  }
+
+  async function getHandler(req: ServerRequest, res: Response) {
+    try {
+      const artifact = await getResolvedArtifact(req);
+      if (!artifact) {
+        return res.status(404).json({ error: 'Artifact not found' });
+      }
+      const id = artifact._id.toString();
+      const [version, isPublic] = await Promise.all([
+        deps.getLatestArtifactVersion(id),
+        isArtifactPublic(id),
+      ]);
+      const response: TArtifactResponse = {
+        ...serializeArtifact(artifact, isPublic),
+        content: version?.content ?? '',
+      };
+      return res.status(200).json(response);
+    } catch (error) {
+      logger.error('[GET /artifacts/:id] Error fetching artifact', error);
+      return res.status(500).json({ error: 'Error fetching artifact' });
+    }
+  }
+
+  async function listVersionsHandler(req: ServerRequest, res: Response) {
+    try {
+      const { id } = req.params as { id: string };
+      const versions = await deps.listArtifactVersions(id);
+      return res.status(200).json({ versions: versions.map(serializeVersionSummary) });
+    } catch (error) {
+      logger.error('[GET /artifacts/:id/versions] Error listing artifact versions', error);
+      return res.status(500).json({ error: 'Error listing artifact versions' });
+    }
+  }
+
+  async function getVersionHandler(req: ServerRequest, res: Response) {
+    try {
+      const { id, version } = req.params as { id: string; version: string };
+      const number = Number(version);
+      if (!Number.isInteger(number) || number < 1) {
+        return res.status(400).json({ error: 'Invalid version' });
+      }
+      const doc = await deps.getArtifactVersion(id, number);
+      if (!doc) {
+        return res.status(404).json({ error: 'Version not found' });
+      }
+      return res.status(200).json(serializeVersion(doc));
+    } catch (error) {
+      logger.error('[GET /artifacts/:id/versions/:version] Error fetching artifact version', error);
+      return res.status(500).json({ error: 'Error fetching artifact version' });
+    }
+  }
+
+  /** Saves edited content as a new version; unchanged content returns the latest version. */
+  async function createVersionHandler(req: ServerRequest, res: Response) {
+    try {
+      const user = req.user;
+      if (!user || !user.id) {
+        return res.status(401).json({ error: 'Authentication required' });
+      }
+      const body = (req.body ?? {}) as Partial<TCreateArtifactVersion>;
+      if (typeof body.content !== 'string' || !body.content.trim()) {
+        return res.status(400).json({ error: 'Artifact content is required' });
+      }
+      if (body.content.length > MAX_ARTIFACT_CONTENT_LENGTH) {
+        return res.status(413).json({ error: 'Artifact content is too large' });
+      }
+      if (body.title !== undefined && (typeof body.title !== 'string' || !body.title.trim())) {
+        return res.status(400).json({ error: 'Artifact title must be a non-empty string' });
+      }
+
+      const artifact = await getResolvedArtifact(req);
+      if (!artifact) {
+        return res.status(404).json({ error: 'Artifact not found' });
+      }
+      const id = artifact._id.toString();
+      const version = await deps.addArtifactVersion(id, {
+        content: body.content,
+        title: body.title?.trim() ?? artifact.title,
+        type: artifact.type,
+        language: artifact.language,
+        source: 'edit',
+        author: user.id,
+      });
+      if (version) {
+        return res.status(201).json(serializeVersion(version));
+      }
+      const latest = await deps.getLatestArtifactVersion(id);
+      if (!latest) {
+        return res.status(404).json({ error: 'Artifact not found' });
+      }
+      return res.status(200).json(serializeVersion(latest));
+    } catch (error) {
+      logger.error('[POST /artifacts/:id/versions] Error saving artifact version', error);
+      return res.status(500).json({ error: 'Error saving artifact version' });
+    }
+  }
+
+  async function deleteHandler(req: ServerRequest, res: Response) {
+    try {
+      const { id } = req.params as { id: string };
+      if (!deps.isValidObjectIdString(id)) {
+        return res.status(400).json({ error: 'Invalid artifact id' });
+      }
+      const result = await deps.deleteArtifact(id);
+      if (!result.deleted) {
+        return res.status(404).json({ error: 'Artifact not found' });
+      }
+      const response: TDeleteArtifactResponse = { id, deleted: true };
+      return res.status(200).json(response);
+    } catch (error) {
+      logger.error('[DELETE /artifacts/:id] Error deleting artifact', error);
+      return res.status(500).json({ error: 'Error deleting artifact' });
+    }
+  }
+
+  return {
+    list: listHandler,
+    get: getHandler,
+    listVersions: listVersionsHandler,
+    getVersion: getVersionHandler,
+    createVersion: createVersionHandler,
+    delete: deleteHandler,
+  };
+}
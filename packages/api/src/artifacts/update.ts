@@ -19,6 +19,15 @@ export type ArtifactBoundary = {
   text: string;
 };
 
+/** An artifact block with its attributes and the code inside its fence. */
+export type ParsedArtifact = {
+  identifier: string;
+  type: string;
+  title: string;
+  language?: string;
+  content: string;
+};
+
 type ArtifactCloseRange = {
   start: number;
   end: number;
@@ -121,7 +130,7 @@ const getOpeningCodeFence = (
   text: string,
   contentStart: number,
   contentEnd: number,
-): (CodeFence & { contentStart: number }) | null => {
+): (CodeFence & { contentStart: number; info: string }) | null => {
   const content = text.slice(contentStart, contentEnd);
   const firstContentMatch = content.match(/\S/);
   if (!firstContentMatch) {
@@ -140,6 +149,7 @@ const getOpeningCodeFence = (
   return {
     ...fence,
     contentStart: getNextLineStart(text, lineEnd),
+    info: line.trim().slice(fence.length).trim(),
   };
 };
 
@@ -294,3 +304,52 @@ export const replaceArtifactContent = (
     replaceRange(originalText, absoluteIndex, absoluteIndex + originalTrimmed.length, updated),
   );
 };
+
+const parseArtifactAttributes = (openingLine: string): Record<string, string> => {
+  const attributes: Record<string, string> = {};
+  const block = openingLine.match(/\{(.*)\}/);
+  if (!block) {
+    return attributes;
+  }
+  for (const [, key, value] of block[1].matchAll(/(\w+)\s*=\s*"([^"]*)"/g)) {
+    attributes[key] = value;
+  }
+  return attributes;
+};
+
+/**
+ * Parses the artifacts of a message. Blocks without an identifier cannot be matched across
+ * messages and are left out, as are blocks that are still empty.
+ */
+export const parseArtifacts = (message: ArtifactMessage): ParsedArtifact[] => {
+  const parsed: ParsedArtifact[] = [];
+  for (const artifact of findAllArtifacts(message)) {
+    const artifactContent = artifact.text.substring(artifact.start, artifact.end);
+    const openingLine = artifactContent.slice(0, getLineEnd(artifactContent, 0));
+    const { identifier, type, title } = parseArtifactAttributes(openingLine);
+    const range = getSearchRange(artifactContent);
+    if (!identifier || !range) {
+      continue;
+    }
+
+    const content = artifactContent.substring(range.searchStart, range.searchEnd);
+    if (!content.trim()) {
+      continue;
+    }
+
+    const language = getOpeningCodeFence(
+      artifactContent,
+      getNextLineStart(artifactContent, openingLine.length),
+      range.searchEnd,
+    )?.info.split(/\s/)[0];
+
+    parsed.push({
+      identifier,
+      type: type || 'text/plain',
+      title: title || identifier,
+      ...(language && { language }),
+      content,
+    });
+  }
+  return parsed;
+};
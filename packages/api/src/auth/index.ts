@@ -11,3 +11,4 @@ export * from './codeapi';
 export * from './openidRoleSync';
 export * from './userDocCache';
 export * from './reuse';
+export * from './webauthn';
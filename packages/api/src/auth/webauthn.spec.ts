@@ -0,0 +1,374 @@
+import { createHash, generateKeyPairSync, sign } from 'node:crypto';
+import type { KeyObject } from 'node:crypto';
+import {
+  decodeCbor,
+  readPasskeyChallenge,
+  PasskeyVerificationError,
+  verifyPasskeyRegistration,
+  verifyPasskeyAuthentication,
+  buildPasskeyRegistrationOptions,
+} from './webauthn';
+import type { PasskeyRelyingParty } from './webauthn';
+
+const relyingParty: PasskeyRelyingParty = {
+  id: 'chat.example.com',
+  name: 'LibreChat',
+  origins: ['https://chat.example.com'],
+};
+const challenge = 'c2VydmVyLWNoYWxsZW5nZQ';
+const credentialId = Buffer.from('credential-1');
+
+/** Minimal CBOR encoder for the shapes authenticators produce. */
+function encodeCbor(value: unknown): Buffer {
+  const head = (major: number, length: number) => {
+    if (length < 24) {
+      return Buffer.from([(major << 5) | length]);
+    }
+    if (length < 256) {
+      return Buffer.from([(major << 5) | 24, length]);
+    }
+    const buffer = Buffer.alloc(3);
+    buffer[0] = (major << 5) | 25;
+    buffer.writeUInt16BE(length, 1);
+    return buffer;
+  };
+  if (typeof value === 'number') {
+    return value >= 0 ? head(0, value) : head(1, -1 - value);
+  }
+  if (Buffer.isBuffer(value)) {
+    return Buffer.concat([head(2, value.length), value]);
+  }
+  if (typeof value === 'string') {
+    const bytes = Buffer.from(value, 'utf8');
+    return Buffer.concat([head(3, bytes.length), bytes]);
+  }
+  if (value instanceof Map) {
+    const parts: Buffer[] = [head(5, value.size)];
+    for (const [key, item] of value) {
+      parts.push(encodeCbor(key), encodeCbor(item));
+    }
+    return Buffer.concat(parts);
+  }
+  throw new Error('unsupported test value');
+}
+
+const sha256 = (data: Buffer | string) => createHash('sha256').update(data).digest();
+
+function ecKeyPair() {
+  const { publicKey, privateKey } = generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const jwk = publicKey.export({ format: 'jwk' });
+  const cose = new Map<number, unknown>([
+    [1, 2],
+    [3, -7],
+    [-1, 1],
+    [-2, Buffer.from(jwk.x as string, 'base64url')],
+    [-3, Buffer.from(jwk.y as string, 'base64url')],
+  ]);
+  return { privateKey, cose: encodeCbor(cose), algorithm: 'sha256' as string | null };
+}
+
+function edKeyPair() {
+  const { publicKey, privateKey } = generateKeyPairSync('ed25519');
+  const jwk = publicKey.export({ format: 'jwk' });
+  const cose = new Map<number, unknown>([
+    [1, 1],
+    [3, -8],
+    [-1, 6],
+    [-2, Buffer.from(jwk.x as string, 'base64url')],
+  ]);
+  return { privateKey, cose: encodeCbor(cose), algorithm: null as string | null };
+}
+
+function authenticatorData({
+  rpId = relyingParty.id,
+  flags = 0x05,
+  signCount = 0,
+  attested,
+}: {
+  rpId?: string;
+  flags?: number;
+  signCount?: number;
+  attested?: Buffer;
+}) {
+  const counter = Buffer.alloc(4);
+  counter.writeUInt32BE(signCount);
+  const parts: Buffer[] = [sha256(rpId), Buffer.from([attested ? flags | 0x40 : flags]), counter];
+  if (attested) {
+    const idLength = Buffer.alloc(2);
+    idLength.writeUInt16BE(credentialId.length);
+    parts.push(Buffer.alloc(16), idLength, credentialId, attested);
+  }
+  return Buffer.concat(parts);
+}
+
+const clientData = (type: string, overrides: Record<string, unknown> = {}) =>
+  Buffer.from(
+    JSON.stringify({ type, challenge, origin: 'https://chat.example.com', ...overrides }),
+  ).toString('base64url');
+
+function registration(cose: Buffer, options: { clientDataJSON?: string; rpId?: string } = {}) {
+  const attestationObject = encodeCbor(
+    new Map<string, unknown>([
+      ['fmt', 'none'],
+      ['attStmt', new Map()],
+      ['authData', authenticatorData({ rpId: options.rpId, attested: cose })],
+    ]),
+  );
+  return {
+    id: credentialId.toString('base64url'),
+    rawId: credentialId.toString('base64url'),
+    type: 'public-key',
+    response: {
+      clientDataJSON: options.clientDataJSON ?? clientData('webauthn.create'),
+      attestationObject: attestationObject.toString('base64url'),
+      transports: ['internal', 'hybrid'],
+    },
+  };
+}
+
+function assertion(
+  privateKey: KeyObject,
+  algorithm: string | null,
+  options: { flags?: number; signCount?: number } = {},
+) {
+  const authData = authenticatorData(options);
+  const clientDataJSON = clientData('webauthn.get');
+  const signature = sign(
+    algorithm,
+    Buffer.concat([authData, sha256(Buffer.from(clientDataJSON, 'base64url'))]),
+    privateKey,
+  );
+  return {
+    id: credentialId.toString('base64url'),
+    rawId: credentialId.toString('base64url'),
+    type: 'public-key',
+    response: {
+      clientDataJSON,
+      authenticatorData: authData.toString('base64url'),
+      signature: signature.toString('base64url'),
+      userHandle: null,
+    },
+  };
+}
+
+const failureCode = (fn: () => unknown) => {
+  try {
+    fn();
+  } catch (error) {
+    return (error as PasskeyVerificationError).code;
+  }
+  return undefined;
+};
+
+describe('decodeCbor', () => {
+  it('decodes maps with integer and text keys', () => {
+    const encoded = encodeCbor(
+      new Map<unknown, unknown>([
+        [1, 2],
+        [-7, 'text'],
+        ['bytes', Buffer.from([1, 2])],
+      ]),
+    );
+    const [decoded, end] = decodeCbor(encoded);
+
+    expect(end).toBe(encoded.length);
+    expect(decoded).toEqual(
+      new Map<unknown, unknown>([
+        [1, 2],
+        [-7, 'text'],
+        ['bytes', Buffer.from([1, 2])],
+      ]),
+    );
+  });
+
+  it('rejects truncated input', () => {
+    expect(() => decodeCbor(Buffer.from([0x43, 0x01]))).toThrow('Unexpected end');
+    expect(failureCode(() => decodeCbor(Buffer.from([0x19, 0x01])))).toBe('INVALID_CREDENTIAL');
+  });
+
+  it('rejects counts past the data and deep nesting as invalid credentials', () => {
+    /** An array claiming 2^32 - 1 items, followed by a single byte */
+    expect(failureCode(() => decodeCbor(Buffer.from([0x9a, 0xff, 0xff, 0xff, 0xff, 0x00])))).toBe(
+      'INVALID_CREDENTIAL',
+    );
+    expect(failureCode(() => decodeCbor(Buffer.alloc(10_000, 0x81)))).toBe('INVALID_CREDENTIAL');
+  });
+});
+
+describe('readPasskeyChallenge', () => {
+  it('reads the challenge from the client data', () => {
+    expect(readPasskeyChallenge({ response: { clientDataJSON: clientData('webauthn.get') } })).toBe(
+      challenge,
+    );
+    expect(readPasskeyChallenge({ response: { clientDataJSON: 'not json' } })).toBeNull();
+    expect(readPasskeyChallenge({})).toBeNull();
+  });
+});
+
+describe('buildPasskeyRegistrationOptions', () => {
+  it('asks for a discoverable credential and excludes existing ones', () => {
+    const options = buildPasskeyRegistrationOptions({
+      relyingParty,
+      challenge,
+      user: { id: 'user-1', name: 'a@example.com', displayName: 'A' },
+      excludeCredentials: [{ credentialId: 'abc', transports: ['usb'] }],
+    });
+
+    expect(options.rp).toEqual({ id: 'chat.example.com', name: 'LibreChat' });
+    expect(options.user.id).toBe(Buffer.from('user-1').toString('base64url'));
+    expect(options.authenticatorSelection?.residentKey).toBe('required');
+    expect(options.excludeCredentials).toEqual([
+      { id: 'abc', type: 'public-key', transports: ['usb'] },
+    ]);
+  });
+});
+
+describe('verifyPasskeyRegistration', () => {
+  it('returns the credential to store', () => {
+    const { cose } = ecKeyPair();
+    const result = verifyPasskeyRegistration({
+      credential: registration(cose),
+      expectedChallenge: challenge,
+      relyingParty,
+    });
+
+    expect(result).toEqual({
+      credentialId: credentialId.toString('base64url'),
+      publicKey: cose.toString('base64url'),
+      counter: 0,
+      transports: ['internal', 'hybrid'],
+      backedUp: false,
+    });
+  });
+
+  it('rejects a response for another challenge, origin or site', () => {
+    const { cose } = ecKeyPair();
+    const verifyWith = (credential: ReturnType<typeof registration>) => () =>
+      verifyPasskeyRegistration({ credential, expectedChallenge: challenge, relyingParty });
+
+    expect(
+      failureCode(
+        verifyWith(
+          registration(cose, { clientDataJSON: clientData('webauthn.create', { challenge: 'x' }) }),
+        ),
+      ),
+    ).toBe('CLIENT_DATA_MISMATCH');
+    expect(
+      failureCode(
+        verifyWith(
+          registration(cose, {
+            clientDataJSON: clientData('webauthn.create', { origin: 'https://evil.example' }),
+          }),
+        ),
+      ),
+    ).toBe('CLIENT_DATA_MISMATCH');
+    expect(failureCode(verifyWith(registration(cose, { rpId: 'evil.example' })))).toBe(
+      'RP_ID_MISMATCH',
+    );
+  });
+
+  it('rejects malformed attestation data as an invalid credential', () => {
+    const { cose } = ecKeyPair();
+    const credential = registration(cose);
+    const verifyWith = (attestationObject: Buffer) => () =>
+      verifyPasskeyRegistration({
+        credential: {
+          ...credential,
+          response: {
+            ...credential.response,
+            attestationObject: attestationObject.toString('base64url'),
+          },
+        },
+        expectedChallenge: challenge,
+        relyingParty,
+      });
+    const withAuthData = (authData: Buffer) =>
+      encodeCbor(
+        new Map<string, unknown>([
+          ['fmt', 'none'],
+          ['authData', authData],
+        ]),
+      );
+    const truncated = authenticatorData({ attested: cose }).subarray(0, 45);
+    const oversizedId = Buffer.from(authenticatorData({ attested: cose }));
+    oversizedId.writeUInt16BE(0xffff, 53);
+
+    expect(failureCode(verifyWith(withAuthData(truncated)))).toBe('INVALID_CREDENTIAL');
+    expect(failureCode(verifyWith(withAuthData(oversizedId)))).toBe('INVALID_CREDENTIAL');
+    expect(failureCode(verifyWith(Buffer.from([0xa1, 0x63])))).toBe('INVALID_CREDENTIAL');
+  });
+});
+
+describe('verifyPasskeyAuthentication', () => {
+  it.each([
+    ['ES256', ecKeyPair],
+    ['EdDSA', edKeyPair],
+  ])('verifies a %s assertion', (_name, makeKey) => {
+    const { privateKey, cose, algorithm } = makeKey();
+    const result = verifyPasskeyAuthentication({
+      credential: assertion(privateKey, algorithm, { signCount: 3 }),
+      expectedChallenge: challenge,
+      relyingParty,
+      publicKey: cose.toString('base64url'),
+      counter: 2,
+      requireUserVerification: true,
+    });
+
+    expect(result).toEqual({
+      credentialId: credentialId.toString('base64url'),
+      newCounter: 3,
+      backedUp: false,
+    });
+  });
+
+  it('rejects a signature from another key', () => {
+    const { cose } = ecKeyPair();
+    const other = ecKeyPair();
+    const code = failureCode(() =>
+      verifyPasskeyAuthentication({
+        credential: assertion(other.privateKey, other.algorithm),
+        expectedChallenge: challenge,
+        relyingParty,
+        publicKey: cose.toString('base64url'),
+        counter: 0,
+        requireUserVerification: true,
+      }),
+    );
+
+    expect(code).toBe('SIGNATURE_MISMATCH');
+  });
+
+  it('requires user verification only when asked to', () => {
+    const { privateKey, cose, algorithm } = ecKeyPair();
+    const params = {
+      credential: assertion(privateKey, algorithm, { flags: 0x01 }),
+      expectedChallenge: challenge,
+      relyingParty,
+      publicKey: cose.toString('base64url'),
+      counter: 0,
+    };
+
+    expect(
+      failureCode(() => verifyPasskeyAuthentication({ ...params, requireUserVerification: true })),
+    ).toBe('USER_NOT_VERIFIED');
+    expect(
+      verifyPasskeyAuthentication({ ...params, requireUserVerification: false }).newCounter,
+    ).toBe(0);
+  });
+
+  it('rejects a signature counter that did not advance', () => {
+    const { privateKey, cose, algorithm } = ecKeyPair();
+    const code = failureCode(() =>
+      verifyPasskeyAuthentication({
+        credential: assertion(privateKey, algorithm, { signCount: 5 }),
+        expectedChallenge: challenge,
+        relyingParty,
+        publicKey: cose.toString('base64url'),
+        counter: 5,
+        requireUserVerification: true,
+      }),
+    );
+
+    expect(code).toBe('COUNTER_REPLAY');
+  });
+});
@@ -0,0 +1,568 @@
+import { createHash, createPublicKey, randomBytes, timingSafeEqual, verify } from 'node:crypto';
+import type { KeyObject } from 'node:crypto';
+import type {
+  TPasskeyRegistrationOptions,
+  TPasskeyAuthenticationOptions,
+} from 'librechat-data-provider';
+
+/** COSE algorithms accepted for passkeys: ES256, EdDSA and RS256, in order of preference. */
+export const PASSKEY_ALGORITHMS = [-7, -8, -257] as const;
+/** How long the browser waits for the user, and how long an issued challenge stays valid. */
+export const PASSKEY_TIMEOUT_MS: number = 5 * 60 * 1000;
+
+export type PasskeyVerificationFailure =
+  | 'INVALID_CREDENTIAL'
+  | 'CLIENT_DATA_MISMATCH'
+  | 'RP_ID_MISMATCH'
+  | 'USER_NOT_PRESENT'
+  | 'USER_NOT_VERIFIED'
+  | 'UNSUPPORTED_KEY'
+  | 'SIGNATURE_MISMATCH'
+  | 'COUNTER_REPLAY';
+
+export class PasskeyVerificationError extends Error {
+  readonly code: PasskeyVerificationFailure;
+
+  constructor(code: PasskeyVerificationFailure, message: string) {
+    super(message);
+    this.name = 'PasskeyVerificationError';
+    this.code = code;
+  }
+}
+
+/** The relying party passkeys are scoped to: the client's domain, unless overridden. */
+export interface PasskeyRelyingParty {
+  id: string;
+  name: string;
+  origins: string[];
+}
+
+/** `PublicKeyCredential.toJSON()` of a `navigator.credentials.create()` result. */
+export interface PasskeyRegistrationCredential {
+  id: string;
+  rawId: string;
+  type: string;
+  response: {
+    clientDataJSON: string;
+    attestationObject: string;
+    transports?: string[];
+  };
+}
+
+/** `PublicKeyCredential.toJSON()` of a `navigator.credentials.get()` result. */
+export interface PasskeyAuthenticationCredential {
+  id: string;
+  rawId: string;
+  type: string;
+  response: {
+    clientDataJSON: string;
+    authenticatorData: string;
+    signature: string;
+    userHandle?: string | null;
+  };
+}
+
+export interface VerifiedPasskeyRegistration {
+  credentialId: string;
+  /** The credential's COSE public key, base64url encoded. */
+  publicKey: string;
+  counter: number;
+  transports: string[];
+  backedUp: boolean;
+}
+
+export interface VerifiedPasskeyAuthentication {
+  credentialId: string;
+  newCounter: number;
+  backedUp: boolean;
+}
+
+export function getPasskeyRelyingParty(): PasskeyRelyingParty {
+  const clientUrl = new URL(process.env.DOMAIN_CLIENT || 'http://localhost:3080');
+  return {
+    id: process.env.PASSKEY_RP_ID || clientUrl.hostname,
+    name: process.env.APP_TITLE || 'LibreChat',
+    origins: [clientUrl.origin],
+  };
+}
+
+export function generatePasskeyChallenge(): string {
+  return randomBytes(32).toString('base64url');
+}
+
+/**
+ * Reads the challenge a response was signed for, so the server can look up the challenge it
+ * issued without keeping per-browser state. The response is verified against it afterwards.
+ */
+export function readPasskeyChallenge(credential: {
+  response?: { clientDataJSON?: unknown };
+}): string | null {
+  const clientDataJSON = credential?.response?.clientDataJSON;
+  if (typeof clientDataJSON !== 'string') {
+    return null;
+  }
+  try {
+    const { challenge } = JSON.parse(Buffer.from(clientDataJSON, 'base64url').toString('utf8'));
+    return typeof challenge === 'string' && challenge.length > 0 ? challenge : null;
+  } catch {
+    return null;
+  }
+}
+
+const sha256 = (data: Buffer | string): Buffer => createHash('sha256').update(data).digest();
+
+const fromBase64Url = (value: unknown, field: string): Buffer => {
+  if (typeof value !== 'string' || value.length === 0) {
+    throw new PasskeyVerificationError('INVALID_CREDENTIAL', `Missing ${field}`);
+  }
+  return Buffer.from(value, 'base64url');
+};
+
+/** Nesting depth of the CBOR a credential may carry; attestation objects nest a few levels. */
+const CBOR_MAX_DEPTH = 16;
+/** Entries of a single CBOR array or map. */
+const CBOR_MAX_ITEMS = 1024;
+
+/** Throws unless `length` bytes are available at `offset`. */
+const ensureAvailable = (data: Buffer, offset: number, length: number): void => {
+  if (offset + length > data.length) {
+    throw new PasskeyVerificationError('INVALID_CREDENTIAL', 'Unexpected end of CBOR data');
+  }
+};
+
+const readLength = (data: Buffer, offset: number, info: number): [number, number] => {
+  if (info < 24) {
+    return [info, offset];
+  }
+  if (info === 24) {
+    ensureAvailable(data, offset, 1);
+    return [data.readUInt8(offset), offset + 1];
+  }
+  if (info === 25) {
+    ensureAvailable(data, offset, 2);
+    return [data.readUInt16BE(offset), offset + 2];
+  }
+  if (info === 26) {
+    ensureAvailable(data, offset, 4);
+    return [data.readUInt32BE(offset), offset + 4];
+  }
+  if (info === 27) {
+    ensureAvailable(data, offset, 8);
+    const value = data.readBigUInt64BE(offset);
+    if (value > BigInt(Number.MAX_SAFE_INTEGER)) {
+      throw new PasskeyVerificationError('INVALID_CREDENTIAL', 'CBOR integer out of range');
+    }
+    return [Number(value), offset + 8];
+  }
+  throw new PasskeyVerificationError(
+    'INVALID_CREDENTIAL',
+    'Indefinite-length CBOR items are not supported',
+  );
+};
+
+/**
+ * Decodes the CBOR item at `offset`, returning it with the offset just past it. Covers the
+ * definite-length subset WebAuthn authenticators emit; maps decode to `Map` so integer
+ * COSE labels keep their type. The input comes from the client, so every length is checked
+ * against the data and nesting is capped; failures throw `INVALID_CREDENTIAL`.
+ */
+export function decodeCbor(data: Buffer, offset = 0, depth = 0): [unknown, number] {
+  if (depth > CBOR_MAX_DEPTH) {
+    throw new PasskeyVerificationError('INVALID_CREDENTIAL', 'CBOR data is nested too deeply');
+  }
+  ensureAvailable(data, offset, 1);
+  const initial = data[offset];
+  const major = initial >> 5;
+  const info = initial & 0x1f;
+
+  if (major === 7) {
+    switch (info) {
+      case 20:
+        return [false, offset + 1];
+      case 21:
+        return [true, offset + 1];
+      case 22:
+        return [null, offset + 1];
+      case 23:
+        return [undefined, offset + 1];
+      case 25: {
+        ensureAvailable(data, offset + 1, 2);
+        const half = data.readUInt16BE(offset + 1);
+        const exponent = (half >> 10) & 0x1f;
+        const fraction = half & 0x3ff;
+        const sign = half & 0x8000 ? -1 : 1;
+        if (exponent === 31) {
+          return [fraction ? NaN : sign * Infinity, offset + 3];
+        }
+        const value =
+          exponent === 0
+            ? sign * 2 ** -14 * (fraction / 1024)
+            : sign * 2 ** (exponent - 15) * (1 + fraction / 1024);
+        return [value, offset + 3];
+      }
+      case 26:
+        ensureAvailable(data, offset + 1, 4);
+        return [data.readFloatBE(offset + 1), offset + 5];
+      case 27:
+        ensureAvailable(data, offset + 1, 8);
+        return [data.readDoubleBE(offset + 1), offset + 9];
+      default:
+        throw new PasskeyVerificationError(
+          'INVALID_CREDENTIAL',
+          `Unsupported CBOR simple value ${info}`,
+        );
+    }
+  }
+
+  const [length, next] = readLength(data, offset + 1, info);
+  switch (major) {
+    case 0:
+      return [length, next];
+    case 1:
+      return [-1 - length, next];
+    case 2:
+    case 3: {
+      ensureAvailable(data, next, length);
+      const bytes = data.subarray(next, next + length);
+      return [major === 2 ? Buffer.from(bytes) : bytes.toString('utf8'), next + length];
+    }
+    case 4: {
+      /** Every item takes at least a byte, so a count past the remaining data is malformed */
+      if (length > CBOR_MAX_ITEMS || length > data.length - next) {
+        throw new PasskeyVerificationError('INVALID_CREDENTIAL', 'CBOR array is too large');
+      }
+      const items: unknown[] = [];
+      let cursor = next;
+      for (let i = 0; i < length; i++) {
+        const [item, after] = decodeCbor(data, cursor, depth + 1);
+        items.push(item);
+        cursor = after;
+      }
+      return [items, cursor];
+    }
+    case 5: {
+      if (length > CBOR_MAX_ITEMS || length * 2 > data.length - next) {
+        throw new PasskeyVerificationError('INVALID_CREDENTIAL', 'CBOR map is too large');
+      }
+      const map = new Map<unknown, unknown>();
+      let cursor = next;
+      for (let i = 0; i < length; i++) {
+        const [key, afterKey] = decodeCbor(data, cursor, depth + 1);
+        const [value, afterValue] = decodeCbor(data, afterKey, depth + 1);
+        map.set(key, value);
+        cursor = afterValue;
+      }
+      return [map, cursor];
+    }
+    default:
+      /** Tags (major type 6) carry no meaning for WebAuthn; decode the tagged item */
+      return decodeCbor(data, next, depth + 1);
+  }
+}
+
+interface AuthenticatorData {
+  rpIdHash: Buffer;
+  userPresent: boolean;
+  userVerified: boolean;
+  backedUp: boolean;
+  signCount: number;
+  credentialId?: Buffer;
+  credentialPublicKey?: Buffer;
+}
+
+function parseAuthenticatorData(authData: Buffer): AuthenticatorData {
+  if (authData.length < 37) {
+    throw new PasskeyVerificationError('INVALID_CREDENTIAL', 'Authenticator data is too short');
+  }
+  const flags = authData[32];
+  const parsed: AuthenticatorData = {
+    rpIdHash: authData.subarray(0, 32),
+    userPresent: (flags & 0x01) !== 0,
+    userVerified: (flags & 0x04) !== 0,
+    backedUp: (flags & 0x10) !== 0,
+    signCount: authData.readUInt32BE(33),
+  };
+
+  const hasCredentialData = (flags & 0x40) !== 0;
+  if (hasCredentialData) {
+    /** 16-byte AAGUID, then a 2-byte credential id length */
+    if (authData.length < 55) {
+      throw new PasskeyVerificationError(
+        'INVALID_CREDENTIAL',
+        'Attested credential data is truncated',
+      );
+    }
+    const idLength = authData.readUInt16BE(53);
+    const idEnd = 55 + idLength;
+    if (idLength === 0 || idEnd >= authData.length) {
+      throw new PasskeyVerificationError(
+        'INVALID_CREDENTIAL',
+        'Attested credential data is truncated',
+      );
+    }
+    parsed.credentialId = authData.subarray(55, idEnd);
+    const [, keyEnd] = decodeCbor(authData, idEnd);
+    parsed.credentialPublicKey = authData.subarray(idEnd, keyEnd);
+  }
+  return parsed;
+}
+
+/** Converts a COSE_Key to a Node key object, rejecting algorithms not in {@link PASSKEY_ALGORITHMS}. */
+function coseToPublicKey(coseKey: Buffer): { key: KeyObject; alg: number } {
+  const [decoded] = decodeCbor(coseKey);
+  if (!(decoded instanceof Map)) {
+    throw new PasskeyVerificationError('UNSUPPORTED_KEY', 'Credential public key is malformed');
+  }
+  const kty = decoded.get(1);
+  const alg = decoded.get(3);
+  const b64 = (label: number) => {
+    const value = decoded.get(label);
+    if (!Buffer.isBuffer(value)) {
+      throw new PasskeyVerificationError('UNSUPPORTED_KEY', 'Credential public key is malformed');
+    }
+    return value.toString('base64url');
+  };
+
+  let jwk: Record<string, string>;
+  if (kty === 2 && alg === -7 && decoded.get(-1) === 1) {
+    jwk = { kty: 'EC', crv: 'P-256', x: b64(-2), y: b64(-3) };
+  } else if (kty === 1 && alg === -8 && decoded.get(-1) === 6) {
+    jwk = { kty: 'OKP', crv: 'Ed25519', x: b64(-2) };
+  } else if (kty === 3 && alg === -257) {
+    jwk = { kty: 'RSA', n: b64(-1), e: b64(-2) };
+  } else {
+    throw new PasskeyVerificationError(
+      'UNSUPPORTED_KEY',
+      `Unsupported credential key (kty ${String(kty)}, alg ${String(alg)})`,
+    );
+  }
+  try {
+    return { key: createPublicKey({ key: jwk, format: 'jwk' }), alg };
+  } catch {
+    throw new PasskeyVerificationError('UNSUPPORTED_KEY', 'Credential public key is malformed');
+  }
+}
+
+function verifyClientData(
+  clientDataJSON: Buffer,
+  type: 'webauthn.create' | 'webauthn.get',
+  expectedChallenge: string,
+  relyingParty: PasskeyRelyingParty,
+): void {
+  let clientData: { type?: unknown; challenge?: unknown; origin?: unknown; crossOrigin?: unknown };
+  try {
+    clientData = JSON.parse(clientDataJSON.toString('utf8'));
+  } catch {
+    throw new PasskeyVerificationError('INVALID_CREDENTIAL', 'Client data is not valid JSON');
+  }
+  if (clientData == null || typeof clientData !== 'object') {
+    throw new PasskeyVerificationError('INVALID_CREDENTIAL', 'Client data is not an object');
+  }
+
+  const challenge = Buffer.from(String(clientData.challenge ?? ''));
+  const expected = Buffer.from(expectedChallenge);
+  if (
+    clientData.type !== type ||
+    challenge.length !== expected.length ||
+    !timingSafeEqual(challenge, expected) ||
+    typeof clientData.origin !== 'string' ||
+    !relyingParty.origins.includes(clientData.origin) ||
+    clientData.crossOrigin === true
+  ) {
+    throw new PasskeyVerificationError(
+      'CLIENT_DATA_MISMATCH',
+      'Passkey response does not match the request',
+    );
+  }
+}
+
+function verifyFlags(
+  authData: AuthenticatorData,
+  relyingParty: PasskeyRelyingParty,
+  requireUserVerification: boolean,
+): void {
+  if (!authData.rpIdHash.equals(sha256(relyingParty.id))) {
+    throw new PasskeyVerificationError('RP_ID_MISMATCH', 'Passkey belongs to another site');
+  }
+  if (!authData.userPresent) {
+    throw new PasskeyVerificationError('USER_NOT_PRESENT', 'User presence was not confirmed');
+  }
+  if (requireUserVerification && !authData.userVerified) {
+    throw new PasskeyVerificationError('USER_NOT_VERIFIED', 'User verification is required');
+  }
+}
+
+/** `PublicKeyCredentialCreationOptionsJSON` for `navigator.credentials.create()`. */
+export function buildPasskeyRegistrationOptions({
+  relyingParty,
+  challenge,
+  user,
+  excludeCredentials = [],
+}: {
+  relyingParty: PasskeyRelyingParty;
+  challenge: string;
+  user: { id: string; name: string; displayName: string };
+  excludeCredentials?: Array<{ credentialId: string; transports?: string[] }>;
+}): TPasskeyRegistrationOptions {
+  return {
+    challenge,
+    rp: { id: relyingParty.id, name: relyingParty.name },
+    user: {
+      id: Buffer.from(user.id).toString('base64url'),
+      name: user.name,
+      displayName: user.displayName,
+    },
+    pubKeyCredParams: PASSKEY_ALGORITHMS.map((alg) => ({ type: 'public-key' as const, alg })),
+    timeout: PASSKEY_TIMEOUT_MS,
+    /** Attestation statements are not verified, so don't ask for them */
+    attestation: 'none' as const,
+    excludeCredentials: excludeCredentials.map(({ credentialId, transports }) => ({
+      id: credentialId,
+      type: 'public-key' as const,
+      transports,
+    })),
+    authenticatorSelection: {
+      residentKey: 'required' as const,
+      requireResidentKey: true,
+      userVerification: 'preferred' as const,
+    },
+  };
+}
+
+/**
+ * `PublicKeyCredentialRequestOptionsJSON` for `navigator.credentials.get()`. Without
+ * `allowCredentials` the browser offers every discoverable passkey for the site.
+ */
+export function buildPasskeyAuthenticationOptions({
+  relyingParty,
+  challenge,
+  allowCredentials,
+  userVerification,
+}: {
+  relyingParty: PasskeyRelyingParty;
+  challenge: string;
+  allowCredentials?: Array<{ credentialId: string; transports?: string[] }>;
+  userVerification: 'required' | 'preferred';
+}): TPasskeyAuthenticationOptions {
+  return {
+    challenge,
+    rpId: relyingParty.id,
+    timeout: PASSKEY_TIMEOUT_MS,
+    userVerification,
+    allowCredentials: allowCredentials?.map(({ credentialId, transports }) => ({
+      id: credentialId,
+      type: 'public-key' as const,
+      transports,
+    })),
+  };
+}
+
+/**
+ * Verifies a new passkey against the challenge it was created for and returns what to store.
+ * The attestation statement is not checked: options request `none`, so the credential is
+ * trusted the way it was enrolled, by an already signed-in user.
+ */
+export function verifyPasskeyRegistration({
+  credential,
+  expectedChallenge,
+  relyingParty,
+  requireUserVerification = false,
+}: {
+  credential: PasskeyRegistrationCredential;
+  expectedChallenge: string;
+  relyingParty: PasskeyRelyingParty;
+  requireUserVerification?: boolean;
+}): VerifiedPasskeyRegistration {
+  if (credential?.type !== 'public-key' || credential.response == null) {
+    throw new PasskeyVerificationError('INVALID_CREDENTIAL', 'Not a public key credential');
+  }
+  const clientDataJSON = fromBase64Url(credential.response.clientDataJSON, 'clientDataJSON');
+  verifyClientData(clientDataJSON, 'webauthn.create', expectedChallenge, relyingParty);
+
+  const [attestation] = decodeCbor(
+    fromBase64Url(credential.response.attestationObject, 'attestationObject'),
+  );
+  const authDataBytes = attestation instanceof Map ? attestation.get('authData') : undefined;
+  if (!Buffer.isBuffer(authDataBytes)) {
+    throw new PasskeyVerificationError('INVALID_CREDENTIAL', 'Attestation object is malformed');
+  }
+
+  const authData = parseAuthenticatorData(authDataBytes);
+  verifyFlags(authData, relyingParty, requireUserVerification);
+  if (authData.credentialId == null || authData.credentialPublicKey == null) {
+    throw new PasskeyVerificationError('INVALID_CREDENTIAL', 'Credential data is missing');
+  }
+  const credentialId = authData.credentialId.toString('base64url');
+  if (credential.rawId !== credentialId) {
+    throw new PasskeyVerificationError('INVALID_CREDENTIAL', 'Credential id does not match');
+  }
+  coseToPublicKey(authData.credentialPublicKey);
+
+  return {
+    credentialId,
+    publicKey: authData.credentialPublicKey.toString('base64url'),
+    counter: authData.signCount,
+    transports: Array.isArray(credential.response.transports)
+      ? credential.response.transports.filter((t) => typeof t === 'string')
+      : [],
+    backedUp: authData.backedUp,
+  };
+}
+
+/**
+ * Verifies a passkey assertion against the stored credential. A signature counter that did
+ * not advance means the authenticator may have been cloned; authenticators that never count
+ * (always 0) are allowed.
+ */
+export function verifyPasskeyAuthentication({
+  credential,
+  expectedChallenge,
+  relyingParty,
+  publicKey,
+  counter,
+  requireUserVerification,
+}: {
+  credential: PasskeyAuthenticationCredential;
+  expectedChallenge: string;
+  relyingParty: PasskeyRelyingParty;
+  publicKey: string;
+  counter: number;
+  requireUserVerification: boolean;
+}): VerifiedPasskeyAuthentication {
+  if (credential?.type !== 'public-key' || credential.response == null) {
+    throw new PasskeyVerificationError('INVALID_CREDENTIAL', 'Not a public key credential');
+  }
+  const clientDataJSON = fromBase64Url(credential.response.clientDataJSON, 'clientDataJSON');
+  verifyClientData(clientDataJSON, 'webauthn.get', expectedChallenge, relyingParty);
+
+  const authDataBytes = fromBase64Url(credential.response.authenticatorData, 'authenticatorData');
+  const authData = parseAuthenticatorData(authDataBytes);
+  verifyFlags(authData, relyingParty, requireUserVerification);
+
+  const { key, alg } = coseToPublicKey(Buffer.from(publicKey, 'base64url'));
+  const signedData = Buffer.concat([authDataBytes, sha256(clientDataJSON)]);
+  const signature = fromBase64Url(credential.response.signature, 'signature');
+  let valid: boolean;
+  try {
+    valid = verify(alg === -8 ? null : 'sha256', signedData, key, signature);
+  } catch {
+    /** OpenSSL rejects some malformed signatures outright instead of reporting a mismatch */
+    valid = false;
+  }
+  if (!valid) {
+    throw new PasskeyVerificationError('SIGNATURE_MISMATCH', 'Passkey signature is invalid');
+  }
+
+  if ((authData.signCount > 0 || counter > 0) && authData.signCount <= counter) {
+    throw new PasskeyVerificationError(
+      'COUNTER_REPLAY',
+      'Passkey signature counter did not advance',
+    );
+  }
+
+  return {
+    credentialId: credential.rawId,
+    newCounter: authData.signCount,
+    backedUp: authData.backedUp,
+  };
+}
@@ -57,6 +57,7 @@ const MAX_DETAILED_TRACE_USE_CASES = 10;
 const instrumentedClients = new WeakMap<object, Map<string, object>>();
 
 export const RedisUseCases = {
+  BACKGROUND_TASKS: 'background_tasks',
   GENERATION_STREAM: 'generation_stream',
   LEADER_ELECTION: 'leader_election',
   MCP_REGISTRY: 'mcp_registry',
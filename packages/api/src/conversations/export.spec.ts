@@ -0,0 +1,315 @@
+import os from 'os';
+import path from 'path';
+import JSZip from 'jszip';
+import { Readable } from 'stream';
+import { mkdtemp, readFile, rm } from 'fs/promises';
+import type { IConversation, IMessage, IMongoFile } from '@librechat/data-schemas';
+import type { ConversationArchiveDeps, LibreChatConversationExport } from './export';
+import {
+  isZipArchive,
+  ArchiveTooLargeError,
+  getMessageFileIds,
+  remapConversationFiles,
+  buildConversationExport,
+  readConversationArchive,
+  createConversationArchive,
+  renderConversationMarkdown,
+  parseConversationExportFilter,
+  CONVERSATION_ARCHIVE_MANIFEST,
+} from './export';
+
+jest.mock('@librechat/data-schemas', () => ({
+  logger: {
+    debug: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+const conversation = {
+  conversationId: 'convo-1',
+  user: 'user-1',
+  title: 'Trip planning',
+  endpoint: 'openAI',
+  model: 'gpt-4o',
+  _id: 'mongo-id',
+  messages: ['m1'],
+  tags: ['travel'],
+} as unknown as IConversation;
+
+const messages = [
+  {
+    _id: 'mongo-message-1',
+    user: 'user-1',
+    messageId: 'm1',
+    conversationId: 'convo-1',
+    parentMessageId: '00000000-0000-0000-0000-000000000000',
+    sender: 'User',
+    isCreatedByUser: true,
+    text: 'Here is the itinerary',
+    files: [{ file_id: 'file-1', filepath: '/uploads/user-1/file-1__plan.pdf' }],
+  },
+  {
+    _id: 'mongo-message-2',
+    user: 'user-1',
+    messageId: 'm2',
+    conversationId: 'convo-1',
+    parentMessageId: 'm1',
+    sender: 'GPT-4o',
+    isCreatedByUser: false,
+    text: '',
+    content: [
+      { type: 'think', think: 'Reading the plan' },
+      { type: 'text', text: 'Looks good' },
+    ],
+    attachments: [{ file_id: 'file-2', filepath: '/images/user-1/chart.png' }],
+  },
+] as unknown as IMessage[];
+
+const files = [
+  { file_id: 'file-1', filename: 'plan.pdf', type: 'application/pdf', bytes: 4, source: 'local' },
+  { file_id: 'file-2', filename: 'chart.png', type: 'image/png', bytes: 3, source: 'local' },
+] as unknown as IMongoFile[];
+
+const fileContents: Record<string, string> = { 'file-1': '%PDF', 'file-2': 'PNG' };
+
+describe('parseConversationExportFilter', () => {
+  it('defaults to exporting everything', () => {
+    expect(parseConversationExportFilter(undefined)).toEqual({ filter: { type: 'all' } });
+    expect(parseConversationExportFilter({})).toEqual({ filter: { type: 'all' } });
+  });
+
+  it('accepts a project id and rejects malformed ids', () => {
+    const projectId = 'a'.repeat(24);
+    expect(parseConversationExportFilter({ type: 'project', projectId })).toEqual({
+      filter: { type: 'project', projectId },
+    });
+    expect(parseConversationExportFilter({ type: 'project', projectId: 'nope' })).toHaveProperty(
+      'error',
+    );
+  });
+
+  it('requires a non-empty tag', () => {
+    expect(parseConversationExportFilter({ type: 'tag', tag: 'travel' })).toEqual({
+      filter: { type: 'tag', tag: 'travel' },
+    });
+    expect(parseConversationExportFilter({ type: 'tag', tag: '  ' })).toHaveProperty('error');
+  });
+
+  it('parses date ranges and rejects inverted or empty ones', () => {
+    const result = parseConversationExportFilter({
+      type: 'dateRange',
+      from: '2026-01-01T00:00:00.000Z',
+    });
+    expect(result).toEqual({
+      filter: { type: 'dateRange', from: new Date('2026-01-01T00:00:00.000Z') },
+    });
+    expect(parseConversationExportFilter({ type: 'dateRange' })).toHaveProperty('error');
+    expect(
+      parseConversationExportFilter({
+        type: 'dateRange',
+        from: '2026-02-01T00:00:00.000Z',
+        to: '2026-01-01T00:00:00.000Z',
+      }),
+    ).toHaveProperty('error');
+    expect(parseConversationExportFilter({ type: 'dateRange', to: 'yesterday' })).toHaveProperty(
+      'error',
+    );
+  });
+
+  it('rejects unknown filter types', () => {
+    expect(parseConversationExportFilter({ type: 'folder' })).toHaveProperty('error');
+  });
+});
+
+describe('buildConversationExport', () => {
+  it('collects file ids from message files and attachments', () => {
+    expect(getMessageFileIds(messages)).toEqual(['file-1', 'file-2']);
+  });
+
+  it('matches the client export shape and drops storage fields', () => {
+    const exported = buildConversationExport(conversation, messages);
+
+    expect(exported).toMatchObject({
+      conversationId: 'convo-1',
+      endpoint: 'openAI',
+      title: 'Trip planning',
+      branches: true,
+      recursive: false,
+    });
+    expect(exported.options).toMatchObject({ endpoint: 'openAI', model: 'gpt-4o' });
+    expect(exported.options).not.toHaveProperty('_id');
+    expect(exported.options).not.toHaveProperty('messages');
+    expect(exported.messages[0]).not.toHaveProperty('_id');
+    expect(exported.messages[0]).not.toHaveProperty('user');
+    expect(exported.messages[1]).toMatchObject({ messageId: 'm2', parentMessageId: 'm1' });
+    expect(exported).not.toHaveProperty('files');
+  });
+
+  it('renders Markdown with content parts and relative file links', () => {
+    const exported = buildConversationExport(conversation, messages, [
+      {
+        file_id: 'file-1',
+        filename: 'plan.pdf',
+        type: 'application/pdf',
+        bytes: 4,
+        path: 'files/file-1/plan.pdf',
+      },
+    ]);
+    const markdown = renderConversationMarkdown(exported);
+
+    expect(markdown).toContain('# Conversation\n- conversationId: convo-1');
+    expect(markdown).toContain('- model: gpt-4o');
+    expect(markdown).toContain(
+      '**User**\nHere is the itinerary\n- [plan.pdf](../../files/file-1/plan.pdf)',
+    );
+    expect(markdown).toContain('<summary>Thinking</summary>\n\nReading the plan');
+    expect(markdown).toContain('Looks good');
+  });
+});
+
+describe('remapConversationFiles', () => {
+  it('points message files at the imported copies and drops the file list', () => {
+    const exported = buildConversationExport(conversation, messages, [
+      { file_id: 'file-1', filename: 'plan.pdf', type: 'application/pdf', bytes: 4, path: 'x' },
+    ]);
+    const remapped = remapConversationFiles(
+      exported,
+      new Map([['file-1', { file_id: 'new-1', filepath: '/uploads/user-2/new-1__plan.pdf' }]]),
+    );
+
+    expect(remapped).not.toHaveProperty('files');
+    expect(remapped.messages[0].files).toEqual([
+      { file_id: 'new-1', filepath: '/uploads/user-2/new-1__plan.pdf' },
+    ]);
+    expect(remapped.messages[1].attachments).toEqual(messages[1].attachments);
+  });
+});
+
+describe('isZipArchive', () => {
+  it('detects the ZIP signature', () => {
+    expect(isZipArchive(Buffer.from([0x50, 0x4b, 0x03, 0x04, 0x00]))).toBe(true);
+    expect(isZipArchive(Buffer.from('{"conversations":[]}'))).toBe(false);
+    expect(isZipArchive(Buffer.alloc(0))).toBe(false);
+  });
+});
+
+describe('conversation archives', () => {
+  let tmpDir: string;
+
+  beforeEach(async () => {
+    tmpDir = await mkdtemp(path.join(os.tmpdir(), 'convo-export-'));
+  });
+
+  afterEach(async () => {
+    await rm(tmpDir, { recursive: true, force: true });
+  });
+
+  function createDeps(overrides: Partial<ConversationArchiveDeps> = {}): ConversationArchiveDeps {
+    return {
+      findConversationsForExport: jest.fn().mockResolvedValue([conversation]),
+      getMessages: jest.fn().mockResolvedValue(messages),
+      getFiles: jest.fn().mockResolvedValue(files),
+      getFileStream: jest.fn(async (file: IMongoFile) =>
+        Readable.from([Buffer.from(fileContents[file.file_id])]),
+      ),
+      ...overrides,
+    };
+  }
+
+  it('writes an archive that reads back with its files', async () => {
+    const outputPath = path.join(tmpDir, 'export.zip');
+    const onProgress = jest.fn();
+    const result = await createConversationArchive(createDeps(), {
+      user: 'user-1',
+      filter: { type: 'all' },
+      outputPath,
+      maxBytes: 1024 * 1024,
+      onProgress,
+    });
+
+    expect(result).toMatchObject({ conversationCount: 1, fileCount: 2, skippedFileCount: 0 });
+    expect(onProgress).toHaveBeenCalledTimes(1);
+
+    const buffer = await readFile(outputPath);
+    expect(isZipArchive(buffer)).toBe(true);
+    const zip = await JSZip.loadAsync(buffer);
+    expect(zip.file(CONVERSATION_ARCHIVE_MANIFEST)).not.toBeNull();
+    expect(zip.file('conversations/convo-1/conversation.md')).not.toBeNull();
+
+    const { conversations, readFile: readArchivedFile } = await readConversationArchive(
+      buffer,
+      1024 * 1024,
+    );
+    expect(conversations).toHaveLength(1);
+    const [exported] = conversations;
+    expect(exported.files?.map((file) => file.filename)).toEqual(['plan.pdf', 'chart.png']);
+    const data = await readArchivedFile(exported.files![0]);
+    expect(data?.toString()).toBe('%PDF');
+  });
+
+  it('skips files that are unreadable or over the size budget', async () => {
+    const outputPath = path.join(tmpDir, 'export.zip');
+    const result = await createConversationArchive(
+      createDeps({
+        getFileStream: jest.fn(async (file: IMongoFile) =>
+          file.file_id === 'file-1' ? null : Readable.from([Buffer.from('PNG')]),
+        ),
+      }),
+      { user: 'user-1', filter: { type: 'all' }, outputPath, maxBytes: 1024 * 1024 },
+    );
+
+    expect(result).toMatchObject({ fileCount: 1, skippedFileCount: 1 });
+
+    const budgeted = await createConversationArchive(
+      createDeps({
+        getFileStream: jest.fn(async () => Readable.from([Buffer.alloc(64 * 1024)])),
+      }),
+      { user: 'user-1', filter: { type: 'all' }, outputPath, maxBytes: 32 * 1024 },
+    );
+    expect(budgeted).toMatchObject({ conversationCount: 1, fileCount: 0, skippedFileCount: 2 });
+    expect(budgeted.bytes).toBeLessThanOrEqual(32 * 1024);
+  });
+
+  it('fails when the conversations themselves exceed the size budget', async () => {
+    const outputPath = path.join(tmpDir, 'export.zip');
+    await expect(
+      createConversationArchive(createDeps(), {
+        user: 'user-1',
+        filter: { type: 'all' },
+        outputPath,
+        maxBytes: 256,
+      }),
+    ).rejects.toBeInstanceOf(ArchiveTooLargeError);
+  });
+
+  it('rejects archives without a supported manifest', async () => {
+    const zip = new JSZip();
+    zip.file('conversations/convo-1/conversation.json', '{}');
+    const withoutManifest = await zip.generateAsync({ type: 'nodebuffer' });
+    await expect(readConversationArchive(withoutManifest, 1024)).rejects.toThrow(/manifest/);
+
+    zip.file(CONVERSATION_ARCHIVE_MANIFEST, JSON.stringify({ version: 99, conversations: [] }));
+    const future = await zip.generateAsync({ type: 'nodebuffer' });
+    await expect(readConversationArchive(future, 1024)).rejects.toThrow(/version/);
+  });
+
+  it('stops reading once the decompressed size exceeds the limit', async () => {
+    const exported: LibreChatConversationExport = buildConversationExport(conversation, messages);
+    const zip = new JSZip();
+    zip.file(
+      CONVERSATION_ARCHIVE_MANIFEST,
+      JSON.stringify({
+        version: 1,
+        exportedAt: new Date().toISOString(),
+        conversations: [{ conversationId: 'convo-1', path: '../conversation.json' }],
+      }),
+    );
+    zip.file('conversation.json', JSON.stringify(exported));
+    const traversal = await zip.generateAsync({ type: 'nodebuffer' });
+    await expect(readConversationArchive(traversal, 1024 * 1024)).rejects.toThrow(/missing/);
+
+    const small = await zip.generateAsync({ type: 'nodebuffer' });
+    await expect(readConversationArchive(small, 10)).rejects.toThrow(/manifest/);
+  });
+});
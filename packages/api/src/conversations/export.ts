@@ -0,0 +1,707 @@
+import path from 'path';
+import JSZip from 'jszip';
+import { createWriteStream } from 'fs';
+import { pipeline } from 'stream/promises';
+import { parseConvo } from 'librechat-data-provider';
+import { logger } from '@librechat/data-schemas';
+import type { Readable, Writable } from 'stream';
+import type { EModelEndpoint } from 'librechat-data-provider';
+import type {
+  IMessage,
+  IMongoFile,
+  IConversation,
+  ConversationExportFilter,
+} from '@librechat/data-schemas';
+import { sanitizeFilename } from '~/utils/files';
+
+export const CONVERSATION_ARCHIVE_VERSION = 1;
+export const CONVERSATION_ARCHIVE_MANIFEST = 'manifest.json';
+
+const MAX_TAG_LENGTH = 256;
+const OBJECT_ID_PATTERN = /^[a-f\d]{24}$/i;
+
+/** Conversation fields that describe storage or UI state rather than model options. */
+const NON_OPTION_FIELDS = new Set([
+  '_id',
+  '__v',
+  'user',
+  'messages',
+  'files',
+  'tags',
+  'tenantId',
+  'chatProjectId',
+  'isArchived',
+  'archivedAt',
+  'pinned',
+  'isTemporary',
+  'expiredAt',
+  'subagentThread',
+  'subagentThreadLease',
+  'createdAt',
+  'updatedAt',
+]);
+
+/** Storage fields and server-private subagent state, which do not belong in an export. */
+const NON_EXPORTED_MESSAGE_FIELDS = new Set([
+  '_id',
+  '__v',
+  'user',
+  'tenantId',
+  'expiredAt',
+  '_meiliIndex',
+  'subagentTask',
+  'subagentTranscript',
+]);
+
+/** A file bundled with an exported conversation, as listed in its JSON. */
+export interface ExportedFile {
+  file_id: string;
+  filename: string;
+  type: string;
+  bytes: number;
+  width?: number;
+  height?: number;
+  /** Location of the file's bytes inside the archive. */
+  path: string;
+}
+
+/** The LibreChat JSON format written by the client's "Export conversation" dialog, plus files. */
+export interface LibreChatConversationExport {
+  conversationId: string;
+  endpoint?: string | null;
+  title?: string | null;
+  exportAt: string;
+  branches: boolean;
+  recursive: boolean;
+  options: Record<string, unknown>;
+  messages: Array<Partial<IMessage>>;
+  files?: ExportedFile[];
+}
+
+export interface ConversationArchiveManifest {
+  version: number;
+  exportedAt: string;
+  conversations: Array<{ conversationId: string; title?: string | null; path: string }>;
+}
+
+export interface ConversationArchiveDeps {
+  findConversationsForExport: (
+    user: string,
+    filter: ConversationExportFilter,
+  ) => Promise<IConversation[]>;
+  getMessages: (filter: { conversationId: string; user: string }) => Promise<IMessage[]>;
+  getFiles: (filter: { user: string; file_id: { $in: string[] } }) => Promise<IMongoFile[] | null>;
+  /** Opens a stored file through its storage strategy; `null` when the source cannot be read. */
+  getFileStream: (file: IMongoFile) => Promise<Readable | null>;
+}
+
+export interface ConversationArchiveResult {
+  conversationCount: number;
+  fileCount: number;
+  skippedFileCount: number;
+  bytes: number;
+}
+
+/** Validates the filter of an export request. Dates are ISO strings; `to` is inclusive. */
+export function parseConversationExportFilter(
+  body: unknown,
+): { filter: ConversationExportFilter } | { error: string } {
+  const input =
+    body != null && typeof body === 'object' && !Array.isArray(body)
+      ? (body as Record<string, unknown>)
+      : {};
+  const type = input.type ?? 'all';
+
+  if (type === 'all') {
+    return { filter: { type: 'all' } };
+  }
+  if (type === 'project') {
+    if (typeof input.projectId !== 'string' || !OBJECT_ID_PATTERN.test(input.projectId)) {
+      return { error: 'projectId must be a valid project id' };
+    }
+    return { filter: { type: 'project', projectId: input.projectId } };
+  }
+  if (type === 'tag') {
+    if (typeof input.tag !== 'string' || !input.tag.trim() || input.tag.length > MAX_TAG_LENGTH) {
+      return { error: 'tag must be a non-empty string' };
+    }
+    return { filter: { type: 'tag', tag: input.tag } };
+  }
+  if (type === 'dateRange') {
+    const dates: { from?: Date; to?: Date } = {};
+    for (const key of ['from', 'to'] as const) {
+      const value = input[key];
+      if (value == null || value === '') {
+        continue;
+      }
+      const date = typeof value === 'string' ? new Date(value) : null;
+      if (!date || Number.isNaN(date.getTime())) {
+        return { error: `${key} must be an ISO 8601 date` };
+      }
+      dates[key] = date;
+    }
+    if (!dates.from && !dates.to) {
+      return { error: 'A date range needs from, to, or both' };
+    }
+    if (dates.from && dates.to && dates.from > dates.to) {
+      return { error: 'from must not be after to' };
+    }
+    return { filter: { type: 'dateRange', ...dates } };
+  }
+  return { error: 'type must be one of all, project, tag, dateRange' };
+}
+
+/** Mirrors the client's `cleanupPreset`: the conversation's model options, without storage fields. */
+function getConversationOptions(conversation: IConversation): Record<string, unknown> {
+  const raw: Record<string, unknown> = {};
+  for (const [key, value] of Object.entries(conversation)) {
+    if (!NON_OPTION_FIELDS.has(key) && value != null) {
+      raw[key] = value;
+    }
+  }
+  const { endpoint, endpointType } = conversation;
+  if (!endpoint) {
+    return raw;
+  }
+  try {
+    const parsed = parseConvo({
+      endpoint: endpoint as EModelEndpoint,
+      endpointType: endpointType as EModelEndpoint | undefined,
+      conversation: raw,
+    });
+    return { ...parsed, endpoint, ...(endpointType != null && { endpointType }) };
+  } catch (error) {
+    logger.debug('[conversationExport] Could not parse conversation options', error);
+    return raw;
+  }
+}
+
+function toPlainMessage(message: IMessage): Partial<IMessage> {
+  const plain: Record<string, unknown> = {};
+  for (const [key, value] of Object.entries(message)) {
+    if (!NON_EXPORTED_MESSAGE_FIELDS.has(key)) {
+      plain[key] = value;
+    }
+  }
+  return plain as Partial<IMessage>;
+}
+
+/** Ids of the files a message displays: uploads in `files` and tool outputs in `attachments`. */
+export function getMessageFileIds(messages: Array<Partial<IMessage>>): string[] {
+  const ids = new Set<string>();
+  for (const message of messages) {
+    const refs = [...(message.files ?? []), ...(message.attachments ?? [])] as Array<{
+      file_id?: unknown;
+    } | null>;
+    for (const ref of refs) {
+      if (typeof ref?.file_id === 'string' && ref.file_id) {
+        ids.add(ref.file_id);
+      }
+    }
+  }
+  return [...ids];
+}
+
+export function getArchiveFilePath(file: Pick<IMongoFile, 'file_id' | 'filename'>): string {
+  return `files/${sanitizeFilename(file.file_id)}/${sanitizeFilename(file.filename || 'file')}`;
+}
+
+/** Builds the same JSON the client exports with branches and options, as a flat message list. */
+export function buildConversationExport(
+  conversation: IConversation,
+  messages: IMessage[],
+  files: ExportedFile[] = [],
+): LibreChatConversationExport {
+  return {
+    conversationId: conversation.conversationId,
+    endpoint: conversation.endpoint,
+    title: conversation.title,
+    exportAt: new Date().toISOString(),
+    branches: true,
+    recursive: false,
+    options: getConversationOptions(conversation),
+    messages: messages.map(toPlainMessage),
+    ...(files.length > 0 && { files }),
+  };
+}
+
+function renderContentPart(part: Record<string, unknown>): string {
+  const type = part.type;
+  if (type === 'text') {
+    const text = part.text;
+    return typeof text === 'string' ? text : ((text as { value?: string })?.value ?? '');
+  }
+  if (type === 'think') {
+    const think = typeof part.think === 'string' ? part.think.trim() : '';
+    return think ? `<details>\n<summary>Thinking</summary>\n\n${think}\n</details>` : '';
+  }
+  if (type === 'error') {
+    return `*(Error: ${String(part.error ?? part.text ?? '')})*`;
+  }
+  if (type === 'tool_call') {
+    const name = (part.tool_call as { name?: string } | undefined)?.name;
+    return `*(Tool call${name ? `: ${name}` : ''})*`;
+  }
+  return '';
+}
+
+function renderMessageText(message: Partial<IMessage>): string {
+  if (!Array.isArray(message.content) || message.content.length === 0) {
+    return message.text ?? '';
+  }
+  return message.content
+    .filter((part): part is Record<string, unknown> => part != null && typeof part === 'object')
+    .map(renderContentPart)
+    .filter((text) => text.trim().length > 0)
+    .join('\n\n');
+}
+
+/**
+ * Renders a conversation in the layout of the client's Markdown export. File links are
+ * relative to the conversation's folder in the archive.
+ */
+export function renderConversationMarkdown(exported: LibreChatConversationExport): string {
+  let data =
+    '# Conversation\n' +
+    `- conversationId: ${exported.conversationId}\n` +
+    `- endpoint: ${exported.endpoint ?? ''}\n` +
+    `- title: ${exported.title ?? ''}\n` +
+    `- exportAt: ${exported.exportAt}\n`;
+
+  data += '\n## Options\n';
+  for (const [key, value] of Object.entries(exported.options)) {
+    data += `- ${key}: ${typeof value === 'object' ? JSON.stringify(value) : String(value)}\n`;
+  }
+
+  const filesById = new Map((exported.files ?? []).map((file) => [file.file_id, file]));
+  data += '\n## History\n';
+  for (const message of exported.messages) {
+    data += `**${message.sender ?? (message.isCreatedByUser ? 'User' : 'Assistant')}**\n`;
+    data += `${renderMessageText(message)}\n`;
+    for (const fileId of getMessageFileIds([message])) {
+      const file = filesById.get(fileId);
+      if (file) {
+        data += `- [${file.filename}](../../${file.path})\n`;
+      }
+    }
+    if (message.error) {
+      data += '*(This is an error message)*\n';
+    }
+    if (message.unfinished === true) {
+      data += '*(This is an unfinished message)*\n';
+    }
+    data += '\n\n';
+  }
+  return data;
+}
+
+/**
+ * Reads a stream into memory, giving up once it exceeds `maxBytes`. Listens for events
+ * rather than iterating, since JSZip's entry streams come from `readable-stream` v2,
+ * which is not async iterable.
+ */
+function readStreamWithLimit(stream: Readable, maxBytes: number): Promise<Buffer | null> {
+  return new Promise((resolve, reject) => {
+    const chunks: Buffer[] = [];
+    let total = 0;
+    let done = false;
+    stream.on('data', (chunk: Buffer | string) => {
+      if (done) {
+        return;
+      }
+      const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+      total += buffer.length;
+      if (total > maxBytes) {
+        done = true;
+        if (typeof stream.destroy === 'function') {
+          stream.destroy();
+        }
+        resolve(null);
+        return;
+      }
+      chunks.push(buffer);
+    });
+    stream.on('end', () => {
+      if (!done) {
+        done = true;
+        resolve(Buffer.concat(chunks));
+      }
+    });
+    stream.on('error', (error) => {
+      if (!done) {
+        done = true;
+        reject(error);
+      }
+    });
+  });
+}
+
+/** Collects the entries of a ZIP and writes them out once the archive is complete. */
+export interface ArchiveWriter {
+  /** Adds `data` as the next entry. */
+  addEntry: (entryPath: string, data: string | Buffer) => Promise<void>;
+  /** Compresses the entries into the output and resolves once it has been flushed. */
+  finish: () => Promise<void>;
+}
+
+/**
+ * Writes a ZIP into `output`. Entries are held in memory until `finish`, so callers cap
+ * what they add; compression then streams into the output one entry at a time.
+ */
+export function createArchiveWriter(output: Writable): ArchiveWriter {
+  const zip = new JSZip();
+  return {
+    async addEntry(entryPath, data) {
+      zip.file(entryPath, data);
+    },
+    async finish() {
+      const stream = zip.generateNodeStream({
+        type: 'nodebuffer',
+        streamFiles: true,
+        compression: 'DEFLATE',
+      });
+      await pipeline(stream, output);
+    },
+  };
+}
+
+/** An archive whose required entries do not fit in its size budget. */
+export class ArchiveTooLargeError extends Error {
+  readonly code = 'ARCHIVE_TOO_LARGE';
+  constructor(readonly limit: number) {
+    super(`Archive content exceeds the ${(limit / 1024 / 1024).toFixed(1)} MB limit`);
+    this.name = 'ArchiveTooLargeError';
+  }
+}
+
+/** Adds an entry that counts against `result.bytes`, failing once it would exceed `maxBytes`. */
+async function addBudgetedEntry(
+  archive: Pick<ArchiveWriter, 'addEntry'>,
+  result: ConversationArchiveResult,
+  maxBytes: number,
+  entryPath: string,
+  data: string,
+): Promise<void> {
+  const bytes = Buffer.byteLength(data);
+  if (result.bytes + bytes > maxBytes) {
+    throw new ArchiveTooLargeError(maxBytes);
+  }
+  await archive.addEntry(entryPath, data);
+  result.bytes += bytes;
+}
+
+/**
+ * Adds a stored file to the archive at its `getArchiveFilePath`. Returns `null` when the
+ * file cannot be read or does not fit in the remaining `maxBytes`.
+ */
+export async function addArchiveFile(
+  archive: Pick<ArchiveWriter, 'addEntry'>,
+  getFileStream: ConversationArchiveDeps['getFileStream'],
+  file: IMongoFile,
+  maxBytes: number,
+): Promise<ExportedFile | null> {
+  if (file.bytes > maxBytes) {
+    return null;
+  }
+  try {
+    const stream = await getFileStream(file);
+    const buffer = stream ? await readStreamWithLimit(stream, maxBytes) : null;
+    if (!buffer) {
+      return null;
+    }
+    const entry: ExportedFile = {
+      file_id: file.file_id,
+      filename: file.filename,
+      type: file.type,
+      bytes: buffer.length,
+      ...(file.width != null && { width: file.width }),
+      ...(file.height != null && { height: file.height }),
+      path: getArchiveFilePath(file),
+    };
+    await archive.addEntry(entry.path, buffer);
+    return entry;
+  } catch (error) {
+    logger.warn(`[conversationExport] Could not read file ${file.file_id}`, error);
+    return null;
+  }
+}
+
+export interface ConversationArchiveContents {
+  result: ConversationArchiveResult;
+  /** Entries for the archive's manifest, in the order they were written. */
+  conversations: ConversationArchiveManifest['conversations'];
+  messageCount: number;
+  /** Every referenced file by id; `null` for files that were skipped. */
+  files: Map<string, ExportedFile | null>;
+}
+
+/**
+ * Writes the user's conversations matching `filter` into `archive`:
+ * `conversations/<id>/conversation.json` (importable), `conversation.md`, and each
+ * referenced file once under `files/`. Every entry counts against `maxBytes`: files that
+ * do not fit or cannot be read are counted as skipped, while a conversation that does not
+ * fit throws an {@link ArchiveTooLargeError}.
+ */
+export async function addConversationsToArchive(
+  archive: ArchiveWriter,
+  deps: ConversationArchiveDeps,
+  {
+    user,
+    filter,
+    maxBytes,
+    onProgress,
+  }: {
+    user: string;
+    filter: ConversationExportFilter;
+    maxBytes: number;
+    onProgress?: (progress: ConversationArchiveResult) => Promise<void> | void;
+  },
+): Promise<ConversationArchiveContents> {
+  const conversations = await deps.findConversationsForExport(user, filter);
+  const contents: ConversationArchiveContents = {
+    result: { conversationCount: 0, fileCount: 0, skippedFileCount: 0, bytes: 0 },
+    conversations: [],
+    messageCount: 0,
+    files: new Map(),
+  };
+  const { result, files: exportedFiles } = contents;
+
+  for (const conversation of conversations) {
+    const { conversationId } = conversation;
+    const messages = await deps.getMessages({ conversationId, user });
+    const fileIds = getMessageFileIds(messages);
+    const pendingIds = fileIds.filter((fileId) => !exportedFiles.has(fileId));
+    const files = pendingIds.length
+      ? ((await deps.getFiles({ user, file_id: { $in: pendingIds } })) ?? [])
+      : [];
+    for (const file of files) {
+      const entry = await addArchiveFile(
+        archive,
+        deps.getFileStream,
+        file,
+        maxBytes - result.bytes,
+      );
+      exportedFiles.set(file.file_id, entry);
+      if (entry) {
+        result.fileCount++;
+        result.bytes += entry.bytes;
+      } else {
+        result.skippedFileCount++;
+      }
+    }
+    for (const fileId of pendingIds) {
+      if (!exportedFiles.has(fileId)) {
+        exportedFiles.set(fileId, null);
+        result.skippedFileCount++;
+      }
+    }
+
+    const conversationFiles = fileIds
+      .map((fileId) => exportedFiles.get(fileId))
+      .filter((entry): entry is ExportedFile => entry != null);
+    const exported = buildConversationExport(conversation, messages, conversationFiles);
+    const json = JSON.stringify(exported);
+    const markdown = renderConversationMarkdown(exported);
+    const folder = `conversations/${sanitizeFilename(conversationId)}`;
+    await addBudgetedEntry(archive, result, maxBytes, `${folder}/conversation.json`, json);
+    await addBudgetedEntry(archive, result, maxBytes, `${folder}/conversation.md`, markdown);
+    contents.conversations.push({
+      conversationId,
+      title: conversation.title,
+      path: `${folder}/conversation.json`,
+    });
+    contents.messageCount += messages.length;
+    result.conversationCount++;
+    await onProgress?.({ ...result });
+  }
+
+  return contents;
+}
+
+/**
+ * Writes the user's conversations matching `filter` into a ZIP at `outputPath`, with a
+ * manifest that lets the archive be imported again. Content, manifest included, is capped
+ * at `maxBytes` so the archive stays importable.
+ */
+export async function createConversationArchive(
+  deps: ConversationArchiveDeps,
+  {
+    user,
+    filter,
+    outputPath,
+    maxBytes,
+    onProgress,
+  }: {
+    user: string;
+    filter: ConversationExportFilter;
+    outputPath: string;
+    maxBytes: number;
+    onProgress?: (progress: ConversationArchiveResult) => Promise<void> | void;
+  },
+): Promise<ConversationArchiveResult> {
+  return writeArchive(outputPath, async (archive) => {
+    const exportedAt = new Date().toISOString();
+    const { result, conversations } = await addConversationsToArchive(archive, deps, {
+      user,
+      filter,
+      maxBytes,
+      onProgress,
+    });
+    const manifest: ConversationArchiveManifest = {
+      version: CONVERSATION_ARCHIVE_VERSION,
+      exportedAt,
+      conversations,
+    };
+    await addBudgetedEntry(
+      archive,
+      result,
+      maxBytes,
+      CONVERSATION_ARCHIVE_MANIFEST,
+      JSON.stringify(manifest, null, 2),
+    );
+    return result;
+  });
+}
+
+/**
+ * Writes the entries `build` adds into a ZIP at `outputPath`. On failure the output is
+ * closed and left incomplete for the caller to remove.
+ */
+export async function writeArchive<T>(
+  outputPath: string,
+  build: (archive: ArchiveWriter) => Promise<T>,
+): Promise<T> {
+  const output = createWriteStream(outputPath);
+  try {
+    const archive = createArchiveWriter(output);
+    const result = await build(archive);
+    await archive.finish();
+    return result;
+  } catch (error) {
+    output.destroy();
+    throw error;
+  }
+}
+
+/** ZIP archives start with a local file header (`PK\x03\x04`) or, when empty, an end record. */
+export function isZipArchive(buffer: Buffer): boolean {
+  return (
+    buffer.length >= 4 &&
+    buffer[0] === 0x50 &&
+    buffer[1] === 0x4b &&
+    (buffer[2] === 0x03 || buffer[2] === 0x05) &&
+    (buffer[3] === 0x04 || buffer[3] === 0x06)
+  );
+}
+
+function isSafeArchivePath(entryPath: string): boolean {
+  const normalized = path.posix.normalize(entryPath);
+  return (
+    normalized === entryPath &&
+    !path.posix.isAbsolute(entryPath) &&
+    !entryPath.split('/').some((segment) => segment === '' || segment === '..')
+  );
+}
+
+export interface ConversationArchiveReader {
+  conversations: LibreChatConversationExport[];
+  /** Reads a bundled file; `null` when it is missing or exceeds the remaining size budget. */
+  readFile: (file: ExportedFile) => Promise<Buffer | null>;
+}
+
+/**
+ * Opens a ZIP and returns a reader for its entries. `maxBytes` caps the total
+ * decompressed size across reads, so a small archive cannot expand without bound;
+ * a read that would exceed it, or names an unsafe or missing entry, yields `null`.
+ */
+export async function openArchive(
+  buffer: Buffer,
+  maxBytes: number,
+): Promise<(entryPath: string) => Promise<Buffer | null>> {
+  let zip: JSZip;
+  try {
+    zip = await JSZip.loadAsync(buffer);
+  } catch {
+    throw new Error('Invalid or corrupt archive');
+  }
+
+  let remaining = maxBytes;
+  return async (entryPath: string): Promise<Buffer | null> => {
+    const entry = isSafeArchivePath(entryPath) ? zip.file(entryPath) : null;
+    if (!entry || entry.dir) {
+      return null;
+    }
+    const data = await readStreamWithLimit(
+      entry.nodeStream('nodebuffer') as unknown as Readable,
+      remaining,
+    );
+    if (data) {
+      remaining -= data.length;
+    }
+    return data;
+  };
+}
+
+/**
+ * Opens an archive written by `createConversationArchive`. `maxBytes` caps the total
+ * decompressed size, so a small archive cannot expand without bound.
+ */
+export async function readConversationArchive(
+  buffer: Buffer,
+  maxBytes: number,
+): Promise<ConversationArchiveReader> {
+  const readEntry = await openArchive(buffer, maxBytes);
+
+  const manifestData = await readEntry(CONVERSATION_ARCHIVE_MANIFEST);
+  if (!manifestData) {
+    throw new Error('Archive must contain a manifest.json file');
+  }
+  const manifest = JSON.parse(manifestData.toString('utf8')) as ConversationArchiveManifest;
+  if (manifest.version !== CONVERSATION_ARCHIVE_VERSION || !Array.isArray(manifest.conversations)) {
+    throw new Error('Unsupported archive version');
+  }
+
+  const conversations: LibreChatConversationExport[] = [];
+  for (const { path: entryPath } of manifest.conversations) {
+    const data = typeof entryPath === 'string' ? await readEntry(entryPath) : null;
+    if (!data) {
+      throw new Error(`Archive entry ${entryPath} is missing or too large`);
+    }
+    conversations.push(JSON.parse(data.toString('utf8')) as LibreChatConversationExport);
+  }
+
+  return { conversations, readFile: (file) => readEntry(file.path) };
+}
+
+/** The stored file an archived file became on import. */
+export interface ImportedFileRef {
+  file_id: string;
+  filepath: string;
+  source?: string;
+}
+
+/**
+ * Points the conversation's message `files` and `attachments` at the files created on
+ * import. References to files missing from `fileMap` are left untouched.
+ */
+export function remapConversationFiles(
+  exported: LibreChatConversationExport,
+  fileMap: Map<string, ImportedFileRef>,
+): LibreChatConversationExport {
+  const remap = <T>(refs: T[] | undefined): T[] | undefined =>
+    refs?.map((ref) => {
+      const fileId = (ref as { file_id?: unknown } | null)?.file_id;
+      const imported = typeof fileId === 'string' ? fileMap.get(fileId) : undefined;
+      return imported ? { ...ref, ...imported } : ref;
+    });
+
+  const { files: _files, ...conversation } = exported;
+  return {
+    ...conversation,
+    messages: exported.messages.map((message) => ({
+      ...message,
+      ...(message.files && { files: remap(message.files) }),
+      ...(message.attachments && { attachments: remap(message.attachments) }),
+    })),
+  };
+}
@@ -0,0 +1,376 @@
+import os from 'os';
+import path from 'path';
+import { Readable, Writable } from 'stream';
+import { access, mkdtemp, readFile, rm, writeFile } from 'fs/promises';
+import type { Response } from 'express';
+import type { IExportJob } from '@librechat/data-schemas';
+import type { ConversationExportDeps } from './exportJobs';
+import type { ServerRequest } from '~/types';
+import { createConversationExportHandlers, EXPORT_STALE_MS } from './exportJobs';
+import { ArchiveTooLargeError, createConversationArchive } from './export';
+
+jest.mock('@librechat/data-schemas', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+jest.mock('./export', () => ({
+  ...jest.requireActual('./export'),
+  createConversationArchive: jest.fn(),
+}));
+
+const mockCreateArchive = createConversationArchive as jest.MockedFunction<
+  typeof createConversationArchive
+>;
+
+interface MockResponse {
+  statusCode: number;
+  body: unknown;
+  headers: Record<string, string>;
+  chunks: Buffer[];
+  status: jest.Mock;
+  json: jest.Mock;
+  setHeader: jest.Mock;
+  attachment: jest.Mock;
+}
+
+function mockRequest(
+  overrides: { body?: unknown; params?: Record<string, string> } = {},
+): ServerRequest {
+  return {
+    user: { id: 'user-1', email: 'user@example.com' },
+    body: overrides.body ?? {},
+    params: overrides.params ?? {},
+  } as unknown as ServerRequest;
+}
+
+/** A writable response that collects what is piped into it. */
+function mockResponse(): Response & MockResponse {
+  const chunks: Buffer[] = [];
+  const stream = new Writable({
+    write(chunk: Buffer, _encoding, callback) {
+      chunks.push(chunk);
+      callback();
+    },
+  });
+  const res: Writable & MockResponse = Object.assign(stream, {
+    statusCode: 200,
+    body: undefined,
+    headers: {},
+    chunks,
+    status: jest.fn((statusCode: number) => {
+      res.statusCode = statusCode;
+      return res;
+    }),
+    json: jest.fn((body: unknown) => {
+      res.body = body;
+      return res;
+    }),
+    setHeader: jest.fn((name: string, value: string) => {
+      res.headers[name] = value;
+      return res;
+    }),
+    attachment: jest.fn((filename: string) => {
+      res.headers['Content-Disposition'] = `attachment; filename="${filename}"`;
+      return res;
+    }),
+  });
+  return res as unknown as Response & MockResponse;
+}
+
+function createJob(overrides: Partial<IExportJob> = {}): IExportJob {
+  return {
+    _id: 'job-1',
+    user: 'user-1',
+    status: 'pending',
+    filter: { type: 'all' },
+    conversationCount: 0,
+    fileCount: 0,
+    skippedFileCount: 0,
+    expiresAt: new Date(Date.now() + 60_000),
+    createdAt: new Date('2026-03-01T00:00:00.000Z'),
+    ...overrides,
+  } as IExportJob;
+}
+
+const sleep = (ms: number) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('createConversationExportHandlers', () => {
+  let tmpDir: string;
+  let deps: jest.Mocked<ConversationExportDeps>;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    tmpDir = await mkdtemp(path.join(os.tmpdir(), 'convo-export-jobs-'));
+    deps = {
+      findConversationsForExport: jest.fn(),
+      getMessages: jest.fn(),
+      getFiles: jest.fn(),
+      getFileStream: jest.fn(),
+      createExportJob: jest.fn(async (data) => createJob(data)),
+      getExportJob: jest.fn(),
+      getLatestExportJob: jest.fn(),
+      findActiveExportJob: jest.fn().mockResolvedValue(null),
+      updateExportJob: jest.fn(async (_jobId, update) => createJob(update)),
+      findExpiredExportJobs: jest.fn().mockResolvedValue([]),
+      deleteExportJob: jest.fn().mockResolvedValue(true),
+      getTempDir: jest.fn(() => tmpDir),
+      saveExportArchive: jest.fn(async (_req, archive) => ({
+        filepath: `/uploads/user-1/${archive.filename}`,
+        source: 'local',
+      })),
+      getExportArchiveStream: jest.fn(),
+      deleteExportArchive: jest.fn().mockResolvedValue(undefined),
+      maxBytes: 1024,
+      notifyExportReady: jest.fn().mockResolvedValue(undefined),
+    } as unknown as jest.Mocked<ConversationExportDeps>;
+  });
+
+  afterEach(async () => {
+    await rm(tmpDir, { recursive: true, force: true });
+  });
+
+  /** Waits for the fire-and-forget export to record its outcome. */
+  async function waitForExport() {
+    const isFinished = () =>
+      deps.updateExportJob.mock.calls.some(
+        ([, update]) => update.status === 'completed' || update.status === 'failed',
+      );
+    for (let i = 0; i < 100 && !isFinished(); i++) {
+      await sleep(10);
+    }
+    await sleep(0);
+  }
+
+  describe('startExport', () => {
+    it('rejects invalid filters', async () => {
+      const { startExport } = createConversationExportHandlers(deps);
+      const res = mockResponse();
+
+      await startExport(mockRequest({ body: { type: 'project', projectId: 'x' } }), res);
+
+      expect(res.statusCode).toBe(400);
+      expect(deps.createExportJob).not.toHaveBeenCalled();
+    });
+
+    it('returns the active job instead of starting a second export', async () => {
+      deps.findActiveExportJob.mockResolvedValue(createJob({ status: 'running' }));
+      const { startExport } = createConversationExportHandlers(deps);
+      const res = mockResponse();
+
+      await startExport(mockRequest({ body: { type: 'all' } }), res);
+
+      expect(res.statusCode).toBe(409);
+      expect(res.body).toMatchObject({ job: { id: 'job-1', status: 'running' } });
+      const [, staleBefore] = deps.findActiveExportJob.mock.calls[0];
+      expect(Date.now() - staleBefore.getTime()).toBeGreaterThanOrEqual(EXPORT_STALE_MS - 1000);
+      expect(deps.createExportJob).not.toHaveBeenCalled();
+    });
+
+    it('builds the archive in the background, stores it, completes the job, and notifies the user', async () => {
+      let storedContent: string | undefined;
+      mockCreateArchive.mockImplementation(async (_deps, { outputPath }) => {
+        await writeFile(outputPath, 'zip');
+        return { conversationCount: 2, fileCount: 1, skippedFileCount: 0, bytes: 3 };
+      });
+      deps.saveExportArchive.mockImplementation(async (_req, archive) => {
+        storedContent = await readFile(archive.path, 'utf8');
+        return { filepath: '/uploads/user-1/stored.zip', source: 's3' };
+      });
+      const { startExport } = createConversationExportHandlers(deps);
+      const res = mockResponse();
+
+      await startExport(mockRequest({ body: { type: 'tag', tag: 'travel' } }), res);
+      await waitForExport();
+
+      expect(res.statusCode).toBe(202);
+      expect(res.body).toMatchObject({
+        job: { status: 'pending', filter: { type: 'tag', tag: 'travel' } },
+      });
+      expect(mockCreateArchive.mock.calls[0][1]).toMatchObject({
+        user: 'user-1',
+        outputPath: path.join(tmpDir, 'user-1', 'job-1.zip'),
+        maxBytes: 1024,
+      });
+      expect(deps.saveExportArchive).toHaveBeenCalledWith(
+        expect.objectContaining({ user: expect.objectContaining({ id: 'user-1' }) }),
+        { path: path.join(tmpDir, 'user-1', 'job-1.zip'), filename: 'job-1.zip', bytes: 3 },
+      );
+      expect(storedContent).toBe('zip');
+      expect(deps.updateExportJob).toHaveBeenCalledWith(
+        'job-1',
+        expect.objectContaining({
+          status: 'completed',
+          conversationCount: 2,
+          fileCount: 1,
+          bytes: 3,
+          filepath: '/uploads/user-1/stored.zip',
+          source: 's3',
+        }),
+      );
+      await expect(access(path.join(tmpDir, 'user-1', 'job-1.zip'))).rejects.toThrow();
+      expect(deps.notifyExportReady).toHaveBeenCalledWith(
+        expect.objectContaining({ user: expect.objectContaining({ id: 'user-1' }) }),
+        expect.objectContaining({ status: 'completed', conversationCount: 2 }),
+      );
+    });
+
+    it('records a failed job when the archive cannot be written', async () => {
+      mockCreateArchive.mockRejectedValue(new Error('disk full'));
+      const { startExport } = createConversationExportHandlers(deps);
+
+      await startExport(mockRequest(), mockResponse());
+      await waitForExport();
+
+      expect(deps.updateExportJob).toHaveBeenLastCalledWith(
+        'job-1',
+        expect.objectContaining({ status: 'failed', error: 'The export could not be completed' }),
+      );
+      expect(deps.notifyExportReady).not.toHaveBeenCalled();
+    });
+
+    it('tells the user when the selected conversations do not fit the size limit', async () => {
+      mockCreateArchive.mockRejectedValue(new ArchiveTooLargeError(1024));
+      const { startExport } = createConversationExportHandlers(deps);
+
+      await startExport(mockRequest(), mockResponse());
+      await waitForExport();
+
+      expect(deps.updateExportJob).toHaveBeenLastCalledWith(
+        'job-1',
+        expect.objectContaining({
+          status: 'failed',
+          error: expect.stringMatching(/size limit/),
+        }),
+      );
+    });
+
+    it('removes the stored archive when the job cannot be completed', async () => {
+      mockCreateArchive.mockImplementation(async (_deps, { outputPath }) => {
+        await writeFile(outputPath, 'zip');
+        return { conversationCount: 1, fileCount: 0, skippedFileCount: 0, bytes: 3 };
+      });
+      deps.updateExportJob.mockImplementation(async (_jobId, update) => {
+        if (update.status === 'completed') {
+          throw new Error('connection lost');
+        }
+        return createJob(update);
+      });
+      const { startExport } = createConversationExportHandlers(deps);
+
+      await startExport(mockRequest(), mockResponse());
+      await waitForExport();
+
+      expect(deps.deleteExportArchive).toHaveBeenCalledWith(
+        expect.anything(),
+        expect.objectContaining({ filepath: '/uploads/user-1/job-1.zip', source: 'local' }),
+      );
+      await expect(access(path.join(tmpDir, 'user-1', 'job-1.zip'))).rejects.toThrow();
+    });
+
+    it('removes expired exports and their archives', async () => {
+      const expired = createJob({
+        _id: 'old-job' as unknown as IExportJob['_id'],
+        user: 'user-2',
+        filepath: '/uploads/user-2/old.zip',
+        source: 'local',
+      });
+      deps.findExpiredExportJobs.mockResolvedValue([expired]);
+      mockCreateArchive.mockResolvedValue({
+        conversationCount: 0,
+        fileCount: 0,
+        skippedFileCount: 0,
+        bytes: 0,
+      });
+      const { startExport } = createConversationExportHandlers(deps);
+
+      await startExport(mockRequest(), mockResponse());
+      await waitForExport();
+
+      expect(deps.deleteExportArchive).toHaveBeenCalledWith(expect.anything(), expired);
+      expect(deps.deleteExportJob).toHaveBeenCalledWith('old-job');
+    });
+  });
+
+  describe('downloadExport', () => {
+    it('returns 404 for missing or expired exports', async () => {
+      const { downloadExport } = createConversationExportHandlers(deps);
+      const missing = mockResponse();
+      await downloadExport(mockRequest({ params: { jobId: 'job-1' } }), missing);
+      expect(missing.statusCode).toBe(404);
+
+      deps.getExportJob.mockResolvedValue(
+        createJob({ status: 'completed', filepath: '/tmp/x.zip', expiresAt: new Date(0) }),
+      );
+      const expired = mockResponse();
+      await downloadExport(mockRequest({ params: { jobId: 'job-1' } }), expired);
+      expect(expired.statusCode).toBe(404);
+      expect(deps.getExportArchiveStream).not.toHaveBeenCalled();
+    });
+
+    it('returns 409 while the export is still running', async () => {
+      deps.getExportJob.mockResolvedValue(createJob({ status: 'running' }));
+      const { downloadExport } = createConversationExportHandlers(deps);
+      const res = mockResponse();
+
+      await downloadExport(mockRequest({ params: { jobId: 'job-1' } }), res);
+
+      expect(res.statusCode).toBe(409);
+    });
+
+    it('streams the stored archive of the requesting user', async () => {
+      deps.getExportJob.mockResolvedValue(
+        createJob({
+          status: 'completed',
+          filepath: '/uploads/user-1/job-1.zip',
+          source: 's3',
+          finishedAt: new Date('2026-03-02T10:00:00.000Z'),
+        }),
+      );
+      deps.getExportArchiveStream.mockResolvedValue(Readable.from([Buffer.from('zip')]));
+      const { downloadExport } = createConversationExportHandlers(deps);
+      const res = mockResponse();
+
+      await downloadExport(mockRequest({ params: { jobId: 'job-1' } }), res);
+      await new Promise((resolve) => res.on('finish', resolve));
+
+      expect(deps.getExportJob).toHaveBeenCalledWith('user-1', 'job-1');
+      expect(deps.getExportArchiveStream).toHaveBeenCalledWith(expect.anything(), {
+        filepath: '/uploads/user-1/job-1.zip',
+        source: 's3',
+      });
+      expect(res.headers['Content-Type']).toBe('application/zip');
+      expect(res.attachment).toHaveBeenCalledWith('librechat-export-2026-03-02.zip');
+      expect(Buffer.concat(res.chunks).toString()).toBe('zip');
+    });
+
+    it('returns 404 when the stored archive cannot be read', async () => {
+      deps.getExportJob.mockResolvedValue(
+        createJob({ status: 'completed', filepath: '/uploads/user-1/job-1.zip', source: 'local' }),
+      );
+      deps.getExportArchiveStream.mockResolvedValue(null);
+      const { downloadExport } = createConversationExportHandlers(deps);
+      const res = mockResponse();
+
+      await downloadExport(mockRequest({ params: { jobId: 'job-1' } }), res);
+
+      expect(res.statusCode).toBe(404);
+    });
+  });
+
+  describe('getLatestExport', () => {
+    it('returns null when the user has never exported', async () => {
+      deps.getLatestExportJob.mockResolvedValue(null);
+      const { getLatestExport } = createConversationExportHandlers(deps);
+      const res = mockResponse();
+
+      await getLatestExport(mockRequest(), res);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body).toEqual({ job: null });
+    });
+  });
+});
@@ -0,0 +1,271 @@
+import path from 'path';
+import { mkdir, rm, stat } from 'fs/promises';
+import { logger } from '@librechat/data-schemas';
+import type { ExportJobMethods, IExportJob, IMongoFile } from '@librechat/data-schemas';
+import type { TConversationExportJob } from 'librechat-data-provider';
+import type { Readable } from 'stream';
+import type { Response } from 'express';
+import type { ConversationArchiveDeps } from './export';
+import type { ServerRequest } from '~/types';
+import {
+  ArchiveTooLargeError,
+  createConversationArchive,
+  parseConversationExportFilter,
+} from './export';
+
+/** How long a finished archive stays downloadable. */
+export const EXPORT_RETENTION_MS: number = 24 * 60 * 60 * 1000;
+/** A running export that has not reported progress for this long is treated as abandoned. */
+export const EXPORT_STALE_MS: number = 30 * 60 * 1000;
+
+export interface ConversationExportDeps
+  extends Omit<ConversationArchiveDeps, 'getFileStream'>,
+    Pick<
+      ExportJobMethods,
+      | 'createExportJob'
+      | 'getExportJob'
+      | 'getLatestExportJob'
+      | 'findActiveExportJob'
+      | 'updateExportJob'
+      | 'findExpiredExportJobs'
+      | 'deleteExportJob'
+    > {
+  /** Opens a stored file on behalf of the requesting user; `null` when it cannot be read. */
+  getFileStream: (req: ServerRequest, file: IMongoFile) => Promise<Readable | null>;
+  /** Directory archives are written to before they are stored, one subdirectory per user. */
+  getTempDir: (req: ServerRequest) => string;
+  /** Stores a finished archive through the configured file strategy. */
+  saveExportArchive: (
+    req: ServerRequest,
+    archive: { path: string; filename: string; bytes: number },
+  ) => Promise<StoredExportArchive>;
+  /** Opens a stored archive through its file strategy; `null` when it cannot be read. */
+  getExportArchiveStream: (
+    req: ServerRequest,
+    archive: StoredExportArchive,
+  ) => Promise<Readable | null>;
+  /** Removes the stored archive of a job, which may belong to another user once expired. */
+  deleteExportArchive: (req: ServerRequest, job: IExportJob) => Promise<void>;
+  /** Upper bound for an archive's content; the import size limit keeps exports importable. */
+  maxBytes: number;
+  /** Tells the user their archive is ready, e.g. by email. Failures are logged, not surfaced. */
+  notifyExportReady?: (req: ServerRequest, job: TConversationExportJob) => Promise<void>;
+}
+
+/** Where a finished archive was stored by its file strategy. */
+export interface StoredExportArchive {
+  filepath: string;
+  source: string;
+}
+
+type JobIdParams = { jobId: string };
+
+function toExportJobResponse(job: IExportJob): TConversationExportJob {
+  const { filter } = job;
+  return {
+    id: String(job._id),
+    status: job.status,
+    filter: {
+      type: filter.type,
+      ...('projectId' in filter && filter.projectId != null && { projectId: filter.projectId }),
+      ...('tag' in filter && filter.tag != null && { tag: filter.tag }),
+      ...('from' in filter && filter.from != null && { from: new Date(filter.from).toISOString() }),
+      ...('to' in filter && filter.to != null && { to: new Date(filter.to).toISOString() }),
+    },
+    conversationCount: job.conversationCount ?? 0,
+    fileCount: job.fileCount ?? 0,
+    skippedFileCount: job.skippedFileCount ?? 0,
+    ...(job.bytes != null && { bytes: job.bytes }),
+    ...(job.error != null && { error: job.error }),
+    ...(job.createdAt != null && { createdAt: new Date(job.createdAt).toISOString() }),
+    ...(job.finishedAt != null && { finishedAt: new Date(job.finishedAt).toISOString() }),
+    expiresAt: new Date(job.expiresAt).toISOString(),
+  };
+}
+
+/**
+ * Creates handlers for `/api/convos/export`. Starting an export records a job and builds
+ * the archive in the background; clients poll the job and download the ZIP once it completes.
+ */
+export function createConversationExportHandlers(deps: ConversationExportDeps): {
+  startExport: (req: ServerRequest, res: Response) => Promise<Response>;
+  getLatestExport: (req: ServerRequest, res: Response) => Promise<Response>;
+  getExport: (req: ServerRequest, res: Response) => Promise<Response>;
+  downloadExport: (req: ServerRequest, res: Response) => Promise<Response | void>;
+} {
+  /** Deletes expired jobs and their archives. Runs before each new export instead of on a timer. */
+  async function removeExpiredExports(req: ServerRequest): Promise<void> {
+    const expired = await deps.findExpiredExportJobs();
+    for (const job of expired) {
+      if (job.filepath) {
+        await deps.deleteExportArchive(req, job);
+      }
+      await deps.deleteExportJob(String(job._id));
+    }
+  }
+
+  async function runExport(req: ServerRequest, job: IExportJob): Promise<void> {
+    const jobId = String(job._id);
+    const userId = req.user!.id;
+    const filename = `${jobId}.zip`;
+    const outputPath = path.join(deps.getTempDir(req), userId, filename);
+    let stored: StoredExportArchive | undefined;
+    try {
+      await deps.updateExportJob(jobId, { status: 'running', startedAt: new Date() });
+      await mkdir(path.dirname(outputPath), { recursive: true });
+      const archiveDeps: ConversationArchiveDeps = {
+        findConversationsForExport: deps.findConversationsForExport,
+        getMessages: deps.getMessages,
+        getFiles: deps.getFiles,
+        getFileStream: (file) => deps.getFileStream(req, file),
+      };
+      const result = await createConversationArchive(archiveDeps, {
+        user: userId,
+        filter: job.filter,
+        outputPath,
+        maxBytes: deps.maxBytes,
+        onProgress: async ({ conversationCount, fileCount, skippedFileCount }) => {
+          await deps.updateExportJob(jobId, { conversationCount, fileCount, skippedFileCount });
+        },
+      });
+      const { size } = await stat(outputPath);
+      stored = await deps.saveExportArchive(req, { path: outputPath, filename, bytes: size });
+      const completed = await deps.updateExportJob(jobId, {
+        status: 'completed',
+        conversationCount: result.conversationCount,
+        fileCount: result.fileCount,
+        skippedFileCount: result.skippedFileCount,
+        filepath: stored.filepath,
+        source: stored.source,
+        bytes: size,
+        finishedAt: new Date(),
+        expiresAt: new Date(Date.now() + EXPORT_RETENTION_MS),
+      });
+      logger.info(
+        `[conversationExport] user: ${userId} | Exported ${result.conversationCount} conversation(s) and ${result.fileCount} file(s)`,
+      );
+      if (completed && deps.notifyExportReady) {
+        await deps.notifyExportReady(req, toExportJobResponse(completed)).catch((error) => {
+          logger.error('[conversationExport] Failed to notify user', error);
+        });
+      }
+    } catch (error) {
+      logger.error(`[conversationExport] user: ${userId} | Export ${jobId} failed`, error);
+      if (stored) {
+        await deps
+          .deleteExportArchive(req, { ...job, ...stored })
+          .catch((deleteError) =>
+            logger.error('[conversationExport] Failed to remove stored archive', deleteError),
+          );
+      }
+      await deps
+        .updateExportJob(jobId, {
+          status: 'failed',
+          error:
+            error instanceof ArchiveTooLargeError
+              ? 'The selected conversations exceed the export size limit; choose a narrower filter'
+              : 'The export could not be completed',
+          finishedAt: new Date(),
+        })
+        .catch((updateError) => {
+          logger.error('[conversationExport] Failed to record export failure', updateError);
+        });
+    } finally {
+      await rm(outputPath, { force: true }).catch(() => undefined);
+    }
+  }
+
+  async function startExport(req: ServerRequest, res: Response) {
+    try {
+      const parsed = parseConversationExportFilter(req.body);
+      if ('error' in parsed) {
+        return res.status(400).json({ error: parsed.error });
+      }
+      const userId = req.user!.id;
+      await removeExpiredExports(req).catch((error) => {
+        logger.warn('[conversationExport] Failed to remove expired exports', error);
+      });
+
+      const active = await deps.findActiveExportJob(userId, new Date(Date.now() - EXPORT_STALE_MS));
+      if (active) {
+        return res.status(409).json({
+          error: 'An export is already in progress',
+          job: toExportJobResponse(active),
+        });
+      }
+
+      const job = await deps.createExportJob({
+        user: userId,
+        filter: parsed.filter,
+        expiresAt: new Date(Date.now() + EXPORT_RETENTION_MS),
+      });
+      void runExport(req, job);
+      return res.status(202).json({ job: toExportJobResponse(job) });
+    } catch (error) {
+      logger.error('[conversationExport] startExport error:', error);
+      return res.status(500).json({ error: 'Failed to start export' });
+    }
+  }
+
+  async function getLatestExport(req: ServerRequest, res: Response) {
+    try {
+      const job = await deps.getLatestExportJob(req.user!.id);
+      return res.status(200).json({ job: job ? toExportJobResponse(job) : null });
+    } catch (error) {
+      logger.error('[conversationExport] getLatestExport error:', error);
+      return res.status(500).json({ error: 'Failed to get export' });
+    }
+  }
+
+  async function getExport(req: ServerRequest, res: Response) {
+    try {
+      const { jobId } = req.params as JobIdParams;
+      const job = await deps.getExportJob(req.user!.id, jobId);
+      if (!job) {
+        return res.status(404).json({ error: 'Export not found' });
+      }
+      return res.status(200).json({ job: toExportJobResponse(job) });
+    } catch (error) {
+      logger.error('[conversationExport] getExport error:', error);
+      return res.status(500).json({ error: 'Failed to get export' });
+    }
+  }
+
+  async function downloadExport(req: ServerRequest, res: Response) {
+    try {
+      const { jobId } = req.params as JobIdParams;
+      const job = await deps.getExportJob(req.user!.id, jobId);
+      if (!job || new Date(job.expiresAt).getTime() <= Date.now()) {
+        return res.status(404).json({ error: 'Export not found' });
+      }
+      if (job.status !== 'completed' || !job.filepath || !job.source) {
+        return res.status(409).json({ error: 'Export is not ready' });
+      }
+      const stream = await deps.getExportArchiveStream(req, {
+        filepath: job.filepath,
+        source: job.source,
+      });
+      if (!stream) {
+        return res.status(404).json({ error: 'Export not found' });
+      }
+      const exportedAt = new Date(job.finishedAt ?? job.expiresAt).toISOString().slice(0, 10);
+      res.setHeader('Content-Type', 'application/zip');
+      res.setHeader('X-Content-Type-Options', 'nosniff');
+      res.attachment(`librechat-export-${exportedAt}.zip`);
+      stream.on('error', (error: Error) => {
+        logger.error('[conversationExport] downloadExport stream error:', error);
+        if (!res.headersSent) {
+          res.status(500).json({ error: 'Failed to download export' });
+        } else {
+          res.destroy();
+        }
+      });
+      stream.pipe(res);
+    } catch (error) {
+      logger.error('[conversationExport] downloadExport error:', error);
+      return res.status(500).json({ error: 'Failed to download export' });
+    }
+  }
+
+  return { startExport, getLatestExport, getExport, downloadExport };
+}
@@ -0,0 +1,271 @@
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { mkdir, rename, rm } from 'fs/promises';
+import { logger, runAsSystem, tenantStorage } from '@librechat/data-schemas';
+import type { IImportJob, ImportJobMethods } from '@librechat/data-schemas';
+import type { TConversationImportJob } from 'librechat-data-provider';
+import type { Response } from 'express';
+import type { ServerRequest } from '~/types';
+import { sanitizeFilename } from '~/utils/files';
+
+/** How often a running import records that it is still alive. */
+export const IMPORT_HEARTBEAT_MS: number = 60 * 1000;
+/** An unfinished import that has not been updated for this long was orphaned, e.g. by a restart. */
+export const IMPORT_STALE_MS: number = 5 * 60 * 1000;
+/** How long finished imports stay visible in the settings page. */
+export const IMPORT_RETENTION_MS: number = 7 * 24 * 60 * 60 * 1000;
+/** Imports that keep getting interrupted (e.g. by running out of memory) are given up on. */
+export const MAX_IMPORT_ATTEMPTS: number = 3;
+
+/** Records the outcome of each entry of an import file, in order. */
+export interface ConversationImportReporter {
+  imported: (index: number, conversationCount: number) => Promise<void>;
+  skipped: (index: number, reason: string, title?: string) => Promise<void>;
+  failed: (index: number, reason: string, title?: string) => Promise<void>;
+}
+
+export interface ConversationImportDeps
+  extends Pick<
+    ImportJobMethods,
+    | 'createImportJob'
+    | 'getImportJob'
+    | 'getLatestImportJob'
+    | 'claimImportJob'
+    | 'findStaleImportJobs'
+    | 'recordImportProgress'
+    | 'updateImportJob'
+  > {
+  /** Directory uploads are kept in until their import finishes, one subdirectory per user. */
+  getImportDir: (req: ServerRequest) => string;
+  /**
+   * Imports the job's file and reports every entry. Resumed jobs have already handled
+   * `job.processedCount` entries, which must not be imported again.
+   */
+  processImport: (job: IImportJob, reporter: ConversationImportReporter) => Promise<void>;
+}
+
+type JobIdParams = { jobId: string };
+
+type ImportUploadRequest = ServerRequest & {
+  file?: { path: string; originalname?: string; size: number };
+};
+
+/** Shown to users as-is; other failures get a generic message. */
+const UNSUPPORTED_IMPORT_TYPE = 'Unsupported import type';
+
+function toImportJobResponse(job: IImportJob): TConversationImportJob {
+  return {
+    id: String(job._id),
+    status: job.status,
+    filename: job.filename,
+    processedCount: job.processedCount ?? 0,
+    importedCount: job.importedCount ?? 0,
+    skippedCount: job.skippedCount ?? 0,
+    failedCount: job.failedCount ?? 0,
+    issues: (job.issues ?? []).map(({ index, status, title, reason }) => ({
+      index,
+      status,
+      ...(title != null && { title }),
+      reason,
+    })),
+    ...(job.error != null && { error: job.error }),
+    ...(job.createdAt != null && { createdAt: new Date(job.createdAt).toISOString() }),
+    ...(job.finishedAt != null && { finishedAt: new Date(job.finishedAt).toISOString() }),
+  };
+}
+
+/**
+ * Creates handlers for `/api/convos/import`. An upload is kept on disk and recorded as a job
+ * that imports in the background; clients poll the job for its progress. Jobs interrupted by
+ * a restart are picked up again by {@link startRecovery} and continue where they stopped.
+ */
+export function createConversationImportHandlers(deps: ConversationImportDeps): {
+  startImport: (req: ServerRequest, res: Response) => Promise<Response>;
+  getLatestImport: (req: ServerRequest, res: Response) => Promise<Response>;
+  getImport: (req: ServerRequest, res: Response) => Promise<Response>;
+  resumeStaleImports: () => Promise<number>;
+  startRecovery: () => NodeJS.Timeout;
+} {
+  function createReporter(jobId: string): ConversationImportReporter {
+    return {
+      imported: (index, conversationCount) =>
+        deps.recordImportProgress(jobId, {
+          processedCount: index + 1,
+          importedCount: conversationCount,
+        }),
+      skipped: (index, reason, title) =>
+        deps.recordImportProgress(jobId, {
+          processedCount: index + 1,
+          issue: { index, status: 'skipped', reason, ...(title && { title }) },
+        }),
+      failed: (index, reason, title) =>
+        deps.recordImportProgress(jobId, {
+          processedCount: index + 1,
+          issue: { index, status: 'failed', reason, ...(title && { title }) },
+        }),
+    };
+  }
+
+  /** Runs a claimed job to completion. The upload is only removed once the job has finished. */
+  async function runImport(job: IImportJob): Promise<void> {
+    const jobId = String(job._id);
+    const heartbeat = setInterval(() => {
+      deps.updateImportJob(jobId, { status: 'running' }).catch((error) => {
+        logger.warn(`[conversationImport] Failed to record heartbeat for import ${jobId}`, error);
+      });
+    }, IMPORT_HEARTBEAT_MS);
+    heartbeat.unref?.();
+
+    try {
+      if ((job.attempts ?? 0) > MAX_IMPORT_ATTEMPTS) {
+        throw new Error(`Import was interrupted ${MAX_IMPORT_ATTEMPTS} times`);
+      }
+      await deps.processImport(job, createReporter(jobId));
+      const completed = await deps.updateImportJob(jobId, {
+        status: 'completed',
+        finishedAt: new Date(),
+        expiresAt: new Date(Date.now() + IMPORT_RETENTION_MS),
+      });
+      logger.info(
+        `[conversationImport] user: ${job.user} | Import ${jobId} imported ${completed?.importedCount ?? 0} conversation(s)`,
+      );
+    } catch (error) {
+      logger.error(`[conversationImport] user: ${job.user} | Import ${jobId} failed`, error);
+      const message = (error as Error)?.message;
+      await deps
+        .updateImportJob(jobId, {
+          status: 'failed',
+          error:
+            message === UNSUPPORTED_IMPORT_TYPE
+              ? UNSUPPORTED_IMPORT_TYPE
+              : 'The import could not be completed',
+          finishedAt: new Date(),
+          expiresAt: new Date(Date.now() + IMPORT_RETENTION_MS),
+        })
+        .catch((updateError) => {
+          logger.error('[conversationImport] Failed to record import failure', updateError);
+        });
+    } finally {
+      clearInterval(heartbeat);
+      if (job.filepath) {
+        await rm(job.filepath, { force: true }).catch((error) => {
+          logger.error(`[conversationImport] Failed to delete upload of import ${jobId}`, error);
+        });
+      }
+    }
+  }
+
+  async function startImport(req: ServerRequest, res: Response) {
+    const upload = (req as ImportUploadRequest).file;
+    if (!upload) {
+      return res.status(400).json({ error: 'No file was uploaded' });
+    }
+    let filepath = upload.path;
+    try {
+      const userId = req.user!.id;
+      const keptPath = path.join(
+        deps.getImportDir(req),
+        userId,
+        `${randomUUID()}__${sanitizeFilename(upload.originalname || 'import')}`,
+      );
+      await mkdir(path.dirname(keptPath), { recursive: true });
+      await rename(upload.path, keptPath);
+      filepath = keptPath;
+
+      const job = await deps.createImportJob({
+        user: userId,
+        userRole: req.user!.role,
+        filename: upload.originalname || path.basename(upload.path),
+        filepath,
+        bytes: upload.size,
+      });
+      const claimed = await deps.claimImportJob(String(job._id));
+      if (claimed) {
+        void runImport(claimed);
+      }
+      return res.status(202).json({
+        message: 'Conversation import started',
+        job: toImportJobResponse(claimed ?? job),
+      });
+    } catch (error) {
+      logger.error('[conversationImport] startImport error:', error);
+      await rm(filepath, { force: true }).catch(() => undefined);
+      return res.status(500).json({ error: 'Failed to start import' });
+    }
+  }
+
+  async function getLatestImport(req: ServerRequest, res: Response) {
+    try {
+      const job = await deps.getLatestImportJob(req.user!.id);
+      return res.status(200).json({ job: job ? toImportJobResponse(job) : null });
+    } catch (error) {
+      logger.error('[conversationImport] getLatestImport error:', error);
+      return res.status(500).json({ error: 'Failed to get import' });
+    }
+  }
+
+  async function getImport(req: ServerRequest, res: Response) {
+    try {
+      const { jobId } = req.params as JobIdParams;
+      const job = await deps.getImportJob(req.user!.id, jobId);
+      if (!job) {
+        return res.status(404).json({ error: 'Import not found' });
+      }
+      return res.status(200).json({ job: toImportJobResponse(job) });
+    } catch (error) {
+      logger.error('[conversationImport] getImport error:', error);
+      return res.status(500).json({ error: 'Failed to get import' });
+    }
+  }
+
+  /**
+   * Continues imports that stopped making progress, one at a time and in the tenant of
+   * their owner. Each job is claimed first, so several instances never resume the same one.
+   * @returns The number of imports that were resumed.
+   */
+  async function resumeStaleImports(): Promise<number> {
+    const staleBefore = new Date(Date.now() - IMPORT_STALE_MS);
+    const stale = await runAsSystem(() => deps.findStaleImportJobs(staleBefore));
+    let resumed = 0;
+    for (const job of stale) {
+      const context = { tenantId: job.tenantId, userId: job.user };
+      const claimed = await tenantStorage.run(context, () =>
+        deps.claimImportJob(String(job._id), staleBefore),
+      );
+      if (!claimed) {
+        continue;
+      }
+      resumed++;
+      logger.info(
+        `[conversationImport] user: ${job.user} | Resuming import ${String(job._id)} after entry ${claimed.processedCount}`,
+      );
+      await tenantStorage.run(context, () => runImport(claimed));
+    }
+    return resumed;
+  }
+
+  /** Resumes orphaned imports now and whenever more of them go stale. */
+  function startRecovery(): NodeJS.Timeout {
+    let isResuming = false;
+    const resume = async () => {
+      if (isResuming) {
+        return;
+      }
+      isResuming = true;
+      try {
+        await resumeStaleImports();
+      } catch (error) {
+        logger.error('[conversationImport] Failed to resume interrupted imports:', error);
+      } finally {
+        isResuming = false;
+      }
+    };
+
+    resume();
+    const interval = setInterval(resume, IMPORT_STALE_MS);
+    interval.unref?.();
+    return interval;
+  }
+
+  return { startImport, getLatestImport, getImport, resumeStaleImports, startRecovery };
+}
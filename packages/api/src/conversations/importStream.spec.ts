@@ -0,0 +1,91 @@
+import os from 'os';
+import path from 'path';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import type { JsonArrayEntry } from './importStream';
+import { isJsonArrayFile, readJsonArrayFile, streamJsonArray } from './importStream';
+
+async function collect(
+  chunks: Array<string | Buffer>,
+  options?: { skip?: number },
+): Promise<JsonArrayEntry[]> {
+  async function* read() {
+    yield* chunks;
+  }
+  const entries: JsonArrayEntry[] = [];
+  for await (const entry of streamJsonArray(read(), options)) {
+    entries.push(entry);
+  }
+  return entries;
+}
+
+describe('streamJsonArray', () => {
+  it('yields each entry, whatever the chunk boundaries', async () => {
+    const json = JSON.stringify([
+      { title: 'a, "quoted" ] }', mapping: { x: [1, 2] } },
+      'text \\ with [brackets]',
+      42,
+      null,
+    ]);
+    const expected = JSON.parse(json).map((value: unknown, index: number) => ({ index, value }));
+
+    expect(await collect([json])).toEqual(expected);
+    expect(await collect(json.split(''))).toEqual(expected);
+  });
+
+  it('decodes multi-byte characters split across chunks', async () => {
+    const buffer = Buffer.from('\uFEFF[{"title":"Crème brûlée 🍮"}]');
+    const chunks = Array.from({ length: buffer.length }, (_, i) => buffer.subarray(i, i + 1));
+
+    expect(await collect(chunks)).toEqual([{ index: 0, value: { title: 'Crème brûlée 🍮' } }]);
+  });
+
+  it('reports invalid entries and keeps going', async () => {
+    const entries = await collect(['[{"a": 1}, {"b": }, {"c": 3}]']);
+
+    expect(entries[0]).toEqual({ index: 0, value: { a: 1 } });
+    expect(entries[1]).toMatchObject({ index: 1, error: expect.any(String) });
+    expect(entries[2]).toEqual({ index: 2, value: { c: 3 } });
+  });
+
+  it('skips entries that were already processed', async () => {
+    expect(await collect(['[{"a":1},', '{"b":2},{"c":3}]'], { skip: 2 })).toEqual([
+      { index: 2, value: { c: 3 } },
+    ]);
+  });
+
+  it('accepts empty arrays and rejects malformed ones', async () => {
+    expect(await collect([' [ ] \n'])).toEqual([]);
+    await expect(collect(['{"conversations": []}'])).rejects.toThrow('Expected a JSON array');
+    await expect(collect(['[{"a":1},'])).rejects.toThrow('Unexpected end');
+    await expect(collect(['[1,]'])).rejects.toThrow('Missing value');
+    await expect(collect(['[1] 2'])).rejects.toThrow('Unexpected content');
+  });
+});
+
+describe('JSON array files', () => {
+  let tmpDir: string;
+
+  beforeEach(async () => {
+    tmpDir = await mkdtemp(path.join(os.tmpdir(), 'import-stream-'));
+  });
+
+  afterEach(async () => {
+    await rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('detects and streams JSON arrays', async () => {
+    const arrayPath = path.join(tmpDir, 'conversations.json');
+    const objectPath = path.join(tmpDir, 'conversation.json');
+    await writeFile(arrayPath, '\n  [{"title":"One"},{"title":"Two"}]');
+    await writeFile(objectPath, '{"conversationId":"abc","messages":[]}');
+
+    expect(await isJsonArrayFile(arrayPath)).toBe(true);
+    expect(await isJsonArrayFile(objectPath)).toBe(false);
+
+    const titles: unknown[] = [];
+    for await (const entry of readJsonArrayFile(arrayPath)) {
+      titles.push('value' in entry && (entry.value as { title: string }).title);
+    }
+    expect(titles).toEqual(['One', 'Two']);
+  });
+});
@@ -0,0 +1,142 @@
+import { createReadStream } from 'fs';
+import { open } from 'fs/promises';
+import { StringDecoder } from 'string_decoder';
+
+/** An entry of a streamed JSON array, or why it could not be parsed. */
+export type JsonArrayEntry = { index: number; value: unknown } | { index: number; error: string };
+
+const isWhitespace = (char: string) =>
+  char === ' ' || char === '\n' || char === '\r' || char === '\t';
+
+/**
+ * Tells JSON arrays, which are imported entry by entry, apart from other import files
+ * by their first character after an optional byte order mark and whitespace.
+ */
+export async function isJsonArrayFile(filepath: string): Promise<boolean> {
+  const handle = await open(filepath, 'r');
+  try {
+    const buffer = Buffer.alloc(1024);
+    const { bytesRead } = await handle.read(buffer, 0, buffer.length, 0);
+    const head = buffer
+      .subarray(0, bytesRead)
+      .toString('utf8')
+      .replace(/^\uFEFF/, '');
+    return head.trimStart().startsWith('[');
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Yields the entries of a top-level JSON array one at a time, so only a single entry is held in
+ * memory. The scanner only tracks strings and nesting to find where each entry ends; entries are
+ * then parsed on their own, and one that is not valid JSON is yielded with its error instead of
+ * ending the stream. Structural errors in the array itself throw.
+ *
+ * @param source - Chunks of the file, e.g. a read stream.
+ * @param options.skip - Entries to pass over without parsing, to resume an interrupted import.
+ */
+export async function* streamJsonArray(
+  source: AsyncIterable<string | Buffer>,
+  { skip = 0 }: { skip?: number } = {},
+): AsyncGenerator<JsonArrayEntry> {
+  const decoder = new StringDecoder('utf8');
+  let started = false;
+  let ended = false;
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let hasValue = false;
+  let parts: string[] = [];
+  let index = 0;
+
+  for await (const chunk of source) {
+    const text = typeof chunk === 'string' ? chunk : decoder.write(chunk);
+    let start = 0;
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (inString) {
+        if (escaped) {
+          escaped = false;
+        } else if (char === '\\') {
+          escaped = true;
+        } else if (char === '"') {
+          inString = false;
+        }
+        continue;
+      }
+      if (!started) {
+        if (char === '\uFEFF' || isWhitespace(char)) {
+          continue;
+        }
+        if (char !== '[') {
+          throw new Error('Expected a JSON array');
+        }
+        started = true;
+        start = i + 1;
+        continue;
+      }
+      if (ended) {
+        if (!isWhitespace(char)) {
+          throw new Error('Unexpected content after the JSON array');
+        }
+        continue;
+      }
+      if (depth === 0 && (char === ',' || char === ']')) {
+        if (!hasValue) {
+          if (char === ']' && index === 0) {
+            ended = true;
+            continue;
+          }
+          throw new Error(`Missing value for entry ${index} of the JSON array`);
+        }
+        const entryIndex = index++;
+        if (entryIndex >= skip) {
+          parts.push(text.slice(start, i));
+          const json = parts.join('');
+          parts = [];
+          let entry: JsonArrayEntry;
+          try {
+            entry = { index: entryIndex, value: JSON.parse(json) };
+          } catch (error) {
+            entry = { index: entryIndex, error: (error as Error).message };
+          }
+          yield entry;
+        }
+        hasValue = false;
+        ended = char === ']';
+        start = i + 1;
+        continue;
+      }
+      if (char === '"') {
+        inString = true;
+        hasValue = true;
+      } else if (char === '{' || char === '[') {
+        depth++;
+        hasValue = true;
+      } else if (char === '}' || char === ']') {
+        depth--;
+        if (depth < 0) {
+          throw new Error(`Unbalanced brackets in entry ${index} of the JSON array`);
+        }
+      } else if (!isWhitespace(char)) {
+        hasValue = true;
+      }
+    }
+    if (started && !ended && index >= skip) {
+      parts.push(text.slice(start));
+    }
+  }
+
+  if (!ended) {
+    throw new Error('Unexpected end of the JSON array');
+  }
+}
+
+/** Streams the entries of a JSON array file; see {@link streamJsonArray}. */
+export function readJsonArrayFile(
+  filepath: string,
+  options?: { skip?: number },
+): AsyncGenerator<JsonArrayEntry> {
+  return streamJsonArray(createReadStream(filepath, { highWaterMark: 1024 * 1024 }), options);
+}
@@ -1 +1,5 @@
 export * from './archive';
+export * from './export';
+export * from './exportJobs';
+export * from './importJobs';
+export * from './importStream';
@@ -1,5 +1,7 @@
+import { FileSources } from 'librechat-data-provider';
+import type { IMongoFile } from '@librechat/data-schemas';
 import type { TFile } from 'librechat-data-provider';
-import { getAttachmentTitleText } from './context';
+import { extractFileContext, getAttachmentTitleText } from './context';
 
 const file = (filename?: string): TFile => ({ filename }) as TFile;
 
@@ -28,3 +30,22 @@ describe('getAttachmentTitleText', () => {
     expect(getAttachmentTitleText([file(), file()])).toBe('');
   });
 });
+
+describe('extractFileContext', () => {
+  it('includes text from MCP resource attachments alongside text files', async () => {
+    const attachments = [
+      { filename: 'notes.txt', source: FileSources.text, text: 'local notes' },
+      { filename: 'LC-42', source: FileSources.mcp, text: 'Fix the login redirect' },
+      { filename: 'photo.png', source: FileSources.local, text: 'ignored' },
+    ] as IMongoFile[];
+
+    const context = await extractFileContext({
+      attachments,
+      tokenCountFn: (text) => text.length,
+    });
+
+    expect(context).toContain('# "notes.txt"\nlocal notes');
+    expect(context).toContain('# "LC-42"\nFix the login redirect');
+    expect(context).not.toContain('ignored');
+  });
+});
@@ -7,6 +7,8 @@ export * from './admin';
 export * from './cdn';
 /* Auth */
 export * from './auth';
+/* SCIM */
+export * from './scim';
 /* API Keys */
 export * from './apiKeys';
 /* MCP */
@@ -25,6 +27,7 @@ export * from './mcp/tools';
 export * from './mcp/catalog/store';
 export * from './mcp/assistants';
 export * from './mcp/request';
+export * from './mcp/sampling';
 /* Utilities */
 export * from './mcp/utils';
 export * from './mcp/context';
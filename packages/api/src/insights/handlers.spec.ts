@@ -15,6 +15,20 @@ const emptyInsights: TInsightsResponse = {
     totalTokens: 0,
   },
   daily: [],
+  usage: {
+    totals: { messages: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0 },
+    daily: [],
+    endpoints: [],
+    models: [],
+    agents: [],
+    options: { endpoints: [], models: [], agents: [] },
+  },
+  feedback: {
+    totals: { responses: 0, thumbsUp: 0, thumbsDown: 0 },
+    daily: [],
+    sources: [],
+    messages: { items: [], total: 0, page: 1, pageSize: 10, pages: 1, redacted: true },
+  },
   topUsers: [],
   churnedUsers: [],
   latest: { conversations: [], page: 1, pageSize: 10, pages: 1 },
@@ -96,6 +110,14 @@ describe('Insights handlers', () => {
       fromTimestamp: undefined,
       toTimestamp: undefined,
       timeZone: undefined,
+      endpoint: undefined,
+      model: undefined,
+      agentId: undefined,
+      feedbackSource: undefined,
+      feedbackRating: undefined,
+      feedbackTag: undefined,
+      feedbackPage: 1,
+      includeFeedbackContent: false,
     });
     expect(json).toHaveBeenCalledWith(emptyInsights);
   });
@@ -161,4 +183,77 @@ describe('Insights handlers', () => {
 
     expect(getInsights).toHaveBeenCalledWith(expect.objectContaining({ search: undefined }));
   });
+
+  it('passes trimmed usage filters to the data layer', async () => {
+    const getInsights = jest.fn().mockResolvedValue(emptyInsights);
+    const handler = createInsightsHandler({ isInsightsEnabled: insightsEnabled, getInsights });
+    const { response } = createResponse();
+
+    await handler(
+      createRequest({
+        endpoint: ' agents ',
+        model: ['gpt-4o', 'ignored'],
+        agentId: `agent_${'x'.repeat(300)}`,
+      }),
+      response,
+    );
+
+    expect(getInsights).toHaveBeenCalledWith(
+      expect.objectContaining({
+        endpoint: 'agents',
+        model: 'gpt-4o',
+        agentId: `agent_${'x'.repeat(300)}`.slice(0, 200),
+      }),
+    );
+  });
+
+  it('accepts known feedback filters and asks whether content may be shown', async () => {
+    const getInsights = jest.fn().mockResolvedValue(emptyInsights);
+    const canReadFeedbackContent = jest.fn().mockResolvedValue(true);
+    const handler = createInsightsHandler({
+      isInsightsEnabled: insightsEnabled,
+      getInsights,
+      canReadFeedbackContent,
+    });
+    const { response } = createResponse();
+    const request = createRequest({
+      feedbackSource: 'agent:agent_support',
+      feedbackRating: 'thumbsDown',
+      feedbackTag: 'inaccurate',
+      feedbackPage: '2',
+    });
+
+    await handler(request, response);
+
+    expect(canReadFeedbackContent).toHaveBeenCalledWith(request);
+    expect(getInsights).toHaveBeenCalledWith(
+      expect.objectContaining({
+        feedbackSource: 'agent:agent_support',
+        feedbackRating: 'thumbsDown',
+        feedbackTag: 'inaccurate',
+        feedbackPage: 2,
+        includeFeedbackContent: true,
+      }),
+    );
+  });
+
+  it('drops unknown feedback filters and redacts content the caller may not read', async () => {
+    const getInsights = jest.fn().mockResolvedValue(emptyInsights);
+    const handler = createInsightsHandler({
+      isInsightsEnabled: insightsEnabled,
+      getInsights,
+      canReadFeedbackContent: jest.fn().mockResolvedValue(false),
+    });
+    const { response } = createResponse();
+
+    await handler(createRequest({ feedbackRating: 'meh', feedbackTag: 'not-a-tag' }), response);
+
+    expect(getInsights).toHaveBeenCalledWith(
+      expect.objectContaining({
+        feedbackRating: undefined,
+        feedbackTag: undefined,
+        includeFeedbackContent: false,
+      }),
+    );
+  });
 });
@@ -1,5 +1,8 @@
 import { logger } from '@librechat/data-schemas';
 import {
+  FEEDBACK_RATINGS,
+  FEEDBACK_REASON_KEYS,
+  INSIGHTS_FILTER_MAX_LENGTH,
   INSIGHTS_SEARCH_MAX_LENGTH,
   INSIGHTS_SEARCH_MIN_LENGTH,
   type TInsightsParams,
@@ -11,6 +14,8 @@ import type { ServerRequest } from '~/types';
 type InsightsHandlerDeps = {
   isInsightsEnabled: () => boolean;
   getInsights: InsightsMethods['getInsights'];
+  /** Whether the caller may read rated messages' content; without it content is redacted. */
+  canReadFeedbackContent?: (req: ServerRequest) => Promise<boolean>;
 };
 
 type InsightsAccessHandlerDeps = Pick<InsightsHandlerDeps, 'isInsightsEnabled'>;
@@ -32,6 +37,14 @@ const stringValue = (input: unknown): string | undefined => {
   return value ? value : undefined;
 };
 
+const filterValue = (value: unknown): string | undefined =>
+  stringValue(value)?.slice(0, INSIGHTS_FILTER_MAX_LENGTH);
+
+const oneOf = <T extends string>(values: readonly T[], input: unknown): T | undefined => {
+  const value = stringValue(input) as T | undefined;
+  return value && values.includes(value) ? value : undefined;
+};
+
 const validRanges = new Set<TInsightsParams['range']>(['24h', '7d', '30d', 'custom']);
 
 const insightsRange = (value: unknown): TInsightsParams['range'] | undefined => {
@@ -68,7 +81,11 @@ export function createInsightsAccessHandler({ isInsightsEnabled }: InsightsAcces
   };
 }
 
-export function createInsightsHandler({ isInsightsEnabled, getInsights }: InsightsHandlerDeps) {
+export function createInsightsHandler({
+  isInsightsEnabled,
+  getInsights,
+  canReadFeedbackContent,
+}: InsightsHandlerDeps) {
   return async (req: ServerRequest, res: Response): Promise<void> => {
     try {
       if (!isInsightsEnabled()) {
@@ -84,6 +101,7 @@ export function createInsightsHandler({ isInsightsEnabled, getInsights }: Insigh
         requestedSearch && requestedSearch.length >= INSIGHTS_SEARCH_MIN_LENGTH
           ? requestedSearch
           : undefined;
+      const includeFeedbackContent = (await canReadFeedbackContent?.(req)) === true;
       const insights = await getInsights({
         page,
         pageSize,
@@ -93,6 +111,14 @@ export function createInsightsHandler({ isInsightsEnabled, getInsights }: Insigh
         fromTimestamp: stringValue(req.query.fromTimestamp),
         toTimestamp: stringValue(req.query.toTimestamp),
         timeZone: timeZoneValue(req.query.timeZone),
+        endpoint: filterValue(req.query.endpoint),
+        model: filterValue(req.query.model),
+        agentId: filterValue(req.query.agentId),
+        feedbackSource: filterValue(req.query.feedbackSource),
+        feedbackRating: oneOf(FEEDBACK_RATINGS, req.query.feedbackRating),
+        feedbackTag: oneOf(FEEDBACK_REASON_KEYS, req.query.feedbackTag),
+        feedbackPage: positiveInteger(req.query.feedbackPage, 1),
+        includeFeedbackContent,
       });
       res.json(insights);
     } catch (error) {
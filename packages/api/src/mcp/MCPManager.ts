@@ -31,7 +31,7 @@ import { MCPConnectionFactory } from './MCPConnectionFactory';
 import { processMCPEnv, isPluginSourced } from '~/utils/env';
 import { OAuthLifecycleRelay } from './oauth/pending';
 import { preProcessGraphTokens } from '~/utils/graph';
-import { formatToolContent } from './parsers';
+import { formatPromptMessages, formatToolContent, splitResourceContents } from './parsers';
 import { MCPConnection } from './connection';
 import { mcpConfig } from './mcpConfig';
 
@@ -513,6 +513,272 @@ export class MCPManager extends UserConnectionManager {
     return (await this.getServerToolFunctionsSnapshot(userId, serverName)).tools;
   }
 
+  /**
+   * Lists prompts from the user's established MCP connections (user-scoped first, then app-level).
+   * Never opens a connection, so listing cannot start an OAuth flow; servers that are not
+   * connected or do not advertise the `prompts` capability are skipped.
+   */
+  public async getUserPrompts(userId: string, serverNames: string[]): Promise<t.MCPServerPrompt[]> {
+    let appConnections = new Map<string, MCPConnection>();
+    try {
+      appConnections = (await this.appConnections?.getLoaded()) ?? appConnections;
+    } catch (error) {
+      logger.warn(`[MCP][User: ${userId}] Failed to load app connections for prompts`, error);
+    }
+    const userConnections = this.getUserConnections(userId);
+
+    const serverPrompts = await Promise.all(
+      serverNames.map(async (serverName): Promise<t.MCPServerPrompt[]> => {
+        const connection = userConnections?.get(serverName) ?? appConnections.get(serverName);
+        if (!connection) {
+          return [];
+        }
+        this.retainConnection(connection);
+        try {
+          if (
+            !(await connection.isConnected()) ||
+            connection.client.getServerCapabilities()?.prompts == null
+          ) {
+            return [];
+          }
+          const prompts = await connection.fetchPrompts();
+          return prompts.map(({ name, title, description, arguments: args }) => ({
+            serverName,
+            name,
+            title,
+            description,
+            arguments: args?.map((arg) => ({
+              name: arg.name,
+              description: arg.description,
+              required: arg.required,
+            })),
+          }));
+        } catch (error) {
+          logger.warn(`[MCP][User: ${userId}][${serverName}] Failed to list prompts`, error);
+          return [];
+        } finally {
+          await this.releaseConnection(connection);
+        }
+      }),
+    );
+    return serverPrompts.flat();
+  }
+
+  /**
+   * Resolves a server prompt via `prompts/get` on the same connection tool calls would use,
+   * so per-user OAuth tokens and custom user variables apply.
+   * @returns The prompt description and its messages flattened to text.
+   */
+  public async getPrompt({
+    promptName,
+    promptArguments,
+    ...connectionArgs
+  }: {
+    promptName: string;
+    promptArguments?: Record<string, string>;
+  } & Parameters<MCPManager['getConnection']>[0]): Promise<{
+    description?: string;
+    content: string;
+  }> {
+    const { serverName, user, signal } = connectionArgs;
+    const userId = user?.id;
+    const logPrefix = userId ? `[MCP][User: ${userId}][${serverName}]` : `[MCP][${serverName}]`;
+
+    const serverConfig =
+      connectionArgs.serverConfig ??
+      (await MCPServersRegistry.getInstance().getServerConfig(serverName, userId));
+    const disposeAfterCall =
+      !!userId &&
+      serverConfig != null &&
+      requiresEphemeralUserConnection(serverConfig) &&
+      !connectionArgs.requestScopedConnections;
+
+    let connection: MCPConnection;
+    while (true) {
+      connection = await this.getConnection({ ...connectionArgs, serverConfig });
+      this.retainConnection(connection);
+      const recovery = this.oauthRecoveries.get(connection)?.promise;
+      if (!recovery) {
+        break;
+      }
+      await this.releaseConnection(connection);
+      await this.waitForActiveRecovery(recovery, signal);
+    }
+
+    try {
+      if (!(await connection.isConnected())) {
+        throw new McpError(
+          ErrorCode.InternalError,
+          `${logPrefix} Connection is not active. Cannot get prompt ${promptName}.`,
+        );
+      }
+      const result = await connection.getPrompt(promptName, promptArguments, { signal });
+      if (userId && (this.userConnections.get(userId)?.size ?? 0) > 0 && !disposeAfterCall) {
+        await this.updateUserLastActivity(userId);
+      }
+      return { description: result.description, content: formatPromptMessages(result) };
+    } catch (error) {
+      logger.error(`${logPrefix}[${promptName}] Failed to get prompt`, error);
+      throw error;
+    } finally {
+      await this.releaseConnection(connection);
+      if (disposeAfterCall) {
+        await this.disposeEvictedConnection(connection, `${logPrefix} Ephemeral connection`);
+      }
+    }
+  }
+
+  /**
+   * Lists resources from the user's established MCP connections (user-scoped first, then
+   * app-level). Like {@link MCPManager.getUserPrompts}, never opens a connection.
+   */
+  public async getUserResources(
+    userId: string,
+    serverNames: string[],
+  ): Promise<t.MCPServerResource[]> {
+    let appConnections = new Map<string, MCPConnection>();
+    try {
+      appConnections = (await this.appConnections?.getLoaded()) ?? appConnections;
+    } catch (error) {
+      logger.warn(`[MCP][User: ${userId}] Failed to load app connections for resources`, error);
+    }
+    const userConnections = this.getUserConnections(userId);
+
+    const serverResources = await Promise.all(
+      serverNames.map(async (serverName): Promise<t.MCPServerResource[]> => {
+        const connection = userConnections?.get(serverName) ?? appConnections.get(serverName);
+        if (!connection) {
+          return [];
+        }
+        this.retainConnection(connection);
+        try {
+          const capability = connection.client.getServerCapabilities()?.resources;
+          if (!(await connection.isConnected()) || capability == null) {
+            return [];
+          }
+          const resources = await connection.fetchResources();
+          return resources.map(({ uri, name, title, description, mimeType, size }) => ({
+            serverName,
+            uri,
+            name,
+            title,
+            description,
+            mimeType,
+            size,
+            subscribable: capability.subscribe === true,
+          }));
+        } catch (error) {
+          logger.warn(`[MCP][User: ${userId}][${serverName}] Failed to list resources`, error);
+          return [];
+        } finally {
+          await this.releaseConnection(connection);
+        }
+      }),
+    );
+    return serverResources.flat();
+  }
+
+  /**
+   * Reads a resource via `resources/read` on the same connection tool calls would use.
+   * With `subscribe`, also subscribes to update notifications when the server supports them;
+   * ephemeral connections are disposed after the call, so they never subscribe.
+   * @returns The resource contents, and whether an update subscription is active.
+   */
+  public async readResource({
+    uri,
+    subscribe = false,
+    ...connectionArgs
+  }: {
+    uri: string;
+    subscribe?: boolean;
+  } & Parameters<MCPManager['getConnection']>[0]): Promise<
+    t.MCPResourceContents & { subscribed: boolean }
+  > {
+    const { serverName, user, signal } = connectionArgs;
+    const userId = user?.id;
+    const logPrefix = userId ? `[MCP][User: ${userId}][${serverName}]` : `[MCP][${serverName}]`;
+
+    const serverConfig =
+      connectionArgs.serverConfig ??
+      (await MCPServersRegistry.getInstance().getServerConfig(serverName, userId));
+    const disposeAfterCall =
+      !!userId &&
+      serverConfig != null &&
+      requiresEphemeralUserConnection(serverConfig) &&
+      !connectionArgs.requestScopedConnections;
+
+    let connection: MCPConnection;
+    while (true) {
+      connection = await this.getConnection({ ...connectionArgs, serverConfig });
+      this.retainConnection(connection);
+      const recovery = this.oauthRecoveries.get(connection)?.promise;
+      if (!recovery) {
+        break;
+      }
+      await this.releaseConnection(connection);
+      await this.waitForActiveRecovery(recovery, signal);
+    }
+
+    try {
+      if (!(await connection.isConnected())) {
+        throw new McpError(
+          ErrorCode.InternalError,
+          `${logPrefix} Connection is not active. Cannot read resource ${uri}.`,
+        );
+      }
+
+      /** Subscribe before reading so an update between the two is not missed. */
+      let subscribed = false;
+      if (
+        subscribe &&
+        !disposeAfterCall &&
+        connection.client.getServerCapabilities()?.resources?.subscribe === true
+      ) {
+        try {
+          await connection.subscribeResource(uri, { signal });
+          subscribed = true;
+        } catch (error) {
+          logger.warn(`${logPrefix} Failed to subscribe to resource ${uri}`, error);
+        }
+      }
+
+      const result = await connection.readResource(uri, { signal });
+      if (userId && (this.userConnections.get(userId)?.size ?? 0) > 0 && !disposeAfterCall) {
+        await this.updateUserLastActivity(userId);
+      }
+      return { ...splitResourceContents(result), subscribed };
+    } catch (error) {
+      logger.error(`${logPrefix} Failed to read resource ${uri}`, error);
+      throw error;
+    } finally {
+      await this.releaseConnection(connection);
+      if (disposeAfterCall) {
+        await this.disposeEvictedConnection(connection, `${logPrefix} Ephemeral connection`);
+      }
+    }
+  }
+
+  /**
+   * Whether a subscribed resource is known to be unchanged on the user's existing connection.
+   * Returns false when there is no live subscription (e.g. after a reconnect or restart),
+   * since updates in that window could not have been observed.
+   */
+  public async isResourceCurrent(
+    userId: string,
+    serverName: string,
+    uri: string,
+  ): Promise<boolean> {
+    let connection = this.getUserConnections(userId)?.get(serverName);
+    if (!connection) {
+      try {
+        connection = (await this.appConnections?.getLoaded())?.get(serverName);
+      } catch {
+        return false;
+      }
+    }
+    return connection?.isResourceCurrent(uri) ?? false;
+  }
+
   /**
    * Get instructions for MCP servers
    * @param serverNames Optional array of server names. If not provided or empty, returns all servers.
@@ -789,6 +1055,7 @@ Please follow these instructions when using tools from the respective MCP server
     graphTokenResolver,
     oboTokenResolver,
     oboTrustChecker,
+    serverRequestHandlers,
   }: {
     user?: IUser;
     serverName: string;
@@ -808,6 +1075,8 @@ Please follow these instructions when using tools from the respective MCP server
     graphTokenResolver?: GraphTokenResolver;
     oboTokenResolver?: OboTokenResolver;
     oboTrustChecker?: OboTrustChecker;
+    /** Answers sampling/elicitation requests the server sends while this call runs */
+    serverRequestHandlers?: t.MCPServerRequestHandlers;
   }): Promise<t.FormattedToolResponse> {
     const userId = user?.id;
     const logPrefix = userId ? `[MCP][User: ${userId}][${serverName}]` : `[MCP][${serverName}]`;
@@ -1072,20 +1341,22 @@ Please follow these instructions when using tools from the respective MCP server
         }
 
         const requestTool = () =>
-          connection!.client.request(
-            {
-              method: 'tools/call',
-              params: {
-                name: toolName,
-                arguments: toolArguments,
+          connection!.withServerRequestHandlers(serverRequestHandlers, () =>
+            connection!.client.request(
+              {
+                method: 'tools/call',
+                params: {
+                  name: toolName,
+                  arguments: toolArguments,
+                },
+              },
+              CallToolResultSchema,
+              {
+                timeout: connection!.timeout,
+                resetTimeoutOnProgress: true,
+                ...options,
               },
-            },
-            CallToolResultSchema,
-            {
-              timeout: connection!.timeout,
-              resetTimeoutOnProgress: true,
-              ...options,
-            },
+            ),
           );
 
         let result: Awaited<ReturnType<typeof requestTool>>;
@@ -94,6 +94,12 @@ const mockDetectOAuthRequirement = detectOAuthRequirement as jest.MockedFunction
 const mockProcessMCPEnv = processMCPEnv as jest.MockedFunction<typeof processMCPEnv>;
 const mockIsMCPDomainAllowed = isMCPDomainAllowed as jest.MockedFunction<typeof isMCPDomainAllowed>;
 
+/** Connection stubs run the tool request directly, as a connection without server requests does. */
+const callThroughServerRequestHandlers = <T>(
+  _handlers: t.MCPServerRequestHandlers | undefined,
+  fn: () => Promise<T>,
+): Promise<T> => fn();
+
 describe('MCPManager', () => {
   const userId = 'test-user-123';
   const serverName = 'test_server';
@@ -752,6 +758,7 @@ describe('MCPManager', () => {
         isConnected: jest.fn().mockResolvedValue(true),
         setRequestHeaders: jest.fn(),
         timeout: 30000,
+        withServerRequestHandlers: callThroughServerRequestHandlers,
         client: {
           request: jest.fn().mockResolvedValue({
             content: [{ type: 'text', text: 'Tool result' }],
@@ -819,6 +826,58 @@ describe('MCPManager', () => {
     });
   });
 
+  describe('callTool - server requests', () => {
+    it('routes sampling and elicitation requests of the call to its handlers', async () => {
+      const request = jest.fn().mockResolvedValue({
+        content: [{ type: 'text', text: 'Tool result' }],
+        isError: false,
+      });
+      const withServerRequestHandlers = jest.fn(
+        async (_handlers: t.MCPServerRequestHandlers | undefined, fn: () => Promise<unknown>) => {
+          expect(request).not.toHaveBeenCalled();
+          return fn();
+        },
+      );
+      const connection = {
+        isConnected: jest.fn().mockResolvedValue(true),
+        setRequestHeaders: jest.fn(),
+        timeout: 30000,
+        withServerRequestHandlers,
+        client: { request },
+      } as unknown as MCPConnection;
+      mockAppConnections({ get: jest.fn().mockResolvedValue(connection) });
+      (graphUtils.preProcessGraphTokens as jest.Mock).mockImplementation(
+        async (options) => options,
+      );
+      (mockRegistryInstance.getServerConfig as jest.Mock).mockResolvedValue({
+        type: 'sse',
+        url: 'https://api.example.com',
+      });
+      const serverRequestHandlers: t.MCPServerRequestHandlers = {
+        createMessage: jest.fn(),
+        elicit: jest.fn(),
+      };
+
+      const manager = await MCPManager.createInstance(newMCPServersConfig());
+      await manager.callTool({
+        user: { id: 'user-123' } as IUser,
+        serverName,
+        toolName: 'test_tool',
+        provider: 'openai',
+        flowManager: {} as Parameters<typeof manager.callTool>[0]['flowManager'],
+        serverRequestHandlers,
+      });
+
+      expect(withServerRequestHandlers).toHaveBeenCalledTimes(1);
+      expect(withServerRequestHandlers.mock.calls[0][0]).toBe(serverRequestHandlers);
+      expect(request).toHaveBeenCalledWith(
+        expect.objectContaining({ method: 'tools/call' }),
+        expect.anything(),
+        expect.anything(),
+      );
+    });
+  });
+
   describe('callTool - Graph Token Integration', () => {
     const mockUser: Partial<IUser> = {
       id: 'user-123',
@@ -839,6 +898,7 @@ describe('MCPManager', () => {
       on: jest.fn(),
       setRequestHeaders: jest.fn(),
       timeout: 30000,
+      withServerRequestHandlers: callThroughServerRequestHandlers,
       client: {
         request: jest.fn().mockResolvedValue({
           content: [{ type: 'text', text: 'Tool result' }],
@@ -971,6 +1031,7 @@ describe('MCPManager', () => {
       };
       const authError = new Error('Non-200 status code (401)');
       const connection = Object.assign(new EventEmitter(), {
+        withServerRequestHandlers: callThroughServerRequestHandlers,
         client: {
           request: jest
             .fn()
@@ -1348,6 +1409,7 @@ describe('MCPManager', () => {
     function createConnection(request: jest.Mock) {
       const emitter = new EventEmitter();
       return Object.assign(emitter, {
+        withServerRequestHandlers: callThroughServerRequestHandlers,
         client: { request },
         connect: jest.fn().mockResolvedValue(undefined),
         disconnect: jest.fn().mockResolvedValue(undefined),
@@ -2567,6 +2629,7 @@ describe('MCPManager', () => {
       isConnected: jest.fn().mockResolvedValue(true),
       setRequestHeaders: jest.fn(),
       timeout: 30000,
+      withServerRequestHandlers: callThroughServerRequestHandlers,
       client: {
         request: jest.fn().mockResolvedValue({
           content: [{ type: 'text', text: 'Tool result' }],
@@ -2597,6 +2660,7 @@ describe('MCPManager', () => {
         isConnected: jest.fn().mockResolvedValue(true),
         setRequestHeaders: jest.fn(),
         timeout: 30000,
+        withServerRequestHandlers: callThroughServerRequestHandlers,
         client: {
           request: jest.fn().mockResolvedValue({
             content: [{ type: 'text', text: 'Shared tool result' }],
@@ -2609,6 +2673,7 @@ describe('MCPManager', () => {
         isConnected: jest.fn().mockResolvedValue(true),
         setRequestHeaders: jest.fn(),
         timeout: 30000,
+        withServerRequestHandlers: callThroughServerRequestHandlers,
         client: {
           request: jest.fn().mockResolvedValue({
             content: [{ type: 'text', text: 'User tool result' }],
@@ -2883,6 +2948,239 @@ describe('MCPManager', () => {
     });
   });
 
+  describe('getUserPrompts', () => {
+    function createPromptConnection(
+      prompts: t.MCPPrompt[],
+      capabilities: Record<string, unknown> = { prompts: {} },
+    ): MCPConnection {
+      return {
+        isConnected: jest.fn().mockResolvedValue(true),
+        fetchPrompts: jest.fn().mockResolvedValue(prompts),
+        client: { getServerCapabilities: jest.fn().mockReturnValue(capabilities) },
+      } as unknown as MCPConnection;
+    }
+
+    it('prefers the user connection and tags prompts with their server', async () => {
+      const appConnection = createPromptConnection([{ name: 'app_prompt' }]);
+      const userConnection = createPromptConnection([
+        {
+          name: 'summarize',
+          description: 'Summarize a ticket',
+          arguments: [{ name: 'ticket', required: true }],
+        },
+      ]);
+      mockAppConnections({
+        getLoaded: jest.fn().mockResolvedValue(new Map([[serverName, appConnection]])),
+      });
+
+      const manager = await MCPManager.createInstance(newMCPServersConfig());
+      jest
+        .spyOn(manager, 'getUserConnections')
+        .mockReturnValue(new Map([[serverName, userConnection]]));
+
+      const prompts = await manager.getUserPrompts(userId, [serverName]);
+
+      expect(prompts).toEqual([
+        {
+          serverName,
+          name: 'summarize',
+          title: undefined,
+          description: 'Summarize a ticket',
+          arguments: [{ name: 'ticket', description: undefined, required: true }],
+        },
+      ]);
+      expect(appConnection.fetchPrompts).not.toHaveBeenCalled();
+    });
+
+    it('skips servers that are not connected or do not advertise prompts', async () => {
+      const noPrompts = createPromptConnection([{ name: 'hidden' }], { tools: {} });
+      const disconnected = createPromptConnection([{ name: 'offline' }]);
+      (disconnected.isConnected as jest.Mock).mockResolvedValue(false);
+      mockAppConnections({
+        getLoaded: jest.fn().mockResolvedValue(
+          new Map([
+            ['no_prompts', noPrompts],
+            ['offline', disconnected],
+          ]),
+        ),
+      });
+
+      const manager = await MCPManager.createInstance(newMCPServersConfig());
+
+      const prompts = await manager.getUserPrompts(userId, ['no_prompts', 'offline', 'missing']);
+
+      expect(prompts).toEqual([]);
+      expect(noPrompts.fetchPrompts).not.toHaveBeenCalled();
+      expect(disconnected.fetchPrompts).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getPrompt', () => {
+    const mockUser = { id: userId } as IUser;
+
+    it('resolves the prompt on the connection tool calls would use', async () => {
+      const connection = {
+        isConnected: jest.fn().mockResolvedValue(true),
+        getPrompt: jest.fn().mockResolvedValue({
+          description: 'Summarize a ticket',
+          messages: [
+            { role: 'user', content: { type: 'text', text: 'Summarize LC-42' } },
+            { role: 'user', content: { type: 'image', data: 'abc', mimeType: 'image/png' } },
+          ],
+        }),
+      } as unknown as MCPConnection;
+      const manager = await MCPManager.createInstance(newMCPServersConfig());
+      const getConnectionSpy = jest.spyOn(manager, 'getConnection').mockResolvedValue(connection);
+
+      const result = await manager.getPrompt({
+        serverName,
+        user: mockUser,
+        promptName: 'summarize',
+        promptArguments: { ticket: 'LC-42' },
+        customUserVars: { API_KEY: 'secret' },
+      });
+
+      expect(result).toEqual({ description: 'Summarize a ticket', content: 'Summarize LC-42' });
+      expect(getConnectionSpy).toHaveBeenCalledWith(
+        expect.objectContaining({
+          serverName,
+          user: mockUser,
+          customUserVars: { API_KEY: 'secret' },
+        }),
+      );
+      expect(connection.getPrompt).toHaveBeenCalledWith(
+        'summarize',
+        { ticket: 'LC-42' },
+        { signal: undefined },
+      );
+    });
+
+    it('rejects when the connection is not active', async () => {
+      const connection = {
+        isConnected: jest.fn().mockResolvedValue(false),
+        getPrompt: jest.fn(),
+      } as unknown as MCPConnection;
+      const manager = await MCPManager.createInstance(newMCPServersConfig());
+      jest.spyOn(manager, 'getConnection').mockResolvedValue(connection);
+
+      await expect(
+        manager.getPrompt({ serverName, user: mockUser, promptName: 'summarize' }),
+      ).rejects.toThrow('Connection is not active');
+      expect(connection.getPrompt).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getUserResources', () => {
+    it('lists resources and reports whether the server supports subscriptions', async () => {
+      const connection = {
+        isConnected: jest.fn().mockResolvedValue(true),
+        fetchResources: jest
+          .fn()
+          .mockResolvedValue([
+            { uri: 'jira://LC-42', name: 'LC-42', title: 'Fix login', mimeType: 'text/markdown' },
+          ]),
+        client: {
+          getServerCapabilities: jest.fn().mockReturnValue({ resources: { subscribe: true } }),
+        },
+      } as unknown as MCPConnection;
+      mockAppConnections({
+        getLoaded: jest.fn().mockResolvedValue(new Map([[serverName, connection]])),
+      });
+
+      const manager = await MCPManager.createInstance(newMCPServersConfig());
+
+      const resources = await manager.getUserResources(userId, [serverName, 'missing']);
+
+      expect(resources).toEqual([
+        {
+          serverName,
+          uri: 'jira://LC-42',
+          name: 'LC-42',
+          title: 'Fix login',
+          description: undefined,
+          mimeType: 'text/markdown',
+          size: undefined,
+          subscribable: true,
+        },
+      ]);
+    });
+
+    it('skips servers that do not advertise resources', async () => {
+      const connection = {
+        isConnected: jest.fn().mockResolvedValue(true),
+        fetchResources: jest.fn(),
+        client: { getServerCapabilities: jest.fn().mockReturnValue({ tools: {} }) },
+      } as unknown as MCPConnection;
+      mockAppConnections({
+        getLoaded: jest.fn().mockResolvedValue(new Map([[serverName, connection]])),
+      });
+
+      const manager = await MCPManager.createInstance(newMCPServersConfig());
+
+      expect(await manager.getUserResources(userId, [serverName])).toEqual([]);
+      expect(connection.fetchResources).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('readResource', () => {
+    const mockUser = { id: userId } as IUser;
+
+    function createResourceConnection(capabilities: Record<string, unknown>): MCPConnection {
+      return {
+        isConnected: jest.fn().mockResolvedValue(true),
+        subscribeResource: jest.fn().mockResolvedValue(undefined),
+        readResource: jest.fn().mockResolvedValue({
+          contents: [{ uri: 'jira://LC-42', mimeType: 'text/markdown', text: '# Fix login' }],
+        }),
+        client: { getServerCapabilities: jest.fn().mockReturnValue(capabilities) },
+      } as unknown as MCPConnection;
+    }
+
+    it('subscribes before reading when requested and supported', async () => {
+      const connection = createResourceConnection({ resources: { subscribe: true } });
+      const manager = await MCPManager.createInstance(newMCPServersConfig());
+      jest.spyOn(manager, 'getConnection').mockResolvedValue(connection);
+
+      const result = await manager.readResource({
+        serverName,
+        user: mockUser,
+        uri: 'jira://LC-42',
+        subscribe: true,
+      });
+
+      expect(result).toEqual({
+        text: '# Fix login',
+        mimeType: 'text/markdown',
+        blobs: [],
+        subscribed: true,
+      });
+      expect(connection.subscribeResource).toHaveBeenCalledWith('jira://LC-42', {
+        signal: undefined,
+      });
+      const subscribeOrder = (connection.subscribeResource as jest.Mock).mock
+        .invocationCallOrder[0];
+      const readOrder = (connection.readResource as jest.Mock).mock.invocationCallOrder[0];
+      expect(subscribeOrder).toBeLessThan(readOrder);
+    });
+
+    it('still reads the resource when the server cannot subscribe', async () => {
+      const connection = createResourceConnection({ resources: {} });
+      const manager = await MCPManager.createInstance(newMCPServersConfig());
+      jest.spyOn(manager, 'getConnection').mockResolvedValue(connection);
+
+      const result = await manager.readResource({
+        serverName,
+        user: mockUser,
+        uri: 'jira://LC-42',
+        subscribe: true,
+      });
+
+      expect(result.subscribed).toBe(false);
+      expect(result.text).toBe('# Fix login');
+      expect(connection.subscribeResource).not.toHaveBeenCalled();
+    });
+  });
+
   describe('discoverServerTools', () => {
     const mockTools = [
       { name: 'tool1', description: 'First tool', inputSchema: { type: 'object' } },
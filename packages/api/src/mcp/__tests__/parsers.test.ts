@@ -1,4 +1,4 @@
-import { formatToolContent } from '../parsers';
+import { formatPromptMessages, formatToolContent, splitResourceContents } from '../parsers';
 import type * as t from '../types';
 
 describe('formatToolContent', () => {
@@ -505,3 +505,75 @@ describe('formatToolContent', () => {
     });
   });
 });
+
+describe('formatPromptMessages', () => {
+  it('joins text and embedded text resources in order', () => {
+    const result: t.MCPGetPromptResult = {
+      messages: [
+        { role: 'user', content: { type: 'text', text: 'Review this diff:' } },
+        {
+          role: 'user',
+          content: {
+            type: 'resource',
+            resource: { uri: 'file:///patch.diff', text: '+ added line' },
+          },
+        },
+        { role: 'assistant', content: { type: 'text', text: 'Focus on error handling.' } },
+      ],
+    };
+
+    expect(formatPromptMessages(result)).toBe(
+      'Review this diff:\n\n+ added line\n\nFocus on error handling.',
+    );
+  });
+
+  it('drops binary content', () => {
+    const result: t.MCPGetPromptResult = {
+      messages: [
+        { role: 'user', content: { type: 'image', data: 'abc', mimeType: 'image/png' } },
+        {
+          role: 'user',
+          content: {
+            type: 'resource',
+            resource: { uri: 'file:///logo.png', blob: 'abc', mimeType: 'image/png' },
+          },
+        },
+      ],
+    };
+
+    expect(formatPromptMessages(result)).toBe('');
+  });
+});
+
+describe('splitResourceContents', () => {
+  it('keeps text contents and decodes textual blobs', () => {
+    const result: t.MCPReadResourceResult = {
+      contents: [
+        { uri: 'confluence://page/1', mimeType: 'text/markdown', text: '# Runbook' },
+        {
+          uri: 'confluence://page/1/meta',
+          mimeType: 'application/json',
+          blob: Buffer.from('{"owner":"ops"}').toString('base64'),
+        },
+      ],
+    };
+
+    expect(splitResourceContents(result)).toEqual({
+      text: '# Runbook\n\n{"owner":"ops"}',
+      mimeType: 'text/markdown',
+      blobs: [],
+    });
+  });
+
+  it('returns binary blobs for document parsing', () => {
+    const result: t.MCPReadResourceResult = {
+      contents: [{ uri: 'drive://spec.pdf', mimeType: 'application/pdf', blob: 'JVBERi0=' }],
+    };
+
+    expect(splitResourceContents(result)).toEqual({
+      text: '',
+      mimeType: undefined,
+      blobs: [{ uri: 'drive://spec.pdf', mimeType: 'application/pdf', blob: 'JVBERi0=' }],
+    });
+  });
+});
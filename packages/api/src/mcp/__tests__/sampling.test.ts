@@ -0,0 +1,127 @@
+import { McpError } from '@modelcontextprotocol/sdk/types.js';
+import type { ServerRequest, EndpointDbMethods } from '~/types';
+import type * as t from '~/mcp/types';
+import {
+  toSamplingMessages,
+  getMCPSamplingMaxTokens,
+  createMCPSamplingHandler,
+} from '~/mcp/sampling';
+
+jest.mock('@librechat/data-schemas', () => ({
+  logger: { debug: jest.fn(), warn: jest.fn(), error: jest.fn() },
+}));
+
+const mockInvoke = jest.fn();
+jest.mock('@librechat/agents', () => ({
+  ...jest.requireActual('@librechat/agents'),
+  initializeModel: jest.fn(() => ({ invoke: mockInvoke })),
+}));
+
+const mockGetOptions = jest.fn();
+jest.mock('~/endpoints/config/providers', () => ({
+  getProviderConfig: jest.fn(() => ({ getOptions: mockGetOptions })),
+}));
+
+const request = (over: Partial<t.MCPSamplingRequest> = {}): t.MCPSamplingRequest => ({
+  messages: [{ role: 'user', content: { type: 'text', text: 'Summarize the ticket' } }],
+  maxTokens: 500,
+  ...over,
+});
+
+describe('MCP sampling', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('toSamplingMessages', () => {
+    it('maps the system prompt and text messages to chat roles', () => {
+      expect(
+        toSamplingMessages(
+          request({
+            systemPrompt: 'Be brief',
+            messages: [
+              { role: 'user', content: { type: 'text', text: 'Hi' } },
+              { role: 'assistant', content: { type: 'text', text: 'Hello' } },
+            ],
+          }),
+        ),
+      ).toEqual([
+        ['system', 'Be brief'],
+        ['human', 'Hi'],
+        ['ai', 'Hello'],
+      ]);
+    });
+
+    it('refuses non-text content', () => {
+      expect(() =>
+        toSamplingMessages(
+          request({
+            messages: [
+              { role: 'user', content: { type: 'image', data: 'abc', mimeType: 'image/png' } },
+            ],
+          }),
+        ),
+      ).toThrow(McpError);
+    });
+  });
+
+  describe('getMCPSamplingMaxTokens', () => {
+    it('uses the smallest of the request, server, and global limits', () => {
+      expect(getMCPSamplingMaxTokens(500)).toBe(500);
+      expect(getMCPSamplingMaxTokens(500, { enabled: true, maxTokens: 200 })).toBe(200);
+      expect(
+        getMCPSamplingMaxTokens(
+          500,
+          { enabled: true, maxTokens: 200 },
+          { endpoint: 'openAI', model: 'gpt-4o-mini', maxTokens: 100 },
+        ),
+      ).toBe(100);
+    });
+  });
+
+  describe('createMCPSamplingHandler', () => {
+    const req = { user: { id: 'user-1' }, body: {}, config: {} } as unknown as ServerRequest;
+    const db = {} as EndpointDbMethods;
+    const config = { endpoint: 'openAI', model: 'gpt-4o-mini', maxTokens: 300 };
+
+    it('refuses when sampling is not enabled for the server', async () => {
+      const handler = createMCPSamplingHandler({ req, serverName: 'jira', config, db });
+      await expect(handler(request(), new AbortController().signal)).rejects.toThrow(McpError);
+      expect(mockGetOptions).not.toHaveBeenCalled();
+    });
+
+    it('serves the request with the configured model and reports usage', async () => {
+      mockGetOptions.mockResolvedValue({ llmConfig: { model: 'gpt-4o-mini', maxTokens: 4096 } });
+      mockInvoke.mockResolvedValue({
+        content: 'Login redirect is broken',
+        usage_metadata: { input_tokens: 12, output_tokens: 5 },
+        response_metadata: { finish_reason: 'stop' },
+      });
+      const onUsage = jest.fn().mockResolvedValue(undefined);
+      const handler = createMCPSamplingHandler({
+        req,
+        serverName: 'jira',
+        serverOptions: { enabled: true },
+        config,
+        db,
+        onUsage,
+      });
+
+      await expect(handler(request(), new AbortController().signal)).resolves.toEqual({
+        role: 'assistant',
+        content: { type: 'text', text: 'Login redirect is broken' },
+        model: 'gpt-4o-mini',
+        stopReason: 'endTurn',
+      });
+      const { initializeModel } = jest.requireMock('@librechat/agents');
+      expect(initializeModel).toHaveBeenCalledWith(
+        expect.objectContaining({
+          clientOptions: expect.objectContaining({ maxTokens: 300, streaming: false }),
+        }),
+      );
+      expect(onUsage).toHaveBeenCalledWith(
+        expect.objectContaining({ model: 'gpt-4o-mini', promptTokens: 12, completionTokens: 5 }),
+      );
+    });
+  });
+});
@@ -11,7 +11,12 @@ import {
   getDefaultEnvironment,
 } from '@modelcontextprotocol/sdk/client/stdio.js';
 import {
+  ErrorCode,
+  McpError,
+  ElicitRequestSchema,
+  CreateMessageRequestSchema,
   ResourceListChangedNotificationSchema,
+  ResourceUpdatedNotificationSchema,
   ToolListChangedNotificationSchema,
 } from '@modelcontextprotocol/sdk/types.js';
 import type {
@@ -20,6 +25,7 @@ import type {
   Response as UndiciResponse,
   Dispatcher,
 } from 'undici';
+import type { RequestOptions } from '@modelcontextprotocol/sdk/shared/protocol.js';
 import type { Transport } from '@modelcontextprotocol/sdk/shared/transport.js';
 import type { MCPOAuthTokens } from './oauth/types';
 import type * as t from './types';
@@ -1043,6 +1049,12 @@ export class MCPConnection extends EventEmitter {
   private toolListRefreshRetryTimer: ReturnType<typeof setTimeout> | null = null;
   private toolListRefreshEpoch = 0;
   private toolListRefreshSuspended = false;
+  /** Resource URIs subscribed on the current server session; subscriptions do not survive a reconnect. */
+  private subscribedResources = new Set<string>();
+  /** Subscribed resource URIs the server reported as updated since they were last read. */
+  private updatedResources = new Set<string>();
+  /** Handlers of the tool calls currently in flight; see {@link withServerRequestHandlers}. */
+  private serverRequestScopes = new Set<t.MCPServerRequestHandlers>();
   private publishedToolListSnapshot: {
     epoch: number;
     generation: number;
@@ -1183,7 +1195,10 @@ export class MCPConnection extends EventEmitter {
         version: '1.2.3',
       },
       {
-        capabilities: {},
+        capabilities: {
+          ...(params.serverConfig.sampling?.enabled === true && { sampling: {} }),
+          ...(params.serverConfig.elicitation !== false && { elicitation: { form: {} } }),
+        },
       },
     );
 
@@ -1692,6 +1707,8 @@ export class MCPConnection extends EventEmitter {
         this.toolListRefreshEpoch++;
         this.toolListRefreshSuspended = true;
         this.clearToolListRefreshRetry();
+        this.subscribedResources.clear();
+        this.updatedResources.clear();
       }
 
       if (state === 'error' && !this.isReconnecting && !this.isInitializing) {
@@ -1703,6 +1720,7 @@ export class MCPConnection extends EventEmitter {
 
     this.subscribeToResources();
     this.subscribeToToolListChanges();
+    this.handleServerRequests();
   }
 
   private async handleReconnection(): Promise<void> {
@@ -1782,6 +1800,71 @@ export class MCPConnection extends EventEmitter {
     this.client.setNotificationHandler(ResourceListChangedNotificationSchema, async () => {
       this.emit('resourcesChanged');
     });
+    this.client.setNotificationHandler(ResourceUpdatedNotificationSchema, async (notification) => {
+      const { uri } = notification.params;
+      if (!this.subscribedResources.has(uri)) {
+        return;
+      }
+      this.updatedResources.add(uri);
+      this.emit('resourceUpdated', uri);
+    });
+  }
+
+  /**
+   * Servers only send `sampling/createMessage` and `elicitation/create` while one of their tools
+   * is running, but the protocol does not say which call a request belongs to. Each request is
+   * routed to the handlers of the single in-flight call; when several calls share this connection
+   * the owner is ambiguous, so the request is refused rather than answered for the wrong user.
+   */
+  private handleServerRequests(): void {
+    if (this.options.sampling?.enabled === true) {
+      this.client.setRequestHandler(CreateMessageRequestSchema, async (request, extra) => {
+        const handler = this.getServerRequestScope('sampling/createMessage')?.createMessage;
+        if (!handler) {
+          throw new McpError(
+            ErrorCode.InvalidRequest,
+            'Sampling is only available while a single tool call is in progress',
+          );
+        }
+        return await handler(request.params, extra.signal);
+      });
+    }
+    if (this.options.elicitation !== false) {
+      this.client.setRequestHandler(ElicitRequestSchema, async (request, extra) => {
+        const handler = this.getServerRequestScope('elicitation/create')?.elicit;
+        if (!handler || request.params.mode === 'url') {
+          return { action: 'cancel' };
+        }
+        return await handler(request.params, extra.signal);
+      });
+    }
+  }
+
+  private getServerRequestScope(method: string): t.MCPServerRequestHandlers | undefined {
+    if (this.serverRequestScopes.size === 1) {
+      return this.serverRequestScopes.values().next().value;
+    }
+    logger.warn(
+      `${this.getLogPrefix()} Refusing ${method}: ${this.serverRequestScopes.size} tool calls in flight`,
+    );
+    return undefined;
+  }
+
+  /**
+   * Runs `fn` (a `tools/call`) with `handlers` answering the server's sampling and elicitation
+   * requests until it settles.
+   */
+  async withServerRequestHandlers<T>(
+    handlers: t.MCPServerRequestHandlers | undefined,
+    fn: () => Promise<T>,
+  ): Promise<T> {
+    const scope = handlers ?? {};
+    this.serverRequestScopes.add(scope);
+    try {
+      return await fn();
+    } finally {
+      this.serverRequestScopes.delete(scope);
+    }
   }
 
   /**
@@ -2359,6 +2442,30 @@ export class MCPConnection extends EventEmitter {
     }
   }
 
+  /** Reads a resource via `resources/read`; errors propagate to the caller. */
+  async readResource(uri: string, options?: RequestOptions): Promise<t.MCPReadResourceResult> {
+    /** Cleared before the read so an update that lands mid-request still marks it stale. */
+    this.updatedResources.delete(uri);
+    return await this.client.readResource({ uri }, { timeout: this.timeout, ...options });
+  }
+
+  /** Subscribes to `notifications/resources/updated` for a resource on this server session. */
+  async subscribeResource(uri: string, options?: RequestOptions): Promise<void> {
+    if (this.subscribedResources.has(uri)) {
+      return;
+    }
+    await this.client.subscribeResource({ uri }, { timeout: this.timeout, ...options });
+    this.subscribedResources.add(uri);
+  }
+
+  /**
+   * Whether a previously read resource is known to be unchanged: it is subscribed on the
+   * current session and the server has not reported an update since it was last read.
+   */
+  isResourceCurrent(uri: string): boolean {
+    return this.subscribedResources.has(uri) && !this.updatedResources.has(uri);
+  }
+
   /**
    * Fetches the server's tools, following MCP `tools/list` cursor pagination so a
    * server that spans multiple pages (e.g. an aggregating gateway exposing many
@@ -2574,6 +2681,18 @@ export class MCPConnection extends EventEmitter {
     }
   }
 
+  /** Resolves a server prompt via `prompts/get`; errors propagate to the caller. */
+  async getPrompt(
+    name: string,
+    promptArguments?: Record<string, string>,
+    options?: RequestOptions,
+  ): Promise<t.MCPGetPromptResult> {
+    return await this.client.getPrompt(
+      { name, arguments: promptArguments },
+      { timeout: this.timeout, ...options },
+    );
+  }
+
   public async isConnected(): Promise<boolean> {
     // First check if we're in a connected state
     if (this.connectionState !== 'connected') {
@@ -252,3 +252,61 @@ UI Resource Markers Available:
 
   return [currentTextBlock || (artifacts !== undefined ? '' : '(No response)'), artifacts];
 }
+
+/**
+ * Flattens a `prompts/get` result into the text a user message is composed from.
+ * Text parts and embedded text resources are kept in order; binary content is dropped,
+ * since the result is inserted into the chat input rather than sent as attachments.
+ */
+export function formatPromptMessages(result: t.MCPGetPromptResult): string {
+  const blocks: string[] = [];
+  for (const message of result.messages ?? []) {
+    const content = message.content;
+    if (content.type === 'text' && content.text) {
+      blocks.push(content.text);
+    } else if (
+      content.type === 'resource' &&
+      'text' in content.resource &&
+      typeof content.resource.text === 'string' &&
+      content.resource.text
+    ) {
+      blocks.push(content.resource.text);
+    }
+  }
+  return blocks.join('\n\n');
+}
+
+/** MIME types whose base64 `blob` contents decode to readable text. */
+const textualBlobMimeType =
+  /^(text\/|application\/(json|xml|yaml|x-yaml|javascript|typescript|sql|x-sh|csv)\b|[^;]*\+(json|xml)\b)/;
+
+/**
+ * Splits a `resources/read` result into text usable as file context and the binary blobs
+ * that still need document parsing. Blobs with a textual MIME type are decoded inline.
+ */
+export function splitResourceContents(result: t.MCPReadResourceResult): t.MCPResourceContents {
+  const blocks: string[] = [];
+  const blobs: t.MCPResourceContents['blobs'] = [];
+  let mimeType: string | undefined;
+
+  for (const content of result.contents ?? []) {
+    if ('text' in content && typeof content.text === 'string') {
+      if (content.text) {
+        blocks.push(content.text);
+        mimeType ??= content.mimeType;
+      }
+      continue;
+    }
+    if (!('blob' in content) || typeof content.blob !== 'string' || !content.blob) {
+      continue;
+    }
+    if (content.mimeType && textualBlobMimeType.test(content.mimeType)) {
+      blocks.push(Buffer.from(content.blob, 'base64').toString('utf8'));
+      mimeType ??= content.mimeType;
+      continue;
+    }
+    blobs.push({ uri: content.uri, mimeType: content.mimeType, blob: content.blob });
+  }
+
+  return { text: blocks.join('\n\n'), mimeType, blobs };
+}
@@ -0,0 +1,259 @@
+import { logger } from '@librechat/data-schemas';
+import { EModelEndpoint } from 'librechat-data-provider';
+import { initializeModel, Providers } from '@librechat/agents';
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+import type { ClientOptions } from '@librechat/agents';
+import type { AppConfig, IUser } from '@librechat/data-schemas';
+import type { EndpointDbMethods, OpenAIConfiguration, ServerRequest } from '~/types';
+import type * as t from './types';
+import { getProviderConfig } from '~/endpoints/config/providers';
+import { resolveConfigHeaders } from '~/utils/headers';
+import { omitTitleOptions } from '~/agents/client';
+import { createSafeUser } from '~/utils/env';
+
+/** `mcpSettings.sampling`: the model every sampling request is served by. */
+export interface MCPSamplingConfig {
+  endpoint: string;
+  model: string;
+  maxTokens?: number;
+}
+
+/** Per-server `sampling` option. */
+export interface MCPServerSamplingOptions {
+  enabled: boolean;
+  maxTokens?: number;
+}
+
+export interface MCPSamplingLLM {
+  provider: Providers;
+  clientOptions: ClientOptions;
+  endpointTokenConfig?: unknown;
+}
+
+export interface MCPSamplingUsage {
+  model: string;
+  promptTokens: number;
+  completionTokens: number;
+  endpointTokenConfig?: unknown;
+}
+
+type MaybeAzureConfig = ClientOptions & {
+  azureOpenAIApiInstanceName?: string;
+  configuration?: OpenAIConfiguration;
+  maxTokens?: number;
+  modelKwargs?: Record<string, unknown>;
+  clientOptions?: { defaultHeaders?: unknown };
+};
+
+type SamplingMessage = [role: 'system' | 'human' | 'ai', content: string];
+
+/**
+ * Resolves provider + client options for the admin-configured sampling model, the same
+ * way titles and activity labels resolve a substitute model: credentials come from the
+ * configured endpoint, primary-generation options are dropped, and `maxTokens` is applied
+ * with the provider's own parameter name.
+ */
+export async function resolveMCPSamplingModel({
+  req,
+  config,
+  maxTokens,
+  db,
+}: {
+  req: ServerRequest;
+  config: MCPSamplingConfig;
+  maxTokens: number;
+  db: EndpointDbMethods;
+}): Promise<MCPSamplingLLM> {
+  const appConfig = req.config as AppConfig | undefined;
+  const { endpoint, model } = config;
+  const providerConfig = getProviderConfig({ provider: endpoint, appConfig });
+  const options = await providerConfig.getOptions({
+    req,
+    endpoint,
+    model_parameters: { model },
+    db,
+  });
+  const llmConfig = options.llmConfig as MaybeAzureConfig | undefined;
+  let provider = (options.provider ?? providerConfig.overrideProvider ?? endpoint) as Providers;
+  if (endpoint === EModelEndpoint.azureOpenAI) {
+    provider = llmConfig?.azureOpenAIApiInstanceName == null ? Providers.OPENAI : Providers.AZURE;
+  }
+
+  const rawOptions = { ...(llmConfig ?? {}) } as MaybeAzureConfig;
+  delete rawOptions.maxTokens;
+  if (rawOptions.modelKwargs != null) {
+    const modelKwargs = { ...rawOptions.modelKwargs };
+    delete modelKwargs.max_completion_tokens;
+    delete modelKwargs.max_output_tokens;
+    rawOptions.modelKwargs = modelKwargs;
+  }
+  /** The Anthropic `clientOptions` carrier holds client construction options (proxy
+   *  headers, SSRF-safe fetch options), not generation parameters; keep it. */
+  const anthropicCarrier = rawOptions.clientOptions;
+  const clientOptions = Object.fromEntries(
+    Object.entries(rawOptions).filter(([key]) => !omitTitleOptions.has(key)),
+  ) as MaybeAzureConfig;
+  if (anthropicCarrier != null && clientOptions.clientOptions == null) {
+    clientOptions.clientOptions = anthropicCarrier;
+  }
+
+  if (provider === Providers.GOOGLE || provider === Providers.VERTEXAI) {
+    (clientOptions as { maxOutputTokens?: number }).maxOutputTokens = maxTokens;
+  } else if (/\bgpt-[5-9](?:\.\d+)?\b/i.test(model)) {
+    const paramName =
+      (rawOptions as { useResponsesApi?: boolean }).useResponsesApi === true
+        ? 'max_output_tokens'
+        : 'max_completion_tokens';
+    clientOptions.modelKwargs = { ...(clientOptions.modelKwargs ?? {}), [paramName]: maxTokens };
+  } else if (!/\bo[1-9](?:[-.]|\b)/i.test(model)) {
+    clientOptions.maxTokens = maxTokens;
+  }
+  if (options.configOptions) {
+    clientOptions.configuration = options.configOptions;
+  }
+  resolveConfigHeaders({
+    llmConfig: clientOptions,
+    user: createSafeUser(req.user as IUser | undefined),
+    body: req.body as Record<string, string> | undefined,
+  });
+  return {
+    provider,
+    clientOptions: clientOptions as ClientOptions,
+    endpointTokenConfig: options.endpointTokenConfig,
+  };
+}
+
+/** Smallest of the request's own limit and the server and global caps. */
+export function getMCPSamplingMaxTokens(
+  requested: number,
+  serverOptions?: MCPServerSamplingOptions,
+  config?: MCPSamplingConfig,
+): number {
+  return Math.min(
+    requested,
+    serverOptions?.maxTokens ?? Number.POSITIVE_INFINITY,
+    config?.maxTokens ?? Number.POSITIVE_INFINITY,
+  );
+}
+
+/** Maps a `sampling/createMessage` request to chat messages; only text content is supported. */
+export function toSamplingMessages(request: t.MCPSamplingRequest): SamplingMessage[] {
+  const messages: SamplingMessage[] = [];
+  if (request.systemPrompt) {
+    messages.push(['system', request.systemPrompt]);
+  }
+  for (const message of request.messages) {
+    const blocks = Array.isArray(message.content) ? message.content : [message.content];
+    const text: string[] = [];
+    for (const block of blocks) {
+      if (block.type !== 'text') {
+        throw new McpError(
+          ErrorCode.InvalidParams,
+          `Sampling content of type "${block.type}" is not supported`,
+        );
+      }
+      text.push(block.text);
+    }
+    messages.push([message.role === 'assistant' ? 'ai' : 'human', text.join('\n')]);
+  }
+  return messages;
+}
+
+function extractText(content: unknown): string {
+  if (typeof content === 'string') {
+    return content;
+  }
+  if (!Array.isArray(content)) {
+    return '';
+  }
+  return content
+    .map((part: { type?: string; text?: string }) =>
+      part?.type === 'text' && typeof part.text === 'string' ? part.text : '',
+    )
+    .join('');
+}
+
+function isLengthStop(metadata: Record<string, unknown> | undefined): boolean {
+  const reason = metadata?.finish_reason ?? metadata?.stop_reason ?? metadata?.finishReason;
+  return reason === 'length' || reason === 'max_tokens' || reason === 'MAX_TOKENS';
+}
+
+/**
+ * Builds the `sampling/createMessage` handler for one tool call: completions are served by
+ * `mcpSettings.sampling`, capped by the server's and the global `maxTokens`, and reported
+ * through `onUsage` so the caller can bill them.
+ */
+export function createMCPSamplingHandler({
+  req,
+  serverName,
+  serverOptions,
+  config,
+  db,
+  onUsage,
+}: {
+  req: ServerRequest;
+  serverName: string;
+  serverOptions?: MCPServerSamplingOptions;
+  config?: MCPSamplingConfig;
+  db: EndpointDbMethods;
+  onUsage?: (usage: MCPSamplingUsage) => Promise<void>;
+}): NonNullable<t.MCPServerRequestHandlers['createMessage']> {
+  return async (request, signal) => {
+    if (serverOptions?.enabled !== true || !config) {
+      throw new McpError(
+        ErrorCode.InvalidRequest,
+        `Sampling is not enabled for MCP server "${serverName}"`,
+      );
+    }
+    const messages = toSamplingMessages(request);
+    const maxTokens = getMCPSamplingMaxTokens(request.maxTokens, serverOptions, config);
+    const { provider, clientOptions, endpointTokenConfig } = await resolveMCPSamplingModel({
+      req,
+      config,
+      maxTokens,
+      db,
+    });
+    const model = initializeModel({
+      provider,
+      clientOptions: {
+        ...clientOptions,
+        streaming: false,
+        ...(request.temperature != null && { temperature: request.temperature }),
+        ...(request.stopSequences?.length && { stop: request.stopSequences }),
+      } as ClientOptions,
+    });
+    const response = await (
+      model as {
+        invoke: (
+          input: SamplingMessage[],
+          config?: object,
+        ) => Promise<{
+          content?: unknown;
+          usage_metadata?: { input_tokens?: number; output_tokens?: number };
+          response_metadata?: Record<string, unknown>;
+        }>;
+      }
+    ).invoke(messages, { signal });
+
+    const usage = response?.usage_metadata;
+    if (onUsage && usage) {
+      try {
+        await onUsage({
+          model: config.model,
+          promptTokens: usage.input_tokens ?? 0,
+          completionTokens: usage.output_tokens ?? 0,
+          endpointTokenConfig,
+        });
+      } catch (error) {
+        logger.error(`[MCP][${serverName}] Failed to record sampling usage`, error);
+      }
+    }
+
+    return {
+      role: 'assistant',
+      content: { type: 'text', text: extractText(response?.content) },
+      model: config.model,
+      stopReason: isLengthStop(response?.response_metadata) ? 'maxTokens' : 'endTurn',
+    };
+  };
+}
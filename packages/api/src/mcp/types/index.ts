@@ -9,8 +9,14 @@ import {
   StreamableHTTPOptionsSchema,
 } from 'librechat-data-provider';
 import type {
+  CreateMessageRequest,
+  CreateMessageResult,
+  ElicitRequestFormParams,
+  ElicitResult,
   EmbeddedResource,
+  GetPromptResult,
   ListToolsResult,
+  ReadResourceResult,
   ImageContent,
   AudioContent,
   TextContent,
@@ -42,8 +48,26 @@ export type MCPServers = z.infer<typeof MCPServersSchema>;
 export interface MCPResource {
   uri: string;
   name: string;
+  title?: string;
   description?: string;
   mimeType?: string;
+  size?: number;
+}
+
+/** A resource listed by a connected MCP server, as surfaced to the attachment menu */
+export interface MCPServerResource extends MCPResource {
+  serverName: string;
+  /** Whether the server supports `resources/subscribe` for update notifications */
+  subscribable: boolean;
+}
+
+export type MCPReadResourceResult = ReadResourceResult;
+
+/** Contents of a `resources/read` result, split into what is already text and what is binary */
+export interface MCPResourceContents {
+  text: string;
+  mimeType?: string;
+  blobs: Array<{ uri: string; mimeType?: string; blob: string }>;
 }
 
 export interface LCFunctionTool {
@@ -54,10 +78,39 @@ export interface LCFunctionTool {
 export type LCAvailableTools = Record<string, LCFunctionTool>;
 export type LCManifestTool = TPlugin;
 export type LCToolManifest = TPlugin[];
+export interface MCPPromptArgument {
+  name: string;
+  description?: string;
+  required?: boolean;
+}
+
 export interface MCPPrompt {
   name: string;
+  title?: string;
   description?: string;
-  arguments?: Array<{ name: string }>;
+  arguments?: MCPPromptArgument[];
+}
+
+/** A prompt declared by a connected MCP server, as surfaced to the `/` command popover */
+export interface MCPServerPrompt extends MCPPrompt {
+  serverName: string;
+}
+
+export type MCPGetPromptResult = GetPromptResult;
+
+export type MCPSamplingRequest = CreateMessageRequest['params'];
+export type MCPSamplingResult = CreateMessageResult;
+export type MCPElicitationRequest = ElicitRequestFormParams;
+export type MCPElicitationResult = ElicitResult;
+
+/**
+ * Handlers for requests the server sends back while one of its tools is running.
+ * Supplied per `tools/call`; a request with no handler is refused (sampling) or
+ * cancelled (elicitation).
+ */
+export interface MCPServerRequestHandlers {
+  createMessage?: (request: MCPSamplingRequest, signal: AbortSignal) => Promise<MCPSamplingResult>;
+  elicit?: (request: MCPElicitationRequest, signal: AbortSignal) => Promise<MCPElicitationResult>;
 }
 
 export type ConnectionState = 'disconnected' | 'connecting' | 'connected' | 'error';
@@ -263,4 +263,93 @@ describe('checkBalance', () => {
       );
     });
   });
+
+  describe('pooled budgets', () => {
+    const groupBudget = {
+      scope: 'group' as const,
+      groupId: 'group-1',
+      monthlyLimit: 1000,
+      spent: 950,
+      hardStop: true,
+      mode: 'additional' as const,
+    };
+
+    it('should block a request that would pass a hard-stop budget', async () => {
+      const deps = createMockDeps({
+        findBudgetsForUser: jest.fn().mockResolvedValue([groupBudget]),
+      });
+
+      await expect(checkBalance({ req, res, txData: baseTxData }, deps)).rejects.toThrow();
+      expect(deps.findBalanceByUser).not.toHaveBeenCalled();
+      expect(deps.logViolation).toHaveBeenCalledWith(
+        req,
+        res,
+        ViolationTypes.TOKEN_BALANCE,
+        expect.objectContaining({
+          balance: 50,
+          tokenCost: 100,
+          budget: { scope: 'group', groupId: 'group-1', monthlyLimit: 1000, spent: 950 },
+        }),
+        0,
+      );
+    });
+
+    it('should only warn, not block, when the budget has no hard stop', async () => {
+      const deps = createMockDeps({
+        findBudgetsForUser: jest.fn().mockResolvedValue([{ ...groupBudget, hardStop: false }]),
+      });
+
+      await expect(checkBalance({ req, res, txData: baseTxData }, deps)).resolves.toBe(true);
+      expect(deps.findBalanceByUser).toHaveBeenCalledWith('user-1');
+    });
+
+    it('should still check the personal balance for an additional budget', async () => {
+      const deps = createMockDeps({
+        findBalanceByUser: jest.fn().mockResolvedValue({ tokenCredits: 10 }),
+        findBudgetsForUser: jest.fn().mockResolvedValue([{ ...groupBudget, spent: 0 }]),
+      });
+
+      await expect(checkBalance({ req, res, txData: baseTxData }, deps)).rejects.toThrow();
+      expect(deps.logViolation).toHaveBeenCalledWith(
+        req,
+        res,
+        ViolationTypes.TOKEN_BALANCE,
+        expect.objectContaining({ balance: 10, tokenCost: 100 }),
+        0,
+      );
+    });
+
+    it('should skip the personal balance when a budget replaces it', async () => {
+      const deps = createMockDeps({
+        findBalanceByUser: jest.fn().mockResolvedValue({ tokenCredits: 0 }),
+        findBudgetsForUser: jest
+          .fn()
+          .mockResolvedValue([{ ...groupBudget, spent: 0, mode: 'instead' }]),
+      });
+
+      await expect(checkBalance({ req, res, txData: baseTxData }, deps)).resolves.toBe(true);
+      expect(deps.findBalanceByUser).not.toHaveBeenCalled();
+    });
+
+    it('should apply the multiplier to the budget check', async () => {
+      const deps = createMockDeps({
+        getMultiplier: jest.fn().mockReturnValue(2),
+        findBudgetsForUser: jest
+          .fn()
+          .mockResolvedValue([{ ...groupBudget, scope: 'tenant', groupId: null, spent: 850 }]),
+      });
+
+      await expect(checkBalance({ req, res, txData: baseTxData }, deps)).rejects.toThrow();
+      expect(deps.logViolation).toHaveBeenCalledWith(
+        req,
+        res,
+        ViolationTypes.TOKEN_BALANCE,
+        expect.objectContaining({
+          tokenCost: 200,
+          budget: { scope: 'tenant', monthlyLimit: 1000, spent: 850 },
+        }),
+        0,
+      );
+    });
+  });
 });
@@ -1,6 +1,11 @@
 import { logger } from '@librechat/data-schemas';
 import { getRefillEligibilityDate, ViolationTypes } from 'librechat-data-provider';
-import type { BalanceConfig, IBalanceUpdate } from '@librechat/data-schemas';
+import type {
+  BudgetMode,
+  BudgetScope,
+  BalanceConfig,
+  IBalanceUpdate,
+} from '@librechat/data-schemas';
 import type { RefillIntervalUnit } from 'librechat-data-provider';
 import type { Response } from 'express';
 import type { ServerRequest } from '~/types/http';
@@ -14,6 +19,15 @@ interface BalanceRecord {
   refillIntervalUnit?: RefillIntervalUnit;
 }
 
+interface BudgetRecord {
+  scope: BudgetScope;
+  groupId?: unknown;
+  monthlyLimit: number;
+  spent: number;
+  hardStop: boolean;
+  mode: BudgetMode;
+}
+
 interface TxData {
   user: string;
   model?: string;
@@ -42,6 +56,43 @@ export interface CheckBalanceDeps {
   balanceConfig?: BalanceConfig;
   /** Upsert function for lazy initialization when no record exists */
   upsertBalanceFields?: (userId: string, fields: IBalanceUpdate) => Promise<BalanceRecord | null>;
+  /** Group and tenant budgets covering the user, with their current-month spend */
+  findBudgetsForUser?: (user: string) => Promise<BudgetRecord[]>;
+}
+
+/**
+ * Checks the pooled budgets covering a user. A hard-stop budget blocks the request once its
+ * month's spend plus this request would pass the limit; an `instead` budget lets the
+ * request skip the personal balance check.
+ */
+async function checkBudgets(
+  txData: TxData,
+  deps: CheckBalanceDeps,
+): Promise<{ exceeded?: BudgetRecord; replacesBalance: boolean; tokenCost: number }> {
+  const budgets = (await deps.findBudgetsForUser?.(txData.user)) ?? [];
+  if (budgets.length === 0) {
+    return { replacesBalance: false, tokenCost: 0 };
+  }
+  const { model, endpoint, valueKey, tokenType, amount, endpointTokenConfig } = txData;
+  const tokenCost =
+    amount * deps.getMultiplier({ valueKey, tokenType, model, endpoint, endpointTokenConfig });
+  const exceeded = budgets.find(
+    (budget) => budget.hardStop && budget.spent + tokenCost > budget.monthlyLimit,
+  );
+  if (exceeded) {
+    logger.debug('[Balance.check] Budget limit reached', {
+      user: txData.user,
+      scope: exceeded.scope,
+      spent: exceeded.spent,
+      monthlyLimit: exceeded.monthlyLimit,
+      tokenCost,
+    });
+  }
+  return {
+    exceeded,
+    replacesBalance: budgets.some((budget) => budget.mode === 'instead'),
+    tokenCost,
+  };
 }
 
 /** Checks a user's balance record and handles auto-refill if needed. */
@@ -147,26 +198,46 @@ async function checkBalanceRecord(
 }
 
 /**
- * Checks balance for a user and logs a violation if they cannot spend.
+ * Checks the pooled budgets and balance for a user and logs a violation if they cannot spend.
  * Throws an error with the balance info if insufficient funds.
  */
 export async function checkBalance(
   { req, res, txData }: { req: ServerRequest; res: Response; txData: TxData },
   deps: CheckBalanceDeps,
 ): Promise<boolean> {
-  const { canSpend, balance, tokenCost } = await checkBalanceRecord(txData, deps);
-  if (canSpend) {
+  const type = ViolationTypes.TOKEN_BALANCE;
+  const budgetCheck = await checkBudgets(txData, deps);
+  let errorMessage: Record<string, unknown>;
+
+  if (budgetCheck.exceeded) {
+    const { exceeded, tokenCost } = budgetCheck;
+    errorMessage = {
+      type,
+      balance: Math.max(exceeded.monthlyLimit - exceeded.spent, 0),
+      tokenCost,
+      promptTokens: txData.amount,
+      budget: {
+        scope: exceeded.scope,
+        ...(exceeded.groupId != null && { groupId: String(exceeded.groupId) }),
+        monthlyLimit: exceeded.monthlyLimit,
+        spent: exceeded.spent,
+      },
+    };
+  } else if (budgetCheck.replacesBalance) {
     return true;
+  } else {
+    const { canSpend, balance, tokenCost } = await checkBalanceRecord(txData, deps);
+    if (canSpend) {
+      return true;
+    }
+    errorMessage = {
+      type,
+      balance,
+      tokenCost,
+      promptTokens: txData.amount,
+    };
   }
 
-  const type = ViolationTypes.TOKEN_BALANCE;
-  const errorMessage: Record<string, unknown> = {
-    type,
-    balance,
-    tokenCost,
-    promptTokens: txData.amount,
-  };
-
   if (txData.generations && txData.generations.length > 0) {
     errorMessage.generations = txData.generations;
   }
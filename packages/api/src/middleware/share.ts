@@ -49,6 +49,7 @@ const resourceToPermissionType: Record<ResourceType, PermissionTypes> = {
   [ResourceType.REMOTE_AGENT]: PermissionTypes.REMOTE_AGENTS,
   [ResourceType.SKILL]: PermissionTypes.SKILLS,
   [ResourceType.SHARED_LINK]: PermissionTypes.SHARED_LINKS,
+  [ResourceType.ARTIFACT]: PermissionTypes.ARTIFACTS,
 };
 
 function formatError(error: unknown): string {
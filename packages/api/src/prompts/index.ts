@@ -2,3 +2,5 @@ export * from './artifacts';
 export * from './format';
 export * from './migration';
 export * from './schemas';
+export * from './testSuite';
+export * from './testRuns';
@@ -0,0 +1,347 @@
+import type { Response } from 'express';
+import type { IPromptTestCase, IPromptTestRun } from '@librechat/data-schemas';
+import type { PromptTestDeps } from './testRuns';
+import type { ServerRequest } from '~/types';
+import { createPromptTestHandlers, PROMPT_TEST_RUNS_KEPT, PROMPT_TEST_STALE_MS } from './testRuns';
+import { PROMPT_TEST_MAX_CASES } from './testSuite';
+
+jest.mock('@librechat/data-schemas', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+  isValidObjectIdString: (id: string) => /^[a-f0-9]{24}$/.test(id),
+}));
+
+jest.mock('@librechat/agents', () => ({
+  initializeModel: jest.fn(),
+}));
+
+jest.mock('~/mcp/sampling', () => ({
+  resolveMCPSamplingModel: jest.fn(),
+}));
+
+const groupId = 'a'.repeat(24);
+const promptId = 'b'.repeat(24);
+
+interface MockResponse {
+  statusCode: number;
+  body: unknown;
+  status: jest.Mock;
+  json: jest.Mock;
+}
+
+function mockRequest(
+  overrides: { body?: unknown; query?: Record<string, string> } = {},
+): ServerRequest {
+  return {
+    user: { id: 'user-1', name: 'Sam' },
+    headers: {},
+    body: {},
+    query: {},
+    params: { groupId },
+    ...overrides,
+  } as unknown as ServerRequest;
+}
+
+function mockResponse(): Response & MockResponse {
+  const res: MockResponse = {
+    statusCode: 200,
+    body: undefined,
+    status: jest.fn((statusCode: number) => {
+      res.statusCode = statusCode;
+      return res;
+    }),
+    json: jest.fn((body: unknown) => {
+      res.body = body;
+      return res;
+    }),
+  };
+  return res as Partial<Response> as Response & MockResponse;
+}
+
+function createTestCase(
+  overrides: Partial<Omit<IPromptTestCase, '_id'>> & { _id?: string } = {},
+): IPromptTestCase {
+  return {
+    _id: 'case-1',
+    groupId,
+    author: 'user-1',
+    name: 'Refund request',
+    variables: new Map([['topic', 'refunds']]) as unknown as Record<string, string>,
+    assertions: [{ type: 'contains', value: 'refund' }],
+    ...overrides,
+  } as unknown as IPromptTestCase;
+}
+
+function createRun(overrides: Partial<IPromptTestRun> = {}): IPromptTestRun {
+  return {
+    _id: 'run-1',
+    groupId,
+    promptId,
+    user: 'user-1',
+    status: 'pending',
+    models: [{ endpoint: 'openAI', model: 'gpt-4o' }],
+    results: [],
+    summary: { total: 0, passed: 0, failed: 0 },
+    createdAt: new Date('2026-03-01T00:00:00.000Z'),
+    ...overrides,
+  } as IPromptTestRun;
+}
+
+const sleep = (ms: number) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('createPromptTestHandlers', () => {
+  let deps: jest.Mocked<PromptTestDeps>;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    deps = {
+      getPromptTestCases: jest.fn().mockResolvedValue([createTestCase()]),
+      countPromptTestCases: jest.fn().mockResolvedValue(0),
+      createPromptTestCase: jest.fn(async (data) => createTestCase(data)),
+      updatePromptTestCase: jest.fn(),
+      deletePromptTestCase: jest.fn(),
+      createPromptTestRun: jest.fn(async (data) => createRun(data)),
+      getPromptTestRun: jest.fn(),
+      getPromptTestRuns: jest.fn().mockResolvedValue([]),
+      findActivePromptTestRun: jest.fn().mockResolvedValue(null),
+      updatePromptTestRun: jest.fn(async (_runId, update) => createRun(update)),
+      pruneOldPromptTestRuns: jest.fn().mockResolvedValue(0),
+      getPrompt: jest.fn().mockResolvedValue({ _id: promptId, prompt: 'Answer {{topic}}' }),
+      getModelsConfig: jest.fn().mockResolvedValue({ openAI: ['gpt-4o', 'gpt-4o-mini'] }),
+      generate: jest.fn().mockResolvedValue({
+        text: 'We issue a refund within 5 days.',
+        promptTokens: 12,
+        completionTokens: 8,
+      }),
+      recordUsage: jest.fn().mockResolvedValue(undefined),
+    } as unknown as jest.Mocked<PromptTestDeps>;
+  });
+
+  /** Waits for the fire-and-forget run to record its outcome. */
+  async function waitForRun() {
+    const isFinished = () =>
+      deps.updatePromptTestRun.mock.calls.some(
+        ([, update]) => update.status === 'completed' || update.status === 'failed',
+      );
+    for (let i = 0; i < 100 && !isFinished(); i++) {
+      await sleep(10);
+    }
+    await sleep(0);
+  }
+
+  describe('createTestCase', () => {
+    it('saves a valid test case for the group', async () => {
+      const { createTestCase: create } = createPromptTestHandlers(deps);
+      const res = mockResponse();
+
+      await create(
+        mockRequest({
+          body: {
+            name: 'Refund request',
+            variables: { topic: 'refunds' },
+            assertions: [{ type: 'regex', value: 'refund(s)?' }],
+          },
+        }),
+        res,
+      );
+
+      expect(res.statusCode).toBe(201);
+      expect(deps.createPromptTestCase).toHaveBeenCalledWith({
+        name: 'Refund request',
+        variables: { topic: 'refunds' },
+        assertions: [{ type: 'regex', value: 'refund(s)?' }],
+        groupId,
+        author: 'user-1',
+      });
+      expect(res.body).toMatchObject({ testCase: { groupId, variables: { topic: 'refunds' } } });
+    });
+
+    it('rejects invalid assertions', async () => {
+      const { createTestCase: create } = createPromptTestHandlers(deps);
+      const res = mockResponse();
+
+      await create(
+        mockRequest({ body: { name: 'Bad', assertions: [{ type: 'regex', value: '(' }] } }),
+        res,
+      );
+
+      expect(res.statusCode).toBe(400);
+      expect(deps.createPromptTestCase).not.toHaveBeenCalled();
+    });
+
+    it('caps the number of test cases per group', async () => {
+      deps.countPromptTestCases.mockResolvedValue(PROMPT_TEST_MAX_CASES);
+      const { createTestCase: create } = createPromptTestHandlers(deps);
+      const res = mockResponse();
+
+      await create(mockRequest({ body: { name: 'One more' } }), res);
+
+      expect(res.statusCode).toBe(400);
+      expect(deps.createPromptTestCase).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('startTestRun', () => {
+    const body = { promptId, models: [{ endpoint: 'openAI', model: 'gpt-4o' }] };
+
+    it('runs every test case on every model in the background and stores the results', async () => {
+      deps.getPromptTestCases.mockResolvedValue([
+        createTestCase(),
+        createTestCase({ _id: 'case-2', name: 'Shipping', assertions: [] }),
+      ]);
+      deps.generate
+        .mockResolvedValueOnce({
+          text: 'A refund is on its way',
+          promptTokens: 10,
+          completionTokens: 5,
+        })
+        .mockResolvedValueOnce({ text: 'Out of stock', promptTokens: 10, completionTokens: 3 })
+        .mockResolvedValueOnce({ text: 'Ships today', promptTokens: 9, completionTokens: 2 })
+        .mockResolvedValueOnce({ text: 'Ships tomorrow', promptTokens: 9, completionTokens: 2 });
+      const { startTestRun } = createPromptTestHandlers(deps);
+      const res = mockResponse();
+      const req = mockRequest({
+        body: {
+          promptId,
+          models: [
+            { endpoint: 'openAI', model: 'gpt-4o' },
+            { endpoint: 'openAI', model: 'gpt-4o-mini' },
+          ],
+        },
+      });
+
+      await startTestRun(req, res);
+      await waitForRun();
+
+      expect(res.statusCode).toBe(202);
+      expect(res.body).toMatchObject({ run: { _id: 'run-1', status: 'pending' } });
+      expect(deps.getPrompt).toHaveBeenCalledWith({ _id: promptId, groupId });
+      expect(deps.pruneOldPromptTestRuns).toHaveBeenCalledWith(groupId, PROMPT_TEST_RUNS_KEPT);
+      expect(deps.generate).toHaveBeenCalledTimes(4);
+      expect(deps.generate).toHaveBeenNthCalledWith(1, req, {
+        endpoint: 'openAI',
+        model: 'gpt-4o',
+        text: 'Answer refunds',
+      });
+      expect(deps.recordUsage).toHaveBeenCalledWith(req, {
+        model: 'gpt-4o-mini',
+        promptTokens: 10,
+        completionTokens: 3,
+      });
+      expect(deps.updatePromptTestRun).toHaveBeenLastCalledWith(
+        'run-1',
+        expect.objectContaining({
+          status: 'completed',
+          summary: { total: 4, passed: 3, failed: 1 },
+          results: expect.arrayContaining([
+            expect.objectContaining({
+              testCaseId: 'case-1',
+              model: 'gpt-4o-mini',
+              output: 'Out of stock',
+              passed: false,
+              assertions: [{ type: 'contains', passed: false, message: 'Expected text not found' }],
+            }),
+          ]),
+        }),
+      );
+    });
+
+    it('records a failed generation on its result and keeps going', async () => {
+      deps.generate.mockRejectedValueOnce(new Error('rate limited'));
+      const { startTestRun } = createPromptTestHandlers(deps);
+
+      await startTestRun(
+        mockRequest({
+          body: {
+            promptId,
+            models: [
+              { endpoint: 'openAI', model: 'gpt-4o' },
+              { endpoint: 'openAI', model: 'gpt-4o-mini' },
+            ],
+          },
+        }),
+        mockResponse(),
+      );
+      await waitForRun();
+
+      expect(deps.updatePromptTestRun).toHaveBeenLastCalledWith(
+        'run-1',
+        expect.objectContaining({
+          status: 'completed',
+          summary: { total: 2, passed: 1, failed: 1 },
+          results: [
+            expect.objectContaining({ model: 'gpt-4o', error: 'rate limited', passed: false }),
+            expect.objectContaining({ model: 'gpt-4o-mini', passed: true }),
+          ],
+        }),
+      );
+    });
+
+    it('returns the active run instead of starting a second one', async () => {
+      deps.findActivePromptTestRun.mockResolvedValue(createRun({ status: 'running' }));
+      const { startTestRun } = createPromptTestHandlers(deps);
+      const res = mockResponse();
+
+      await startTestRun(mockRequest({ body }), res);
+
+      expect(res.statusCode).toBe(409);
+      expect(res.body).toMatchObject({ run: { _id: 'run-1', status: 'running' } });
+      const [, staleBefore] = deps.findActivePromptTestRun.mock.calls[0];
+      expect(Date.now() - staleBefore.getTime()).toBeGreaterThanOrEqual(
+        PROMPT_TEST_STALE_MS - 1000,
+      );
+      expect(deps.createPromptTestRun).not.toHaveBeenCalled();
+    });
+
+    it('returns 404 when the version does not belong to the group', async () => {
+      deps.getPrompt.mockResolvedValue(null);
+      const { startTestRun } = createPromptTestHandlers(deps);
+      const res = mockResponse();
+
+      await startTestRun(mockRequest({ body }), res);
+
+      expect(res.statusCode).toBe(404);
+      expect(deps.createPromptTestRun).not.toHaveBeenCalled();
+    });
+
+    it('rejects models the user cannot use', async () => {
+      const { startTestRun } = createPromptTestHandlers(deps);
+      const res = mockResponse();
+
+      await startTestRun(
+        mockRequest({ body: { promptId, models: [{ endpoint: 'openAI', model: 'o3-pro' }] } }),
+        res,
+      );
+
+      expect(res.statusCode).toBe(400);
+      expect(deps.createPromptTestRun).not.toHaveBeenCalled();
+    });
+
+    it('requires at least one test case', async () => {
+      deps.getPromptTestCases.mockResolvedValue([]);
+      const { startTestRun } = createPromptTestHandlers(deps);
+      const res = mockResponse();
+
+      await startTestRun(mockRequest({ body }), res);
+
+      expect(res.statusCode).toBe(400);
+      expect(deps.createPromptTestRun).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('listTestRuns', () => {
+    it('filters runs by prompt version', async () => {
+      deps.getPromptTestRuns.mockResolvedValue([createRun({ status: 'completed' })]);
+      const { listTestRuns } = createPromptTestHandlers(deps);
+      const res = mockResponse();
+
+      await listTestRuns(mockRequest({ query: { promptId } }), res);
+
+      expect(deps.getPromptTestRuns).toHaveBeenCalledWith(groupId, { promptId });
+      expect(res.body).toMatchObject({ runs: [{ _id: 'run-1', status: 'completed' }] });
+    });
+  });
+});
@@ -0,0 +1,383 @@
+import { logger, isValidObjectIdString } from '@librechat/data-schemas';
+import type {
+  IPromptTestRun,
+  IPromptTestCase,
+  IPromptTestResult,
+  PromptTestMethods,
+} from '@librechat/data-schemas';
+import type {
+  TUser,
+  TPromptTestRun,
+  TPromptTestCase,
+  TPromptTestAssertion,
+} from 'librechat-data-provider';
+import type { Response } from 'express';
+import type { PromptTestGeneration } from './testSuite';
+import type { ServerRequest } from '~/types';
+import {
+  promptTestRunSchema,
+  promptTestCaseSchema,
+  PROMPT_TEST_MAX_CASES,
+  renderPromptTestInput,
+  evaluatePromptTestAssertion,
+  PROMPT_TEST_MAX_OUTPUT_LENGTH,
+} from './testSuite';
+
+/** A pending or running test run that has not reported progress for this long is treated as abandoned. */
+export const PROMPT_TEST_STALE_MS: number = 10 * 60 * 1000;
+/** Runs kept per prompt group; older ones are deleted when a new run starts. */
+export const PROMPT_TEST_RUNS_KEPT = 20;
+
+export interface PromptTestDeps
+  extends Pick<
+    PromptTestMethods,
+    | 'getPromptTestCases'
+    | 'countPromptTestCases'
+    | 'createPromptTestCase'
+    | 'updatePromptTestCase'
+    | 'deletePromptTestCase'
+    | 'createPromptTestRun'
+    | 'getPromptTestRun'
+    | 'getPromptTestRuns'
+    | 'findActivePromptTestRun'
+    | 'updatePromptTestRun'
+    | 'pruneOldPromptTestRuns'
+  > {
+  getPrompt: (filter: { _id: string; groupId: string }) => Promise<unknown>;
+  /** The models available to the requesting user, keyed by endpoint. */
+  getModelsConfig: (req: ServerRequest) => Promise<Record<string, string[] | undefined>>;
+  /** Runs one rendered prompt on one model. */
+  generate: (
+    req: ServerRequest,
+    options: { endpoint: string; model: string; text: string },
+  ) => Promise<PromptTestGeneration>;
+  /** Bills a generation to the requesting user. Failures are logged, not surfaced. */
+  recordUsage?: (
+    req: ServerRequest,
+    usage: Omit<PromptTestGeneration, 'text'> & { model: string },
+  ) => Promise<void>;
+}
+
+type GroupParams = { groupId: string };
+type TestCaseParams = GroupParams & { testCaseId: string };
+type RunParams = GroupParams & { runId: string };
+
+const toISOString = (date?: Date) => (date != null ? new Date(date).toISOString() : undefined);
+
+/** `variables` is a Mongoose map, a plain object once read with `lean()`. */
+function getVariables(testCase: IPromptTestCase): Record<string, string> {
+  const { variables } = testCase;
+  return variables instanceof Map ? Object.fromEntries(variables) : (variables ?? {});
+}
+
+function toTestCaseResponse(testCase: IPromptTestCase): TPromptTestCase {
+  return {
+    _id: String(testCase._id),
+    groupId: String(testCase.groupId),
+    name: testCase.name,
+    variables: getVariables(testCase),
+    assertions: (testCase.assertions ?? []).map((assertion) =>
+      assertion.type === 'json_schema'
+        ? { type: assertion.type, schema: assertion.schema ?? {} }
+        : { type: assertion.type, value: assertion.value ?? '' },
+    ) as TPromptTestAssertion[],
+    createdAt: toISOString(testCase.createdAt),
+    updatedAt: toISOString(testCase.updatedAt),
+  };
+}
+
+function toTestRunResponse(run: IPromptTestRun): TPromptTestRun {
+  return {
+    _id: String(run._id),
+    groupId: String(run.groupId),
+    promptId: String(run.promptId),
+    status: run.status,
+    models: (run.models ?? []).map(({ endpoint, model }) => ({ endpoint, model })),
+    results: (run.results ?? []).map((result) => ({
+      ...result,
+      testCaseId: String(result.testCaseId),
+      assertions: result.assertions ?? [],
+    })),
+    summary: {
+      total: run.summary?.total ?? 0,
+      passed: run.summary?.passed ?? 0,
+      failed: run.summary?.failed ?? 0,
+    },
+    ...(run.error != null && { error: run.error }),
+    ...(run.createdAt != null && { createdAt: toISOString(run.createdAt) }),
+    ...(run.finishedAt != null && { finishedAt: toISOString(run.finishedAt) }),
+  };
+}
+
+function summarize(results: IPromptTestResult[]): IPromptTestRun['summary'] {
+  const passed = results.filter((result) => result.passed).length;
+  return { total: results.length, passed, failed: results.length - passed };
+}
+
+/**
+ * Creates handlers for prompt test suites under `/api/prompts/groups/:groupId`: saved test
+ * cases, and runs that replay them against one prompt version on the selected models in the
+ * background. Runs store each output with its assertion results, so a candidate version can
+ * be compared with the production version before `productionId` is moved.
+ */
+export function createPromptTestHandlers(deps: PromptTestDeps): {
+  listTestCases: (req: ServerRequest, res: Response) => Promise<Response>;
+  createTestCase: (req: ServerRequest, res: Response) => Promise<Response>;
+  updateTestCase: (req: ServerRequest, res: Response) => Promise<Response>;
+  deleteTestCase: (req: ServerRequest, res: Response) => Promise<Response>;
+  startTestRun: (req: ServerRequest, res: Response) => Promise<Response>;
+  listTestRuns: (req: ServerRequest, res: Response) => Promise<Response>;
+  getTestRun: (req: ServerRequest, res: Response) => Promise<Response>;
+} {
+  async function runTestCase(
+    req: ServerRequest,
+    text: string,
+    testCase: IPromptTestCase,
+    { endpoint, model }: { endpoint: string; model: string },
+  ): Promise<IPromptTestResult> {
+    const base = { testCaseId: testCase._id!, testCaseName: testCase.name, endpoint, model };
+    const startedAt = Date.now();
+    try {
+      const generation = await deps.generate(req, { endpoint, model, text });
+      if (deps.recordUsage) {
+        const { text: _text, ...usage } = generation;
+        await deps.recordUsage(req, { ...usage, model }).catch((error) => {
+          logger.error('[promptTests] Failed to record usage', error);
+        });
+      }
+      const assertions = (testCase.assertions ?? []).map((assertion) =>
+        evaluatePromptTestAssertion(assertion, generation.text),
+      );
+      return {
+        ...base,
+        output: generation.text.slice(0, PROMPT_TEST_MAX_OUTPUT_LENGTH),
+        passed: assertions.every((assertion) => assertion.passed),
+        assertions,
+        durationMs: Date.now() - startedAt,
+      };
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
+      return {
+        ...base,
+        error: message.slice(0, 500),
+        passed: false,
+        assertions: [],
+        durationMs: Date.now() - startedAt,
+      };
+    }
+  }
+
+  async function runTestSuite(
+    req: ServerRequest,
+    run: IPromptTestRun,
+    prompt: string,
+    testCases: IPromptTestCase[],
+  ): Promise<void> {
+    const runId = String(run._id);
+    try {
+      await deps.updatePromptTestRun(runId, { status: 'running', startedAt: new Date() });
+      const results: IPromptTestResult[] = [];
+      for (const testCase of testCases) {
+        const text = renderPromptTestInput(
+          prompt,
+          getVariables(testCase),
+          req.user as TUser | undefined,
+        );
+        for (const model of run.models) {
+          results.push(await runTestCase(req, text, testCase, model));
+          await deps.updatePromptTestRun(runId, { results, summary: summarize(results) });
+        }
+      }
+      const summary = summarize(results);
+      await deps.updatePromptTestRun(runId, {
+        status: 'completed',
+        results,
+        summary,
+        finishedAt: new Date(),
+      });
+      logger.info(
+        `[promptTests] group: ${run.groupId} | Run ${runId} passed ${summary.passed}/${summary.total}`,
+      );
+    } catch (error) {
+      logger.error(`[promptTests] group: ${run.groupId} | Run ${runId} failed`, error);
+      await deps
+        .updatePromptTestRun(runId, {
+          status: 'failed',
+          error: 'The test run could not be completed',
+          finishedAt: new Date(),
+        })
+        .catch((updateError) => {
+          logger.error('[promptTests] Failed to record run failure', updateError);
+        });
+    }
+  }
+
+  async function listTestCases(req: ServerRequest, res: Response) {
+    try {
+      const { groupId } = req.params as GroupParams;
+      const testCases = await deps.getPromptTestCases(groupId);
+      return res.status(200).json({ testCases: testCases.map(toTestCaseResponse) });
+    } catch (error) {
+      logger.error('[promptTests] listTestCases error:', error);
+      return res.status(500).json({ error: 'Failed to get test cases' });
+    }
+  }
+
+  async function createTestCase(req: ServerRequest, res: Response) {
+    try {
+      const { groupId } = req.params as GroupParams;
+      const validation = promptTestCaseSchema.safeParse(req.body);
+      if (!validation.success) {
+        return res
+          .status(400)
+          .json({ error: 'Invalid request body', details: validation.error.errors });
+      }
+      if ((await deps.countPromptTestCases(groupId)) >= PROMPT_TEST_MAX_CASES) {
+        return res
+          .status(400)
+          .json({ error: `A prompt can have at most ${PROMPT_TEST_MAX_CASES} test cases` });
+      }
+      const testCase = await deps.createPromptTestCase({
+        ...validation.data,
+        groupId,
+        author: req.user!.id,
+      });
+      return res.status(201).json({ testCase: toTestCaseResponse(testCase) });
+    } catch (error) {
+      logger.error('[promptTests] createTestCase error:', error);
+      return res.status(500).json({ error: 'Failed to create test case' });
+    }
+  }
+
+  async function updateTestCase(req: ServerRequest, res: Response) {
+    try {
+      const { groupId, testCaseId } = req.params as TestCaseParams;
+      const validation = promptTestCaseSchema.partial().safeParse(req.body);
+      if (!validation.success) {
+        return res
+          .status(400)
+          .json({ error: 'Invalid request body', details: validation.error.errors });
+      }
+      const testCase = await deps.updatePromptTestCase(groupId, testCaseId, validation.data);
+      if (!testCase) {
+        return res.status(404).json({ error: 'Test case not found' });
+      }
+      return res.status(200).json({ testCase: toTestCaseResponse(testCase) });
+    } catch (error) {
+      logger.error('[promptTests] updateTestCase error:', error);
+      return res.status(500).json({ error: 'Failed to update test case' });
+    }
+  }
+
+  async function deleteTestCase(req: ServerRequest, res: Response) {
+    try {
+      const { groupId, testCaseId } = req.params as TestCaseParams;
+      if (!(await deps.deletePromptTestCase(groupId, testCaseId))) {
+        return res.status(404).json({ error: 'Test case not found' });
+      }
+      return res.status(200).json({ message: 'Test case deleted' });
+    } catch (error) {
+      logger.error('[promptTests] deleteTestCase error:', error);
+      return res.status(500).json({ error: 'Failed to delete test case' });
+    }
+  }
+
+  async function startTestRun(req: ServerRequest, res: Response) {
+    try {
+      const { groupId } = req.params as GroupParams;
+      const validation = promptTestRunSchema.safeParse(req.body);
+      if (!validation.success) {
+        return res
+          .status(400)
+          .json({ error: 'Invalid request body', details: validation.error.errors });
+      }
+      const { promptId, models } = validation.data;
+
+      const prompt = isValidObjectIdString(promptId)
+        ? ((await deps.getPrompt({ _id: promptId, groupId })) as { prompt?: unknown } | null)
+        : null;
+      if (typeof prompt?.prompt !== 'string') {
+        return res.status(404).json({ error: 'Prompt version not found' });
+      }
+
+      const modelsConfig = await deps.getModelsConfig(req);
+      const unavailable = models.find(
+        ({ endpoint, model }) => !modelsConfig[endpoint]?.includes(model),
+      );
+      if (unavailable) {
+        return res.status(400).json({
+          error: `Model "${unavailable.model}" is not available on "${unavailable.endpoint}"`,
+        });
+      }
+
+      const testCases = await deps.getPromptTestCases(groupId);
+      if (testCases.length === 0) {
+        return res.status(400).json({ error: 'Add a test case before running the suite' });
+      }
+
+      const active = await deps.findActivePromptTestRun(
+        groupId,
+        new Date(Date.now() - PROMPT_TEST_STALE_MS),
+      );
+      if (active) {
+        return res.status(409).json({
+          error: 'A test run for this prompt is already in progress',
+          run: toTestRunResponse(active),
+        });
+      }
+
+      const run = await deps.createPromptTestRun({
+        groupId,
+        promptId,
+        user: req.user!.id,
+        models,
+      });
+      await deps.pruneOldPromptTestRuns(groupId, PROMPT_TEST_RUNS_KEPT).catch((error) => {
+        logger.warn('[promptTests] Failed to remove old test runs', error);
+      });
+      void runTestSuite(req, run, prompt.prompt, testCases);
+      return res.status(202).json({ run: toTestRunResponse(run) });
+    } catch (error) {
+      logger.error('[promptTests] startTestRun error:', error);
+      return res.status(500).json({ error: 'Failed to start test run' });
+    }
+  }
+
+  async function listTestRuns(req: ServerRequest, res: Response) {
+    try {
+      const { groupId } = req.params as GroupParams;
+      const { promptId } = req.query as { promptId?: string };
+      const runs = await deps.getPromptTestRuns(groupId, {
+        promptId: typeof promptId === 'string' && promptId ? promptId : undefined,
+      });
+      return res.status(200).json({ runs: runs.map(toTestRunResponse) });
+    } catch (error) {
+      logger.error('[promptTests] listTestRuns error:', error);
+      return res.status(500).json({ error: 'Failed to get test runs' });
+    }
+  }
+
+  async function getTestRun(req: ServerRequest, res: Response) {
+    try {
+      const { groupId, runId } = req.params as RunParams;
+      const run = await deps.getPromptTestRun(groupId, runId);
+      if (!run) {
+        return res.status(404).json({ error: 'Test run not found' });
+      }
+      return res.status(200).json({ run: toTestRunResponse(run) });
+    } catch (error) {
+      logger.error('[promptTests] getTestRun error:', error);
+      return res.status(500).json({ error: 'Failed to get test run' });
+    }
+  }
+
+  return {
+    listTestCases,
+    createTestCase,
+    updateTestCase,
+    deleteTestCase,
+    startTestRun,
+    listTestRuns,
+    getTestRun,
+  };
+}
@@ -0,0 +1,133 @@
+import {
+  promptTestCaseSchema,
+  renderPromptTestInput,
+  promptTestAssertionSchema,
+  evaluatePromptTestAssertion,
+} from './testSuite';
+
+jest.mock('@librechat/agents', () => ({
+  initializeModel: jest.fn(),
+}));
+
+jest.mock('~/mcp/sampling', () => ({
+  resolveMCPSamplingModel: jest.fn(),
+}));
+
+describe('renderPromptTestInput', () => {
+  it('fills variables, including ones declared with options', () => {
+    const text = 'Write a {{tone:formal|casual}} reply to {{name}} about {{topic}}.';
+    expect(renderPromptTestInput(text, { tone: 'casual', name: 'Sam', topic: 'pricing' })).toBe(
+      'Write a casual reply to Sam about pricing.',
+    );
+  });
+
+  it('leaves variables without a value in place', () => {
+    expect(renderPromptTestInput('Hi {{name}}, {{greeting}}', { name: 'Sam', greeting: '' })).toBe(
+      'Hi Sam, {{greeting}}',
+    );
+  });
+
+  it('resolves special variables', () => {
+    const text = renderPromptTestInput('Hello {{current_user}}', {}, {
+      name: 'Sam',
+    } as Parameters<typeof renderPromptTestInput>[2]);
+    expect(text).toBe('Hello Sam');
+  });
+
+  it('does not read inherited properties as values', () => {
+    expect(renderPromptTestInput('{{constructor}}', {})).toBe('{{constructor}}');
+  });
+});
+
+describe('promptTestAssertionSchema', () => {
+  it('rejects patterns RE2 cannot compile', () => {
+    expect(promptTestAssertionSchema.safeParse({ type: 'regex', value: '(' }).success).toBe(false);
+    expect(promptTestAssertionSchema.safeParse({ type: 'regex', value: '^\\d+$' }).success).toBe(
+      true,
+    );
+  });
+
+  it('requires a schema object for JSON schema assertions', () => {
+    expect(promptTestAssertionSchema.safeParse({ type: 'json_schema', value: 'x' }).success).toBe(
+      false,
+    );
+  });
+});
+
+describe('promptTestCaseSchema', () => {
+  it('defaults variables and assertions', () => {
+    expect(promptTestCaseSchema.parse({ name: ' Greeting ' })).toEqual({
+      name: 'Greeting',
+      variables: {},
+      assertions: [],
+    });
+  });
+
+  it('rejects unknown fields', () => {
+    expect(promptTestCaseSchema.safeParse({ name: 'Greeting', groupId: 'x' }).success).toBe(false);
+  });
+});
+
+describe('evaluatePromptTestAssertion', () => {
+  it('checks that the output contains the expected text', () => {
+    expect(evaluatePromptTestAssertion({ type: 'contains', value: 'refund' }, 'A refund')).toEqual({
+      type: 'contains',
+      passed: true,
+    });
+    expect(evaluatePromptTestAssertion({ type: 'contains', value: 'refund' }, 'No')).toEqual({
+      type: 'contains',
+      passed: false,
+      message: 'Expected text not found',
+    });
+  });
+
+  it('matches patterns', () => {
+    expect(
+      evaluatePromptTestAssertion({ type: 'regex', value: '^Order #\\d+' }, 'Order #42'),
+    ).toMatchObject({ passed: true });
+    expect(
+      evaluatePromptTestAssertion({ type: 'regex', value: '^Order #\\d+' }, 'Order pending'),
+    ).toEqual({ type: 'regex', passed: false, message: 'Pattern did not match' });
+  });
+
+  describe('json_schema', () => {
+    const schema = {
+      type: 'object',
+      properties: {
+        sentiment: { type: 'string', enum: ['positive', 'negative'] },
+        score: { type: 'number' },
+      },
+      required: ['sentiment', 'score'],
+    };
+
+    it('validates output against the schema', () => {
+      const output = '{"sentiment":"positive","score":0.9}';
+      expect(evaluatePromptTestAssertion({ type: 'json_schema', schema }, output)).toEqual({
+        type: 'json_schema',
+        passed: true,
+      });
+    });
+
+    it('accepts JSON wrapped in a code fence', () => {
+      const output = '```json\n{"sentiment":"negative","score":0.1}\n```';
+      expect(evaluatePromptTestAssertion({ type: 'json_schema', schema }, output)).toMatchObject({
+        passed: true,
+      });
+    });
+
+    it('fails output that is not JSON', () => {
+      expect(
+        evaluatePromptTestAssertion({ type: 'json_schema', schema }, 'The sentiment is positive'),
+      ).toEqual({ type: 'json_schema', passed: false, message: 'Output is not valid JSON' });
+    });
+
+    it('reports where the output does not match', () => {
+      const result = evaluatePromptTestAssertion(
+        { type: 'json_schema', schema },
+        '{"sentiment":"positive","score":"high"}',
+      );
+      expect(result.passed).toBe(false);
+      expect(result.message).toMatch(/^score: /);
+    });
+  });
+});
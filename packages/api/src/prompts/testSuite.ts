@@ -0,0 +1,228 @@
+import { z } from 'zod';
+import { RE2JS } from 're2js';
+import { initializeModel } from '@librechat/agents';
+import { modelFallbackSchema, replaceSpecialVars } from 'librechat-data-provider';
+import type { ClientOptions } from '@librechat/agents';
+import type { TUser } from 'librechat-data-provider';
+import type {
+  JsonSchemaType,
+  IPromptTestAssertion,
+  IPromptTestAssertionResult,
+} from '@librechat/data-schemas';
+import type { EndpointDbMethods, ServerRequest } from '~/types';
+import { resolveMCPSamplingModel } from '~/mcp/sampling';
+import { convertWithResolvedRefs } from '~/mcp/zod';
+
+/** Upper bound for the test cases of one prompt group. */
+export const PROMPT_TEST_MAX_CASES = 25;
+/** Upper bound for the models one run compares; with the case limit this caps a run's generations. */
+export const PROMPT_TEST_MAX_MODELS = 4;
+/** Output tokens requested per generation. */
+export const PROMPT_TEST_MAX_TOKENS = 4096;
+/** Outputs are stored for comparison; longer ones are truncated. */
+export const PROMPT_TEST_MAX_OUTPUT_LENGTH = 20_000;
+
+const VARIABLE_REGEX = /{{(.*?)}}/g;
+const CODE_FENCE_REGEX = /^```[\w-]*\s*\n([\s\S]*?)\n?```$/;
+
+function isValidPattern(pattern: string): boolean {
+  try {
+    RE2JS.compile(pattern);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export const promptTestAssertionSchema: z.ZodDiscriminatedUnion<
+  'type',
+  [
+    z.ZodObject<{ type: z.ZodLiteral<'contains'>; value: z.ZodString }, 'strict'>,
+    z.ZodObject<
+      { type: z.ZodLiteral<'regex'>; value: z.ZodEffects<z.ZodString, string, string> },
+      'strict'
+    >,
+    z.ZodObject<
+      { type: z.ZodLiteral<'json_schema'>; schema: z.ZodRecord<z.ZodString, z.ZodUnknown> },
+      'strict'
+    >,
+  ]
+> = z.discriminatedUnion('type', [
+  z.object({ type: z.literal('contains'), value: z.string().min(1).max(2000) }).strict(),
+  z
+    .object({
+      type: z.literal('regex'),
+      value: z.string().min(1).max(2000).refine(isValidPattern, 'Invalid regular expression'),
+    })
+    .strict(),
+  z.object({ type: z.literal('json_schema'), schema: z.record(z.unknown()) }).strict(),
+]);
+
+/** Payload for creating a test case; updates accept any subset of it. */
+export const promptTestCaseSchema: z.ZodObject<
+  {
+    name: z.ZodString;
+    variables: z.ZodDefault<z.ZodRecord<z.ZodString, z.ZodString>>;
+    assertions: z.ZodDefault<z.ZodArray<typeof promptTestAssertionSchema, 'many'>>;
+  },
+  'strict'
+> = z
+  .object({
+    name: z.string().trim().min(1).max(200),
+    variables: z.record(z.string().min(1).max(200), z.string().max(20_000)).default({}),
+    assertions: z.array(promptTestAssertionSchema).max(10).default([]),
+  })
+  .strict();
+
+export const promptTestRunSchema: z.ZodObject<
+  {
+    promptId: z.ZodString;
+    models: z.ZodArray<typeof modelFallbackSchema, 'many'>;
+  },
+  'strict'
+> = z
+  .object({
+    promptId: z.string().min(1),
+    models: z.array(modelFallbackSchema).min(1).max(PROMPT_TEST_MAX_MODELS),
+  })
+  .strict();
+
+export type TPromptTestCaseInput = z.infer<typeof promptTestCaseSchema>;
+
+/**
+ * Fills a prompt version's `{{variables}}` with a test case's values, the way the variable form
+ * does before sending: special variables such as `{{current_date}}` are resolved first, and
+ * `{{tone:formal|casual}}` is filled by the value for `tone`. Variables without a value are
+ * left in place.
+ */
+export function renderPromptTestInput(
+  text: string,
+  variables: Record<string, string>,
+  user?: TUser | null,
+): string {
+  const resolved = replaceSpecialVars({ text, user });
+  return resolved.replace(VARIABLE_REGEX, (placeholder, content: string) => {
+    const name = content.split(':')[0].trim();
+    const value = Object.prototype.hasOwnProperty.call(variables, name)
+      ? variables[name]
+      : undefined;
+    return value ? value : placeholder;
+  });
+}
+
+/** Parses JSON output, tolerating the code fence most models wrap it in. */
+function parseJsonOutput(output: string): unknown {
+  const trimmed = output.trim();
+  const fenced = CODE_FENCE_REGEX.exec(trimmed);
+  return JSON.parse(fenced ? fenced[1] : trimmed);
+}
+
+/**
+ * Checks one assertion against a generation's output. Patterns run on RE2, so a
+ * catastrophic-backtracking pattern cannot stall the server.
+ */
+export function evaluatePromptTestAssertion(
+  assertion: IPromptTestAssertion,
+  output: string,
+): IPromptTestAssertionResult {
+  const { type } = assertion;
+  try {
+    if (type === 'contains') {
+      const passed = output.includes(assertion.value ?? '');
+      return passed ? { type, passed } : { type, passed, message: 'Expected text not found' };
+    }
+    if (type === 'regex') {
+      const passed = RE2JS.compile(assertion.value ?? '').test(output);
+      return passed ? { type, passed } : { type, passed, message: 'Pattern did not match' };
+    }
+    let parsed: unknown;
+    try {
+      parsed = parseJsonOutput(output);
+    } catch {
+      return { type, passed: false, message: 'Output is not valid JSON' };
+    }
+    const schema = convertWithResolvedRefs(
+      (assertion.schema ?? {}) as JsonSchemaType & Record<string, unknown>,
+    );
+    const result = schema?.safeParse(parsed);
+    if (!result || result.success) {
+      return { type, passed: true };
+    }
+    const [issue] = result.error.issues;
+    const location = issue.path.length > 0 ? `${issue.path.join('.')}: ` : '';
+    return { type, passed: false, message: `${location}${issue.message}`.slice(0, 500) };
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    return { type, passed: false, message: message.slice(0, 500) };
+  }
+}
+
+export interface PromptTestGeneration {
+  text: string;
+  promptTokens: number;
+  completionTokens: number;
+  endpointTokenConfig?: unknown;
+}
+
+function extractText(content: unknown): string {
+  if (typeof content === 'string') {
+    return content;
+  }
+  if (!Array.isArray(content)) {
+    return '';
+  }
+  return content
+    .map((part: { type?: string; text?: string }) =>
+      part?.type === 'text' && typeof part.text === 'string' ? part.text : '',
+    )
+    .join('');
+}
+
+/**
+ * Sends a rendered prompt to one model as a single user message, with the endpoint
+ * credentials of the requesting user and without the model's chat defaults.
+ */
+export async function generatePromptTestOutput({
+  req,
+  endpoint,
+  model,
+  text,
+  db,
+  signal,
+}: {
+  req: ServerRequest;
+  endpoint: string;
+  model: string;
+  text: string;
+  db: EndpointDbMethods;
+  signal?: AbortSignal;
+}): Promise<PromptTestGeneration> {
+  const { provider, clientOptions, endpointTokenConfig } = await resolveMCPSamplingModel({
+    req,
+    config: { endpoint, model },
+    maxTokens: PROMPT_TEST_MAX_TOKENS,
+    db,
+  });
+  const llm = initializeModel({
+    provider,
+    clientOptions: { ...clientOptions, streaming: false } as ClientOptions,
+  });
+  const response = await (
+    llm as {
+      invoke: (
+        input: Array<[role: 'human', content: string]>,
+        config?: object,
+      ) => Promise<{
+        content?: unknown;
+        usage_metadata?: { input_tokens?: number; output_tokens?: number };
+      }>;
+    }
+  ).invoke([['human', text]], { signal });
+
+  return {
+    text: extractText(response?.content),
+    promptTokens: response?.usage_metadata?.input_tokens ?? 0,
+    completionTokens: response?.usage_metadata?.output_tokens ?? 0,
+    endpointTokenConfig,
+  };
+}
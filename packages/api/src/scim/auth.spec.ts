@@ -0,0 +1,93 @@
+import type { Request, Response } from 'express';
+import { createScimAuthMiddleware, resolveScimToken } from './auth';
+import { getScimConfig } from './config';
+
+jest.mock('@librechat/data-schemas', () => ({
+  ...jest.requireActual('@librechat/data-schemas'),
+  logger: { error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() },
+}));
+
+const mockRunWithTenantContext = jest.fn((_ctx: unknown, fn: () => void) => fn());
+jest.mock('~/middleware/tenant', () => ({
+  buildRequestContext: jest.fn(() => ({ requestId: 'req-1' })),
+  runWithTenantContext: (ctx: unknown, fn: () => void) => mockRunWithTenantContext(ctx, fn),
+}));
+
+describe('getScimConfig', () => {
+  it('is disabled without tokens', () => {
+    expect(getScimConfig({}).enabled).toBe(false);
+  });
+
+  it('reads per-tenant and single-tenant tokens', () => {
+    const config = getScimConfig({
+      SCIM_TENANT_TOKENS: 'acme=token-a, globex=token-b',
+      SCIM_BEARER_TOKEN: 'token-root',
+    });
+
+    expect(config.enabled).toBe(true);
+    expect(resolveScimToken(config.tokens, 'token-a')).toEqual({ tenantId: 'acme' });
+    expect(resolveScimToken(config.tokens, 'token-b')).toEqual({ tenantId: 'globex' });
+    expect(resolveScimToken(config.tokens, 'token-root')).toEqual({ tenantId: undefined });
+    expect(resolveScimToken(config.tokens, 'token-c')).toBeNull();
+  });
+
+  it('rejects malformed tenant tokens', () => {
+    expect(() => getScimConfig({ SCIM_TENANT_TOKENS: 'token-without-tenant' })).toThrow(
+      'SCIM_TENANT_TOKENS',
+    );
+  });
+
+  it('refuses to provision admins', () => {
+    expect(() =>
+      getScimConfig({ SCIM_BEARER_TOKEN: 'token', SCIM_ROLE_PRIORITY: 'EDITOR,admin' }),
+    ).toThrow('SCIM_ROLE_PRIORITY cannot include ADMIN');
+    expect(() =>
+      getScimConfig({ SCIM_BEARER_TOKEN: 'token', SCIM_FALLBACK_ROLE: 'ADMIN' }),
+    ).toThrow('SCIM_FALLBACK_ROLE cannot be ADMIN');
+  });
+});
+
+describe('createScimAuthMiddleware', () => {
+  const { tokens } = getScimConfig({ SCIM_TENANT_TOKENS: 'acme=token-a' });
+
+  function createReqRes(authorization?: string) {
+    const req = { headers: { authorization }, path: '/Users' } as unknown as Request;
+    const json = jest.fn();
+    const status = jest.fn().mockReturnValue({ json });
+    const setHeader = jest.fn();
+    const res = { status, setHeader } as unknown as Response;
+    return { req, res, status, json, setHeader };
+  }
+
+  beforeEach(() => {
+    mockRunWithTenantContext.mockClear();
+  });
+
+  it('runs the request in the tenant bound to the token', () => {
+    const next = jest.fn();
+    const { req, res, status } = createReqRes('Bearer token-a');
+
+    createScimAuthMiddleware(tokens)(req, res, next);
+
+    expect(mockRunWithTenantContext).toHaveBeenCalledWith(
+      { requestId: 'req-1', tenantId: 'acme' },
+      next,
+    );
+    expect(next).toHaveBeenCalled();
+    expect(status).not.toHaveBeenCalled();
+  });
+
+  it.each([undefined, 'Bearer wrong-token', 'Basic token-a'])(
+    'returns 401 for authorization %p',
+    (authorization) => {
+      const next = jest.fn();
+      const { req, res, status, setHeader } = createReqRes(authorization);
+
+      createScimAuthMiddleware(tokens)(req, res, next);
+
+      expect(status).toHaveBeenCalledWith(401);
+      expect(setHeader).toHaveBeenCalledWith('WWW-Authenticate', 'Bearer realm="SCIM"');
+      expect(next).not.toHaveBeenCalled();
+    },
+  );
+});
@@ -0,0 +1,51 @@
+import { timingSafeEqual } from 'node:crypto';
+import { logger } from '@librechat/data-schemas';
+import type { Request, Response, NextFunction } from 'express';
+import type { ScimTokenEntry } from './config';
+import type { ScimTokenScope } from './types';
+import { buildRequestContext, runWithTenantContext } from '~/middleware/tenant';
+import { hashScimToken } from './config';
+import { sendScimError } from './utils';
+
+/**
+ * Resolves a bearer token to the scope it provisions, comparing digests in constant time.
+ * Every entry is checked so the time taken doesn't reveal which one matched.
+ */
+export function resolveScimToken(
+  tokens: readonly ScimTokenEntry[],
+  token: string,
+): ScimTokenScope | null {
+  const digest = hashScimToken(token);
+  let scope: ScimTokenScope | null = null;
+  for (const entry of tokens) {
+    if (timingSafeEqual(entry.digest, digest) && scope == null) {
+      scope = { tenantId: entry.tenantId };
+    }
+  }
+  return scope;
+}
+
+/**
+ * Authenticates the IdP with its provisioning bearer token and runs the request in the
+ * tenant that token belongs to, so every user and group it touches is tenant-scoped.
+ */
+export function createScimAuthMiddleware(tokens: readonly ScimTokenEntry[]) {
+  return function scimAuthMiddleware(req: Request, res: Response, next: NextFunction): void {
+    const authorization = req.headers.authorization;
+    const bearer =
+      typeof authorization === 'string' ? /^bearer\s+(.+)$/i.exec(authorization) : null;
+    const scope = bearer ? resolveScimToken(tokens, bearer[1].trim()) : null;
+
+    if (!scope) {
+      logger.warn('[scim] Rejected request with a missing or invalid provisioning token', {
+        ip: req.ip,
+        path: req.path,
+      });
+      res.setHeader('WWW-Authenticate', 'Bearer realm="SCIM"');
+      sendScimError(res, 401, 'Invalid provisioning token');
+      return;
+    }
+
+    runWithTenantContext({ ...buildRequestContext(req), tenantId: scope.tenantId }, next);
+  };
+}
@@ -0,0 +1,91 @@
+import { createHash } from 'node:crypto';
+import { SystemRoles } from 'librechat-data-provider';
+import { SYSTEM_TENANT_ID } from '@librechat/data-schemas';
+import { isEnabled } from '~/utils';
+
+const MAX_TENANT_ID_LENGTH = 128;
+const VALID_TENANT_ID = /^[-a-zA-Z0-9_.]+$/;
+const DEFAULT_USER_PROVIDER = 'openid';
+
+export interface ScimTokenEntry {
+  /** SHA-256 of the bearer token, so lookups compare fixed-length digests. */
+  digest: Buffer;
+  tenantId?: string;
+}
+
+export interface ScimConfig {
+  enabled: boolean;
+  tokens: ScimTokenEntry[];
+  rolePriority: string[];
+  fallbackRole?: string;
+  /** `provider` recorded on provisioned users; their sign-in still goes through that provider. */
+  userProvider: string;
+  /** Run the full account deletion on `DELETE /Users/:id` instead of disabling the user. */
+  deleteOnDeprovision: boolean;
+}
+
+export function hashScimToken(token: string): Buffer {
+  return createHash('sha256').update(token, 'utf8').digest();
+}
+
+function parseTenantTokens(value: string | undefined): ScimTokenEntry[] {
+  if (!value) {
+    return [];
+  }
+
+  return value
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean)
+    .map((item) => {
+      const index = item.indexOf('=');
+      const tenantId = index > 0 ? item.slice(0, index).trim() : '';
+      const token = index > 0 ? item.slice(index + 1).trim() : '';
+      if (
+        !tenantId ||
+        !token ||
+        tenantId === SYSTEM_TENANT_ID ||
+        tenantId.length > MAX_TENANT_ID_LENGTH ||
+        !VALID_TENANT_ID.test(tenantId)
+      ) {
+        throw new Error(
+          '[scim] SCIM_TENANT_TOKENS must be a comma-separated list of tenantId=token pairs',
+        );
+      }
+      return { digest: hashScimToken(token), tenantId };
+    });
+}
+
+/**
+ * Reads the SCIM_* environment configuration. Provisioning is enabled once a token is set:
+ * `SCIM_BEARER_TOKEN` for a single-tenant deployment, `SCIM_TENANT_TOKENS` for one token per tenant.
+ */
+export function getScimConfig(env: NodeJS.ProcessEnv = process.env): ScimConfig {
+  const tokens = parseTenantTokens(env.SCIM_TENANT_TOKENS);
+  const bearerToken = env.SCIM_BEARER_TOKEN?.trim();
+  if (bearerToken) {
+    tokens.push({ digest: hashScimToken(bearerToken) });
+  }
+
+  const rolePriority =
+    env.SCIM_ROLE_PRIORITY?.split(',')
+      .map((role) => role.trim())
+      .filter(Boolean) ?? [];
+  const fallbackRole = env.SCIM_FALLBACK_ROLE?.trim() || undefined;
+
+  if (rolePriority.some((role) => role.toLowerCase() === SystemRoles.ADMIN.toLowerCase())) {
+    throw new Error('[scim] SCIM_ROLE_PRIORITY cannot include ADMIN');
+  }
+  if (fallbackRole?.toLowerCase() === SystemRoles.ADMIN.toLowerCase()) {
+    throw new Error('[scim] SCIM_FALLBACK_ROLE cannot be ADMIN');
+  }
+
+  return {
+    enabled: tokens.length > 0,
+    tokens,
+    rolePriority,
+    fallbackRole,
+    userProvider: env.SCIM_USER_PROVIDER?.trim() || DEFAULT_USER_PROVIDER,
+    deleteOnDeprovision: isEnabled(env.SCIM_DELETE_ON_DEPROVISION),
+  };
+}
@@ -0,0 +1,23 @@
+import type { Request, Response } from 'express';
+import { ScimSchemas, MAX_SCIM_PAGE_SIZE } from './types';
+
+/** Advertises what this implementation supports, so IdPs don't attempt bulk or sorted requests. */
+export function getScimServiceProviderConfig(_req: Request, res: Response): Response {
+  return res.status(200).json({
+    schemas: [ScimSchemas.SERVICE_PROVIDER_CONFIG],
+    patch: { supported: true },
+    bulk: { supported: false, maxOperations: 0, maxPayloadSize: 0 },
+    filter: { supported: true, maxResults: MAX_SCIM_PAGE_SIZE },
+    changePassword: { supported: false },
+    sort: { supported: false },
+    etag: { supported: false },
+    authenticationSchemes: [
+      {
+        type: 'oauthbearertoken',
+        name: 'OAuth Bearer Token',
+        description: 'Authentication with the provisioning bearer token',
+        primary: true,
+      },
+    ],
+  });
+}
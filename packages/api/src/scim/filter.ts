@@ -0,0 +1,38 @@
+import { ScimError } from './types';
+
+export interface ScimEqualityFilter {
+  /** The attribute path, lowercased (SCIM attribute names are case-insensitive). */
+  attribute: string;
+  value: string;
+}
+
+const EQUALITY_FILTER = /^\s*([A-Za-z][\w.:]*)\s+eq\s+"((?:[^"\\]|\\.)*)"\s*$/i;
+
+/**
+ * Parses the single `attribute eq "value"` filter that IdPs use to look up a resource
+ * before creating it. Anything richer is rejected rather than silently widened into a
+ * broader query.
+ * @param filter - The raw `filter` query parameter.
+ * @param supported - Lowercased attribute paths the resource can be filtered on.
+ */
+export function parseScimFilter(
+  filter: string | undefined,
+  supported: readonly string[],
+): ScimEqualityFilter | undefined {
+  if (filter == null || filter.trim() === '') {
+    return undefined;
+  }
+
+  const match = EQUALITY_FILTER.exec(filter);
+  if (!match) {
+    throw new ScimError(400, 'Only `attribute eq "value"` filters are supported', 'invalidFilter');
+  }
+
+  /** Attributes may be qualified with their schema URN, e.g. `urn:...:core:2.0:User:userName` */
+  const attribute = match[1].slice(match[1].lastIndexOf(':') + 1).toLowerCase();
+  if (!supported.includes(attribute)) {
+    throw new ScimError(400, `Filtering on "${match[1]}" is not supported`, 'invalidFilter');
+  }
+
+  return { attribute, value: match[2].replace(/\\(.)/g, '$1') };
+}
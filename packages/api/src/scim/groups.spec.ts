@@ -0,0 +1,266 @@
+import { Types } from 'mongoose';
+import { PrincipalType } from 'librechat-data-provider';
+import type { IGroup, IUser } from '@librechat/data-schemas';
+import type { Response } from 'express';
+import type { ServerRequest } from '~/types/http';
+import type { ScimGroupsDeps } from './groups';
+import { createScimGroupsHandlers } from './groups';
+
+jest.mock('@librechat/data-schemas', () => ({
+  ...jest.requireActual('@librechat/data-schemas'),
+  logger: { error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() },
+}));
+
+describe('createScimGroupsHandlers', () => {
+  let groupId: string;
+  let aliceId: string;
+  let bobId: string;
+
+  beforeEach(() => {
+    groupId = new Types.ObjectId().toString();
+    aliceId = new Types.ObjectId().toString();
+    bobId = new Types.ObjectId().toString();
+  });
+
+  function mockGroup(overrides: Partial<IGroup> = {}): IGroup {
+    return {
+      _id: new Types.ObjectId(groupId),
+      name: 'Engineering',
+      source: 'local',
+      memberIds: [],
+      ...overrides,
+    } as IGroup;
+  }
+
+  function mockUser(id: string, overrides: Partial<IUser> = {}): IUser {
+    return {
+      _id: new Types.ObjectId(id),
+      name: id,
+      email: `${id}@example.com`,
+      ...overrides,
+    } as IUser;
+  }
+
+  function createReqRes(
+    overrides: {
+      params?: Record<string, string>;
+      query?: Record<string, string>;
+      body?: Record<string, unknown>;
+    } = {},
+  ) {
+    const req = {
+      baseUrl: '/scim/v2',
+      params: overrides.params ?? {},
+      query: overrides.query ?? {},
+      body: overrides.body ?? {},
+    } as unknown as ServerRequest;
+
+    const json = jest.fn();
+    const end = jest.fn();
+    const status = jest.fn().mockReturnValue({ json, end });
+    const res = { status, json } as unknown as Response;
+
+    return { req, res, status, json, end };
+  }
+
+  /** Resolves users by `_id` or `idOnTheSource` from a fixed directory, like `findUsers` would. */
+  function directory(users: IUser[]) {
+    return jest.fn().mockImplementation(async (query: Record<string, unknown>) => {
+      const ids = new Set<string>();
+      const collect = (condition: Record<string, { $in?: string[] }>) => {
+        for (const value of Object.values(condition)) {
+          value?.$in?.forEach((id) => ids.add(id.toString()));
+        }
+      };
+      if (Array.isArray(query.$or)) {
+        query.$or.forEach(collect);
+      } else {
+        collect(query as Record<string, { $in?: string[] }>);
+      }
+      return users.filter(
+        (user) =>
+          ids.has(user._id.toString()) || (user.idOnTheSource && ids.has(user.idOnTheSource)),
+      );
+    });
+  }
+
+  function createDeps(overrides: Partial<ScimGroupsDeps> = {}): ScimGroupsDeps {
+    return {
+      listGroups: jest.fn().mockResolvedValue([]),
+      countGroups: jest.fn().mockResolvedValue(0),
+      findGroupById: jest.fn().mockResolvedValue(mockGroup()),
+      createGroup: jest.fn().mockImplementation(async (data) => mockGroup(data)),
+      updateGroupById: jest.fn().mockResolvedValue(mockGroup()),
+      deleteGroup: jest.fn().mockResolvedValue(mockGroup()),
+      addUserToGroup: jest.fn().mockResolvedValue({ user: {}, group: mockGroup() }),
+      removeMemberById: jest.fn().mockResolvedValue(mockGroup()),
+      findUsers: directory([mockUser(aliceId), mockUser(bobId, { idOnTheSource: 'oid-bob' })]),
+      deleteConfig: jest.fn().mockResolvedValue(null),
+      deleteAclEntries: jest.fn().mockResolvedValue({ deletedCount: 0 }),
+      ...overrides,
+    };
+  }
+
+  describe('listGroups', () => {
+    it('filters by exact displayName and can leave members out', async () => {
+      const deps = createDeps({
+        countGroups: jest.fn().mockResolvedValue(1),
+        listGroups: jest.fn().mockResolvedValue([mockGroup({ memberIds: [aliceId] })]),
+      });
+      const handlers = createScimGroupsHandlers(deps);
+      const { req, res, json } = createReqRes({
+        query: { filter: 'displayName eq "Engineering"', excludedAttributes: 'members' },
+      });
+
+      await handlers.listGroups(req, res);
+
+      expect(deps.listGroups).toHaveBeenCalledWith({ name: 'Engineering', limit: 100, offset: 0 });
+      expect(deps.findUsers).not.toHaveBeenCalled();
+      const [resource] = json.mock.calls[0][0].Resources;
+      expect(resource).toMatchObject({ id: groupId, displayName: 'Engineering' });
+      expect(resource.members).toBeUndefined();
+    });
+  });
+
+  describe('getGroup', () => {
+    it('reports members by user ID, including ones stored by external ID', async () => {
+      const deps = createDeps({
+        findGroupById: jest.fn().mockResolvedValue(mockGroup({ memberIds: [aliceId, 'oid-bob'] })),
+      });
+      const handlers = createScimGroupsHandlers(deps);
+      const { req, res, json } = createReqRes({ params: { id: groupId } });
+
+      await handlers.getGroup(req, res);
+
+      expect(json.mock.calls[0][0].members).toEqual([
+        { value: aliceId, display: aliceId },
+        { value: bobId, display: bobId },
+      ]);
+    });
+  });
+
+  describe('createGroup', () => {
+    it('creates a local group with its external ID and members', async () => {
+      const deps = createDeps();
+      const handlers = createScimGroupsHandlers(deps);
+      const { req, res, status } = createReqRes({
+        body: {
+          displayName: 'Engineering',
+          externalId: 'entra-group-1',
+          members: [{ value: aliceId }, { value: bobId }],
+        },
+      });
+
+      await handlers.createGroup(req, res);
+
+      expect(deps.createGroup).toHaveBeenCalledWith({
+        name: 'Engineering',
+        source: 'local',
+        idOnTheSource: 'entra-group-1',
+        memberIds: [aliceId, 'oid-bob'],
+      });
+      expect(status).toHaveBeenCalledWith(201);
+    });
+
+    it('rejects members that are not provisioned users', async () => {
+      const deps = createDeps();
+      const handlers = createScimGroupsHandlers(deps);
+      const { req, res, status, json } = createReqRes({
+        body: { displayName: 'Engineering', members: [{ value: new Types.ObjectId().toString() }] },
+      });
+
+      await handlers.createGroup(req, res);
+
+      expect(status).toHaveBeenCalledWith(400);
+      expect(json.mock.calls[0][0].scimType).toBe('invalidValue');
+      expect(deps.createGroup).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('patchGroup', () => {
+    it('adds and removes members', async () => {
+      const deps = createDeps({
+        findGroupById: jest.fn().mockResolvedValue(mockGroup({ memberIds: ['oid-bob'] })),
+      });
+      const handlers = createScimGroupsHandlers(deps);
+      const { req, res, status } = createReqRes({
+        params: { id: groupId },
+        body: {
+          Operations: [
+            { op: 'Add', path: 'members', value: [{ value: aliceId }] },
+            { op: 'Remove', path: `members[value eq "${bobId}"]` },
+          ],
+        },
+      });
+
+      await handlers.patchGroup(req, res);
+
+      expect(deps.addUserToGroup).toHaveBeenCalledWith(aliceId, groupId);
+      expect(deps.removeMemberById).toHaveBeenCalledWith(groupId, 'oid-bob');
+      expect(status).toHaveBeenCalledWith(200);
+    });
+
+    it('renames the group from a path-less value', async () => {
+      const deps = createDeps();
+      const handlers = createScimGroupsHandlers(deps);
+      const { req, res } = createReqRes({
+        params: { id: groupId },
+        body: { Operations: [{ op: 'replace', value: { displayName: 'Platform' } }] },
+      });
+
+      await handlers.patchGroup(req, res);
+
+      expect(deps.updateGroupById).toHaveBeenCalledWith(groupId, { name: 'Platform' });
+      expect(deps.addUserToGroup).not.toHaveBeenCalled();
+      expect(deps.removeMemberById).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('replaceGroup', () => {
+    it('replaces the member list', async () => {
+      const deps = createDeps({
+        findGroupById: jest.fn().mockResolvedValue(mockGroup({ memberIds: [aliceId] })),
+      });
+      const handlers = createScimGroupsHandlers(deps);
+      const { req, res } = createReqRes({
+        params: { id: groupId },
+        body: { displayName: 'Engineering', members: [{ value: bobId }] },
+      });
+
+      await handlers.replaceGroup(req, res);
+
+      expect(deps.removeMemberById).toHaveBeenCalledWith(groupId, aliceId);
+      expect(deps.addUserToGroup).toHaveBeenCalledWith(bobId, groupId);
+    });
+  });
+
+  describe('deleteGroup', () => {
+    it('deletes the group with its grants, config and budget', async () => {
+      const deleteBudget = jest.fn().mockResolvedValue(true);
+      const deps = createDeps({ deleteBudget });
+      const handlers = createScimGroupsHandlers(deps);
+      const { req, res, status } = createReqRes({ params: { id: groupId } });
+
+      await handlers.deleteGroup(req, res);
+
+      expect(deps.deleteConfig).toHaveBeenCalledWith(PrincipalType.GROUP, groupId);
+      expect(deps.deleteAclEntries).toHaveBeenCalledWith({
+        principalType: PrincipalType.GROUP,
+        principalId: new Types.ObjectId(groupId),
+      });
+      expect(deleteBudget).toHaveBeenCalledWith({ scope: 'group', groupId });
+      expect(status).toHaveBeenCalledWith(204);
+    });
+
+    it('returns 404 when the group does not exist', async () => {
+      const handlers = createScimGroupsHandlers(
+        createDeps({ deleteGroup: jest.fn().mockResolvedValue(null) }),
+      );
+      const { req, res, status } = createReqRes({ params: { id: groupId } });
+
+      await handlers.deleteGroup(req, res);
+
+      expect(status).toHaveBeenCalledWith(404);
+    });
+  });
+});
@@ -0,0 +1,431 @@
+import { Types } from 'mongoose';
+import { PrincipalType } from 'librechat-data-provider';
+import { logger, isValidObjectIdString } from '@librechat/data-schemas';
+import type { IGroup, IUser, IConfig, BudgetTarget } from '@librechat/data-schemas';
+import type { FilterQuery, DeleteResult } from 'mongoose';
+import type { Response } from 'express';
+import type { ServerRequest } from '~/types/http';
+import type { ScimGroup, ScimMultiValue, ScimPatchOperation } from './types';
+import {
+  toIsoString,
+  getScimBaseUrl,
+  sendScimError,
+  readScimString,
+  toListResponse,
+  handleScimError,
+  parseScimPagination,
+} from './utils';
+import { ScimSchemas, ScimError } from './types';
+import { parseScimFilter } from './filter';
+
+const SCIM_GROUP_FILTERS = ['displayname', 'externalid', 'id'] as const;
+const MEMBER_VALUE_PATH = /^members\[value eq "([^"]+)"\]$/i;
+
+type ScimGroupFilter = { name?: string; idOnTheSource?: string };
+
+export interface ScimGroupsDeps {
+  listGroups: (filter?: ScimGroupFilter & { limit?: number; offset?: number }) => Promise<IGroup[]>;
+  countGroups: (filter?: ScimGroupFilter) => Promise<number>;
+  findGroupById: (groupId: string | Types.ObjectId) => Promise<IGroup | null>;
+  createGroup: (groupData: Partial<IGroup>) => Promise<IGroup>;
+  updateGroupById: (
+    groupId: string | Types.ObjectId,
+    data: Partial<Pick<IGroup, 'name' | 'idOnTheSource'>>,
+  ) => Promise<IGroup | null>;
+  deleteGroup: (groupId: string | Types.ObjectId) => Promise<IGroup | null>;
+  addUserToGroup: (
+    userId: string | Types.ObjectId,
+    groupId: string | Types.ObjectId,
+  ) => Promise<{ user: IUser; group: IGroup | null }>;
+  removeMemberById: (groupId: string | Types.ObjectId, memberId: string) => Promise<IGroup | null>;
+  findUsers: (
+    searchCriteria: FilterQuery<IUser>,
+    fieldsToSelect?: string | string[] | null,
+  ) => Promise<IUser[]>;
+  deleteConfig: (
+    principalType: PrincipalType,
+    principalId: string | Types.ObjectId,
+  ) => Promise<IConfig | null>;
+  deleteAclEntries: (filter: {
+    principalType: PrincipalType;
+    principalId: string | Types.ObjectId;
+  }) => Promise<DeleteResult>;
+  deleteBudget?: (target: BudgetTarget) => Promise<boolean>;
+}
+
+/** Member user IDs from a `members` value: `[{ value }]`, a single `{ value }`, or bare IDs. */
+function readMemberIds(value: unknown): string[] {
+  if (value == null) {
+    return [];
+  }
+  const entries = Array.isArray(value) ? value : [value];
+  return entries.map((entry) => {
+    const id = typeof entry === 'string' ? entry : entry?.value;
+    if (typeof id !== 'string' || !id.trim()) {
+      throw new ScimError(400, 'Group members must have a value', 'invalidValue');
+    }
+    return id.trim();
+  });
+}
+
+export function createScimGroupsHandlers(deps: ScimGroupsDeps): {
+  listGroups: (req: ServerRequest, res: Response) => Promise<Response>;
+  getGroup: (req: ServerRequest, res: Response) => Promise<Response>;
+  createGroup: (req: ServerRequest, res: Response) => Promise<Response>;
+  replaceGroup: (req: ServerRequest, res: Response) => Promise<Response>;
+  patchGroup: (req: ServerRequest, res: Response) => Promise<Response>;
+  deleteGroup: (req: ServerRequest, res: Response) => Promise<Response>;
+} {
+  const {
+    listGroups,
+    countGroups,
+    findGroupById,
+    createGroup,
+    updateGroupById,
+    deleteGroup,
+    addUserToGroup,
+    removeMemberById,
+    findUsers,
+    deleteConfig,
+    deleteAclEntries,
+    deleteBudget,
+  } = deps;
+
+  async function findScimGroup(id: string): Promise<IGroup> {
+    const group = isValidObjectIdString(id) ? await findGroupById(id) : null;
+    if (!group) {
+      throw new ScimError(404, `Group ${id} not found`);
+    }
+    return group;
+  }
+
+  /**
+   * Maps stored member IDs (a user's `idOnTheSource`, or its `_id` for local users) to user IDs.
+   * Members that no longer resolve keep their raw ID so they can still be removed.
+   */
+  async function resolveMembers(memberIds: string[]): Promise<Map<string, IUser | null>> {
+    const uniqueIds = [...new Set(memberIds)];
+    const members = new Map<string, IUser | null>();
+    if (uniqueIds.length === 0) {
+      return members;
+    }
+
+    const validObjectIds = uniqueIds.filter(isValidObjectIdString);
+    const conditions: FilterQuery<IUser>[] = [{ idOnTheSource: { $in: uniqueIds } }];
+    if (validObjectIds.length > 0) {
+      conditions.push({ _id: { $in: validObjectIds } });
+    }
+    const users = await findUsers({ $or: conditions }, '_id name email idOnTheSource');
+    const byMemberId = new Map<string, IUser>();
+    for (const user of users) {
+      if (user.idOnTheSource) {
+        byMemberId.set(user.idOnTheSource, user);
+      }
+      byMemberId.set(user._id.toString(), user);
+    }
+    for (const memberId of uniqueIds) {
+      members.set(memberId, byMemberId.get(memberId) ?? null);
+    }
+    return members;
+  }
+
+  async function toScimGroup(
+    group: IGroup,
+    baseUrl: string,
+    includeMembers = true,
+  ): Promise<ScimGroup> {
+    const id = group._id.toString();
+    let members: ScimMultiValue[] | undefined;
+    if (includeMembers) {
+      const resolved = await resolveMembers(group.memberIds ?? []);
+      const seen = new Set<string>();
+      members = [];
+      for (const [memberId, user] of resolved) {
+        const value = user?._id.toString() ?? memberId;
+        if (seen.has(value)) {
+          continue;
+        }
+        seen.add(value);
+        members.push({ value, display: user?.name || user?.email || undefined });
+      }
+    }
+    return {
+      schemas: [ScimSchemas.GROUP],
+      id,
+      ...(group.idOnTheSource ? { externalId: group.idOnTheSource } : {}),
+      displayName: group.name,
+      ...(members ? { members } : {}),
+      meta: {
+        resourceType: 'Group',
+        created: toIsoString(group.createdAt),
+        lastModified: toIsoString(group.updatedAt),
+        location: `${baseUrl}/Groups/${id}`,
+      },
+    };
+  }
+
+  async function assertUniqueExternalId(externalId: string, groupId?: string): Promise<void> {
+    const [existing] = await listGroups({ idOnTheSource: externalId, limit: 1 });
+    if (existing && existing._id.toString() !== groupId) {
+      throw new ScimError(409, 'A group with this externalId already exists', 'uniqueness');
+    }
+  }
+
+  /** Every added member must be a provisioned user, so a typo can't create a phantom member. */
+  async function findMemberUsers(userIds: string[]): Promise<IUser[]> {
+    if (userIds.length === 0) {
+      return [];
+    }
+    const invalid = userIds.find((userId) => !isValidObjectIdString(userId));
+    const users = invalid ? [] : await findUsers({ _id: { $in: userIds } }, '_id idOnTheSource');
+    const found = new Set(users.map((user) => user._id.toString()));
+    const missing = invalid ?? userIds.find((userId) => !found.has(userId));
+    if (missing) {
+      throw new ScimError(400, `User ${missing} does not exist`, 'invalidValue');
+    }
+    return users;
+  }
+
+  /** Adds and removes members so the group holds exactly `userIds`. */
+  async function syncMembers(group: IGroup, userIds: Set<string>): Promise<void> {
+    const groupId = group._id.toString();
+    const current = await resolveMembers(group.memberIds ?? []);
+    const currentUserIds = new Set<string>();
+
+    for (const [memberId, user] of current) {
+      const userId = user?._id.toString() ?? memberId;
+      currentUserIds.add(userId);
+      if (!userIds.has(userId)) {
+        await removeMemberById(groupId, memberId);
+      }
+    }
+
+    const added = [...userIds].filter((userId) => !currentUserIds.has(userId));
+    await findMemberUsers(added);
+    for (const userId of added) {
+      await addUserToGroup(userId, groupId);
+    }
+  }
+
+  async function memberUserIds(group: IGroup): Promise<Set<string>> {
+    const resolved = await resolveMembers(group.memberIds ?? []);
+    return new Set([...resolved].map(([memberId, user]) => user?._id.toString() ?? memberId));
+  }
+
+  async function listGroupsHandler(req: ServerRequest, res: Response) {
+    try {
+      const { filter, excludedAttributes } = req.query as {
+        filter?: string;
+        excludedAttributes?: string;
+      };
+      const { startIndex, count } = parseScimPagination(req.query as Record<string, string>);
+      const includeMembers = !/\bmembers\b/i.test(excludedAttributes ?? '');
+      const baseUrl = getScimBaseUrl(req);
+      const parsed = parseScimFilter(filter, SCIM_GROUP_FILTERS);
+
+      if (parsed?.attribute === 'id') {
+        const group = isValidObjectIdString(parsed.value)
+          ? await findGroupById(parsed.value)
+          : null;
+        const resources =
+          group && count > 0 ? [await toScimGroup(group, baseUrl, includeMembers)] : [];
+        return res.status(200).json(toListResponse(resources, group ? 1 : 0, startIndex));
+      }
+
+      const groupFilter: ScimGroupFilter = {};
+      if (parsed?.attribute === 'displayname') {
+        groupFilter.name = parsed.value;
+      } else if (parsed?.attribute === 'externalid') {
+        groupFilter.idOnTheSource = parsed.value;
+      }
+      const [totalResults, groups] = await Promise.all([
+        countGroups(groupFilter),
+        count > 0
+          ? listGroups({ ...groupFilter, limit: count, offset: startIndex - 1 })
+          : Promise.resolve([]),
+      ]);
+      const resources = await Promise.all(
+        groups.map((group) => toScimGroup(group, baseUrl, includeMembers)),
+      );
+      return res.status(200).json(toListResponse(resources, totalResults, startIndex));
+    } catch (error) {
+      return handleScimError(res, error, 'listGroups');
+    }
+  }
+
+  async function getGroupHandler(req: ServerRequest, res: Response) {
+    try {
+      const { excludedAttributes } = req.query as { excludedAttributes?: string };
+      const group = await findScimGroup((req.params as { id: string }).id);
+      const includeMembers = !/\bmembers\b/i.test(excludedAttributes ?? '');
+      return res.status(200).json(await toScimGroup(group, getScimBaseUrl(req), includeMembers));
+    } catch (error) {
+      return handleScimError(res, error, 'getGroup');
+    }
+  }
+
+  async function createGroupHandler(req: ServerRequest, res: Response) {
+    try {
+      const body = (req.body ?? {}) as Record<string, unknown>;
+      const name = readScimString(body.displayName, 'displayName');
+      const externalId = typeof body.externalId === 'string' ? body.externalId.trim() : '';
+      if (externalId) {
+        await assertUniqueExternalId(externalId);
+      }
+      const users = await findMemberUsers([...new Set(readMemberIds(body.members))]);
+
+      const group = await createGroup({
+        name,
+        source: 'local',
+        ...(externalId ? { idOnTheSource: externalId } : {}),
+        memberIds: users.map((user) => user.idOnTheSource || user._id.toString()),
+      });
+      logger.info(`[scim] Provisioned group ${group._id.toString()}`);
+      return res.status(201).json(await toScimGroup(group, getScimBaseUrl(req)));
+    } catch (error) {
+      return handleScimError(res, error, 'createGroup');
+    }
+  }
+
+  async function replaceGroupHandler(req: ServerRequest, res: Response) {
+    try {
+      const id = (req.params as { id: string }).id;
+      const group = await findScimGroup(id);
+      const body = (req.body ?? {}) as Record<string, unknown>;
+      const update: Partial<Pick<IGroup, 'name' | 'idOnTheSource'>> = {
+        name: readScimString(body.displayName, 'displayName'),
+      };
+      if (typeof body.externalId === 'string' && body.externalId.trim()) {
+        update.idOnTheSource = body.externalId.trim();
+        await assertUniqueExternalId(update.idOnTheSource, id);
+      }
+
+      await updateGroupById(id, update);
+      await syncMembers(group, new Set(readMemberIds(body.members)));
+      return res.status(200).json(await toScimGroup(await findScimGroup(id), getScimBaseUrl(req)));
+    } catch (error) {
+      return handleScimError(res, error, 'replaceGroup');
+    }
+  }
+
+  async function patchGroupHandler(req: ServerRequest, res: Response) {
+    try {
+      const { Operations } = (req.body ?? {}) as { Operations?: ScimPatchOperation[] };
+      if (!Array.isArray(Operations)) {
+        return sendScimError(res, 400, 'PATCH requires an Operations array', 'invalidSyntax');
+      }
+      const id = (req.params as { id: string }).id;
+      const group = await findScimGroup(id);
+      const update: Partial<Pick<IGroup, 'name' | 'idOnTheSource'>> = {};
+      const members = await memberUserIds(group);
+      let membersChanged = false;
+
+      const applyAttribute = (path: string, value: unknown, op: string) => {
+        const key = path.toLowerCase();
+        const memberMatch = MEMBER_VALUE_PATH.exec(path);
+        if (memberMatch) {
+          if (op !== 'remove') {
+            throw new ScimError(400, 'Member filters are only supported for remove', 'invalidPath');
+          }
+          members.delete(memberMatch[1]);
+          membersChanged = true;
+        } else if (key === 'members') {
+          const ids = readMemberIds(value);
+          if (op === 'replace' || (op === 'remove' && value == null)) {
+            members.clear();
+          }
+          for (const memberId of ids) {
+            if (op === 'remove') {
+              members.delete(memberId);
+            } else {
+              members.add(memberId);
+            }
+          }
+          membersChanged = true;
+        } else if (key === 'displayname' && op !== 'remove') {
+          update.name = readScimString(value, 'displayName');
+        } else if (key === 'externalid' && op !== 'remove') {
+          update.idOnTheSource = readScimString(value, 'externalId');
+        } else {
+          logger.debug(`[scim] Ignoring unsupported group attribute "${path}"`);
+        }
+      };
+
+      for (const operation of Operations) {
+        const op = typeof operation?.op === 'string' ? operation.op.toLowerCase() : '';
+        if (op !== 'add' && op !== 'replace' && op !== 'remove') {
+          return sendScimError(
+            res,
+            400,
+            `Unsupported PATCH operation "${operation?.op}"`,
+            'invalidSyntax',
+          );
+        }
+        if (operation.path) {
+          applyAttribute(operation.path, operation.value, op);
+        } else if (typeof operation.value === 'object' && operation.value != null) {
+          for (const [path, value] of Object.entries(operation.value)) {
+            applyAttribute(path, value, op);
+          }
+        } else {
+          return sendScimError(
+            res,
+            400,
+            'PATCH operations without a path need an object value',
+            'noTarget',
+          );
+        }
+      }
+
+      if (update.idOnTheSource) {
+        await assertUniqueExternalId(update.idOnTheSource, id);
+      }
+      if (Object.keys(update).length > 0) {
+        await updateGroupById(id, update);
+      }
+      if (membersChanged) {
+        await syncMembers(group, members);
+      }
+      return res.status(200).json(await toScimGroup(await findScimGroup(id), getScimBaseUrl(req)));
+    } catch (error) {
+      return handleScimError(res, error, 'patchGroup');
+    }
+  }
+
+  /** Same cascade as the admin API: the group's config overrides, grants and budget go with it. */
+  async function deleteGroupHandler(req: ServerRequest, res: Response) {
+    try {
+      const id = (req.params as { id: string }).id;
+      const deleted = isValidObjectIdString(id) ? await deleteGroup(id) : null;
+      if (!deleted) {
+        return sendScimError(res, 404, `Group ${id} not found`);
+      }
+      const cleanupResults = await Promise.allSettled([
+        deleteConfig(PrincipalType.GROUP, id),
+        deleteAclEntries({
+          principalType: PrincipalType.GROUP,
+          principalId: new Types.ObjectId(id),
+        }),
+        deleteBudget?.({ scope: 'group', groupId: id }),
+      ]);
+      for (const result of cleanupResults) {
+        if (result.status === 'rejected') {
+          logger.error('[scim] cascade cleanup step failed for group:', id, result.reason);
+        }
+      }
+      logger.info(`[scim] Deleted group ${id}`);
+      return res.status(204).end();
+    } catch (error) {
+      return handleScimError(res, error, 'deleteGroup');
+    }
+  }
+
+  return {
+    listGroups: listGroupsHandler,
+    getGroup: getGroupHandler,
+    createGroup: createGroupHandler,
+    replaceGroup: replaceGroupHandler,
+    patchGroup: patchGroupHandler,
+    deleteGroup: deleteGroupHandler,
+  };
+}
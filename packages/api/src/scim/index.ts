@@ -0,0 +1,8 @@
+export * from './types';
+export * from './config';
+export * from './filter';
+export * from './auth';
+export * from './users';
+export * from './groups';
+export * from './discovery';
+export { sendScimError } from './utils';
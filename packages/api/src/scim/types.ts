@@ -0,0 +1,91 @@
+/** Schema and message URNs from RFC 7643 / RFC 7644. */
+export const ScimSchemas = {
+  USER: 'urn:ietf:params:scim:schemas:core:2.0:User',
+  GROUP: 'urn:ietf:params:scim:schemas:core:2.0:Group',
+  LIST_RESPONSE: 'urn:ietf:params:scim:api:messages:2.0:ListResponse',
+  PATCH_OP: 'urn:ietf:params:scim:api:messages:2.0:PatchOp',
+  ERROR: 'urn:ietf:params:scim:api:messages:2.0:Error',
+  SERVICE_PROVIDER_CONFIG: 'urn:ietf:params:scim:schemas:core:2.0:ServiceProviderConfig',
+} as const;
+
+export const SCIM_CONTENT_TYPE = 'application/scim+json';
+
+export const DEFAULT_SCIM_PAGE_SIZE = 100;
+export const MAX_SCIM_PAGE_SIZE = 200;
+
+/** RFC 7644 §3.12 `scimType` values this implementation reports. */
+export type ScimErrorType =
+  | 'invalidFilter'
+  | 'invalidSyntax'
+  | 'invalidPath'
+  | 'invalidValue'
+  | 'noTarget'
+  | 'uniqueness'
+  | 'mutability';
+
+export class ScimError extends Error {
+  readonly status: number;
+  readonly scimType?: ScimErrorType;
+
+  constructor(status: number, message: string, scimType?: ScimErrorType) {
+    super(message);
+    this.name = 'ScimError';
+    this.status = status;
+    this.scimType = scimType;
+  }
+}
+
+export interface ScimMeta {
+  resourceType: 'User' | 'Group';
+  created?: string;
+  lastModified?: string;
+  location: string;
+}
+
+export interface ScimMultiValue {
+  value: string;
+  display?: string;
+  type?: string;
+  primary?: boolean;
+}
+
+export interface ScimUser {
+  schemas: string[];
+  id: string;
+  externalId?: string;
+  userName: string;
+  displayName?: string;
+  name?: { formatted?: string; givenName?: string; familyName?: string };
+  emails: ScimMultiValue[];
+  active: boolean;
+  roles: ScimMultiValue[];
+  meta: ScimMeta;
+}
+
+export interface ScimGroup {
+  schemas: string[];
+  id: string;
+  externalId?: string;
+  displayName: string;
+  members?: ScimMultiValue[];
+  meta: ScimMeta;
+}
+
+export interface ScimListResponse<T> {
+  schemas: string[];
+  totalResults: number;
+  startIndex: number;
+  itemsPerPage: number;
+  Resources: T[];
+}
+
+export interface ScimPatchOperation {
+  op: string;
+  path?: string;
+  value?: unknown;
+}
+
+/** Who a provisioning token may manage; `tenantId` is unset for single-tenant deployments. */
+export interface ScimTokenScope {
+  tenantId?: string;
+}
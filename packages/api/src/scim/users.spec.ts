@@ -0,0 +1,322 @@
+import { Types } from 'mongoose';
+import type { IUser } from '@librechat/data-schemas';
+import type { Response } from 'express';
+import type { ServerRequest } from '~/types/http';
+import type { ScimUsersDeps } from './users';
+import { createScimUsersHandlers, readScimUserPatch } from './users';
+import { ScimSchemas } from './types';
+
+jest.mock('@librechat/data-schemas', () => ({
+  ...jest.requireActual('@librechat/data-schemas'),
+  logger: { error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() },
+}));
+
+describe('createScimUsersHandlers', () => {
+  let userId: string;
+
+  beforeEach(() => {
+    userId = new Types.ObjectId().toString();
+  });
+
+  function mockUser(overrides: Partial<IUser> = {}): IUser {
+    return {
+      _id: new Types.ObjectId(userId),
+      username: 'ada@example.com',
+      email: 'ada@example.com',
+      name: 'Ada Lovelace',
+      role: 'USER',
+      disabledAt: null,
+      ...overrides,
+    } as IUser;
+  }
+
+  function createReqRes(
+    overrides: {
+      params?: Record<string, string>;
+      query?: Record<string, string>;
+      body?: Record<string, unknown>;
+    } = {},
+  ) {
+    const req = {
+      baseUrl: '/scim/v2',
+      params: overrides.params ?? {},
+      query: overrides.query ?? {},
+      body: overrides.body ?? {},
+    } as unknown as ServerRequest;
+
+    const json = jest.fn();
+    const end = jest.fn();
+    const status = jest.fn().mockReturnValue({ json, end });
+    const res = { status, json } as unknown as Response;
+
+    return { req, res, status, json, end };
+  }
+
+  function createDeps(overrides: Partial<ScimUsersDeps> = {}): ScimUsersDeps {
+    return {
+      config: { userProvider: 'openid', deleteOnDeprovision: false },
+      findUser: jest.fn().mockResolvedValue(null),
+      findUsers: jest.fn().mockResolvedValue([]),
+      countUsers: jest.fn().mockResolvedValue(0),
+      getUserById: jest.fn().mockResolvedValue(mockUser()),
+      createUser: jest.fn().mockImplementation(async (data) => ({ ...mockUser(), ...data })),
+      updateUser: jest.fn().mockImplementation(async (_id, data) => ({ ...mockUser(), ...data })),
+      deleteAllUserSessions: jest.fn().mockResolvedValue({ deletedCount: 1 }),
+      getRoleMapping: jest.fn().mockResolvedValue(null),
+      deleteUserAccount: jest.fn().mockResolvedValue(undefined),
+      ...overrides,
+    };
+  }
+
+  describe('listUsers', () => {
+    it('looks up a userName by username or email and pages from startIndex', async () => {
+      const deps = createDeps({
+        countUsers: jest.fn().mockResolvedValue(1),
+        findUsers: jest.fn().mockResolvedValue([mockUser()]),
+      });
+      const handlers = createScimUsersHandlers(deps);
+      const { req, res, status, json } = createReqRes({
+        query: { filter: 'userName eq "Ada@Example.com"', startIndex: '1', count: '10' },
+      });
+
+      await handlers.listUsers(req, res);
+
+      const query = { $or: [{ username: 'Ada@Example.com' }, { email: 'ada@example.com' }] };
+      expect(deps.countUsers).toHaveBeenCalledWith(query);
+      expect(deps.findUsers).toHaveBeenCalledWith(query, expect.any(String), {
+        offset: 0,
+        limit: 10,
+        sort: { createdAt: 1 },
+      });
+      expect(status).toHaveBeenCalledWith(200);
+      const body = json.mock.calls[0][0];
+      expect(body.schemas).toEqual([ScimSchemas.LIST_RESPONSE]);
+      expect(body.totalResults).toBe(1);
+      expect(body.Resources[0]).toMatchObject({
+        id: userId,
+        userName: 'ada@example.com',
+        active: true,
+        meta: { resourceType: 'User', location: `/scim/v2/Users/${userId}` },
+      });
+    });
+
+    it('returns only the total when count is 0', async () => {
+      const deps = createDeps({ countUsers: jest.fn().mockResolvedValue(7) });
+      const handlers = createScimUsersHandlers(deps);
+      const { req, res, json } = createReqRes({ query: { count: '0' } });
+
+      await handlers.listUsers(req, res);
+
+      expect(deps.findUsers).not.toHaveBeenCalled();
+      expect(json.mock.calls[0][0]).toMatchObject({ totalResults: 7, Resources: [] });
+    });
+
+    it('rejects unsupported filters', async () => {
+      const handlers = createScimUsersHandlers(createDeps());
+      const { req, res, status, json } = createReqRes({
+        query: { filter: 'userName sw "ada"' },
+      });
+
+      await handlers.listUsers(req, res);
+
+      expect(status).toHaveBeenCalledWith(400);
+      expect(json.mock.calls[0][0]).toMatchObject({ scimType: 'invalidFilter', status: '400' });
+    });
+  });
+
+  describe('createUser', () => {
+    it('provisions a verified user for the configured provider', async () => {
+      const deps = createDeps();
+      const handlers = createScimUsersHandlers(deps);
+      const { req, res, status } = createReqRes({
+        body: {
+          schemas: [ScimSchemas.USER],
+          userName: 'ada@example.com',
+          externalId: 'oid-1',
+          name: { givenName: 'Ada', familyName: 'Lovelace' },
+          emails: [{ value: 'Ada@Example.com', primary: true }],
+          active: true,
+        },
+      });
+
+      await handlers.createUser(req, res);
+
+      expect(deps.createUser).toHaveBeenCalledWith(
+        {
+          provider: 'openid',
+          email: 'ada@example.com',
+          username: 'ada@example.com',
+          name: 'Ada Lovelace',
+          emailVerified: true,
+          idOnTheSource: 'oid-1',
+        },
+        undefined,
+        true,
+        true,
+      );
+      expect(status).toHaveBeenCalledWith(201);
+    });
+
+    it('maps SCIM roles through the configured role priority', async () => {
+      const deps = createDeps({
+        getRoleMapping: jest
+          .fn()
+          .mockResolvedValue({ rolePriority: ['EDITOR'], fallbackRole: 'USER' }),
+      });
+      const handlers = createScimUsersHandlers(deps);
+      const { req, res } = createReqRes({
+        body: { userName: 'ada@example.com', roles: [{ value: 'editor' }, { value: 'ADMIN' }] },
+      });
+
+      await handlers.createUser(req, res);
+
+      expect(deps.createUser).toHaveBeenCalledWith(
+        expect.objectContaining({ role: 'EDITOR' }),
+        undefined,
+        true,
+        true,
+      );
+    });
+
+    it('returns 409 when the email is taken', async () => {
+      const deps = createDeps({ findUser: jest.fn().mockResolvedValue(mockUser()) });
+      const handlers = createScimUsersHandlers(deps);
+      const { req, res, status, json } = createReqRes({ body: { userName: 'ada@example.com' } });
+
+      await handlers.createUser(req, res);
+
+      expect(status).toHaveBeenCalledWith(409);
+      expect(json.mock.calls[0][0].scimType).toBe('uniqueness');
+      expect(deps.createUser).not.toHaveBeenCalled();
+    });
+
+    it('requires an email address', async () => {
+      const handlers = createScimUsersHandlers(createDeps());
+      const { req, res, status } = createReqRes({ body: { userName: 'ada' } });
+
+      await handlers.createUser(req, res);
+
+      expect(status).toHaveBeenCalledWith(400);
+    });
+  });
+
+  describe('patchUser', () => {
+    it('disables the user and ends their sessions on active=false', async () => {
+      const deps = createDeps();
+      const handlers = createScimUsersHandlers(deps);
+      const { req, res, status } = createReqRes({
+        params: { id: userId },
+        body: {
+          schemas: [ScimSchemas.PATCH_OP],
+          Operations: [{ op: 'Replace', path: 'active', value: 'False' }],
+        },
+      });
+
+      await handlers.patchUser(req, res);
+
+      expect(deps.updateUser).toHaveBeenCalledWith(userId, { disabledAt: expect.any(Date) });
+      expect(deps.deleteAllUserSessions).toHaveBeenCalledWith({ userId });
+      expect(status).toHaveBeenCalledWith(200);
+    });
+
+    it('re-enables a disabled user', async () => {
+      const deps = createDeps({
+        getUserById: jest.fn().mockResolvedValue(mockUser({ disabledAt: new Date() })),
+      });
+      const handlers = createScimUsersHandlers(deps);
+      const { req, res, json } = createReqRes({
+        params: { id: userId },
+        body: { Operations: [{ op: 'replace', value: { active: true } }] },
+      });
+
+      await handlers.patchUser(req, res);
+
+      expect(deps.updateUser).toHaveBeenCalledWith(userId, { disabledAt: null });
+      expect(deps.deleteAllUserSessions).not.toHaveBeenCalled();
+      expect(json.mock.calls[0][0].active).toBe(true);
+    });
+
+    it('never changes the role of an admin', async () => {
+      const deps = createDeps({
+        getUserById: jest.fn().mockResolvedValue(mockUser({ role: 'ADMIN' })),
+        getRoleMapping: jest.fn().mockResolvedValue({ rolePriority: [], fallbackRole: 'USER' }),
+      });
+      const handlers = createScimUsersHandlers(deps);
+      const { req, res } = createReqRes({
+        params: { id: userId },
+        body: { Operations: [{ op: 'replace', path: 'roles', value: [] }] },
+      });
+
+      await handlers.patchUser(req, res);
+
+      expect(deps.getRoleMapping).not.toHaveBeenCalled();
+      expect(deps.updateUser).not.toHaveBeenCalled();
+    });
+
+    it('returns 404 for an unknown user', async () => {
+      const handlers = createScimUsersHandlers(
+        createDeps({ getUserById: jest.fn().mockResolvedValue(null) }),
+      );
+      const { req, res, status } = createReqRes({
+        params: { id: userId },
+        body: { Operations: [] },
+      });
+
+      await handlers.patchUser(req, res);
+
+      expect(status).toHaveBeenCalledWith(404);
+    });
+  });
+
+  describe('deleteUser', () => {
+    it('disables the user by default', async () => {
+      const deps = createDeps();
+      const handlers = createScimUsersHandlers(deps);
+      const { req, res, status, end } = createReqRes({ params: { id: userId } });
+
+      await handlers.deleteUser(req, res);
+
+      expect(deps.updateUser).toHaveBeenCalledWith(userId, { disabledAt: expect.any(Date) });
+      expect(deps.deleteUserAccount).not.toHaveBeenCalled();
+      expect(status).toHaveBeenCalledWith(204);
+      expect(end).toHaveBeenCalled();
+    });
+
+    it('runs the account deletion when configured to', async () => {
+      const user = mockUser();
+      const deps = createDeps({
+        config: { userProvider: 'openid', deleteOnDeprovision: true },
+        getUserById: jest.fn().mockResolvedValue(user),
+      });
+      const handlers = createScimUsersHandlers(deps);
+      const { req, res, status } = createReqRes({ params: { id: userId } });
+
+      await handlers.deleteUser(req, res);
+
+      expect(deps.deleteUserAccount).toHaveBeenCalledWith(user);
+      expect(deps.updateUser).not.toHaveBeenCalled();
+      expect(status).toHaveBeenCalledWith(204);
+    });
+  });
+});
+
+describe('readScimUserPatch', () => {
+  it('reads path-less values and schema-qualified paths', () => {
+    expect(
+      readScimUserPatch([
+        {
+          op: 'replace',
+          value: { displayName: 'Ada', 'emails[type eq "work"].value': 'ada@example.com' },
+        },
+        { op: 'add', path: `${ScimSchemas.USER}:externalId`, value: 'oid-1' },
+        { op: 'replace', path: 'urn:custom:department', value: 'R&D' },
+      ]),
+    ).toEqual({ displayName: 'Ada', email: 'ada@example.com', externalId: 'oid-1' });
+  });
+
+  it('rejects unknown operations', () => {
+    expect(() => readScimUserPatch([{ op: 'move', path: 'active' }])).toThrow(
+      'Unsupported PATCH operation',
+    );
+  });
+});
@@ -0,0 +1,484 @@
+import { SystemRoles } from 'librechat-data-provider';
+import { logger, isValidObjectIdString } from '@librechat/data-schemas';
+import type { IUser, BalanceConfig, CreateUserRequest } from '@librechat/data-schemas';
+import type { FilterQuery, Types } from 'mongoose';
+import type { Response } from 'express';
+import type { ServerRequest } from '~/types/http';
+import type { ScimConfig } from './config';
+import type { ScimUser, ScimPatchOperation } from './types';
+import {
+  toIsoString,
+  getScimBaseUrl,
+  sendScimError,
+  readScimString,
+  toListResponse,
+  parseScimBoolean,
+  handleScimError,
+  parseScimPagination,
+} from './utils';
+import { selectOpenIdRole } from '~/auth/openidRoleSync';
+import { ScimSchemas, ScimError } from './types';
+import { parseScimFilter } from './filter';
+
+const SCIM_USER_FIELDS =
+  '_id username email name role idOnTheSource disabledAt createdAt updatedAt';
+const SCIM_USER_FILTERS = ['username', 'externalid', 'emails.value', 'id'] as const;
+
+/** The user attributes SCIM manages, normalized from a full resource or a set of PATCH operations. */
+interface ScimUserAttributes {
+  userName?: string;
+  displayName?: string;
+  email?: string;
+  externalId?: string;
+  active?: boolean;
+  roles?: string[];
+}
+
+export interface ScimRoleMapping {
+  rolePriority: string[];
+  fallbackRole?: string;
+}
+
+export interface ScimUsersDeps {
+  config: Pick<ScimConfig, 'userProvider' | 'deleteOnDeprovision'>;
+  findUser: (
+    searchCriteria: FilterQuery<IUser>,
+    fieldsToSelect?: string | string[] | null,
+  ) => Promise<IUser | null>;
+  findUsers: (
+    searchCriteria: FilterQuery<IUser>,
+    fieldsToSelect?: string | string[] | null,
+    options?: { limit?: number; offset?: number; sort?: Record<string, 1 | -1> },
+  ) => Promise<IUser[]>;
+  countUsers: (filter?: FilterQuery<IUser>) => Promise<number>;
+  getUserById: (userId: string, fieldsToSelect?: string | string[] | null) => Promise<IUser | null>;
+  createUser: (
+    data: CreateUserRequest,
+    balanceConfig?: BalanceConfig,
+    disableTTL?: boolean,
+    returnUser?: boolean,
+  ) => Promise<Types.ObjectId | Partial<IUser>>;
+  updateUser: (userId: string, updateData: Partial<IUser>) => Promise<IUser | null>;
+  /** Ends the user's sessions so a disabled account can't refresh its way back in. */
+  deleteAllUserSessions: (query: { userId: string }) => Promise<unknown>;
+  /** Role mapping validated in the request's tenant; `null` leaves roles alone. */
+  getRoleMapping: () => Promise<ScimRoleMapping | null>;
+  getBalanceConfig?: () => Promise<BalanceConfig | null | undefined>;
+  /** Runs the same cascade as self-service account deletion. */
+  deleteUserAccount: (user: IUser) => Promise<void>;
+}
+
+export function toScimUser(user: Partial<IUser>, baseUrl: string): ScimUser {
+  const id = user._id?.toString() ?? '';
+  return {
+    schemas: [ScimSchemas.USER],
+    id,
+    ...(user.idOnTheSource ? { externalId: user.idOnTheSource } : {}),
+    userName: user.username || user.email || '',
+    displayName: user.name || undefined,
+    ...(user.name ? { name: { formatted: user.name } } : {}),
+    emails: user.email ? [{ value: user.email, type: 'work', primary: true }] : [],
+    active: user.disabledAt == null,
+    roles: user.role ? [{ value: user.role, primary: true }] : [],
+    meta: {
+      resourceType: 'User',
+      created: toIsoString(user.createdAt),
+      lastModified: toIsoString(user.updatedAt),
+      location: `${baseUrl}/Users/${id}`,
+    },
+  };
+}
+
+/** Picks the primary address from a multi-valued `emails`, falling back to the first. */
+function readEmail(value: unknown): string | undefined {
+  if (typeof value === 'string') {
+    return value.trim() || undefined;
+  }
+  if (!Array.isArray(value)) {
+    return undefined;
+  }
+  const emails = value.filter(
+    (entry): entry is { value: string; primary?: unknown } => typeof entry?.value === 'string',
+  );
+  const email = emails.find((entry) => entry.primary === true) ?? emails[0];
+  return email?.value.trim() || undefined;
+}
+
+function readRoles(value: unknown): string[] {
+  const entries = Array.isArray(value) ? value : [value];
+  return entries
+    .map((entry) => (typeof entry === 'string' ? entry : entry?.value))
+    .filter((role): role is string => typeof role === 'string' && role.trim() !== '');
+}
+
+function readDisplayName(value: unknown): string | undefined {
+  if (typeof value !== 'object' || value == null) {
+    return undefined;
+  }
+  const name = value as { formatted?: unknown; givenName?: unknown; familyName?: unknown };
+  if (typeof name.formatted === 'string' && name.formatted.trim()) {
+    return name.formatted.trim();
+  }
+  const parts = [name.givenName, name.familyName].filter(
+    (part): part is string => typeof part === 'string' && part.trim() !== '',
+  );
+  return parts.length > 0 ? parts.join(' ') : undefined;
+}
+
+/** Reads the attributes of a full User resource, as sent to POST and PUT. */
+export function readScimUser(body: Record<string, unknown>): ScimUserAttributes {
+  const userName = readScimString(body.userName, 'userName');
+  return {
+    userName,
+    displayName:
+      (typeof body.displayName === 'string' && body.displayName.trim()) ||
+      readDisplayName(body.name),
+    email: readEmail(body.emails) ?? (userName.includes('@') ? userName : undefined),
+    externalId: typeof body.externalId === 'string' ? body.externalId.trim() : undefined,
+    active: body.active == null ? undefined : parseScimBoolean(body.active),
+    roles: body.roles == null ? undefined : readRoles(body.roles),
+  };
+}
+
+function applyUserAttribute(
+  attributes: ScimUserAttributes,
+  path: string,
+  value: unknown,
+  op: string,
+): void {
+  /** Paths may be qualified with the core schema URN */
+  const key = path.startsWith(`${ScimSchemas.USER}:`)
+    ? path.slice(ScimSchemas.USER.length + 1).toLowerCase()
+    : path.toLowerCase();
+  const removing = op === 'remove';
+
+  switch (key) {
+    case 'username':
+      attributes.userName = readScimString(value, 'userName');
+      return;
+    case 'displayname':
+    case 'name.formatted':
+      if (!removing) {
+        attributes.displayName = readScimString(value, path);
+      }
+      return;
+    case 'name':
+      attributes.displayName = readDisplayName(value) ?? attributes.displayName;
+      return;
+    case 'emails':
+    case 'emails.value':
+    case 'emails[type eq "work"].value':
+    case 'emails[primary eq true].value': {
+      const email = removing ? undefined : readEmail(value);
+      if (!email) {
+        throw new ScimError(400, 'A user must keep an email address', 'invalidValue');
+      }
+      attributes.email = email;
+      return;
+    }
+    case 'externalid':
+      if (!removing) {
+        attributes.externalId = readScimString(value, 'externalId');
+      }
+      return;
+    case 'active':
+      if (removing) {
+        throw new ScimError(400, '"active" cannot be removed', 'invalidValue');
+      }
+      attributes.active = parseScimBoolean(value);
+      return;
+    case 'roles':
+      attributes.roles = removing ? [] : readRoles(value);
+      return;
+    default:
+      /** IdPs send every mapped attribute, including ones LibreChat has no field for */
+      logger.debug(`[scim] Ignoring unsupported user attribute "${path}"`);
+  }
+}
+
+/** Collects the attribute changes of PATCH operations, including path-less `value` objects. */
+export function readScimUserPatch(operations: ScimPatchOperation[]): ScimUserAttributes {
+  const attributes: ScimUserAttributes = {};
+  for (const operation of operations) {
+    const op = typeof operation?.op === 'string' ? operation.op.toLowerCase() : '';
+    if (op !== 'add' && op !== 'replace' && op !== 'remove') {
+      throw new ScimError(400, `Unsupported PATCH operation "${operation?.op}"`, 'invalidSyntax');
+    }
+    if (operation.path) {
+      applyUserAttribute(attributes, operation.path, operation.value, op);
+      continue;
+    }
+    if (typeof operation.value !== 'object' || operation.value == null || op === 'remove') {
+      throw new ScimError(400, 'PATCH operations without a path need an object value', 'noTarget');
+    }
+    for (const [path, value] of Object.entries(operation.value)) {
+      applyUserAttribute(attributes, path, value, op);
+    }
+  }
+  return attributes;
+}
+
+function buildUserQuery(filter: string | undefined): FilterQuery<IUser> | null {
+  const parsed = parseScimFilter(filter, SCIM_USER_FILTERS);
+  if (!parsed) {
+    return {};
+  }
+  switch (parsed.attribute) {
+    case 'username':
+      return { $or: [{ username: parsed.value }, { email: parsed.value.toLowerCase() }] };
+    case 'externalid':
+      return { idOnTheSource: parsed.value };
+    case 'emails.value':
+      return { email: parsed.value.toLowerCase() };
+    default:
+      return isValidObjectIdString(parsed.value) ? { _id: parsed.value } : null;
+  }
+}
+
+export function createScimUsersHandlers(deps: ScimUsersDeps): {
+  listUsers: (req: ServerRequest, res: Response) => Promise<Response>;
+  getUser: (req: ServerRequest, res: Response) => Promise<Response>;
+  createUser: (req: ServerRequest, res: Response) => Promise<Response>;
+  replaceUser: (req: ServerRequest, res: Response) => Promise<Response>;
+  patchUser: (req: ServerRequest, res: Response) => Promise<Response>;
+  deleteUser: (req: ServerRequest, res: Response) => Promise<Response>;
+} {
+  const {
+    config,
+    findUser,
+    findUsers,
+    countUsers,
+    getUserById,
+    createUser,
+    updateUser,
+    deleteAllUserSessions,
+    getRoleMapping,
+    getBalanceConfig,
+    deleteUserAccount,
+  } = deps;
+
+  async function findScimUser(id: string): Promise<IUser> {
+    const user = isValidObjectIdString(id) ? await getUserById(id, SCIM_USER_FIELDS) : null;
+    if (!user) {
+      throw new ScimError(404, `User ${id} not found`);
+    }
+    return user;
+  }
+
+  async function resolveRole(
+    roles: string[] | undefined,
+    currentRole?: string,
+  ): Promise<string | undefined> {
+    if (roles === undefined || currentRole === SystemRoles.ADMIN) {
+      return undefined;
+    }
+    const mapping = await getRoleMapping();
+    if (!mapping) {
+      return undefined;
+    }
+    return selectOpenIdRole({ currentRole, openIdRoleValues: roles, ...mapping }).selectedRole;
+  }
+
+  async function assertUnique(
+    criteria: FilterQuery<IUser>,
+    message: string,
+    userId?: string,
+  ): Promise<void> {
+    const existing = await findUser(criteria, '_id');
+    if (existing && existing._id?.toString() !== userId) {
+      throw new ScimError(409, message, 'uniqueness');
+    }
+  }
+
+  async function disableUser(user: IUser): Promise<void> {
+    const userId = user._id.toString();
+    if (user.disabledAt == null) {
+      await updateUser(userId, { disabledAt: new Date() });
+    }
+    await deleteAllUserSessions({ userId });
+    logger.info(`[scim] Disabled user ${userId}`);
+  }
+
+  async function applyUserAttributes(
+    user: IUser,
+    attributes: ScimUserAttributes,
+  ): Promise<IUser | null> {
+    const userId = user._id.toString();
+    const update: Partial<IUser> = {};
+
+    if (attributes.userName !== undefined) {
+      update.username = attributes.userName;
+    }
+    if (attributes.displayName !== undefined) {
+      update.name = attributes.displayName;
+    }
+    if (attributes.email !== undefined && attributes.email.toLowerCase() !== user.email) {
+      update.email = attributes.email.toLowerCase();
+      await assertUnique({ email: update.email }, 'A user with this email already exists', userId);
+    }
+    if (attributes.externalId !== undefined && attributes.externalId !== user.idOnTheSource) {
+      update.idOnTheSource = attributes.externalId;
+      await assertUnique(
+        { idOnTheSource: attributes.externalId },
+        'A user with this externalId already exists',
+        userId,
+      );
+    }
+    const role = await resolveRole(attributes.roles, user.role);
+    if (role && role !== user.role) {
+      logger.info(`[scim] Role for user ${userId}: ${user.role || 'unset'} -> ${role}`);
+      update.role = role;
+    }
+    if (attributes.active === true && user.disabledAt != null) {
+      update.disabledAt = null;
+    }
+
+    const updated =
+      Object.keys(update).length > 0
+        ? await updateUser(userId, update)
+        : await findScimUser(userId);
+    if (attributes.active === false) {
+      await disableUser(user);
+      return getUserById(userId, SCIM_USER_FIELDS);
+    }
+    return updated;
+  }
+
+  async function listUsersHandler(req: ServerRequest, res: Response) {
+    try {
+      const { filter } = req.query as { filter?: string };
+      const { startIndex, count } = parseScimPagination(req.query as Record<string, string>);
+      const query = buildUserQuery(filter);
+      if (!query) {
+        return res.status(200).json(toListResponse([], 0, startIndex));
+      }
+
+      const [totalResults, users] = await Promise.all([
+        countUsers(query),
+        count > 0
+          ? findUsers(query, SCIM_USER_FIELDS, {
+              offset: startIndex - 1,
+              limit: count,
+              sort: { createdAt: 1 },
+            })
+          : Promise.resolve([]),
+      ]);
+      const baseUrl = getScimBaseUrl(req);
+      return res.status(200).json(
+        toListResponse(
+          users.map((user) => toScimUser(user, baseUrl)),
+          totalResults,
+          startIndex,
+        ),
+      );
+    } catch (error) {
+      return handleScimError(res, error, 'listUsers');
+    }
+  }
+
+  async function getUserHandler(req: ServerRequest, res: Response) {
+    try {
+      const user = await findScimUser((req.params as { id: string }).id);
+      return res.status(200).json(toScimUser(user, getScimBaseUrl(req)));
+    } catch (error) {
+      return handleScimError(res, error, 'getUser');
+    }
+  }
+
+  async function createUserHandler(req: ServerRequest, res: Response) {
+    try {
+      const attributes = readScimUser(req.body ?? {});
+      if (!attributes.email) {
+        return sendScimError(res, 400, 'An email address is required', 'invalidValue');
+      }
+      const email = attributes.email.toLowerCase();
+      await assertUnique({ email }, 'A user with this email already exists');
+      if (attributes.externalId) {
+        await assertUnique(
+          { idOnTheSource: attributes.externalId },
+          'A user with this externalId already exists',
+        );
+      }
+
+      const role = await resolveRole(attributes.roles ?? []);
+      const balanceConfig = (await getBalanceConfig?.()) ?? undefined;
+      const user = (await createUser(
+        {
+          provider: config.userProvider,
+          email,
+          username: attributes.userName,
+          name: attributes.displayName ?? attributes.userName,
+          emailVerified: true,
+          ...(attributes.externalId ? { idOnTheSource: attributes.externalId } : {}),
+          ...(role ? { role } : {}),
+          ...(attributes.active === false ? { disabledAt: new Date() } : {}),
+        },
+        balanceConfig,
+        true,
+        true,
+      )) as IUser;
+      logger.info(`[scim] Provisioned user ${user._id?.toString()}`);
+      return res.status(201).json(toScimUser(user, getScimBaseUrl(req)));
+    } catch (error) {
+      return handleScimError(res, error, 'createUser');
+    }
+  }
+
+  async function replaceUserHandler(req: ServerRequest, res: Response) {
+    try {
+      const user = await findScimUser((req.params as { id: string }).id);
+      const updated = await applyUserAttributes(user, readScimUser(req.body ?? {}));
+      if (!updated) {
+        return sendScimError(res, 404, 'User not found');
+      }
+      return res.status(200).json(toScimUser(updated, getScimBaseUrl(req)));
+    } catch (error) {
+      return handleScimError(res, error, 'replaceUser');
+    }
+  }
+
+  async function patchUserHandler(req: ServerRequest, res: Response) {
+    try {
+      const { Operations } = (req.body ?? {}) as { Operations?: ScimPatchOperation[] };
+      if (!Array.isArray(Operations)) {
+        return sendScimError(res, 400, 'PATCH requires an Operations array', 'invalidSyntax');
+      }
+      const user = await findScimUser((req.params as { id: string }).id);
+      const updated = await applyUserAttributes(user, readScimUserPatch(Operations));
+      if (!updated) {
+        return sendScimError(res, 404, 'User not found');
+      }
+      return res.status(200).json(toScimUser(updated, getScimBaseUrl(req)));
+    } catch (error) {
+      return handleScimError(res, error, 'patchUser');
+    }
+  }
+
+  /**
+   * Deprovisioning disables the account by default so the IdP can restore it; deployments that
+   * must not retain data set `SCIM_DELETE_ON_DEPROVISION` to run the full account deletion.
+   */
+  async function deleteUserHandler(req: ServerRequest, res: Response) {
+    try {
+      const user = await findScimUser((req.params as { id: string }).id);
+      if (config.deleteOnDeprovision) {
+        await deleteUserAccount(user);
+        logger.info(`[scim] Deleted user ${user._id.toString()}`);
+      } else {
+        await disableUser(user);
+      }
+      return res.status(204).end();
+    } catch (error) {
+      return handleScimError(res, error, 'deleteUser');
+    }
+  }
+
+  return {
+    listUsers: listUsersHandler,
+    getUser: getUserHandler,
+    createUser: createUserHandler,
+    replaceUser: replaceUserHandler,
+    patchUser: patchUserHandler,
+    deleteUser: deleteUserHandler,
+  };
+}
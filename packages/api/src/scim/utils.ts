@@ -0,0 +1,95 @@
+import { logger } from '@librechat/data-schemas';
+import type { Response } from 'express';
+import type { ServerRequest } from '~/types/http';
+import type { ScimListResponse } from './types';
+import { ScimSchemas, ScimError, DEFAULT_SCIM_PAGE_SIZE, MAX_SCIM_PAGE_SIZE } from './types';
+
+export function sendScimError(
+  res: Response,
+  status: number,
+  detail: string,
+  scimType?: ScimError['scimType'],
+): Response {
+  return res.status(status).json({
+    schemas: [ScimSchemas.ERROR],
+    status: String(status),
+    ...(scimType ? { scimType } : {}),
+    detail,
+  });
+}
+
+/** Sends a {@link ScimError} as-is and anything else as a logged 500. */
+export function handleScimError(res: Response, error: unknown, context: string): Response {
+  if (error instanceof ScimError) {
+    return sendScimError(res, error.status, error.message, error.scimType);
+  }
+  logger.error(`[scim] ${context} error:`, error);
+  return sendScimError(res, 500, 'Internal server error');
+}
+
+/** SCIM pages are 1-based `startIndex` plus `count`; `count=0` asks for the total only. */
+export function parseScimPagination(query: { startIndex?: string; count?: string }): {
+  startIndex: number;
+  count: number;
+} {
+  const rawStart = parseInt(query.startIndex ?? '', 10);
+  const rawCount = parseInt(query.count ?? '', 10);
+  return {
+    startIndex: Math.max(Number.isNaN(rawStart) ? 1 : rawStart, 1),
+    count: Math.min(
+      Math.max(Number.isNaN(rawCount) ? DEFAULT_SCIM_PAGE_SIZE : rawCount, 0),
+      MAX_SCIM_PAGE_SIZE,
+    ),
+  };
+}
+
+export function toListResponse<T>(
+  resources: T[],
+  totalResults: number,
+  startIndex: number,
+): ScimListResponse<T> {
+  return {
+    schemas: [ScimSchemas.LIST_RESPONSE],
+    totalResults,
+    startIndex,
+    itemsPerPage: resources.length,
+    Resources: resources,
+  };
+}
+
+/** Absolute base for `meta.location`, e.g. `https://chat.example.com/scim/v2`. */
+export function getScimBaseUrl(req: ServerRequest): string {
+  const origin = process.env.DOMAIN_SERVER?.replace(/\/+$/, '') ?? '';
+  return `${origin}${req.baseUrl || '/scim/v2'}`;
+}
+
+export function toIsoString(value: unknown): string | undefined {
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  return typeof value === 'string' ? value : undefined;
+}
+
+export function readScimString(value: unknown, attribute: string): string {
+  if (typeof value !== 'string' || value.trim() === '') {
+    throw new ScimError(400, `"${attribute}" must be a non-empty string`, 'invalidValue');
+  }
+  return value.trim();
+}
+
+/** IdPs such as Entra ID send booleans as `"True"` / `"False"` strings in PATCH values. */
+export function parseScimBoolean(value: unknown): boolean {
+  if (typeof value === 'boolean') {
+    return value;
+  }
+  if (typeof value === 'string') {
+    const normalized = value.trim().toLowerCase();
+    if (normalized === 'true') {
+      return true;
+    }
+    if (normalized === 'false') {
+      return false;
+    }
+  }
+  throw new ScimError(400, 'Expected a boolean value', 'invalidValue');
+}
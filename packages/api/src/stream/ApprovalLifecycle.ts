@@ -28,6 +28,12 @@ export interface ApprovalPauseOptions {
   expectedCreatedAt?: number;
   /** Hold Stop/resume until the paused assistant row is durably unfinished. */
   persistencePending?: boolean;
+  /**
+   * The run keeps executing while it waits (an MCP tool call awaiting an
+   * elicitation answer), so this process keeps runtime ownership instead of
+   * handing the job to whichever replica serves the resume.
+   */
+  inFlight?: boolean;
 }
 
 const PAUSE_PERSISTENCE_ACTION_PREFIX = 'pause-persistence:';
@@ -125,7 +131,9 @@ export class ApprovalLifecycle {
       steerReceiptTtlSeconds: pauseReceiptTtl,
     });
     if (ok) {
-      this.callbacks.onPaused?.(streamId, expectedCreatedAt);
+      if (options.inFlight !== true) {
+        this.callbacks.onPaused?.(streamId, expectedCreatedAt);
+      }
       logger.debug(
         `[ApprovalLifecycle] paused for review: ${streamId} action=${pendingAction.actionId}`,
       );
@@ -319,6 +327,43 @@ export class ApprovalLifecycle {
     expectedActionId?: string,
     resumePatch?: JobMetadataPatch,
     expectedCreatedAt?: number,
+  ): Promise<boolean> {
+    return this.transitionToRunning(
+      streamId,
+      expectedActionId,
+      resumePatch,
+      expectedCreatedAt,
+      true,
+    );
+  }
+
+  /**
+   * `requires_action → running` for a pause taken with `inFlight`: same guards
+   * and single-winner semantics as {@link resolve}, but runtime ownership never
+   * left the process that paused, so it is not reacquired here. The paused run
+   * observes the transition (and `resumePatch`) through the store.
+   */
+  async resolveInFlight(
+    streamId: string,
+    expectedActionId: string,
+    resumePatch?: JobMetadataPatch,
+    expectedCreatedAt?: number,
+  ): Promise<boolean> {
+    return this.transitionToRunning(
+      streamId,
+      expectedActionId,
+      resumePatch,
+      expectedCreatedAt,
+      false,
+    );
+  }
+
+  private async transitionToRunning(
+    streamId: string,
+    expectedActionId: string | undefined,
+    resumePatch: JobMetadataPatch | undefined,
+    expectedCreatedAt: number | undefined,
+    acquireOwnership: boolean,
   ): Promise<boolean> {
     const job = await this.waitForPausePersistence(streamId, expectedCreatedAt);
     if (
@@ -356,7 +401,7 @@ export class ApprovalLifecycle {
       expectActionId: expectedActionId,
       expectCreatedAt: job.createdAt,
     });
-    if (resumed) {
+    if (resumed && acquireOwnership) {
       this.callbacks.onResumed?.(streamId, job.createdAt);
     }
     return resumed;
@@ -734,6 +734,40 @@ describe('ApprovalLifecycle via GenerationJobManager.approvals (in-memory)', ()
     });
   });
 
+  describe('resolveInFlight', () => {
+    test('resumes an in-flight pause without moving runtime ownership', async () => {
+      const streamId = 'stream-in-flight';
+      const job = await manager.createJob(streamId, 'user-1');
+      const onPaused = jest.fn();
+      const onResumed = jest.fn();
+      const approvals = new ApprovalLifecycle(jobStore, { onPaused, onResumed });
+      const action = buildAction(streamId);
+
+      expect(
+        await approvals.pause(streamId, action, {
+          expectedCreatedAt: job.createdAt,
+          inFlight: true,
+        }),
+      ).toBe(true);
+      expect(
+        await approvals.resolveInFlight(
+          streamId,
+          action.actionId,
+          { mcpElicitationResult: { actionId: action.actionId, action: 'decline' } },
+          job.createdAt,
+        ),
+      ).toBe(true);
+
+      expect(onPaused).not.toHaveBeenCalled();
+      expect(onResumed).not.toHaveBeenCalled();
+      expect(await jobStore.getJob(streamId)).toMatchObject({
+        status: 'running',
+        mcpElicitationResult: { actionId: action.actionId, action: 'decline' },
+      });
+      expect(await approvals.resolveInFlight(streamId, action.actionId)).toBe(false);
+    });
+  });
+
   describe('expire', () => {
     test('requires_action → aborted, clearing the record, returns true once', async () => {
       const streamId = 'stream-expire';
@@ -23,6 +23,7 @@ import type {
   SteerReceipt,
   SteerReceiptInput,
   ParkedSteerClaim,
+  MCPElicitationResult,
 } from '~/stream/interfaces/IJobStore';
 import type { ResolvedAskUserQuestion } from '~/agents/hitl/resume';
 import type { RecoveredSteerPayload } from '~/stream/SteerRecovery';
@@ -1489,7 +1490,7 @@ const STEER_CLOSE_DRAIN_LUA =
   'return encoded';
 
 /** Decision kinds the SDK can emit, used to sanity-check persisted records. */
-const KNOWN_INTERRUPT_TYPES = new Set(['tool_approval', 'ask_user_question']);
+const KNOWN_INTERRUPT_TYPES = new Set(['tool_approval', 'ask_user_question', 'mcp_elicitation']);
 
 /** Recovery window (seconds) for parked steers when `completedTtl` is
  *  configured to 0 — Redis rejects `EX 0`, which would silently kill
@@ -4498,6 +4499,7 @@ export class RedisJobStore implements IJobStoreV2 {
       tokenUsage: data.tokenUsage || undefined,
       pendingAction: this.parsePendingAction(data.pendingAction),
       resolvedAskUserQuestions: this.parseResolvedAskUserQuestions(data.resolvedAskUserQuestions),
+      mcpElicitationResult: this.parseMCPElicitationResult(data.mcpElicitationResult),
       pendingActionId: data.pendingActionId || undefined,
       lastActiveAt: data.lastActiveAt ? parseInt(data.lastActiveAt, 10) : undefined,
       /** `markActivityLabels` persists this, so it has to be read back:
@@ -4668,6 +4670,24 @@ export class RedisJobStore implements IJobStoreV2 {
     }
   }
 
+  /** Parse the elicitation answer the resume route handed to an in-flight MCP tool call. */
+  private parseMCPElicitationResult(raw: string | undefined): MCPElicitationResult | undefined {
+    if (!raw) {
+      return undefined;
+    }
+    try {
+      const parsed = JSON.parse(raw) as MCPElicitationResult;
+      if (typeof parsed?.actionId !== 'string' || typeof parsed.action !== 'string') {
+        logger.warn('[RedisJobStore] Dropping malformed mcpElicitationResult record');
+        return undefined;
+      }
+      return parsed;
+    } catch {
+      logger.warn('[RedisJobStore] Dropping unparseable mcpElicitationResult record');
+      return undefined;
+    }
+  }
+
   /** Parse the accepted ask answer retained across resume ownership transfer. */
   private parseResolvedAskUserQuestions(
     raw: string | undefined,
@@ -177,6 +177,13 @@ export interface SerializableJobData {
    * the persisted partial response instead of losing it with the request. */
   resolvedAskUserQuestions?: ResolvedAskUserQuestion[];
 
+  /**
+   * The user's answer to an in-flight MCP elicitation, written by the resume route
+   * in the same CAS that returns the job to `running`. The tool call that paused
+   * (possibly on another replica's request) polls for it by `actionId`.
+   */
+  mcpElicitationResult?: MCPElicitationResult;
+
   /**
    * Flat mirror of `pendingAction.actionId`, kept as a top-level field so an
    * atomic status transition can guard on it (a nested JSON field can't be
@@ -265,6 +272,11 @@ export class JobPredecessorMismatchError extends Error {
   }
 }
 
+/** An answered MCP elicitation, keyed to the pending action it resolved. */
+export interface MCPElicitationResult extends Agents.MCPElicitationResolution {
+  actionId: string;
+}
+
 export type JobMetadataPatch = Partial<
   Pick<
     SerializableJobData,
@@ -285,6 +297,7 @@ export type JobMetadataPatch = Partial<
     | 'providerDrained'
     | 'generationProtocolVersion'
     | 'resolvedAskUserQuestions'
+    | 'mcpElicitationResult'
   >
 >;
 
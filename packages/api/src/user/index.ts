@@ -1 +1,3 @@
 export * from './preferences';
+export * from './takeout';
+export * from './takeoutJobs';
@@ -0,0 +1,190 @@
+import os from 'os';
+import path from 'path';
+import JSZip from 'jszip';
+import { Readable } from 'stream';
+import { mkdtemp, readFile, rm } from 'fs/promises';
+import type { IConversation, IMessage, IMongoFile, IUser } from '@librechat/data-schemas';
+import type { TakeoutArchiveDeps, TakeoutArchiveManifest, TakeoutFileEntry } from './takeout';
+import { CONVERSATION_ARCHIVE_MANIFEST } from '~/conversations/export';
+import { createTakeoutArchive } from './takeout';
+
+jest.mock('@librechat/data-schemas', () => ({
+  logger: {
+    debug: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+const user = {
+  _id: 'user-1',
+  name: 'Ada',
+  email: 'ada@example.com',
+  password: 'hashed',
+  refreshToken: [{ refreshToken: 'secret' }],
+  tenantId: 'tenant-1',
+} as unknown as IUser;
+
+const conversation = {
+  conversationId: 'convo-1',
+  user: 'user-1',
+  title: 'Trip planning',
+  endpoint: 'openAI',
+} as unknown as IConversation;
+
+const messages = [
+  {
+    messageId: 'm1',
+    conversationId: 'convo-1',
+    parentMessageId: '00000000-0000-0000-0000-000000000000',
+    sender: 'User',
+    isCreatedByUser: true,
+    text: 'Here is the itinerary',
+    files: [{ file_id: 'file-1' }],
+  },
+] as unknown as IMessage[];
+
+const files = [
+  { file_id: 'file-1', filename: 'plan.pdf', type: 'application/pdf', bytes: 4, source: 'local' },
+  { file_id: 'file-2', filename: 'avatar.png', type: 'image/png', bytes: 3, source: 'local' },
+  { file_id: 'file-3', filename: 'huge.bin', type: 'application/octet-stream', bytes: 4096 },
+] as unknown as IMongoFile[];
+
+const fileContents: Record<string, string> = { 'file-1': '%PDF', 'file-2': 'PNG' };
+
+describe('createTakeoutArchive', () => {
+  let tmpDir: string;
+
+  beforeEach(async () => {
+    tmpDir = await mkdtemp(path.join(os.tmpdir(), 'takeout-'));
+  });
+
+  afterEach(async () => {
+    await rm(tmpDir, { recursive: true, force: true });
+  });
+
+  function createDeps(overrides: Partial<TakeoutArchiveDeps> = {}): TakeoutArchiveDeps {
+    return {
+      getUserById: jest.fn().mockResolvedValue(user),
+      findConversationsForExport: jest.fn().mockResolvedValue([conversation]),
+      getMessages: jest.fn().mockResolvedValue(messages),
+      getFiles: jest.fn(async ({ file_id }) =>
+        files.filter((f) => file_id.$in.includes(f.file_id)),
+      ),
+      getAllUserFiles: jest.fn().mockResolvedValue(files),
+      getFileStream: jest.fn(async (file: IMongoFile) =>
+        fileContents[file.file_id]
+          ? Readable.from([Buffer.from(fileContents[file.file_id])])
+          : null,
+      ),
+      getAllUserMemories: jest
+        .fn()
+        .mockResolvedValue([{ _id: 'mem-1', userId: 'user-1', key: 'diet', value: 'vegetarian' }]),
+      getAllPromptGroups: jest
+        .fn()
+        .mockResolvedValue([{ _id: 'group-1', name: 'Summaries', author: 'user-1' }]),
+      getPrompts: jest.fn().mockResolvedValue([
+        { _id: 'prompt-1', groupId: 'group-1', prompt: 'Summarize {{text}}', author: 'user-1' },
+        { _id: 'prompt-2', groupId: 'shared-group', prompt: 'Translate', author: 'user-1' },
+      ]),
+      getAgents: jest.fn().mockResolvedValue([{ id: 'agent_1', name: 'Helper', author: 'user-1' }]),
+      getPresets: jest.fn().mockResolvedValue([{ presetId: 'preset-1', user: 'user-1' }]),
+      getTransactions: jest
+        .fn()
+        .mockResolvedValue([{ user: 'user-1', tokenType: 'prompt', rawAmount: -100 }]),
+      findBalanceByUser: jest.fn().mockResolvedValue({ user: 'user-1', tokenCredits: 5000 }),
+      ...overrides,
+    };
+  }
+
+  async function readJson<T>(zip: JSZip, name: string): Promise<T> {
+    const entry = zip.file(name);
+    expect(entry).not.toBeNull();
+    return JSON.parse(await entry!.async('string')) as T;
+  }
+
+  it('collects every kind of data into an importable archive', async () => {
+    const outputPath = path.join(tmpDir, 'takeout.zip');
+    const counts = await createTakeoutArchive(createDeps(), {
+      user: 'user-1',
+      outputPath,
+      maxBytes: 1024,
+    });
+
+    expect(counts).toEqual({
+      conversations: 1,
+      messages: 1,
+      memories: 1,
+      prompts: 2,
+      agents: 1,
+      presets: 1,
+      files: 2,
+      skippedFiles: 1,
+      transactions: 1,
+    });
+
+    const zip = await JSZip.loadAsync(await readFile(outputPath));
+    const manifest = await readJson<TakeoutArchiveManifest>(zip, CONVERSATION_ARCHIVE_MANIFEST);
+    expect(manifest.version).toBe(1);
+    expect(manifest.conversations).toEqual([
+      {
+        conversationId: 'convo-1',
+        title: 'Trip planning',
+        path: 'conversations/convo-1/conversation.json',
+      },
+    ]);
+    expect(manifest.takeout.documents).toEqual([
+      'account.json',
+      'memories.json',
+      'prompts.json',
+      'agents.json',
+      'presets.json',
+      'files.json',
+      'balance.json',
+    ]);
+
+    const prompts = await readJson<{ prompts: unknown[] }>(zip, 'prompts.json');
+    expect(prompts.prompts).toHaveLength(2);
+    expect(await zip.file('files/file-2/avatar.png')?.async('string')).toBe('PNG');
+  });
+
+  it('leaves credentials and ownership fields out', async () => {
+    const outputPath = path.join(tmpDir, 'takeout.zip');
+    await createTakeoutArchive(createDeps(), { user: 'user-1', outputPath, maxBytes: 1024 });
+
+    const zip = await JSZip.loadAsync(await readFile(outputPath));
+    const account = await readJson<Record<string, unknown>>(zip, 'account.json');
+    expect(account).toMatchObject({ name: 'Ada', email: 'ada@example.com' });
+    expect(account).not.toHaveProperty('password');
+    expect(account).not.toHaveProperty('refreshToken');
+    expect(account).not.toHaveProperty('tenantId');
+
+    const [memory] = await readJson<Record<string, unknown>[]>(zip, 'memories.json');
+    expect(memory).toMatchObject({ key: 'diet', value: 'vegetarian' });
+    expect(memory).not.toHaveProperty('userId');
+  });
+
+  it('lists files that did not fit without a path', async () => {
+    const outputPath = path.join(tmpDir, 'takeout.zip');
+    await createTakeoutArchive(createDeps(), { user: 'user-1', outputPath, maxBytes: 1024 });
+
+    const zip = await JSZip.loadAsync(await readFile(outputPath));
+    const entries = await readJson<TakeoutFileEntry[]>(zip, 'files.json');
+    expect(entries.map(({ file_id, path: entryPath }) => [file_id, entryPath])).toEqual([
+      ['file-1', 'files/file-1/plan.pdf'],
+      ['file-2', 'files/file-2/avatar.png'],
+      ['file-3', undefined],
+    ]);
+  });
+
+  it('fails rather than writing a partial archive when a lookup fails', async () => {
+    const outputPath = path.join(tmpDir, 'takeout.zip');
+    const deps = createDeps({
+      getPrompts: jest.fn().mockResolvedValue({ message: 'Error getting prompts' }),
+    });
+
+    await expect(
+      createTakeoutArchive(deps, { user: 'user-1', outputPath, maxBytes: 1024 }),
+    ).rejects.toThrow(/prompts/);
+  });
+});
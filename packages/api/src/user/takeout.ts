@@ -0,0 +1,240 @@
+import type { FilterQuery } from 'mongoose';
+import type {
+  IUser,
+  IAgent,
+  IBalance,
+  IMongoFile,
+  ITakeoutCounts,
+  IMemoryEntryLean,
+} from '@librechat/data-schemas';
+import type {
+  ExportedFile,
+  ConversationArchiveDeps,
+  ConversationArchiveManifest,
+} from '~/conversations/export';
+import {
+  writeArchive,
+  addArchiveFile,
+  addConversationsToArchive,
+  CONVERSATION_ARCHIVE_VERSION,
+  CONVERSATION_ARCHIVE_MANIFEST,
+} from '~/conversations/export';
+
+export const TAKEOUT_ARCHIVE_VERSION = 1;
+
+type PlainRecord = Record<string, unknown>;
+
+/** Credentials, server-side bookkeeping and tenant routing, none of which is the user's data. */
+const NON_EXPORTED_USER_FIELDS = new Set([
+  '__v',
+  'password',
+  'refreshToken',
+  'totpSecret',
+  'backupCodes',
+  'pendingTotpSecret',
+  'pendingBackupCodes',
+  'agentTriggerDeletionStartedAt',
+  'subagentAdmissionFences',
+  'expiresAt',
+  'tenantId',
+]);
+
+/** Ownership and storage fields repeated on every record; the whole archive belongs to one user. */
+const NON_EXPORTED_RECORD_FIELDS = new Set(['__v', 'user', 'userId', 'author', 'tenantId']);
+
+export interface TakeoutArchiveDeps extends ConversationArchiveDeps {
+  getUserById: (userId: string) => Promise<IUser | null>;
+  getAllUserMemories: (userId: string) => Promise<IMemoryEntryLean[]>;
+  /** Returns `{ message }` instead of throwing when the lookup fails. */
+  getAllPromptGroups: (filter: PlainRecord) => Promise<PlainRecord[] | { message: string }>;
+  /** Returns `{ message }` instead of throwing when the lookup fails. */
+  getPrompts: (filter: PlainRecord) => Promise<PlainRecord[] | { message: string }>;
+  getAgents: (filter: FilterQuery<IAgent>) => Promise<IAgent[]>;
+  getPresets: (user: string) => Promise<PlainRecord[] | null>;
+  /** Every stored file the user owns, without extracted text. */
+  getAllUserFiles: (user: string) => Promise<IMongoFile[] | null>;
+  getTransactions: (filter: { user: string }) => Promise<PlainRecord[]>;
+  findBalanceByUser: (user: string) => Promise<IBalance | null>;
+}
+
+/** A stored file as listed in `files.json`. `path` is absent when its bytes were left out. */
+export interface TakeoutFileEntry {
+  file_id: string;
+  filename: string;
+  type: string;
+  bytes: number;
+  context?: string;
+  createdAt?: Date;
+  path?: string;
+}
+
+/**
+ * The conversation archive manifest plus a description of the other data, so the
+ * conversations in a takeout can be imported like any conversation export.
+ */
+export interface TakeoutArchiveManifest extends ConversationArchiveManifest {
+  takeout: {
+    version: number;
+    user: string;
+    counts: ITakeoutCounts;
+    /** Archive entries that hold data other than conversations and files. */
+    documents: string[];
+  };
+}
+
+function omitFields(doc: object, fields: Set<string>): PlainRecord {
+  const plain: PlainRecord = {};
+  for (const [key, value] of Object.entries(doc)) {
+    if (!fields.has(key)) {
+      plain[key] = value;
+    }
+  }
+  return plain;
+}
+
+function toRecords(docs: object[] | null | undefined): PlainRecord[] {
+  return (docs ?? []).map((doc) => omitFields(doc, NON_EXPORTED_RECORD_FIELDS));
+}
+
+/** Unwraps lookups that report failure as `{ message }`, so a takeout is never silently partial. */
+function expectList(result: PlainRecord[] | { message: string }, what: string): PlainRecord[] {
+  if (!Array.isArray(result)) {
+    throw new Error(`Failed to load ${what}: ${result.message}`);
+  }
+  return result;
+}
+
+function toFileEntry(file: IMongoFile, exported: ExportedFile | null): TakeoutFileEntry {
+  return {
+    file_id: file.file_id,
+    filename: file.filename,
+    type: file.type,
+    bytes: file.bytes,
+    ...(file.context != null && { context: file.context }),
+    ...(file.createdAt != null && { createdAt: file.createdAt }),
+    ...(exported != null && { path: exported.path }),
+  };
+}
+
+/**
+ * Writes everything stored about a user to a ZIP at `outputPath`: their account, all
+ * conversations with messages and attachments, memories, prompts, agents they own,
+ * presets, files, and balance transactions. Record data is always complete; conversations
+ * and file bytes share `maxBytes`, files over it are listed in `files.json` without a
+ * `path`, and conversations over it fail the takeout with an `ArchiveTooLargeError`.
+ */
+export async function createTakeoutArchive(
+  deps: TakeoutArchiveDeps,
+  {
+    user,
+    outputPath,
+    maxBytes,
+    onProgress,
+  }: {
+    user: string;
+    outputPath: string;
+    maxBytes: number;
+    onProgress?: (counts: ITakeoutCounts) => Promise<void> | void;
+  },
+): Promise<ITakeoutCounts> {
+  const account = await deps.getUserById(user);
+  if (!account) {
+    throw new Error('User not found');
+  }
+
+  const exportedAt = new Date().toISOString();
+  const counts: ITakeoutCounts = {
+    conversations: 0,
+    messages: 0,
+    memories: 0,
+    prompts: 0,
+    agents: 0,
+    presets: 0,
+    files: 0,
+    skippedFiles: 0,
+    transactions: 0,
+  };
+
+  await writeArchive(outputPath, async (archive) => {
+    const documents: string[] = [];
+    const addDocument = async (name: string, data: unknown) => {
+      await archive.addEntry(name, JSON.stringify(data, null, 2));
+      documents.push(name);
+    };
+
+    await addDocument('account.json', omitFields(account, NON_EXPORTED_USER_FIELDS));
+
+    const conversationContents = await addConversationsToArchive(archive, deps, {
+      user,
+      filter: { type: 'all' },
+      maxBytes,
+      onProgress: async ({ conversationCount, fileCount, skippedFileCount }) => {
+        await onProgress?.({
+          ...counts,
+          conversations: conversationCount,
+          files: fileCount,
+          skippedFiles: skippedFileCount,
+        });
+      },
+    });
+    const { result, files: exportedFiles } = conversationContents;
+    counts.conversations = result.conversationCount;
+    counts.messages = conversationContents.messageCount;
+    let bytes = result.bytes;
+
+    const memories = await deps.getAllUserMemories(user);
+    counts.memories = memories.length;
+    await addDocument('memories.json', toRecords(memories));
+
+    const groups = expectList(await deps.getAllPromptGroups({ author: user }), 'prompt groups');
+    const prompts = expectList(await deps.getPrompts({ author: user }), 'prompts');
+    counts.prompts = prompts.length;
+    /** Prompts are listed separately: a user can author versions in groups they do not own. */
+    await addDocument('prompts.json', {
+      groups: toRecords(groups),
+      prompts: toRecords(prompts),
+    });
+
+    const agents = await deps.getAgents({ author: user });
+    counts.agents = agents.length;
+    await addDocument('agents.json', toRecords(agents));
+
+    const presets = await deps.getPresets(user);
+    counts.presets = presets?.length ?? 0;
+    await addDocument('presets.json', toRecords(presets));
+
+    const files = (await deps.getAllUserFiles(user)) ?? [];
+    const fileEntries: TakeoutFileEntry[] = [];
+    for (const file of files) {
+      let exported = exportedFiles.get(file.file_id) ?? null;
+      if (!exportedFiles.has(file.file_id)) {
+        exported = await addArchiveFile(archive, deps.getFileStream, file, maxBytes - bytes);
+        bytes += exported?.bytes ?? 0;
+      }
+      fileEntries.push(toFileEntry(file, exported));
+    }
+    counts.files = fileEntries.filter((entry) => entry.path != null).length;
+    counts.skippedFiles = fileEntries.length - counts.files;
+    await addDocument('files.json', fileEntries);
+
+    const [transactions, balance] = await Promise.all([
+      deps.getTransactions({ user }),
+      deps.findBalanceByUser(user),
+    ]);
+    counts.transactions = transactions.length;
+    await addDocument('balance.json', {
+      balance: balance ? omitFields(balance, NON_EXPORTED_RECORD_FIELDS) : null,
+      transactions: toRecords(transactions),
+    });
+
+    const manifest: TakeoutArchiveManifest = {
+      version: CONVERSATION_ARCHIVE_VERSION,
+      exportedAt,
+      conversations: conversationContents.conversations,
+      takeout: { version: TAKEOUT_ARCHIVE_VERSION, user, counts, documents },
+    };
+    await archive.addEntry(CONVERSATION_ARCHIVE_MANIFEST, JSON.stringify(manifest, null, 2));
+  });
+  await onProgress?.({ ...counts });
+  return counts;
+}
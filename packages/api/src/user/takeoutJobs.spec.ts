@@ -0,0 +1,282 @@
+import os from 'os';
+import path from 'path';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import type { Response } from 'express';
+import type { ITakeoutCounts, ITakeoutJob } from '@librechat/data-schemas';
+import type { DataTakeoutDeps } from './takeoutJobs';
+import type { ServerRequest } from '~/types';
+import { createDataTakeoutHandlers, TAKEOUT_STALE_MS } from './takeoutJobs';
+import { createTakeoutArchive } from './takeout';
+
+jest.mock('@librechat/data-schemas', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+jest.mock('./takeout', () => ({
+  ...jest.requireActual('./takeout'),
+  createTakeoutArchive: jest.fn(),
+}));
+
+const mockCreateArchive = createTakeoutArchive as jest.MockedFunction<typeof createTakeoutArchive>;
+
+interface MockResponse {
+  statusCode: number;
+  body: unknown;
+  status: jest.Mock;
+  json: jest.Mock;
+  download: jest.Mock;
+}
+
+function mockRequest(overrides: Partial<ServerRequest> = {}): ServerRequest {
+  return {
+    user: { id: 'user-1', email: 'user@example.com' },
+    headers: {},
+    body: {},
+    params: {},
+    ...overrides,
+  } as Partial<ServerRequest> as ServerRequest;
+}
+
+function mockResponse(): Response & MockResponse {
+  const res: MockResponse = {
+    statusCode: 200,
+    body: undefined,
+    status: jest.fn((statusCode: number) => {
+      res.statusCode = statusCode;
+      return res;
+    }),
+    json: jest.fn((body: unknown) => {
+      res.body = body;
+      return res;
+    }),
+    download: jest.fn(),
+  };
+  return res as Partial<Response> as Response & MockResponse;
+}
+
+const emptyCounts: ITakeoutCounts = {
+  conversations: 0,
+  messages: 0,
+  memories: 0,
+  prompts: 0,
+  agents: 0,
+  presets: 0,
+  files: 0,
+  skippedFiles: 0,
+  transactions: 0,
+};
+
+function createJob(overrides: Partial<ITakeoutJob> = {}): ITakeoutJob {
+  return {
+    _id: 'job-1',
+    user: 'user-1',
+    status: 'pending',
+    counts: emptyCounts,
+    expiresAt: new Date(Date.now() + 60_000),
+    createdAt: new Date('2026-03-01T00:00:00.000Z'),
+    ...overrides,
+  } as ITakeoutJob;
+}
+
+const sleep = (ms: number) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('createDataTakeoutHandlers', () => {
+  let tmpDir: string;
+  let deps: jest.Mocked<DataTakeoutDeps>;
+  let recordAuditEntry: jest.MockedFunction<NonNullable<DataTakeoutDeps['recordAuditEntry']>>;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    tmpDir = await mkdtemp(path.join(os.tmpdir(), 'data-takeout-jobs-'));
+    recordAuditEntry = jest.fn().mockResolvedValue(undefined);
+    deps = {
+      getFileStream: jest.fn(),
+      createTakeoutJob: jest.fn(async (data) => createJob(data)),
+      getTakeoutJob: jest.fn(),
+      getLatestTakeoutJob: jest.fn(),
+      findActiveTakeoutJob: jest.fn().mockResolvedValue(null),
+      updateTakeoutJob: jest.fn(async (_jobId, update) => createJob(update)),
+      findExpiredTakeoutJobs: jest.fn().mockResolvedValue([]),
+      deleteTakeoutJob: jest.fn().mockResolvedValue(true),
+      getTakeoutDir: jest.fn(() => tmpDir),
+      maxBytes: 1024,
+      notifyTakeoutReady: jest.fn().mockResolvedValue(undefined),
+      recordAuditEntry,
+    } as unknown as jest.Mocked<DataTakeoutDeps>;
+  });
+
+  afterEach(async () => {
+    await rm(tmpDir, { recursive: true, force: true });
+  });
+
+  /** Waits for the fire-and-forget takeout to record its outcome. */
+  async function waitForTakeout() {
+    const isFinished = () =>
+      deps.updateTakeoutJob.mock.calls.some(
+        ([, update]) => update.status === 'completed' || update.status === 'failed',
+      );
+    for (let i = 0; i < 100 && !isFinished(); i++) {
+      await sleep(10);
+    }
+    await sleep(0);
+  }
+
+  describe('startTakeout', () => {
+    it('returns the active job instead of starting a second takeout', async () => {
+      deps.findActiveTakeoutJob.mockResolvedValue(createJob({ status: 'running' }));
+      const { startTakeout } = createDataTakeoutHandlers(deps);
+      const res = mockResponse();
+
+      await startTakeout(mockRequest(), res);
+
+      expect(res.statusCode).toBe(409);
+      expect(res.body).toMatchObject({ job: { id: 'job-1', status: 'running' } });
+      const [, staleBefore] = deps.findActiveTakeoutJob.mock.calls[0];
+      expect(Date.now() - staleBefore.getTime()).toBeGreaterThanOrEqual(TAKEOUT_STALE_MS - 1000);
+      expect(deps.createTakeoutJob).not.toHaveBeenCalled();
+    });
+
+    it('audits the request, builds the archive in the background, and notifies the user', async () => {
+      const counts = { ...emptyCounts, conversations: 2, memories: 3 };
+      mockCreateArchive.mockImplementation(async (_deps, { outputPath }) => {
+        await writeFile(outputPath, 'zip');
+        return counts;
+      });
+      const { startTakeout } = createDataTakeoutHandlers(deps);
+      const res = mockResponse();
+
+      await startTakeout(mockRequest(), res);
+      await waitForTakeout();
+
+      expect(res.statusCode).toBe(202);
+      expect(recordAuditEntry).toHaveBeenCalledWith(
+        expect.objectContaining({
+          action: 'privacy.takeout_requested',
+          actor: expect.objectContaining({ id: 'user-1' }),
+          target: expect.objectContaining({ type: 'user', id: 'user-1' }),
+          metadata: { takeoutId: 'job-1' },
+        }),
+        undefined,
+      );
+      expect(mockCreateArchive.mock.calls[0][1]).toMatchObject({
+        user: 'user-1',
+        outputPath: path.join(tmpDir, 'user-1', 'job-1.zip'),
+        maxBytes: 1024,
+      });
+      expect(deps.updateTakeoutJob).toHaveBeenCalledWith(
+        'job-1',
+        expect.objectContaining({
+          status: 'completed',
+          counts,
+          bytes: 3,
+          filepath: path.join(tmpDir, 'user-1', 'job-1.zip'),
+        }),
+      );
+      expect(deps.notifyTakeoutReady).toHaveBeenCalledWith(
+        expect.objectContaining({ user: expect.objectContaining({ id: 'user-1' }) }),
+        expect.objectContaining({ status: 'completed' }),
+      );
+    });
+
+    it('records a failed job when the archive cannot be written', async () => {
+      mockCreateArchive.mockRejectedValue(new Error('disk full'));
+      const { startTakeout } = createDataTakeoutHandlers(deps);
+
+      await startTakeout(mockRequest(), mockResponse());
+      await waitForTakeout();
+
+      expect(deps.updateTakeoutJob).toHaveBeenLastCalledWith(
+        'job-1',
+        expect.objectContaining({ status: 'failed', error: 'Your data could not be exported' }),
+      );
+      expect(deps.notifyTakeoutReady).not.toHaveBeenCalled();
+    });
+
+    it('refuses the takeout when the audit log is fail-closed and cannot be written', async () => {
+      deps.auditFailClosed = true;
+      recordAuditEntry.mockRejectedValue(new Error('audit store down'));
+      const { startTakeout } = createDataTakeoutHandlers(deps);
+      const res = mockResponse();
+
+      await startTakeout(mockRequest(), res);
+
+      expect(res.statusCode).toBe(500);
+      expect(recordAuditEntry).toHaveBeenCalledWith(expect.anything(), { failClosed: true });
+      expect(deps.deleteTakeoutJob).toHaveBeenCalledWith('job-1');
+      expect(mockCreateArchive).not.toHaveBeenCalled();
+    });
+
+    it('continues when the audit log is fail-open and cannot be written', async () => {
+      recordAuditEntry.mockRejectedValue(new Error('audit store down'));
+      mockCreateArchive.mockImplementation(async (_deps, { outputPath }) => {
+        await writeFile(outputPath, 'zip');
+        return emptyCounts;
+      });
+      const { startTakeout } = createDataTakeoutHandlers(deps);
+      const res = mockResponse();
+
+      await startTakeout(mockRequest(), res);
+      await waitForTakeout();
+
+      expect(res.statusCode).toBe(202);
+      expect(deps.deleteTakeoutJob).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('downloadTakeout', () => {
+    it('returns 404 for missing or expired takeouts', async () => {
+      const { downloadTakeout } = createDataTakeoutHandlers(deps);
+      const missing = mockResponse();
+      await downloadTakeout(mockRequest({ params: { jobId: 'job-1' } }), missing);
+      expect(missing.statusCode).toBe(404);
+
+      deps.getTakeoutJob.mockResolvedValue(
+        createJob({ status: 'completed', filepath: '/tmp/x.zip', expiresAt: new Date(0) }),
+      );
+      const expired = mockResponse();
+      await downloadTakeout(mockRequest({ params: { jobId: 'job-1' } }), expired);
+      expect(expired.statusCode).toBe(404);
+      expect(expired.download).not.toHaveBeenCalled();
+      expect(recordAuditEntry).not.toHaveBeenCalled();
+    });
+
+    it('returns 409 while the takeout is still running', async () => {
+      deps.getTakeoutJob.mockResolvedValue(createJob({ status: 'running' }));
+      const { downloadTakeout } = createDataTakeoutHandlers(deps);
+      const res = mockResponse();
+
+      await downloadTakeout(mockRequest({ params: { jobId: 'job-1' } }), res);
+
+      expect(res.statusCode).toBe(409);
+    });
+
+    it('audits the download and sends the archive of the requesting user', async () => {
+      deps.getTakeoutJob.mockResolvedValue(
+        createJob({
+          status: 'completed',
+          filepath: '/takeouts/user-1/job-1.zip',
+          finishedAt: new Date('2026-03-02T10:00:00.000Z'),
+        }),
+      );
+      const { downloadTakeout } = createDataTakeoutHandlers(deps);
+      const res = mockResponse();
+
+      await downloadTakeout(mockRequest({ params: { jobId: 'job-1' } }), res);
+
+      expect(deps.getTakeoutJob).toHaveBeenCalledWith('user-1', 'job-1');
+      expect(recordAuditEntry).toHaveBeenCalledWith(
+        expect.objectContaining({ action: 'privacy.takeout_downloaded' }),
+        undefined,
+      );
+      expect(res.download).toHaveBeenCalledWith(
+        '/takeouts/user-1/job-1.zip',
+        'librechat-takeout-2026-03-02.zip',
+        expect.any(Function),
+      );
+    });
+  });
+});
@@ -0,0 +1,271 @@
+import path from 'path';
+import { mkdir, rm, stat } from 'fs/promises';
+import { logger } from '@librechat/data-schemas';
+import type {
+  IMongoFile,
+  ITakeoutJob,
+  AuditAction,
+  TakeoutJobMethods,
+  RecordAuditEntryInput,
+  RecordAuditEntryOptions,
+} from '@librechat/data-schemas';
+import type { TDataTakeoutJob } from 'librechat-data-provider';
+import type { Readable } from 'stream';
+import type { Response } from 'express';
+import type { TakeoutArchiveDeps } from './takeout';
+import type { ServerRequest } from '~/types';
+import { buildAuditContext } from '~/admin/context';
+import { createTakeoutArchive } from './takeout';
+
+/** How long a finished takeout stays downloadable. */
+export const TAKEOUT_RETENTION_MS: number = 7 * 24 * 60 * 60 * 1000;
+/** A running takeout that has not reported progress for this long is treated as abandoned. */
+export const TAKEOUT_STALE_MS: number = 30 * 60 * 1000;
+
+export interface DataTakeoutDeps
+  extends Omit<TakeoutArchiveDeps, 'getFileStream'>,
+    Pick<
+      TakeoutJobMethods,
+      | 'createTakeoutJob'
+      | 'getTakeoutJob'
+      | 'getLatestTakeoutJob'
+      | 'findActiveTakeoutJob'
+      | 'updateTakeoutJob'
+      | 'findExpiredTakeoutJobs'
+      | 'deleteTakeoutJob'
+    > {
+  /** Opens a stored file on behalf of the requesting user; `null` when it cannot be read. */
+  getFileStream: (req: ServerRequest, file: IMongoFile) => Promise<Readable | null>;
+  /** Directory archives are written to, one subdirectory per user. */
+  getTakeoutDir: (req: ServerRequest) => string;
+  /** Upper bound for the bytes of stored files included in an archive. */
+  maxBytes: number;
+  /** Tells the user their archive is ready, e.g. by email. Failures are logged, not surfaced. */
+  notifyTakeoutReady?: (req: ServerRequest, job: TDataTakeoutJob) => Promise<void>;
+  /** Records requests and downloads, so subject access requests can be evidenced. */
+  recordAuditEntry?: (
+    input: RecordAuditEntryInput,
+    options?: RecordAuditEntryOptions,
+  ) => Promise<void>;
+  /** When true, a takeout is refused unless its audit entry was written. Defaults to fail-open. */
+  auditFailClosed?: boolean;
+}
+
+type JobIdParams = { jobId: string };
+
+function toTakeoutJobResponse(job: ITakeoutJob): TDataTakeoutJob {
+  return {
+    id: String(job._id),
+    status: job.status,
+    counts: {
+      conversations: job.counts?.conversations ?? 0,
+      messages: job.counts?.messages ?? 0,
+      memories: job.counts?.memories ?? 0,
+      prompts: job.counts?.prompts ?? 0,
+      agents: job.counts?.agents ?? 0,
+      presets: job.counts?.presets ?? 0,
+      files: job.counts?.files ?? 0,
+      skippedFiles: job.counts?.skippedFiles ?? 0,
+      transactions: job.counts?.transactions ?? 0,
+    },
+    ...(job.bytes != null && { bytes: job.bytes }),
+    ...(job.error != null && { error: job.error }),
+    ...(job.createdAt != null && { createdAt: new Date(job.createdAt).toISOString() }),
+    ...(job.finishedAt != null && { finishedAt: new Date(job.finishedAt).toISOString() }),
+    expiresAt: new Date(job.expiresAt).toISOString(),
+  };
+}
+
+/**
+ * Creates handlers for `/api/user/takeout`, the self-service export of a user's personal
+ * data. Starting a takeout records a job and builds the archive in the background;
+ * clients poll the job and download the ZIP until it expires. Requests and downloads
+ * are written to the audit log.
+ */
+export function createDataTakeoutHandlers(deps: DataTakeoutDeps): {
+  startTakeout: (req: ServerRequest, res: Response) => Promise<Response>;
+  getLatestTakeout: (req: ServerRequest, res: Response) => Promise<Response>;
+  getTakeout: (req: ServerRequest, res: Response) => Promise<Response>;
+  downloadTakeout: (req: ServerRequest, res: Response) => Promise<Response | void>;
+} {
+  /** Deletes expired jobs and their archives. Runs before each new takeout instead of on a timer. */
+  async function removeExpiredTakeouts(): Promise<void> {
+    const expired = await deps.findExpiredTakeoutJobs();
+    for (const job of expired) {
+      if (job.filepath) {
+        await rm(job.filepath, { force: true });
+      }
+      await deps.deleteTakeoutJob(String(job._id));
+    }
+  }
+
+  /**
+   * Writes an audit entry for the user's own takeout.
+   * @returns `false` when the entry could not be written and the audit log is fail-closed.
+   */
+  async function auditTakeout(
+    req: ServerRequest,
+    action: AuditAction,
+    job: ITakeoutJob,
+  ): Promise<boolean> {
+    if (!deps.recordAuditEntry) {
+      return true;
+    }
+    const user = req.user!;
+    const name = user.email || user.username || user.name || user.id;
+    const input: RecordAuditEntryInput = {
+      action,
+      outcome: 'success',
+      severity: 'info',
+      actor: { type: 'user', id: user.id, name },
+      target: { type: 'user', id: user.id, name },
+      metadata: { takeoutId: String(job._id) },
+      context: buildAuditContext(req),
+      tenantId: user.tenantId,
+    };
+    try {
+      await deps.recordAuditEntry(input, deps.auditFailClosed ? { failClosed: true } : undefined);
+      return true;
+    } catch (error) {
+      logger.error(`[dataTakeout] Failed to record ${action}`, error);
+      return !deps.auditFailClosed;
+    }
+  }
+
+  async function runTakeout(req: ServerRequest, job: ITakeoutJob): Promise<void> {
+    const jobId = String(job._id);
+    const userId = req.user!.id;
+    const outputPath = path.join(deps.getTakeoutDir(req), userId, `${jobId}.zip`);
+    try {
+      await deps.updateTakeoutJob(jobId, { status: 'running', startedAt: new Date() });
+      await mkdir(path.dirname(outputPath), { recursive: true });
+      const archiveDeps: TakeoutArchiveDeps = {
+        ...deps,
+        getFileStream: (file) => deps.getFileStream(req, file),
+      };
+      const counts = await createTakeoutArchive(archiveDeps, {
+        user: userId,
+        outputPath,
+        maxBytes: deps.maxBytes,
+        onProgress: async (progress) => {
+          await deps.updateTakeoutJob(jobId, { counts: progress });
+        },
+      });
+      const { size } = await stat(outputPath);
+      const completed = await deps.updateTakeoutJob(jobId, {
+        status: 'completed',
+        counts,
+        filepath: outputPath,
+        bytes: size,
+        finishedAt: new Date(),
+        expiresAt: new Date(Date.now() + TAKEOUT_RETENTION_MS),
+      });
+      logger.info(
+        `[dataTakeout] user: ${userId} | Exported ${counts.conversations} conversation(s) and ${counts.files} file(s)`,
+      );
+      if (completed && deps.notifyTakeoutReady) {
+        await deps.notifyTakeoutReady(req, toTakeoutJobResponse(completed)).catch((error) => {
+          logger.error('[dataTakeout] Failed to notify user', error);
+        });
+      }
+    } catch (error) {
+      logger.error(`[dataTakeout] user: ${userId} | Takeout ${jobId} failed`, error);
+      await rm(outputPath, { force: true }).catch(() => undefined);
+      await deps
+        .updateTakeoutJob(jobId, {
+          status: 'failed',
+          error: 'Your data could not be exported',
+          finishedAt: new Date(),
+        })
+        .catch((updateError) => {
+          logger.error('[dataTakeout] Failed to record takeout failure', updateError);
+        });
+    }
+  }
+
+  async function startTakeout(req: ServerRequest, res: Response) {
+    try {
+      const userId = req.user!.id;
+      await removeExpiredTakeouts().catch((error) => {
+        logger.warn('[dataTakeout] Failed to remove expired takeouts', error);
+      });
+
+      const active = await deps.findActiveTakeoutJob(
+        userId,
+        new Date(Date.now() - TAKEOUT_STALE_MS),
+      );
+      if (active) {
+        return res.status(409).json({
+          error: 'An export of your data is already in progress',
+          job: toTakeoutJobResponse(active),
+        });
+      }
+
+      const job = await deps.createTakeoutJob({
+        user: userId,
+        expiresAt: new Date(Date.now() + TAKEOUT_RETENTION_MS),
+      });
+      if (!(await auditTakeout(req, 'privacy.takeout_requested', job))) {
+        await deps.deleteTakeoutJob(String(job._id));
+        return res.status(500).json({ error: 'Failed to record audit entry' });
+      }
+      void runTakeout(req, job);
+      return res.status(202).json({ job: toTakeoutJobResponse(job) });
+    } catch (error) {
+      logger.error('[dataTakeout] startTakeout error:', error);
+      return res.status(500).json({ error: 'Failed to start takeout' });
+    }
+  }
+
+  async function getLatestTakeout(req: ServerRequest, res: Response) {
+    try {
+      const job = await deps.getLatestTakeoutJob(req.user!.id);
+      return res.status(200).json({ job: job ? toTakeoutJobResponse(job) : null });
+    } catch (error) {
+      logger.error('[dataTakeout] getLatestTakeout error:', error);
+      return res.status(500).json({ error: 'Failed to get takeout' });
+    }
+  }
+
+  async function getTakeout(req: ServerRequest, res: Response) {
+    try {
+      const { jobId } = req.params as JobIdParams;
+      const job = await deps.getTakeoutJob(req.user!.id, jobId);
+      if (!job) {
+        return res.status(404).json({ error: 'Takeout not found' });
+      }
+      return res.status(200).json({ job: toTakeoutJobResponse(job) });
+    } catch (error) {
+      logger.error('[dataTakeout] getTakeout error:', error);
+      return res.status(500).json({ error: 'Failed to get takeout' });
+    }
+  }
+
+  async function downloadTakeout(req: ServerRequest, res: Response) {
+    try {
+      const { jobId } = req.params as JobIdParams;
+      const job = await deps.getTakeoutJob(req.user!.id, jobId);
+      if (!job || new Date(job.expiresAt).getTime() <= Date.now()) {
+        return res.status(404).json({ error: 'Takeout not found' });
+      }
+      if (job.status !== 'completed' || !job.filepath) {
+        return res.status(409).json({ error: 'Takeout is not ready' });
+      }
+      if (!(await auditTakeout(req, 'privacy.takeout_downloaded', job))) {
+        return res.status(500).json({ error: 'Failed to record audit entry' });
+      }
+      const exportedAt = new Date(job.finishedAt ?? job.expiresAt).toISOString().slice(0, 10);
+      return res.download(job.filepath, `librechat-takeout-${exportedAt}.zip`, (error) => {
+        if (error && !res.headersSent) {
+          logger.error('[dataTakeout] downloadTakeout error:', error);
+          res.status(404).json({ error: 'Takeout not found' });
+        }
+      });
+    } catch (error) {
+      logger.error('[dataTakeout] downloadTakeout error:', error);
+      return res.status(500).json({ error: 'Failed to download takeout' });
+    }
+  }
+
+  return { startTakeout, getLatestTakeout, getTakeout, downloadTakeout };
+}
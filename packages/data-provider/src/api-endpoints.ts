@@ -44,6 +44,12 @@ export const health = () => `${BASE_URL}/health`;
 export const user = () => `${BASE_URL}/api/user`;
 export const userPreferences = () => `${user()}/preferences`;
 
+export const userTakeouts = () => `${user()}/takeout`;
+
+export const userTakeout = (jobId: string) => `${userTakeouts()}/${encodeURIComponent(jobId)}`;
+
+export const userTakeoutDownload = (jobId: string) => `${userTakeout(jobId)}/download`;
+
 export const balance = () => `${BASE_URL}/api/balance`;
 
 export const userPlugins = () => `${BASE_URL}/api/user/plugins`;
@@ -131,6 +137,17 @@ export const deleteAllConversation = () => `${conversationsRoot}/all`;
 
 export const importConversation = () => `${conversationsRoot}/import`;
 
+export const conversationImport = (jobId: string) =>
+  `${conversationsRoot}/import/${encodeURIComponent(jobId)}`;
+
+export const conversationExports = () => `${conversationsRoot}/export`;
+
+export const conversationExport = (jobId: string) =>
+  `${conversationsRoot}/export/${encodeURIComponent(jobId)}`;
+
+export const conversationExportDownload = (jobId: string) =>
+  `${conversationExport(jobId)}/download`;
+
 export const forkConversation = () => `${conversationsRoot}/fork`;
 
 export const duplicateConversation = () => `${conversationsRoot}/duplicate`;
@@ -294,17 +311,54 @@ export const agents = ({ path = '', options }: { path?: string; options?: object
   return url;
 };
 
+export const agentSchedules = (agentId?: string) =>
+  agents({ path: 'schedules', options: agentId ? { agent_id: agentId } : undefined });
+
+export const agentScheduleById = (scheduleId: string) =>
+  agents({ path: `schedules/${encodeURIComponent(scheduleId)}` });
+
+export const agentSchedulePreview = (cron: string, timezone?: string) =>
+  agents({ path: 'schedules/preview', options: { cron, ...(timezone && { timezone }) } });
+
+export const agentWebhooks = (agentId?: string) =>
+  agents({ path: 'webhooks', options: agentId ? { agent_id: agentId } : undefined });
+
+export const agentWebhookById = (webhookId: string) =>
+  agents({ path: `webhooks/${encodeURIComponent(webhookId)}` });
+
+export const rotateAgentWebhookSecret = (webhookId: string) =>
+  agents({ path: `webhooks/${encodeURIComponent(webhookId)}/rotate` });
+
 export const activeJobs = () => `${BASE_URL}/api/agents/chat/active`;
 
 export const mcp = {
   tools: `${BASE_URL}/api/mcp/tools`,
   servers: `${BASE_URL}/api/mcp/servers`,
+  prompts: `${BASE_URL}/api/mcp/prompts`,
+  resources: `${BASE_URL}/api/mcp/resources`,
 };
 
+export const mcpPrompt = (serverName: string) => `${BASE_URL}/api/mcp/${serverName}/prompts`;
+
+export const mcpResource = (serverName: string) => `${BASE_URL}/api/mcp/${serverName}/resources`;
+
 export const mcpServer = (serverName: string) => `${BASE_URL}/api/mcp/servers/${serverName}`;
 
 export const revertAgentVersion = (agent_id: string) => `${agents({ path: `${agent_id}/revert` })}`;
 
+export const agentVersionLabel = (agent_id: string, label: string) =>
+  `${agents({ path: `${agent_id}/version-labels/${encodeURIComponent(label)}` })}`;
+
+export const agentExport = (agent_id: string) => `${agents({ path: `${agent_id}/export` })}`;
+
+export const agentImport = () => `${agents({ path: 'import' })}`;
+
+export const agentEvalCases = (agent_id: string, caseId?: string) =>
+  `${agents({ path: `${agent_id}/evals${caseId ? `/${caseId}` : ''}` })}`;
+
+export const agentEvalRuns = (agent_id: string, runId?: string) =>
+  `${agents({ path: `${agent_id}/eval-runs${runId ? `/${runId}` : ''}` })}`;
+
 export const files = () => `${BASE_URL}/api/files`;
 export const fileUpload = () => `${BASE_URL}/api/files`;
 export const fileDelete = () => `${BASE_URL}/api/files`;
@@ -378,6 +432,15 @@ export const updatePromptGroup = getPromptGroup;
 
 export const recordPromptGroupUsage = (groupId: string) => `${prompts()}/groups/${groupId}/use`;
 
+export const promptTestCases = (groupId: string, testCaseId?: string) =>
+  `${getPromptGroup(groupId)}/tests${testCaseId ? `/${testCaseId}` : ''}`;
+
+export const promptTestRuns = (groupId: string, promptId?: string) =>
+  `${getPromptGroup(groupId)}/test-runs${promptId ? `?promptId=${encodeURIComponent(promptId)}` : ''}`;
+
+export const promptTestRun = (groupId: string, runId: string) =>
+  `${getPromptGroup(groupId)}/test-runs/${runId}`;
+
 export const updatePromptLabels = (_id: string) => `${getPrompt(_id)}/labels`;
 
 export const updatePromptTag = (_id: string) => `${getPrompt(_id)}/tags/production`;
@@ -420,9 +483,43 @@ export const skillFiles = (id: string) => `${getSkill(id)}/files`;
 export const skillFile = (id: string, relativePath: string) =>
   `${skillFiles(id)}/${encodeURIComponent(relativePath)}`;
 
+/* Artifact library */
+export const artifacts = () => `${BASE_URL}/api/artifacts`;
+
+export const listArtifactsWithFilters = (
+  filter: Record<string, string | number | undefined | null>,
+) => {
+  const cleaned = Object.entries(filter).reduce(
+    (acc, [key, value]) => {
+      if (value !== undefined && value !== null && value !== '') {
+        acc[key] = String(value);
+      }
+      return acc;
+    },
+    {} as Record<string, string>,
+  );
+  const query =
+    Object.keys(cleaned).length > 0 ? `?${new URLSearchParams(cleaned).toString()}` : '';
+  return `${artifacts()}${query}`;
+};
+
+export const getArtifact = (id: string) => `${artifacts()}/${encodeURIComponent(id)}`;
+
+export const artifactVersions = (id: string) => `${getArtifact(id)}/versions`;
+
+export const artifactVersion = (id: string, version: number) =>
+  `${artifactVersions(id)}/${version}`;
+
 export const insights = () => `${BASE_URL}/api/admin/insights`;
 export const insightsAccess = () => `${insights()}/access`;
 
+export const adminAgentTriggers = (params?: string) =>
+  `${BASE_URL}/api/admin/agent-triggers${params ? `?${params}` : ''}`;
+export const adminAgentTriggersAccess = () => `${BASE_URL}/api/admin/agent-triggers/access`;
+export const adminAgentTriggerById = (id: string) =>
+  `${BASE_URL}/api/admin/agent-triggers/${encodeURIComponent(id)}`;
+export const requeueAdminAgentTrigger = (id: string) => `${adminAgentTriggerById(id)}/requeue`;
+
 export const adminSkillsSync = () => `${BASE_URL}/api/admin/skills/sync`;
 export const adminSkillsSyncStatus = () => `${adminSkillsSync()}/status`;
 export const adminSkillsSyncRun = () => `${adminSkillsSync()}/run`;
@@ -500,6 +597,19 @@ export const confirmTwoFactor = () => `${BASE_URL}/api/auth/2fa/confirm`;
 export const disableTwoFactor = () => `${BASE_URL}/api/auth/2fa/disable`;
 export const regenerateBackupCodes = () => `${BASE_URL}/api/auth/2fa/backup/regenerate`;
 export const verifyTwoFactorTemp = () => `${BASE_URL}/api/auth/2fa/verify-temp`;
+export const passkeySecondFactorOptions = () => `${BASE_URL}/api/auth/2fa/passkey/options`;
+
+// Passkey Endpoints
+export const passkeys = () => `${BASE_URL}/api/auth/passkeys`;
+export const passkey = (id: string) => `${passkeys()}/${encodeURIComponent(id)}`;
+export const passkeyRegistrationOptions = () => `${passkeys()}/register/options`;
+export const registerPasskey = () => `${passkeys()}/register`;
+export const passkeyLoginOptions = () => `${passkeys()}/login/options`;
+export const passkeyLogin = () => `${passkeys()}/login`;
+
+// Session Endpoints
+export const authSessions = () => `${BASE_URL}/api/auth/sessions`;
+export const authSession = (id: string) => `${authSessions()}/${encodeURIComponent(id)}`;
 
 /* Memories */
 export const memories = () => `${BASE_URL}/api/memories`;
@@ -10,7 +10,7 @@ import {
 } from './schemas';
 import { ComponentTypes, SettingTypes, OptionTypes } from './generate';
 import { STATEFUL_CODE_ENVIRONMENTS } from './stateful-code';
-import { specsConfigSchema, TSpecsConfig } from './models';
+import { specsConfigSchema, modelFallbackSchema, TSpecsConfig } from './models';
 import { REFILL_INTERVAL_UNITS } from './balance';
 import { fileConfigSchema } from './file-config';
 import { apiBaseUrl } from './api-endpoints';
@@ -21,6 +21,10 @@ export {
   MAX_GRAPH_SUBAGENT_MEMBERS,
   MAX_CHAT_PROJECT_NAME_LENGTH,
   MAX_CHAT_PROJECT_DESCRIPTION_LENGTH,
+  MAX_AGENT_SCHEDULE_NAME_LENGTH,
+  MAX_AGENT_SCHEDULE_INPUT_LENGTH,
+  MAX_AGENT_WEBHOOK_NAME_LENGTH,
+  MAX_AGENT_WEBHOOK_INPUT_LENGTH,
 } from './limits';
 
 export const defaultSocialLogins = ['google', 'facebook', 'openid', 'github', 'discord', 'saml'];
@@ -714,6 +718,12 @@ export const baseEndpointSchema = z.object({
   reasoningLabelMaxPerRun: z.number().int().positive().optional(),
   /** Maximum characters allowed in a single tool result before truncation. */
   maxToolResultChars: z.number().positive().optional(),
+  /**
+   * Failover chains keyed by model name: when a request for that model fails
+   * with a rate limit or server error before any tokens stream, each entry is
+   * tried in order, e.g. an Azure deployment → OpenAI → Bedrock.
+   */
+  fallbacks: z.record(z.string(), z.array(modelFallbackSchema)).optional(),
 });
 
 export type TBaseEndpoint = z.infer<typeof baseEndpointSchema>;
@@ -1177,12 +1187,15 @@ export const azureEndpointSchema = z
         reasoningLabelUpdateChars: true,
         reasoningLabelUpdateIntervalMs: true,
         reasoningLabelMaxPerRun: true,
+        fallbacks: true,
       })
       .partial(),
   );
 
-export type TAzureConfig = Omit<z.infer<typeof azureEndpointSchema>, 'groups'> &
-  TAzureConfigValidationResult;
+export type TAzureConfig = Omit<z.infer<typeof azureEndpointSchema>, 'groups' | 'fallbacks'> & {
+  /** Read from the deep-partial `TCustomConfig`, so chain steps are not narrowed past it. */
+  fallbacks?: DeepPartial<TBaseEndpoint['fallbacks']>;
+} & TAzureConfigValidationResult;
 
 /**
  * Vertex AI model configuration - similar to Azure model config
@@ -1548,6 +1561,16 @@ export const interfaceSchema = z
         }),
       ])
       .optional(),
+    artifacts: z
+      .union([
+        z.boolean(),
+        z.object({
+          use: z.boolean().optional(),
+          share: z.boolean().optional(),
+          public: z.boolean().optional(),
+        }),
+      ])
+      .optional(),
   })
   .default({
     modelSelect: true,
@@ -1610,6 +1633,11 @@ export const interfaceSchema = z
       public: true,
       snapshotFiles: true,
     },
+    artifacts: {
+      use: true,
+      share: false,
+      public: false,
+    },
   });
 
 export type TInterfaceConfig = z.infer<typeof interfaceSchema>;
@@ -1681,6 +1709,8 @@ export type TStartupConfig = {
   };
   serverDomain: string;
   emailLoginEnabled: boolean;
+  /** Passkey sign-in and passkeys as a second factor, for email accounts */
+  passkeysEnabled?: boolean;
   registrationEnabled: boolean;
   socialLoginEnabled: boolean;
   passwordResetEnabled: boolean;
@@ -2085,6 +2115,14 @@ export const configSchema = z.object({
     .object({
       allowedDomains: z.array(z.string()).optional(),
       allowedAddresses: allowedAddressesSchema,
+      /** Model that serves `sampling/createMessage` requests from servers with `sampling.enabled` */
+      sampling: z
+        .object({
+          endpoint: z.string(),
+          model: z.string(),
+          maxTokens: z.number().int().positive().optional(),
+        })
+        .optional(),
     })
     .optional(),
   interface: interfaceSchema,
@@ -2620,6 +2658,10 @@ export enum CacheKeys {
    * Key for admin panel OAuth exchange codes (one-time-use, short TTL).
    */
   ADMIN_OAUTH_EXCHANGE = 'ADMIN_OAUTH_EXCHANGE',
+  /**
+   * Key for pending passkey (WebAuthn) challenges (one-time-use, short TTL).
+   */
+  PASSKEY_CHALLENGES = 'PASSKEY_CHALLENGES',
 }
 
 export const AUTH_USER_DOC_BY_ID_PREFIX = 'auth-user-doc-byid';
@@ -2668,6 +2710,10 @@ export enum ViolationTypes {
    * Tool Call Limit Violation.
    */
   TOOL_CALL_LIMIT = 'tool_call_limit',
+  /**
+   * Personal data takeout limit violation.
+   */
+  TAKEOUT_LIMIT = 'takeout_limit',
   /**
    * General violation (catch-all).
    */
@@ -1,5 +1,11 @@
 import type { AxiosResponse } from 'axios';
 import type { TInsightsAccessResponse, TInsightsParams, TInsightsResponse } from './types/insights';
+import type {
+  TAgentTriggerDeliveriesParams,
+  TAgentTriggerDeliveriesResponse,
+  TAgentTriggerDeliveryResponse,
+  TAgentTriggersAccessResponse,
+} from './types/agentTriggers';
 import type { TFileConfig } from './file-config';
 import type * as t from './types';
 import * as permissions from './accessPermissions';
@@ -11,6 +17,7 @@ import * as m from './types/mutations';
 import * as ag from './types/agents';
 import * as q from './types/queries';
 import * as sk from './types/skills';
+import * as ar from './types/artifacts';
 import * as f from './types/files';
 import * as config from './config';
 import request from './request';
@@ -32,6 +39,34 @@ export function getInsightsAccess(): Promise<TInsightsAccessResponse> {
   return request.get(endpoints.insightsAccess());
 }
 
+export function getAdminAgentTriggerDeliveries(
+  params: TAgentTriggerDeliveriesParams = {},
+): Promise<TAgentTriggerDeliveriesResponse> {
+  const query = new URLSearchParams();
+  for (const [key, value] of Object.entries(params)) {
+    if (value !== undefined && value !== null && value !== '') {
+      query.set(key, String(value));
+    }
+  }
+  return request.get(endpoints.adminAgentTriggers(query.toString()));
+}
+
+export function getAdminAgentTriggerDelivery(id: string): Promise<TAgentTriggerDeliveryResponse> {
+  return request.get(endpoints.adminAgentTriggerById(id));
+}
+
+export function getAdminAgentTriggersAccess(): Promise<TAgentTriggersAccessResponse> {
+  return request.get(endpoints.adminAgentTriggersAccess());
+}
+
+export function requeueAdminAgentTrigger(id: string): Promise<TAgentTriggerDeliveryResponse> {
+  return request.post(endpoints.requeueAdminAgentTrigger(id));
+}
+
+export function deleteAdminAgentTrigger(id: string): Promise<{ success: boolean }> {
+  return request.delete(endpoints.adminAgentTriggerById(id));
+}
+
 export function getLangfuseConnection(): Promise<t.TLangfuseConnectionStatus> {
   return request.get(endpoints.adminLangfuseConnection());
 }
@@ -164,6 +199,59 @@ export function deleteAgentApiKey(id: string): Promise<void> {
   return request.delete(endpoints.apiKeyById(id));
 }
 
+export function getAgentSchedules(agentId?: string): Promise<t.TAgentScheduleListResponse> {
+  return request.get(endpoints.agentSchedules(agentId));
+}
+
+export function previewAgentSchedule(
+  cron: string,
+  timezone?: string,
+): Promise<t.TAgentSchedulePreviewResponse> {
+  return request.get(endpoints.agentSchedulePreview(cron, timezone));
+}
+
+export function createAgentSchedule(
+  payload: t.TCreateAgentScheduleRequest,
+): Promise<t.TAgentSchedule> {
+  return request.post(endpoints.agentSchedules(), payload);
+}
+
+export function updateAgentSchedule(
+  payload: t.TUpdateAgentScheduleRequest,
+): Promise<t.TAgentSchedule> {
+  const { scheduleId, ...data } = payload;
+  return request.patch(endpoints.agentScheduleById(scheduleId), data);
+}
+
+export function deleteAgentSchedule(scheduleId: string): Promise<{ deleted: boolean }> {
+  return request.delete(endpoints.agentScheduleById(scheduleId));
+}
+
+export function getAgentWebhooks(agentId?: string): Promise<t.TAgentWebhookListResponse> {
+  return request.get(endpoints.agentWebhooks(agentId));
+}
+
+export function createAgentWebhook(
+  payload: t.TCreateAgentWebhookRequest,
+): Promise<t.TAgentWebhookWithSecret> {
+  return request.post(endpoints.agentWebhooks(), payload);
+}
+
+export function updateAgentWebhook(
+  payload: t.TUpdateAgentWebhookRequest,
+): Promise<t.TAgentWebhook> {
+  const { webhookId, ...data } = payload;
+  return request.patch(endpoints.agentWebhookById(webhookId), data);
+}
+
+export function rotateAgentWebhookSecret(webhookId: string): Promise<t.TAgentWebhookWithSecret> {
+  return request.post(endpoints.rotateAgentWebhookSecret(webhookId));
+}
+
+export function deleteAgentWebhook(webhookId: string): Promise<{ deleted: boolean }> {
+  return request.delete(endpoints.agentWebhookById(webhookId));
+}
+
 export function getPresets(): Promise<s.TPreset[]> {
   return request.get(endpoints.presets());
 }
@@ -432,6 +520,28 @@ export const getMCPTools = (): Promise<q.MCPServersResponse> => {
   return request.get(endpoints.mcp.tools);
 };
 
+export const getMCPPrompts = (): Promise<mcp.MCPPromptsResponse> => {
+  return request.get(endpoints.mcp.prompts);
+};
+
+export const getMCPPrompt = ({
+  serverName,
+  ...payload
+}: mcp.MCPGetPromptParams): Promise<mcp.MCPGetPromptResponse> => {
+  return request.post(endpoints.mcpPrompt(serverName), payload);
+};
+
+export const getMCPResources = (): Promise<mcp.MCPResourcesResponse> => {
+  return request.get(endpoints.mcp.resources);
+};
+
+export const attachMCPResource = ({
+  serverName,
+  ...payload
+}: mcp.MCPAttachResourceParams): Promise<mcp.MCPAttachResourceResponse> => {
+  return request.post(endpoints.mcpResource(serverName), payload);
+};
+
 export const getVerifyAgentToolAuth = (
   params: q.VerifyToolAuthParams,
 ): Promise<q.VerifyToolAuthResponse> => {
@@ -651,6 +761,65 @@ export const revertAgentVersion = ({
   version_index: number;
 }): Promise<a.Agent> => request.post(endpoints.revertAgentVersion(agent_id), { version_index });
 
+export const setAgentVersionLabel = ({
+  agent_id,
+  label,
+  version,
+}: m.SetAgentVersionLabelVariables): Promise<m.SetAgentVersionLabelResponse> =>
+  version == null
+    ? request.delete(endpoints.agentVersionLabel(agent_id, label))
+    : request.put(endpoints.agentVersionLabel(agent_id, label), { version });
+
+/** Downloads an agent and everything it references as a bundle for another instance. */
+export const exportAgentBundle = async (agent_id: string): Promise<AxiosResponse> => {
+  return request.getResponse(endpoints.agentExport(agent_id), {
+    responseType: 'blob',
+    headers: {
+      Accept: 'application/zip',
+    },
+  });
+};
+
+export const importAgentBundle = (data: FormData): Promise<a.TAgentBundleImportResponse> => {
+  return request.postMultiPart(endpoints.agentImport(), data);
+};
+
+/* Agent Evaluations */
+
+export const getAgentEvalCases = (agent_id: string): Promise<{ cases: t.TAgentEvalCase[] }> =>
+  request.get(endpoints.agentEvalCases(agent_id));
+
+export const createAgentEvalCase = (
+  agent_id: string,
+  payload: t.TAgentEvalCaseRequest,
+): Promise<{ case: t.TAgentEvalCase }> => request.post(endpoints.agentEvalCases(agent_id), payload);
+
+export const updateAgentEvalCase = (
+  agent_id: string,
+  caseId: string,
+  payload: Partial<t.TAgentEvalCaseRequest>,
+): Promise<{ case: t.TAgentEvalCase }> =>
+  request.patch(endpoints.agentEvalCases(agent_id, caseId), payload);
+
+export const deleteAgentEvalCase = (
+  agent_id: string,
+  caseId: string,
+): Promise<{ message: string }> => request.delete(endpoints.agentEvalCases(agent_id, caseId));
+
+export const startAgentEvalRun = ({
+  agent_id,
+  ...payload
+}: t.TStartAgentEvalRunRequest): Promise<{ run: t.TAgentEvalRun }> =>
+  request.post(endpoints.agentEvalRuns(agent_id), payload);
+
+export const getAgentEvalRuns = (agent_id: string): Promise<{ runs: t.TAgentEvalRun[] }> =>
+  request.get(endpoints.agentEvalRuns(agent_id));
+
+export const getAgentEvalRun = (
+  agent_id: string,
+  runId: string,
+): Promise<{ run: t.TAgentEvalRun }> => request.get(endpoints.agentEvalRuns(agent_id, runId));
+
 /* Marketplace */
 
 /**
@@ -768,6 +937,59 @@ export const importConversationsFile = (data: FormData): Promise<t.TImportRespon
   return request.postMultiPart(endpoints.importConversation(), data);
 };
 
+/** The user's most recent conversation import, or `null` when there is none. */
+export const getLatestConversationImport = (): Promise<t.TConversationImportJobResponse> => {
+  return request.get(endpoints.importConversation());
+};
+
+export const getConversationImport = (jobId: string): Promise<t.TConversationImportJobResponse> => {
+  return request.get(endpoints.conversationImport(jobId));
+};
+
+/** Starts a server-side export of the conversations matching the filter into a ZIP archive. */
+export const startConversationExport = (
+  filter: t.TConversationExportFilter,
+): Promise<t.TConversationExportJobResponse> => {
+  return request.post(endpoints.conversationExports(), filter);
+};
+
+/** The user's most recent conversation export, or `null` when there is none. */
+export const getLatestConversationExport = (): Promise<t.TConversationExportJobResponse> => {
+  return request.get(endpoints.conversationExports());
+};
+
+export const getConversationExport = (jobId: string): Promise<t.TConversationExportJobResponse> => {
+  return request.get(endpoints.conversationExport(jobId));
+};
+
+export const getConversationExportDownload = async (jobId: string): Promise<AxiosResponse> => {
+  return request.getResponse(endpoints.conversationExportDownload(jobId), {
+    responseType: 'blob',
+    headers: {
+      Accept: 'application/zip',
+    },
+  });
+};
+
+/** Starts an export of all of the user's personal data into a ZIP archive. */
+export const startDataTakeout = (): Promise<t.TDataTakeoutJobResponse> => {
+  return request.post(endpoints.userTakeouts());
+};
+
+/** The user's most recent data takeout, or `null` when there is none. */
+export const getLatestDataTakeout = (): Promise<t.TDataTakeoutJobResponse> => {
+  return request.get(endpoints.userTakeouts());
+};
+
+export const getDataTakeoutDownload = async (jobId: string): Promise<AxiosResponse> => {
+  return request.getResponse(endpoints.userTakeoutDownload(jobId), {
+    responseType: 'blob',
+    headers: {
+      Accept: 'application/zip',
+    },
+  });
+};
+
 export const uploadAvatar = (data: FormData): Promise<f.AvatarUploadResponse> => {
   return request.postMultiPart(endpoints.avatar(), data);
 };
@@ -1072,6 +1294,55 @@ export function getRandomPrompts(
   return request.get(endpoints.getRandomPrompts(variables.limit, variables.skip));
 }
 
+export function getPromptTestCases(groupId: string): Promise<{ testCases: t.TPromptTestCase[] }> {
+  return request.get(endpoints.promptTestCases(groupId));
+}
+
+export function createPromptTestCase(
+  groupId: string,
+  payload: t.TPromptTestCaseRequest,
+): Promise<{ testCase: t.TPromptTestCase }> {
+  return request.post(endpoints.promptTestCases(groupId), payload);
+}
+
+export function updatePromptTestCase(
+  groupId: string,
+  testCaseId: string,
+  payload: Partial<t.TPromptTestCaseRequest>,
+): Promise<{ testCase: t.TPromptTestCase }> {
+  return request.patch(endpoints.promptTestCases(groupId, testCaseId), payload);
+}
+
+export function deletePromptTestCase(
+  groupId: string,
+  testCaseId: string,
+): Promise<{ message: string }> {
+  return request.delete(endpoints.promptTestCases(groupId, testCaseId));
+}
+
+/** Runs the group's test cases against one prompt version in the background. */
+export function startPromptTestRun({
+  groupId,
+  ...payload
+}: t.TStartPromptTestRunRequest): Promise<{ run: t.TPromptTestRun }> {
+  return request.post(endpoints.promptTestRuns(groupId), payload);
+}
+
+/** Most recent test runs of the group first, optionally for one prompt version. */
+export function getPromptTestRuns(
+  groupId: string,
+  promptId?: string,
+): Promise<{ runs: t.TPromptTestRun[] }> {
+  return request.get(endpoints.promptTestRuns(groupId, promptId));
+}
+
+export function getPromptTestRun(
+  groupId: string,
+  runId: string,
+): Promise<{ run: t.TPromptTestRun }> {
+  return request.get(endpoints.promptTestRun(groupId, runId));
+}
+
 /* Skills */
 
 export function listSkills(params?: sk.TSkillListRequest): Promise<sk.TSkillListResponse> {
@@ -1232,6 +1503,35 @@ export function deleteGitHubSkillSyncCredential(
   return request.delete(endpoints.adminSkillsSyncCredential(credentialKey));
 }
 
+/* Artifact library */
+
+export function listArtifacts(params?: ar.TArtifactListRequest): Promise<ar.TArtifactListResponse> {
+  return request.get(endpoints.listArtifactsWithFilters(params ?? {}));
+}
+
+export function getArtifact(id: string): Promise<ar.TArtifactResponse> {
+  return request.get(endpoints.getArtifact(id));
+}
+
+export function listArtifactVersions(id: string): Promise<ar.TArtifactVersionsResponse> {
+  return request.get(endpoints.artifactVersions(id));
+}
+
+export function getArtifactVersion(id: string, version: number): Promise<ar.TArtifactVersion> {
+  return request.get(endpoints.artifactVersion(id, version));
+}
+
+export function createArtifactVersion(
+  id: string,
+  payload: ar.TCreateArtifactVersion,
+): Promise<ar.TArtifactVersion> {
+  return request.post(endpoints.artifactVersions(id), payload);
+}
+
+export function deleteArtifact(id: string): Promise<ar.TDeleteArtifactResponse> {
+  return request.delete(endpoints.getArtifact(id));
+}
+
 /* Roles */
 export function listRoles(): Promise<q.ListRolesResponse> {
   return request.get(`${endpoints.adminRoles()}?limit=200`);
@@ -1379,6 +1679,54 @@ export function verifyTwoFactorTemp(
   return request.post(endpoints.verifyTwoFactorTemp(), payload);
 }
 
+export function getPasskeySecondFactorOptions(payload: {
+  tempToken: string;
+}): Promise<t.TPasskeyAuthenticationOptions> {
+  return request.post(endpoints.passkeySecondFactorOptions(), payload);
+}
+
+// Passkeys
+export function getPasskeys(): Promise<t.TPasskeysResponse> {
+  return request.get(endpoints.passkeys());
+}
+
+export function getPasskeyRegistrationOptions(): Promise<t.TPasskeyRegistrationOptions> {
+  return request.post(endpoints.passkeyRegistrationOptions());
+}
+
+export function registerPasskey(payload: t.TRegisterPasskeyRequest): Promise<t.TPasskey> {
+  return request.post(endpoints.registerPasskey(), payload);
+}
+
+export function renamePasskey({ id, name }: t.TRenamePasskeyRequest): Promise<t.TPasskey> {
+  return request.patch(endpoints.passkey(id), { name });
+}
+
+export function deletePasskey(id: string): Promise<{ id: string; deleted: boolean }> {
+  return request.delete(endpoints.passkey(id));
+}
+
+export function getPasskeyLoginOptions(): Promise<t.TPasskeyAuthenticationOptions> {
+  return request.post(endpoints.passkeyLoginOptions());
+}
+
+export function loginWithPasskey(payload: t.TPasskeyLoginRequest): Promise<t.TLoginResponse> {
+  return request.post(endpoints.passkeyLogin(), payload);
+}
+
+// Sessions
+export function getAuthSessions(): Promise<t.TAuthSessionsResponse> {
+  return request.get(endpoints.authSessions());
+}
+
+export function revokeAuthSession(id: string): Promise<{ id: string; revoked: boolean }> {
+  return request.delete(endpoints.authSession(id));
+}
+
+export function revokeOtherAuthSessions(): Promise<{ revoked: number }> {
+  return request.delete(endpoints.authSessions());
+}
+
 /* Memories */
 export const getMemories = (): Promise<q.MemoriesResponse> => {
   return request.get(endpoints.memories());
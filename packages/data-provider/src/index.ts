@@ -29,10 +29,12 @@ export * from './types/mcpServers';
 export * from './types/mutations';
 export * from './types/queries';
 export * from './types/skills';
+export * from './types/artifacts';
 export * from './types/runs';
 export * from './types/web';
 export * from './types/graph';
 export * from './types/insights';
+export * from './types/agentTriggers';
 /* access permissions */
 export * from './accessPermissions';
 /* query/mutation keys */
@@ -5,6 +5,9 @@ export enum QueryKeys {
   sharedLinks = 'sharedLinks',
   allConversations = 'allConversations',
   archivedConversations = 'archivedConversations',
+  conversationExport = 'conversationExport',
+  dataTakeout = 'dataTakeout',
+  conversationImport = 'conversationImport',
   pinnedConversations = 'pinnedConversations',
   searchConversations = 'searchConversations',
   conversation = 'conversation',
@@ -24,6 +27,9 @@ export enum QueryKeys {
   startupConfig = 'startupConfig',
   insights = 'insights',
   insightsAccess = 'insightsAccess',
+  adminAgentTriggers = 'adminAgentTriggers',
+  adminAgentTrigger = 'adminAgentTrigger',
+  adminAgentTriggersAccess = 'adminAgentTriggersAccess',
   assistants = 'assistants',
   assistant = 'assistant',
   agents = 'agents',
@@ -36,6 +42,8 @@ export enum QueryKeys {
   mcpTools = 'mcpTools',
   mcpConnectionStatus = 'mcpConnectionStatus',
   mcpAuthValues = 'mcpAuthValues',
+  mcpPrompts = 'mcpPrompts',
+  mcpResources = 'mcpResources',
   agentTools = 'agentTools',
   actions = 'actions',
   assistantDocs = 'assistantDocs',
@@ -49,6 +57,8 @@ export enum QueryKeys {
   promptGroups = 'promptGroups',
   allPromptGroups = 'allPromptGroups',
   promptGroup = 'promptGroup',
+  promptTestCases = 'promptTestCases',
+  promptTestRuns = 'promptTestRuns',
   projects = 'projects',
   project = 'project',
   projectConversations = 'projectConversations',
@@ -56,6 +66,8 @@ export enum QueryKeys {
   randomPrompts = 'randomPrompts',
   agentCategories = 'agentCategories',
   marketplaceAgents = 'marketplaceAgents',
+  agentEvalCases = 'agentEvalCases',
+  agentEvalRuns = 'agentEvalRuns',
   roles = 'roles',
   rolesList = 'rolesList',
   conversationTags = 'conversationTags',
@@ -76,6 +88,11 @@ export enum QueryKeys {
   activeJobs = 'activeJobs',
   /* Agent API Keys */
   agentApiKeys = 'agentApiKeys',
+  /* Agent Schedules */
+  agentSchedules = 'agentSchedules',
+  agentSchedulePreview = 'agentSchedulePreview',
+  /* Agent Webhooks */
+  agentWebhooks = 'agentWebhooks',
   /* Skills */
   skills = 'skills',
   skill = 'skill',
@@ -84,6 +101,15 @@ export enum QueryKeys {
   /* Skill tree (phase 2 — filesystem-style node view) */
   skillTree = 'skillTree',
   skillNodeContent = 'skillNodeContent',
+  /* Artifact library */
+  artifacts = 'artifacts',
+  artifact = 'artifact',
+  artifactVersions = 'artifactVersions',
+  artifactVersion = 'artifactVersion',
+  /* Passkeys of the signed-in user */
+  passkeys = 'passkeys',
+  /* Where the signed-in user is logged in */
+  authSessions = 'authSessions',
   /* Tool favorites (starred marketplace items) */
   toolFavorites = 'toolFavorites',
   /* Per-user skill active/inactive overrides */
@@ -102,6 +128,15 @@ export enum MutationKeys {
   testLangfuseConnection = 'testLangfuseConnection',
   createAgentApiKey = 'createAgentApiKey',
   deleteAgentApiKey = 'deleteAgentApiKey',
+  createAgentSchedule = 'createAgentSchedule',
+  updateAgentSchedule = 'updateAgentSchedule',
+  deleteAgentSchedule = 'deleteAgentSchedule',
+  createAgentWebhook = 'createAgentWebhook',
+  updateAgentWebhook = 'updateAgentWebhook',
+  rotateAgentWebhookSecret = 'rotateAgentWebhookSecret',
+  deleteAgentWebhook = 'deleteAgentWebhook',
+  requeueAdminAgentTrigger = 'requeueAdminAgentTrigger',
+  deleteAdminAgentTrigger = 'deleteAdminAgentTrigger',
   fileUpload = 'fileUpload',
   fileDelete = 'fileDelete',
   fileUsage = 'fileUsage',
@@ -120,6 +155,7 @@ export enum MutationKeys {
   deleteAction = 'deleteAction',
   deleteAgentAction = 'deleteAgentAction',
   revertAgentVersion = 'revertAgentVersion',
+  setAgentVersionLabel = 'setAgentVersionLabel',
   deleteUser = 'deleteUser',
   updateUserPreferences = 'updateUserPreferences',
   updateRole = 'updateRole',
@@ -138,4 +174,6 @@ export enum MutationKeys {
   updateSkillNodeContent = 'updateSkillNodeContent',
   convoPin = 'convoPin',
   archiveAllConversations = 'archiveAllConversations',
+  startConversationExport = 'startConversationExport',
+  startDataTakeout = 'startDataTakeout',
 }
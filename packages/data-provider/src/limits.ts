@@ -6,5 +6,13 @@ export const MAX_SUBAGENTS = 10;
 export const MAX_CHAT_PROJECT_NAME_LENGTH = 100;
 export const MAX_CHAT_PROJECT_DESCRIPTION_LENGTH = 1000;
 
+/** Scheduled agent run limits. The schedule form and the persistence layer share these. */
+export const MAX_AGENT_SCHEDULE_NAME_LENGTH = 100;
+export const MAX_AGENT_SCHEDULE_INPUT_LENGTH = 10000;
+
+/** Inbound agent webhook limits. The webhook form and the persistence layer share these. */
+export const MAX_AGENT_WEBHOOK_NAME_LENGTH = 100;
+export const MAX_AGENT_WEBHOOK_INPUT_LENGTH = 10000;
+
 /** Mirrors the bounded graph-child member limit in `@librechat/agents`. */
 export const MAX_GRAPH_SUBAGENT_MEMBERS = 32;
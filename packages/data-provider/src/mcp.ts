@@ -228,6 +228,19 @@ const BaseOptionsSchema = z.object({
       }),
     )
     .optional(),
+  /**
+   * Lets the server request completions (`sampling/createMessage`) from the admin-configured
+   * `mcpSettings.sampling` model. Disabled unless `enabled` is true.
+   * - maxTokens: per-request completion token cap for this server
+   */
+  sampling: z
+    .object({
+      enabled: z.boolean(),
+      maxTokens: z.number().int().positive().optional(),
+    })
+    .optional(),
+  /** Set to `false` to stop advertising form elicitation (`elicitation/create`) to this server */
+  elicitation: z.boolean().optional(),
 });
 
 const ProxyUrlSchema = z
@@ -421,6 +434,7 @@ const omitServerManagedFields = <T extends z.ZodObject<z.ZodRawShape>>(schema: T
     requiresOAuth: true,
     customUserVars: true,
     oauth_headers: true,
+    sampling: true,
   });
 
 const userManagedServerFields = <T extends z.ZodObject<z.ZodRawShape>>(schema: T) =>
@@ -12,6 +12,27 @@ import { MAX_SUBAGENTS } from './limits';
 
 type ModelSpecSubagentsConfig = Omit<AgentSubagentsConfig, 'graphs'>;
 
+/** One step of a failover chain: the endpoint and model tried when the previous step fails. */
+export const modelFallbackSchema = z.object({
+  endpoint: z.string().min(1),
+  model: z.string().min(1),
+});
+
+export type TModelFallback = z.infer<typeof modelFallbackSchema>;
+
+/**
+ * Persisted on `message.metadata.failover` when a response was generated by a
+ * fallback instead of the requested endpoint/model.
+ */
+export type TModelFailover = {
+  /** The endpoint and model the request was made for. */
+  requested: TModelFallback;
+  /** The endpoint and model that generated the response. */
+  used: TModelFallback;
+  /** Every failed attempt before `used`, in order. */
+  attempts: Array<TModelFallback & { error: string; status?: number }>;
+};
+
 export type TModelSpec = {
   name: string;
   label: string;
@@ -82,6 +103,12 @@ export type TModelSpec = {
   mcpServers?: string[];
   skills?: boolean | string[];
   subagents?: ModelSpecSubagentsConfig;
+  /**
+   * Ordered failover chain tried when the spec's endpoint/model fails with a
+   * rate limit or server error before anything streams. Takes precedence over
+   * the endpoint's own `fallbacks` for the spec's model.
+   */
+  fallbacks?: TModelFallback[];
 };
 
 export const modelSpecSubagentsSchema = z.object({
@@ -193,6 +220,7 @@ export const tModelSpecSchema = z.object({
   mcpServers: z.array(z.string()).optional(),
   skills: z.union([z.boolean(), z.array(z.string())]).optional(),
   subagents: modelSpecSubagentsSchema.optional(),
+  fallbacks: z.array(modelFallbackSchema).optional(),
 });
 
 export const specsConfigSchema = z.object({
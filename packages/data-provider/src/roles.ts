@@ -8,6 +8,7 @@ import {
   skillPermissionsSchema,
   memoryPermissionsSchema,
   runCodePermissionsSchema,
+  artifactPermissionsSchema,
   bookmarkPermissionsSchema,
   webSearchPermissionsSchema,
   fileSearchPermissionsSchema,
@@ -117,6 +118,11 @@ const defaultRolesSchema = z.object({
         [Permissions.SHARE]: z.boolean().default(true),
         [Permissions.SHARE_PUBLIC]: z.boolean().default(true),
       }),
+      [PermissionTypes.ARTIFACTS]: artifactPermissionsSchema.extend({
+        [Permissions.USE]: z.boolean().default(true),
+        [Permissions.SHARE]: z.boolean().default(true),
+        [Permissions.SHARE_PUBLIC]: z.boolean().default(true),
+      }),
     }),
   }),
   [SystemRoles.USER]: roleSchema.extend({
@@ -211,6 +217,11 @@ export const roleDefaults = defaultRolesSchema.parse({
         [Permissions.SHARE]: true,
         [Permissions.SHARE_PUBLIC]: true,
       },
+      [PermissionTypes.ARTIFACTS]: {
+        [Permissions.USE]: true,
+        [Permissions.SHARE]: true,
+        [Permissions.SHARE_PUBLIC]: true,
+      },
     },
   },
   [SystemRoles.USER]: {
@@ -268,6 +279,11 @@ export const roleDefaults = defaultRolesSchema.parse({
         [Permissions.SHARE]: true,
         [Permissions.SHARE_PUBLIC]: true,
       },
+      [PermissionTypes.ARTIFACTS]: {
+        [Permissions.USE]: true,
+        [Permissions.SHARE]: false,
+        [Permissions.SHARE_PUBLIC]: false,
+      },
     },
   },
 });
@@ -2,6 +2,7 @@ import { z } from 'zod';
 import type {
   TMessageContentParts,
   AgentSubagentGraph,
+  AgentResponseFormat,
   FunctionToolCall,
   FunctionTool,
 } from './types/assistants';
@@ -375,6 +376,8 @@ export const defaultAgentFormValues = {
     | undefined,
   /** Memory partition: 'agent' isolates memories per (user, agent); default shared pool */
   memory_scope: undefined as MemoryScope | undefined,
+  /** `undefined` = free-form answers; set to require a JSON Schema-shaped answer. */
+  response_format: undefined as AgentResponseFormat | null | undefined,
 };
 
 export const ImageVisionTool: FunctionTool = {
@@ -866,6 +869,11 @@ export const tMessageSchema = z.object({
    * request time and counted in the user message token count.
    */
   quotes: z.array(z.string()).optional(),
+  /**
+   * Ids of library artifacts the user brought into this turn. Their latest
+   * versions are added to the model's context at request time.
+   */
+  artifactRefs: z.array(z.string()).optional(),
 });
 
 /**
@@ -337,6 +337,8 @@ export type TUpdateUserKeyRequest = {
 
 export type TAgentApiKeyCreateRequest = {
   name: string;
+  /** Agent version label the key runs when `model` names no version; latest when unset */
+  versionLabel?: string | null;
   expiresAt?: string | null;
 };
 
@@ -345,6 +347,7 @@ export type TAgentApiKeyCreateResponse = {
   name: string;
   key: string;
   keyPrefix: string;
+  versionLabel?: string;
   createdAt: string;
   expiresAt?: string;
 };
@@ -353,6 +356,7 @@ export type TAgentApiKeyListItem = {
   id: string;
   name: string;
   keyPrefix: string;
+  versionLabel?: string;
   lastUsedAt?: string;
   expiresAt?: string;
   createdAt: string;
@@ -362,6 +366,152 @@ export type TAgentApiKeyListResponse = {
   keys: TAgentApiKeyListItem[];
 };
 
+export type TAgentScheduleMode = 'fire' | 'continue';
+
+export type TAgentScheduleMissedRunPolicy = 'latest' | 'all' | 'skip';
+
+export type TAgentSchedule = {
+  _id: string;
+  name: string;
+  agent_id: string;
+  cron: string;
+  timezone: string;
+  input: string;
+  mode: TAgentScheduleMode;
+  conversationId?: string;
+  enabled: boolean;
+  missedRunPolicy: TAgentScheduleMissedRunPolicy;
+  nextRunAt: string | null;
+  lastRunAt?: string | null;
+  lastDeliveryKey?: string | null;
+  lastError?: { code: string; message: string; at: string } | null;
+  createdAt: string;
+  updatedAt: string;
+};
+
+export type TCreateAgentScheduleRequest = {
+  name: string;
+  agent_id: string;
+  cron: string;
+  timezone?: string;
+  input: string;
+  mode?: TAgentScheduleMode;
+  conversationId?: string;
+  enabled?: boolean;
+  missedRunPolicy?: TAgentScheduleMissedRunPolicy;
+};
+
+export type TUpdateAgentScheduleRequest = Partial<TCreateAgentScheduleRequest> & {
+  scheduleId: string;
+};
+
+export type TAgentScheduleListResponse = {
+  schedules: TAgentSchedule[];
+};
+
+export type TAgentSchedulePreviewResponse = {
+  nextRuns: string[];
+};
+
+export type TAgentWebhook = {
+  _id: string;
+  name: string;
+  agent_id: string;
+  publicId: string;
+  /** Absolute ingress URL senders POST signed payloads to. */
+  url: string;
+  inputTemplate: string;
+  orderingKeyPath?: string;
+  enabled: boolean;
+  lastReceivedAt?: string | null;
+  lastDeliveryKey?: string | null;
+  createdAt: string;
+  updatedAt: string;
+};
+
+/** Returned by create and rotate only; the signing secret cannot be read back later. */
+export type TAgentWebhookWithSecret = TAgentWebhook & {
+  secret: string;
+};
+
+export type TCreateAgentWebhookRequest = {
+  name: string;
+  agent_id: string;
+  inputTemplate: string;
+  orderingKeyPath?: string;
+  enabled?: boolean;
+};
+
+export type TUpdateAgentWebhookRequest = Partial<
+  Omit<TCreateAgentWebhookRequest, 'orderingKeyPath'>
+> & {
+  webhookId: string;
+  /** `null` clears the ordering path. */
+  orderingKeyPath?: string | null;
+};
+
+export type TAgentWebhookListResponse = {
+  webhooks: TAgentWebhook[];
+};
+
+/**
+ * An expectation about an evaluation case's transcript. `tool_call` checks the tools called
+ * across all turns; the others check the agent's reply to the last turn.
+ */
+export type TAgentEvalAssertion =
+  | { type: 'tool_call'; value: string }
+  | { type: 'contains'; value: string }
+  | { type: 'not_contains'; value: string }
+  | { type: 'json_schema'; schema: Record<string, unknown> }
+  | { type: 'llm_judge'; value: string };
+
+/** A recorded conversation replayed against an agent's versions to catch regressions. */
+export type TAgentEvalCase = {
+  _id: string;
+  agent_id: string;
+  name: string;
+  /** User messages, sent in order. */
+  turns: string[];
+  assertions: TAgentEvalAssertion[];
+  createdAt?: string;
+  updatedAt?: string;
+};
+
+export type TAgentEvalCaseRequest = Pick<TAgentEvalCase, 'name' | 'turns'> &
+  Partial<Pick<TAgentEvalCase, 'assertions'>>;
+
+/** The outcome of one evaluation case. */
+export type TAgentEvalResult = {
+  caseId: string;
+  caseName: string;
+  /** The agent's reply to the last turn. */
+  output?: string;
+  toolCalls: string[];
+  error?: string;
+  passed: boolean;
+  assertions: Array<{ type: TAgentEvalAssertion['type']; passed: boolean; message?: string }>;
+  durationMs?: number;
+};
+
+export type TAgentEvalRun = {
+  _id: string;
+  agent_id: string;
+  /** The 1-based entry of the agent's `versions` under test, or null for the current saved state. */
+  version: number | null;
+  status: TConversationExportStatus;
+  results: TAgentEvalResult[];
+  summary: { total: number; passed: number; failed: number };
+  error?: string;
+  createdAt?: string;
+  finishedAt?: string;
+};
+
+export type TStartAgentEvalRunRequest = {
+  agent_id: string;
+  /** Defaults to the agent's current saved state. */
+  version?: number;
+};
+
 export type TUpdateConversationRequest = {
   conversationId: string;
   title: string;
@@ -610,6 +760,8 @@ export type TLoginResponse = {
   user?: TUser;
   twoFAPending?: boolean;
   tempToken?: string;
+  /** Whether the pending second factor can be answered with a passkey */
+  passkeyAvailable?: boolean;
 };
 
 /** Shared payload for any operation that requires OTP or backup-code verification. */
@@ -635,6 +787,8 @@ export type TVerify2FAResponse = {
 /** For verifying 2FA during login with a temporary token. */
 export type TVerify2FATempRequest = TOTPVerificationPayload & {
   tempToken: string;
+  /** Passkey assertion, in place of a TOTP or backup code */
+  passkey?: TPasskeyAuthenticationCredential;
 };
 
 export type TVerify2FATempResponse = {
@@ -659,6 +813,109 @@ export type TRegenerateBackupCodesResponse = {
 
 export type TDeleteUserRequest = TOTPVerificationPayload;
 
+/** A passkey registered to the signed-in user. */
+export type TPasskey = {
+  id: string;
+  name: string;
+  backedUp: boolean;
+  transports: string[];
+  createdAt: string;
+  lastUsedAt?: string | null;
+};
+
+export type TPasskeysResponse = {
+  passkeys: TPasskey[];
+};
+
+type TPasskeyDescriptor = {
+  id: string;
+  type: 'public-key';
+  transports?: string[];
+};
+
+/** `PublicKeyCredentialCreationOptionsJSON`, binary fields base64url encoded. */
+export type TPasskeyRegistrationOptions = {
+  challenge: string;
+  rp: { id: string; name: string };
+  user: { id: string; name: string; displayName: string };
+  pubKeyCredParams: Array<{ type: 'public-key'; alg: number }>;
+  timeout?: number;
+  attestation?: 'none';
+  excludeCredentials?: TPasskeyDescriptor[];
+  authenticatorSelection?: {
+    residentKey?: 'required' | 'preferred' | 'discouraged';
+    requireResidentKey?: boolean;
+    userVerification?: 'required' | 'preferred' | 'discouraged';
+  };
+};
+
+/** `PublicKeyCredentialRequestOptionsJSON`, binary fields base64url encoded. */
+export type TPasskeyAuthenticationOptions = {
+  challenge: string;
+  rpId: string;
+  timeout?: number;
+  userVerification?: 'required' | 'preferred' | 'discouraged';
+  allowCredentials?: TPasskeyDescriptor[];
+};
+
+/** A `navigator.credentials.create()` result, binary fields base64url encoded. */
+export type TPasskeyRegistrationCredential = {
+  id: string;
+  rawId: string;
+  type: string;
+  response: {
+    clientDataJSON: string;
+    attestationObject: string;
+    transports?: string[];
+  };
+};
+
+/** A `navigator.credentials.get()` result, binary fields base64url encoded. */
+export type TPasskeyAuthenticationCredential = {
+  id: string;
+  rawId: string;
+  type: string;
+  response: {
+    clientDataJSON: string;
+    authenticatorData: string;
+    signature: string;
+    userHandle?: string | null;
+  };
+};
+
+export type TRegisterPasskeyRequest = {
+  credential: TPasskeyRegistrationCredential;
+  name?: string;
+};
+
+export type TRenamePasskeyRequest = {
+  id: string;
+  name: string;
+};
+
+export type TPasskeyLoginRequest = {
+  credential: TPasskeyAuthenticationCredential;
+};
+
+/** A place the signed-in user is logged in, described from its user agent. */
+export type TAuthSession = {
+  id: string;
+  browser?: string;
+  os?: string;
+  /** `mobile`, `tablet`, etc.; absent for desktop browsers. */
+  deviceType?: string;
+  ip?: string;
+  createdAt?: string;
+  lastUsedAt?: string;
+  expiresAt: string;
+  /** The session making this request. */
+  current: boolean;
+};
+
+export type TAuthSessionsResponse = {
+  sessions: TAuthSession[];
+};
+
 export type TRequestPasswordReset = {
   email: string;
 };
@@ -701,6 +958,107 @@ export type TImportResponse = {
    * The message associated with the response.
    */
   message: string;
+  /** The background job importing the uploaded file. */
+  job: TConversationImportJob;
+};
+
+export type TConversationImportStatus = 'pending' | 'running' | 'completed' | 'failed';
+
+/** A conversation of an import file that was skipped or could not be imported. */
+export type TConversationImportIssue = {
+  /** Position of the entry in the uploaded file. */
+  index: number;
+  status: 'skipped' | 'failed';
+  title?: string;
+  reason: string;
+};
+
+/** A background import of an uploaded export file. */
+export type TConversationImportJob = {
+  id: string;
+  status: TConversationImportStatus;
+  filename: string;
+  /** Entries of the file handled so far. */
+  processedCount: number;
+  /** Conversations saved. */
+  importedCount: number;
+  skippedCount: number;
+  failedCount: number;
+  /** Reasons for the first skipped and failed entries. */
+  issues: TConversationImportIssue[];
+  error?: string;
+  createdAt?: string;
+  finishedAt?: string;
+};
+
+export type TConversationImportJobResponse = {
+  job: TConversationImportJob | null;
+};
+
+/** Which conversations a server-side export covers. Dates are ISO 8601 strings. */
+export type TConversationExportFilter =
+  | { type: 'all' }
+  | { type: 'project'; projectId: string }
+  | { type: 'tag'; tag: string }
+  | { type: 'dateRange'; from?: string; to?: string };
+
+export type TConversationExportStatus = 'pending' | 'running' | 'completed' | 'failed';
+
+/** A server-side export of conversations and their files into a ZIP archive. */
+export type TConversationExportJob = {
+  id: string;
+  status: TConversationExportStatus;
+  filter: {
+    type: TConversationExportFilter['type'];
+    projectId?: string;
+    tag?: string;
+    from?: string;
+    to?: string;
+  };
+  conversationCount: number;
+  fileCount: number;
+  /** Referenced files that could not be read or did not fit in the archive. */
+  skippedFileCount: number;
+  bytes?: number;
+  error?: string;
+  createdAt?: string;
+  finishedAt?: string;
+  /** When the archive is deleted. */
+  expiresAt: string;
+};
+
+export type TConversationExportJobResponse = {
+  job: TConversationExportJob | null;
+};
+
+export type TDataTakeoutStatus = TConversationExportStatus;
+
+/** A self-service export of everything stored about the user into a ZIP archive. */
+export type TDataTakeoutJob = {
+  id: string;
+  status: TDataTakeoutStatus;
+  counts: {
+    conversations: number;
+    messages: number;
+    memories: number;
+    prompts: number;
+    agents: number;
+    presets: number;
+    files: number;
+    /** Files listed in the archive whose contents could not be read or did not fit. */
+    skippedFiles: number;
+    transactions: number;
+  };
+  bytes?: number;
+  error?: string;
+  createdAt?: string;
+  finishedAt?: string;
+  /** When the archive is deleted. */
+  expiresAt: string;
+};
+
+export type TDataTakeoutJobResponse = {
+  job: TDataTakeoutJob | null;
 };
 
 /** Prompts */
@@ -820,6 +1178,60 @@ export type TDeletePromptGroupRequest = {
   id: string;
 };
 
+/** An expectation about a prompt test case's output. */
+export type TPromptTestAssertion =
+  | { type: 'contains'; value: string }
+  | { type: 'regex'; value: string }
+  | { type: 'json_schema'; schema: Record<string, unknown> };
+
+/** Saved inputs for a prompt group, run against a version before it becomes production. */
+export type TPromptTestCase = {
+  _id: string;
+  groupId: string;
+  name: string;
+  /** Values for the prompt's `{{variables}}`, keyed by variable name. */
+  variables: Record<string, string>;
+  assertions: TPromptTestAssertion[];
+  createdAt?: string;
+  updatedAt?: string;
+};
+
+export type TPromptTestCaseRequest = Pick<TPromptTestCase, 'name'> &
+  Partial<Pick<TPromptTestCase, 'variables' | 'assertions'>>;
+
+export type TPromptTestModel = { endpoint: string; model: string };
+
+/** The outcome of one test case on one model. */
+export type TPromptTestResult = TPromptTestModel & {
+  testCaseId: string;
+  testCaseName: string;
+  output?: string;
+  error?: string;
+  passed: boolean;
+  assertions: Array<{ type: TPromptTestAssertion['type']; passed: boolean; message?: string }>;
+  durationMs?: number;
+};
+
+export type TPromptTestRun = {
+  _id: string;
+  groupId: string;
+  /** The prompt version under test. */
+  promptId: string;
+  status: TConversationExportStatus;
+  models: TPromptTestModel[];
+  results: TPromptTestResult[];
+  summary: { total: number; passed: number; failed: number };
+  error?: string;
+  createdAt?: string;
+  finishedAt?: string;
+};
+
+export type TStartPromptTestRunRequest = {
+  groupId: string;
+  promptId: string;
+  models: TPromptTestModel[];
+};
+
 export type TGetCategoriesResponse = TCategory[];
 
 export type TGetRandomPromptsResponse = {
@@ -0,0 +1,67 @@
+export type TAgentTriggerDeliveryStatus = 'staging' | 'pending' | 'leased' | 'succeeded' | 'dead';
+
+export type TAgentTriggerDeliveryError = {
+  code: string;
+  message: string;
+  certainty: 'definite' | 'ambiguous';
+  retryable: boolean;
+  attemptedAt: string;
+  status?: number;
+};
+
+export type TAgentTriggerDeliveryAttempt = {
+  attempt: number;
+  outcome: 'succeeded' | 'retry' | 'dead';
+  at: string;
+  workerId: string;
+  error?: TAgentTriggerDeliveryError;
+};
+
+/** Operator view of a trigger delivery; the rendered input and source payload are never returned. */
+export type TAgentTriggerDelivery = {
+  id: string;
+  deliveryKey: string;
+  status: TAgentTriggerDeliveryStatus;
+  attempts: number;
+  requeueCount: number;
+  user: string;
+  tenantId?: string;
+  orderingKey: string;
+  mode?: 'fire' | 'continue' | 'steer';
+  agentId?: string;
+  source?: { type: string; id: string };
+  event?: { type: string; occurredAt?: number };
+  availableAt?: string;
+  createdAt?: string;
+  updatedAt?: string;
+  settledAt?: string;
+  lastError?: TAgentTriggerDeliveryError;
+  /** Only present on the single-delivery response. */
+  history?: TAgentTriggerDeliveryAttempt[];
+};
+
+export type TAgentTriggerDeliveriesParams = {
+  status?: TAgentTriggerDeliveryStatus;
+  /** Source adapter kind, e.g. `schedule` or `webhook`. */
+  source?: string;
+  agentId?: string;
+  userId?: string;
+  limit?: number;
+  offset?: number;
+};
+
+export type TAgentTriggerDeliveriesResponse = {
+  deliveries: TAgentTriggerDelivery[];
+  total: number;
+  limit: number;
+  offset: number;
+};
+
+export type TAgentTriggerDeliveryResponse = {
+  delivery: TAgentTriggerDelivery;
+};
+
+export type TAgentTriggersAccessResponse = {
+  access: boolean;
+  canManage: boolean;
+};
@@ -96,6 +96,8 @@ export namespace Agents {
       allowed_decisions: ToolApprovalDecisionType[];
       description?: string;
     };
+    /** Set while the MCP server behind this call is waiting on a form from the user. */
+    elicitation?: MCPElicitationToolCallState;
   };
 
   export type ToolEndEvent = {
@@ -335,6 +337,8 @@ export namespace Agents {
       allowed_decisions: ToolApprovalDecisionType[];
       description?: string;
     };
+    /** Elicitation metadata, set while the MCP server is waiting on user input. */
+    elicitation?: MCPElicitationToolCallState;
   };
   export type AgentToolCall = FunctionToolCall | ToolCall;
 
@@ -347,11 +351,14 @@ export namespace Agents {
    * - `ask_user_question`: agent invoked the `AskUserQuestion` tool to gather
    *   clarification; user replies with free-form text (or selects an option).
    *
+   * - `mcp_elicitation`: an MCP server sent `elicitation/create` while one of
+   *   its tools was running; user fills in the server's form, declines, or cancels.
+   *
    * `tool_approval` is a permission gate; `ask_user_question` is a clarification
    * channel — they share the {@link PendingAction} envelope but have different
    * UI affordances and resume payloads.
    */
-  export type HumanInterruptType = 'tool_approval' | 'ask_user_question';
+  export type HumanInterruptType = 'tool_approval' | 'ask_user_question' | 'mcp_elicitation';
 
   /** String enum of decision kinds the user can make on a paused tool call. */
   export type ToolApprovalDecisionType = 'approve' | 'reject' | 'edit' | 'respond';
@@ -438,13 +445,52 @@ export namespace Agents {
     tool_call_id?: string;
   }
 
+  /** One field of an MCP elicitation form; the spec limits these to flat primitives. */
+  export interface MCPElicitationField {
+    type: 'string' | 'number' | 'integer' | 'boolean';
+    title?: string;
+    description?: string;
+    /** Allowed values for a string field; `enumNames` holds their display labels. */
+    enum?: string[];
+    enumNames?: string[];
+    format?: 'email' | 'uri' | 'date' | 'date-time';
+    minLength?: number;
+    maxLength?: number;
+    minimum?: number;
+    maximum?: number;
+    default?: string | number | boolean;
+  }
+
+  /** The `requestedSchema` of an `elicitation/create` request. */
+  export interface MCPElicitationSchema {
+    type: 'object';
+    properties: Record<string, MCPElicitationField>;
+    required?: string[];
+  }
+
+  /**
+   * Interrupt payload for an MCP elicitation. Raised by the host rather than the
+   * SDK: the tool call stays in flight while the user answers, and the answer is
+   * returned to the MCP server instead of resuming the graph.
+   */
+  export interface MCPElicitationInterruptPayload {
+    type: 'mcp_elicitation';
+    serverName: string;
+    message: string;
+    requestedSchema: MCPElicitationSchema;
+    /** The MCP tool call that was running when the server asked */
+    tool_call_id?: string;
+  }
+
   /**
    * Discriminated by `type`. Mirrors `@librechat/agents`'s `HumanInterruptPayload`
-   * so the SDK's `Run.getInterrupt()` output can be embedded directly.
+   * so the SDK's `Run.getInterrupt()` output can be embedded directly; the
+   * host-only `mcp_elicitation` variant is never produced by the SDK.
    */
   export type HumanInterruptPayload =
     | ToolApprovalInterruptPayload
-    | AskUserQuestionInterruptPayload;
+    | AskUserQuestionInterruptPayload
+    | MCPElicitationInterruptPayload;
 
   /**
    * Server-side record of a job that is waiting for user input.
@@ -528,6 +574,20 @@ export namespace Agents {
     answers: Record<string, string>;
   }
 
+  /** Wire format for an MCP elicitation response; `content` is required to accept. */
+  export interface MCPElicitationResolution {
+    action: 'accept' | 'decline' | 'cancel';
+    content?: Record<string, string | number | boolean>;
+  }
+
+  /** Client-side tag on the tool call an elicitation belongs to. */
+  export interface MCPElicitationToolCallState {
+    actionId: string;
+    serverName: string;
+    message: string;
+    requestedSchema: MCPElicitationSchema;
+  }
+
   export interface ExtendedMessageContent {
     type?: string;
     text?: string;
@@ -0,0 +1,72 @@
+/** Where an artifact version came from: a model response, or a manual edit of the code. */
+export type TArtifactVersionSource = 'message' | 'edit';
+
+/** An artifact kept in the library, independent of the messages that produced it. */
+export type TLibraryArtifact = {
+  _id: string;
+  /** The identifier the model gave the artifact; reused to iterate on it. */
+  identifier: string;
+  title: string;
+  type: string;
+  language?: string;
+  author: string;
+  authorName?: string;
+  latestVersion: number;
+  isPublic: boolean;
+  createdAt: string;
+  updatedAt: string;
+};
+
+/** A version in an artifact's history, without its content. */
+export type TArtifactVersionSummary = {
+  version: number;
+  title: string;
+  type: string;
+  language?: string;
+  source: TArtifactVersionSource;
+  conversationId?: string;
+  messageId?: string;
+  author: string;
+  createdAt: string;
+};
+
+export type TArtifactVersion = TArtifactVersionSummary & {
+  artifactId: string;
+  content: string;
+};
+
+/** Query params for GET `/api/artifacts`. */
+export type TArtifactListRequest = {
+  search?: string;
+  limit?: number;
+  cursor?: string;
+};
+
+/** Paginated list response. `after` is the cursor to pass for the next page. */
+export type TArtifactListResponse = {
+  artifacts: TLibraryArtifact[];
+  has_more: boolean;
+  after: string | null;
+};
+
+/** Response from GET `/api/artifacts/:id`: the artifact with its latest version. */
+export type TArtifactResponse = TLibraryArtifact & {
+  content: string;
+};
+
+/** Response from GET `/api/artifacts/:id/versions`. */
+export type TArtifactVersionsResponse = {
+  versions: TArtifactVersionSummary[];
+};
+
+/** Body of POST `/api/artifacts/:id/versions`. */
+export type TCreateArtifactVersion = {
+  content: string;
+  title?: string;
+};
+
+/** Response from DELETE `/api/artifacts/:id`. */
+export type TDeleteArtifactResponse = {
+  id: string;
+  deleted: true;
+};
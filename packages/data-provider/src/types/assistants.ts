@@ -307,6 +307,21 @@ export type AgentSubagentsConfig = {
   graphs?: AgentSubagentGraph[];
 };
 
+/**
+ * JSON Schema an agent's final answer must satisfy. Providers with native structured
+ * output receive it as `response_format`; others are prompted with it and their answer
+ * is validated, with repair retries.
+ */
+export type AgentResponseFormat = {
+  /** Schema name sent to providers; letters, digits, `_` and `-`, up to 64 characters. */
+  name: string;
+  description?: string;
+  /** JSON Schema with an object root. */
+  schema: Record<string, unknown>;
+  /** Requests strict schema adherence from providers that support it. */
+  strict?: boolean;
+};
+
 export type Agent = {
   _id?: string;
   id: string;
@@ -368,6 +383,11 @@ export type Agent = {
   subagents?: AgentSubagentsConfig;
   /** Memory partition: `agent` isolates memories per (user, agent); default shared pool */
   memory_scope?: MemoryScope;
+  /** Structured output: the JSON Schema the agent's final answer must satisfy. */
+  response_format?: AgentResponseFormat | null;
+  /** Published version labels (e.g. `stable`) mapped to 1-based version numbers.
+   *  Remote API callers select one with `model: "<agent_id>@<label>"`. */
+  version_labels?: Record<string, number>;
 };
 
 export type TAgentsMap = Record<string, Agent | undefined>;
@@ -399,6 +419,7 @@ export type AgentCreateParams = {
   | 'skills_enabled'
   | 'subagents'
   | 'memory_scope'
+  | 'response_format'
 >;
 
 export type AgentUpdateParams = {
@@ -429,6 +450,7 @@ export type AgentUpdateParams = {
   | 'skills_enabled'
   | 'subagents'
   | 'memory_scope'
+  | 'response_format'
 >;
 
 export type AgentListParams = {
@@ -449,6 +471,33 @@ export type AgentListResponse = {
   after?: string;
 };
 
+/** What an agent bundle import created, and what it left out. */
+export type TAgentBundleImportResponse = {
+  /** Id of the imported copy of the bundle's exported agent. */
+  agent_id: string;
+  agents: Array<{ source_id: string; id: string; name?: string }>;
+  /** `reused` when the user already had a skill with the bundled skill's name. */
+  skills: Array<{ source_id: string; id: string; name: string; reused: boolean }>;
+  /** Imported actions that need credentials before they work; bundles carry none. */
+  needs_auth: Array<{
+    action_id: string;
+    domain: string;
+    auth_type: string;
+    agent_id: string;
+    agent_name?: string;
+  }>;
+  /** What the export left out of the bundle. */
+  not_exported: { agents: string[]; skills: string[]; files: string[] };
+  /** What could not be recreated on this instance. */
+  skipped: {
+    agents: string[];
+    skills: string[];
+    files: string[];
+    actions: Array<{ domain: string; reason: string }>;
+    tools: string[];
+  };
+};
+
 export type AgentFile = {
   file_id: string;
   id?: string;
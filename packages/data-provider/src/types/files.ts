@@ -16,6 +16,7 @@ export enum FileSources {
   vertexai_mistral_ocr = 'vertexai_mistral_ocr',
   text = 'text',
   document_parser = 'document_parser',
+  mcp = 'mcp',
 }
 
 export const checkOpenAIStorage = (source: string) =>
@@ -107,6 +108,13 @@ export type FileConfigInput = {
   checkType?: (fileType: string, supportedTypes: RegexLike[]) => boolean;
 };
 
+export type TMCPResourceRef = {
+  serverName: string;
+  uri: string;
+  /** Whether the text is refreshed on later turns after the server reports an update */
+  subscribed: boolean;
+};
+
 export type TFile = {
   _id?: string;
   __v?: number;
@@ -165,6 +173,8 @@ export type TFile = {
      */
     codeEnvRef?: CodeEnvRef;
     codeEnvRefs?: CodeEnvRefMap;
+    /** Origin of a file attached from an MCP server resource (`source: mcp`). */
+    mcpResource?: TMCPResourceRef;
   };
   createdAt?: string | Date;
   updatedAt?: string | Date;
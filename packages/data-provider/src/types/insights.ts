@@ -1,8 +1,11 @@
+import type { TFeedbackRating, TFeedbackTagKey } from '../feedback';
+
 export type InsightsRange = '24h' | '7d' | '30d' | 'custom';
 
 export const INSIGHTS_MAX_RANGE_DAYS = 30;
 export const INSIGHTS_SEARCH_MIN_LENGTH = 3;
 export const INSIGHTS_SEARCH_MAX_LENGTH = 200;
+export const INSIGHTS_FILTER_MAX_LENGTH = 200;
 export type TInsightsParams = {
   range?: InsightsRange;
   fromTimestamp?: string;
@@ -11,6 +14,16 @@ export type TInsightsParams = {
   search?: string;
   page?: number;
   pageSize?: number;
+  /** Usage filters; they narrow `usage`, not the activity summary. */
+  endpoint?: string;
+  model?: string;
+  agentId?: string;
+  /** `kind:key` of a feedback source; narrows the feedback trend and rated messages. */
+  feedbackSource?: string;
+  /** Rated-message filters; they narrow only the drill-down list. */
+  feedbackRating?: TFeedbackRating;
+  feedbackTag?: TFeedbackTagKey;
+  feedbackPage?: number;
 };
 
 export type TInsightsDailyPoint = {
@@ -52,9 +65,109 @@ export type TInsightsSummary = {
   totalTokens: number;
 };
 
+export type TInsightsUsageDailyPoint = {
+  date: string;
+  messages: number;
+  totalTokens: number;
+  /** Estimated spend in USD */
+  cost: number;
+};
+
+export type TInsightsUsageTotals = {
+  /** Responses that recorded token spend */
+  messages: number;
+  promptTokens: number;
+  completionTokens: number;
+  totalTokens: number;
+  /** Estimated spend in USD */
+  cost: number;
+};
+
+export type TInsightsUsageRow = TInsightsUsageTotals & {
+  key: string;
+  label: string;
+  daily: TInsightsUsageDailyPoint[];
+};
+
+export type TInsightsUsageOption = {
+  value: string;
+  label: string;
+};
+
+/** Token spend from the transaction log, broken down by endpoint, model, and agent. */
+export type TInsightsUsage = {
+  totals: TInsightsUsageTotals;
+  daily: TInsightsUsageDailyPoint[];
+  endpoints: TInsightsUsageRow[];
+  models: TInsightsUsageRow[];
+  agents: TInsightsUsageRow[];
+  /** Every value seen in the range, ignoring the active filters */
+  options: {
+    endpoints: TInsightsUsageOption[];
+    models: TInsightsUsageOption[];
+    agents: TInsightsUsageOption[];
+  };
+};
+
+export type TInsightsFeedbackDailyPoint = {
+  date: string;
+  /** Assistant responses created that day, rated or not */
+  responses: number;
+  thumbsUp: number;
+  thumbsDown: number;
+};
+
+export type TInsightsFeedbackTotals = Omit<TInsightsFeedbackDailyPoint, 'date'>;
+
+/** Agent responses are attributed to the agent; everything else to its model. */
+export type TInsightsFeedbackSourceKind = 'agent' | 'model';
+
+export type TInsightsFeedbackSource = TInsightsFeedbackTotals & {
+  /** `kind:key`, as accepted by `feedbackSource` */
+  id: string;
+  kind: TInsightsFeedbackSourceKind;
+  key: string;
+  label: string;
+  /** Thumbs-down ratings per reason tag */
+  reasons: Partial<Record<TFeedbackTagKey, number>>;
+};
+
+export type TInsightsRatedMessage = {
+  messageId: string;
+  conversationId: string;
+  date: string;
+  userId: string;
+  name: string;
+  email: string;
+  source: Pick<TInsightsFeedbackSource, 'id' | 'kind' | 'key' | 'label'>;
+  rating: TFeedbackRating;
+  tag?: TFeedbackTagKey;
+  /** The rater's comment; omitted when content is redacted */
+  comment?: string;
+  /** The rated response; omitted when content is redacted */
+  text?: string;
+};
+
+export type TInsightsFeedback = {
+  totals: TInsightsFeedbackTotals;
+  daily: TInsightsFeedbackDailyPoint[];
+  sources: TInsightsFeedbackSource[];
+  messages: {
+    items: TInsightsRatedMessage[];
+    total: number;
+    page: number;
+    pageSize: number;
+    pages: number;
+    /** True when the caller may not read message content, or the deployment redacts it */
+    redacted: boolean;
+  };
+};
+
 export type TInsightsResponse = {
   summary: TInsightsSummary;
   daily: TInsightsDailyPoint[];
+  usage: TInsightsUsage;
+  feedback: TInsightsFeedback;
   topUsers: TInsightsUser[];
   churnedUsers: TInsightsChurnedUser[];
   latest: {
@@ -1,4 +1,5 @@
 import type { MCPOptions, MCPServerUserInput } from '../mcp';
+import type { TFile } from './files';
 
 /**
  * Base MCP Server interface
@@ -79,3 +80,66 @@ export interface MCPOAuthStatusResponse {
   failed: boolean;
   error?: string;
 }
+
+export interface MCPPromptArgument {
+  name: string;
+  description?: string;
+  required?: boolean;
+}
+
+/** A prompt declared by one of the user's connected MCP servers */
+export interface MCPServerPrompt {
+  serverName: string;
+  name: string;
+  title?: string;
+  description?: string;
+  arguments?: MCPPromptArgument[];
+}
+
+export interface MCPPromptsResponse {
+  prompts: MCPServerPrompt[];
+}
+
+export interface MCPGetPromptParams {
+  serverName: string;
+  name: string;
+  arguments?: Record<string, string>;
+}
+
+/** A resolved `prompts/get` result, flattened to the text inserted into the chat input */
+export interface MCPGetPromptResponse {
+  serverName: string;
+  name: string;
+  description?: string;
+  content: string;
+}
+
+/** A resource exposed by one of the user's connected MCP servers */
+export interface MCPServerResource {
+  serverName: string;
+  uri: string;
+  name: string;
+  title?: string;
+  description?: string;
+  mimeType?: string;
+  size?: number;
+  /** Whether the server can notify on updates, so attached context can refresh */
+  subscribable: boolean;
+}
+
+export interface MCPResourcesResponse {
+  resources: MCPServerResource[];
+}
+
+export interface MCPAttachResourceParams {
+  serverName: string;
+  uri: string;
+  /** Display name stored as the attachment's filename; defaults to the URI */
+  name?: string;
+  /** Re-read the resource on later turns when the server reports it changed */
+  subscribe?: boolean;
+  conversationId?: string;
+  isTemporary?: boolean;
+}
+
+export type MCPAttachResourceResponse = TFile;
@@ -21,6 +21,7 @@ import {
   Agent,
   AgentCreateParams,
   AgentUpdateParams,
+  TAgentBundleImportResponse,
 } from './assistants';
 import { Action, ActionMetadata } from './agents';
 import * as p from '../permissions';
@@ -159,6 +160,8 @@ export type DuplicateAgentMutationOptions = MutationOptions<
   Pick<DuplicateAgentBody, 'agent_id'>
 >;
 
+export type ImportAgentBundleOptions = MutationOptions<TAgentBundleImportResponse, FormData>;
+
 export type DeleteAgentBody = {
   agent_id: string;
 };
@@ -185,6 +188,22 @@ export type RevertAgentVersionVariables = {
 
 export type RevertAgentVersionOptions = MutationOptions<Agent, RevertAgentVersionVariables>;
 
+export type SetAgentVersionLabelVariables = {
+  agent_id: string;
+  label: string;
+  /** 1-based version number, or null to remove the label. */
+  version: number | null;
+};
+
+export type SetAgentVersionLabelResponse = {
+  version_labels: Record<string, number>;
+};
+
+export type SetAgentVersionLabelOptions = MutationOptions<
+  SetAgentVersionLabelResponse,
+  SetAgentVersionLabelVariables
+>;
+
 export type DeleteConversationOptions = MutationOptions<
   types.TDeleteConversationResponse,
   types.TDeleteConversationRequest
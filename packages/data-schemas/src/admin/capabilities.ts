@@ -25,7 +25,12 @@ export const SystemCapabilities = {
   MANAGE_CONFIGS: 'manage:configs',
   ASSIGN_CONFIGS: 'assign:configs',
   READ_USAGE: 'read:usage',
+  /** View group and tenant token budgets and their spend for the current month. */
+  READ_BUDGETS: 'read:budgets',
+  MANAGE_BUDGETS: 'manage:budgets',
   READ_INSIGHTS: 'read:insights',
+  /** See message text and rater comments in the Insights feedback drill-down. */
+  READ_INSIGHTS_CONTENT: 'read:insights_content',
   READ_AGENTS: 'read:agents',
   MANAGE_AGENTS: 'manage:agents',
   MANAGE_MCP_SERVERS: 'manage:mcpservers',
@@ -35,6 +40,8 @@ export const SystemCapabilities = {
   MANAGE_SKILLS: 'manage:skills',
   READ_SHARED_LINKS: 'read:sharedlinks',
   MANAGE_SHARED_LINKS: 'manage:sharedlinks',
+  READ_ARTIFACTS: 'read:artifacts',
+  MANAGE_ARTIFACTS: 'manage:artifacts',
   /** Reserved — not yet enforced by any middleware. */
   READ_ASSISTANTS: 'read:assistants',
   MANAGE_ASSISTANTS: 'manage:assistants',
@@ -44,6 +51,10 @@ export const SystemCapabilities = {
    * would defeat the forensic guarantee.
    */
   READ_AUDIT_LOG: 'read:audit_log',
+  /** Inspect durable agent trigger deliveries (schedules, webhooks) and their attempt history. */
+  READ_AGENT_TRIGGERS: 'read:agent_triggers',
+  /** Requeue or delete agent trigger dead letters. Every action is written to the audit log. */
+  MANAGE_AGENT_TRIGGERS: 'manage:agent_triggers',
 } as const;
 
 /** Base capabilities derived from the SystemCapabilities constant. */
@@ -89,11 +100,14 @@ export const CapabilityImplications: Partial<Record<BaseSystemCapability, BaseSy
     [SystemCapabilities.MANAGE_GROUPS]: [SystemCapabilities.READ_GROUPS],
     [SystemCapabilities.MANAGE_ROLES]: [SystemCapabilities.READ_ROLES],
     [SystemCapabilities.MANAGE_CONFIGS]: [SystemCapabilities.READ_CONFIGS],
+    [SystemCapabilities.MANAGE_BUDGETS]: [SystemCapabilities.READ_BUDGETS],
     [SystemCapabilities.MANAGE_AGENTS]: [SystemCapabilities.READ_AGENTS],
     [SystemCapabilities.MANAGE_PROMPTS]: [SystemCapabilities.READ_PROMPTS],
     [SystemCapabilities.MANAGE_SKILLS]: [SystemCapabilities.READ_SKILLS],
     [SystemCapabilities.MANAGE_SHARED_LINKS]: [SystemCapabilities.READ_SHARED_LINKS],
+    [SystemCapabilities.MANAGE_ARTIFACTS]: [SystemCapabilities.READ_ARTIFACTS],
     [SystemCapabilities.MANAGE_ASSISTANTS]: [SystemCapabilities.READ_ASSISTANTS],
+    [SystemCapabilities.MANAGE_AGENT_TRIGGERS]: [SystemCapabilities.READ_AGENT_TRIGGERS],
   };
 
 // ---------------------------------------------------------------------------
@@ -182,6 +196,7 @@ export const ResourceCapabilityMap: Record<ResourceType, SystemCapability> = {
   [ResourceType.REMOTE_AGENT]: SystemCapabilities.MANAGE_AGENTS,
   [ResourceType.SKILL]: SystemCapabilities.MANAGE_SKILLS,
   [ResourceType.SHARED_LINK]: SystemCapabilities.MANAGE_SHARED_LINKS,
+  [ResourceType.ARTIFACT]: SystemCapabilities.MANAGE_ARTIFACTS,
 };
 
 /**
@@ -254,6 +269,8 @@ export const CAPABILITY_CATEGORIES: CapabilityCategory[] = [
       SystemCapabilities.MANAGE_MCP_SERVERS,
       SystemCapabilities.MANAGE_SHARED_LINKS,
       SystemCapabilities.READ_SHARED_LINKS,
+      SystemCapabilities.MANAGE_ARTIFACTS,
+      SystemCapabilities.READ_ARTIFACTS,
     ],
   },
   {
@@ -262,8 +279,13 @@ export const CAPABILITY_CATEGORIES: CapabilityCategory[] = [
     capabilities: [
       SystemCapabilities.ACCESS_ADMIN,
       SystemCapabilities.READ_USAGE,
+      SystemCapabilities.MANAGE_BUDGETS,
+      SystemCapabilities.READ_BUDGETS,
       SystemCapabilities.READ_INSIGHTS,
+      SystemCapabilities.READ_INSIGHTS_CONTENT,
       SystemCapabilities.READ_AUDIT_LOG,
+      SystemCapabilities.MANAGE_AGENT_TRIGGERS,
+      SystemCapabilities.READ_AGENT_TRIGGERS,
     ],
   },
 ];
@@ -54,6 +54,7 @@ let updateAgent: AgentMethods['updateAgent'];
 let deleteAgent: AgentMethods['deleteAgent'];
 let deleteUserAgents: AgentMethods['deleteUserAgents'];
 let revertAgentVersion: AgentMethods['revertAgentVersion'];
+let setAgentVersionLabel: AgentMethods['setAgentVersionLabel'];
 let addAgentResourceFile: AgentMethods['addAgentResourceFile'];
 let removeAgentResourceFiles: AgentMethods['removeAgentResourceFiles'];
 let removeAgentResourceFilesFromAllAgents: AgentMethods['removeAgentResourceFilesFromAllAgents'];
@@ -101,6 +102,7 @@ beforeAll(async () => {
   deleteAgent = methods.deleteAgent;
   deleteUserAgents = methods.deleteUserAgents;
   revertAgentVersion = methods.revertAgentVersion;
+  setAgentVersionLabel = methods.setAgentVersionLabel;
   addAgentResourceFile = methods.addAgentResourceFile;
   removeAgentResourceFiles = methods.removeAgentResourceFiles;
   removeAgentResourceFilesFromAllAgents = methods.removeAgentResourceFilesFromAllAgents;
@@ -2405,6 +2407,49 @@ describe('Agent Methods', () => {
       expect(revertedAgent.description).toBe('Original description');
     });
 
+    test('should move version labels without recording a version', async () => {
+      const agentId = `agent_${uuidv4()}`;
+      await createAgent({
+        id: agentId,
+        name: 'Labeled Agent',
+        provider: 'test',
+        model: 'test-model',
+        author: new mongoose.Types.ObjectId(),
+      });
+      await updateAgent({ id: agentId }, { instructions: 'Second version' });
+
+      let agent = await setAgentVersionLabel({ id: agentId }, 'stable', 1);
+      expect(agent?.version_labels).toEqual({ stable: 1 });
+      expect(agent?.versions).toHaveLength(2);
+
+      agent = await setAgentVersionLabel({ id: agentId }, 'stable', 2);
+      expect(agent?.version_labels).toEqual({ stable: 2 });
+
+      await updateAgent({ id: agentId }, { instructions: 'Third version' });
+      agent = await getAgent({ id: agentId });
+      expect(agent?.versions).toHaveLength(3);
+      expect(agent?.versions?.[2]).not.toHaveProperty('version_labels');
+      expect(agent?.version_labels).toEqual({ stable: 2 });
+
+      agent = await setAgentVersionLabel({ id: agentId }, 'stable', null);
+      expect(agent?.version_labels).toEqual({});
+    });
+
+    test('should not label a version that does not exist', async () => {
+      const agentId = `agent_${uuidv4()}`;
+      await createAgent({
+        id: agentId,
+        name: 'Labeled Agent',
+        provider: 'test',
+        model: 'test-model',
+        author: new mongoose.Types.ObjectId(),
+      });
+
+      expect(await setAgentVersionLabel({ id: agentId }, 'stable', 2)).toBeNull();
+      const agent = await getAgent({ id: agentId });
+      expect(agent?.version_labels).toBeUndefined();
+    });
+
     test('should prune deleted skill ids when reverting to an older version', async () => {
       const agentId = `agent_${uuidv4()}`;
       const authorId = new mongoose.Types.ObjectId();
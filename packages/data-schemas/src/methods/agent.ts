@@ -92,6 +92,14 @@ function createEdgeCleanupPipeline(agentIds: string[]): PipelineStage[] {
   ];
 }
 
+/** Removes the evaluation cases and runs of deleted agents. */
+async function deleteAgentEvals(mongoose: typeof import('mongoose'), agentIds: string[]) {
+  const AgentEvalCase = mongoose.models.AgentEvalCase as Model<unknown> | undefined;
+  const AgentEvalRun = mongoose.models.AgentEvalRun as Model<unknown> | undefined;
+  const filter = { agent_id: { $in: agentIds } };
+  await Promise.all([AgentEvalCase?.deleteMany(filter), AgentEvalRun?.deleteMany(filter)]);
+}
+
 /** Removes deleted agent references from every active graph that contains them. */
 async function removeAgentIdsFromEdges(Agent: Model<IAgent>, agentIds: string[]): Promise<void> {
   if (agentIds.length === 0) {
@@ -277,6 +285,7 @@ function isDuplicateVersion(
     'updated_at',
     '__v',
     'versions',
+    'version_labels',
     'actionsHash',
   ];
 
@@ -470,6 +479,11 @@ export function createAgentMethods(
     searchParameter: FilterQuery<IAgent>,
     versionIndex: number,
   ) => Promise<IAgent>;
+  setAgentVersionLabel: (
+    searchParameter: FilterQuery<IAgent>,
+    label: string,
+    version: number | null,
+  ) => Promise<IAgent | null>;
   countPromotedAgents: () => Promise<number>;
   addAgentResourceFile: ({
     agent_id,
@@ -677,7 +691,15 @@ export function createAgentMethods(
     const currentAgent = await Agent.findOne(searchParameter);
     if (currentAgent) {
       const currentObject = currentAgent.toObject() as unknown as Record<string, unknown>;
-      const { __v, _id, id: __id, versions, author: _author, ...versionData } = currentObject;
+      const {
+        __v,
+        _id,
+        id: __id,
+        versions,
+        author: _author,
+        version_labels: _versionLabels,
+        ...versionData
+      } = currentObject;
       const { $push, $pull, $addToSet, ...directUpdates } = updateData;
 
       /** Self-heal: drop allowlist ids whose skill no longer exists in the
@@ -981,6 +1003,11 @@ export function createAgentMethods(
       } catch (error) {
         logger.error('[deleteAgent] Error removing agent from user favorites', error);
       }
+      try {
+        await deleteAgentEvals(mongoose, [(agent as unknown as { id: string }).id]);
+      } catch (error) {
+        logger.error('[deleteAgent] Error removing agent evaluations', error);
+      }
     }
     return agent ? (agent.toObject() as IAgent) : null;
   }
@@ -1055,6 +1082,12 @@ export function createAgentMethods(
         logger.error('[deleteUserAgents] Error removing agents from user favorites', error);
       }
 
+      try {
+        await deleteAgentEvals(mongoose, agentIds);
+      } catch (error) {
+        logger.error('[deleteUserAgents] Error removing agent evaluations', error);
+      }
+
       await Agent.deleteMany({ _id: { $in: agentObjectIds } });
     } catch (error) {
       logger.error('[deleteUserAgents] General error:', error);
@@ -1205,6 +1238,7 @@ export function createAgentMethods(
     delete revertToVersion.versions;
     delete revertToVersion.author;
     delete revertToVersion.updatedBy;
+    delete revertToVersion.version_labels;
 
     /** Version snapshots can predate skill deletions; restoring one verbatim
      *  would resurrect dangling allowlist ids that scope the catalog to
@@ -1231,6 +1265,31 @@ export function createAgentMethods(
     return revertedAgent;
   }
 
+  /**
+   * Points a published version label at a 1-based version number, or removes the
+   * label when `version` is null. Labels live outside `versions`, so moving one
+   * never records a new version. Returns null when the agent or version is missing.
+   */
+  async function setAgentVersionLabel(
+    searchParameter: FilterQuery<IAgent>,
+    label: string,
+    version: number | null,
+  ): Promise<IAgent | null> {
+    const Agent = mongoose.models.Agent as Model<IAgent>;
+    if (version == null) {
+      return await Agent.findOneAndUpdate(
+        searchParameter,
+        { $unset: { [`version_labels.${label}`]: 1 } },
+        { new: true },
+      ).lean<IAgent>();
+    }
+    return await Agent.findOneAndUpdate(
+      { ...searchParameter, [`versions.${version - 1}`]: { $exists: true } },
+      { $set: { [`version_labels.${label}`]: version } },
+      { new: true },
+    ).lean<IAgent>();
+  }
+
   /**
    * Counts the number of promoted agents.
    */
@@ -1270,6 +1329,7 @@ export function createAgentMethods(
     deleteAgent,
     deleteUserAgents,
     revertAgentVersion,
+    setAgentVersionLabel,
     countPromotedAgents,
     addAgentResourceFile,
     getListAgentsByAccess,
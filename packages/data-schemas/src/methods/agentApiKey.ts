@@ -15,7 +15,7 @@ export function createAgentApiKeyMethods(mongoose: typeof import('mongoose')): {
   createAgentApiKey: (data: AgentApiKeyCreateData) => Promise<AgentApiKeyCreateResult>;
   validateAgentApiKey: (
     apiKey: string,
-  ) => Promise<{ userId: Types.ObjectId; keyId: Types.ObjectId } | null>;
+  ) => Promise<{ userId: Types.ObjectId; keyId: Types.ObjectId; versionLabel?: string } | null>;
   listAgentApiKeys: (userId: string | Types.ObjectId) => Promise<AgentApiKeyListItem[]>;
   deleteAgentApiKey: (
     keyId: string | Types.ObjectId,
@@ -45,6 +45,7 @@ export function createAgentApiKeyMethods(mongoose: typeof import('mongoose')): {
         name: data.name,
         keyHash,
         keyPrefix,
+        versionLabel: data.versionLabel || undefined,
         expiresAt: data.expiresAt || undefined,
       });
 
@@ -53,6 +54,7 @@ export function createAgentApiKeyMethods(mongoose: typeof import('mongoose')): {
         name: apiKeyDoc.name,
         keyPrefix,
         key,
+        versionLabel: apiKeyDoc.versionLabel,
         createdAt: apiKeyDoc.createdAt,
         expiresAt: apiKeyDoc.expiresAt,
       };
@@ -64,7 +66,7 @@ export function createAgentApiKeyMethods(mongoose: typeof import('mongoose')): {
 
   async function validateAgentApiKey(
     apiKey: string,
-  ): Promise<{ userId: Types.ObjectId; keyId: Types.ObjectId } | null> {
+  ): Promise<{ userId: Types.ObjectId; keyId: Types.ObjectId; versionLabel?: string } | null> {
     try {
       const AgentApiKey = mongoose.models.AgentApiKey;
       const keyHash = await hashToken(apiKey);
@@ -84,6 +86,7 @@ export function createAgentApiKeyMethods(mongoose: typeof import('mongoose')): {
       return {
         userId: keyDoc.userId,
         keyId: keyDoc._id as Types.ObjectId,
+        versionLabel: keyDoc.versionLabel,
       };
     } catch (error) {
       logger.error('[validateAgentApiKey] Error validating API key:', error);
@@ -102,6 +105,7 @@ export function createAgentApiKeyMethods(mongoose: typeof import('mongoose')): {
         id: (key._id as Types.ObjectId).toString(),
         name: key.name,
         keyPrefix: key.keyPrefix,
+        versionLabel: key.versionLabel,
         lastUsedAt: key.lastUsedAt,
         expiresAt: key.expiresAt,
         createdAt: key.createdAt,
@@ -156,6 +160,7 @@ export function createAgentApiKeyMethods(mongoose: typeof import('mongoose')): {
         id: (keyDoc._id as Types.ObjectId).toString(),
         name: keyDoc.name,
         keyPrefix: keyDoc.keyPrefix,
+        versionLabel: keyDoc.versionLabel,
         lastUsedAt: keyDoc.lastUsedAt,
         expiresAt: keyDoc.expiresAt,
         createdAt: keyDoc.createdAt,
@@ -0,0 +1,143 @@
+import mongoose from 'mongoose';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+import type { IAgentEvalCase, IAgentEvalRun } from '~/types';
+import { createAgentEvalMethods, type AgentEvalMethods } from './agentEval';
+import { createModels } from '~/models';
+
+jest.mock('~/config/winston', () => ({
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn(),
+  debug: jest.fn(),
+}));
+
+let mongoServer: InstanceType<typeof MongoMemoryServer>;
+let AgentEvalCase: mongoose.Model<IAgentEvalCase>;
+let AgentEvalRun: mongoose.Model<IAgentEvalRun>;
+let methods: AgentEvalMethods;
+let modelsToCleanup: string[] = [];
+
+const userId = new mongoose.Types.ObjectId().toString();
+const agentId = 'agent_support';
+const otherAgentId = 'agent_other';
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+
+  const createdModels = createModels(mongoose);
+  modelsToCleanup = Object.keys(createdModels);
+  Object.assign(mongoose.models, createdModels);
+
+  AgentEvalCase = mongoose.models.AgentEvalCase as mongoose.Model<IAgentEvalCase>;
+  AgentEvalRun = mongoose.models.AgentEvalRun as mongoose.Model<IAgentEvalRun>;
+  methods = createAgentEvalMethods(mongoose);
+
+  await mongoose.connect(mongoUri);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+
+  for (const modelName of modelsToCleanup) {
+    if (mongoose.models[modelName]) {
+      delete mongoose.models[modelName];
+    }
+  }
+});
+
+afterEach(async () => {
+  await AgentEvalCase.deleteMany({});
+  await AgentEvalRun.deleteMany({});
+});
+
+describe('agent evaluation cases', () => {
+  it('creates cases with their turns and rubric, scoped to their agent', async () => {
+    const evalCase = await methods.createAgentEvalCase({
+      agent_id: agentId,
+      author: userId,
+      name: 'Refund lookup',
+      turns: ['I want a refund', 'Order 1234'],
+      assertions: [
+        { type: 'tool_call', value: 'lookup_order' },
+        { type: 'json_schema', schema: { type: 'object', required: ['status'] } },
+      ],
+    });
+
+    expect(evalCase.turns).toEqual(['I want a refund', 'Order 1234']);
+    expect(evalCase.assertions[1].schema).toEqual({ type: 'object', required: ['status'] });
+    expect(await methods.getAgentEvalCases(agentId)).toHaveLength(1);
+    expect(await methods.getAgentEvalCases(otherAgentId)).toHaveLength(0);
+    expect(await methods.countAgentEvalCases(agentId)).toBe(1);
+  });
+
+  it('updates and deletes cases only within their agent', async () => {
+    const evalCase = await methods.createAgentEvalCase({
+      agent_id: agentId,
+      author: userId,
+      name: 'Refund lookup',
+      turns: ['I want a refund'],
+      assertions: [],
+    });
+    const id = String(evalCase._id);
+
+    expect(await methods.updateAgentEvalCase(otherAgentId, id, { name: 'Moved' })).toBeNull();
+    const updated = await methods.updateAgentEvalCase(agentId, id, { name: 'Renamed' });
+    expect(updated?.name).toBe('Renamed');
+
+    expect(await methods.deleteAgentEvalCase(otherAgentId, id)).toBe(false);
+    expect(await methods.deleteAgentEvalCase(agentId, 'not-an-id')).toBe(false);
+    expect(await methods.deleteAgentEvalCase(agentId, id)).toBe(true);
+  });
+});
+
+describe('agent evaluation runs', () => {
+  it('creates pending runs for a version and lists the most recent first', async () => {
+    const first = await methods.createAgentEvalRun({ agent_id: agentId, version: 1, user: userId });
+    const second = await methods.createAgentEvalRun({
+      agent_id: agentId,
+      version: null,
+      user: userId,
+    });
+
+    expect(first.status).toBe('pending');
+    expect(first.version).toBe(1);
+    expect(second.version).toBeNull();
+    expect(first.summary).toMatchObject({ total: 0, passed: 0, failed: 0 });
+
+    const runs = await methods.getAgentEvalRuns(agentId);
+    expect(runs.map(({ _id }) => String(_id))).toEqual([String(second._id), String(first._id)]);
+    expect(await methods.getAgentEvalRun(otherAgentId, String(first._id))).toBeNull();
+    expect(await methods.getAgentEvalRun(agentId, 'bad')).toBeNull();
+  });
+
+  it('finds active runs until they go stale or finish', async () => {
+    const run = await methods.createAgentEvalRun({ agent_id: agentId, version: 2, user: userId });
+    const runId = String(run._id);
+
+    expect(
+      await methods.findActiveAgentEvalRun(agentId, new Date(Date.now() - 60_000)),
+    ).not.toBeNull();
+    expect(await methods.findActiveAgentEvalRun(agentId, new Date(Date.now() + 60_000))).toBeNull();
+
+    await methods.updateAgentEvalRun(runId, {
+      status: 'completed',
+      summary: { total: 1, passed: 1, failed: 0 },
+      finishedAt: new Date(),
+    });
+    expect(await methods.findActiveAgentEvalRun(agentId, new Date(Date.now() - 60_000))).toBeNull();
+  });
+
+  it('keeps only the most recent runs of an agent', async () => {
+    for (let i = 0; i < 4; i++) {
+      await methods.createAgentEvalRun({ agent_id: agentId, version: i + 1, user: userId });
+    }
+    await methods.createAgentEvalRun({ agent_id: otherAgentId, version: 1, user: userId });
+
+    expect(await methods.pruneOldAgentEvalRuns(agentId, 2)).toBe(2);
+    expect(await AgentEvalRun.countDocuments({ agent_id: agentId })).toBe(2);
+    expect(await AgentEvalRun.countDocuments({ agent_id: otherAgentId })).toBe(1);
+    expect(await methods.pruneOldAgentEvalRuns(agentId, 2)).toBe(0);
+  });
+});
@@ -0,0 +1,166 @@
+import type { Model } from 'mongoose';
+import type {
+  IAgentEvalRun,
+  IAgentEvalCase,
+  IAgentEvalRunDocument,
+  IAgentEvalCaseDocument,
+} from '~/types/agentEval';
+import { isValidObjectIdString } from '~/utils/objectId';
+
+export type AgentEvalCaseInput = Pick<IAgentEvalCase, 'name' | 'turns' | 'assertions'>;
+
+export interface AgentEvalMethods {
+  getAgentEvalCases: (agentId: string) => Promise<IAgentEvalCase[]>;
+  countAgentEvalCases: (agentId: string) => Promise<number>;
+  createAgentEvalCase: (
+    data: AgentEvalCaseInput & { agent_id: string; author: string },
+  ) => Promise<IAgentEvalCase>;
+  updateAgentEvalCase: (
+    agentId: string,
+    caseId: string,
+    update: Partial<AgentEvalCaseInput>,
+  ) => Promise<IAgentEvalCase | null>;
+  deleteAgentEvalCase: (agentId: string, caseId: string) => Promise<boolean>;
+  createAgentEvalRun: (data: {
+    agent_id: string;
+    version: number | null;
+    user: string;
+  }) => Promise<IAgentEvalRun>;
+  getAgentEvalRun: (agentId: string, runId: string) => Promise<IAgentEvalRun | null>;
+  /** Most recent runs first. */
+  getAgentEvalRuns: (agentId: string, options?: { limit?: number }) => Promise<IAgentEvalRun[]>;
+  /**
+   * A pending or running run of the agent that has made progress since `staleBefore`.
+   * Runs orphaned by a restart stop being updated and age out of this check.
+   */
+  findActiveAgentEvalRun: (agentId: string, staleBefore: Date) => Promise<IAgentEvalRun | null>;
+  updateAgentEvalRun: (
+    runId: string,
+    update: Partial<IAgentEvalRun>,
+  ) => Promise<IAgentEvalRun | null>;
+  /** Keeps the `keep` most recent runs of the agent and deletes the rest. */
+  pruneOldAgentEvalRuns: (agentId: string, keep: number) => Promise<number>;
+}
+
+export function createAgentEvalMethods(mongoose: typeof import('mongoose')): AgentEvalMethods {
+  const evalCaseModel = (): Model<IAgentEvalCaseDocument> =>
+    mongoose.models.AgentEvalCase as Model<IAgentEvalCaseDocument>;
+  const evalRunModel = (): Model<IAgentEvalRunDocument> =>
+    mongoose.models.AgentEvalRun as Model<IAgentEvalRunDocument>;
+
+  async function getAgentEvalCases(agentId: string): Promise<IAgentEvalCase[]> {
+    return evalCaseModel()
+      .find({ agent_id: agentId })
+      .sort({ createdAt: 1, _id: 1 })
+      .lean<IAgentEvalCase[]>();
+  }
+
+  async function countAgentEvalCases(agentId: string): Promise<number> {
+    return evalCaseModel().countDocuments({ agent_id: agentId });
+  }
+
+  async function createAgentEvalCase(
+    data: AgentEvalCaseInput & { agent_id: string; author: string },
+  ): Promise<IAgentEvalCase> {
+    const evalCase = await evalCaseModel().create(data);
+    return evalCase.toObject() as IAgentEvalCase;
+  }
+
+  async function updateAgentEvalCase(
+    agentId: string,
+    caseId: string,
+    update: Partial<AgentEvalCaseInput>,
+  ): Promise<IAgentEvalCase | null> {
+    if (!isValidObjectIdString(caseId)) {
+      return null;
+    }
+    return evalCaseModel()
+      .findOneAndUpdate({ _id: caseId, agent_id: agentId }, { $set: update }, { new: true })
+      .lean<IAgentEvalCase>();
+  }
+
+  async function deleteAgentEvalCase(agentId: string, caseId: string): Promise<boolean> {
+    if (!isValidObjectIdString(caseId)) {
+      return false;
+    }
+    const result = await evalCaseModel().deleteOne({ _id: caseId, agent_id: agentId });
+    return result.deletedCount === 1;
+  }
+
+  async function createAgentEvalRun(data: {
+    agent_id: string;
+    version: number | null;
+    user: string;
+  }): Promise<IAgentEvalRun> {
+    const run = await evalRunModel().create({ ...data, status: 'pending' });
+    return run.toObject() as IAgentEvalRun;
+  }
+
+  async function getAgentEvalRun(agentId: string, runId: string): Promise<IAgentEvalRun | null> {
+    if (!isValidObjectIdString(runId)) {
+      return null;
+    }
+    return evalRunModel().findOne({ _id: runId, agent_id: agentId }).lean<IAgentEvalRun>();
+  }
+
+  async function getAgentEvalRuns(
+    agentId: string,
+    { limit = 20 }: { limit?: number } = {},
+  ): Promise<IAgentEvalRun[]> {
+    return evalRunModel()
+      .find({ agent_id: agentId })
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit)
+      .lean<IAgentEvalRun[]>();
+  }
+
+  async function findActiveAgentEvalRun(
+    agentId: string,
+    staleBefore: Date,
+  ): Promise<IAgentEvalRun | null> {
+    return evalRunModel()
+      .findOne({
+        agent_id: agentId,
+        status: { $in: ['pending', 'running'] },
+        updatedAt: { $gt: staleBefore },
+      })
+      .lean<IAgentEvalRun>();
+  }
+
+  async function updateAgentEvalRun(
+    runId: string,
+    update: Partial<IAgentEvalRun>,
+  ): Promise<IAgentEvalRun | null> {
+    return evalRunModel()
+      .findOneAndUpdate({ _id: runId }, { $set: update }, { new: true })
+      .lean<IAgentEvalRun>();
+  }
+
+  async function pruneOldAgentEvalRuns(agentId: string, keep: number): Promise<number> {
+    const stale = await evalRunModel()
+      .find({ agent_id: agentId })
+      .sort({ createdAt: -1, _id: -1 })
+      .skip(keep)
+      .select('_id')
+      .lean();
+    if (stale.length === 0) {
+      return 0;
+    }
+    const result = await evalRunModel().deleteMany({ _id: { $in: stale.map(({ _id }) => _id) } });
+    return result.deletedCount;
+  }
+
+  return {
+    getAgentEvalCases,
+    countAgentEvalCases,
+    createAgentEvalCase,
+    updateAgentEvalCase,
+    deleteAgentEvalCase,
+    createAgentEvalRun,
+    getAgentEvalRun,
+    getAgentEvalRuns,
+    findActiveAgentEvalRun,
+    updateAgentEvalRun,
+    pruneOldAgentEvalRuns,
+  };
+}
@@ -0,0 +1,182 @@
+import mongoose from 'mongoose';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+import type { Model } from 'mongoose';
+import type { IAgentScheduleDocument } from '~/types/agentSchedule';
+import {
+  createAgentScheduleMethods,
+  type AgentScheduleMethods,
+  type CreateAgentScheduleData,
+} from './agentSchedule';
+import { createAgentScheduleModel } from '../models/agentSchedule';
+
+jest.mock('~/config/winston', () => ({
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const DB_SETUP_TIMEOUT_MS = 60_000;
+const START = new Date('2026-08-17T12:00:00.000Z');
+let mongoServer: MongoMemoryServer;
+let AgentSchedule: Model<IAgentScheduleDocument>;
+let methods: AgentScheduleMethods;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+  AgentSchedule = createAgentScheduleModel(mongoose);
+  await AgentSchedule.init();
+  methods = createAgentScheduleMethods(mongoose);
+}, DB_SETUP_TIMEOUT_MS);
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+}, DB_SETUP_TIMEOUT_MS);
+
+beforeEach(async () => {
+  await AgentSchedule.deleteMany({});
+});
+
+const userId = new mongoose.Types.ObjectId();
+const otherUserId = new mongoose.Types.ObjectId();
+
+function scheduleInput(overrides: Partial<CreateAgentScheduleData> = {}): CreateAgentScheduleData {
+  return {
+    user: userId,
+    name: 'Daily digest',
+    agent_id: 'agent_digest',
+    cron: '0 9 * * *',
+    timezone: 'UTC',
+    input: 'Summarize yesterday',
+    mode: 'fire',
+    enabled: true,
+    missedRunPolicy: 'latest',
+    nextRunAt: START,
+    ...overrides,
+  };
+}
+
+describe('agent schedule CRUD', () => {
+  it('scopes reads, updates and deletes to the owner', async () => {
+    const schedule = await methods.createAgentSchedule(scheduleInput());
+    const id = String(schedule._id);
+
+    expect(await methods.getAgentSchedule(otherUserId, id)).toBeNull();
+    expect(await methods.updateAgentSchedule(otherUserId, id, { name: 'x' })).toBeNull();
+    expect(await methods.deleteAgentSchedule(otherUserId, id)).toBe(false);
+    expect(await methods.getAgentSchedule(userId, 'not-an-id')).toBeNull();
+
+    const listed = await methods.listAgentSchedules(userId, { agentId: 'agent_digest' });
+    expect(listed.map((entry) => String(entry._id))).toEqual([id]);
+    expect(await methods.listAgentSchedules(userId, { agentId: 'agent_other' })).toEqual([]);
+
+    expect(await methods.deleteAgentSchedule(userId, id)).toBe(true);
+    expect(await methods.getAgentSchedule(userId, id)).toBeNull();
+  });
+
+  it('only stores a conversation for continue schedules', async () => {
+    const fire = await methods.createAgentSchedule(scheduleInput({ conversationId: 'convo-1' }));
+    const continued = await methods.createAgentSchedule(
+      scheduleInput({ mode: 'continue', conversationId: 'convo-1' }),
+    );
+
+    expect(fire.conversationId).toBeUndefined();
+    expect(continued.conversationId).toBe('convo-1');
+
+    const switched = await methods.updateAgentSchedule(userId, String(continued._id), {
+      mode: 'fire',
+      conversationId: null,
+    });
+    expect(switched?.mode).toBe('fire');
+    expect(switched?.conversationId).toBeUndefined();
+  });
+
+  it('clears the next run when disabled and the last error on every edit', async () => {
+    const schedule = await methods.createAgentSchedule(scheduleInput());
+    await methods.setAgentScheduleError(schedule._id!, {
+      code: 'ENQUEUE_FAILED',
+      message: 'boom',
+      at: START,
+    });
+
+    const updated = await methods.updateAgentSchedule(userId, String(schedule._id), {
+      enabled: false,
+      nextRunAt: new Date(START.getTime() + 60_000),
+    });
+
+    expect(updated?.enabled).toBe(false);
+    expect(updated?.nextRunAt).toBeNull();
+    expect(updated?.lastError).toBeNull();
+  });
+
+  it('deletes every schedule a user owns', async () => {
+    await methods.createAgentSchedule(scheduleInput());
+    await methods.createAgentSchedule(scheduleInput({ name: 'Weekly report' }));
+    await methods.createAgentSchedule(scheduleInput({ user: otherUserId }));
+
+    await expect(methods.deleteAgentSchedulesByUser(userId)).resolves.toBe(2);
+    expect(await methods.listAgentSchedules(otherUserId)).toHaveLength(1);
+  });
+});
+
+describe('agent schedule ticking', () => {
+  it('returns enabled schedules whose next run is due, oldest first', async () => {
+    const later = await methods.createAgentSchedule(
+      scheduleInput({ nextRunAt: new Date(START.getTime() - 1_000) }),
+    );
+    const earlier = await methods.createAgentSchedule(
+      scheduleInput({ nextRunAt: new Date(START.getTime() - 60_000) }),
+    );
+    await methods.createAgentSchedule(
+      scheduleInput({ nextRunAt: new Date(START.getTime() + 60_000) }),
+    );
+    await methods.createAgentSchedule(scheduleInput({ enabled: false }));
+
+    const due = await methods.getDueAgentSchedules(START);
+    expect(due.map((entry) => String(entry._id))).toEqual([String(earlier._id), String(later._id)]);
+    expect(await methods.getDueAgentSchedules(START, 1)).toHaveLength(1);
+  });
+
+  it('advances only from the observed next run', async () => {
+    const schedule = await methods.createAgentSchedule(scheduleInput());
+    const next = new Date(START.getTime() + 86_400_000);
+
+    await expect(
+      methods.advanceAgentSchedule({
+        id: schedule._id!,
+        expectedNextRunAt: START,
+        nextRunAt: next,
+        lastRunAt: START,
+        lastDeliveryKey: 'trigger_1',
+        lastError: null,
+      }),
+    ).resolves.toBe(true);
+    await expect(
+      methods.advanceAgentSchedule({
+        id: schedule._id!,
+        expectedNextRunAt: START,
+        nextRunAt: new Date(next.getTime() + 86_400_000),
+      }),
+    ).resolves.toBe(false);
+
+    const stored = await methods.getAgentSchedule(userId, String(schedule._id));
+    expect(stored?.nextRunAt).toEqual(next);
+    expect(stored?.lastRunAt).toEqual(START);
+    expect(stored?.lastDeliveryKey).toBe('trigger_1');
+  });
+
+  it('does not advance a schedule that was disabled mid-tick', async () => {
+    const schedule = await methods.createAgentSchedule(scheduleInput());
+    await methods.updateAgentSchedule(userId, String(schedule._id), { enabled: false });
+
+    await expect(
+      methods.advanceAgentSchedule({
+        id: schedule._id!,
+        expectedNextRunAt: START,
+        nextRunAt: new Date(START.getTime() + 60_000),
+      }),
+    ).resolves.toBe(false);
+  });
+});
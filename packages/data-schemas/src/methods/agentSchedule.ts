@@ -0,0 +1,217 @@
+import type { Model, Types } from 'mongoose';
+import type {
+  AgentScheduleError,
+  AgentScheduleMissedRunPolicy,
+  AgentScheduleMode,
+  IAgentSchedule,
+  IAgentScheduleDocument,
+} from '~/types/agentSchedule';
+import { isValidObjectIdString } from '~/utils/objectId';
+import logger from '~/config/winston';
+
+export interface CreateAgentScheduleData {
+  user: string | Types.ObjectId;
+  name: string;
+  agent_id: string;
+  cron: string;
+  timezone: string;
+  input: string;
+  mode: AgentScheduleMode;
+  conversationId?: string;
+  enabled: boolean;
+  missedRunPolicy: AgentScheduleMissedRunPolicy;
+  nextRunAt: Date | null;
+}
+
+export type UpdateAgentScheduleData = Partial<
+  Omit<CreateAgentScheduleData, 'user' | 'conversationId'>
+> & {
+  /** `null` clears the fixed conversation when switching back to `fire`. */
+  conversationId?: string | null;
+};
+
+export interface AdvanceAgentScheduleInput {
+  id: string | Types.ObjectId;
+  /** Compare-and-set fence: the tick this scheduler observed as due. */
+  expectedNextRunAt: Date;
+  nextRunAt: Date | null;
+  lastRunAt?: Date;
+  lastDeliveryKey?: string;
+  lastError?: AgentScheduleError | null;
+}
+
+export interface AgentScheduleMethods {
+  createAgentSchedule: (data: CreateAgentScheduleData) => Promise<IAgentSchedule>;
+  getAgentSchedule: (
+    userId: string | Types.ObjectId,
+    scheduleId: string,
+  ) => Promise<IAgentSchedule | null>;
+  listAgentSchedules: (
+    userId: string | Types.ObjectId,
+    options?: { agentId?: string },
+  ) => Promise<IAgentSchedule[]>;
+  updateAgentSchedule: (
+    userId: string | Types.ObjectId,
+    scheduleId: string,
+    update: UpdateAgentScheduleData,
+  ) => Promise<IAgentSchedule | null>;
+  deleteAgentSchedule: (userId: string | Types.ObjectId, scheduleId: string) => Promise<boolean>;
+  deleteAgentSchedulesByUser: (userId: string | Types.ObjectId) => Promise<number>;
+  getDueAgentSchedules: (now: Date, limit?: number) => Promise<IAgentSchedule[]>;
+  advanceAgentSchedule: (input: AdvanceAgentScheduleInput) => Promise<boolean>;
+  setAgentScheduleError: (
+    id: string | Types.ObjectId,
+    error: AgentScheduleError | null,
+  ) => Promise<void>;
+}
+
+const DEFAULT_DUE_LIMIT = 50;
+
+export function createAgentScheduleMethods(
+  mongoose: typeof import('mongoose'),
+): AgentScheduleMethods {
+  const model = (): Model<IAgentScheduleDocument> =>
+    mongoose.models.AgentSchedule as Model<IAgentScheduleDocument>;
+
+  async function createAgentSchedule(data: CreateAgentScheduleData): Promise<IAgentSchedule> {
+    try {
+      const schedule = await model().create({
+        user: data.user,
+        name: data.name,
+        agent_id: data.agent_id,
+        cron: data.cron,
+        timezone: data.timezone,
+        input: data.input,
+        mode: data.mode,
+        ...(data.mode === 'continue' && { conversationId: data.conversationId }),
+        enabled: data.enabled,
+        missedRunPolicy: data.missedRunPolicy,
+        nextRunAt: data.enabled ? data.nextRunAt : null,
+      });
+      return schedule.toObject() as IAgentSchedule;
+    } catch (error) {
+      logger.error('[createAgentSchedule] Error creating agent schedule:', error);
+      throw error;
+    }
+  }
+
+  async function getAgentSchedule(
+    userId: string | Types.ObjectId,
+    scheduleId: string,
+  ): Promise<IAgentSchedule | null> {
+    if (!isValidObjectIdString(String(scheduleId))) {
+      return null;
+    }
+    return model().findOne({ _id: scheduleId, user: userId }).lean<IAgentSchedule>();
+  }
+
+  async function listAgentSchedules(
+    userId: string | Types.ObjectId,
+    options: { agentId?: string } = {},
+  ): Promise<IAgentSchedule[]> {
+    return model()
+      .find({ user: userId, ...(options.agentId != null && { agent_id: options.agentId }) })
+      .sort({ createdAt: -1 })
+      .lean<IAgentSchedule[]>();
+  }
+
+  async function updateAgentSchedule(
+    userId: string | Types.ObjectId,
+    scheduleId: string,
+    update: UpdateAgentScheduleData,
+  ): Promise<IAgentSchedule | null> {
+    if (!isValidObjectIdString(String(scheduleId))) {
+      return null;
+    }
+    const $set: Record<string, unknown> = {};
+    const $unset: Record<string, 1> = {};
+    for (const [key, value] of Object.entries(update)) {
+      if (value === undefined) {
+        continue;
+      }
+      if (value === null && key === 'conversationId') {
+        $unset.conversationId = 1;
+        continue;
+      }
+      $set[key] = value;
+    }
+    if (update.enabled === false) {
+      $set.nextRunAt = null;
+    }
+    // A user edit supersedes whatever error the previous definition produced.
+    $set.lastError = null;
+    try {
+      return await model()
+        .findOneAndUpdate(
+          { _id: scheduleId, user: userId },
+          { $set, ...(Object.keys($unset).length > 0 && { $unset }) },
+          { new: true, runValidators: true },
+        )
+        .lean<IAgentSchedule>();
+    } catch (error) {
+      logger.error('[updateAgentSchedule] Error updating agent schedule:', error);
+      throw error;
+    }
+  }
+
+  async function deleteAgentSchedule(
+    userId: string | Types.ObjectId,
+    scheduleId: string,
+  ): Promise<boolean> {
+    if (!isValidObjectIdString(String(scheduleId))) {
+      return false;
+    }
+    const result = await model().deleteOne({ _id: scheduleId, user: userId });
+    return result.deletedCount === 1;
+  }
+
+  async function deleteAgentSchedulesByUser(userId: string | Types.ObjectId): Promise<number> {
+    const result = await model().deleteMany({ user: userId });
+    return result.deletedCount ?? 0;
+  }
+
+  async function getDueAgentSchedules(
+    now: Date,
+    limit: number = DEFAULT_DUE_LIMIT,
+  ): Promise<IAgentSchedule[]> {
+    return model()
+      .find({ enabled: true, nextRunAt: { $ne: null, $lte: now } })
+      .sort({ nextRunAt: 1, _id: 1 })
+      .limit(Math.max(1, Math.floor(limit)))
+      .lean<IAgentSchedule[]>();
+  }
+
+  async function advanceAgentSchedule(input: AdvanceAgentScheduleInput): Promise<boolean> {
+    const result = await model().updateOne(
+      { _id: input.id, enabled: true, nextRunAt: input.expectedNextRunAt },
+      {
+        $set: {
+          nextRunAt: input.nextRunAt,
+          ...(input.lastRunAt != null && { lastRunAt: input.lastRunAt }),
+          ...(input.lastDeliveryKey != null && { lastDeliveryKey: input.lastDeliveryKey }),
+          ...(input.lastError !== undefined && { lastError: input.lastError }),
+        },
+      },
+    );
+    return result.modifiedCount === 1;
+  }
+
+  async function setAgentScheduleError(
+    id: string | Types.ObjectId,
+    error: AgentScheduleError | null,
+  ): Promise<void> {
+    await model().updateOne({ _id: id }, { $set: { lastError: error } });
+  }
+
+  return {
+    createAgentSchedule,
+    getAgentSchedule,
+    listAgentSchedules,
+    updateAgentSchedule,
+    deleteAgentSchedule,
+    deleteAgentSchedulesByUser,
+    getDueAgentSchedules,
+    advanceAgentSchedule,
+    setAgentScheduleError,
+  };
+}
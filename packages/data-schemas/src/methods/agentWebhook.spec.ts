@@ -0,0 +1,152 @@
+import mongoose from 'mongoose';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+import type { Model } from 'mongoose';
+import type { IAgentWebhookDocument } from '~/types/agentWebhook';
+import {
+  createAgentWebhookMethods,
+  type AgentWebhookMethods,
+  type CreateAgentWebhookData,
+} from './agentWebhook';
+import { createAgentWebhookModel } from '../models/agentWebhook';
+import { encryptV2 } from '~/crypto';
+
+jest.mock('~/config/winston', () => ({
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn(),
+  debug: jest.fn(),
+}));
+
+jest.mock('~/crypto', () => ({
+  ...jest.requireActual('~/crypto'),
+  encryptV2: jest.fn(async (value: string) => `encrypted:${value}`),
+  decryptV2: jest.fn(async (value: string) => value.replace(/^encrypted:/, '')),
+}));
+
+const DB_SETUP_TIMEOUT_MS = 60_000;
+let mongoServer: MongoMemoryServer;
+let AgentWebhook: Model<IAgentWebhookDocument>;
+let methods: AgentWebhookMethods;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+  AgentWebhook = createAgentWebhookModel(mongoose);
+  await AgentWebhook.init();
+  methods = createAgentWebhookMethods(mongoose);
+}, DB_SETUP_TIMEOUT_MS);
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+}, DB_SETUP_TIMEOUT_MS);
+
+beforeEach(async () => {
+  await AgentWebhook.deleteMany({});
+});
+
+const userId = new mongoose.Types.ObjectId();
+const otherUserId = new mongoose.Types.ObjectId();
+
+function webhookInput(overrides: Partial<CreateAgentWebhookData> = {}): CreateAgentWebhookData {
+  return {
+    user: userId,
+    name: 'CI failures',
+    agent_id: 'agent_ci',
+    inputTemplate: 'Build {{payload.build.id}} failed',
+    enabled: true,
+    ...overrides,
+  };
+}
+
+describe('agent webhook CRUD', () => {
+  it('encrypts the signing secret and never returns it from owner reads', async () => {
+    const { webhook, secret } = await methods.createAgentWebhook(webhookInput());
+
+    expect(secret).toMatch(/^whsec_[a-f0-9]{64}$/);
+    expect(webhook.publicId).toMatch(/^[a-f0-9]{48}$/);
+    expect(webhook.secret).toBeUndefined();
+    expect(encryptV2).toHaveBeenCalledWith(secret);
+
+    const raw = await AgentWebhook.findById(webhook._id).select('+secret').lean();
+    expect(raw?.secret).toBe(`encrypted:${secret}`);
+
+    const stored = await methods.getAgentWebhook(userId, String(webhook._id));
+    const [listed] = await methods.listAgentWebhooks(userId);
+    expect(stored?.secret).toBeUndefined();
+    expect(listed.secret).toBeUndefined();
+  });
+
+  it('scopes reads, updates and deletes to the owner', async () => {
+    const { webhook } = await methods.createAgentWebhook(webhookInput());
+    const id = String(webhook._id);
+
+    expect(await methods.getAgentWebhook(otherUserId, id)).toBeNull();
+    expect(await methods.updateAgentWebhook(otherUserId, id, { name: 'x' })).toBeNull();
+    expect(await methods.rotateAgentWebhookSecret(otherUserId, id)).toBeNull();
+    expect(await methods.deleteAgentWebhook(otherUserId, id)).toBe(false);
+    expect(await methods.getAgentWebhook(userId, 'not-an-id')).toBeNull();
+
+    expect(await methods.listAgentWebhooks(userId, { agentId: 'agent_other' })).toEqual([]);
+    expect(await methods.deleteAgentWebhook(userId, id)).toBe(true);
+    expect(await methods.getAgentWebhook(userId, id)).toBeNull();
+  });
+
+  it('unsets the ordering path when cleared', async () => {
+    const { webhook } = await methods.createAgentWebhook(
+      webhookInput({ orderingKeyPath: 'repository.id' }),
+    );
+
+    const updated = await methods.updateAgentWebhook(userId, String(webhook._id), {
+      enabled: false,
+      orderingKeyPath: null,
+    });
+
+    expect(updated?.enabled).toBe(false);
+    expect(updated?.orderingKeyPath).toBeUndefined();
+  });
+
+  it('deletes every webhook a user owns', async () => {
+    await methods.createAgentWebhook(webhookInput());
+    await methods.createAgentWebhook(webhookInput({ name: 'Tickets' }));
+    await methods.createAgentWebhook(webhookInput({ user: otherUserId }));
+
+    await expect(methods.deleteAgentWebhooksByUser(userId)).resolves.toBe(2);
+    expect(await methods.listAgentWebhooks(otherUserId)).toHaveLength(1);
+  });
+});
+
+describe('agent webhook ingress', () => {
+  it('resolves the decrypted secret by public id and follows rotation', async () => {
+    const { webhook, secret } = await methods.createAgentWebhook(webhookInput());
+
+    const found = await methods.getAgentWebhookForIngress(webhook.publicId);
+    expect(found?.secret).toBe(secret);
+    expect(found?.webhook.secret).toBeUndefined();
+
+    const rotated = await methods.rotateAgentWebhookSecret(userId, String(webhook._id));
+    expect(rotated?.secret).not.toBe(secret);
+    expect((await methods.getAgentWebhookForIngress(webhook.publicId))?.secret).toBe(
+      rotated?.secret,
+    );
+  });
+
+  it('rejects malformed and unknown public ids', async () => {
+    await expect(methods.getAgentWebhookForIngress('{"$ne":null}')).resolves.toBeNull();
+    await expect(methods.getAgentWebhookForIngress('ab'.repeat(24))).resolves.toBeNull();
+  });
+
+  it('records the last delivery', async () => {
+    const { webhook } = await methods.createAgentWebhook(webhookInput());
+    const receivedAt = new Date('2026-08-17T12:00:00.000Z');
+
+    await methods.recordAgentWebhookDelivery(webhook._id!, {
+      receivedAt,
+      deliveryKey: 'trigger_abc',
+    });
+
+    const stored = await methods.getAgentWebhook(userId, String(webhook._id));
+    expect(stored?.lastReceivedAt).toEqual(receivedAt);
+    expect(stored?.lastDeliveryKey).toBe('trigger_abc');
+  });
+});
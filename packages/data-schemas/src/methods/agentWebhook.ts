@@ -0,0 +1,223 @@
+import type { Model, Types } from 'mongoose';
+import type { IAgentWebhook, IAgentWebhookDocument } from '~/types/agentWebhook';
+import { decryptV2, encryptV2, getRandomValues } from '~/crypto';
+import { isValidObjectIdString } from '~/utils/objectId';
+import logger from '~/config/winston';
+
+const SECRET_PREFIX = 'whsec_';
+const SECRET_BYTES = 32;
+const PUBLIC_ID_BYTES = 24;
+
+export interface CreateAgentWebhookData {
+  user: string | Types.ObjectId;
+  name: string;
+  agent_id: string;
+  inputTemplate: string;
+  orderingKeyPath?: string;
+  enabled: boolean;
+}
+
+export type UpdateAgentWebhookData = Partial<
+  Omit<CreateAgentWebhookData, 'user' | 'orderingKeyPath'>
+> & {
+  /** `null` removes the ordering override. */
+  orderingKeyPath?: string | null;
+};
+
+/** A webhook together with its plaintext signing secret, returned only on create and rotate. */
+export interface AgentWebhookWithSecret {
+  webhook: IAgentWebhook;
+  secret: string;
+}
+
+export interface AgentWebhookMethods {
+  createAgentWebhook: (data: CreateAgentWebhookData) => Promise<AgentWebhookWithSecret>;
+  getAgentWebhook: (
+    userId: string | Types.ObjectId,
+    webhookId: string,
+  ) => Promise<IAgentWebhook | null>;
+  listAgentWebhooks: (
+    userId: string | Types.ObjectId,
+    options?: { agentId?: string },
+  ) => Promise<IAgentWebhook[]>;
+  updateAgentWebhook: (
+    userId: string | Types.ObjectId,
+    webhookId: string,
+    update: UpdateAgentWebhookData,
+  ) => Promise<IAgentWebhook | null>;
+  rotateAgentWebhookSecret: (
+    userId: string | Types.ObjectId,
+    webhookId: string,
+  ) => Promise<AgentWebhookWithSecret | null>;
+  deleteAgentWebhook: (userId: string | Types.ObjectId, webhookId: string) => Promise<boolean>;
+  deleteAgentWebhooksByUser: (userId: string | Types.ObjectId) => Promise<number>;
+  /** Ingress lookup by public id; the only read that decrypts the signing secret. */
+  getAgentWebhookForIngress: (publicId: string) => Promise<AgentWebhookWithSecret | null>;
+  recordAgentWebhookDelivery: (
+    id: string | Types.ObjectId,
+    delivery: { receivedAt: Date; deliveryKey: string },
+  ) => Promise<void>;
+}
+
+export function createAgentWebhookMethods(
+  mongoose: typeof import('mongoose'),
+): AgentWebhookMethods {
+  const model = (): Model<IAgentWebhookDocument> =>
+    mongoose.models.AgentWebhook as Model<IAgentWebhookDocument>;
+
+  const generateSecret = async (): Promise<string> =>
+    `${SECRET_PREFIX}${await getRandomValues(SECRET_BYTES)}`;
+
+  async function createAgentWebhook(data: CreateAgentWebhookData): Promise<AgentWebhookWithSecret> {
+    try {
+      const secret = await generateSecret();
+      const webhook = await model().create({
+        user: data.user,
+        name: data.name,
+        agent_id: data.agent_id,
+        publicId: await getRandomValues(PUBLIC_ID_BYTES),
+        secret: await encryptV2(secret),
+        inputTemplate: data.inputTemplate,
+        ...(data.orderingKeyPath && { orderingKeyPath: data.orderingKeyPath }),
+        enabled: data.enabled,
+      });
+      const { secret: _ciphertext, ...stored } = webhook.toObject() as IAgentWebhook;
+      return { webhook: stored, secret };
+    } catch (error) {
+      logger.error('[createAgentWebhook] Error creating agent webhook:', error);
+      throw error;
+    }
+  }
+
+  async function getAgentWebhook(
+    userId: string | Types.ObjectId,
+    webhookId: string,
+  ): Promise<IAgentWebhook | null> {
+    if (!isValidObjectIdString(String(webhookId))) {
+      return null;
+    }
+    return model().findOne({ _id: webhookId, user: userId }).lean<IAgentWebhook>();
+  }
+
+  async function listAgentWebhooks(
+    userId: string | Types.ObjectId,
+    options: { agentId?: string } = {},
+  ): Promise<IAgentWebhook[]> {
+    return model()
+      .find({ user: userId, ...(options.agentId != null && { agent_id: options.agentId }) })
+      .sort({ createdAt: -1 })
+      .lean<IAgentWebhook[]>();
+  }
+
+  async function updateAgentWebhook(
+    userId: string | Types.ObjectId,
+    webhookId: string,
+    update: UpdateAgentWebhookData,
+  ): Promise<IAgentWebhook | null> {
+    if (!isValidObjectIdString(String(webhookId))) {
+      return null;
+    }
+    const $set: Record<string, unknown> = {};
+    const $unset: Record<string, 1> = {};
+    for (const [key, value] of Object.entries(update)) {
+      if (value === undefined) {
+        continue;
+      }
+      if (key === 'orderingKeyPath' && !value) {
+        $unset.orderingKeyPath = 1;
+        continue;
+      }
+      $set[key] = value;
+    }
+    try {
+      return await model()
+        .findOneAndUpdate(
+          { _id: webhookId, user: userId },
+          {
+            ...(Object.keys($set).length > 0 && { $set }),
+            ...(Object.keys($unset).length > 0 && { $unset }),
+          },
+          { new: true, runValidators: true },
+        )
+        .lean<IAgentWebhook>();
+    } catch (error) {
+      logger.error('[updateAgentWebhook] Error updating agent webhook:', error);
+      throw error;
+    }
+  }
+
+  async function rotateAgentWebhookSecret(
+    userId: string | Types.ObjectId,
+    webhookId: string,
+  ): Promise<AgentWebhookWithSecret | null> {
+    if (!isValidObjectIdString(String(webhookId))) {
+      return null;
+    }
+    try {
+      const secret = await generateSecret();
+      const webhook = await model()
+        .findOneAndUpdate(
+          { _id: webhookId, user: userId },
+          { $set: { secret: await encryptV2(secret) } },
+          { new: true },
+        )
+        .lean<IAgentWebhook>();
+      return webhook ? { webhook, secret } : null;
+    } catch (error) {
+      logger.error('[rotateAgentWebhookSecret] Error rotating agent webhook secret:', error);
+      throw error;
+    }
+  }
+
+  async function deleteAgentWebhook(
+    userId: string | Types.ObjectId,
+    webhookId: string,
+  ): Promise<boolean> {
+    if (!isValidObjectIdString(String(webhookId))) {
+      return false;
+    }
+    const result = await model().deleteOne({ _id: webhookId, user: userId });
+    return result.deletedCount === 1;
+  }
+
+  async function deleteAgentWebhooksByUser(userId: string | Types.ObjectId): Promise<number> {
+    const result = await model().deleteMany({ user: userId });
+    return result.deletedCount ?? 0;
+  }
+
+  async function getAgentWebhookForIngress(
+    publicId: string,
+  ): Promise<AgentWebhookWithSecret | null> {
+    if (typeof publicId !== 'string' || !/^[a-f0-9]{16,128}$/.test(publicId)) {
+      return null;
+    }
+    const stored = await model().findOne({ publicId }).select('+secret').lean<IAgentWebhook>();
+    if (!stored?.secret) {
+      return null;
+    }
+    const { secret: ciphertext, ...webhook } = stored;
+    return { webhook, secret: await decryptV2(ciphertext) };
+  }
+
+  async function recordAgentWebhookDelivery(
+    id: string | Types.ObjectId,
+    delivery: { receivedAt: Date; deliveryKey: string },
+  ): Promise<void> {
+    await model().updateOne(
+      { _id: id },
+      { $set: { lastReceivedAt: delivery.receivedAt, lastDeliveryKey: delivery.deliveryKey } },
+    );
+  }
+
+  return {
+    createAgentWebhook,
+    getAgentWebhook,
+    listAgentWebhooks,
+    updateAgentWebhook,
+    rotateAgentWebhookSecret,
+    deleteAgentWebhook,
+    deleteAgentWebhooksByUser,
+    getAgentWebhookForIngress,
+    recordAgentWebhookDelivery,
+  };
+}
@@ -0,0 +1,194 @@
+import mongoose from 'mongoose';
+import { ResourceType } from 'librechat-data-provider';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+import type { IArtifact, IArtifactVersion } from '~/types';
+import { createArtifactMethods, type ArtifactMethods } from './artifact';
+import { createModels } from '~/models';
+
+jest.mock('~/config/winston', () => ({
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn(),
+  debug: jest.fn(),
+}));
+
+let mongoServer: InstanceType<typeof MongoMemoryServer>;
+let Artifact: mongoose.Model<IArtifact>;
+let ArtifactVersion: mongoose.Model<IArtifactVersion>;
+let methods: ArtifactMethods;
+let modelsToCleanup: string[] = [];
+
+const removeAllPermissions = jest.fn().mockResolvedValue(undefined);
+const getSoleOwnedResourceIds = jest.fn();
+
+const userId = new mongoose.Types.ObjectId();
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+
+  const models = createModels(mongoose);
+  modelsToCleanup = Object.keys(models);
+  Object.assign(mongoose.models, models);
+
+  Artifact = mongoose.models.Artifact as mongoose.Model<IArtifact>;
+  ArtifactVersion = mongoose.models.ArtifactVersion as mongoose.Model<IArtifactVersion>;
+  methods = createArtifactMethods(mongoose, { removeAllPermissions, getSoleOwnedResourceIds });
+
+  await mongoose.connect(mongoUri);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+
+  for (const modelName of modelsToCleanup) {
+    if (mongoose.models[modelName]) {
+      delete mongoose.models[modelName];
+    }
+  }
+});
+
+afterEach(async () => {
+  await Artifact.deleteMany({});
+  await ArtifactVersion.deleteMany({});
+  jest.clearAllMocks();
+});
+
+const versionInput = (content: string, conversationId: string) => ({
+  content,
+  conversationId,
+  messageId: `msg-${content}`,
+  title: 'Landing page',
+  type: 'application/vnd.react',
+  source: 'message' as const,
+  author: userId,
+});
+
+/** Adds a version to the conversation's artifact, creating the artifact on first use. */
+async function record(content: string, conversationId = 'convo-1', identifier = 'landing-page') {
+  const existing = await methods.findConversationArtifact(conversationId, identifier);
+  const artifact =
+    existing ??
+    (await methods.createArtifact({
+      identifier,
+      conversationId,
+      title: 'Landing page',
+      type: 'application/vnd.react',
+      author: userId,
+    }));
+  const version = await methods.addArtifactVersion(
+    artifact._id.toString(),
+    versionInput(content, conversationId),
+  );
+  return { artifact, version, created: !existing };
+}
+
+describe('artifact library', () => {
+  it('creates an artifact with its first version', async () => {
+    const result = await record('v1');
+
+    expect(result.created).toBe(true);
+    expect(await methods.getArtifactById(result.artifact._id)).toMatchObject({
+      identifier: 'landing-page',
+      conversationIds: ['convo-1'],
+      latestVersion: 1,
+    });
+    expect(result.version).toMatchObject({ version: 1, content: 'v1', source: 'message' });
+  });
+
+  it('adds versions within a conversation and skips unchanged content', async () => {
+    const first = await record('v1');
+    const second = await record('v2');
+    const repeated = await record('v2');
+
+    expect(second.created).toBe(false);
+    expect(second.artifact._id.toString()).toBe(first.artifact._id.toString());
+    expect(second.version?.version).toBe(2);
+    expect(repeated.version).toBeNull();
+
+    const versions = await methods.listArtifactVersions(first.artifact._id.toString());
+    expect(versions.map((v) => v.version)).toEqual([2, 1]);
+    expect(versions[0]).not.toHaveProperty('content');
+    expect((await methods.getArtifactVersion(first.artifact._id.toString(), 1))?.content).toBe(
+      'v1',
+    );
+  });
+
+  it('keeps artifacts with the same identifier in other conversations apart', async () => {
+    const first = await record('v1', 'convo-1');
+    const other = await record('v1', 'convo-2');
+
+    expect(other.created).toBe(true);
+    expect(other.artifact._id.toString()).not.toBe(first.artifact._id.toString());
+  });
+
+  it('continues an artifact in a linked conversation until it is unlinked', async () => {
+    const first = await record('v1', 'convo-1');
+    const id = first.artifact._id.toString();
+    await methods.linkArtifactConversation(id, 'convo-2');
+
+    const next = await record('v2', 'convo-2');
+    expect(next.created).toBe(false);
+    expect(next.version?.version).toBe(2);
+    expect(next.version?.conversationId).toBe('convo-2');
+
+    await methods.unlinkArtifactConversation(id, 'convo-2');
+    expect(await methods.findConversationArtifact('convo-2', 'landing-page')).toBeNull();
+  });
+
+  it('lists accessible artifacts with versions, most recently updated first', async () => {
+    const first = await record('a', 'convo-1', 'first');
+    const second = await record('b', 'convo-1', 'second');
+    const empty = await methods.createArtifact({
+      identifier: 'empty',
+      conversationId: 'convo-1',
+      title: 'Empty',
+      type: 'text/html',
+      author: userId,
+    });
+    await record('c', 'convo-1', 'hidden');
+    await Artifact.updateOne(
+      { _id: first.artifact._id },
+      { updatedAt: new Date('2026-01-01') },
+      { timestamps: false },
+    );
+
+    const accessibleIds = [first.artifact._id, second.artifact._id, empty._id];
+    const page = await methods.listArtifactsByAccess({ accessibleIds, limit: 1 });
+    expect(page.artifacts.map((a) => a.identifier)).toEqual(['second']);
+    expect(page.has_more).toBe(true);
+
+    const next = await methods.listArtifactsByAccess({
+      accessibleIds,
+      limit: 1,
+      cursor: page.after,
+    });
+    expect(next.artifacts.map((a) => a.identifier)).toEqual(['first']);
+    expect(next.has_more).toBe(false);
+  });
+
+  it('deletes an artifact with its versions and permissions', async () => {
+    const { artifact } = await record('v1');
+    const id = artifact._id.toString();
+
+    expect(await methods.deleteArtifact(id)).toEqual({ deleted: true });
+    expect(await ArtifactVersion.countDocuments({ artifactId: artifact._id })).toBe(0);
+    expect(removeAllPermissions).toHaveBeenCalledWith({
+      resourceType: ResourceType.ARTIFACT,
+      resourceId: id,
+    });
+    expect(await methods.deleteArtifact(id)).toEqual({ deleted: false });
+  });
+
+  it('deletes only the artifacts a user solely owns', async () => {
+    const owned = await record('v1', 'convo-1', 'owned');
+    const shared = await record('v1', 'convo-1', 'shared');
+    getSoleOwnedResourceIds.mockResolvedValue([owned.artifact._id]);
+
+    expect(await methods.deleteUserArtifacts(userId.toString())).toBe(1);
+    expect(getSoleOwnedResourceIds).toHaveBeenCalledWith(userId, ResourceType.ARTIFACT);
+    expect(await methods.getArtifactById(owned.artifact._id)).toBeNull();
+    expect(await methods.getArtifactById(shared.artifact._id)).not.toBeNull();
+  });
+});
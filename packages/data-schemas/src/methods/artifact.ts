@@ -0,0 +1,372 @@
+import { ResourceType } from 'librechat-data-provider';
+import type { FilterQuery, Model, Types } from 'mongoose';
+import type {
+  IArtifact,
+  IArtifactDocument,
+  IArtifactVersion,
+  IArtifactVersionDocument,
+  ArtifactVersionSource,
+} from '~/types/artifact';
+import { isValidObjectIdString } from '~/utils/objectId';
+import { escapeRegExp } from '~/utils/string';
+import logger from '~/config/winston';
+
+export interface ArtifactDeps {
+  /** Removes all ACL entries for a resource. Injected from PermissionService. */
+  removeAllPermissions: (params: { resourceType: string; resourceId: unknown }) => Promise<void>;
+  /** Returns resource IDs solely owned by the given user. From createAclEntryMethods. */
+  getSoleOwnedResourceIds: (
+    userObjectId: Types.ObjectId,
+    resourceTypes: string | string[],
+  ) => Promise<Types.ObjectId[]>;
+}
+
+export type ArtifactVersionInput = {
+  content: string;
+  title: string;
+  type: string;
+  language?: string;
+  source: ArtifactVersionSource;
+  author: string | Types.ObjectId;
+  conversationId?: string;
+  messageId?: string;
+};
+
+export type CreateArtifactInput = {
+  identifier: string;
+  title: string;
+  type: string;
+  language?: string;
+  author: string | Types.ObjectId;
+  authorName?: string;
+  conversationId: string;
+};
+
+export type ListArtifactsByAccessParams = {
+  accessibleIds: Types.ObjectId[];
+  search?: string;
+  limit: number;
+  cursor?: string | null;
+};
+
+export type ListArtifactsByAccessResult = {
+  artifacts: Array<IArtifact & { _id: Types.ObjectId }>;
+  has_more: boolean;
+  after: string | null;
+};
+
+/** Version rows without their content, for the version history. */
+export type ArtifactVersionSummary = Omit<IArtifactVersion, 'content'> & { _id: Types.ObjectId };
+
+export function createArtifactMethods(
+  mongoose: typeof import('mongoose'),
+  deps: ArtifactDeps,
+): {
+  createArtifact: (data: CreateArtifactInput) => Promise<IArtifact & { _id: Types.ObjectId }>;
+  findConversationArtifact: (
+    conversationId: string,
+    identifier: string,
+  ) => Promise<(IArtifact & { _id: Types.ObjectId }) | null>;
+  addArtifactVersion: (
+    artifactId: string,
+    data: ArtifactVersionInput,
+  ) => Promise<(IArtifactVersion & { _id: Types.ObjectId }) | null>;
+  getArtifactById: (
+    id: string | Types.ObjectId,
+  ) => Promise<(IArtifact & { _id: Types.ObjectId }) | null>;
+  listArtifactsByAccess: (
+    params: ListArtifactsByAccessParams,
+  ) => Promise<ListArtifactsByAccessResult>;
+  listArtifactVersions: (artifactId: string) => Promise<ArtifactVersionSummary[]>;
+  getArtifactVersion: (
+    artifactId: string,
+    version: number,
+  ) => Promise<(IArtifactVersion & { _id: Types.ObjectId }) | null>;
+  getLatestArtifactVersion: (
+    artifactId: string,
+  ) => Promise<(IArtifactVersion & { _id: Types.ObjectId }) | null>;
+  linkArtifactConversation: (artifactId: string, conversationId: string) => Promise<void>;
+  unlinkArtifactConversation: (artifactId: string, conversationId: string) => Promise<void>;
+  deleteArtifact: (id: string) => Promise<{ deleted: boolean }>;
+  deleteUserArtifacts: (userId: Types.ObjectId | string) => Promise<number>;
+} {
+  const { ObjectId } = mongoose.Types;
+  const artifactModel = () => mongoose.models.Artifact as Model<IArtifactDocument>;
+  const versionModel = () => mongoose.models.ArtifactVersion as Model<IArtifactVersionDocument>;
+
+  function decodeCursor(
+    cursor: string | null | undefined,
+  ): { updatedAt: Date; _id: Types.ObjectId } | null {
+    if (!cursor || cursor === 'undefined' || cursor === 'null') {
+      return null;
+    }
+    try {
+      const decoded = JSON.parse(Buffer.from(cursor, 'base64').toString('utf8')) as {
+        updatedAt?: string;
+        _id?: string;
+      };
+      if (
+        !decoded.updatedAt ||
+        !decoded._id ||
+        Number.isNaN(new Date(decoded.updatedAt).getTime()) ||
+        !isValidObjectIdString(decoded._id)
+      ) {
+        return null;
+      }
+      return { updatedAt: new Date(decoded.updatedAt), _id: new ObjectId(decoded._id) };
+    } catch (error) {
+      logger.warn(`[artifact.decodeCursor] Invalid cursor: ${(error as Error).message}`);
+      return null;
+    }
+  }
+
+  function encodeCursor(row: { updatedAt: Date; _id: Types.ObjectId }): string {
+    return Buffer.from(
+      JSON.stringify({ updatedAt: row.updatedAt.toISOString(), _id: row._id.toString() }),
+    ).toString('base64');
+  }
+
+  async function getArtifactById(
+    id: string | Types.ObjectId,
+  ): Promise<(IArtifact & { _id: Types.ObjectId }) | null> {
+    if (typeof id === 'string' && !isValidObjectIdString(id)) {
+      return null;
+    }
+    const artifact = await artifactModel().findById(id).lean();
+    return (artifact as (IArtifact & { _id: Types.ObjectId }) | null) ?? null;
+  }
+
+  async function getLatestArtifactVersion(
+    artifactId: string,
+  ): Promise<(IArtifactVersion & { _id: Types.ObjectId }) | null> {
+    if (!isValidObjectIdString(artifactId)) {
+      return null;
+    }
+    const version = await versionModel()
+      .findOne({ artifactId: new ObjectId(artifactId) })
+      .sort({ version: -1 })
+      .lean();
+    return (version as (IArtifactVersion & { _id: Types.ObjectId }) | null) ?? null;
+  }
+
+  /**
+   * Appends a version and makes its title and type the artifact's own. Content identical to
+   * the latest version is not stored again, so re-saving a message does not grow the history.
+   */
+  async function addArtifactVersion(
+    artifactId: string,
+    data: ArtifactVersionInput,
+  ): Promise<(IArtifactVersion & { _id: Types.ObjectId }) | null> {
+    const latest = await getLatestArtifactVersion(artifactId);
+    if (latest && latest.content === data.content) {
+      return null;
+    }
+    const artifact = await artifactModel()
+      .findOneAndUpdate(
+        { _id: new ObjectId(artifactId) },
+        {
+          $inc: { latestVersion: 1 },
+          $set: { title: data.title, type: data.type, language: data.language },
+        },
+        { new: true },
+      )
+      .lean();
+    if (!artifact) {
+      return null;
+    }
+    const version = await versionModel().create({
+      ...data,
+      artifactId: artifact._id,
+      version: artifact.latestVersion,
+    });
+    return version.toObject() as IArtifactVersion & { _id: Types.ObjectId };
+  }
+
+  /** Creates an artifact without versions; it stays out of listings until one is added. */
+  async function createArtifact(
+    data: CreateArtifactInput,
+  ): Promise<IArtifact & { _id: Types.ObjectId }> {
+    const { conversationId, ...artifact } = data;
+    const doc = await artifactModel().create({
+      ...artifact,
+      conversationIds: [conversationId],
+      latestVersion: 0,
+    });
+    return doc.toObject() as IArtifact & { _id: Types.ObjectId };
+  }
+
+  /**
+   * The artifact that responses in a conversation add versions to when they reuse an identifier.
+   * An identifier can only belong to one artifact per conversation; should several match, the
+   * most recently updated one wins.
+   */
+  async function findConversationArtifact(
+    conversationId: string,
+    identifier: string,
+  ): Promise<(IArtifact & { _id: Types.ObjectId }) | null> {
+    const artifact = await artifactModel()
+      .findOne({ conversationIds: conversationId, identifier })
+      .sort({ updatedAt: -1 })
+      .lean();
+    return (artifact as (IArtifact & { _id: Types.ObjectId }) | null) ?? null;
+  }
+
+  async function listArtifactsByAccess(
+    params: ListArtifactsByAccessParams,
+  ): Promise<ListArtifactsByAccessResult> {
+    const limit = Math.min(Math.max(1, params.limit || 20), 100);
+
+    const baseFilter: FilterQuery<IArtifactDocument> = {
+      _id: { $in: params.accessibleIds },
+      latestVersion: { $gt: 0 },
+    };
+    if (params.search && params.search.length > 0) {
+      const rx = new RegExp(escapeRegExp(params.search), 'i');
+      baseFilter.$or = [{ title: rx }, { identifier: rx }];
+    }
+
+    let filter = baseFilter;
+    const cursor = decodeCursor(params.cursor);
+    if (cursor) {
+      filter = {
+        $and: [
+          baseFilter,
+          {
+            $or: [
+              { updatedAt: { $lt: cursor.updatedAt } },
+              { updatedAt: cursor.updatedAt, _id: { $gt: cursor._id } },
+            ],
+          },
+        ],
+      };
+    }
+
+    const rows = (await artifactModel()
+      .find(filter)
+      .sort({ updatedAt: -1, _id: 1 })
+      .limit(limit + 1)
+      .lean()) as Array<IArtifact & { _id: Types.ObjectId }>;
+
+    const has_more = rows.length > limit;
+    const artifacts = has_more ? rows.slice(0, limit) : rows;
+    const last = artifacts[artifacts.length - 1];
+    const after =
+      has_more && last ? encodeCursor({ updatedAt: last.updatedAt as Date, _id: last._id }) : null;
+
+    return { artifacts, has_more, after };
+  }
+
+  async function listArtifactVersions(artifactId: string): Promise<ArtifactVersionSummary[]> {
+    if (!isValidObjectIdString(artifactId)) {
+      return [];
+    }
+    const versions = await versionModel()
+      .find({ artifactId: new ObjectId(artifactId) })
+      .select('-content')
+      .sort({ version: -1 })
+      .lean();
+    return versions as unknown as ArtifactVersionSummary[];
+  }
+
+  async function getArtifactVersion(
+    artifactId: string,
+    version: number,
+  ): Promise<(IArtifactVersion & { _id: Types.ObjectId }) | null> {
+    if (!isValidObjectIdString(artifactId) || !Number.isInteger(version)) {
+      return null;
+    }
+    const doc = await versionModel()
+      .findOne({ artifactId: new ObjectId(artifactId), version })
+      .lean();
+    return (doc as (IArtifactVersion & { _id: Types.ObjectId }) | null) ?? null;
+  }
+
+  /** Lets responses in another conversation add versions to the artifact. */
+  async function linkArtifactConversation(
+    artifactId: string,
+    conversationId: string,
+  ): Promise<void> {
+    if (!isValidObjectIdString(artifactId)) {
+      return;
+    }
+    await artifactModel().updateOne(
+      { _id: new ObjectId(artifactId) },
+      { $addToSet: { conversationIds: conversationId } },
+      { timestamps: false },
+    );
+  }
+
+  /** Stops responses in the conversation from adding versions, e.g. once the user lost edit access. */
+  async function unlinkArtifactConversation(
+    artifactId: string,
+    conversationId: string,
+  ): Promise<void> {
+    if (!isValidObjectIdString(artifactId)) {
+      return;
+    }
+    await artifactModel().updateOne(
+      { _id: new ObjectId(artifactId) },
+      { $pull: { conversationIds: conversationId } },
+      { timestamps: false },
+    );
+  }
+
+  async function deleteArtifact(id: string): Promise<{ deleted: boolean }> {
+    if (!isValidObjectIdString(id)) {
+      return { deleted: false };
+    }
+    const objectId = new ObjectId(id);
+    const res = await artifactModel().deleteOne({ _id: objectId });
+    if (!res.deletedCount) {
+      return { deleted: false };
+    }
+    await versionModel().deleteMany({ artifactId: objectId });
+    try {
+      await deps.removeAllPermissions({ resourceType: ResourceType.ARTIFACT, resourceId: id });
+    } catch (error) {
+      logger.error(`[deleteArtifact] Error removing permissions for ${id}:`, error);
+    }
+    return { deleted: true };
+  }
+
+  /** Deletes the artifacts only this user owns; shared artifacts with other owners are kept. */
+  async function deleteUserArtifacts(userId: Types.ObjectId | string): Promise<number> {
+    const userObjectId = typeof userId === 'string' ? new ObjectId(userId) : userId;
+    const soleOwned = await deps.getSoleOwnedResourceIds(userObjectId, ResourceType.ARTIFACT);
+    if (soleOwned.length === 0) {
+      return 0;
+    }
+    await versionModel().deleteMany({ artifactId: { $in: soleOwned } });
+    const res = await artifactModel().deleteMany({ _id: { $in: soleOwned } });
+    await Promise.allSettled(
+      soleOwned.map((rid) =>
+        deps
+          .removeAllPermissions({
+            resourceType: ResourceType.ARTIFACT,
+            resourceId: rid.toString(),
+          })
+          .catch((error) =>
+            logger.error(`[deleteUserArtifacts] Error removing permissions for ${rid}:`, error),
+          ),
+      ),
+    );
+    return res.deletedCount ?? 0;
+  }
+
+  return {
+    createArtifact,
+    findConversationArtifact,
+    addArtifactVersion,
+    getArtifactById,
+    listArtifactsByAccess,
+    listArtifactVersions,
+    getArtifactVersion,
+    getLatestArtifactVersion,
+    linkArtifactConversation,
+    unlinkArtifactConversation,
+    deleteArtifact,
+    deleteUserArtifacts,
+  };
+}
+
+export type ArtifactMethods = ReturnType<typeof createArtifactMethods>;
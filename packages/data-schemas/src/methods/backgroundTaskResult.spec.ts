@@ -0,0 +1,119 @@
+import mongoose from 'mongoose';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+import type { IBackgroundTaskResult } from '~/types';
+import {
+  createBackgroundTaskResultMethods,
+  type BackgroundTaskResultMethods,
+} from './backgroundTaskResult';
+import { createModels } from '~/models';
+
+jest.mock('~/config/winston', () => ({
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn(),
+  debug: jest.fn(),
+}));
+
+let mongoServer: InstanceType<typeof MongoMemoryServer>;
+let BackgroundTaskResult: mongoose.Model<IBackgroundTaskResult>;
+let methods: BackgroundTaskResultMethods;
+let modelsToCleanup: string[] = [];
+
+const userId = new mongoose.Types.ObjectId().toString();
+const otherUserId = new mongoose.Types.ObjectId().toString();
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+
+  const models = createModels(mongoose);
+  modelsToCleanup = Object.keys(models);
+  Object.assign(mongoose.models, models);
+
+  BackgroundTaskResult = mongoose.models
+    .BackgroundTaskResult as mongoose.Model<IBackgroundTaskResult>;
+  methods = createBackgroundTaskResultMethods(mongoose);
+
+  await mongoose.connect(mongoUri);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+
+  for (const modelName of modelsToCleanup) {
+    if (mongoose.models[modelName]) {
+      delete mongoose.models[modelName];
+    }
+  }
+});
+
+afterEach(async () => {
+  await BackgroundTaskResult.deleteMany({});
+});
+
+const taskResult = (overrides: Partial<IBackgroundTaskResult> = {}): IBackgroundTaskResult => ({
+  taskId: 'task-1',
+  user: userId,
+  conversationId: 'convo-1',
+  toolName: 'search_mcp_docs',
+  toolCallId: 'call_0',
+  status: 'running',
+  ownerId: 'owner-a',
+  heartbeatAt: new Date(),
+  dispatchedAt: 1000,
+  expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+  ...overrides,
+});
+
+describe('background task results', () => {
+  it('upserts by task id and clears fields a later write omits', async () => {
+    await methods.saveBackgroundTaskResult(taskResult({ error: 'transient' }));
+    await methods.saveBackgroundTaskResult(
+      taskResult({ status: 'completed', result: 'DONE', attachmentCount: 2 }),
+    );
+
+    const saved = await methods.getBackgroundTaskResult(userId, 'convo-1', 'task-1');
+    expect(saved).toMatchObject({ status: 'completed', result: 'DONE', attachmentCount: 2 });
+    expect(saved).not.toHaveProperty('error');
+    expect(await BackgroundTaskResult.countDocuments()).toBe(1);
+  });
+
+  it('scopes reads to the owning user and conversation', async () => {
+    await methods.saveBackgroundTaskResult(taskResult());
+
+    expect(await methods.getBackgroundTaskResult(otherUserId, 'convo-1', 'task-1')).toBeNull();
+    expect(await methods.getBackgroundTaskResult(userId, 'convo-2', 'task-1')).toBeNull();
+    expect(await methods.listBackgroundTaskResults(otherUserId, 'convo-1')).toHaveLength(0);
+  });
+
+  it('lists the most recent tasks in dispatch order', async () => {
+    await methods.saveBackgroundTaskResult(taskResult({ taskId: 'late', dispatchedAt: 3000 }));
+    await methods.saveBackgroundTaskResult(taskResult({ taskId: 'early', dispatchedAt: 1000 }));
+    await methods.saveBackgroundTaskResult(taskResult({ taskId: 'middle', dispatchedAt: 2000 }));
+
+    const listed = await methods.listBackgroundTaskResults(userId, 'convo-1', 2);
+    expect(listed.map((result) => result.taskId)).toEqual(['middle', 'late']);
+  });
+
+  it('heartbeats only the running tasks of the given owner', async () => {
+    const stale = new Date(Date.now() - 10 * 60 * 1000);
+    await methods.saveBackgroundTaskResult(taskResult({ taskId: 'mine', heartbeatAt: stale }));
+    await methods.saveBackgroundTaskResult(
+      taskResult({ taskId: 'settled', status: 'completed', heartbeatAt: stale }),
+    );
+    await methods.saveBackgroundTaskResult(
+      taskResult({ taskId: 'theirs', ownerId: 'owner-b', heartbeatAt: stale }),
+    );
+
+    const now = new Date();
+    expect(await methods.heartbeatBackgroundTaskResults('owner-a', now)).toBe(1);
+
+    const refreshed = await methods.getBackgroundTaskResult(userId, 'convo-1', 'mine');
+    const settled = await methods.getBackgroundTaskResult(userId, 'convo-1', 'settled');
+    const theirs = await methods.getBackgroundTaskResult(userId, 'convo-1', 'theirs');
+    expect(refreshed?.heartbeatAt.getTime()).toBe(now.getTime());
+    expect(settled?.heartbeatAt.getTime()).toBe(stale.getTime());
+    expect(theirs?.heartbeatAt.getTime()).toBe(stale.getTime());
+  });
+});
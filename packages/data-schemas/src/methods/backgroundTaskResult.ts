@@ -0,0 +1,82 @@
+import type { Model } from 'mongoose';
+import type { IBackgroundTaskResult, IBackgroundTaskResultDocument } from '~/types/backgroundTask';
+
+export interface BackgroundTaskResultMethods {
+  /** Inserts or replaces the shared copy of a background task, keyed by `taskId`. */
+  saveBackgroundTaskResult: (result: IBackgroundTaskResult) => Promise<void>;
+  getBackgroundTaskResult: (
+    user: string,
+    conversationId: string,
+    taskId: string,
+  ) => Promise<IBackgroundTaskResult | null>;
+  /** The most recent tasks of one conversation, in dispatch order. */
+  listBackgroundTaskResults: (
+    user: string,
+    conversationId: string,
+    limit?: number,
+  ) => Promise<IBackgroundTaskResult[]>;
+  /** Marks the running tasks of a live process as still owned; returns how many were touched. */
+  heartbeatBackgroundTaskResults: (ownerId: string, heartbeatAt: Date) => Promise<number>;
+}
+
+export function createBackgroundTaskResultMethods(
+  mongoose: typeof import('mongoose'),
+): BackgroundTaskResultMethods {
+  const model = (): Model<IBackgroundTaskResultDocument> =>
+    mongoose.models.BackgroundTaskResult as Model<IBackgroundTaskResultDocument>;
+
+  async function saveBackgroundTaskResult(result: IBackgroundTaskResult): Promise<void> {
+    const { taskId, ...fields } = result;
+    const unset: Record<string, 1> = {};
+    for (const key of ['messageId', 'agentId', 'result', 'error'] as const) {
+      if (fields[key] == null) {
+        delete fields[key];
+        unset[key] = 1;
+      }
+    }
+    await model().updateOne(
+      { taskId },
+      { $set: fields, ...(Object.keys(unset).length > 0 && { $unset: unset }) },
+      { upsert: true },
+    );
+  }
+
+  async function getBackgroundTaskResult(
+    user: string,
+    conversationId: string,
+    taskId: string,
+  ): Promise<IBackgroundTaskResult | null> {
+    return model().findOne({ taskId, user, conversationId }).lean<IBackgroundTaskResult>();
+  }
+
+  async function listBackgroundTaskResults(
+    user: string,
+    conversationId: string,
+    limit = 200,
+  ): Promise<IBackgroundTaskResult[]> {
+    const latest = await model()
+      .find({ user, conversationId })
+      .sort({ dispatchedAt: -1 })
+      .limit(limit)
+      .lean<IBackgroundTaskResult[]>();
+    return latest.reverse();
+  }
+
+  async function heartbeatBackgroundTaskResults(
+    ownerId: string,
+    heartbeatAt: Date,
+  ): Promise<number> {
+    const result = await model().updateMany(
+      { ownerId, status: 'running' },
+      { $set: { heartbeatAt } },
+    );
+    return result.modifiedCount;
+  }
+
+  return {
+    saveBackgroundTaskResult,
+    getBackgroundTaskResult,
+    listBackgroundTaskResults,
+    heartbeatBackgroundTaskResults,
+  };
+}
@@ -0,0 +1,278 @@
+import mongoose from 'mongoose';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+import type { Model } from 'mongoose';
+import type { IBudgetDocument } from '~/types/budget';
+import type { IBalance, IGroup } from '~/types';
+import { createBudgetMethods, getBudgetPeriodStart, type BudgetMethods } from './budget';
+import { createTransactionMethods } from './transaction';
+import { createBudgetModel } from '../models/budget';
+import { createBalanceModel } from '../models/balance';
+import { tenantStorage } from '../config/tenantContext';
+import logger from '~/config/winston';
+
+jest.mock('~/config/winston', () => ({
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const DB_SETUP_TIMEOUT_MS = 60_000;
+let mongoServer: MongoMemoryServer;
+let Budget: Model<IBudgetDocument>;
+let Balance: Model<IBalance>;
+let methods: BudgetMethods;
+
+const userId = new mongoose.Types.ObjectId().toString();
+const financeId = new mongoose.Types.ObjectId();
+const salesId = new mongoose.Types.ObjectId();
+const findGroupsByMemberId = jest.fn();
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+  Budget = createBudgetModel(mongoose);
+  Balance = createBalanceModel(mongoose);
+  await Budget.init();
+  methods = createBudgetMethods(mongoose, { findGroupsByMemberId });
+}, DB_SETUP_TIMEOUT_MS);
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+}, DB_SETUP_TIMEOUT_MS);
+
+beforeEach(async () => {
+  await Budget.deleteMany({});
+  await Balance.deleteMany({});
+  jest.clearAllMocks();
+  findGroupsByMemberId.mockResolvedValue([{ _id: financeId } as IGroup]);
+});
+
+describe('getBudgetPeriodStart', () => {
+  it('returns the first instant of the UTC month', () => {
+    expect(getBudgetPeriodStart(new Date('2026-10-19T23:30:00.000-05:00')).toISOString()).toBe(
+      '2026-10-01T00:00:00.000Z',
+    );
+  });
+});
+
+describe('budget settings', () => {
+  it('creates a budget with an empty period and replaces its settings on the next upsert', async () => {
+    const created = await methods.upsertBudget(
+      { scope: 'group', groupId: financeId.toString() },
+      { monthlyLimit: 1000, warningThresholds: [0.8] },
+    );
+    expect(created).toMatchObject({
+      scope: 'group',
+      monthlyLimit: 1000,
+      warningThresholds: [0.8],
+      hardStop: true,
+      mode: 'additional',
+      enabled: true,
+      spent: 0,
+    });
+    expect(created?.periodStart).toEqual(getBudgetPeriodStart());
+
+    await Budget.updateOne({ _id: created?._id }, { $set: { spent: 300 } });
+    const updated = await methods.upsertBudget(
+      { scope: 'group', groupId: financeId.toString() },
+      { monthlyLimit: 2000, mode: 'instead' },
+    );
+    expect(updated).toMatchObject({ monthlyLimit: 2000, mode: 'instead', spent: 300 });
+    expect(updated?.warningThresholds).toEqual([]);
+    expect(await Budget.countDocuments()).toBe(1);
+  });
+
+  it('keeps the tenant budget separate from group budgets', async () => {
+    await methods.upsertBudget({ scope: 'tenant' }, { monthlyLimit: 5000 });
+    await methods.upsertBudget(
+      { scope: 'group', groupId: financeId.toString() },
+      { monthlyLimit: 1000 },
+    );
+
+    expect((await methods.getBudget({ scope: 'tenant' }))?.monthlyLimit).toBe(5000);
+    expect(await methods.countBudgets({ scope: 'group' })).toBe(1);
+    expect(await methods.listBudgets()).toHaveLength(2);
+
+    expect(await methods.deleteBudget({ scope: 'tenant' })).toBe(true);
+    expect(await methods.getBudget({ scope: 'tenant' })).toBeNull();
+    expect(await methods.getBudget({ scope: 'group', groupId: 'not-an-id' })).toBeNull();
+  });
+
+  it('scopes budgets to the current tenant', async () => {
+    await tenantStorage.run({ tenantId: 'tenant-a' }, () =>
+      methods.upsertBudget({ scope: 'tenant' }, { monthlyLimit: 100 }),
+    );
+    await tenantStorage.run({ tenantId: 'tenant-b' }, () =>
+      methods.upsertBudget({ scope: 'tenant' }, { monthlyLimit: 200 }),
+    );
+
+    const budgetA = await tenantStorage.run({ tenantId: 'tenant-a' }, () =>
+      methods.getBudget({ scope: 'tenant' }),
+    );
+    expect(budgetA?.monthlyLimit).toBe(100);
+    expect(budgetA?.tenantId).toBe('tenant-a');
+  });
+});
+
+describe('findBudgetsForUser', () => {
+  it("returns the enabled budgets of the user's groups and tenant", async () => {
+    await methods.upsertBudget({ scope: 'tenant' }, { monthlyLimit: 5000 });
+    await methods.upsertBudget(
+      { scope: 'group', groupId: financeId.toString() },
+      { monthlyLimit: 1000 },
+    );
+    await methods.upsertBudget(
+      { scope: 'group', groupId: salesId.toString() },
+      { monthlyLimit: 1000 },
+    );
+    await methods.upsertBudget(
+      { scope: 'group', groupId: financeId.toString() },
+      { monthlyLimit: 1000, enabled: false },
+    );
+
+    const budgets = await methods.findBudgetsForUser(userId);
+
+    expect(budgets.map((budget) => budget.scope)).toEqual(['tenant']);
+    expect(findGroupsByMemberId).toHaveBeenCalledWith(userId);
+  });
+
+  it('skips the group lookup when no budget is enabled', async () => {
+    expect(await methods.findBudgetsForUser(userId)).toEqual([]);
+    expect(findGroupsByMemberId).not.toHaveBeenCalled();
+  });
+
+  it("reports last month's spend as a fresh period", async () => {
+    await Budget.create({
+      scope: 'group',
+      groupId: financeId,
+      monthlyLimit: 1000,
+      periodStart: new Date('2020-01-01T00:00:00.000Z'),
+      spent: 900,
+      warnedThresholds: [0.8],
+    });
+
+    const [budget] = await methods.findBudgetsForUser(userId);
+
+    expect(budget).toMatchObject({ spent: 0, warnedThresholds: [] });
+    expect(budget.periodStart).toEqual(getBudgetPeriodStart());
+  });
+});
+
+describe('chargeBudgets', () => {
+  it('adds spend to every covering budget and reports whether one replaces the balance', async () => {
+    await methods.upsertBudget({ scope: 'tenant' }, { monthlyLimit: 5000 });
+    await methods.upsertBudget(
+      { scope: 'group', groupId: financeId.toString() },
+      { monthlyLimit: 1000, mode: 'instead' },
+    );
+
+    const result = await methods.chargeBudgets(userId, 250);
+
+    expect(result).toEqual({ replacesBalance: true, warnings: [] });
+    const budgets = await Budget.find({}).lean();
+    expect(budgets.map((budget) => budget.spent)).toEqual([250, 250]);
+  });
+
+  it('reports each crossed threshold once per period', async () => {
+    await methods.upsertBudget(
+      { scope: 'group', groupId: financeId.toString() },
+      { monthlyLimit: 1000, warningThresholds: [0.5, 0.9] },
+    );
+
+    const first = await methods.chargeBudgets(userId, 600);
+    const second = await methods.chargeBudgets(userId, 100);
+    const third = await methods.chargeBudgets(userId, 300);
+
+    expect(first.warnings).toEqual([
+      expect.objectContaining({ scope: 'group', threshold: 0.5, spent: 600, monthlyLimit: 1000 }),
+    ]);
+    expect(second.warnings).toEqual([]);
+    expect(third.warnings.map((warning) => warning.threshold)).toEqual([0.9]);
+    expect(logger.warn).toHaveBeenCalledTimes(2);
+
+    const stored = await Budget.findOne({}).lean();
+    expect(stored).toMatchObject({ spent: 1000, warnedThresholds: [0.5, 0.9] });
+  });
+
+  it('rolls a stale period over before charging', async () => {
+    await Budget.create({
+      scope: 'tenant',
+      groupId: null,
+      monthlyLimit: 1000,
+      warningThresholds: [0.5],
+      periodStart: new Date('2020-01-01T00:00:00.000Z'),
+      spent: 900,
+      warnedThresholds: [0.5],
+    });
+
+    const result = await methods.chargeBudgets(userId, 100);
+
+    expect(result.warnings).toEqual([]);
+    const stored = await Budget.findOne({}).lean();
+    expect(stored).toMatchObject({ spent: 100, warnedThresholds: [] });
+    expect(stored?.periodStart).toEqual(getBudgetPeriodStart());
+  });
+
+  it('ignores non-positive amounts', async () => {
+    await methods.upsertBudget({ scope: 'tenant' }, { monthlyLimit: 1000 });
+
+    expect(await methods.chargeBudgets(userId, 0)).toEqual({
+      replacesBalance: false,
+      warnings: [],
+    });
+    expect((await Budget.findOne({}).lean())?.spent).toBe(0);
+  });
+});
+
+describe('updateBalance with budgets', () => {
+  function createBalanceMethods() {
+    return createTransactionMethods(mongoose, {
+      getMultiplier: () => 1,
+      getCacheMultiplier: () => null,
+      chargeBudgets: methods.chargeBudgets,
+    });
+  }
+
+  it('debits both the pool and the personal balance for an additional budget', async () => {
+    await Balance.create({ user: userId, tokenCredits: 1000 });
+    await methods.upsertBudget({ scope: 'tenant' }, { monthlyLimit: 5000 });
+
+    const balance = await createBalanceMethods().updateBalance({
+      user: userId,
+      incrementValue: -300,
+    });
+
+    expect(balance.tokenCredits).toBe(700);
+    expect((await Budget.findOne({}).lean())?.spent).toBe(300);
+  });
+
+  it('leaves the personal balance untouched when a budget replaces it', async () => {
+    await Balance.create({ user: userId, tokenCredits: 1000 });
+    await methods.upsertBudget(
+      { scope: 'group', groupId: financeId.toString() },
+      { monthlyLimit: 5000, mode: 'instead' },
+    );
+
+    const balance = await createBalanceMethods().updateBalance({
+      user: userId,
+      incrementValue: -300,
+    });
+
+    expect(balance.tokenCredits).toBe(1000);
+    expect((await Budget.findOne({}).lean())?.spent).toBe(300);
+  });
+
+  it('does not charge budgets for credits added to the balance', async () => {
+    await methods.upsertBudget({ scope: 'tenant' }, { monthlyLimit: 5000 });
+
+    const balance = await createBalanceMethods().updateBalance({
+      user: userId,
+      incrementValue: 500,
+    });
+
+    expect(balance.tokenCredits).toBe(500);
+    expect((await Budget.findOne({}).lean())?.spent).toBe(0);
+  });
+});
@@ -0,0 +1,240 @@
+import type { Model, Types } from 'mongoose';
+import type {
+  IBudget,
+  IBudgetDocument,
+  BudgetScope,
+  BudgetTarget,
+  BudgetWarning,
+  BudgetSettings,
+  ChargeBudgetsResult,
+} from '~/types/budget';
+import type { IGroup } from '~/types';
+import { isValidObjectIdString } from '~/utils/objectId';
+import logger from '~/config/winston';
+
+export interface BudgetDeps {
+  findGroupsByMemberId: (userId: string | Types.ObjectId) => Promise<IGroup[]>;
+}
+
+export interface BudgetMethods {
+  /** Enabled budgets covering the user (their groups' and the tenant's), with current-month spend. */
+  findBudgetsForUser: (userId: string | Types.ObjectId) => Promise<IBudget[]>;
+  /** Adds spent token credits to every enabled budget covering the user. */
+  chargeBudgets: (userId: string | Types.ObjectId, amount: number) => Promise<ChargeBudgetsResult>;
+  listBudgets: (options?: {
+    scope?: BudgetScope;
+    limit?: number;
+    offset?: number;
+  }) => Promise<IBudget[]>;
+  countBudgets: (options?: { scope?: BudgetScope }) => Promise<number>;
+  getBudget: (target: BudgetTarget) => Promise<IBudget | null>;
+  upsertBudget: (target: BudgetTarget, settings: BudgetSettings) => Promise<IBudget | null>;
+  deleteBudget: (target: BudgetTarget) => Promise<boolean>;
+}
+
+/** Budgets reset monthly; periods are calendar months in UTC so every server agrees on them. */
+export function getBudgetPeriodStart(now: Date = new Date()): Date {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+}
+
+/**
+ * A stored budget whose period has ended still carries last month's spend until the next
+ * charge rolls it over, so readers see it as a fresh month.
+ */
+function toCurrentPeriod(budget: IBudget, periodStart: Date): IBudget {
+  if (new Date(budget.periodStart).getTime() >= periodStart.getTime()) {
+    return budget;
+  }
+  return { ...budget, periodStart, spent: 0, warnedThresholds: [] };
+}
+
+export function createBudgetMethods(
+  mongoose: typeof import('mongoose'),
+  deps: BudgetDeps,
+): BudgetMethods {
+  const model = (): Model<IBudgetDocument> => mongoose.models.Budget as Model<IBudgetDocument>;
+
+  function targetFilter(target: BudgetTarget) {
+    if (target.scope === 'tenant') {
+      return { scope: 'tenant' as const, groupId: null };
+    }
+    return { scope: 'group' as const, groupId: new mongoose.Types.ObjectId(target.groupId) };
+  }
+
+  function isValidTarget(target: BudgetTarget): boolean {
+    return target.scope === 'tenant' || isValidObjectIdString(target.groupId);
+  }
+
+  async function findBudgetsForUser(userId: string | Types.ObjectId): Promise<IBudget[]> {
+    /** Spend and balance checks call this on every request; most deployments have no budgets. */
+    if (!(await model().exists({ enabled: true }))) {
+      return [];
+    }
+    const groups = await deps.findGroupsByMemberId(userId);
+    const groupIds = groups.map((group) => group._id);
+    const budgets = await model()
+      .find({
+        enabled: true,
+        $or: [
+          { scope: 'tenant' },
+          ...(groupIds.length > 0 ? [{ scope: 'group', groupId: { $in: groupIds } }] : []),
+        ],
+      })
+      .lean<IBudget[]>();
+    const periodStart = getBudgetPeriodStart();
+    return budgets.map((budget) => toCurrentPeriod(budget, periodStart));
+  }
+
+  /**
+   * Charges one budget. The rollover runs first and only matches while the stored period is
+   * stale, so concurrent charges at a month boundary reset the spend exactly once.
+   * Each crossed threshold is claimed with `$addToSet` so only one charge reports it.
+   */
+  async function chargeBudget(
+    budget: IBudget,
+    amount: number,
+    periodStart: Date,
+  ): Promise<BudgetWarning[]> {
+    await model().updateOne(
+      { _id: budget._id, periodStart: { $lt: periodStart } },
+      { $set: { periodStart, spent: 0, warnedThresholds: [] } },
+    );
+    const updated = await model()
+      .findOneAndUpdate({ _id: budget._id }, { $inc: { spent: amount } }, { new: true })
+      .lean<IBudget>();
+    if (!updated) {
+      return [];
+    }
+
+    const warnings: BudgetWarning[] = [];
+    for (const threshold of updated.warningThresholds ?? []) {
+      if (
+        updated.spent < threshold * updated.monthlyLimit ||
+        updated.warnedThresholds?.includes(threshold)
+      ) {
+        continue;
+      }
+      const claimed = await model().updateOne(
+        { _id: budget._id, periodStart, warnedThresholds: { $ne: threshold } },
+        { $addToSet: { warnedThresholds: threshold } },
+      );
+      if (claimed.modifiedCount === 0) {
+        continue;
+      }
+      const warning: BudgetWarning = {
+        budgetId: String(updated._id),
+        scope: updated.scope,
+        ...(updated.groupId != null && { groupId: String(updated.groupId) }),
+        threshold,
+        spent: updated.spent,
+        monthlyLimit: updated.monthlyLimit,
+      };
+      logger.warn(
+        `[Budget] ${updated.scope} budget reached ${Math.round(threshold * 100)}% of its monthly limit`,
+        warning,
+      );
+      warnings.push(warning);
+    }
+    return warnings;
+  }
+
+  async function chargeBudgets(
+    userId: string | Types.ObjectId,
+    amount: number,
+  ): Promise<ChargeBudgetsResult> {
+    if (!(amount > 0)) {
+      return { replacesBalance: false, warnings: [] };
+    }
+    const budgets = await findBudgetsForUser(userId);
+    if (budgets.length === 0) {
+      return { replacesBalance: false, warnings: [] };
+    }
+    const periodStart = getBudgetPeriodStart();
+    const warnings = await Promise.all(
+      budgets.map((budget) => chargeBudget(budget, amount, periodStart)),
+    );
+    return {
+      replacesBalance: budgets.some((budget) => budget.mode === 'instead'),
+      warnings: warnings.flat(),
+    };
+  }
+
+  async function listBudgets(
+    options: { scope?: BudgetScope; limit?: number; offset?: number } = {},
+  ): Promise<IBudget[]> {
+    const query = model()
+      .find(options.scope != null ? { scope: options.scope } : {})
+      .sort({ scope: -1, createdAt: 1 });
+    if (options.offset) {
+      query.skip(options.offset);
+    }
+    if (options.limit) {
+      query.limit(options.limit);
+    }
+    const budgets = await query.lean<IBudget[]>();
+    const periodStart = getBudgetPeriodStart();
+    return budgets.map((budget) => toCurrentPeriod(budget, periodStart));
+  }
+
+  async function countBudgets(options: { scope?: BudgetScope } = {}): Promise<number> {
+    return model().countDocuments(options.scope != null ? { scope: options.scope } : {});
+  }
+
+  async function getBudget(target: BudgetTarget): Promise<IBudget | null> {
+    if (!isValidTarget(target)) {
+      return null;
+    }
+    const budget = await model().findOne(targetFilter(target)).lean<IBudget>();
+    return budget ? toCurrentPeriod(budget, getBudgetPeriodStart()) : null;
+  }
+
+  /** Replaces a budget's settings, creating it with an empty current period if needed. */
+  async function upsertBudget(
+    target: BudgetTarget,
+    settings: BudgetSettings,
+  ): Promise<IBudget | null> {
+    if (!isValidTarget(target)) {
+      return null;
+    }
+    try {
+      const budget = await model()
+        .findOneAndUpdate(
+          targetFilter(target),
+          {
+            $set: {
+              monthlyLimit: settings.monthlyLimit,
+              warningThresholds: settings.warningThresholds ?? [],
+              hardStop: settings.hardStop ?? true,
+              mode: settings.mode ?? 'additional',
+              enabled: settings.enabled ?? true,
+            },
+            $setOnInsert: { periodStart: getBudgetPeriodStart(), spent: 0, warnedThresholds: [] },
+          },
+          { new: true, upsert: true, runValidators: true },
+        )
+        .lean<IBudget>();
+      return budget ? toCurrentPeriod(budget, getBudgetPeriodStart()) : null;
+    } catch (error) {
+      logger.error('[upsertBudget] Error saving budget:', error);
+      throw error;
+    }
+  }
+
+  async function deleteBudget(target: BudgetTarget): Promise<boolean> {
+    if (!isValidTarget(target)) {
+      return false;
+    }
+    const result = await model().deleteOne(targetFilter(target));
+    return result.deletedCount === 1;
+  }
+
+  return {
+    findBudgetsForUser,
+    chargeBudgets,
+    listBudgets,
+    countBudgets,
+    getBudget,
+    upsertBudget,
+    deleteBudget,
+  };
+}
@@ -0,0 +1,182 @@
+import mongoose from 'mongoose';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+import type { IConversation, IExportJob } from '~/types';
+import { createExportJobMethods, type ExportJobMethods } from './exportJob';
+import { createModels } from '~/models';
+
+jest.mock('~/config/winston', () => ({
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn(),
+  debug: jest.fn(),
+}));
+
+let mongoServer: InstanceType<typeof MongoMemoryServer>;
+let ExportJob: mongoose.Model<IExportJob>;
+let Conversation: mongoose.Model<IConversation>;
+let methods: ExportJobMethods;
+let modelsToCleanup: string[] = [];
+
+const userId = new mongoose.Types.ObjectId().toString();
+const otherUserId = new mongoose.Types.ObjectId().toString();
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+
+  const models = createModels(mongoose);
+  modelsToCleanup = Object.keys(models);
+  Object.assign(mongoose.models, models);
+
+  ExportJob = mongoose.models.ExportJob as mongoose.Model<IExportJob>;
+  Conversation = mongoose.models.Conversation as mongoose.Model<IConversation>;
+  methods = createExportJobMethods(mongoose);
+
+  await mongoose.connect(mongoUri);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+
+  for (const modelName of modelsToCleanup) {
+    if (mongoose.models[modelName]) {
+      delete mongoose.models[modelName];
+    }
+  }
+});
+
+afterEach(async () => {
+  await ExportJob.deleteMany({});
+  await Conversation.deleteMany({});
+});
+
+const inOneDay = () => new Date(Date.now() + 24 * 60 * 60 * 1000);
+
+describe('export jobs', () => {
+  it('creates pending jobs scoped to their owner', async () => {
+    const job = await methods.createExportJob({
+      user: userId,
+      filter: { type: 'tag', tag: 'travel' },
+      expiresAt: inOneDay(),
+    });
+
+    expect(job.status).toBe('pending');
+    expect(job.filter).toMatchObject({ type: 'tag', tag: 'travel' });
+    expect(await methods.getExportJob(userId, String(job._id))).not.toBeNull();
+    expect(await methods.getExportJob(otherUserId, String(job._id))).toBeNull();
+    expect(await methods.getExportJob(userId, 'not-an-id')).toBeNull();
+  });
+
+  it('returns the most recent job', async () => {
+    await methods.createExportJob({ user: userId, filter: { type: 'all' }, expiresAt: inOneDay() });
+    const latest = await methods.createExportJob({
+      user: userId,
+      filter: { type: 'tag', tag: 'work' },
+      expiresAt: inOneDay(),
+    });
+
+    const found = await methods.getLatestExportJob(userId);
+    expect(String(found?._id)).toBe(String(latest._id));
+  });
+
+  it('ignores finished and stale jobs when looking for an active export', async () => {
+    const job = await methods.createExportJob({
+      user: userId,
+      filter: { type: 'all' },
+      expiresAt: inOneDay(),
+    });
+    const jobId = String(job._id);
+
+    expect(await methods.findActiveExportJob(userId, new Date(Date.now() - 60_000))).not.toBeNull();
+    expect(await methods.findActiveExportJob(userId, new Date(Date.now() + 60_000))).toBeNull();
+
+    await methods.updateExportJob(jobId, { status: 'completed' });
+    expect(await methods.findActiveExportJob(userId, new Date(Date.now() - 60_000))).toBeNull();
+  });
+
+  it('finds and deletes expired jobs', async () => {
+    const expired = await methods.createExportJob({
+      user: userId,
+      filter: { type: 'all' },
+      expiresAt: new Date(Date.now() - 1000),
+    });
+    await methods.createExportJob({ user: userId, filter: { type: 'all' }, expiresAt: inOneDay() });
+
+    const found = await methods.findExpiredExportJobs();
+    expect(found.map((job) => String(job._id))).toEqual([String(expired._id)]);
+    expect(await methods.deleteExportJob(String(expired._id))).toBe(true);
+    expect(await ExportJob.countDocuments()).toBe(1);
+  });
+});
+
+describe('findConversationsForExport', () => {
+  const projectId = new mongoose.Types.ObjectId().toString();
+
+  beforeEach(async () => {
+    /** Inserted directly so `createdAt` is not replaced by schema timestamps. */
+    await Conversation.collection.insertMany([
+      {
+        conversationId: 'jan',
+        user: userId,
+        title: 'January',
+        tags: ['travel'],
+        createdAt: new Date('2026-01-15T00:00:00.000Z'),
+      },
+      {
+        conversationId: 'feb',
+        user: userId,
+        title: 'February',
+        chatProjectId: new mongoose.Types.ObjectId(projectId),
+        createdAt: new Date('2026-02-15T00:00:00.000Z'),
+      },
+      {
+        conversationId: 'temp',
+        user: userId,
+        title: 'Temporary',
+        isTemporary: true,
+        expiredAt: new Date(Date.now() + 60_000),
+        createdAt: new Date('2026-02-20T00:00:00.000Z'),
+      },
+      {
+        conversationId: 'other',
+        user: otherUserId,
+        title: 'Someone else',
+        tags: ['travel'],
+        createdAt: new Date('2026-01-20T00:00:00.000Z'),
+      },
+    ]);
+  });
+
+  const ids = (conversations: IConversation[]) => conversations.map((c) => c.conversationId);
+
+  it("exports the user's saved conversations, oldest first", async () => {
+    const conversations = await methods.findConversationsForExport(userId, { type: 'all' });
+    expect(ids(conversations)).toEqual(['jan', 'feb']);
+  });
+
+  it('filters by project, tag, and date range', async () => {
+    expect(
+      ids(await methods.findConversationsForExport(userId, { type: 'project', projectId })),
+    ).toEqual(['feb']);
+    expect(
+      ids(await methods.findConversationsForExport(userId, { type: 'tag', tag: 'travel' })),
+    ).toEqual(['jan']);
+    expect(
+      ids(
+        await methods.findConversationsForExport(userId, {
+          type: 'dateRange',
+          from: new Date('2026-02-01T00:00:00.000Z'),
+        }),
+      ),
+    ).toEqual(['feb']);
+    expect(
+      ids(
+        await methods.findConversationsForExport(userId, {
+          type: 'dateRange',
+          to: new Date('2026-01-31T23:59:59.999Z'),
+        }),
+      ),
+    ).toEqual(['jan']);
+  });
+});
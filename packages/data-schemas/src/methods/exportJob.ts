@@ -0,0 +1,128 @@
+import type { FilterQuery, Model } from 'mongoose';
+import type { IExportJob, IExportJobDocument, ConversationExportFilter } from '~/types/exportJob';
+import type { IConversation } from '~/types';
+import { buildRetentionVisibilityFilter } from '~/utils/retention';
+import { isValidObjectIdString } from '~/utils/objectId';
+
+export interface ExportJobMethods {
+  createExportJob: (data: {
+    user: string;
+    filter: ConversationExportFilter;
+    expiresAt: Date;
+  }) => Promise<IExportJob>;
+  getExportJob: (user: string, jobId: string) => Promise<IExportJob | null>;
+  /** The user's most recent export, so a reopened settings page can pick up where it left off. */
+  getLatestExportJob: (user: string) => Promise<IExportJob | null>;
+  /**
+   * A pending or running export that has made progress since `staleBefore`.
+   * Jobs orphaned by a restart stop being updated and age out of this check.
+   */
+  findActiveExportJob: (user: string, staleBefore: Date) => Promise<IExportJob | null>;
+  updateExportJob: (jobId: string, update: Partial<IExportJob>) => Promise<IExportJob | null>;
+  findExpiredExportJobs: (now?: Date) => Promise<IExportJob[]>;
+  deleteExportJob: (jobId: string) => Promise<boolean>;
+  /** The user's saved (non-temporary) conversations matching the filter, oldest first. */
+  findConversationsForExport: (
+    user: string,
+    filter: ConversationExportFilter,
+  ) => Promise<IConversation[]>;
+}
+
+export function createExportJobMethods(mongoose: typeof import('mongoose')): ExportJobMethods {
+  const model = (): Model<IExportJobDocument> =>
+    mongoose.models.ExportJob as Model<IExportJobDocument>;
+
+  async function createExportJob(data: {
+    user: string;
+    filter: ConversationExportFilter;
+    expiresAt: Date;
+  }): Promise<IExportJob> {
+    const job = await model().create({ ...data, status: 'pending' });
+    return job.toObject() as IExportJob;
+  }
+
+  async function getExportJob(user: string, jobId: string): Promise<IExportJob | null> {
+    if (!isValidObjectIdString(jobId)) {
+      return null;
+    }
+    return model().findOne({ _id: jobId, user }).lean<IExportJob>();
+  }
+
+  async function getLatestExportJob(user: string): Promise<IExportJob | null> {
+    return model().findOne({ user }).sort({ createdAt: -1, _id: -1 }).lean<IExportJob>();
+  }
+
+  async function findActiveExportJob(user: string, staleBefore: Date): Promise<IExportJob | null> {
+    return model()
+      .findOne({
+        user,
+        status: { $in: ['pending', 'running'] },
+        updatedAt: { $gt: staleBefore },
+      })
+      .lean<IExportJob>();
+  }
+
+  async function updateExportJob(
+    jobId: string,
+    update: Partial<IExportJob>,
+  ): Promise<IExportJob | null> {
+    return model()
+      .findOneAndUpdate({ _id: jobId }, { $set: update }, { new: true })
+      .lean<IExportJob>();
+  }
+
+  async function findExpiredExportJobs(now: Date = new Date()): Promise<IExportJob[]> {
+    return model()
+      .find({ expiresAt: { $lte: now } })
+      .lean<IExportJob[]>();
+  }
+
+  async function deleteExportJob(jobId: string): Promise<boolean> {
+    const result = await model().deleteOne({ _id: jobId });
+    return result.deletedCount === 1;
+  }
+
+  async function findConversationsForExport(
+    user: string,
+    filter: ConversationExportFilter,
+  ): Promise<IConversation[]> {
+    const Conversation = mongoose.models.Conversation as Model<IConversation>;
+    const filters: FilterQuery<IConversation>[] = [
+      { user } as FilterQuery<IConversation>,
+      buildRetentionVisibilityFilter<IConversation>(),
+    ];
+
+    if (filter.type === 'project') {
+      filters.push({ chatProjectId: filter.projectId } as FilterQuery<IConversation>);
+    } else if (filter.type === 'tag') {
+      filters.push({ tags: filter.tag } as FilterQuery<IConversation>);
+    } else if (filter.type === 'dateRange') {
+      const createdAt: Record<string, Date> = {};
+      if (filter.from) {
+        createdAt.$gte = filter.from;
+      }
+      if (filter.to) {
+        createdAt.$lte = filter.to;
+      }
+      if (Object.keys(createdAt).length > 0) {
+        filters.push({ createdAt } as FilterQuery<IConversation>);
+      }
+    }
+
+    return Conversation.find({ $and: filters })
+      .select('-messages -subagentThreadLease')
+      .sort({ createdAt: 1, _id: 1 })
+      .lean<IConversation[]>();
+  }
+
+  return {
+    createExportJob,
+    getExportJob,
+    getLatestExportJob,
+    findActiveExportJob,
+    updateExportJob,
+    findExpiredExportJobs,
+    deleteExportJob,
+    findConversationsForExport,
+  };
+}
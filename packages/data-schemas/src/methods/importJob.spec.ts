@@ -0,0 +1,135 @@
+import mongoose from 'mongoose';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+import type { IImportJob } from '~/types';
+import { createImportJobMethods, MAX_IMPORT_JOB_ISSUES, type ImportJobMethods } from './importJob';
+import { createModels } from '~/models';
+
+jest.mock('~/config/winston', () => ({
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn(),
+  debug: jest.fn(),
+}));
+
+let mongoServer: InstanceType<typeof MongoMemoryServer>;
+let ImportJob: mongoose.Model<IImportJob>;
+let methods: ImportJobMethods;
+let modelsToCleanup: string[] = [];
+
+const userId = new mongoose.Types.ObjectId().toString();
+const otherUserId = new mongoose.Types.ObjectId().toString();
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+
+  const models = createModels(mongoose);
+  modelsToCleanup = Object.keys(models);
+  Object.assign(mongoose.models, models);
+
+  ImportJob = mongoose.models.ImportJob as mongoose.Model<IImportJob>;
+  methods = createImportJobMethods(mongoose);
+
+  await mongoose.connect(mongoUri);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+
+  for (const modelName of modelsToCleanup) {
+    if (mongoose.models[modelName]) {
+      delete mongoose.models[modelName];
+    }
+  }
+});
+
+afterEach(async () => {
+  await ImportJob.deleteMany({});
+});
+
+const createJob = (user = userId) =>
+  methods.createImportJob({
+    user,
+    userRole: 'USER',
+    filename: 'conversations.json',
+    filepath: '/uploads/imports/job.json',
+    bytes: 1024,
+  });
+
+describe('import jobs', () => {
+  it('creates pending jobs scoped to their owner', async () => {
+    const job = await createJob();
+
+    expect(job).toMatchObject({ status: 'pending', processedCount: 0, attempts: 0, issues: [] });
+    expect(await methods.getImportJob(userId, String(job._id))).not.toBeNull();
+    expect(await methods.getImportJob(otherUserId, String(job._id))).toBeNull();
+    expect(await methods.getImportJob(userId, 'not-an-id')).toBeNull();
+
+    const latest = await createJob();
+    expect(String((await methods.getLatestImportJob(userId))?._id)).toBe(String(latest._id));
+  });
+
+  it('claims a pending job only once', async () => {
+    const job = await createJob();
+    const jobId = String(job._id);
+
+    const claimed = await methods.claimImportJob(jobId);
+    expect(claimed).toMatchObject({ status: 'running', attempts: 1 });
+    expect(await methods.claimImportJob(jobId)).toBeNull();
+  });
+
+  it('finds and claims jobs that stopped reporting progress', async () => {
+    const job = await createJob();
+    const jobId = String(job._id);
+    await methods.claimImportJob(jobId);
+
+    expect(await methods.findStaleImportJobs(new Date(Date.now() - 60_000))).toHaveLength(0);
+    expect(await methods.claimImportJob(jobId, new Date(Date.now() - 60_000))).toBeNull();
+
+    const staleBefore = new Date(Date.now() + 60_000);
+    const stale = await methods.findStaleImportJobs(staleBefore);
+    expect(stale.map((found) => String(found._id))).toEqual([jobId]);
+    expect(await methods.claimImportJob(jobId, staleBefore)).toMatchObject({ attempts: 2 });
+
+    await methods.updateImportJob(jobId, { status: 'completed' });
+    expect(await methods.findStaleImportJobs(new Date(Date.now() + 60_000))).toHaveLength(0);
+  });
+
+  it('records progress, counts and capped issues', async () => {
+    const job = await createJob();
+    const jobId = String(job._id);
+
+    await methods.recordImportProgress(jobId, { processedCount: 1, importedCount: 1 });
+    await methods.recordImportProgress(jobId, {
+      processedCount: 2,
+      issue: { index: 1, status: 'skipped', reason: 'Unsupported conversation format' },
+    });
+    await methods.recordImportProgress(jobId, {
+      processedCount: 3,
+      issue: { index: 2, status: 'failed', title: 'Broken', reason: 'Invalid JSON' },
+    });
+
+    const updated = await methods.getImportJob(userId, jobId);
+    expect(updated).toMatchObject({
+      processedCount: 3,
+      importedCount: 1,
+      skippedCount: 1,
+      failedCount: 1,
+    });
+    expect(updated?.issues).toEqual([
+      { index: 1, status: 'skipped', reason: 'Unsupported conversation format' },
+      { index: 2, status: 'failed', title: 'Broken', reason: 'Invalid JSON' },
+    ]);
+
+    for (let i = 0; i < MAX_IMPORT_JOB_ISSUES; i++) {
+      await methods.recordImportProgress(jobId, {
+        processedCount: 4 + i,
+        issue: { index: 3 + i, status: 'failed', reason: 'Invalid JSON' },
+      });
+    }
+    const capped = await methods.getImportJob(userId, jobId);
+    expect(capped?.issues).toHaveLength(MAX_IMPORT_JOB_ISSUES);
+    expect(capped?.failedCount).toBe(MAX_IMPORT_JOB_ISSUES + 1);
+  });
+});
@@ -0,0 +1,120 @@
+import type { Model, UpdateQuery } from 'mongoose';
+import type { IImportJob, IImportJobDocument, IImportJobIssue } from '~/types/importJob';
+import { isValidObjectIdString } from '~/utils/objectId';
+
+/** Only the first issues are kept so a badly broken file cannot grow the record without bound. */
+export const MAX_IMPORT_JOB_ISSUES = 100;
+
+export interface ImportJobProgress {
+  /** Entries of the file handled so far, including this one. */
+  processedCount: number;
+  importedCount?: number;
+  issue?: IImportJobIssue;
+}
+
+export interface ImportJobMethods {
+  createImportJob: (data: {
+    user: string;
+    userRole?: string;
+    filename: string;
+    filepath: string;
+    bytes: number;
+  }) => Promise<IImportJob>;
+  getImportJob: (user: string, jobId: string) => Promise<IImportJob | null>;
+  /** The user's most recent import, so a reopened settings page can follow its progress. */
+  getLatestImportJob: (user: string) => Promise<IImportJob | null>;
+  /**
+   * Marks a job as running and counts the attempt. Without `staleBefore` only pending jobs are
+   * claimed; with it, pending or running jobs that have not been updated since then are, which is
+   * how imports orphaned by a restart are picked up exactly once.
+   */
+  claimImportJob: (jobId: string, staleBefore?: Date) => Promise<IImportJob | null>;
+  /** Unfinished imports that have not been updated since `staleBefore`, across all users. */
+  findStaleImportJobs: (staleBefore: Date) => Promise<IImportJob[]>;
+  recordImportProgress: (jobId: string, progress: ImportJobProgress) => Promise<void>;
+  updateImportJob: (jobId: string, update: Partial<IImportJob>) => Promise<IImportJob | null>;
+}
+
+export function createImportJobMethods(mongoose: typeof import('mongoose')): ImportJobMethods {
+  const model = (): Model<IImportJobDocument> =>
+    mongoose.models.ImportJob as Model<IImportJobDocument>;
+
+  async function createImportJob(data: {
+    user: string;
+    userRole?: string;
+    filename: string;
+    filepath: string;
+    bytes: number;
+  }): Promise<IImportJob> {
+    const job = await model().create({ ...data, status: 'pending' });
+    return job.toObject() as IImportJob;
+  }
+
+  async function getImportJob(user: string, jobId: string): Promise<IImportJob | null> {
+    if (!isValidObjectIdString(jobId)) {
+      return null;
+    }
+    return model().findOne({ _id: jobId, user }).lean<IImportJob>();
+  }
+
+  async function getLatestImportJob(user: string): Promise<IImportJob | null> {
+    return model().findOne({ user }).sort({ createdAt: -1, _id: -1 }).lean<IImportJob>();
+  }
+
+  async function claimImportJob(jobId: string, staleBefore?: Date): Promise<IImportJob | null> {
+    const filter = staleBefore
+      ? { _id: jobId, status: { $in: ['pending', 'running'] }, updatedAt: { $lt: staleBefore } }
+      : { _id: jobId, status: 'pending' };
+    return model()
+      .findOneAndUpdate(
+        filter,
+        { $set: { status: 'running', startedAt: new Date() }, $inc: { attempts: 1 } },
+        { new: true },
+      )
+      .lean<IImportJob>();
+  }
+
+  async function findStaleImportJobs(staleBefore: Date): Promise<IImportJob[]> {
+    return model()
+      .find({ status: { $in: ['pending', 'running'] }, updatedAt: { $lt: staleBefore } })
+      .sort({ updatedAt: 1 })
+      .lean<IImportJob[]>();
+  }
+
+  async function recordImportProgress(jobId: string, progress: ImportJobProgress): Promise<void> {
+    const update: UpdateQuery<IImportJobDocument> = {
+      $set: { processedCount: progress.processedCount },
+    };
+    const increments: Record<string, number> = {};
+    if (progress.importedCount) {
+      increments.importedCount = progress.importedCount;
+    }
+    if (progress.issue) {
+      increments[progress.issue.status === 'skipped' ? 'skippedCount' : 'failedCount'] = 1;
+      update.$push = { issues: { $each: [progress.issue], $slice: MAX_IMPORT_JOB_ISSUES } };
+    }
+    if (Object.keys(increments).length > 0) {
+      update.$inc = increments;
+    }
+    await model().updateOne({ _id: jobId }, update);
+  }
+
+  async function updateImportJob(
+    jobId: string,
+    update: Partial<IImportJob>,
+  ): Promise<IImportJob | null> {
+    return model()
+      .findOneAndUpdate({ _id: jobId }, { $set: update }, { new: true })
+      .lean<IImportJob>();
+  }
+
+  return {
+    createImportJob,
+    getImportJob,
+    getLatestImportJob,
+    claimImportJob,
+    findStaleImportJobs,
+    recordImportProgress,
+    updateImportJob,
+  };
+}
@@ -1,6 +1,7 @@
 import type { RoleMethods, RoleDeps } from './role';
 import { createSessionMethods, DEFAULT_REFRESH_TOKEN_EXPIRY, type SessionMethods } from './session';
 import { createUserMethods, DEFAULT_SESSION_EXPIRY, type UserMethods } from './user';
+import { createPasskeyMethods, type PasskeyMethods, type CreatePasskeyInput } from './passkey';
 import { createFileMethods, type FileMethods, type FileOwnerScope } from './file';
 import { createTokenMethods, type TokenMethods } from './token';
 import { createRoleMethods, RoleConflictError } from './role';
@@ -17,6 +18,8 @@ import {
 import { createAgentCategoryMethods, type AgentCategoryMethods } from './agentCategory';
 /* Agent API Keys */
 import { createAgentApiKeyMethods, type AgentApiKeyMethods } from './agentApiKey';
+/* Agent Evaluations */
+import { createAgentEvalMethods, type AgentEvalMethods } from './agentEval';
 /* MCP Servers */
 import { createMCPServerMethods, type MCPServerMethods } from './mcpServer';
 /* Plugin Auth */
@@ -52,6 +55,13 @@ import {
 } from './message';
 import { createConversationMethods, type ConversationMethods } from './conversation';
 import { createChatProjectMethods, type ChatProjectMethods } from './chatProject';
+import { createExportJobMethods, type ExportJobMethods } from './exportJob';
+import { createImportJobMethods, type ImportJobMethods } from './importJob';
+import { createTakeoutJobMethods, type TakeoutJobMethods } from './takeoutJob';
+import {
+  createBackgroundTaskResultMethods,
+  type BackgroundTaskResultMethods,
+} from './backgroundTaskResult';
 export type {
   AssignConversationToProjectResult,
   ChatProjectSortBy,
@@ -73,8 +83,10 @@ import {
   defaultRate,
 } from './tx';
 import { createTransactionMethods, type TransactionMethods } from './transaction';
+import { createBudgetMethods, type BudgetMethods } from './budget';
 import { createSpendTokensMethods, type SpendTokensMethods } from './spendTokens';
 import { createPromptMethods, type PromptMethods, type PromptDeps } from './prompt';
+import { createPromptTestMethods, type PromptTestMethods } from './promptTest';
 import {
   createSkillMethods,
   partitionIssues,
@@ -103,7 +115,31 @@ import {
   AgentTriggerDeliveryConflictError,
   type AgentTriggerDeliveryMethods,
 } from './triggerDelivery';
+import {
+  createAgentScheduleMethods,
+  type AgentScheduleMethods,
+  type AdvanceAgentScheduleInput,
+  type CreateAgentScheduleData,
+  type UpdateAgentScheduleData,
+} from './agentSchedule';
+import {
+  createAgentWebhookMethods,
+  type AgentWebhookMethods,
+  type AgentWebhookWithSecret,
+  type CreateAgentWebhookData,
+  type UpdateAgentWebhookData,
+} from './agentWebhook';
 import { createSkillSyncMethods, type SkillSyncMethods } from './skillSync';
+import {
+  createArtifactMethods,
+  type ArtifactMethods,
+  type ArtifactDeps,
+  type ArtifactVersionInput,
+  type ArtifactVersionSummary,
+  type CreateArtifactInput,
+  type ListArtifactsByAccessParams,
+  type ListArtifactsByAccessResult,
+} from './artifact';
 import type {
   SkillSyncStatusInput,
   SkillSyncCredentialSummary,
@@ -163,6 +199,7 @@ export { AgentTriggerDeliveryConflictError };
 
 export type AllMethods = UserMethods &
   SessionMethods &
+  PasskeyMethods &
   TokenMethods &
   RoleMethods &
   KeyMethods &
@@ -171,6 +208,7 @@ export type AllMethods = UserMethods &
   ToolFavoriteMethods &
   AgentCategoryMethods &
   AgentApiKeyMethods &
+  AgentEvalMethods &
   MCPServerMethods &
   UserGroupMethods &
   AclEntryMethods &
@@ -189,13 +227,22 @@ export type AllMethods = UserMethods &
   MessageMethods &
   ConversationMethods &
   ChatProjectMethods &
+  ExportJobMethods &
+  ImportJobMethods &
+  TakeoutJobMethods &
+  BackgroundTaskResultMethods &
   TxMethods &
   TransactionMethods &
+  BudgetMethods &
   SpendTokensMethods &
   PromptMethods &
+  PromptTestMethods &
   SkillMethods &
   SkillSyncMethods &
+  ArtifactMethods &
   AgentTriggerDeliveryMethods &
+  AgentScheduleMethods &
+  AgentWebhookMethods &
   AgentMethods &
   ConfigMethods &
   MCPAuthorityMethods &
@@ -234,10 +281,19 @@ export function createMethods(
   };
   const txMethods = createTxMethods(mongoose, txDeps);
 
-  // Tier 3: transaction methods need tx's getMultiplier/getCacheMultiplier
+  const userGroupDeps: UserGroupDeps = { getCache: deps.getCache };
+  const userGroupMethods = createUserGroupMethods(mongoose, userGroupDeps);
+
+  // Budget methods resolve a user's groups to find the budgets covering them
+  const budgetMethods = createBudgetMethods(mongoose, {
+    findGroupsByMemberId: userGroupMethods.findGroupsByMemberId,
+  });
+
+  // Tier 3: transaction methods need tx's getMultiplier/getCacheMultiplier and budget charging
   const transactionMethods = createTransactionMethods(mongoose, {
     getMultiplier: txMethods.getMultiplier,
     getCacheMultiplier: txMethods.getCacheMultiplier,
+    chargeBudgets: budgetMethods.chargeBudgets,
   });
 
   // Tier 3: spendTokens methods need transaction methods
@@ -278,9 +334,13 @@ export function createMethods(
   };
   const skillMethods = createSkillMethods(mongoose, skillDeps);
 
+  const artifactDeps: ArtifactDeps = {
+    removeAllPermissions,
+    getSoleOwnedResourceIds: aclEntryMethods.getSoleOwnedResourceIds,
+  };
+
   // Role methods with optional cache injection
   const roleDeps: RoleDeps = { getCache: deps.getCache };
-  const userGroupDeps: UserGroupDeps = { getCache: deps.getCache };
   const roleMethods = createRoleMethods(mongoose, roleDeps);
 
   // Tier 1: action methods (created as variable for agent dependency)
@@ -298,6 +358,7 @@ export function createMethods(
   return {
     ...createUserMethods(mongoose, { getCache: deps.getCache }),
     ...createSessionMethods(mongoose),
+    ...createPasskeyMethods(mongoose),
     ...createTokenMethods(mongoose),
     ...roleMethods,
     ...createKeyMethods(mongoose),
@@ -306,9 +367,10 @@ export function createMethods(
     ...createToolFavoriteMethods(mongoose),
     ...createAgentCategoryMethods(mongoose),
     ...createAgentApiKeyMethods(mongoose),
+    ...createAgentEvalMethods(mongoose),
     ...createMCPServerMethods(mongoose),
     ...createAccessRoleMethods(mongoose),
-    ...createUserGroupMethods(mongoose, userGroupDeps),
+    ...userGroupMethods,
     ...aclEntryMethods,
     ...systemGrantMethods,
     ...createAuditLogMethods(mongoose),
@@ -326,14 +388,23 @@ export function createMethods(
     ...messageMethods,
     ...conversationMethods,
     ...createChatProjectMethods(mongoose),
+    ...createExportJobMethods(mongoose),
+    ...createImportJobMethods(mongoose),
+    ...createTakeoutJobMethods(mongoose),
+    ...createBackgroundTaskResultMethods(mongoose),
     /* Tier 3 */
     ...txMethods,
     ...transactionMethods,
+    ...budgetMethods,
     ...spendTokensMethods,
     ...promptMethods,
+    ...createPromptTestMethods(mongoose),
     ...skillMethods,
     ...createSkillSyncMethods(mongoose),
+    ...createArtifactMethods(mongoose, artifactDeps),
     ...createAgentTriggerDeliveryMethods(mongoose),
+    ...createAgentScheduleMethods(mongoose),
+    ...createAgentWebhookMethods(mongoose),
     /* Tier 5 */
     ...agentMethods,
     /* Config */
@@ -341,13 +412,15 @@ export function createMethods(
     /* MCP authority proofs */
     ...createMCPAuthorityMethods(mongoose),
     /* Insights */
-    ...createInsightsMethods(mongoose),
+    ...createInsightsMethods(mongoose, { getMultiplier: txMethods.getMultiplier }),
   };
 }
 
 export type {
   UserMethods,
   SessionMethods,
+  PasskeyMethods,
+  CreatePasskeyInput,
   TokenMethods,
   RoleMethods,
   KeyMethods,
@@ -357,6 +430,7 @@ export type {
   ToolFavoriteMethods,
   AgentCategoryMethods,
   AgentApiKeyMethods,
+  AgentEvalMethods,
   MCPServerMethods,
   UserGroupMethods,
   AclEntryMethods,
@@ -376,10 +450,16 @@ export type {
   SubagentTaskResultClaim,
   ConversationMethods,
   ChatProjectMethods,
+  ExportJobMethods,
+  ImportJobMethods,
+  TakeoutJobMethods,
+  BackgroundTaskResultMethods,
   TxMethods,
   TransactionMethods,
+  BudgetMethods,
   SpendTokensMethods,
   PromptMethods,
+  PromptTestMethods,
   SkillMethods,
   SkillDeps,
   CreateSkillInput,
@@ -394,7 +474,22 @@ export type {
   SkillSyncCredentialSummary,
   UpsertSkillSyncCredentialInput,
   SkillSyncMethods,
+  ArtifactMethods,
+  ArtifactDeps,
+  ArtifactVersionInput,
+  ArtifactVersionSummary,
+  CreateArtifactInput,
+  ListArtifactsByAccessParams,
+  ListArtifactsByAccessResult,
   AgentTriggerDeliveryMethods,
+  AgentScheduleMethods,
+  AdvanceAgentScheduleInput,
+  CreateAgentScheduleData,
+  UpdateAgentScheduleData,
+  AgentWebhookMethods,
+  AgentWebhookWithSecret,
+  CreateAgentWebhookData,
+  UpdateAgentWebhookData,
   AgentMethods,
   ConfigMethods,
   MCPAuthorityMethods,
@@ -1,6 +1,8 @@
 import mongoose from 'mongoose';
 import { MongoMemoryServer } from 'mongodb-memory-server';
+import { createTransactionModel } from '../models/transaction';
 import { createConversationModel } from '../models/convo';
+import { createAgentModel } from '../models/agent';
 import { createMessageModel } from '../models/message';
 import { createInsightsMethods } from './insights';
 import { createUserModel } from '../models/user';
@@ -14,6 +16,8 @@ beforeAll(async () => {
     createConversationModel(mongoose),
     createMessageModel(mongoose),
     createUserModel(mongoose),
+    createTransactionModel(mongoose),
+    createAgentModel(mongoose),
   ];
   await Promise.all(models.map((model) => model.init()));
 });
@@ -28,6 +32,8 @@ beforeEach(async () => {
     mongoose.models.Conversation.deleteMany({}),
     mongoose.models.Message.deleteMany({}),
     mongoose.models.User.deleteMany({}),
+    mongoose.models.Transaction.deleteMany({}),
+    mongoose.models.Agent.deleteMany({}),
   ]);
 });
 
@@ -804,4 +810,277 @@ describe('Insights methods', () => {
       aggregateSpy.mockRestore();
     }
   });
+
+  it('breaks usage down by endpoint, model, and agent with estimated cost', async () => {
+    const from = new Date('2026-03-01T00:00:00.000Z');
+    const to = new Date('2026-03-02T23:59:59.999Z');
+    const firstDay = new Date('2026-03-01T10:00:00.000Z');
+    const secondDay = new Date('2026-03-02T10:00:00.000Z');
+    const userId = new mongoose.Types.ObjectId();
+    const spend = (
+      messageId: string,
+      conversationId: string,
+      model: string,
+      tokenType: 'prompt' | 'completion',
+      rawAmount: number,
+      createdAt: Date,
+      tokenValue?: number,
+    ) => ({
+      user: userId,
+      tenantId: 'tenant-a',
+      conversationId,
+      messageId,
+      model,
+      tokenType,
+      rawAmount: -rawAmount,
+      ...(tokenValue != null && { tokenValue: -tokenValue }),
+      createdAt,
+      updatedAt: createdAt,
+    });
+
+    await mongoose.models.Conversation.collection.insertMany([
+      {
+        conversationId: 'agent-conversation',
+        tenantId: 'tenant-a',
+        user: userId.toString(),
+        endpoint: 'agents',
+        agent_id: 'agent_support',
+        createdAt: firstDay,
+        updatedAt: firstDay,
+      },
+      {
+        conversationId: 'openai-conversation',
+        tenantId: 'tenant-a',
+        user: userId.toString(),
+        endpoint: 'openAI',
+        agent_id: 'agent_support',
+        createdAt: firstDay,
+        updatedAt: firstDay,
+      },
+    ]);
+    await mongoose.models.Agent.collection.insertOne({
+      id: 'agent_support',
+      tenantId: 'tenant-a',
+      name: 'Support',
+      provider: 'openAI',
+      model: 'gpt-4o',
+      author: userId,
+    });
+    await mongoose.models.Transaction.collection.insertMany([
+      spend('agent-reply', 'agent-conversation', 'gpt-4o', 'prompt', 1000, firstDay, 2_500_000),
+      spend('agent-reply', 'agent-conversation', 'gpt-4o', 'completion', 500, firstDay, 5_000_000),
+      spend('openai-reply', 'openai-conversation', 'gpt-4o-mini', 'prompt', 200, secondDay),
+      spend('openai-reply', 'openai-conversation', 'gpt-4o-mini', 'completion', 100, secondDay),
+      spend('orphan-reply', 'missing-conversation', 'gpt-4o', 'prompt', 50, secondDay, 100_000),
+      {
+        ...spend('other-tenant', 'agent-conversation', 'gpt-4o', 'prompt', 999, firstDay, 999),
+        tenantId: 'tenant-b',
+      },
+      {
+        ...spend('credits', 'agent-conversation', 'gpt-4o', 'prompt', 0, firstDay),
+        tokenType: 'credits',
+        rawAmount: 1000,
+      },
+    ]);
+
+    const getMultiplier = jest.fn(({ tokenType }: { tokenType?: string }) =>
+      tokenType === 'prompt' ? 1000 : 2000,
+    );
+    const methods = createInsightsMethods(mongoose, { getMultiplier });
+    const range = {
+      tenantId: 'tenant-a',
+      range: 'custom' as const,
+      fromTimestamp: from.toISOString(),
+      toTimestamp: to.toISOString(),
+      timeZone: 'UTC',
+    };
+
+    const { usage, summary } = await methods.getInsights(range);
+
+    expect(usage.totals).toEqual({
+      messages: 3,
+      promptTokens: 1250,
+      completionTokens: 600,
+      totalTokens: 1850,
+      cost: 8,
+    });
+    expect(usage.daily).toEqual([
+      { date: '2026-03-01', messages: 1, totalTokens: 1500, cost: 7.5 },
+      { date: '2026-03-02', messages: 2, totalTokens: 350, cost: 0.5 },
+    ]);
+    expect(
+      usage.endpoints.map(({ key, messages, totalTokens, cost }) => [
+        key,
+        messages,
+        totalTokens,
+        cost,
+      ]),
+    ).toEqual([
+      ['agents', 1, 1500, 7.5],
+      ['openAI', 1, 300, 0.4],
+    ]);
+    expect(usage.models.map(({ key, cost }) => [key, cost])).toEqual([
+      ['gpt-4o', 7.6],
+      ['gpt-4o-mini', 0.4],
+    ]);
+    expect(usage.agents).toEqual([
+      expect.objectContaining({ key: 'agent_support', label: 'Support', messages: 1, cost: 7.5 }),
+    ]);
+    expect(usage.options.agents).toEqual([{ value: 'agent_support', label: 'Support' }]);
+    expect(getMultiplier).toHaveBeenCalledWith({ model: 'gpt-4o-mini', tokenType: 'completion' });
+
+    const filtered = await methods.getInsights({ ...range, model: 'gpt-4o-mini' });
+
+    expect(filtered.usage.totals).toEqual(
+      expect.objectContaining({ messages: 1, totalTokens: 300, cost: 0.4 }),
+    );
+    expect(filtered.usage.agents).toEqual([]);
+    expect(filtered.usage.options.models.map(({ value }) => value)).toEqual([
+      'gpt-4o',
+      'gpt-4o-mini',
+    ]);
+    expect(filtered.summary).toEqual(summary);
+  });
+
+  it('summarizes feedback by source and pages rated messages with optional content', async () => {
+    const from = new Date('2026-04-01T00:00:00.000Z');
+    const to = new Date('2026-04-02T23:59:59.999Z');
+    const firstDay = new Date('2026-04-01T10:00:00.000Z');
+    const secondDay = new Date('2026-04-02T10:00:00.000Z');
+    const userId = new mongoose.Types.ObjectId();
+    const response = (
+      messageId: string,
+      createdAt: Date,
+      source: { endpoint: string; model: string },
+      feedback?: Record<string, unknown>,
+    ) => ({
+      messageId,
+      conversationId: 'feedback-conversation',
+      tenantId: 'tenant-a',
+      user: userId.toString(),
+      isCreatedByUser: false,
+      isTemporary: false,
+      text: `Response ${messageId}`,
+      createdAt,
+      updatedAt: createdAt,
+      ...source,
+      ...(feedback && { feedback }),
+    });
+    const agent = { endpoint: 'agents', model: 'agent_support' };
+    const openAI = { endpoint: 'openAI', model: 'gpt-4o' };
+
+    await mongoose.models.User.collection.insertOne({
+      _id: userId,
+      tenantId: 'tenant-a',
+      name: 'Rater',
+      email: 'rater@example.com',
+    });
+    await mongoose.models.Agent.collection.insertOne({
+      id: 'agent_support',
+      tenantId: 'tenant-a',
+      name: 'Support',
+      provider: 'openAI',
+      model: 'gpt-4o',
+      author: userId,
+    });
+    await mongoose.models.Message.collection.insertMany([
+      response('agent-unrated', firstDay, agent),
+      response('agent-up', firstDay, agent, { rating: 'thumbsUp', tag: 'accurate_reliable' }),
+      response('agent-down', secondDay, agent, {
+        rating: 'thumbsDown',
+        tag: 'inaccurate',
+        text: 'Wrong refund policy',
+      }),
+      response('agent-down-legacy', secondDay, agent, {
+        rating: 'thumbsDown',
+        tag: { key: 'inaccurate', label: 'com_ui_feedback_tag_inaccurate' },
+      }),
+      response('model-down', secondDay, openAI, { rating: 'thumbsDown', tag: 'not_helpful' }),
+      {
+        ...response('prompt', secondDay, agent, { rating: 'thumbsDown', tag: 'other' }),
+        isCreatedByUser: true,
+      },
+      {
+        ...response('other-tenant', secondDay, agent, { rating: 'thumbsDown', tag: 'other' }),
+        tenantId: 'tenant-b',
+      },
+    ]);
+
+    const methods = createInsightsMethods(mongoose);
+    const range = {
+      tenantId: 'tenant-a',
+      range: 'custom' as const,
+      fromTimestamp: from.toISOString(),
+      toTimestamp: to.toISOString(),
+      timeZone: 'UTC',
+    };
+
+    const { feedback } = await methods.getInsights(range);
+
+    expect(feedback.totals).toEqual({ responses: 5, thumbsUp: 1, thumbsDown: 3 });
+    expect(feedback.daily).toEqual([
+      { date: '2026-04-01', responses: 2, thumbsUp: 1, thumbsDown: 0 },
+      { date: '2026-04-02', responses: 3, thumbsUp: 0, thumbsDown: 3 },
+    ]);
+    expect(feedback.sources).toEqual([
+      {
+        id: 'agent:agent_support',
+        kind: 'agent',
+        key: 'agent_support',
+        label: 'Support',
+        responses: 4,
+        thumbsUp: 1,
+        thumbsDown: 2,
+        reasons: { inaccurate: 2 },
+      },
+      {
+        id: 'model:gpt-4o',
+        kind: 'model',
+        key: 'gpt-4o',
+        label: 'gpt-4o',
+        responses: 1,
+        thumbsUp: 0,
+        thumbsDown: 1,
+        reasons: { not_helpful: 1 },
+      },
+    ]);
+    expect(feedback.messages).toEqual(
+      expect.objectContaining({ total: 4, page: 1, pages: 1, redacted: true }),
+    );
+    expect(feedback.messages.items[0]).not.toHaveProperty('text');
+    expect(feedback.messages.items[0]).not.toHaveProperty('comment');
+
+    const drillDown = await methods.getInsights({
+      ...range,
+      feedbackSource: 'agent:agent_support',
+      feedbackRating: 'thumbsDown',
+      feedbackTag: 'inaccurate',
+      includeFeedbackContent: true,
+    });
+
+    expect(drillDown.feedback.daily.map(({ responses }) => responses)).toEqual([2, 2]);
+    expect(drillDown.feedback.messages.redacted).toBe(false);
+    expect(drillDown.feedback.messages.items.map(({ messageId }) => messageId).sort()).toEqual([
+      'agent-down',
+      'agent-down-legacy',
+    ]);
+    expect(
+      drillDown.feedback.messages.items.find(({ messageId }) => messageId === 'agent-down'),
+    ).toEqual(
+      expect.objectContaining({
+        name: 'Rater',
+        email: 'rater@example.com',
+        source: {
+          id: 'agent:agent_support',
+          kind: 'agent',
+          key: 'agent_support',
+          label: 'Support',
+        },
+        rating: 'thumbsDown',
+        tag: 'inaccurate',
+        comment: 'Wrong refund policy',
+        text: 'Response agent-down',
+      }),
+    );
+  });
 });
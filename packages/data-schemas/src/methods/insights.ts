@@ -1,4 +1,6 @@
 import {
+  EModelEndpoint,
+  FEEDBACK_RATINGS,
   INSIGHTS_MAX_RANGE_DAYS,
   INSIGHTS_SEARCH_MAX_LENGTH,
   INSIGHTS_SEARCH_MIN_LENGTH,
@@ -10,12 +12,26 @@ import type {
   TInsightsUser,
   TInsightsChurnedUser,
   TInsightsConversation,
+  TInsightsUsage,
+  TInsightsUsageRow,
+  TInsightsUsageTotals,
+  TInsightsUsageOption,
+  TInsightsUsageDailyPoint,
+  TInsightsFeedback,
+  TInsightsFeedbackSource,
+  TInsightsFeedbackTotals,
+  TInsightsRatedMessage,
+  TInsightsFeedbackSourceKind,
+  TFeedbackTagKey,
 } from 'librechat-data-provider';
 import type { Model } from 'mongoose';
-import type { IConversation, IMessage, IUser } from '~/types';
+import type { IAgent, IConversation, IMessage, IUser } from '~/types';
+import type { ITransaction } from '~/schema/transaction';
 
 export type InsightsOptions = TInsightsParams & {
   tenantId?: string;
+  /** Include rated messages' text and the raters' comments; set from the caller's capabilities. */
+  includeFeedbackContent?: boolean;
 };
 
 export type InsightsResult = TInsightsResponse;
@@ -24,6 +40,12 @@ export type InsightsMethods = {
   getInsights: (options?: InsightsOptions) => Promise<InsightsResult>;
 };
 
+export interface InsightsDeps {
+  /** From tx methods; prices spend recorded without a `tokenValue`. Without it such spend
+   *  still counts toward tokens but adds nothing to the estimated cost. */
+  getMultiplier?: (params: { model?: string; tokenType?: 'prompt' | 'completion' }) => number;
+}
+
 type ConversationFacet = {
   conversationCount: Array<{ total: number }>;
   daily: Array<{ date: string; conversations: number }>;
@@ -97,6 +119,41 @@ type FirstMessage = {
   text: string;
 };
 
+/** Spend for one day, model, endpoint, and agent combination. */
+type UsageGroup = {
+  date: string;
+  model?: string | null;
+  endpoint?: string | null;
+  agentId?: string | null;
+  messages: number;
+  promptTokens: number;
+  completionTokens: number;
+  pricedValue: number;
+  unpricedPromptTokens: number;
+  unpricedCompletionTokens: number;
+};
+
+type UsageFilters = Pick<InsightsOptions, 'endpoint' | 'model' | 'agentId'>;
+
+type FeedbackCounts = TInsightsFeedbackTotals;
+
+type FeedbackSourceId = { kind: TInsightsFeedbackSourceKind; key: string };
+
+type FeedbackFacet = {
+  totals: FeedbackCounts[];
+  daily: Array<FeedbackCounts & { date: string }>;
+  sources: Array<FeedbackCounts & { _id: FeedbackSourceId }>;
+  reasons: Array<{ _id: FeedbackSourceId & { tag?: string | null }; count: number }>;
+};
+
+type RatedMessageRow = Pick<IMessage, 'messageId' | 'conversationId' | 'endpoint' | 'model'> & {
+  user?: string | null;
+  createdAt?: Date;
+  text?: string | null;
+  content?: unknown;
+  feedback?: { rating?: string; tag?: unknown; text?: string };
+};
+
 type UserSummary = {
   _id: { toString(): string };
   name?: string;
@@ -113,6 +170,14 @@ const rangeDays = {
 const defaultRange = '7d';
 const churnedUserWindowDays = 28;
 const churnedUserLimit = 8;
+const usageRowLimit = 10;
+const usageOptionLimit = 100;
+const feedbackSourceLimit = 10;
+const feedbackPageSize = 10;
+const ratedMessageTextLimit = 2000;
+const ratedMessageFields = 'messageId conversationId user endpoint model createdAt feedback';
+/** Transaction values are in credits; 1,000,000 credits = 1 USD. */
+const creditsPerUsd = 1_000_000;
 const dayMs = 24 * 60 * 60 * 1000;
 function tenantMatch(tenantId?: string) {
   return tenantId ? { tenantId } : { tenantId: { $exists: false } };
@@ -252,7 +317,514 @@ const toUser = (
   };
 };
 
-export function createInsightsMethods(mongoose: typeof import('mongoose')): InsightsMethods {
+const emptyUsageTotals = (): TInsightsUsageTotals => ({
+  messages: 0,
+  promptTokens: 0,
+  completionTokens: 0,
+  totalTokens: 0,
+  cost: 0,
+});
+
+const emptyUsageDays = (dates: string[]): Map<string, TInsightsUsageDailyPoint> =>
+  new Map(dates.map((date) => [date, { date, messages: 0, totalTokens: 0, cost: 0 }]));
+
+const usageEndpoint = (group: UsageGroup) => group.endpoint;
+const usageModel = (group: UsageGroup) => group.model;
+/** Conversations keep `agent_id` after switching endpoints, so only agent-endpoint spend counts. */
+const usageAgentId = (group: UsageGroup) =>
+  group.endpoint === EModelEndpoint.agents ? group.agentId : undefined;
+
+const matchesUsageFilters = (group: UsageGroup, filters: UsageFilters): boolean =>
+  (!filters.endpoint || usageEndpoint(group) === filters.endpoint) &&
+  (!filters.model || usageModel(group) === filters.model) &&
+  (!filters.agentId || usageAgentId(group) === filters.agentId);
+
+function addUsage(
+  totals: TInsightsUsageTotals,
+  days: Map<string, TInsightsUsageDailyPoint>,
+  group: UsageGroup,
+  cost: number,
+) {
+  const totalTokens = group.promptTokens + group.completionTokens;
+  totals.messages += group.messages;
+  totals.promptTokens += group.promptTokens;
+  totals.completionTokens += group.completionTokens;
+  totals.totalTokens += totalTokens;
+  totals.cost += cost;
+  const day = days.get(group.date);
+  if (day) {
+    day.messages += group.messages;
+    day.totalTokens += totalTokens;
+    day.cost += cost;
+  }
+}
+
+const byUsage = (left: TInsightsUsageTotals & { key: string }, right: typeof left) =>
+  right.cost - left.cost ||
+  right.totalTokens - left.totalTokens ||
+  left.key.localeCompare(right.key);
+
+/**
+ * Rolls spend groups up into one row per dimension value. Groups without a value for the
+ * dimension (e.g. spend outside an agent conversation) only count toward the totals.
+ */
+function usageRows(
+  groups: Array<{ group: UsageGroup; cost: number }>,
+  keyOf: (group: UsageGroup) => string | null | undefined,
+  labels: Map<string, string>,
+  dates: string[],
+  limit = usageRowLimit,
+): TInsightsUsageRow[] {
+  const rows = new Map<
+    string,
+    { totals: TInsightsUsageTotals; days: Map<string, TInsightsUsageDailyPoint> }
+  >();
+  for (const { group, cost } of groups) {
+    const key = keyOf(group);
+    if (!isNonEmptyString(key)) {
+      continue;
+    }
+    let row = rows.get(key);
+    if (!row) {
+      row = { totals: emptyUsageTotals(), days: emptyUsageDays(dates) };
+      rows.set(key, row);
+    }
+    addUsage(row.totals, row.days, group, cost);
+  }
+  return [...rows.entries()]
+    .map(([key, row]) => ({
+      key,
+      label: labels.get(key) ?? key,
+      ...row.totals,
+      daily: [...row.days.values()],
+    }))
+    .sort(byUsage)
+    .slice(0, limit);
+}
+
+const usageOptions = (rows: TInsightsUsageRow[]): TInsightsUsageOption[] =>
+  rows.map(({ key, label }) => ({ value: key, label }));
+
+const emptyFeedbackCounts = (): FeedbackCounts => ({ responses: 0, thumbsUp: 0, thumbsDown: 0 });
+
+const feedbackSourceId = ({ kind, key }: FeedbackSourceId) => `${kind}:${key}`;
+
+/** Parses a `kind:key` source id; model names may contain colons, so only the first one splits. */
+function parseFeedbackSource(value?: string): FeedbackSourceId | undefined {
+  const separator = value?.indexOf(':') ?? -1;
+  if (!value || separator < 1) {
+    return undefined;
+  }
+  const kind = value.slice(0, separator);
+  const key = value.slice(separator + 1);
+  return (kind === 'agent' || kind === 'model') && key ? { kind, key } : undefined;
+}
+
+/** Mongo filter for the responses attributed to a feedback source. */
+const feedbackSourceMatch = ({ kind, key }: FeedbackSourceId) => ({
+  model: key,
+  endpoint: kind === 'agent' ? EModelEndpoint.agents : { $ne: EModelEndpoint.agents },
+});
+
+/** Older messages stored the whole tag object rather than its key. */
+const feedbackTagKey = (tag: unknown): string | undefined => {
+  const key = tag != null && typeof tag === 'object' ? (tag as { key?: unknown }).key : tag;
+  return isNonEmptyString(key) ? key : undefined;
+};
+
+/** The response's plain text; agent responses keep it in content parts instead of `text`. */
+function ratedMessageText(row: RatedMessageRow): string {
+  let text = row.text ?? '';
+  if (!text && Array.isArray(row.content)) {
+    text = row.content
+      .map((part: { type?: string; text?: unknown }) => {
+        if (part?.type !== 'text') {
+          return '';
+        }
+        const value =
+          typeof part.text === 'object' ? (part.text as { value?: unknown })?.value : part.text;
+        return typeof value === 'string' ? value : '';
+      })
+      .filter(Boolean)
+      .join('\n');
+  }
+  return text.slice(0, ratedMessageTextLimit);
+}
+
+export function createInsightsMethods(
+  mongoose: typeof import('mongoose'),
+  deps: InsightsDeps = {},
+): InsightsMethods {
+  /** Agent names by id; agents without a name (or no Agent model) fall back to their id. */
+  async function getAgentLabels(
+    tenant: ReturnType<typeof tenantMatch>,
+    ids: string[],
+  ): Promise<Map<string, string>> {
+    const Agent = mongoose.models.Agent as Model<IAgent> | undefined;
+    const agentIds = [...new Set(ids)];
+    if (!Agent || agentIds.length === 0) {
+      return new Map();
+    }
+    const agentRows = await Agent.find({ ...tenant, id: { $in: agentIds } })
+      .select('id name')
+      .lean<Array<Pick<IAgent, 'id' | 'name'>>>();
+    return new Map(
+      agentRows
+        .filter((agent) => isNonEmptyString(agent.name))
+        .map((agent) => [agent.id, agent.name as string]),
+    );
+  }
+
+  /**
+   * Summarizes ratings on assistant responses created in the range. Sources and totals cover
+   * every response; the source filter narrows the trend and the rated-message list, and the
+   * rating and tag filters narrow only the list.
+   */
+  async function getFeedback({
+    tenant,
+    messageMatch,
+    timeZone,
+    dates,
+    options,
+  }: {
+    tenant: ReturnType<typeof tenantMatch>;
+    messageMatch: Record<string, unknown>;
+    timeZone: string;
+    dates: string[];
+    options: InsightsOptions;
+  }): Promise<TInsightsFeedback> {
+    const Message = mongoose.models.Message as Model<IMessage>;
+    const User = mongoose.models.User as Model<IUser>;
+    const includeContent = options.includeFeedbackContent === true;
+    const source = parseFeedbackSource(options.feedbackSource);
+    const responseMatch = { ...messageMatch, isCreatedByUser: false };
+    const sourceMatch = source ? feedbackSourceMatch(source) : {};
+    const ratingMatch = FEEDBACK_RATINGS.includes(options.feedbackRating as never)
+      ? options.feedbackRating
+      : { $in: [...FEEDBACK_RATINGS] };
+    const ratedMatch = {
+      ...responseMatch,
+      ...sourceMatch,
+      'feedback.rating': ratingMatch,
+      ...(isNonEmptyString(options.feedbackTag) && {
+        $or: [{ 'feedback.tag': options.feedbackTag }, { 'feedback.tag.key': options.feedbackTag }],
+      }),
+    };
+    const page = Math.max(1, Math.floor(options.feedbackPage ?? 1));
+    const counts = {
+      responses: { $sum: 1 },
+      thumbsUp: { $sum: { $cond: [{ $eq: ['$feedback.rating', 'thumbsUp'] }, 1, 0] } },
+      thumbsDown: { $sum: { $cond: [{ $eq: ['$feedback.rating', 'thumbsDown'] }, 1, 0] } },
+    };
+    const sourceGroup = {
+      kind: { $cond: [{ $eq: ['$endpoint', EModelEndpoint.agents] }, 'agent', 'model'] },
+      key: { $ifNull: ['$model', ''] },
+    };
+
+    const [facets, total, ratedRows] = await Promise.all([
+      Message.aggregate<FeedbackFacet>([
+        { $match: responseMatch },
+        {
+          $facet: {
+            totals: [{ $group: { _id: null, ...counts } }],
+            daily: [
+              { $match: sourceMatch },
+              {
+                $group: {
+                  _id: {
+                    $dateToString: { format: '%Y-%m-%d', date: '$createdAt', timezone: timeZone },
+                  },
+                  ...counts,
+                },
+              },
+              { $project: { _id: 0, date: '$_id', responses: 1, thumbsUp: 1, thumbsDown: 1 } },
+            ],
+            sources: [
+              { $group: { _id: sourceGroup, ...counts } },
+              {
+                $match: {
+                  '_id.key': { $ne: '' },
+                  $or: [{ thumbsUp: { $gt: 0 } }, { thumbsDown: { $gt: 0 } }],
+                },
+              },
+              { $sort: { thumbsDown: -1, thumbsUp: -1, '_id.key': 1 } },
+              { $limit: feedbackSourceLimit },
+            ],
+            reasons: [
+              { $match: { 'feedback.rating': 'thumbsDown' } },
+              {
+                $group: {
+                  _id: {
+                    ...sourceGroup,
+                    tag: { $ifNull: ['$feedback.tag.key', '$feedback.tag'] },
+                  },
+                  count: { $sum: 1 },
+                },
+              },
+            ],
+          },
+        },
+      ]),
+      Message.countDocuments(ratedMatch),
+      Message.find(ratedMatch)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * feedbackPageSize)
+        .limit(feedbackPageSize)
+        .select(includeContent ? `${ratedMessageFields} text content` : ratedMessageFields)
+        .lean<RatedMessageRow[]>(),
+    ]);
+
+    const facet = facets[0];
+    const sourceRows = facet?.sources ?? [];
+    const userIds = [...new Set(ratedRows.map((row) => row.user).filter(isNonEmptyString))];
+    const [agentLabels, userRows] = await Promise.all([
+      getAgentLabels(tenant, [
+        ...sourceRows.filter(({ _id }) => _id.kind === 'agent').map(({ _id }) => _id.key),
+        ...ratedRows
+          .filter((row) => row.endpoint === EModelEndpoint.agents)
+          .map((row) => row.model)
+          .filter(isNonEmptyString),
+      ]),
+      userIds.length === 0
+        ? Promise.resolve([] as UserSummary[])
+        : User.find({ ...tenant, _id: { $in: userIds } })
+            .select('_id name username email')
+            .lean<UserSummary[]>(),
+    ]);
+    const users = new Map(userRows.map((user) => [user._id.toString(), user]));
+    const describeSource = (id: FeedbackSourceId) => ({
+      id: feedbackSourceId(id),
+      kind: id.kind,
+      key: id.key,
+      label: (id.kind === 'agent' ? agentLabels.get(id.key) : undefined) ?? id.key,
+    });
+
+    const reasons = new Map<string, TInsightsFeedbackSource['reasons']>();
+    for (const { _id, count } of facet?.reasons ?? []) {
+      const tag = feedbackTagKey(_id.tag);
+      if (!tag) {
+        continue;
+      }
+      const id = feedbackSourceId(_id);
+      const sourceReasons = reasons.get(id) ?? {};
+      sourceReasons[tag as TFeedbackTagKey] = (sourceReasons[tag as TFeedbackTagKey] ?? 0) + count;
+      reasons.set(id, sourceReasons);
+    }
+
+    const days = new Map(dates.map((date) => [date, { date, ...emptyFeedbackCounts() }]));
+    for (const row of facet?.daily ?? []) {
+      days.set(row.date, { ...row });
+    }
+    const totals = facet?.totals[0];
+
+    return {
+      totals: {
+        responses: totals?.responses ?? 0,
+        thumbsUp: totals?.thumbsUp ?? 0,
+        thumbsDown: totals?.thumbsDown ?? 0,
+      },
+      daily: [...days.values()].sort((left, right) => left.date.localeCompare(right.date)),
+      sources: sourceRows.map(({ _id, responses, thumbsUp, thumbsDown }) => ({
+        ...describeSource(_id),
+        responses,
+        thumbsUp,
+        thumbsDown,
+        reasons: reasons.get(feedbackSourceId(_id)) ?? {},
+      })),
+      messages: {
+        items: ratedRows.map((row): TInsightsRatedMessage => {
+          const userId = isNonEmptyString(row.user) ? row.user : '';
+          const user = userId ? users.get(userId) : undefined;
+          const tag = feedbackTagKey(row.feedback?.tag) as TFeedbackTagKey | undefined;
+          return {
+            messageId: row.messageId,
+            conversationId: row.conversationId ?? '',
+            date: (row.createdAt ?? new Date(0)).toISOString(),
+            userId,
+            name: user?.name || user?.username || '',
+            email: user?.email ?? '',
+            source: describeSource({
+              kind: row.endpoint === EModelEndpoint.agents ? 'agent' : 'model',
+              key: row.model ?? '',
+            }),
+            rating: row.feedback?.rating === 'thumbsUp' ? 'thumbsUp' : 'thumbsDown',
+            ...(tag && { tag }),
+            ...(includeContent &&
+              isNonEmptyString(row.feedback?.text) && {
+                comment: row.feedback.text,
+              }),
+            ...(includeContent && { text: ratedMessageText(row) }),
+          };
+        }),
+        total,
+        page,
+        pageSize: feedbackPageSize,
+        pages: Math.max(1, Math.ceil(total / feedbackPageSize)),
+        redacted: !includeContent,
+      },
+    };
+  }
+
+  /**
+   * Builds the usage breakdown from the transaction log. Model comes from the transaction;
+   * endpoint and agent come from its conversation, so spend outside a conversation (or in
+   * one that no longer exists) appears only under its model and in the totals.
+   */
+  async function getUsage({
+    from,
+    to,
+    tenant,
+    timeZone,
+    dates,
+    filters,
+  }: {
+    from: Date;
+    to: Date;
+    tenant: ReturnType<typeof tenantMatch>;
+    timeZone: string;
+    dates: string[];
+    filters: UsageFilters;
+  }): Promise<TInsightsUsage> {
+    const Transaction = mongoose.models.Transaction as Model<ITransaction> | undefined;
+    const isPromptSpend = { $eq: ['$tokenType', 'prompt'] };
+    const isCompletionSpend = { $eq: ['$tokenType', 'completion'] };
+    const hasTokenValue = {
+      $in: [{ $type: '$tokenValue' }, ['double', 'int', 'long', 'decimal']],
+    };
+    const spentTokens = { $abs: { $ifNull: ['$rawAmount', 0] } };
+
+    const groups = !Transaction
+      ? []
+      : await Transaction.aggregate<UsageGroup>([
+          {
+            $match: {
+              ...tenant,
+              tokenType: { $in: ['prompt', 'completion'] },
+              createdAt: { $gte: from, $lte: to },
+            },
+          },
+          {
+            $lookup: {
+              from: 'conversations',
+              let: { conversationId: '$conversationId', user: { $toString: '$user' } },
+              pipeline: [
+                {
+                  $match: {
+                    $expr: {
+                      $and: [
+                        { $eq: ['$conversationId', '$$conversationId'] },
+                        { $eq: ['$user', '$$user'] },
+                      ],
+                    },
+                  },
+                },
+                { $project: { _id: 0, endpoint: 1, agent_id: 1 } },
+                { $limit: 1 },
+              ],
+              as: 'conversation',
+            },
+          },
+          { $set: { conversation: { $arrayElemAt: ['$conversation', 0] } } },
+          {
+            $group: {
+              _id: {
+                date: {
+                  $dateToString: { format: '%Y-%m-%d', date: '$createdAt', timezone: timeZone },
+                },
+                model: '$model',
+                endpoint: '$conversation.endpoint',
+                agentId: '$conversation.agent_id',
+                messageId: '$messageId',
+              },
+              promptTokens: { $sum: { $cond: [isPromptSpend, spentTokens, 0] } },
+              completionTokens: { $sum: { $cond: [isCompletionSpend, spentTokens, 0] } },
+              pricedValue: { $sum: { $cond: [hasTokenValue, { $abs: '$tokenValue' }, 0] } },
+              unpricedPromptTokens: {
+                $sum: {
+                  $cond: [{ $and: [isPromptSpend, { $not: [hasTokenValue] }] }, spentTokens, 0],
+                },
+              },
+              unpricedCompletionTokens: {
+                $sum: {
+                  $cond: [{ $and: [isCompletionSpend, { $not: [hasTokenValue] }] }, spentTokens, 0],
+                },
+              },
+            },
+          },
+          {
+            $group: {
+              _id: {
+                date: '$_id.date',
+                model: '$_id.model',
+                endpoint: '$_id.endpoint',
+                agentId: '$_id.agentId',
+              },
+              messages: { $sum: { $cond: [{ $ifNull: ['$_id.messageId', false] }, 1, 0] } },
+              promptTokens: { $sum: '$promptTokens' },
+              completionTokens: { $sum: '$completionTokens' },
+              pricedValue: { $sum: '$pricedValue' },
+              unpricedPromptTokens: { $sum: '$unpricedPromptTokens' },
+              unpricedCompletionTokens: { $sum: '$unpricedCompletionTokens' },
+            },
+          },
+          {
+            $project: {
+              _id: 0,
+              date: '$_id.date',
+              model: '$_id.model',
+              endpoint: '$_id.endpoint',
+              agentId: '$_id.agentId',
+              messages: 1,
+              promptTokens: 1,
+              completionTokens: 1,
+              pricedValue: 1,
+              unpricedPromptTokens: 1,
+              unpricedCompletionTokens: 1,
+            },
+          },
+        ]);
+
+    const priced = groups.map((group) => {
+      const model = group.model ?? undefined;
+      const unpricedValue =
+        deps.getMultiplier == null
+          ? 0
+          : group.unpricedPromptTokens * deps.getMultiplier({ model, tokenType: 'prompt' }) +
+            group.unpricedCompletionTokens * deps.getMultiplier({ model, tokenType: 'completion' });
+      return { group, cost: (group.pricedValue + unpricedValue) / creditsPerUsd };
+    });
+
+    const agentLabels = await getAgentLabels(
+      tenant,
+      groups.map(usageAgentId).filter(isNonEmptyString),
+    );
+    const noLabels = new Map<string, string>();
+    const options = (
+      keyOf: (group: UsageGroup) => string | null | undefined,
+      labels: Map<string, string>,
+    ) => usageOptions(usageRows(priced, keyOf, labels, [], usageOptionLimit));
+
+    const filtered = priced.filter(({ group }) => matchesUsageFilters(group, filters));
+    const totals = emptyUsageTotals();
+    const days = emptyUsageDays(dates);
+    for (const { group, cost } of filtered) {
+      addUsage(totals, days, group, cost);
+    }
+
+    return {
+      totals,
+      daily: [...days.values()],
+      endpoints: usageRows(filtered, usageEndpoint, noLabels, dates),
+      models: usageRows(filtered, usageModel, noLabels, dates),
+      agents: usageRows(filtered, usageAgentId, agentLabels, dates),
+      options: {
+        endpoints: options(usageEndpoint, noLabels),
+        models: options(usageModel, noLabels),
+        agents: options(usageAgentId, agentLabels),
+      },
+    };
+  }
+
   async function getInsights(options: InsightsOptions = {}): Promise<InsightsResult> {
     const Conversation = mongoose.models.Conversation as Model<IConversation>;
     const Message = mongoose.models.Message as Model<IMessage>;
@@ -279,6 +851,11 @@ export function createInsightsMethods(mongoose: typeof import('mongoose')): Insi
       isTemporary: { $ne: true },
       createdAt: { $gte: from, $lte: to },
     };
+    const dates: string[] = [];
+    const lastDay = dateKey(to, timeZone);
+    for (let key = dateKey(from, timeZone); key <= lastDay; key = addCalendarDaysToKey(key, 1)) {
+      dates.push(key);
+    }
     const conversationScope = [{ $match: conversationMatch }];
     const messageScope = [{ $match: messageMatch }];
 
@@ -478,9 +1055,24 @@ export function createInsightsMethods(mongoose: typeof import('mongoose')): Insi
         { $limit: churnedUserLimit },
       ]),
       searchedConversationAggregation,
+      getUsage({
+        from,
+        to,
+        tenant,
+        timeZone,
+        dates,
+        filters: { endpoint: options.endpoint, model: options.model, agentId: options.agentId },
+      }),
+      getFeedback({ tenant, messageMatch, timeZone, dates, options }),
     ]);
-    const [conversationFacets, messageFacets, churnedUserRows, searchedConversationFacets] =
-      insightsAggregations;
+    const [
+      conversationFacets,
+      messageFacets,
+      churnedUserRows,
+      searchedConversationFacets,
+      usage,
+      feedback,
+    ] = insightsAggregations;
 
     const conversationFacet = conversationFacets[0];
     const conversationListFacet = searchRegex ? searchedConversationFacets[0] : conversationFacet;
@@ -617,9 +1209,7 @@ export function createInsightsMethods(mongoose: typeof import('mongoose')): Insi
       firstMessages.map((message) => [conversationOwnerKey(message._id), message.text]),
     );
     const days = new Map<string, TInsightsDailyPoint>();
-    const firstDay = dateKey(from, timeZone);
-    const lastDay = dateKey(to, timeZone);
-    for (let key = firstDay; key <= lastDay; key = addCalendarDaysToKey(key, 1)) {
+    for (const key of dates) {
       addDay(days, key);
     }
     for (const row of conversationFacet?.daily ?? []) {
@@ -655,6 +1245,8 @@ export function createInsightsMethods(mongoose: typeof import('mongoose')): Insi
         totalTokens,
       },
       daily: [...days.values()].sort((left, right) => left.date.localeCompare(right.date)),
+      usage,
+      feedback,
       topUsers: topMessageUsers.map((row) =>
         toUser(row._id, topConversationCountsByUser.get(row._id) ?? 0, users, row),
       ),
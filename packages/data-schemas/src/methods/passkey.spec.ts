@@ -0,0 +1,114 @@
+import mongoose from 'mongoose';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+import type { IPasskey } from '~/types';
+import { createPasskeyMethods, type PasskeyMethods } from './passkey';
+import { createModels } from '~/models';
+
+jest.mock('~/config/winston', () => ({
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn(),
+  debug: jest.fn(),
+}));
+
+let mongoServer: InstanceType<typeof MongoMemoryServer>;
+let Passkey: mongoose.Model<IPasskey>;
+let methods: PasskeyMethods;
+let modelsToCleanup: string[] = [];
+
+const userId = new mongoose.Types.ObjectId().toString();
+const otherUserId = new mongoose.Types.ObjectId().toString();
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+
+  const models = createModels(mongoose);
+  modelsToCleanup = Object.keys(models);
+  Object.assign(mongoose.models, models);
+
+  Passkey = mongoose.models.Passkey as mongoose.Model<IPasskey>;
+  methods = createPasskeyMethods(mongoose);
+
+  await mongoose.connect(mongoUri);
+  await Passkey.init();
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+
+  for (const modelName of modelsToCleanup) {
+    if (mongoose.models[modelName]) {
+      delete mongoose.models[modelName];
+    }
+  }
+});
+
+afterEach(async () => {
+  await Passkey.deleteMany({});
+});
+
+const createPasskey = (credentialId: string, user = userId) =>
+  methods.createPasskey({
+    user,
+    credentialId,
+    publicKey: 'cose-key',
+    counter: 0,
+    transports: ['internal'],
+    name: `Passkey ${credentialId}`,
+  });
+
+describe('passkeys', () => {
+  it('creates passkeys and finds them by credential id', async () => {
+    const created = await createPasskey('cred-1');
+
+    expect(created).toMatchObject({ credentialId: 'cred-1', counter: 0, backedUp: false });
+    expect((await methods.findPasskeyByCredentialId('cred-1'))?._id?.toString()).toBe(
+      created._id?.toString(),
+    );
+    expect(await methods.findPasskeyByCredentialId('missing')).toBeNull();
+    await expect(createPasskey('cred-1', otherUserId)).rejects.toThrow();
+  });
+
+  it('lists and counts only the user’s own passkeys', async () => {
+    await createPasskey('cred-1');
+    await createPasskey('cred-2');
+    await createPasskey('cred-3', otherUserId);
+
+    const listed = await methods.listUserPasskeys(userId);
+    expect(listed.map((p) => p.credentialId).sort()).toEqual(['cred-1', 'cred-2']);
+    expect(await methods.countUserPasskeys(userId)).toBe(2);
+  });
+
+  it('records use without touching other fields', async () => {
+    const created = await createPasskey('cred-1');
+    await methods.recordPasskeyUse(created._id!, { counter: 7, backedUp: true });
+
+    const updated = await methods.findPasskeyByCredentialId('cred-1');
+    expect(updated).toMatchObject({ counter: 7, backedUp: true, name: 'Passkey cred-1' });
+    expect(updated?.lastUsedAt).toBeInstanceOf(Date);
+  });
+
+  it('renames and deletes only for the owner', async () => {
+    const created = await createPasskey('cred-1');
+    const id = created._id!.toString();
+
+    expect(await methods.renamePasskey(otherUserId, id, 'Stolen')).toBeNull();
+    expect((await methods.renamePasskey(userId, id, 'Laptop'))?.name).toBe('Laptop');
+    expect(await methods.renamePasskey(userId, 'not-an-id', 'Laptop')).toBeNull();
+
+    expect(await methods.deletePasskey(otherUserId, id)).toBe(false);
+    expect(await methods.deletePasskey(userId, id)).toBe(true);
+    expect(await methods.countUserPasskeys(userId)).toBe(0);
+  });
+
+  it('deletes all of a user’s passkeys', async () => {
+    await createPasskey('cred-1');
+    await createPasskey('cred-2');
+    await createPasskey('cred-3', otherUserId);
+
+    expect(await methods.deleteUserPasskeys(userId)).toBe(2);
+    expect(await methods.countUserPasskeys(otherUserId)).toBe(1);
+  });
+});
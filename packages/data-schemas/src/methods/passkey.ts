@@ -0,0 +1,107 @@
+import type { Model, Types } from 'mongoose';
+import type { IPasskey, IPasskeyDocument } from '~/types/passkey';
+import { isValidObjectIdString } from '~/utils/objectId';
+
+export type CreatePasskeyInput = {
+  user: string | Types.ObjectId;
+  credentialId: string;
+  publicKey: string;
+  counter: number;
+  transports?: string[];
+  backedUp?: boolean;
+  name: string;
+};
+
+export function createPasskeyMethods(mongoose: typeof import('mongoose')): {
+  createPasskey: (data: CreatePasskeyInput) => Promise<IPasskey>;
+  findPasskeyByCredentialId: (credentialId: string) => Promise<IPasskey | null>;
+  listUserPasskeys: (userId: string | Types.ObjectId) => Promise<IPasskey[]>;
+  countUserPasskeys: (userId: string | Types.ObjectId) => Promise<number>;
+  recordPasskeyUse: (
+    passkeyId: string | Types.ObjectId,
+    update: { counter: number; backedUp: boolean },
+  ) => Promise<void>;
+  renamePasskey: (
+    userId: string | Types.ObjectId,
+    passkeyId: string,
+    name: string,
+  ) => Promise<IPasskey | null>;
+  deletePasskey: (userId: string | Types.ObjectId, passkeyId: string) => Promise<boolean>;
+  deleteUserPasskeys: (userId: string | Types.ObjectId) => Promise<number>;
+} {
+  const passkeyModel = () => mongoose.models.Passkey as Model<IPasskeyDocument>;
+
+  async function createPasskey(data: CreatePasskeyInput): Promise<IPasskey> {
+    const passkey = await passkeyModel().create(data);
+    return passkey.toObject() as IPasskey;
+  }
+
+  async function findPasskeyByCredentialId(credentialId: string): Promise<IPasskey | null> {
+    if (typeof credentialId !== 'string' || credentialId.length === 0) {
+      return null;
+    }
+    return passkeyModel().findOne({ credentialId }).lean<IPasskey>();
+  }
+
+  /** Newest first, as listed in the account settings. */
+  async function listUserPasskeys(userId: string | Types.ObjectId): Promise<IPasskey[]> {
+    return passkeyModel().find({ user: userId }).sort({ createdAt: -1 }).lean<IPasskey[]>();
+  }
+
+  async function countUserPasskeys(userId: string | Types.ObjectId): Promise<number> {
+    return passkeyModel().countDocuments({ user: userId });
+  }
+
+  async function recordPasskeyUse(
+    passkeyId: string | Types.ObjectId,
+    { counter, backedUp }: { counter: number; backedUp: boolean },
+  ): Promise<void> {
+    await passkeyModel().updateOne(
+      { _id: passkeyId },
+      { $set: { counter, backedUp, lastUsedAt: new Date() } },
+      { timestamps: false },
+    );
+  }
+
+  async function renamePasskey(
+    userId: string | Types.ObjectId,
+    passkeyId: string,
+    name: string,
+  ): Promise<IPasskey | null> {
+    if (!isValidObjectIdString(passkeyId)) {
+      return null;
+    }
+    return passkeyModel()
+      .findOneAndUpdate({ _id: passkeyId, user: userId }, { $set: { name } }, { new: true })
+      .lean<IPasskey>();
+  }
+
+  async function deletePasskey(
+    userId: string | Types.ObjectId,
+    passkeyId: string,
+  ): Promise<boolean> {
+    if (!isValidObjectIdString(passkeyId)) {
+      return false;
+    }
+    const result = await passkeyModel().deleteOne({ _id: passkeyId, user: userId });
+    return result.deletedCount > 0;
+  }
+
+  async function deleteUserPasskeys(userId: string | Types.ObjectId): Promise<number> {
+    const result = await passkeyModel().deleteMany({ user: userId });
+    return result.deletedCount;
+  }
+
+  return {
+    createPasskey,
+    findPasskeyByCredentialId,
+    listUserPasskeys,
+    countUserPasskeys,
+    recordPasskeyUse,
+    renamePasskey,
+    deletePasskey,
+    deleteUserPasskeys,
+  };
+}
+
+export type PasskeyMethods = ReturnType<typeof createPasskeyMethods>;
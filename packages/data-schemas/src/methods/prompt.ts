@@ -241,6 +241,16 @@ export function createPromptMethods(
     }
   }
 
+  /** Removes the test cases and test runs matching `filter`, e.g. those of deleted groups. */
+  async function deletePromptTests(filter: Record<string, unknown>): Promise<void> {
+    const PromptTestCase = mongoose.models.PromptTestCase as Model<unknown> | undefined;
+    const PromptTestRun = mongoose.models.PromptTestRun as Model<unknown> | undefined;
+    if (filter.promptId == null) {
+      await PromptTestCase?.deleteMany(filter);
+    }
+    await PromptTestRun?.deleteMany(filter);
+  }
+
   /**
    * Delete a prompt group and its prompts, cleaning up ACL permissions.
    *
@@ -264,6 +274,7 @@ export function createPromptMethods(
     }
 
     await Prompt.deleteMany(groupQuery);
+    await deletePromptTests(groupQuery);
 
     try {
       await deps.removeAllPermissions({
@@ -701,6 +712,7 @@ export function createPromptMethods(
       }
 
       await PromptGroup.deleteOne({ _id: groupId });
+      await deletePromptTests({ groupId });
 
       return {
         prompt: 'Prompt deleted successfully',
@@ -719,6 +731,7 @@ export function createPromptMethods(
           { productionId: remainingPrompts[remainingPrompts.length - 1]._id },
         );
       }
+      await deletePromptTests({ promptId });
 
       return { prompt: 'Prompt deleted successfully' };
     }
@@ -772,6 +785,7 @@ export function createPromptMethods(
 
       await PromptGroup.deleteMany({ _id: { $in: allGroupIdsToDelete } });
       await Prompt.deleteMany({ groupId: { $in: allGroupIdsToDelete } });
+      await deletePromptTests({ groupId: { $in: allGroupIdsToDelete } });
     } catch (error) {
       logger.error('[deleteUserPrompts] General error:', error);
     }
@@ -0,0 +1,148 @@
+import mongoose from 'mongoose';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+import type { IPromptTestCase, IPromptTestRun } from '~/types';
+import { createPromptTestMethods, type PromptTestMethods } from './promptTest';
+import { createModels } from '~/models';
+
+jest.mock('~/config/winston', () => ({
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn(),
+  debug: jest.fn(),
+}));
+
+let mongoServer: InstanceType<typeof MongoMemoryServer>;
+let PromptTestCase: mongoose.Model<IPromptTestCase>;
+let PromptTestRun: mongoose.Model<IPromptTestRun>;
+let methods: PromptTestMethods;
+let modelsToCleanup: string[] = [];
+
+const objectId = () => new mongoose.Types.ObjectId().toString();
+const userId = objectId();
+const groupId = objectId();
+const otherGroupId = objectId();
+const promptId = objectId();
+const models = [{ endpoint: 'openAI', model: 'gpt-4o' }];
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+
+  const createdModels = createModels(mongoose);
+  modelsToCleanup = Object.keys(createdModels);
+  Object.assign(mongoose.models, createdModels);
+
+  PromptTestCase = mongoose.models.PromptTestCase as mongoose.Model<IPromptTestCase>;
+  PromptTestRun = mongoose.models.PromptTestRun as mongoose.Model<IPromptTestRun>;
+  methods = createPromptTestMethods(mongoose);
+
+  await mongoose.connect(mongoUri);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+
+  for (const modelName of modelsToCleanup) {
+    if (mongoose.models[modelName]) {
+      delete mongoose.models[modelName];
+    }
+  }
+});
+
+afterEach(async () => {
+  await PromptTestCase.deleteMany({});
+  await PromptTestRun.deleteMany({});
+});
+
+describe('prompt test cases', () => {
+  it('creates test cases with plain variables, scoped to their group', async () => {
+    const testCase = await methods.createPromptTestCase({
+      groupId,
+      author: userId,
+      name: 'Refund request',
+      variables: { topic: 'refunds' },
+      assertions: [{ type: 'contains', value: 'refund' }],
+    });
+
+    expect(testCase.variables).toEqual({ topic: 'refunds' });
+    expect(await methods.getPromptTestCases(groupId)).toHaveLength(1);
+    expect(await methods.getPromptTestCases(otherGroupId)).toHaveLength(0);
+    expect(await methods.countPromptTestCases(groupId)).toBe(1);
+  });
+
+  it('updates and deletes test cases only within their group', async () => {
+    const testCase = await methods.createPromptTestCase({
+      groupId,
+      author: userId,
+      name: 'Refund request',
+      variables: {},
+      assertions: [],
+    });
+    const id = String(testCase._id);
+
+    expect(await methods.updatePromptTestCase(otherGroupId, id, { name: 'Moved' })).toBeNull();
+    const updated = await methods.updatePromptTestCase(groupId, id, { name: 'Renamed' });
+    expect(updated?.name).toBe('Renamed');
+
+    expect(await methods.deletePromptTestCase(otherGroupId, id)).toBe(false);
+    expect(await methods.deletePromptTestCase(groupId, 'not-an-id')).toBe(false);
+    expect(await methods.deletePromptTestCase(groupId, id)).toBe(true);
+  });
+});
+
+describe('prompt test runs', () => {
+  it('creates pending runs and lists the most recent first, optionally by version', async () => {
+    const first = await methods.createPromptTestRun({ groupId, promptId, user: userId, models });
+    const second = await methods.createPromptTestRun({
+      groupId,
+      promptId: objectId(),
+      user: userId,
+      models,
+    });
+
+    expect(first.status).toBe('pending');
+    expect(first.summary).toMatchObject({ total: 0, passed: 0, failed: 0 });
+
+    const runs = await methods.getPromptTestRuns(groupId);
+    expect(runs.map(({ _id }) => String(_id))).toEqual([String(second._id), String(first._id)]);
+
+    const forVersion = await methods.getPromptTestRuns(groupId, { promptId });
+    expect(forVersion.map(({ _id }) => String(_id))).toEqual([String(first._id)]);
+    expect(await methods.getPromptTestRuns(groupId, { promptId: 'bad' })).toEqual([]);
+    expect(await methods.getPromptTestRun(otherGroupId, String(first._id))).toBeNull();
+  });
+
+  it('finds active runs until they go stale or finish', async () => {
+    const run = await methods.createPromptTestRun({ groupId, promptId, user: userId, models });
+    const runId = String(run._id);
+
+    expect(
+      await methods.findActivePromptTestRun(groupId, new Date(Date.now() - 60_000)),
+    ).not.toBeNull();
+    expect(
+      await methods.findActivePromptTestRun(groupId, new Date(Date.now() + 60_000)),
+    ).toBeNull();
+
+    await methods.updatePromptTestRun(runId, {
+      status: 'completed',
+      summary: { total: 1, passed: 1, failed: 0 },
+      finishedAt: new Date(),
+    });
+    expect(
+      await methods.findActivePromptTestRun(groupId, new Date(Date.now() - 60_000)),
+    ).toBeNull();
+  });
+
+  it('keeps only the most recent runs of a group', async () => {
+    for (let i = 0; i < 4; i++) {
+      await methods.createPromptTestRun({ groupId, promptId, user: userId, models });
+    }
+    await methods.createPromptTestRun({ groupId: otherGroupId, promptId, user: userId, models });
+
+    expect(await methods.pruneOldPromptTestRuns(groupId, 2)).toBe(2);
+    expect(await PromptTestRun.countDocuments({ groupId })).toBe(2);
+    expect(await PromptTestRun.countDocuments({ groupId: otherGroupId })).toBe(1);
+    expect(await methods.pruneOldPromptTestRuns(groupId, 2)).toBe(0);
+  });
+});
@@ -0,0 +1,179 @@
+import type { Model } from 'mongoose';
+import type {
+  IPromptTestRun,
+  IPromptTestCase,
+  IPromptTestModel,
+  IPromptTestRunDocument,
+  IPromptTestCaseDocument,
+} from '~/types/promptTest';
+import { isValidObjectIdString } from '~/utils/objectId';
+
+export type PromptTestCaseInput = Pick<IPromptTestCase, 'name' | 'variables' | 'assertions'>;
+
+export interface PromptTestMethods {
+  getPromptTestCases: (groupId: string) => Promise<IPromptTestCase[]>;
+  countPromptTestCases: (groupId: string) => Promise<number>;
+  createPromptTestCase: (
+    data: PromptTestCaseInput & { groupId: string; author: string },
+  ) => Promise<IPromptTestCase>;
+  updatePromptTestCase: (
+    groupId: string,
+    testCaseId: string,
+    update: Partial<PromptTestCaseInput>,
+  ) => Promise<IPromptTestCase | null>;
+  deletePromptTestCase: (groupId: string, testCaseId: string) => Promise<boolean>;
+  createPromptTestRun: (data: {
+    groupId: string;
+    promptId: string;
+    user: string;
+    models: IPromptTestModel[];
+  }) => Promise<IPromptTestRun>;
+  getPromptTestRun: (groupId: string, runId: string) => Promise<IPromptTestRun | null>;
+  /** Most recent runs first, optionally for one prompt version. */
+  getPromptTestRuns: (
+    groupId: string,
+    options?: { promptId?: string; limit?: number },
+  ) => Promise<IPromptTestRun[]>;
+  /**
+   * A pending or running run of the group that has made progress since `staleBefore`.
+   * Runs orphaned by a restart stop being updated and age out of this check.
+   */
+  findActivePromptTestRun: (groupId: string, staleBefore: Date) => Promise<IPromptTestRun | null>;
+  updatePromptTestRun: (
+    runId: string,
+    update: Partial<IPromptTestRun>,
+  ) => Promise<IPromptTestRun | null>;
+  /** Keeps the `keep` most recent runs of the group and deletes the rest. */
+  pruneOldPromptTestRuns: (groupId: string, keep: number) => Promise<number>;
+}
+
+export function createPromptTestMethods(mongoose: typeof import('mongoose')): PromptTestMethods {
+  const testCaseModel = (): Model<IPromptTestCaseDocument> =>
+    mongoose.models.PromptTestCase as Model<IPromptTestCaseDocument>;
+  const testRunModel = (): Model<IPromptTestRunDocument> =>
+    mongoose.models.PromptTestRun as Model<IPromptTestRunDocument>;
+
+  async function getPromptTestCases(groupId: string): Promise<IPromptTestCase[]> {
+    return testCaseModel()
+      .find({ groupId })
+      .sort({ createdAt: 1, _id: 1 })
+      .lean<IPromptTestCase[]>();
+  }
+
+  async function countPromptTestCases(groupId: string): Promise<number> {
+    return testCaseModel().countDocuments({ groupId });
+  }
+
+  async function createPromptTestCase(
+    data: PromptTestCaseInput & { groupId: string; author: string },
+  ): Promise<IPromptTestCase> {
+    const testCase = await testCaseModel().create(data);
+    return testCase.toObject({ flattenMaps: true }) as IPromptTestCase;
+  }
+
+  async function updatePromptTestCase(
+    groupId: string,
+    testCaseId: string,
+    update: Partial<PromptTestCaseInput>,
+  ): Promise<IPromptTestCase | null> {
+    if (!isValidObjectIdString(testCaseId)) {
+      return null;
+    }
+    return testCaseModel()
+      .findOneAndUpdate({ _id: testCaseId, groupId }, { $set: update }, { new: true })
+      .lean<IPromptTestCase>();
+  }
+
+  async function deletePromptTestCase(groupId: string, testCaseId: string): Promise<boolean> {
+    if (!isValidObjectIdString(testCaseId)) {
+      return false;
+    }
+    const result = await testCaseModel().deleteOne({ _id: testCaseId, groupId });
+    return result.deletedCount === 1;
+  }
+
+  async function createPromptTestRun(data: {
+    groupId: string;
+    promptId: string;
+    user: string;
+    models: IPromptTestModel[];
+  }): Promise<IPromptTestRun> {
+    const run = await testRunModel().create({ ...data, status: 'pending' });
+    return run.toObject() as IPromptTestRun;
+  }
+
+  async function getPromptTestRun(groupId: string, runId: string): Promise<IPromptTestRun | null> {
+    if (!isValidObjectIdString(runId)) {
+      return null;
+    }
+    return testRunModel().findOne({ _id: runId, groupId }).lean<IPromptTestRun>();
+  }
+
+  async function getPromptTestRuns(
+    groupId: string,
+    { promptId, limit = 20 }: { promptId?: string; limit?: number } = {},
+  ): Promise<IPromptTestRun[]> {
+    const filter: Record<string, unknown> = { groupId };
+    if (promptId != null) {
+      if (!isValidObjectIdString(promptId)) {
+        return [];
+      }
+      filter.promptId = promptId;
+    }
+    return testRunModel()
+      .find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit)
+      .lean<IPromptTestRun[]>();
+  }
+
+  async function findActivePromptTestRun(
+    groupId: string,
+    staleBefore: Date,
+  ): Promise<IPromptTestRun | null> {
+    return testRunModel()
+      .findOne({
+        groupId,
+        status: { $in: ['pending', 'running'] },
+        updatedAt: { $gt: staleBefore },
+      })
+      .lean<IPromptTestRun>();
+  }
+
+  async function updatePromptTestRun(
+    runId: string,
+    update: Partial<IPromptTestRun>,
+  ): Promise<IPromptTestRun | null> {
+    return testRunModel()
+      .findOneAndUpdate({ _id: runId }, { $set: update }, { new: true })
+      .lean<IPromptTestRun>();
+  }
+
+  async function pruneOldPromptTestRuns(groupId: string, keep: number): Promise<number> {
+    const stale = await testRunModel()
+      .find({ groupId })
+      .sort({ createdAt: -1, _id: -1 })
+      .skip(keep)
+      .select('_id')
+      .lean();
+    if (stale.length === 0) {
+      return 0;
+    }
+    const result = await testRunModel().deleteMany({ _id: { $in: stale.map(({ _id }) => _id) } });
+    return result.deletedCount;
+  }
+
+  return {
+    getPromptTestCases,
+    countPromptTestCases,
+    createPromptTestCase,
+    updatePromptTestCase,
+    deletePromptTestCase,
+    createPromptTestRun,
+    getPromptTestRun,
+    getPromptTestRuns,
+    findActivePromptTestRun,
+    updatePromptTestRun,
+    pruneOldPromptTestRuns,
+  };
+}
@@ -0,0 +1,124 @@
+import mongoose from 'mongoose';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+import type { ISession } from '~/types';
+import { createSessionMethods, type SessionMethods } from './session';
+import { createModels } from '~/models';
+
+jest.mock('~/config/winston', () => ({
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn(),
+  debug: jest.fn(),
+}));
+
+let mongoServer: InstanceType<typeof MongoMemoryServer>;
+let Session: mongoose.Model<ISession>;
+let methods: SessionMethods;
+let modelsToCleanup: string[] = [];
+
+const userId = new mongoose.Types.ObjectId().toString();
+const otherUserId = new mongoose.Types.ObjectId().toString();
+
+beforeAll(async () => {
+  process.env.JWT_REFRESH_SECRET = 'test-refresh-secret';
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+
+  const models = createModels(mongoose);
+  modelsToCleanup = Object.keys(models);
+  Object.assign(mongoose.models, models);
+
+  Session = mongoose.models.Session as mongoose.Model<ISession>;
+  methods = createSessionMethods(mongoose);
+
+  await mongoose.connect(mongoUri);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+
+  for (const modelName of modelsToCleanup) {
+    if (mongoose.models[modelName]) {
+      delete mongoose.models[modelName];
+    }
+  }
+});
+
+afterEach(async () => {
+  await Session.deleteMany({});
+});
+
+describe('createSession', () => {
+  it('records the client the session was created from', async () => {
+    const { session } = await methods.createSession(userId, {
+      client: { userAgent: 'Mozilla/5.0 (Macintosh) Firefox/128.0', ip: '203.0.113.7' },
+    });
+
+    const stored = await Session.findById(session._id).lean();
+    expect(stored?.userAgent).toBe('Mozilla/5.0 (Macintosh) Firefox/128.0');
+    expect(stored?.ip).toBe('203.0.113.7');
+    expect(stored?.lastUsedAt).toBeInstanceOf(Date);
+    expect(stored?.createdAt).toBeInstanceOf(Date);
+  });
+
+  it('truncates oversized user agents', async () => {
+    const { session } = await methods.createSession(userId, {
+      client: { userAgent: 'x'.repeat(2000) },
+    });
+
+    const stored = await Session.findById(session._id).lean();
+    expect(stored?.userAgent).toHaveLength(512);
+  });
+});
+
+describe('generateRefreshToken', () => {
+  it('updates last use and client details on refresh', async () => {
+    const { session } = await methods.createSession(userId, { client: { ip: '203.0.113.7' } });
+    const doc = (await Session.findById(session._id)) as ISession;
+    doc.lastUsedAt = new Date(Date.now() - 60_000);
+    await doc.save();
+
+    await methods.generateRefreshToken(doc, { ip: '198.51.100.2' });
+
+    const stored = await Session.findById(session._id).lean();
+    expect(stored?.ip).toBe('198.51.100.2');
+    expect(stored!.lastUsedAt!.getTime()).toBeGreaterThan(Date.now() - 5_000);
+  });
+});
+
+describe('listUserSessions', () => {
+  it("lists only the user's unexpired sessions, most recently used first", async () => {
+    const { session: older } = await methods.createSession(userId);
+    const { session: newer } = await methods.createSession(userId);
+    await Session.updateOne({ _id: older._id }, { lastUsedAt: new Date(Date.now() - 60_000) });
+    await methods.createSession(otherUserId);
+    await Session.collection.insertOne({
+      user: new mongoose.Types.ObjectId(userId),
+      refreshTokenHash: 'expired',
+      expiration: new Date(Date.now() - 1000),
+    });
+
+    const sessions = await methods.listUserSessions(userId);
+
+    expect(sessions.map((s) => s._id.toString())).toEqual([
+      newer._id!.toString(),
+      older._id!.toString(),
+    ]);
+    expect(sessions[0]).not.toHaveProperty('refreshTokenHash');
+  });
+});
+
+describe('deleteSession', () => {
+  it('only deletes sessions of the given user when scoped by userId', async () => {
+    const { session } = await methods.createSession(otherUserId);
+
+    const result = await methods.deleteSession({
+      sessionId: session._id!.toString(),
+      userId,
+    });
+
+    expect(result.deletedCount).toBe(0);
+    expect(await Session.countDocuments({ _id: session._id })).toBe(1);
+  });
+});
@@ -15,6 +15,20 @@ export class SessionError extends Error {
 /** Default refresh token expiry: 7 days in milliseconds */
 export const DEFAULT_REFRESH_TOKEN_EXPIRY: number = 1000 * 60 * 60 * 24 * 7;
 
+/** Longest user agent kept on a session; anything past it is noise for device display. */
+const MAX_USER_AGENT_LENGTH = 512;
+/** Upper bound on sessions returned for one user. */
+const MAX_LISTED_SESSIONS = 100;
+
+function applyClientInfo(session: t.ISession, client?: t.SessionClientInfo): void {
+  if (client?.userAgent) {
+    session.userAgent = client.userAgent.slice(0, MAX_USER_AGENT_LENGTH);
+  }
+  if (client?.ip) {
+    session.ip = client.ip;
+  }
+}
+
 // Factory function that takes mongoose instance and returns the methods
 export function createSessionMethods(mongoose: typeof import('mongoose')): {
   findSession: (
@@ -30,7 +44,8 @@ export function createSessionMethods(mongoose: typeof import('mongoose')): {
     options?: t.UpdateExpirationOptions,
   ) => Promise<t.ISession>;
   countActiveSessions: (userId: string) => Promise<number>;
-  generateRefreshToken: (session: t.ISession) => Promise<string>;
+  listUserSessions: (userId: string) => Promise<t.ISession[]>;
+  generateRefreshToken: (session: t.ISession, client?: t.SessionClientInfo) => Promise<string>;
   deleteAllUserSessions: (
     userId: string | { userId: string },
     options?: t.DeleteAllSessionsOptions,
@@ -55,7 +70,7 @@ export function createSessionMethods(mongoose: typeof import('mongoose')): {
         user: userId,
         expiration: options.expiration || new Date(Date.now() + expiresIn),
       });
-      const refreshToken = await generateRefreshToken(currentSession);
+      const refreshToken = await generateRefreshToken(currentSession, options.client);
 
       return { session: currentSession, refreshToken };
     } catch (error) {
@@ -169,6 +184,10 @@ export function createSessionMethods(mongoose: typeof import('mongoose')): {
         query._id = params.sessionId;
       }
 
+      if (params.userId) {
+        query.user = params.userId;
+      }
+
       const result = await Session.deleteOne(query);
 
       if (result.deletedCount === 0) {
@@ -224,9 +243,12 @@ export function createSessionMethods(mongoose: typeof import('mongoose')): {
   }
 
   /**
-   * Generates a refresh token for a session
+   * Generates a refresh token for a session, marking the session as used by `client`
    */
-  async function generateRefreshToken(session: t.ISession): Promise<string> {
+  async function generateRefreshToken(
+    session: t.ISession,
+    client?: t.SessionClientInfo,
+  ): Promise<string> {
     if (!session || !session.user) {
       throw new SessionError('Invalid session object', 'INVALID_SESSION');
     }
@@ -250,6 +272,8 @@ export function createSessionMethods(mongoose: typeof import('mongoose')): {
       });
 
       session.refreshTokenHash = await hashToken(refreshToken);
+      session.lastUsedAt = new Date();
+      applyClientInfo(session, client);
       await session.save();
 
       return refreshToken;
@@ -279,12 +303,34 @@ export function createSessionMethods(mongoose: typeof import('mongoose')): {
     }
   }
 
+  /**
+   * Lists a user's unexpired sessions, most recently used first. Refresh token hashes are omitted.
+   */
+  async function listUserSessions(userId: string): Promise<t.ISession[]> {
+    try {
+      const Session = mongoose.models.Session;
+      if (!userId) {
+        throw new SessionError('User ID is required', 'INVALID_USER_ID');
+      }
+
+      return await Session.find({ user: userId, expiration: { $gt: new Date() } })
+        .select('-refreshTokenHash')
+        .sort({ lastUsedAt: -1, createdAt: -1 })
+        .limit(MAX_LISTED_SESSIONS)
+        .lean<t.ISession[]>();
+    } catch (error) {
+      logger.error('[listUserSessions] Error listing user sessions:', error);
+      throw new SessionError('Failed to list user sessions', 'LIST_SESSIONS_FAILED');
+    }
+  }
+
   return {
     findSession,
     SessionError,
     deleteSession,
     createSession,
     updateExpiration,
+    listUserSessions,
     countActiveSessions,
     generateRefreshToken,
     deleteAllUserSessions,
@@ -0,0 +1,97 @@
+import mongoose from 'mongoose';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+import type { ITakeoutJob } from '~/types';
+import { createTakeoutJobMethods, type TakeoutJobMethods } from './takeoutJob';
+import { createModels } from '~/models';
+
+jest.mock('~/config/winston', () => ({
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn(),
+  debug: jest.fn(),
+}));
+
+let mongoServer: InstanceType<typeof MongoMemoryServer>;
+let TakeoutJob: mongoose.Model<ITakeoutJob>;
+let methods: TakeoutJobMethods;
+let modelsToCleanup: string[] = [];
+
+const userId = new mongoose.Types.ObjectId().toString();
+const otherUserId = new mongoose.Types.ObjectId().toString();
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+
+  const models = createModels(mongoose);
+  modelsToCleanup = Object.keys(models);
+  Object.assign(mongoose.models, models);
+
+  TakeoutJob = mongoose.models.TakeoutJob as mongoose.Model<ITakeoutJob>;
+  methods = createTakeoutJobMethods(mongoose);
+
+  await mongoose.connect(mongoUri);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+
+  for (const modelName of modelsToCleanup) {
+    if (mongoose.models[modelName]) {
+      delete mongoose.models[modelName];
+    }
+  }
+});
+
+afterEach(async () => {
+  await TakeoutJob.deleteMany({});
+});
+
+const inOneDay = () => new Date(Date.now() + 24 * 60 * 60 * 1000);
+
+describe('takeout jobs', () => {
+  it('creates pending jobs with zero counts, scoped to their owner', async () => {
+    const job = await methods.createTakeoutJob({ user: userId, expiresAt: inOneDay() });
+
+    expect(job.status).toBe('pending');
+    expect(job.counts).toMatchObject({ conversations: 0, files: 0, transactions: 0 });
+    expect(await methods.getTakeoutJob(userId, String(job._id))).not.toBeNull();
+    expect(await methods.getTakeoutJob(otherUserId, String(job._id))).toBeNull();
+    expect(await methods.getTakeoutJob(userId, 'not-an-id')).toBeNull();
+  });
+
+  it('returns the most recent job', async () => {
+    await methods.createTakeoutJob({ user: userId, expiresAt: inOneDay() });
+    const latest = await methods.createTakeoutJob({ user: userId, expiresAt: inOneDay() });
+
+    const found = await methods.getLatestTakeoutJob(userId);
+    expect(String(found?._id)).toBe(String(latest._id));
+  });
+
+  it('ignores finished and stale jobs when looking for an active takeout', async () => {
+    const job = await methods.createTakeoutJob({ user: userId, expiresAt: inOneDay() });
+    const jobId = String(job._id);
+
+    expect(
+      await methods.findActiveTakeoutJob(userId, new Date(Date.now() - 60_000)),
+    ).not.toBeNull();
+    expect(await methods.findActiveTakeoutJob(userId, new Date(Date.now() + 60_000))).toBeNull();
+
+    await methods.updateTakeoutJob(jobId, { status: 'completed' });
+    expect(await methods.findActiveTakeoutJob(userId, new Date(Date.now() - 60_000))).toBeNull();
+  });
+
+  it('finds and deletes expired jobs', async () => {
+    const expired = await methods.createTakeoutJob({
+      user: userId,
+      expiresAt: new Date(Date.now() - 1000),
+    });
+    await methods.createTakeoutJob({ user: userId, expiresAt: inOneDay() });
+
+    const found = await methods.findExpiredTakeoutJobs();
+    expect(found.map((job) => String(job._id))).toEqual([String(expired._id)]);
+    expect(await methods.deleteTakeoutJob(String(expired._id))).toBe(true);
+    expect(await TakeoutJob.countDocuments()).toBe(1);
+  });
+});
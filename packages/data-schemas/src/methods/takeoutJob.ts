@@ -0,0 +1,82 @@
+import type { Model } from 'mongoose';
+import type { ITakeoutJob, ITakeoutJobDocument } from '~/types/takeoutJob';
+import { isValidObjectIdString } from '~/utils/objectId';
+
+export interface TakeoutJobMethods {
+  createTakeoutJob: (data: { user: string; expiresAt: Date }) => Promise<ITakeoutJob>;
+  getTakeoutJob: (user: string, jobId: string) => Promise<ITakeoutJob | null>;
+  /** The user's most recent takeout, so a reopened settings page can pick up where it left off. */
+  getLatestTakeoutJob: (user: string) => Promise<ITakeoutJob | null>;
+  /**
+   * A pending or running takeout that has made progress since `staleBefore`.
+   * Jobs orphaned by a restart stop being updated and age out of this check.
+   */
+  findActiveTakeoutJob: (user: string, staleBefore: Date) => Promise<ITakeoutJob | null>;
+  updateTakeoutJob: (jobId: string, update: Partial<ITakeoutJob>) => Promise<ITakeoutJob | null>;
+  findExpiredTakeoutJobs: (now?: Date) => Promise<ITakeoutJob[]>;
+  deleteTakeoutJob: (jobId: string) => Promise<boolean>;
+}
+
+export function createTakeoutJobMethods(mongoose: typeof import('mongoose')): TakeoutJobMethods {
+  const model = (): Model<ITakeoutJobDocument> =>
+    mongoose.models.TakeoutJob as Model<ITakeoutJobDocument>;
+
+  async function createTakeoutJob(data: { user: string; expiresAt: Date }): Promise<ITakeoutJob> {
+    const job = await model().create({ ...data, status: 'pending' });
+    return job.toObject() as ITakeoutJob;
+  }
+
+  async function getTakeoutJob(user: string, jobId: string): Promise<ITakeoutJob | null> {
+    if (!isValidObjectIdString(jobId)) {
+      return null;
+    }
+    return model().findOne({ _id: jobId, user }).lean<ITakeoutJob>();
+  }
+
+  async function getLatestTakeoutJob(user: string): Promise<ITakeoutJob | null> {
+    return model().findOne({ user }).sort({ createdAt: -1, _id: -1 }).lean<ITakeoutJob>();
+  }
+
+  async function findActiveTakeoutJob(
+    user: string,
+    staleBefore: Date,
+  ): Promise<ITakeoutJob | null> {
+    return model()
+      .findOne({
+        user,
+        status: { $in: ['pending', 'running'] },
+        updatedAt: { $gt: staleBefore },
+      })
+      .lean<ITakeoutJob>();
+  }
+
+  async function updateTakeoutJob(
+    jobId: string,
+    update: Partial<ITakeoutJob>,
+  ): Promise<ITakeoutJob | null> {
+    return model()
+      .findOneAndUpdate({ _id: jobId }, { $set: update }, { new: true })
+      .lean<ITakeoutJob>();
+  }
+
+  async function findExpiredTakeoutJobs(now: Date = new Date()): Promise<ITakeoutJob[]> {
+    return model()
+      .find({ expiresAt: { $lte: now } })
+      .lean<ITakeoutJob[]>();
+  }
+
+  async function deleteTakeoutJob(jobId: string): Promise<boolean> {
+    const result = await model().deleteOne({ _id: jobId });
+    return result.deletedCount === 1;
+  }
+
+  return {
+    createTakeoutJob,
+    getTakeoutJob,
+    getLatestTakeoutJob,
+    findActiveTakeoutJob,
+    updateTakeoutJob,
+    findExpiredTakeoutJobs,
+    deleteTakeoutJob,
+  };
+}
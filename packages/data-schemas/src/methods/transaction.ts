@@ -1,5 +1,5 @@
 import type { FilterQuery, Model, Types } from 'mongoose';
-import type { IBalance, IBalanceUpdate, TransactionData } from '~/types';
+import type { IBalance, IBalanceUpdate, TransactionData, ChargeBudgetsResult } from '~/types';
 import type { ITransaction } from '~/schema/transaction';
 import logger from '~/config/winston';
 
@@ -70,6 +70,8 @@ export function createTransactionMethods(
   txMethods: {
     getMultiplier: (params: MultiplierParams) => number;
     getCacheMultiplier: (params: CacheMultiplierParams) => number | null;
+    /** Charges the group and tenant budgets covering the user; see `createBudgetMethods`. */
+    chargeBudgets?: (user: string, amount: number) => Promise<ChargeBudgetsResult>;
   },
 ): {
   updateBalance: ({
@@ -204,19 +206,38 @@ export function createTransactionMethods(
     }
   }
 
+  /**
+   * Spend (a negative increment) is charged to the user's pooled budgets first. When one of
+   * them replaces the personal balance, the balance is left as it is. A failed budget charge
+   * is logged and never blocks the balance update.
+   */
+  async function applyBudgets(user: string, incrementValue: number): Promise<number> {
+    if (incrementValue >= 0 || !txMethods.chargeBudgets) {
+      return incrementValue;
+    }
+    try {
+      const { replacesBalance } = await txMethods.chargeBudgets(user, -incrementValue);
+      return replacesBalance ? 0 : incrementValue;
+    } catch (error) {
+      logger.error(`[updateBalance] Failed to charge budgets for user ${user}:`, error);
+      return incrementValue;
+    }
+  }
+
   /**
    * Updates a user's token balance using optimistic concurrency control.
    * Always returns an IBalance or throws after exhausting retries.
    */
   async function updateBalance({
     user,
-    incrementValue,
+    incrementValue: requestedIncrement,
     setValues,
   }: {
     user: string;
     incrementValue: number;
     setValues?: IBalanceUpdate;
   }): Promise<IBalance> {
+    const incrementValue = await applyBudgets(user, requestedIncrement);
     const Balance = mongoose.models.Balance as Model<IBalance>;
     const maxRetries = 10;
     let delay = 50;
@@ -809,6 +809,77 @@ describe('agent trigger delivery methods', () => {
     );
   });
 
+  it('lists deliveries for operators by status, source, agent, and user', async () => {
+    const user = new mongoose.Types.ObjectId();
+    const envelope = (sourceType: string, agentId: string) => ({
+      target: { agentId },
+      event: { source: { id: `${sourceType}-1`, type: sourceType } },
+    });
+    const rows = await Promise.all([
+      Delivery.create({
+        ...enqueueInput({ user, envelope: envelope('schedule', 'agent_a') }),
+        laneSequence: 1,
+        status: 'dead',
+        attempts: 3,
+      }),
+      Delivery.create({
+        ...enqueueInput({ envelope: envelope('webhook', 'agent_a') }),
+        laneSequence: 1,
+        status: 'pending',
+        attempts: 0,
+      }),
+      Delivery.create({
+        ...enqueueInput({ user, envelope: envelope('webhook', 'agent_b') }),
+        laneSequence: 2,
+        status: 'dead',
+        attempts: 1,
+      }),
+    ]);
+
+    await expect(
+      methods.listAgentTriggerDeliveries({ status: 'dead', limit: 10, offset: 0 }),
+    ).resolves.toMatchObject({ total: 2 });
+    const { deliveries, total } = await methods.listAgentTriggerDeliveries({
+      sourceType: 'webhook',
+      agentId: 'agent_b',
+      user: user.toString(),
+      limit: 10,
+      offset: 0,
+    });
+    expect(total).toBe(1);
+    expect(deliveries.map((delivery) => delivery.id)).toEqual([rows[2]._id.toString()]);
+
+    const page = await methods.listAgentTriggerDeliveries({ limit: 1, offset: 1 });
+    expect(page.total).toBe(3);
+    expect(page.deliveries).toHaveLength(1);
+  });
+
+  it('gets deliveries by id and deletes only dead letters', async () => {
+    const dead = await Delivery.create({
+      ...enqueueInput(),
+      laneSequence: 1,
+      status: 'dead',
+      attempts: 3,
+    });
+    const pending = await Delivery.create({
+      ...enqueueInput({ orderingKey: 'ordering-2' }),
+      laneSequence: 1,
+      status: 'pending',
+      attempts: 0,
+    });
+
+    await expect(methods.getAgentTriggerDeliveryById(dead._id.toString())).resolves.toMatchObject({
+      id: dead._id.toString(),
+      status: 'dead',
+    });
+    await expect(methods.getAgentTriggerDeliveryById('not-an-id')).resolves.toBeNull();
+
+    await expect(methods.deleteAgentTriggerDeadLetter(pending._id.toString())).resolves.toBe(false);
+    await expect(methods.deleteAgentTriggerDeadLetter(dead._id.toString())).resolves.toBe(true);
+    await expect(methods.deleteAgentTriggerDeadLetter(dead._id.toString())).resolves.toBe(false);
+    expect(await Delivery.countDocuments()).toBe(1);
+  });
+
   it('counts only live leases while an account deletion drains', async () => {
     const user = new mongoose.Types.ObjectId();
     await methods.enqueueAgentTriggerDelivery(enqueueInput({ user }));
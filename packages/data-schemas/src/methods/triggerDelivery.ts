@@ -2,6 +2,7 @@ import type { Model, Types } from 'mongoose';
 import type {
   AgentTriggerDeliveryClaim,
   AgentTriggerDeliveryFailure,
+  AgentTriggerDeliveryListFilters,
   AgentTriggerDeliveryRecord,
   AgentTriggerOrderingBlock,
   IAgentTriggerDelivery,
@@ -12,6 +13,7 @@ import type {
   IAgentTriggerUserPurgeDocument,
 } from '~/types/triggerDelivery';
 import { createIndexesWithRetry } from '~/utils/retry';
+import { isValidObjectIdString } from '~/utils/objectId';
 import logger from '~/config/winston';
 
 const DUPLICATE_KEY = 11000;
@@ -99,6 +101,11 @@ export interface AgentTriggerDeliveryMethods {
     id: string,
     availableAt: Date,
   ) => Promise<AgentTriggerDeliveryRecord | null>;
+  listAgentTriggerDeliveries: (
+    filters: AgentTriggerDeliveryListFilters,
+  ) => Promise<{ deliveries: AgentTriggerDeliveryRecord[]; total: number }>;
+  getAgentTriggerDeliveryById: (id: string) => Promise<AgentTriggerDeliveryRecord | null>;
+  deleteAgentTriggerDeadLetter: (id: string) => Promise<boolean>;
   countActiveAgentTriggerDeliveriesByUser: (
     user: string | Types.ObjectId,
     now: Date,
@@ -866,6 +873,46 @@ export function createAgentTriggerDeliveryMethods(
     return toRecord(await publishStagedDelivery(staged));
   }
 
+  async function listAgentTriggerDeliveries(
+    filters: AgentTriggerDeliveryListFilters,
+  ): Promise<{ deliveries: AgentTriggerDeliveryRecord[]; total: number }> {
+    const query: Record<string, unknown> = {
+      ...(filters.status != null && { status: filters.status }),
+      ...(filters.sourceType != null && { 'envelope.event.source.type': filters.sourceType }),
+      ...(filters.agentId != null && { 'envelope.target.agentId': filters.agentId }),
+      ...(filters.user != null && { user: filters.user }),
+    };
+    const [deliveries, total] = await Promise.all([
+      Delivery()
+        .find(query)
+        .sort({ updatedAt: -1, _id: -1 })
+        .skip(filters.offset)
+        .limit(filters.limit)
+        .lean<IAgentTriggerDelivery[]>(),
+      Delivery().countDocuments(query),
+    ]);
+    return { deliveries: deliveries.map(toRecord), total };
+  }
+
+  async function getAgentTriggerDeliveryById(
+    id: string,
+  ): Promise<AgentTriggerDeliveryRecord | null> {
+    if (!isValidObjectIdString(id)) {
+      return null;
+    }
+    const delivery = await Delivery().findById(id).lean<IAgentTriggerDelivery>();
+    return delivery == null ? null : toRecord(delivery);
+  }
+
+  /** Only dead letters are removable; live rows still hold lane and lease state. */
+  async function deleteAgentTriggerDeadLetter(id: string): Promise<boolean> {
+    if (!isValidObjectIdString(id)) {
+      return false;
+    }
+    const result = await Delivery().deleteOne({ _id: id, status: 'dead' });
+    return result.deletedCount === 1;
+  }
+
   async function countActiveAgentTriggerDeliveriesByUser(
     user: string | Types.ObjectId,
     now: Date,
@@ -984,6 +1031,9 @@ export function createAgentTriggerDeliveryMethods(
     getAgentTriggerDelivery,
     getAgentTriggerDeadLetters,
     requeueAgentTriggerDelivery,
+    listAgentTriggerDeliveries,
+    getAgentTriggerDeliveryById,
+    deleteAgentTriggerDeadLetter,
     countActiveAgentTriggerDeliveriesByUser,
     recoverAgentTriggerLanePublications,
     reclaimInactiveAgentTriggerLanes,
@@ -658,6 +658,12 @@ describe('UserGroup Methods - Detailed Tests', () => {
 
       expect(groups).toHaveLength(0);
     });
+
+    test('filters by exact name and external ID', async () => {
+      expect(await methods.listGroups({ name: 'Alph' })).toHaveLength(0);
+      expect((await methods.listGroups({ name: 'Alpha' }))[0].name).toBe('Alpha');
+      expect((await methods.listGroups({ idOnTheSource: 'ext-g' }))[0].name).toBe('Gamma');
+    });
   });
 
   describe('countGroups', () => {
@@ -221,13 +221,20 @@ export function createUserGroupMethods(
     filter?: {
       source?: 'local' | 'entra';
       search?: string;
+      name?: string;
+      idOnTheSource?: string;
       limit?: number;
       offset?: number;
     },
     session?: ClientSession,
   ) => Promise<IGroup[]>;
   countGroups: (
-    filter?: { source?: 'local' | 'entra'; search?: string },
+    filter?: {
+      source?: 'local' | 'entra';
+      search?: string;
+      name?: string;
+      idOnTheSource?: string;
+    },
     session?: ClientSession,
   ) => Promise<number>;
   deleteGroup: (
@@ -1241,11 +1248,19 @@ export function createUserGroupMethods(
   function buildGroupQuery(filter: {
     source?: 'local' | 'entra';
     search?: string;
+    name?: string;
+    idOnTheSource?: string;
   }): FilterQuery<IGroup> {
     const query: FilterQuery<IGroup> = {};
     if (filter.source) {
       query.source = filter.source;
     }
+    if (filter.name != null) {
+      query.name = filter.name;
+    }
+    if (filter.idOnTheSource != null) {
+      query.idOnTheSource = filter.idOnTheSource;
+    }
     if (filter.search) {
       const regex = new RegExp(escapeRegExp(filter.search), 'i');
       query.$or = [{ name: regex }, { email: regex }, { description: regex }];
@@ -1254,15 +1269,17 @@ export function createUserGroupMethods(
   }
 
   /**
-   * List groups with optional source, search, and pagination filters.
+   * List groups with optional source, search, exact name or external ID, and pagination filters.
    * Results are sorted by name.
-   * @param filter - Optional filter with source, search, limit, and offset fields
+   * @param filter - Optional filter with source, search, name, idOnTheSource, limit, and offset fields
    * @param session - Optional MongoDB session for transactions
    */
   async function listGroups(
     filter: {
       source?: 'local' | 'entra';
       search?: string;
+      name?: string;
+      idOnTheSource?: string;
       limit?: number;
       offset?: number;
     } = {},
@@ -1281,12 +1298,17 @@ export function createUserGroupMethods(
   }
 
   /**
-   * Count groups matching optional source and search filters.
-   * @param filter - Optional filter with source and search fields
+   * Count groups matching optional source, search, exact name or external ID filters.
+   * @param filter - Optional filter with source, search, name, and idOnTheSource fields
    * @param session - Optional MongoDB session for transactions
    */
   async function countGroups(
-    filter: { source?: 'local' | 'entra'; search?: string } = {},
+    filter: {
+      source?: 'local' | 'entra';
+      search?: string;
+      name?: string;
+      idOnTheSource?: string;
+    } = {},
     session?: ClientSession,
   ): Promise<number> {
     const Group = mongoose.models.Group as Model<IGroup>;
@@ -0,0 +1,14 @@
+import { Model } from 'mongoose';
+import type { IAgentEvalCaseDocument } from '~/types/agentEval';
+import { applyTenantIsolation } from '~/models/plugins/tenantIsolation';
+import agentEvalCaseSchema from '~/schema/agentEvalCase';
+
+export function createAgentEvalCaseModel(
+  mongoose: typeof import('mongoose'),
+): Model<IAgentEvalCaseDocument> {
+  applyTenantIsolation(agentEvalCaseSchema);
+  return (
+    mongoose.models.AgentEvalCase ||
+    mongoose.model<IAgentEvalCaseDocument>('AgentEvalCase', agentEvalCaseSchema)
+  );
+}
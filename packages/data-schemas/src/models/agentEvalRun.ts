@@ -0,0 +1,14 @@
+import { Model } from 'mongoose';
+import type { IAgentEvalRunDocument } from '~/types/agentEval';
+import { applyTenantIsolation } from '~/models/plugins/tenantIsolation';
+import agentEvalRunSchema from '~/schema/agentEvalRun';
+
+export function createAgentEvalRunModel(
+  mongoose: typeof import('mongoose'),
+): Model<IAgentEvalRunDocument> {
+  applyTenantIsolation(agentEvalRunSchema);
+  return (
+    mongoose.models.AgentEvalRun ||
+    mongoose.model<IAgentEvalRunDocument>('AgentEvalRun', agentEvalRunSchema)
+  );
+}
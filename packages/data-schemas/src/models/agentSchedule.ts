@@ -0,0 +1,14 @@
+import { Model } from 'mongoose';
+import type { IAgentScheduleDocument } from '~/types/agentSchedule';
+import { applyTenantIsolation } from '~/models/plugins/tenantIsolation';
+import agentScheduleSchema from '~/schema/agentSchedule';
+
+export function createAgentScheduleModel(
+  mongoose: typeof import('mongoose'),
+): Model<IAgentScheduleDocument> {
+  applyTenantIsolation(agentScheduleSchema);
+  return (
+    mongoose.models.AgentSchedule ||
+    mongoose.model<IAgentScheduleDocument>('AgentSchedule', agentScheduleSchema)
+  );
+}
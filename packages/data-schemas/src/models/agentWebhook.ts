@@ -0,0 +1,14 @@
+import { Model } from 'mongoose';
+import type { IAgentWebhookDocument } from '~/types/agentWebhook';
+import { applyTenantIsolation } from '~/models/plugins/tenantIsolation';
+import agentWebhookSchema from '~/schema/agentWebhook';
+
+export function createAgentWebhookModel(
+  mongoose: typeof import('mongoose'),
+): Model<IAgentWebhookDocument> {
+  applyTenantIsolation(agentWebhookSchema);
+  return (
+    mongoose.models.AgentWebhook ||
+    mongoose.model<IAgentWebhookDocument>('AgentWebhook', agentWebhookSchema)
+  );
+}
@@ -0,0 +1,14 @@
+import { Model } from 'mongoose';
+import type { IArtifactVersionDocument } from '~/types/artifact';
+import { applyTenantIsolation } from '~/models/plugins/tenantIsolation';
+import artifactVersionSchema from '~/schema/artifactVersion';
+
+export function createArtifactVersionModel(
+  mongoose: typeof import('mongoose'),
+): Model<IArtifactVersionDocument> {
+  applyTenantIsolation(artifactVersionSchema);
+  return (
+    mongoose.models.ArtifactVersion ||
+    mongoose.model<IArtifactVersionDocument>('ArtifactVersion', artifactVersionSchema)
+  );
+}
@@ -0,0 +1,17 @@
+import { Model } from 'mongoose';
+import type { IBackgroundTaskResultDocument } from '~/types/backgroundTask';
+import backgroundTaskResultSchema from '~/schema/backgroundTaskResult';
+
+export function createBackgroundTaskResultModel(
+  mongoose: typeof import('mongoose'),
+): Model<IBackgroundTaskResultDocument> {
+  // Results are always read by their owning user, and the owning process writes them
+  // from timers and floating promises that outlive the request's tenant context.
+  return (
+    mongoose.models.BackgroundTaskResult ||
+    mongoose.model<IBackgroundTaskResultDocument>(
+      'BackgroundTaskResult',
+      backgroundTaskResultSchema,
+    )
+  );
+}
@@ -0,0 +1,9 @@
+import { Model } from 'mongoose';
+import type { IBudgetDocument } from '~/types/budget';
+import { applyTenantIsolation } from '~/models/plugins/tenantIsolation';
+import budgetSchema from '~/schema/budget';
+
+export function createBudgetModel(mongoose: typeof import('mongoose')): Model<IBudgetDocument> {
+  applyTenantIsolation(budgetSchema);
+  return mongoose.models.Budget || mongoose.model<IBudgetDocument>('Budget', budgetSchema);
+}
@@ -0,0 +1,13 @@
+import { Model } from 'mongoose';
+import type { IExportJobDocument } from '~/types/exportJob';
+import { applyTenantIsolation } from '~/models/plugins/tenantIsolation';
+import exportJobSchema from '~/schema/exportJob';
+
+export function createExportJobModel(
+  mongoose: typeof import('mongoose'),
+): Model<IExportJobDocument> {
+  applyTenantIsolation(exportJobSchema);
+  return (
+    mongoose.models.ExportJob || mongoose.model<IExportJobDocument>('ExportJob', exportJobSchema)
+  );
+}
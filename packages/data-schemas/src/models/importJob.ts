@@ -0,0 +1,13 @@
+import { Model } from 'mongoose';
+import type { IImportJobDocument } from '~/types/importJob';
+import { applyTenantIsolation } from '~/models/plugins/tenantIsolation';
+import importJobSchema from '~/schema/importJob';
+
+export function createImportJobModel(
+  mongoose: typeof import('mongoose'),
+): Model<IImportJobDocument> {
+  applyTenantIsolation(importJobSchema);
+  return (
+    mongoose.models.ImportJob || mongoose.model<IImportJobDocument>('ImportJob', importJobSchema)
+  );
+}
@@ -2,9 +2,12 @@ import { createAgentTriggerLaneSequenceModel } from './triggerLaneSequence';
 import { createSkillSyncCredentialModel } from './skillSyncCredential';
 import { createAgentTriggerUserPurgeModel } from './triggerUserPurge';
 import { createAgentTriggerDeliveryModel } from './triggerDelivery';
+import { createAgentScheduleModel } from './agentSchedule';
+import { createAgentWebhookModel } from './agentWebhook';
 import { createSkillSyncStatusModel } from './skillSyncStatus';
 import { createConversationTagModel } from './conversationTag';
 import { createAgentCategoryModel } from './agentCategory';
+import { createArtifactVersionModel } from './artifactVersion';
 import { createChatProjectModel } from './chatProject';
 import { createAgentApiKeyModel } from './agentApiKey';
 import { createTransactionModel } from './transaction';
@@ -16,22 +19,33 @@ import { createAccessRoleModel } from './accessRole';
 import { createToolFavoriteModel } from './favorite';
 import { createMCPServerModel } from './mcpServer';
 import { createAssistantModel } from './assistant';
+import { createArtifactModel } from './artifact';
 import { createSkillFileModel } from './skillFile';
 import { createConversationModel } from './convo';
 import { createToolCallModel } from './toolCall';
 import { createAclEntryModel } from './aclEntry';
 import { createAuditLogModel } from './auditLog';
 import { createSessionModel } from './session';
+import { createPasskeyModel } from './passkey';
 import { createBalanceModel } from './balance';
+import { createBudgetModel } from './budget';
+import { createExportJobModel } from './exportJob';
+import { createImportJobModel } from './importJob';
+import { createTakeoutJobModel } from './takeoutJob';
+import { createBackgroundTaskResultModel } from './backgroundTaskResult';
 import { createMessageModel } from './message';
 import { createActionModel } from './action';
 import { createBannerModel } from './banner';
 import { createPresetModel } from './preset';
 import { createPromptModel } from './prompt';
+import { createPromptTestCaseModel } from './promptTestCase';
+import { createPromptTestRunModel } from './promptTestRun';
 import { createMemoryModel } from './memory';
 import { createConfigModel } from './config';
 import { createTokenModel } from './token';
 import { createAgentModel } from './agent';
+import { createAgentEvalCaseModel } from './agentEvalCase';
+import { createAgentEvalRunModel } from './agentEvalRun';
 import { createSkillModel } from './skill';
 import { createGroupModel } from './group';
 import { createUserModel } from './user';
@@ -47,13 +61,21 @@ export function createModels(mongoose: typeof import('mongoose')): {
   User: ReturnType<typeof createUserModel>;
   Token: ReturnType<typeof createTokenModel>;
   Session: ReturnType<typeof createSessionModel>;
+  Passkey: ReturnType<typeof createPasskeyModel>;
   Balance: ReturnType<typeof createBalanceModel>;
+  Budget: ReturnType<typeof createBudgetModel>;
   Conversation: ReturnType<typeof createConversationModel>;
   ChatProject: ReturnType<typeof createChatProjectModel>;
   Message: ReturnType<typeof createMessageModel>;
+  ExportJob: ReturnType<typeof createExportJobModel>;
+  ImportJob: ReturnType<typeof createImportJobModel>;
+  TakeoutJob: ReturnType<typeof createTakeoutJobModel>;
+  BackgroundTaskResult: ReturnType<typeof createBackgroundTaskResultModel>;
   Agent: ReturnType<typeof createAgentModel>;
   AgentApiKey: ReturnType<typeof createAgentApiKeyModel>;
   AgentCategory: ReturnType<typeof createAgentCategoryModel>;
+  AgentEvalCase: ReturnType<typeof createAgentEvalCaseModel>;
+  AgentEvalRun: ReturnType<typeof createAgentEvalRunModel>;
   MCPServer: ReturnType<typeof createMCPServerModel>;
   Role: ReturnType<typeof createRoleModel>;
   Action: ReturnType<typeof createActionModel>;
@@ -66,10 +88,14 @@ export function createModels(mongoose: typeof import('mongoose')): {
   Preset: ReturnType<typeof createPresetModel>;
   Prompt: ReturnType<typeof createPromptModel>;
   PromptGroup: ReturnType<typeof createPromptGroupModel>;
+  PromptTestCase: ReturnType<typeof createPromptTestCaseModel>;
+  PromptTestRun: ReturnType<typeof createPromptTestRunModel>;
   Skill: ReturnType<typeof createSkillModel>;
   SkillFile: ReturnType<typeof createSkillFileModel>;
   SkillSyncCredential: ReturnType<typeof createSkillSyncCredentialModel>;
   SkillSyncStatus: ReturnType<typeof createSkillSyncStatusModel>;
+  Artifact: ReturnType<typeof createArtifactModel>;
+  ArtifactVersion: ReturnType<typeof createArtifactVersionModel>;
   ConversationTag: ReturnType<typeof createConversationTagModel>;
   SharedLink: ReturnType<typeof createSharedLinkModel>;
   ToolCall: ReturnType<typeof createToolCallModel>;
@@ -84,18 +110,28 @@ export function createModels(mongoose: typeof import('mongoose')): {
   AgentTriggerDelivery: ReturnType<typeof createAgentTriggerDeliveryModel>;
   AgentTriggerLaneSequence: ReturnType<typeof createAgentTriggerLaneSequenceModel>;
   AgentTriggerUserPurge: ReturnType<typeof createAgentTriggerUserPurgeModel>;
+  AgentSchedule: ReturnType<typeof createAgentScheduleModel>;
+  AgentWebhook: ReturnType<typeof createAgentWebhookModel>;
 } {
   const models = {
     User: createUserModel(mongoose),
     Token: createTokenModel(mongoose),
     Session: createSessionModel(mongoose),
+    Passkey: createPasskeyModel(mongoose),
     Balance: createBalanceModel(mongoose),
+    Budget: createBudgetModel(mongoose),
     Conversation: createConversationModel(mongoose),
     ChatProject: createChatProjectModel(mongoose),
     Message: createMessageModel(mongoose),
+    ExportJob: createExportJobModel(mongoose),
+    ImportJob: createImportJobModel(mongoose),
+    TakeoutJob: createTakeoutJobModel(mongoose),
+    BackgroundTaskResult: createBackgroundTaskResultModel(mongoose),
     Agent: createAgentModel(mongoose),
     AgentApiKey: createAgentApiKeyModel(mongoose),
     AgentCategory: createAgentCategoryModel(mongoose),
+    AgentEvalCase: createAgentEvalCaseModel(mongoose),
+    AgentEvalRun: createAgentEvalRunModel(mongoose),
     MCPServer: createMCPServerModel(mongoose),
     Role: createRoleModel(mongoose),
     Action: createActionModel(mongoose),
@@ -108,10 +144,14 @@ export function createModels(mongoose: typeof import('mongoose')): {
     Preset: createPresetModel(mongoose),
     Prompt: createPromptModel(mongoose),
     PromptGroup: createPromptGroupModel(mongoose),
+    PromptTestCase: createPromptTestCaseModel(mongoose),
+    PromptTestRun: createPromptTestRunModel(mongoose),
     Skill: createSkillModel(mongoose),
     SkillFile: createSkillFileModel(mongoose),
     SkillSyncCredential: createSkillSyncCredentialModel(mongoose),
     SkillSyncStatus: createSkillSyncStatusModel(mongoose),
+    Artifact: createArtifactModel(mongoose),
+    ArtifactVersion: createArtifactVersionModel(mongoose),
     ConversationTag: createConversationTagModel(mongoose),
     SharedLink: createSharedLinkModel(mongoose),
     ToolCall: createToolCallModel(mongoose),
@@ -126,6 +166,8 @@ export function createModels(mongoose: typeof import('mongoose')): {
     AgentTriggerDelivery: createAgentTriggerDeliveryModel(mongoose),
     AgentTriggerLaneSequence: createAgentTriggerLaneSequenceModel(mongoose),
     AgentTriggerUserPurge: createAgentTriggerUserPurgeModel(mongoose),
+    AgentSchedule: createAgentScheduleModel(mongoose),
+    AgentWebhook: createAgentWebhookModel(mongoose),
   };
   /**
    * Background index builds fail silently unless an 'index' listener is
@@ -0,0 +1,9 @@
+import { Model } from 'mongoose';
+import type { IPasskeyDocument } from '~/types/passkey';
+import { applyTenantIsolation } from '~/models/plugins/tenantIsolation';
+import passkeySchema from '~/schema/passkey';
+
+export function createPasskeyModel(mongoose: typeof import('mongoose')): Model<IPasskeyDocument> {
+  applyTenantIsolation(passkeySchema);
+  return mongoose.models.Passkey || mongoose.model<IPasskeyDocument>('Passkey', passkeySchema);
+}
@@ -0,0 +1,14 @@
+import { Model } from 'mongoose';
+import type { IPromptTestCaseDocument } from '~/types/promptTest';
+import { applyTenantIsolation } from '~/models/plugins/tenantIsolation';
+import promptTestCaseSchema from '~/schema/promptTestCase';
+
+export function createPromptTestCaseModel(
+  mongoose: typeof import('mongoose'),
+): Model<IPromptTestCaseDocument> {
+  applyTenantIsolation(promptTestCaseSchema);
+  return (
+    mongoose.models.PromptTestCase ||
+    mongoose.model<IPromptTestCaseDocument>('PromptTestCase', promptTestCaseSchema)
+  );
+}
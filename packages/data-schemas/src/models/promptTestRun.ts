@@ -0,0 +1,14 @@
+import { Model } from 'mongoose';
+import type { IPromptTestRunDocument } from '~/types/promptTest';
+import { applyTenantIsolation } from '~/models/plugins/tenantIsolation';
+import promptTestRunSchema from '~/schema/promptTestRun';
+
+export function createPromptTestRunModel(
+  mongoose: typeof import('mongoose'),
+): Model<IPromptTestRunDocument> {
+  applyTenantIsolation(promptTestRunSchema);
+  return (
+    mongoose.models.PromptTestRun ||
+    mongoose.model<IPromptTestRunDocument>('PromptTestRun', promptTestRunSchema)
+  );
+}
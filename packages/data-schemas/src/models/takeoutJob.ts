@@ -0,0 +1,14 @@
+import { Model } from 'mongoose';
+import type { ITakeoutJobDocument } from '~/types/takeoutJob';
+import { applyTenantIsolation } from '~/models/plugins/tenantIsolation';
+import takeoutJobSchema from '~/schema/takeoutJob';
+
+export function createTakeoutJobModel(
+  mongoose: typeof import('mongoose'),
+): Model<ITakeoutJobDocument> {
+  applyTenantIsolation(takeoutJobSchema);
+  return (
+    mongoose.models.TakeoutJob ||
+    mongoose.model<ITakeoutJobDocument>('TakeoutJob', takeoutJobSchema)
+  );
+}
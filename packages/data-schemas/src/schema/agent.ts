@@ -137,6 +137,16 @@ const agentSchema: Schema<IAgent> = new Schema<IAgent>(
       enum: ['user', 'agent'],
       default: undefined,
     },
+    /** Structured output: named JSON Schema the agent's final answer must satisfy */
+    response_format: {
+      type: Schema.Types.Mixed,
+      default: undefined,
+    },
+    /** Published labels (e.g. `stable`) mapped to 1-based `versions` numbers; not versioned itself */
+    version_labels: {
+      type: Schema.Types.Mixed,
+      default: undefined,
+    },
     tenantId: {
       type: String,
       index: true,
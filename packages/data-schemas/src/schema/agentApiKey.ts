@@ -5,6 +5,7 @@ export interface IAgentApiKey extends Document {
   name: string;
   keyHash: string;
   keyPrefix: string;
+  versionLabel?: string;
   lastUsedAt?: Date;
   expiresAt?: Date;
   createdAt: Date;
@@ -37,6 +38,12 @@ const agentApiKeySchema: Schema<IAgentApiKey> = new Schema(
       required: true,
       index: true,
     },
+    /** Agent version label the key runs when `model` names no version */
+    versionLabel: {
+      type: String,
+      trim: true,
+      maxlength: 32,
+    },
     lastUsedAt: {
       type: Date,
     },
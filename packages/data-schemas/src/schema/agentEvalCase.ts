@@ -0,0 +1,60 @@
+import { Schema } from 'mongoose';
+import type { IAgentEvalCaseDocument } from '~/types/agentEval';
+
+export const agentEvalAssertionTypes: string[] = [
+  'tool_call',
+  'contains',
+  'not_contains',
+  'json_schema',
+  'llm_judge',
+];
+
+const agentEvalAssertionSchema = new Schema(
+  {
+    type: {
+      type: String,
+      enum: agentEvalAssertionTypes,
+      required: true,
+    },
+    value: { type: String, maxlength: 4000 },
+    schema: { type: Schema.Types.Mixed },
+  },
+  { _id: false },
+);
+
+const agentEvalCaseSchema: Schema<IAgentEvalCaseDocument> = new Schema(
+  {
+    agent_id: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    author: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      maxlength: 200,
+    },
+    turns: {
+      type: [String],
+      default: [],
+    },
+    assertions: {
+      type: [agentEvalAssertionSchema],
+      default: [],
+    },
+    tenantId: {
+      type: String,
+      index: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+export default agentEvalCaseSchema;
@@ -0,0 +1,53 @@
+import { Schema } from 'mongoose';
+import type { IAgentEvalRunDocument } from '~/types/agentEval';
+import { agentEvalAssertionTypes } from './agentEvalCase';
+
+const agentEvalResultSchema = new Schema(
+  {
+    caseId: { type: Schema.Types.ObjectId, required: true },
+    caseName: { type: String, required: true },
+    output: { type: String },
+    toolCalls: { type: [String], default: [] },
+    error: { type: String, maxlength: 500 },
+    passed: { type: Boolean, required: true },
+    assertions: [
+      {
+        _id: false,
+        type: { type: String, enum: agentEvalAssertionTypes, required: true },
+        passed: { type: Boolean, required: true },
+        message: { type: String, maxlength: 1000 },
+      },
+    ],
+    durationMs: { type: Number },
+  },
+  { _id: false },
+);
+
+const agentEvalRunSchema: Schema<IAgentEvalRunDocument> = new Schema(
+  {
+    agent_id: { type: String, required: true, index: true },
+    version: { type: Number, default: null },
+    user: { type: String, required: true },
+    tenantId: { type: String, index: true },
+    status: {
+      type: String,
+      enum: ['pending', 'running', 'completed', 'failed'],
+      required: true,
+      default: 'pending',
+    },
+    results: { type: [agentEvalResultSchema], default: [] },
+    summary: {
+      total: { type: Number, default: 0 },
+      passed: { type: Number, default: 0 },
+      failed: { type: Number, default: 0 },
+    },
+    error: { type: String, maxlength: 500 },
+    startedAt: { type: Date },
+    finishedAt: { type: Date },
+  },
+  { timestamps: true },
+);
+
+agentEvalRunSchema.index({ agent_id: 1, createdAt: -1 });
+
+export default agentEvalRunSchema;
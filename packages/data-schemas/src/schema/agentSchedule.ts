@@ -0,0 +1,47 @@
+import { Schema } from 'mongoose';
+import {
+  MAX_AGENT_SCHEDULE_NAME_LENGTH,
+  MAX_AGENT_SCHEDULE_INPUT_LENGTH,
+} from 'librechat-data-provider';
+import type { IAgentScheduleDocument } from '~/types/agentSchedule';
+
+const scheduleErrorSchema = new Schema(
+  {
+    code: { type: String, required: true, maxlength: 128 },
+    message: { type: String, required: true, maxlength: 2048 },
+    at: { type: Date, required: true },
+  },
+  { _id: false },
+);
+
+const agentScheduleSchema: Schema<IAgentScheduleDocument> = new Schema(
+  {
+    user: { type: Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    tenantId: { type: String, index: true },
+    name: { type: String, required: true, trim: true, maxlength: MAX_AGENT_SCHEDULE_NAME_LENGTH },
+    agent_id: { type: String, required: true, index: true },
+    cron: { type: String, required: true, trim: true, maxlength: 256 },
+    timezone: { type: String, required: true, default: 'UTC', maxlength: 100 },
+    input: { type: String, required: true, maxlength: MAX_AGENT_SCHEDULE_INPUT_LENGTH },
+    mode: { type: String, enum: ['fire', 'continue'], required: true, default: 'fire' },
+    conversationId: { type: String },
+    enabled: { type: Boolean, required: true, default: true },
+    missedRunPolicy: {
+      type: String,
+      enum: ['latest', 'all', 'skip'],
+      required: true,
+      default: 'latest',
+    },
+    nextRunAt: { type: Date, default: null },
+    lastRunAt: { type: Date, default: null },
+    lastDeliveryKey: { type: String },
+    lastError: { type: scheduleErrorSchema, default: null },
+  },
+  { timestamps: true },
+);
+
+agentScheduleSchema.index({ user: 1, createdAt: -1 });
+// Disabled schedules clear nextRunAt, so the due scan only visits active rows.
+agentScheduleSchema.index({ enabled: 1, nextRunAt: 1 });
+
+export default agentScheduleSchema;
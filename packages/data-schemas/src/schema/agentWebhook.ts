@@ -0,0 +1,27 @@
+import { Schema } from 'mongoose';
+import {
+  MAX_AGENT_WEBHOOK_NAME_LENGTH,
+  MAX_AGENT_WEBHOOK_INPUT_LENGTH,
+} from 'librechat-data-provider';
+import type { IAgentWebhookDocument } from '~/types/agentWebhook';
+
+const agentWebhookSchema: Schema<IAgentWebhookDocument> = new Schema(
+  {
+    user: { type: Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    tenantId: { type: String, index: true },
+    name: { type: String, required: true, trim: true, maxlength: MAX_AGENT_WEBHOOK_NAME_LENGTH },
+    agent_id: { type: String, required: true, index: true },
+    publicId: { type: String, required: true, unique: true },
+    secret: { type: String, required: true, select: false },
+    inputTemplate: { type: String, required: true, maxlength: MAX_AGENT_WEBHOOK_INPUT_LENGTH },
+    orderingKeyPath: { type: String, trim: true, maxlength: 256 },
+    enabled: { type: Boolean, required: true, default: true },
+    lastReceivedAt: { type: Date, default: null },
+    lastDeliveryKey: { type: String },
+  },
+  { timestamps: true },
+);
+
+agentWebhookSchema.index({ user: 1, createdAt: -1 });
+
+export default agentWebhookSchema;
@@ -0,0 +1,27 @@
+import { Schema } from 'mongoose';
+import type { IArtifactDocument } from '~/types/artifact';
+
+const artifactSchema: Schema<IArtifactDocument> = new Schema(
+  {
+    identifier: { type: String, required: true, maxlength: 200 },
+    title: { type: String, required: true, maxlength: 500 },
+    type: { type: String, required: true, maxlength: 200 },
+    language: { type: String, maxlength: 100 },
+    author: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    authorName: { type: String },
+    conversationIds: { type: [String], default: [] },
+    latestVersion: { type: Number, default: 0, min: 0 },
+    tenantId: { type: String, index: true },
+  },
+  { timestamps: true },
+);
+
+artifactSchema.index({ conversationIds: 1, identifier: 1 });
+artifactSchema.index({ updatedAt: -1, _id: 1 });
+
+export default artifactSchema;
@@ -0,0 +1,31 @@
+import { Schema } from 'mongoose';
+import type { IArtifactVersionDocument } from '~/types/artifact';
+
+const artifactVersionSchema: Schema<IArtifactVersionDocument> = new Schema(
+  {
+    artifactId: {
+      type: Schema.Types.ObjectId,
+      ref: 'Artifact',
+      required: true,
+    },
+    version: { type: Number, required: true, min: 1 },
+    content: { type: String, required: true },
+    title: { type: String, required: true, maxlength: 500 },
+    type: { type: String, required: true, maxlength: 200 },
+    language: { type: String, maxlength: 100 },
+    source: { type: String, enum: ['message', 'edit'], required: true },
+    conversationId: { type: String },
+    messageId: { type: String },
+    author: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    tenantId: { type: String, index: true },
+  },
+  { timestamps: true },
+);
+
+artifactVersionSchema.index({ artifactId: 1, version: -1 }, { unique: true });
+
+export default artifactVersionSchema;
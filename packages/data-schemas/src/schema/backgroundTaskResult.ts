@@ -0,0 +1,36 @@
+import { Schema } from 'mongoose';
+import type { IBackgroundTaskResultDocument } from '~/types/backgroundTask';
+
+const backgroundTaskResultSchema: Schema<IBackgroundTaskResultDocument> = new Schema(
+  {
+    taskId: { type: String, required: true, unique: true },
+    user: { type: String, required: true },
+    conversationId: { type: String, required: true },
+    toolName: { type: String, required: true },
+    toolCallId: { type: String, required: true },
+    messageId: { type: String },
+    agentId: { type: String },
+    status: {
+      type: String,
+      enum: ['running', 'completed', 'error'],
+      required: true,
+      default: 'running',
+    },
+    result: { type: String },
+    error: { type: String },
+    ownerId: { type: String, required: true },
+    heartbeatAt: { type: Date, required: true },
+    hasArtifact: { type: Boolean },
+    attachmentCount: { type: Number },
+    harvestStarted: { type: Boolean },
+    dispatchedAt: { type: Number, required: true },
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true },
+);
+
+backgroundTaskResultSchema.index({ user: 1, conversationId: 1, dispatchedAt: 1 });
+backgroundTaskResultSchema.index({ ownerId: 1, status: 1 });
+backgroundTaskResultSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default backgroundTaskResultSchema;
@@ -0,0 +1,24 @@
+import { Schema } from 'mongoose';
+import type { IBudgetDocument } from '~/types/budget';
+
+const budgetSchema: Schema<IBudgetDocument> = new Schema(
+  {
+    scope: { type: String, enum: ['group', 'tenant'], required: true },
+    groupId: { type: Schema.Types.ObjectId, ref: 'Group', default: null },
+    tenantId: { type: String, index: true },
+    monthlyLimit: { type: Number, required: true, min: 0 },
+    warningThresholds: { type: [Number], default: [] },
+    hardStop: { type: Boolean, required: true, default: true },
+    mode: { type: String, enum: ['additional', 'instead'], required: true, default: 'additional' },
+    enabled: { type: Boolean, required: true, default: true },
+    periodStart: { type: Date, required: true },
+    spent: { type: Number, required: true, default: 0 },
+    warnedThresholds: { type: [Number], default: [] },
+  },
+  { timestamps: true },
+);
+
+/** One budget per group and one tenant-wide budget (`groupId: null`) per tenant. */
+budgetSchema.index({ tenantId: 1, scope: 1, groupId: 1 }, { unique: true });
+
+export default budgetSchema;
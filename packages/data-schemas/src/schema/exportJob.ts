@@ -0,0 +1,42 @@
+import { Schema } from 'mongoose';
+import type { IExportJobDocument } from '~/types/exportJob';
+
+const exportJobSchema: Schema<IExportJobDocument> = new Schema(
+  {
+    user: { type: String, required: true, index: true },
+    tenantId: { type: String, index: true },
+    status: {
+      type: String,
+      enum: ['pending', 'running', 'completed', 'failed'],
+      required: true,
+      default: 'pending',
+    },
+    filter: {
+      type: {
+        type: String,
+        enum: ['all', 'project', 'tag', 'dateRange'],
+        required: true,
+      },
+      projectId: { type: String },
+      tag: { type: String },
+      from: { type: Date },
+      to: { type: Date },
+    },
+    conversationCount: { type: Number, default: 0 },
+    fileCount: { type: Number, default: 0 },
+    skippedFileCount: { type: Number, default: 0 },
+    filepath: { type: String },
+    source: { type: String },
+    bytes: { type: Number },
+    error: { type: String, maxlength: 500 },
+    startedAt: { type: Date },
+    finishedAt: { type: Date },
+    /** Not a TTL index: the stored archive has to be removed along with the record. */
+    expiresAt: { type: Date, required: true, index: true },
+  },
+  { timestamps: true },
+);
+
+exportJobSchema.index({ user: 1, createdAt: -1 });
+
+export default exportJobSchema;
@@ -135,6 +135,18 @@ const file: Schema<IMongoFile> = new Schema(
         type: Number,
         default: undefined,
       },
+      /** Origin of an MCP resource attachment (`source: mcp`), used to re-read it on later turns. */
+      mcpResource: {
+        type: new Schema(
+          {
+            serverName: { type: String, required: true },
+            uri: { type: String, required: true },
+            subscribed: { type: Boolean, default: false },
+          },
+          { _id: false },
+        ),
+        default: undefined,
+      },
     },
     expiresAt: {
       /* Short-lived upload TTL managed by MongoDB. This is separate from
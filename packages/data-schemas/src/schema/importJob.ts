@@ -0,0 +1,46 @@
+import { Schema } from 'mongoose';
+import type { IImportJobDocument } from '~/types/importJob';
+
+const importIssueSchema = new Schema(
+  {
+    index: { type: Number, required: true },
+    status: { type: String, enum: ['skipped', 'failed'], required: true },
+    title: { type: String, maxlength: 200 },
+    reason: { type: String, required: true, maxlength: 500 },
+  },
+  { _id: false },
+);
+
+const importJobSchema: Schema<IImportJobDocument> = new Schema(
+  {
+    user: { type: String, required: true, index: true },
+    tenantId: { type: String, index: true },
+    userRole: { type: String },
+    status: {
+      type: String,
+      enum: ['pending', 'running', 'completed', 'failed'],
+      required: true,
+      default: 'pending',
+    },
+    filename: { type: String, required: true },
+    filepath: { type: String },
+    bytes: { type: Number, default: 0 },
+    processedCount: { type: Number, default: 0 },
+    importedCount: { type: Number, default: 0 },
+    skippedCount: { type: Number, default: 0 },
+    failedCount: { type: Number, default: 0 },
+    issues: { type: [importIssueSchema], default: [] },
+    attempts: { type: Number, default: 0 },
+    error: { type: String, maxlength: 500 },
+    startedAt: { type: Date },
+    finishedAt: { type: Date },
+    expiresAt: { type: Date },
+  },
+  { timestamps: true },
+);
+
+importJobSchema.index({ user: 1, createdAt: -1 });
+importJobSchema.index({ status: 1, updatedAt: 1 });
+importJobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default importJobSchema;
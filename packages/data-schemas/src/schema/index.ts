@@ -3,8 +3,17 @@ export { default as agentSchema } from './agent';
 export { default as aclEntrySchema } from './aclEntry';
 export { default as agentApiKeySchema } from './agentApiKey';
 export { default as agentCategorySchema } from './agentCategory';
+export { default as agentEvalCaseSchema } from './agentEvalCase';
+export { default as agentEvalRunSchema } from './agentEvalRun';
 export { default as assistantSchema } from './assistant';
 export { default as balanceSchema } from './balance';
+export { default as budgetSchema } from './budget';
+export { default as artifactSchema } from './artifact';
+export { default as artifactVersionSchema } from './artifactVersion';
+export { default as exportJobSchema } from './exportJob';
+export { default as importJobSchema } from './importJob';
+export { default as takeoutJobSchema } from './takeoutJob';
+export { default as backgroundTaskResultSchema } from './backgroundTaskResult';
 export { default as bannerSchema } from './banner';
 export { default as categoriesSchema } from './categories';
 export { default as chatProjectSchema } from './chatProject';
@@ -13,10 +22,13 @@ export { default as convoSchema } from './convo';
 export { default as fileSchema } from './file';
 export { default as keySchema } from './key';
 export { default as messageSchema } from './message';
+export { default as passkeySchema } from './passkey';
 export { default as pluginAuthSchema } from './pluginAuth';
 export { default as presetSchema } from './preset';
 export { default as promptSchema } from './prompt';
 export { default as promptGroupSchema } from './promptGroup';
+export { default as promptTestCaseSchema } from './promptTestCase';
+export { default as promptTestRunSchema } from './promptTestRun';
 export { default as roleSchema } from './role';
 export { default as sessionSchema } from './session';
 export { default as shareSchema } from './share';
@@ -35,3 +47,5 @@ export { default as configSchema } from './config';
 export { default as triggerDeliverySchema } from './triggerDelivery';
 export { default as triggerLaneSequenceSchema } from './triggerLaneSequence';
 export { default as triggerUserPurgeSchema } from './triggerUserPurge';
+export { default as agentScheduleSchema } from './agentSchedule';
+export { default as agentWebhookSchema } from './agentWebhook';
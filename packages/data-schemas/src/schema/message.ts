@@ -193,6 +193,12 @@ const messageSchema: Schema<IMessage> = new Schema(
      * count), so they are not duplicated into the stored `text`.
      */
     quotes: { type: [String], default: undefined },
+    /**
+     * Ids of library artifacts the user brought into this turn. The latest
+     * version of each is given to the model at request time, after checking
+     * access again, so regenerating the response sees the same artifacts.
+     */
+    artifactRefs: { type: [String], default: undefined },
     /*
     attachments: {
       type: [
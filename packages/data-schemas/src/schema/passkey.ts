@@ -0,0 +1,24 @@
+import { Schema } from 'mongoose';
+import type { IPasskeyDocument } from '~/types/passkey';
+
+const passkeySchema: Schema<IPasskeyDocument> = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    credentialId: { type: String, required: true, unique: true },
+    publicKey: { type: String, required: true },
+    counter: { type: Number, default: 0, min: 0 },
+    transports: { type: [String], default: [] },
+    backedUp: { type: Boolean, default: false },
+    name: { type: String, required: true, maxlength: 100 },
+    lastUsedAt: { type: Date },
+    tenantId: { type: String, index: true },
+  },
+  { timestamps: true },
+);
+
+export default passkeySchema;
@@ -0,0 +1,54 @@
+import { Schema } from 'mongoose';
+import type { IPromptTestCaseDocument } from '~/types/promptTest';
+
+const promptTestAssertionSchema = new Schema(
+  {
+    type: {
+      type: String,
+      enum: ['contains', 'regex', 'json_schema'],
+      required: true,
+    },
+    value: { type: String, maxlength: 2000 },
+    schema: { type: Schema.Types.Mixed },
+  },
+  { _id: false },
+);
+
+const promptTestCaseSchema: Schema<IPromptTestCaseDocument> = new Schema(
+  {
+    groupId: {
+      type: Schema.Types.ObjectId,
+      ref: 'PromptGroup',
+      required: true,
+      index: true,
+    },
+    author: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      maxlength: 200,
+    },
+    variables: {
+      type: Map,
+      of: String,
+      default: {},
+    },
+    assertions: {
+      type: [promptTestAssertionSchema],
+      default: [],
+    },
+    tenantId: {
+      type: String,
+      index: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+export default promptTestCaseSchema;
@@ -0,0 +1,62 @@
+import { Schema } from 'mongoose';
+import type { IPromptTestRunDocument } from '~/types/promptTest';
+
+const assertionTypes = ['contains', 'regex', 'json_schema'];
+
+const promptTestResultSchema = new Schema(
+  {
+    testCaseId: { type: Schema.Types.ObjectId, required: true },
+    testCaseName: { type: String, required: true },
+    endpoint: { type: String, required: true },
+    model: { type: String, required: true },
+    output: { type: String },
+    error: { type: String, maxlength: 500 },
+    passed: { type: Boolean, required: true },
+    assertions: [
+      {
+        _id: false,
+        type: { type: String, enum: assertionTypes, required: true },
+        passed: { type: Boolean, required: true },
+        message: { type: String, maxlength: 500 },
+      },
+    ],
+    durationMs: { type: Number },
+  },
+  { _id: false },
+);
+
+const promptTestRunSchema: Schema<IPromptTestRunDocument> = new Schema(
+  {
+    groupId: { type: Schema.Types.ObjectId, ref: 'PromptGroup', required: true, index: true },
+    promptId: { type: Schema.Types.ObjectId, ref: 'Prompt', required: true, index: true },
+    user: { type: String, required: true },
+    tenantId: { type: String, index: true },
+    status: {
+      type: String,
+      enum: ['pending', 'running', 'completed', 'failed'],
+      required: true,
+      default: 'pending',
+    },
+    models: [
+      {
+        _id: false,
+        endpoint: { type: String, required: true },
+        model: { type: String, required: true },
+      },
+    ],
+    results: { type: [promptTestResultSchema], default: [] },
+    summary: {
+      total: { type: Number, default: 0 },
+      passed: { type: Number, default: 0 },
+      failed: { type: Number, default: 0 },
+    },
+    error: { type: String, maxlength: 500 },
+    startedAt: { type: Date },
+    finishedAt: { type: Date },
+  },
+  { timestamps: true },
+);
+
+promptTestRunSchema.index({ groupId: 1, createdAt: -1 });
+
+export default promptTestRunSchema;
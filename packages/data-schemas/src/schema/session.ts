@@ -1,25 +1,38 @@
 import mongoose, { Schema } from 'mongoose';
 import { ISession } from '~/types';
 
-const sessionSchema: Schema<ISession> = new Schema({
-  refreshTokenHash: {
-    type: String,
-    required: true,
+const sessionSchema: Schema<ISession> = new Schema(
+  {
+    refreshTokenHash: {
+      type: String,
+      required: true,
+    },
+    expiration: {
+      type: Date,
+      required: true,
+      expires: 0,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    userAgent: {
+      type: String,
+    },
+    ip: {
+      type: String,
+    },
+    lastUsedAt: {
+      type: Date,
+    },
+    tenantId: {
+      type: String,
+      index: true,
+    },
   },
-  expiration: {
-    type: Date,
-    required: true,
-    expires: 0,
-  },
-  user: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: true,
-  },
-  tenantId: {
-    type: String,
-    index: true,
-  },
-});
+  { timestamps: true },
+);
 
 export default sessionSchema;
@@ -0,0 +1,38 @@
+import { Schema } from 'mongoose';
+import type { ITakeoutJobDocument } from '~/types/takeoutJob';
+
+const takeoutJobSchema: Schema<ITakeoutJobDocument> = new Schema(
+  {
+    user: { type: String, required: true, index: true },
+    tenantId: { type: String, index: true },
+    status: {
+      type: String,
+      enum: ['pending', 'running', 'completed', 'failed'],
+      required: true,
+      default: 'pending',
+    },
+    counts: {
+      conversations: { type: Number, default: 0 },
+      messages: { type: Number, default: 0 },
+      memories: { type: Number, default: 0 },
+      prompts: { type: Number, default: 0 },
+      agents: { type: Number, default: 0 },
+      presets: { type: Number, default: 0 },
+      files: { type: Number, default: 0 },
+      skippedFiles: { type: Number, default: 0 },
+      transactions: { type: Number, default: 0 },
+    },
+    filepath: { type: String },
+    bytes: { type: Number },
+    error: { type: String, maxlength: 500 },
+    startedAt: { type: Date },
+    finishedAt: { type: Date },
+    /** Not a TTL index: the archive on disk has to be removed along with the record. */
+    expiresAt: { type: Date, required: true, index: true },
+  },
+  { timestamps: true },
+);
+
+takeoutJobSchema.index({ user: 1, createdAt: -1 });
+
+export default takeoutJobSchema;
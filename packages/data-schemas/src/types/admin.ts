@@ -56,6 +56,8 @@ export const AUDIT_CATEGORIES = [
   'permission',
   'auth',
   'approval',
+  'agent_trigger',
+  'privacy',
 ] as const;
 export type AuditCategory = (typeof AUDIT_CATEGORIES)[number];
 
@@ -65,13 +67,26 @@ export type AuditCategory = (typeof AUDIT_CATEGORIES)[number];
  * action maps unambiguously to a category. The Mongoose schema enum and the
  * HTTP handler's whitelist both consume this constant so they cannot drift.
  */
-export const AUDIT_ACTIONS = ['grant.assigned', 'grant.removed'] as const;
+export const AUDIT_ACTIONS = [
+  'grant.assigned',
+  'grant.removed',
+  'agent_trigger.requeued',
+  'agent_trigger.deleted',
+  'auth.sessions_revoked',
+  'privacy.takeout_requested',
+  'privacy.takeout_downloaded',
+] as const;
 export type AuditAction = (typeof AUDIT_ACTIONS)[number];
 
 /** Maps each action to its category so writers never pass both. */
 export const AUDIT_ACTION_CATEGORY: Record<AuditAction, AuditCategory> = {
   'grant.assigned': 'grant',
   'grant.removed': 'grant',
+  'agent_trigger.requeued': 'agent_trigger',
+  'agent_trigger.deleted': 'agent_trigger',
+  'auth.sessions_revoked': 'auth',
+  'privacy.takeout_requested': 'privacy',
+  'privacy.takeout_downloaded': 'privacy',
 };
 
 /** Result of the audited operation. Kept first-class instead of being encoded
@@ -213,3 +228,40 @@ export type AdminUserSearchResult = {
   username?: string;
   avatarUrl?: string;
 };
+
+export type AdminAgentTriggerDeliveryError = {
+  code: string;
+  message: string;
+  certainty: string;
+  retryable: boolean;
+  attemptedAt: string;
+  status?: number;
+};
+
+/** Operator view of an agent trigger delivery; omits the rendered input, payload, and result. */
+export type AdminAgentTriggerDelivery = {
+  id: string;
+  deliveryKey: string;
+  status: string;
+  attempts: number;
+  requeueCount: number;
+  user: string;
+  tenantId?: string;
+  orderingKey: string;
+  mode?: string;
+  agentId?: string;
+  source?: { type: string; id: string };
+  event?: { type: string; occurredAt?: number };
+  availableAt?: string;
+  createdAt?: string;
+  updatedAt?: string;
+  settledAt?: string;
+  lastError?: AdminAgentTriggerDeliveryError;
+  history?: Array<{
+    attempt: number;
+    outcome: string;
+    at: string;
+    workerId: string;
+    error?: AdminAgentTriggerDeliveryError;
+  }>;
+};
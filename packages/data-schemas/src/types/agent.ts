@@ -5,6 +5,7 @@ import type {
   AgentToolOptions,
   AgentToolResources,
   AgentSubagentsConfig,
+  AgentResponseFormat,
 } from 'librechat-data-provider';
 
 export interface ISupportContact {
@@ -55,5 +56,9 @@ export interface IAgent extends Omit<Document, 'model'> {
   subagents?: AgentSubagentsConfig;
   /** Memory partition: 'agent' isolates memories per (user, agent); default shared pool */
   memory_scope?: MemoryScope;
+  /** Structured output: named JSON Schema the agent's final answer must satisfy */
+  response_format?: AgentResponseFormat | null;
+  /** Published labels (e.g. `stable`) mapped to 1-based `versions` numbers; not versioned itself */
+  version_labels?: Record<string, number>;
   tenantId?: string;
 }
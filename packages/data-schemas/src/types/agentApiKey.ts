@@ -5,6 +5,8 @@ export interface IAgentApiKey extends Document {
   name: string;
   keyHash: string;
   keyPrefix: string;
+  /** Agent version label the key runs when `model` names no version */
+  versionLabel?: string;
   lastUsedAt?: Date;
   expiresAt?: Date;
   createdAt: Date;
@@ -15,6 +17,7 @@ export interface IAgentApiKey extends Document {
 export interface AgentApiKeyCreateData {
   userId: Types.ObjectId | string;
   name: string;
+  versionLabel?: string | null;
   expiresAt?: Date | null;
 }
 
@@ -23,6 +26,7 @@ export interface AgentApiKeyCreateResult {
   name: string;
   keyPrefix: string;
   key: string;
+  versionLabel?: string;
   createdAt: Date;
   expiresAt?: Date;
 }
@@ -31,6 +35,7 @@ export interface AgentApiKeyListItem {
   id: string;
   name: string;
   keyPrefix: string;
+  versionLabel?: string;
   lastUsedAt?: Date;
   expiresAt?: Date;
   createdAt: Date;
@@ -0,0 +1,79 @@
+import type { Document, Types } from 'mongoose';
+
+export type AgentEvalAssertionType =
+  | 'tool_call'
+  | 'contains'
+  | 'not_contains'
+  | 'json_schema'
+  | 'llm_judge';
+
+/**
+ * An expectation about an evaluation case's transcript. `tool_call` checks the tools
+ * called across all turns; the others check the agent's reply to the last turn.
+ */
+export interface IAgentEvalAssertion {
+  type: AgentEvalAssertionType;
+  /** The tool name for `tool_call`, the text for `contains`/`not_contains`, the grading criteria for `llm_judge`. */
+  value?: string;
+  /** The JSON Schema the reply must parse into, for `json_schema`. */
+  schema?: Record<string, unknown>;
+}
+
+/** A recorded conversation for an agent, replayed against its versions to catch regressions. */
+export interface IAgentEvalCase {
+  _id?: Types.ObjectId;
+  agent_id: string;
+  author: Types.ObjectId;
+  name: string;
+  /** User messages, sent in order; each turn sees the agent's earlier replies. */
+  turns: string[];
+  assertions: IAgentEvalAssertion[];
+  tenantId?: string;
+  createdAt?: Date;
+  updatedAt?: Date;
+}
+
+export interface IAgentEvalCaseDocument extends Omit<IAgentEvalCase, '_id'>, Document {}
+
+export type AgentEvalRunStatus = 'pending' | 'running' | 'completed' | 'failed';
+
+export interface IAgentEvalAssertionResult {
+  type: AgentEvalAssertionType;
+  passed: boolean;
+  /** Why the assertion failed, or the judge's reasoning. */
+  message?: string;
+}
+
+/** The outcome of one evaluation case. */
+export interface IAgentEvalResult {
+  caseId: Types.ObjectId;
+  /** Copied from the case so results stay readable after it is edited or deleted. */
+  caseName: string;
+  /** The agent's reply to the last turn. */
+  output?: string;
+  /** Names of the tools the agent called, in order, across all turns. */
+  toolCalls: string[];
+  error?: string;
+  passed: boolean;
+  assertions: IAgentEvalAssertionResult[];
+  durationMs?: number;
+}
+
+export interface IAgentEvalRun {
+  _id?: Types.ObjectId;
+  agent_id: string;
+  /** The 1-based entry of the agent's `versions` history under test, or null for the current saved state. */
+  version: number | null;
+  user: string;
+  tenantId?: string;
+  status: AgentEvalRunStatus;
+  results: IAgentEvalResult[];
+  summary: { total: number; passed: number; failed: number };
+  error?: string;
+  startedAt?: Date;
+  finishedAt?: Date;
+  createdAt?: Date;
+  updatedAt?: Date;
+}
+
+export interface IAgentEvalRunDocument extends Omit<IAgentEvalRun, '_id'>, Document {}
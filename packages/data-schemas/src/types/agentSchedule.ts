@@ -0,0 +1,46 @@
+import type { Document, Types } from 'mongoose';
+
+export type AgentScheduleMode = 'fire' | 'continue';
+
+/**
+ * How a scheduler that was not running at tick time treats the ticks it missed.
+ * - `latest`: emit only the most recent missed tick.
+ * - `all`: emit every missed tick, oldest first, up to a bounded backlog.
+ * - `skip`: emit nothing older than the scheduler's grace window.
+ */
+export type AgentScheduleMissedRunPolicy = 'latest' | 'all' | 'skip';
+
+export interface AgentScheduleError {
+  code: string;
+  message: string;
+  at: Date;
+}
+
+export interface IAgentSchedule {
+  _id?: Types.ObjectId;
+  user: Types.ObjectId;
+  tenantId?: string;
+  name: string;
+  agent_id: string;
+  /** Five-field cron expression or `@daily`-style macro. */
+  cron: string;
+  /** IANA timezone in which the cron expression is evaluated. */
+  timezone: string;
+  /** Input template rendered by the scheduler for every tick. */
+  input: string;
+  mode: AgentScheduleMode;
+  /** Fixed conversation receiving each tick when `mode` is `continue`. */
+  conversationId?: string;
+  enabled: boolean;
+  missedRunPolicy: AgentScheduleMissedRunPolicy;
+  /** Next tick to emit. The scheduler advances it with a compare-and-set. */
+  nextRunAt?: Date | null;
+  /** Most recent tick emitted as a trigger delivery. */
+  lastRunAt?: Date | null;
+  lastDeliveryKey?: string;
+  lastError?: AgentScheduleError | null;
+  createdAt?: Date;
+  updatedAt?: Date;
+}
+
+export interface IAgentScheduleDocument extends Omit<IAgentSchedule, '_id'>, Document {}
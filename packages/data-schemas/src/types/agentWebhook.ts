@@ -0,0 +1,24 @@
+import type { Document, Types } from 'mongoose';
+
+export interface IAgentWebhook {
+  _id?: Types.ObjectId;
+  user: Types.ObjectId;
+  tenantId?: string;
+  name: string;
+  agent_id: string;
+  /** Unguessable path segment of the public ingress URL. */
+  publicId: string;
+  /** `encryptV2` ciphertext of the HMAC signing secret; never selected by default. */
+  secret?: string;
+  /** Input template rendered from the verified payload for every delivery. */
+  inputTemplate: string;
+  /** Dotted path into the payload whose value becomes the delivery `orderingKey`. */
+  orderingKeyPath?: string;
+  enabled: boolean;
+  lastReceivedAt?: Date | null;
+  lastDeliveryKey?: string;
+  createdAt?: Date;
+  updatedAt?: Date;
+}
+
+export interface IAgentWebhookDocument extends Omit<IAgentWebhook, '_id'>, Document {}
@@ -0,0 +1,49 @@
+import type { Document, Types } from 'mongoose';
+
+/** Where a version came from: a model response, or a manual edit of the code. */
+export type ArtifactVersionSource = 'message' | 'edit';
+
+/**
+ * An artifact kept in the library. Messages hold `:::artifact` blocks; every block a
+ * response produces is recorded here as a version, so the artifact outlives the message
+ * and can be shared or brought into another conversation.
+ */
+export interface IArtifact {
+  _id?: Types.ObjectId;
+  /** The `identifier` the model gave the artifact; reused to iterate on it. */
+  identifier: string;
+  title: string;
+  /** MIME-like artifact type, e.g. `application/vnd.react`. */
+  type: string;
+  language?: string;
+  author: Types.ObjectId;
+  authorName?: string;
+  /** Conversations whose responses add versions to this artifact. */
+  conversationIds: string[];
+  /** Number of the newest version; versions count up from 1. */
+  latestVersion: number;
+  tenantId?: string;
+  createdAt?: Date;
+  updatedAt?: Date;
+}
+
+export interface IArtifactDocument extends Omit<IArtifact, '_id'>, Document {}
+
+export interface IArtifactVersion {
+  _id?: Types.ObjectId;
+  artifactId: Types.ObjectId;
+  version: number;
+  content: string;
+  title: string;
+  type: string;
+  language?: string;
+  source: ArtifactVersionSource;
+  conversationId?: string;
+  messageId?: string;
+  author: Types.ObjectId;
+  tenantId?: string;
+  createdAt?: Date;
+  updatedAt?: Date;
+}
+
+export interface IArtifactVersionDocument extends Omit<IArtifactVersion, '_id'>, Document {}
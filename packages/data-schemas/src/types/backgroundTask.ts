@@ -0,0 +1,34 @@
+import type { Document } from 'mongoose';
+
+export type BackgroundTaskResultStatus = 'running' | 'completed' | 'error';
+
+/** Shared copy of a backgrounded tool call, readable by every API replica. */
+export interface IBackgroundTaskResult {
+  taskId: string;
+  user: string;
+  conversationId: string;
+  toolName: string;
+  toolCallId: string;
+  messageId?: string;
+  agentId?: string;
+  status: BackgroundTaskResultStatus;
+  result?: string;
+  error?: string;
+  /** Process that runs the task; it refreshes `heartbeatAt` while alive. */
+  ownerId: string;
+  heartbeatAt: Date;
+  hasArtifact?: boolean;
+  attachmentCount?: number;
+  harvestStarted?: boolean;
+  /** Dispatch stamp in epoch milliseconds; orders the tasks of a conversation. */
+  dispatchedAt: number;
+  expiresAt: Date;
+  createdAt?: Date;
+  updatedAt?: Date;
+}
+
+export interface IBackgroundTaskResultDocument
+  extends Omit<IBackgroundTaskResult, 'taskId'>,
+    Document {
+  taskId: string;
+}
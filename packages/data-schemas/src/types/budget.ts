@@ -0,0 +1,83 @@
+import type { Document, Types } from 'mongoose';
+
+/** What a pooled budget is attached to. A tenant budget covers every user in the tenant. */
+export type BudgetScope = 'group' | 'tenant';
+
+/**
+ * How a pooled budget relates to its members' personal balances.
+ * - `additional`: spend is drawn from the pool and from the personal balance.
+ * - `instead`: the pool replaces the personal balance, which is neither checked nor debited.
+ */
+export type BudgetMode = 'additional' | 'instead';
+
+export interface IBudget {
+  _id?: Types.ObjectId;
+  scope: BudgetScope;
+  /** The group from `admin/groups` the budget is attached to; unset for tenant budgets. */
+  groupId?: Types.ObjectId | null;
+  tenantId?: string;
+  /** Token credits the pool may spend per calendar month (UTC). */
+  monthlyLimit: number;
+  /** Fractions of `monthlyLimit` (e.g. `0.8`) that raise a warning once per month when crossed. */
+  warningThresholds: number[];
+  /** Refuse requests once the month's spend reaches the limit; otherwise the limit only warns. */
+  hardStop: boolean;
+  mode: BudgetMode;
+  enabled: boolean;
+  /** First instant of the month `spent` covers. Rolled forward on the first charge of a new month. */
+  periodStart: Date;
+  /** Token credits spent by members since `periodStart`. */
+  spent: number;
+  /** Thresholds already reported for the current period. */
+  warnedThresholds: number[];
+  createdAt?: Date;
+  updatedAt?: Date;
+}
+
+export interface IBudgetDocument extends Omit<IBudget, '_id'>, Document {}
+
+/** Identifies one budget: the tenant's, or a group's. */
+export type BudgetTarget = { scope: 'tenant' } | { scope: 'group'; groupId: string };
+
+/** Admin-editable budget settings; spend tracking is managed by the balance system. */
+export interface BudgetSettings {
+  monthlyLimit: number;
+  warningThresholds?: number[];
+  hardStop?: boolean;
+  mode?: BudgetMode;
+  enabled?: boolean;
+}
+
+/** A threshold crossed by a charge, reported once per budget and period. */
+export interface BudgetWarning {
+  budgetId: string;
+  scope: BudgetScope;
+  groupId?: string;
+  threshold: number;
+  spent: number;
+  monthlyLimit: number;
+}
+
+export interface ChargeBudgetsResult {
+  /** Whether a charged budget is in `instead` mode, so the personal balance must not be debited. */
+  replacesBalance: boolean;
+  warnings: BudgetWarning[];
+}
+
+/** Budget as returned by `/api/admin/budgets`. */
+export interface AdminBudget {
+  id: string;
+  scope: BudgetScope;
+  groupId?: string;
+  groupName?: string;
+  monthlyLimit: number;
+  warningThresholds: number[];
+  hardStop: boolean;
+  mode: BudgetMode;
+  enabled: boolean;
+  periodStart: string;
+  spent: number;
+  remaining: number;
+  warnedThresholds: number[];
+  updatedAt?: string;
+}
@@ -0,0 +1,38 @@
+import type { Document, Types } from 'mongoose';
+
+export type ExportJobStatus = 'pending' | 'running' | 'completed' | 'failed';
+
+/** Which of the user's conversations an export covers. */
+export type ConversationExportFilter =
+  | { type: 'all' }
+  | { type: 'project'; projectId: string }
+  | { type: 'tag'; tag: string }
+  | { type: 'dateRange'; from?: Date; to?: Date };
+
+export interface IExportJob {
+  _id?: Types.ObjectId;
+  user: string;
+  tenantId?: string;
+  status: ExportJobStatus;
+  filter: ConversationExportFilter;
+  /** Conversations written to the archive so far. */
+  conversationCount: number;
+  /** Files fetched from storage and written to the archive. */
+  fileCount: number;
+  /** Referenced files that could not be fetched or did not fit under the size limit. */
+  skippedFileCount: number;
+  /** Where the file strategy stored the finished archive; never sent to clients. */
+  filepath?: string;
+  /** File strategy the archive was stored with. */
+  source?: string;
+  bytes?: number;
+  error?: string;
+  startedAt?: Date;
+  finishedAt?: Date;
+  /** When the archive is deleted and the job record with it. */
+  expiresAt: Date;
+  createdAt?: Date;
+  updatedAt?: Date;
+}
+
+export interface IExportJobDocument extends Omit<IExportJob, '_id'>, Document {}
@@ -71,6 +71,12 @@ export interface IMongoFile extends Omit<Document, 'model'> {
      */
     codeEnvRef?: CodeEnvRef;
     codeEnvRefs?: CodeEnvRefMap;
+    /** Origin of a file attached from an MCP server resource (`source: mcp`). */
+    mcpResource?: {
+      serverName: string;
+      uri: string;
+      subscribed: boolean;
+    };
   };
   expiresAt?: Date;
   expiredAt?: Date | null;
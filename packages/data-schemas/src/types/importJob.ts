@@ -0,0 +1,44 @@
+import type { Document, Types } from 'mongoose';
+
+export type ImportJobStatus = 'pending' | 'running' | 'completed' | 'failed';
+
+/** A conversation of an import file that was skipped or could not be imported. */
+export interface IImportJobIssue {
+  /** Position of the entry in the uploaded file. */
+  index: number;
+  status: 'skipped' | 'failed';
+  title?: string;
+  reason: string;
+}
+
+export interface IImportJob {
+  _id?: Types.ObjectId;
+  user: string;
+  tenantId?: string;
+  /** Role of the importing user, so a resumed import resolves the same configuration. */
+  userRole?: string;
+  status: ImportJobStatus;
+  filename: string;
+  /** Local path of the uploaded file until the import finishes; never sent to clients. */
+  filepath?: string;
+  bytes: number;
+  /** Entries of the uploaded file handled so far. A resumed import continues after them. */
+  processedCount: number;
+  /** Conversations saved to the database. */
+  importedCount: number;
+  skippedCount: number;
+  failedCount: number;
+  /** Reasons for the first skipped and failed entries. */
+  issues: IImportJobIssue[];
+  /** How many times the import was started, including resumes after a restart. */
+  attempts: number;
+  error?: string;
+  startedAt?: Date;
+  finishedAt?: Date;
+  /** Set once the import finishes; the record is removed after it. */
+  expiresAt?: Date;
+  createdAt?: Date;
+  updatedAt?: Date;
+}
+
+export interface IImportJobDocument extends Omit<IImportJob, '_id'>, Document {}
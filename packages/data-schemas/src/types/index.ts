@@ -8,13 +8,20 @@ export * from './token';
 export * from './convo';
 export * from './chatProject';
 export * from './session';
+export * from './passkey';
 export * from './balance';
+export * from './budget';
+export * from './exportJob';
+export * from './importJob';
+export * from './takeoutJob';
+export * from './backgroundTask';
 export * from './banner';
 export * from './transaction';
 export * from './message';
 export * from './agent';
 export * from './agentApiKey';
 export * from './agentCategory';
+export * from './agentEval';
 export * from './role';
 export * from './action';
 export * from './assistant';
@@ -26,10 +33,15 @@ export * from './memory';
 export * from './favorite';
 /* Prompts */
 export * from './prompts';
+export * from './promptTest';
+/* Artifacts */
+export * from './artifact';
 /* Skills */
 export * from './skill';
 export * from './skillSync';
 export * from './triggerDelivery';
+export * from './agentSchedule';
+export * from './agentWebhook';
 /* Access Control */
 export * from './accessRole';
 export * from './aclEntry';
@@ -77,6 +77,8 @@ export interface IMessage extends Document {
   alwaysAppliedSkills?: string[];
   /** Verbatim excerpts the user quoted to reference on this turn. UI-only metadata for `MessageQuotes`. */
   quotes?: string[];
+  /** Ids of library artifacts the user brought into this turn for the model to iterate on. */
+  artifactRefs?: string[];
   expiredAt?: Date | null;
   createdAt?: Date;
   updatedAt?: Date;
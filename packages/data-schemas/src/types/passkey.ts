@@ -0,0 +1,24 @@
+import type { Document, Types } from 'mongoose';
+
+/** A WebAuthn credential a user registered to sign in, or to pass the second factor. */
+export interface IPasskey {
+  _id?: Types.ObjectId;
+  user: Types.ObjectId;
+  /** base64url credential id, as the browser reports it. */
+  credentialId: string;
+  /** base64url COSE public key. */
+  publicKey: string;
+  /** Last signature counter seen; authenticators that don't count stay at 0. */
+  counter: number;
+  transports: string[];
+  /** Whether the credential is synced between devices (e.g. by a password manager). */
+  backedUp: boolean;
+  /** User-facing label. */
+  name: string;
+  lastUsedAt?: Date;
+  tenantId?: string;
+  createdAt?: Date;
+  updatedAt?: Date;
+}
+
+export interface IPasskeyDocument extends Omit<IPasskey, '_id'>, Document {}
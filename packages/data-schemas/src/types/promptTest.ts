@@ -0,0 +1,74 @@
+import type { Document, Types } from 'mongoose';
+
+export type PromptTestAssertionType = 'contains' | 'regex' | 'json_schema';
+
+/** An expectation about a test case's output. */
+export interface IPromptTestAssertion {
+  type: PromptTestAssertionType;
+  /** The substring for `contains`, the pattern for `regex`. */
+  value?: string;
+  /** The JSON Schema the output must parse into, for `json_schema`. */
+  schema?: Record<string, unknown>;
+}
+
+/** Saved inputs for a prompt group, replayed against candidate versions before promotion. */
+export interface IPromptTestCase {
+  _id?: Types.ObjectId;
+  groupId: Types.ObjectId;
+  author: Types.ObjectId;
+  name: string;
+  /** Values for the prompt's `{{variables}}`, keyed by variable name. */
+  variables: Record<string, string>;
+  assertions: IPromptTestAssertion[];
+  tenantId?: string;
+  createdAt?: Date;
+  updatedAt?: Date;
+}
+
+export interface IPromptTestCaseDocument extends Omit<IPromptTestCase, '_id'>, Document {}
+
+export type PromptTestRunStatus = 'pending' | 'running' | 'completed' | 'failed';
+
+export interface IPromptTestModel {
+  endpoint: string;
+  model: string;
+}
+
+export interface IPromptTestAssertionResult {
+  type: PromptTestAssertionType;
+  passed: boolean;
+  /** Why the assertion failed. */
+  message?: string;
+}
+
+/** The outcome of one test case on one model. */
+export interface IPromptTestResult extends IPromptTestModel {
+  testCaseId: Types.ObjectId;
+  /** Copied from the test case so results stay readable after it is edited or deleted. */
+  testCaseName: string;
+  output?: string;
+  error?: string;
+  passed: boolean;
+  assertions: IPromptTestAssertionResult[];
+  durationMs?: number;
+}
+
+export interface IPromptTestRun {
+  _id?: Types.ObjectId;
+  groupId: Types.ObjectId;
+  /** The prompt version under test. */
+  promptId: Types.ObjectId;
+  user: string;
+  tenantId?: string;
+  status: PromptTestRunStatus;
+  models: IPromptTestModel[];
+  results: IPromptTestResult[];
+  summary: { total: number; passed: number; failed: number };
+  error?: string;
+  startedAt?: Date;
+  finishedAt?: Date;
+  createdAt?: Date;
+  updatedAt?: Date;
+}
+
+export interface IPromptTestRunDocument extends Omit<IPromptTestRun, '_id'>, Document {}
@@ -4,13 +4,28 @@ export interface ISession extends Document {
   refreshTokenHash: string;
   expiration: Date;
   user: Types.ObjectId;
+  /** User agent of the client that last used the session. */
+  userAgent?: string;
+  /** IP address of the client that last used the session. */
+  ip?: string;
+  /** When the session last minted a refresh token (sign-in or refresh). */
+  lastUsedAt?: Date;
   tenantId?: string;
+  createdAt?: Date;
+  updatedAt?: Date;
+}
+
+/** Where a session is being used from; recorded so users can recognize their devices. */
+export interface SessionClientInfo {
+  userAgent?: string;
+  ip?: string;
 }
 
 export interface CreateSessionOptions {
   expiration?: Date;
   /** Duration in milliseconds for session expiry. Default: 7 days */
   expiresIn?: number;
+  client?: SessionClientInfo;
 }
 
 export interface UpdateExpirationOptions {
@@ -31,6 +46,8 @@ export interface SessionQueryOptions {
 export interface DeleteSessionParams {
   refreshToken?: string;
   sessionId?: string;
+  /** Only delete the session if it belongs to this user. */
+  userId?: string;
 }
 
 export interface DeleteAllSessionsOptions {
@@ -0,0 +1,38 @@
+import type { Document, Types } from 'mongoose';
+
+export type TakeoutJobStatus = 'pending' | 'running' | 'completed' | 'failed';
+
+/** How much of each kind of data a takeout archive holds. */
+export interface ITakeoutCounts {
+  conversations: number;
+  messages: number;
+  memories: number;
+  prompts: number;
+  agents: number;
+  presets: number;
+  /** Stored files written to the archive. */
+  files: number;
+  /** Files that could not be read or did not fit under the size limit; listed but not included. */
+  skippedFiles: number;
+  transactions: number;
+}
+
+export interface ITakeoutJob {
+  _id?: Types.ObjectId;
+  user: string;
+  tenantId?: string;
+  status: TakeoutJobStatus;
+  counts: ITakeoutCounts;
+  /** Local path of the finished archive; never sent to clients. */
+  filepath?: string;
+  bytes?: number;
+  error?: string;
+  startedAt?: Date;
+  finishedAt?: Date;
+  /** When the archive is deleted and the job record with it. */
+  expiresAt: Date;
+  createdAt?: Date;
+  updatedAt?: Date;
+}
+
+export interface ITakeoutJobDocument extends Omit<ITakeoutJob, '_id'>, Document {}
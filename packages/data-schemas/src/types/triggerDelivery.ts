@@ -92,6 +92,16 @@ export interface IAgentTriggerUserPurgeDocument
   extends Omit<IAgentTriggerUserPurge, '_id'>,
     Document {}
 
+/** Operator listing filters; `sourceType` and `agentId` match envelope fields. */
+export interface AgentTriggerDeliveryListFilters {
+  status?: AgentTriggerDeliveryStatus;
+  sourceType?: string;
+  agentId?: string;
+  user?: string | Types.ObjectId;
+  limit: number;
+  offset: number;
+}
+
 export interface AgentTriggerDeliveryClaim extends AgentTriggerDeliveryRecord {
   claimToken: string;
   leaseBy: string;